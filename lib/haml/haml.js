@@ -0,0 +1,11 @@
+/*! hamljs v0.6.2 | MIT License | https://github.com/tj/haml.js
+ * browser build, bundled with esbuild. usage: haml.render(code, options) -> html
+ */
+var haml=(()=>{var T=Object.defineProperty;var o=(e,t)=>T(e,"name",{value:t,configurable:!0});var p=(e,t)=>()=>(t||e((t={exports:{}}).exports,t),t.exports);var b=p((P,v)=>{v.exports={}});var k=p((j,x)=>{var a={};a.version="0.6.2";a.cache={};a.errorContextLength=15;a.selfClosing=["meta","img","link","br","hr","input","area","base"];a.doctypes={5:"<!DOCTYPE html>",xml:'<?xml version="1.0" encoding="utf-8" ?>',default:'<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',strict:'<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Strict//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-strict.dtd">',frameset:'<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Frameset//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-frameset.dtd">',"1.1":'<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">',basic:'<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML Basic 1.1//EN" "http://www.w3.org/TR/xhtml-basic/xhtml-basic11.dtd">',mobile:'<!DOCTYPE html PUBLIC "-//WAPFORUM//DTD XHTML Mobile 1.2//EN" "http://www.openmobilealliance.org/tech/DTD/xhtml-mobile12.dtd">'};a.filters={plain:o(function(e,t){t.push(e)},"plain"),cdata:o(function(e,t){t.push(`<![CDATA[
+`+e+`
+]]>`)},"cdata"),javascript:o(function(e,t){t.push(`<script type="text/javascript">
+//<![CDATA[
+`+e+`
+//]]><\/script>`)},"javascript")};var c=a.HamlError=function(e){this.name="HamlError",this.message=e,Error.captureStackTrace(this,a.render)};c.super_=Error;c.prototype=Object.create(Error.prototype,{constructor:{value:c,enumerable:!1,writable:!0,configurable:!0}});var g={indent:/^\n( *)(?! *-#)/,conditionalComment:/^\/(\[[^\n]+\])/,comment:/^\n? *\/ */,silentComment:/^\n? *-#([^\n]*)/,doctype:/^!!! *([^\n]*)/,escape:/^\\(.)/,filter:/^:(\w+) */,each:/^\- *each *(\w+)(?: *, *(\w+))? * in ([^\n]+)/,code:/^\-([^\n]+)/,outputCode:/^!=([^\n]+)/,escapeCode:/^=([^\n]+)/,attrs:/^\{(.*?)\}/,tag:/^%([-a-zA-Z][-a-zA-Z0-9:]*)/,class:/^\.([\w\-]+)/,id:/^\#([\w\-]+)/,text:/^([^\n]+)/};function D(e){return String(e).substr(0,a.errorContextLength).replace(/\n/g,"\\n")}o(D,"context");function E(h){var t,s,i=[],n=1,r=0,h=String(h).trim().replace(/\r\n|\r|\n *\n/g,`
+`);function l(y){throw new c("(Haml):"+n+" "+y)}for(o(l,"error");h.length;){for(var f in g)if(t=g[f].exec(h)){if(s={type:f,line:n,match:t[0],val:t.length>2?t.slice(1):t[1]},h=h.substr(t[0].length),f==="indent")++n;else break;var u=s.val.length/2;if(u%1)l("invalid indentation; got "+s.val.length+" spaces, should be multiple of 2");else if(u-1>r)l("invalid indentation; got "+u+", when previous was "+r);else if(r>u)for(;r-- >u;)i.push({type:"outdent",line:n});else r!==u?i.push({type:"indent",line:n}):i.push({type:"newline",line:n});r=u}s?(s.type!=="silentComment"&&i.push(s),s=null):l('near "'+D(h)+'"')}return i.concat({type:"eof"})}o(E,"tokenize");var d=a.Parser=function(e,t){t=t||{},this.tokens=E(e),this.xml=t.xml};d.prototype={get peek(){return this.tokens[0]},get advance(){return this.current=this.tokens.shift()},get outdent(){switch(this.peek.type){case"eof":return;case"outdent":return this.advance;default:throw new c("expected outdent, got "+this.peek.type)}},get text(){var e=this.advance.val.trim();e=e.replace(/#\{(.*)\}/,'" + $1 + "'),this.buffer(e)},get block(){for(this.advance;this.peek.type!=="outdent"&&this.peek.type!=="eof";)this.expr;this.outdent},get textBlock(){var e,t=1;for(this.advance;this.peek.type!=="eof"&&t;)switch((e=this.advance).type){case"newline":this.buffer("\\n"+Array(t).join("  "));break;case"indent":++t,this.buffer("\\n"+Array(t).join("  "));break;case"outdent":--t,t===1&&this.buffer("\\n");break;default:this.buffer(e.match.replace(/"/g,'\\"'))}},get attrs(){for(var e=["attrs","class","id"],t=[];e.indexOf(this.peek.type)!==-1;)switch(this.peek.type){case"id":t.push('{ id: "'+this.advance.val+'" }');break;case"class":t.push('{ class: "'+this.advance.val+'" }');break;case"attrs":t.push("{ "+this.advance.val.replace(/(for) *:/gi,'"$1":')+" }")}return t.length?' " + attrs(['+t.join(", ")+']) + "':""},get tag(){var e=this.advance.val,t=!this.xml&&a.selfClosing.indexOf(e)!==-1;switch(this.buffer("\\n<"+e+this.attrs+(t?"/>":">")),this.peek.type){case"text":this.text;break;case"conditionalComment":this.conditionalComment;break;case"comment":this.comment;break;case"outputCode":this.outputCode;break;case"escapeCode":this.escapeCode;break;case"indent":this.block}t||this.buffer("</"+e+">")},get outputCode(){this.buffer(this.advance.val,!1)},get escapeCode(){this.buffer("escape("+this.advance.val+")",!1)},get doctype(){var e=this.advance.val.trim().toLowerCase()||"default";if(e in a.doctypes)this.buffer(a.doctypes[e].replace(/"/g,'\\"'));else throw new c("doctype `"+e+"' does not exist")},get conditionalComment(){var e=this.advance.val;this.buffer("<!--"+e+">"),this.peek.type==="indent"?this.block:this.expr,this.buffer("<![endif]-->")},get comment(){this.advance,this.buffer("<!-- ");var e=this.peek.type==="indent"?this.block:this.expr;this.buffer(" -->")},get code(){var e=this.advance.val;if(this.peek.type==="indent"){this.buf.push(e),this.buf.push("{"),this.block,this.buf.push("}");return}this.buf.push(e)},get filter(){var e=this.advance.val;if(!(e in a.filters))throw new c("filter `"+e+"' does not exist");if(this.peek.type!=="indent")throw new c("filter `"+e+"' expects a text block");this.buf.push("HAML.filters."+e+"("),this.buf.push("(function(){"),this.buf.push("var buf = []"),this.textBlock,this.buf.push('return buf.join("")'),this.buf.push("}).call(this)"),this.buf.push(", buf)")},get iterate(){var e=this.advance,t=e.val[1],s=e.val[2],i=e.val[0];if(this.peek.type!=="indent")throw new c("'- each' expects a block, but got "+this.peek.type);this.buf.push("for (var "+(t||"index")+" in "+s+") {"),this.buf.push("var "+i+" = "+s+"["+(t||"index")+"];"),this.block,this.buf.push("}")},get expr(){switch(this.peek.type){case"id":case"class":return this.tokens.unshift({type:"tag",val:"div"}),this.tag;case"tag":return this.tag;case"text":for(var e=[];this.peek.type==="text";)e.push(this.advance.val.trim()),this.peek.type==="newline"&&this.advance;return this.buffer(e.join(" "));case"each":return this.iterate;case"code":return this.code;case"escape":return this.buffer(this.advance.val);case"doctype":return this.doctype;case"filter":return this.filter;case"conditionalComment":return this.conditionalComment;case"comment":return this.comment;case"escapeCode":return this.escapeCode;case"outputCode":return this.outputCode;case"newline":case"indent":case"outdent":return this.advance,this.expr;default:throw new c("unexpected "+this.peek.type)}},get js(){for(this.buf=["with (locals || {}) {","  var buf = [];"];this.peek.type!=="eof";)this.expr;return this.buf.push('  return buf.join("")'),this.buf.push("}"),this.buf.join(`
+`)},buffer:o(function(e,s){if(typeof s>"u")var s=!0;s?this.buf.push('  buf.push("'+e+'")'):this.buf.push("  buf.push("+e+")")},"buffer")};function m(e){return String(e).replace(/&/g,"&amp;").replace(/>/g,"&gt;").replace(/</g,"&lt;").replace(/"/g,"&quot;")}o(m,"escape");function w(e){for(var t={},s=[],i=[],n=0,r=e.length;n<r;n++)for(var h in e[n])h==="class"?s.push(e[n][h]):t[h]=e[n][h];s.length&&(t.class=s.join(" "));for(var l in t)typeof t[l]=="boolean"?t[l]===!0&&i.push(l+'="'+l+'"'):t[l]&&i.push(l+'="'+m(t[l])+'"');return i.join(" ")}o(w,"attrs");a.compile=function(e,t){var s=new d(e,t),i=new Function("locals, attrs, escape, HAML",s.js);return function(n){return i.apply(this,[n,w,m,a])}};a.render=function(e,i){var s,i=i||{};if(i.cache&&!i.filename)throw new Error("filename option must be passed when cache is enabled");return function(){try{var n;return i.cache&&a.cache[i.filename]?n=a.cache[i.filename]:(s=new d(e,i),n=Function("locals, attrs, escape, HAML",s.js)),(i.cache?a.cache[i.filename]=n:n).call(i.context,i.locals,w,m,a)}catch(r){throw s&&r instanceof c?r.message="(Haml):"+s.peek.line+" "+r.message:r instanceof c||(r.message="(Haml): "+r.message),i.filename&&(r.message=r.message.replace("Haml",i.filename)),r}}.call(i.context)};a.renderFile=function(e,t,s,i){var n=b();s=s||{},s.filename=s.filename||e,s.cache=s.hasOwnProperty("cache")?s.cache:!0,a.cache[e]?process.nextTick(function(){i(null,a.render(null,s))}):n.readFile(e,t,function(r,h){r?i(r):i(null,a.render(h,s))})};x.exports=a});var L=p((M,C)=>{C.exports=k()});return L();})();
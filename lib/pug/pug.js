@@ -0,0 +1,106 @@
+/*! pug v3.0.3 | MIT License | https://github.com/pugjs/pug
+ * browser build: pug bundled with esbuild, fs and package resolving shimmed
+ * (no includes, extends or filters). usage: pug(code, options) -> html
+ */
+var pug=(()=>{var dm=Object.defineProperty;var n=(t,e)=>dm(t,"name",{value:e,configurable:!0}),pn=(t=>typeof require<"u"?require:typeof Proxy<"u"?new Proxy(t,{get:(e,r)=>(typeof require<"u"?require:e)[r]}):t)(function(t){if(typeof require<"u")return require.apply(this,arguments);throw Error('Dynamic require of "'+t+'" is not supported')});var ym=(t,e)=>()=>(t&&(e=t(t=0)),e);var D=(t,e)=>()=>(e||t((e={exports:{}}).exports,e),e.exports);var O,T=ym(()=>{O={env:{},platform:"browser",cwd:n(()=>"/","cwd"),argv:[],version:"",versions:{},nextTick:n((t,...e)=>Promise.resolve().then(()=>t(...e)),"nextTick")}});var Er=D(($B,Iu)=>{T();Iu.exports={}});var ts=D((HB,Cu)=>{"use strict";T();function ut(t){if(typeof t!="string")throw new TypeError("Path must be a string. Received "+JSON.stringify(t))}n(ut,"assertPath");function wu(t,e){for(var r="",i=0,s=-1,a=0,l,u=0;u<=t.length;++u){if(u<t.length)l=t.charCodeAt(u);else{if(l===47)break;l=47}if(l===47){if(!(s===u-1||a===1))if(s!==u-1&&a===2){if(r.length<2||i!==2||r.charCodeAt(r.length-1)!==46||r.charCodeAt(r.length-2)!==46){if(r.length>2){var p=r.lastIndexOf("/");if(p!==r.length-1){p===-1?(r="",i=0):(r=r.slice(0,p),i=r.length-1-r.lastIndexOf("/")),s=u,a=0;continue}}else if(r.length===2||r.length===1){r="",i=0,s=u,a=0;continue}}e&&(r.length>0?r+="/..":r="..",i=2)}else r.length>0?r+="/"+t.slice(s+1,u):r=t.slice(s+1,u),i=u-s-1;s=u,a=0}else l===46&&a!==-1?++a:a=-1}return r}n(wu,"normalizeStringPosix");function mm(t,e){var r=e.dir||e.root,i=e.base||(e.name||"")+(e.ext||"");return r?r===e.root?r+i:r+t+i:i}n(mm,"_format");var gr={resolve:n(function(){for(var e="",r=!1,i,s=arguments.length-1;s>=-1&&!r;s--){var a;s>=0?a=arguments[s]:(i===void 0&&(i=O.cwd()),a=i),ut(a),a.length!==0&&(e=a+"/"+e,r=a.charCodeAt(0)===47)}return e=wu(e,!r),r?e.length>0?"/"+e:"/":e.length>0?e:"."},"resolve"),normalize:n(function(e){if(ut(e),e.length===0)return".";var r=e.charCodeAt(0)===47,i=e.charCodeAt(e.length-1)===47;return e=wu(e,!r),e.length===0&&!r&&(e="."),e.length>0&&i&&(e+="/"),r?"/"+e:e},"normalize"),isAbsolute:n(function(e){return ut(e),e.length>0&&e.charCodeAt(0)===47},"isAbsolute"),join:n(function(){if(arguments.length===0)return".";for(var e,r=0;r<arguments.length;++r){var i=arguments[r];ut(i),i.length>0&&(e===void 0?e=i:e+="/"+i)}return e===void 0?".":gr.normalize(e)},"join"),relative:n(function(e,r){if(ut(e),ut(r),e===r||(e=gr.resolve(e),r=gr.resolve(r),e===r))return"";for(var i=1;i<e.length&&e.charCodeAt(i)===47;++i);for(var s=e.length,a=s-i,l=1;l<r.length&&r.charCodeAt(l)===47;++l);for(var u=r.length,p=u-l,h=a<p?a:p,m=-1,I=0;I<=h;++I){if(I===h){if(p>h){if(r.charCodeAt(l+I)===47)return r.slice(l+I+1);if(I===0)return r.slice(l+I)}else a>h&&(e.charCodeAt(i+I)===47?m=I:I===0&&(m=0));break}var _=e.charCodeAt(i+I),F=r.charCodeAt(l+I);if(_!==F)break;_===47&&(m=I)}var B="";for(I=i+m+1;I<=s;++I)(I===s||e.charCodeAt(I)===47)&&(B.length===0?B+="..":B+="/..");return B.length>0?B+r.slice(l+m):(l+=m,r.charCodeAt(l)===47&&++l,r.slice(l))},"relative"),_makeLong:n(function(e){return e},"_makeLong"),dirname:n(function(e){if(ut(e),e.length===0)return".";for(var r=e.charCodeAt(0),i=r===47,s=-1,a=!0,l=e.length-1;l>=1;--l)if(r=e.charCodeAt(l),r===47){if(!a){s=l;break}}else a=!1;return s===-1?i?"/":".":i&&s===1?"//":e.slice(0,s)},"dirname"),basename:n(function(e,r){if(r!==void 0&&typeof r!="string")throw new TypeError('"ext" argument must be a string');ut(e);var i=0,s=-1,a=!0,l;if(r!==void 0&&r.length>0&&r.length<=e.length){if(r.length===e.length&&r===e)return"";var u=r.length-1,p=-1;for(l=e.length-1;l>=0;--l){var h=e.charCodeAt(l);if(h===47){if(!a){i=l+1;break}}else p===-1&&(a=!1,p=l+1),u>=0&&(h===r.charCodeAt(u)?--u===-1&&(s=l):(u=-1,s=p))}return i===s?s=p:s===-1&&(s=e.length),e.slice(i,s)}else{for(l=e.length-1;l>=0;--l)if(e.charCodeAt(l)===47){if(!a){i=l+1;break}}else s===-1&&(a=!1,s=l+1);return s===-1?"":e.slice(i,s)}},"basename"),extname:n(function(e){ut(e);for(var r=-1,i=0,s=-1,a=!0,l=0,u=e.length-1;u>=0;--u){var p=e.charCodeAt(u);if(p===47){if(!a){i=u+1;break}continue}s===-1&&(a=!1,s=u+1),p===46?r===-1?r=u:l!==1&&(l=1):r!==-1&&(l=-1)}return r===-1||s===-1||l===0||l===1&&r===s-1&&r===i+1?"":e.slice(r,s)},"extname"),format:n(function(e){if(e===null||typeof e!="object")throw new TypeError('The "pathObject" argument must be of type Object. Received type '+typeof e);return mm("/",e)},"format"),parse:n(function(e){ut(e);var r={root:"",dir:"",base:"",ext:"",name:""};if(e.length===0)return r;var i=e.charCodeAt(0),s=i===47,a;s?(r.root="/",a=1):a=0;for(var l=-1,u=0,p=-1,h=!0,m=e.length-1,I=0;m>=a;--m){if(i=e.charCodeAt(m),i===47){if(!h){u=m+1;break}continue}p===-1&&(h=!1,p=m+1),i===46?l===-1?l=m:I!==1&&(I=1):l!==-1&&(I=-1)}return l===-1||p===-1||I===0||I===1&&l===p-1&&l===u+1?p!==-1&&(u===0&&s?r.base=r.name=e.slice(1,p):r.base=r.name=e.slice(u,p)):(u===0&&s?(r.name=e.slice(1,l),r.base=e.slice(1,p)):(r.name=e.slice(u,l),r.base=e.slice(u,p)),r.ext=e.slice(l,p)),u>0?r.dir=e.slice(0,u-1):s&&(r.dir="/"),r},"parse"),sep:"/",delimiter:":",win32:null,posix:null};gr.posix=gr;Cu.exports=gr});var Pr=D((ZB,Nu)=>{T();function zt(t,e){if(!t)throw new Error(e||"Assertion failed")}n(zt,"assert");zt.ok=zt;zt.equal=(t,e,r)=>zt(t==e,r);zt.strictEqual=(t,e,r)=>zt(t===e,r);Nu.exports=zt});var ku=D((rs,Ou)=>{T();(function(t,e){typeof rs=="object"&&typeof Ou<"u"?e(rs):typeof define=="function"&&define.amd?define(["exports"],e):(t=t||self,e(t.acorn={}))})(rs,function(t){"use strict";var e={3:"abstract boolean byte char class double enum export extends final float goto implements import int interface long native package private protected public short static super synchronized throws transient volatile",5:"class enum extends super const export import",6:"enum",strict:"implements interface let package private protected public static yield",strictBind:"eval arguments"},r="break case catch continue debugger default do else finally for function if return switch throw try var while with null true false instanceof typeof void delete new in this",i={5:r,"5module":r+" export import",6:r+" const class extends export import super"},s=/^in(stanceof)?$/,a="\xAA\xB5\xBA\xC0-\xD6\xD8-\xF6\xF8-\u02C1\u02C6-\u02D1\u02E0-\u02E4\u02EC\u02EE\u0370-\u0374\u0376\u0377\u037A-\u037D\u037F\u0386\u0388-\u038A\u038C\u038E-\u03A1\u03A3-\u03F5\u03F7-\u0481\u048A-\u052F\u0531-\u0556\u0559\u0560-\u0588\u05D0-\u05EA\u05EF-\u05F2\u0620-\u064A\u066E\u066F\u0671-\u06D3\u06D5\u06E5\u06E6\u06EE\u06EF\u06FA-\u06FC\u06FF\u0710\u0712-\u072F\u074D-\u07A5\u07B1\u07CA-\u07EA\u07F4\u07F5\u07FA\u0800-\u0815\u081A\u0824\u0828\u0840-\u0858\u0860-\u086A\u08A0-\u08B4\u08B6-\u08C7\u0904-\u0939\u093D\u0950\u0958-\u0961\u0971-\u0980\u0985-\u098C\u098F\u0990\u0993-\u09A8\u09AA-\u09B0\u09B2\u09B6-\u09B9\u09BD\u09CE\u09DC\u09DD\u09DF-\u09E1\u09F0\u09F1\u09FC\u0A05-\u0A0A\u0A0F\u0A10\u0A13-\u0A28\u0A2A-\u0A30\u0A32\u0A33\u0A35\u0A36\u0A38\u0A39\u0A59-\u0A5C\u0A5E\u0A72-\u0A74\u0A85-\u0A8D\u0A8F-\u0A91\u0A93-\u0AA8\u0AAA-\u0AB0\u0AB2\u0AB3\u0AB5-\u0AB9\u0ABD\u0AD0\u0AE0\u0AE1\u0AF9\u0B05-\u0B0C\u0B0F\u0B10\u0B13-\u0B28\u0B2A-\u0B30\u0B32\u0B33\u0B35-\u0B39\u0B3D\u0B5C\u0B5D\u0B5F-\u0B61\u0B71\u0B83\u0B85-\u0B8A\u0B8E-\u0B90\u0B92-\u0B95\u0B99\u0B9A\u0B9C\u0B9E\u0B9F\u0BA3\u0BA4\u0BA8-\u0BAA\u0BAE-\u0BB9\u0BD0\u0C05-\u0C0C\u0C0E-\u0C10\u0C12-\u0C28\u0C2A-\u0C39\u0C3D\u0C58-\u0C5A\u0C60\u0C61\u0C80\u0C85-\u0C8C\u0C8E-\u0C90\u0C92-\u0CA8\u0CAA-\u0CB3\u0CB5-\u0CB9\u0CBD\u0CDE\u0CE0\u0CE1\u0CF1\u0CF2\u0D04-\u0D0C\u0D0E-\u0D10\u0D12-\u0D3A\u0D3D\u0D4E\u0D54-\u0D56\u0D5F-\u0D61\u0D7A-\u0D7F\u0D85-\u0D96\u0D9A-\u0DB1\u0DB3-\u0DBB\u0DBD\u0DC0-\u0DC6\u0E01-\u0E30\u0E32\u0E33\u0E40-\u0E46\u0E81\u0E82\u0E84\u0E86-\u0E8A\u0E8C-\u0EA3\u0EA5\u0EA7-\u0EB0\u0EB2\u0EB3\u0EBD\u0EC0-\u0EC4\u0EC6\u0EDC-\u0EDF\u0F00\u0F40-\u0F47\u0F49-\u0F6C\u0F88-\u0F8C\u1000-\u102A\u103F\u1050-\u1055\u105A-\u105D\u1061\u1065\u1066\u106E-\u1070\u1075-\u1081\u108E\u10A0-\u10C5\u10C7\u10CD\u10D0-\u10FA\u10FC-\u1248\u124A-\u124D\u1250-\u1256\u1258\u125A-\u125D\u1260-\u1288\u128A-\u128D\u1290-\u12B0\u12B2-\u12B5\u12B8-\u12BE\u12C0\u12C2-\u12C5\u12C8-\u12D6\u12D8-\u1310\u1312-\u1315\u1318-\u135A\u1380-\u138F\u13A0-\u13F5\u13F8-\u13FD\u1401-\u166C\u166F-\u167F\u1681-\u169A\u16A0-\u16EA\u16EE-\u16F8\u1700-\u170C\u170E-\u1711\u1720-\u1731\u1740-\u1751\u1760-\u176C\u176E-\u1770\u1780-\u17B3\u17D7\u17DC\u1820-\u1878\u1880-\u18A8\u18AA\u18B0-\u18F5\u1900-\u191E\u1950-\u196D\u1970-\u1974\u1980-\u19AB\u19B0-\u19C9\u1A00-\u1A16\u1A20-\u1A54\u1AA7\u1B05-\u1B33\u1B45-\u1B4B\u1B83-\u1BA0\u1BAE\u1BAF\u1BBA-\u1BE5\u1C00-\u1C23\u1C4D-\u1C4F\u1C5A-\u1C7D\u1C80-\u1C88\u1C90-\u1CBA\u1CBD-\u1CBF\u1CE9-\u1CEC\u1CEE-\u1CF3\u1CF5\u1CF6\u1CFA\u1D00-\u1DBF\u1E00-\u1F15\u1F18-\u1F1D\u1F20-\u1F45\u1F48-\u1F4D\u1F50-\u1F57\u1F59\u1F5B\u1F5D\u1F5F-\u1F7D\u1F80-\u1FB4\u1FB6-\u1FBC\u1FBE\u1FC2-\u1FC4\u1FC6-\u1FCC\u1FD0-\u1FD3\u1FD6-\u1FDB\u1FE0-\u1FEC\u1FF2-\u1FF4\u1FF6-\u1FFC\u2071\u207F\u2090-\u209C\u2102\u2107\u210A-\u2113\u2115\u2118-\u211D\u2124\u2126\u2128\u212A-\u2139\u213C-\u213F\u2145-\u2149\u214E\u2160-\u2188\u2C00-\u2C2E\u2C30-\u2C5E\u2C60-\u2CE4\u2CEB-\u2CEE\u2CF2\u2CF3\u2D00-\u2D25\u2D27\u2D2D\u2D30-\u2D67\u2D6F\u2D80-\u2D96\u2DA0-\u2DA6\u2DA8-\u2DAE\u2DB0-\u2DB6\u2DB8-\u2DBE\u2DC0-\u2DC6\u2DC8-\u2DCE\u2DD0-\u2DD6\u2DD8-\u2DDE\u3005-\u3007\u3021-\u3029\u3031-\u3035\u3038-\u303C\u3041-\u3096\u309B-\u309F\u30A1-\u30FA\u30FC-\u30FF\u3105-\u312F\u3131-\u318E\u31A0-\u31BF\u31F0-\u31FF\u3400-\u4DBF\u4E00-\u9FFC\uA000-\uA48C\uA4D0-\uA4FD\uA500-\uA60C\uA610-\uA61F\uA62A\uA62B\uA640-\uA66E\uA67F-\uA69D\uA6A0-\uA6EF\uA717-\uA71F\uA722-\uA788\uA78B-\uA7BF\uA7C2-\uA7CA\uA7F5-\uA801\uA803-\uA805\uA807-\uA80A\uA80C-\uA822\uA840-\uA873\uA882-\uA8B3\uA8F2-\uA8F7\uA8FB\uA8FD\uA8FE\uA90A-\uA925\uA930-\uA946\uA960-\uA97C\uA984-\uA9B2\uA9CF\uA9E0-\uA9E4\uA9E6-\uA9EF\uA9FA-\uA9FE\uAA00-\uAA28\uAA40-\uAA42\uAA44-\uAA4B\uAA60-\uAA76\uAA7A\uAA7E-\uAAAF\uAAB1\uAAB5\uAAB6\uAAB9-\uAABD\uAAC0\uAAC2\uAADB-\uAADD\uAAE0-\uAAEA\uAAF2-\uAAF4\uAB01-\uAB06\uAB09-\uAB0E\uAB11-\uAB16\uAB20-\uAB26\uAB28-\uAB2E\uAB30-\uAB5A\uAB5C-\uAB69\uAB70-\uABE2\uAC00-\uD7A3\uD7B0-\uD7C6\uD7CB-\uD7FB\uF900-\uFA6D\uFA70-\uFAD9\uFB00-\uFB06\uFB13-\uFB17\uFB1D\uFB1F-\uFB28\uFB2A-\uFB36\uFB38-\uFB3C\uFB3E\uFB40\uFB41\uFB43\uFB44\uFB46-\uFBB1\uFBD3-\uFD3D\uFD50-\uFD8F\uFD92-\uFDC7\uFDF0-\uFDFB\uFE70-\uFE74\uFE76-\uFEFC\uFF21-\uFF3A\uFF41-\uFF5A\uFF66-\uFFBE\uFFC2-\uFFC7\uFFCA-\uFFCF\uFFD2-\uFFD7\uFFDA-\uFFDC",l="\u200C\u200D\xB7\u0300-\u036F\u0387\u0483-\u0487\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7\u0610-\u061A\u064B-\u0669\u0670\u06D6-\u06DC\u06DF-\u06E4\u06E7\u06E8\u06EA-\u06ED\u06F0-\u06F9\u0711\u0730-\u074A\u07A6-\u07B0\u07C0-\u07C9\u07EB-\u07F3\u07FD\u0816-\u0819\u081B-\u0823\u0825-\u0827\u0829-\u082D\u0859-\u085B\u08D3-\u08E1\u08E3-\u0903\u093A-\u093C\u093E-\u094F\u0951-\u0957\u0962\u0963\u0966-\u096F\u0981-\u0983\u09BC\u09BE-\u09C4\u09C7\u09C8\u09CB-\u09CD\u09D7\u09E2\u09E3\u09E6-\u09EF\u09FE\u0A01-\u0A03\u0A3C\u0A3E-\u0A42\u0A47\u0A48\u0A4B-\u0A4D\u0A51\u0A66-\u0A71\u0A75\u0A81-\u0A83\u0ABC\u0ABE-\u0AC5\u0AC7-\u0AC9\u0ACB-\u0ACD\u0AE2\u0AE3\u0AE6-\u0AEF\u0AFA-\u0AFF\u0B01-\u0B03\u0B3C\u0B3E-\u0B44\u0B47\u0B48\u0B4B-\u0B4D\u0B55-\u0B57\u0B62\u0B63\u0B66-\u0B6F\u0B82\u0BBE-\u0BC2\u0BC6-\u0BC8\u0BCA-\u0BCD\u0BD7\u0BE6-\u0BEF\u0C00-\u0C04\u0C3E-\u0C44\u0C46-\u0C48\u0C4A-\u0C4D\u0C55\u0C56\u0C62\u0C63\u0C66-\u0C6F\u0C81-\u0C83\u0CBC\u0CBE-\u0CC4\u0CC6-\u0CC8\u0CCA-\u0CCD\u0CD5\u0CD6\u0CE2\u0CE3\u0CE6-\u0CEF\u0D00-\u0D03\u0D3B\u0D3C\u0D3E-\u0D44\u0D46-\u0D48\u0D4A-\u0D4D\u0D57\u0D62\u0D63\u0D66-\u0D6F\u0D81-\u0D83\u0DCA\u0DCF-\u0DD4\u0DD6\u0DD8-\u0DDF\u0DE6-\u0DEF\u0DF2\u0DF3\u0E31\u0E34-\u0E3A\u0E47-\u0E4E\u0E50-\u0E59\u0EB1\u0EB4-\u0EBC\u0EC8-\u0ECD\u0ED0-\u0ED9\u0F18\u0F19\u0F20-\u0F29\u0F35\u0F37\u0F39\u0F3E\u0F3F\u0F71-\u0F84\u0F86\u0F87\u0F8D-\u0F97\u0F99-\u0FBC\u0FC6\u102B-\u103E\u1040-\u1049\u1056-\u1059\u105E-\u1060\u1062-\u1064\u1067-\u106D\u1071-\u1074\u1082-\u108D\u108F-\u109D\u135D-\u135F\u1369-\u1371\u1712-\u1714\u1732-\u1734\u1752\u1753\u1772\u1773\u17B4-\u17D3\u17DD\u17E0-\u17E9\u180B-\u180D\u1810-\u1819\u18A9\u1920-\u192B\u1930-\u193B\u1946-\u194F\u19D0-\u19DA\u1A17-\u1A1B\u1A55-\u1A5E\u1A60-\u1A7C\u1A7F-\u1A89\u1A90-\u1A99\u1AB0-\u1ABD\u1ABF\u1AC0\u1B00-\u1B04\u1B34-\u1B44\u1B50-\u1B59\u1B6B-\u1B73\u1B80-\u1B82\u1BA1-\u1BAD\u1BB0-\u1BB9\u1BE6-\u1BF3\u1C24-\u1C37\u1C40-\u1C49\u1C50-\u1C59\u1CD0-\u1CD2\u1CD4-\u1CE8\u1CED\u1CF4\u1CF7-\u1CF9\u1DC0-\u1DF9\u1DFB-\u1DFF\u203F\u2040\u2054\u20D0-\u20DC\u20E1\u20E5-\u20F0\u2CEF-\u2CF1\u2D7F\u2DE0-\u2DFF\u302A-\u302F\u3099\u309A\uA620-\uA629\uA66F\uA674-\uA67D\uA69E\uA69F\uA6F0\uA6F1\uA802\uA806\uA80B\uA823-\uA827\uA82C\uA880\uA881\uA8B4-\uA8C5\uA8D0-\uA8D9\uA8E0-\uA8F1\uA8FF-\uA909\uA926-\uA92D\uA947-\uA953\uA980-\uA983\uA9B3-\uA9C0\uA9D0-\uA9D9\uA9E5\uA9F0-\uA9F9\uAA29-\uAA36\uAA43\uAA4C\uAA4D\uAA50-\uAA59\uAA7B-\uAA7D\uAAB0\uAAB2-\uAAB4\uAAB7\uAAB8\uAABE\uAABF\uAAC1\uAAEB-\uAAEF\uAAF5\uAAF6\uABE3-\uABEA\uABEC\uABED\uABF0-\uABF9\uFB1E\uFE00-\uFE0F\uFE20-\uFE2F\uFE33\uFE34\uFE4D-\uFE4F\uFF10-\uFF19\uFF3F",u=new RegExp("["+a+"]"),p=new RegExp("["+a+l+"]");a=l=null;var h=[0,11,2,25,2,18,2,1,2,14,3,13,35,122,70,52,268,28,4,48,48,31,14,29,6,37,11,29,3,35,5,7,2,4,43,157,19,35,5,35,5,39,9,51,157,310,10,21,11,7,153,5,3,0,2,43,2,1,4,0,3,22,11,22,10,30,66,18,2,1,11,21,11,25,71,55,7,1,65,0,16,3,2,2,2,28,43,28,4,28,36,7,2,27,28,53,11,21,11,18,14,17,111,72,56,50,14,50,14,35,349,41,7,1,79,28,11,0,9,21,107,20,28,22,13,52,76,44,33,24,27,35,30,0,3,0,9,34,4,0,13,47,15,3,22,0,2,0,36,17,2,24,85,6,2,0,2,3,2,14,2,9,8,46,39,7,3,1,3,21,2,6,2,1,2,4,4,0,19,0,13,4,159,52,19,3,21,2,31,47,21,1,2,0,185,46,42,3,37,47,21,0,60,42,14,0,72,26,230,43,117,63,32,7,3,0,3,7,2,1,2,23,16,0,2,0,95,7,3,38,17,0,2,0,29,0,11,39,8,0,22,0,12,45,20,0,35,56,264,8,2,36,18,0,50,29,113,6,2,1,2,37,22,0,26,5,2,1,2,31,15,0,328,18,190,0,80,921,103,110,18,195,2749,1070,4050,582,8634,568,8,30,114,29,19,47,17,3,32,20,6,18,689,63,129,74,6,0,67,12,65,1,2,0,29,6135,9,1237,43,8,8952,286,50,2,18,3,9,395,2309,106,6,12,4,8,8,9,5991,84,2,70,2,1,3,0,3,1,3,3,2,11,2,0,2,6,2,64,2,3,3,7,2,6,2,27,2,3,2,4,2,0,4,6,2,339,3,24,2,24,2,30,2,24,2,30,2,24,2,30,2,24,2,30,2,24,2,7,2357,44,11,6,17,0,370,43,1301,196,60,67,8,0,1205,3,2,26,2,1,2,0,3,0,2,9,2,3,2,0,2,0,7,0,5,0,2,0,2,0,2,2,2,1,2,0,3,0,2,0,2,0,2,0,2,0,2,1,2,0,3,3,2,6,2,3,2,3,2,0,2,9,2,16,6,2,2,4,2,16,4421,42717,35,4148,12,221,3,5761,15,7472,3104,541,1507,4938],m=[509,0,227,0,150,4,294,9,1368,2,2,1,6,3,41,2,5,0,166,1,574,3,9,9,370,1,154,10,176,2,54,14,32,9,16,3,46,10,54,9,7,2,37,13,2,9,6,1,45,0,13,2,49,13,9,3,2,11,83,11,7,0,161,11,6,9,7,3,56,1,2,6,3,1,3,2,10,0,11,1,3,6,4,4,193,17,10,9,5,0,82,19,13,9,214,6,3,8,28,1,83,16,16,9,82,12,9,9,84,14,5,9,243,14,166,9,71,5,2,1,3,3,2,0,2,1,13,9,120,6,3,6,4,0,29,9,41,6,2,3,9,0,10,10,47,15,406,7,2,7,17,9,57,21,2,13,123,5,4,0,2,1,2,6,2,0,9,9,49,4,2,1,2,4,9,9,330,3,19306,9,135,4,60,6,26,9,1014,0,2,54,8,3,82,0,12,1,19628,1,5319,4,4,5,9,7,3,6,31,3,149,2,1418,49,513,54,5,49,9,0,15,0,23,4,2,14,1361,6,2,16,3,6,2,1,2,4,262,6,10,9,419,13,1495,6,110,6,6,9,4759,9,787719,239];function I(o,c){for(var y=65536,b=0;b<c.length;b+=2){if(y+=c[b],y>o)return!1;if(y+=c[b+1],y>=o)return!0}}n(I,"isInAstralSet");function _(o,c){return o<65?o===36:o<91?!0:o<97?o===95:o<123?!0:o<=65535?o>=170&&u.test(String.fromCharCode(o)):c===!1?!1:I(o,h)}n(_,"isIdentifierStart");function F(o,c){return o<48?o===36:o<58?!0:o<65?!1:o<91?!0:o<97?o===95:o<123?!0:o<=65535?o>=170&&p.test(String.fromCharCode(o)):c===!1?!1:I(o,h)||I(o,m)}n(F,"isIdentifierChar");var B=n(function(c,y){y===void 0&&(y={}),this.label=c,this.keyword=y.keyword,this.beforeExpr=!!y.beforeExpr,this.startsExpr=!!y.startsExpr,this.isLoop=!!y.isLoop,this.isAssign=!!y.isAssign,this.prefix=!!y.prefix,this.postfix=!!y.postfix,this.binop=y.binop||null,this.updateContext=null},"TokenType");function U(o,c){return new B(o,{beforeExpr:!0,binop:c})}n(U,"binop");var te={beforeExpr:!0},Y={startsExpr:!0},Q={};function z(o,c){return c===void 0&&(c={}),c.keyword=o,Q[o]=new B(o,c)}n(z,"kw");var S={num:new B("num",Y),regexp:new B("regexp",Y),string:new B("string",Y),name:new B("name",Y),eof:new B("eof"),bracketL:new B("[",{beforeExpr:!0,startsExpr:!0}),bracketR:new B("]"),braceL:new B("{",{beforeExpr:!0,startsExpr:!0}),braceR:new B("}"),parenL:new B("(",{beforeExpr:!0,startsExpr:!0}),parenR:new B(")"),comma:new B(",",te),semi:new B(";",te),colon:new B(":",te),dot:new B("."),question:new B("?",te),questionDot:new B("?."),arrow:new B("=>",te),template:new B("template"),invalidTemplate:new B("invalidTemplate"),ellipsis:new B("...",te),backQuote:new B("`",Y),dollarBraceL:new B("${",{beforeExpr:!0,startsExpr:!0}),eq:new B("=",{beforeExpr:!0,isAssign:!0}),assign:new B("_=",{beforeExpr:!0,isAssign:!0}),incDec:new B("++/--",{prefix:!0,postfix:!0,startsExpr:!0}),prefix:new B("!/~",{beforeExpr:!0,prefix:!0,startsExpr:!0}),logicalOR:U("||",1),logicalAND:U("&&",2),bitwiseOR:U("|",3),bitwiseXOR:U("^",4),bitwiseAND:U("&",5),equality:U("==/!=/===/!==",6),relational:U("</>/<=/>=",7),bitShift:U("<</>>/>>>",8),plusMin:new B("+/-",{beforeExpr:!0,binop:9,prefix:!0,startsExpr:!0}),modulo:U("%",10),star:U("*",10),slash:U("/",10),starstar:new B("**",{beforeExpr:!0}),coalesce:U("??",1),_break:z("break"),_case:z("case",te),_catch:z("catch"),_continue:z("continue"),_debugger:z("debugger"),_default:z("default",te),_do:z("do",{isLoop:!0,beforeExpr:!0}),_else:z("else",te),_finally:z("finally"),_for:z("for",{isLoop:!0}),_function:z("function",Y),_if:z("if"),_return:z("return",te),_switch:z("switch"),_throw:z("throw",te),_try:z("try"),_var:z("var"),_const:z("const"),_while:z("while",{isLoop:!0}),_with:z("with"),_new:z("new",{beforeExpr:!0,startsExpr:!0}),_this:z("this",Y),_super:z("super",Y),_class:z("class",Y),_extends:z("extends",te),_export:z("export"),_import:z("import",Y),_null:z("null",Y),_true:z("true",Y),_false:z("false",Y),_in:z("in",{beforeExpr:!0,binop:7}),_instanceof:z("instanceof",{beforeExpr:!0,binop:7}),_typeof:z("typeof",{beforeExpr:!0,prefix:!0,startsExpr:!0}),_void:z("void",{beforeExpr:!0,prefix:!0,startsExpr:!0}),_delete:z("delete",{beforeExpr:!0,prefix:!0,startsExpr:!0})},we=/\r\n?|\n|\u2028|\u2029/,Ie=new RegExp(we.source,"g");function Je(o,c){return o===10||o===13||!c&&(o===8232||o===8233)}n(Je,"isNewLine");var Ot=/[\u1680\u2000-\u200a\u202f\u205f\u3000\ufeff]/,Fe=/(?:\s|\/\/.*|\/\*[^]*?\*\/)*/g,Zr=Object.prototype,qi=Zr.hasOwnProperty,Ki=Zr.toString;function Xt(o,c){return qi.call(o,c)}n(Xt,"has");var ei=Array.isArray||function(o){return Ki.call(o)==="[object Array]"};function lt(o){return new RegExp("^(?:"+o.replace(/ /g,"|")+")$")}n(lt,"wordsRegexp");var Et=n(function(c,y){this.line=c,this.column=y},"Position");Et.prototype.offset=n(function(c){return new Et(this.line,this.column+c)},"offset");var kt=n(function(c,y,b){this.start=y,this.end=b,c.sourceFile!==null&&(this.source=c.sourceFile)},"SourceLocation");function dr(o,c){for(var y=1,b=0;;){Ie.lastIndex=b;var C=Ie.exec(o);if(C&&C.index<c)++y,b=C.index+C[0].length;else return new Et(y,c-b)}}n(dr,"getLineInfo");var Jt={ecmaVersion:10,sourceType:"script",onInsertedSemicolon:null,onTrailingComma:null,allowReserved:null,allowReturnOutsideFunction:!1,allowImportExportEverywhere:!1,allowAwaitOutsideFunction:!1,allowHashBang:!1,locations:!1,onToken:null,onComment:null,ranges:!1,program:null,sourceFile:null,directSourceFile:null,preserveParens:!1};function Yi(o){var c={};for(var y in Jt)c[y]=o&&Xt(o,y)?o[y]:Jt[y];if(c.ecmaVersion>=2015&&(c.ecmaVersion-=2009),c.allowReserved==null&&(c.allowReserved=c.ecmaVersion<5),ei(c.onToken)){var b=c.onToken;c.onToken=function(C){return b.push(C)}}return ei(c.onComment)&&(c.onComment=Xi(c,c.onComment)),c}n(Yi,"getOptions");function Xi(o,c){return function(y,b,C,M,R,J){var G={type:y?"Block":"Line",value:b,start:C,end:M};o.locations&&(G.loc=new kt(this,R,J)),o.ranges&&(G.range=[C,M]),c.push(G)}}n(Xi,"pushComment");var _t=1,Dt=2,yr=_t|Dt,ti=4,ri=8,ii=16,si=32,ni=64,ai=128;function mr(o,c){return Dt|(o?ti:0)|(c?ri:0)}n(mr,"functionFlags");var oi=0,Tr=1,He=2,li=3,ou=4,lu=5,ge=n(function(c,y,b){this.options=c=Yi(c),this.sourceFile=c.sourceFile,this.keywords=lt(i[c.ecmaVersion>=6?6:c.sourceType==="module"?"5module":5]);var C="";if(c.allowReserved!==!0){for(var M=c.ecmaVersion;!(C=e[M]);M--);c.sourceType==="module"&&(C+=" await")}this.reservedWords=lt(C);var R=(C?C+" ":"")+e.strict;this.reservedWordsStrict=lt(R),this.reservedWordsStrictBind=lt(R+" "+e.strictBind),this.input=String(y),this.containsEsc=!1,b?(this.pos=b,this.lineStart=this.input.lastIndexOf(`
+`,b-1)+1,this.curLine=this.input.slice(0,this.lineStart).split(we).length):(this.pos=this.lineStart=0,this.curLine=1),this.type=S.eof,this.value=null,this.start=this.end=this.pos,this.startLoc=this.endLoc=this.curPosition(),this.lastTokEndLoc=this.lastTokStartLoc=null,this.lastTokStart=this.lastTokEnd=this.pos,this.context=this.initialContext(),this.exprAllowed=!0,this.inModule=c.sourceType==="module",this.strict=this.inModule||this.strictDirective(this.pos),this.potentialArrowAt=-1,this.yieldPos=this.awaitPos=this.awaitIdentPos=0,this.labels=[],this.undefinedExports={},this.pos===0&&c.allowHashBang&&this.input.slice(0,2)==="#!"&&this.skipLineComment(2),this.scopeStack=[],this.enterScope(_t),this.regexpState=null},"Parser"),Wt={inFunction:{configurable:!0},inGenerator:{configurable:!0},inAsync:{configurable:!0},allowSuper:{configurable:!0},allowDirectSuper:{configurable:!0},treatFunctionsAsVar:{configurable:!0}};ge.prototype.parse=n(function(){var c=this.options.program||this.startNode();return this.nextToken(),this.parseTopLevel(c)},"parse"),Wt.inFunction.get=function(){return(this.currentVarScope().flags&Dt)>0},Wt.inGenerator.get=function(){return(this.currentVarScope().flags&ri)>0},Wt.inAsync.get=function(){return(this.currentVarScope().flags&ti)>0},Wt.allowSuper.get=function(){return(this.currentThisScope().flags&ni)>0},Wt.allowDirectSuper.get=function(){return(this.currentThisScope().flags&ai)>0},Wt.treatFunctionsAsVar.get=function(){return this.treatFunctionsAsVarInScope(this.currentScope())},ge.prototype.inNonArrowFunction=n(function(){return(this.currentThisScope().flags&Dt)>0},"inNonArrowFunction"),ge.extend=n(function(){for(var c=[],y=arguments.length;y--;)c[y]=arguments[y];for(var b=this,C=0;C<c.length;C++)b=c[C](b);return b},"extend"),ge.parse=n(function(c,y){return new this(y,c).parse()},"parse"),ge.parseExpressionAt=n(function(c,y,b){var C=new this(b,c,y);return C.nextToken(),C.parseExpression()},"parseExpressionAt"),ge.tokenizer=n(function(c,y){return new this(y,c)},"tokenizer"),Object.defineProperties(ge.prototype,Wt);var Be=ge.prototype,Hy=/^(?:'((?:\\.|[^'\\])*?)'|"((?:\\.|[^"\\])*?)")/;Be.strictDirective=function(o){for(;;){Fe.lastIndex=o,o+=Fe.exec(this.input)[0].length;var c=Hy.exec(this.input.slice(o));if(!c)return!1;if((c[1]||c[2])==="use strict"){Fe.lastIndex=o+c[0].length;var y=Fe.exec(this.input),b=y.index+y[0].length,C=this.input.charAt(b);return C===";"||C==="}"||we.test(y[0])&&!(/[(`.[+\-/*%<>=,?^&]/.test(C)||C==="!"&&this.input.charAt(b+1)==="=")}o+=c[0].length,Fe.lastIndex=o,o+=Fe.exec(this.input)[0].length,this.input[o]===";"&&o++}},Be.eat=function(o){return this.type===o?(this.next(),!0):!1},Be.isContextual=function(o){return this.type===S.name&&this.value===o&&!this.containsEsc},Be.eatContextual=function(o){return this.isContextual(o)?(this.next(),!0):!1},Be.expectContextual=function(o){this.eatContextual(o)||this.unexpected()},Be.canInsertSemicolon=function(){return this.type===S.eof||this.type===S.braceR||we.test(this.input.slice(this.lastTokEnd,this.start))},Be.insertSemicolon=function(){if(this.canInsertSemicolon())return this.options.onInsertedSemicolon&&this.options.onInsertedSemicolon(this.lastTokEnd,this.lastTokEndLoc),!0},Be.semicolon=function(){!this.eat(S.semi)&&!this.insertSemicolon()&&this.unexpected()},Be.afterTrailingComma=function(o,c){if(this.type===o)return this.options.onTrailingComma&&this.options.onTrailingComma(this.lastTokStart,this.lastTokStartLoc),c||this.next(),!0},Be.expect=function(o){this.eat(o)||this.unexpected()},Be.unexpected=function(o){this.raise(o??this.start,"Unexpected token")};function Ji(){this.shorthandAssign=this.trailingComma=this.parenthesizedAssign=this.parenthesizedBind=this.doubleProto=-1}n(Ji,"DestructuringErrors"),Be.checkPatternErrors=function(o,c){if(o){o.trailingComma>-1&&this.raiseRecoverable(o.trailingComma,"Comma is not permitted after the rest element");var y=c?o.parenthesizedAssign:o.parenthesizedBind;y>-1&&this.raiseRecoverable(y,"Parenthesized pattern")}},Be.checkExpressionErrors=function(o,c){if(!o)return!1;var y=o.shorthandAssign,b=o.doubleProto;if(!c)return y>=0||b>=0;y>=0&&this.raise(y,"Shorthand property assignments are valid only in destructuring patterns"),b>=0&&this.raiseRecoverable(b,"Redefinition of __proto__ property")},Be.checkYieldAwaitInDefaultParams=function(){this.yieldPos&&(!this.awaitPos||this.yieldPos<this.awaitPos)&&this.raise(this.yieldPos,"Yield expression cannot be a default value"),this.awaitPos&&this.raise(this.awaitPos,"Await expression cannot be a default value")},Be.isSimpleAssignTarget=function(o){return o.type==="ParenthesizedExpression"?this.isSimpleAssignTarget(o.expression):o.type==="Identifier"||o.type==="MemberExpression"};var ne=ge.prototype;ne.parseTopLevel=function(o){var c={};for(o.body||(o.body=[]);this.type!==S.eof;){var y=this.parseStatement(null,!0,c);o.body.push(y)}if(this.inModule)for(var b=0,C=Object.keys(this.undefinedExports);b<C.length;b+=1){var M=C[b];this.raiseRecoverable(this.undefinedExports[M].start,"Export '"+M+"' is not defined")}return this.adaptDirectivePrologue(o.body),this.next(),o.sourceType=this.options.sourceType,this.finishNode(o,"Program")};var on={kind:"loop"},Gy={kind:"switch"};ne.isLet=function(o){if(this.options.ecmaVersion<6||!this.isContextual("let"))return!1;Fe.lastIndex=this.pos;var c=Fe.exec(this.input),y=this.pos+c[0].length,b=this.input.charCodeAt(y);if(b===91)return!0;if(o)return!1;if(b===123)return!0;if(_(b,!0)){for(var C=y+1;F(this.input.charCodeAt(C),!0);)++C;var M=this.input.slice(y,C);if(!s.test(M))return!0}return!1},ne.isAsyncFunction=function(){if(this.options.ecmaVersion<8||!this.isContextual("async"))return!1;Fe.lastIndex=this.pos;var o=Fe.exec(this.input),c=this.pos+o[0].length;return!we.test(this.input.slice(this.pos,c))&&this.input.slice(c,c+8)==="function"&&(c+8===this.input.length||!F(this.input.charAt(c+8)))},ne.parseStatement=function(o,c,y){var b=this.type,C=this.startNode(),M;switch(this.isLet(o)&&(b=S._var,M="let"),b){case S._break:case S._continue:return this.parseBreakContinueStatement(C,b.keyword);case S._debugger:return this.parseDebuggerStatement(C);case S._do:return this.parseDoStatement(C);case S._for:return this.parseForStatement(C);case S._function:return o&&(this.strict||o!=="if"&&o!=="label")&&this.options.ecmaVersion>=6&&this.unexpected(),this.parseFunctionStatement(C,!1,!o);case S._class:return o&&this.unexpected(),this.parseClass(C,!0);case S._if:return this.parseIfStatement(C);case S._return:return this.parseReturnStatement(C);case S._switch:return this.parseSwitchStatement(C);case S._throw:return this.parseThrowStatement(C);case S._try:return this.parseTryStatement(C);case S._const:case S._var:return M=M||this.value,o&&M!=="var"&&this.unexpected(),this.parseVarStatement(C,M);case S._while:return this.parseWhileStatement(C);case S._with:return this.parseWithStatement(C);case S.braceL:return this.parseBlock(!0,C);case S.semi:return this.parseEmptyStatement(C);case S._export:case S._import:if(this.options.ecmaVersion>10&&b===S._import){Fe.lastIndex=this.pos;var R=Fe.exec(this.input),J=this.pos+R[0].length,G=this.input.charCodeAt(J);if(G===40||G===46)return this.parseExpressionStatement(C,this.parseExpression())}return this.options.allowImportExportEverywhere||(c||this.raise(this.start,"'import' and 'export' may only appear at the top level"),this.inModule||this.raise(this.start,"'import' and 'export' may appear only with 'sourceType: module'")),b===S._import?this.parseImport(C):this.parseExport(C,y);default:if(this.isAsyncFunction())return o&&this.unexpected(),this.next(),this.parseFunctionStatement(C,!0,!o);var he=this.value,Se=this.parseExpression();return b===S.name&&Se.type==="Identifier"&&this.eat(S.colon)?this.parseLabeledStatement(C,he,Se,o):this.parseExpressionStatement(C,Se)}},ne.parseBreakContinueStatement=function(o,c){var y=c==="break";this.next(),this.eat(S.semi)||this.insertSemicolon()?o.label=null:this.type!==S.name?this.unexpected():(o.label=this.parseIdent(),this.semicolon());for(var b=0;b<this.labels.length;++b){var C=this.labels[b];if((o.label==null||C.name===o.label.name)&&(C.kind!=null&&(y||C.kind==="loop")||o.label&&y))break}return b===this.labels.length&&this.raise(o.start,"Unsyntactic "+c),this.finishNode(o,y?"BreakStatement":"ContinueStatement")},ne.parseDebuggerStatement=function(o){return this.next(),this.semicolon(),this.finishNode(o,"DebuggerStatement")},ne.parseDoStatement=function(o){return this.next(),this.labels.push(on),o.body=this.parseStatement("do"),this.labels.pop(),this.expect(S._while),o.test=this.parseParenExpression(),this.options.ecmaVersion>=6?this.eat(S.semi):this.semicolon(),this.finishNode(o,"DoWhileStatement")},ne.parseForStatement=function(o){this.next();var c=this.options.ecmaVersion>=9&&(this.inAsync||!this.inFunction&&this.options.allowAwaitOutsideFunction)&&this.eatContextual("await")?this.lastTokStart:-1;if(this.labels.push(on),this.enterScope(0),this.expect(S.parenL),this.type===S.semi)return c>-1&&this.unexpected(c),this.parseFor(o,null);var y=this.isLet();if(this.type===S._var||this.type===S._const||y){var b=this.startNode(),C=y?"let":this.value;return this.next(),this.parseVar(b,!0,C),this.finishNode(b,"VariableDeclaration"),(this.type===S._in||this.options.ecmaVersion>=6&&this.isContextual("of"))&&b.declarations.length===1?(this.options.ecmaVersion>=9&&(this.type===S._in?c>-1&&this.unexpected(c):o.await=c>-1),this.parseForIn(o,b)):(c>-1&&this.unexpected(c),this.parseFor(o,b))}var M=new Ji,R=this.parseExpression(!0,M);return this.type===S._in||this.options.ecmaVersion>=6&&this.isContextual("of")?(this.options.ecmaVersion>=9&&(this.type===S._in?c>-1&&this.unexpected(c):o.await=c>-1),this.toAssignable(R,!1,M),this.checkLVal(R),this.parseForIn(o,R)):(this.checkExpressionErrors(M,!0),c>-1&&this.unexpected(c),this.parseFor(o,R))},ne.parseFunctionStatement=function(o,c,y){return this.next(),this.parseFunction(o,ui|(y?0:ln),!1,c)},ne.parseIfStatement=function(o){return this.next(),o.test=this.parseParenExpression(),o.consequent=this.parseStatement("if"),o.alternate=this.eat(S._else)?this.parseStatement("if"):null,this.finishNode(o,"IfStatement")},ne.parseReturnStatement=function(o){return!this.inFunction&&!this.options.allowReturnOutsideFunction&&this.raise(this.start,"'return' outside of function"),this.next(),this.eat(S.semi)||this.insertSemicolon()?o.argument=null:(o.argument=this.parseExpression(),this.semicolon()),this.finishNode(o,"ReturnStatement")},ne.parseSwitchStatement=function(o){this.next(),o.discriminant=this.parseParenExpression(),o.cases=[],this.expect(S.braceL),this.labels.push(Gy),this.enterScope(0);for(var c,y=!1;this.type!==S.braceR;)if(this.type===S._case||this.type===S._default){var b=this.type===S._case;c&&this.finishNode(c,"SwitchCase"),o.cases.push(c=this.startNode()),c.consequent=[],this.next(),b?c.test=this.parseExpression():(y&&this.raiseRecoverable(this.lastTokStart,"Multiple default clauses"),y=!0,c.test=null),this.expect(S.colon)}else c||this.unexpected(),c.consequent.push(this.parseStatement(null));return this.exitScope(),c&&this.finishNode(c,"SwitchCase"),this.next(),this.labels.pop(),this.finishNode(o,"SwitchStatement")},ne.parseThrowStatement=function(o){return this.next(),we.test(this.input.slice(this.lastTokEnd,this.start))&&this.raise(this.lastTokEnd,"Illegal newline after throw"),o.argument=this.parseExpression(),this.semicolon(),this.finishNode(o,"ThrowStatement")};var Qy=[];ne.parseTryStatement=function(o){if(this.next(),o.block=this.parseBlock(),o.handler=null,this.type===S._catch){var c=this.startNode();if(this.next(),this.eat(S.parenL)){c.param=this.parseBindingAtom();var y=c.param.type==="Identifier";this.enterScope(y?si:0),this.checkLVal(c.param,y?ou:He),this.expect(S.parenR)}else this.options.ecmaVersion<10&&this.unexpected(),c.param=null,this.enterScope(0);c.body=this.parseBlock(!1),this.exitScope(),o.handler=this.finishNode(c,"CatchClause")}return o.finalizer=this.eat(S._finally)?this.parseBlock():null,!o.handler&&!o.finalizer&&this.raise(o.start,"Missing catch or finally clause"),this.finishNode(o,"TryStatement")},ne.parseVarStatement=function(o,c){return this.next(),this.parseVar(o,!1,c),this.semicolon(),this.finishNode(o,"VariableDeclaration")},ne.parseWhileStatement=function(o){return this.next(),o.test=this.parseParenExpression(),this.labels.push(on),o.body=this.parseStatement("while"),this.labels.pop(),this.finishNode(o,"WhileStatement")},ne.parseWithStatement=function(o){return this.strict&&this.raise(this.start,"'with' in strict mode"),this.next(),o.object=this.parseParenExpression(),o.body=this.parseStatement("with"),this.finishNode(o,"WithStatement")},ne.parseEmptyStatement=function(o){return this.next(),this.finishNode(o,"EmptyStatement")},ne.parseLabeledStatement=function(o,c,y,b){for(var C=0,M=this.labels;C<M.length;C+=1){var R=M[C];R.name===c&&this.raise(y.start,"Label '"+c+"' is already declared")}for(var J=this.type.isLoop?"loop":this.type===S._switch?"switch":null,G=this.labels.length-1;G>=0;G--){var he=this.labels[G];if(he.statementStart===o.start)he.statementStart=this.start,he.kind=J;else break}return this.labels.push({name:c,kind:J,statementStart:this.start}),o.body=this.parseStatement(b?b.indexOf("label")===-1?b+"label":b:"label"),this.labels.pop(),o.label=y,this.finishNode(o,"LabeledStatement")},ne.parseExpressionStatement=function(o,c){return o.expression=c,this.semicolon(),this.finishNode(o,"ExpressionStatement")},ne.parseBlock=function(o,c,y){for(o===void 0&&(o=!0),c===void 0&&(c=this.startNode()),c.body=[],this.expect(S.braceL),o&&this.enterScope(0);this.type!==S.braceR;){var b=this.parseStatement(null);c.body.push(b)}return y&&(this.strict=!1),this.next(),o&&this.exitScope(),this.finishNode(c,"BlockStatement")},ne.parseFor=function(o,c){return o.init=c,this.expect(S.semi),o.test=this.type===S.semi?null:this.parseExpression(),this.expect(S.semi),o.update=this.type===S.parenR?null:this.parseExpression(),this.expect(S.parenR),o.body=this.parseStatement("for"),this.exitScope(),this.labels.pop(),this.finishNode(o,"ForStatement")},ne.parseForIn=function(o,c){var y=this.type===S._in;return this.next(),c.type==="VariableDeclaration"&&c.declarations[0].init!=null&&(!y||this.options.ecmaVersion<8||this.strict||c.kind!=="var"||c.declarations[0].id.type!=="Identifier")?this.raise(c.start,(y?"for-in":"for-of")+" loop variable declaration may not have an initializer"):c.type==="AssignmentPattern"&&this.raise(c.start,"Invalid left-hand side in for-loop"),o.left=c,o.right=y?this.parseExpression():this.parseMaybeAssign(),this.expect(S.parenR),o.body=this.parseStatement("for"),this.exitScope(),this.labels.pop(),this.finishNode(o,y?"ForInStatement":"ForOfStatement")},ne.parseVar=function(o,c,y){for(o.declarations=[],o.kind=y;;){var b=this.startNode();if(this.parseVarId(b,y),this.eat(S.eq)?b.init=this.parseMaybeAssign(c):y==="const"&&!(this.type===S._in||this.options.ecmaVersion>=6&&this.isContextual("of"))?this.unexpected():b.id.type!=="Identifier"&&!(c&&(this.type===S._in||this.isContextual("of")))?this.raise(this.lastTokEnd,"Complex binding patterns require an initialization value"):b.init=null,o.declarations.push(this.finishNode(b,"VariableDeclarator")),!this.eat(S.comma))break}return o},ne.parseVarId=function(o,c){o.id=this.parseBindingAtom(),this.checkLVal(o.id,c==="var"?Tr:He,!1)};var ui=1,ln=2,uu=4;ne.parseFunction=function(o,c,y,b){this.initFunction(o),(this.options.ecmaVersion>=9||this.options.ecmaVersion>=6&&!b)&&(this.type===S.star&&c&ln&&this.unexpected(),o.generator=this.eat(S.star)),this.options.ecmaVersion>=8&&(o.async=!!b),c&ui&&(o.id=c&uu&&this.type!==S.name?null:this.parseIdent(),o.id&&!(c&ln)&&this.checkLVal(o.id,this.strict||o.generator||o.async?this.treatFunctionsAsVar?Tr:He:li));var C=this.yieldPos,M=this.awaitPos,R=this.awaitIdentPos;return this.yieldPos=0,this.awaitPos=0,this.awaitIdentPos=0,this.enterScope(mr(o.async,o.generator)),c&ui||(o.id=this.type===S.name?this.parseIdent():null),this.parseFunctionParams(o),this.parseFunctionBody(o,y,!1),this.yieldPos=C,this.awaitPos=M,this.awaitIdentPos=R,this.finishNode(o,c&ui?"FunctionDeclaration":"FunctionExpression")},ne.parseFunctionParams=function(o){this.expect(S.parenL),o.params=this.parseBindingList(S.parenR,!1,this.options.ecmaVersion>=8),this.checkYieldAwaitInDefaultParams()},ne.parseClass=function(o,c){this.next();var y=this.strict;this.strict=!0,this.parseClassId(o,c),this.parseClassSuper(o);var b=this.startNode(),C=!1;for(b.body=[],this.expect(S.braceL);this.type!==S.braceR;){var M=this.parseClassElement(o.superClass!==null);M&&(b.body.push(M),M.type==="MethodDefinition"&&M.kind==="constructor"&&(C&&this.raise(M.start,"Duplicate constructor in the same class"),C=!0))}return this.strict=y,this.next(),o.body=this.finishNode(b,"ClassBody"),this.finishNode(o,c?"ClassDeclaration":"ClassExpression")},ne.parseClassElement=function(o){var c=this;if(this.eat(S.semi))return null;var y=this.startNode(),b=n(function(G,he){he===void 0&&(he=!1);var Se=c.start,_e=c.startLoc;return c.eatContextual(G)?c.type!==S.parenL&&(!he||!c.canInsertSemicolon())?!0:(y.key&&c.unexpected(),y.computed=!1,y.key=c.startNodeAt(Se,_e),y.key.name=G,c.finishNode(y.key,"Identifier"),!1):!1},"tryContextual");y.kind="method",y.static=b("static");var C=this.eat(S.star),M=!1;C||(this.options.ecmaVersion>=8&&b("async",!0)?(M=!0,C=this.options.ecmaVersion>=9&&this.eat(S.star)):b("get")?y.kind="get":b("set")&&(y.kind="set")),y.key||this.parsePropertyName(y);var R=y.key,J=!1;return!y.computed&&!y.static&&(R.type==="Identifier"&&R.name==="constructor"||R.type==="Literal"&&R.value==="constructor")?(y.kind!=="method"&&this.raise(R.start,"Constructor can't have get/set modifier"),C&&this.raise(R.start,"Constructor can't be a generator"),M&&this.raise(R.start,"Constructor can't be an async method"),y.kind="constructor",J=o):y.static&&R.type==="Identifier"&&R.name==="prototype"&&this.raise(R.start,"Classes may not have a static property named prototype"),this.parseClassMethod(y,C,M,J),y.kind==="get"&&y.value.params.length!==0&&this.raiseRecoverable(y.value.start,"getter should have no params"),y.kind==="set"&&y.value.params.length!==1&&this.raiseRecoverable(y.value.start,"setter should have exactly one param"),y.kind==="set"&&y.value.params[0].type==="RestElement"&&this.raiseRecoverable(y.value.params[0].start,"Setter cannot use rest params"),y},ne.parseClassMethod=function(o,c,y,b){return o.value=this.parseMethod(c,y,b),this.finishNode(o,"MethodDefinition")},ne.parseClassId=function(o,c){this.type===S.name?(o.id=this.parseIdent(),c&&this.checkLVal(o.id,He,!1)):(c===!0&&this.unexpected(),o.id=null)},ne.parseClassSuper=function(o){o.superClass=this.eat(S._extends)?this.parseExprSubscripts():null},ne.parseExport=function(o,c){if(this.next(),this.eat(S.star))return this.options.ecmaVersion>=11&&(this.eatContextual("as")?(o.exported=this.parseIdent(!0),this.checkExport(c,o.exported.name,this.lastTokStart)):o.exported=null),this.expectContextual("from"),this.type!==S.string&&this.unexpected(),o.source=this.parseExprAtom(),this.semicolon(),this.finishNode(o,"ExportAllDeclaration");if(this.eat(S._default)){this.checkExport(c,"default",this.lastTokStart);var y;if(this.type===S._function||(y=this.isAsyncFunction())){var b=this.startNode();this.next(),y&&this.next(),o.declaration=this.parseFunction(b,ui|uu,!1,y)}else if(this.type===S._class){var C=this.startNode();o.declaration=this.parseClass(C,"nullableID")}else o.declaration=this.parseMaybeAssign(),this.semicolon();return this.finishNode(o,"ExportDefaultDeclaration")}if(this.shouldParseExportStatement())o.declaration=this.parseStatement(null),o.declaration.type==="VariableDeclaration"?this.checkVariableExport(c,o.declaration.declarations):this.checkExport(c,o.declaration.id.name,o.declaration.id.start),o.specifiers=[],o.source=null;else{if(o.declaration=null,o.specifiers=this.parseExportSpecifiers(c),this.eatContextual("from"))this.type!==S.string&&this.unexpected(),o.source=this.parseExprAtom();else{for(var M=0,R=o.specifiers;M<R.length;M+=1){var J=R[M];this.checkUnreserved(J.local),this.checkLocalExport(J.local)}o.source=null}this.semicolon()}return this.finishNode(o,"ExportNamedDeclaration")},ne.checkExport=function(o,c,y){o&&(Xt(o,c)&&this.raiseRecoverable(y,"Duplicate export '"+c+"'"),o[c]=!0)},ne.checkPatternExport=function(o,c){var y=c.type;if(y==="Identifier")this.checkExport(o,c.name,c.start);else if(y==="ObjectPattern")for(var b=0,C=c.properties;b<C.length;b+=1){var M=C[b];this.checkPatternExport(o,M)}else if(y==="ArrayPattern")for(var R=0,J=c.elements;R<J.length;R+=1){var G=J[R];G&&this.checkPatternExport(o,G)}else y==="Property"?this.checkPatternExport(o,c.value):y==="AssignmentPattern"?this.checkPatternExport(o,c.left):y==="RestElement"?this.checkPatternExport(o,c.argument):y==="ParenthesizedExpression"&&this.checkPatternExport(o,c.expression)},ne.checkVariableExport=function(o,c){if(o)for(var y=0,b=c;y<b.length;y+=1){var C=b[y];this.checkPatternExport(o,C.id)}},ne.shouldParseExportStatement=function(){return this.type.keyword==="var"||this.type.keyword==="const"||this.type.keyword==="class"||this.type.keyword==="function"||this.isLet()||this.isAsyncFunction()},ne.parseExportSpecifiers=function(o){var c=[],y=!0;for(this.expect(S.braceL);!this.eat(S.braceR);){if(y)y=!1;else if(this.expect(S.comma),this.afterTrailingComma(S.braceR))break;var b=this.startNode();b.local=this.parseIdent(!0),b.exported=this.eatContextual("as")?this.parseIdent(!0):b.local,this.checkExport(o,b.exported.name,b.exported.start),c.push(this.finishNode(b,"ExportSpecifier"))}return c},ne.parseImport=function(o){return this.next(),this.type===S.string?(o.specifiers=Qy,o.source=this.parseExprAtom()):(o.specifiers=this.parseImportSpecifiers(),this.expectContextual("from"),o.source=this.type===S.string?this.parseExprAtom():this.unexpected()),this.semicolon(),this.finishNode(o,"ImportDeclaration")},ne.parseImportSpecifiers=function(){var o=[],c=!0;if(this.type===S.name){var y=this.startNode();if(y.local=this.parseIdent(),this.checkLVal(y.local,He),o.push(this.finishNode(y,"ImportDefaultSpecifier")),!this.eat(S.comma))return o}if(this.type===S.star){var b=this.startNode();return this.next(),this.expectContextual("as"),b.local=this.parseIdent(),this.checkLVal(b.local,He),o.push(this.finishNode(b,"ImportNamespaceSpecifier")),o}for(this.expect(S.braceL);!this.eat(S.braceR);){if(c)c=!1;else if(this.expect(S.comma),this.afterTrailingComma(S.braceR))break;var C=this.startNode();C.imported=this.parseIdent(!0),this.eatContextual("as")?C.local=this.parseIdent():(this.checkUnreserved(C.imported),C.local=C.imported),this.checkLVal(C.local,He),o.push(this.finishNode(C,"ImportSpecifier"))}return o},ne.adaptDirectivePrologue=function(o){for(var c=0;c<o.length&&this.isDirectiveCandidate(o[c]);++c)o[c].directive=o[c].expression.raw.slice(1,-1)},ne.isDirectiveCandidate=function(o){return o.type==="ExpressionStatement"&&o.expression.type==="Literal"&&typeof o.expression.value=="string"&&(this.input[o.start]==='"'||this.input[o.start]==="'")};var gt=ge.prototype;gt.toAssignable=function(o,c,y){if(this.options.ecmaVersion>=6&&o)switch(o.type){case"Identifier":this.inAsync&&o.name==="await"&&this.raise(o.start,"Cannot use 'await' as identifier inside an async function");break;case"ObjectPattern":case"ArrayPattern":case"RestElement":break;case"ObjectExpression":o.type="ObjectPattern",y&&this.checkPatternErrors(y,!0);for(var b=0,C=o.properties;b<C.length;b+=1){var M=C[b];this.toAssignable(M,c),M.type==="RestElement"&&(M.argument.type==="ArrayPattern"||M.argument.type==="ObjectPattern")&&this.raise(M.argument.start,"Unexpected token")}break;case"Property":o.kind!=="init"&&this.raise(o.key.start,"Object pattern can't contain getter or setter"),this.toAssignable(o.value,c);break;case"ArrayExpression":o.type="ArrayPattern",y&&this.checkPatternErrors(y,!0),this.toAssignableList(o.elements,c);break;case"SpreadElement":o.type="RestElement",this.toAssignable(o.argument,c),o.argument.type==="AssignmentPattern"&&this.raise(o.argument.start,"Rest elements cannot have a default value");break;case"AssignmentExpression":o.operator!=="="&&this.raise(o.left.end,"Only '=' operator can be used for specifying default value."),o.type="AssignmentPattern",delete o.operator,this.toAssignable(o.left,c);case"AssignmentPattern":break;case"ParenthesizedExpression":this.toAssignable(o.expression,c,y);break;case"ChainExpression":this.raiseRecoverable(o.start,"Optional chaining cannot appear in left-hand side");break;case"MemberExpression":if(!c)break;default:this.raise(o.start,"Assigning to rvalue")}else y&&this.checkPatternErrors(y,!0);return o},gt.toAssignableList=function(o,c){for(var y=o.length,b=0;b<y;b++){var C=o[b];C&&this.toAssignable(C,c)}if(y){var M=o[y-1];this.options.ecmaVersion===6&&c&&M&&M.type==="RestElement"&&M.argument.type!=="Identifier"&&this.unexpected(M.argument.start)}return o},gt.parseSpread=function(o){var c=this.startNode();return this.next(),c.argument=this.parseMaybeAssign(!1,o),this.finishNode(c,"SpreadElement")},gt.parseRestBinding=function(){var o=this.startNode();return this.next(),this.options.ecmaVersion===6&&this.type!==S.name&&this.unexpected(),o.argument=this.parseBindingAtom(),this.finishNode(o,"RestElement")},gt.parseBindingAtom=function(){if(this.options.ecmaVersion>=6)switch(this.type){case S.bracketL:var o=this.startNode();return this.next(),o.elements=this.parseBindingList(S.bracketR,!0,!0),this.finishNode(o,"ArrayPattern");case S.braceL:return this.parseObj(!0)}return this.parseIdent()},gt.parseBindingList=function(o,c,y){for(var b=[],C=!0;!this.eat(o);)if(C?C=!1:this.expect(S.comma),c&&this.type===S.comma)b.push(null);else{if(y&&this.afterTrailingComma(o))break;if(this.type===S.ellipsis){var M=this.parseRestBinding();this.parseBindingListItem(M),b.push(M),this.type===S.comma&&this.raise(this.start,"Comma is not permitted after the rest element"),this.expect(o);break}else{var R=this.parseMaybeDefault(this.start,this.startLoc);this.parseBindingListItem(R),b.push(R)}}return b},gt.parseBindingListItem=function(o){return o},gt.parseMaybeDefault=function(o,c,y){if(y=y||this.parseBindingAtom(),this.options.ecmaVersion<6||!this.eat(S.eq))return y;var b=this.startNodeAt(o,c);return b.left=y,b.right=this.parseMaybeAssign(),this.finishNode(b,"AssignmentPattern")},gt.checkLVal=function(o,c,y){switch(c===void 0&&(c=oi),o.type){case"Identifier":c===He&&o.name==="let"&&this.raiseRecoverable(o.start,"let is disallowed as a lexically bound name"),this.strict&&this.reservedWordsStrictBind.test(o.name)&&this.raiseRecoverable(o.start,(c?"Binding ":"Assigning to ")+o.name+" in strict mode"),y&&(Xt(y,o.name)&&this.raiseRecoverable(o.start,"Argument name clash"),y[o.name]=!0),c!==oi&&c!==lu&&this.declareName(o.name,c,o.start);break;case"ChainExpression":this.raiseRecoverable(o.start,"Optional chaining cannot appear in left-hand side");break;case"MemberExpression":c&&this.raiseRecoverable(o.start,"Binding member expression");break;case"ObjectPattern":for(var b=0,C=o.properties;b<C.length;b+=1){var M=C[b];this.checkLVal(M,c,y)}break;case"Property":this.checkLVal(o.value,c,y);break;case"ArrayPattern":for(var R=0,J=o.elements;R<J.length;R+=1){var G=J[R];G&&this.checkLVal(G,c,y)}break;case"AssignmentPattern":this.checkLVal(o.left,c,y);break;case"RestElement":this.checkLVal(o.argument,c,y);break;case"ParenthesizedExpression":this.checkLVal(o.expression,c,y);break;default:this.raise(o.start,(c?"Binding":"Assigning to")+" rvalue")}};var ue=ge.prototype;ue.checkPropClash=function(o,c,y){if(!(this.options.ecmaVersion>=9&&o.type==="SpreadElement")&&!(this.options.ecmaVersion>=6&&(o.computed||o.method||o.shorthand))){var b=o.key,C;switch(b.type){case"Identifier":C=b.name;break;case"Literal":C=String(b.value);break;default:return}var M=o.kind;if(this.options.ecmaVersion>=6){C==="__proto__"&&M==="init"&&(c.proto&&(y?y.doubleProto<0&&(y.doubleProto=b.start):this.raiseRecoverable(b.start,"Redefinition of __proto__ property")),c.proto=!0);return}C="$"+C;var R=c[C];if(R){var J;M==="init"?J=this.strict&&R.init||R.get||R.set:J=R.init||R[M],J&&this.raiseRecoverable(b.start,"Redefinition of property")}else R=c[C]={init:!1,get:!1,set:!1};R[M]=!0}},ue.parseExpression=function(o,c){var y=this.start,b=this.startLoc,C=this.parseMaybeAssign(o,c);if(this.type===S.comma){var M=this.startNodeAt(y,b);for(M.expressions=[C];this.eat(S.comma);)M.expressions.push(this.parseMaybeAssign(o,c));return this.finishNode(M,"SequenceExpression")}return C},ue.parseMaybeAssign=function(o,c,y){if(this.isContextual("yield")){if(this.inGenerator)return this.parseYield(o);this.exprAllowed=!1}var b=!1,C=-1,M=-1;c?(C=c.parenthesizedAssign,M=c.trailingComma,c.parenthesizedAssign=c.trailingComma=-1):(c=new Ji,b=!0);var R=this.start,J=this.startLoc;(this.type===S.parenL||this.type===S.name)&&(this.potentialArrowAt=this.start);var G=this.parseMaybeConditional(o,c);if(y&&(G=y.call(this,G,R,J)),this.type.isAssign){var he=this.startNodeAt(R,J);return he.operator=this.value,he.left=this.type===S.eq?this.toAssignable(G,!1,c):G,b||(c.parenthesizedAssign=c.trailingComma=c.doubleProto=-1),c.shorthandAssign>=he.left.start&&(c.shorthandAssign=-1),this.checkLVal(G),this.next(),he.right=this.parseMaybeAssign(o),this.finishNode(he,"AssignmentExpression")}else b&&this.checkExpressionErrors(c,!0);return C>-1&&(c.parenthesizedAssign=C),M>-1&&(c.trailingComma=M),G},ue.parseMaybeConditional=function(o,c){var y=this.start,b=this.startLoc,C=this.parseExprOps(o,c);if(this.checkExpressionErrors(c))return C;if(this.eat(S.question)){var M=this.startNodeAt(y,b);return M.test=C,M.consequent=this.parseMaybeAssign(),this.expect(S.colon),M.alternate=this.parseMaybeAssign(o),this.finishNode(M,"ConditionalExpression")}return C},ue.parseExprOps=function(o,c){var y=this.start,b=this.startLoc,C=this.parseMaybeUnary(c,!1);return this.checkExpressionErrors(c)||C.start===y&&C.type==="ArrowFunctionExpression"?C:this.parseExprOp(C,y,b,-1,o)},ue.parseExprOp=function(o,c,y,b,C){var M=this.type.binop;if(M!=null&&(!C||this.type!==S._in)&&M>b){var R=this.type===S.logicalOR||this.type===S.logicalAND,J=this.type===S.coalesce;J&&(M=S.logicalAND.binop);var G=this.value;this.next();var he=this.start,Se=this.startLoc,_e=this.parseExprOp(this.parseMaybeUnary(null,!1),he,Se,M,C),$t=this.buildBinary(c,y,o,_e,G,R||J);return(R&&this.type===S.coalesce||J&&(this.type===S.logicalOR||this.type===S.logicalAND))&&this.raiseRecoverable(this.start,"Logical expressions and coalesce expressions cannot be mixed. Wrap either by parentheses"),this.parseExprOp($t,c,y,b,C)}return o},ue.buildBinary=function(o,c,y,b,C,M){var R=this.startNodeAt(o,c);return R.left=y,R.operator=C,R.right=b,this.finishNode(R,M?"LogicalExpression":"BinaryExpression")},ue.parseMaybeUnary=function(o,c){var y=this.start,b=this.startLoc,C;if(this.isContextual("await")&&(this.inAsync||!this.inFunction&&this.options.allowAwaitOutsideFunction))C=this.parseAwait(),c=!0;else if(this.type.prefix){var M=this.startNode(),R=this.type===S.incDec;M.operator=this.value,M.prefix=!0,this.next(),M.argument=this.parseMaybeUnary(null,!0),this.checkExpressionErrors(o,!0),R?this.checkLVal(M.argument):this.strict&&M.operator==="delete"&&M.argument.type==="Identifier"?this.raiseRecoverable(M.start,"Deleting local variable in strict mode"):c=!0,C=this.finishNode(M,R?"UpdateExpression":"UnaryExpression")}else{if(C=this.parseExprSubscripts(o),this.checkExpressionErrors(o))return C;for(;this.type.postfix&&!this.canInsertSemicolon();){var J=this.startNodeAt(y,b);J.operator=this.value,J.prefix=!1,J.argument=C,this.checkLVal(C),this.next(),C=this.finishNode(J,"UpdateExpression")}}return!c&&this.eat(S.starstar)?this.buildBinary(y,b,C,this.parseMaybeUnary(null,!1),"**",!1):C},ue.parseExprSubscripts=function(o){var c=this.start,y=this.startLoc,b=this.parseExprAtom(o);if(b.type==="ArrowFunctionExpression"&&this.input.slice(this.lastTokStart,this.lastTokEnd)!==")")return b;var C=this.parseSubscripts(b,c,y);return o&&C.type==="MemberExpression"&&(o.parenthesizedAssign>=C.start&&(o.parenthesizedAssign=-1),o.parenthesizedBind>=C.start&&(o.parenthesizedBind=-1)),C},ue.parseSubscripts=function(o,c,y,b){for(var C=this.options.ecmaVersion>=8&&o.type==="Identifier"&&o.name==="async"&&this.lastTokEnd===o.end&&!this.canInsertSemicolon()&&o.end-o.start===5&&this.potentialArrowAt===o.start,M=!1;;){var R=this.parseSubscript(o,c,y,b,C,M);if(R.optional&&(M=!0),R===o||R.type==="ArrowFunctionExpression"){if(M){var J=this.startNodeAt(c,y);J.expression=R,R=this.finishNode(J,"ChainExpression")}return R}o=R}},ue.parseSubscript=function(o,c,y,b,C,M){var R=this.options.ecmaVersion>=11,J=R&&this.eat(S.questionDot);b&&J&&this.raise(this.lastTokStart,"Optional chaining cannot appear in the callee of new expressions");var G=this.eat(S.bracketL);if(G||J&&this.type!==S.parenL&&this.type!==S.backQuote||this.eat(S.dot)){var he=this.startNodeAt(c,y);he.object=o,he.property=G?this.parseExpression():this.parseIdent(this.options.allowReserved!=="never"),he.computed=!!G,G&&this.expect(S.bracketR),R&&(he.optional=J),o=this.finishNode(he,"MemberExpression")}else if(!b&&this.eat(S.parenL)){var Se=new Ji,_e=this.yieldPos,$t=this.awaitPos,xr=this.awaitIdentPos;this.yieldPos=0,this.awaitPos=0,this.awaitIdentPos=0;var es=this.parseExprList(S.parenR,this.options.ecmaVersion>=8,!1,Se);if(C&&!J&&!this.canInsertSemicolon()&&this.eat(S.arrow))return this.checkPatternErrors(Se,!1),this.checkYieldAwaitInDefaultParams(),this.awaitIdentPos>0&&this.raise(this.awaitIdentPos,"Cannot use 'await' as identifier inside an async function"),this.yieldPos=_e,this.awaitPos=$t,this.awaitIdentPos=xr,this.parseArrowExpression(this.startNodeAt(c,y),es,!0);this.checkExpressionErrors(Se,!0),this.yieldPos=_e||this.yieldPos,this.awaitPos=$t||this.awaitPos,this.awaitIdentPos=xr||this.awaitIdentPos;var Sr=this.startNodeAt(c,y);Sr.callee=o,Sr.arguments=es,R&&(Sr.optional=J),o=this.finishNode(Sr,"CallExpression")}else if(this.type===S.backQuote){(J||M)&&this.raise(this.start,"Optional chaining cannot appear in the tag of tagged template expressions");var br=this.startNodeAt(c,y);br.tag=o,br.quasi=this.parseTemplate({isTagged:!0}),o=this.finishNode(br,"TaggedTemplateExpression")}return o},ue.parseExprAtom=function(o){this.type===S.slash&&this.readRegexp();var c,y=this.potentialArrowAt===this.start;switch(this.type){case S._super:return this.allowSuper||this.raise(this.start,"'super' keyword outside a method"),c=this.startNode(),this.next(),this.type===S.parenL&&!this.allowDirectSuper&&this.raise(c.start,"super() call outside constructor of a subclass"),this.type!==S.dot&&this.type!==S.bracketL&&this.type!==S.parenL&&this.unexpected(),this.finishNode(c,"Super");case S._this:return c=this.startNode(),this.next(),this.finishNode(c,"ThisExpression");case S.name:var b=this.start,C=this.startLoc,M=this.containsEsc,R=this.parseIdent(!1);if(this.options.ecmaVersion>=8&&!M&&R.name==="async"&&!this.canInsertSemicolon()&&this.eat(S._function))return this.parseFunction(this.startNodeAt(b,C),0,!1,!0);if(y&&!this.canInsertSemicolon()){if(this.eat(S.arrow))return this.parseArrowExpression(this.startNodeAt(b,C),[R],!1);if(this.options.ecmaVersion>=8&&R.name==="async"&&this.type===S.name&&!M)return R=this.parseIdent(!1),(this.canInsertSemicolon()||!this.eat(S.arrow))&&this.unexpected(),this.parseArrowExpression(this.startNodeAt(b,C),[R],!0)}return R;case S.regexp:var J=this.value;return c=this.parseLiteral(J.value),c.regex={pattern:J.pattern,flags:J.flags},c;case S.num:case S.string:return this.parseLiteral(this.value);case S._null:case S._true:case S._false:return c=this.startNode(),c.value=this.type===S._null?null:this.type===S._true,c.raw=this.type.keyword,this.next(),this.finishNode(c,"Literal");case S.parenL:var G=this.start,he=this.parseParenAndDistinguishExpression(y);return o&&(o.parenthesizedAssign<0&&!this.isSimpleAssignTarget(he)&&(o.parenthesizedAssign=G),o.parenthesizedBind<0&&(o.parenthesizedBind=G)),he;case S.bracketL:return c=this.startNode(),this.next(),c.elements=this.parseExprList(S.bracketR,!0,!0,o),this.finishNode(c,"ArrayExpression");case S.braceL:return this.parseObj(!1,o);case S._function:return c=this.startNode(),this.next(),this.parseFunction(c,0);case S._class:return this.parseClass(this.startNode(),!1);case S._new:return this.parseNew();case S.backQuote:return this.parseTemplate();case S._import:return this.options.ecmaVersion>=11?this.parseExprImport():this.unexpected();default:this.unexpected()}},ue.parseExprImport=function(){var o=this.startNode();this.containsEsc&&this.raiseRecoverable(this.start,"Escape sequence in keyword import");var c=this.parseIdent(!0);switch(this.type){case S.parenL:return this.parseDynamicImport(o);case S.dot:return o.meta=c,this.parseImportMeta(o);default:this.unexpected()}},ue.parseDynamicImport=function(o){if(this.next(),o.source=this.parseMaybeAssign(),!this.eat(S.parenR)){var c=this.start;this.eat(S.comma)&&this.eat(S.parenR)?this.raiseRecoverable(c,"Trailing comma is not allowed in import()"):this.unexpected(c)}return this.finishNode(o,"ImportExpression")},ue.parseImportMeta=function(o){this.next();var c=this.containsEsc;return o.property=this.parseIdent(!0),o.property.name!=="meta"&&this.raiseRecoverable(o.property.start,"The only valid meta property for import is 'import.meta'"),c&&this.raiseRecoverable(o.start,"'import.meta' must not contain escaped characters"),this.options.sourceType!=="module"&&this.raiseRecoverable(o.start,"Cannot use 'import.meta' outside a module"),this.finishNode(o,"MetaProperty")},ue.parseLiteral=function(o){var c=this.startNode();return c.value=o,c.raw=this.input.slice(this.start,this.end),c.raw.charCodeAt(c.raw.length-1)===110&&(c.bigint=c.raw.slice(0,-1).replace(/_/g,"")),this.next(),this.finishNode(c,"Literal")},ue.parseParenExpression=function(){this.expect(S.parenL);var o=this.parseExpression();return this.expect(S.parenR),o},ue.parseParenAndDistinguishExpression=function(o){var c=this.start,y=this.startLoc,b,C=this.options.ecmaVersion>=8;if(this.options.ecmaVersion>=6){this.next();var M=this.start,R=this.startLoc,J=[],G=!0,he=!1,Se=new Ji,_e=this.yieldPos,$t=this.awaitPos,xr;for(this.yieldPos=0,this.awaitPos=0;this.type!==S.parenR;)if(G?G=!1:this.expect(S.comma),C&&this.afterTrailingComma(S.parenR,!0)){he=!0;break}else if(this.type===S.ellipsis){xr=this.start,J.push(this.parseParenItem(this.parseRestBinding())),this.type===S.comma&&this.raise(this.start,"Comma is not permitted after the rest element");break}else J.push(this.parseMaybeAssign(!1,Se,this.parseParenItem));var es=this.start,Sr=this.startLoc;if(this.expect(S.parenR),o&&!this.canInsertSemicolon()&&this.eat(S.arrow))return this.checkPatternErrors(Se,!1),this.checkYieldAwaitInDefaultParams(),this.yieldPos=_e,this.awaitPos=$t,this.parseParenArrowList(c,y,J);(!J.length||he)&&this.unexpected(this.lastTokStart),xr&&this.unexpected(xr),this.checkExpressionErrors(Se,!0),this.yieldPos=_e||this.yieldPos,this.awaitPos=$t||this.awaitPos,J.length>1?(b=this.startNodeAt(M,R),b.expressions=J,this.finishNodeAt(b,"SequenceExpression",es,Sr)):b=J[0]}else b=this.parseParenExpression();if(this.options.preserveParens){var br=this.startNodeAt(c,y);return br.expression=b,this.finishNode(br,"ParenthesizedExpression")}else return b},ue.parseParenItem=function(o){return o},ue.parseParenArrowList=function(o,c,y){return this.parseArrowExpression(this.startNodeAt(o,c),y)};var Zy=[];ue.parseNew=function(){this.containsEsc&&this.raiseRecoverable(this.start,"Escape sequence in keyword new");var o=this.startNode(),c=this.parseIdent(!0);if(this.options.ecmaVersion>=6&&this.eat(S.dot)){o.meta=c;var y=this.containsEsc;return o.property=this.parseIdent(!0),o.property.name!=="target"&&this.raiseRecoverable(o.property.start,"The only valid meta property for new is 'new.target'"),y&&this.raiseRecoverable(o.start,"'new.target' must not contain escaped characters"),this.inNonArrowFunction()||this.raiseRecoverable(o.start,"'new.target' can only be used in functions"),this.finishNode(o,"MetaProperty")}var b=this.start,C=this.startLoc,M=this.type===S._import;return o.callee=this.parseSubscripts(this.parseExprAtom(),b,C,!0),M&&o.callee.type==="ImportExpression"&&this.raise(b,"Cannot use new with import()"),this.eat(S.parenL)?o.arguments=this.parseExprList(S.parenR,this.options.ecmaVersion>=8,!1):o.arguments=Zy,this.finishNode(o,"NewExpression")},ue.parseTemplateElement=function(o){var c=o.isTagged,y=this.startNode();return this.type===S.invalidTemplate?(c||this.raiseRecoverable(this.start,"Bad escape sequence in untagged template literal"),y.value={raw:this.value,cooked:null}):y.value={raw:this.input.slice(this.start,this.end).replace(/\r\n?/g,`
+`),cooked:this.value},this.next(),y.tail=this.type===S.backQuote,this.finishNode(y,"TemplateElement")},ue.parseTemplate=function(o){o===void 0&&(o={});var c=o.isTagged;c===void 0&&(c=!1);var y=this.startNode();this.next(),y.expressions=[];var b=this.parseTemplateElement({isTagged:c});for(y.quasis=[b];!b.tail;)this.type===S.eof&&this.raise(this.pos,"Unterminated template literal"),this.expect(S.dollarBraceL),y.expressions.push(this.parseExpression()),this.expect(S.braceR),y.quasis.push(b=this.parseTemplateElement({isTagged:c}));return this.next(),this.finishNode(y,"TemplateLiteral")},ue.isAsyncProp=function(o){return!o.computed&&o.key.type==="Identifier"&&o.key.name==="async"&&(this.type===S.name||this.type===S.num||this.type===S.string||this.type===S.bracketL||this.type.keyword||this.options.ecmaVersion>=9&&this.type===S.star)&&!we.test(this.input.slice(this.lastTokEnd,this.start))},ue.parseObj=function(o,c){var y=this.startNode(),b=!0,C={};for(y.properties=[],this.next();!this.eat(S.braceR);){if(b)b=!1;else if(this.expect(S.comma),this.options.ecmaVersion>=5&&this.afterTrailingComma(S.braceR))break;var M=this.parseProperty(o,c);o||this.checkPropClash(M,C,c),y.properties.push(M)}return this.finishNode(y,o?"ObjectPattern":"ObjectExpression")},ue.parseProperty=function(o,c){var y=this.startNode(),b,C,M,R;if(this.options.ecmaVersion>=9&&this.eat(S.ellipsis))return o?(y.argument=this.parseIdent(!1),this.type===S.comma&&this.raise(this.start,"Comma is not permitted after the rest element"),this.finishNode(y,"RestElement")):(this.type===S.parenL&&c&&(c.parenthesizedAssign<0&&(c.parenthesizedAssign=this.start),c.parenthesizedBind<0&&(c.parenthesizedBind=this.start)),y.argument=this.parseMaybeAssign(!1,c),this.type===S.comma&&c&&c.trailingComma<0&&(c.trailingComma=this.start),this.finishNode(y,"SpreadElement"));this.options.ecmaVersion>=6&&(y.method=!1,y.shorthand=!1,(o||c)&&(M=this.start,R=this.startLoc),o||(b=this.eat(S.star)));var J=this.containsEsc;return this.parsePropertyName(y),!o&&!J&&this.options.ecmaVersion>=8&&!b&&this.isAsyncProp(y)?(C=!0,b=this.options.ecmaVersion>=9&&this.eat(S.star),this.parsePropertyName(y,c)):C=!1,this.parsePropertyValue(y,o,b,C,M,R,c,J),this.finishNode(y,"Property")},ue.parsePropertyValue=function(o,c,y,b,C,M,R,J){if((y||b)&&this.type===S.colon&&this.unexpected(),this.eat(S.colon))o.value=c?this.parseMaybeDefault(this.start,this.startLoc):this.parseMaybeAssign(!1,R),o.kind="init";else if(this.options.ecmaVersion>=6&&this.type===S.parenL)c&&this.unexpected(),o.kind="init",o.method=!0,o.value=this.parseMethod(y,b);else if(!c&&!J&&this.options.ecmaVersion>=5&&!o.computed&&o.key.type==="Identifier"&&(o.key.name==="get"||o.key.name==="set")&&this.type!==S.comma&&this.type!==S.braceR&&this.type!==S.eq){(y||b)&&this.unexpected(),o.kind=o.key.name,this.parsePropertyName(o),o.value=this.parseMethod(!1);var G=o.kind==="get"?0:1;if(o.value.params.length!==G){var he=o.value.start;o.kind==="get"?this.raiseRecoverable(he,"getter should have no params"):this.raiseRecoverable(he,"setter should have exactly one param")}else o.kind==="set"&&o.value.params[0].type==="RestElement"&&this.raiseRecoverable(o.value.params[0].start,"Setter cannot use rest params")}else this.options.ecmaVersion>=6&&!o.computed&&o.key.type==="Identifier"?((y||b)&&this.unexpected(),this.checkUnreserved(o.key),o.key.name==="await"&&!this.awaitIdentPos&&(this.awaitIdentPos=C),o.kind="init",c?o.value=this.parseMaybeDefault(C,M,o.key):this.type===S.eq&&R?(R.shorthandAssign<0&&(R.shorthandAssign=this.start),o.value=this.parseMaybeDefault(C,M,o.key)):o.value=o.key,o.shorthand=!0):this.unexpected()},ue.parsePropertyName=function(o){if(this.options.ecmaVersion>=6){if(this.eat(S.bracketL))return o.computed=!0,o.key=this.parseMaybeAssign(),this.expect(S.bracketR),o.key;o.computed=!1}return o.key=this.type===S.num||this.type===S.string?this.parseExprAtom():this.parseIdent(this.options.allowReserved!=="never")},ue.initFunction=function(o){o.id=null,this.options.ecmaVersion>=6&&(o.generator=o.expression=!1),this.options.ecmaVersion>=8&&(o.async=!1)},ue.parseMethod=function(o,c,y){var b=this.startNode(),C=this.yieldPos,M=this.awaitPos,R=this.awaitIdentPos;return this.initFunction(b),this.options.ecmaVersion>=6&&(b.generator=o),this.options.ecmaVersion>=8&&(b.async=!!c),this.yieldPos=0,this.awaitPos=0,this.awaitIdentPos=0,this.enterScope(mr(c,b.generator)|ni|(y?ai:0)),this.expect(S.parenL),b.params=this.parseBindingList(S.parenR,!1,this.options.ecmaVersion>=8),this.checkYieldAwaitInDefaultParams(),this.parseFunctionBody(b,!1,!0),this.yieldPos=C,this.awaitPos=M,this.awaitIdentPos=R,this.finishNode(b,"FunctionExpression")},ue.parseArrowExpression=function(o,c,y){var b=this.yieldPos,C=this.awaitPos,M=this.awaitIdentPos;return this.enterScope(mr(y,!1)|ii),this.initFunction(o),this.options.ecmaVersion>=8&&(o.async=!!y),this.yieldPos=0,this.awaitPos=0,this.awaitIdentPos=0,o.params=this.toAssignableList(c,!0),this.parseFunctionBody(o,!0,!1),this.yieldPos=b,this.awaitPos=C,this.awaitIdentPos=M,this.finishNode(o,"ArrowFunctionExpression")},ue.parseFunctionBody=function(o,c,y){var b=c&&this.type!==S.braceL,C=this.strict,M=!1;if(b)o.body=this.parseMaybeAssign(),o.expression=!0,this.checkParams(o,!1);else{var R=this.options.ecmaVersion>=7&&!this.isSimpleParamList(o.params);(!C||R)&&(M=this.strictDirective(this.end),M&&R&&this.raiseRecoverable(o.start,"Illegal 'use strict' directive in function with non-simple parameter list"));var J=this.labels;this.labels=[],M&&(this.strict=!0),this.checkParams(o,!C&&!M&&!c&&!y&&this.isSimpleParamList(o.params)),this.strict&&o.id&&this.checkLVal(o.id,lu),o.body=this.parseBlock(!1,void 0,M&&!C),o.expression=!1,this.adaptDirectivePrologue(o.body.body),this.labels=J}this.exitScope()},ue.isSimpleParamList=function(o){for(var c=0,y=o;c<y.length;c+=1){var b=y[c];if(b.type!=="Identifier")return!1}return!0},ue.checkParams=function(o,c){for(var y={},b=0,C=o.params;b<C.length;b+=1){var M=C[b];this.checkLVal(M,Tr,c?null:y)}},ue.parseExprList=function(o,c,y,b){for(var C=[],M=!0;!this.eat(o);){if(M)M=!1;else if(this.expect(S.comma),c&&this.afterTrailingComma(o))break;var R=void 0;y&&this.type===S.comma?R=null:this.type===S.ellipsis?(R=this.parseSpread(b),b&&this.type===S.comma&&b.trailingComma<0&&(b.trailingComma=this.start)):R=this.parseMaybeAssign(!1,b),C.push(R)}return C},ue.checkUnreserved=function(o){var c=o.start,y=o.end,b=o.name;if(this.inGenerator&&b==="yield"&&this.raiseRecoverable(c,"Cannot use 'yield' as identifier inside a generator"),this.inAsync&&b==="await"&&this.raiseRecoverable(c,"Cannot use 'await' as identifier inside an async function"),this.keywords.test(b)&&this.raise(c,"Unexpected keyword '"+b+"'"),!(this.options.ecmaVersion<6&&this.input.slice(c,y).indexOf("\\")!==-1)){var C=this.strict?this.reservedWordsStrict:this.reservedWords;C.test(b)&&(!this.inAsync&&b==="await"&&this.raiseRecoverable(c,"Cannot use keyword 'await' outside an async function"),this.raiseRecoverable(c,"The keyword '"+b+"' is reserved"))}},ue.parseIdent=function(o,c){var y=this.startNode();return this.type===S.name?y.name=this.value:this.type.keyword?(y.name=this.type.keyword,(y.name==="class"||y.name==="function")&&(this.lastTokEnd!==this.lastTokStart+1||this.input.charCodeAt(this.lastTokStart)!==46)&&this.context.pop()):this.unexpected(),this.next(!!o),this.finishNode(y,"Identifier"),o||(this.checkUnreserved(y),y.name==="await"&&!this.awaitIdentPos&&(this.awaitIdentPos=y.start)),y},ue.parseYield=function(o){this.yieldPos||(this.yieldPos=this.start);var c=this.startNode();return this.next(),this.type===S.semi||this.canInsertSemicolon()||this.type!==S.star&&!this.type.startsExpr?(c.delegate=!1,c.argument=null):(c.delegate=this.eat(S.star),c.argument=this.parseMaybeAssign(o)),this.finishNode(c,"YieldExpression")},ue.parseAwait=function(){this.awaitPos||(this.awaitPos=this.start);var o=this.startNode();return this.next(),o.argument=this.parseMaybeUnary(null,!1),this.finishNode(o,"AwaitExpression")};var Wi=ge.prototype;Wi.raise=function(o,c){var y=dr(this.input,o);c+=" ("+y.line+":"+y.column+")";var b=new SyntaxError(c);throw b.pos=o,b.loc=y,b.raisedAt=this.pos,b},Wi.raiseRecoverable=Wi.raise,Wi.curPosition=function(){if(this.options.locations)return new Et(this.curLine,this.pos-this.lineStart)};var Lt=ge.prototype,em=n(function(c){this.flags=c,this.var=[],this.lexical=[],this.functions=[]},"Scope");Lt.enterScope=function(o){this.scopeStack.push(new em(o))},Lt.exitScope=function(){this.scopeStack.pop()},Lt.treatFunctionsAsVarInScope=function(o){return o.flags&Dt||!this.inModule&&o.flags&_t},Lt.declareName=function(o,c,y){var b=!1;if(c===He){var C=this.currentScope();b=C.lexical.indexOf(o)>-1||C.functions.indexOf(o)>-1||C.var.indexOf(o)>-1,C.lexical.push(o),this.inModule&&C.flags&_t&&delete this.undefinedExports[o]}else if(c===ou){var M=this.currentScope();M.lexical.push(o)}else if(c===li){var R=this.currentScope();this.treatFunctionsAsVar?b=R.lexical.indexOf(o)>-1:b=R.lexical.indexOf(o)>-1||R.var.indexOf(o)>-1,R.functions.push(o)}else for(var J=this.scopeStack.length-1;J>=0;--J){var G=this.scopeStack[J];if(G.lexical.indexOf(o)>-1&&!(G.flags&si&&G.lexical[0]===o)||!this.treatFunctionsAsVarInScope(G)&&G.functions.indexOf(o)>-1){b=!0;break}if(G.var.push(o),this.inModule&&G.flags&_t&&delete this.undefinedExports[o],G.flags&yr)break}b&&this.raiseRecoverable(y,"Identifier '"+o+"' has already been declared")},Lt.checkLocalExport=function(o){this.scopeStack[0].lexical.indexOf(o.name)===-1&&this.scopeStack[0].var.indexOf(o.name)===-1&&(this.undefinedExports[o.name]=o)},Lt.currentScope=function(){return this.scopeStack[this.scopeStack.length-1]},Lt.currentVarScope=function(){for(var o=this.scopeStack.length-1;;o--){var c=this.scopeStack[o];if(c.flags&yr)return c}},Lt.currentThisScope=function(){for(var o=this.scopeStack.length-1;;o--){var c=this.scopeStack[o];if(c.flags&yr&&!(c.flags&ii))return c}};var $i=n(function(c,y,b){this.type="",this.start=y,this.end=0,c.options.locations&&(this.loc=new kt(c,b)),c.options.directSourceFile&&(this.sourceFile=c.options.directSourceFile),c.options.ranges&&(this.range=[y,0])},"Node"),zi=ge.prototype;zi.startNode=function(){return new $i(this,this.start,this.startLoc)},zi.startNodeAt=function(o,c){return new $i(this,o,c)};function cu(o,c,y,b){return o.type=c,o.end=y,this.options.locations&&(o.loc.end=b),this.options.ranges&&(o.range[1]=y),o}n(cu,"finishNodeAt"),zi.finishNode=function(o,c){return cu.call(this,o,c,this.lastTokEnd,this.lastTokEndLoc)},zi.finishNodeAt=function(o,c,y,b){return cu.call(this,o,c,y,b)};var Ge=n(function(c,y,b,C,M){this.token=c,this.isExpr=!!y,this.preserveSpace=!!b,this.override=C,this.generator=!!M},"TokContext"),Pe={b_stat:new Ge("{",!1),b_expr:new Ge("{",!0),b_tmpl:new Ge("${",!1),p_stat:new Ge("(",!1),p_expr:new Ge("(",!0),q_tmpl:new Ge("`",!0,!0,function(o){return o.tryReadTemplateToken()}),f_stat:new Ge("function",!1),f_expr:new Ge("function",!0),f_expr_gen:new Ge("function",!0,!1,null,!0),f_gen:new Ge("function",!1,!1,null,!0)},Hi=ge.prototype;Hi.initialContext=function(){return[Pe.b_stat]},Hi.braceIsBlock=function(o){var c=this.curContext();return c===Pe.f_expr||c===Pe.f_stat?!0:o===S.colon&&(c===Pe.b_stat||c===Pe.b_expr)?!c.isExpr:o===S._return||o===S.name&&this.exprAllowed?we.test(this.input.slice(this.lastTokEnd,this.start)):o===S._else||o===S.semi||o===S.eof||o===S.parenR||o===S.arrow?!0:o===S.braceL?c===Pe.b_stat:o===S._var||o===S._const||o===S.name?!1:!this.exprAllowed},Hi.inGeneratorContext=function(){for(var o=this.context.length-1;o>=1;o--){var c=this.context[o];if(c.token==="function")return c.generator}return!1},Hi.updateContext=function(o){var c,y=this.type;y.keyword&&o===S.dot?this.exprAllowed=!1:(c=y.updateContext)?c.call(this,o):this.exprAllowed=y.beforeExpr},S.parenR.updateContext=S.braceR.updateContext=function(){if(this.context.length===1){this.exprAllowed=!0;return}var o=this.context.pop();o===Pe.b_stat&&this.curContext().token==="function"&&(o=this.context.pop()),this.exprAllowed=!o.isExpr},S.braceL.updateContext=function(o){this.context.push(this.braceIsBlock(o)?Pe.b_stat:Pe.b_expr),this.exprAllowed=!0},S.dollarBraceL.updateContext=function(){this.context.push(Pe.b_tmpl),this.exprAllowed=!0},S.parenL.updateContext=function(o){var c=o===S._if||o===S._for||o===S._with||o===S._while;this.context.push(c?Pe.p_stat:Pe.p_expr),this.exprAllowed=!0},S.incDec.updateContext=function(){},S._function.updateContext=S._class.updateContext=function(o){o.beforeExpr&&o!==S.semi&&o!==S._else&&!(o===S._return&&we.test(this.input.slice(this.lastTokEnd,this.start)))&&!((o===S.colon||o===S.braceL)&&this.curContext()===Pe.b_stat)?this.context.push(Pe.f_expr):this.context.push(Pe.f_stat),this.exprAllowed=!1},S.backQuote.updateContext=function(){this.curContext()===Pe.q_tmpl?this.context.pop():this.context.push(Pe.q_tmpl),this.exprAllowed=!1},S.star.updateContext=function(o){if(o===S._function){var c=this.context.length-1;this.context[c]===Pe.f_expr?this.context[c]=Pe.f_expr_gen:this.context[c]=Pe.f_gen}this.exprAllowed=!0},S.name.updateContext=function(o){var c=!1;this.options.ecmaVersion>=6&&o!==S.dot&&(this.value==="of"&&!this.exprAllowed||this.value==="yield"&&this.inGeneratorContext())&&(c=!0),this.exprAllowed=c};var pu="ASCII ASCII_Hex_Digit AHex Alphabetic Alpha Any Assigned Bidi_Control Bidi_C Bidi_Mirrored Bidi_M Case_Ignorable CI Cased Changes_When_Casefolded CWCF Changes_When_Casemapped CWCM Changes_When_Lowercased CWL Changes_When_NFKC_Casefolded CWKCF Changes_When_Titlecased CWT Changes_When_Uppercased CWU Dash Default_Ignorable_Code_Point DI Deprecated Dep Diacritic Dia Emoji Emoji_Component Emoji_Modifier Emoji_Modifier_Base Emoji_Presentation Extender Ext Grapheme_Base Gr_Base Grapheme_Extend Gr_Ext Hex_Digit Hex IDS_Binary_Operator IDSB IDS_Trinary_Operator IDST ID_Continue IDC ID_Start IDS Ideographic Ideo Join_Control Join_C Logical_Order_Exception LOE Lowercase Lower Math Noncharacter_Code_Point NChar Pattern_Syntax Pat_Syn Pattern_White_Space Pat_WS Quotation_Mark QMark Radical Regional_Indicator RI Sentence_Terminal STerm Soft_Dotted SD Terminal_Punctuation Term Unified_Ideograph UIdeo Uppercase Upper Variation_Selector VS White_Space space XID_Continue XIDC XID_Start XIDS",fu=pu+" Extended_Pictographic",tm=fu,rm={9:pu,10:fu,11:tm},hu="Cased_Letter LC Close_Punctuation Pe Connector_Punctuation Pc Control Cc cntrl Currency_Symbol Sc Dash_Punctuation Pd Decimal_Number Nd digit Enclosing_Mark Me Final_Punctuation Pf Format Cf Initial_Punctuation Pi Letter L Letter_Number Nl Line_Separator Zl Lowercase_Letter Ll Mark M Combining_Mark Math_Symbol Sm Modifier_Letter Lm Modifier_Symbol Sk Nonspacing_Mark Mn Number N Open_Punctuation Ps Other C Other_Letter Lo Other_Number No Other_Punctuation Po Other_Symbol So Paragraph_Separator Zp Private_Use Co Punctuation P punct Separator Z Space_Separator Zs Spacing_Mark Mc Surrogate Cs Symbol S Titlecase_Letter Lt Unassigned Cn Uppercase_Letter Lu",du="Adlam Adlm Ahom Ahom Anatolian_Hieroglyphs Hluw Arabic Arab Armenian Armn Avestan Avst Balinese Bali Bamum Bamu Bassa_Vah Bass Batak Batk Bengali Beng Bhaiksuki Bhks Bopomofo Bopo Brahmi Brah Braille Brai Buginese Bugi Buhid Buhd Canadian_Aboriginal Cans Carian Cari Caucasian_Albanian Aghb Chakma Cakm Cham Cham Cherokee Cher Common Zyyy Coptic Copt Qaac Cuneiform Xsux Cypriot Cprt Cyrillic Cyrl Deseret Dsrt Devanagari Deva Duployan Dupl Egyptian_Hieroglyphs Egyp Elbasan Elba Ethiopic Ethi Georgian Geor Glagolitic Glag Gothic Goth Grantha Gran Greek Grek Gujarati Gujr Gurmukhi Guru Han Hani Hangul Hang Hanunoo Hano Hatran Hatr Hebrew Hebr Hiragana Hira Imperial_Aramaic Armi Inherited Zinh Qaai Inscriptional_Pahlavi Phli Inscriptional_Parthian Prti Javanese Java Kaithi Kthi Kannada Knda Katakana Kana Kayah_Li Kali Kharoshthi Khar Khmer Khmr Khojki Khoj Khudawadi Sind Lao Laoo Latin Latn Lepcha Lepc Limbu Limb Linear_A Lina Linear_B Linb Lisu Lisu Lycian Lyci Lydian Lydi Mahajani Mahj Malayalam Mlym Mandaic Mand Manichaean Mani Marchen Marc Masaram_Gondi Gonm Meetei_Mayek Mtei Mende_Kikakui Mend Meroitic_Cursive Merc Meroitic_Hieroglyphs Mero Miao Plrd Modi Modi Mongolian Mong Mro Mroo Multani Mult Myanmar Mymr Nabataean Nbat New_Tai_Lue Talu Newa Newa Nko Nkoo Nushu Nshu Ogham Ogam Ol_Chiki Olck Old_Hungarian Hung Old_Italic Ital Old_North_Arabian Narb Old_Permic Perm Old_Persian Xpeo Old_South_Arabian Sarb Old_Turkic Orkh Oriya Orya Osage Osge Osmanya Osma Pahawh_Hmong Hmng Palmyrene Palm Pau_Cin_Hau Pauc Phags_Pa Phag Phoenician Phnx Psalter_Pahlavi Phlp Rejang Rjng Runic Runr Samaritan Samr Saurashtra Saur Sharada Shrd Shavian Shaw Siddham Sidd SignWriting Sgnw Sinhala Sinh Sora_Sompeng Sora Soyombo Soyo Sundanese Sund Syloti_Nagri Sylo Syriac Syrc Tagalog Tglg Tagbanwa Tagb Tai_Le Tale Tai_Tham Lana Tai_Viet Tavt Takri Takr Tamil Taml Tangut Tang Telugu Telu Thaana Thaa Thai Thai Tibetan Tibt Tifinagh Tfng Tirhuta Tirh Ugaritic Ugar Vai Vaii Warang_Citi Wara Yi Yiii Zanabazar_Square Zanb",yu=du+" Dogra Dogr Gunjala_Gondi Gong Hanifi_Rohingya Rohg Makasar Maka Medefaidrin Medf Old_Sogdian Sogo Sogdian Sogd",im=yu+" Elymaic Elym Nandinagari Nand Nyiakeng_Puachue_Hmong Hmnp Wancho Wcho",sm={9:du,10:yu,11:im},mu={};function un(o){var c=mu[o]={binary:lt(rm[o]+" "+hu),nonBinary:{General_Category:lt(hu),Script:lt(sm[o])}};c.nonBinary.Script_Extensions=c.nonBinary.Script,c.nonBinary.gc=c.nonBinary.General_Category,c.nonBinary.sc=c.nonBinary.Script,c.nonBinary.scx=c.nonBinary.Script_Extensions}n(un,"buildUnicodeData"),un(9),un(10),un(11);var re=ge.prototype,Pt=n(function(c){this.parser=c,this.validFlags="gim"+(c.options.ecmaVersion>=6?"uy":"")+(c.options.ecmaVersion>=9?"s":""),this.unicodeProperties=mu[c.options.ecmaVersion>=11?11:c.options.ecmaVersion],this.source="",this.flags="",this.start=0,this.switchU=!1,this.switchN=!1,this.pos=0,this.lastIntValue=0,this.lastStringValue="",this.lastAssertionIsQuantifiable=!1,this.numCapturingParens=0,this.maxBackReference=0,this.groupNames=[],this.backReferenceNames=[]},"RegExpValidationState");Pt.prototype.reset=n(function(c,y,b){var C=b.indexOf("u")!==-1;this.start=c|0,this.source=y+"",this.flags=b,this.switchU=C&&this.parser.options.ecmaVersion>=6,this.switchN=C&&this.parser.options.ecmaVersion>=9},"reset"),Pt.prototype.raise=n(function(c){this.parser.raiseRecoverable(this.start,"Invalid regular expression: /"+this.source+"/: "+c)},"raise"),Pt.prototype.at=n(function(c,y){y===void 0&&(y=!1);var b=this.source,C=b.length;if(c>=C)return-1;var M=b.charCodeAt(c);if(!(y||this.switchU)||M<=55295||M>=57344||c+1>=C)return M;var R=b.charCodeAt(c+1);return R>=56320&&R<=57343?(M<<10)+R-56613888:M},"at"),Pt.prototype.nextIndex=n(function(c,y){y===void 0&&(y=!1);var b=this.source,C=b.length;if(c>=C)return C;var M=b.charCodeAt(c),R;return!(y||this.switchU)||M<=55295||M>=57344||c+1>=C||(R=b.charCodeAt(c+1))<56320||R>57343?c+1:c+2},"nextIndex"),Pt.prototype.current=n(function(c){return c===void 0&&(c=!1),this.at(this.pos,c)},"current"),Pt.prototype.lookahead=n(function(c){return c===void 0&&(c=!1),this.at(this.nextIndex(this.pos,c),c)},"lookahead"),Pt.prototype.advance=n(function(c){c===void 0&&(c=!1),this.pos=this.nextIndex(this.pos,c)},"advance"),Pt.prototype.eat=n(function(c,y){return y===void 0&&(y=!1),this.current(y)===c?(this.advance(y),!0):!1},"eat");function Gi(o){return o<=65535?String.fromCharCode(o):(o-=65536,String.fromCharCode((o>>10)+55296,(o&1023)+56320))}n(Gi,"codePointToString"),re.validateRegExpFlags=function(o){for(var c=o.validFlags,y=o.flags,b=0;b<y.length;b++){var C=y.charAt(b);c.indexOf(C)===-1&&this.raise(o.start,"Invalid regular expression flag"),y.indexOf(C,b+1)>-1&&this.raise(o.start,"Duplicate regular expression flag")}},re.validateRegExpPattern=function(o){this.regexp_pattern(o),!o.switchN&&this.options.ecmaVersion>=9&&o.groupNames.length>0&&(o.switchN=!0,this.regexp_pattern(o))},re.regexp_pattern=function(o){o.pos=0,o.lastIntValue=0,o.lastStringValue="",o.lastAssertionIsQuantifiable=!1,o.numCapturingParens=0,o.maxBackReference=0,o.groupNames.length=0,o.backReferenceNames.length=0,this.regexp_disjunction(o),o.pos!==o.source.length&&(o.eat(41)&&o.raise("Unmatched ')'"),(o.eat(93)||o.eat(125))&&o.raise("Lone quantifier brackets")),o.maxBackReference>o.numCapturingParens&&o.raise("Invalid escape");for(var c=0,y=o.backReferenceNames;c<y.length;c+=1){var b=y[c];o.groupNames.indexOf(b)===-1&&o.raise("Invalid named capture referenced")}},re.regexp_disjunction=function(o){for(this.regexp_alternative(o);o.eat(124);)this.regexp_alternative(o);this.regexp_eatQuantifier(o,!0)&&o.raise("Nothing to repeat"),o.eat(123)&&o.raise("Lone quantifier brackets")},re.regexp_alternative=function(o){for(;o.pos<o.source.length&&this.regexp_eatTerm(o););},re.regexp_eatTerm=function(o){return this.regexp_eatAssertion(o)?(o.lastAssertionIsQuantifiable&&this.regexp_eatQuantifier(o)&&o.switchU&&o.raise("Invalid quantifier"),!0):(o.switchU?this.regexp_eatAtom(o):this.regexp_eatExtendedAtom(o))?(this.regexp_eatQuantifier(o),!0):!1},re.regexp_eatAssertion=function(o){var c=o.pos;if(o.lastAssertionIsQuantifiable=!1,o.eat(94)||o.eat(36))return!0;if(o.eat(92)){if(o.eat(66)||o.eat(98))return!0;o.pos=c}if(o.eat(40)&&o.eat(63)){var y=!1;if(this.options.ecmaVersion>=9&&(y=o.eat(60)),o.eat(61)||o.eat(33))return this.regexp_disjunction(o),o.eat(41)||o.raise("Unterminated group"),o.lastAssertionIsQuantifiable=!y,!0}return o.pos=c,!1},re.regexp_eatQuantifier=function(o,c){return c===void 0&&(c=!1),this.regexp_eatQuantifierPrefix(o,c)?(o.eat(63),!0):!1},re.regexp_eatQuantifierPrefix=function(o,c){return o.eat(42)||o.eat(43)||o.eat(63)||this.regexp_eatBracedQuantifier(o,c)},re.regexp_eatBracedQuantifier=function(o,c){var y=o.pos;if(o.eat(123)){var b=0,C=-1;if(this.regexp_eatDecimalDigits(o)&&(b=o.lastIntValue,o.eat(44)&&this.regexp_eatDecimalDigits(o)&&(C=o.lastIntValue),o.eat(125)))return C!==-1&&C<b&&!c&&o.raise("numbers out of order in {} quantifier"),!0;o.switchU&&!c&&o.raise("Incomplete quantifier"),o.pos=y}return!1},re.regexp_eatAtom=function(o){return this.regexp_eatPatternCharacters(o)||o.eat(46)||this.regexp_eatReverseSolidusAtomEscape(o)||this.regexp_eatCharacterClass(o)||this.regexp_eatUncapturingGroup(o)||this.regexp_eatCapturingGroup(o)},re.regexp_eatReverseSolidusAtomEscape=function(o){var c=o.pos;if(o.eat(92)){if(this.regexp_eatAtomEscape(o))return!0;o.pos=c}return!1},re.regexp_eatUncapturingGroup=function(o){var c=o.pos;if(o.eat(40)){if(o.eat(63)&&o.eat(58)){if(this.regexp_disjunction(o),o.eat(41))return!0;o.raise("Unterminated group")}o.pos=c}return!1},re.regexp_eatCapturingGroup=function(o){if(o.eat(40)){if(this.options.ecmaVersion>=9?this.regexp_groupSpecifier(o):o.current()===63&&o.raise("Invalid group"),this.regexp_disjunction(o),o.eat(41))return o.numCapturingParens+=1,!0;o.raise("Unterminated group")}return!1},re.regexp_eatExtendedAtom=function(o){return o.eat(46)||this.regexp_eatReverseSolidusAtomEscape(o)||this.regexp_eatCharacterClass(o)||this.regexp_eatUncapturingGroup(o)||this.regexp_eatCapturingGroup(o)||this.regexp_eatInvalidBracedQuantifier(o)||this.regexp_eatExtendedPatternCharacter(o)},re.regexp_eatInvalidBracedQuantifier=function(o){return this.regexp_eatBracedQuantifier(o,!0)&&o.raise("Nothing to repeat"),!1},re.regexp_eatSyntaxCharacter=function(o){var c=o.current();return Tu(c)?(o.lastIntValue=c,o.advance(),!0):!1};function Tu(o){return o===36||o>=40&&o<=43||o===46||o===63||o>=91&&o<=94||o>=123&&o<=125}n(Tu,"isSyntaxCharacter"),re.regexp_eatPatternCharacters=function(o){for(var c=o.pos,y=0;(y=o.current())!==-1&&!Tu(y);)o.advance();return o.pos!==c},re.regexp_eatExtendedPatternCharacter=function(o){var c=o.current();return c!==-1&&c!==36&&!(c>=40&&c<=43)&&c!==46&&c!==63&&c!==91&&c!==94&&c!==124?(o.advance(),!0):!1},re.regexp_groupSpecifier=function(o){if(o.eat(63)){if(this.regexp_eatGroupName(o)){o.groupNames.indexOf(o.lastStringValue)!==-1&&o.raise("Duplicate capture group name"),o.groupNames.push(o.lastStringValue);return}o.raise("Invalid group")}},re.regexp_eatGroupName=function(o){if(o.lastStringValue="",o.eat(60)){if(this.regexp_eatRegExpIdentifierName(o)&&o.eat(62))return!0;o.raise("Invalid capture group name")}return!1},re.regexp_eatRegExpIdentifierName=function(o){if(o.lastStringValue="",this.regexp_eatRegExpIdentifierStart(o)){for(o.lastStringValue+=Gi(o.lastIntValue);this.regexp_eatRegExpIdentifierPart(o);)o.lastStringValue+=Gi(o.lastIntValue);return!0}return!1},re.regexp_eatRegExpIdentifierStart=function(o){var c=o.pos,y=this.options.ecmaVersion>=11,b=o.current(y);return o.advance(y),b===92&&this.regexp_eatRegExpUnicodeEscapeSequence(o,y)&&(b=o.lastIntValue),nm(b)?(o.lastIntValue=b,!0):(o.pos=c,!1)};function nm(o){return _(o,!0)||o===36||o===95}n(nm,"isRegExpIdentifierStart"),re.regexp_eatRegExpIdentifierPart=function(o){var c=o.pos,y=this.options.ecmaVersion>=11,b=o.current(y);return o.advance(y),b===92&&this.regexp_eatRegExpUnicodeEscapeSequence(o,y)&&(b=o.lastIntValue),am(b)?(o.lastIntValue=b,!0):(o.pos=c,!1)};function am(o){return F(o,!0)||o===36||o===95||o===8204||o===8205}n(am,"isRegExpIdentifierPart"),re.regexp_eatAtomEscape=function(o){return this.regexp_eatBackReference(o)||this.regexp_eatCharacterClassEscape(o)||this.regexp_eatCharacterEscape(o)||o.switchN&&this.regexp_eatKGroupName(o)?!0:(o.switchU&&(o.current()===99&&o.raise("Invalid unicode escape"),o.raise("Invalid escape")),!1)},re.regexp_eatBackReference=function(o){var c=o.pos;if(this.regexp_eatDecimalEscape(o)){var y=o.lastIntValue;if(o.switchU)return y>o.maxBackReference&&(o.maxBackReference=y),!0;if(y<=o.numCapturingParens)return!0;o.pos=c}return!1},re.regexp_eatKGroupName=function(o){if(o.eat(107)){if(this.regexp_eatGroupName(o))return o.backReferenceNames.push(o.lastStringValue),!0;o.raise("Invalid named reference")}return!1},re.regexp_eatCharacterEscape=function(o){return this.regexp_eatControlEscape(o)||this.regexp_eatCControlLetter(o)||this.regexp_eatZero(o)||this.regexp_eatHexEscapeSequence(o)||this.regexp_eatRegExpUnicodeEscapeSequence(o,!1)||!o.switchU&&this.regexp_eatLegacyOctalEscapeSequence(o)||this.regexp_eatIdentityEscape(o)},re.regexp_eatCControlLetter=function(o){var c=o.pos;if(o.eat(99)){if(this.regexp_eatControlLetter(o))return!0;o.pos=c}return!1},re.regexp_eatZero=function(o){return o.current()===48&&!Qi(o.lookahead())?(o.lastIntValue=0,o.advance(),!0):!1},re.regexp_eatControlEscape=function(o){var c=o.current();return c===116?(o.lastIntValue=9,o.advance(),!0):c===110?(o.lastIntValue=10,o.advance(),!0):c===118?(o.lastIntValue=11,o.advance(),!0):c===102?(o.lastIntValue=12,o.advance(),!0):c===114?(o.lastIntValue=13,o.advance(),!0):!1},re.regexp_eatControlLetter=function(o){var c=o.current();return xu(c)?(o.lastIntValue=c%32,o.advance(),!0):!1};function xu(o){return o>=65&&o<=90||o>=97&&o<=122}n(xu,"isControlLetter"),re.regexp_eatRegExpUnicodeEscapeSequence=function(o,c){c===void 0&&(c=!1);var y=o.pos,b=c||o.switchU;if(o.eat(117)){if(this.regexp_eatFixedHexDigits(o,4)){var C=o.lastIntValue;if(b&&C>=55296&&C<=56319){var M=o.pos;if(o.eat(92)&&o.eat(117)&&this.regexp_eatFixedHexDigits(o,4)){var R=o.lastIntValue;if(R>=56320&&R<=57343)return o.lastIntValue=(C-55296)*1024+(R-56320)+65536,!0}o.pos=M,o.lastIntValue=C}return!0}if(b&&o.eat(123)&&this.regexp_eatHexDigits(o)&&o.eat(125)&&om(o.lastIntValue))return!0;b&&o.raise("Invalid unicode escape"),o.pos=y}return!1};function om(o){return o>=0&&o<=1114111}n(om,"isValidUnicode"),re.regexp_eatIdentityEscape=function(o){if(o.switchU)return this.regexp_eatSyntaxCharacter(o)?!0:o.eat(47)?(o.lastIntValue=47,!0):!1;var c=o.current();return c!==99&&(!o.switchN||c!==107)?(o.lastIntValue=c,o.advance(),!0):!1},re.regexp_eatDecimalEscape=function(o){o.lastIntValue=0;var c=o.current();if(c>=49&&c<=57){do o.lastIntValue=10*o.lastIntValue+(c-48),o.advance();while((c=o.current())>=48&&c<=57);return!0}return!1},re.regexp_eatCharacterClassEscape=function(o){var c=o.current();if(lm(c))return o.lastIntValue=-1,o.advance(),!0;if(o.switchU&&this.options.ecmaVersion>=9&&(c===80||c===112)){if(o.lastIntValue=-1,o.advance(),o.eat(123)&&this.regexp_eatUnicodePropertyValueExpression(o)&&o.eat(125))return!0;o.raise("Invalid property name")}return!1};function lm(o){return o===100||o===68||o===115||o===83||o===119||o===87}n(lm,"isCharacterClassEscape"),re.regexp_eatUnicodePropertyValueExpression=function(o){var c=o.pos;if(this.regexp_eatUnicodePropertyName(o)&&o.eat(61)){var y=o.lastStringValue;if(this.regexp_eatUnicodePropertyValue(o)){var b=o.lastStringValue;return this.regexp_validateUnicodePropertyNameAndValue(o,y,b),!0}}if(o.pos=c,this.regexp_eatLoneUnicodePropertyNameOrValue(o)){var C=o.lastStringValue;return this.regexp_validateUnicodePropertyNameOrValue(o,C),!0}return!1},re.regexp_validateUnicodePropertyNameAndValue=function(o,c,y){Xt(o.unicodeProperties.nonBinary,c)||o.raise("Invalid property name"),o.unicodeProperties.nonBinary[c].test(y)||o.raise("Invalid property value")},re.regexp_validateUnicodePropertyNameOrValue=function(o,c){o.unicodeProperties.binary.test(c)||o.raise("Invalid property name")},re.regexp_eatUnicodePropertyName=function(o){var c=0;for(o.lastStringValue="";Su(c=o.current());)o.lastStringValue+=Gi(c),o.advance();return o.lastStringValue!==""};function Su(o){return xu(o)||o===95}n(Su,"isUnicodePropertyNameCharacter"),re.regexp_eatUnicodePropertyValue=function(o){var c=0;for(o.lastStringValue="";um(c=o.current());)o.lastStringValue+=Gi(c),o.advance();return o.lastStringValue!==""};function um(o){return Su(o)||Qi(o)}n(um,"isUnicodePropertyValueCharacter"),re.regexp_eatLoneUnicodePropertyNameOrValue=function(o){return this.regexp_eatUnicodePropertyValue(o)},re.regexp_eatCharacterClass=function(o){if(o.eat(91)){if(o.eat(94),this.regexp_classRanges(o),o.eat(93))return!0;o.raise("Unterminated character class")}return!1},re.regexp_classRanges=function(o){for(;this.regexp_eatClassAtom(o);){var c=o.lastIntValue;if(o.eat(45)&&this.regexp_eatClassAtom(o)){var y=o.lastIntValue;o.switchU&&(c===-1||y===-1)&&o.raise("Invalid character class"),c!==-1&&y!==-1&&c>y&&o.raise("Range out of order in character class")}}},re.regexp_eatClassAtom=function(o){var c=o.pos;if(o.eat(92)){if(this.regexp_eatClassEscape(o))return!0;if(o.switchU){var y=o.current();(y===99||gu(y))&&o.raise("Invalid class escape"),o.raise("Invalid escape")}o.pos=c}var b=o.current();return b!==93?(o.lastIntValue=b,o.advance(),!0):!1},re.regexp_eatClassEscape=function(o){var c=o.pos;if(o.eat(98))return o.lastIntValue=8,!0;if(o.switchU&&o.eat(45))return o.lastIntValue=45,!0;if(!o.switchU&&o.eat(99)){if(this.regexp_eatClassControlLetter(o))return!0;o.pos=c}return this.regexp_eatCharacterClassEscape(o)||this.regexp_eatCharacterEscape(o)},re.regexp_eatClassControlLetter=function(o){var c=o.current();return Qi(c)||c===95?(o.lastIntValue=c%32,o.advance(),!0):!1},re.regexp_eatHexEscapeSequence=function(o){var c=o.pos;if(o.eat(120)){if(this.regexp_eatFixedHexDigits(o,2))return!0;o.switchU&&o.raise("Invalid escape"),o.pos=c}return!1},re.regexp_eatDecimalDigits=function(o){var c=o.pos,y=0;for(o.lastIntValue=0;Qi(y=o.current());)o.lastIntValue=10*o.lastIntValue+(y-48),o.advance();return o.pos!==c};function Qi(o){return o>=48&&o<=57}n(Qi,"isDecimalDigit"),re.regexp_eatHexDigits=function(o){var c=o.pos,y=0;for(o.lastIntValue=0;bu(y=o.current());)o.lastIntValue=16*o.lastIntValue+Eu(y),o.advance();return o.pos!==c};function bu(o){return o>=48&&o<=57||o>=65&&o<=70||o>=97&&o<=102}n(bu,"isHexDigit");function Eu(o){return o>=65&&o<=70?10+(o-65):o>=97&&o<=102?10+(o-97):o-48}n(Eu,"hexToInt"),re.regexp_eatLegacyOctalEscapeSequence=function(o){if(this.regexp_eatOctalDigit(o)){var c=o.lastIntValue;if(this.regexp_eatOctalDigit(o)){var y=o.lastIntValue;c<=3&&this.regexp_eatOctalDigit(o)?o.lastIntValue=c*64+y*8+o.lastIntValue:o.lastIntValue=c*8+y}else o.lastIntValue=c;return!0}return!1},re.regexp_eatOctalDigit=function(o){var c=o.current();return gu(c)?(o.lastIntValue=c-48,o.advance(),!0):(o.lastIntValue=0,!1)};function gu(o){return o>=48&&o<=55}n(gu,"isOctalDigit"),re.regexp_eatFixedHexDigits=function(o,c){var y=o.pos;o.lastIntValue=0;for(var b=0;b<c;++b){var C=o.current();if(!bu(C))return o.pos=y,!1;o.lastIntValue=16*o.lastIntValue+Eu(C),o.advance()}return!0};var Zi=n(function(c){this.type=c.type,this.value=c.value,this.start=c.start,this.end=c.end,c.options.locations&&(this.loc=new kt(c,c.startLoc,c.endLoc)),c.options.ranges&&(this.range=[c.start,c.end])},"Token"),fe=ge.prototype;fe.next=function(o){!o&&this.type.keyword&&this.containsEsc&&this.raiseRecoverable(this.start,"Escape sequence in keyword "+this.type.keyword),this.options.onToken&&this.options.onToken(new Zi(this)),this.lastTokEnd=this.end,this.lastTokStart=this.start,this.lastTokEndLoc=this.endLoc,this.lastTokStartLoc=this.startLoc,this.nextToken()},fe.getToken=function(){return this.next(),new Zi(this)},typeof Symbol<"u"&&(fe[Symbol.iterator]=function(){var o=this;return{next:n(function(){var c=o.getToken();return{done:c.type===S.eof,value:c}},"next")}}),fe.curContext=function(){return this.context[this.context.length-1]},fe.nextToken=function(){var o=this.curContext();if((!o||!o.preserveSpace)&&this.skipSpace(),this.start=this.pos,this.options.locations&&(this.startLoc=this.curPosition()),this.pos>=this.input.length)return this.finishToken(S.eof);if(o.override)return o.override(this);this.readToken(this.fullCharCodeAtPos())},fe.readToken=function(o){return _(o,this.options.ecmaVersion>=6)||o===92?this.readWord():this.getTokenFromCode(o)},fe.fullCharCodeAtPos=function(){var o=this.input.charCodeAt(this.pos);if(o<=55295||o>=57344)return o;var c=this.input.charCodeAt(this.pos+1);return(o<<10)+c-56613888},fe.skipBlockComment=function(){var o=this.options.onComment&&this.curPosition(),c=this.pos,y=this.input.indexOf("*/",this.pos+=2);if(y===-1&&this.raise(this.pos-2,"Unterminated comment"),this.pos=y+2,this.options.locations){Ie.lastIndex=c;for(var b;(b=Ie.exec(this.input))&&b.index<this.pos;)++this.curLine,this.lineStart=b.index+b[0].length}this.options.onComment&&this.options.onComment(!0,this.input.slice(c+2,y),c,this.pos,o,this.curPosition())},fe.skipLineComment=function(o){for(var c=this.pos,y=this.options.onComment&&this.curPosition(),b=this.input.charCodeAt(this.pos+=o);this.pos<this.input.length&&!Je(b);)b=this.input.charCodeAt(++this.pos);this.options.onComment&&this.options.onComment(!1,this.input.slice(c+o,this.pos),c,this.pos,y,this.curPosition())},fe.skipSpace=function(){e:for(;this.pos<this.input.length;){var o=this.input.charCodeAt(this.pos);switch(o){case 32:case 160:++this.pos;break;case 13:this.input.charCodeAt(this.pos+1)===10&&++this.pos;case 10:case 8232:case 8233:++this.pos,this.options.locations&&(++this.curLine,this.lineStart=this.pos);break;case 47:switch(this.input.charCodeAt(this.pos+1)){case 42:this.skipBlockComment();break;case 47:this.skipLineComment(2);break;default:break e}break;default:if(o>8&&o<14||o>=5760&&Ot.test(String.fromCharCode(o)))++this.pos;else break e}}},fe.finishToken=function(o,c){this.end=this.pos,this.options.locations&&(this.endLoc=this.curPosition());var y=this.type;this.type=o,this.value=c,this.updateContext(y)},fe.readToken_dot=function(){var o=this.input.charCodeAt(this.pos+1);if(o>=48&&o<=57)return this.readNumber(!0);var c=this.input.charCodeAt(this.pos+2);return this.options.ecmaVersion>=6&&o===46&&c===46?(this.pos+=3,this.finishToken(S.ellipsis)):(++this.pos,this.finishToken(S.dot))},fe.readToken_slash=function(){var o=this.input.charCodeAt(this.pos+1);return this.exprAllowed?(++this.pos,this.readRegexp()):o===61?this.finishOp(S.assign,2):this.finishOp(S.slash,1)},fe.readToken_mult_modulo_exp=function(o){var c=this.input.charCodeAt(this.pos+1),y=1,b=o===42?S.star:S.modulo;return this.options.ecmaVersion>=7&&o===42&&c===42&&(++y,b=S.starstar,c=this.input.charCodeAt(this.pos+2)),c===61?this.finishOp(S.assign,y+1):this.finishOp(b,y)},fe.readToken_pipe_amp=function(o){var c=this.input.charCodeAt(this.pos+1);if(c===o){if(this.options.ecmaVersion>=12){var y=this.input.charCodeAt(this.pos+2);if(y===61)return this.finishOp(S.assign,3)}return this.finishOp(o===124?S.logicalOR:S.logicalAND,2)}return c===61?this.finishOp(S.assign,2):this.finishOp(o===124?S.bitwiseOR:S.bitwiseAND,1)},fe.readToken_caret=function(){var o=this.input.charCodeAt(this.pos+1);return o===61?this.finishOp(S.assign,2):this.finishOp(S.bitwiseXOR,1)},fe.readToken_plus_min=function(o){var c=this.input.charCodeAt(this.pos+1);return c===o?c===45&&!this.inModule&&this.input.charCodeAt(this.pos+2)===62&&(this.lastTokEnd===0||we.test(this.input.slice(this.lastTokEnd,this.pos)))?(this.skipLineComment(3),this.skipSpace(),this.nextToken()):this.finishOp(S.incDec,2):c===61?this.finishOp(S.assign,2):this.finishOp(S.plusMin,1)},fe.readToken_lt_gt=function(o){var c=this.input.charCodeAt(this.pos+1),y=1;return c===o?(y=o===62&&this.input.charCodeAt(this.pos+2)===62?3:2,this.input.charCodeAt(this.pos+y)===61?this.finishOp(S.assign,y+1):this.finishOp(S.bitShift,y)):c===33&&o===60&&!this.inModule&&this.input.charCodeAt(this.pos+2)===45&&this.input.charCodeAt(this.pos+3)===45?(this.skipLineComment(4),this.skipSpace(),this.nextToken()):(c===61&&(y=2),this.finishOp(S.relational,y))},fe.readToken_eq_excl=function(o){var c=this.input.charCodeAt(this.pos+1);return c===61?this.finishOp(S.equality,this.input.charCodeAt(this.pos+2)===61?3:2):o===61&&c===62&&this.options.ecmaVersion>=6?(this.pos+=2,this.finishToken(S.arrow)):this.finishOp(o===61?S.eq:S.prefix,1)},fe.readToken_question=function(){var o=this.options.ecmaVersion;if(o>=11){var c=this.input.charCodeAt(this.pos+1);if(c===46){var y=this.input.charCodeAt(this.pos+2);if(y<48||y>57)return this.finishOp(S.questionDot,2)}if(c===63){if(o>=12){var b=this.input.charCodeAt(this.pos+2);if(b===61)return this.finishOp(S.assign,3)}return this.finishOp(S.coalesce,2)}}return this.finishOp(S.question,1)},fe.getTokenFromCode=function(o){switch(o){case 46:return this.readToken_dot();case 40:return++this.pos,this.finishToken(S.parenL);case 41:return++this.pos,this.finishToken(S.parenR);case 59:return++this.pos,this.finishToken(S.semi);case 44:return++this.pos,this.finishToken(S.comma);case 91:return++this.pos,this.finishToken(S.bracketL);case 93:return++this.pos,this.finishToken(S.bracketR);case 123:return++this.pos,this.finishToken(S.braceL);case 125:return++this.pos,this.finishToken(S.braceR);case 58:return++this.pos,this.finishToken(S.colon);case 96:if(this.options.ecmaVersion<6)break;return++this.pos,this.finishToken(S.backQuote);case 48:var c=this.input.charCodeAt(this.pos+1);if(c===120||c===88)return this.readRadixNumber(16);if(this.options.ecmaVersion>=6){if(c===111||c===79)return this.readRadixNumber(8);if(c===98||c===66)return this.readRadixNumber(2)}case 49:case 50:case 51:case 52:case 53:case 54:case 55:case 56:case 57:return this.readNumber(!1);case 34:case 39:return this.readString(o);case 47:return this.readToken_slash();case 37:case 42:return this.readToken_mult_modulo_exp(o);case 124:case 38:return this.readToken_pipe_amp(o);case 94:return this.readToken_caret();case 43:case 45:return this.readToken_plus_min(o);case 60:case 62:return this.readToken_lt_gt(o);case 61:case 33:return this.readToken_eq_excl(o);case 63:return this.readToken_question();case 126:return this.finishOp(S.prefix,1)}this.raise(this.pos,"Unexpected character '"+cn(o)+"'")},fe.finishOp=function(o,c){var y=this.input.slice(this.pos,this.pos+c);return this.pos+=c,this.finishToken(o,y)},fe.readRegexp=function(){for(var o,c,y=this.pos;;){this.pos>=this.input.length&&this.raise(y,"Unterminated regular expression");var b=this.input.charAt(this.pos);if(we.test(b)&&this.raise(y,"Unterminated regular expression"),o)o=!1;else{if(b==="[")c=!0;else if(b==="]"&&c)c=!1;else if(b==="/"&&!c)break;o=b==="\\"}++this.pos}var C=this.input.slice(y,this.pos);++this.pos;var M=this.pos,R=this.readWord1();this.containsEsc&&this.unexpected(M);var J=this.regexpState||(this.regexpState=new Pt(this));J.reset(y,C,R),this.validateRegExpFlags(J),this.validateRegExpPattern(J);var G=null;try{G=new RegExp(C,R)}catch{}return this.finishToken(S.regexp,{pattern:C,flags:R,value:G})},fe.readInt=function(o,c,y){for(var b=this.options.ecmaVersion>=12&&c===void 0,C=y&&this.input.charCodeAt(this.pos)===48,M=this.pos,R=0,J=0,G=0,he=c??1/0;G<he;++G,++this.pos){var Se=this.input.charCodeAt(this.pos),_e=void 0;if(b&&Se===95){C&&this.raiseRecoverable(this.pos,"Numeric separator is not allowed in legacy octal numeric literals"),J===95&&this.raiseRecoverable(this.pos,"Numeric separator must be exactly one underscore"),G===0&&this.raiseRecoverable(this.pos,"Numeric separator is not allowed at the first of digits"),J=Se;continue}if(Se>=97?_e=Se-97+10:Se>=65?_e=Se-65+10:Se>=48&&Se<=57?_e=Se-48:_e=1/0,_e>=o)break;J=Se,R=R*o+_e}return b&&J===95&&this.raiseRecoverable(this.pos-1,"Numeric separator is not allowed at the last of digits"),this.pos===M||c!=null&&this.pos-M!==c?null:R};function cm(o,c){return c?parseInt(o,8):parseFloat(o.replace(/_/g,""))}n(cm,"stringToNumber");function Pu(o){return typeof BigInt!="function"?null:BigInt(o.replace(/_/g,""))}n(Pu,"stringToBigInt"),fe.readRadixNumber=function(o){var c=this.pos;this.pos+=2;var y=this.readInt(o);return y==null&&this.raise(this.start+2,"Expected number in radix "+o),this.options.ecmaVersion>=11&&this.input.charCodeAt(this.pos)===110?(y=Pu(this.input.slice(c,this.pos)),++this.pos):_(this.fullCharCodeAtPos())&&this.raise(this.pos,"Identifier directly after number"),this.finishToken(S.num,y)},fe.readNumber=function(o){var c=this.pos;!o&&this.readInt(10,void 0,!0)===null&&this.raise(c,"Invalid number");var y=this.pos-c>=2&&this.input.charCodeAt(c)===48;y&&this.strict&&this.raise(c,"Invalid number");var b=this.input.charCodeAt(this.pos);if(!y&&!o&&this.options.ecmaVersion>=11&&b===110){var C=Pu(this.input.slice(c,this.pos));return++this.pos,_(this.fullCharCodeAtPos())&&this.raise(this.pos,"Identifier directly after number"),this.finishToken(S.num,C)}y&&/[89]/.test(this.input.slice(c,this.pos))&&(y=!1),b===46&&!y&&(++this.pos,this.readInt(10),b=this.input.charCodeAt(this.pos)),(b===69||b===101)&&!y&&(b=this.input.charCodeAt(++this.pos),(b===43||b===45)&&++this.pos,this.readInt(10)===null&&this.raise(c,"Invalid number")),_(this.fullCharCodeAtPos())&&this.raise(this.pos,"Identifier directly after number");var M=cm(this.input.slice(c,this.pos),y);return this.finishToken(S.num,M)},fe.readCodePoint=function(){var o=this.input.charCodeAt(this.pos),c;if(o===123){this.options.ecmaVersion<6&&this.unexpected();var y=++this.pos;c=this.readHexChar(this.input.indexOf("}",this.pos)-this.pos),++this.pos,c>1114111&&this.invalidStringToken(y,"Code point out of bounds")}else c=this.readHexChar(4);return c};function cn(o){return o<=65535?String.fromCharCode(o):(o-=65536,String.fromCharCode((o>>10)+55296,(o&1023)+56320))}n(cn,"codePointToString$1"),fe.readString=function(o){for(var c="",y=++this.pos;;){this.pos>=this.input.length&&this.raise(this.start,"Unterminated string constant");var b=this.input.charCodeAt(this.pos);if(b===o)break;b===92?(c+=this.input.slice(y,this.pos),c+=this.readEscapedChar(!1),y=this.pos):(Je(b,this.options.ecmaVersion>=10)&&this.raise(this.start,"Unterminated string constant"),++this.pos)}return c+=this.input.slice(y,this.pos++),this.finishToken(S.string,c)};var vu={};fe.tryReadTemplateToken=function(){this.inTemplateElement=!0;try{this.readTmplToken()}catch(o){if(o===vu)this.readInvalidTemplateToken();else throw o}this.inTemplateElement=!1},fe.invalidStringToken=function(o,c){if(this.inTemplateElement&&this.options.ecmaVersion>=9)throw vu;this.raise(o,c)},fe.readTmplToken=function(){for(var o="",c=this.pos;;){this.pos>=this.input.length&&this.raise(this.start,"Unterminated template");var y=this.input.charCodeAt(this.pos);if(y===96||y===36&&this.input.charCodeAt(this.pos+1)===123)return this.pos===this.start&&(this.type===S.template||this.type===S.invalidTemplate)?y===36?(this.pos+=2,this.finishToken(S.dollarBraceL)):(++this.pos,this.finishToken(S.backQuote)):(o+=this.input.slice(c,this.pos),this.finishToken(S.template,o));if(y===92)o+=this.input.slice(c,this.pos),o+=this.readEscapedChar(!0),c=this.pos;else if(Je(y)){switch(o+=this.input.slice(c,this.pos),++this.pos,y){case 13:this.input.charCodeAt(this.pos)===10&&++this.pos;case 10:o+=`
+`;break;default:o+=String.fromCharCode(y);break}this.options.locations&&(++this.curLine,this.lineStart=this.pos),c=this.pos}else++this.pos}},fe.readInvalidTemplateToken=function(){for(;this.pos<this.input.length;this.pos++)switch(this.input[this.pos]){case"\\":++this.pos;break;case"$":if(this.input[this.pos+1]!=="{")break;case"`":return this.finishToken(S.invalidTemplate,this.input.slice(this.start,this.pos))}this.raise(this.start,"Unterminated template")},fe.readEscapedChar=function(o){var c=this.input.charCodeAt(++this.pos);switch(++this.pos,c){case 110:return`
+`;case 114:return"\r";case 120:return String.fromCharCode(this.readHexChar(2));case 117:return cn(this.readCodePoint());case 116:return"	";case 98:return"\b";case 118:return"\v";case 102:return"\f";case 13:this.input.charCodeAt(this.pos)===10&&++this.pos;case 10:return this.options.locations&&(this.lineStart=this.pos,++this.curLine),"";case 56:case 57:if(o){var y=this.pos-1;return this.invalidStringToken(y,"Invalid escape sequence in template string"),null}default:if(c>=48&&c<=55){var b=this.input.substr(this.pos-1,3).match(/^[0-7]+/)[0],C=parseInt(b,8);return C>255&&(b=b.slice(0,-1),C=parseInt(b,8)),this.pos+=b.length-1,c=this.input.charCodeAt(this.pos),(b!=="0"||c===56||c===57)&&(this.strict||o)&&this.invalidStringToken(this.pos-1-b.length,o?"Octal literal in template string":"Octal literal in strict mode"),String.fromCharCode(C)}return Je(c)?"":String.fromCharCode(c)}},fe.readHexChar=function(o){var c=this.pos,y=this.readInt(16,o);return y===null&&this.invalidStringToken(c,"Bad character escape sequence"),y},fe.readWord1=function(){this.containsEsc=!1;for(var o="",c=!0,y=this.pos,b=this.options.ecmaVersion>=6;this.pos<this.input.length;){var C=this.fullCharCodeAtPos();if(F(C,b))this.pos+=C<=65535?1:2;else if(C===92){this.containsEsc=!0,o+=this.input.slice(y,this.pos);var M=this.pos;this.input.charCodeAt(++this.pos)!==117&&this.invalidStringToken(this.pos,"Expecting Unicode escape sequence \\uXXXX"),++this.pos;var R=this.readCodePoint();(c?_:F)(R,b)||this.invalidStringToken(M,"Invalid Unicode escape"),o+=cn(R),y=this.pos}else break;c=!1}return o+this.input.slice(y,this.pos)},fe.readWord=function(){var o=this.readWord1(),c=S.name;return this.keywords.test(o)&&(c=Q[o]),this.finishToken(c,o)};var Au="7.4.1";ge.acorn={Parser:ge,version:Au,defaultOptions:Jt,Position:Et,SourceLocation:kt,getLineInfo:dr,Node:$i,TokenType:B,tokTypes:S,keywordTypes:Q,TokContext:Ge,tokContexts:Pe,isIdentifierChar:F,isIdentifierStart:_,Token:Zi,isNewLine:Je,lineBreak:we,lineBreakG:Ie,nonASCIIwhitespace:Ot};function pm(o,c){return ge.parse(o,c)}n(pm,"parse");function fm(o,c,y){return ge.parseExpressionAt(o,c,y)}n(fm,"parseExpressionAt");function hm(o,c){return ge.tokenizer(o,c)}n(hm,"tokenizer"),t.Node=$i,t.Parser=ge,t.Position=Et,t.SourceLocation=kt,t.TokContext=Ge,t.Token=Zi,t.TokenType=B,t.defaultOptions=Jt,t.getLineInfo=dr,t.isIdentifierChar=F,t.isIdentifierStart=_,t.isNewLine=Je,t.keywordTypes=Q,t.lineBreak=we,t.lineBreakG=Ie,t.nonASCIIwhitespace=Ot,t.parse=pm,t.parseExpressionAt=fm,t.tokContexts=Pe,t.tokTypes=S,t.tokenizer=hm,t.version=Au,Object.defineProperty(t,"__esModule",{value:!0})})});var fn=D((s4,Du)=>{"use strict";T();var _u=Object.getOwnPropertySymbols,Tm=Object.prototype.hasOwnProperty,xm=Object.prototype.propertyIsEnumerable;function Sm(t){if(t==null)throw new TypeError("Object.assign cannot be called with null or undefined");return Object(t)}n(Sm,"toObject");function bm(){try{if(!Object.assign)return!1;var t=new String("abc");if(t[5]="de",Object.getOwnPropertyNames(t)[0]==="5")return!1;for(var e={},r=0;r<10;r++)e["_"+String.fromCharCode(r)]=r;var i=Object.getOwnPropertyNames(e).map(function(a){return e[a]});if(i.join("")!=="0123456789")return!1;var s={};return"abcdefghijklmnopqrst".split("").forEach(function(a){s[a]=a}),Object.keys(Object.assign({},s)).join("")==="abcdefghijklmnopqrst"}catch{return!1}}n(bm,"shouldUseNative");Du.exports=bm()?Object.assign:function(t,e){for(var r,i=Sm(t),s,a=1;a<arguments.length;a++){r=Object(arguments[a]);for(var l in r)Tm.call(r,l)&&(i[l]=r[l]);if(_u){s=_u(r);for(var u=0;u<s.length;u++)xm.call(r,s[u])&&(i[s[u]]=r[s[u]])}}return i}});var Fu=D((o4,Mu)=>{"use strict";T();var Lu=ku(),Em=fn();Mu.exports=Pm;var gm={throw:!1,strict:!1,lineComment:!1};function Pm(t,e){e=Em({},gm,e);try{var r=new Lu.Parser(e,t,0);e.strict&&(r.strict=!0),e.lineComment||(r.skipLineComment=function(i){this.raise(this.pos,"Line comments not allowed in an expression")}),r.nextToken(),r.parseExpression(),r.type!==Lu.tokTypes.eof&&r.unexpected()}catch(i){if(!e.throw)return!1;throw i}return!0}n(Pm,"isExpression")});var hn=D((c4,Bu)=>{"use strict";T();Bu.exports=Object});var ju=D((f4,Ru)=>{"use strict";T();Ru.exports=Error});var Uu=D((d4,Vu)=>{"use strict";T();Vu.exports=EvalError});var Ku=D((m4,qu)=>{"use strict";T();qu.exports=RangeError});var Xu=D((x4,Yu)=>{"use strict";T();Yu.exports=ReferenceError});var Wu=D((b4,Ju)=>{"use strict";T();Ju.exports=SyntaxError});var dn=D((g4,$u)=>{"use strict";T();$u.exports=TypeError});var Hu=D((v4,zu)=>{"use strict";T();zu.exports=URIError});var Qu=D((I4,Gu)=>{"use strict";T();Gu.exports=Math.abs});var ec=D((C4,Zu)=>{"use strict";T();Zu.exports=Math.floor});var rc=D((O4,tc)=>{"use strict";T();tc.exports=Math.max});var sc=D((_4,ic)=>{"use strict";T();ic.exports=Math.min});var ac=D((L4,nc)=>{"use strict";T();nc.exports=Math.pow});var lc=D((F4,oc)=>{"use strict";T();oc.exports=Math.round});var cc=D((R4,uc)=>{"use strict";T();uc.exports=Number.isNaN||n(function(e){return e!==e},"isNaN")});var fc=D((U4,pc)=>{"use strict";T();var vm=cc();pc.exports=n(function(e){return vm(e)||e===0?e:e<0?-1:1},"sign")});var dc=D((Y4,hc)=>{"use strict";T();hc.exports=Object.getOwnPropertyDescriptor});var ss=D((J4,yc)=>{"use strict";T();var is=dc();if(is)try{is([],"length")}catch{is=null}yc.exports=is});var Tc=D(($4,mc)=>{"use strict";T();var ns=Object.defineProperty||!1;if(ns)try{ns({},"a",{value:1})}catch{ns=!1}mc.exports=ns});var yn=D((H4,xc)=>{"use strict";T();xc.exports=n(function(){if(typeof Symbol!="function"||typeof Object.getOwnPropertySymbols!="function")return!1;if(typeof Symbol.iterator=="symbol")return!0;var e={},r=Symbol("test"),i=Object(r);if(typeof r=="string"||Object.prototype.toString.call(r)!=="[object Symbol]"||Object.prototype.toString.call(i)!=="[object Symbol]")return!1;var s=42;e[r]=s;for(var a in e)return!1;if(typeof Object.keys=="function"&&Object.keys(e).length!==0||typeof Object.getOwnPropertyNames=="function"&&Object.getOwnPropertyNames(e).length!==0)return!1;var l=Object.getOwnPropertySymbols(e);if(l.length!==1||l[0]!==r||!Object.prototype.propertyIsEnumerable.call(e,r))return!1;if(typeof Object.getOwnPropertyDescriptor=="function"){var u=Object.getOwnPropertyDescriptor(e,r);if(u.value!==s||u.enumerable!==!0)return!1}return!0},"hasSymbols")});var Ec=D((Z4,bc)=>{"use strict";T();var Sc=typeof Symbol<"u"&&Symbol,Am=yn();bc.exports=n(function(){return typeof Sc!="function"||typeof Symbol!="function"||typeof Sc("foo")!="symbol"||typeof Symbol("bar")!="symbol"?!1:Am()},"hasNativeSymbols")});var mn=D((r8,gc)=>{"use strict";T();gc.exports=typeof Reflect<"u"&&Reflect.getPrototypeOf||null});var Tn=D((s8,Pc)=>{"use strict";T();var Im=hn();Pc.exports=Im.getPrototypeOf||null});var Ic=D((a8,Ac)=>{"use strict";T();var wm="Function.prototype.bind called on incompatible ",Cm=Object.prototype.toString,Nm=Math.max,Om="[object Function]",vc=n(function(e,r){for(var i=[],s=0;s<e.length;s+=1)i[s]=e[s];for(var a=0;a<r.length;a+=1)i[a+e.length]=r[a];return i},"concatty"),km=n(function(e,r){for(var i=[],s=r||0,a=0;s<e.length;s+=1,a+=1)i[a]=e[s];return i},"slicy"),_m=n(function(t,e){for(var r="",i=0;i<t.length;i+=1)r+=t[i],i+1<t.length&&(r+=e);return r},"joiny");Ac.exports=n(function(e){var r=this;if(typeof r!="function"||Cm.apply(r)!==Om)throw new TypeError(wm+r);for(var i=km(arguments,1),s,a=n(function(){if(this instanceof s){var m=r.apply(this,vc(i,arguments));return Object(m)===m?m:this}return r.apply(e,vc(i,arguments))},"binder"),l=Nm(0,r.length-i.length),u=[],p=0;p<l;p++)u[p]="$"+p;if(s=Function("binder","return function ("+_m(u,",")+"){ return binder.apply(this,arguments); }")(a),r.prototype){var h=n(function(){},"Empty");h.prototype=r.prototype,s.prototype=new h,h.prototype=null}return s},"bind")});var ci=D((u8,wc)=>{"use strict";T();var Dm=Ic();wc.exports=Function.prototype.bind||Dm});var as=D((p8,Cc)=>{"use strict";T();Cc.exports=Function.prototype.call});var xn=D((h8,Nc)=>{"use strict";T();Nc.exports=Function.prototype.apply});var kc=D((y8,Oc)=>{"use strict";T();Oc.exports=typeof Reflect<"u"&&Reflect&&Reflect.apply});var Dc=D((T8,_c)=>{"use strict";T();var Lm=ci(),Mm=xn(),Fm=as(),Bm=kc();_c.exports=Bm||Lm.call(Fm,Mm)});var Sn=D((S8,Lc)=>{"use strict";T();var Rm=ci(),jm=dn(),Vm=as(),Um=Dc();Lc.exports=n(function(e){if(e.length<1||typeof e[0]!="function")throw new jm("a function is required");return Um(Rm,Vm,e)},"callBindBasic")});var Vc=D((g8,jc)=>{"use strict";T();var qm=Sn(),Mc=ss(),Bc;try{Bc=[].__proto__===Array.prototype}catch(t){if(!t||typeof t!="object"||!("code"in t)||t.code!=="ERR_PROTO_ACCESS")throw t}var bn=!!Bc&&Mc&&Mc(Object.prototype,"__proto__"),Rc=Object,Fc=Rc.getPrototypeOf;jc.exports=bn&&typeof bn.get=="function"?qm([bn.get]):typeof Fc=="function"?n(function(e){return Fc(e==null?e:Rc(e))},"getDunder"):!1});var Xc=D((A8,Yc)=>{"use strict";T();var Uc=mn(),qc=Tn(),Kc=Vc();Yc.exports=Uc?n(function(e){return Uc(e)},"getProto"):qc?n(function(e){if(!e||typeof e!="object"&&typeof e!="function")throw new TypeError("getProto: not an object");return qc(e)},"getProto"):Kc?n(function(e){return Kc(e)},"getProto"):null});var Wc=D((C8,Jc)=>{"use strict";T();var Km=async function(){}.constructor;Jc.exports=()=>Km});var zc=D((O8,$c)=>{"use strict";T();var Ym=function*(){}.constructor;$c.exports=()=>Ym});var Gc=D((_8,Hc)=>{"use strict";T();var Xm=async function*(){}.constructor;Hc.exports=()=>Xm});var En=D((L8,Qc)=>{"use strict";T();var Jm=Function.prototype.call,Wm=Object.prototype.hasOwnProperty,$m=ci();Qc.exports=$m.call(Jm,Wm)});var sp=D((F8,ip)=>{"use strict";T();var ae,zm=hn(),Hm=ju(),Gm=Uu(),Qm=Ku(),Zm=Xu(),wr=Wu(),Ir=dn(),eT=Hu(),tT=Qu(),rT=ec(),iT=rc(),sT=sc(),nT=ac(),aT=lc(),oT=fc(),pi=ss(),lT=Tc(),gn=n(function(){throw new Ir},"throwTypeError"),uT=pi?function(){try{return arguments.callee,gn}catch{try{return pi(arguments,"callee").get}catch{return gn}}}():gn,vr=Ec()(),Ce=Xc(),cT=Tn(),pT=mn(),rp=xn(),fi=as(),Ar={},fT=typeof Uint8Array>"u"||!Ce?ae:Ce(Uint8Array),Ht={__proto__:null,"%AggregateError%":typeof AggregateError>"u"?ae:AggregateError,"%Array%":Array,"%ArrayBuffer%":typeof ArrayBuffer>"u"?ae:ArrayBuffer,"%ArrayIteratorPrototype%":vr&&Ce?Ce([][Symbol.iterator]()):ae,"%AsyncFromSyncIteratorPrototype%":ae,"%AsyncFunction%":Ar,"%AsyncGenerator%":Ar,"%AsyncGeneratorFunction%":Ar,"%AsyncIteratorPrototype%":Ar,"%Atomics%":typeof Atomics>"u"?ae:Atomics,"%BigInt%":typeof BigInt>"u"?ae:BigInt,"%BigInt64Array%":typeof BigInt64Array>"u"?ae:BigInt64Array,"%BigUint64Array%":typeof BigUint64Array>"u"?ae:BigUint64Array,"%Boolean%":Boolean,"%DataView%":typeof DataView>"u"?ae:DataView,"%Date%":Date,"%decodeURI%":decodeURI,"%decodeURIComponent%":decodeURIComponent,"%encodeURI%":encodeURI,"%encodeURIComponent%":encodeURIComponent,"%Error%":Hm,"%eval%":eval,"%EvalError%":Gm,"%Float16Array%":typeof Float16Array>"u"?ae:Float16Array,"%Float32Array%":typeof Float32Array>"u"?ae:Float32Array,"%Float64Array%":typeof Float64Array>"u"?ae:Float64Array,"%FinalizationRegistry%":typeof FinalizationRegistry>"u"?ae:FinalizationRegistry,"%Function%":Function,"%GeneratorFunction%":Ar,"%Int8Array%":typeof Int8Array>"u"?ae:Int8Array,"%Int16Array%":typeof Int16Array>"u"?ae:Int16Array,"%Int32Array%":typeof Int32Array>"u"?ae:Int32Array,"%isFinite%":isFinite,"%isNaN%":isNaN,"%IteratorPrototype%":vr&&Ce?Ce(Ce([][Symbol.iterator]())):ae,"%JSON%":typeof JSON=="object"?JSON:ae,"%Map%":typeof Map>"u"?ae:Map,"%MapIteratorPrototype%":typeof Map>"u"||!vr||!Ce?ae:Ce(new Map()[Symbol.iterator]()),"%Math%":Math,"%Number%":Number,"%Object%":zm,"%Object.getOwnPropertyDescriptor%":pi,"%parseFloat%":parseFloat,"%parseInt%":parseInt,"%Promise%":typeof Promise>"u"?ae:Promise,"%Proxy%":typeof Proxy>"u"?ae:Proxy,"%RangeError%":Qm,"%ReferenceError%":Zm,"%Reflect%":typeof Reflect>"u"?ae:Reflect,"%RegExp%":RegExp,"%Set%":typeof Set>"u"?ae:Set,"%SetIteratorPrototype%":typeof Set>"u"||!vr||!Ce?ae:Ce(new Set()[Symbol.iterator]()),"%SharedArrayBuffer%":typeof SharedArrayBuffer>"u"?ae:SharedArrayBuffer,"%String%":String,"%StringIteratorPrototype%":vr&&Ce?Ce(""[Symbol.iterator]()):ae,"%Symbol%":vr?Symbol:ae,"%SyntaxError%":wr,"%ThrowTypeError%":uT,"%TypedArray%":fT,"%TypeError%":Ir,"%Uint8Array%":typeof Uint8Array>"u"?ae:Uint8Array,"%Uint8ClampedArray%":typeof Uint8ClampedArray>"u"?ae:Uint8ClampedArray,"%Uint16Array%":typeof Uint16Array>"u"?ae:Uint16Array,"%Uint32Array%":typeof Uint32Array>"u"?ae:Uint32Array,"%URIError%":eT,"%WeakMap%":typeof WeakMap>"u"?ae:WeakMap,"%WeakRef%":typeof WeakRef>"u"?ae:WeakRef,"%WeakSet%":typeof WeakSet>"u"?ae:WeakSet,"%Function.prototype.call%":fi,"%Function.prototype.apply%":rp,"%Object.defineProperty%":lT,"%Object.getPrototypeOf%":cT,"%Math.abs%":tT,"%Math.floor%":rT,"%Math.max%":iT,"%Math.min%":sT,"%Math.pow%":nT,"%Math.round%":aT,"%Math.sign%":oT,"%Reflect.getPrototypeOf%":pT};if(Ce)try{null.error}catch(t){Zc=Ce(Ce(t)),Ht["%Error.prototype%"]=Zc}var Zc,hT=Wc(),dT=zc(),yT=Gc(),mT=n(function t(e){var r;if(e==="%AsyncFunction%")r=hT()||void 0;else if(e==="%GeneratorFunction%")r=dT()||void 0;else if(e==="%AsyncGeneratorFunction%")r=yT()||void 0;else if(e==="%AsyncGenerator%"){var i=t("%AsyncGeneratorFunction%");i&&(r=i.prototype)}else if(e==="%AsyncIteratorPrototype%"){var s=t("%AsyncGenerator%");s&&Ce&&(r=Ce(s.prototype))}return Ht[e]=r,r},"doEval"),ep={__proto__:null,"%ArrayBufferPrototype%":["ArrayBuffer","prototype"],"%ArrayPrototype%":["Array","prototype"],"%ArrayProto_entries%":["Array","prototype","entries"],"%ArrayProto_forEach%":["Array","prototype","forEach"],"%ArrayProto_keys%":["Array","prototype","keys"],"%ArrayProto_values%":["Array","prototype","values"],"%AsyncFunctionPrototype%":["AsyncFunction","prototype"],"%AsyncGenerator%":["AsyncGeneratorFunction","prototype"],"%AsyncGeneratorPrototype%":["AsyncGeneratorFunction","prototype","prototype"],"%BooleanPrototype%":["Boolean","prototype"],"%DataViewPrototype%":["DataView","prototype"],"%DatePrototype%":["Date","prototype"],"%ErrorPrototype%":["Error","prototype"],"%EvalErrorPrototype%":["EvalError","prototype"],"%Float32ArrayPrototype%":["Float32Array","prototype"],"%Float64ArrayPrototype%":["Float64Array","prototype"],"%FunctionPrototype%":["Function","prototype"],"%Generator%":["GeneratorFunction","prototype"],"%GeneratorPrototype%":["GeneratorFunction","prototype","prototype"],"%Int8ArrayPrototype%":["Int8Array","prototype"],"%Int16ArrayPrototype%":["Int16Array","prototype"],"%Int32ArrayPrototype%":["Int32Array","prototype"],"%JSONParse%":["JSON","parse"],"%JSONStringify%":["JSON","stringify"],"%MapPrototype%":["Map","prototype"],"%NumberPrototype%":["Number","prototype"],"%ObjectPrototype%":["Object","prototype"],"%ObjProto_toString%":["Object","prototype","toString"],"%ObjProto_valueOf%":["Object","prototype","valueOf"],"%PromisePrototype%":["Promise","prototype"],"%PromiseProto_then%":["Promise","prototype","then"],"%Promise_all%":["Promise","all"],"%Promise_reject%":["Promise","reject"],"%Promise_resolve%":["Promise","resolve"],"%RangeErrorPrototype%":["RangeError","prototype"],"%ReferenceErrorPrototype%":["ReferenceError","prototype"],"%RegExpPrototype%":["RegExp","prototype"],"%SetPrototype%":["Set","prototype"],"%SharedArrayBufferPrototype%":["SharedArrayBuffer","prototype"],"%StringPrototype%":["String","prototype"],"%SymbolPrototype%":["Symbol","prototype"],"%SyntaxErrorPrototype%":["SyntaxError","prototype"],"%TypedArrayPrototype%":["TypedArray","prototype"],"%TypeErrorPrototype%":["TypeError","prototype"],"%Uint8ArrayPrototype%":["Uint8Array","prototype"],"%Uint8ClampedArrayPrototype%":["Uint8ClampedArray","prototype"],"%Uint16ArrayPrototype%":["Uint16Array","prototype"],"%Uint32ArrayPrototype%":["Uint32Array","prototype"],"%URIErrorPrototype%":["URIError","prototype"],"%WeakMapPrototype%":["WeakMap","prototype"],"%WeakSetPrototype%":["WeakSet","prototype"]},hi=ci(),os=En(),TT=hi.call(fi,Array.prototype.concat),xT=hi.call(rp,Array.prototype.splice),tp=hi.call(fi,String.prototype.replace),ls=hi.call(fi,String.prototype.slice),ST=hi.call(fi,RegExp.prototype.exec),bT=/[^%.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|%$))/g,ET=/\\(\\)?/g,gT=n(function(e){var r=ls(e,0,1),i=ls(e,-1);if(r==="%"&&i!=="%")throw new wr("invalid intrinsic syntax, expected closing `%`");if(i==="%"&&r!=="%")throw new wr("invalid intrinsic syntax, expected opening `%`");var s=[];return tp(e,bT,function(a,l,u,p){s[s.length]=u?tp(p,ET,"$1"):l||a}),s},"stringToPath"),PT=n(function(e,r){var i=e,s;if(os(ep,i)&&(s=ep[i],i="%"+s[0]+"%"),os(Ht,i)){var a=Ht[i];if(a===Ar&&(a=mT(i)),typeof a>"u"&&!r)throw new Ir("intrinsic "+e+" exists, but is not available. Please file an issue!");return{alias:s,name:i,value:a}}throw new wr("intrinsic "+e+" does not exist!")},"getBaseIntrinsic");ip.exports=n(function(e,r){if(typeof e!="string"||e.length===0)throw new Ir("intrinsic name must be a non-empty string");if(arguments.length>1&&typeof r!="boolean")throw new Ir('"allowMissing" argument must be a boolean');if(ST(/^%?[^%]*%?$/,e)===null)throw new wr("`%` may not be present anywhere but at the beginning and end of the intrinsic name");var i=gT(e),s=i.length>0?i[0]:"",a=PT("%"+s+"%",r),l=a.name,u=a.value,p=!1,h=a.alias;h&&(s=h[0],xT(i,TT([0,1],h)));for(var m=1,I=!0;m<i.length;m+=1){var _=i[m],F=ls(_,0,1),B=ls(_,-1);if((F==='"'||F==="'"||F==="`"||B==='"'||B==="'"||B==="`")&&F!==B)throw new wr("property names with quotes must have matching quotes");if((_==="constructor"||!I)&&(p=!0),s+="."+_,l="%"+s+"%",os(Ht,l))u=Ht[l];else if(u!=null){if(!(_ in u)){if(!r)throw new Ir("base intrinsic for "+e+" exists, but the property is not available.");return}if(pi&&m+1>=i.length){var U=pi(u,_);I=!!U,I&&"get"in U&&!("originalValue"in U.get)?u=U.get:u=u[_]}else I=os(u,_),u=u[_];I&&!p&&(Ht[l]=u)}}return u},"GetIntrinsic")});var lp=D((j8,op)=>{"use strict";T();var np=sp(),ap=Sn(),vT=ap([np("%String.prototype.indexOf%")]);op.exports=n(function(e,r){var i=np(e,!!r);return typeof i=="function"&&vT(e,".prototype.")>-1?ap([i]):i},"callBoundIntrinsic")});var cp=D((q8,up)=>{"use strict";T();var AT=yn();up.exports=n(function(){return AT()&&!!Symbol.toStringTag},"hasToStringTagShams")});var mp=D((X8,yp)=>{"use strict";T();var pp=lp(),IT=cp()(),wT=En(),CT=ss(),An;IT?(fp=pp("RegExp.prototype.exec"),Pn={},us=n(function(){throw Pn},"throwRegexMarker"),vn={toString:us,valueOf:us},typeof Symbol.toPrimitive=="symbol"&&(vn[Symbol.toPrimitive]=us),An=n(function(e){if(!e||typeof e!="object")return!1;var r=CT(e,"lastIndex"),i=r&&wT(r,"value");if(!i)return!1;try{fp(e,vn)}catch(s){return s===Pn}},"isRegex")):(hp=pp("Object.prototype.toString"),dp="[object RegExp]",An=n(function(e){return!e||typeof e!="object"&&typeof e!="function"?!1:hp(e)===dp},"isRegex"));var fp,Pn,us,vn,hp,dp;yp.exports=An});var Ep=D((We,bp)=>{"use strict";T();var NT=mp();We=bp.exports=Tp;var Ne=We.TOKEN_TYPES={LINE_COMMENT:"//",BLOCK_COMMENT:"/**/",SINGLE_QUOTE:"'",DOUBLE_QUOTE:'"',TEMPLATE_QUOTE:"`",REGEXP:"//g"},In=We.BRACKETS={"(":")","{":"}","[":"]"},OT={")":"(","}":"{","]":"["};We.parse=Tp;function Tp(t,e,r){r=r||{},e=e||We.defaultState();for(var i=r.start||0,s=r.end||t.length,a=i;a<s;){try{wn(t[a],e)}catch(l){throw l.index=a,l}a++}return e}n(Tp,"parse");We.parseUntil=kT;function kT(t,e,r){r=r||{};for(var i=r.start||0,s=i,a=We.defaultState();s<t.length;){if((r.ignoreNesting||!a.isNesting(r))&&_T(t,e,s)){var l=s;return{start:i,end:l,src:t.substring(i,l)}}try{wn(t[s],a)}catch(p){throw p.index=s,p}s++}var u=new Error("The end of the string was reached with no closing bracket found.");throw u.code="CHARACTER_PARSER:END_OF_STRING_REACHED",u.index=s,u}n(kT,"parseUntil");We.parseChar=wn;function wn(t,e){if(t.length!==1){var r=new Error("Character must be a string of length 1");throw r.name="InvalidArgumentError",r.code="CHARACTER_PARSER:CHAR_LENGTH_NOT_ONE",r}e=e||We.defaultState(),e.src+=t;var i=e.isComment(),s=e.history?e.history[0]:"";switch(e.regexpStart&&((t==="/"||t=="*")&&e.stack.pop(),e.regexpStart=!1),e.current()){case Ne.LINE_COMMENT:t===`
+`&&e.stack.pop();break;case Ne.BLOCK_COMMENT:e.lastChar==="*"&&t==="/"&&e.stack.pop();break;case Ne.SINGLE_QUOTE:t==="'"&&!e.escaped?e.stack.pop():t==="\\"&&!e.escaped?e.escaped=!0:e.escaped=!1;break;case Ne.DOUBLE_QUOTE:t==='"'&&!e.escaped?e.stack.pop():t==="\\"&&!e.escaped?e.escaped=!0:e.escaped=!1;break;case Ne.TEMPLATE_QUOTE:t==="`"&&!e.escaped?(e.stack.pop(),e.hasDollar=!1):t==="\\"&&!e.escaped?(e.escaped=!0,e.hasDollar=!1):t==="$"&&!e.escaped?e.hasDollar=!0:t==="{"&&e.hasDollar?e.stack.push(In[t]):(e.escaped=!1,e.hasDollar=!1);break;case Ne.REGEXP:t==="/"&&!e.escaped?e.stack.pop():t==="\\"&&!e.escaped?e.escaped=!0:e.escaped=!1;break;default:if(t in In)e.stack.push(In[t]);else if(t in OT){if(e.current()!==t){var r=new SyntaxError("Mismatched Bracket: "+t);throw r.code="CHARACTER_PARSER:MISMATCHED_BRACKET",r}e.stack.pop()}else s==="/"&&t==="/"?(e.history=e.history.substr(1),e.stack.push(Ne.LINE_COMMENT)):s==="/"&&t==="*"?(e.history=e.history.substr(1),e.stack.push(Ne.BLOCK_COMMENT)):t==="/"&&DT(e.history)?(e.stack.push(Ne.REGEXP),e.regexpStart=!0):t==="'"?e.stack.push(Ne.SINGLE_QUOTE):t==='"'?e.stack.push(Ne.DOUBLE_QUOTE):t==="`"&&e.stack.push(Ne.TEMPLATE_QUOTE);break}return!e.isComment()&&!i&&(e.history=t+e.history),e.lastChar=t,e}n(wn,"parseChar");We.defaultState=function(){return new di};function di(){this.stack=[],this.regexpStart=!1,this.escaped=!1,this.hasDollar=!1,this.src="",this.history="",this.lastChar=""}n(di,"State");di.prototype.current=function(){return this.stack[this.stack.length-1]};di.prototype.isString=function(){return this.current()===Ne.SINGLE_QUOTE||this.current()===Ne.DOUBLE_QUOTE||this.current()===Ne.TEMPLATE_QUOTE};di.prototype.isComment=function(){return this.current()===Ne.LINE_COMMENT||this.current()===Ne.BLOCK_COMMENT};di.prototype.isNesting=function(t){return t&&t.ignoreLineComment&&this.stack.length===1&&this.stack[0]===Ne.LINE_COMMENT?!1:!!this.stack.length};function _T(t,e,r){return NT(e)?e.test(t.substr(r||0)):t.substr(r||0,e.length)===e}n(_T,"matches");We.isPunctuator=xp;function xp(t){if(!t)return!0;var e=t.charCodeAt(0);switch(e){case 46:case 40:case 41:case 59:case 44:case 123:case 125:case 91:case 93:case 58:case 63:case 126:case 37:case 38:case 42:case 43:case 45:case 47:case 60:case 62:case 94:case 124:case 33:case 61:return!0;default:return!1}}n(xp,"isPunctuator");We.isKeyword=Sp;function Sp(t){return t==="if"||t==="in"||t==="do"||t==="var"||t==="for"||t==="new"||t==="try"||t==="let"||t==="this"||t==="else"||t==="case"||t==="void"||t==="with"||t==="enum"||t==="while"||t==="break"||t==="catch"||t==="throw"||t==="const"||t==="yield"||t==="class"||t==="super"||t==="return"||t==="typeof"||t==="delete"||t==="switch"||t==="export"||t==="import"||t==="default"||t==="finally"||t==="extends"||t==="function"||t==="continue"||t==="debugger"||t==="package"||t==="private"||t==="interface"||t==="instanceof"||t==="implements"||t==="protected"||t==="public"||t==="static"}n(Sp,"isKeyword");function DT(t){return t=t.replace(/^\s*/,""),t[0]===")"?!1:!!(t[0]==="}"||xp(t[0])||/^\w+\b/.test(t)&&Sp(/^\w+\b/.exec(t)[0].split("").reverse().join("")))}n(DT,"isRegexp")});var Gt=D((Nn,On)=>{"use strict";T();Object.defineProperty(Nn,"__esModule",{value:!0});function Cn(t,e,r){var i=r.line,s=r.column,a=r.filename,l=r.src,u,p=i+(s?":"+s:"");if(l&&i>=1&&i<=l.split(`
+`).length){var h=l.split(`
+`),m=Math.max(i-3,0),I=Math.min(h.length,i+3),_=h.slice(m,I).map(function(B,U){var te=U+m+1,Y=(te==i?"  > ":"    ")+te+"| ",Q=Y+B;return te===i&&s>0&&(Q+=`
+`,Q+=Array(Y.length+s).join("-")+"^"),Q}).join(`
+`);u=(a||"Pug")+":"+p+`
+`+_+`
+
+`+e}else u=(a||"Pug")+":"+p+`
+
+`+e;var F=new Error(u);return F.code="PUG:"+t,F.msg=e,F.line=i,F.column=s,F.filename=a,F.src=l,F.toJSON=function(){return{code:this.code,msg:this.msg,line:this.line,column:this.column,filename:this.filename}},F}n(Cn,"makeError");Nn.default=Cn;On.exports=Cn;On.exports.default=Cn});var gp=D((Q8,kn)=>{"use strict";T();var LT=Pr(),MT=Fu(),ct=Ep(),FT=Gt();kn.exports=BT;kn.exports.Lexer=cs;function BT(t,e){var r=new cs(t,e);return JSON.parse(JSON.stringify(r.getTokens()))}n(BT,"lex");function cs(t,e){if(e=e||{},typeof t!="string")throw new Error('Expected source code to be a string but got "'+typeof t+'"');if(typeof e!="object")throw new Error('Expected "options" to be an object but got "'+typeof e+'"');t=t.replace(/^\uFEFF/,""),this.input=t.replace(/\r\n|\r/g,`
+`),this.originalInput=this.input,this.filename=e.filename,this.interpolated=e.interpolated||!1,this.lineno=e.startingLine||1,this.colno=e.startingColumn||1,this.plugins=e.plugins||[],this.indentStack=[0],this.indentRe=null,this.interpolationAllowed=!0,this.whitespaceRe=/[ \n\t]/,this.tokens=[],this.ended=!1}n(cs,"Lexer");cs.prototype={constructor:cs,error:n(function(t,e){var r=FT(t,e,{line:this.lineno,column:this.colno,filename:this.filename,src:this.originalInput});throw r},"error"),assert:n(function(t,e){t||this.error("ASSERT_FAILED",e)},"assert"),isExpression:n(function(t){return MT(t,{throw:!0})},"isExpression"),assertExpression:n(function(t,e){try{return this.callLexerFunction("isExpression",t),!0}catch(i){if(e)return!1;if(!i.loc)throw i;this.incrementLine(i.loc.line-1),this.incrementColumn(i.loc.column);var r="Syntax Error: "+i.message.replace(/ \([0-9]+:[0-9]+\)$/,"");this.error("SYNTAX_ERROR",r)}},"assertExpression"),assertNestingCorrect:n(function(t){var e=ct(t);e.isNesting()&&this.error("INCORRECT_NESTING","Nesting must match on expression `"+t+"`")},"assertNestingCorrect"),tok:n(function(t,e){var r={type:t,loc:{start:{line:this.lineno,column:this.colno},filename:this.filename}};return e!==void 0&&(r.val=e),r},"tok"),tokEnd:n(function(t){return t.loc.end={line:this.lineno,column:this.colno},t},"tokEnd"),incrementLine:n(function(t){this.lineno+=t,t&&(this.colno=1)},"incrementLine"),incrementColumn:n(function(t){this.colno+=t},"incrementColumn"),consume:n(function(t){this.input=this.input.substr(t)},"consume"),scan:n(function(t,e){var r;if(r=t.exec(this.input)){var i=r[0].length,s=r[1],a=i-(s?s.length:0),l=this.tok(e,s);return this.consume(i),this.incrementColumn(a),l}},"scan"),scanEndOfLine:n(function(t,e){var r;if(r=t.exec(this.input)){var i=0,s,a;(s=/^([ ]+)([^ ]*)/.exec(r[0]))&&(i=s[1].length,this.incrementColumn(i));var l=this.input.substr(r[0].length);if(l[0]===":")return this.input=l,a=this.tok(e,r[1]),this.incrementColumn(r[0].length-i),a;if(/^[ \t]*(\n|$)/.test(l))return this.input=l.substr(/^[ \t]*/.exec(l)[0].length),a=this.tok(e,r[1]),this.incrementColumn(r[0].length-i),a}},"scanEndOfLine"),bracketExpression:n(function(t){t=t||0;var e=this.input[t];LT(e==="("||e==="{"||e==="[",'The start character should be "(", "{" or "["');var r=ct.BRACKETS[e],i;try{i=ct.parseUntil(this.input,r,{start:t+1})}catch(p){if(p.index!==void 0){for(var s=p.index,a=this.input.substr(t).indexOf(`
+`),l=a+t,u=0;s>l&&a!==-1;)this.incrementLine(1),s-=l+1,u+=l+1,a=l=this.input.substr(u).indexOf(`
+`);this.incrementColumn(s)}throw p.code==="CHARACTER_PARSER:END_OF_STRING_REACHED"?this.error("NO_END_BRACKET","The end of the string reached with no closing bracket "+r+" found."):p.code==="CHARACTER_PARSER:MISMATCHED_BRACKET"&&this.error("BRACKET_MISMATCH",p.message),p}return i},"bracketExpression"),scanIndentation:n(function(){var t,e;return this.indentRe?t=this.indentRe.exec(this.input):(e=/^\n(\t*) */,t=e.exec(this.input),t&&!t[1].length&&(e=/^\n( *)/,t=e.exec(this.input)),t&&t[1].length&&(this.indentRe=e)),t},"scanIndentation"),eos:n(function(){if(!this.input.length){this.interpolated&&this.error("NO_END_BRACKET","End of line was reached with no closing bracket for interpolation.");for(var t=0;this.indentStack[t];t++)this.tokens.push(this.tokEnd(this.tok("outdent")));return this.tokens.push(this.tokEnd(this.tok("eos"))),this.ended=!0,!0}},"eos"),blank:n(function(){var t;if(t=/^\n[ \t]*\n/.exec(this.input))return this.consume(t[0].length-1),this.incrementLine(1),!0},"blank"),comment:n(function(){var t;if(t=/^\/\/(-)?([^\n]*)/.exec(this.input)){this.consume(t[0].length);var e=this.tok("comment",t[2]);return e.buffer=t[1]!="-",this.interpolationAllowed=e.buffer,this.tokens.push(e),this.incrementColumn(t[0].length),this.tokEnd(e),this.callLexerFunction("pipelessText"),!0}},"comment"),interpolation:n(function(){if(/^#\{/.test(this.input)){var t=this.bracketExpression(1);this.consume(t.end+1);var e=this.tok("interpolation",t.src);this.tokens.push(e),this.incrementColumn(2),this.assertExpression(t.src);var r=t.src.split(`
+`),i=r.length-1;return this.incrementLine(i),this.incrementColumn(r[i].length+1),this.tokEnd(e),!0}},"interpolation"),tag:n(function(){var t;if(t=/^(\w(?:[-:\w]*\w)?)/.exec(this.input)){var e,r=t[1],i=t[0].length;return this.consume(i),e=this.tok("tag",r),this.tokens.push(e),this.incrementColumn(i),this.tokEnd(e),!0}},"tag"),filter:n(function(t){var e=this.scan(/^:([\w\-]+)/,"filter"),r=t&&t.inInclude;if(e)return this.tokens.push(e),this.incrementColumn(e.val.length),this.tokEnd(e),this.callLexerFunction("attrs"),r||(this.interpolationAllowed=!1,this.callLexerFunction("pipelessText")),!0},"filter"),doctype:n(function(){var t=this.scanEndOfLine(/^doctype *([^\n]*)/,"doctype");if(t)return this.tokens.push(this.tokEnd(t)),!0},"doctype"),id:n(function(){var t=this.scan(/^#([\w-]+)/,"id");if(t)return this.tokens.push(t),this.incrementColumn(t.val.length),this.tokEnd(t),!0;/^#/.test(this.input)&&this.error("INVALID_ID",'"'+/.[^ \t\(\#\.\:]*/.exec(this.input.substr(1))[0]+'" is not a valid ID.')},"id"),className:n(function(){var t=this.scan(/^\.([_a-z0-9\-]*[_a-z][_a-z0-9\-]*)/i,"class");if(t)return this.tokens.push(t),this.incrementColumn(t.val.length),this.tokEnd(t),!0;/^\.[_a-z0-9\-]+/i.test(this.input)&&this.error("INVALID_CLASS_NAME","Class names must contain at least one letter or underscore."),/^\./.test(this.input)&&this.error("INVALID_CLASS_NAME",'"'+/.[^ \t\(\#\.\:]*/.exec(this.input.substr(1))[0]+'" is not a valid class name.  Class names can only contain "_", "-", a-z and 0-9, and must contain at least one of "_", or a-z')},"className"),endInterpolation:n(function(){if(this.interpolated&&this.input[0]==="]")return this.input=this.input.substr(1),this.ended=!0,!0},"endInterpolation"),addText:n(function(t,e,r,i){var s;if(e+r!==""){r=r||"",i=i||0;var a=this.interpolated?e.indexOf("]"):-1,l=this.interpolationAllowed?e.indexOf("#["):-1,u=this.interpolationAllowed?e.indexOf("\\#["):-1,p=/(\\)?([#!]){((?:.|\n)*)$/.exec(e),h=this.interpolationAllowed&&p?p.index:1/0;if(a===-1&&(a=1/0),l===-1&&(l=1/0),u===-1&&(u=1/0),u!==1/0&&u<a&&u<l&&u<h)return r=r+e.substring(0,u)+"#[",this.addText(t,e.substring(u+3),r,i+1);if(l!==1/0&&l<a&&l<u&&l<h){s=this.tok(t,r+e.substring(0,l)),this.incrementColumn(r.length+l+i),this.tokens.push(this.tokEnd(s)),s=this.tok("start-pug-interpolation"),this.incrementColumn(2),this.tokens.push(this.tokEnd(s));var m=new this.constructor(e.substr(l+2),{filename:this.filename,interpolated:!0,startingLine:this.lineno,startingColumn:this.colno,plugins:this.plugins}),I;try{I=m.getTokens()}catch(U){throw U.code&&/^PUG:/.test(U.code)&&(this.colno=U.column,this.error(U.code.substr(4),U.msg)),U}this.colno=m.colno,this.tokens=this.tokens.concat(I),s=this.tok("end-pug-interpolation"),this.incrementColumn(1),this.tokens.push(this.tokEnd(s)),this.addText(t,m.input);return}if(a!==1/0&&a<l&&a<u&&a<h){r+e.substring(0,a)&&this.addText(t,e.substring(0,a),r),this.ended=!0,this.input=e.substr(e.indexOf("]")+1)+this.input;return}if(h!==1/0){if(p[1])return r=r+e.substring(0,h)+p[2]+"{",this.addText(t,e.substring(h+3),r,i+1);var _=e.substr(0,h);(r||_)&&(_=r+_,s=this.tok(t,_),this.incrementColumn(_.length+i),this.tokens.push(this.tokEnd(s)));var F=p[3],B;s=this.tok("interpolated-code"),this.incrementColumn(2);try{B=ct.parseUntil(F,"}")}catch(U){if(U.index!==void 0&&this.incrementColumn(U.index),U.code==="CHARACTER_PARSER:END_OF_STRING_REACHED")this.error("NO_END_BRACKET","End of line was reached with no closing bracket for interpolation.");else if(U.code==="CHARACTER_PARSER:MISMATCHED_BRACKET")this.error("BRACKET_MISMATCH",U.message);else throw U}s.mustEscape=p[2]==="#",s.buffer=!0,s.val=B.src,this.assertExpression(B.src),B.end+1<F.length?(F=F.substr(B.end+1),this.incrementColumn(B.end+1),this.tokens.push(this.tokEnd(s)),this.addText(t,F)):(this.incrementColumn(F.length),this.tokens.push(this.tokEnd(s)));return}e=r+e,s=this.tok(t,e),this.incrementColumn(e.length+i),this.tokens.push(this.tokEnd(s))}},"addText"),text:n(function(){var t=this.scan(/^(?:\| ?| )([^\n]+)/,"text")||this.scan(/^( )/,"text")||this.scan(/^\|( ?)/,"text");if(t)return this.addText("text",t.val),!0},"text"),textHtml:n(function(){var t=this.scan(/^(<[^\n]*)/,"text-html");if(t)return this.addText("text-html",t.val),!0},"textHtml"),dot:n(function(){var t;if(t=this.scanEndOfLine(/^\./,"dot"))return this.tokens.push(this.tokEnd(t)),this.callLexerFunction("pipelessText"),!0},"dot"),extends:n(function(){var t=this.scan(/^extends?(?= |$|\n)/,"extends");if(t)return this.tokens.push(this.tokEnd(t)),this.callLexerFunction("path")||this.error("NO_EXTENDS_PATH","missing path for extends"),!0;this.scan(/^extends?\b/)&&this.error("MALFORMED_EXTENDS","malformed extends")},"extends"),prepend:n(function(){var t;if(t=/^(?:block +)?prepend +([^\n]+)/.exec(this.input)){var e=t[1].trim(),r="";if(e.indexOf("//")!==-1&&(r="//"+e.split("//").slice(1).join("//"),e=e.split("//")[0].trim()),!e)return;for(var i=this.tok("block",e),s=t[0].length-r.length;this.whitespaceRe.test(this.input.charAt(s-1));)s--;return this.incrementColumn(s),i.mode="prepend",this.tokens.push(this.tokEnd(i)),this.consume(t[0].length-r.length),this.incrementColumn(t[0].length-r.length-s),!0}},"prepend"),append:n(function(){var t;if(t=/^(?:block +)?append +([^\n]+)/.exec(this.input)){var e=t[1].trim(),r="";if(e.indexOf("//")!==-1&&(r="//"+e.split("//").slice(1).join("//"),e=e.split("//")[0].trim()),!e)return;for(var i=this.tok("block",e),s=t[0].length-r.length;this.whitespaceRe.test(this.input.charAt(s-1));)s--;return this.incrementColumn(s),i.mode="append",this.tokens.push(this.tokEnd(i)),this.consume(t[0].length-r.length),this.incrementColumn(t[0].length-r.length-s),!0}},"append"),block:n(function(){var t;if(t=/^block +([^\n]+)/.exec(this.input)){var e=t[1].trim(),r="";if(e.indexOf("//")!==-1&&(r="//"+e.split("//").slice(1).join("//"),e=e.split("//")[0].trim()),!e)return;for(var i=this.tok("block",e),s=t[0].length-r.length;this.whitespaceRe.test(this.input.charAt(s-1));)s--;return this.incrementColumn(s),i.mode="replace",this.tokens.push(this.tokEnd(i)),this.consume(t[0].length-r.length),this.incrementColumn(t[0].length-r.length-s),!0}},"block"),mixinBlock:n(function(){var t;if(t=this.scanEndOfLine(/^block/,"mixin-block"))return this.tokens.push(this.tokEnd(t)),!0},"mixinBlock"),yield:n(function(){var t=this.scanEndOfLine(/^yield/,"yield");if(t)return this.tokens.push(this.tokEnd(t)),!0},"yield"),include:n(function(){var t=this.scan(/^include(?=:| |$|\n)/,"include");if(t){for(this.tokens.push(this.tokEnd(t));this.callLexerFunction("filter",{inInclude:!0}););return this.callLexerFunction("path")||(/^[^ \n]+/.test(this.input)?this.fail():this.error("NO_INCLUDE_PATH","missing path for include")),!0}this.scan(/^include\b/)&&this.error("MALFORMED_INCLUDE","malformed include")},"include"),path:n(function(){var t=this.scanEndOfLine(/^ ([^\n]+)/,"path");if(t&&(t.val=t.val.trim()))return this.tokens.push(this.tokEnd(t)),!0},"path"),case:n(function(){var t=this.scanEndOfLine(/^case +([^\n]+)/,"case");if(t)return this.incrementColumn(-t.val.length),this.assertExpression(t.val),this.incrementColumn(t.val.length),this.tokens.push(this.tokEnd(t)),!0;this.scan(/^case\b/)&&this.error("NO_CASE_EXPRESSION","missing expression for case")},"case"),when:n(function(){var t=this.scanEndOfLine(/^when +([^:\n]+)/,"when");if(t){for(var e=ct(t.val);e.isNesting()||e.isString();){var r=/:([^:\n]+)/.exec(this.input);if(!r)break;t.val+=r[0],this.consume(r[0].length),this.incrementColumn(r[0].length),e=ct(t.val)}return this.incrementColumn(-t.val.length),this.assertExpression(t.val),this.incrementColumn(t.val.length),this.tokens.push(this.tokEnd(t)),!0}this.scan(/^when\b/)&&this.error("NO_WHEN_EXPRESSION","missing expression for when")},"when"),default:n(function(){var t=this.scanEndOfLine(/^default/,"default");if(t)return this.tokens.push(this.tokEnd(t)),!0;this.scan(/^default\b/)&&this.error("DEFAULT_WITH_EXPRESSION","default should not have an expression")},"default"),call:n(function(){var t,e,r;if(e=/^\+(\s*)(([-\w]+)|(#\{))/.exec(this.input)){if(e[3])r=e[0].length,this.consume(r),t=this.tok("call",e[3]);else{var i=this.bracketExpression(2+e[1].length);r=i.end+1,this.consume(r),this.assertExpression(i.src),t=this.tok("call","#{"+i.src+"}")}if(this.incrementColumn(r),t.args=null,e=/^ *\(/.exec(this.input)){var s=this.bracketExpression(e[0].length-1);if(!/^\s*[-\w]+ *=/.test(s.src)){this.incrementColumn(1),this.consume(s.end+1),t.args=s.src,this.assertExpression("["+t.args+"]");for(var a=0;a<=t.args.length;a++)t.args[a]===`
+`?this.incrementLine(1):this.incrementColumn(1)}}return this.tokens.push(this.tokEnd(t)),!0}},"call"),mixin:n(function(){var t;if(t=/^mixin +([-\w]+)(?: *\((.*)\))? */.exec(this.input)){this.consume(t[0].length);var e=this.tok("mixin",t[1]);return e.args=t[2]||null,this.incrementColumn(t[0].length),this.tokens.push(this.tokEnd(e)),!0}},"mixin"),conditional:n(function(){var t;if(t=/^(if|unless|else if|else)\b([^\n]*)/.exec(this.input)){this.consume(t[0].length);var e=t[1].replace(/ /g,"-"),r=t[2]&&t[2].trim(),i=this.tok(e,r);switch(this.incrementColumn(t[0].length-r.length),e){case"if":case"else-if":this.assertExpression(r);break;case"unless":this.assertExpression(r),i.val="!("+r+")",i.type="if";break;case"else":r&&this.error("ELSE_CONDITION","`else` cannot have a condition, perhaps you meant `else if`");break}return this.incrementColumn(r.length),this.tokens.push(this.tokEnd(i)),!0}},"conditional"),while:n(function(){var t,e;if(t=/^while +([^\n]+)/.exec(this.input))return this.consume(t[0].length),this.assertExpression(t[1]),e=this.tok("while",t[1]),this.incrementColumn(t[0].length),this.tokens.push(this.tokEnd(e)),!0;this.scan(/^while\b/)&&this.error("NO_WHILE_EXPRESSION","missing expression for while")},"while"),each:n(function(){var t;if(t=/^(?:each|for) +([a-zA-Z_$][\w$]*)(?: *, *([a-zA-Z_$][\w$]*))? * in *([^\n]+)/.exec(this.input)){this.consume(t[0].length);var e=this.tok("each",t[1]);return e.key=t[2]||null,this.incrementColumn(t[0].length-t[3].length),this.assertExpression(t[3]),e.code=t[3],this.incrementColumn(t[3].length),this.tokens.push(this.tokEnd(e)),!0}let r=/^each\b/.exec(this.input)?"each":"for";this.scan(/^(?:each|for)\b/)&&this.error("MALFORMED_EACH","This `"+r+"` has a syntax error. `"+r+"` statements should be of the form: `"+r+" VARIABLE_NAME of JS_EXPRESSION`"),(t=/^- *(?:each|for) +([a-zA-Z_$][\w$]*)(?: *, *([a-zA-Z_$][\w$]*))? +in +([^\n]+)/.exec(this.input))&&this.error("MALFORMED_EACH",'Pug each and for should no longer be prefixed with a dash ("-"). They are pug keywords and not part of JavaScript.')},"each"),eachOf:n(function(){var t;if(t=/^(?:each|for) (.*?) of *([^\n]+)/.exec(this.input)){this.consume(t[0].length);var e=this.tok("eachOf",t[1]);return e.value=t[1],this.incrementColumn(t[0].length-t[2].length),this.assertExpression(t[2]),e.code=t[2],this.incrementColumn(t[2].length),this.tokens.push(this.tokEnd(e)),/^[a-zA-Z_$][\w$]*$/.test(e.value.trim())||/^\[ *[a-zA-Z_$][\w$]* *\, *[a-zA-Z_$][\w$]* *\]$/.test(e.value.trim())||this.error("MALFORMED_EACH_OF_LVAL","The value variable for each must either be a valid identifier (e.g. `item`) or a pair of identifiers in square brackets (e.g. `[key, value]`)."),!0}(t=/^- *(?:each|for) +([a-zA-Z_$][\w$]*)(?: *, *([a-zA-Z_$][\w$]*))? +of +([^\n]+)/.exec(this.input))&&this.error("MALFORMED_EACH",'Pug each and for should not be prefixed with a dash ("-"). They are pug keywords and not part of JavaScript.')},"eachOf"),code:n(function(){var t;if(t=/^(!?=|-)[ \t]*([^\n]+)/.exec(this.input)){var e=t[1],r=t[2],i=0;if(this.interpolated){var s;try{s=ct.parseUntil(r,"]")}catch(u){if(u.index!==void 0&&this.incrementColumn(t[0].length-r.length+u.index),u.code==="CHARACTER_PARSER:END_OF_STRING_REACHED")this.error("NO_END_BRACKET","End of line was reached with no closing bracket for interpolation.");else if(u.code==="CHARACTER_PARSER:MISMATCHED_BRACKET")this.error("BRACKET_MISMATCH",u.message);else throw u}i=r.length-s.end,r=s.src}var a=t[0].length-i;this.consume(a);var l=this.tok("code",r);return l.mustEscape=e.charAt(0)==="=",l.buffer=e.charAt(0)==="="||e.charAt(1)==="=",this.incrementColumn(t[0].length-t[2].length),l.buffer&&this.assertExpression(r),this.tokens.push(l),this.incrementColumn(r.length),this.tokEnd(l),!0}},"code"),blockCode:n(function(){var t;if(t=this.scanEndOfLine(/^-/,"blockcode"))return this.tokens.push(this.tokEnd(t)),this.interpolationAllowed=!1,this.callLexerFunction("pipelessText"),!0},"blockCode"),attribute:n(function(t){var e="",r=/['"]/,i="",s;for(s=0;s<t.length&&this.whitespaceRe.test(t[s]);s++)t[s]===`
+`?this.incrementLine(1):this.incrementColumn(1);if(s===t.length)return"";var a=this.tok("attribute");for(r.test(t[s])&&(e=t[s],this.incrementColumn(1),s++);s<t.length;s++){if(e){if(t[s]===e){this.incrementColumn(1),s++;break}}else if(this.whitespaceRe.test(t[s])||t[s]==="!"||t[s]==="="||t[s]===",")break;i+=t[s],t[s]===`
+`?this.incrementLine(1):this.incrementColumn(1)}a.name=i;var l=this.attributeValue(t.substr(s));for(l.val?(a.val=l.val,a.mustEscape=l.mustEscape):(a.val=!0,a.mustEscape=!0),t=l.remainingSource,this.tokens.push(this.tokEnd(a)),s=0;s<t.length&&this.whitespaceRe.test(t[s]);s++)t[s]===`
+`?this.incrementLine(1):this.incrementColumn(1);return t[s]===","&&(this.incrementColumn(1),s++),t.substr(s)},"attribute"),attributeValue:n(function(t){var e=/['"]/,r="",i,s,a,l=!0,u=ct.defaultState(),p=this.colno,h=this.lineno;for(s=0;s<t.length&&this.whitespaceRe.test(t[s]);s++)t[s]===`
+`?(h++,p=1):p++;if(s===t.length)return{remainingSource:t};if(t[s]==="!"&&(l=!1,p++,s++,t[s]!=="="&&this.error("INVALID_KEY_CHARACTER","Unexpected character "+t[s]+" expected `=`")),t[s]!=="=")if(s===0&&t&&!this.whitespaceRe.test(t[0])&&t[0]!==",")this.error("INVALID_KEY_CHARACTER","Unexpected character "+t[0]+" expected `=`");else return{remainingSource:t};for(this.lineno=h,this.colno=p+1,s++;s<t.length&&this.whitespaceRe.test(t[s]);s++)t[s]===`
+`?this.incrementLine(1):this.incrementColumn(1);for(h=this.lineno,p=this.colno;s<t.length;s++){if(!(u.isNesting()||u.isString())){if(this.whitespaceRe.test(t[s])){for(i=!1,a=s;a<t.length;a++)if(!this.whitespaceRe.test(t[a])){let m=!ct.isPunctuator(t[a]),I=e.test(t[a]),_=t[a]===":",F=t[a]+t[a+1]+t[a+2]==="...";(m||I||_||F)&&this.assertExpression(r,!0)&&(i=!0);break}if(i||a===t.length)break}if(t[s]===","&&this.assertExpression(r,!0))break}u=ct.parseChar(t[s],u),r+=t[s],t[s]===`
+`?(h++,p=1):p++}return this.assertExpression(r),this.lineno=h,this.colno=p,{val:r,mustEscape:l,remainingSource:t.substr(s)}},"attributeValue"),attrs:n(function(){var t;if(this.input.charAt(0)=="("){t=this.tok("start-attributes");var e=this.bracketExpression().end,r=this.input.substr(1,e-1);for(this.incrementColumn(1),this.tokens.push(this.tokEnd(t)),this.assertNestingCorrect(r),this.consume(e+1);r;)r=this.attribute(r);return t=this.tok("end-attributes"),this.incrementColumn(1),this.tokens.push(this.tokEnd(t)),!0}},"attrs"),attributesBlock:n(function(){if(/^&attributes\b/.test(this.input)){var t=11;this.consume(t);var e=this.tok("&attributes");this.incrementColumn(t);var r=this.bracketExpression();return t=r.end+1,this.consume(t),e.val=r.src,this.incrementColumn(t),this.tokens.push(this.tokEnd(e)),!0}},"attributesBlock"),indent:n(function(){var t=this.scanIndentation(),e;if(t){var r=t[1].length;if(this.incrementLine(1),this.consume(r+1),(this.input[0]==" "||this.input[0]=="	")&&this.error("INVALID_INDENTATION","Invalid indentation, you can use tabs or spaces but not both"),this.input[0]==`
+`)return this.interpolationAllowed=!0,this.tokEnd(this.tok("newline"));if(r<this.indentStack[0]){for(var i=0;this.indentStack[0]>r;)this.indentStack[1]<r&&this.error("INCONSISTENT_INDENTATION","Inconsistent indentation. Expecting either "+this.indentStack[1]+" or "+this.indentStack[0]+" spaces/tabs."),i++,this.indentStack.shift();for(;i--;)this.colno=1,e=this.tok("outdent"),this.colno=this.indentStack[0]+1,this.tokens.push(this.tokEnd(e))}else r&&r!=this.indentStack[0]?(e=this.tok("indent",r),this.colno=1+r,this.tokens.push(this.tokEnd(e)),this.indentStack.unshift(r)):(e=this.tok("newline"),this.colno=1+Math.min(this.indentStack[0]||0,r),this.tokens.push(this.tokEnd(e)));return this.interpolationAllowed=!0,!0}},"indent"),pipelessText:n(function t(e){for(;this.callLexerFunction("blank"););var r=this.scanIndentation();if(e=e||r&&r[1].length,e>this.indentStack[0]){this.tokens.push(this.tokEnd(this.tok("start-pipeless-text")));var i=[],s=[],a,l=0;do{var u=this.input.substr(l+1).indexOf(`
+`);u==-1&&(u=this.input.length-l-1);var p=this.input.substr(l+1,u),h=this.indentRe.exec(`
+`+p),m=h&&h[1].length;if(a=m>=e,s.push(a),a=a||!p.trim(),a)l+=p.length+1,i.push(p.substr(e));else if(m>this.indentStack[0])return this.tokens.pop(),t.call(this,h[1].length)}while(this.input.length-l&&a);for(this.consume(l);this.input.length===0&&i[i.length-1]==="";)i.pop();return i.forEach(function(I,_){var F;this.incrementLine(1),_!==0&&(F=this.tok("newline")),s[_]&&this.incrementColumn(e),F&&this.tokens.push(this.tokEnd(F)),this.addText("text",I)}.bind(this)),this.tokens.push(this.tokEnd(this.tok("end-pipeless-text"))),!0}},"pipelessText"),slash:n(function(){var t=this.scan(/^\//,"slash");if(t)return this.tokens.push(this.tokEnd(t)),!0},"slash"),colon:n(function(){var t=this.scan(/^: +/,":");if(t)return this.tokens.push(this.tokEnd(t)),!0},"colon"),fail:n(function(){this.error("UNEXPECTED_TEXT",'unexpected text "'+this.input.substr(0,5)+'"')},"fail"),callLexerFunction:n(function(t){for(var e=[],r=1;r<arguments.length;r++)e.push(arguments[r]);for(var i=[this].concat(e),r=0;r<this.plugins.length;r++){var s=this.plugins[r];if(s[t]&&s[t].apply(s,i))return!0}return this[t].apply(this,e)},"callLexerFunction"),advance:n(function(){return this.callLexerFunction("blank")||this.callLexerFunction("eos")||this.callLexerFunction("endInterpolation")||this.callLexerFunction("yield")||this.callLexerFunction("doctype")||this.callLexerFunction("interpolation")||this.callLexerFunction("case")||this.callLexerFunction("when")||this.callLexerFunction("default")||this.callLexerFunction("extends")||this.callLexerFunction("append")||this.callLexerFunction("prepend")||this.callLexerFunction("block")||this.callLexerFunction("mixinBlock")||this.callLexerFunction("include")||this.callLexerFunction("mixin")||this.callLexerFunction("call")||this.callLexerFunction("conditional")||this.callLexerFunction("eachOf")||this.callLexerFunction("each")||this.callLexerFunction("while")||this.callLexerFunction("tag")||this.callLexerFunction("filter")||this.callLexerFunction("blockCode")||this.callLexerFunction("code")||this.callLexerFunction("id")||this.callLexerFunction("dot")||this.callLexerFunction("className")||this.callLexerFunction("attrs")||this.callLexerFunction("attributesBlock")||this.callLexerFunction("indent")||this.callLexerFunction("text")||this.callLexerFunction("textHtml")||this.callLexerFunction("comment")||this.callLexerFunction("slash")||this.callLexerFunction("colon")||this.fail()},"advance"),getTokens:n(function(){for(;!this.ended;)this.callLexerFunction("advance");return this.tokens},"getTokens")}});var vp=D((t6,Pp)=>{"use strict";T();var RT=Gt();Pp.exports=jT;function _n(t,e,r,i){var s="`"+t+"` encountered when "+e;throw RT("UNEXPECTED_TOKEN",s,{filename:r,line:i})}n(_n,"unexpectedToken");function jT(t,e){e=e||{};var r=e.stripUnbuffered!==!1,i=e.stripBuffered===!0,s=e.filename,a=[],l=!1,u=!1;return t.filter(function(p){switch(p.type){case"comment":if(l)_n("comment","already in a comment",s,p.line);else return l=p.buffer?i:r,!l;case"start-pipeless-text":return l?(u&&_n("start-pipeless-text","already in pipeless text mode",s,p.line),u=!0,!1):!0;case"end-pipeless-text":return l?(u||_n("end-pipeless-text","not in pipeless text mode",s,p.line),u=!1,l=!1,!1):!0;case"text":return!l;default:return u?!1:(l=!1,!0)}})}n(jT,"stripComments")});var Ip=D((s6,Ap)=>{"use strict";T();Ap.exports=yi;function yi(t){if(!Array.isArray(t))throw new TypeError("tokens must be passed to TokenStream as an array.");this._tokens=t}n(yi,"TokenStream");yi.prototype.lookahead=function(t){if(this._tokens.length<=t)throw new Error("Cannot read past the end of a stream");return this._tokens[t]};yi.prototype.peek=function(){if(this._tokens.length===0)throw new Error("Cannot read past the end of a stream");return this._tokens[0]};yi.prototype.advance=function(){if(this._tokens.length===0)throw new Error("Cannot read past the end of a stream");return this._tokens.shift()};yi.prototype.defer=function(t){this._tokens.unshift(t)}});var Cp=D((o6,wp)=>{"use strict";T();wp.exports=["a","abbr","acronym","b","br","code","em","font","i","img","ins","kbd","map","samp","small","span","strong","sub","sup"]});var Np=D((u6,Dn)=>{"use strict";T();var VT=Pr(),UT=Ip(),qT=Gt(),KT=Cp();Dn.exports=YT;Dn.exports.Parser=ps;function YT(t,e){var r=new ps(t,e),i=r.parse();return JSON.parse(JSON.stringify(i))}n(YT,"parse");function ps(t,e){if(e=e||{},!Array.isArray(t))throw new Error('Expected tokens to be an Array but got "'+typeof t+'"');if(typeof e!="object")throw new Error('Expected "options" to be an object but got "'+typeof e+'"');this.tokens=new UT(t),this.filename=e.filename,this.src=e.src,this.inMixin=0,this.plugins=e.plugins||[]}n(ps,"Parser");ps.prototype={constructor:ps,error:n(function(t,e,r){var i=qT(t,e,{line:r.loc.start.line,column:r.loc.start.column,filename:this.filename,src:this.src});throw i},"error"),advance:n(function(){return this.tokens.advance()},"advance"),peek:n(function(){return this.tokens.peek()},"peek"),lookahead:n(function(t){return this.tokens.lookahead(t)},"lookahead"),parse:n(function(){for(var t=this.emptyBlock(0);this.peek().type!="eos";)if(this.peek().type=="newline")this.advance();else if(this.peek().type=="text-html")t.nodes=t.nodes.concat(this.parseTextHtml());else{var e=this.parseExpr();e&&(e.type==="Block"?t.nodes=t.nodes.concat(e.nodes):t.nodes.push(e))}return t},"parse"),expect:n(function(t){if(this.peek().type===t)return this.advance();this.error("INVALID_TOKEN",'expected "'+t+'", but got "'+this.peek().type+'"',this.peek())},"expect"),accept:n(function(t){if(this.peek().type===t)return this.advance()},"accept"),initBlock:n(function(t,e){if((t|0)!==t)throw new Error("`line` is not an integer");if(!Array.isArray(e))throw new Error("`nodes` is not an array");return{type:"Block",nodes:e,line:t,filename:this.filename}},"initBlock"),emptyBlock:n(function(t){return this.initBlock(t,[])},"emptyBlock"),runPlugin:n(function(t,e){for(var r=[this],i=2;i<arguments.length;i++)r.push(arguments[i]);for(var s,i=0;i<this.plugins.length;i++){var a=this.plugins[i];if(a[t]&&a[t][e.type]){if(s)throw new Error("Multiple plugin handlers found for context "+JSON.stringify(t)+", token type "+JSON.stringify(e.type));s=a[t]}}if(s)return s[e.type].apply(s,r)},"runPlugin"),parseExpr:n(function(){switch(this.peek().type){case"tag":return this.parseTag();case"mixin":return this.parseMixin();case"block":return this.parseBlock();case"mixin-block":return this.parseMixinBlock();case"case":return this.parseCase();case"extends":return this.parseExtends();case"include":return this.parseInclude();case"doctype":return this.parseDoctype();case"filter":return this.parseFilter();case"comment":return this.parseComment();case"text":case"interpolated-code":case"start-pug-interpolation":return this.parseText({block:!0});case"text-html":return this.initBlock(this.peek().loc.start.line,this.parseTextHtml());case"dot":return this.parseDot();case"each":return this.parseEach();case"eachOf":return this.parseEachOf();case"code":return this.parseCode();case"blockcode":return this.parseBlockCode();case"if":return this.parseConditional();case"while":return this.parseWhile();case"call":return this.parseCall();case"interpolation":return this.parseInterpolation();case"yield":return this.parseYield();case"id":case"class":if(!this.peek().loc.start)debugger;return this.tokens.defer({type:"tag",val:"div",loc:this.peek().loc,filename:this.filename}),this.parseExpr();default:var t=this.runPlugin("expressionTokens",this.peek());if(t)return t;this.error("INVALID_TOKEN",'unexpected token "'+this.peek().type+'"',this.peek())}},"parseExpr"),parseDot:n(function(){return this.advance(),this.parseTextBlock()},"parseDot"),parseText:n(function(t){var e=[],r=this.peek().loc.start.line,i=this.peek();e:for(;;){switch(i.type){case"text":var s=this.advance();e.push({type:"Text",val:s.val,line:s.loc.start.line,column:s.loc.start.column,filename:this.filename});break;case"interpolated-code":var s=this.advance();e.push({type:"Code",val:s.val,buffer:s.buffer,mustEscape:s.mustEscape!==!1,isInline:!0,line:s.loc.start.line,column:s.loc.start.column,filename:this.filename});break;case"newline":if(!t||!t.block)break e;var s=this.advance(),a=this.peek().type;(a==="text"||a==="interpolated-code")&&e.push({type:"Text",val:`
+`,line:s.loc.start.line,column:s.loc.start.column,filename:this.filename});break;case"start-pug-interpolation":this.advance(),e.push(this.parseExpr()),this.expect("end-pug-interpolation");break;default:var l=this.runPlugin("textTokens",i,e);if(l)break;break e}i=this.peek()}return e.length===1?e[0]:this.initBlock(r,e)},"parseText"),parseTextHtml:n(function(){var t=[],e=null;e:for(;;)switch(this.peek().type){case"text-html":var r=this.advance();e?e.val+=`
+`+r.val:(e={type:"Text",val:r.val,filename:this.filename,line:r.loc.start.line,column:r.loc.start.column,isHtml:!0},t.push(e));break;case"indent":var i=this.block();i.nodes.forEach(function(s){s.isHtml?e?e.val+=`
+`+s.val:(e=s,t.push(e)):(e=null,t.push(s))});break;case"code":e=null,t.push(this.parseCode(!0));break;case"newline":this.advance();break;default:break e}return t},"parseTextHtml"),parseBlockExpansion:n(function(){var t=this.accept(":");if(t){var e=this.parseExpr();return e.type==="Block"?e:this.initBlock(t.loc.start.line,[e])}else return this.block()},"parseBlockExpansion"),parseCase:n(function(){var t=this.expect("case"),e={type:"Case",expr:t.val,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename},r=this.emptyBlock(t.loc.start.line+1);for(this.expect("indent");this.peek().type!="outdent";)switch(this.peek().type){case"comment":case"newline":this.advance();break;case"when":r.nodes.push(this.parseWhen());break;case"default":r.nodes.push(this.parseDefault());break;default:var i=this.runPlugin("caseTokens",this.peek(),r);if(i)break;this.error("INVALID_TOKEN",'Unexpected token "'+this.peek().type+'", expected "when", "default" or "newline"',this.peek())}return this.expect("outdent"),e.block=r,e},"parseCase"),parseWhen:n(function(){var t=this.expect("when");return this.peek().type!=="newline"?{type:"When",expr:t.val,block:this.parseBlockExpansion(),debug:!1,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename}:{type:"When",expr:t.val,debug:!1,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename}},"parseWhen"),parseDefault:n(function(){var t=this.expect("default");return{type:"When",expr:"default",block:this.parseBlockExpansion(),debug:!1,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename}},"parseDefault"),parseCode:n(function(t){var e=this.expect("code");VT(typeof e.mustEscape=="boolean","Please update to the newest version of pug-lexer.");var r={type:"Code",val:e.val,buffer:e.buffer,mustEscape:e.mustEscape!==!1,isInline:!!t,line:e.loc.start.line,column:e.loc.start.column,filename:this.filename};if(r.val.match(/^ *else/)&&(r.debug=!1),t)return r;var i;return i=this.peek().type=="indent",i&&(e.buffer&&this.error("BLOCK_IN_BUFFERED_CODE","Buffered code cannot have a block attached to it",this.peek()),r.block=this.block()),r},"parseCode"),parseConditional:n(function(){var t=this.expect("if"),e={type:"Conditional",test:t.val,consequent:this.emptyBlock(t.loc.start.line),alternate:null,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename};this.peek().type=="indent"&&(e.consequent=this.block());for(var r=e;;)if(this.peek().type==="newline")this.expect("newline");else if(this.peek().type==="else-if")t=this.expect("else-if"),r=r.alternate={type:"Conditional",test:t.val,consequent:this.emptyBlock(t.loc.start.line),alternate:null,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename},this.peek().type=="indent"&&(r.consequent=this.block());else if(this.peek().type==="else"){this.expect("else"),this.peek().type==="indent"&&(r.alternate=this.block());break}else break;return e},"parseConditional"),parseWhile:n(function(){var t=this.expect("while"),e={type:"While",test:t.val,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename};return this.peek().type=="indent"?e.block=this.block():e.block=this.emptyBlock(t.loc.start.line),e},"parseWhile"),parseBlockCode:n(function(){var t=this.expect("blockcode"),e=t.loc.start.line,r=t.loc.start.column,i=this.peek(),s="";if(i.type==="start-pipeless-text"){for(this.advance();this.peek().type!=="end-pipeless-text";)switch(t=this.advance(),t.type){case"text":s+=t.val;break;case"newline":s+=`
+`;break;default:var a=this.runPlugin("blockCodeTokens",t,t);if(a){s+=a;break}this.error("INVALID_TOKEN","Unexpected token type: "+t.type,t)}this.advance()}return{type:"Code",val:s,buffer:!1,mustEscape:!1,isInline:!1,line:e,column:r,filename:this.filename}},"parseBlockCode"),parseComment:n(function(){var t=this.expect("comment"),e;return(e=this.parseTextBlock())?{type:"BlockComment",val:t.val,block:e,buffer:t.buffer,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename}:{type:"Comment",val:t.val,buffer:t.buffer,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename}},"parseComment"),parseDoctype:n(function(){var t=this.expect("doctype");return{type:"Doctype",val:t.val,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename}},"parseDoctype"),parseIncludeFilter:n(function(){var t=this.expect("filter"),e=[];return this.peek().type==="start-attributes"&&(e=this.attrs()),{type:"IncludeFilter",name:t.val,attrs:e,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename}},"parseIncludeFilter"),parseFilter:n(function(){var t=this.expect("filter"),e,r=[];if(this.peek().type==="start-attributes"&&(r=this.attrs()),this.peek().type==="text"){var i=this.advance();e=this.initBlock(i.loc.start.line,[{type:"Text",val:i.val,line:i.loc.start.line,column:i.loc.start.column,filename:this.filename}])}else this.peek().type==="filter"?e=this.initBlock(t.loc.start.line,[this.parseFilter()]):e=this.parseTextBlock()||this.emptyBlock(t.loc.start.line);return{type:"Filter",name:t.val,block:e,attrs:r,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename}},"parseFilter"),parseEach:n(function(){var t=this.expect("each"),e={type:"Each",obj:t.code,val:t.val,key:t.key,block:this.block(),line:t.loc.start.line,column:t.loc.start.column,filename:this.filename};return this.peek().type=="else"&&(this.advance(),e.alternate=this.block()),e},"parseEach"),parseEachOf:n(function(){var t=this.expect("eachOf"),e={type:"EachOf",obj:t.code,val:t.val,block:this.block(),line:t.loc.start.line,column:t.loc.start.column,filename:this.filename};return e},"parseEachOf"),parseExtends:n(function(){var t=this.expect("extends"),e=this.expect("path");return{type:"Extends",file:{type:"FileReference",path:e.val.trim(),line:e.loc.start.line,column:e.loc.start.column,filename:this.filename},line:t.loc.start.line,column:t.loc.start.column,filename:this.filename}},"parseExtends"),parseBlock:n(function(){var t=this.expect("block"),e=this.peek().type=="indent"?this.block():this.emptyBlock(t.loc.start.line);return e.type="NamedBlock",e.name=t.val.trim(),e.mode=t.mode,e.line=t.loc.start.line,e.column=t.loc.start.column,e},"parseBlock"),parseMixinBlock:n(function(){var t=this.expect("mixin-block");return this.inMixin||this.error("BLOCK_OUTISDE_MIXIN","Anonymous blocks are not allowed unless they are part of a mixin.",t),{type:"MixinBlock",line:t.loc.start.line,column:t.loc.start.column,filename:this.filename}},"parseMixinBlock"),parseYield:n(function(){var t=this.expect("yield");return{type:"YieldBlock",line:t.loc.start.line,column:t.loc.start.column,filename:this.filename}},"parseYield"),parseInclude:n(function(){for(var t=this.expect("include"),e={type:"Include",file:{type:"FileReference",filename:this.filename},line:t.loc.start.line,column:t.loc.start.column,filename:this.filename},r=[];this.peek().type==="filter";)r.push(this.parseIncludeFilter());var i=this.expect("path");return e.file.path=i.val.trim(),e.file.line=i.loc.start.line,e.file.column=i.loc.start.column,(/\.jade$/.test(e.file.path)||/\.pug$/.test(e.file.path))&&!r.length?(e.block=this.peek().type=="indent"?this.block():this.emptyBlock(t.loc.start.line),/\.jade$/.test(e.file.path)&&console.warn(this.filename+", line "+t.loc.start.line+`:
+The .jade extension is deprecated, use .pug for "`+e.file.path+'".')):(e.type="RawInclude",e.filters=r,this.peek().type==="indent"&&this.error("RAW_INCLUDE_BLOCK","Raw inclusion cannot contain a block",this.peek())),e},"parseInclude"),parseCall:n(function(){var t=this.expect("call"),e=t.val,r=t.args,i={type:"Mixin",name:e,args:r,block:this.emptyBlock(t.loc.start.line),call:!0,attrs:[],attributeBlocks:[],line:t.loc.start.line,column:t.loc.start.column,filename:this.filename};return this.tag(i),i.code&&(i.block.nodes.push(i.code),delete i.code),i.block.nodes.length===0&&(i.block=null),i},"parseCall"),parseMixin:n(function(){var t=this.expect("mixin"),e=t.val,r=t.args;if(this.peek().type=="indent"){this.inMixin++;var i={type:"Mixin",name:e,args:r,block:this.block(),call:!1,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename};return this.inMixin--,i}else this.error("MIXIN_WITHOUT_BODY","Mixin "+e+" declared without body",t)},"parseMixin"),parseTextBlock:n(function(){var t=this.accept("start-pipeless-text");if(t){for(var e=this.emptyBlock(t.loc.start.line);this.peek().type!=="end-pipeless-text";){var t=this.advance();switch(t.type){case"text":e.nodes.push({type:"Text",val:t.val,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename});break;case"newline":e.nodes.push({type:"Text",val:`
+`,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename});break;case"start-pug-interpolation":e.nodes.push(this.parseExpr()),this.expect("end-pug-interpolation");break;case"interpolated-code":e.nodes.push({type:"Code",val:t.val,buffer:t.buffer,mustEscape:t.mustEscape!==!1,isInline:!0,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename});break;default:var r=this.runPlugin("textBlockTokens",t,e,t);if(r)break;this.error("INVALID_TOKEN","Unexpected token type: "+t.type,t)}}return this.advance(),e}},"parseTextBlock"),block:n(function(){for(var t=this.expect("indent"),e=this.emptyBlock(t.loc.start.line);this.peek().type!="outdent";)if(this.peek().type=="newline")this.advance();else if(this.peek().type=="text-html")e.nodes=e.nodes.concat(this.parseTextHtml());else{var r=this.parseExpr();r.type==="Block"?e.nodes=e.nodes.concat(r.nodes):e.nodes.push(r)}return this.expect("outdent"),e},"block"),parseInterpolation:n(function(){var t=this.advance(),e={type:"InterpolatedTag",expr:t.val,selfClosing:!1,block:this.emptyBlock(t.loc.start.line),attrs:[],attributeBlocks:[],isInline:!1,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename};return this.tag(e,{selfClosingAllowed:!0})},"parseInterpolation"),parseTag:n(function(){var t=this.advance(),e={type:"Tag",name:t.val,selfClosing:!1,block:this.emptyBlock(t.loc.start.line),attrs:[],attributeBlocks:[],isInline:KT.indexOf(t.val)!==-1,line:t.loc.start.line,column:t.loc.start.column,filename:this.filename};return this.tag(e,{selfClosingAllowed:!0})},"parseTag"),tag:n(function(t,e){var r=!1,i=[],s=e&&e.selfClosingAllowed;e:for(;;)switch(this.peek().type){case"id":case"class":var a=this.advance();a.type==="id"&&(i.indexOf("id")!==-1&&this.error("DUPLICATE_ID",'Duplicate attribute "id" is not allowed.',a),i.push("id")),t.attrs.push({name:a.type,val:"'"+a.val+"'",line:a.loc.start.line,column:a.loc.start.column,filename:this.filename,mustEscape:!1});continue;case"start-attributes":r&&console.warn(this.filename+", line "+this.peek().loc.start.line+`:
+You should not have pug tags with multiple attributes.`),r=!0,t.attrs=t.attrs.concat(this.attrs(i));continue;case"&attributes":var a=this.advance();t.attributeBlocks.push({type:"AttributeBlock",val:a.val,line:a.loc.start.line,column:a.loc.start.column,filename:this.filename});break;default:var l=this.runPlugin("tagAttributeTokens",this.peek(),t,i);if(l)break;break e}switch(this.peek().type=="dot"&&(t.textOnly=!0,this.advance()),this.peek().type){case"text":case"interpolated-code":var u=this.parseText();u.type==="Block"?t.block.nodes.push.apply(t.block.nodes,u.nodes):t.block.nodes.push(u);break;case"code":t.block.nodes.push(this.parseCode(!0));break;case":":this.advance();var p=this.parseExpr();t.block=p.type==="Block"?p:this.initBlock(t.line,[p]);break;case"newline":case"indent":case"outdent":case"eos":case"start-pipeless-text":case"end-pug-interpolation":break;case"slash":if(s){this.advance(),t.selfClosing=!0;break}default:var l=this.runPlugin("tagTokens",this.peek(),t,e);if(l)break;this.error("INVALID_TOKEN","Unexpected token `"+this.peek().type+"` expected `text`, `interpolated-code`, `code`, `:`"+(s?", `slash`":"")+", `newline` or `eos`",this.peek())}for(;this.peek().type=="newline";)this.advance();if(t.textOnly)t.block=this.parseTextBlock()||this.emptyBlock(t.line);else if(this.peek().type=="indent")for(var h=this.block(),m=0,I=h.nodes.length;m<I;++m)t.block.nodes.push(h.nodes[m]);return t},"tag"),attrs:n(function(t){this.expect("start-attributes");for(var e=[],r=this.advance();r.type==="attribute";)r.name!=="class"&&t&&(t.indexOf(r.name)!==-1&&this.error("DUPLICATE_ATTRIBUTE",'Duplicate attribute "'+r.name+'" is not allowed.',r),t.push(r.name)),e.push({name:r.name,val:r.val,line:r.loc.start.line,column:r.loc.start.column,filename:this.filename,mustEscape:r.mustEscape!==!1}),r=this.advance();return this.tokens.defer(r),this.expect("end-attributes"),e},"attrs")}});var fs=D((f6,Op)=>{"use strict";T();Op.exports=$e;function $e(t,e,r,i){r&&typeof r=="object"&&typeof i>"u"&&(i=r,r=null),i=i||{includeDependencies:!1};var s=i.parents=i.parents||[],a=n(function p(h){if(Array.isArray(h)&&!p.arrayAllowed)throw new Error("replace() can only be called with an array if the last parent is a Block or NamedBlock");t=h},"replace");if(a.arrayAllowed=s[0]&&(/^(Named)?Block$/.test(s[0].type)||s[0].type==="RawInclude"&&t.type==="IncludeFilter"),e){var l=e(t,a);if(l===!1)return t;if(Array.isArray(t))return u(t)}switch(s.unshift(t),t.type){case"NamedBlock":case"Block":t.nodes=u(t.nodes);break;case"Case":case"Filter":case"Mixin":case"Tag":case"InterpolatedTag":case"When":case"Code":case"While":t.block&&(t.block=$e(t.block,e,r,i));break;case"Each":t.block&&(t.block=$e(t.block,e,r,i)),t.alternate&&(t.alternate=$e(t.alternate,e,r,i));break;case"EachOf":t.block&&(t.block=$e(t.block,e,r,i));break;case"Conditional":t.consequent&&(t.consequent=$e(t.consequent,e,r,i)),t.alternate&&(t.alternate=$e(t.alternate,e,r,i));break;case"Include":$e(t.block,e,r,i),$e(t.file,e,r,i);break;case"Extends":$e(t.file,e,r,i);break;case"RawInclude":t.filters=u(t.filters),$e(t.file,e,r,i);break;case"Attrs":case"BlockComment":case"Comment":case"Doctype":case"IncludeFilter":case"MixinBlock":case"YieldBlock":case"Text":break;case"FileReference":i.includeDependencies&&t.ast&&$e(t.ast,e,r,i);break;default:throw new Error("Unexpected node type "+t.type)}return s.shift(),r&&r(t,a),t;function u(p){return p.reduce(function(h,m){var I=$e(m,e,r,i);return Array.isArray(I)?h.concat(I):h.concat([I])},[])}n(u,"walkAndMergeNodes")}n($e,"walkAST")});var Dp=D((y6,_p)=>{"use strict";T();var XT=Er(),kp=ts(),JT=fs(),hs=fn();_p.exports=Qe;function Qe(t,e){return e=Ln(e),t=JSON.parse(JSON.stringify(t)),JT(t,function(r){if(r.str===void 0&&(r.type==="Include"||r.type==="RawInclude"||r.type==="Extends")){var i=r.file;if(i.type!=="FileReference")throw new Error('Expected file.type to be "FileReference"');var s,a,l;try{s=e.resolve(i.path,i.filename,e),i.fullPath=s,l=e.read(s,e),a=l.toString("utf8")}catch(u){throw u.message+=`
+    at `+r.filename+" line "+r.line,u}i.str=a,i.raw=l,(r.type==="Extends"||r.type==="Include")&&(i.ast=Qe.string(a,hs({},e,{filename:s})))}})}n(Qe,"load");Qe.string=n(function(e,r){r=hs(Ln(r),{src:e});var i=r.lex(e,r),s=r.parse(i,r);return Qe(s,r)},"loadString");Qe.file=n(function(e,r){r=hs(Ln(r),{filename:e});var i=r.read(e).toString("utf8");return Qe.string(i,r)},"loadFile");Qe.resolve=n(function(e,r,i){if(e=e.trim(),e[0]!=="/"&&!r)throw new Error('the "filename" option is required to use includes and extends with "relative" paths');if(e[0]==="/"&&!i.basedir)throw new Error('the "basedir" option is required to use includes and extends with "absolute" paths');return e=kp.join(e[0]==="/"?i.basedir:kp.dirname(r.trim()),e),e},"resolve");Qe.read=n(function(e,r){return XT.readFileSync(e)},"read");Qe.validateOptions=n(function(e){if(typeof e!="object")throw new TypeError("options must be an object");if(typeof e.lex!="function")throw new TypeError("options.lex must be a function");if(typeof e.parse!="function")throw new TypeError("options.parse must be a function");if(e.resolve&&typeof e.resolve!="function")throw new TypeError("options.resolve must be a function");if(e.read&&typeof e.read!="function")throw new TypeError("options.read must be a function")},"validateOptions");function Ln(t){return Qe.validateOptions(t),hs({resolve:Qe.resolve,read:Qe.read},t)}n(Ln,"getOptions")});var Fn=D((x6,jp)=>{"use strict";T();jp.exports=Mn;function Mn(t){ft.length||(ds(),Fp=!0),ft[ft.length]=t}n(Mn,"rawAsap");var ft=[],Fp=!1,ds,pt=0,WT=1024;function Lp(){for(;pt<ft.length;){var t=pt;if(pt=pt+1,ft[t].call(),pt>WT){for(var e=0,r=ft.length-pt;e<r;e++)ft[e]=ft[e+pt];ft.length-=pt,pt=0}}ft.length=0,pt=0,Fp=!1}n(Lp,"flush");var Mp=typeof global<"u"?global:self,Bp=Mp.MutationObserver||Mp.WebKitMutationObserver;typeof Bp=="function"?ds=$T(Lp):ds=Rp(Lp);Mn.requestFlush=ds;function $T(t){var e=1,r=new Bp(t),i=document.createTextNode("");return r.observe(i,{characterData:!0}),n(function(){e=-e,i.data=e},"requestCall")}n($T,"makeRequestCallFromMutationObserver");function Rp(t){return n(function(){var r=setTimeout(s,0),i=setInterval(s,50);function s(){clearTimeout(r),clearInterval(i),t()}n(s,"handleTimer")},"requestCall")}n(Rp,"makeRequestCallFromTimer");Mn.makeRequestCallFromTimer=Rp});var Qt=D((E6,qp)=>{"use strict";T();var zT=Fn();function ms(){}n(ms,"noop");var Nr=null,Or={};function HT(t){try{return t.then}catch(e){return Nr=e,Or}}n(HT,"getThen");function GT(t,e){try{return t(e)}catch(r){return Nr=r,Or}}n(GT,"tryCallOne");function QT(t,e,r){try{t(e,r)}catch(i){return Nr=i,Or}}n(QT,"tryCallTwo");qp.exports=ze;function ze(t){if(typeof this!="object")throw new TypeError("Promises must be constructed via new");if(typeof t!="function")throw new TypeError("Promise constructor's argument is not a function");this._40=0,this._65=0,this._55=null,this._72=null,t!==ms&&Up(t,this)}n(ze,"Promise");ze._37=null;ze._87=null;ze._61=ms;ze.prototype.then=function(t,e){if(this.constructor!==ze)return ZT(this,t,e);var r=new ze(ms);return ys(this,new Vp(t,e,r)),r};function ZT(t,e,r){return new t.constructor(function(i,s){var a=new ze(ms);a.then(i,s),ys(t,new Vp(e,r,a))})}n(ZT,"safeThen");function ys(t,e){for(;t._65===3;)t=t._55;if(ze._37&&ze._37(t),t._65===0){if(t._40===0){t._40=1,t._72=e;return}if(t._40===1){t._40=2,t._72=[t._72,e];return}t._72.push(e);return}e0(t,e)}n(ys,"handle");function e0(t,e){zT(function(){var r=t._65===1?e.onFulfilled:e.onRejected;if(r===null){t._65===1?Bn(e.promise,t._55):Cr(e.promise,t._55);return}var i=GT(r,t._55);i===Or?Cr(e.promise,Nr):Bn(e.promise,i)})}n(e0,"handleResolved");function Bn(t,e){if(e===t)return Cr(t,new TypeError("A promise cannot be resolved with itself."));if(e&&(typeof e=="object"||typeof e=="function")){var r=HT(e);if(r===Or)return Cr(t,Nr);if(r===t.then&&e instanceof ze){t._65=3,t._55=e,Rn(t);return}else if(typeof r=="function"){Up(r.bind(e),t);return}}t._65=1,t._55=e,Rn(t)}n(Bn,"resolve");function Cr(t,e){t._65=2,t._55=e,ze._87&&ze._87(t,e),Rn(t)}n(Cr,"reject");function Rn(t){if(t._40===1&&(ys(t,t._72),t._72=null),t._40===2){for(var e=0;e<t._72.length;e++)ys(t,t._72[e]);t._72=null}}n(Rn,"finale");function Vp(t,e,r){this.onFulfilled=typeof t=="function"?t:null,this.onRejected=typeof e=="function"?e:null,this.promise=r}n(Vp,"Handler");function Up(t,e){var r=!1,i=QT(t,function(s){r||(r=!0,Bn(e,s))},function(s){r||(r=!0,Cr(e,s))});!r&&i===Or&&(r=!0,Cr(e,Nr))}n(Up,"doResolve")});var Xp=D((v6,Yp)=>{"use strict";T();var Kp=Qt();Yp.exports=Kp;Kp.prototype.done=function(t,e){var r=arguments.length?this.then.apply(this,arguments):this;r.then(null,function(i){setTimeout(function(){throw i},0)})}});var Wp=D((I6,Jp)=>{"use strict";T();var Ts=Qt();Jp.exports=Ts;Ts.prototype.finally=function(t){return this.then(function(e){return Ts.resolve(t()).then(function(){return e})},function(e){return Ts.resolve(t()).then(function(){throw e})})}});var zp=D((C6,$p)=>{"use strict";T();var Oe=Qt();$p.exports=Oe;var t0=Zt(!0),r0=Zt(!1),i0=Zt(null),s0=Zt(void 0),n0=Zt(0),a0=Zt("");function Zt(t){var e=new Oe(Oe._61);return e._65=1,e._55=t,e}n(Zt,"valuePromise");Oe.resolve=function(t){if(t instanceof Oe)return t;if(t===null)return i0;if(t===void 0)return s0;if(t===!0)return t0;if(t===!1)return r0;if(t===0)return n0;if(t==="")return a0;if(typeof t=="object"||typeof t=="function")try{var e=t.then;if(typeof e=="function")return new Oe(e.bind(t))}catch(r){return new Oe(function(i,s){s(r)})}return Zt(t)};Oe.all=function(t){var e=Array.prototype.slice.call(t);return new Oe(function(r,i){if(e.length===0)return r([]);var s=e.length;function a(u,p){if(p&&(typeof p=="object"||typeof p=="function"))if(p instanceof Oe&&p.then===Oe.prototype.then){for(;p._65===3;)p=p._55;if(p._65===1)return a(u,p._55);p._65===2&&i(p._55),p.then(function(I){a(u,I)},i);return}else{var h=p.then;if(typeof h=="function"){var m=new Oe(h.bind(p));m.then(function(I){a(u,I)},i);return}}e[u]=p,--s===0&&r(e)}n(a,"res");for(var l=0;l<e.length;l++)a(l,e[l])})};Oe.reject=function(t){return new Oe(function(e,r){r(t)})};Oe.race=function(t){return new Oe(function(e,r){t.forEach(function(i){Oe.resolve(i).then(e,r)})})};Oe.prototype.catch=function(t){return this.then(null,t)}});var Zp=D((k6,Qp)=>{"use strict";T();var Hp=Fn(),xs=[],jn=[],o0=Hp.makeRequestCallFromTimer(l0);function l0(){if(jn.length)throw jn.shift()}n(l0,"throwFirstError");Qp.exports=Vn;function Vn(t){var e;xs.length?e=xs.pop():e=new Gp,e.task=t,Hp(e)}n(Vn,"asap");function Gp(){this.task=null}n(Gp,"RawTask");Gp.prototype.call=function(){try{this.task.call()}catch(t){Vn.onerror?Vn.onerror(t):(jn.push(t),o0())}finally{this.task=null,xs[xs.length]=this}}});var rf=D((L6,tf)=>{"use strict";T();var er=Qt(),Un=Zp();tf.exports=er;er.denodeify=function(t,e){return typeof e=="number"&&e!==1/0?u0(t,e):c0(t)};var ef="function (err, res) {if (err) { rj(err); } else { rs(res); }}";function u0(t,e){for(var r=[],i=0;i<e;i++)r.push("a"+i);var s=["return function ("+r.join(",")+") {","var self = this;","return new Promise(function (rs, rj) {","var res = fn.call(",["self"].concat(r).concat([ef]).join(","),");","if (res &&",'(typeof res === "object" || typeof res === "function") &&','typeof res.then === "function"',") {rs(res);}","});","};"].join("");return Function(["Promise","fn"],s)(er,t)}n(u0,"denodeifyWithCount");function c0(t){for(var e=Math.max(t.length-1,3),r=[],i=0;i<e;i++)r.push("a"+i);var s=["return function ("+r.join(",")+") {","var self = this;","var args;","var argLength = arguments.length;","if (arguments.length > "+e+") {","args = new Array(arguments.length + 1);","for (var i = 0; i < arguments.length; i++) {","args[i] = arguments[i];","}","}","return new Promise(function (rs, rj) {","var cb = "+ef+";","var res;","switch (argLength) {",r.concat(["extra"]).map(function(a,l){return"case "+l+":res = fn.call("+["self"].concat(r.slice(0,l)).concat("cb").join(",")+");break;"}).join(""),"default:","args[argLength] = cb;","res = fn.apply(self, args);","}","if (res &&",'(typeof res === "object" || typeof res === "function") &&','typeof res.then === "function"',") {rs(res);}","});","};"].join("");return Function(["Promise","fn"],s)(er,t)}n(c0,"denodeifyWithoutCount");er.nodeify=function(t){return function(){var e=Array.prototype.slice.call(arguments),r=typeof e[e.length-1]=="function"?e.pop():null,i=this;try{return t.apply(this,arguments).nodeify(r,i)}catch(s){if(r===null||typeof r>"u")return new er(function(a,l){l(s)});Un(function(){r.call(i,s)})}}};er.prototype.nodeify=function(t,e){if(typeof t!="function")return this;this.then(function(r){Un(function(){t.call(e,null,r)})},function(r){Un(function(){t.call(e,r)})})}});var nf=D((B6,sf)=>{"use strict";T();var Re=Qt();sf.exports=Re;Re.enableSynchronous=function(){Re.prototype.isPending=function(){return this.getState()==0},Re.prototype.isFulfilled=function(){return this.getState()==1},Re.prototype.isRejected=function(){return this.getState()==2},Re.prototype.getValue=function(){if(this._65===3)return this._55.getValue();if(!this.isFulfilled())throw new Error("Cannot get a value of an unfulfilled promise.");return this._55},Re.prototype.getReason=function(){if(this._65===3)return this._55.getReason();if(!this.isRejected())throw new Error("Cannot get a rejection reason of a non-rejected promise.");return this._55},Re.prototype.getState=function(){return this._65===3?this._55.getState():this._65===-1||this._65===-2?0:this._65}};Re.disableSynchronous=function(){Re.prototype.isPending=void 0,Re.prototype.isFulfilled=void 0,Re.prototype.isRejected=void 0,Re.prototype.getValue=void 0,Re.prototype.getReason=void 0,Re.prototype.getState=void 0}});var of=D((j6,af)=>{"use strict";T();af.exports=Qt();Xp();Wp();zp();rf();nf()});var uf=D((U6,lf)=>{"use strict";T();lf.exports=of()});var pf=D((K6,qn)=>{T();qn.exports=cf;qn.exports.default=cf;function cf(t){return!!t&&(typeof t=="object"||typeof t=="function")&&typeof t.then=="function"}n(cf,"isPromise")});var df=D((J6,hf)=>{"use strict";T();var Kn=Er(),Ss=Pr(),ht=uf(),ff=pf(),se=hf.exports=function(t){return new De(t)};se.Transformer=De;se.normalizeFn=p0;se.normalizeFnAsync=f0;se.normalize=h0;se.normalizeAsync=d0;Kn.readFile?(se.readFile=ht.denodeify(Kn.readFile),se.readFileSync=Kn.readFileSync):(se.readFile=function(){throw new Error("fs.readFile unsupported")},se.readFileSync=function(){throw new Error("fs.readFileSync unsupported")});function p0(t){if(typeof t=="function")return{fn:t,dependencies:[]};if(t&&typeof t=="object"&&typeof t.fn=="function"){if("dependencies"in t){if(!Array.isArray(t.dependencies))throw new Error("Result should have a dependencies property that is an array")}else t.dependencies=[];return t}else throw new Error("Invalid result object from transform.")}n(p0,"normalizeFn");function f0(t,e){return ht.resolve(t).then(function(r){return r&&ff(r.fn)?r.fn.then(function(i){return r.fn=i,r}):r}).then(se.normalizeFn).nodeify(e)}n(f0,"normalizeFnAsync");function h0(t){if(typeof t=="string")return{body:t,dependencies:[]};if(t&&typeof t=="object"&&typeof t.body=="string"){if("dependencies"in t){if(!Array.isArray(t.dependencies))throw new Error("Result should have a dependencies property that is an array")}else t.dependencies=[];return t}else throw new Error("Invalid result object from transform.")}n(h0,"normalize");function d0(t,e){return ht.resolve(t).then(function(r){return r&&ff(r.body)?r.body.then(function(i){return r.body=i,r}):r}).then(se.normalize).nodeify(e)}n(d0,"normalizeAsync");function De(t){Ss(t,"Transformer must be an object"),Ss(typeof t.name=="string","Transformer must have a name"),Ss(typeof t.outputFormat=="string","Transformer must have an output format"),Ss(["compile","compileAsync","compileFile","compileFileAsync","compileClient","compileClientAsync","compileFileClient","compileFileClientAsync","render","renderAsync","renderFile","renderFileAsync"].some(function(e){return typeof t[e]=="function"}),"Transformer must implement at least one of the potential methods."),this._tr=t,this.name=this._tr.name,this.outputFormat=this._tr.outputFormat,this.inputFormats=this._tr.inputFormats||[this.name]}n(De,"Transformer");var y0={compile:["compile","render"],compileAsync:["compileAsync","compile","render"],compileFile:["compileFile","compile","renderFile","render"],compileFileAsync:["compileFileAsync","compileFile","compileAsync","compile","renderFile","render"],compileClient:["compileClient"],compileClientAsync:["compileClientAsync","compileClient"],compileFileClient:["compileFileClient","compileClient"],compileFileClientAsync:["compileFileClientAsync","compileFileClient","compileClientAsync","compileClient"],render:["render","compile"],renderAsync:["renderAsync","render","compileAsync","compile"],renderFile:["renderFile","render","compileFile","compile"],renderFileAsync:["renderFileAsync","renderFile","renderAsync","render","compileFileAsync","compileFile","compileAsync","compile"]};De.prototype._hasMethod=function(t){return typeof this._tr[t]=="function"};De.prototype.can=function(t){return y0[t].some(function(e){return this._hasMethod(e)}.bind(this))};De.prototype.compile=function(t,e){if(!this._hasMethod("compile")){if(this.can("render")){var r=this;return{fn:n(function(i){return se.normalize(r._tr.render(t,e,i)).body},"fn"),dependencies:[]}}throw this.can("compileAsync")?new Error('The Transform "'+this.name+'" does not support synchronous compilation'):this.can("compileFileAsync")?new Error('The Transform "'+this.name+'" does not support compiling plain strings'):new Error('The Transform "'+this.name+'" does not support compilation')}return se.normalizeFn(this._tr.compile(t,e))};De.prototype.compileAsync=function(t,e,r){return this.can("compileAsync")?this._hasMethod("compileAsync")?se.normalizeFnAsync(this._tr.compileAsync(t,e),r):se.normalizeFnAsync(this.compile(t,e),r):ht.reject(new Error('The Transform "'+this.name+'" does not support compiling plain strings')).nodeify(r)};De.prototype.compileFile=function(t,e){if(!this.can("compileFile"))throw new Error('The Transform "'+this.name+'" does not support synchronous compilation');return this._hasMethod("compileFile")?se.normalizeFn(this._tr.compileFile(t,e)):this._hasMethod("renderFile")?se.normalizeFn(function(r){return se.normalize(this._tr.renderFile(t,e,r)).body}.bind(this)):(e||(e={}),e.filename===void 0&&(e.filename=t),this.compile(se.readFileSync(t,"utf8"),e))};De.prototype.compileFileAsync=function(t,e,r){return this.can("compileFileAsync")?this._hasMethod("compileFileAsync")?se.normalizeFnAsync(this._tr.compileFileAsync(t,e),r):this._hasMethod("compileFile")||this._hasMethod("renderFile")?se.normalizeFnAsync(this.compileFile(t,e),r):(e||(e={}),e.filename===void 0&&(e.filename=t),se.normalizeFnAsync(se.readFile(t,"utf8").then(function(i){return this._hasMethod("compileAsync")?this._tr.compileAsync(i,e):this.compile(i,e)}.bind(this)),r)):ht.reject(new Error('The Transform "'+this.name+'" does not support compilation'))};De.prototype.compileClient=function(t,e){if(!this.can("compileClient"))throw this.can("compileClientAsync")?new Error('The Transform "'+this.name+'" does not support compiling for the client synchronously.'):this.can("compileFileClientAsync")?new Error('The Transform "'+this.name+'" does not support compiling for the client from a string.'):new Error('The Transform "'+this.name+'" does not support compiling for the client');return se.normalize(this._tr.compileClient(t,e))};De.prototype.compileClientAsync=function(t,e,r){return this.can("compileClientAsync")?this._hasMethod("compileClientAsync")?se.normalizeAsync(this._tr.compileClientAsync(t,e),r):se.normalizeAsync(this._tr.compileClient(t,e),r):this.can("compileFileClientAsync")?ht.reject(new Error('The Transform "'+this.name+'" does not support compiling for the client from a string.')).nodeify(r):ht.reject(new Error('The Transform "'+this.name+'" does not support compiling for the client')).nodeify(r)};De.prototype.compileFileClient=function(t,e){if(!this.can("compileFileClient"))throw this.can("compileFileClientAsync")?new Error('The Transform "'+this.name+'" does not support compiling for the client synchronously.'):new Error('The Transform "'+this.name+'" does not support compiling for the client');return this._hasMethod("compileFileClient")?se.normalize(this._tr.compileFileClient(t,e)):(e||(e={}),e.filename===void 0&&(e.filename=t),se.normalize(this._tr.compileClient(se.readFileSync(t,"utf8"),e)))};De.prototype.compileFileClientAsync=function(t,e,r){return this.can("compileFileClientAsync")?this._hasMethod("compileFileClientAsync")?se.normalizeAsync(this._tr.compileFileClientAsync(t,e),r):this._hasMethod("compileFileClient")?se.normalizeAsync(this._tr.compileFileClient(t,e),r):(e||(e={}),e.filename===void 0&&(e.filename=t),se.normalizeAsync(se.readFile(t,"utf8").then(function(i){return this._hasMethod("compileClientAsync")?this._tr.compileClientAsync(i,e):this._tr.compileClient(i,e)}.bind(this)),r)):ht.reject(new Error('The Transform "'+this.name+'" does not support compiling for the client')).nodeify(r)};De.prototype.render=function(t,e,r){if(!this.can("render"))throw this.can("renderAsync")?new Error('The Transform "'+this.name+'" does not support rendering synchronously.'):this.can("renderFileAsync")?new Error('The Transform "'+this.name+'" does not support rendering from a string.'):new Error('The Transform "'+this.name+'" does not support rendering');if(this._hasMethod("render"))return se.normalize(this._tr.render(t,e,r));var i=se.normalizeFn(this._tr.compile(t,e)),s=i.fn(r||e);if(typeof s!="string")throw new Error('The Transform "'+this.name+'" does not support rendering synchronously.');return se.normalize({body:s,dependencies:i.dependencies})};De.prototype.renderAsync=function(t,e,r,i){return typeof r=="function"&&(i=r,r=e),this.can("renderAsync")?this._hasMethod("renderAsync")?se.normalizeAsync(this._tr.renderAsync(t,e,r),i):this._hasMethod("render")?se.normalizeAsync(this._tr.render(t,e,r),i):se.normalizeAsync(this.compileAsync(t,e).then(function(s){return{body:s.fn(r||e),dependencies:s.dependencies}}),i):this.can("renderFileAsync")?ht.reject(new Error('The Transform "'+this.name+'" does not support rendering from a string.')).nodeify(i):ht.reject(new Error('The Transform "'+this.name+'" does not support rendering')).nodeify(i)};De.prototype.renderFile=function(t,e,r){if(!this.can("renderFile"))throw new Error('The Transform "'+this.name+'" does not support rendering synchronously.');if(this._hasMethod("renderFile"))return se.normalize(this._tr.renderFile(t,e,r));if(this._hasMethod("render"))return e||(e={}),e.filename===void 0&&(e.filename=t),se.normalize(this._tr.render(se.readFileSync(t,"utf8"),e,r));var i=this.compileFile(t,e);return se.normalize({body:i.fn(r||e),dependencies:i.dependencies})};De.prototype.renderFileAsync=function(t,e,r,i){if(!this.can("renderFileAsync"))throw new Error('The Transform "'+this.name+'" does not support rendering.');return typeof r=="function"&&(i=r,r=e),this._hasMethod("renderFileAsync")?se.normalizeAsync(this._tr.renderFileAsync(t,e,r),i):this._hasMethod("renderFile")?se.normalizeAsync(this._tr.renderFile(t,e,r),i):this._hasMethod("compile")||this._hasMethod("compileAsync")||this._hasMethod("compileFile")||this._hasMethod("compileFileAsync")?se.normalizeAsync(this.compileFileAsync(t,e).then(function(s){return{body:s.fn(r||e),dependencies:s.dependencies}}),i):(e||(e={}),e.filename===void 0&&(e.filename=t),se.normalizeAsync(se.readFile(t,"utf8").then(function(s){return this.renderAsync(s,e,r)}.bind(this)),i))}});var mf=D((z6,yf)=>{T();function Yn(t,e,r){(r||e)(new Error(`Cannot find module '${t}'`))}n(Yn,"resolve");Yn.sync=t=>{throw new Error(`Cannot find module '${t}'`)};Yn.isCore=()=>!1;yf.exports=Yn});var Xn=D((Q6,xf)=>{"use strict";T();var m0=df(),T0=mf();xf.exports=Tf;function x0(t){switch(t){case"js":return"uglify-js";case"css":return"clean-css"}}n(x0,"getMinifyTransformerName");function Tf(t,e,r,i,s){s=s||"render";var a;try{try{a=T0.sync("jstransformer-"+t,{basedir:i||O.cwd()})}catch{a=pn.resolve("jstransformer-"+t)}}catch{var l=new Error('unknown filter ":'+t+'"');throw l.code="UNKNOWN_FILTER",l}var u=m0(pn(a)),p=u[s](e,r,r).body;if(r&&r.minify){var h=x0(u.outputFormat);if(h)try{p=Tf(h,p,null,i)}catch{}}return p}n(Tf,"filter")});var Ca=D(Ai=>{"use strict";T();Object.defineProperty(Ai,"__esModule",{value:!0});function S0(t,e){if(t==null)return{};var r={};for(var i in t)if({}.hasOwnProperty.call(t,i)){if(e.indexOf(i)!==-1)continue;r[i]=t[i]}return r}n(S0,"_objectWithoutPropertiesLoose");var mt=class{static{n(this,"Position")}constructor(e,r,i){this.line=void 0,this.column=void 0,this.index=void 0,this.line=e,this.column=r,this.index=i}},Lr=class{static{n(this,"SourceLocation")}constructor(e,r){this.start=void 0,this.end=void 0,this.filename=void 0,this.identifierName=void 0,this.start=e,this.end=r}};function Ve(t,e){let{line:r,column:i,index:s}=t;return new mt(r,i+e,s+e)}n(Ve,"createPositionWithColumnOffset");var Sf="BABEL_PARSER_SOURCETYPE_MODULE_REQUIRED",b0={ImportMetaOutsideModule:{message:`import.meta may appear only with 'sourceType: "module"'`,code:Sf},ImportOutsideModule:{message:`'import' and 'export' may appear only with 'sourceType: "module"'`,code:Sf}},bf={ArrayPattern:"array destructuring pattern",AssignmentExpression:"assignment expression",AssignmentPattern:"assignment expression",ArrowFunctionExpression:"arrow function expression",ConditionalExpression:"conditional expression",CatchClause:"catch clause",ForOfStatement:"for-of statement",ForInStatement:"for-in statement",ForStatement:"for-loop",FormalParameters:"function parameter list",Identifier:"identifier",ImportSpecifier:"import specifier",ImportDefaultSpecifier:"import default specifier",ImportNamespaceSpecifier:"import namespace specifier",ObjectPattern:"object destructuring pattern",ParenthesizedExpression:"parenthesized expression",RestElement:"rest element",UpdateExpression:{true:"prefix operation",false:"postfix operation"},VariableDeclarator:"variable declaration",YieldExpression:"yield expression"},gs=n(t=>t.type==="UpdateExpression"?bf.UpdateExpression[`${t.prefix}`]:bf[t.type],"toNodeDescription"),E0={AccessorIsGenerator:n(({kind:t})=>`A ${t}ter cannot be a generator.`,"AccessorIsGenerator"),ArgumentsInClass:"'arguments' is only allowed in functions and class methods.",AsyncFunctionInSingleStatementContext:"Async functions can only be declared at the top level or inside a block.",AwaitBindingIdentifier:"Can not use 'await' as identifier inside an async function.",AwaitBindingIdentifierInStaticBlock:"Can not use 'await' as identifier inside a static block.",AwaitExpressionFormalParameter:"'await' is not allowed in async function parameters.",AwaitUsingNotInAsyncContext:"'await using' is only allowed within async functions and at the top levels of modules.",AwaitNotInAsyncContext:"'await' is only allowed within async functions and at the top levels of modules.",BadGetterArity:"A 'get' accessor must not have any formal parameters.",BadSetterArity:"A 'set' accessor must have exactly one formal parameter.",BadSetterRestParameter:"A 'set' accessor function argument must not be a rest parameter.",ConstructorClassField:"Classes may not have a field named 'constructor'.",ConstructorClassPrivateField:"Classes may not have a private field named '#constructor'.",ConstructorIsAccessor:"Class constructor may not be an accessor.",ConstructorIsAsync:"Constructor can't be an async function.",ConstructorIsGenerator:"Constructor can't be a generator.",DeclarationMissingInitializer:n(({kind:t})=>`Missing initializer in ${t} declaration.`,"DeclarationMissingInitializer"),DecoratorArgumentsOutsideParentheses:"Decorator arguments must be moved inside parentheses: use '@(decorator(args))' instead of '@(decorator)(args)'.",DecoratorBeforeExport:"Decorators must be placed *before* the 'export' keyword. Remove the 'decoratorsBeforeExport: true' option to use the 'export @decorator class {}' syntax.",DecoratorsBeforeAfterExport:"Decorators can be placed *either* before or after the 'export' keyword, but not in both locations at the same time.",DecoratorConstructor:"Decorators can't be used with a constructor. Did you mean '@dec class { ... }'?",DecoratorExportClass:"Decorators must be placed *after* the 'export' keyword. Remove the 'decoratorsBeforeExport: false' option to use the '@decorator export class {}' syntax.",DecoratorSemicolon:"Decorators must not be followed by a semicolon.",DecoratorStaticBlock:"Decorators can't be used with a static block.",DeferImportRequiresNamespace:'Only `import defer * as x from "./module"` is valid.',DeletePrivateField:"Deleting a private field is not allowed.",DestructureNamedImport:"ES2015 named imports do not destructure. Use another statement for destructuring after the import.",DuplicateConstructor:"Duplicate constructor in the same class.",DuplicateDefaultExport:"Only one default export allowed per module.",DuplicateExport:n(({exportName:t})=>`\`${t}\` has already been exported. Exported identifiers must be unique.`,"DuplicateExport"),DuplicateProto:"Redefinition of __proto__ property.",DuplicateRegExpFlags:"Duplicate regular expression flag.",ElementAfterRest:"Rest element must be last element.",EscapedCharNotAnIdentifier:"Invalid Unicode escape.",ExportBindingIsString:n(({localName:t,exportName:e})=>`A string literal cannot be used as an exported binding without \`from\`.
+- Did you mean \`export { '${t}' as '${e}' } from 'some-module'\`?`,"ExportBindingIsString"),ExportDefaultFromAsIdentifier:"'from' is not allowed as an identifier after 'export default'.",ForInOfLoopInitializer:n(({type:t})=>`'${t==="ForInStatement"?"for-in":"for-of"}' loop variable declaration may not have an initializer.`,"ForInOfLoopInitializer"),ForInUsing:"For-in loop may not start with 'using' declaration.",ForOfAsync:"The left-hand side of a for-of loop may not be 'async'.",ForOfLet:"The left-hand side of a for-of loop may not start with 'let'.",GeneratorInSingleStatementContext:"Generators can only be declared at the top level or inside a block.",IllegalBreakContinue:n(({type:t})=>`Unsyntactic ${t==="BreakStatement"?"break":"continue"}.`,"IllegalBreakContinue"),IllegalLanguageModeDirective:"Illegal 'use strict' directive in function with non-simple parameter list.",IllegalReturn:"'return' outside of function.",ImportAttributesUseAssert:"The `assert` keyword in import attributes is deprecated and it has been replaced by the `with` keyword. You can enable the `deprecatedImportAssert` parser plugin to suppress this error.",ImportBindingIsString:n(({importName:t})=>`A string literal cannot be used as an imported binding.
+- Did you mean \`import { "${t}" as foo }\`?`,"ImportBindingIsString"),ImportCallArity:"`import()` requires exactly one or two arguments.",ImportCallNotNewExpression:"Cannot use new with import(...).",ImportCallSpreadArgument:"`...` is not allowed in `import()`.",ImportJSONBindingNotDefault:"A JSON module can only be imported with `default`.",ImportReflectionHasAssertion:"`import module x` cannot have assertions.",ImportReflectionNotBinding:'Only `import module x from "./module"` is valid.',IncompatibleRegExpUVFlags:"The 'u' and 'v' regular expression flags cannot be enabled at the same time.",InvalidBigIntLiteral:"Invalid BigIntLiteral.",InvalidCodePoint:"Code point out of bounds.",InvalidCoverDiscardElement:"'void' must be followed by an expression when not used in a binding position.",InvalidCoverInitializedName:"Invalid shorthand property initializer.",InvalidDecimal:"Invalid decimal.",InvalidDigit:n(({radix:t})=>`Expected number in radix ${t}.`,"InvalidDigit"),InvalidEscapeSequence:"Bad character escape sequence.",InvalidEscapeSequenceTemplate:"Invalid escape sequence in template.",InvalidEscapedReservedWord:n(({reservedWord:t})=>`Escape sequence in keyword ${t}.`,"InvalidEscapedReservedWord"),InvalidIdentifier:n(({identifierName:t})=>`Invalid identifier ${t}.`,"InvalidIdentifier"),InvalidLhs:n(({ancestor:t})=>`Invalid left-hand side in ${gs(t)}.`,"InvalidLhs"),InvalidLhsBinding:n(({ancestor:t})=>`Binding invalid left-hand side in ${gs(t)}.`,"InvalidLhsBinding"),InvalidLhsOptionalChaining:n(({ancestor:t})=>`Invalid optional chaining in the left-hand side of ${gs(t)}.`,"InvalidLhsOptionalChaining"),InvalidNumber:"Invalid number.",InvalidOrMissingExponent:"Floating-point numbers require a valid exponent after the 'e'.",InvalidOrUnexpectedToken:n(({unexpected:t})=>`Unexpected character '${t}'.`,"InvalidOrUnexpectedToken"),InvalidParenthesizedAssignment:"Invalid parenthesized assignment pattern.",InvalidPrivateFieldResolution:n(({identifierName:t})=>`Private name #${t} is not defined.`,"InvalidPrivateFieldResolution"),InvalidPropertyBindingPattern:"Binding member expression.",InvalidRecordProperty:"Only properties and spread elements are allowed in record definitions.",InvalidRestAssignmentPattern:"Invalid rest operator's argument.",LabelRedeclaration:n(({labelName:t})=>`Label '${t}' is already declared.`,"LabelRedeclaration"),LetInLexicalBinding:"'let' is disallowed as a lexically bound name.",LineTerminatorBeforeArrow:"No line break is allowed before '=>'.",MalformedRegExpFlags:"Invalid regular expression flag.",MissingClassName:"A class name is required.",MissingEqInAssignment:"Only '=' operator can be used for specifying default value.",MissingSemicolon:"Missing semicolon.",MissingPlugin:n(({missingPlugin:t})=>`This experimental syntax requires enabling the parser plugin: ${t.map(e=>JSON.stringify(e)).join(", ")}.`,"MissingPlugin"),MissingOneOfPlugins:n(({missingPlugin:t})=>`This experimental syntax requires enabling one of the following parser plugin(s): ${t.map(e=>JSON.stringify(e)).join(", ")}.`,"MissingOneOfPlugins"),MissingUnicodeEscape:"Expecting Unicode escape sequence \\uXXXX.",MixingCoalesceWithLogical:"Nullish coalescing operator(??) requires parens when mixing with logical operators.",ModuleAttributeDifferentFromType:"The only accepted module attribute is `type`.",ModuleAttributeInvalidValue:"Only string literals are allowed as module attribute values.",ModuleAttributesWithDuplicateKeys:n(({key:t})=>`Duplicate key "${t}" is not allowed in module attributes.`,"ModuleAttributesWithDuplicateKeys"),ModuleExportNameHasLoneSurrogate:n(({surrogateCharCode:t})=>`An export name cannot include a lone surrogate, found '\\u${t.toString(16)}'.`,"ModuleExportNameHasLoneSurrogate"),ModuleExportUndefined:n(({localName:t})=>`Export '${t}' is not defined.`,"ModuleExportUndefined"),MultipleDefaultsInSwitch:"Multiple default clauses.",NewlineAfterThrow:"Illegal newline after throw.",NoCatchOrFinally:"Missing catch or finally clause.",NumberIdentifier:"Identifier directly after number.",NumericSeparatorInEscapeSequence:"Numeric separators are not allowed inside unicode escape sequences or hex escape sequences.",ObsoleteAwaitStar:"'await*' has been removed from the async functions proposal. Use Promise.all() instead.",OptionalChainingNoNew:"Constructors in/after an Optional Chain are not allowed.",OptionalChainingNoTemplate:"Tagged Template Literals are not allowed in optionalChain.",OverrideOnConstructor:"'override' modifier cannot appear on a constructor declaration.",ParamDupe:"Argument name clash.",PatternHasAccessor:"Object pattern can't contain getter or setter.",PatternHasMethod:"Object pattern can't contain methods.",PrivateInExpectedIn:n(({identifierName:t})=>`Private names are only allowed in property accesses (\`obj.#${t}\`) or in \`in\` expressions (\`#${t} in obj\`).`,"PrivateInExpectedIn"),PrivateNameRedeclaration:n(({identifierName:t})=>`Duplicate private name #${t}.`,"PrivateNameRedeclaration"),RecordExpressionBarIncorrectEndSyntaxType:"Record expressions ending with '|}' are only allowed when the 'syntaxType' option of the 'recordAndTuple' plugin is set to 'bar'.",RecordExpressionBarIncorrectStartSyntaxType:"Record expressions starting with '{|' are only allowed when the 'syntaxType' option of the 'recordAndTuple' plugin is set to 'bar'.",RecordExpressionHashIncorrectStartSyntaxType:"Record expressions starting with '#{' are only allowed when the 'syntaxType' option of the 'recordAndTuple' plugin is set to 'hash'.",RecordNoProto:"'__proto__' is not allowed in Record expressions.",RestTrailingComma:"Unexpected trailing comma after rest element.",SloppyFunction:"In non-strict mode code, functions can only be declared at top level or inside a block.",SloppyFunctionAnnexB:"In non-strict mode code, functions can only be declared at top level, inside a block, or as the body of an if statement.",SourcePhaseImportRequiresDefault:'Only `import source x from "./module"` is valid.',StaticPrototype:"Classes may not have static property named prototype.",SuperCallNotNewExpression:"Cannot use new with super(...).",SuperNotAllowed:"`super()` is only valid inside a class constructor of a subclass. Maybe a typo in the method name ('constructor') or not extending another class?",SuperPrivateField:"Private fields can't be accessed on super.",TrailingDecorator:"Decorators must be attached to a class element.",TupleExpressionBarIncorrectEndSyntaxType:"Tuple expressions ending with '|]' are only allowed when the 'syntaxType' option of the 'recordAndTuple' plugin is set to 'bar'.",TupleExpressionBarIncorrectStartSyntaxType:"Tuple expressions starting with '[|' are only allowed when the 'syntaxType' option of the 'recordAndTuple' plugin is set to 'bar'.",TupleExpressionHashIncorrectStartSyntaxType:"Tuple expressions starting with '#[' are only allowed when the 'syntaxType' option of the 'recordAndTuple' plugin is set to 'hash'.",UnexpectedArgumentPlaceholder:"Unexpected argument placeholder.",UnexpectedAwaitAfterPipelineBody:'Unexpected "await" after pipeline body; await must have parentheses in minimal proposal.',UnexpectedDigitAfterHash:"Unexpected digit after hash token.",UnexpectedImportExport:"'import' and 'export' may only appear at the top level.",UnexpectedKeyword:n(({keyword:t})=>`Unexpected keyword '${t}'.`,"UnexpectedKeyword"),UnexpectedLeadingDecorator:"Leading decorators must be attached to a class declaration.",UnexpectedLexicalDeclaration:"Lexical declaration cannot appear in a single-statement context.",UnexpectedNewTarget:"`new.target` can only be used in functions or class properties.",UnexpectedNumericSeparator:"A numeric separator is only allowed between two digits.",UnexpectedPrivateField:"Unexpected private name.",UnexpectedReservedWord:n(({reservedWord:t})=>`Unexpected reserved word '${t}'.`,"UnexpectedReservedWord"),UnexpectedSuper:"'super' is only allowed in object methods and classes.",UnexpectedToken:n(({expected:t,unexpected:e})=>`Unexpected token${e?` '${e}'.`:""}${t?`, expected "${t}"`:""}`,"UnexpectedToken"),UnexpectedTokenUnaryExponentiation:"Illegal expression. Wrap left hand side or entire exponentiation in parentheses.",UnexpectedUsingDeclaration:"Using declaration cannot appear in the top level when source type is `script` or in the bare case statement.",UnexpectedVoidPattern:"Unexpected void binding.",UnsupportedDecoratorExport:"A decorated export must export a class declaration.",UnsupportedDefaultExport:"Only expressions, functions or classes are allowed as the `default` export.",UnsupportedImport:"`import` can only be used in `import()` or `import.meta`.",UnsupportedMetaProperty:n(({target:t,onlyValidPropertyName:e})=>`The only valid meta property for ${t} is ${t}.${e}.`,"UnsupportedMetaProperty"),UnsupportedParameterDecorator:"Decorators cannot be used to decorate parameters.",UnsupportedPropertyDecorator:"Decorators cannot be used to decorate object literal properties.",UnsupportedSuper:"'super' can only be used with function calls (i.e. super()) or in property accesses (i.e. super.prop or super[prop]).",UnterminatedComment:"Unterminated comment.",UnterminatedRegExp:"Unterminated regular expression.",UnterminatedString:"Unterminated string constant.",UnterminatedTemplate:"Unterminated template.",UsingDeclarationExport:"Using declaration cannot be exported.",UsingDeclarationHasBindingPattern:"Using declaration cannot have destructuring patterns.",VarRedeclaration:n(({identifierName:t})=>`Identifier '${t}' has already been declared.`,"VarRedeclaration"),VoidPatternCatchClauseParam:"A void binding can not be the catch clause parameter. Use `try { ... } catch { ... }` if you want to discard the caught error.",VoidPatternInitializer:"A void binding may not have an initializer.",YieldBindingIdentifier:"Can not use 'yield' as identifier inside a generator.",YieldInParameter:"Yield expression is not allowed in formal parameters.",YieldNotInGeneratorFunction:"'yield' is only allowed within generator functions.",ZeroDigitNumericSeparator:"Numeric separator can not be used after leading 0."},g0={StrictDelete:"Deleting local variable in strict mode.",StrictEvalArguments:n(({referenceName:t})=>`Assigning to '${t}' in strict mode.`,"StrictEvalArguments"),StrictEvalArgumentsBinding:n(({bindingName:t})=>`Binding '${t}' in strict mode.`,"StrictEvalArgumentsBinding"),StrictFunction:"In strict mode code, functions can only be declared at top level or inside a block.",StrictNumericEscape:"The only valid numeric escape in strict mode is '\\0'.",StrictOctalLiteral:"Legacy octal literals are not allowed in strict mode.",StrictWith:"'with' in strict mode."},P0={ParseExpressionEmptyInput:"Unexpected parseExpression() input: The input is empty or contains only comments.",ParseExpressionExpectsEOF:n(({unexpected:t})=>`Unexpected parseExpression() input: The input should contain exactly one expression, but the first expression is followed by the unexpected character \`${String.fromCodePoint(t)}\`.`,"ParseExpressionExpectsEOF")},v0=new Set(["ArrowFunctionExpression","AssignmentExpression","ConditionalExpression","YieldExpression"]),A0=Object.assign({PipeBodyIsTighter:"Unexpected yield after pipeline body; any yield expression acting as Hack-style pipe body must be parenthesized due to its loose operator precedence.",PipeTopicRequiresHackPipes:'Topic reference is used, but the pipelineOperator plugin was not passed a "proposal": "hack" or "smart" option.',PipeTopicUnbound:"Topic reference is unbound; it must be inside a pipe body.",PipeTopicUnconfiguredToken:n(({token:t})=>`Invalid topic token ${t}. In order to use ${t} as a topic reference, the pipelineOperator plugin must be configured with { "proposal": "hack", "topicToken": "${t}" }.`,"PipeTopicUnconfiguredToken"),PipeTopicUnused:"Hack-style pipe body does not contain a topic reference; Hack-style pipes must use topic at least once.",PipeUnparenthesizedBody:n(({type:t})=>`Hack-style pipe body cannot be an unparenthesized ${gs({type:t})}; please wrap it in parentheses.`,"PipeUnparenthesizedBody")},{PipelineBodyNoArrow:'Unexpected arrow "=>" after pipeline body; arrow function in pipeline body must be parenthesized.',PipelineBodySequenceExpression:"Pipeline body may not be a comma-separated sequence expression.",PipelineHeadSequenceExpression:"Pipeline head should not be a comma-separated sequence expression.",PipelineTopicUnused:"Pipeline is in topic style but does not use topic reference.",PrimaryTopicNotAllowed:"Topic reference was used in a lexical context without topic binding.",PrimaryTopicRequiresSmartPipeline:'Topic reference is used, but the pipelineOperator plugin was not passed a "proposal": "hack" or "smart" option.'}),I0={UnsupportedBind:"Binding should be performed on object property.",UnsupportedBindRHS:"The right-hand side of binding can not be super or import."},w0=["message"];function Ef(t,e,r){Object.defineProperty(t,e,{enumerable:!1,configurable:!0,value:r})}n(Ef,"defineHidden");function C0({toMessage:t,code:e,reasonCode:r,syntaxPlugin:i}){let s=r==="MissingPlugin"||r==="MissingOneOfPlugins",a={AccessorCannotDeclareThisParameter:"AccesorCannotDeclareThisParameter",AccessorCannotHaveTypeParameters:"AccesorCannotHaveTypeParameters",ConstInitializerMustBeStringOrNumericLiteralOrLiteralEnumReference:"ConstInitiailizerMustBeStringOrNumericLiteralOrLiteralEnumReference",SetAccessorCannotHaveOptionalParameter:"SetAccesorCannotHaveOptionalParameter",SetAccessorCannotHaveRestParameter:"SetAccesorCannotHaveRestParameter",SetAccessorCannotHaveReturnType:"SetAccesorCannotHaveReturnType"};return a[r]&&(r=a[r]),n(function l(u,p){let h=new SyntaxError;return h.code=e,h.reasonCode=r,h.loc=u,h.pos=u.index,h.syntaxPlugin=i,s&&(h.missingPlugin=p.missingPlugin),Ef(h,"clone",n(function(I={}){var _;let{line:F,column:B,index:U}=(_=I.loc)!=null?_:u;return l(new mt(F,B,U),Object.assign({},p,I.details))},"clone")),Ef(h,"details",p),Object.defineProperty(h,"message",{configurable:!0,get(){let m=`${t(p)} (${u.line}:${u.column})`;return this.message=m,m},set(m){Object.defineProperty(this,"message",{value:m,writable:!0})}}),h},"constructor")}n(C0,"toParseErrorConstructor");function it(t,e){if(Array.isArray(t))return i=>it(i,t[0]);let r={};for(let i of Object.keys(t)){let s=t[i],a=typeof s=="string"?{message:n(()=>s,"message")}:typeof s=="function"?{message:s}:s,{message:l}=a,u=S0(a,w0),p=typeof l=="string"?()=>l:l;r[i]=C0(Object.assign({code:"BABEL_PARSER_SYNTAX_ERROR",reasonCode:i,toMessage:p},e?{syntaxPlugin:e}:{},u))}return r}n(it,"ParseErrorEnum");var N=Object.assign({},it(b0),it(E0),it(g0),it(P0),it`pipelineOperator`(A0),it`functionBind`(I0));function N0(){return{sourceType:"script",sourceFilename:void 0,startIndex:0,startColumn:0,startLine:1,allowAwaitOutsideFunction:!1,allowReturnOutsideFunction:!1,allowNewTargetOutsideFunction:!1,allowImportExportEverywhere:!1,allowSuperOutsideMethod:!1,allowUndeclaredExports:!1,allowYieldOutsideFunction:!1,plugins:[],strictMode:void 0,ranges:!1,tokens:!1,createImportExpressions:!1,createParenthesizedExpressions:!1,errorRecovery:!1,attachComment:!0,annexB:!0}}n(N0,"createDefaultOptions");function O0(t){let e=N0();if(t==null)return e;if(t.annexB!=null&&t.annexB!==!1)throw new Error("The `annexB` option can only be set to `false`.");for(let r of Object.keys(e))t[r]!=null&&(e[r]=t[r]);if(e.startLine===1)t.startIndex==null&&e.startColumn>0?e.startIndex=e.startColumn:t.startColumn==null&&e.startIndex>0&&(e.startColumn=e.startIndex);else if((t.startColumn==null||t.startIndex==null)&&t.startIndex!=null)throw new Error("With a `startLine > 1` you must also specify `startIndex` and `startColumn`.");if(e.sourceType==="commonjs"){if(t.allowAwaitOutsideFunction!=null)throw new Error("The `allowAwaitOutsideFunction` option cannot be used with `sourceType: 'commonjs'`.");if(t.allowReturnOutsideFunction!=null)throw new Error("`sourceType: 'commonjs'` implies `allowReturnOutsideFunction: true`, please remove the `allowReturnOutsideFunction` option or use `sourceType: 'script'`.");if(t.allowNewTargetOutsideFunction!=null)throw new Error("`sourceType: 'commonjs'` implies `allowNewTargetOutsideFunction: true`, please remove the `allowNewTargetOutsideFunction` option or use `sourceType: 'script'`.")}return e}n(O0,"getOptions");var{defineProperty:k0}=Object,gf=n((t,e)=>{t&&k0(t,e,{enumerable:!1,value:t[e]})},"toUnenumerable");function mi(t){return gf(t.loc.start,"index"),gf(t.loc.end,"index"),t}n(mi,"toESTreeLocation");var _0=n(t=>class extends t{static{n(this,"ESTreeParserMixin")}parse(){let r=mi(super.parse());return this.optionFlags&256&&(r.tokens=r.tokens.map(mi)),r}parseRegExpLiteral({pattern:r,flags:i}){let s=null;try{s=new RegExp(r,i)}catch{}let a=this.estreeParseLiteral(s);return a.regex={pattern:r,flags:i},a}parseBigIntLiteral(r){let i;try{i=BigInt(r)}catch{i=null}let s=this.estreeParseLiteral(i);return s.bigint=String(s.value||r),s}parseDecimalLiteral(r){let s=this.estreeParseLiteral(null);return s.decimal=String(s.value||r),s}estreeParseLiteral(r){return this.parseLiteral(r,"Literal")}parseStringLiteral(r){return this.estreeParseLiteral(r)}parseNumericLiteral(r){return this.estreeParseLiteral(r)}parseNullLiteral(){return this.estreeParseLiteral(null)}parseBooleanLiteral(r){return this.estreeParseLiteral(r)}estreeParseChainExpression(r,i){let s=this.startNodeAtNode(r);return s.expression=r,this.finishNodeAt(s,"ChainExpression",i)}directiveToStmt(r){let i=r.value;delete r.value,this.castNodeTo(i,"Literal"),i.raw=i.extra.raw,i.value=i.extra.expressionValue;let s=this.castNodeTo(r,"ExpressionStatement");return s.expression=i,s.directive=i.extra.rawValue,delete i.extra,s}fillOptionalPropertiesForTSESLint(r){}cloneEstreeStringLiteral(r){let{start:i,end:s,loc:a,range:l,raw:u,value:p}=r,h=Object.create(r.constructor.prototype);return h.type="Literal",h.start=i,h.end=s,h.loc=a,h.range=l,h.raw=u,h.value=p,h}initFunction(r,i){super.initFunction(r,i),r.expression=!1}checkDeclaration(r){r!=null&&this.isObjectProperty(r)?this.checkDeclaration(r.value):super.checkDeclaration(r)}getObjectOrClassMethodParams(r){return r.value.params}isValidDirective(r){var i;return r.type==="ExpressionStatement"&&r.expression.type==="Literal"&&typeof r.expression.value=="string"&&!((i=r.expression.extra)!=null&&i.parenthesized)}parseBlockBody(r,i,s,a,l){super.parseBlockBody(r,i,s,a,l);let u=r.directives.map(p=>this.directiveToStmt(p));r.body=u.concat(r.body),delete r.directives}parsePrivateName(){let r=super.parsePrivateName();return this.getPluginOption("estree","classFeatures")?this.convertPrivateNameToPrivateIdentifier(r):r}convertPrivateNameToPrivateIdentifier(r){let i=super.getPrivateNameSV(r);return delete r.id,r.name=i,this.castNodeTo(r,"PrivateIdentifier")}isPrivateName(r){return this.getPluginOption("estree","classFeatures")?r.type==="PrivateIdentifier":super.isPrivateName(r)}getPrivateNameSV(r){return this.getPluginOption("estree","classFeatures")?r.name:super.getPrivateNameSV(r)}parseLiteral(r,i){let s=super.parseLiteral(r,i);return s.raw=s.extra.raw,delete s.extra,s}parseFunctionBody(r,i,s=!1){super.parseFunctionBody(r,i,s),r.expression=r.body.type!=="BlockStatement"}parseMethod(r,i,s,a,l,u,p=!1){let h=this.startNode();h.kind=r.kind,h=super.parseMethod(h,i,s,a,l,u,p),delete h.kind;let{typeParameters:m}=r;m&&(delete r.typeParameters,h.typeParameters=m,this.resetStartLocationFromNode(h,m));let I=this.castNodeTo(h,"FunctionExpression");return r.value=I,u==="ClassPrivateMethod"&&(r.computed=!1),u==="ObjectMethod"?(r.kind==="method"&&(r.kind="init"),r.shorthand=!1,this.finishNode(r,"Property")):this.finishNode(r,"MethodDefinition")}nameIsConstructor(r){return r.type==="Literal"?r.value==="constructor":super.nameIsConstructor(r)}parseClassProperty(...r){let i=super.parseClassProperty(...r);return this.getPluginOption("estree","classFeatures")&&this.castNodeTo(i,"PropertyDefinition"),i}parseClassPrivateProperty(...r){let i=super.parseClassPrivateProperty(...r);return this.getPluginOption("estree","classFeatures")&&(this.castNodeTo(i,"PropertyDefinition"),i.computed=!1),i}parseClassAccessorProperty(r){let i=super.parseClassAccessorProperty(r);return this.getPluginOption("estree","classFeatures")&&(i.abstract&&this.hasPlugin("typescript")?(delete i.abstract,this.castNodeTo(i,"TSAbstractAccessorProperty")):this.castNodeTo(i,"AccessorProperty")),i}parseObjectProperty(r,i,s,a){let l=super.parseObjectProperty(r,i,s,a);return l&&(l.kind="init",this.castNodeTo(l,"Property")),l}finishObjectProperty(r){return r.kind="init",this.finishNode(r,"Property")}isValidLVal(r,i,s,a){return r==="Property"?"value":super.isValidLVal(r,i,s,a)}isAssignable(r,i){return r!=null&&this.isObjectProperty(r)?this.isAssignable(r.value,i):super.isAssignable(r,i)}toAssignable(r,i=!1){if(r!=null&&this.isObjectProperty(r)){let{key:s,value:a}=r;this.isPrivateName(s)&&this.classScope.usePrivateName(this.getPrivateNameSV(s),s.loc.start),this.toAssignable(a,i)}else super.toAssignable(r,i)}toAssignableObjectExpressionProp(r,i,s){r.type==="Property"&&(r.kind==="get"||r.kind==="set")?this.raise(N.PatternHasAccessor,r.key):r.type==="Property"&&r.method?this.raise(N.PatternHasMethod,r.key):super.toAssignableObjectExpressionProp(r,i,s)}finishCallExpression(r,i){let s=super.finishCallExpression(r,i);if(s.callee.type==="Import"){var a,l;this.castNodeTo(s,"ImportExpression"),s.source=s.arguments[0],s.options=(a=s.arguments[1])!=null?a:null,s.attributes=(l=s.arguments[1])!=null?l:null,delete s.arguments,delete s.callee}else s.type==="OptionalCallExpression"?this.castNodeTo(s,"CallExpression"):s.optional=!1;return s}toReferencedArguments(r){r.type!=="ImportExpression"&&super.toReferencedArguments(r)}parseExport(r,i){let s=this.state.lastTokStartLoc,a=super.parseExport(r,i);switch(a.type){case"ExportAllDeclaration":a.exported=null;break;case"ExportNamedDeclaration":a.specifiers.length===1&&a.specifiers[0].type==="ExportNamespaceSpecifier"&&(this.castNodeTo(a,"ExportAllDeclaration"),a.exported=a.specifiers[0].exported,delete a.specifiers);case"ExportDefaultDeclaration":{var l;let{declaration:u}=a;u?.type==="ClassDeclaration"&&((l=u.decorators)==null?void 0:l.length)>0&&u.start===a.start&&this.resetStartLocation(a,s)}break}return a}stopParseSubscript(r,i){let s=super.stopParseSubscript(r,i);return i.optionalChainMember?this.estreeParseChainExpression(s,r.loc.end):s}parseMember(r,i,s,a,l){let u=super.parseMember(r,i,s,a,l);return u.type==="OptionalMemberExpression"?this.castNodeTo(u,"MemberExpression"):u.optional=!1,u}isOptionalMemberExpression(r){return r.type==="ChainExpression"?r.expression.type==="MemberExpression":super.isOptionalMemberExpression(r)}hasPropertyAsPrivateName(r){return r.type==="ChainExpression"&&(r=r.expression),super.hasPropertyAsPrivateName(r)}isObjectProperty(r){return r.type==="Property"&&r.kind==="init"&&!r.method}isObjectMethod(r){return r.type==="Property"&&(r.method||r.kind==="get"||r.kind==="set")}castNodeTo(r,i){let s=super.castNodeTo(r,i);return this.fillOptionalPropertiesForTSESLint(s),s}cloneIdentifier(r){let i=super.cloneIdentifier(r);return this.fillOptionalPropertiesForTSESLint(i),i}cloneStringLiteral(r){return r.type==="Literal"?this.cloneEstreeStringLiteral(r):super.cloneStringLiteral(r)}finishNodeAt(r,i,s){return mi(super.finishNodeAt(r,i,s))}finishNode(r,i){let s=super.finishNode(r,i);return this.fillOptionalPropertiesForTSESLint(s),s}resetStartLocation(r,i){super.resetStartLocation(r,i),mi(r)}resetEndLocation(r,i=this.state.lastTokEndLoc){super.resetEndLocation(r,i),mi(r)}},"estree"),rr=class{static{n(this,"TokContext")}constructor(e,r){this.token=void 0,this.preserveSpace=void 0,this.token=e,this.preserveSpace=!!r}},ye={brace:new rr("{"),j_oTag:new rr("<tag"),j_cTag:new rr("</tag"),j_expr:new rr("<tag>...</tag>",!0)};ye.template=new rr("`",!0);var oe=!0,X=!0,Jn=!0,Ti=!0,Mt=!0,D0=!0,As=class{static{n(this,"ExportedTokenType")}constructor(e,r={}){this.label=void 0,this.keyword=void 0,this.beforeExpr=void 0,this.startsExpr=void 0,this.rightAssociative=void 0,this.isLoop=void 0,this.isAssign=void 0,this.prefix=void 0,this.postfix=void 0,this.binop=void 0,this.label=e,this.keyword=r.keyword,this.beforeExpr=!!r.beforeExpr,this.startsExpr=!!r.startsExpr,this.rightAssociative=!!r.rightAssociative,this.isLoop=!!r.isLoop,this.isAssign=!!r.isAssign,this.prefix=!!r.prefix,this.postfix=!!r.postfix,this.binop=r.binop!=null?r.binop:null,this.updateContext=null}},Sa=new Map;function de(t,e={}){e.keyword=t;let r=H(t,e);return Sa.set(t,r),r}n(de,"createKeyword");function je(t,e){return H(t,{beforeExpr:oe,binop:e})}n(je,"createBinop");var Ei=-1,At=[],ba=[],Ea=[],ga=[],Pa=[],va=[];function H(t,e={}){var r,i,s,a;return++Ei,ba.push(t),Ea.push((r=e.binop)!=null?r:-1),ga.push((i=e.beforeExpr)!=null?i:!1),Pa.push((s=e.startsExpr)!=null?s:!1),va.push((a=e.prefix)!=null?a:!1),At.push(new As(t,e)),Ei}n(H,"createToken");function ce(t,e={}){var r,i,s,a;return++Ei,Sa.set(t,Ei),ba.push(t),Ea.push((r=e.binop)!=null?r:-1),ga.push((i=e.beforeExpr)!=null?i:!1),Pa.push((s=e.startsExpr)!=null?s:!1),va.push((a=e.prefix)!=null?a:!1),At.push(new As("name",e)),Ei}n(ce,"createKeywordLike");var L0={bracketL:H("[",{beforeExpr:oe,startsExpr:X}),bracketHashL:H("#[",{beforeExpr:oe,startsExpr:X}),bracketBarL:H("[|",{beforeExpr:oe,startsExpr:X}),bracketR:H("]"),bracketBarR:H("|]"),braceL:H("{",{beforeExpr:oe,startsExpr:X}),braceBarL:H("{|",{beforeExpr:oe,startsExpr:X}),braceHashL:H("#{",{beforeExpr:oe,startsExpr:X}),braceR:H("}"),braceBarR:H("|}"),parenL:H("(",{beforeExpr:oe,startsExpr:X}),parenR:H(")"),comma:H(",",{beforeExpr:oe}),semi:H(";",{beforeExpr:oe}),colon:H(":",{beforeExpr:oe}),doubleColon:H("::",{beforeExpr:oe}),dot:H("."),question:H("?",{beforeExpr:oe}),questionDot:H("?."),arrow:H("=>",{beforeExpr:oe}),template:H("template"),ellipsis:H("...",{beforeExpr:oe}),backQuote:H("`",{startsExpr:X}),dollarBraceL:H("${",{beforeExpr:oe,startsExpr:X}),templateTail:H("...`",{startsExpr:X}),templateNonTail:H("...${",{beforeExpr:oe,startsExpr:X}),at:H("@"),hash:H("#",{startsExpr:X}),interpreterDirective:H("#!..."),eq:H("=",{beforeExpr:oe,isAssign:Ti}),assign:H("_=",{beforeExpr:oe,isAssign:Ti}),slashAssign:H("_=",{beforeExpr:oe,isAssign:Ti}),xorAssign:H("_=",{beforeExpr:oe,isAssign:Ti}),moduloAssign:H("_=",{beforeExpr:oe,isAssign:Ti}),incDec:H("++/--",{prefix:Mt,postfix:D0,startsExpr:X}),bang:H("!",{beforeExpr:oe,prefix:Mt,startsExpr:X}),tilde:H("~",{beforeExpr:oe,prefix:Mt,startsExpr:X}),doubleCaret:H("^^",{startsExpr:X}),doubleAt:H("@@",{startsExpr:X}),pipeline:je("|>",0),nullishCoalescing:je("??",1),logicalOR:je("||",1),logicalAND:je("&&",2),bitwiseOR:je("|",3),bitwiseXOR:je("^",4),bitwiseAND:je("&",5),equality:je("==/!=/===/!==",6),lt:je("</>/<=/>=",7),gt:je("</>/<=/>=",7),relational:je("</>/<=/>=",7),bitShift:je("<</>>/>>>",8),bitShiftL:je("<</>>/>>>",8),bitShiftR:je("<</>>/>>>",8),plusMin:H("+/-",{beforeExpr:oe,binop:9,prefix:Mt,startsExpr:X}),modulo:H("%",{binop:10,startsExpr:X}),star:H("*",{binop:10}),slash:je("/",10),exponent:H("**",{beforeExpr:oe,binop:11,rightAssociative:!0}),_in:de("in",{beforeExpr:oe,binop:7}),_instanceof:de("instanceof",{beforeExpr:oe,binop:7}),_break:de("break"),_case:de("case",{beforeExpr:oe}),_catch:de("catch"),_continue:de("continue"),_debugger:de("debugger"),_default:de("default",{beforeExpr:oe}),_else:de("else",{beforeExpr:oe}),_finally:de("finally"),_function:de("function",{startsExpr:X}),_if:de("if"),_return:de("return",{beforeExpr:oe}),_switch:de("switch"),_throw:de("throw",{beforeExpr:oe,prefix:Mt,startsExpr:X}),_try:de("try"),_var:de("var"),_const:de("const"),_with:de("with"),_new:de("new",{beforeExpr:oe,startsExpr:X}),_this:de("this",{startsExpr:X}),_super:de("super",{startsExpr:X}),_class:de("class",{startsExpr:X}),_extends:de("extends",{beforeExpr:oe}),_export:de("export"),_import:de("import",{startsExpr:X}),_null:de("null",{startsExpr:X}),_true:de("true",{startsExpr:X}),_false:de("false",{startsExpr:X}),_typeof:de("typeof",{beforeExpr:oe,prefix:Mt,startsExpr:X}),_void:de("void",{beforeExpr:oe,prefix:Mt,startsExpr:X}),_delete:de("delete",{beforeExpr:oe,prefix:Mt,startsExpr:X}),_do:de("do",{isLoop:Jn,beforeExpr:oe}),_for:de("for",{isLoop:Jn}),_while:de("while",{isLoop:Jn}),_as:ce("as",{startsExpr:X}),_assert:ce("assert",{startsExpr:X}),_async:ce("async",{startsExpr:X}),_await:ce("await",{startsExpr:X}),_defer:ce("defer",{startsExpr:X}),_from:ce("from",{startsExpr:X}),_get:ce("get",{startsExpr:X}),_let:ce("let",{startsExpr:X}),_meta:ce("meta",{startsExpr:X}),_of:ce("of",{startsExpr:X}),_sent:ce("sent",{startsExpr:X}),_set:ce("set",{startsExpr:X}),_source:ce("source",{startsExpr:X}),_static:ce("static",{startsExpr:X}),_using:ce("using",{startsExpr:X}),_yield:ce("yield",{startsExpr:X}),_asserts:ce("asserts",{startsExpr:X}),_checks:ce("checks",{startsExpr:X}),_exports:ce("exports",{startsExpr:X}),_global:ce("global",{startsExpr:X}),_implements:ce("implements",{startsExpr:X}),_intrinsic:ce("intrinsic",{startsExpr:X}),_infer:ce("infer",{startsExpr:X}),_is:ce("is",{startsExpr:X}),_mixins:ce("mixins",{startsExpr:X}),_proto:ce("proto",{startsExpr:X}),_require:ce("require",{startsExpr:X}),_satisfies:ce("satisfies",{startsExpr:X}),_keyof:ce("keyof",{startsExpr:X}),_readonly:ce("readonly",{startsExpr:X}),_unique:ce("unique",{startsExpr:X}),_abstract:ce("abstract",{startsExpr:X}),_declare:ce("declare",{startsExpr:X}),_enum:ce("enum",{startsExpr:X}),_module:ce("module",{startsExpr:X}),_namespace:ce("namespace",{startsExpr:X}),_interface:ce("interface",{startsExpr:X}),_type:ce("type",{startsExpr:X}),_opaque:ce("opaque",{startsExpr:X}),name:H("name",{startsExpr:X}),placeholder:H("%%",{startsExpr:X}),string:H("string",{startsExpr:X}),num:H("num",{startsExpr:X}),bigint:H("bigint",{startsExpr:X}),decimal:H("decimal",{startsExpr:X}),regexp:H("regexp",{startsExpr:X}),privateName:H("#name",{startsExpr:X}),eof:H("eof"),jsxName:H("jsxName"),jsxText:H("jsxText",{beforeExpr:oe}),jsxTagStart:H("jsxTagStart",{startsExpr:X}),jsxTagEnd:H("jsxTagEnd")};function me(t){return t>=93&&t<=133}n(me,"tokenIsIdentifier");function M0(t){return t<=92}n(M0,"tokenKeywordOrIdentifierIsKeyword");function st(t){return t>=58&&t<=133}n(st,"tokenIsKeywordOrIdentifier");function Lf(t){return t>=58&&t<=137}n(Lf,"tokenIsLiteralPropertyName");function F0(t){return ga[t]}n(F0,"tokenComesBeforeExpression");function Si(t){return Pa[t]}n(Si,"tokenCanStartExpression");function B0(t){return t>=29&&t<=33}n(B0,"tokenIsAssignment");function Pf(t){return t>=129&&t<=131}n(Pf,"tokenIsFlowInterfaceOrTypeOrOpaque");function R0(t){return t>=90&&t<=92}n(R0,"tokenIsLoop");function Aa(t){return t>=58&&t<=92}n(Aa,"tokenIsKeyword");function j0(t){return t>=39&&t<=59}n(j0,"tokenIsOperator");function V0(t){return t===34}n(V0,"tokenIsPostfix");function U0(t){return va[t]}n(U0,"tokenIsPrefix");function q0(t){return t>=121&&t<=123}n(q0,"tokenIsTSTypeOperator");function K0(t){return t>=124&&t<=130}n(K0,"tokenIsTSDeclarationStart");function Bt(t){return ba[t]}n(Bt,"tokenLabelName");function Ps(t){return Ea[t]}n(Ps,"tokenOperatorPrecedence");function Y0(t){return t===57}n(Y0,"tokenIsRightAssociative");function Is(t){return t>=24&&t<=25}n(Is,"tokenIsTemplate");function vt(t){return At[t]}n(vt,"getExportedToken");At[8].updateContext=t=>{t.pop()};At[5].updateContext=At[7].updateContext=At[23].updateContext=t=>{t.push(ye.brace)};At[22].updateContext=t=>{t[t.length-1]===ye.template?t.pop():t.push(ye.template)};At[143].updateContext=t=>{t.push(ye.j_expr,ye.j_oTag)};var Ia="\xAA\xB5\xBA\xC0-\xD6\xD8-\xF6\xF8-\u02C1\u02C6-\u02D1\u02E0-\u02E4\u02EC\u02EE\u0370-\u0374\u0376\u0377\u037A-\u037D\u037F\u0386\u0388-\u038A\u038C\u038E-\u03A1\u03A3-\u03F5\u03F7-\u0481\u048A-\u052F\u0531-\u0556\u0559\u0560-\u0588\u05D0-\u05EA\u05EF-\u05F2\u0620-\u064A\u066E\u066F\u0671-\u06D3\u06D5\u06E5\u06E6\u06EE\u06EF\u06FA-\u06FC\u06FF\u0710\u0712-\u072F\u074D-\u07A5\u07B1\u07CA-\u07EA\u07F4\u07F5\u07FA\u0800-\u0815\u081A\u0824\u0828\u0840-\u0858\u0860-\u086A\u0870-\u0887\u0889-\u088F\u08A0-\u08C9\u0904-\u0939\u093D\u0950\u0958-\u0961\u0971-\u0980\u0985-\u098C\u098F\u0990\u0993-\u09A8\u09AA-\u09B0\u09B2\u09B6-\u09B9\u09BD\u09CE\u09DC\u09DD\u09DF-\u09E1\u09F0\u09F1\u09FC\u0A05-\u0A0A\u0A0F\u0A10\u0A13-\u0A28\u0A2A-\u0A30\u0A32\u0A33\u0A35\u0A36\u0A38\u0A39\u0A59-\u0A5C\u0A5E\u0A72-\u0A74\u0A85-\u0A8D\u0A8F-\u0A91\u0A93-\u0AA8\u0AAA-\u0AB0\u0AB2\u0AB3\u0AB5-\u0AB9\u0ABD\u0AD0\u0AE0\u0AE1\u0AF9\u0B05-\u0B0C\u0B0F\u0B10\u0B13-\u0B28\u0B2A-\u0B30\u0B32\u0B33\u0B35-\u0B39\u0B3D\u0B5C\u0B5D\u0B5F-\u0B61\u0B71\u0B83\u0B85-\u0B8A\u0B8E-\u0B90\u0B92-\u0B95\u0B99\u0B9A\u0B9C\u0B9E\u0B9F\u0BA3\u0BA4\u0BA8-\u0BAA\u0BAE-\u0BB9\u0BD0\u0C05-\u0C0C\u0C0E-\u0C10\u0C12-\u0C28\u0C2A-\u0C39\u0C3D\u0C58-\u0C5A\u0C5C\u0C5D\u0C60\u0C61\u0C80\u0C85-\u0C8C\u0C8E-\u0C90\u0C92-\u0CA8\u0CAA-\u0CB3\u0CB5-\u0CB9\u0CBD\u0CDC-\u0CDE\u0CE0\u0CE1\u0CF1\u0CF2\u0D04-\u0D0C\u0D0E-\u0D10\u0D12-\u0D3A\u0D3D\u0D4E\u0D54-\u0D56\u0D5F-\u0D61\u0D7A-\u0D7F\u0D85-\u0D96\u0D9A-\u0DB1\u0DB3-\u0DBB\u0DBD\u0DC0-\u0DC6\u0E01-\u0E30\u0E32\u0E33\u0E40-\u0E46\u0E81\u0E82\u0E84\u0E86-\u0E8A\u0E8C-\u0EA3\u0EA5\u0EA7-\u0EB0\u0EB2\u0EB3\u0EBD\u0EC0-\u0EC4\u0EC6\u0EDC-\u0EDF\u0F00\u0F40-\u0F47\u0F49-\u0F6C\u0F88-\u0F8C\u1000-\u102A\u103F\u1050-\u1055\u105A-\u105D\u1061\u1065\u1066\u106E-\u1070\u1075-\u1081\u108E\u10A0-\u10C5\u10C7\u10CD\u10D0-\u10FA\u10FC-\u1248\u124A-\u124D\u1250-\u1256\u1258\u125A-\u125D\u1260-\u1288\u128A-\u128D\u1290-\u12B0\u12B2-\u12B5\u12B8-\u12BE\u12C0\u12C2-\u12C5\u12C8-\u12D6\u12D8-\u1310\u1312-\u1315\u1318-\u135A\u1380-\u138F\u13A0-\u13F5\u13F8-\u13FD\u1401-\u166C\u166F-\u167F\u1681-\u169A\u16A0-\u16EA\u16EE-\u16F8\u1700-\u1711\u171F-\u1731\u1740-\u1751\u1760-\u176C\u176E-\u1770\u1780-\u17B3\u17D7\u17DC\u1820-\u1878\u1880-\u18A8\u18AA\u18B0-\u18F5\u1900-\u191E\u1950-\u196D\u1970-\u1974\u1980-\u19AB\u19B0-\u19C9\u1A00-\u1A16\u1A20-\u1A54\u1AA7\u1B05-\u1B33\u1B45-\u1B4C\u1B83-\u1BA0\u1BAE\u1BAF\u1BBA-\u1BE5\u1C00-\u1C23\u1C4D-\u1C4F\u1C5A-\u1C7D\u1C80-\u1C8A\u1C90-\u1CBA\u1CBD-\u1CBF\u1CE9-\u1CEC\u1CEE-\u1CF3\u1CF5\u1CF6\u1CFA\u1D00-\u1DBF\u1E00-\u1F15\u1F18-\u1F1D\u1F20-\u1F45\u1F48-\u1F4D\u1F50-\u1F57\u1F59\u1F5B\u1F5D\u1F5F-\u1F7D\u1F80-\u1FB4\u1FB6-\u1FBC\u1FBE\u1FC2-\u1FC4\u1FC6-\u1FCC\u1FD0-\u1FD3\u1FD6-\u1FDB\u1FE0-\u1FEC\u1FF2-\u1FF4\u1FF6-\u1FFC\u2071\u207F\u2090-\u209C\u2102\u2107\u210A-\u2113\u2115\u2118-\u211D\u2124\u2126\u2128\u212A-\u2139\u213C-\u213F\u2145-\u2149\u214E\u2160-\u2188\u2C00-\u2CE4\u2CEB-\u2CEE\u2CF2\u2CF3\u2D00-\u2D25\u2D27\u2D2D\u2D30-\u2D67\u2D6F\u2D80-\u2D96\u2DA0-\u2DA6\u2DA8-\u2DAE\u2DB0-\u2DB6\u2DB8-\u2DBE\u2DC0-\u2DC6\u2DC8-\u2DCE\u2DD0-\u2DD6\u2DD8-\u2DDE\u3005-\u3007\u3021-\u3029\u3031-\u3035\u3038-\u303C\u3041-\u3096\u309B-\u309F\u30A1-\u30FA\u30FC-\u30FF\u3105-\u312F\u3131-\u318E\u31A0-\u31BF\u31F0-\u31FF\u3400-\u4DBF\u4E00-\uA48C\uA4D0-\uA4FD\uA500-\uA60C\uA610-\uA61F\uA62A\uA62B\uA640-\uA66E\uA67F-\uA69D\uA6A0-\uA6EF\uA717-\uA71F\uA722-\uA788\uA78B-\uA7DC\uA7F1-\uA801\uA803-\uA805\uA807-\uA80A\uA80C-\uA822\uA840-\uA873\uA882-\uA8B3\uA8F2-\uA8F7\uA8FB\uA8FD\uA8FE\uA90A-\uA925\uA930-\uA946\uA960-\uA97C\uA984-\uA9B2\uA9CF\uA9E0-\uA9E4\uA9E6-\uA9EF\uA9FA-\uA9FE\uAA00-\uAA28\uAA40-\uAA42\uAA44-\uAA4B\uAA60-\uAA76\uAA7A\uAA7E-\uAAAF\uAAB1\uAAB5\uAAB6\uAAB9-\uAABD\uAAC0\uAAC2\uAADB-\uAADD\uAAE0-\uAAEA\uAAF2-\uAAF4\uAB01-\uAB06\uAB09-\uAB0E\uAB11-\uAB16\uAB20-\uAB26\uAB28-\uAB2E\uAB30-\uAB5A\uAB5C-\uAB69\uAB70-\uABE2\uAC00-\uD7A3\uD7B0-\uD7C6\uD7CB-\uD7FB\uF900-\uFA6D\uFA70-\uFAD9\uFB00-\uFB06\uFB13-\uFB17\uFB1D\uFB1F-\uFB28\uFB2A-\uFB36\uFB38-\uFB3C\uFB3E\uFB40\uFB41\uFB43\uFB44\uFB46-\uFBB1\uFBD3-\uFD3D\uFD50-\uFD8F\uFD92-\uFDC7\uFDF0-\uFDFB\uFE70-\uFE74\uFE76-\uFEFC\uFF21-\uFF3A\uFF41-\uFF5A\uFF66-\uFFBE\uFFC2-\uFFC7\uFFCA-\uFFCF\uFFD2-\uFFD7\uFFDA-\uFFDC",Mf="\xB7\u0300-\u036F\u0387\u0483-\u0487\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7\u0610-\u061A\u064B-\u0669\u0670\u06D6-\u06DC\u06DF-\u06E4\u06E7\u06E8\u06EA-\u06ED\u06F0-\u06F9\u0711\u0730-\u074A\u07A6-\u07B0\u07C0-\u07C9\u07EB-\u07F3\u07FD\u0816-\u0819\u081B-\u0823\u0825-\u0827\u0829-\u082D\u0859-\u085B\u0897-\u089F\u08CA-\u08E1\u08E3-\u0903\u093A-\u093C\u093E-\u094F\u0951-\u0957\u0962\u0963\u0966-\u096F\u0981-\u0983\u09BC\u09BE-\u09C4\u09C7\u09C8\u09CB-\u09CD\u09D7\u09E2\u09E3\u09E6-\u09EF\u09FE\u0A01-\u0A03\u0A3C\u0A3E-\u0A42\u0A47\u0A48\u0A4B-\u0A4D\u0A51\u0A66-\u0A71\u0A75\u0A81-\u0A83\u0ABC\u0ABE-\u0AC5\u0AC7-\u0AC9\u0ACB-\u0ACD\u0AE2\u0AE3\u0AE6-\u0AEF\u0AFA-\u0AFF\u0B01-\u0B03\u0B3C\u0B3E-\u0B44\u0B47\u0B48\u0B4B-\u0B4D\u0B55-\u0B57\u0B62\u0B63\u0B66-\u0B6F\u0B82\u0BBE-\u0BC2\u0BC6-\u0BC8\u0BCA-\u0BCD\u0BD7\u0BE6-\u0BEF\u0C00-\u0C04\u0C3C\u0C3E-\u0C44\u0C46-\u0C48\u0C4A-\u0C4D\u0C55\u0C56\u0C62\u0C63\u0C66-\u0C6F\u0C81-\u0C83\u0CBC\u0CBE-\u0CC4\u0CC6-\u0CC8\u0CCA-\u0CCD\u0CD5\u0CD6\u0CE2\u0CE3\u0CE6-\u0CEF\u0CF3\u0D00-\u0D03\u0D3B\u0D3C\u0D3E-\u0D44\u0D46-\u0D48\u0D4A-\u0D4D\u0D57\u0D62\u0D63\u0D66-\u0D6F\u0D81-\u0D83\u0DCA\u0DCF-\u0DD4\u0DD6\u0DD8-\u0DDF\u0DE6-\u0DEF\u0DF2\u0DF3\u0E31\u0E34-\u0E3A\u0E47-\u0E4E\u0E50-\u0E59\u0EB1\u0EB4-\u0EBC\u0EC8-\u0ECE\u0ED0-\u0ED9\u0F18\u0F19\u0F20-\u0F29\u0F35\u0F37\u0F39\u0F3E\u0F3F\u0F71-\u0F84\u0F86\u0F87\u0F8D-\u0F97\u0F99-\u0FBC\u0FC6\u102B-\u103E\u1040-\u1049\u1056-\u1059\u105E-\u1060\u1062-\u1064\u1067-\u106D\u1071-\u1074\u1082-\u108D\u108F-\u109D\u135D-\u135F\u1369-\u1371\u1712-\u1715\u1732-\u1734\u1752\u1753\u1772\u1773\u17B4-\u17D3\u17DD\u17E0-\u17E9\u180B-\u180D\u180F-\u1819\u18A9\u1920-\u192B\u1930-\u193B\u1946-\u194F\u19D0-\u19DA\u1A17-\u1A1B\u1A55-\u1A5E\u1A60-\u1A7C\u1A7F-\u1A89\u1A90-\u1A99\u1AB0-\u1ABD\u1ABF-\u1ADD\u1AE0-\u1AEB\u1B00-\u1B04\u1B34-\u1B44\u1B50-\u1B59\u1B6B-\u1B73\u1B80-\u1B82\u1BA1-\u1BAD\u1BB0-\u1BB9\u1BE6-\u1BF3\u1C24-\u1C37\u1C40-\u1C49\u1C50-\u1C59\u1CD0-\u1CD2\u1CD4-\u1CE8\u1CED\u1CF4\u1CF7-\u1CF9\u1DC0-\u1DFF\u200C\u200D\u203F\u2040\u2054\u20D0-\u20DC\u20E1\u20E5-\u20F0\u2CEF-\u2CF1\u2D7F\u2DE0-\u2DFF\u302A-\u302F\u3099\u309A\u30FB\uA620-\uA629\uA66F\uA674-\uA67D\uA69E\uA69F\uA6F0\uA6F1\uA802\uA806\uA80B\uA823-\uA827\uA82C\uA880\uA881\uA8B4-\uA8C5\uA8D0-\uA8D9\uA8E0-\uA8F1\uA8FF-\uA909\uA926-\uA92D\uA947-\uA953\uA980-\uA983\uA9B3-\uA9C0\uA9D0-\uA9D9\uA9E5\uA9F0-\uA9F9\uAA29-\uAA36\uAA43\uAA4C\uAA4D\uAA50-\uAA59\uAA7B-\uAA7D\uAAB0\uAAB2-\uAAB4\uAAB7\uAAB8\uAABE\uAABF\uAAC1\uAAEB-\uAAEF\uAAF5\uAAF6\uABE3-\uABEA\uABEC\uABED\uABF0-\uABF9\uFB1E\uFE00-\uFE0F\uFE20-\uFE2F\uFE33\uFE34\uFE4D-\uFE4F\uFF10-\uFF19\uFF3F\uFF65",X0=new RegExp("["+Ia+"]"),J0=new RegExp("["+Ia+Mf+"]");Ia=Mf=null;var Ff=[0,11,2,25,2,18,2,1,2,14,3,13,35,122,70,52,268,28,4,48,48,31,14,29,6,37,11,29,3,35,5,7,2,4,43,157,19,35,5,35,5,39,9,51,13,10,2,14,2,6,2,1,2,10,2,14,2,6,2,1,4,51,13,310,10,21,11,7,25,5,2,41,2,8,70,5,3,0,2,43,2,1,4,0,3,22,11,22,10,30,66,18,2,1,11,21,11,25,7,25,39,55,7,1,65,0,16,3,2,2,2,28,43,28,4,28,36,7,2,27,28,53,11,21,11,18,14,17,111,72,56,50,14,50,14,35,39,27,10,22,251,41,7,1,17,5,57,28,11,0,9,21,43,17,47,20,28,22,13,52,58,1,3,0,14,44,33,24,27,35,30,0,3,0,9,34,4,0,13,47,15,3,22,0,2,0,36,17,2,24,20,1,64,6,2,0,2,3,2,14,2,9,8,46,39,7,3,1,3,21,2,6,2,1,2,4,4,0,19,0,13,4,31,9,2,0,3,0,2,37,2,0,26,0,2,0,45,52,19,3,21,2,31,47,21,1,2,0,185,46,42,3,37,47,21,0,60,42,14,0,72,26,38,6,186,43,117,63,32,7,3,0,3,7,2,1,2,23,16,0,2,0,95,7,3,38,17,0,2,0,29,0,11,39,8,0,22,0,12,45,20,0,19,72,200,32,32,8,2,36,18,0,50,29,113,6,2,1,2,37,22,0,26,5,2,1,2,31,15,0,24,43,261,18,16,0,2,12,2,33,125,0,80,921,103,110,18,195,2637,96,16,1071,18,5,26,3994,6,582,6842,29,1763,568,8,30,18,78,18,29,19,47,17,3,32,20,6,18,433,44,212,63,33,24,3,24,45,74,6,0,67,12,65,1,2,0,15,4,10,7381,42,31,98,114,8702,3,2,6,2,1,2,290,16,0,30,2,3,0,15,3,9,395,2309,106,6,12,4,8,8,9,5991,84,2,70,2,1,3,0,3,1,3,3,2,11,2,0,2,6,2,64,2,3,3,7,2,6,2,27,2,3,2,4,2,0,4,6,2,339,3,24,2,24,2,30,2,24,2,30,2,24,2,30,2,24,2,30,2,24,2,7,1845,30,7,5,262,61,147,44,11,6,17,0,322,29,19,43,485,27,229,29,3,0,208,30,2,2,2,1,2,6,3,4,10,1,225,6,2,3,2,1,2,14,2,196,60,67,8,0,1205,3,2,26,2,1,2,0,3,0,2,9,2,3,2,0,2,0,7,0,5,0,2,0,2,0,2,2,2,1,2,0,3,0,2,0,2,0,2,0,2,0,2,1,2,0,3,3,2,6,2,3,2,3,2,0,2,9,2,16,6,2,2,4,2,16,4421,42719,33,4381,3,5773,3,7472,16,621,2467,541,1507,4938,6,8489],W0=[509,0,227,0,150,4,294,9,1368,2,2,1,6,3,41,2,5,0,166,1,574,3,9,9,7,9,32,4,318,1,78,5,71,10,50,3,123,2,54,14,32,10,3,1,11,3,46,10,8,0,46,9,7,2,37,13,2,9,6,1,45,0,13,2,49,13,9,3,2,11,83,11,7,0,3,0,158,11,6,9,7,3,56,1,2,6,3,1,3,2,10,0,11,1,3,6,4,4,68,8,2,0,3,0,2,3,2,4,2,0,15,1,83,17,10,9,5,0,82,19,13,9,214,6,3,8,28,1,83,16,16,9,82,12,9,9,7,19,58,14,5,9,243,14,166,9,71,5,2,1,3,3,2,0,2,1,13,9,120,6,3,6,4,0,29,9,41,6,2,3,9,0,10,10,47,15,199,7,137,9,54,7,2,7,17,9,57,21,2,13,123,5,4,0,2,1,2,6,2,0,9,9,49,4,2,1,2,4,9,9,55,9,266,3,10,1,2,0,49,6,4,4,14,10,5350,0,7,14,11465,27,2343,9,87,9,39,4,60,6,26,9,535,9,470,0,2,54,8,3,82,0,12,1,19628,1,4178,9,519,45,3,22,543,4,4,5,9,7,3,6,31,3,149,2,1418,49,513,54,5,49,9,0,15,0,23,4,2,14,1361,6,2,16,3,6,2,1,2,4,101,0,161,6,10,9,357,0,62,13,499,13,245,1,2,9,233,0,3,0,8,1,6,0,475,6,110,6,6,9,4759,9,787719,239];function Qn(t,e){let r=65536;for(let i=0,s=e.length;i<s;i+=2){if(r+=e[i],r>t)return!1;if(r+=e[i+1],r>=t)return!0}return!1}n(Qn,"isInAstralSet");function yt(t){return t<65?t===36:t<=90?!0:t<97?t===95:t<=122?!0:t<=65535?t>=170&&X0.test(String.fromCharCode(t)):Qn(t,Ff)}n(yt,"isIdentifierStart");function ir(t){return t<48?t===36:t<58?!0:t<65?!1:t<=90?!0:t<97?t===95:t<=122?!0:t<=65535?t>=170&&J0.test(String.fromCharCode(t)):Qn(t,Ff)||Qn(t,W0)}n(ir,"isIdentifierChar");var wa={keyword:["break","case","catch","continue","debugger","default","do","else","finally","for","function","if","return","switch","throw","try","var","const","while","with","new","this","super","class","extends","export","import","null","true","false","in","instanceof","typeof","void","delete"],strict:["implements","interface","let","package","private","protected","public","static","yield"],strictBind:["eval","arguments"]},$0=new Set(wa.keyword),z0=new Set(wa.strict),H0=new Set(wa.strictBind);function Bf(t,e){return e&&t==="await"||t==="enum"}n(Bf,"isReservedWord");function Rf(t,e){return Bf(t,e)||z0.has(t)}n(Rf,"isStrictReservedWord");function jf(t){return H0.has(t)}n(jf,"isStrictBindOnlyReservedWord");function Vf(t,e){return Rf(t,e)||jf(t)}n(Vf,"isStrictBindReservedWord");function G0(t){return $0.has(t)}n(G0,"isKeyword");function Q0(t,e,r){return t===64&&e===64&&yt(r)}n(Q0,"isIteratorStart");var Z0=new Set(["break","case","catch","continue","debugger","default","do","else","finally","for","function","if","return","switch","throw","try","var","const","while","with","new","this","super","class","extends","export","import","null","true","false","in","instanceof","typeof","void","delete","implements","interface","let","package","private","protected","public","static","yield","eval","arguments","enum","await"]);function ex(t){return Z0.has(t)}n(ex,"canBeReservedWord");var gi=class{static{n(this,"Scope")}constructor(e){this.flags=0,this.names=new Map,this.firstLexicalName="",this.flags=e}},Pi=class{static{n(this,"ScopeHandler")}constructor(e,r){this.parser=void 0,this.scopeStack=[],this.inModule=void 0,this.undefinedExports=new Map,this.parser=e,this.inModule=r}get inTopLevel(){return(this.currentScope().flags&1)>0}get inFunction(){return(this.currentVarScopeFlags()&2)>0}get allowSuper(){return(this.currentThisScopeFlags()&16)>0}get allowDirectSuper(){return(this.currentThisScopeFlags()&32)>0}get allowNewTarget(){return(this.currentThisScopeFlags()&512)>0}get inClass(){return(this.currentThisScopeFlags()&64)>0}get inClassAndNotInNonArrowFunction(){let e=this.currentThisScopeFlags();return(e&64)>0&&(e&2)===0}get inStaticBlock(){for(let e=this.scopeStack.length-1;;e--){let{flags:r}=this.scopeStack[e];if(r&128)return!0;if(r&1731)return!1}}get inNonArrowFunction(){return(this.currentThisScopeFlags()&2)>0}get inBareCaseStatement(){return(this.currentScope().flags&256)>0}get treatFunctionsAsVar(){return this.treatFunctionsAsVarInScope(this.currentScope())}createScope(e){return new gi(e)}enter(e){this.scopeStack.push(this.createScope(e))}exit(){return this.scopeStack.pop().flags}treatFunctionsAsVarInScope(e){return!!(e.flags&130||!this.parser.inModule&&e.flags&1)}declareName(e,r,i){let s=this.currentScope();if(r&8||r&16){this.checkRedeclarationInScope(s,e,r,i);let a=s.names.get(e)||0;r&16?a=a|4:(s.firstLexicalName||(s.firstLexicalName=e),a=a|2),s.names.set(e,a),r&8&&this.maybeExportDefined(s,e)}else if(r&4)for(let a=this.scopeStack.length-1;a>=0&&(s=this.scopeStack[a],this.checkRedeclarationInScope(s,e,r,i),s.names.set(e,(s.names.get(e)||0)|1),this.maybeExportDefined(s,e),!(s.flags&1667));--a);this.parser.inModule&&s.flags&1&&this.undefinedExports.delete(e)}maybeExportDefined(e,r){this.parser.inModule&&e.flags&1&&this.undefinedExports.delete(r)}checkRedeclarationInScope(e,r,i,s){this.isRedeclaredInScope(e,r,i)&&this.parser.raise(N.VarRedeclaration,s,{identifierName:r})}isRedeclaredInScope(e,r,i){if(!(i&1))return!1;if(i&8)return e.names.has(r);let s=e.names.get(r)||0;return i&16?(s&2)>0||!this.treatFunctionsAsVarInScope(e)&&(s&1)>0:(s&2)>0&&!(e.flags&8&&e.firstLexicalName===r)||!this.treatFunctionsAsVarInScope(e)&&(s&4)>0}checkLocalExport(e){let{name:r}=e;this.scopeStack[0].names.has(r)||this.undefinedExports.set(r,e.loc.start)}currentScope(){return this.scopeStack[this.scopeStack.length-1]}currentVarScopeFlags(){for(let e=this.scopeStack.length-1;;e--){let{flags:r}=this.scopeStack[e];if(r&1667)return r}}currentThisScopeFlags(){for(let e=this.scopeStack.length-1;;e--){let{flags:r}=this.scopeStack[e];if(r&1731&&!(r&4))return r}}},Zn=class extends gi{static{n(this,"FlowScope")}constructor(...e){super(...e),this.declareFunctions=new Set}},ea=class extends Pi{static{n(this,"FlowScopeHandler")}createScope(e){return new Zn(e)}declareName(e,r,i){let s=this.currentScope();if(r&2048){this.checkRedeclarationInScope(s,e,r,i),this.maybeExportDefined(s,e),s.declareFunctions.add(e);return}super.declareName(e,r,i)}isRedeclaredInScope(e,r,i){if(super.isRedeclaredInScope(e,r,i))return!0;if(i&2048&&!e.declareFunctions.has(r)){let s=e.names.get(r);return(s&4)>0||(s&2)>0}return!1}checkLocalExport(e){this.scopeStack[0].declareFunctions.has(e.name)||super.checkLocalExport(e)}},tx=new Set(["_","any","bool","boolean","empty","extends","false","interface","mixed","null","number","static","string","true","typeof","void"]),Z=it`flow`({AmbiguousConditionalArrow:"Ambiguous expression: wrap the arrow functions in parentheses to disambiguate.",AmbiguousDeclareModuleKind:"Found both `declare module.exports` and `declare export` in the same module. Modules can only have 1 since they are either an ES module or they are a CommonJS module.",AssignReservedType:n(({reservedType:t})=>`Cannot overwrite reserved type ${t}.`,"AssignReservedType"),DeclareClassElement:"The `declare` modifier can only appear on class fields.",DeclareClassFieldInitializer:"Initializers are not allowed in fields with the `declare` modifier.",DuplicateDeclareModuleExports:"Duplicate `declare module.exports` statement.",EnumBooleanMemberNotInitialized:n(({memberName:t,enumName:e})=>`Boolean enum members need to be initialized. Use either \`${t} = true,\` or \`${t} = false,\` in enum \`${e}\`.`,"EnumBooleanMemberNotInitialized"),EnumDuplicateMemberName:n(({memberName:t,enumName:e})=>`Enum member names need to be unique, but the name \`${t}\` has already been used before in enum \`${e}\`.`,"EnumDuplicateMemberName"),EnumInconsistentMemberValues:n(({enumName:t})=>`Enum \`${t}\` has inconsistent member initializers. Either use no initializers, or consistently use literals (either booleans, numbers, or strings) for all member initializers.`,"EnumInconsistentMemberValues"),EnumInvalidExplicitType:n(({invalidEnumType:t,enumName:e})=>`Enum type \`${t}\` is not valid. Use one of \`boolean\`, \`number\`, \`string\`, or \`symbol\` in enum \`${e}\`.`,"EnumInvalidExplicitType"),EnumInvalidExplicitTypeUnknownSupplied:n(({enumName:t})=>`Supplied enum type is not valid. Use one of \`boolean\`, \`number\`, \`string\`, or \`symbol\` in enum \`${t}\`.`,"EnumInvalidExplicitTypeUnknownSupplied"),EnumInvalidMemberInitializerPrimaryType:n(({enumName:t,memberName:e,explicitType:r})=>`Enum \`${t}\` has type \`${r}\`, so the initializer of \`${e}\` needs to be a ${r} literal.`,"EnumInvalidMemberInitializerPrimaryType"),EnumInvalidMemberInitializerSymbolType:n(({enumName:t,memberName:e})=>`Symbol enum members cannot be initialized. Use \`${e},\` in enum \`${t}\`.`,"EnumInvalidMemberInitializerSymbolType"),EnumInvalidMemberInitializerUnknownType:n(({enumName:t,memberName:e})=>`The enum member initializer for \`${e}\` needs to be a literal (either a boolean, number, or string) in enum \`${t}\`.`,"EnumInvalidMemberInitializerUnknownType"),EnumInvalidMemberName:n(({enumName:t,memberName:e,suggestion:r})=>`Enum member names cannot start with lowercase 'a' through 'z'. Instead of using \`${e}\`, consider using \`${r}\`, in enum \`${t}\`.`,"EnumInvalidMemberName"),EnumNumberMemberNotInitialized:n(({enumName:t,memberName:e})=>`Number enum members need to be initialized, e.g. \`${e} = 1\` in enum \`${t}\`.`,"EnumNumberMemberNotInitialized"),EnumStringMemberInconsistentlyInitialized:n(({enumName:t})=>`String enum members need to consistently either all use initializers, or use no initializers, in enum \`${t}\`.`,"EnumStringMemberInconsistentlyInitialized"),GetterMayNotHaveThisParam:"A getter cannot have a `this` parameter.",ImportReflectionHasImportType:"An `import module` declaration can not use `type` or `typeof` keyword.",ImportTypeShorthandOnlyInPureImport:"The `type` and `typeof` keywords on named imports can only be used on regular `import` statements. It cannot be used with `import type` or `import typeof` statements.",InexactInsideExact:"Explicit inexact syntax cannot appear inside an explicit exact object type.",InexactInsideNonObject:"Explicit inexact syntax cannot appear in class or interface definitions.",InexactVariance:"Explicit inexact syntax cannot have variance.",InvalidNonTypeImportInDeclareModule:"Imports within a `declare module` body must always be `import type` or `import typeof`.",MissingTypeParamDefault:"Type parameter declaration needs a default, since a preceding type parameter declaration has a default.",NestedDeclareModule:"`declare module` cannot be used inside another `declare module`.",NestedFlowComment:"Cannot have a flow comment inside another flow comment.",PatternIsOptional:Object.assign({message:"A binding pattern parameter cannot be optional in an implementation signature."},{reasonCode:"OptionalBindingPattern"}),SetterMayNotHaveThisParam:"A setter cannot have a `this` parameter.",SpreadVariance:"Spread properties cannot have variance.",ThisParamAnnotationRequired:"A type annotation is required for the `this` parameter.",ThisParamBannedInConstructor:"Constructors cannot have a `this` parameter; constructors don't bind `this` like other functions.",ThisParamMayNotBeOptional:"The `this` parameter cannot be optional.",ThisParamMustBeFirst:"The `this` parameter must be the first function parameter.",ThisParamNoDefault:"The `this` parameter may not have a default value.",TypeBeforeInitializer:"Type annotations must come before default assignments, e.g. instead of `age = 25: number` use `age: number = 25`.",TypeCastInPattern:"The type cast expression is expected to be wrapped with parenthesis.",UnexpectedExplicitInexactInObject:"Explicit inexact syntax must appear at the end of an inexact object.",UnexpectedReservedType:n(({reservedType:t})=>`Unexpected reserved type ${t}.`,"UnexpectedReservedType"),UnexpectedReservedUnderscore:"`_` is only allowed as a type argument to call or new.",UnexpectedSpaceBetweenModuloChecks:"Spaces between `%` and `checks` are not allowed here.",UnexpectedSpreadType:"Spread operator cannot appear in class or interface definitions.",UnexpectedSubtractionOperand:'Unexpected token, expected "number" or "bigint".',UnexpectedTokenAfterTypeParameter:"Expected an arrow function after this type parameter declaration.",UnexpectedTypeParameterBeforeAsyncArrowFunction:"Type parameters must come after the async keyword, e.g. instead of `<T> async () => {}`, use `async <T>() => {}`.",UnsupportedDeclareExportKind:n(({unsupportedExportKind:t,suggestion:e})=>`\`declare export ${t}\` is not supported. Use \`${e}\` instead.`,"UnsupportedDeclareExportKind"),UnsupportedStatementInDeclareModule:"Only declares and type imports are allowed inside declare module.",UnterminatedFlowComment:"Unterminated flow-comment."});function rx(t){return t.type==="DeclareExportAllDeclaration"||t.type==="DeclareExportDeclaration"&&(!t.declaration||t.declaration.type!=="TypeAlias"&&t.declaration.type!=="InterfaceDeclaration")}n(rx,"isEsModuleType");function vf(t){return t.importKind==="type"||t.importKind==="typeof"}n(vf,"hasTypeImportKind");var ix={const:"declare export var",let:"declare export var",type:"export type",interface:"export interface"};function sx(t,e){let r=[],i=[];for(let s=0;s<t.length;s++)(e(t[s],s,t)?r:i).push(t[s]);return[r,i]}n(sx,"partition");var nx=/\*?\s*@((?:no)?flow)\b/,ax=n(t=>class extends t{static{n(this,"FlowParserMixin")}constructor(...r){super(...r),this.flowPragma=void 0}getScopeHandler(){return ea}shouldParseTypes(){return this.getPluginOption("flow","all")||this.flowPragma==="flow"}finishToken(r,i){r!==134&&r!==13&&r!==28&&this.flowPragma===void 0&&(this.flowPragma=null),super.finishToken(r,i)}addComment(r){if(this.flowPragma===void 0){let i=nx.exec(r.value);if(i)if(i[1]==="flow")this.flowPragma="flow";else if(i[1]==="noflow")this.flowPragma="noflow";else throw new Error("Unexpected flow pragma")}super.addComment(r)}flowParseTypeInitialiser(r){let i=this.state.inType;this.state.inType=!0,this.expect(r||14);let s=this.flowParseType();return this.state.inType=i,s}flowParsePredicate(){let r=this.startNode(),i=this.state.startLoc;return this.next(),this.expectContextual(110),this.state.lastTokStartLoc.index>i.index+1&&this.raise(Z.UnexpectedSpaceBetweenModuloChecks,i),this.eat(10)?(r.value=super.parseExpression(),this.expect(11),this.finishNode(r,"DeclaredPredicate")):this.finishNode(r,"InferredPredicate")}flowParseTypeAndPredicateInitialiser(){let r=this.state.inType;this.state.inType=!0,this.expect(14);let i=null,s=null;return this.match(54)?(this.state.inType=r,s=this.flowParsePredicate()):(i=this.flowParseType(),this.state.inType=r,this.match(54)&&(s=this.flowParsePredicate())),[i,s]}flowParseDeclareClass(r){return this.next(),this.flowParseInterfaceish(r,!0),this.finishNode(r,"DeclareClass")}flowParseDeclareFunction(r){this.next();let i=r.id=this.parseIdentifier(),s=this.startNode(),a=this.startNode();this.match(47)?s.typeParameters=this.flowParseTypeParameterDeclaration():s.typeParameters=null,this.expect(10);let l=this.flowParseFunctionTypeParams();return s.params=l.params,s.rest=l.rest,s.this=l._this,this.expect(11),[s.returnType,r.predicate]=this.flowParseTypeAndPredicateInitialiser(),a.typeAnnotation=this.finishNode(s,"FunctionTypeAnnotation"),i.typeAnnotation=this.finishNode(a,"TypeAnnotation"),this.resetEndLocation(i),this.semicolon(),this.scope.declareName(r.id.name,2048,r.id.loc.start),this.finishNode(r,"DeclareFunction")}flowParseDeclare(r,i){if(this.match(80))return this.flowParseDeclareClass(r);if(this.match(68))return this.flowParseDeclareFunction(r);if(this.match(74))return this.flowParseDeclareVariable(r);if(this.eatContextual(127))return this.match(16)?this.flowParseDeclareModuleExports(r):(i&&this.raise(Z.NestedDeclareModule,this.state.lastTokStartLoc),this.flowParseDeclareModule(r));if(this.isContextual(130))return this.flowParseDeclareTypeAlias(r);if(this.isContextual(131))return this.flowParseDeclareOpaqueType(r);if(this.isContextual(129))return this.flowParseDeclareInterface(r);if(this.match(82))return this.flowParseDeclareExportDeclaration(r,i);throw this.unexpected()}flowParseDeclareVariable(r){return this.next(),r.id=this.flowParseTypeAnnotatableIdentifier(),this.scope.declareName(r.id.name,5,r.id.loc.start),this.semicolon(),this.finishNode(r,"DeclareVariable")}flowParseDeclareModule(r){this.scope.enter(0),this.match(134)?r.id=super.parseExprAtom():r.id=this.parseIdentifier();let i=r.body=this.startNode(),s=i.body=[];for(this.expect(5);!this.match(8);){let u=this.startNode();this.match(83)?(this.next(),!this.isContextual(130)&&!this.match(87)&&this.raise(Z.InvalidNonTypeImportInDeclareModule,this.state.lastTokStartLoc),s.push(super.parseImport(u))):(this.expectContextual(125,Z.UnsupportedStatementInDeclareModule),s.push(this.flowParseDeclare(u,!0)))}this.scope.exit(),this.expect(8),this.finishNode(i,"BlockStatement");let a=null,l=!1;return s.forEach(u=>{rx(u)?(a==="CommonJS"&&this.raise(Z.AmbiguousDeclareModuleKind,u),a="ES"):u.type==="DeclareModuleExports"&&(l&&this.raise(Z.DuplicateDeclareModuleExports,u),a==="ES"&&this.raise(Z.AmbiguousDeclareModuleKind,u),a="CommonJS",l=!0)}),r.kind=a||"CommonJS",this.finishNode(r,"DeclareModule")}flowParseDeclareExportDeclaration(r,i){if(this.expect(82),this.eat(65))return this.match(68)||this.match(80)?r.declaration=this.flowParseDeclare(this.startNode()):(r.declaration=this.flowParseType(),this.semicolon()),r.default=!0,this.finishNode(r,"DeclareExportDeclaration");if(this.match(75)||this.isLet()||(this.isContextual(130)||this.isContextual(129))&&!i){let s=this.state.value;throw this.raise(Z.UnsupportedDeclareExportKind,this.state.startLoc,{unsupportedExportKind:s,suggestion:ix[s]})}if(this.match(74)||this.match(68)||this.match(80)||this.isContextual(131))return r.declaration=this.flowParseDeclare(this.startNode()),r.default=!1,this.finishNode(r,"DeclareExportDeclaration");if(this.match(55)||this.match(5)||this.isContextual(129)||this.isContextual(130)||this.isContextual(131))return r=this.parseExport(r,null),r.type==="ExportNamedDeclaration"?(r.default=!1,delete r.exportKind,this.castNodeTo(r,"DeclareExportDeclaration")):this.castNodeTo(r,"DeclareExportAllDeclaration");throw this.unexpected()}flowParseDeclareModuleExports(r){return this.next(),this.expectContextual(111),r.typeAnnotation=this.flowParseTypeAnnotation(),this.semicolon(),this.finishNode(r,"DeclareModuleExports")}flowParseDeclareTypeAlias(r){this.next();let i=this.flowParseTypeAlias(r);return this.castNodeTo(i,"DeclareTypeAlias"),i}flowParseDeclareOpaqueType(r){this.next();let i=this.flowParseOpaqueType(r,!0);return this.castNodeTo(i,"DeclareOpaqueType"),i}flowParseDeclareInterface(r){return this.next(),this.flowParseInterfaceish(r,!1),this.finishNode(r,"DeclareInterface")}flowParseInterfaceish(r,i){if(r.id=this.flowParseRestrictedIdentifier(!i,!0),this.scope.declareName(r.id.name,i?17:8201,r.id.loc.start),this.match(47)?r.typeParameters=this.flowParseTypeParameterDeclaration():r.typeParameters=null,r.extends=[],this.eat(81))do r.extends.push(this.flowParseInterfaceExtends());while(!i&&this.eat(12));if(i){if(r.implements=[],r.mixins=[],this.eatContextual(117))do r.mixins.push(this.flowParseInterfaceExtends());while(this.eat(12));if(this.eatContextual(113))do r.implements.push(this.flowParseInterfaceExtends());while(this.eat(12))}r.body=this.flowParseObjectType({allowStatic:i,allowExact:!1,allowSpread:!1,allowProto:i,allowInexact:!1})}flowParseInterfaceExtends(){let r=this.startNode();return r.id=this.flowParseQualifiedTypeIdentifier(),this.match(47)?r.typeParameters=this.flowParseTypeParameterInstantiation():r.typeParameters=null,this.finishNode(r,"InterfaceExtends")}flowParseInterface(r){return this.flowParseInterfaceish(r,!1),this.finishNode(r,"InterfaceDeclaration")}checkNotUnderscore(r){r==="_"&&this.raise(Z.UnexpectedReservedUnderscore,this.state.startLoc)}checkReservedType(r,i,s){tx.has(r)&&this.raise(s?Z.AssignReservedType:Z.UnexpectedReservedType,i,{reservedType:r})}flowParseRestrictedIdentifierName(r,i){return this.checkReservedType(this.state.value,this.state.startLoc,i),this.parseIdentifierName(r)}flowParseRestrictedIdentifier(r,i){let s=this.startNode(),a=this.flowParseRestrictedIdentifierName(r,i);return this.createIdentifier(s,a)}flowParseTypeAlias(r){return r.id=this.flowParseRestrictedIdentifier(!1,!0),this.scope.declareName(r.id.name,8201,r.id.loc.start),this.match(47)?r.typeParameters=this.flowParseTypeParameterDeclaration():r.typeParameters=null,r.right=this.flowParseTypeInitialiser(29),this.semicolon(),this.finishNode(r,"TypeAlias")}flowParseOpaqueType(r,i){return this.expectContextual(130),r.id=this.flowParseRestrictedIdentifier(!0,!0),this.scope.declareName(r.id.name,8201,r.id.loc.start),this.match(47)?r.typeParameters=this.flowParseTypeParameterDeclaration():r.typeParameters=null,r.supertype=null,this.match(14)&&(r.supertype=this.flowParseTypeInitialiser(14)),r.impltype=null,i||(r.impltype=this.flowParseTypeInitialiser(29)),this.semicolon(),this.finishNode(r,"OpaqueType")}flowParseTypeParameterBound(){if(this.match(14)||this.isContextual(81)){let r=this.startNode();return this.next(),r.typeAnnotation=this.flowParseType(),this.finishNode(r,"TypeAnnotation")}}flowParseTypeParameter(r=!1){let i=this.state.startLoc,s=this.startNode(),a=this.flowParseVariance();return s.name=this.flowParseRestrictedIdentifierName(),s.variance=a,s.bound=this.flowParseTypeParameterBound(),this.match(29)?(this.eat(29),s.default=this.flowParseType()):r&&this.raise(Z.MissingTypeParamDefault,i),this.finishNode(s,"TypeParameter")}flowParseTypeParameterDeclaration(){let r=this.state.inType,i=this.startNode();i.params=[],this.state.inType=!0,this.match(47)||this.match(143)?this.next():this.unexpected();let s=!1;do{let a=this.flowParseTypeParameter(s);i.params.push(a),a.default&&(s=!0),this.match(48)||this.expect(12)}while(!this.match(48));return this.expect(48),this.state.inType=r,this.finishNode(i,"TypeParameterDeclaration")}flowInTopLevelContext(r){if(this.curContext()!==ye.brace){let i=this.state.context;this.state.context=[i[0]];try{return r()}finally{this.state.context=i}}else return r()}flowParseTypeParameterInstantiationInExpression(){if(this.reScan_lt()===47)return this.flowParseTypeParameterInstantiation()}flowParseTypeParameterInstantiation(){let r=this.startNode(),i=this.state.inType;return this.state.inType=!0,r.params=[],this.flowInTopLevelContext(()=>{this.expect(47);let s=this.state.noAnonFunctionType;for(this.state.noAnonFunctionType=!1;!this.match(48);)r.params.push(this.flowParseType()),this.match(48)||this.expect(12);this.state.noAnonFunctionType=s}),this.state.inType=i,!this.state.inType&&this.curContext()===ye.brace&&this.reScan_lt_gt(),this.expect(48),this.finishNode(r,"TypeParameterInstantiation")}flowParseTypeParameterInstantiationCallOrNew(){if(this.reScan_lt()!==47)return null;let r=this.startNode(),i=this.state.inType;for(r.params=[],this.state.inType=!0,this.expect(47);!this.match(48);)r.params.push(this.flowParseTypeOrImplicitInstantiation()),this.match(48)||this.expect(12);return this.expect(48),this.state.inType=i,this.finishNode(r,"TypeParameterInstantiation")}flowParseInterfaceType(){let r=this.startNode();if(this.expectContextual(129),r.extends=[],this.eat(81))do r.extends.push(this.flowParseInterfaceExtends());while(this.eat(12));return r.body=this.flowParseObjectType({allowStatic:!1,allowExact:!1,allowSpread:!1,allowProto:!1,allowInexact:!1}),this.finishNode(r,"InterfaceTypeAnnotation")}flowParseObjectPropertyKey(){return this.match(135)||this.match(134)?super.parseExprAtom():this.parseIdentifier(!0)}flowParseObjectTypeIndexer(r,i,s){return r.static=i,this.lookahead().type===14?(r.id=this.flowParseObjectPropertyKey(),r.key=this.flowParseTypeInitialiser()):(r.id=null,r.key=this.flowParseType()),this.expect(3),r.value=this.flowParseTypeInitialiser(),r.variance=s,this.finishNode(r,"ObjectTypeIndexer")}flowParseObjectTypeInternalSlot(r,i){return r.static=i,r.id=this.flowParseObjectPropertyKey(),this.expect(3),this.expect(3),this.match(47)||this.match(10)?(r.method=!0,r.optional=!1,r.value=this.flowParseObjectTypeMethodish(this.startNodeAt(r.loc.start))):(r.method=!1,this.eat(17)&&(r.optional=!0),r.value=this.flowParseTypeInitialiser()),this.finishNode(r,"ObjectTypeInternalSlot")}flowParseObjectTypeMethodish(r){for(r.params=[],r.rest=null,r.typeParameters=null,r.this=null,this.match(47)&&(r.typeParameters=this.flowParseTypeParameterDeclaration()),this.expect(10),this.match(78)&&(r.this=this.flowParseFunctionTypeParam(!0),r.this.name=null,this.match(11)||this.expect(12));!this.match(11)&&!this.match(21);)r.params.push(this.flowParseFunctionTypeParam(!1)),this.match(11)||this.expect(12);return this.eat(21)&&(r.rest=this.flowParseFunctionTypeParam(!1)),this.expect(11),r.returnType=this.flowParseTypeInitialiser(),this.finishNode(r,"FunctionTypeAnnotation")}flowParseObjectTypeCallProperty(r,i){let s=this.startNode();return r.static=i,r.value=this.flowParseObjectTypeMethodish(s),this.finishNode(r,"ObjectTypeCallProperty")}flowParseObjectType({allowStatic:r,allowExact:i,allowSpread:s,allowProto:a,allowInexact:l}){let u=this.state.inType;this.state.inType=!0;let p=this.startNode();p.callProperties=[],p.properties=[],p.indexers=[],p.internalSlots=[];let h,m,I=!1;for(i&&this.match(6)?(this.expect(6),h=9,m=!0):(this.expect(5),h=8,m=!1),p.exact=m;!this.match(h);){let F=!1,B=null,U=null,te=this.startNode();if(a&&this.isContextual(118)){let Q=this.lookahead();Q.type!==14&&Q.type!==17&&(this.next(),B=this.state.startLoc,r=!1)}if(r&&this.isContextual(106)){let Q=this.lookahead();Q.type!==14&&Q.type!==17&&(this.next(),F=!0)}let Y=this.flowParseVariance();if(this.eat(0))B!=null&&this.unexpected(B),this.eat(0)?(Y&&this.unexpected(Y.loc.start),p.internalSlots.push(this.flowParseObjectTypeInternalSlot(te,F))):p.indexers.push(this.flowParseObjectTypeIndexer(te,F,Y));else if(this.match(10)||this.match(47))B!=null&&this.unexpected(B),Y&&this.unexpected(Y.loc.start),p.callProperties.push(this.flowParseObjectTypeCallProperty(te,F));else{let Q="init";if(this.isContextual(99)||this.isContextual(104)){let S=this.lookahead();Lf(S.type)&&(Q=this.state.value,this.next())}let z=this.flowParseObjectTypeProperty(te,F,B,Y,Q,s,l??!m);z===null?(I=!0,U=this.state.lastTokStartLoc):p.properties.push(z)}this.flowObjectTypeSemicolon(),U&&!this.match(8)&&!this.match(9)&&this.raise(Z.UnexpectedExplicitInexactInObject,U)}this.expect(h),s&&(p.inexact=I);let _=this.finishNode(p,"ObjectTypeAnnotation");return this.state.inType=u,_}flowParseObjectTypeProperty(r,i,s,a,l,u,p){if(this.eat(21))return this.match(12)||this.match(13)||this.match(8)||this.match(9)?(u?p||this.raise(Z.InexactInsideExact,this.state.lastTokStartLoc):this.raise(Z.InexactInsideNonObject,this.state.lastTokStartLoc),a&&this.raise(Z.InexactVariance,a),null):(u||this.raise(Z.UnexpectedSpreadType,this.state.lastTokStartLoc),s!=null&&this.unexpected(s),a&&this.raise(Z.SpreadVariance,a),r.argument=this.flowParseType(),this.finishNode(r,"ObjectTypeSpreadProperty"));{r.key=this.flowParseObjectPropertyKey(),r.static=i,r.proto=s!=null,r.kind=l;let h=!1;return this.match(47)||this.match(10)?(r.method=!0,s!=null&&this.unexpected(s),a&&this.unexpected(a.loc.start),r.value=this.flowParseObjectTypeMethodish(this.startNodeAt(r.loc.start)),(l==="get"||l==="set")&&this.flowCheckGetterSetterParams(r),!u&&r.key.name==="constructor"&&r.value.this&&this.raise(Z.ThisParamBannedInConstructor,r.value.this)):(l!=="init"&&this.unexpected(),r.method=!1,this.eat(17)&&(h=!0),r.value=this.flowParseTypeInitialiser(),r.variance=a),r.optional=h,this.finishNode(r,"ObjectTypeProperty")}}flowCheckGetterSetterParams(r){let i=r.kind==="get"?0:1,s=r.value.params.length+(r.value.rest?1:0);r.value.this&&this.raise(r.kind==="get"?Z.GetterMayNotHaveThisParam:Z.SetterMayNotHaveThisParam,r.value.this),s!==i&&this.raise(r.kind==="get"?N.BadGetterArity:N.BadSetterArity,r),r.kind==="set"&&r.value.rest&&this.raise(N.BadSetterRestParameter,r)}flowObjectTypeSemicolon(){!this.eat(13)&&!this.eat(12)&&!this.match(8)&&!this.match(9)&&this.unexpected()}flowParseQualifiedTypeIdentifier(r,i){r??(r=this.state.startLoc);let s=i||this.flowParseRestrictedIdentifier(!0);for(;this.eat(16);){let a=this.startNodeAt(r);a.qualification=s,a.id=this.flowParseRestrictedIdentifier(!0),s=this.finishNode(a,"QualifiedTypeIdentifier")}return s}flowParseGenericType(r,i){let s=this.startNodeAt(r);return s.typeParameters=null,s.id=this.flowParseQualifiedTypeIdentifier(r,i),this.match(47)&&(s.typeParameters=this.flowParseTypeParameterInstantiation()),this.finishNode(s,"GenericTypeAnnotation")}flowParseTypeofType(){let r=this.startNode();return this.expect(87),r.argument=this.flowParsePrimaryType(),this.finishNode(r,"TypeofTypeAnnotation")}flowParseTupleType(){let r=this.startNode();for(r.types=[],this.expect(0);this.state.pos<this.length&&!this.match(3)&&(r.types.push(this.flowParseType()),!this.match(3));)this.expect(12);return this.expect(3),this.finishNode(r,"TupleTypeAnnotation")}flowParseFunctionTypeParam(r){let i=null,s=!1,a=null,l=this.startNode(),u=this.lookahead(),p=this.state.type===78;return u.type===14||u.type===17?(p&&!r&&this.raise(Z.ThisParamMustBeFirst,l),i=this.parseIdentifier(p),this.eat(17)&&(s=!0,p&&this.raise(Z.ThisParamMayNotBeOptional,l)),a=this.flowParseTypeInitialiser()):a=this.flowParseType(),l.name=i,l.optional=s,l.typeAnnotation=a,this.finishNode(l,"FunctionTypeParam")}reinterpretTypeAsFunctionTypeParam(r){let i=this.startNodeAt(r.loc.start);return i.name=null,i.optional=!1,i.typeAnnotation=r,this.finishNode(i,"FunctionTypeParam")}flowParseFunctionTypeParams(r=[]){let i=null,s=null;for(this.match(78)&&(s=this.flowParseFunctionTypeParam(!0),s.name=null,this.match(11)||this.expect(12));!this.match(11)&&!this.match(21);)r.push(this.flowParseFunctionTypeParam(!1)),this.match(11)||this.expect(12);return this.eat(21)&&(i=this.flowParseFunctionTypeParam(!1)),{params:r,rest:i,_this:s}}flowIdentToTypeAnnotation(r,i,s){switch(s.name){case"any":return this.finishNode(i,"AnyTypeAnnotation");case"bool":case"boolean":return this.finishNode(i,"BooleanTypeAnnotation");case"mixed":return this.finishNode(i,"MixedTypeAnnotation");case"empty":return this.finishNode(i,"EmptyTypeAnnotation");case"number":return this.finishNode(i,"NumberTypeAnnotation");case"string":return this.finishNode(i,"StringTypeAnnotation");case"symbol":return this.finishNode(i,"SymbolTypeAnnotation");default:return this.checkNotUnderscore(s.name),this.flowParseGenericType(r,s)}}flowParsePrimaryType(){let r=this.state.startLoc,i=this.startNode(),s,a,l=!1,u=this.state.noAnonFunctionType;switch(this.state.type){case 5:return this.flowParseObjectType({allowStatic:!1,allowExact:!1,allowSpread:!0,allowProto:!1,allowInexact:!0});case 6:return this.flowParseObjectType({allowStatic:!1,allowExact:!0,allowSpread:!0,allowProto:!1,allowInexact:!1});case 0:return this.state.noAnonFunctionType=!1,a=this.flowParseTupleType(),this.state.noAnonFunctionType=u,a;case 47:{let p=this.startNode();return p.typeParameters=this.flowParseTypeParameterDeclaration(),this.expect(10),s=this.flowParseFunctionTypeParams(),p.params=s.params,p.rest=s.rest,p.this=s._this,this.expect(11),this.expect(19),p.returnType=this.flowParseType(),this.finishNode(p,"FunctionTypeAnnotation")}case 10:{let p=this.startNode();if(this.next(),!this.match(11)&&!this.match(21))if(me(this.state.type)||this.match(78)){let h=this.lookahead().type;l=h!==17&&h!==14}else l=!0;if(l){if(this.state.noAnonFunctionType=!1,a=this.flowParseType(),this.state.noAnonFunctionType=u,this.state.noAnonFunctionType||!(this.match(12)||this.match(11)&&this.lookahead().type===19))return this.expect(11),a;this.eat(12)}return a?s=this.flowParseFunctionTypeParams([this.reinterpretTypeAsFunctionTypeParam(a)]):s=this.flowParseFunctionTypeParams(),p.params=s.params,p.rest=s.rest,p.this=s._this,this.expect(11),this.expect(19),p.returnType=this.flowParseType(),p.typeParameters=null,this.finishNode(p,"FunctionTypeAnnotation")}case 134:return this.parseLiteral(this.state.value,"StringLiteralTypeAnnotation");case 85:case 86:return i.value=this.match(85),this.next(),this.finishNode(i,"BooleanLiteralTypeAnnotation");case 53:if(this.state.value==="-"){if(this.next(),this.match(135))return this.parseLiteralAtNode(-this.state.value,"NumberLiteralTypeAnnotation",i);if(this.match(136))return this.parseLiteralAtNode(-this.state.value,"BigIntLiteralTypeAnnotation",i);throw this.raise(Z.UnexpectedSubtractionOperand,this.state.startLoc)}throw this.unexpected();case 135:return this.parseLiteral(this.state.value,"NumberLiteralTypeAnnotation");case 136:return this.parseLiteral(this.state.value,"BigIntLiteralTypeAnnotation");case 88:return this.next(),this.finishNode(i,"VoidTypeAnnotation");case 84:return this.next(),this.finishNode(i,"NullLiteralTypeAnnotation");case 78:return this.next(),this.finishNode(i,"ThisTypeAnnotation");case 55:return this.next(),this.finishNode(i,"ExistsTypeAnnotation");case 87:return this.flowParseTypeofType();default:if(Aa(this.state.type)){let p=Bt(this.state.type);return this.next(),super.createIdentifier(i,p)}else if(me(this.state.type))return this.isContextual(129)?this.flowParseInterfaceType():this.flowIdentToTypeAnnotation(r,i,this.parseIdentifier())}throw this.unexpected()}flowParsePostfixType(){let r=this.state.startLoc,i=this.flowParsePrimaryType(),s=!1;for(;(this.match(0)||this.match(18))&&!this.canInsertSemicolon();){let a=this.startNodeAt(r),l=this.eat(18);s=s||l,this.expect(0),!l&&this.match(3)?(a.elementType=i,this.next(),i=this.finishNode(a,"ArrayTypeAnnotation")):(a.objectType=i,a.indexType=this.flowParseType(),this.expect(3),s?(a.optional=l,i=this.finishNode(a,"OptionalIndexedAccessType")):i=this.finishNode(a,"IndexedAccessType"))}return i}flowParsePrefixType(){let r=this.startNode();return this.eat(17)?(r.typeAnnotation=this.flowParsePrefixType(),this.finishNode(r,"NullableTypeAnnotation")):this.flowParsePostfixType()}flowParseAnonFunctionWithoutParens(){let r=this.flowParsePrefixType();if(!this.state.noAnonFunctionType&&this.eat(19)){let i=this.startNodeAt(r.loc.start);return i.params=[this.reinterpretTypeAsFunctionTypeParam(r)],i.rest=null,i.this=null,i.returnType=this.flowParseType(),i.typeParameters=null,this.finishNode(i,"FunctionTypeAnnotation")}return r}flowParseIntersectionType(){let r=this.startNode();this.eat(45);let i=this.flowParseAnonFunctionWithoutParens();for(r.types=[i];this.eat(45);)r.types.push(this.flowParseAnonFunctionWithoutParens());return r.types.length===1?i:this.finishNode(r,"IntersectionTypeAnnotation")}flowParseUnionType(){let r=this.startNode();this.eat(43);let i=this.flowParseIntersectionType();for(r.types=[i];this.eat(43);)r.types.push(this.flowParseIntersectionType());return r.types.length===1?i:this.finishNode(r,"UnionTypeAnnotation")}flowParseType(){let r=this.state.inType;this.state.inType=!0;let i=this.flowParseUnionType();return this.state.inType=r,i}flowParseTypeOrImplicitInstantiation(){if(this.state.type===132&&this.state.value==="_"){let r=this.state.startLoc,i=this.parseIdentifier();return this.flowParseGenericType(r,i)}else return this.flowParseType()}flowParseTypeAnnotation(){let r=this.startNode();return r.typeAnnotation=this.flowParseTypeInitialiser(),this.finishNode(r,"TypeAnnotation")}flowParseTypeAnnotatableIdentifier(){let r=this.startNode(),i=this.parseIdentifierName();return this.match(14)&&(r.typeAnnotation=this.flowParseTypeAnnotation()),this.createIdentifier(r,i)}typeCastToParameter(r){return r.expression.typeAnnotation=r.typeAnnotation,this.resetEndLocation(r.expression,r.typeAnnotation.loc.end),r.expression}flowParseVariance(){let r=null;return this.match(53)?(r=this.startNode(),this.state.value==="+"?r.kind="plus":r.kind="minus",this.next(),this.finishNode(r,"Variance")):r}parseFunctionBody(r,i,s=!1){if(i){this.forwardNoArrowParamsConversionAt(r,()=>super.parseFunctionBody(r,!0,s));return}super.parseFunctionBody(r,!1,s)}parseFunctionBodyAndFinish(r,i,s=!1){if(this.match(14)){let a=this.startNode();[a.typeAnnotation,r.predicate]=this.flowParseTypeAndPredicateInitialiser(),r.returnType=a.typeAnnotation?this.finishNode(a,"TypeAnnotation"):null}return super.parseFunctionBodyAndFinish(r,i,s)}parseStatementLike(r){if(this.state.strict&&this.isContextual(129)){let s=this.lookahead();if(st(s.type)){let a=this.startNode();return this.next(),this.flowParseInterface(a)}}else if(this.isContextual(126)){let s=this.startNode();return this.next(),this.flowParseEnumDeclaration(s)}let i=super.parseStatementLike(r);return this.flowPragma===void 0&&!this.isValidDirective(i)&&(this.flowPragma=null),i}parseExpressionStatement(r,i,s){if(i.type==="Identifier"){if(i.name==="declare"){if(this.match(80)||me(this.state.type)||this.match(68)||this.match(74)||this.match(82))return this.flowParseDeclare(r)}else if(me(this.state.type)){if(i.name==="interface")return this.flowParseInterface(r);if(i.name==="type")return this.flowParseTypeAlias(r);if(i.name==="opaque")return this.flowParseOpaqueType(r,!1)}}return super.parseExpressionStatement(r,i,s)}shouldParseExportDeclaration(){let{type:r}=this.state;return r===126||Pf(r)?!this.state.containsEsc:super.shouldParseExportDeclaration()}isExportDefaultSpecifier(){let{type:r}=this.state;return r===126||Pf(r)?this.state.containsEsc:super.isExportDefaultSpecifier()}parseExportDefaultExpression(){if(this.isContextual(126)){let r=this.startNode();return this.next(),this.flowParseEnumDeclaration(r)}return super.parseExportDefaultExpression()}parseConditional(r,i,s){if(!this.match(17))return r;if(this.state.maybeInArrowParameters){let _=this.lookaheadCharCode();if(_===44||_===61||_===58||_===41)return this.setOptionalParametersError(s),r}this.expect(17);let a=this.state.clone(),l=this.state.noArrowAt,u=this.startNodeAt(i),{consequent:p,failed:h}=this.tryParseConditionalConsequent(),[m,I]=this.getArrowLikeExpressions(p);if(h||I.length>0){let _=[...l];if(I.length>0){this.state=a,this.state.noArrowAt=_;for(let F=0;F<I.length;F++)_.push(I[F].start);({consequent:p,failed:h}=this.tryParseConditionalConsequent()),[m,I]=this.getArrowLikeExpressions(p)}h&&m.length>1&&this.raise(Z.AmbiguousConditionalArrow,a.startLoc),h&&m.length===1&&(this.state=a,_.push(m[0].start),this.state.noArrowAt=_,{consequent:p,failed:h}=this.tryParseConditionalConsequent())}return this.getArrowLikeExpressions(p,!0),this.state.noArrowAt=l,this.expect(14),u.test=r,u.consequent=p,u.alternate=this.forwardNoArrowParamsConversionAt(u,()=>this.parseMaybeAssign(void 0,void 0)),this.finishNode(u,"ConditionalExpression")}tryParseConditionalConsequent(){this.state.noArrowParamsConversionAt.push(this.state.start);let r=this.parseMaybeAssignAllowIn(),i=!this.match(14);return this.state.noArrowParamsConversionAt.pop(),{consequent:r,failed:i}}getArrowLikeExpressions(r,i){let s=[r],a=[];for(;s.length!==0;){let l=s.pop();l.type==="ArrowFunctionExpression"?(l.typeParameters||!l.returnType?this.finishArrowValidation(l):a.push(l),l.body.type!=="BlockStatement"&&s.push(l.body)):l.type==="ConditionalExpression"&&(s.push(l.consequent),s.push(l.alternate))}return i?(a.forEach(l=>this.finishArrowValidation(l)),[a,[]]):sx(a,l=>l.params.every(u=>this.isAssignable(u,!0)))}finishArrowValidation(r){var i;this.toAssignableList(r.params,(i=r.extra)==null?void 0:i.trailingCommaLoc,!1),this.scope.enter(518),super.checkParams(r,!1,!0),this.scope.exit()}forwardNoArrowParamsConversionAt(r,i){let s;return this.state.noArrowParamsConversionAt.includes(this.offsetToSourcePos(r.start))?(this.state.noArrowParamsConversionAt.push(this.state.start),s=i(),this.state.noArrowParamsConversionAt.pop()):s=i(),s}parseParenItem(r,i){let s=super.parseParenItem(r,i);if(this.eat(17)&&(s.optional=!0,this.resetEndLocation(r)),this.match(14)){let a=this.startNodeAt(i);return a.expression=s,a.typeAnnotation=this.flowParseTypeAnnotation(),this.finishNode(a,"TypeCastExpression")}return s}assertModuleNodeAllowed(r){r.type==="ImportDeclaration"&&(r.importKind==="type"||r.importKind==="typeof")||r.type==="ExportNamedDeclaration"&&r.exportKind==="type"||r.type==="ExportAllDeclaration"&&r.exportKind==="type"||super.assertModuleNodeAllowed(r)}parseExportDeclaration(r){if(this.isContextual(130)){r.exportKind="type";let i=this.startNode();return this.next(),this.match(5)?(r.specifiers=this.parseExportSpecifiers(!0),super.parseExportFrom(r),null):this.flowParseTypeAlias(i)}else if(this.isContextual(131)){r.exportKind="type";let i=this.startNode();return this.next(),this.flowParseOpaqueType(i,!1)}else if(this.isContextual(129)){r.exportKind="type";let i=this.startNode();return this.next(),this.flowParseInterface(i)}else if(this.isContextual(126)){r.exportKind="value";let i=this.startNode();return this.next(),this.flowParseEnumDeclaration(i)}else return super.parseExportDeclaration(r)}eatExportStar(r){return super.eatExportStar(r)?!0:this.isContextual(130)&&this.lookahead().type===55?(r.exportKind="type",this.next(),this.next(),!0):!1}maybeParseExportNamespaceSpecifier(r){let{startLoc:i}=this.state,s=super.maybeParseExportNamespaceSpecifier(r);return s&&r.exportKind==="type"&&this.unexpected(i),s}parseClassId(r,i,s){super.parseClassId(r,i,s),this.match(47)&&(r.typeParameters=this.flowParseTypeParameterDeclaration())}parseClassMember(r,i,s){let{startLoc:a}=this.state;if(this.isContextual(125)){if(super.parseClassMemberFromModifier(r,i))return;i.declare=!0}super.parseClassMember(r,i,s),i.declare&&(i.type!=="ClassProperty"&&i.type!=="ClassPrivateProperty"&&i.type!=="PropertyDefinition"?this.raise(Z.DeclareClassElement,a):i.value&&this.raise(Z.DeclareClassFieldInitializer,i.value))}isIterator(r){return r==="iterator"||r==="asyncIterator"}readIterator(){let r=super.readWord1(),i="@@"+r;(!this.isIterator(r)||!this.state.inType)&&this.raise(N.InvalidIdentifier,this.state.curPosition(),{identifierName:i}),this.finishToken(132,i)}getTokenFromCode(r){let i=this.input.charCodeAt(this.state.pos+1);r===123&&i===124?this.finishOp(6,2):this.state.inType&&(r===62||r===60)?this.finishOp(r===62?48:47,1):this.state.inType&&r===63?i===46?this.finishOp(18,2):this.finishOp(17,1):Q0(r,i,this.input.charCodeAt(this.state.pos+2))?(this.state.pos+=2,this.readIterator()):super.getTokenFromCode(r)}isAssignable(r,i){return r.type==="TypeCastExpression"?this.isAssignable(r.expression,i):super.isAssignable(r,i)}toAssignable(r,i=!1){!i&&r.type==="AssignmentExpression"&&r.left.type==="TypeCastExpression"&&(r.left=this.typeCastToParameter(r.left)),super.toAssignable(r,i)}toAssignableList(r,i,s){for(let a=0;a<r.length;a++){let l=r[a];l?.type==="TypeCastExpression"&&(r[a]=this.typeCastToParameter(l))}super.toAssignableList(r,i,s)}toReferencedList(r,i){for(let a=0;a<r.length;a++){var s;let l=r[a];l&&l.type==="TypeCastExpression"&&!((s=l.extra)!=null&&s.parenthesized)&&(r.length>1||!i)&&this.raise(Z.TypeCastInPattern,l.typeAnnotation)}return r}parseArrayLike(r,i,s){let a=super.parseArrayLike(r,i,s);return s!=null&&!this.state.maybeInArrowParameters&&this.toReferencedList(a.elements),a}isValidLVal(r,i,s,a){return r==="TypeCastExpression"||super.isValidLVal(r,i,s,a)}parseClassProperty(r){return this.match(14)&&(r.typeAnnotation=this.flowParseTypeAnnotation()),super.parseClassProperty(r)}parseClassPrivateProperty(r){return this.match(14)&&(r.typeAnnotation=this.flowParseTypeAnnotation()),super.parseClassPrivateProperty(r)}isClassMethod(){return this.match(47)||super.isClassMethod()}isClassProperty(){return this.match(14)||super.isClassProperty()}isNonstaticConstructor(r){return!this.match(14)&&super.isNonstaticConstructor(r)}pushClassMethod(r,i,s,a,l,u){if(i.variance&&this.unexpected(i.variance.loc.start),delete i.variance,this.match(47)&&(i.typeParameters=this.flowParseTypeParameterDeclaration()),super.pushClassMethod(r,i,s,a,l,u),i.params&&l){let p=i.params;p.length>0&&this.isThisParam(p[0])&&this.raise(Z.ThisParamBannedInConstructor,i)}else if(i.type==="MethodDefinition"&&l&&i.value.params){let p=i.value.params;p.length>0&&this.isThisParam(p[0])&&this.raise(Z.ThisParamBannedInConstructor,i)}}pushClassPrivateMethod(r,i,s,a){i.variance&&this.unexpected(i.variance.loc.start),delete i.variance,this.match(47)&&(i.typeParameters=this.flowParseTypeParameterDeclaration()),super.pushClassPrivateMethod(r,i,s,a)}parseClassSuper(r){if(super.parseClassSuper(r),r.superClass&&(this.match(47)||this.match(51))&&(r.superTypeParameters=this.flowParseTypeParameterInstantiationInExpression()),this.isContextual(113)){this.next();let i=r.implements=[];do{let s=this.startNode();s.id=this.flowParseRestrictedIdentifier(!0),this.match(47)?s.typeParameters=this.flowParseTypeParameterInstantiation():s.typeParameters=null,i.push(this.finishNode(s,"ClassImplements"))}while(this.eat(12))}}checkGetterSetterParams(r){super.checkGetterSetterParams(r);let i=this.getObjectOrClassMethodParams(r);if(i.length>0){let s=i[0];this.isThisParam(s)&&r.kind==="get"?this.raise(Z.GetterMayNotHaveThisParam,s):this.isThisParam(s)&&this.raise(Z.SetterMayNotHaveThisParam,s)}}parsePropertyNamePrefixOperator(r){r.variance=this.flowParseVariance()}parseObjPropValue(r,i,s,a,l,u,p){r.variance&&this.unexpected(r.variance.loc.start),delete r.variance;let h;this.match(47)&&!u&&(h=this.flowParseTypeParameterDeclaration(),this.match(10)||this.unexpected());let m=super.parseObjPropValue(r,i,s,a,l,u,p);return h&&((m.value||m).typeParameters=h),m}parseFunctionParamType(r){return this.eat(17)&&(r.type!=="Identifier"&&this.raise(Z.PatternIsOptional,r),this.isThisParam(r)&&this.raise(Z.ThisParamMayNotBeOptional,r),r.optional=!0),this.match(14)?r.typeAnnotation=this.flowParseTypeAnnotation():this.isThisParam(r)&&this.raise(Z.ThisParamAnnotationRequired,r),this.match(29)&&this.isThisParam(r)&&this.raise(Z.ThisParamNoDefault,r),this.resetEndLocation(r),r}parseMaybeDefault(r,i){let s=super.parseMaybeDefault(r,i);return s.type==="AssignmentPattern"&&s.typeAnnotation&&s.right.start<s.typeAnnotation.start&&this.raise(Z.TypeBeforeInitializer,s.typeAnnotation),s}checkImportReflection(r){super.checkImportReflection(r),r.module&&r.importKind!=="value"&&this.raise(Z.ImportReflectionHasImportType,r.specifiers[0].loc.start)}parseImportSpecifierLocal(r,i,s){i.local=vf(r)?this.flowParseRestrictedIdentifier(!0,!0):this.parseIdentifier(),r.specifiers.push(this.finishImportSpecifier(i,s))}isPotentialImportPhase(r){if(super.isPotentialImportPhase(r))return!0;if(this.isContextual(130)){if(!r)return!0;let i=this.lookaheadCharCode();return i===123||i===42}return!r&&this.isContextual(87)}applyImportPhase(r,i,s,a){if(super.applyImportPhase(r,i,s,a),i){if(!s&&this.match(65))return;r.exportKind=s==="type"?s:"value"}else s==="type"&&this.match(55)&&this.unexpected(),r.importKind=s==="type"||s==="typeof"?s:"value"}parseImportSpecifier(r,i,s,a,l){let u=r.imported,p=null;u.type==="Identifier"&&(u.name==="type"?p="type":u.name==="typeof"&&(p="typeof"));let h=!1;if(this.isContextual(93)&&!this.isLookaheadContextual("as")){let I=this.parseIdentifier(!0);p!==null&&!st(this.state.type)?(r.imported=I,r.importKind=p,r.local=this.cloneIdentifier(I)):(r.imported=u,r.importKind=null,r.local=this.parseIdentifier())}else{if(p!==null&&st(this.state.type))r.imported=this.parseIdentifier(!0),r.importKind=p;else{if(i)throw this.raise(N.ImportBindingIsString,r,{importName:u.value});r.imported=u,r.importKind=null}this.eatContextual(93)?r.local=this.parseIdentifier():(h=!0,r.local=this.cloneIdentifier(r.imported))}let m=vf(r);return s&&m&&this.raise(Z.ImportTypeShorthandOnlyInPureImport,r),(s||m)&&this.checkReservedType(r.local.name,r.local.loc.start,!0),h&&!s&&!m&&this.checkReservedWord(r.local.name,r.loc.start,!0,!0),this.finishImportSpecifier(r,"ImportSpecifier")}parseBindingAtom(){switch(this.state.type){case 78:return this.parseIdentifier(!0);default:return super.parseBindingAtom()}}parseFunctionParams(r,i){let s=r.kind;s!=="get"&&s!=="set"&&this.match(47)&&(r.typeParameters=this.flowParseTypeParameterDeclaration()),super.parseFunctionParams(r,i)}parseVarId(r,i){super.parseVarId(r,i),this.match(14)&&(r.id.typeAnnotation=this.flowParseTypeAnnotation(),this.resetEndLocation(r.id))}parseAsyncArrowFromCallExpression(r,i){if(this.match(14)){let s=this.state.noAnonFunctionType;this.state.noAnonFunctionType=!0,r.returnType=this.flowParseTypeAnnotation(),this.state.noAnonFunctionType=s}return super.parseAsyncArrowFromCallExpression(r,i)}shouldParseAsyncArrow(){return this.match(14)||super.shouldParseAsyncArrow()}parseMaybeAssign(r,i){var s;let a=null,l;if(this.hasPlugin("jsx")&&(this.match(143)||this.match(47))){if(a=this.state.clone(),l=this.tryParse(()=>super.parseMaybeAssign(r,i),a),!l.error)return l.node;let{context:h}=this.state,m=h[h.length-1];(m===ye.j_oTag||m===ye.j_expr)&&h.pop()}if((s=l)!=null&&s.error||this.match(47)){var u,p;a=a||this.state.clone();let h,m=this.tryParse(_=>{var F;h=this.flowParseTypeParameterDeclaration();let B=this.forwardNoArrowParamsConversionAt(h,()=>{let te=super.parseMaybeAssign(r,i);return this.resetStartLocationFromNode(te,h),te});(F=B.extra)!=null&&F.parenthesized&&_();let U=this.maybeUnwrapTypeCastExpression(B);return U.type!=="ArrowFunctionExpression"&&_(),U.typeParameters=h,this.resetStartLocationFromNode(U,h),B},a),I=null;if(m.node&&this.maybeUnwrapTypeCastExpression(m.node).type==="ArrowFunctionExpression"){if(!m.error&&!m.aborted)return m.node.async&&this.raise(Z.UnexpectedTypeParameterBeforeAsyncArrowFunction,h),m.node;I=m.node}if((u=l)!=null&&u.node)return this.state=l.failState,l.node;if(I)return this.state=m.failState,I;throw(p=l)!=null&&p.thrown?l.error:m.thrown?m.error:this.raise(Z.UnexpectedTokenAfterTypeParameter,h)}return super.parseMaybeAssign(r,i)}parseArrow(r){if(this.match(14)){let i=this.tryParse(()=>{let s=this.state.noAnonFunctionType;this.state.noAnonFunctionType=!0;let a=this.startNode();return[a.typeAnnotation,r.predicate]=this.flowParseTypeAndPredicateInitialiser(),this.state.noAnonFunctionType=s,this.canInsertSemicolon()&&this.unexpected(),this.match(19)||this.unexpected(),a});if(i.thrown)return null;i.error&&(this.state=i.failState),r.returnType=i.node.typeAnnotation?this.finishNode(i.node,"TypeAnnotation"):null}return super.parseArrow(r)}shouldParseArrow(r){return this.match(14)||super.shouldParseArrow(r)}setArrowFunctionParameters(r,i){this.state.noArrowParamsConversionAt.includes(this.offsetToSourcePos(r.start))?r.params=i:super.setArrowFunctionParameters(r,i)}checkParams(r,i,s,a=!0){if(!(s&&this.state.noArrowParamsConversionAt.includes(this.offsetToSourcePos(r.start)))){for(let l=0;l<r.params.length;l++)this.isThisParam(r.params[l])&&l>0&&this.raise(Z.ThisParamMustBeFirst,r.params[l]);super.checkParams(r,i,s,a)}}parseParenAndDistinguishExpression(r){return super.parseParenAndDistinguishExpression(r&&!this.state.noArrowAt.includes(this.sourceToOffsetPos(this.state.start)))}parseSubscripts(r,i,s){if(r.type==="Identifier"&&r.name==="async"&&this.state.noArrowAt.includes(i.index)){this.next();let a=this.startNodeAt(i);a.callee=r,a.arguments=super.parseCallExpressionArguments(),r=this.finishNode(a,"CallExpression")}else if(r.type==="Identifier"&&r.name==="async"&&this.match(47)){let a=this.state.clone(),l=this.tryParse(p=>this.parseAsyncArrowWithTypeParameters(i)||p(),a);if(!l.error&&!l.aborted)return l.node;let u=this.tryParse(()=>super.parseSubscripts(r,i,s),a);if(u.node&&!u.error)return u.node;if(l.node)return this.state=l.failState,l.node;if(u.node)return this.state=u.failState,u.node;throw l.error||u.error}return super.parseSubscripts(r,i,s)}parseSubscript(r,i,s,a){if(this.match(18)&&this.isLookaheadToken_lt()){if(a.optionalChainMember=!0,s)return a.stop=!0,r;this.next();let l=this.startNodeAt(i);return l.callee=r,l.typeArguments=this.flowParseTypeParameterInstantiationInExpression(),this.expect(10),l.arguments=this.parseCallExpressionArguments(),l.optional=!0,this.finishCallExpression(l,!0)}else if(!s&&this.shouldParseTypes()&&(this.match(47)||this.match(51))){let l=this.startNodeAt(i);l.callee=r;let u=this.tryParse(()=>(l.typeArguments=this.flowParseTypeParameterInstantiationCallOrNew(),this.expect(10),l.arguments=super.parseCallExpressionArguments(),a.optionalChainMember&&(l.optional=!1),this.finishCallExpression(l,a.optionalChainMember)));if(u.node)return u.error&&(this.state=u.failState),u.node}return super.parseSubscript(r,i,s,a)}parseNewCallee(r){super.parseNewCallee(r);let i=null;this.shouldParseTypes()&&this.match(47)&&(i=this.tryParse(()=>this.flowParseTypeParameterInstantiationCallOrNew()).node),r.typeArguments=i}parseAsyncArrowWithTypeParameters(r){let i=this.startNodeAt(r);if(this.parseFunctionParams(i,!1),!!this.parseArrow(i))return super.parseArrowExpression(i,void 0,!0)}readToken_mult_modulo(r){let i=this.input.charCodeAt(this.state.pos+1);if(r===42&&i===47&&this.state.hasFlowComment){this.state.hasFlowComment=!1,this.state.pos+=2,this.nextToken();return}super.readToken_mult_modulo(r)}readToken_pipe_amp(r){let i=this.input.charCodeAt(this.state.pos+1);if(r===124&&i===125){this.finishOp(9,2);return}super.readToken_pipe_amp(r)}parseTopLevel(r,i){let s=super.parseTopLevel(r,i);return this.state.hasFlowComment&&this.raise(Z.UnterminatedFlowComment,this.state.curPosition()),s}skipBlockComment(){if(this.hasPlugin("flowComments")&&this.skipFlowComment()){if(this.state.hasFlowComment)throw this.raise(Z.NestedFlowComment,this.state.startLoc);this.hasFlowCommentCompletion();let r=this.skipFlowComment();r&&(this.state.pos+=r,this.state.hasFlowComment=!0);return}return super.skipBlockComment(this.state.hasFlowComment?"*-/":"*/")}skipFlowComment(){let{pos:r}=this.state,i=2;for(;[32,9].includes(this.input.charCodeAt(r+i));)i++;let s=this.input.charCodeAt(i+r),a=this.input.charCodeAt(i+r+1);return s===58&&a===58?i+2:this.input.slice(i+r,i+r+12)==="flow-include"?i+12:s===58&&a!==58?i:!1}hasFlowCommentCompletion(){if(this.input.indexOf("*/",this.state.pos)===-1)throw this.raise(N.UnterminatedComment,this.state.curPosition())}flowEnumErrorBooleanMemberNotInitialized(r,{enumName:i,memberName:s}){this.raise(Z.EnumBooleanMemberNotInitialized,r,{memberName:s,enumName:i})}flowEnumErrorInvalidMemberInitializer(r,i){return this.raise(i.explicitType?i.explicitType==="symbol"?Z.EnumInvalidMemberInitializerSymbolType:Z.EnumInvalidMemberInitializerPrimaryType:Z.EnumInvalidMemberInitializerUnknownType,r,i)}flowEnumErrorNumberMemberNotInitialized(r,i){this.raise(Z.EnumNumberMemberNotInitialized,r,i)}flowEnumErrorStringMemberInconsistentlyInitialized(r,i){this.raise(Z.EnumStringMemberInconsistentlyInitialized,r,i)}flowEnumMemberInit(){let r=this.state.startLoc,i=n(()=>this.match(12)||this.match(8),"endOfInit");switch(this.state.type){case 135:{let s=this.parseNumericLiteral(this.state.value);return i()?{type:"number",loc:s.loc.start,value:s}:{type:"invalid",loc:r}}case 134:{let s=this.parseStringLiteral(this.state.value);return i()?{type:"string",loc:s.loc.start,value:s}:{type:"invalid",loc:r}}case 85:case 86:{let s=this.parseBooleanLiteral(this.match(85));return i()?{type:"boolean",loc:s.loc.start,value:s}:{type:"invalid",loc:r}}default:return{type:"invalid",loc:r}}}flowEnumMemberRaw(){let r=this.state.startLoc,i=this.parseIdentifier(!0),s=this.eat(29)?this.flowEnumMemberInit():{type:"none",loc:r};return{id:i,init:s}}flowEnumCheckExplicitTypeMismatch(r,i,s){let{explicitType:a}=i;a!==null&&a!==s&&this.flowEnumErrorInvalidMemberInitializer(r,i)}flowEnumMembers({enumName:r,explicitType:i}){let s=new Set,a={booleanMembers:[],numberMembers:[],stringMembers:[],defaultedMembers:[]},l=!1;for(;!this.match(8);){if(this.eat(21)){l=!0;break}let u=this.startNode(),{id:p,init:h}=this.flowEnumMemberRaw(),m=p.name;if(m==="")continue;/^[a-z]/.test(m)&&this.raise(Z.EnumInvalidMemberName,p,{memberName:m,suggestion:m[0].toUpperCase()+m.slice(1),enumName:r}),s.has(m)&&this.raise(Z.EnumDuplicateMemberName,p,{memberName:m,enumName:r}),s.add(m);let I={enumName:r,explicitType:i,memberName:m};switch(u.id=p,h.type){case"boolean":{this.flowEnumCheckExplicitTypeMismatch(h.loc,I,"boolean"),u.init=h.value,a.booleanMembers.push(this.finishNode(u,"EnumBooleanMember"));break}case"number":{this.flowEnumCheckExplicitTypeMismatch(h.loc,I,"number"),u.init=h.value,a.numberMembers.push(this.finishNode(u,"EnumNumberMember"));break}case"string":{this.flowEnumCheckExplicitTypeMismatch(h.loc,I,"string"),u.init=h.value,a.stringMembers.push(this.finishNode(u,"EnumStringMember"));break}case"invalid":throw this.flowEnumErrorInvalidMemberInitializer(h.loc,I);case"none":switch(i){case"boolean":this.flowEnumErrorBooleanMemberNotInitialized(h.loc,I);break;case"number":this.flowEnumErrorNumberMemberNotInitialized(h.loc,I);break;default:a.defaultedMembers.push(this.finishNode(u,"EnumDefaultedMember"))}}this.match(8)||this.expect(12)}return{members:a,hasUnknownMembers:l}}flowEnumStringMembers(r,i,{enumName:s}){if(r.length===0)return i;if(i.length===0)return r;if(i.length>r.length){for(let a of r)this.flowEnumErrorStringMemberInconsistentlyInitialized(a,{enumName:s});return i}else{for(let a of i)this.flowEnumErrorStringMemberInconsistentlyInitialized(a,{enumName:s});return r}}flowEnumParseExplicitType({enumName:r}){if(!this.eatContextual(102))return null;if(!me(this.state.type))throw this.raise(Z.EnumInvalidExplicitTypeUnknownSupplied,this.state.startLoc,{enumName:r});let{value:i}=this.state;return this.next(),i!=="boolean"&&i!=="number"&&i!=="string"&&i!=="symbol"&&this.raise(Z.EnumInvalidExplicitType,this.state.startLoc,{enumName:r,invalidEnumType:i}),i}flowEnumBody(r,i){let s=i.name,a=i.loc.start,l=this.flowEnumParseExplicitType({enumName:s});this.expect(5);let{members:u,hasUnknownMembers:p}=this.flowEnumMembers({enumName:s,explicitType:l});switch(r.hasUnknownMembers=p,l){case"boolean":return r.explicitType=!0,r.members=u.booleanMembers,this.expect(8),this.finishNode(r,"EnumBooleanBody");case"number":return r.explicitType=!0,r.members=u.numberMembers,this.expect(8),this.finishNode(r,"EnumNumberBody");case"string":return r.explicitType=!0,r.members=this.flowEnumStringMembers(u.stringMembers,u.defaultedMembers,{enumName:s}),this.expect(8),this.finishNode(r,"EnumStringBody");case"symbol":return r.members=u.defaultedMembers,this.expect(8),this.finishNode(r,"EnumSymbolBody");default:{let h=n(()=>(r.members=[],this.expect(8),this.finishNode(r,"EnumStringBody")),"empty");r.explicitType=!1;let m=u.booleanMembers.length,I=u.numberMembers.length,_=u.stringMembers.length,F=u.defaultedMembers.length;if(!m&&!I&&!_&&!F)return h();if(!m&&!I)return r.members=this.flowEnumStringMembers(u.stringMembers,u.defaultedMembers,{enumName:s}),this.expect(8),this.finishNode(r,"EnumStringBody");if(!I&&!_&&m>=F){for(let B of u.defaultedMembers)this.flowEnumErrorBooleanMemberNotInitialized(B.loc.start,{enumName:s,memberName:B.id.name});return r.members=u.booleanMembers,this.expect(8),this.finishNode(r,"EnumBooleanBody")}else if(!m&&!_&&I>=F){for(let B of u.defaultedMembers)this.flowEnumErrorNumberMemberNotInitialized(B.loc.start,{enumName:s,memberName:B.id.name});return r.members=u.numberMembers,this.expect(8),this.finishNode(r,"EnumNumberBody")}else return this.raise(Z.EnumInconsistentMemberValues,a,{enumName:s}),h()}}}flowParseEnumDeclaration(r){let i=this.parseIdentifier();return r.id=i,r.body=this.flowEnumBody(this.startNode(),i),this.finishNode(r,"EnumDeclaration")}jsxParseOpeningElementAfterName(r){return this.shouldParseTypes()&&(this.match(47)||this.match(51))&&(r.typeArguments=this.flowParseTypeParameterInstantiationInExpression()),super.jsxParseOpeningElementAfterName(r)}isLookaheadToken_lt(){let r=this.nextTokenStart();if(this.input.charCodeAt(r)===60){let i=this.input.charCodeAt(r+1);return i!==60&&i!==61}return!1}reScan_lt_gt(){let{type:r}=this.state;r===47?(this.state.pos-=1,this.readToken_lt()):r===48&&(this.state.pos-=1,this.readToken_gt())}reScan_lt(){let{type:r}=this.state;return r===51?(this.state.pos-=2,this.finishOp(47,1),47):r}maybeUnwrapTypeCastExpression(r){return r.type==="TypeCastExpression"?r.expression:r}},"flow"),ox={__proto__:null,quot:'"',amp:"&",apos:"'",lt:"<",gt:">",nbsp:"\xA0",iexcl:"\xA1",cent:"\xA2",pound:"\xA3",curren:"\xA4",yen:"\xA5",brvbar:"\xA6",sect:"\xA7",uml:"\xA8",copy:"\xA9",ordf:"\xAA",laquo:"\xAB",not:"\xAC",shy:"\xAD",reg:"\xAE",macr:"\xAF",deg:"\xB0",plusmn:"\xB1",sup2:"\xB2",sup3:"\xB3",acute:"\xB4",micro:"\xB5",para:"\xB6",middot:"\xB7",cedil:"\xB8",sup1:"\xB9",ordm:"\xBA",raquo:"\xBB",frac14:"\xBC",frac12:"\xBD",frac34:"\xBE",iquest:"\xBF",Agrave:"\xC0",Aacute:"\xC1",Acirc:"\xC2",Atilde:"\xC3",Auml:"\xC4",Aring:"\xC5",AElig:"\xC6",Ccedil:"\xC7",Egrave:"\xC8",Eacute:"\xC9",Ecirc:"\xCA",Euml:"\xCB",Igrave:"\xCC",Iacute:"\xCD",Icirc:"\xCE",Iuml:"\xCF",ETH:"\xD0",Ntilde:"\xD1",Ograve:"\xD2",Oacute:"\xD3",Ocirc:"\xD4",Otilde:"\xD5",Ouml:"\xD6",times:"\xD7",Oslash:"\xD8",Ugrave:"\xD9",Uacute:"\xDA",Ucirc:"\xDB",Uuml:"\xDC",Yacute:"\xDD",THORN:"\xDE",szlig:"\xDF",agrave:"\xE0",aacute:"\xE1",acirc:"\xE2",atilde:"\xE3",auml:"\xE4",aring:"\xE5",aelig:"\xE6",ccedil:"\xE7",egrave:"\xE8",eacute:"\xE9",ecirc:"\xEA",euml:"\xEB",igrave:"\xEC",iacute:"\xED",icirc:"\xEE",iuml:"\xEF",eth:"\xF0",ntilde:"\xF1",ograve:"\xF2",oacute:"\xF3",ocirc:"\xF4",otilde:"\xF5",ouml:"\xF6",divide:"\xF7",oslash:"\xF8",ugrave:"\xF9",uacute:"\xFA",ucirc:"\xFB",uuml:"\xFC",yacute:"\xFD",thorn:"\xFE",yuml:"\xFF",OElig:"\u0152",oelig:"\u0153",Scaron:"\u0160",scaron:"\u0161",Yuml:"\u0178",fnof:"\u0192",circ:"\u02C6",tilde:"\u02DC",Alpha:"\u0391",Beta:"\u0392",Gamma:"\u0393",Delta:"\u0394",Epsilon:"\u0395",Zeta:"\u0396",Eta:"\u0397",Theta:"\u0398",Iota:"\u0399",Kappa:"\u039A",Lambda:"\u039B",Mu:"\u039C",Nu:"\u039D",Xi:"\u039E",Omicron:"\u039F",Pi:"\u03A0",Rho:"\u03A1",Sigma:"\u03A3",Tau:"\u03A4",Upsilon:"\u03A5",Phi:"\u03A6",Chi:"\u03A7",Psi:"\u03A8",Omega:"\u03A9",alpha:"\u03B1",beta:"\u03B2",gamma:"\u03B3",delta:"\u03B4",epsilon:"\u03B5",zeta:"\u03B6",eta:"\u03B7",theta:"\u03B8",iota:"\u03B9",kappa:"\u03BA",lambda:"\u03BB",mu:"\u03BC",nu:"\u03BD",xi:"\u03BE",omicron:"\u03BF",pi:"\u03C0",rho:"\u03C1",sigmaf:"\u03C2",sigma:"\u03C3",tau:"\u03C4",upsilon:"\u03C5",phi:"\u03C6",chi:"\u03C7",psi:"\u03C8",omega:"\u03C9",thetasym:"\u03D1",upsih:"\u03D2",piv:"\u03D6",ensp:"\u2002",emsp:"\u2003",thinsp:"\u2009",zwnj:"\u200C",zwj:"\u200D",lrm:"\u200E",rlm:"\u200F",ndash:"\u2013",mdash:"\u2014",lsquo:"\u2018",rsquo:"\u2019",sbquo:"\u201A",ldquo:"\u201C",rdquo:"\u201D",bdquo:"\u201E",dagger:"\u2020",Dagger:"\u2021",bull:"\u2022",hellip:"\u2026",permil:"\u2030",prime:"\u2032",Prime:"\u2033",lsaquo:"\u2039",rsaquo:"\u203A",oline:"\u203E",frasl:"\u2044",euro:"\u20AC",image:"\u2111",weierp:"\u2118",real:"\u211C",trade:"\u2122",alefsym:"\u2135",larr:"\u2190",uarr:"\u2191",rarr:"\u2192",darr:"\u2193",harr:"\u2194",crarr:"\u21B5",lArr:"\u21D0",uArr:"\u21D1",rArr:"\u21D2",dArr:"\u21D3",hArr:"\u21D4",forall:"\u2200",part:"\u2202",exist:"\u2203",empty:"\u2205",nabla:"\u2207",isin:"\u2208",notin:"\u2209",ni:"\u220B",prod:"\u220F",sum:"\u2211",minus:"\u2212",lowast:"\u2217",radic:"\u221A",prop:"\u221D",infin:"\u221E",ang:"\u2220",and:"\u2227",or:"\u2228",cap:"\u2229",cup:"\u222A",int:"\u222B",there4:"\u2234",sim:"\u223C",cong:"\u2245",asymp:"\u2248",ne:"\u2260",equiv:"\u2261",le:"\u2264",ge:"\u2265",sub:"\u2282",sup:"\u2283",nsub:"\u2284",sube:"\u2286",supe:"\u2287",oplus:"\u2295",otimes:"\u2297",perp:"\u22A5",sdot:"\u22C5",lceil:"\u2308",rceil:"\u2309",lfloor:"\u230A",rfloor:"\u230B",lang:"\u2329",rang:"\u232A",loz:"\u25CA",spades:"\u2660",clubs:"\u2663",hearts:"\u2665",diams:"\u2666"},lx=/\r\n|[\r\n\u2028\u2029]/,bs=new RegExp(lx.source,"g");function _r(t){switch(t){case 10:case 13:case 8232:case 8233:return!0;default:return!1}}n(_r,"isNewLine");function Af(t,e,r){for(let i=e;i<r;i++)if(_r(t.charCodeAt(i)))return!0;return!1}n(Af,"hasNewLine");var Wn=/(?:\s|\/\/.*|\/\*[^]*?\*\/)*/g,$n=/(?:[^\S\n\r\u2028\u2029]|\/\/.*|\/\*.*?\*\/)*/g;function ux(t){switch(t){case 9:case 11:case 12:case 32:case 160:case 5760:case 8192:case 8193:case 8194:case 8195:case 8196:case 8197:case 8198:case 8199:case 8200:case 8201:case 8202:case 8239:case 8287:case 12288:case 65279:return!0;default:return!1}}n(ux,"isWhitespace");var tr=it`jsx`({AttributeIsEmpty:"JSX attributes must only be assigned a non-empty expression.",MissingClosingTagElement:n(({openingTagName:t})=>`Expected corresponding JSX closing tag for <${t}>.`,"MissingClosingTagElement"),MissingClosingTagFragment:"Expected corresponding JSX closing tag for <>.",UnexpectedSequenceExpression:"Sequence expressions cannot be directly nested inside JSX. Did you mean to wrap it in parentheses (...)?",UnexpectedToken:n(({unexpected:t,HTMLEntity:e})=>`Unexpected token \`${t}\`. Did you mean \`${e}\` or \`{'${t}'}\`?`,"UnexpectedToken"),UnsupportedJsxValue:"JSX value should be either an expression or a quoted JSX text.",UnterminatedJsxContent:"Unterminated JSX contents.",UnwrappedAdjacentJSXElements:"Adjacent JSX elements must be wrapped in an enclosing tag. Did you want a JSX fragment <>...</>?"});function Ft(t){return t?t.type==="JSXOpeningFragment"||t.type==="JSXClosingFragment":!1}n(Ft,"isFragment");function kr(t){if(t.type==="JSXIdentifier")return t.name;if(t.type==="JSXNamespacedName")return t.namespace.name+":"+t.name.name;if(t.type==="JSXMemberExpression")return kr(t.object)+"."+kr(t.property);throw new Error("Node had unexpected type: "+t.type)}n(kr,"getQualifiedJSXName");var cx=n(t=>class extends t{static{n(this,"JSXParserMixin")}jsxReadToken(){let r="",i=this.state.pos;for(;;){if(this.state.pos>=this.length)throw this.raise(tr.UnterminatedJsxContent,this.state.startLoc);let s=this.input.charCodeAt(this.state.pos);switch(s){case 60:case 123:if(this.state.pos===this.state.start){s===60&&this.state.canStartJSXElement?(++this.state.pos,this.finishToken(143)):super.getTokenFromCode(s);return}r+=this.input.slice(i,this.state.pos),this.finishToken(142,r);return;case 38:r+=this.input.slice(i,this.state.pos),r+=this.jsxReadEntity(),i=this.state.pos;break;case 62:case 125:default:_r(s)?(r+=this.input.slice(i,this.state.pos),r+=this.jsxReadNewLine(!0),i=this.state.pos):++this.state.pos}}}jsxReadNewLine(r){let i=this.input.charCodeAt(this.state.pos),s;return++this.state.pos,i===13&&this.input.charCodeAt(this.state.pos)===10?(++this.state.pos,s=r?`
+`:`\r
+`):s=String.fromCharCode(i),++this.state.curLine,this.state.lineStart=this.state.pos,s}jsxReadString(r){let i="",s=++this.state.pos;for(;;){if(this.state.pos>=this.length)throw this.raise(N.UnterminatedString,this.state.startLoc);let a=this.input.charCodeAt(this.state.pos);if(a===r)break;a===38?(i+=this.input.slice(s,this.state.pos),i+=this.jsxReadEntity(),s=this.state.pos):_r(a)?(i+=this.input.slice(s,this.state.pos),i+=this.jsxReadNewLine(!1),s=this.state.pos):++this.state.pos}i+=this.input.slice(s,this.state.pos++),this.finishToken(134,i)}jsxReadEntity(){let r=++this.state.pos;if(this.codePointAtPos(this.state.pos)===35){++this.state.pos;let i=10;this.codePointAtPos(this.state.pos)===120&&(i=16,++this.state.pos);let s=this.readInt(i,void 0,!1,"bail");if(s!==null&&this.codePointAtPos(this.state.pos)===59)return++this.state.pos,String.fromCodePoint(s)}else{let i=0,s=!1;for(;i++<10&&this.state.pos<this.length&&!(s=this.codePointAtPos(this.state.pos)===59);)++this.state.pos;if(s){let a=this.input.slice(r,this.state.pos),l=ox[a];if(++this.state.pos,l)return l}}return this.state.pos=r,"&"}jsxReadWord(){let r,i=this.state.pos;do r=this.input.charCodeAt(++this.state.pos);while(ir(r)||r===45);this.finishToken(141,this.input.slice(i,this.state.pos))}jsxParseIdentifier(){let r=this.startNode();return this.match(141)?r.name=this.state.value:Aa(this.state.type)?r.name=Bt(this.state.type):this.unexpected(),this.next(),this.finishNode(r,"JSXIdentifier")}jsxParseNamespacedName(){let r=this.state.startLoc,i=this.jsxParseIdentifier();if(!this.eat(14))return i;let s=this.startNodeAt(r);return s.namespace=i,s.name=this.jsxParseIdentifier(),this.finishNode(s,"JSXNamespacedName")}jsxParseElementName(){let r=this.state.startLoc,i=this.jsxParseNamespacedName();if(i.type==="JSXNamespacedName")return i;for(;this.eat(16);){let s=this.startNodeAt(r);s.object=i,s.property=this.jsxParseIdentifier(),i=this.finishNode(s,"JSXMemberExpression")}return i}jsxParseAttributeValue(){let r;switch(this.state.type){case 5:return r=this.startNode(),this.setContext(ye.brace),this.next(),r=this.jsxParseExpressionContainer(r,ye.j_oTag),r.expression.type==="JSXEmptyExpression"&&this.raise(tr.AttributeIsEmpty,r),r;case 143:case 134:return this.parseExprAtom();default:throw this.raise(tr.UnsupportedJsxValue,this.state.startLoc)}}jsxParseEmptyExpression(){let r=this.startNodeAt(this.state.lastTokEndLoc);return this.finishNodeAt(r,"JSXEmptyExpression",this.state.startLoc)}jsxParseSpreadChild(r){return this.next(),r.expression=this.parseExpression(),this.setContext(ye.j_expr),this.state.canStartJSXElement=!0,this.expect(8),this.finishNode(r,"JSXSpreadChild")}jsxParseExpressionContainer(r,i){if(this.match(8))r.expression=this.jsxParseEmptyExpression();else{let s=this.parseExpression();r.expression=s}return this.setContext(i),this.state.canStartJSXElement=!0,this.expect(8),this.finishNode(r,"JSXExpressionContainer")}jsxParseAttribute(){let r=this.startNode();return this.match(5)?(this.setContext(ye.brace),this.next(),this.expect(21),r.argument=this.parseMaybeAssignAllowIn(),this.setContext(ye.j_oTag),this.state.canStartJSXElement=!0,this.expect(8),this.finishNode(r,"JSXSpreadAttribute")):(r.name=this.jsxParseNamespacedName(),r.value=this.eat(29)?this.jsxParseAttributeValue():null,this.finishNode(r,"JSXAttribute"))}jsxParseOpeningElementAt(r){let i=this.startNodeAt(r);return this.eat(144)?this.finishNode(i,"JSXOpeningFragment"):(i.name=this.jsxParseElementName(),this.jsxParseOpeningElementAfterName(i))}jsxParseOpeningElementAfterName(r){let i=[];for(;!this.match(56)&&!this.match(144);)i.push(this.jsxParseAttribute());return r.attributes=i,r.selfClosing=this.eat(56),this.expect(144),this.finishNode(r,"JSXOpeningElement")}jsxParseClosingElementAt(r){let i=this.startNodeAt(r);return this.eat(144)?this.finishNode(i,"JSXClosingFragment"):(i.name=this.jsxParseElementName(),this.expect(144),this.finishNode(i,"JSXClosingElement"))}jsxParseElementAt(r){let i=this.startNodeAt(r),s=[],a=this.jsxParseOpeningElementAt(r),l=null;if(!a.selfClosing){e:for(;;)switch(this.state.type){case 143:if(r=this.state.startLoc,this.next(),this.eat(56)){l=this.jsxParseClosingElementAt(r);break e}s.push(this.jsxParseElementAt(r));break;case 142:s.push(this.parseLiteral(this.state.value,"JSXText"));break;case 5:{let u=this.startNode();this.setContext(ye.brace),this.next(),this.match(21)?s.push(this.jsxParseSpreadChild(u)):s.push(this.jsxParseExpressionContainer(u,ye.j_expr));break}default:this.unexpected()}Ft(a)&&!Ft(l)&&l!==null?this.raise(tr.MissingClosingTagFragment,l):!Ft(a)&&Ft(l)?this.raise(tr.MissingClosingTagElement,l,{openingTagName:kr(a.name)}):!Ft(a)&&!Ft(l)&&kr(l.name)!==kr(a.name)&&this.raise(tr.MissingClosingTagElement,l,{openingTagName:kr(a.name)})}if(Ft(a)?(i.openingFragment=a,i.closingFragment=l):(i.openingElement=a,i.closingElement=l),i.children=s,this.match(47))throw this.raise(tr.UnwrappedAdjacentJSXElements,this.state.startLoc);return Ft(a)?this.finishNode(i,"JSXFragment"):this.finishNode(i,"JSXElement")}jsxParseElement(){let r=this.state.startLoc;return this.next(),this.jsxParseElementAt(r)}setContext(r){let{context:i}=this.state;i[i.length-1]=r}parseExprAtom(r){return this.match(143)?this.jsxParseElement():this.match(47)&&this.input.charCodeAt(this.state.pos)!==33?(this.replaceToken(143),this.jsxParseElement()):super.parseExprAtom(r)}skipSpace(){this.curContext().preserveSpace||super.skipSpace()}getTokenFromCode(r){let i=this.curContext();if(i===ye.j_expr){this.jsxReadToken();return}if(i===ye.j_oTag||i===ye.j_cTag){if(yt(r)){this.jsxReadWord();return}if(r===62){++this.state.pos,this.finishToken(144);return}if((r===34||r===39)&&i===ye.j_oTag){this.jsxReadString(r);return}}if(r===60&&this.state.canStartJSXElement&&this.input.charCodeAt(this.state.pos+1)!==33){++this.state.pos,this.finishToken(143);return}super.getTokenFromCode(r)}updateContext(r){let{context:i,type:s}=this.state;if(s===56&&r===143)i.splice(-2,2,ye.j_cTag),this.state.canStartJSXElement=!1;else if(s===143)i.push(ye.j_oTag);else if(s===144){let a=i[i.length-1];a===ye.j_oTag&&r===56||a===ye.j_cTag?(i.pop(),this.state.canStartJSXElement=i[i.length-1]===ye.j_expr):(this.setContext(ye.j_expr),this.state.canStartJSXElement=!0)}else this.state.canStartJSXElement=F0(s)}},"jsx"),ta=class extends gi{static{n(this,"TypeScriptScope")}constructor(...e){super(...e),this.tsNames=new Map}},ra=class extends Pi{static{n(this,"TypeScriptScopeHandler")}constructor(...e){super(...e),this.importsStack=[]}createScope(e){return this.importsStack.push(new Set),new ta(e)}enter(e){e===1024&&this.importsStack.push(new Set),super.enter(e)}exit(){let e=super.exit();return e===1024&&this.importsStack.pop(),e}hasImport(e,r){let i=this.importsStack.length;if(this.importsStack[i-1].has(e))return!0;if(!r&&i>1){for(let s=0;s<i-1;s++)if(this.importsStack[s].has(e))return!0}return!1}declareName(e,r,i){if(r&4096){this.hasImport(e,!0)&&this.parser.raise(N.VarRedeclaration,i,{identifierName:e}),this.importsStack[this.importsStack.length-1].add(e);return}let s=this.currentScope(),a=s.tsNames.get(e)||0;if(r&1024){this.maybeExportDefined(s,e),s.tsNames.set(e,a|16);return}super.declareName(e,r,i),r&2&&(r&1||(this.checkRedeclarationInScope(s,e,r,i),this.maybeExportDefined(s,e)),a=a|1),r&256&&(a=a|2),r&512&&(a=a|4),r&128&&(a=a|8),a&&s.tsNames.set(e,a)}isRedeclaredInScope(e,r,i){let s=e.tsNames.get(r);if((s&2)>0){if(i&256){let a=!!(i&512),l=(s&4)>0;return a!==l}return!0}return i&128&&(s&8)>0?e.names.get(r)&2?!!(i&1):!1:i&2&&(s&1)>0?!0:super.isRedeclaredInScope(e,r,i)}checkLocalExport(e){let{name:r}=e;if(this.hasImport(r))return;let i=this.scopeStack.length;for(let s=i-1;s>=0;s--){let l=this.scopeStack[s].tsNames.get(r);if((l&1)>0||(l&16)>0)return}super.checkLocalExport(e)}},ia=class{static{n(this,"ProductionParameterHandler")}constructor(){this.stacks=[]}enter(e){this.stacks.push(e)}exit(){this.stacks.pop()}currentFlags(){return this.stacks[this.stacks.length-1]}get hasAwait(){return(this.currentFlags()&2)>0}get hasYield(){return(this.currentFlags()&1)>0}get hasReturn(){return(this.currentFlags()&4)>0}get hasIn(){return(this.currentFlags()&8)>0}};function vs(t,e){return(t?2:0)|(e?1:0)}n(vs,"functionFlags");var sa=class{static{n(this,"BaseParser")}constructor(){this.sawUnambiguousESM=!1,this.ambiguousScriptDifferentAst=!1}sourceToOffsetPos(e){return e+this.startIndex}offsetToSourcePos(e){return e-this.startIndex}hasPlugin(e){if(typeof e=="string")return this.plugins.has(e);{let[r,i]=e;if(!this.hasPlugin(r))return!1;let s=this.plugins.get(r);for(let a of Object.keys(i))if(s?.[a]!==i[a])return!1;return!0}}getPluginOption(e,r){var i;return(i=this.plugins.get(e))==null?void 0:i[r]}};function Uf(t,e){t.trailingComments===void 0?t.trailingComments=e:t.trailingComments.unshift(...e)}n(Uf,"setTrailingComments");function px(t,e){t.leadingComments===void 0?t.leadingComments=e:t.leadingComments.unshift(...e)}n(px,"setLeadingComments");function vi(t,e){t.innerComments===void 0?t.innerComments=e:t.innerComments.unshift(...e)}n(vi,"setInnerComments");function rt(t,e,r){let i=null,s=e.length;for(;i===null&&s>0;)i=e[--s];i===null||i.start>r.start?vi(t,r.comments):Uf(i,r.comments)}n(rt,"adjustInnerComments");var na=class extends sa{static{n(this,"CommentsParser")}addComment(e){this.filename&&(e.loc.filename=this.filename);let{commentsLen:r}=this.state;this.comments.length!==r&&(this.comments.length=r),this.comments.push(e),this.state.commentsLen++}processComment(e){let{commentStack:r}=this.state,i=r.length;if(i===0)return;let s=i-1,a=r[s];a.start===e.end&&(a.leadingNode=e,s--);let{start:l}=e;for(;s>=0;s--){let u=r[s],p=u.end;if(p>l)u.containingNode=e,this.finalizeComment(u),r.splice(s,1);else{p===l&&(u.trailingNode=e);break}}}finalizeComment(e){var r;let{comments:i}=e;if(e.leadingNode!==null||e.trailingNode!==null)e.leadingNode!==null&&Uf(e.leadingNode,i),e.trailingNode!==null&&px(e.trailingNode,i);else{let s=e.containingNode,a=e.start;if(this.input.charCodeAt(this.offsetToSourcePos(a)-1)===44)switch(s.type){case"ObjectExpression":case"ObjectPattern":rt(s,s.properties,e);break;case"CallExpression":case"NewExpression":case"OptionalCallExpression":rt(s,s.arguments,e);break;case"ImportExpression":rt(s,[s.source,(r=s.options)!=null?r:null],e);break;case"FunctionDeclaration":case"FunctionExpression":case"ArrowFunctionExpression":case"ObjectMethod":case"ClassMethod":case"ClassPrivateMethod":case"TSTypeParameterDeclaration":rt(s,s.params,e);break;case"ArrayExpression":case"ArrayPattern":rt(s,s.elements,e);break;case"ExportNamedDeclaration":case"ImportDeclaration":rt(s,s.specifiers,e);break;case"TSEnumDeclaration":rt(s,s.members,e);break;case"TSEnumBody":rt(s,s.members,e);break;case"TSInterfaceBody":rt(s,s.body,e);break;default:{if(s.type==="RecordExpression"){rt(s,s.properties,e);break}if(s.type==="TupleExpression"){rt(s,s.elements,e);break}vi(s,i)}}else vi(s,i)}}finalizeRemainingComments(){let{commentStack:e}=this.state;for(let r=e.length-1;r>=0;r--)this.finalizeComment(e[r]);this.state.commentStack=[]}resetPreviousNodeTrailingComments(e){let{commentStack:r}=this.state,{length:i}=r;if(i===0)return;let s=r[i-1];s.leadingNode===e&&(s.leadingNode=null)}takeSurroundingComments(e,r,i){let{commentStack:s}=this.state,a=s.length;if(a===0)return;let l=a-1;for(;l>=0;l--){let u=s[l],p=u.end;if(u.start===i)u.leadingNode=e;else if(p===r)u.trailingNode=e;else if(p<r)break}}},aa=class t{static{n(this,"State")}constructor(){this.flags=1024,this.startIndex=void 0,this.curLine=void 0,this.lineStart=void 0,this.startLoc=void 0,this.endLoc=void 0,this.errors=[],this.potentialArrowAt=-1,this.noArrowAt=[],this.noArrowParamsConversionAt=[],this.topicContext={maxNumOfResolvableTopics:0,maxTopicIndex:null},this.labels=[],this.commentsLen=0,this.commentStack=[],this.pos=0,this.type=140,this.value=null,this.start=0,this.end=0,this.lastTokEndLoc=null,this.lastTokStartLoc=null,this.context=[ye.brace],this.firstInvalidTemplateEscapePos=null,this.strictErrors=new Map,this.tokensLength=0}get strict(){return(this.flags&1)>0}set strict(e){e?this.flags|=1:this.flags&=-2}init({strictMode:e,sourceType:r,startIndex:i,startLine:s,startColumn:a}){this.strict=e===!1?!1:e===!0?!0:r==="module",this.startIndex=i,this.curLine=s,this.lineStart=-a,this.startLoc=this.endLoc=new mt(s,a,i)}get maybeInArrowParameters(){return(this.flags&2)>0}set maybeInArrowParameters(e){e?this.flags|=2:this.flags&=-3}get inType(){return(this.flags&4)>0}set inType(e){e?this.flags|=4:this.flags&=-5}get noAnonFunctionType(){return(this.flags&8)>0}set noAnonFunctionType(e){e?this.flags|=8:this.flags&=-9}get hasFlowComment(){return(this.flags&16)>0}set hasFlowComment(e){e?this.flags|=16:this.flags&=-17}get isAmbientContext(){return(this.flags&32)>0}set isAmbientContext(e){e?this.flags|=32:this.flags&=-33}get inAbstractClass(){return(this.flags&64)>0}set inAbstractClass(e){e?this.flags|=64:this.flags&=-65}get inDisallowConditionalTypesContext(){return(this.flags&128)>0}set inDisallowConditionalTypesContext(e){e?this.flags|=128:this.flags&=-129}get soloAwait(){return(this.flags&256)>0}set soloAwait(e){e?this.flags|=256:this.flags&=-257}get inFSharpPipelineDirectBody(){return(this.flags&512)>0}set inFSharpPipelineDirectBody(e){e?this.flags|=512:this.flags&=-513}get canStartJSXElement(){return(this.flags&1024)>0}set canStartJSXElement(e){e?this.flags|=1024:this.flags&=-1025}get containsEsc(){return(this.flags&2048)>0}set containsEsc(e){e?this.flags|=2048:this.flags&=-2049}get hasTopLevelAwait(){return(this.flags&4096)>0}set hasTopLevelAwait(e){e?this.flags|=4096:this.flags&=-4097}curPosition(){return new mt(this.curLine,this.pos-this.lineStart,this.pos+this.startIndex)}clone(){let e=new t;return e.flags=this.flags,e.startIndex=this.startIndex,e.curLine=this.curLine,e.lineStart=this.lineStart,e.startLoc=this.startLoc,e.endLoc=this.endLoc,e.errors=this.errors.slice(),e.potentialArrowAt=this.potentialArrowAt,e.noArrowAt=this.noArrowAt.slice(),e.noArrowParamsConversionAt=this.noArrowParamsConversionAt.slice(),e.topicContext=this.topicContext,e.labels=this.labels.slice(),e.commentsLen=this.commentsLen,e.commentStack=this.commentStack.slice(),e.pos=this.pos,e.type=this.type,e.value=this.value,e.start=this.start,e.end=this.end,e.lastTokEndLoc=this.lastTokEndLoc,e.lastTokStartLoc=this.lastTokStartLoc,e.context=this.context.slice(),e.firstInvalidTemplateEscapePos=this.firstInvalidTemplateEscapePos,e.strictErrors=this.strictErrors,e.tokensLength=this.tokensLength,e}},fx=n(function(e){return e>=48&&e<=57},"isDigit"),If={decBinOct:new Set([46,66,69,79,95,98,101,111]),hex:new Set([46,88,95,120])},Es={bin:n(t=>t===48||t===49,"bin"),oct:n(t=>t>=48&&t<=55,"oct"),dec:n(t=>t>=48&&t<=57,"dec"),hex:n(t=>t>=48&&t<=57||t>=65&&t<=70||t>=97&&t<=102,"hex")};function wf(t,e,r,i,s,a){let l=r,u=i,p=s,h="",m=null,I=r,{length:_}=e;for(;;){if(r>=_){a.unterminated(l,u,p),h+=e.slice(I,r);break}let F=e.charCodeAt(r);if(hx(t,F,e,r)){h+=e.slice(I,r);break}if(F===92){h+=e.slice(I,r);let B=dx(e,r,i,s,t==="template",a);B.ch===null&&!m?m={pos:r,lineStart:i,curLine:s}:h+=B.ch,{pos:r,lineStart:i,curLine:s}=B,I=r}else F===8232||F===8233?(++r,++s,i=r):F===10||F===13?t==="template"?(h+=e.slice(I,r)+`
+`,++r,F===13&&e.charCodeAt(r)===10&&++r,++s,I=i=r):a.unterminated(l,u,p):++r}return{pos:r,str:h,firstInvalidLoc:m,lineStart:i,curLine:s,containsInvalid:!!m}}n(wf,"readStringContents");function hx(t,e,r,i){return t==="template"?e===96||e===36&&r.charCodeAt(i+1)===123:e===(t==="double"?34:39)}n(hx,"isStringEnd");function dx(t,e,r,i,s,a){let l=!s;e++;let u=n(h=>({pos:e,ch:h,lineStart:r,curLine:i}),"res"),p=t.charCodeAt(e++);switch(p){case 110:return u(`
+`);case 114:return u("\r");case 120:{let h;return{code:h,pos:e}=oa(t,e,r,i,2,!1,l,a),u(h===null?null:String.fromCharCode(h))}case 117:{let h;return{code:h,pos:e}=Kf(t,e,r,i,l,a),u(h===null?null:String.fromCodePoint(h))}case 116:return u("	");case 98:return u("\b");case 118:return u("\v");case 102:return u("\f");case 13:t.charCodeAt(e)===10&&++e;case 10:r=e,++i;case 8232:case 8233:return u("");case 56:case 57:if(s)return u(null);a.strictNumericEscape(e-1,r,i);default:if(p>=48&&p<=55){let h=e-1,I=/^[0-7]+/.exec(t.slice(h,e+2))[0],_=parseInt(I,8);_>255&&(I=I.slice(0,-1),_=parseInt(I,8)),e+=I.length-1;let F=t.charCodeAt(e);if(I!=="0"||F===56||F===57){if(s)return u(null);a.strictNumericEscape(h,r,i)}return u(String.fromCharCode(_))}return u(String.fromCharCode(p))}}n(dx,"readEscapedChar");function oa(t,e,r,i,s,a,l,u){let p=e,h;return{n:h,pos:e}=qf(t,e,r,i,16,s,a,!1,u,!l),h===null&&(l?u.invalidEscapeSequence(p,r,i):e=p-1),{code:h,pos:e}}n(oa,"readHexChar");function qf(t,e,r,i,s,a,l,u,p,h){let m=e,I=s===16?If.hex:If.decBinOct,_=s===16?Es.hex:s===10?Es.dec:s===8?Es.oct:Es.bin,F=!1,B=0;for(let U=0,te=a??1/0;U<te;++U){let Y=t.charCodeAt(e),Q;if(Y===95&&u!=="bail"){let z=t.charCodeAt(e-1),S=t.charCodeAt(e+1);if(u){if(Number.isNaN(S)||!_(S)||I.has(z)||I.has(S)){if(h)return{n:null,pos:e};p.unexpectedNumericSeparator(e,r,i)}}else{if(h)return{n:null,pos:e};p.numericSeparatorInEscapeSequence(e,r,i)}++e;continue}if(Y>=97?Q=Y-97+10:Y>=65?Q=Y-65+10:fx(Y)?Q=Y-48:Q=1/0,Q>=s){if(Q<=9&&h)return{n:null,pos:e};if(Q<=9&&p.invalidDigit(e,r,i,s))Q=0;else if(l)Q=0,F=!0;else break}++e,B=B*s+Q}return e===m||a!=null&&e-m!==a||F?{n:null,pos:e}:{n:B,pos:e}}n(qf,"readInt");function Kf(t,e,r,i,s,a){let l=t.charCodeAt(e),u;if(l===123){if(++e,{code:u,pos:e}=oa(t,e,r,i,t.indexOf("}",e)-e,!0,s,a),++e,u!==null&&u>1114111)if(s)a.invalidCodePoint(e,r,i);else return{code:null,pos:e}}else({code:u,pos:e}=oa(t,e,r,i,4,!1,s,a));return{code:u,pos:e}}n(Kf,"readCodePoint");function xi(t,e,r){return new mt(r,t-e,t)}n(xi,"buildPosition");var yx=new Set([103,109,115,105,121,117,100,118]),dt=class{static{n(this,"Token")}constructor(e){let r=e.startIndex||0;this.type=e.type,this.value=e.value,this.start=r+e.start,this.end=r+e.end,this.loc=new Lr(e.startLoc,e.endLoc)}},la=class extends na{static{n(this,"Tokenizer")}constructor(e,r){super(),this.isLookahead=void 0,this.tokens=[],this.errorHandlers_readInt={invalidDigit:n((i,s,a,l)=>this.optionFlags&2048?(this.raise(N.InvalidDigit,xi(i,s,a),{radix:l}),!0):!1,"invalidDigit"),numericSeparatorInEscapeSequence:this.errorBuilder(N.NumericSeparatorInEscapeSequence),unexpectedNumericSeparator:this.errorBuilder(N.UnexpectedNumericSeparator)},this.errorHandlers_readCodePoint=Object.assign({},this.errorHandlers_readInt,{invalidEscapeSequence:this.errorBuilder(N.InvalidEscapeSequence),invalidCodePoint:this.errorBuilder(N.InvalidCodePoint)}),this.errorHandlers_readStringContents_string=Object.assign({},this.errorHandlers_readCodePoint,{strictNumericEscape:n((i,s,a)=>{this.recordStrictModeErrors(N.StrictNumericEscape,xi(i,s,a))},"strictNumericEscape"),unterminated:n((i,s,a)=>{throw this.raise(N.UnterminatedString,xi(i-1,s,a))},"unterminated")}),this.errorHandlers_readStringContents_template=Object.assign({},this.errorHandlers_readCodePoint,{strictNumericEscape:this.errorBuilder(N.StrictNumericEscape),unterminated:n((i,s,a)=>{throw this.raise(N.UnterminatedTemplate,xi(i,s,a))},"unterminated")}),this.state=new aa,this.state.init(e),this.input=r,this.length=r.length,this.comments=[],this.isLookahead=!1}pushToken(e){this.tokens.length=this.state.tokensLength,this.tokens.push(e),++this.state.tokensLength}next(){this.checkKeywordEscapes(),this.optionFlags&256&&this.pushToken(new dt(this.state)),this.state.lastTokEndLoc=this.state.endLoc,this.state.lastTokStartLoc=this.state.startLoc,this.nextToken()}eat(e){return this.match(e)?(this.next(),!0):!1}match(e){return this.state.type===e}createLookaheadState(e){return{pos:e.pos,value:null,type:e.type,start:e.start,end:e.end,context:[this.curContext()],inType:e.inType,startLoc:e.startLoc,lastTokEndLoc:e.lastTokEndLoc,curLine:e.curLine,lineStart:e.lineStart,curPosition:e.curPosition}}lookahead(){let e=this.state;this.state=this.createLookaheadState(e),this.isLookahead=!0,this.nextToken(),this.isLookahead=!1;let r=this.state;return this.state=e,r}nextTokenStart(){return this.nextTokenStartSince(this.state.pos)}nextTokenStartSince(e){return Wn.lastIndex=e,Wn.test(this.input)?Wn.lastIndex:e}lookaheadCharCode(){return this.lookaheadCharCodeSince(this.state.pos)}lookaheadCharCodeSince(e){return this.input.charCodeAt(this.nextTokenStartSince(e))}nextTokenInLineStart(){return this.nextTokenInLineStartSince(this.state.pos)}nextTokenInLineStartSince(e){return $n.lastIndex=e,$n.test(this.input)?$n.lastIndex:e}lookaheadInLineCharCode(){return this.input.charCodeAt(this.nextTokenInLineStart())}codePointAtPos(e){let r=this.input.charCodeAt(e);if((r&64512)===55296&&++e<this.input.length){let i=this.input.charCodeAt(e);(i&64512)===56320&&(r=65536+((r&1023)<<10)+(i&1023))}return r}setStrict(e){this.state.strict=e,e&&(this.state.strictErrors.forEach(([r,i])=>this.raise(r,i)),this.state.strictErrors.clear())}curContext(){return this.state.context[this.state.context.length-1]}nextToken(){if(this.skipSpace(),this.state.start=this.state.pos,this.isLookahead||(this.state.startLoc=this.state.curPosition()),this.state.pos>=this.length){this.finishToken(140);return}this.getTokenFromCode(this.codePointAtPos(this.state.pos))}skipBlockComment(e){let r;this.isLookahead||(r=this.state.curPosition());let i=this.state.pos,s=this.input.indexOf(e,i+2);if(s===-1)throw this.raise(N.UnterminatedComment,this.state.curPosition());for(this.state.pos=s+e.length,bs.lastIndex=i+2;bs.test(this.input)&&bs.lastIndex<=s;)++this.state.curLine,this.state.lineStart=bs.lastIndex;if(this.isLookahead)return;let a={type:"CommentBlock",value:this.input.slice(i+2,s),start:this.sourceToOffsetPos(i),end:this.sourceToOffsetPos(s+e.length),loc:new Lr(r,this.state.curPosition())};return this.optionFlags&256&&this.pushToken(a),a}skipLineComment(e){let r=this.state.pos,i;this.isLookahead||(i=this.state.curPosition());let s=this.input.charCodeAt(this.state.pos+=e);if(this.state.pos<this.length)for(;!_r(s)&&++this.state.pos<this.length;)s=this.input.charCodeAt(this.state.pos);if(this.isLookahead)return;let a=this.state.pos,u={type:"CommentLine",value:this.input.slice(r+e,a),start:this.sourceToOffsetPos(r),end:this.sourceToOffsetPos(a),loc:new Lr(i,this.state.curPosition())};return this.optionFlags&256&&this.pushToken(u),u}skipSpace(){let e=this.state.pos,r=this.optionFlags&4096?[]:null;e:for(;this.state.pos<this.length;){let i=this.input.charCodeAt(this.state.pos);switch(i){case 32:case 160:case 9:++this.state.pos;break;case 13:this.input.charCodeAt(this.state.pos+1)===10&&++this.state.pos;case 10:case 8232:case 8233:++this.state.pos,++this.state.curLine,this.state.lineStart=this.state.pos;break;case 47:switch(this.input.charCodeAt(this.state.pos+1)){case 42:{let s=this.skipBlockComment("*/");s!==void 0&&(this.addComment(s),r?.push(s));break}case 47:{let s=this.skipLineComment(2);s!==void 0&&(this.addComment(s),r?.push(s));break}default:break e}break;default:if(ux(i))++this.state.pos;else if(i===45&&!this.inModule&&this.optionFlags&8192){let s=this.state.pos;if(this.input.charCodeAt(s+1)===45&&this.input.charCodeAt(s+2)===62&&(e===0||this.state.lineStart>e)){let a=this.skipLineComment(3);a!==void 0&&(this.addComment(a),r?.push(a))}else break e}else if(i===60&&!this.inModule&&this.optionFlags&8192){let s=this.state.pos;if(this.input.charCodeAt(s+1)===33&&this.input.charCodeAt(s+2)===45&&this.input.charCodeAt(s+3)===45){let a=this.skipLineComment(4);a!==void 0&&(this.addComment(a),r?.push(a))}else break e}else break e}}if(r?.length>0){let i=this.state.pos,s={start:this.sourceToOffsetPos(e),end:this.sourceToOffsetPos(i),comments:r,leadingNode:null,trailingNode:null,containingNode:null};this.state.commentStack.push(s)}}finishToken(e,r){this.state.end=this.state.pos,this.state.endLoc=this.state.curPosition();let i=this.state.type;this.state.type=e,this.state.value=r,this.isLookahead||this.updateContext(i)}replaceToken(e){this.state.type=e,this.updateContext()}readToken_numberSign(){if(this.state.pos===0&&this.readToken_interpreter())return;let e=this.state.pos+1,r=this.codePointAtPos(e);if(r>=48&&r<=57)throw this.raise(N.UnexpectedDigitAfterHash,this.state.curPosition());if(r===123||r===91&&this.hasPlugin("recordAndTuple")){if(this.expectPlugin("recordAndTuple"),this.getPluginOption("recordAndTuple","syntaxType")==="bar")throw this.raise(r===123?N.RecordExpressionHashIncorrectStartSyntaxType:N.TupleExpressionHashIncorrectStartSyntaxType,this.state.curPosition());this.state.pos+=2,r===123?this.finishToken(7):this.finishToken(1)}else yt(r)?(++this.state.pos,this.finishToken(139,this.readWord1(r))):r===92?(++this.state.pos,this.finishToken(139,this.readWord1())):this.finishOp(27,1)}readToken_dot(){let e=this.input.charCodeAt(this.state.pos+1);if(e>=48&&e<=57){this.readNumber(!0);return}e===46&&this.input.charCodeAt(this.state.pos+2)===46?(this.state.pos+=3,this.finishToken(21)):(++this.state.pos,this.finishToken(16))}readToken_slash(){this.input.charCodeAt(this.state.pos+1)===61?this.finishOp(31,2):this.finishOp(56,1)}readToken_interpreter(){if(this.state.pos!==0||this.length<2)return!1;let e=this.input.charCodeAt(this.state.pos+1);if(e!==33)return!1;let r=this.state.pos;for(this.state.pos+=1;!_r(e)&&++this.state.pos<this.length;)e=this.input.charCodeAt(this.state.pos);let i=this.input.slice(r+2,this.state.pos);return this.finishToken(28,i),!0}readToken_mult_modulo(e){let r=e===42?55:54,i=1,s=this.input.charCodeAt(this.state.pos+1);e===42&&s===42&&(i++,s=this.input.charCodeAt(this.state.pos+2),r=57),s===61&&!this.state.inType&&(i++,r=e===37?33:30),this.finishOp(r,i)}readToken_pipe_amp(e){let r=this.input.charCodeAt(this.state.pos+1);if(r===e){this.input.charCodeAt(this.state.pos+2)===61?this.finishOp(30,3):this.finishOp(e===124?41:42,2);return}if(e===124){if(r===62){this.finishOp(39,2);return}if(this.hasPlugin("recordAndTuple")&&r===125){if(this.getPluginOption("recordAndTuple","syntaxType")!=="bar")throw this.raise(N.RecordExpressionBarIncorrectEndSyntaxType,this.state.curPosition());this.state.pos+=2,this.finishToken(9);return}if(this.hasPlugin("recordAndTuple")&&r===93){if(this.getPluginOption("recordAndTuple","syntaxType")!=="bar")throw this.raise(N.TupleExpressionBarIncorrectEndSyntaxType,this.state.curPosition());this.state.pos+=2,this.finishToken(4);return}}if(r===61){this.finishOp(30,2);return}this.finishOp(e===124?43:45,1)}readToken_caret(){let e=this.input.charCodeAt(this.state.pos+1);e===61&&!this.state.inType?this.finishOp(32,2):e===94&&this.hasPlugin(["pipelineOperator",{proposal:"hack",topicToken:"^^"}])?(this.finishOp(37,2),this.input.codePointAt(this.state.pos)===94&&this.unexpected()):this.finishOp(44,1)}readToken_atSign(){this.input.charCodeAt(this.state.pos+1)===64&&this.hasPlugin(["pipelineOperator",{proposal:"hack",topicToken:"@@"}])?this.finishOp(38,2):this.finishOp(26,1)}readToken_plus_min(e){let r=this.input.charCodeAt(this.state.pos+1);if(r===e){this.finishOp(34,2);return}r===61?this.finishOp(30,2):this.finishOp(53,1)}readToken_lt(){let{pos:e}=this.state,r=this.input.charCodeAt(e+1);if(r===60){if(this.input.charCodeAt(e+2)===61){this.finishOp(30,3);return}this.finishOp(51,2);return}if(r===61){this.finishOp(49,2);return}this.finishOp(47,1)}readToken_gt(){let{pos:e}=this.state,r=this.input.charCodeAt(e+1);if(r===62){let i=this.input.charCodeAt(e+2)===62?3:2;if(this.input.charCodeAt(e+i)===61){this.finishOp(30,i+1);return}this.finishOp(52,i);return}if(r===61){this.finishOp(49,2);return}this.finishOp(48,1)}readToken_eq_excl(e){let r=this.input.charCodeAt(this.state.pos+1);if(r===61){this.finishOp(46,this.input.charCodeAt(this.state.pos+2)===61?3:2);return}if(e===61&&r===62){this.state.pos+=2,this.finishToken(19);return}this.finishOp(e===61?29:35,1)}readToken_question(){let e=this.input.charCodeAt(this.state.pos+1),r=this.input.charCodeAt(this.state.pos+2);e===63?r===61?this.finishOp(30,3):this.finishOp(40,2):e===46&&!(r>=48&&r<=57)?(this.state.pos+=2,this.finishToken(18)):(++this.state.pos,this.finishToken(17))}getTokenFromCode(e){switch(e){case 46:this.readToken_dot();return;case 40:++this.state.pos,this.finishToken(10);return;case 41:++this.state.pos,this.finishToken(11);return;case 59:++this.state.pos,this.finishToken(13);return;case 44:++this.state.pos,this.finishToken(12);return;case 91:if(this.hasPlugin("recordAndTuple")&&this.input.charCodeAt(this.state.pos+1)===124){if(this.getPluginOption("recordAndTuple","syntaxType")!=="bar")throw this.raise(N.TupleExpressionBarIncorrectStartSyntaxType,this.state.curPosition());this.state.pos+=2,this.finishToken(2)}else++this.state.pos,this.finishToken(0);return;case 93:++this.state.pos,this.finishToken(3);return;case 123:if(this.hasPlugin("recordAndTuple")&&this.input.charCodeAt(this.state.pos+1)===124){if(this.getPluginOption("recordAndTuple","syntaxType")!=="bar")throw this.raise(N.RecordExpressionBarIncorrectStartSyntaxType,this.state.curPosition());this.state.pos+=2,this.finishToken(6)}else++this.state.pos,this.finishToken(5);return;case 125:++this.state.pos,this.finishToken(8);return;case 58:this.hasPlugin("functionBind")&&this.input.charCodeAt(this.state.pos+1)===58?this.finishOp(15,2):(++this.state.pos,this.finishToken(14));return;case 63:this.readToken_question();return;case 96:this.readTemplateToken();return;case 48:{let r=this.input.charCodeAt(this.state.pos+1);if(r===120||r===88){this.readRadixNumber(16);return}if(r===111||r===79){this.readRadixNumber(8);return}if(r===98||r===66){this.readRadixNumber(2);return}}case 49:case 50:case 51:case 52:case 53:case 54:case 55:case 56:case 57:this.readNumber(!1);return;case 34:case 39:this.readString(e);return;case 47:this.readToken_slash();return;case 37:case 42:this.readToken_mult_modulo(e);return;case 124:case 38:this.readToken_pipe_amp(e);return;case 94:this.readToken_caret();return;case 43:case 45:this.readToken_plus_min(e);return;case 60:this.readToken_lt();return;case 62:this.readToken_gt();return;case 61:case 33:this.readToken_eq_excl(e);return;case 126:this.finishOp(36,1);return;case 64:this.readToken_atSign();return;case 35:this.readToken_numberSign();return;case 92:this.readWord();return;default:if(yt(e)){this.readWord(e);return}}throw this.raise(N.InvalidOrUnexpectedToken,this.state.curPosition(),{unexpected:String.fromCodePoint(e)})}finishOp(e,r){let i=this.input.slice(this.state.pos,this.state.pos+r);this.state.pos+=r,this.finishToken(e,i)}readRegexp(){let e=this.state.startLoc,r=this.state.start+1,i,s,{pos:a}=this.state;for(;;++a){if(a>=this.length)throw this.raise(N.UnterminatedRegExp,Ve(e,1));let h=this.input.charCodeAt(a);if(_r(h))throw this.raise(N.UnterminatedRegExp,Ve(e,1));if(i)i=!1;else{if(h===91)s=!0;else if(h===93&&s)s=!1;else if(h===47&&!s)break;i=h===92}}let l=this.input.slice(r,a);++a;let u="",p=n(()=>Ve(e,a+2-r),"nextPos");for(;a<this.length;){let h=this.codePointAtPos(a),m=String.fromCharCode(h);if(yx.has(h))h===118?u.includes("u")&&this.raise(N.IncompatibleRegExpUVFlags,p()):h===117&&u.includes("v")&&this.raise(N.IncompatibleRegExpUVFlags,p()),u.includes(m)&&this.raise(N.DuplicateRegExpFlags,p());else if(ir(h)||h===92)this.raise(N.MalformedRegExpFlags,p());else break;++a,u+=m}this.state.pos=a,this.finishToken(138,{pattern:l,flags:u})}readInt(e,r,i=!1,s=!0){let{n:a,pos:l}=qf(this.input,this.state.pos,this.state.lineStart,this.state.curLine,e,r,i,s,this.errorHandlers_readInt,!1);return this.state.pos=l,a}readRadixNumber(e){let r=this.state.pos,i=this.state.curPosition(),s=!1;this.state.pos+=2;let a=this.readInt(e);a==null&&this.raise(N.InvalidDigit,Ve(i,2),{radix:e});let l=this.input.charCodeAt(this.state.pos);if(l===110)++this.state.pos,s=!0;else if(l===109)throw this.raise(N.InvalidDecimal,i);if(yt(this.codePointAtPos(this.state.pos)))throw this.raise(N.NumberIdentifier,this.state.curPosition());if(s){let u=this.input.slice(r,this.state.pos).replace(/[_n]/g,"");this.finishToken(136,u);return}this.finishToken(135,a)}readNumber(e){let r=this.state.pos,i=this.state.curPosition(),s=!1,a=!1,l=!1,u=!1;!e&&this.readInt(10)===null&&this.raise(N.InvalidNumber,this.state.curPosition());let p=this.state.pos-r>=2&&this.input.charCodeAt(r)===48;if(p){let F=this.input.slice(r,this.state.pos);if(this.recordStrictModeErrors(N.StrictOctalLiteral,i),!this.state.strict){let B=F.indexOf("_");B>0&&this.raise(N.ZeroDigitNumericSeparator,Ve(i,B))}u=p&&!/[89]/.test(F)}let h=this.input.charCodeAt(this.state.pos);if(h===46&&!u&&(++this.state.pos,this.readInt(10),s=!0,h=this.input.charCodeAt(this.state.pos)),(h===69||h===101)&&!u&&(h=this.input.charCodeAt(++this.state.pos),(h===43||h===45)&&++this.state.pos,this.readInt(10)===null&&this.raise(N.InvalidOrMissingExponent,i),s=!0,l=!0,h=this.input.charCodeAt(this.state.pos)),h===110&&((s||p)&&this.raise(N.InvalidBigIntLiteral,i),++this.state.pos,a=!0),h===109){this.expectPlugin("decimal",this.state.curPosition()),(l||p)&&this.raise(N.InvalidDecimal,i),++this.state.pos;var m=!0}if(yt(this.codePointAtPos(this.state.pos)))throw this.raise(N.NumberIdentifier,this.state.curPosition());let I=this.input.slice(r,this.state.pos).replace(/[_mn]/g,"");if(a){this.finishToken(136,I);return}if(m){this.finishToken(137,I);return}let _=u?parseInt(I,8):parseFloat(I);this.finishToken(135,_)}readCodePoint(e){let{code:r,pos:i}=Kf(this.input,this.state.pos,this.state.lineStart,this.state.curLine,e,this.errorHandlers_readCodePoint);return this.state.pos=i,r}readString(e){let{str:r,pos:i,curLine:s,lineStart:a}=wf(e===34?"double":"single",this.input,this.state.pos+1,this.state.lineStart,this.state.curLine,this.errorHandlers_readStringContents_string);this.state.pos=i+1,this.state.lineStart=a,this.state.curLine=s,this.finishToken(134,r)}readTemplateContinuation(){this.match(8)||this.unexpected(null,8),this.state.pos--,this.readTemplateToken()}readTemplateToken(){let e=this.input[this.state.pos],{str:r,firstInvalidLoc:i,pos:s,curLine:a,lineStart:l}=wf("template",this.input,this.state.pos+1,this.state.lineStart,this.state.curLine,this.errorHandlers_readStringContents_template);this.state.pos=s+1,this.state.lineStart=l,this.state.curLine=a,i&&(this.state.firstInvalidTemplateEscapePos=new mt(i.curLine,i.pos-i.lineStart,this.sourceToOffsetPos(i.pos))),this.input.codePointAt(s)===96?this.finishToken(24,i?null:e+r+"`"):(this.state.pos++,this.finishToken(25,i?null:e+r+"${"))}recordStrictModeErrors(e,r){let i=r.index;this.state.strict&&!this.state.strictErrors.has(i)?this.raise(e,r):this.state.strictErrors.set(i,[e,r])}readWord1(e){this.state.containsEsc=!1;let r="",i=this.state.pos,s=this.state.pos;for(e!==void 0&&(this.state.pos+=e<=65535?1:2);this.state.pos<this.length;){let a=this.codePointAtPos(this.state.pos);if(ir(a))this.state.pos+=a<=65535?1:2;else if(a===92){this.state.containsEsc=!0,r+=this.input.slice(s,this.state.pos);let l=this.state.curPosition(),u=this.state.pos===i?yt:ir;if(this.input.charCodeAt(++this.state.pos)!==117){this.raise(N.MissingUnicodeEscape,this.state.curPosition()),s=this.state.pos-1;continue}++this.state.pos;let p=this.readCodePoint(!0);p!==null&&(u(p)||this.raise(N.EscapedCharNotAnIdentifier,l),r+=String.fromCodePoint(p)),s=this.state.pos}else break}return r+this.input.slice(s,this.state.pos)}readWord(e){let r=this.readWord1(e),i=Sa.get(r);i!==void 0?this.finishToken(i,Bt(i)):this.finishToken(132,r)}checkKeywordEscapes(){let{type:e}=this.state;Aa(e)&&this.state.containsEsc&&this.raise(N.InvalidEscapedReservedWord,this.state.startLoc,{reservedWord:Bt(e)})}raise(e,r,i={}){let s=r instanceof mt?r:r.loc.start,a=e(s,i);if(!(this.optionFlags&2048))throw a;return this.isLookahead||this.state.errors.push(a),a}raiseOverwrite(e,r,i={}){let s=r instanceof mt?r:r.loc.start,a=s.index,l=this.state.errors;for(let u=l.length-1;u>=0;u--){let p=l[u];if(p.loc.index===a)return l[u]=e(s,i);if(p.loc.index<a)break}return this.raise(e,r,i)}updateContext(e){}unexpected(e,r){throw this.raise(N.UnexpectedToken,e??this.state.startLoc,{expected:r?Bt(r):null})}expectPlugin(e,r){if(this.hasPlugin(e))return!0;throw this.raise(N.MissingPlugin,r??this.state.startLoc,{missingPlugin:[e]})}expectOnePlugin(e){if(!e.some(r=>this.hasPlugin(r)))throw this.raise(N.MissingOneOfPlugins,this.state.startLoc,{missingPlugin:e})}errorBuilder(e){return(r,i,s)=>{this.raise(e,xi(r,i,s))}}},ua=class{static{n(this,"ClassScope")}constructor(){this.privateNames=new Set,this.loneAccessors=new Map,this.undefinedPrivateNames=new Map}},ca=class{static{n(this,"ClassScopeHandler")}constructor(e){this.parser=void 0,this.stack=[],this.undefinedPrivateNames=new Map,this.parser=e}current(){return this.stack[this.stack.length-1]}enter(){this.stack.push(new ua)}exit(){let e=this.stack.pop(),r=this.current();for(let[i,s]of Array.from(e.undefinedPrivateNames))r?r.undefinedPrivateNames.has(i)||r.undefinedPrivateNames.set(i,s):this.parser.raise(N.InvalidPrivateFieldResolution,s,{identifierName:i})}declarePrivateName(e,r,i){let{privateNames:s,loneAccessors:a,undefinedPrivateNames:l}=this.current(),u=s.has(e);if(r&3){let p=u&&a.get(e);if(p){let h=p&4,m=r&4,I=p&3,_=r&3;u=I===_||h!==m,u||a.delete(e)}else u||a.set(e,r)}u&&this.parser.raise(N.PrivateNameRedeclaration,i,{identifierName:e}),s.add(e),l.delete(e)}usePrivateName(e,r){let i;for(i of this.stack)if(i.privateNames.has(e))return;i?i.undefinedPrivateNames.set(e,r):this.parser.raise(N.InvalidPrivateFieldResolution,r,{identifierName:e})}},Mr=class{static{n(this,"ExpressionScope")}constructor(e=0){this.type=e}canBeArrowParameterDeclaration(){return this.type===2||this.type===1}isCertainlyParameterDeclaration(){return this.type===3}},ws=class extends Mr{static{n(this,"ArrowHeadParsingScope")}constructor(e){super(e),this.declarationErrors=new Map}recordDeclarationError(e,r){let i=r.index;this.declarationErrors.set(i,[e,r])}clearDeclarationError(e){this.declarationErrors.delete(e)}iterateErrors(e){this.declarationErrors.forEach(e)}},pa=class{static{n(this,"ExpressionScopeHandler")}constructor(e){this.parser=void 0,this.stack=[new Mr],this.parser=e}enter(e){this.stack.push(e)}exit(){this.stack.pop()}recordParameterInitializerError(e,r){let i=r.loc.start,{stack:s}=this,a=s.length-1,l=s[a];for(;!l.isCertainlyParameterDeclaration();){if(l.canBeArrowParameterDeclaration())l.recordDeclarationError(e,i);else return;l=s[--a]}this.parser.raise(e,i)}recordArrowParameterBindingError(e,r){let{stack:i}=this,s=i[i.length-1],a=r.loc.start;if(s.isCertainlyParameterDeclaration())this.parser.raise(e,a);else if(s.canBeArrowParameterDeclaration())s.recordDeclarationError(e,a);else return}recordAsyncArrowParametersError(e){let{stack:r}=this,i=r.length-1,s=r[i];for(;s.canBeArrowParameterDeclaration();)s.type===2&&s.recordDeclarationError(N.AwaitBindingIdentifier,e),s=r[--i]}validateAsPattern(){let{stack:e}=this,r=e[e.length-1];r.canBeArrowParameterDeclaration()&&r.iterateErrors(([i,s])=>{this.parser.raise(i,s);let a=e.length-2,l=e[a];for(;l.canBeArrowParameterDeclaration();)l.clearDeclarationError(s.index),l=e[--a]})}};function mx(){return new Mr(3)}n(mx,"newParameterDeclarationScope");function Tx(){return new ws(1)}n(Tx,"newArrowHeadScope");function xx(){return new ws(2)}n(xx,"newAsyncArrowScope");function Yf(){return new Mr}n(Yf,"newExpressionScope");var fa=class extends la{static{n(this,"UtilParser")}addExtra(e,r,i,s=!0){if(!e)return;let{extra:a}=e;a==null&&(a={},e.extra=a),s?a[r]=i:Object.defineProperty(a,r,{enumerable:s,value:i})}isContextual(e){return this.state.type===e&&!this.state.containsEsc}isUnparsedContextual(e,r){if(this.input.startsWith(r,e)){let i=this.input.charCodeAt(e+r.length);return!(ir(i)||(i&64512)===55296)}return!1}isLookaheadContextual(e){let r=this.nextTokenStart();return this.isUnparsedContextual(r,e)}eatContextual(e){return this.isContextual(e)?(this.next(),!0):!1}expectContextual(e,r){if(!this.eatContextual(e)){if(r!=null)throw this.raise(r,this.state.startLoc);this.unexpected(null,e)}}canInsertSemicolon(){return this.match(140)||this.match(8)||this.hasPrecedingLineBreak()}hasPrecedingLineBreak(){return Af(this.input,this.offsetToSourcePos(this.state.lastTokEndLoc.index),this.state.start)}hasFollowingLineBreak(){return Af(this.input,this.state.end,this.nextTokenStart())}isLineTerminator(){return this.eat(13)||this.canInsertSemicolon()}semicolon(e=!0){(e?this.isLineTerminator():this.eat(13))||this.raise(N.MissingSemicolon,this.state.lastTokEndLoc)}expect(e,r){this.eat(e)||this.unexpected(r,e)}tryParse(e,r=this.state.clone()){let i={node:null};try{let s=e((a=null)=>{throw i.node=a,i});if(this.state.errors.length>r.errors.length){let a=this.state;return this.state=r,this.state.tokensLength=a.tokensLength,{node:s,error:a.errors[r.errors.length],thrown:!1,aborted:!1,failState:a}}return{node:s,error:null,thrown:!1,aborted:!1,failState:null}}catch(s){let a=this.state;if(this.state=r,s instanceof SyntaxError)return{node:null,error:s,thrown:!0,aborted:!1,failState:a};if(s===i)return{node:i.node,error:null,thrown:!1,aborted:!0,failState:a};throw s}}checkExpressionErrors(e,r){if(!e)return!1;let{shorthandAssignLoc:i,doubleProtoLoc:s,privateKeyLoc:a,optionalParametersLoc:l,voidPatternLoc:u}=e,p=!!i||!!s||!!l||!!a||!!u;if(!r)return p;i!=null&&this.raise(N.InvalidCoverInitializedName,i),s!=null&&this.raise(N.DuplicateProto,s),a!=null&&this.raise(N.UnexpectedPrivateField,a),l!=null&&this.unexpected(l),u!=null&&this.raise(N.InvalidCoverDiscardElement,u)}isLiteralPropertyName(){return Lf(this.state.type)}isPrivateName(e){return e.type==="PrivateName"}getPrivateNameSV(e){return e.id.name}hasPropertyAsPrivateName(e){return(e.type==="MemberExpression"||e.type==="OptionalMemberExpression")&&this.isPrivateName(e.property)}isObjectProperty(e){return e.type==="ObjectProperty"}isObjectMethod(e){return e.type==="ObjectMethod"}initializeScopes(e=this.options.sourceType==="module"){let r=this.state.labels;this.state.labels=[];let i=this.exportedIdentifiers;this.exportedIdentifiers=new Set;let s=this.inModule;this.inModule=e;let a=this.scope,l=this.getScopeHandler();this.scope=new l(this,e);let u=this.prodParam;this.prodParam=new ia;let p=this.classScope;this.classScope=new ca(this);let h=this.expressionScope;return this.expressionScope=new pa(this),()=>{this.state.labels=r,this.exportedIdentifiers=i,this.inModule=s,this.scope=a,this.prodParam=u,this.classScope=p,this.expressionScope=h}}enterInitialScopes(){let e=0;(this.inModule||this.optionFlags&1)&&(e|=2),this.optionFlags&32&&(e|=1);let r=!this.inModule&&this.options.sourceType==="commonjs";(r||this.optionFlags&2)&&(e|=4),this.prodParam.enter(e);let i=r?514:1;this.optionFlags&4&&(i|=512),this.scope.enter(i)}checkDestructuringPrivate(e){let{privateKeyLoc:r}=e;r!==null&&this.expectPlugin("destructuringPrivate",r)}},Dr=class{static{n(this,"ExpressionErrors")}constructor(){this.shorthandAssignLoc=null,this.doubleProtoLoc=null,this.privateKeyLoc=null,this.optionalParametersLoc=null,this.voidPatternLoc=null}},Fr=class{static{n(this,"Node")}constructor(e,r,i){this.type="",this.start=r,this.end=0,this.loc=new Lr(i),e?.optionFlags&128&&(this.range=[r,0]),e!=null&&e.filename&&(this.loc.filename=e.filename)}},ha=Fr.prototype;ha.__clone=function(){let t=new Fr(void 0,this.start,this.loc.start),e=Object.keys(this);for(let r=0,i=e.length;r<i;r++){let s=e[r];s!=="leadingComments"&&s!=="trailingComments"&&s!=="innerComments"&&(t[s]=this[s])}return t};var da=class extends fa{static{n(this,"NodeUtils")}startNode(){let e=this.state.startLoc;return new Fr(this,e.index,e)}startNodeAt(e){return new Fr(this,e.index,e)}startNodeAtNode(e){return this.startNodeAt(e.loc.start)}finishNode(e,r){return this.finishNodeAt(e,r,this.state.lastTokEndLoc)}finishNodeAt(e,r,i){return e.type=r,e.end=i.index,e.loc.end=i,this.optionFlags&128&&(e.range[1]=i.index),this.optionFlags&4096&&this.processComment(e),e}resetStartLocation(e,r){e.start=r.index,e.loc.start=r,this.optionFlags&128&&(e.range[0]=r.index)}resetEndLocation(e,r=this.state.lastTokEndLoc){e.end=r.index,e.loc.end=r,this.optionFlags&128&&(e.range[1]=r.index)}resetStartLocationFromNode(e,r){this.resetStartLocation(e,r.loc.start)}castNodeTo(e,r){return e.type=r,e}cloneIdentifier(e){let{type:r,start:i,end:s,loc:a,range:l,name:u}=e,p=Object.create(ha);return p.type=r,p.start=i,p.end=s,p.loc=a,p.range=l,p.name=u,e.extra&&(p.extra=e.extra),p}cloneStringLiteral(e){let{type:r,start:i,end:s,loc:a,range:l,extra:u}=e,p=Object.create(ha);return p.type=r,p.start=i,p.end=s,p.loc=a,p.range=l,p.extra=u,p.value=e.value,p}},ya=n(t=>t.type==="ParenthesizedExpression"?ya(t.expression):t,"unwrapParenthesizedExpression"),ma=class extends da{static{n(this,"LValParser")}toAssignable(e,r=!1){var i,s;let a;switch((e.type==="ParenthesizedExpression"||(i=e.extra)!=null&&i.parenthesized)&&(a=ya(e),r?a.type==="Identifier"?this.expressionScope.recordArrowParameterBindingError(N.InvalidParenthesizedAssignment,e):a.type!=="CallExpression"&&a.type!=="MemberExpression"&&!this.isOptionalMemberExpression(a)&&this.raise(N.InvalidParenthesizedAssignment,e):this.raise(N.InvalidParenthesizedAssignment,e)),e.type){case"Identifier":case"ObjectPattern":case"ArrayPattern":case"AssignmentPattern":case"RestElement":case"VoidPattern":break;case"ObjectExpression":this.castNodeTo(e,"ObjectPattern");for(let u=0,p=e.properties.length,h=p-1;u<p;u++){var l;let m=e.properties[u],I=u===h;this.toAssignableObjectExpressionProp(m,I,r),I&&m.type==="RestElement"&&(l=e.extra)!=null&&l.trailingCommaLoc&&this.raise(N.RestTrailingComma,e.extra.trailingCommaLoc)}break;case"ObjectProperty":{let{key:u,value:p}=e;this.isPrivateName(u)&&this.classScope.usePrivateName(this.getPrivateNameSV(u),u.loc.start),this.toAssignable(p,r);break}case"SpreadElement":throw new Error("Internal @babel/parser error (this is a bug, please report it). SpreadElement should be converted by .toAssignable's caller.");case"ArrayExpression":this.castNodeTo(e,"ArrayPattern"),this.toAssignableList(e.elements,(s=e.extra)==null?void 0:s.trailingCommaLoc,r);break;case"AssignmentExpression":e.operator!=="="&&this.raise(N.MissingEqInAssignment,e.left.loc.end),this.castNodeTo(e,"AssignmentPattern"),delete e.operator,e.left.type==="VoidPattern"&&this.raise(N.VoidPatternInitializer,e.left),this.toAssignable(e.left,r);break;case"ParenthesizedExpression":this.toAssignable(a,r);break}}toAssignableObjectExpressionProp(e,r,i){if(e.type==="ObjectMethod")this.raise(e.kind==="get"||e.kind==="set"?N.PatternHasAccessor:N.PatternHasMethod,e.key);else if(e.type==="SpreadElement"){this.castNodeTo(e,"RestElement");let s=e.argument;this.checkToRestConversion(s,!1),this.toAssignable(s,i),r||this.raise(N.RestTrailingComma,e)}else this.toAssignable(e,i)}toAssignableList(e,r,i){let s=e.length-1;for(let a=0;a<=s;a++){let l=e[a];l&&(this.toAssignableListItem(e,a,i),l.type==="RestElement"&&(a<s?this.raise(N.RestTrailingComma,l):r&&this.raise(N.RestTrailingComma,r)))}}toAssignableListItem(e,r,i){let s=e[r];if(s.type==="SpreadElement"){this.castNodeTo(s,"RestElement");let a=s.argument;this.checkToRestConversion(a,!0),this.toAssignable(a,i)}else this.toAssignable(s,i)}isAssignable(e,r){switch(e.type){case"Identifier":case"ObjectPattern":case"ArrayPattern":case"AssignmentPattern":case"RestElement":case"VoidPattern":return!0;case"ObjectExpression":{let i=e.properties.length-1;return e.properties.every((s,a)=>s.type!=="ObjectMethod"&&(a===i||s.type!=="SpreadElement")&&this.isAssignable(s))}case"ObjectProperty":return this.isAssignable(e.value);case"SpreadElement":return this.isAssignable(e.argument);case"ArrayExpression":return e.elements.every(i=>i===null||this.isAssignable(i));case"AssignmentExpression":return e.operator==="=";case"ParenthesizedExpression":return this.isAssignable(e.expression);case"MemberExpression":case"OptionalMemberExpression":return!r;default:return!1}}toReferencedList(e,r){return e}toReferencedListDeep(e,r){this.toReferencedList(e,r);for(let i of e)i?.type==="ArrayExpression"&&this.toReferencedListDeep(i.elements)}parseSpread(e){let r=this.startNode();return this.next(),r.argument=this.parseMaybeAssignAllowIn(e,void 0),this.finishNode(r,"SpreadElement")}parseRestBinding(){let e=this.startNode();this.next();let r=this.parseBindingAtom();return r.type==="VoidPattern"&&this.raise(N.UnexpectedVoidPattern,r),e.argument=r,this.finishNode(e,"RestElement")}parseBindingAtom(){switch(this.state.type){case 0:{let e=this.startNode();return this.next(),e.elements=this.parseBindingList(3,93,1),this.finishNode(e,"ArrayPattern")}case 5:return this.parseObjectLike(8,!0);case 88:return this.parseVoidPattern(null)}return this.parseIdentifier()}parseBindingList(e,r,i){let s=i&1,a=[],l=!0;for(;!this.eat(e);)if(l?l=!1:this.expect(12),s&&this.match(12))a.push(null);else{if(this.eat(e))break;if(this.match(21)){let u=this.parseRestBinding();if((this.hasPlugin("flow")||i&2)&&(u=this.parseFunctionParamType(u)),a.push(u),!this.checkCommaAfterRest(r)){this.expect(e);break}}else{let u=[];if(i&2)for(this.match(26)&&this.hasPlugin("decorators")&&this.raise(N.UnsupportedParameterDecorator,this.state.startLoc);this.match(26);)u.push(this.parseDecorator());a.push(this.parseBindingElement(i,u))}}return a}parseBindingRestProperty(e){return this.next(),this.hasPlugin("discardBinding")&&this.match(88)?(e.argument=this.parseVoidPattern(null),this.raise(N.UnexpectedVoidPattern,e.argument)):e.argument=this.parseIdentifier(),this.checkCommaAfterRest(125),this.finishNode(e,"RestElement")}parseBindingProperty(){let{type:e,startLoc:r}=this.state;if(e===21)return this.parseBindingRestProperty(this.startNode());let i=this.startNode();return e===139?(this.expectPlugin("destructuringPrivate",r),this.classScope.usePrivateName(this.state.value,r),i.key=this.parsePrivateName()):this.parsePropertyName(i),i.method=!1,this.parseObjPropValue(i,r,!1,!1,!0,!1)}parseBindingElement(e,r){let i=this.parseMaybeDefault();return(this.hasPlugin("flow")||e&2)&&this.parseFunctionParamType(i),r.length&&(i.decorators=r,this.resetStartLocationFromNode(i,r[0])),this.parseMaybeDefault(i.loc.start,i)}parseFunctionParamType(e){return e}parseMaybeDefault(e,r){if(e??(e=this.state.startLoc),r=r??this.parseBindingAtom(),!this.eat(29))return r;let i=this.startNodeAt(e);return r.type==="VoidPattern"&&this.raise(N.VoidPatternInitializer,r),i.left=r,i.right=this.parseMaybeAssignAllowIn(),this.finishNode(i,"AssignmentPattern")}isValidLVal(e,r,i,s){switch(e){case"AssignmentPattern":return"left";case"RestElement":return"argument";case"ObjectProperty":return"value";case"ParenthesizedExpression":return"expression";case"ArrayPattern":return"elements";case"ObjectPattern":return"properties";case"VoidPattern":return!0;case"CallExpression":if(!r&&!this.state.strict&&this.optionFlags&8192)return!0}return!1}isOptionalMemberExpression(e){return e.type==="OptionalMemberExpression"}checkLVal(e,r,i=64,s=!1,a=!1,l=!1,u=!1){var p;let h=e.type;if(this.isObjectMethod(e))return;let m=this.isOptionalMemberExpression(e);if(m||h==="MemberExpression"){m&&(this.expectPlugin("optionalChainingAssign",e.loc.start),r.type!=="AssignmentExpression"&&this.raise(N.InvalidLhsOptionalChaining,e,{ancestor:r})),i!==64&&this.raise(N.InvalidPropertyBindingPattern,e);return}if(h==="Identifier"){this.checkIdentifier(e,i,a);let{name:Y}=e;s&&(s.has(Y)?this.raise(N.ParamDupe,e):s.add(Y));return}else h==="VoidPattern"&&r.type==="CatchClause"&&this.raise(N.VoidPatternCatchClauseParam,e);let I=ya(e);u||(u=I.type==="CallExpression"&&(I.callee.type==="Import"||I.callee.type==="Super"));let _=this.isValidLVal(h,u,!(l||(p=e.extra)!=null&&p.parenthesized)&&r.type==="AssignmentExpression",i);if(_===!0)return;if(_===!1){let Y=i===64?N.InvalidLhs:N.InvalidLhsBinding;this.raise(Y,e,{ancestor:r});return}let F,B;typeof _=="string"?(F=_,B=h==="ParenthesizedExpression"):[F,B]=_;let U=h==="ArrayPattern"||h==="ObjectPattern"?{type:h}:r,te=e[F];if(Array.isArray(te))for(let Y of te)Y&&this.checkLVal(Y,U,i,s,a,B,!0);else te&&this.checkLVal(te,U,i,s,a,B,u)}checkIdentifier(e,r,i=!1){this.state.strict&&(i?Vf(e.name,this.inModule):jf(e.name))&&(r===64?this.raise(N.StrictEvalArguments,e,{referenceName:e.name}):this.raise(N.StrictEvalArgumentsBinding,e,{bindingName:e.name})),r&8192&&e.name==="let"&&this.raise(N.LetInLexicalBinding,e),r&64||this.declareNameFromIdentifier(e,r)}declareNameFromIdentifier(e,r){this.scope.declareName(e.name,r,e.loc.start)}checkToRestConversion(e,r){switch(e.type){case"ParenthesizedExpression":this.checkToRestConversion(e.expression,r);break;case"Identifier":case"MemberExpression":break;case"ArrayExpression":case"ObjectExpression":if(r)break;default:this.raise(N.InvalidRestAssignmentPattern,e)}}checkCommaAfterRest(e){return this.match(12)?(this.raise(this.lookaheadCharCode()===e?N.RestTrailingComma:N.ElementAfterRest,this.state.startLoc),!0):!1}},zn=/in(?:stanceof)?|as|satisfies/y;function Sx(t){if(t==null)throw new Error(`Unexpected ${t} value.`);return t}n(Sx,"nonNull");function Cf(t){if(!t)throw new Error("Assert fail")}n(Cf,"assert");var W=it`typescript`({AbstractMethodHasImplementation:n(({methodName:t})=>`Method '${t}' cannot have an implementation because it is marked abstract.`,"AbstractMethodHasImplementation"),AbstractPropertyHasInitializer:n(({propertyName:t})=>`Property '${t}' cannot have an initializer because it is marked abstract.`,"AbstractPropertyHasInitializer"),AccessorCannotBeOptional:"An 'accessor' property cannot be declared optional.",AccessorCannotDeclareThisParameter:"'get' and 'set' accessors cannot declare 'this' parameters.",AccessorCannotHaveTypeParameters:"An accessor cannot have type parameters.",ClassMethodHasDeclare:"Class methods cannot have the 'declare' modifier.",ClassMethodHasReadonly:"Class methods cannot have the 'readonly' modifier.",ConstInitializerMustBeStringOrNumericLiteralOrLiteralEnumReference:"A 'const' initializer in an ambient context must be a string or numeric literal or literal enum reference.",ConstructorHasTypeParameters:"Type parameters cannot appear on a constructor declaration.",DeclareAccessor:n(({kind:t})=>`'declare' is not allowed in ${t}ters.`,"DeclareAccessor"),DeclareClassFieldHasInitializer:"Initializers are not allowed in ambient contexts.",DeclareFunctionHasImplementation:"An implementation cannot be declared in ambient contexts.",DuplicateAccessibilityModifier:n(({modifier:t})=>`Accessibility modifier already seen: '${t}'.`,"DuplicateAccessibilityModifier"),DuplicateModifier:n(({modifier:t})=>`Duplicate modifier: '${t}'.`,"DuplicateModifier"),EmptyHeritageClauseType:n(({token:t})=>`'${t}' list cannot be empty.`,"EmptyHeritageClauseType"),EmptyTypeArguments:"Type argument list cannot be empty.",EmptyTypeParameters:"Type parameter list cannot be empty.",ExpectedAmbientAfterExportDeclare:"'export declare' must be followed by an ambient declaration.",ImportAliasHasImportType:"An import alias can not use 'import type'.",ImportReflectionHasImportType:"An `import module` declaration can not use `type` modifier",IncompatibleModifiers:n(({modifiers:t})=>`'${t[0]}' modifier cannot be used with '${t[1]}' modifier.`,"IncompatibleModifiers"),IndexSignatureHasAbstract:"Index signatures cannot have the 'abstract' modifier.",IndexSignatureHasAccessibility:n(({modifier:t})=>`Index signatures cannot have an accessibility modifier ('${t}').`,"IndexSignatureHasAccessibility"),IndexSignatureHasDeclare:"Index signatures cannot have the 'declare' modifier.",IndexSignatureHasOverride:"'override' modifier cannot appear on an index signature.",IndexSignatureHasStatic:"Index signatures cannot have the 'static' modifier.",InitializerNotAllowedInAmbientContext:"Initializers are not allowed in ambient contexts.",InvalidHeritageClauseType:n(({token:t})=>`'${t}' list can only include identifiers or qualified-names with optional type arguments.`,"InvalidHeritageClauseType"),InvalidModifierOnAwaitUsingDeclaration:n(t=>`'${t}' modifier cannot appear on an await using declaration.`,"InvalidModifierOnAwaitUsingDeclaration"),InvalidModifierOnTypeMember:n(({modifier:t})=>`'${t}' modifier cannot appear on a type member.`,"InvalidModifierOnTypeMember"),InvalidModifierOnTypeParameter:n(({modifier:t})=>`'${t}' modifier cannot appear on a type parameter.`,"InvalidModifierOnTypeParameter"),InvalidModifierOnTypeParameterPositions:n(({modifier:t})=>`'${t}' modifier can only appear on a type parameter of a class, interface or type alias.`,"InvalidModifierOnTypeParameterPositions"),InvalidModifierOnUsingDeclaration:n(t=>`'${t}' modifier cannot appear on a using declaration.`,"InvalidModifierOnUsingDeclaration"),InvalidModifiersOrder:n(({orderedModifiers:t})=>`'${t[0]}' modifier must precede '${t[1]}' modifier.`,"InvalidModifiersOrder"),InvalidPropertyAccessAfterInstantiationExpression:"Invalid property access after an instantiation expression. You can either wrap the instantiation expression in parentheses, or delete the type arguments.",InvalidTupleMemberLabel:"Tuple members must be labeled with a simple identifier.",MissingInterfaceName:"'interface' declarations must be followed by an identifier.",NonAbstractClassHasAbstractMethod:"Abstract methods can only appear within an abstract class.",NonClassMethodPropertyHasAbstractModifier:"'abstract' modifier can only appear on a class, method, or property declaration.",OptionalTypeBeforeRequired:"A required element cannot follow an optional element.",OverrideNotInSubClass:"This member cannot have an 'override' modifier because its containing class does not extend another class.",PatternIsOptional:"A binding pattern parameter cannot be optional in an implementation signature.",PrivateElementHasAbstract:"Private elements cannot have the 'abstract' modifier.",PrivateElementHasAccessibility:n(({modifier:t})=>`Private elements cannot have an accessibility modifier ('${t}').`,"PrivateElementHasAccessibility"),ReadonlyForMethodSignature:"'readonly' modifier can only appear on a property declaration or index signature.",ReservedArrowTypeParam:"This syntax is reserved in files with the .mts or .cts extension. Add a trailing comma, as in `<T,>() => ...`.",ReservedTypeAssertion:"This syntax is reserved in files with the .mts or .cts extension. Use an `as` expression instead.",SetAccessorCannotHaveOptionalParameter:"A 'set' accessor cannot have an optional parameter.",SetAccessorCannotHaveRestParameter:"A 'set' accessor cannot have rest parameter.",SetAccessorCannotHaveReturnType:"A 'set' accessor cannot have a return type annotation.",SingleTypeParameterWithoutTrailingComma:n(({typeParameterName:t})=>`Single type parameter ${t} should have a trailing comma. Example usage: <${t},>.`,"SingleTypeParameterWithoutTrailingComma"),StaticBlockCannotHaveModifier:"Static class blocks cannot have any modifier.",TupleOptionalAfterType:"A labeled tuple optional element must be declared using a question mark after the name and before the colon (`name?: type`), rather than after the type (`name: type?`).",TypeAnnotationAfterAssign:"Type annotations must come before default assignments, e.g. instead of `age = 25: number` use `age: number = 25`.",TypeImportCannotSpecifyDefaultAndNamed:"A type-only import can specify a default import or named bindings, but not both.",TypeModifierIsUsedInTypeExports:"The 'type' modifier cannot be used on a named export when 'export type' is used on its export statement.",TypeModifierIsUsedInTypeImports:"The 'type' modifier cannot be used on a named import when 'import type' is used on its import statement.",UnexpectedParameterModifier:"A parameter property is only allowed in a constructor implementation.",UnexpectedReadonly:"'readonly' type modifier is only permitted on array and tuple literal types.",UnexpectedTypeAnnotation:"Did not expect a type annotation here.",UnexpectedTypeCastInParameter:"Unexpected type cast in parameter position.",UnsupportedImportTypeArgument:"Argument in a type import must be a string literal.",UnsupportedParameterPropertyKind:"A parameter property may not be declared using a binding pattern.",UnsupportedSignatureParameterKind:n(({type:t})=>`Name in a signature must be an Identifier, ObjectPattern or ArrayPattern, instead got ${t}.`,"UnsupportedSignatureParameterKind"),UsingDeclarationInAmbientContext:n(t=>`'${t}' declarations are not allowed in ambient contexts.`,"UsingDeclarationInAmbientContext")});function bx(t){switch(t){case"any":return"TSAnyKeyword";case"boolean":return"TSBooleanKeyword";case"bigint":return"TSBigIntKeyword";case"never":return"TSNeverKeyword";case"number":return"TSNumberKeyword";case"object":return"TSObjectKeyword";case"string":return"TSStringKeyword";case"symbol":return"TSSymbolKeyword";case"undefined":return"TSUndefinedKeyword";case"unknown":return"TSUnknownKeyword";default:return}}n(bx,"keywordTypeFromName");function Nf(t){return t==="private"||t==="public"||t==="protected"}n(Nf,"tsIsAccessModifier");function Ex(t){return t==="in"||t==="out"}n(Ex,"tsIsVarianceAnnotations");var gx=n(t=>class extends t{static{n(this,"TypeScriptParserMixin")}constructor(...r){super(...r),this.tsParseInOutModifiers=this.tsParseModifiers.bind(this,{allowedModifiers:["in","out"],disallowedModifiers:["const","public","private","protected","readonly","declare","abstract","override"],errorTemplate:W.InvalidModifierOnTypeParameter}),this.tsParseConstModifier=this.tsParseModifiers.bind(this,{allowedModifiers:["const"],disallowedModifiers:["in","out"],errorTemplate:W.InvalidModifierOnTypeParameterPositions}),this.tsParseInOutConstModifiers=this.tsParseModifiers.bind(this,{allowedModifiers:["in","out","const"],disallowedModifiers:["public","private","protected","readonly","declare","abstract","override"],errorTemplate:W.InvalidModifierOnTypeParameter})}getScopeHandler(){return ra}tsIsIdentifier(){return me(this.state.type)}tsTokenCanFollowModifier(){return this.match(0)||this.match(5)||this.match(55)||this.match(21)||this.match(139)||this.isLiteralPropertyName()}tsNextTokenOnSameLineAndCanFollowModifier(){return this.next(),this.hasPrecedingLineBreak()?!1:this.tsTokenCanFollowModifier()}tsNextTokenCanFollowModifier(){return this.match(106)?(this.next(),this.tsTokenCanFollowModifier()):this.tsNextTokenOnSameLineAndCanFollowModifier()}tsParseModifier(r,i,s){if(!me(this.state.type)&&this.state.type!==58&&this.state.type!==75)return;let a=this.state.value;if(r.includes(a)){if(s&&this.match(106)||i&&this.tsIsStartOfStaticBlocks())return;if(this.tsTryParse(this.tsNextTokenCanFollowModifier.bind(this)))return a}}tsParseModifiers({allowedModifiers:r,disallowedModifiers:i,stopOnStartOfClassStaticBlock:s,errorTemplate:a=W.InvalidModifierOnTypeMember},l){let u=n((h,m,I,_)=>{m===I&&l[_]&&this.raise(W.InvalidModifiersOrder,h,{orderedModifiers:[I,_]})},"enforceOrder"),p=n((h,m,I,_)=>{(l[I]&&m===_||l[_]&&m===I)&&this.raise(W.IncompatibleModifiers,h,{modifiers:[I,_]})},"incompatible");for(;;){let{startLoc:h}=this.state,m=this.tsParseModifier(r.concat(i??[]),s,l.static);if(!m)break;Nf(m)?l.accessibility?this.raise(W.DuplicateAccessibilityModifier,h,{modifier:m}):(u(h,m,m,"override"),u(h,m,m,"static"),u(h,m,m,"readonly"),l.accessibility=m):Ex(m)?(l[m]&&this.raise(W.DuplicateModifier,h,{modifier:m}),l[m]=!0,u(h,m,"in","out")):(hasOwnProperty.call(l,m)?this.raise(W.DuplicateModifier,h,{modifier:m}):(u(h,m,"static","readonly"),u(h,m,"static","override"),u(h,m,"override","readonly"),u(h,m,"abstract","override"),p(h,m,"declare","override"),p(h,m,"static","abstract")),l[m]=!0),i!=null&&i.includes(m)&&this.raise(a,h,{modifier:m})}}tsIsListTerminator(r){switch(r){case"EnumMembers":case"TypeMembers":return this.match(8);case"HeritageClauseElement":return this.match(5);case"TupleElementTypes":return this.match(3);case"TypeParametersOrArguments":return this.match(48)}}tsParseList(r,i){let s=[];for(;!this.tsIsListTerminator(r);)s.push(i());return s}tsParseDelimitedList(r,i,s){return Sx(this.tsParseDelimitedListWorker(r,i,!0,s))}tsParseDelimitedListWorker(r,i,s,a){let l=[],u=-1;for(;!this.tsIsListTerminator(r);){u=-1;let p=i();if(p==null)return;if(l.push(p),this.eat(12)){u=this.state.lastTokStartLoc.index;continue}if(this.tsIsListTerminator(r))break;s&&this.expect(12);return}return a&&(a.value=u),l}tsParseBracketedList(r,i,s,a,l){a||(s?this.expect(0):this.expect(47));let u=this.tsParseDelimitedList(r,i,l);return s?this.expect(3):this.expect(48),u}tsParseImportType(){let r=this.startNode();return this.expect(83),this.expect(10),this.match(134)?r.argument=this.parseStringLiteral(this.state.value):(this.raise(W.UnsupportedImportTypeArgument,this.state.startLoc),r.argument=super.parseExprAtom()),this.eat(12)?r.options=this.tsParseImportTypeOptions():r.options=null,this.expect(11),this.eat(16)&&(r.qualifier=this.tsParseEntityName(3)),this.match(47)&&(r.typeParameters=this.tsParseTypeArguments()),this.finishNode(r,"TSImportType")}tsParseImportTypeOptions(){let r=this.startNode();this.expect(5);let i=this.startNode();return this.isContextual(76)?(i.method=!1,i.key=this.parseIdentifier(!0),i.computed=!1,i.shorthand=!1):this.unexpected(null,76),this.expect(14),i.value=this.tsParseImportTypeWithPropertyValue(),r.properties=[this.finishObjectProperty(i)],this.eat(12),this.expect(8),this.finishNode(r,"ObjectExpression")}tsParseImportTypeWithPropertyValue(){let r=this.startNode(),i=[];for(this.expect(5);!this.match(8);){let s=this.state.type;me(s)||s===134?i.push(super.parsePropertyDefinition(null)):this.unexpected(),this.eat(12)}return r.properties=i,this.next(),this.finishNode(r,"ObjectExpression")}tsParseEntityName(r){let i;if(r&1&&this.match(78))if(r&2)i=this.parseIdentifier(!0);else{let s=this.startNode();this.next(),i=this.finishNode(s,"ThisExpression")}else i=this.parseIdentifier(!!(r&1));for(;this.eat(16);){let s=this.startNodeAtNode(i);s.left=i,s.right=this.parseIdentifier(!!(r&1)),i=this.finishNode(s,"TSQualifiedName")}return i}tsParseTypeReference(){let r=this.startNode();return r.typeName=this.tsParseEntityName(1),!this.hasPrecedingLineBreak()&&this.match(47)&&(r.typeParameters=this.tsParseTypeArguments()),this.finishNode(r,"TSTypeReference")}tsParseThisTypePredicate(r){this.next();let i=this.startNodeAtNode(r);return i.parameterName=r,i.typeAnnotation=this.tsParseTypeAnnotation(!1),i.asserts=!1,this.finishNode(i,"TSTypePredicate")}tsParseThisTypeNode(){let r=this.startNode();return this.next(),this.finishNode(r,"TSThisType")}tsParseTypeQuery(){let r=this.startNode();return this.expect(87),this.match(83)?r.exprName=this.tsParseImportType():r.exprName=this.tsParseEntityName(3),!this.hasPrecedingLineBreak()&&this.match(47)&&(r.typeParameters=this.tsParseTypeArguments()),this.finishNode(r,"TSTypeQuery")}tsParseTypeParameter(r){let i=this.startNode();return r(i),i.name=this.tsParseTypeParameterName(),i.constraint=this.tsEatThenParseType(81),i.default=this.tsEatThenParseType(29),this.finishNode(i,"TSTypeParameter")}tsTryParseTypeParameters(r){if(this.match(47))return this.tsParseTypeParameters(r)}tsParseTypeParameters(r){let i=this.startNode();this.match(47)||this.match(143)?this.next():this.unexpected();let s={value:-1};return i.params=this.tsParseBracketedList("TypeParametersOrArguments",this.tsParseTypeParameter.bind(this,r),!1,!0,s),i.params.length===0&&this.raise(W.EmptyTypeParameters,i),s.value!==-1&&this.addExtra(i,"trailingComma",s.value),this.finishNode(i,"TSTypeParameterDeclaration")}tsFillSignature(r,i){let s=r===19,a="parameters",l="typeAnnotation";i.typeParameters=this.tsTryParseTypeParameters(this.tsParseConstModifier),this.expect(10),i[a]=this.tsParseBindingListForSignature(),s?i[l]=this.tsParseTypeOrTypePredicateAnnotation(r):this.match(r)&&(i[l]=this.tsParseTypeOrTypePredicateAnnotation(r))}tsParseBindingListForSignature(){let r=super.parseBindingList(11,41,2);for(let i of r){let{type:s}=i;(s==="AssignmentPattern"||s==="TSParameterProperty")&&this.raise(W.UnsupportedSignatureParameterKind,i,{type:s})}return r}tsParseTypeMemberSemicolon(){!this.eat(12)&&!this.isLineTerminator()&&this.expect(13)}tsParseSignatureMember(r,i){return this.tsFillSignature(14,i),this.tsParseTypeMemberSemicolon(),this.finishNode(i,r)}tsIsUnambiguouslyIndexSignature(){return this.next(),me(this.state.type)?(this.next(),this.match(14)):!1}tsTryParseIndexSignature(r){if(!(this.match(0)&&this.tsLookAhead(this.tsIsUnambiguouslyIndexSignature.bind(this))))return;this.expect(0);let i=this.parseIdentifier();i.typeAnnotation=this.tsParseTypeAnnotation(),this.resetEndLocation(i),this.expect(3),r.parameters=[i];let s=this.tsTryParseTypeAnnotation();return s&&(r.typeAnnotation=s),this.tsParseTypeMemberSemicolon(),this.finishNode(r,"TSIndexSignature")}tsParsePropertyOrMethodSignature(r,i){if(this.eat(17)&&(r.optional=!0),this.match(10)||this.match(47)){i&&this.raise(W.ReadonlyForMethodSignature,r);let s=r;s.kind&&this.match(47)&&this.raise(W.AccessorCannotHaveTypeParameters,this.state.curPosition()),this.tsFillSignature(14,s),this.tsParseTypeMemberSemicolon();let a="parameters",l="typeAnnotation";if(s.kind==="get")s[a].length>0&&(this.raise(N.BadGetterArity,this.state.curPosition()),this.isThisParam(s[a][0])&&this.raise(W.AccessorCannotDeclareThisParameter,this.state.curPosition()));else if(s.kind==="set"){if(s[a].length!==1)this.raise(N.BadSetterArity,this.state.curPosition());else{let u=s[a][0];this.isThisParam(u)&&this.raise(W.AccessorCannotDeclareThisParameter,this.state.curPosition()),u.type==="Identifier"&&u.optional&&this.raise(W.SetAccessorCannotHaveOptionalParameter,this.state.curPosition()),u.type==="RestElement"&&this.raise(W.SetAccessorCannotHaveRestParameter,this.state.curPosition())}s[l]&&this.raise(W.SetAccessorCannotHaveReturnType,s[l])}else s.kind="method";return this.finishNode(s,"TSMethodSignature")}else{let s=r;i&&(s.readonly=!0);let a=this.tsTryParseTypeAnnotation();return a&&(s.typeAnnotation=a),this.tsParseTypeMemberSemicolon(),this.finishNode(s,"TSPropertySignature")}}tsParseTypeMember(){let r=this.startNode();if(this.match(10)||this.match(47))return this.tsParseSignatureMember("TSCallSignatureDeclaration",r);if(this.match(77)){let s=this.startNode();return this.next(),this.match(10)||this.match(47)?this.tsParseSignatureMember("TSConstructSignatureDeclaration",r):(r.key=this.createIdentifier(s,"new"),this.tsParsePropertyOrMethodSignature(r,!1))}this.tsParseModifiers({allowedModifiers:["readonly"],disallowedModifiers:["declare","abstract","private","protected","public","static","override"]},r);let i=this.tsTryParseIndexSignature(r);return i||(super.parsePropertyName(r),!r.computed&&r.key.type==="Identifier"&&(r.key.name==="get"||r.key.name==="set")&&this.tsTokenCanFollowModifier()&&(r.kind=r.key.name,super.parsePropertyName(r),!this.match(10)&&!this.match(47)&&this.unexpected(null,10)),this.tsParsePropertyOrMethodSignature(r,!!r.readonly))}tsParseTypeLiteral(){let r=this.startNode();return r.members=this.tsParseObjectTypeMembers(),this.finishNode(r,"TSTypeLiteral")}tsParseObjectTypeMembers(){this.expect(5);let r=this.tsParseList("TypeMembers",this.tsParseTypeMember.bind(this));return this.expect(8),r}tsIsStartOfMappedType(){return this.next(),this.eat(53)?this.isContextual(122):(this.isContextual(122)&&this.next(),!this.match(0)||(this.next(),!this.tsIsIdentifier())?!1:(this.next(),this.match(58)))}tsParseMappedType(){let r=this.startNode();this.expect(5),this.match(53)?(r.readonly=this.state.value,this.next(),this.expectContextual(122)):this.eatContextual(122)&&(r.readonly=!0),this.expect(0);let i=this.startNode();return i.name=this.tsParseTypeParameterName(),i.constraint=this.tsExpectThenParseType(58),r.typeParameter=this.finishNode(i,"TSTypeParameter"),r.nameType=this.eatContextual(93)?this.tsParseType():null,this.expect(3),this.match(53)?(r.optional=this.state.value,this.next(),this.expect(17)):this.eat(17)&&(r.optional=!0),r.typeAnnotation=this.tsTryParseType(),this.semicolon(),this.expect(8),this.finishNode(r,"TSMappedType")}tsParseTupleType(){let r=this.startNode();r.elementTypes=this.tsParseBracketedList("TupleElementTypes",this.tsParseTupleElementType.bind(this),!0,!1);let i=!1;return r.elementTypes.forEach(s=>{let{type:a}=s;i&&a!=="TSRestType"&&a!=="TSOptionalType"&&!(a==="TSNamedTupleMember"&&s.optional)&&this.raise(W.OptionalTypeBeforeRequired,s),i||(i=a==="TSNamedTupleMember"&&s.optional||a==="TSOptionalType")}),this.finishNode(r,"TSTupleType")}tsParseTupleElementType(){let r=this.state.startLoc,i=this.eat(21),{startLoc:s}=this.state,a,l,u,p,m=st(this.state.type)?this.lookaheadCharCode():null;if(m===58)a=!0,u=!1,l=this.parseIdentifier(!0),this.expect(14),p=this.tsParseType();else if(m===63){u=!0;let I=this.state.value,_=this.tsParseNonArrayType();this.lookaheadCharCode()===58?(a=!0,l=this.createIdentifier(this.startNodeAt(s),I),this.expect(17),this.expect(14),p=this.tsParseType()):(a=!1,p=_,this.expect(17))}else p=this.tsParseType(),u=this.eat(17),a=this.eat(14);if(a){let I;l?(I=this.startNodeAt(s),I.optional=u,I.label=l,I.elementType=p,this.eat(17)&&(I.optional=!0,this.raise(W.TupleOptionalAfterType,this.state.lastTokStartLoc))):(I=this.startNodeAt(s),I.optional=u,this.raise(W.InvalidTupleMemberLabel,p),I.label=p,I.elementType=this.tsParseType()),p=this.finishNode(I,"TSNamedTupleMember")}else if(u){let I=this.startNodeAt(s);I.typeAnnotation=p,p=this.finishNode(I,"TSOptionalType")}if(i){let I=this.startNodeAt(r);I.typeAnnotation=p,p=this.finishNode(I,"TSRestType")}return p}tsParseParenthesizedType(){let r=this.startNode();return this.expect(10),r.typeAnnotation=this.tsParseType(),this.expect(11),this.finishNode(r,"TSParenthesizedType")}tsParseFunctionOrConstructorType(r,i){let s=this.startNode();return r==="TSConstructorType"&&(s.abstract=!!i,i&&this.next(),this.next()),this.tsInAllowConditionalTypesContext(()=>this.tsFillSignature(19,s)),this.finishNode(s,r)}tsParseLiteralTypeNode(){let r=this.startNode();switch(this.state.type){case 135:case 136:case 134:case 85:case 86:r.literal=super.parseExprAtom();break;default:this.unexpected()}return this.finishNode(r,"TSLiteralType")}tsParseTemplateLiteralType(){let r=this.startNode();return r.literal=super.parseTemplate(!1),this.finishNode(r,"TSLiteralType")}parseTemplateSubstitution(){return this.state.inType?this.tsParseType():super.parseTemplateSubstitution()}tsParseThisTypeOrThisTypePredicate(){let r=this.tsParseThisTypeNode();return this.isContextual(116)&&!this.hasPrecedingLineBreak()?this.tsParseThisTypePredicate(r):r}tsParseNonArrayType(){switch(this.state.type){case 134:case 135:case 136:case 85:case 86:return this.tsParseLiteralTypeNode();case 53:if(this.state.value==="-"){let r=this.startNode(),i=this.lookahead();return i.type!==135&&i.type!==136&&this.unexpected(),r.literal=this.parseMaybeUnary(),this.finishNode(r,"TSLiteralType")}break;case 78:return this.tsParseThisTypeOrThisTypePredicate();case 87:return this.tsParseTypeQuery();case 83:return this.tsParseImportType();case 5:return this.tsLookAhead(this.tsIsStartOfMappedType.bind(this))?this.tsParseMappedType():this.tsParseTypeLiteral();case 0:return this.tsParseTupleType();case 10:return this.tsParseParenthesizedType();case 25:case 24:return this.tsParseTemplateLiteralType();default:{let{type:r}=this.state;if(me(r)||r===88||r===84){let i=r===88?"TSVoidKeyword":r===84?"TSNullKeyword":bx(this.state.value);if(i!==void 0&&this.lookaheadCharCode()!==46){let s=this.startNode();return this.next(),this.finishNode(s,i)}return this.tsParseTypeReference()}}}throw this.unexpected()}tsParseArrayTypeOrHigher(){let{startLoc:r}=this.state,i=this.tsParseNonArrayType();for(;!this.hasPrecedingLineBreak()&&this.eat(0);)if(this.match(3)){let s=this.startNodeAt(r);s.elementType=i,this.expect(3),i=this.finishNode(s,"TSArrayType")}else{let s=this.startNodeAt(r);s.objectType=i,s.indexType=this.tsParseType(),this.expect(3),i=this.finishNode(s,"TSIndexedAccessType")}return i}tsParseTypeOperator(){let r=this.startNode(),i=this.state.value;return this.next(),r.operator=i,r.typeAnnotation=this.tsParseTypeOperatorOrHigher(),i==="readonly"&&this.tsCheckTypeAnnotationForReadOnly(r),this.finishNode(r,"TSTypeOperator")}tsCheckTypeAnnotationForReadOnly(r){switch(r.typeAnnotation.type){case"TSTupleType":case"TSArrayType":return;default:this.raise(W.UnexpectedReadonly,r)}}tsParseInferType(){let r=this.startNode();this.expectContextual(115);let i=this.startNode();return i.name=this.tsParseTypeParameterName(),i.constraint=this.tsTryParse(()=>this.tsParseConstraintForInferType()),r.typeParameter=this.finishNode(i,"TSTypeParameter"),this.finishNode(r,"TSInferType")}tsParseConstraintForInferType(){if(this.eat(81)){let r=this.tsInDisallowConditionalTypesContext(()=>this.tsParseType());if(this.state.inDisallowConditionalTypesContext||!this.match(17))return r}}tsParseTypeOperatorOrHigher(){return q0(this.state.type)&&!this.state.containsEsc?this.tsParseTypeOperator():this.isContextual(115)?this.tsParseInferType():this.tsInAllowConditionalTypesContext(()=>this.tsParseArrayTypeOrHigher())}tsParseUnionOrIntersectionType(r,i,s){let a=this.startNode(),l=this.eat(s),u=[];do u.push(i());while(this.eat(s));return u.length===1&&!l?u[0]:(a.types=u,this.finishNode(a,r))}tsParseIntersectionTypeOrHigher(){return this.tsParseUnionOrIntersectionType("TSIntersectionType",this.tsParseTypeOperatorOrHigher.bind(this),45)}tsParseUnionTypeOrHigher(){return this.tsParseUnionOrIntersectionType("TSUnionType",this.tsParseIntersectionTypeOrHigher.bind(this),43)}tsIsStartOfFunctionType(){return this.match(47)?!0:this.match(10)&&this.tsLookAhead(this.tsIsUnambiguouslyStartOfFunctionType.bind(this))}tsSkipParameterStart(){if(me(this.state.type)||this.match(78))return this.next(),!0;if(this.match(5)){let{errors:r}=this.state,i=r.length;try{return this.parseObjectLike(8,!0),r.length===i}catch{return!1}}if(this.match(0)){this.next();let{errors:r}=this.state,i=r.length;try{return super.parseBindingList(3,93,1),r.length===i}catch{return!1}}return!1}tsIsUnambiguouslyStartOfFunctionType(){return this.next(),!!(this.match(11)||this.match(21)||this.tsSkipParameterStart()&&(this.match(14)||this.match(12)||this.match(17)||this.match(29)||this.match(11)&&(this.next(),this.match(19))))}tsParseTypeOrTypePredicateAnnotation(r){return this.tsInType(()=>{let i=this.startNode();this.expect(r);let s=this.startNode(),a=!!this.tsTryParse(this.tsParseTypePredicateAsserts.bind(this));if(a&&this.match(78)){let p=this.tsParseThisTypeOrThisTypePredicate();return p.type==="TSThisType"?(s.parameterName=p,s.asserts=!0,s.typeAnnotation=null,p=this.finishNode(s,"TSTypePredicate")):(this.resetStartLocationFromNode(p,s),p.asserts=!0),i.typeAnnotation=p,this.finishNode(i,"TSTypeAnnotation")}let l=this.tsIsIdentifier()&&this.tsTryParse(this.tsParseTypePredicatePrefix.bind(this));if(!l)return a?(s.parameterName=this.parseIdentifier(),s.asserts=a,s.typeAnnotation=null,i.typeAnnotation=this.finishNode(s,"TSTypePredicate"),this.finishNode(i,"TSTypeAnnotation")):this.tsParseTypeAnnotation(!1,i);let u=this.tsParseTypeAnnotation(!1);return s.parameterName=l,s.typeAnnotation=u,s.asserts=a,i.typeAnnotation=this.finishNode(s,"TSTypePredicate"),this.finishNode(i,"TSTypeAnnotation")})}tsTryParseTypeOrTypePredicateAnnotation(){if(this.match(14))return this.tsParseTypeOrTypePredicateAnnotation(14)}tsTryParseTypeAnnotation(){if(this.match(14))return this.tsParseTypeAnnotation()}tsTryParseType(){return this.tsEatThenParseType(14)}tsParseTypePredicatePrefix(){let r=this.parseIdentifier();if(this.isContextual(116)&&!this.hasPrecedingLineBreak())return this.next(),r}tsParseTypePredicateAsserts(){if(this.state.type!==109)return!1;let r=this.state.containsEsc;return this.next(),!me(this.state.type)&&!this.match(78)?!1:(r&&this.raise(N.InvalidEscapedReservedWord,this.state.lastTokStartLoc,{reservedWord:"asserts"}),!0)}tsParseTypeAnnotation(r=!0,i=this.startNode()){return this.tsInType(()=>{r&&this.expect(14),i.typeAnnotation=this.tsParseType()}),this.finishNode(i,"TSTypeAnnotation")}tsParseType(){Cf(this.state.inType);let r=this.tsParseNonConditionalType();if(this.state.inDisallowConditionalTypesContext||this.hasPrecedingLineBreak()||!this.eat(81))return r;let i=this.startNodeAtNode(r);return i.checkType=r,i.extendsType=this.tsInDisallowConditionalTypesContext(()=>this.tsParseNonConditionalType()),this.expect(17),i.trueType=this.tsInAllowConditionalTypesContext(()=>this.tsParseType()),this.expect(14),i.falseType=this.tsInAllowConditionalTypesContext(()=>this.tsParseType()),this.finishNode(i,"TSConditionalType")}isAbstractConstructorSignature(){return this.isContextual(124)&&this.isLookaheadContextual("new")}tsParseNonConditionalType(){return this.tsIsStartOfFunctionType()?this.tsParseFunctionOrConstructorType("TSFunctionType"):this.match(77)?this.tsParseFunctionOrConstructorType("TSConstructorType"):this.isAbstractConstructorSignature()?this.tsParseFunctionOrConstructorType("TSConstructorType",!0):this.tsParseUnionTypeOrHigher()}tsParseTypeAssertion(){this.getPluginOption("typescript","disallowAmbiguousJSXLike")&&this.raise(W.ReservedTypeAssertion,this.state.startLoc);let r=this.startNode();return r.typeAnnotation=this.tsInType(()=>(this.next(),this.match(75)?this.tsParseTypeReference():this.tsParseType())),this.expect(48),r.expression=this.parseMaybeUnary(),this.finishNode(r,"TSTypeAssertion")}tsParseHeritageClause(r){let i=this.state.startLoc,s=this.tsParseDelimitedList("HeritageClauseElement",()=>{let a=this.startNode();return a.expression=this.tsParseEntityName(3),this.match(47)&&(a.typeParameters=this.tsParseTypeArguments()),this.finishNode(a,"TSExpressionWithTypeArguments")});return s.length||this.raise(W.EmptyHeritageClauseType,i,{token:r}),s}tsParseInterfaceDeclaration(r,i={}){if(this.hasFollowingLineBreak())return null;this.expectContextual(129),i.declare&&(r.declare=!0),me(this.state.type)?(r.id=this.parseIdentifier(),this.checkIdentifier(r.id,130)):(r.id=null,this.raise(W.MissingInterfaceName,this.state.startLoc)),r.typeParameters=this.tsTryParseTypeParameters(this.tsParseInOutConstModifiers),this.eat(81)&&(r.extends=this.tsParseHeritageClause("extends"));let s=this.startNode();return s.body=this.tsInType(this.tsParseObjectTypeMembers.bind(this)),r.body=this.finishNode(s,"TSInterfaceBody"),this.finishNode(r,"TSInterfaceDeclaration")}tsParseTypeAliasDeclaration(r){return r.id=this.parseIdentifier(),this.checkIdentifier(r.id,2),r.typeAnnotation=this.tsInType(()=>{if(r.typeParameters=this.tsTryParseTypeParameters(this.tsParseInOutModifiers),this.expect(29),this.isContextual(114)&&this.lookaheadCharCode()!==46){let i=this.startNode();return this.next(),this.finishNode(i,"TSIntrinsicKeyword")}return this.tsParseType()}),this.semicolon(),this.finishNode(r,"TSTypeAliasDeclaration")}tsInTopLevelContext(r){if(this.curContext()!==ye.brace){let i=this.state.context;this.state.context=[i[0]];try{return r()}finally{this.state.context=i}}else return r()}tsInType(r){let i=this.state.inType;this.state.inType=!0;try{return r()}finally{this.state.inType=i}}tsInDisallowConditionalTypesContext(r){let i=this.state.inDisallowConditionalTypesContext;this.state.inDisallowConditionalTypesContext=!0;try{return r()}finally{this.state.inDisallowConditionalTypesContext=i}}tsInAllowConditionalTypesContext(r){let i=this.state.inDisallowConditionalTypesContext;this.state.inDisallowConditionalTypesContext=!1;try{return r()}finally{this.state.inDisallowConditionalTypesContext=i}}tsEatThenParseType(r){if(this.match(r))return this.tsNextThenParseType()}tsExpectThenParseType(r){return this.tsInType(()=>(this.expect(r),this.tsParseType()))}tsNextThenParseType(){return this.tsInType(()=>(this.next(),this.tsParseType()))}tsParseEnumMember(){let r=this.startNode();return r.id=this.match(134)?super.parseStringLiteral(this.state.value):this.parseIdentifier(!0),this.eat(29)&&(r.initializer=super.parseMaybeAssignAllowIn()),this.finishNode(r,"TSEnumMember")}tsParseEnumDeclaration(r,i={}){return i.const&&(r.const=!0),i.declare&&(r.declare=!0),this.expectContextual(126),r.id=this.parseIdentifier(),this.checkIdentifier(r.id,r.const?8971:8459),this.expect(5),r.members=this.tsParseDelimitedList("EnumMembers",this.tsParseEnumMember.bind(this)),this.expect(8),this.finishNode(r,"TSEnumDeclaration")}tsParseEnumBody(){let r=this.startNode();return this.expect(5),r.members=this.tsParseDelimitedList("EnumMembers",this.tsParseEnumMember.bind(this)),this.expect(8),this.finishNode(r,"TSEnumBody")}tsParseModuleBlock(){let r=this.startNode();return this.scope.enter(0),this.expect(5),super.parseBlockOrModuleBlockBody(r.body=[],void 0,!0,8),this.scope.exit(),this.finishNode(r,"TSModuleBlock")}tsParseModuleOrNamespaceDeclaration(r,i=!1){if(r.id=this.parseIdentifier(),i||this.checkIdentifier(r.id,1024),this.eat(16)){let s=this.startNode();this.tsParseModuleOrNamespaceDeclaration(s,!0),r.body=s}else this.scope.enter(1024),this.prodParam.enter(0),r.body=this.tsParseModuleBlock(),this.prodParam.exit(),this.scope.exit();return this.finishNode(r,"TSModuleDeclaration")}tsParseAmbientExternalModuleDeclaration(r){return this.isContextual(112)?(r.kind="global",r.global=!0,r.id=this.parseIdentifier()):this.match(134)?(r.kind="module",r.id=super.parseStringLiteral(this.state.value)):this.unexpected(),this.match(5)?(this.scope.enter(1024),this.prodParam.enter(0),r.body=this.tsParseModuleBlock(),this.prodParam.exit(),this.scope.exit()):this.semicolon(),this.finishNode(r,"TSModuleDeclaration")}tsParseImportEqualsDeclaration(r,i,s){r.isExport=s||!1,r.id=i||this.parseIdentifier(),this.checkIdentifier(r.id,4096),this.expect(29);let a=this.tsParseModuleReference();return r.importKind==="type"&&a.type!=="TSExternalModuleReference"&&this.raise(W.ImportAliasHasImportType,a),r.moduleReference=a,this.semicolon(),this.finishNode(r,"TSImportEqualsDeclaration")}tsIsExternalModuleReference(){return this.isContextual(119)&&this.lookaheadCharCode()===40}tsParseModuleReference(){return this.tsIsExternalModuleReference()?this.tsParseExternalModuleReference():this.tsParseEntityName(0)}tsParseExternalModuleReference(){let r=this.startNode();return this.expectContextual(119),this.expect(10),this.match(134)||this.unexpected(),r.expression=super.parseExprAtom(),this.expect(11),this.sawUnambiguousESM=!0,this.finishNode(r,"TSExternalModuleReference")}tsLookAhead(r){let i=this.state.clone(),s=r();return this.state=i,s}tsTryParseAndCatch(r){let i=this.tryParse(s=>r()||s());if(!(i.aborted||!i.node))return i.error&&(this.state=i.failState),i.node}tsTryParse(r){let i=this.state.clone(),s=r();if(s!==void 0&&s!==!1)return s;this.state=i}tsTryParseDeclare(r){if(this.isLineTerminator())return;let i=this.state.type;return this.tsInAmbientContext(()=>{switch(i){case 68:return r.declare=!0,super.parseFunctionStatement(r,!1,!1);case 80:return r.declare=!0,this.parseClass(r,!0,!1);case 126:return this.tsParseEnumDeclaration(r,{declare:!0});case 112:return this.tsParseAmbientExternalModuleDeclaration(r);case 100:if(this.state.containsEsc)return;case 75:case 74:return!this.match(75)||!this.isLookaheadContextual("enum")?(r.declare=!0,this.parseVarStatement(r,this.state.value,!0)):(this.expect(75),this.tsParseEnumDeclaration(r,{const:!0,declare:!0}));case 107:if(this.isUsing())return this.raise(W.InvalidModifierOnUsingDeclaration,this.state.startLoc,"declare"),r.declare=!0,this.parseVarStatement(r,"using",!0);break;case 96:if(this.isAwaitUsing())return this.raise(W.InvalidModifierOnAwaitUsingDeclaration,this.state.startLoc,"declare"),r.declare=!0,this.next(),this.parseVarStatement(r,"await using",!0);break;case 129:{let s=this.tsParseInterfaceDeclaration(r,{declare:!0});if(s)return s}default:if(me(i))return this.tsParseDeclaration(r,this.state.type,!0,null)}})}tsTryParseExportDeclaration(){return this.tsParseDeclaration(this.startNode(),this.state.type,!0,null)}tsParseDeclaration(r,i,s,a){switch(i){case 124:if(this.tsCheckLineTerminator(s)&&(this.match(80)||me(this.state.type)))return this.tsParseAbstractDeclaration(r,a);break;case 127:if(this.tsCheckLineTerminator(s)){if(this.match(134))return this.tsParseAmbientExternalModuleDeclaration(r);if(me(this.state.type))return r.kind="module",this.tsParseModuleOrNamespaceDeclaration(r)}break;case 128:if(this.tsCheckLineTerminator(s)&&me(this.state.type))return r.kind="namespace",this.tsParseModuleOrNamespaceDeclaration(r);break;case 130:if(this.tsCheckLineTerminator(s)&&me(this.state.type))return this.tsParseTypeAliasDeclaration(r);break}}tsCheckLineTerminator(r){return r?this.hasFollowingLineBreak()?!1:(this.next(),!0):!this.isLineTerminator()}tsTryParseGenericAsyncArrowFunction(r){if(!this.match(47))return;let i=this.state.maybeInArrowParameters;this.state.maybeInArrowParameters=!0;let s=this.tsTryParseAndCatch(()=>{let a=this.startNodeAt(r);return a.typeParameters=this.tsParseTypeParameters(this.tsParseConstModifier),super.parseFunctionParams(a),a.returnType=this.tsTryParseTypeOrTypePredicateAnnotation(),this.expect(19),a});if(this.state.maybeInArrowParameters=i,!!s)return super.parseArrowExpression(s,null,!0)}tsParseTypeArgumentsInExpression(){if(this.reScan_lt()===47)return this.tsParseTypeArguments()}tsParseTypeArguments(){let r=this.startNode();return r.params=this.tsInType(()=>this.tsInTopLevelContext(()=>(this.expect(47),this.tsParseDelimitedList("TypeParametersOrArguments",this.tsParseType.bind(this))))),r.params.length===0?this.raise(W.EmptyTypeArguments,r):!this.state.inType&&this.curContext()===ye.brace&&this.reScan_lt_gt(),this.expect(48),this.finishNode(r,"TSTypeParameterInstantiation")}tsIsDeclarationStart(){return K0(this.state.type)}isExportDefaultSpecifier(){return this.tsIsDeclarationStart()?!1:super.isExportDefaultSpecifier()}parseBindingElement(r,i){let s=i.length?i[0].loc.start:this.state.startLoc,a={};this.tsParseModifiers({allowedModifiers:["public","private","protected","override","readonly"]},a);let l=a.accessibility,u=a.override,p=a.readonly;!(r&4)&&(l||p||u)&&this.raise(W.UnexpectedParameterModifier,s);let h=this.parseMaybeDefault();r&2&&this.parseFunctionParamType(h);let m=this.parseMaybeDefault(h.loc.start,h);if(l||p||u){let I=this.startNodeAt(s);return i.length&&(I.decorators=i),l&&(I.accessibility=l),p&&(I.readonly=p),u&&(I.override=u),m.type!=="Identifier"&&m.type!=="AssignmentPattern"&&this.raise(W.UnsupportedParameterPropertyKind,I),I.parameter=m,this.finishNode(I,"TSParameterProperty")}return i.length&&(h.decorators=i),m}isSimpleParameter(r){return r.type==="TSParameterProperty"&&super.isSimpleParameter(r.parameter)||super.isSimpleParameter(r)}tsDisallowOptionalPattern(r){for(let i of r.params)i.type!=="Identifier"&&i.optional&&!this.state.isAmbientContext&&this.raise(W.PatternIsOptional,i)}setArrowFunctionParameters(r,i,s){super.setArrowFunctionParameters(r,i,s),this.tsDisallowOptionalPattern(r)}parseFunctionBodyAndFinish(r,i,s=!1){this.match(14)&&(r.returnType=this.tsParseTypeOrTypePredicateAnnotation(14));let a=i==="FunctionDeclaration"?"TSDeclareFunction":i==="ClassMethod"||i==="ClassPrivateMethod"?"TSDeclareMethod":void 0;return a&&!this.match(5)&&this.isLineTerminator()?this.finishNode(r,a):a==="TSDeclareFunction"&&this.state.isAmbientContext&&(this.raise(W.DeclareFunctionHasImplementation,r),r.declare)?super.parseFunctionBodyAndFinish(r,a,s):(this.tsDisallowOptionalPattern(r),super.parseFunctionBodyAndFinish(r,i,s))}registerFunctionStatementId(r){!r.body&&r.id?this.checkIdentifier(r.id,1024):super.registerFunctionStatementId(r)}tsCheckForInvalidTypeCasts(r){r.forEach(i=>{i?.type==="TSTypeCastExpression"&&this.raise(W.UnexpectedTypeAnnotation,i.typeAnnotation)})}toReferencedList(r,i){return this.tsCheckForInvalidTypeCasts(r),r}parseArrayLike(r,i,s){let a=super.parseArrayLike(r,i,s);return a.type==="ArrayExpression"&&this.tsCheckForInvalidTypeCasts(a.elements),a}parseSubscript(r,i,s,a){if(!this.hasPrecedingLineBreak()&&this.match(35)){this.state.canStartJSXElement=!1,this.next();let u=this.startNodeAt(i);return u.expression=r,this.finishNode(u,"TSNonNullExpression")}let l=!1;if(this.match(18)&&this.lookaheadCharCode()===60){if(s)return a.stop=!0,r;a.optionalChainMember=l=!0,this.next()}if(this.match(47)||this.match(51)){let u,p=this.tsTryParseAndCatch(()=>{if(!s&&this.atPossibleAsyncArrow(r)){let _=this.tsTryParseGenericAsyncArrowFunction(i);if(_)return a.stop=!0,_}let h=this.tsParseTypeArgumentsInExpression();if(!h)return;if(l&&!this.match(10)){u=this.state.curPosition();return}if(Is(this.state.type)){let _=super.parseTaggedTemplateExpression(r,i,a);return _.typeParameters=h,_}if(!s&&this.eat(10)){let _=this.startNodeAt(i);return _.callee=r,_.arguments=this.parseCallExpressionArguments(),this.tsCheckForInvalidTypeCasts(_.arguments),_.typeParameters=h,a.optionalChainMember&&(_.optional=l),this.finishCallExpression(_,a.optionalChainMember)}let m=this.state.type;if(m===48||m===52||m!==10&&m!==93&&m!==120&&Si(m)&&!this.hasPrecedingLineBreak())return;let I=this.startNodeAt(i);return I.expression=r,I.typeParameters=h,this.finishNode(I,"TSInstantiationExpression")});if(u&&this.unexpected(u,10),p)return p.type==="TSInstantiationExpression"&&((this.match(16)||this.match(18)&&this.lookaheadCharCode()!==40)&&this.raise(W.InvalidPropertyAccessAfterInstantiationExpression,this.state.startLoc),!this.match(16)&&!this.match(18)&&(p.expression=super.stopParseSubscript(r,a))),p}return super.parseSubscript(r,i,s,a)}parseNewCallee(r){var i;super.parseNewCallee(r);let{callee:s}=r;s.type==="TSInstantiationExpression"&&!((i=s.extra)!=null&&i.parenthesized)&&(r.typeParameters=s.typeParameters,r.callee=s.expression)}parseExprOp(r,i,s){let a;if(Ps(58)>s&&!this.hasPrecedingLineBreak()&&(this.isContextual(93)||(a=this.isContextual(120)))){let l=this.startNodeAt(i);return l.expression=r,l.typeAnnotation=this.tsInType(()=>(this.next(),this.match(75)?(a&&this.raise(N.UnexpectedKeyword,this.state.startLoc,{keyword:"const"}),this.tsParseTypeReference()):this.tsParseType())),this.finishNode(l,a?"TSSatisfiesExpression":"TSAsExpression"),this.reScan_lt_gt(),this.parseExprOp(l,i,s)}return super.parseExprOp(r,i,s)}checkReservedWord(r,i,s,a){this.state.isAmbientContext||super.checkReservedWord(r,i,s,a)}checkImportReflection(r){super.checkImportReflection(r),r.module&&r.importKind!=="value"&&this.raise(W.ImportReflectionHasImportType,r.specifiers[0].loc.start)}checkDuplicateExports(){}isPotentialImportPhase(r){if(super.isPotentialImportPhase(r))return!0;if(this.isContextual(130)){let i=this.lookaheadCharCode();return r?i===123||i===42:i!==61}return!r&&this.isContextual(87)}applyImportPhase(r,i,s,a){super.applyImportPhase(r,i,s,a),i?r.exportKind=s==="type"?"type":"value":r.importKind=s==="type"||s==="typeof"?s:"value"}parseImport(r){if(this.match(134))return r.importKind="value",super.parseImport(r);let i;if(me(this.state.type)&&this.lookaheadCharCode()===61)return r.importKind="value",this.tsParseImportEqualsDeclaration(r);if(this.isContextual(130)){let s=this.parseMaybeImportPhase(r,!1);if(this.lookaheadCharCode()===61)return this.tsParseImportEqualsDeclaration(r,s);i=super.parseImportSpecifiersAndAfter(r,s)}else i=super.parseImport(r);return i.importKind==="type"&&i.specifiers.length>1&&i.specifiers[0].type==="ImportDefaultSpecifier"&&this.raise(W.TypeImportCannotSpecifyDefaultAndNamed,i),i}parseExport(r,i){if(this.match(83)){let s=r;this.next();let a=null;return this.isContextual(130)&&this.isPotentialImportPhase(!1)?a=this.parseMaybeImportPhase(s,!1):s.importKind="value",this.tsParseImportEqualsDeclaration(s,a,!0)}else if(this.eat(29)){let s=r;return s.expression=super.parseExpression(),this.semicolon(),this.sawUnambiguousESM=!0,this.finishNode(s,"TSExportAssignment")}else if(this.eatContextual(93)){let s=r;return this.expectContextual(128),s.id=this.parseIdentifier(),this.semicolon(),this.finishNode(s,"TSNamespaceExportDeclaration")}else return super.parseExport(r,i)}isAbstractClass(){return this.isContextual(124)&&this.isLookaheadContextual("class")}parseExportDefaultExpression(){if(this.isAbstractClass()){let r=this.startNode();return this.next(),r.abstract=!0,this.parseClass(r,!0,!0)}if(this.match(129)){let r=this.tsParseInterfaceDeclaration(this.startNode());if(r)return r}return super.parseExportDefaultExpression()}parseVarStatement(r,i,s=!1){let{isAmbientContext:a}=this.state,l=super.parseVarStatement(r,i,s||a);if(!a)return l;if(!r.declare&&(i==="using"||i==="await using"))return this.raiseOverwrite(W.UsingDeclarationInAmbientContext,r,i),l;for(let{id:u,init:p}of l.declarations)p&&(i==="var"||i==="let"||u.typeAnnotation?this.raise(W.InitializerNotAllowedInAmbientContext,p):vx(p,this.hasPlugin("estree"))||this.raise(W.ConstInitializerMustBeStringOrNumericLiteralOrLiteralEnumReference,p));return l}parseStatementContent(r,i){if(!this.state.containsEsc)switch(this.state.type){case 75:{if(this.isLookaheadContextual("enum")){let s=this.startNode();return this.expect(75),this.tsParseEnumDeclaration(s,{const:!0})}break}case 124:case 125:{if(this.nextTokenIsIdentifierAndNotTSRelationalOperatorOnSameLine()){let s=this.state.type,a=this.startNode();this.next();let l=s===125?this.tsTryParseDeclare(a):this.tsParseAbstractDeclaration(a,i);return l?(s===125&&(l.declare=!0),l):(a.expression=this.createIdentifier(this.startNodeAt(a.loc.start),s===125?"declare":"abstract"),this.semicolon(!1),this.finishNode(a,"ExpressionStatement"))}break}case 126:return this.tsParseEnumDeclaration(this.startNode());case 112:{if(this.lookaheadCharCode()===123){let a=this.startNode();return this.tsParseAmbientExternalModuleDeclaration(a)}break}case 129:{let s=this.tsParseInterfaceDeclaration(this.startNode());if(s)return s;break}case 127:{if(this.nextTokenIsIdentifierOrStringLiteralOnSameLine()){let s=this.startNode();return this.next(),this.tsParseDeclaration(s,127,!1,i)}break}case 128:{if(this.nextTokenIsIdentifierOnSameLine()){let s=this.startNode();return this.next(),this.tsParseDeclaration(s,128,!1,i)}break}case 130:{if(this.nextTokenIsIdentifierOnSameLine()){let s=this.startNode();return this.next(),this.tsParseTypeAliasDeclaration(s)}break}}return super.parseStatementContent(r,i)}parseAccessModifier(){return this.tsParseModifier(["public","protected","private"])}tsHasSomeModifiers(r,i){return i.some(s=>Nf(s)?r.accessibility===s:!!r[s])}tsIsStartOfStaticBlocks(){return this.isContextual(106)&&this.lookaheadCharCode()===123}parseClassMember(r,i,s){let a=["declare","private","public","protected","override","abstract","readonly","static"];this.tsParseModifiers({allowedModifiers:a,disallowedModifiers:["in","out"],stopOnStartOfClassStaticBlock:!0,errorTemplate:W.InvalidModifierOnTypeParameterPositions},i);let l=n(()=>{this.tsIsStartOfStaticBlocks()?(this.next(),this.next(),this.tsHasSomeModifiers(i,a)&&this.raise(W.StaticBlockCannotHaveModifier,this.state.curPosition()),super.parseClassStaticBlock(r,i)):this.parseClassMemberWithIsStatic(r,i,s,!!i.static)},"callParseClassMemberWithIsStatic");i.declare?this.tsInAmbientContext(l):l()}parseClassMemberWithIsStatic(r,i,s,a){let l=this.tsTryParseIndexSignature(i);if(l){r.body.push(l),i.abstract&&this.raise(W.IndexSignatureHasAbstract,i),i.accessibility&&this.raise(W.IndexSignatureHasAccessibility,i,{modifier:i.accessibility}),i.declare&&this.raise(W.IndexSignatureHasDeclare,i),i.override&&this.raise(W.IndexSignatureHasOverride,i);return}!this.state.inAbstractClass&&i.abstract&&this.raise(W.NonAbstractClassHasAbstractMethod,i),i.override&&(s.hadSuperClass||this.raise(W.OverrideNotInSubClass,i)),super.parseClassMemberWithIsStatic(r,i,s,a)}parsePostMemberNameModifiers(r){this.eat(17)&&(r.optional=!0),r.readonly&&this.match(10)&&this.raise(W.ClassMethodHasReadonly,r),r.declare&&this.match(10)&&this.raise(W.ClassMethodHasDeclare,r)}shouldParseExportDeclaration(){return this.tsIsDeclarationStart()?!0:super.shouldParseExportDeclaration()}parseConditional(r,i,s){if(!this.match(17))return r;if(this.state.maybeInArrowParameters){let a=this.lookaheadCharCode();if(a===44||a===61||a===58||a===41)return this.setOptionalParametersError(s),r}return super.parseConditional(r,i,s)}parseParenItem(r,i){let s=super.parseParenItem(r,i);if(this.eat(17)&&(s.optional=!0,this.resetEndLocation(r)),this.match(14)){let a=this.startNodeAt(i);return a.expression=r,a.typeAnnotation=this.tsParseTypeAnnotation(),this.finishNode(a,"TSTypeCastExpression")}return r}parseExportDeclaration(r){if(!this.state.isAmbientContext&&this.isContextual(125))return this.tsInAmbientContext(()=>this.parseExportDeclaration(r));let i=this.state.startLoc,s=this.eatContextual(125);if(s&&(this.isContextual(125)||!this.shouldParseExportDeclaration()))throw this.raise(W.ExpectedAmbientAfterExportDeclare,this.state.startLoc);let l=me(this.state.type)&&this.tsTryParseExportDeclaration()||super.parseExportDeclaration(r);return l?((l.type==="TSInterfaceDeclaration"||l.type==="TSTypeAliasDeclaration"||s)&&(r.exportKind="type"),s&&l.type!=="TSImportEqualsDeclaration"&&(this.resetStartLocation(l,i),l.declare=!0),l):null}parseClassId(r,i,s,a){if((!i||s)&&this.isContextual(113))return;super.parseClassId(r,i,s,r.declare?1024:8331);let l=this.tsTryParseTypeParameters(this.tsParseInOutConstModifiers);l&&(r.typeParameters=l)}parseClassPropertyAnnotation(r){r.optional||(this.eat(35)?r.definite=!0:this.eat(17)&&(r.optional=!0));let i=this.tsTryParseTypeAnnotation();i&&(r.typeAnnotation=i)}parseClassProperty(r){if(this.parseClassPropertyAnnotation(r),this.state.isAmbientContext&&!(r.readonly&&!r.typeAnnotation)&&this.match(29)&&this.raise(W.DeclareClassFieldHasInitializer,this.state.startLoc),r.abstract&&this.match(29)){let{key:i}=r;this.raise(W.AbstractPropertyHasInitializer,this.state.startLoc,{propertyName:i.type==="Identifier"&&!r.computed?i.name:`[${this.input.slice(this.offsetToSourcePos(i.start),this.offsetToSourcePos(i.end))}]`})}return super.parseClassProperty(r)}parseClassPrivateProperty(r){return r.abstract&&this.raise(W.PrivateElementHasAbstract,r),r.accessibility&&this.raise(W.PrivateElementHasAccessibility,r,{modifier:r.accessibility}),this.parseClassPropertyAnnotation(r),super.parseClassPrivateProperty(r)}parseClassAccessorProperty(r){return this.parseClassPropertyAnnotation(r),r.optional&&this.raise(W.AccessorCannotBeOptional,r),super.parseClassAccessorProperty(r)}pushClassMethod(r,i,s,a,l,u){let p=this.tsTryParseTypeParameters(this.tsParseConstModifier);p&&l&&this.raise(W.ConstructorHasTypeParameters,p);let{declare:h=!1,kind:m}=i;h&&(m==="get"||m==="set")&&this.raise(W.DeclareAccessor,i,{kind:m}),p&&(i.typeParameters=p),super.pushClassMethod(r,i,s,a,l,u)}pushClassPrivateMethod(r,i,s,a){let l=this.tsTryParseTypeParameters(this.tsParseConstModifier);l&&(i.typeParameters=l),super.pushClassPrivateMethod(r,i,s,a)}declareClassPrivateMethodInScope(r,i){r.type!=="TSDeclareMethod"&&(r.type==="MethodDefinition"&&r.value.body==null||super.declareClassPrivateMethodInScope(r,i))}parseClassSuper(r){if(super.parseClassSuper(r),r.superClass)if(r.superClass.type==="TSInstantiationExpression"){let i=r.superClass,s=i.expression;this.takeSurroundingComments(s,s.start,s.end);let a=i.typeParameters;this.takeSurroundingComments(a,a.start,a.end),r.superClass=s,r.superTypeParameters=a}else(this.match(47)||this.match(51))&&(r.superTypeParameters=this.tsParseTypeArgumentsInExpression());this.eatContextual(113)&&(r.implements=this.tsParseHeritageClause("implements"))}parseObjPropValue(r,i,s,a,l,u,p){let h=this.tsTryParseTypeParameters(this.tsParseConstModifier);return h&&(r.typeParameters=h),super.parseObjPropValue(r,i,s,a,l,u,p)}parseFunctionParams(r,i){let s=this.tsTryParseTypeParameters(this.tsParseConstModifier);s&&(r.typeParameters=s),super.parseFunctionParams(r,i)}parseVarId(r,i){super.parseVarId(r,i),r.id.type==="Identifier"&&!this.hasPrecedingLineBreak()&&this.eat(35)&&(r.definite=!0);let s=this.tsTryParseTypeAnnotation();s&&(r.id.typeAnnotation=s,this.resetEndLocation(r.id))}parseAsyncArrowFromCallExpression(r,i){return this.match(14)&&(r.returnType=this.tsParseTypeAnnotation()),super.parseAsyncArrowFromCallExpression(r,i)}parseMaybeAssign(r,i){var s,a,l,u,p;let h,m,I;if(this.hasPlugin("jsx")&&(this.match(143)||this.match(47))){if(h=this.state.clone(),m=this.tryParse(()=>super.parseMaybeAssign(r,i),h),!m.error)return m.node;let{context:B}=this.state,U=B[B.length-1];(U===ye.j_oTag||U===ye.j_expr)&&B.pop()}if(!((s=m)!=null&&s.error)&&!this.match(47))return super.parseMaybeAssign(r,i);(!h||h===this.state)&&(h=this.state.clone());let _,F=this.tryParse(B=>{var U,te;_=this.tsParseTypeParameters(this.tsParseConstModifier);let Y=super.parseMaybeAssign(r,i);return(Y.type!=="ArrowFunctionExpression"||(U=Y.extra)!=null&&U.parenthesized)&&B(),((te=_)==null?void 0:te.params.length)!==0&&this.resetStartLocationFromNode(Y,_),Y.typeParameters=_,Y},h);if(!F.error&&!F.aborted)return _&&this.reportReservedArrowTypeParam(_),F.node;if(!m&&(Cf(!this.hasPlugin("jsx")),I=this.tryParse(()=>super.parseMaybeAssign(r,i),h),!I.error))return I.node;if((a=m)!=null&&a.node)return this.state=m.failState,m.node;if(F.node)return this.state=F.failState,_&&this.reportReservedArrowTypeParam(_),F.node;if((l=I)!=null&&l.node)return this.state=I.failState,I.node;throw((u=m)==null?void 0:u.error)||F.error||((p=I)==null?void 0:p.error)}reportReservedArrowTypeParam(r){var i;r.params.length===1&&!r.params[0].constraint&&!((i=r.extra)!=null&&i.trailingComma)&&this.getPluginOption("typescript","disallowAmbiguousJSXLike")&&this.raise(W.ReservedArrowTypeParam,r)}parseMaybeUnary(r,i){return!this.hasPlugin("jsx")&&this.match(47)?this.tsParseTypeAssertion():super.parseMaybeUnary(r,i)}parseArrow(r){if(this.match(14)){let i=this.tryParse(s=>{let a=this.tsParseTypeOrTypePredicateAnnotation(14);return(this.canInsertSemicolon()||!this.match(19))&&s(),a});if(i.aborted)return;i.thrown||(i.error&&(this.state=i.failState),r.returnType=i.node)}return super.parseArrow(r)}parseFunctionParamType(r){this.eat(17)&&(r.optional=!0);let i=this.tsTryParseTypeAnnotation();return i&&(r.typeAnnotation=i),this.resetEndLocation(r),r}isAssignable(r,i){switch(r.type){case"TSTypeCastExpression":return this.isAssignable(r.expression,i);case"TSParameterProperty":return!0;default:return super.isAssignable(r,i)}}toAssignable(r,i=!1){switch(r.type){case"ParenthesizedExpression":this.toAssignableParenthesizedExpression(r,i);break;case"TSAsExpression":case"TSSatisfiesExpression":case"TSNonNullExpression":case"TSTypeAssertion":i?this.expressionScope.recordArrowParameterBindingError(W.UnexpectedTypeCastInParameter,r):this.raise(W.UnexpectedTypeCastInParameter,r),this.toAssignable(r.expression,i);break;case"AssignmentExpression":!i&&r.left.type==="TSTypeCastExpression"&&(r.left=this.typeCastToParameter(r.left));default:super.toAssignable(r,i)}}toAssignableParenthesizedExpression(r,i){switch(r.expression.type){case"TSAsExpression":case"TSSatisfiesExpression":case"TSNonNullExpression":case"TSTypeAssertion":case"ParenthesizedExpression":this.toAssignable(r.expression,i);break;default:super.toAssignable(r,i)}}checkToRestConversion(r,i){switch(r.type){case"TSAsExpression":case"TSSatisfiesExpression":case"TSTypeAssertion":case"TSNonNullExpression":this.checkToRestConversion(r.expression,!1);break;default:super.checkToRestConversion(r,i)}}isValidLVal(r,i,s,a){switch(r){case"TSTypeCastExpression":return!0;case"TSParameterProperty":return"parameter";case"TSNonNullExpression":return"expression";case"TSAsExpression":case"TSSatisfiesExpression":case"TSTypeAssertion":return(a!==64||!s)&&["expression",!0];default:return super.isValidLVal(r,i,s,a)}}parseBindingAtom(){return this.state.type===78?this.parseIdentifier(!0):super.parseBindingAtom()}parseMaybeDecoratorArguments(r,i){if(this.match(47)||this.match(51)){let s=this.tsParseTypeArgumentsInExpression();if(this.match(10)){let a=super.parseMaybeDecoratorArguments(r,i);return a.typeParameters=s,a}this.unexpected(null,10)}return super.parseMaybeDecoratorArguments(r,i)}checkCommaAfterRest(r){return this.state.isAmbientContext&&this.match(12)&&this.lookaheadCharCode()===r?(this.next(),!1):super.checkCommaAfterRest(r)}isClassMethod(){return this.match(47)||super.isClassMethod()}isClassProperty(){return this.match(35)||this.match(14)||super.isClassProperty()}parseMaybeDefault(r,i){let s=super.parseMaybeDefault(r,i);return s.type==="AssignmentPattern"&&s.typeAnnotation&&s.right.start<s.typeAnnotation.start&&this.raise(W.TypeAnnotationAfterAssign,s.typeAnnotation),s}getTokenFromCode(r){if(this.state.inType){if(r===62){this.finishOp(48,1);return}if(r===60){this.finishOp(47,1);return}}super.getTokenFromCode(r)}reScan_lt_gt(){let{type:r}=this.state;r===47?(this.state.pos-=1,this.readToken_lt()):r===48&&(this.state.pos-=1,this.readToken_gt())}reScan_lt(){let{type:r}=this.state;return r===51?(this.state.pos-=2,this.finishOp(47,1),47):r}toAssignableListItem(r,i,s){let a=r[i];a.type==="TSTypeCastExpression"&&(r[i]=this.typeCastToParameter(a)),super.toAssignableListItem(r,i,s)}typeCastToParameter(r){return r.expression.typeAnnotation=r.typeAnnotation,this.resetEndLocation(r.expression,r.typeAnnotation.loc.end),r.expression}shouldParseArrow(r){return this.match(14)?r.every(i=>this.isAssignable(i,!0)):super.shouldParseArrow(r)}shouldParseAsyncArrow(){return this.match(14)||super.shouldParseAsyncArrow()}canHaveLeadingDecorator(){return super.canHaveLeadingDecorator()||this.isAbstractClass()}jsxParseOpeningElementAfterName(r){if(this.match(47)||this.match(51)){let i=this.tsTryParseAndCatch(()=>this.tsParseTypeArgumentsInExpression());i&&(r.typeParameters=i)}return super.jsxParseOpeningElementAfterName(r)}getGetterSetterExpectedParamCount(r){let i=super.getGetterSetterExpectedParamCount(r),a=this.getObjectOrClassMethodParams(r)[0];return a&&this.isThisParam(a)?i+1:i}parseCatchClauseParam(){let r=super.parseCatchClauseParam(),i=this.tsTryParseTypeAnnotation();return i&&(r.typeAnnotation=i,this.resetEndLocation(r)),r}tsInAmbientContext(r){let{isAmbientContext:i,strict:s}=this.state;this.state.isAmbientContext=!0,this.state.strict=!1;try{return r()}finally{this.state.isAmbientContext=i,this.state.strict=s}}parseClass(r,i,s){let a=this.state.inAbstractClass;this.state.inAbstractClass=!!r.abstract;try{return super.parseClass(r,i,s)}finally{this.state.inAbstractClass=a}}tsParseAbstractDeclaration(r,i){if(this.match(80))return r.abstract=!0,this.maybeTakeDecorators(i,this.parseClass(r,!0,!1));if(this.isContextual(129))return this.hasFollowingLineBreak()?null:(r.abstract=!0,this.raise(W.NonClassMethodPropertyHasAbstractModifier,r),this.tsParseInterfaceDeclaration(r));throw this.unexpected(null,80)}parseMethod(r,i,s,a,l,u,p){let h=super.parseMethod(r,i,s,a,l,u,p);if((h.abstract||h.type==="TSAbstractMethodDefinition")&&(this.hasPlugin("estree")?h.value:h).body){let{key:_}=h;this.raise(W.AbstractMethodHasImplementation,h,{methodName:_.type==="Identifier"&&!h.computed?_.name:`[${this.input.slice(this.offsetToSourcePos(_.start),this.offsetToSourcePos(_.end))}]`})}return h}tsParseTypeParameterName(){return this.parseIdentifier().name}shouldParseAsAmbientContext(){return!!this.getPluginOption("typescript","dts")}parse(){return this.shouldParseAsAmbientContext()&&(this.state.isAmbientContext=!0),super.parse()}getExpression(){return this.shouldParseAsAmbientContext()&&(this.state.isAmbientContext=!0),super.getExpression()}parseExportSpecifier(r,i,s,a){return!i&&a?(this.parseTypeOnlyImportExportSpecifier(r,!1,s),this.finishNode(r,"ExportSpecifier")):(r.exportKind="value",super.parseExportSpecifier(r,i,s,a))}parseImportSpecifier(r,i,s,a,l){return!i&&a?(this.parseTypeOnlyImportExportSpecifier(r,!0,s),this.finishNode(r,"ImportSpecifier")):(r.importKind="value",super.parseImportSpecifier(r,i,s,a,s?4098:4096))}parseTypeOnlyImportExportSpecifier(r,i,s){let a=i?"imported":"local",l=i?"local":"exported",u=r[a],p,h=!1,m=!0,I=u.loc.start;if(this.isContextual(93)){let F=this.parseIdentifier();if(this.isContextual(93)){let B=this.parseIdentifier();st(this.state.type)?(h=!0,u=F,p=i?this.parseIdentifier():this.parseModuleExportName(),m=!1):(p=B,m=!1)}else st(this.state.type)?(m=!1,p=i?this.parseIdentifier():this.parseModuleExportName()):(h=!0,u=F)}else st(this.state.type)&&(h=!0,i?(u=this.parseIdentifier(!0),this.isContextual(93)||this.checkReservedWord(u.name,u.loc.start,!0,!0)):u=this.parseModuleExportName());h&&s&&this.raise(i?W.TypeModifierIsUsedInTypeImports:W.TypeModifierIsUsedInTypeExports,I),r[a]=u,r[l]=p;let _=i?"importKind":"exportKind";r[_]=h?"type":"value",m&&this.eatContextual(93)&&(r[l]=i?this.parseIdentifier():this.parseModuleExportName()),r[l]||(r[l]=this.cloneIdentifier(r[a])),i&&this.checkIdentifier(r[l],h?4098:4096)}fillOptionalPropertiesForTSESLint(r){var i,s,a,l,u,p,h,m,I,_,F,B,U,te,Y,Q,z,S,we,Ie,Je,Ot,Fe,Zr,qi,Ki,Xt,ei,lt,Et,kt,dr,Jt,Yi,Xi,_t,Dt,yr,ti,ri,ii,si,ni,ai,mr,oi,Tr,He,li;switch(r.type){case"ImportDeclaration":(i=r.phase)!=null||(r.phase=null);return;case"ExpressionStatement":(s=r.directive)!=null||(r.directive=void 0);return;case"RestElement":r.value=void 0;case"Identifier":case"ArrayPattern":case"AssignmentPattern":case"ObjectPattern":(a=r.decorators)!=null||(r.decorators=[]),(l=r.optional)!=null||(r.optional=!1),(u=r.typeAnnotation)!=null||(r.typeAnnotation=void 0);return;case"TSParameterProperty":(p=r.accessibility)!=null||(r.accessibility=void 0),(h=r.decorators)!=null||(r.decorators=[]),(m=r.override)!=null||(r.override=!1),(I=r.readonly)!=null||(r.readonly=!1),(_=r.static)!=null||(r.static=!1);return;case"TSEmptyBodyFunctionExpression":r.body=null;case"TSDeclareFunction":case"FunctionDeclaration":case"FunctionExpression":case"ClassMethod":case"ClassPrivateMethod":(F=r.declare)!=null||(r.declare=!1),(B=r.returnType)!=null||(r.returnType=void 0),(U=r.typeParameters)!=null||(r.typeParameters=void 0);return;case"Property":(te=r.optional)!=null||(r.optional=!1);return;case"TSMethodSignature":case"TSPropertySignature":(Y=r.optional)!=null||(r.optional=!1);case"TSIndexSignature":(Q=r.accessibility)!=null||(r.accessibility=void 0),(z=r.readonly)!=null||(r.readonly=!1),(S=r.static)!=null||(r.static=!1);return;case"TSAbstractPropertyDefinition":case"PropertyDefinition":case"TSAbstractAccessorProperty":case"AccessorProperty":(we=r.declare)!=null||(r.declare=!1),(Ie=r.definite)!=null||(r.definite=!1),(Je=r.readonly)!=null||(r.readonly=!1),(Ot=r.typeAnnotation)!=null||(r.typeAnnotation=void 0);case"TSAbstractMethodDefinition":case"MethodDefinition":(Fe=r.accessibility)!=null||(r.accessibility=void 0),(Zr=r.decorators)!=null||(r.decorators=[]),(qi=r.override)!=null||(r.override=!1),(Ki=r.optional)!=null||(r.optional=!1);return;case"ClassExpression":(Xt=r.id)!=null||(r.id=null);case"ClassDeclaration":(ei=r.abstract)!=null||(r.abstract=!1),(lt=r.declare)!=null||(r.declare=!1),(Et=r.decorators)!=null||(r.decorators=[]),(kt=r.implements)!=null||(r.implements=[]),(dr=r.superTypeArguments)!=null||(r.superTypeArguments=void 0),(Jt=r.typeParameters)!=null||(r.typeParameters=void 0);return;case"TSTypeAliasDeclaration":case"VariableDeclaration":(Yi=r.declare)!=null||(r.declare=!1);return;case"VariableDeclarator":(Xi=r.definite)!=null||(r.definite=!1);return;case"TSEnumDeclaration":(_t=r.const)!=null||(r.const=!1),(Dt=r.declare)!=null||(r.declare=!1);return;case"TSEnumMember":(yr=r.computed)!=null||(r.computed=!1);return;case"TSImportType":(ti=r.qualifier)!=null||(r.qualifier=null),(ri=r.options)!=null||(r.options=null);return;case"TSInterfaceDeclaration":(ii=r.declare)!=null||(r.declare=!1),(si=r.extends)!=null||(r.extends=[]);return;case"TSMappedType":(ni=r.optional)!=null||(r.optional=!1),(ai=r.readonly)!=null||(r.readonly=void 0);return;case"TSModuleDeclaration":(mr=r.declare)!=null||(r.declare=!1),(oi=r.global)!=null||(r.global=r.kind==="global");return;case"TSTypeParameter":(Tr=r.const)!=null||(r.const=!1),(He=r.in)!=null||(r.in=!1),(li=r.out)!=null||(r.out=!1);return}}chStartsBindingIdentifierAndNotRelationalOperator(r,i){if(yt(r)){if(zn.lastIndex=i,zn.test(this.input)){let s=this.codePointAtPos(zn.lastIndex);if(!ir(s)&&s!==92)return!1}return!0}else return r===92}nextTokenIsIdentifierAndNotTSRelationalOperatorOnSameLine(){let r=this.nextTokenInLineStart(),i=this.codePointAtPos(r);return this.chStartsBindingIdentifierAndNotRelationalOperator(i,r)}nextTokenIsIdentifierOrStringLiteralOnSameLine(){let r=this.nextTokenInLineStart(),i=this.codePointAtPos(r);return this.chStartsBindingIdentifier(i,r)||i===34||i===39}},"typescript");function Px(t){if(t.type!=="MemberExpression")return!1;let{computed:e,property:r}=t;return e&&r.type!=="StringLiteral"&&(r.type!=="TemplateLiteral"||r.expressions.length>0)?!1:Jf(t.object)}n(Px,"isPossiblyLiteralEnum");function vx(t,e){var r;let{type:i}=t;if((r=t.extra)!=null&&r.parenthesized)return!1;if(e){if(i==="Literal"){let{value:s}=t;if(typeof s=="string"||typeof s=="boolean")return!0}}else if(i==="StringLiteral"||i==="BooleanLiteral")return!0;return!!(Xf(t,e)||Ax(t,e)||i==="TemplateLiteral"&&t.expressions.length===0||Px(t))}n(vx,"isValidAmbientConstInitializer");function Xf(t,e){return e?t.type==="Literal"&&(typeof t.value=="number"||"bigint"in t):t.type==="NumericLiteral"||t.type==="BigIntLiteral"}n(Xf,"isNumber");function Ax(t,e){if(t.type==="UnaryExpression"){let{operator:r,argument:i}=t;if(r==="-"&&Xf(i,e))return!0}return!1}n(Ax,"isNegativeNumber");function Jf(t){return t.type==="Identifier"?!0:t.type!=="MemberExpression"||t.computed?!1:Jf(t.object)}n(Jf,"isUncomputedMemberExpressionChain");var Of=it`placeholders`({ClassNameIsRequired:"A class name is required.",UnexpectedSpace:"Unexpected space in placeholder."}),Ix=n(t=>class extends t{static{n(this,"PlaceholdersParserMixin")}parsePlaceholder(r){if(this.match(133)){let i=this.startNode();return this.next(),this.assertNoSpace(),i.name=super.parseIdentifier(!0),this.assertNoSpace(),this.expect(133),this.finishPlaceholder(i,r)}}finishPlaceholder(r,i){let s=r;return(!s.expectedNode||!s.type)&&(s=this.finishNode(s,"Placeholder")),s.expectedNode=i,s}getTokenFromCode(r){r===37&&this.input.charCodeAt(this.state.pos+1)===37?this.finishOp(133,2):super.getTokenFromCode(r)}parseExprAtom(r){return this.parsePlaceholder("Expression")||super.parseExprAtom(r)}parseIdentifier(r){return this.parsePlaceholder("Identifier")||super.parseIdentifier(r)}checkReservedWord(r,i,s,a){r!==void 0&&super.checkReservedWord(r,i,s,a)}cloneIdentifier(r){let i=super.cloneIdentifier(r);return i.type==="Placeholder"&&(i.expectedNode=r.expectedNode),i}cloneStringLiteral(r){return r.type==="Placeholder"?this.cloneIdentifier(r):super.cloneStringLiteral(r)}parseBindingAtom(){return this.parsePlaceholder("Pattern")||super.parseBindingAtom()}isValidLVal(r,i,s,a){return r==="Placeholder"||super.isValidLVal(r,i,s,a)}toAssignable(r,i){r&&r.type==="Placeholder"&&r.expectedNode==="Expression"?r.expectedNode="Pattern":super.toAssignable(r,i)}chStartsBindingIdentifier(r,i){if(super.chStartsBindingIdentifier(r,i))return!0;let s=this.nextTokenStart();return this.input.charCodeAt(s)===37&&this.input.charCodeAt(s+1)===37}verifyBreakContinue(r,i){var s;((s=r.label)==null?void 0:s.type)!=="Placeholder"&&super.verifyBreakContinue(r,i)}parseExpressionStatement(r,i){var s;if(i.type!=="Placeholder"||(s=i.extra)!=null&&s.parenthesized)return super.parseExpressionStatement(r,i);if(this.match(14)){let l=r;return l.label=this.finishPlaceholder(i,"Identifier"),this.next(),l.body=super.parseStatementOrSloppyAnnexBFunctionDeclaration(),this.finishNode(l,"LabeledStatement")}this.semicolon();let a=r;return a.name=i.name,this.finishPlaceholder(a,"Statement")}parseBlock(r,i,s){return this.parsePlaceholder("BlockStatement")||super.parseBlock(r,i,s)}parseFunctionId(r){return this.parsePlaceholder("Identifier")||super.parseFunctionId(r)}parseClass(r,i,s){let a=i?"ClassDeclaration":"ClassExpression";this.next();let l=this.state.strict,u=this.parsePlaceholder("Identifier");if(u)if(this.match(81)||this.match(133)||this.match(5))r.id=u;else{if(s||!i)return r.id=null,r.body=this.finishPlaceholder(u,"ClassBody"),this.finishNode(r,a);throw this.raise(Of.ClassNameIsRequired,this.state.startLoc)}else this.parseClassId(r,i,s);return super.parseClassSuper(r),r.body=this.parsePlaceholder("ClassBody")||super.parseClassBody(!!r.superClass,l),this.finishNode(r,a)}parseExport(r,i){let s=this.parsePlaceholder("Identifier");if(!s)return super.parseExport(r,i);let a=r;if(!this.isContextual(98)&&!this.match(12))return a.specifiers=[],a.source=null,a.declaration=this.finishPlaceholder(s,"Declaration"),this.finishNode(a,"ExportNamedDeclaration");this.expectPlugin("exportDefaultFrom");let l=this.startNode();return l.exported=s,a.specifiers=[this.finishNode(l,"ExportDefaultSpecifier")],super.parseExport(a,i)}isExportDefaultSpecifier(){if(this.match(65)){let r=this.nextTokenStart();if(this.isUnparsedContextual(r,"from")&&this.input.startsWith(Bt(133),this.nextTokenStartSince(r+4)))return!0}return super.isExportDefaultSpecifier()}maybeParseExportDefaultSpecifier(r,i){var s;return(s=r.specifiers)!=null&&s.length?!0:super.maybeParseExportDefaultSpecifier(r,i)}checkExport(r){let{specifiers:i}=r;i!=null&&i.length&&(r.specifiers=i.filter(s=>s.exported.type==="Placeholder")),super.checkExport(r),r.specifiers=i}parseImport(r){let i=this.parsePlaceholder("Identifier");if(!i)return super.parseImport(r);if(r.specifiers=[],!this.isContextual(98)&&!this.match(12))return r.source=this.finishPlaceholder(i,"StringLiteral"),this.semicolon(),this.finishNode(r,"ImportDeclaration");let s=this.startNodeAtNode(i);return s.local=i,r.specifiers.push(this.finishNode(s,"ImportDefaultSpecifier")),this.eat(12)&&(this.maybeParseStarImportSpecifier(r)||this.parseNamedImportSpecifiers(r)),this.expectContextual(98),r.source=this.parseImportSource(),this.semicolon(),this.finishNode(r,"ImportDeclaration")}parseImportSource(){return this.parsePlaceholder("StringLiteral")||super.parseImportSource()}assertNoSpace(){this.state.start>this.offsetToSourcePos(this.state.lastTokEndLoc.index)&&this.raise(Of.UnexpectedSpace,this.state.lastTokEndLoc)}},"placeholders"),wx=n(t=>class extends t{static{n(this,"V8IntrinsicMixin")}parseV8Intrinsic(){if(this.match(54)){let r=this.state.startLoc,i=this.startNode();if(this.next(),me(this.state.type)){let s=this.parseIdentifierName(),a=this.createIdentifier(i,s);if(this.castNodeTo(a,"V8IntrinsicIdentifier"),this.match(10))return a}this.unexpected(r)}}parseExprAtom(r){return this.parseV8Intrinsic()||super.parseExprAtom(r)}},"v8intrinsic"),kf=["minimal","fsharp","hack","smart"],_f=["^^","@@","^","%","#"];function Cx(t){if(t.has("decorators")){if(t.has("decorators-legacy"))throw new Error("Cannot use the decorators and decorators-legacy plugin together");let i=t.get("decorators").decoratorsBeforeExport;if(i!=null&&typeof i!="boolean")throw new Error("'decoratorsBeforeExport' must be a boolean, if specified.");let s=t.get("decorators").allowCallParenthesized;if(s!=null&&typeof s!="boolean")throw new Error("'allowCallParenthesized' must be a boolean.")}if(t.has("flow")&&t.has("typescript"))throw new Error("Cannot combine flow and typescript plugins.");if(t.has("placeholders")&&t.has("v8intrinsic"))throw new Error("Cannot combine placeholders and v8intrinsic plugins.");if(t.has("pipelineOperator")){var e;let i=t.get("pipelineOperator").proposal;if(!kf.includes(i)){let s=kf.map(a=>`"${a}"`).join(", ");throw new Error(`"pipelineOperator" requires "proposal" option whose value must be one of: ${s}.`)}if(i==="hack"){var r;if(t.has("placeholders"))throw new Error("Cannot combine placeholders plugin and Hack-style pipes.");if(t.has("v8intrinsic"))throw new Error("Cannot combine v8intrinsic plugin and Hack-style pipes.");let s=t.get("pipelineOperator").topicToken;if(!_f.includes(s)){let a=_f.map(l=>`"${l}"`).join(", ");throw new Error(`"pipelineOperator" in "proposal": "hack" mode also requires a "topicToken" option whose value must be one of: ${a}.`)}if(s==="#"&&((r=t.get("recordAndTuple"))==null?void 0:r.syntaxType)==="hash")throw new Error(`Plugin conflict between \`["pipelineOperator", { proposal: "hack", topicToken: "#" }]\` and \`${JSON.stringify(["recordAndTuple",t.get("recordAndTuple")])}\`.`)}else if(i==="smart"&&((e=t.get("recordAndTuple"))==null?void 0:e.syntaxType)==="hash")throw new Error(`Plugin conflict between \`["pipelineOperator", { proposal: "smart" }]\` and \`${JSON.stringify(["recordAndTuple",t.get("recordAndTuple")])}\`.`)}if(t.has("moduleAttributes")){if(t.has("deprecatedImportAssert")||t.has("importAssertions"))throw new Error("Cannot combine importAssertions, deprecatedImportAssert and moduleAttributes plugins.");if(t.get("moduleAttributes").version!=="may-2020")throw new Error("The 'moduleAttributes' plugin requires a 'version' option, representing the last proposal update. Currently, the only supported value is 'may-2020'.")}if(t.has("importAssertions")&&t.has("deprecatedImportAssert"))throw new Error("Cannot combine importAssertions and deprecatedImportAssert plugins.");if(t.has("deprecatedImportAssert")||t.has("importAttributes")&&t.get("importAttributes").deprecatedAssertSyntax&&t.set("deprecatedImportAssert",{}),t.has("recordAndTuple")){let i=t.get("recordAndTuple").syntaxType;if(i!=null){let s=["hash","bar"];if(!s.includes(i))throw new Error("The 'syntaxType' option of the 'recordAndTuple' plugin must be one of: "+s.map(a=>`'${a}'`).join(", "))}}if(t.has("asyncDoExpressions")&&!t.has("doExpressions")){let i=new Error("'asyncDoExpressions' requires 'doExpressions', please add 'doExpressions' to parser plugins.");throw i.missingPlugins="doExpressions",i}if(t.has("optionalChainingAssign")&&t.get("optionalChainingAssign").version!=="2023-07")throw new Error("The 'optionalChainingAssign' plugin requires a 'version' option, representing the last proposal update. Currently, the only supported value is '2023-07'.");if(t.has("discardBinding")&&t.get("discardBinding").syntaxType!=="void")throw new Error("The 'discardBinding' plugin requires a 'syntaxType' option. Currently the only supported value is 'void'.")}n(Cx,"validatePlugins");var Wf={estree:_0,jsx:cx,flow:ax,typescript:gx,v8intrinsic:wx,placeholders:Ix},Nx=Object.keys(Wf),Ta=class extends ma{static{n(this,"ExpressionParser")}checkProto(e,r,i,s){if(e.type==="SpreadElement"||this.isObjectMethod(e)||e.computed||e.shorthand)return i;let a=e.key;return(a.type==="Identifier"?a.name:a.value)==="__proto__"?r?(this.raise(N.RecordNoProto,a),!0):(i&&(s?s.doubleProtoLoc===null&&(s.doubleProtoLoc=a.loc.start):this.raise(N.DuplicateProto,a)),!0):i}shouldExitDescending(e,r){return e.type==="ArrowFunctionExpression"&&this.offsetToSourcePos(e.start)===r}getExpression(){if(this.enterInitialScopes(),this.nextToken(),this.match(140))throw this.raise(N.ParseExpressionEmptyInput,this.state.startLoc);let e=this.parseExpression();if(!this.match(140))throw this.raise(N.ParseExpressionExpectsEOF,this.state.startLoc,{unexpected:this.input.codePointAt(this.state.start)});return this.finalizeRemainingComments(),e.comments=this.comments,e.errors=this.state.errors,this.optionFlags&256&&(e.tokens=this.tokens),e}parseExpression(e,r){return e?this.disallowInAnd(()=>this.parseExpressionBase(r)):this.allowInAnd(()=>this.parseExpressionBase(r))}parseExpressionBase(e){let r=this.state.startLoc,i=this.parseMaybeAssign(e);if(this.match(12)){let s=this.startNodeAt(r);for(s.expressions=[i];this.eat(12);)s.expressions.push(this.parseMaybeAssign(e));return this.toReferencedList(s.expressions),this.finishNode(s,"SequenceExpression")}return i}parseMaybeAssignDisallowIn(e,r){return this.disallowInAnd(()=>this.parseMaybeAssign(e,r))}parseMaybeAssignAllowIn(e,r){return this.allowInAnd(()=>this.parseMaybeAssign(e,r))}setOptionalParametersError(e){e.optionalParametersLoc=this.state.startLoc}parseMaybeAssign(e,r){let i=this.state.startLoc,s=this.isContextual(108);if(s&&this.prodParam.hasYield){this.next();let p=this.parseYield(i);return r&&(p=r.call(this,p,i)),p}let a;e?a=!1:(e=new Dr,a=!0);let{type:l}=this.state;(l===10||me(l))&&(this.state.potentialArrowAt=this.state.start);let u=this.parseMaybeConditional(e);if(r&&(u=r.call(this,u,i)),B0(this.state.type)){let p=this.startNodeAt(i),h=this.state.value;if(p.operator=h,this.match(29)){this.toAssignable(u,!0),p.left=u;let m=i.index;e.doubleProtoLoc!=null&&e.doubleProtoLoc.index>=m&&(e.doubleProtoLoc=null),e.shorthandAssignLoc!=null&&e.shorthandAssignLoc.index>=m&&(e.shorthandAssignLoc=null),e.privateKeyLoc!=null&&e.privateKeyLoc.index>=m&&(this.checkDestructuringPrivate(e),e.privateKeyLoc=null),e.voidPatternLoc!=null&&e.voidPatternLoc.index>=m&&(e.voidPatternLoc=null)}else p.left=u;return this.next(),p.right=this.parseMaybeAssign(),this.checkLVal(u,this.finishNode(p,"AssignmentExpression"),void 0,void 0,void 0,void 0,h==="||="||h==="&&="||h==="??="),p}else a&&this.checkExpressionErrors(e,!0);if(s){let{type:p}=this.state;if((this.hasPlugin("v8intrinsic")?Si(p):Si(p)&&!this.match(54))&&!this.isAmbiguousPrefixOrIdentifier())return this.raiseOverwrite(N.YieldNotInGeneratorFunction,i),this.parseYield(i)}return u}parseMaybeConditional(e){let r=this.state.startLoc,i=this.state.potentialArrowAt,s=this.parseExprOps(e);return this.shouldExitDescending(s,i)?s:this.parseConditional(s,r,e)}parseConditional(e,r,i){if(this.eat(17)){let s=this.startNodeAt(r);return s.test=e,s.consequent=this.parseMaybeAssignAllowIn(),this.expect(14),s.alternate=this.parseMaybeAssign(),this.finishNode(s,"ConditionalExpression")}return e}parseMaybeUnaryOrPrivate(e){return this.match(139)?this.parsePrivateName():this.parseMaybeUnary(e)}parseExprOps(e){let r=this.state.startLoc,i=this.state.potentialArrowAt,s=this.parseMaybeUnaryOrPrivate(e);return this.shouldExitDescending(s,i)?s:this.parseExprOp(s,r,-1)}parseExprOp(e,r,i){if(this.isPrivateName(e)){let a=this.getPrivateNameSV(e);(i>=Ps(58)||!this.prodParam.hasIn||!this.match(58))&&this.raise(N.PrivateInExpectedIn,e,{identifierName:a}),this.classScope.usePrivateName(a,e.loc.start)}let s=this.state.type;if(j0(s)&&(this.prodParam.hasIn||!this.match(58))){let a=Ps(s);if(a>i){if(s===39){if(this.expectPlugin("pipelineOperator"),this.state.inFSharpPipelineDirectBody)return e;this.checkPipelineAtInfixOperator(e,r)}let l=this.startNodeAt(r);l.left=e,l.operator=this.state.value;let u=s===41||s===42,p=s===40;if(p&&(a=Ps(42)),this.next(),s===39&&this.hasPlugin(["pipelineOperator",{proposal:"minimal"}])&&this.state.type===96&&this.prodParam.hasAwait)throw this.raise(N.UnexpectedAwaitAfterPipelineBody,this.state.startLoc);l.right=this.parseExprOpRightExpr(s,a);let h=this.finishNode(l,u||p?"LogicalExpression":"BinaryExpression"),m=this.state.type;if(p&&(m===41||m===42)||u&&m===40)throw this.raise(N.MixingCoalesceWithLogical,this.state.startLoc);return this.parseExprOp(h,r,i)}}return e}parseExprOpRightExpr(e,r){let i=this.state.startLoc;switch(e){case 39:switch(this.getPluginOption("pipelineOperator","proposal")){case"hack":return this.withTopicBindingContext(()=>this.parseHackPipeBody());case"fsharp":return this.withSoloAwaitPermittingContext(()=>this.parseFSharpPipelineBody(r))}if(this.getPluginOption("pipelineOperator","proposal")==="smart")return this.withTopicBindingContext(()=>{if(this.prodParam.hasYield&&this.isContextual(108))throw this.raise(N.PipeBodyIsTighter,this.state.startLoc);return this.parseSmartPipelineBodyInStyle(this.parseExprOpBaseRightExpr(e,r),i)});default:return this.parseExprOpBaseRightExpr(e,r)}}parseExprOpBaseRightExpr(e,r){let i=this.state.startLoc;return this.parseExprOp(this.parseMaybeUnaryOrPrivate(),i,Y0(e)?r-1:r)}parseHackPipeBody(){var e;let{startLoc:r}=this.state,i=this.parseMaybeAssign();return v0.has(i.type)&&!((e=i.extra)!=null&&e.parenthesized)&&this.raise(N.PipeUnparenthesizedBody,r,{type:i.type}),this.topicReferenceWasUsedInCurrentContext()||this.raise(N.PipeTopicUnused,r),i}checkExponentialAfterUnary(e){this.match(57)&&this.raise(N.UnexpectedTokenUnaryExponentiation,e.argument)}parseMaybeUnary(e,r){let i=this.state.startLoc,s=this.isContextual(96);if(s&&this.recordAwaitIfAllowed()){this.next();let p=this.parseAwait(i);return r||this.checkExponentialAfterUnary(p),p}let a=this.match(34),l=this.startNode();if(U0(this.state.type)){l.operator=this.state.value,l.prefix=!0,this.match(72)&&this.expectPlugin("throwExpressions");let p=this.match(89);if(this.next(),l.argument=this.parseMaybeUnary(null,!0),this.checkExpressionErrors(e,!0),this.state.strict&&p){let h=l.argument;h.type==="Identifier"?this.raise(N.StrictDelete,l):this.hasPropertyAsPrivateName(h)&&this.raise(N.DeletePrivateField,l)}if(!a)return r||this.checkExponentialAfterUnary(l),this.finishNode(l,"UnaryExpression")}let u=this.parseUpdate(l,a,e);if(s){let{type:p}=this.state;if((this.hasPlugin("v8intrinsic")?Si(p):Si(p)&&!this.match(54))&&!this.isAmbiguousPrefixOrIdentifier())return this.raiseOverwrite(N.AwaitNotInAsyncContext,i),this.parseAwait(i)}return u}parseUpdate(e,r,i){if(r){let l=e;return this.checkLVal(l.argument,this.finishNode(l,"UpdateExpression")),e}let s=this.state.startLoc,a=this.parseExprSubscripts(i);if(this.checkExpressionErrors(i,!1))return a;for(;V0(this.state.type)&&!this.canInsertSemicolon();){let l=this.startNodeAt(s);l.operator=this.state.value,l.prefix=!1,l.argument=a,this.next(),this.checkLVal(a,a=this.finishNode(l,"UpdateExpression"))}return a}parseExprSubscripts(e){let r=this.state.startLoc,i=this.state.potentialArrowAt,s=this.parseExprAtom(e);return this.shouldExitDescending(s,i)?s:this.parseSubscripts(s,r)}parseSubscripts(e,r,i){let s={optionalChainMember:!1,maybeAsyncArrow:this.atPossibleAsyncArrow(e),stop:!1};do e=this.parseSubscript(e,r,i,s),s.maybeAsyncArrow=!1;while(!s.stop);return e}parseSubscript(e,r,i,s){let{type:a}=this.state;if(!i&&a===15)return this.parseBind(e,r,s);if(Is(a))return this.parseTaggedTemplateExpression(e,r,s);let l=!1;if(a===18){if(i&&(this.raise(N.OptionalChainingNoNew,this.state.startLoc),this.lookaheadCharCode()===40))return this.stopParseSubscript(e,s);s.optionalChainMember=l=!0,this.next()}if(!i&&this.match(10))return this.parseCoverCallAndAsyncArrowHead(e,r,s,l);{let u=this.eat(0);return u||l||this.eat(16)?this.parseMember(e,r,s,u,l):this.stopParseSubscript(e,s)}}stopParseSubscript(e,r){return r.stop=!0,e}parseMember(e,r,i,s,a){let l=this.startNodeAt(r);return l.object=e,l.computed=s,s?(l.property=this.parseExpression(),this.expect(3)):this.match(139)?(e.type==="Super"&&this.raise(N.SuperPrivateField,r),this.classScope.usePrivateName(this.state.value,this.state.startLoc),l.property=this.parsePrivateName()):l.property=this.parseIdentifier(!0),i.optionalChainMember?(l.optional=a,this.finishNode(l,"OptionalMemberExpression")):this.finishNode(l,"MemberExpression")}parseBind(e,r,i){let s=this.startNodeAt(r);s.object=e,this.next();let a=this.match(83),l=this.parseNoCallExpr();if(l.type==="Super"||a&&l.type==="ImportExpression"||l.type==="Import")throw this.raise(N.UnsupportedBindRHS,l);return s.callee=l,i.stop=!0,this.parseSubscripts(this.finishNode(s,"BindExpression"),r,!1)}parseCoverCallAndAsyncArrowHead(e,r,i,s){let a=this.state.maybeInArrowParameters,l=null;this.state.maybeInArrowParameters=!0,this.next();let u=this.startNodeAt(r);u.callee=e;let{maybeAsyncArrow:p,optionalChainMember:h}=i;p&&(this.expressionScope.enter(xx()),l=new Dr),h&&(u.optional=s),s?u.arguments=this.parseCallExpressionArguments():u.arguments=this.parseCallExpressionArguments(e.type!=="Super",u,l);let m=this.finishCallExpression(u,h);return p&&this.shouldParseAsyncArrow()&&!s?(i.stop=!0,this.checkDestructuringPrivate(l),this.expressionScope.validateAsPattern(),this.expressionScope.exit(),m=this.parseAsyncArrowFromCallExpression(this.startNodeAt(r),m)):(p&&(this.checkExpressionErrors(l,!0),this.expressionScope.exit()),this.toReferencedArguments(m)),this.state.maybeInArrowParameters=a,m}toReferencedArguments(e,r){this.toReferencedListDeep(e.arguments,r)}parseTaggedTemplateExpression(e,r,i){let s=this.startNodeAt(r);return s.tag=e,s.quasi=this.parseTemplate(!0),i.optionalChainMember&&this.raise(N.OptionalChainingNoTemplate,r),this.finishNode(s,"TaggedTemplateExpression")}atPossibleAsyncArrow(e){return e.type==="Identifier"&&e.name==="async"&&this.state.lastTokEndLoc.index===e.end&&!this.canInsertSemicolon()&&e.end-e.start===5&&this.offsetToSourcePos(e.start)===this.state.potentialArrowAt}finishCallExpression(e,r){if(e.callee.type==="Import")if(e.arguments.length===0||e.arguments.length>2)this.raise(N.ImportCallArity,e);else for(let i of e.arguments)i.type==="SpreadElement"&&this.raise(N.ImportCallSpreadArgument,i);return this.finishNode(e,r?"OptionalCallExpression":"CallExpression")}parseCallExpressionArguments(e,r,i){let s=[],a=!0,l=this.state.inFSharpPipelineDirectBody;for(this.state.inFSharpPipelineDirectBody=!1;!this.eat(11);){if(a)a=!1;else if(this.expect(12),this.match(11)){r&&this.addTrailingCommaExtraToNode(r),this.next();break}s.push(this.parseExprListItem(11,!1,i,e))}return this.state.inFSharpPipelineDirectBody=l,s}shouldParseAsyncArrow(){return this.match(19)&&!this.canInsertSemicolon()}parseAsyncArrowFromCallExpression(e,r){var i;return this.resetPreviousNodeTrailingComments(r),this.expect(19),this.parseArrowExpression(e,r.arguments,!0,(i=r.extra)==null?void 0:i.trailingCommaLoc),r.innerComments&&vi(e,r.innerComments),r.callee.trailingComments&&vi(e,r.callee.trailingComments),e}parseNoCallExpr(){let e=this.state.startLoc;return this.parseSubscripts(this.parseExprAtom(),e,!0)}parseExprAtom(e){let r,i=null,{type:s}=this.state;switch(s){case 79:return this.parseSuper();case 83:return r=this.startNode(),this.next(),this.match(16)?this.parseImportMetaPropertyOrPhaseCall(r):this.match(10)?this.optionFlags&512?this.parseImportCall(r):this.finishNode(r,"Import"):(this.raise(N.UnsupportedImport,this.state.lastTokStartLoc),this.finishNode(r,"Import"));case 78:return r=this.startNode(),this.next(),this.finishNode(r,"ThisExpression");case 90:return this.parseDo(this.startNode(),!1);case 56:case 31:return this.readRegexp(),this.parseRegExpLiteral(this.state.value);case 135:return this.parseNumericLiteral(this.state.value);case 136:return this.parseBigIntLiteral(this.state.value);case 134:return this.parseStringLiteral(this.state.value);case 84:return this.parseNullLiteral();case 85:return this.parseBooleanLiteral(!0);case 86:return this.parseBooleanLiteral(!1);case 10:{let a=this.state.potentialArrowAt===this.state.start;return this.parseParenAndDistinguishExpression(a)}case 0:return this.parseArrayLike(3,!1,e);case 5:return this.parseObjectLike(8,!1,!1,e);case 68:return this.parseFunctionOrFunctionSent();case 26:i=this.parseDecorators();case 80:return this.parseClass(this.maybeTakeDecorators(i,this.startNode()),!1);case 77:return this.parseNewOrNewTarget();case 25:case 24:return this.parseTemplate(!1);case 15:{r=this.startNode(),this.next(),r.object=null;let a=r.callee=this.parseNoCallExpr();if(a.type==="MemberExpression")return this.finishNode(r,"BindExpression");throw this.raise(N.UnsupportedBind,a)}case 139:return this.raise(N.PrivateInExpectedIn,this.state.startLoc,{identifierName:this.state.value}),this.parsePrivateName();case 33:return this.parseTopicReferenceThenEqualsSign(54,"%");case 32:return this.parseTopicReferenceThenEqualsSign(44,"^");case 37:case 38:return this.parseTopicReference("hack");case 44:case 54:case 27:{let a=this.getPluginOption("pipelineOperator","proposal");if(a)return this.parseTopicReference(a);throw this.unexpected()}case 47:{let a=this.input.codePointAt(this.nextTokenStart());throw yt(a)||a===62?this.expectOnePlugin(["jsx","flow","typescript"]):this.unexpected()}default:if(s===137)return this.parseDecimalLiteral(this.state.value);if(s===2||s===1)return this.parseArrayLike(this.state.type===2?4:3,!0);if(s===6||s===7)return this.parseObjectLike(this.state.type===6?9:8,!1,!0);if(me(s)){if(this.isContextual(127)&&this.lookaheadInLineCharCode()===123)return this.parseModuleExpression();let a=this.state.potentialArrowAt===this.state.start,l=this.state.containsEsc,u=this.parseIdentifier();if(!l&&u.name==="async"&&!this.canInsertSemicolon()){let{type:p}=this.state;if(p===68)return this.resetPreviousNodeTrailingComments(u),this.next(),this.parseAsyncFunctionExpression(this.startNodeAtNode(u));if(me(p))return a&&this.lookaheadCharCode()===61?this.parseAsyncArrowUnaryFunction(this.startNodeAtNode(u)):u;if(p===90)return this.resetPreviousNodeTrailingComments(u),this.parseDo(this.startNodeAtNode(u),!0)}return a&&this.match(19)&&!this.canInsertSemicolon()?(this.next(),this.parseArrowExpression(this.startNodeAtNode(u),[u],!1)):u}else throw this.unexpected()}}parseTopicReferenceThenEqualsSign(e,r){let i=this.getPluginOption("pipelineOperator","proposal");if(i)return this.state.type=e,this.state.value=r,this.state.pos--,this.state.end--,this.state.endLoc=Ve(this.state.endLoc,-1),this.parseTopicReference(i);throw this.unexpected()}parseTopicReference(e){let r=this.startNode(),i=this.state.startLoc,s=this.state.type;return this.next(),this.finishTopicReference(r,i,e,s)}finishTopicReference(e,r,i,s){if(this.testTopicReferenceConfiguration(i,r,s))return i==="hack"?(this.topicReferenceIsAllowedInCurrentContext()||this.raise(N.PipeTopicUnbound,r),this.registerTopicReference(),this.finishNode(e,"TopicReference")):(this.topicReferenceIsAllowedInCurrentContext()||this.raise(N.PrimaryTopicNotAllowed,r),this.registerTopicReference(),this.finishNode(e,"PipelinePrimaryTopicReference"));throw this.raise(N.PipeTopicUnconfiguredToken,r,{token:Bt(s)})}testTopicReferenceConfiguration(e,r,i){switch(e){case"hack":return this.hasPlugin(["pipelineOperator",{topicToken:Bt(i)}]);case"smart":return i===27;default:throw this.raise(N.PipeTopicRequiresHackPipes,r)}}parseAsyncArrowUnaryFunction(e){this.prodParam.enter(vs(!0,this.prodParam.hasYield));let r=[this.parseIdentifier()];return this.prodParam.exit(),this.hasPrecedingLineBreak()&&this.raise(N.LineTerminatorBeforeArrow,this.state.curPosition()),this.expect(19),this.parseArrowExpression(e,r,!0)}parseDo(e,r){this.expectPlugin("doExpressions"),r&&this.expectPlugin("asyncDoExpressions"),e.async=r,this.next();let i=this.state.labels;return this.state.labels=[],r?(this.prodParam.enter(2),e.body=this.parseBlock(),this.prodParam.exit()):e.body=this.parseBlock(),this.state.labels=i,this.finishNode(e,"DoExpression")}parseSuper(){let e=this.startNode();return this.next(),this.match(10)&&!this.scope.allowDirectSuper?this.optionFlags&16||this.raise(N.SuperNotAllowed,e):this.scope.allowSuper||this.optionFlags&16||this.raise(N.UnexpectedSuper,e),!this.match(10)&&!this.match(0)&&!this.match(16)&&this.raise(N.UnsupportedSuper,e),this.finishNode(e,"Super")}parsePrivateName(){let e=this.startNode(),r=this.startNodeAt(Ve(this.state.startLoc,1)),i=this.state.value;return this.next(),e.id=this.createIdentifier(r,i),this.finishNode(e,"PrivateName")}parseFunctionOrFunctionSent(){let e=this.startNode();if(this.next(),this.prodParam.hasYield&&this.match(16)){let r=this.createIdentifier(this.startNodeAtNode(e),"function");return this.next(),this.match(103)?this.expectPlugin("functionSent"):this.hasPlugin("functionSent")||this.unexpected(),this.parseMetaProperty(e,r,"sent")}return this.parseFunction(e)}parseMetaProperty(e,r,i){e.meta=r;let s=this.state.containsEsc;return e.property=this.parseIdentifier(!0),(e.property.name!==i||s)&&this.raise(N.UnsupportedMetaProperty,e.property,{target:r.name,onlyValidPropertyName:i}),this.finishNode(e,"MetaProperty")}parseImportMetaPropertyOrPhaseCall(e){if(this.next(),this.isContextual(105)||this.isContextual(97)){let r=this.isContextual(105);return this.expectPlugin(r?"sourcePhaseImports":"deferredImportEvaluation"),this.next(),e.phase=r?"source":"defer",this.parseImportCall(e)}else{let r=this.createIdentifierAt(this.startNodeAtNode(e),"import",this.state.lastTokStartLoc);return this.isContextual(101)&&(this.inModule||this.raise(N.ImportMetaOutsideModule,r),this.sawUnambiguousESM=!0),this.parseMetaProperty(e,r,"meta")}}parseLiteralAtNode(e,r,i){return this.addExtra(i,"rawValue",e),this.addExtra(i,"raw",this.input.slice(this.offsetToSourcePos(i.start),this.state.end)),i.value=e,this.next(),this.finishNode(i,r)}parseLiteral(e,r){let i=this.startNode();return this.parseLiteralAtNode(e,r,i)}parseStringLiteral(e){return this.parseLiteral(e,"StringLiteral")}parseNumericLiteral(e){return this.parseLiteral(e,"NumericLiteral")}parseBigIntLiteral(e){return this.parseLiteral(e,"BigIntLiteral")}parseDecimalLiteral(e){return this.parseLiteral(e,"DecimalLiteral")}parseRegExpLiteral(e){let r=this.startNode();return this.addExtra(r,"raw",this.input.slice(this.offsetToSourcePos(r.start),this.state.end)),r.pattern=e.pattern,r.flags=e.flags,this.next(),this.finishNode(r,"RegExpLiteral")}parseBooleanLiteral(e){let r=this.startNode();return r.value=e,this.next(),this.finishNode(r,"BooleanLiteral")}parseNullLiteral(){let e=this.startNode();return this.next(),this.finishNode(e,"NullLiteral")}parseParenAndDistinguishExpression(e){let r=this.state.startLoc,i;this.next(),this.expressionScope.enter(Tx());let s=this.state.maybeInArrowParameters,a=this.state.inFSharpPipelineDirectBody;this.state.maybeInArrowParameters=!0,this.state.inFSharpPipelineDirectBody=!1;let l=this.state.startLoc,u=[],p=new Dr,h=!0,m,I;for(;!this.match(11);){if(h)h=!1;else if(this.expect(12,p.optionalParametersLoc===null?null:p.optionalParametersLoc),this.match(11)){I=this.state.startLoc;break}if(this.match(21)){let B=this.state.startLoc;if(m=this.state.startLoc,u.push(this.parseParenItem(this.parseRestBinding(),B)),!this.checkCommaAfterRest(41))break}else u.push(this.parseMaybeAssignAllowInOrVoidPattern(11,p,this.parseParenItem))}let _=this.state.lastTokEndLoc;this.expect(11),this.state.maybeInArrowParameters=s,this.state.inFSharpPipelineDirectBody=a;let F=this.startNodeAt(r);return e&&this.shouldParseArrow(u)&&(F=this.parseArrow(F))?(this.checkDestructuringPrivate(p),this.expressionScope.validateAsPattern(),this.expressionScope.exit(),this.parseArrowExpression(F,u,!1),F):(this.expressionScope.exit(),u.length||this.unexpected(this.state.lastTokStartLoc),I&&this.unexpected(I),m&&this.unexpected(m),this.checkExpressionErrors(p,!0),this.toReferencedListDeep(u,!0),u.length>1?(i=this.startNodeAt(l),i.expressions=u,this.finishNode(i,"SequenceExpression"),this.resetEndLocation(i,_)):i=u[0],this.wrapParenthesis(r,i))}wrapParenthesis(e,r){if(!(this.optionFlags&1024))return this.addExtra(r,"parenthesized",!0),this.addExtra(r,"parenStart",e.index),this.takeSurroundingComments(r,e.index,this.state.lastTokEndLoc.index),r;let i=this.startNodeAt(e);return i.expression=r,this.finishNode(i,"ParenthesizedExpression")}shouldParseArrow(e){return!this.canInsertSemicolon()}parseArrow(e){if(this.eat(19))return e}parseParenItem(e,r){return e}parseNewOrNewTarget(){let e=this.startNode();if(this.next(),this.match(16)){let r=this.createIdentifier(this.startNodeAtNode(e),"new");this.next();let i=this.parseMetaProperty(e,r,"target");return this.scope.allowNewTarget||this.raise(N.UnexpectedNewTarget,i),i}return this.parseNew(e)}parseNew(e){if(this.parseNewCallee(e),this.eat(10)){let r=this.parseExprList(11);this.toReferencedList(r),e.arguments=r}else e.arguments=[];return this.finishNode(e,"NewExpression")}parseNewCallee(e){let r=this.match(83),i=this.parseNoCallExpr();e.callee=i,(r&&i.type==="ImportExpression"||i.type==="Import")&&this.raise(N.ImportCallNotNewExpression,i),i.type==="Super"&&this.raise(N.SuperCallNotNewExpression,i)}parseTemplateElement(e){let{start:r,startLoc:i,end:s,value:a}=this.state,l=r+1,u=this.startNodeAt(Ve(i,1));a===null&&(e||this.raise(N.InvalidEscapeSequenceTemplate,Ve(this.state.firstInvalidTemplateEscapePos,1)));let p=this.match(24),h=p?-1:-2,m=s+h;u.value={raw:this.input.slice(l,m).replace(/\r\n?/g,`
+`),cooked:a===null?null:a.slice(1,h)},u.tail=p,this.next();let I=this.finishNode(u,"TemplateElement");return this.resetEndLocation(I,Ve(this.state.lastTokEndLoc,h)),I}parseTemplate(e){let r=this.startNode(),i=this.parseTemplateElement(e),s=[i],a=[];for(;!i.tail;)a.push(this.parseTemplateSubstitution()),this.readTemplateContinuation(),s.push(i=this.parseTemplateElement(e));return r.expressions=a,r.quasis=s,this.finishNode(r,"TemplateLiteral")}parseTemplateSubstitution(){return this.parseExpression()}parseObjectLike(e,r,i,s){i&&this.expectPlugin("recordAndTuple");let a=this.state.inFSharpPipelineDirectBody;this.state.inFSharpPipelineDirectBody=!1;let l=!1,u=!0,p=this.startNode();for(p.properties=[],this.next();!this.match(e);){if(u)u=!1;else if(this.expect(12),this.match(e)){this.addTrailingCommaExtraToNode(p);break}let m;r?m=this.parseBindingProperty():(m=this.parsePropertyDefinition(s),l=this.checkProto(m,i,l,s)),i&&!this.isObjectProperty(m)&&m.type!=="SpreadElement"&&this.raise(N.InvalidRecordProperty,m),m.shorthand&&this.addExtra(m,"shorthand",!0),p.properties.push(m)}this.next(),this.state.inFSharpPipelineDirectBody=a;let h="ObjectExpression";return r?h="ObjectPattern":i&&(h="RecordExpression"),this.finishNode(p,h)}addTrailingCommaExtraToNode(e){this.addExtra(e,"trailingComma",this.state.lastTokStartLoc.index),this.addExtra(e,"trailingCommaLoc",this.state.lastTokStartLoc,!1)}maybeAsyncOrAccessorProp(e){return!e.computed&&e.key.type==="Identifier"&&(this.isLiteralPropertyName()||this.match(0)||this.match(55))}parsePropertyDefinition(e){let r=[];if(this.match(26))for(this.hasPlugin("decorators")&&this.raise(N.UnsupportedPropertyDecorator,this.state.startLoc);this.match(26);)r.push(this.parseDecorator());let i=this.startNode(),s=!1,a=!1,l;if(this.match(21))return r.length&&this.unexpected(),this.parseSpread();r.length&&(i.decorators=r,r=[]),i.method=!1,e&&(l=this.state.startLoc);let u=this.eat(55);this.parsePropertyNamePrefixOperator(i);let p=this.state.containsEsc;if(this.parsePropertyName(i,e),!u&&!p&&this.maybeAsyncOrAccessorProp(i)){let{key:h}=i,m=h.name;m==="async"&&!this.hasPrecedingLineBreak()&&(s=!0,this.resetPreviousNodeTrailingComments(h),u=this.eat(55),this.parsePropertyName(i)),(m==="get"||m==="set")&&(a=!0,this.resetPreviousNodeTrailingComments(h),i.kind=m,this.match(55)&&(u=!0,this.raise(N.AccessorIsGenerator,this.state.curPosition(),{kind:m}),this.next()),this.parsePropertyName(i))}return this.parseObjPropValue(i,l,u,s,!1,a,e)}getGetterSetterExpectedParamCount(e){return e.kind==="get"?0:1}getObjectOrClassMethodParams(e){return e.params}checkGetterSetterParams(e){var r;let i=this.getGetterSetterExpectedParamCount(e),s=this.getObjectOrClassMethodParams(e);s.length!==i&&this.raise(e.kind==="get"?N.BadGetterArity:N.BadSetterArity,e),e.kind==="set"&&((r=s[s.length-1])==null?void 0:r.type)==="RestElement"&&this.raise(N.BadSetterRestParameter,e)}parseObjectMethod(e,r,i,s,a){if(a){let l=this.parseMethod(e,r,!1,!1,!1,"ObjectMethod");return this.checkGetterSetterParams(l),l}if(i||r||this.match(10))return s&&this.unexpected(),e.kind="method",e.method=!0,this.parseMethod(e,r,i,!1,!1,"ObjectMethod")}parseObjectProperty(e,r,i,s){if(e.shorthand=!1,this.eat(14))return e.value=i?this.parseMaybeDefault(this.state.startLoc):this.parseMaybeAssignAllowInOrVoidPattern(8,s),this.finishObjectProperty(e);if(!e.computed&&e.key.type==="Identifier"){if(this.checkReservedWord(e.key.name,e.key.loc.start,!0,!1),i)e.value=this.parseMaybeDefault(r,this.cloneIdentifier(e.key));else if(this.match(29)){let a=this.state.startLoc;s!=null?s.shorthandAssignLoc===null&&(s.shorthandAssignLoc=a):this.raise(N.InvalidCoverInitializedName,a),e.value=this.parseMaybeDefault(r,this.cloneIdentifier(e.key))}else e.value=this.cloneIdentifier(e.key);return e.shorthand=!0,this.finishObjectProperty(e)}}finishObjectProperty(e){return this.finishNode(e,"ObjectProperty")}parseObjPropValue(e,r,i,s,a,l,u){let p=this.parseObjectMethod(e,i,s,a,l)||this.parseObjectProperty(e,r,a,u);return p||this.unexpected(),p}parsePropertyName(e,r){if(this.eat(0))e.computed=!0,e.key=this.parseMaybeAssignAllowIn(),this.expect(3);else{let{type:i,value:s}=this.state,a;if(st(i))a=this.parseIdentifier(!0);else switch(i){case 135:a=this.parseNumericLiteral(s);break;case 134:a=this.parseStringLiteral(s);break;case 136:a=this.parseBigIntLiteral(s);break;case 139:{let l=this.state.startLoc;r!=null?r.privateKeyLoc===null&&(r.privateKeyLoc=l):this.raise(N.UnexpectedPrivateField,l),a=this.parsePrivateName();break}default:if(i===137){a=this.parseDecimalLiteral(s);break}this.unexpected()}e.key=a,i!==139&&(e.computed=!1)}}initFunction(e,r){e.id=null,e.generator=!1,e.async=r}parseMethod(e,r,i,s,a,l,u=!1){this.initFunction(e,i),e.generator=r,this.scope.enter(530|(u?576:0)|(a?32:0)),this.prodParam.enter(vs(i,e.generator)),this.parseFunctionParams(e,s);let p=this.parseFunctionBodyAndFinish(e,l,!0);return this.prodParam.exit(),this.scope.exit(),p}parseArrayLike(e,r,i){r&&this.expectPlugin("recordAndTuple");let s=this.state.inFSharpPipelineDirectBody;this.state.inFSharpPipelineDirectBody=!1;let a=this.startNode();return this.next(),a.elements=this.parseExprList(e,!r,i,a),this.state.inFSharpPipelineDirectBody=s,this.finishNode(a,r?"TupleExpression":"ArrayExpression")}parseArrowExpression(e,r,i,s){this.scope.enter(518);let a=vs(i,!1);!this.match(5)&&this.prodParam.hasIn&&(a|=8),this.prodParam.enter(a),this.initFunction(e,i);let l=this.state.maybeInArrowParameters;return r&&(this.state.maybeInArrowParameters=!0,this.setArrowFunctionParameters(e,r,s)),this.state.maybeInArrowParameters=!1,this.parseFunctionBody(e,!0),this.prodParam.exit(),this.scope.exit(),this.state.maybeInArrowParameters=l,this.finishNode(e,"ArrowFunctionExpression")}setArrowFunctionParameters(e,r,i){this.toAssignableList(r,i,!1),e.params=r}parseFunctionBodyAndFinish(e,r,i=!1){return this.parseFunctionBody(e,!1,i),this.finishNode(e,r)}parseFunctionBody(e,r,i=!1){let s=r&&!this.match(5);if(this.expressionScope.enter(Yf()),s)e.body=this.parseMaybeAssign(),this.checkParams(e,!1,r,!1);else{let a=this.state.strict,l=this.state.labels;this.state.labels=[],this.prodParam.enter(this.prodParam.currentFlags()|4),e.body=this.parseBlock(!0,!1,u=>{let p=!this.isSimpleParamList(e.params);u&&p&&this.raise(N.IllegalLanguageModeDirective,(e.kind==="method"||e.kind==="constructor")&&e.key?e.key.loc.end:e);let h=!a&&this.state.strict;this.checkParams(e,!this.state.strict&&!r&&!i&&!p,r,h),this.state.strict&&e.id&&this.checkIdentifier(e.id,65,h)}),this.prodParam.exit(),this.state.labels=l}this.expressionScope.exit()}isSimpleParameter(e){return e.type==="Identifier"}isSimpleParamList(e){for(let r=0,i=e.length;r<i;r++)if(!this.isSimpleParameter(e[r]))return!1;return!0}checkParams(e,r,i,s=!0){let a=!r&&new Set,l={type:"FormalParameters"};for(let u of e.params)this.checkLVal(u,l,5,a,s)}parseExprList(e,r,i,s){let a=[],l=!0;for(;!this.eat(e);){if(l)l=!1;else if(this.expect(12),this.match(e)){s&&this.addTrailingCommaExtraToNode(s),this.next();break}a.push(this.parseExprListItem(e,r,i))}return a}parseExprListItem(e,r,i,s){let a;if(this.match(12))r||this.raise(N.UnexpectedToken,this.state.curPosition(),{unexpected:","}),a=null;else if(this.match(21)){let l=this.state.startLoc;a=this.parseParenItem(this.parseSpread(i),l)}else if(this.match(17)){this.expectPlugin("partialApplication"),s||this.raise(N.UnexpectedArgumentPlaceholder,this.state.startLoc);let l=this.startNode();this.next(),a=this.finishNode(l,"ArgumentPlaceholder")}else a=this.parseMaybeAssignAllowInOrVoidPattern(e,i,this.parseParenItem);return a}parseIdentifier(e){let r=this.startNode(),i=this.parseIdentifierName(e);return this.createIdentifier(r,i)}createIdentifier(e,r){return e.name=r,e.loc.identifierName=r,this.finishNode(e,"Identifier")}createIdentifierAt(e,r,i){return e.name=r,e.loc.identifierName=r,this.finishNodeAt(e,"Identifier",i)}parseIdentifierName(e){let r,{startLoc:i,type:s}=this.state;st(s)?r=this.state.value:this.unexpected();let a=M0(s);return e?a&&this.replaceToken(132):this.checkReservedWord(r,i,a,!1),this.next(),r}checkReservedWord(e,r,i,s){if(e.length>10||!ex(e))return;if(i&&G0(e)){this.raise(N.UnexpectedKeyword,r,{keyword:e});return}if((this.state.strict?s?Vf:Rf:Bf)(e,this.inModule)){this.raise(N.UnexpectedReservedWord,r,{reservedWord:e});return}else if(e==="yield"){if(this.prodParam.hasYield){this.raise(N.YieldBindingIdentifier,r);return}}else if(e==="await"){if(this.prodParam.hasAwait){this.raise(N.AwaitBindingIdentifier,r);return}if(this.scope.inStaticBlock){this.raise(N.AwaitBindingIdentifierInStaticBlock,r);return}this.expressionScope.recordAsyncArrowParametersError(r)}else if(e==="arguments"&&this.scope.inClassAndNotInNonArrowFunction){this.raise(N.ArgumentsInClass,r);return}}recordAwaitIfAllowed(){let e=this.prodParam.hasAwait;return e&&!this.scope.inFunction&&(this.state.hasTopLevelAwait=!0),e}parseAwait(e){let r=this.startNodeAt(e);return this.expressionScope.recordParameterInitializerError(N.AwaitExpressionFormalParameter,r),this.eat(55)&&this.raise(N.ObsoleteAwaitStar,r),!this.scope.inFunction&&!(this.optionFlags&1)&&(this.isAmbiguousPrefixOrIdentifier()?this.ambiguousScriptDifferentAst=!0:this.sawUnambiguousESM=!0),this.state.soloAwait||(r.argument=this.parseMaybeUnary(null,!0)),this.finishNode(r,"AwaitExpression")}isAmbiguousPrefixOrIdentifier(){if(this.hasPrecedingLineBreak())return!0;let{type:e}=this.state;return e===53||e===10||e===0||Is(e)||e===102&&!this.state.containsEsc||e===138||e===56||this.hasPlugin("v8intrinsic")&&e===54}parseYield(e){let r=this.startNodeAt(e);this.expressionScope.recordParameterInitializerError(N.YieldInParameter,r);let i=!1,s=null;if(!this.hasPrecedingLineBreak())switch(i=this.eat(55),this.state.type){case 13:case 140:case 8:case 11:case 3:case 9:case 14:case 12:if(!i)break;default:s=this.parseMaybeAssign()}return r.delegate=i,r.argument=s,this.finishNode(r,"YieldExpression")}parseImportCall(e){if(this.next(),e.source=this.parseMaybeAssignAllowIn(),e.options=null,this.eat(12)){if(this.match(11))this.addTrailingCommaExtraToNode(e.source);else if(e.options=this.parseMaybeAssignAllowIn(),this.eat(12)&&(this.addTrailingCommaExtraToNode(e.options),!this.match(11))){do this.parseMaybeAssignAllowIn();while(this.eat(12)&&!this.match(11));this.raise(N.ImportCallArity,e)}}return this.expect(11),this.finishNode(e,"ImportExpression")}checkPipelineAtInfixOperator(e,r){this.hasPlugin(["pipelineOperator",{proposal:"smart"}])&&e.type==="SequenceExpression"&&this.raise(N.PipelineHeadSequenceExpression,r)}parseSmartPipelineBodyInStyle(e,r){if(this.isSimpleReference(e)){let i=this.startNodeAt(r);return i.callee=e,this.finishNode(i,"PipelineBareFunction")}else{let i=this.startNodeAt(r);return this.checkSmartPipeTopicBodyEarlyErrors(r),i.expression=e,this.finishNode(i,"PipelineTopicExpression")}}isSimpleReference(e){switch(e.type){case"MemberExpression":return!e.computed&&this.isSimpleReference(e.object);case"Identifier":return!0;default:return!1}}checkSmartPipeTopicBodyEarlyErrors(e){if(this.match(19))throw this.raise(N.PipelineBodyNoArrow,this.state.startLoc);this.topicReferenceWasUsedInCurrentContext()||this.raise(N.PipelineTopicUnused,e)}withTopicBindingContext(e){let r=this.state.topicContext;this.state.topicContext={maxNumOfResolvableTopics:1,maxTopicIndex:null};try{return e()}finally{this.state.topicContext=r}}withSmartMixTopicForbiddingContext(e){if(this.hasPlugin(["pipelineOperator",{proposal:"smart"}])){let r=this.state.topicContext;this.state.topicContext={maxNumOfResolvableTopics:0,maxTopicIndex:null};try{return e()}finally{this.state.topicContext=r}}else return e()}withSoloAwaitPermittingContext(e){let r=this.state.soloAwait;this.state.soloAwait=!0;try{return e()}finally{this.state.soloAwait=r}}allowInAnd(e){let r=this.prodParam.currentFlags();if(8&~r){this.prodParam.enter(r|8);try{return e()}finally{this.prodParam.exit()}}return e()}disallowInAnd(e){let r=this.prodParam.currentFlags();if(8&r){this.prodParam.enter(r&-9);try{return e()}finally{this.prodParam.exit()}}return e()}registerTopicReference(){this.state.topicContext.maxTopicIndex=0}topicReferenceIsAllowedInCurrentContext(){return this.state.topicContext.maxNumOfResolvableTopics>=1}topicReferenceWasUsedInCurrentContext(){return this.state.topicContext.maxTopicIndex!=null&&this.state.topicContext.maxTopicIndex>=0}parseFSharpPipelineBody(e){let r=this.state.startLoc;this.state.potentialArrowAt=this.state.start;let i=this.state.inFSharpPipelineDirectBody;this.state.inFSharpPipelineDirectBody=!0;let s=this.parseExprOp(this.parseMaybeUnaryOrPrivate(),r,e);return this.state.inFSharpPipelineDirectBody=i,s}parseModuleExpression(){this.expectPlugin("moduleBlocks");let e=this.startNode();this.next(),this.match(5)||this.unexpected(null,5);let r=this.startNodeAt(this.state.endLoc);this.next();let i=this.initializeScopes(!0);this.enterInitialScopes();try{e.body=this.parseProgram(r,8,"module")}finally{i()}return this.finishNode(e,"ModuleExpression")}parseVoidPattern(e){this.expectPlugin("discardBinding");let r=this.startNode();return e!=null&&(e.voidPatternLoc=this.state.startLoc),this.next(),this.finishNode(r,"VoidPattern")}parseMaybeAssignAllowInOrVoidPattern(e,r,i){if(r!=null&&this.match(88)){let s=this.lookaheadCharCode();if(s===44||s===(e===3?93:e===8?125:41)||s===61)return this.parseMaybeDefault(this.state.startLoc,this.parseVoidPattern(r))}return this.parseMaybeAssignAllowIn(r,i)}parsePropertyNamePrefixOperator(e){}},Hn={kind:1},Ox={kind:2},kx=/[\uD800-\uDFFF]/u,Gn=/in(?:stanceof)?/y;function _x(t,e,r){for(let i=0;i<t.length;i++){let s=t[i],{type:a}=s;if(typeof a=="number"){if(a===139){let{loc:l,start:u,value:p,end:h}=s,m=u+1,I=Ve(l.start,1);t.splice(i,1,new dt({type:vt(27),value:"#",start:u,end:m,startLoc:l.start,endLoc:I}),new dt({type:vt(132),value:p,start:m,end:h,startLoc:I,endLoc:l.end})),i++;continue}if(Is(a)){let{loc:l,start:u,value:p,end:h}=s,m=u+1,I=Ve(l.start,1),_;e.charCodeAt(u-r)===96?_=new dt({type:vt(22),value:"`",start:u,end:m,startLoc:l.start,endLoc:I}):_=new dt({type:vt(8),value:"}",start:u,end:m,startLoc:l.start,endLoc:I});let F,B,U,te;a===24?(B=h-1,U=Ve(l.end,-1),F=p===null?null:p.slice(1,-1),te=new dt({type:vt(22),value:"`",start:B,end:h,startLoc:U,endLoc:l.end})):(B=h-2,U=Ve(l.end,-2),F=p===null?null:p.slice(1,-2),te=new dt({type:vt(23),value:"${",start:B,end:h,startLoc:U,endLoc:l.end})),t.splice(i,1,_,new dt({type:vt(20),value:F,start:m,end:B,startLoc:I,endLoc:U}),te),i+=2;continue}s.type=vt(a)}}return t}n(_x,"babel7CompatTokens");var xa=class extends Ta{static{n(this,"StatementParser")}parseTopLevel(e,r){return e.program=this.parseProgram(r,140,this.options.sourceType==="module"?"module":"script"),e.comments=this.comments,this.optionFlags&256&&(e.tokens=_x(this.tokens,this.input,this.startIndex)),this.finishNode(e,"File")}parseProgram(e,r,i){if(e.sourceType=i,e.interpreter=this.parseInterpreterDirective(),this.parseBlockBody(e,!0,!0,r),this.inModule){if(!(this.optionFlags&64)&&this.scope.undefinedExports.size>0)for(let[a,l]of Array.from(this.scope.undefinedExports))this.raise(N.ModuleExportUndefined,l,{localName:a});this.addExtra(e,"topLevelAwait",this.state.hasTopLevelAwait)}let s;return r===140?s=this.finishNode(e,"Program"):s=this.finishNodeAt(e,"Program",Ve(this.state.startLoc,-1)),s}stmtToDirective(e){let r=this.castNodeTo(e,"Directive"),i=this.castNodeTo(e.expression,"DirectiveLiteral"),s=i.value,a=this.input.slice(this.offsetToSourcePos(i.start),this.offsetToSourcePos(i.end)),l=i.value=a.slice(1,-1);return this.addExtra(i,"raw",a),this.addExtra(i,"rawValue",l),this.addExtra(i,"expressionValue",s),r.value=i,delete e.expression,r}parseInterpreterDirective(){if(!this.match(28))return null;let e=this.startNode();return e.value=this.state.value,this.next(),this.finishNode(e,"InterpreterDirective")}isLet(){return this.isContextual(100)?this.hasFollowingBindingAtom():!1}isUsing(){return this.isContextual(107)?this.nextTokenIsIdentifierOnSameLine():!1}isForUsing(){if(!this.isContextual(107))return!1;let e=this.nextTokenInLineStart(),r=this.codePointAtPos(e);if(this.isUnparsedContextual(e,"of")){let i=this.lookaheadCharCodeSince(e+2);if(i!==61&&i!==58&&i!==59)return!1}return!!(this.chStartsBindingIdentifier(r,e)||this.isUnparsedContextual(e,"void"))}nextTokenIsIdentifierOnSameLine(){let e=this.nextTokenInLineStart(),r=this.codePointAtPos(e);return this.chStartsBindingIdentifier(r,e)}isAwaitUsing(){if(!this.isContextual(96))return!1;let e=this.nextTokenInLineStart();if(this.isUnparsedContextual(e,"using")){e=this.nextTokenInLineStartSince(e+5);let r=this.codePointAtPos(e);if(this.chStartsBindingIdentifier(r,e))return!0}return!1}chStartsBindingIdentifier(e,r){if(yt(e)){if(Gn.lastIndex=r,Gn.test(this.input)){let i=this.codePointAtPos(Gn.lastIndex);if(!ir(i)&&i!==92)return!1}return!0}else return e===92}chStartsBindingPattern(e){return e===91||e===123}hasFollowingBindingAtom(){let e=this.nextTokenStart(),r=this.codePointAtPos(e);return this.chStartsBindingPattern(r)||this.chStartsBindingIdentifier(r,e)}hasInLineFollowingBindingIdentifierOrBrace(){let e=this.nextTokenInLineStart(),r=this.codePointAtPos(e);return r===123||this.chStartsBindingIdentifier(r,e)}allowsUsing(){return(this.scope.inModule||!this.scope.inTopLevel)&&!this.scope.inBareCaseStatement}parseModuleItem(){return this.parseStatementLike(15)}parseStatementListItem(){return this.parseStatementLike(6|(!this.options.annexB||this.state.strict?0:8))}parseStatementOrSloppyAnnexBFunctionDeclaration(e=!1){let r=0;return this.options.annexB&&!this.state.strict&&(r|=4,e&&(r|=8)),this.parseStatementLike(r)}parseStatement(){return this.parseStatementLike(0)}parseStatementLike(e){let r=null;return this.match(26)&&(r=this.parseDecorators(!0)),this.parseStatementContent(e,r)}parseStatementContent(e,r){let i=this.state.type,s=this.startNode(),a=!!(e&2),l=!!(e&4),u=e&1;switch(i){case 60:return this.parseBreakContinueStatement(s,!0);case 63:return this.parseBreakContinueStatement(s,!1);case 64:return this.parseDebuggerStatement(s);case 90:return this.parseDoWhileStatement(s);case 91:return this.parseForStatement(s);case 68:if(this.lookaheadCharCode()===46)break;return l||this.raise(this.state.strict?N.StrictFunction:this.options.annexB?N.SloppyFunctionAnnexB:N.SloppyFunction,this.state.startLoc),this.parseFunctionStatement(s,!1,!a&&l);case 80:return a||this.unexpected(),this.parseClass(this.maybeTakeDecorators(r,s),!0);case 69:return this.parseIfStatement(s);case 70:return this.parseReturnStatement(s);case 71:return this.parseSwitchStatement(s);case 72:return this.parseThrowStatement(s);case 73:return this.parseTryStatement(s);case 96:if(this.isAwaitUsing())return this.allowsUsing()?a?this.recordAwaitIfAllowed()||this.raise(N.AwaitUsingNotInAsyncContext,s):this.raise(N.UnexpectedLexicalDeclaration,s):this.raise(N.UnexpectedUsingDeclaration,s),this.next(),this.parseVarStatement(s,"await using");break;case 107:if(this.state.containsEsc||!this.hasInLineFollowingBindingIdentifierOrBrace())break;return this.allowsUsing()?a||this.raise(N.UnexpectedLexicalDeclaration,this.state.startLoc):this.raise(N.UnexpectedUsingDeclaration,this.state.startLoc),this.parseVarStatement(s,"using");case 100:{if(this.state.containsEsc)break;let m=this.nextTokenStart(),I=this.codePointAtPos(m);if(I!==91&&(!a&&this.hasFollowingLineBreak()||!this.chStartsBindingIdentifier(I,m)&&I!==123))break}case 75:a||this.raise(N.UnexpectedLexicalDeclaration,this.state.startLoc);case 74:{let m=this.state.value;return this.parseVarStatement(s,m)}case 92:return this.parseWhileStatement(s);case 76:return this.parseWithStatement(s);case 5:return this.parseBlock();case 13:return this.parseEmptyStatement(s);case 83:{let m=this.lookaheadCharCode();if(m===40||m===46)break}case 82:{!(this.optionFlags&8)&&!u&&this.raise(N.UnexpectedImportExport,this.state.startLoc),this.next();let m;return i===83?m=this.parseImport(s):m=this.parseExport(s,r),this.assertModuleNodeAllowed(m),m}default:if(this.isAsyncFunction())return a||this.raise(N.AsyncFunctionInSingleStatementContext,this.state.startLoc),this.next(),this.parseFunctionStatement(s,!0,!a&&l)}let p=this.state.value,h=this.parseExpression();return me(i)&&h.type==="Identifier"&&this.eat(14)?this.parseLabeledStatement(s,p,h,e):this.parseExpressionStatement(s,h,r)}assertModuleNodeAllowed(e){!(this.optionFlags&8)&&!this.inModule&&this.raise(N.ImportOutsideModule,e)}decoratorsEnabledBeforeExport(){return this.hasPlugin("decorators-legacy")?!0:this.hasPlugin("decorators")&&this.getPluginOption("decorators","decoratorsBeforeExport")!==!1}maybeTakeDecorators(e,r,i){if(e){var s;(s=r.decorators)!=null&&s.length?(typeof this.getPluginOption("decorators","decoratorsBeforeExport")!="boolean"&&this.raise(N.DecoratorsBeforeAfterExport,r.decorators[0]),r.decorators.unshift(...e)):r.decorators=e,this.resetStartLocationFromNode(r,e[0]),i&&this.resetStartLocationFromNode(i,r)}return r}canHaveLeadingDecorator(){return this.match(80)}parseDecorators(e){let r=[];do r.push(this.parseDecorator());while(this.match(26));if(this.match(82))e||this.unexpected(),this.decoratorsEnabledBeforeExport()||this.raise(N.DecoratorExportClass,this.state.startLoc);else if(!this.canHaveLeadingDecorator())throw this.raise(N.UnexpectedLeadingDecorator,this.state.startLoc);return r}parseDecorator(){this.expectOnePlugin(["decorators","decorators-legacy"]);let e=this.startNode();if(this.next(),this.hasPlugin("decorators")){let r=this.state.startLoc,i;if(this.match(10)){let s=this.state.startLoc;this.next(),i=this.parseExpression(),this.expect(11),i=this.wrapParenthesis(s,i);let a=this.state.startLoc;e.expression=this.parseMaybeDecoratorArguments(i,s),this.getPluginOption("decorators","allowCallParenthesized")===!1&&e.expression!==i&&this.raise(N.DecoratorArgumentsOutsideParentheses,a)}else{for(i=this.parseIdentifier(!1);this.eat(16);){let s=this.startNodeAt(r);s.object=i,this.match(139)?(this.classScope.usePrivateName(this.state.value,this.state.startLoc),s.property=this.parsePrivateName()):s.property=this.parseIdentifier(!0),s.computed=!1,i=this.finishNode(s,"MemberExpression")}e.expression=this.parseMaybeDecoratorArguments(i,r)}}else e.expression=this.parseExprSubscripts();return this.finishNode(e,"Decorator")}parseMaybeDecoratorArguments(e,r){if(this.eat(10)){let i=this.startNodeAt(r);return i.callee=e,i.arguments=this.parseCallExpressionArguments(),this.toReferencedList(i.arguments),this.finishNode(i,"CallExpression")}return e}parseBreakContinueStatement(e,r){return this.next(),this.isLineTerminator()?e.label=null:(e.label=this.parseIdentifier(),this.semicolon()),this.verifyBreakContinue(e,r),this.finishNode(e,r?"BreakStatement":"ContinueStatement")}verifyBreakContinue(e,r){let i;for(i=0;i<this.state.labels.length;++i){let s=this.state.labels[i];if((e.label==null||s.name===e.label.name)&&(s.kind!=null&&(r||s.kind===1)||e.label&&r))break}if(i===this.state.labels.length){let s=r?"BreakStatement":"ContinueStatement";this.raise(N.IllegalBreakContinue,e,{type:s})}}parseDebuggerStatement(e){return this.next(),this.semicolon(),this.finishNode(e,"DebuggerStatement")}parseHeaderExpression(){this.expect(10);let e=this.parseExpression();return this.expect(11),e}parseDoWhileStatement(e){return this.next(),this.state.labels.push(Hn),e.body=this.withSmartMixTopicForbiddingContext(()=>this.parseStatement()),this.state.labels.pop(),this.expect(92),e.test=this.parseHeaderExpression(),this.eat(13),this.finishNode(e,"DoWhileStatement")}parseForStatement(e){this.next(),this.state.labels.push(Hn);let r=null;if(this.isContextual(96)&&this.recordAwaitIfAllowed()&&(r=this.state.startLoc,this.next()),this.scope.enter(0),this.expect(10),this.match(13))return r!==null&&this.unexpected(r),this.parseFor(e,null);let i=this.isContextual(100);{let p=this.isAwaitUsing(),h=p||this.isForUsing(),m=i&&this.hasFollowingBindingAtom()||h;if(this.match(74)||this.match(75)||m){let I=this.startNode(),_;p?(_="await using",this.recordAwaitIfAllowed()||this.raise(N.AwaitUsingNotInAsyncContext,this.state.startLoc),this.next()):_=this.state.value,this.next(),this.parseVar(I,!0,_);let F=this.finishNode(I,"VariableDeclaration"),B=this.match(58);return B&&h&&this.raise(N.ForInUsing,F),(B||this.isContextual(102))&&F.declarations.length===1?this.parseForIn(e,F,r):(r!==null&&this.unexpected(r),this.parseFor(e,F))}}let s=this.isContextual(95),a=new Dr,l=this.parseExpression(!0,a),u=this.isContextual(102);if(u&&(i&&this.raise(N.ForOfLet,l),r===null&&s&&l.type==="Identifier"&&this.raise(N.ForOfAsync,l)),u||this.match(58)){this.checkDestructuringPrivate(a),this.toAssignable(l,!0);let p=u?"ForOfStatement":"ForInStatement";return this.checkLVal(l,{type:p}),this.parseForIn(e,l,r)}else this.checkExpressionErrors(a,!0);return r!==null&&this.unexpected(r),this.parseFor(e,l)}parseFunctionStatement(e,r,i){return this.next(),this.parseFunction(e,1|(i?2:0)|(r?8:0))}parseIfStatement(e){return this.next(),e.test=this.parseHeaderExpression(),e.consequent=this.parseStatementOrSloppyAnnexBFunctionDeclaration(),e.alternate=this.eat(66)?this.parseStatementOrSloppyAnnexBFunctionDeclaration():null,this.finishNode(e,"IfStatement")}parseReturnStatement(e){return this.prodParam.hasReturn||this.raise(N.IllegalReturn,this.state.startLoc),this.next(),this.isLineTerminator()?e.argument=null:(e.argument=this.parseExpression(),this.semicolon()),this.finishNode(e,"ReturnStatement")}parseSwitchStatement(e){this.next(),e.discriminant=this.parseHeaderExpression();let r=e.cases=[];this.expect(5),this.state.labels.push(Ox),this.scope.enter(256);let i;for(let s;!this.match(8);)if(this.match(61)||this.match(65)){let a=this.match(61);i&&this.finishNode(i,"SwitchCase"),r.push(i=this.startNode()),i.consequent=[],this.next(),a?i.test=this.parseExpression():(s&&this.raise(N.MultipleDefaultsInSwitch,this.state.lastTokStartLoc),s=!0,i.test=null),this.expect(14)}else i?i.consequent.push(this.parseStatementListItem()):this.unexpected();return this.scope.exit(),i&&this.finishNode(i,"SwitchCase"),this.next(),this.state.labels.pop(),this.finishNode(e,"SwitchStatement")}parseThrowStatement(e){return this.next(),this.hasPrecedingLineBreak()&&this.raise(N.NewlineAfterThrow,this.state.lastTokEndLoc),e.argument=this.parseExpression(),this.semicolon(),this.finishNode(e,"ThrowStatement")}parseCatchClauseParam(){let e=this.parseBindingAtom();return this.scope.enter(this.options.annexB&&e.type==="Identifier"?8:0),this.checkLVal(e,{type:"CatchClause"},9),e}parseTryStatement(e){if(this.next(),e.block=this.parseBlock(),e.handler=null,this.match(62)){let r=this.startNode();this.next(),this.match(10)?(this.expect(10),r.param=this.parseCatchClauseParam(),this.expect(11)):(r.param=null,this.scope.enter(0)),r.body=this.withSmartMixTopicForbiddingContext(()=>this.parseBlock(!1,!1)),this.scope.exit(),e.handler=this.finishNode(r,"CatchClause")}return e.finalizer=this.eat(67)?this.parseBlock():null,!e.handler&&!e.finalizer&&this.raise(N.NoCatchOrFinally,e),this.finishNode(e,"TryStatement")}parseVarStatement(e,r,i=!1){return this.next(),this.parseVar(e,!1,r,i),this.semicolon(),this.finishNode(e,"VariableDeclaration")}parseWhileStatement(e){return this.next(),e.test=this.parseHeaderExpression(),this.state.labels.push(Hn),e.body=this.withSmartMixTopicForbiddingContext(()=>this.parseStatement()),this.state.labels.pop(),this.finishNode(e,"WhileStatement")}parseWithStatement(e){return this.state.strict&&this.raise(N.StrictWith,this.state.startLoc),this.next(),e.object=this.parseHeaderExpression(),e.body=this.withSmartMixTopicForbiddingContext(()=>this.parseStatement()),this.finishNode(e,"WithStatement")}parseEmptyStatement(e){return this.next(),this.finishNode(e,"EmptyStatement")}parseLabeledStatement(e,r,i,s){for(let l of this.state.labels)l.name===r&&this.raise(N.LabelRedeclaration,i,{labelName:r});let a=R0(this.state.type)?1:this.match(71)?2:null;for(let l=this.state.labels.length-1;l>=0;l--){let u=this.state.labels[l];if(u.statementStart===e.start)u.statementStart=this.sourceToOffsetPos(this.state.start),u.kind=a;else break}return this.state.labels.push({name:r,kind:a,statementStart:this.sourceToOffsetPos(this.state.start)}),e.body=s&8?this.parseStatementOrSloppyAnnexBFunctionDeclaration(!0):this.parseStatement(),this.state.labels.pop(),e.label=i,this.finishNode(e,"LabeledStatement")}parseExpressionStatement(e,r,i){return e.expression=r,this.semicolon(),this.finishNode(e,"ExpressionStatement")}parseBlock(e=!1,r=!0,i){let s=this.startNode();return e&&this.state.strictErrors.clear(),this.expect(5),r&&this.scope.enter(0),this.parseBlockBody(s,e,!1,8,i),r&&this.scope.exit(),this.finishNode(s,"BlockStatement")}isValidDirective(e){return e.type==="ExpressionStatement"&&e.expression.type==="StringLiteral"&&!e.expression.extra.parenthesized}parseBlockBody(e,r,i,s,a){let l=e.body=[],u=e.directives=[];this.parseBlockOrModuleBlockBody(l,r?u:void 0,i,s,a)}parseBlockOrModuleBlockBody(e,r,i,s,a){let l=this.state.strict,u=!1,p=!1;for(;!this.match(s);){let h=i?this.parseModuleItem():this.parseStatementListItem();if(r&&!p){if(this.isValidDirective(h)){let m=this.stmtToDirective(h);r.push(m),!u&&m.value.value==="use strict"&&(u=!0,this.setStrict(!0));continue}p=!0,this.state.strictErrors.clear()}e.push(h)}a?.call(this,u),l||this.setStrict(!1),this.next()}parseFor(e,r){return e.init=r,this.semicolon(!1),e.test=this.match(13)?null:this.parseExpression(),this.semicolon(!1),e.update=this.match(11)?null:this.parseExpression(),this.expect(11),e.body=this.withSmartMixTopicForbiddingContext(()=>this.parseStatement()),this.scope.exit(),this.state.labels.pop(),this.finishNode(e,"ForStatement")}parseForIn(e,r,i){let s=this.match(58);return this.next(),s?i!==null&&this.unexpected(i):e.await=i!==null,r.type==="VariableDeclaration"&&r.declarations[0].init!=null&&(!s||!this.options.annexB||this.state.strict||r.kind!=="var"||r.declarations[0].id.type!=="Identifier")&&this.raise(N.ForInOfLoopInitializer,r,{type:s?"ForInStatement":"ForOfStatement"}),r.type==="AssignmentPattern"&&this.raise(N.InvalidLhs,r,{ancestor:{type:"ForStatement"}}),e.left=r,e.right=s?this.parseExpression():this.parseMaybeAssignAllowIn(),this.expect(11),e.body=this.withSmartMixTopicForbiddingContext(()=>this.parseStatement()),this.scope.exit(),this.state.labels.pop(),this.finishNode(e,s?"ForInStatement":"ForOfStatement")}parseVar(e,r,i,s=!1){let a=e.declarations=[];for(e.kind=i;;){let l=this.startNode();if(this.parseVarId(l,i),l.init=this.eat(29)?r?this.parseMaybeAssignDisallowIn():this.parseMaybeAssignAllowIn():null,l.init===null&&!s&&(l.id.type!=="Identifier"&&!(r&&(this.match(58)||this.isContextual(102)))?this.raise(N.DeclarationMissingInitializer,this.state.lastTokEndLoc,{kind:"destructuring"}):(i==="const"||i==="using"||i==="await using")&&!(this.match(58)||this.isContextual(102))&&this.raise(N.DeclarationMissingInitializer,this.state.lastTokEndLoc,{kind:i})),a.push(this.finishNode(l,"VariableDeclarator")),!this.eat(12))break}return e}parseVarId(e,r){let i=this.parseBindingAtom();r==="using"||r==="await using"?(i.type==="ArrayPattern"||i.type==="ObjectPattern")&&this.raise(N.UsingDeclarationHasBindingPattern,i.loc.start):i.type==="VoidPattern"&&this.raise(N.UnexpectedVoidPattern,i.loc.start),this.checkLVal(i,{type:"VariableDeclarator"},r==="var"?5:8201),e.id=i}parseAsyncFunctionExpression(e){return this.parseFunction(e,8)}parseFunction(e,r=0){let i=r&2,s=!!(r&1),a=s&&!(r&4),l=!!(r&8);this.initFunction(e,l),this.match(55)&&(i&&this.raise(N.GeneratorInSingleStatementContext,this.state.startLoc),this.next(),e.generator=!0),s&&(e.id=this.parseFunctionId(a));let u=this.state.maybeInArrowParameters;return this.state.maybeInArrowParameters=!1,this.scope.enter(514),this.prodParam.enter(vs(l,e.generator)),s||(e.id=this.parseFunctionId()),this.parseFunctionParams(e,!1),this.withSmartMixTopicForbiddingContext(()=>{this.parseFunctionBodyAndFinish(e,s?"FunctionDeclaration":"FunctionExpression")}),this.prodParam.exit(),this.scope.exit(),s&&!i&&this.registerFunctionStatementId(e),this.state.maybeInArrowParameters=u,e}parseFunctionId(e){return e||me(this.state.type)?this.parseIdentifier():null}parseFunctionParams(e,r){this.expect(10),this.expressionScope.enter(mx()),e.params=this.parseBindingList(11,41,2|(r?4:0)),this.expressionScope.exit()}registerFunctionStatementId(e){e.id&&this.scope.declareName(e.id.name,!this.options.annexB||this.state.strict||e.generator||e.async?this.scope.treatFunctionsAsVar?5:8201:17,e.id.loc.start)}parseClass(e,r,i){this.next();let s=this.state.strict;return this.state.strict=!0,this.parseClassId(e,r,i),this.parseClassSuper(e),e.body=this.parseClassBody(!!e.superClass,s),this.finishNode(e,r?"ClassDeclaration":"ClassExpression")}isClassProperty(){return this.match(29)||this.match(13)||this.match(8)}isClassMethod(){return this.match(10)}nameIsConstructor(e){return e.type==="Identifier"&&e.name==="constructor"||e.type==="StringLiteral"&&e.value==="constructor"}isNonstaticConstructor(e){return!e.computed&&!e.static&&this.nameIsConstructor(e.key)}parseClassBody(e,r){this.classScope.enter();let i={hadConstructor:!1,hadSuperClass:e},s=[],a=this.startNode();if(a.body=[],this.expect(5),this.withSmartMixTopicForbiddingContext(()=>{for(;!this.match(8);){if(this.eat(13)){if(s.length>0)throw this.raise(N.DecoratorSemicolon,this.state.lastTokEndLoc);continue}if(this.match(26)){s.push(this.parseDecorator());continue}let l=this.startNode();s.length&&(l.decorators=s,this.resetStartLocationFromNode(l,s[0]),s=[]),this.parseClassMember(a,l,i),l.kind==="constructor"&&l.decorators&&l.decorators.length>0&&this.raise(N.DecoratorConstructor,l)}}),this.state.strict=r,this.next(),s.length)throw this.raise(N.TrailingDecorator,this.state.startLoc);return this.classScope.exit(),this.finishNode(a,"ClassBody")}parseClassMemberFromModifier(e,r){let i=this.parseIdentifier(!0);if(this.isClassMethod()){let s=r;return s.kind="method",s.computed=!1,s.key=i,s.static=!1,this.pushClassMethod(e,s,!1,!1,!1,!1),!0}else if(this.isClassProperty()){let s=r;return s.computed=!1,s.key=i,s.static=!1,e.body.push(this.parseClassProperty(s)),!0}return this.resetPreviousNodeTrailingComments(i),!1}parseClassMember(e,r,i){let s=this.isContextual(106);if(s){if(this.parseClassMemberFromModifier(e,r))return;if(this.eat(5)){this.parseClassStaticBlock(e,r);return}}this.parseClassMemberWithIsStatic(e,r,i,s)}parseClassMemberWithIsStatic(e,r,i,s){let a=r,l=r,u=r,p=r,h=r,m=a,I=a;if(r.static=s,this.parsePropertyNamePrefixOperator(r),this.eat(55)){m.kind="method";let Y=this.match(139);if(this.parseClassElementName(m),this.parsePostMemberNameModifiers(m),Y){this.pushClassPrivateMethod(e,l,!0,!1);return}this.isNonstaticConstructor(a)&&this.raise(N.ConstructorIsGenerator,a.key),this.pushClassMethod(e,a,!0,!1,!1,!1);return}let _=!this.state.containsEsc&&me(this.state.type),F=this.parseClassElementName(r),B=_?F.name:null,U=this.isPrivateName(F),te=this.state.startLoc;if(this.parsePostMemberNameModifiers(I),this.isClassMethod()){if(m.kind="method",U){this.pushClassPrivateMethod(e,l,!1,!1);return}let Y=this.isNonstaticConstructor(a),Q=!1;Y&&(a.kind="constructor",i.hadConstructor&&!this.hasPlugin("typescript")&&this.raise(N.DuplicateConstructor,F),Y&&this.hasPlugin("typescript")&&r.override&&this.raise(N.OverrideOnConstructor,F),i.hadConstructor=!0,Q=i.hadSuperClass),this.pushClassMethod(e,a,!1,!1,Y,Q)}else if(this.isClassProperty())U?this.pushClassPrivateProperty(e,p):this.pushClassProperty(e,u);else if(B==="async"&&!this.isLineTerminator()){this.resetPreviousNodeTrailingComments(F);let Y=this.eat(55);I.optional&&this.unexpected(te),m.kind="method";let Q=this.match(139);this.parseClassElementName(m),this.parsePostMemberNameModifiers(I),Q?this.pushClassPrivateMethod(e,l,Y,!0):(this.isNonstaticConstructor(a)&&this.raise(N.ConstructorIsAsync,a.key),this.pushClassMethod(e,a,Y,!0,!1,!1))}else if((B==="get"||B==="set")&&!(this.match(55)&&this.isLineTerminator())){this.resetPreviousNodeTrailingComments(F),m.kind=B;let Y=this.match(139);this.parseClassElementName(a),Y?this.pushClassPrivateMethod(e,l,!1,!1):(this.isNonstaticConstructor(a)&&this.raise(N.ConstructorIsAccessor,a.key),this.pushClassMethod(e,a,!1,!1,!1,!1)),this.checkGetterSetterParams(a)}else if(B==="accessor"&&!this.isLineTerminator()){this.expectPlugin("decoratorAutoAccessors"),this.resetPreviousNodeTrailingComments(F);let Y=this.match(139);this.parseClassElementName(u),this.pushClassAccessorProperty(e,h,Y)}else this.isLineTerminator()?U?this.pushClassPrivateProperty(e,p):this.pushClassProperty(e,u):this.unexpected()}parseClassElementName(e){let{type:r,value:i}=this.state;if((r===132||r===134)&&e.static&&i==="prototype"&&this.raise(N.StaticPrototype,this.state.startLoc),r===139){i==="constructor"&&this.raise(N.ConstructorClassPrivateField,this.state.startLoc);let s=this.parsePrivateName();return e.key=s,s}return this.parsePropertyName(e),e.key}parseClassStaticBlock(e,r){var i;this.scope.enter(720);let s=this.state.labels;this.state.labels=[],this.prodParam.enter(0);let a=r.body=[];this.parseBlockOrModuleBlockBody(a,void 0,!1,8),this.prodParam.exit(),this.scope.exit(),this.state.labels=s,e.body.push(this.finishNode(r,"StaticBlock")),(i=r.decorators)!=null&&i.length&&this.raise(N.DecoratorStaticBlock,r)}pushClassProperty(e,r){!r.computed&&this.nameIsConstructor(r.key)&&this.raise(N.ConstructorClassField,r.key),e.body.push(this.parseClassProperty(r))}pushClassPrivateProperty(e,r){let i=this.parseClassPrivateProperty(r);e.body.push(i),this.classScope.declarePrivateName(this.getPrivateNameSV(i.key),0,i.key.loc.start)}pushClassAccessorProperty(e,r,i){!i&&!r.computed&&this.nameIsConstructor(r.key)&&this.raise(N.ConstructorClassField,r.key);let s=this.parseClassAccessorProperty(r);e.body.push(s),i&&this.classScope.declarePrivateName(this.getPrivateNameSV(s.key),0,s.key.loc.start)}pushClassMethod(e,r,i,s,a,l){e.body.push(this.parseMethod(r,i,s,a,l,"ClassMethod",!0))}pushClassPrivateMethod(e,r,i,s){let a=this.parseMethod(r,i,s,!1,!1,"ClassPrivateMethod",!0);e.body.push(a);let l=a.kind==="get"?a.static?6:2:a.kind==="set"?a.static?5:1:0;this.declareClassPrivateMethodInScope(a,l)}declareClassPrivateMethodInScope(e,r){this.classScope.declarePrivateName(this.getPrivateNameSV(e.key),r,e.key.loc.start)}parsePostMemberNameModifiers(e){}parseClassPrivateProperty(e){return this.parseInitializer(e),this.semicolon(),this.finishNode(e,"ClassPrivateProperty")}parseClassProperty(e){return this.parseInitializer(e),this.semicolon(),this.finishNode(e,"ClassProperty")}parseClassAccessorProperty(e){return this.parseInitializer(e),this.semicolon(),this.finishNode(e,"ClassAccessorProperty")}parseInitializer(e){this.scope.enter(592),this.expressionScope.enter(Yf()),this.prodParam.enter(0),e.value=this.eat(29)?this.parseMaybeAssignAllowIn():null,this.expressionScope.exit(),this.prodParam.exit(),this.scope.exit()}parseClassId(e,r,i,s=8331){if(me(this.state.type))e.id=this.parseIdentifier(),r&&this.declareNameFromIdentifier(e.id,s);else if(i||!r)e.id=null;else throw this.raise(N.MissingClassName,this.state.startLoc)}parseClassSuper(e){e.superClass=this.eat(81)?this.parseExprSubscripts():null}parseExport(e,r){let i=this.parseMaybeImportPhase(e,!0),s=this.maybeParseExportDefaultSpecifier(e,i),a=!s||this.eat(12),l=a&&this.eatExportStar(e),u=l&&this.maybeParseExportNamespaceSpecifier(e),p=a&&(!u||this.eat(12)),h=s||l;if(l&&!u){if(s&&this.unexpected(),r)throw this.raise(N.UnsupportedDecoratorExport,e);return this.parseExportFrom(e,!0),this.sawUnambiguousESM=!0,this.finishNode(e,"ExportAllDeclaration")}let m=this.maybeParseExportNamedSpecifiers(e);s&&a&&!l&&!m&&this.unexpected(null,5),u&&p&&this.unexpected(null,98);let I;if(h||m){if(I=!1,r)throw this.raise(N.UnsupportedDecoratorExport,e);this.parseExportFrom(e,h)}else I=this.maybeParseExportDeclaration(e);if(h||m||I){var _;let F=e;if(this.checkExport(F,!0,!1,!!F.source),((_=F.declaration)==null?void 0:_.type)==="ClassDeclaration")this.maybeTakeDecorators(r,F.declaration,F);else if(r)throw this.raise(N.UnsupportedDecoratorExport,e);return this.sawUnambiguousESM=!0,this.finishNode(F,"ExportNamedDeclaration")}if(this.eat(65)){let F=e,B=this.parseExportDefaultExpression();if(F.declaration=B,B.type==="ClassDeclaration")this.maybeTakeDecorators(r,B,F);else if(r)throw this.raise(N.UnsupportedDecoratorExport,e);return this.checkExport(F,!0,!0),this.sawUnambiguousESM=!0,this.finishNode(F,"ExportDefaultDeclaration")}throw this.unexpected(null,5)}eatExportStar(e){return this.eat(55)}maybeParseExportDefaultSpecifier(e,r){if(r||this.isExportDefaultSpecifier()){this.expectPlugin("exportDefaultFrom",r?.loc.start);let i=r||this.parseIdentifier(!0),s=this.startNodeAtNode(i);return s.exported=i,e.specifiers=[this.finishNode(s,"ExportDefaultSpecifier")],!0}return!1}maybeParseExportNamespaceSpecifier(e){if(this.isContextual(93)){var r,i;(i=(r=e).specifiers)!=null||(r.specifiers=[]);let s=this.startNodeAt(this.state.lastTokStartLoc);return this.next(),s.exported=this.parseModuleExportName(),e.specifiers.push(this.finishNode(s,"ExportNamespaceSpecifier")),!0}return!1}maybeParseExportNamedSpecifiers(e){if(this.match(5)){let r=e;r.specifiers||(r.specifiers=[]);let i=r.exportKind==="type";return r.specifiers.push(...this.parseExportSpecifiers(i)),r.source=null,this.hasPlugin("importAssertions")?r.assertions=[]:r.attributes=[],r.declaration=null,!0}return!1}maybeParseExportDeclaration(e){return this.shouldParseExportDeclaration()?(e.specifiers=[],e.source=null,this.hasPlugin("importAssertions")?e.assertions=[]:e.attributes=[],e.declaration=this.parseExportDeclaration(e),!0):!1}isAsyncFunction(){if(!this.isContextual(95))return!1;let e=this.nextTokenInLineStart();return this.isUnparsedContextual(e,"function")}parseExportDefaultExpression(){let e=this.startNode();if(this.match(68))return this.next(),this.parseFunction(e,5);if(this.isAsyncFunction())return this.next(),this.next(),this.parseFunction(e,13);if(this.match(80))return this.parseClass(e,!0,!0);if(this.match(26))return this.hasPlugin("decorators")&&this.getPluginOption("decorators","decoratorsBeforeExport")===!0&&this.raise(N.DecoratorBeforeExport,this.state.startLoc),this.parseClass(this.maybeTakeDecorators(this.parseDecorators(!1),this.startNode()),!0,!0);if(this.match(75)||this.match(74)||this.isLet()||this.isUsing()||this.isAwaitUsing())throw this.raise(N.UnsupportedDefaultExport,this.state.startLoc);let r=this.parseMaybeAssignAllowIn();return this.semicolon(),r}parseExportDeclaration(e){return this.match(80)?this.parseClass(this.startNode(),!0,!1):this.parseStatementListItem()}isExportDefaultSpecifier(){let{type:e}=this.state;if(me(e)){if(e===95&&!this.state.containsEsc||e===100)return!1;if((e===130||e===129)&&!this.state.containsEsc){let s=this.nextTokenStart(),a=this.input.charCodeAt(s);if(a===123||this.chStartsBindingIdentifier(a,s)&&!this.input.startsWith("from",s))return this.expectOnePlugin(["flow","typescript"]),!1}}else if(!this.match(65))return!1;let r=this.nextTokenStart(),i=this.isUnparsedContextual(r,"from");if(this.input.charCodeAt(r)===44||me(this.state.type)&&i)return!0;if(this.match(65)&&i){let s=this.input.charCodeAt(this.nextTokenStartSince(r+4));return s===34||s===39}return!1}parseExportFrom(e,r){this.eatContextual(98)?(e.source=this.parseImportSource(),this.checkExport(e),this.maybeParseImportAttributes(e),this.checkJSONModuleImport(e)):r&&this.unexpected(),this.semicolon()}shouldParseExportDeclaration(){let{type:e}=this.state;return e===26&&(this.expectOnePlugin(["decorators","decorators-legacy"]),this.hasPlugin("decorators"))?(this.getPluginOption("decorators","decoratorsBeforeExport")===!0&&this.raise(N.DecoratorBeforeExport,this.state.startLoc),!0):this.isUsing()?(this.raise(N.UsingDeclarationExport,this.state.startLoc),!0):this.isAwaitUsing()?(this.raise(N.UsingDeclarationExport,this.state.startLoc),!0):e===74||e===75||e===68||e===80||this.isLet()||this.isAsyncFunction()}checkExport(e,r,i,s){if(r){var a;if(i){if(this.checkDuplicateExports(e,"default"),this.hasPlugin("exportDefaultFrom")){var l;let u=e.declaration;u.type==="Identifier"&&u.name==="from"&&u.end-u.start===4&&!((l=u.extra)!=null&&l.parenthesized)&&this.raise(N.ExportDefaultFromAsIdentifier,u)}}else if((a=e.specifiers)!=null&&a.length)for(let u of e.specifiers){let{exported:p}=u,h=p.type==="Identifier"?p.name:p.value;if(this.checkDuplicateExports(u,h),!s&&u.local){let{local:m}=u;m.type!=="Identifier"?this.raise(N.ExportBindingIsString,u,{localName:m.value,exportName:h}):(this.checkReservedWord(m.name,m.loc.start,!0,!1),this.scope.checkLocalExport(m))}}else if(e.declaration){let u=e.declaration;if(u.type==="FunctionDeclaration"||u.type==="ClassDeclaration"){let{id:p}=u;if(!p)throw new Error("Assertion failure");this.checkDuplicateExports(e,p.name)}else if(u.type==="VariableDeclaration")for(let p of u.declarations)this.checkDeclaration(p.id)}}}checkDeclaration(e){if(e.type==="Identifier")this.checkDuplicateExports(e,e.name);else if(e.type==="ObjectPattern")for(let r of e.properties)this.checkDeclaration(r);else if(e.type==="ArrayPattern")for(let r of e.elements)r&&this.checkDeclaration(r);else e.type==="ObjectProperty"?this.checkDeclaration(e.value):e.type==="RestElement"?this.checkDeclaration(e.argument):e.type==="AssignmentPattern"&&this.checkDeclaration(e.left)}checkDuplicateExports(e,r){this.exportedIdentifiers.has(r)&&(r==="default"?this.raise(N.DuplicateDefaultExport,e):this.raise(N.DuplicateExport,e,{exportName:r})),this.exportedIdentifiers.add(r)}parseExportSpecifiers(e){let r=[],i=!0;for(this.expect(5);!this.eat(8);){if(i)i=!1;else if(this.expect(12),this.eat(8))break;let s=this.isContextual(130),a=this.match(134),l=this.startNode();l.local=this.parseModuleExportName(),r.push(this.parseExportSpecifier(l,a,e,s))}return r}parseExportSpecifier(e,r,i,s){return this.eatContextual(93)?e.exported=this.parseModuleExportName():r?e.exported=this.cloneStringLiteral(e.local):e.exported||(e.exported=this.cloneIdentifier(e.local)),this.finishNode(e,"ExportSpecifier")}parseModuleExportName(){if(this.match(134)){let e=this.parseStringLiteral(this.state.value),r=kx.exec(e.value);return r&&this.raise(N.ModuleExportNameHasLoneSurrogate,e,{surrogateCharCode:r[0].charCodeAt(0)}),e}return this.parseIdentifier(!0)}isJSONModuleImport(e){return e.assertions!=null?e.assertions.some(({key:r,value:i})=>i.value==="json"&&(r.type==="Identifier"?r.name==="type":r.value==="type")):!1}checkImportReflection(e){let{specifiers:r}=e,i=r.length===1?r[0].type:null;if(e.phase==="source")i!=="ImportDefaultSpecifier"&&this.raise(N.SourcePhaseImportRequiresDefault,r[0].loc.start);else if(e.phase==="defer")i!=="ImportNamespaceSpecifier"&&this.raise(N.DeferImportRequiresNamespace,r[0].loc.start);else if(e.module){var s;i!=="ImportDefaultSpecifier"&&this.raise(N.ImportReflectionNotBinding,r[0].loc.start),((s=e.assertions)==null?void 0:s.length)>0&&this.raise(N.ImportReflectionHasAssertion,r[0].loc.start)}}checkJSONModuleImport(e){if(this.isJSONModuleImport(e)&&e.type!=="ExportAllDeclaration"){let{specifiers:r}=e;if(r!=null){let i=r.find(s=>{let a;if(s.type==="ExportSpecifier"?a=s.local:s.type==="ImportSpecifier"&&(a=s.imported),a!==void 0)return a.type==="Identifier"?a.name!=="default":a.value!=="default"});i!==void 0&&this.raise(N.ImportJSONBindingNotDefault,i.loc.start)}}}isPotentialImportPhase(e){return e?!1:this.isContextual(105)||this.isContextual(97)||this.isContextual(127)}applyImportPhase(e,r,i,s){r||(i==="module"?(this.expectPlugin("importReflection",s),e.module=!0):this.hasPlugin("importReflection")&&(e.module=!1),i==="source"?(this.expectPlugin("sourcePhaseImports",s),e.phase="source"):i==="defer"?(this.expectPlugin("deferredImportEvaluation",s),e.phase="defer"):this.hasPlugin("sourcePhaseImports")&&(e.phase=null))}parseMaybeImportPhase(e,r){if(!this.isPotentialImportPhase(r))return this.applyImportPhase(e,r,null),null;let i=this.startNode(),s=this.parseIdentifierName(!0),{type:a}=this.state;return(st(a)?a!==98||this.lookaheadCharCode()===102:a!==12)?(this.applyImportPhase(e,r,s,i.loc.start),null):(this.applyImportPhase(e,r,null),this.createIdentifier(i,s))}isPrecedingIdImportPhase(e){let{type:r}=this.state;return me(r)?r!==98||this.lookaheadCharCode()===102:r!==12}parseImport(e){return this.match(134)?this.parseImportSourceAndAttributes(e):this.parseImportSpecifiersAndAfter(e,this.parseMaybeImportPhase(e,!1))}parseImportSpecifiersAndAfter(e,r){e.specifiers=[];let s=!this.maybeParseDefaultImportSpecifier(e,r)||this.eat(12),a=s&&this.maybeParseStarImportSpecifier(e);return s&&!a&&this.parseNamedImportSpecifiers(e),this.expectContextual(98),this.parseImportSourceAndAttributes(e)}parseImportSourceAndAttributes(e){var r;return(r=e.specifiers)!=null||(e.specifiers=[]),e.source=this.parseImportSource(),this.maybeParseImportAttributes(e),this.checkImportReflection(e),this.checkJSONModuleImport(e),this.semicolon(),this.sawUnambiguousESM=!0,this.finishNode(e,"ImportDeclaration")}parseImportSource(){return this.match(134)||this.unexpected(),this.parseExprAtom()}parseImportSpecifierLocal(e,r,i){r.local=this.parseIdentifier(),e.specifiers.push(this.finishImportSpecifier(r,i))}finishImportSpecifier(e,r,i=8201){return this.checkLVal(e.local,{type:r},i),this.finishNode(e,r)}parseImportAttributes(){this.expect(5);let e=[],r=new Set;do{if(this.match(8))break;let i=this.startNode(),s=this.state.value;if(r.has(s)&&this.raise(N.ModuleAttributesWithDuplicateKeys,this.state.startLoc,{key:s}),r.add(s),this.match(134)?i.key=this.parseStringLiteral(s):i.key=this.parseIdentifier(!0),this.expect(14),!this.match(134))throw this.raise(N.ModuleAttributeInvalidValue,this.state.startLoc);i.value=this.parseStringLiteral(this.state.value),e.push(this.finishNode(i,"ImportAttribute"))}while(this.eat(12));return this.expect(8),e}parseModuleAttributes(){let e=[],r=new Set;do{let i=this.startNode();if(i.key=this.parseIdentifier(!0),i.key.name!=="type"&&this.raise(N.ModuleAttributeDifferentFromType,i.key),r.has(i.key.name)&&this.raise(N.ModuleAttributesWithDuplicateKeys,i.key,{key:i.key.name}),r.add(i.key.name),this.expect(14),!this.match(134))throw this.raise(N.ModuleAttributeInvalidValue,this.state.startLoc);i.value=this.parseStringLiteral(this.state.value),e.push(this.finishNode(i,"ImportAttribute"))}while(this.eat(12));return e}maybeParseImportAttributes(e){let r;var i=!1;if(this.match(76)){if(this.hasPrecedingLineBreak()&&this.lookaheadCharCode()===40)return;this.next(),this.hasPlugin("moduleAttributes")?(r=this.parseModuleAttributes(),this.addExtra(e,"deprecatedWithLegacySyntax",!0)):r=this.parseImportAttributes(),i=!0}else this.isContextual(94)&&!this.hasPrecedingLineBreak()?(!this.hasPlugin("deprecatedImportAssert")&&!this.hasPlugin("importAssertions")&&this.raise(N.ImportAttributesUseAssert,this.state.startLoc),this.hasPlugin("importAssertions")||this.addExtra(e,"deprecatedAssertSyntax",!0),this.next(),r=this.parseImportAttributes()):r=[];!i&&this.hasPlugin("importAssertions")?e.assertions=r:e.attributes=r}maybeParseDefaultImportSpecifier(e,r){if(r){let i=this.startNodeAtNode(r);return i.local=r,e.specifiers.push(this.finishImportSpecifier(i,"ImportDefaultSpecifier")),!0}else if(st(this.state.type))return this.parseImportSpecifierLocal(e,this.startNode(),"ImportDefaultSpecifier"),!0;return!1}maybeParseStarImportSpecifier(e){if(this.match(55)){let r=this.startNode();return this.next(),this.expectContextual(93),this.parseImportSpecifierLocal(e,r,"ImportNamespaceSpecifier"),!0}return!1}parseNamedImportSpecifiers(e){let r=!0;for(this.expect(5);!this.eat(8);){if(r)r=!1;else{if(this.eat(14))throw this.raise(N.DestructureNamedImport,this.state.startLoc);if(this.expect(12),this.eat(8))break}let i=this.startNode(),s=this.match(134),a=this.isContextual(130);i.imported=this.parseModuleExportName();let l=this.parseImportSpecifier(i,s,e.importKind==="type"||e.importKind==="typeof",a,void 0);e.specifiers.push(l)}}parseImportSpecifier(e,r,i,s,a){if(this.eatContextual(93))e.local=this.parseIdentifier();else{let{imported:l}=e;if(r)throw this.raise(N.ImportBindingIsString,e,{importName:l.value});this.checkReservedWord(l.name,e.loc.start,!0,!0),e.local||(e.local=this.cloneIdentifier(l))}return this.finishImportSpecifier(e,"ImportSpecifier",a)}isThisParam(e){return e.type==="Identifier"&&e.name==="this"}},Cs=class extends xa{static{n(this,"Parser")}constructor(e,r,i){let s=O0(e);super(s,r),this.options=s,this.initializeScopes(),this.plugins=i,this.filename=s.sourceFilename,this.startIndex=s.startIndex;let a=0;s.allowAwaitOutsideFunction&&(a|=1),s.allowReturnOutsideFunction&&(a|=2),s.allowImportExportEverywhere&&(a|=8),s.allowSuperOutsideMethod&&(a|=16),s.allowUndeclaredExports&&(a|=64),s.allowNewTargetOutsideFunction&&(a|=4),s.allowYieldOutsideFunction&&(a|=32),s.ranges&&(a|=128),s.tokens&&(a|=256),s.createImportExpressions&&(a|=512),s.createParenthesizedExpressions&&(a|=1024),s.errorRecovery&&(a|=2048),s.attachComment&&(a|=4096),s.annexB&&(a|=8192),this.optionFlags=a}getScopeHandler(){return Pi}parse(){this.enterInitialScopes();let e=this.startNode(),r=this.startNode();this.nextToken(),e.errors=null;let i=this.parseTopLevel(e,r);return i.errors=this.state.errors,i.comments.length=this.state.commentsLen,i}};function Dx(t,e){var r;if(((r=e)==null?void 0:r.sourceType)==="unambiguous"){e=Object.assign({},e);try{e.sourceType="module";let i=bi(e,t),s=i.parse();if(i.sawUnambiguousESM)return s;if(i.ambiguousScriptDifferentAst)try{return e.sourceType="script",bi(e,t).parse()}catch{}else s.program.sourceType="script";return s}catch(i){try{return e.sourceType="script",bi(e,t).parse()}catch{}throw i}}else return bi(e,t).parse()}n(Dx,"parse");function Lx(t,e){let r=bi(e,t);return r.options.strictMode&&(r.state.strict=!0),r.getExpression()}n(Lx,"parseExpression");function Mx(t){let e={};for(let r of Object.keys(t))e[r]=vt(t[r]);return e}n(Mx,"generateExportedTokenTypes");var Fx=Mx(L0);function bi(t,e){let r=Cs,i=new Map;if(t!=null&&t.plugins){for(let s of t.plugins){let a,l;typeof s=="string"?a=s:[a,l]=s,i.has(a)||i.set(a,l||{})}Cx(i),r=Bx(i)}return new r(t,e,i)}n(bi,"getParser");var Df=new Map;function Bx(t){let e=[];for(let s of Nx)t.has(s)&&e.push(s);let r=e.join("|"),i=Df.get(r);if(!i){i=Cs;for(let s of e)i=Wf[s](i);Df.set(r,i)}return i}n(Bx,"getParserClass");Ai.parse=Dx;Ai.parseExpression=Lx;Ai.tokTypes=Fx});var Ns=D(Na=>{"use strict";T();Object.defineProperty(Na,"__esModule",{value:!0});Na.default=Rx;function Rx(t,e){let r=Object.keys(e);for(let i of r)if(t[i]!==e[i])return!1;return!0}n(Rx,"shallowEqual")});var Br=D(Oa=>{"use strict";T();Object.defineProperty(Oa,"__esModule",{value:!0});Oa.default=jx;var $f=new Set;function jx(t,e,r="",i=t){if($f.has(i))return;$f.add(i);let{internal:s,trace:a}=Vx(1,2);s||console.warn(`${r}\`${t}\` has been deprecated, please migrate to \`${e}\`
+${a}`)}n(jx,"deprecationWarning");function Vx(t,e){let{stackTraceLimit:r,prepareStackTrace:i}=Error,s;if(Error.stackTraceLimit=1+t+e,Error.prepareStackTrace=function(l,u){s=u},new Error().stack,Error.stackTraceLimit=r,Error.prepareStackTrace=i,!s)return{internal:!1,trace:""};let a=s.slice(1+t,1+t+e);return{internal:/[\\/]@babel[\\/]/.test(a[1].getFileName()),trace:a.map(l=>`    at ${l}`).join(`
+`)}}n(Vx,"captureShortStackTrace")});var ve=D(E=>{"use strict";T();Object.defineProperty(E,"__esModule",{value:!0});E.isAccessor=sv;E.isAnyTypeAnnotation=gb;E.isArgumentPlaceholder=GE;E.isArrayExpression=Ux;E.isArrayPattern=jS;E.isArrayTypeAnnotation=Pb;E.isArrowFunctionExpression=VS;E.isAssignmentExpression=qx;E.isAssignmentPattern=RS;E.isAwaitExpression=ub;E.isBigIntLiteral=pb;E.isBinary=IP;E.isBinaryExpression=Kx;E.isBindExpression=QE;E.isBlock=NP;E.isBlockParent=CP;E.isBlockStatement=Wx;E.isBooleanLiteral=dS;E.isBooleanLiteralTypeAnnotation=Ab;E.isBooleanTypeAnnotation=vb;E.isBreakStatement=$x;E.isCallExpression=zx;E.isCatchClause=Hx;E.isClass=tv;E.isClassAccessorProperty=mb;E.isClassBody=US;E.isClassDeclaration=KS;E.isClassExpression=qS;E.isClassImplements=wb;E.isClassMethod=tb;E.isClassPrivateMethod=xb;E.isClassPrivateProperty=Tb;E.isClassProperty=yb;E.isCompletionStatement=_P;E.isConditional=DP;E.isConditionalExpression=Gx;E.isContinueStatement=Qx;E.isDebuggerStatement=Zx;E.isDecimalLiteral=sg;E.isDeclaration=qP;E.isDeclareClass=Cb;E.isDeclareExportAllDeclaration=Bb;E.isDeclareExportDeclaration=Fb;E.isDeclareFunction=Nb;E.isDeclareInterface=Ob;E.isDeclareModule=kb;E.isDeclareModuleExports=_b;E.isDeclareOpaqueType=Lb;E.isDeclareTypeAlias=Db;E.isDeclareVariable=Mb;E.isDeclaredPredicate=Rb;E.isDecorator=ZE;E.isDirective=Xx;E.isDirectiveLiteral=Jx;E.isDoExpression=eg;E.isDoWhileStatement=eS;E.isEmptyStatement=tS;E.isEmptyTypeAnnotation=zb;E.isEnumBody=pv;E.isEnumBooleanBody=PE;E.isEnumBooleanMember=wE;E.isEnumDeclaration=gE;E.isEnumDefaultedMember=OE;E.isEnumMember=fv;E.isEnumNumberBody=vE;E.isEnumNumberMember=CE;E.isEnumStringBody=AE;E.isEnumStringMember=NE;E.isEnumSymbolBody=IE;E.isExistsTypeAnnotation=jb;E.isExportAllDeclaration=YS;E.isExportDeclaration=rv;E.isExportDefaultDeclaration=XS;E.isExportDefaultSpecifier=tg;E.isExportNamedDeclaration=JS;E.isExportNamespaceSpecifier=fb;E.isExportSpecifier=WS;E.isExpression=AP;E.isExpressionStatement=rS;E.isExpressionWrapper=FP;E.isFile=iS;E.isFlow=av;E.isFlowBaseAnnotation=lv;E.isFlowDeclaration=uv;E.isFlowPredicate=cv;E.isFlowType=ov;E.isFor=BP;E.isForInStatement=sS;E.isForOfStatement=$S;E.isForStatement=nS;E.isForXStatement=RP;E.isFunction=jP;E.isFunctionDeclaration=aS;E.isFunctionExpression=oS;E.isFunctionParameter=KP;E.isFunctionParent=VP;E.isFunctionTypeAnnotation=Vb;E.isFunctionTypeParam=Ub;E.isGenericTypeAnnotation=qb;E.isIdentifier=lS;E.isIfStatement=uS;E.isImmutable=$P;E.isImport=cb;E.isImportAttribute=Eb;E.isImportDeclaration=zS;E.isImportDefaultSpecifier=HS;E.isImportExpression=ZS;E.isImportNamespaceSpecifier=GS;E.isImportOrExportDeclaration=zf;E.isImportSpecifier=QS;E.isIndexedAccessType=kE;E.isInferredPredicate=Kb;E.isInterfaceDeclaration=Xb;E.isInterfaceExtends=Yb;E.isInterfaceTypeAnnotation=Jb;E.isInterpreterDirective=Yx;E.isIntersectionTypeAnnotation=Wb;E.isJSX=hv;E.isJSXAttribute=DE;E.isJSXClosingElement=LE;E.isJSXClosingFragment=WE;E.isJSXElement=ME;E.isJSXEmptyExpression=FE;E.isJSXExpressionContainer=BE;E.isJSXFragment=XE;E.isJSXIdentifier=jE;E.isJSXMemberExpression=VE;E.isJSXNamespacedName=UE;E.isJSXOpeningElement=qE;E.isJSXOpeningFragment=JE;E.isJSXSpreadAttribute=KE;E.isJSXSpreadChild=RE;E.isJSXText=YE;E.isLVal=XP;E.isLabeledStatement=cS;E.isLiteral=WP;E.isLogicalExpression=mS;E.isLoop=LP;E.isMemberExpression=TS;E.isMetaProperty=eb;E.isMethod=HP;E.isMiscellaneous=dv;E.isMixedTypeAnnotation=$b;E.isModuleDeclaration=Pv;E.isModuleExpression=ng;E.isModuleSpecifier=iv;E.isNewExpression=xS;E.isNoop=$E;E.isNullLiteral=hS;E.isNullLiteralTypeAnnotation=Ib;E.isNullableTypeAnnotation=Hb;E.isNumberLiteral=Sv;E.isNumberLiteralTypeAnnotation=Gb;E.isNumberTypeAnnotation=Qb;E.isNumericLiteral=fS;E.isObjectExpression=bS;E.isObjectMember=GP;E.isObjectMethod=ES;E.isObjectPattern=rb;E.isObjectProperty=gS;E.isObjectTypeAnnotation=Zb;E.isObjectTypeCallProperty=tE;E.isObjectTypeIndexer=rE;E.isObjectTypeInternalSlot=eE;E.isObjectTypeProperty=iE;E.isObjectTypeSpreadProperty=sE;E.isOpaqueType=nE;E.isOptionalCallExpression=db;E.isOptionalIndexedAccessType=_E;E.isOptionalMemberExpression=hb;E.isParenthesizedExpression=IS;E.isPattern=ev;E.isPatternLike=YP;E.isPipelineBareFunction=lg;E.isPipelinePrimaryTopicReference=ug;E.isPipelineTopicExpression=og;E.isPlaceholder=zE;E.isPrivate=nv;E.isPrivateName=Sb;E.isProgram=SS;E.isProperty=QP;E.isPureish=UP;E.isQualifiedTypeIdentifier=aE;E.isRecordExpression=rg;E.isRegExpLiteral=yS;E.isRegexLiteral=bv;E.isRestElement=PS;E.isRestProperty=Ev;E.isReturnStatement=vS;E.isScopable=wP;E.isSequenceExpression=AS;E.isSpreadElement=ib;E.isSpreadProperty=gv;E.isStandardized=vP;E.isStatement=OP;E.isStaticBlock=bb;E.isStringLiteral=pS;E.isStringLiteralTypeAnnotation=oE;E.isStringTypeAnnotation=lE;E.isSuper=sb;E.isSwitchCase=wS;E.isSwitchStatement=CS;E.isSymbolTypeAnnotation=uE;E.isTSAnyKeyword=bg;E.isTSArrayType=Vg;E.isTSAsExpression=aP;E.isTSBaseType=xv;E.isTSBigIntKeyword=gg;E.isTSBooleanKeyword=Eg;E.isTSCallSignatureDeclaration=yg;E.isTSConditionalType=Wg;E.isTSConstructSignatureDeclaration=mg;E.isTSConstructorType=Mg;E.isTSDeclareFunction=fg;E.isTSDeclareMethod=hg;E.isTSEntityName=JP;E.isTSEnumBody=uP;E.isTSEnumDeclaration=cP;E.isTSEnumMember=pP;E.isTSExportAssignment=xP;E.isTSExpressionWithTypeArguments=tP;E.isTSExternalModuleReference=mP;E.isTSFunctionType=Lg;E.isTSImportEqualsDeclaration=yP;E.isTSImportType=dP;E.isTSIndexSignature=Sg;E.isTSIndexedAccessType=Gg;E.isTSInferType=$g;E.isTSInstantiationExpression=nP;E.isTSInterfaceBody=iP;E.isTSInterfaceDeclaration=rP;E.isTSIntersectionType=Jg;E.isTSIntrinsicKeyword=Pg;E.isTSLiteralType=eP;E.isTSMappedType=Qg;E.isTSMethodSignature=xg;E.isTSModuleBlock=hP;E.isTSModuleDeclaration=fP;E.isTSNamedTupleMember=Yg;E.isTSNamespaceExportDeclaration=SP;E.isTSNeverKeyword=vg;E.isTSNonNullExpression=TP;E.isTSNullKeyword=Ag;E.isTSNumberKeyword=Ig;E.isTSObjectKeyword=wg;E.isTSOptionalType=qg;E.isTSParameterProperty=pg;E.isTSParenthesizedType=zg;E.isTSPropertySignature=Tg;E.isTSQualifiedName=dg;E.isTSRestType=Kg;E.isTSSatisfiesExpression=oP;E.isTSStringKeyword=Cg;E.isTSSymbolKeyword=Ng;E.isTSTemplateLiteralType=Zg;E.isTSThisType=Dg;E.isTSTupleType=Ug;E.isTSType=Tv;E.isTSTypeAliasDeclaration=sP;E.isTSTypeAnnotation=bP;E.isTSTypeAssertion=lP;E.isTSTypeElement=mv;E.isTSTypeLiteral=jg;E.isTSTypeOperator=Hg;E.isTSTypeParameter=PP;E.isTSTypeParameterDeclaration=gP;E.isTSTypeParameterInstantiation=EP;E.isTSTypePredicate=Bg;E.isTSTypeQuery=Rg;E.isTSTypeReference=Fg;E.isTSUndefinedKeyword=Og;E.isTSUnionType=Xg;E.isTSUnknownKeyword=kg;E.isTSVoidKeyword=_g;E.isTaggedTemplateExpression=nb;E.isTemplateElement=ab;E.isTemplateLiteral=ob;E.isTerminatorless=kP;E.isThisExpression=NS;E.isThisTypeAnnotation=cE;E.isThrowStatement=OS;E.isTopicReference=ag;E.isTryStatement=kS;E.isTupleExpression=ig;E.isTupleTypeAnnotation=pE;E.isTypeAlias=hE;E.isTypeAnnotation=dE;E.isTypeCastExpression=yE;E.isTypeParameter=mE;E.isTypeParameterDeclaration=TE;E.isTypeParameterInstantiation=xE;E.isTypeScript=yv;E.isTypeofTypeAnnotation=fE;E.isUnaryExpression=_S;E.isUnaryLike=ZP;E.isUnionTypeAnnotation=SE;E.isUpdateExpression=DS;E.isUserWhitespacable=zP;E.isV8IntrinsicIdentifier=HE;E.isVariableDeclaration=LS;E.isVariableDeclarator=MS;E.isVariance=bE;E.isVoidPattern=cg;E.isVoidTypeAnnotation=EE;E.isWhile=MP;E.isWhileStatement=FS;E.isWithStatement=BS;E.isYieldExpression=lb;var v=Ns(),Ii=Br();function Ux(t,e){return!t||t.type!=="ArrayExpression"?!1:e==null||(0,v.default)(t,e)}n(Ux,"isArrayExpression");function qx(t,e){return!t||t.type!=="AssignmentExpression"?!1:e==null||(0,v.default)(t,e)}n(qx,"isAssignmentExpression");function Kx(t,e){return!t||t.type!=="BinaryExpression"?!1:e==null||(0,v.default)(t,e)}n(Kx,"isBinaryExpression");function Yx(t,e){return!t||t.type!=="InterpreterDirective"?!1:e==null||(0,v.default)(t,e)}n(Yx,"isInterpreterDirective");function Xx(t,e){return!t||t.type!=="Directive"?!1:e==null||(0,v.default)(t,e)}n(Xx,"isDirective");function Jx(t,e){return!t||t.type!=="DirectiveLiteral"?!1:e==null||(0,v.default)(t,e)}n(Jx,"isDirectiveLiteral");function Wx(t,e){return!t||t.type!=="BlockStatement"?!1:e==null||(0,v.default)(t,e)}n(Wx,"isBlockStatement");function $x(t,e){return!t||t.type!=="BreakStatement"?!1:e==null||(0,v.default)(t,e)}n($x,"isBreakStatement");function zx(t,e){return!t||t.type!=="CallExpression"?!1:e==null||(0,v.default)(t,e)}n(zx,"isCallExpression");function Hx(t,e){return!t||t.type!=="CatchClause"?!1:e==null||(0,v.default)(t,e)}n(Hx,"isCatchClause");function Gx(t,e){return!t||t.type!=="ConditionalExpression"?!1:e==null||(0,v.default)(t,e)}n(Gx,"isConditionalExpression");function Qx(t,e){return!t||t.type!=="ContinueStatement"?!1:e==null||(0,v.default)(t,e)}n(Qx,"isContinueStatement");function Zx(t,e){return!t||t.type!=="DebuggerStatement"?!1:e==null||(0,v.default)(t,e)}n(Zx,"isDebuggerStatement");function eS(t,e){return!t||t.type!=="DoWhileStatement"?!1:e==null||(0,v.default)(t,e)}n(eS,"isDoWhileStatement");function tS(t,e){return!t||t.type!=="EmptyStatement"?!1:e==null||(0,v.default)(t,e)}n(tS,"isEmptyStatement");function rS(t,e){return!t||t.type!=="ExpressionStatement"?!1:e==null||(0,v.default)(t,e)}n(rS,"isExpressionStatement");function iS(t,e){return!t||t.type!=="File"?!1:e==null||(0,v.default)(t,e)}n(iS,"isFile");function sS(t,e){return!t||t.type!=="ForInStatement"?!1:e==null||(0,v.default)(t,e)}n(sS,"isForInStatement");function nS(t,e){return!t||t.type!=="ForStatement"?!1:e==null||(0,v.default)(t,e)}n(nS,"isForStatement");function aS(t,e){return!t||t.type!=="FunctionDeclaration"?!1:e==null||(0,v.default)(t,e)}n(aS,"isFunctionDeclaration");function oS(t,e){return!t||t.type!=="FunctionExpression"?!1:e==null||(0,v.default)(t,e)}n(oS,"isFunctionExpression");function lS(t,e){return!t||t.type!=="Identifier"?!1:e==null||(0,v.default)(t,e)}n(lS,"isIdentifier");function uS(t,e){return!t||t.type!=="IfStatement"?!1:e==null||(0,v.default)(t,e)}n(uS,"isIfStatement");function cS(t,e){return!t||t.type!=="LabeledStatement"?!1:e==null||(0,v.default)(t,e)}n(cS,"isLabeledStatement");function pS(t,e){return!t||t.type!=="StringLiteral"?!1:e==null||(0,v.default)(t,e)}n(pS,"isStringLiteral");function fS(t,e){return!t||t.type!=="NumericLiteral"?!1:e==null||(0,v.default)(t,e)}n(fS,"isNumericLiteral");function hS(t,e){return!t||t.type!=="NullLiteral"?!1:e==null||(0,v.default)(t,e)}n(hS,"isNullLiteral");function dS(t,e){return!t||t.type!=="BooleanLiteral"?!1:e==null||(0,v.default)(t,e)}n(dS,"isBooleanLiteral");function yS(t,e){return!t||t.type!=="RegExpLiteral"?!1:e==null||(0,v.default)(t,e)}n(yS,"isRegExpLiteral");function mS(t,e){return!t||t.type!=="LogicalExpression"?!1:e==null||(0,v.default)(t,e)}n(mS,"isLogicalExpression");function TS(t,e){return!t||t.type!=="MemberExpression"?!1:e==null||(0,v.default)(t,e)}n(TS,"isMemberExpression");function xS(t,e){return!t||t.type!=="NewExpression"?!1:e==null||(0,v.default)(t,e)}n(xS,"isNewExpression");function SS(t,e){return!t||t.type!=="Program"?!1:e==null||(0,v.default)(t,e)}n(SS,"isProgram");function bS(t,e){return!t||t.type!=="ObjectExpression"?!1:e==null||(0,v.default)(t,e)}n(bS,"isObjectExpression");function ES(t,e){return!t||t.type!=="ObjectMethod"?!1:e==null||(0,v.default)(t,e)}n(ES,"isObjectMethod");function gS(t,e){return!t||t.type!=="ObjectProperty"?!1:e==null||(0,v.default)(t,e)}n(gS,"isObjectProperty");function PS(t,e){return!t||t.type!=="RestElement"?!1:e==null||(0,v.default)(t,e)}n(PS,"isRestElement");function vS(t,e){return!t||t.type!=="ReturnStatement"?!1:e==null||(0,v.default)(t,e)}n(vS,"isReturnStatement");function AS(t,e){return!t||t.type!=="SequenceExpression"?!1:e==null||(0,v.default)(t,e)}n(AS,"isSequenceExpression");function IS(t,e){return!t||t.type!=="ParenthesizedExpression"?!1:e==null||(0,v.default)(t,e)}n(IS,"isParenthesizedExpression");function wS(t,e){return!t||t.type!=="SwitchCase"?!1:e==null||(0,v.default)(t,e)}n(wS,"isSwitchCase");function CS(t,e){return!t||t.type!=="SwitchStatement"?!1:e==null||(0,v.default)(t,e)}n(CS,"isSwitchStatement");function NS(t,e){return!t||t.type!=="ThisExpression"?!1:e==null||(0,v.default)(t,e)}n(NS,"isThisExpression");function OS(t,e){return!t||t.type!=="ThrowStatement"?!1:e==null||(0,v.default)(t,e)}n(OS,"isThrowStatement");function kS(t,e){return!t||t.type!=="TryStatement"?!1:e==null||(0,v.default)(t,e)}n(kS,"isTryStatement");function _S(t,e){return!t||t.type!=="UnaryExpression"?!1:e==null||(0,v.default)(t,e)}n(_S,"isUnaryExpression");function DS(t,e){return!t||t.type!=="UpdateExpression"?!1:e==null||(0,v.default)(t,e)}n(DS,"isUpdateExpression");function LS(t,e){return!t||t.type!=="VariableDeclaration"?!1:e==null||(0,v.default)(t,e)}n(LS,"isVariableDeclaration");function MS(t,e){return!t||t.type!=="VariableDeclarator"?!1:e==null||(0,v.default)(t,e)}n(MS,"isVariableDeclarator");function FS(t,e){return!t||t.type!=="WhileStatement"?!1:e==null||(0,v.default)(t,e)}n(FS,"isWhileStatement");function BS(t,e){return!t||t.type!=="WithStatement"?!1:e==null||(0,v.default)(t,e)}n(BS,"isWithStatement");function RS(t,e){return!t||t.type!=="AssignmentPattern"?!1:e==null||(0,v.default)(t,e)}n(RS,"isAssignmentPattern");function jS(t,e){return!t||t.type!=="ArrayPattern"?!1:e==null||(0,v.default)(t,e)}n(jS,"isArrayPattern");function VS(t,e){return!t||t.type!=="ArrowFunctionExpression"?!1:e==null||(0,v.default)(t,e)}n(VS,"isArrowFunctionExpression");function US(t,e){return!t||t.type!=="ClassBody"?!1:e==null||(0,v.default)(t,e)}n(US,"isClassBody");function qS(t,e){return!t||t.type!=="ClassExpression"?!1:e==null||(0,v.default)(t,e)}n(qS,"isClassExpression");function KS(t,e){return!t||t.type!=="ClassDeclaration"?!1:e==null||(0,v.default)(t,e)}n(KS,"isClassDeclaration");function YS(t,e){return!t||t.type!=="ExportAllDeclaration"?!1:e==null||(0,v.default)(t,e)}n(YS,"isExportAllDeclaration");function XS(t,e){return!t||t.type!=="ExportDefaultDeclaration"?!1:e==null||(0,v.default)(t,e)}n(XS,"isExportDefaultDeclaration");function JS(t,e){return!t||t.type!=="ExportNamedDeclaration"?!1:e==null||(0,v.default)(t,e)}n(JS,"isExportNamedDeclaration");function WS(t,e){return!t||t.type!=="ExportSpecifier"?!1:e==null||(0,v.default)(t,e)}n(WS,"isExportSpecifier");function $S(t,e){return!t||t.type!=="ForOfStatement"?!1:e==null||(0,v.default)(t,e)}n($S,"isForOfStatement");function zS(t,e){return!t||t.type!=="ImportDeclaration"?!1:e==null||(0,v.default)(t,e)}n(zS,"isImportDeclaration");function HS(t,e){return!t||t.type!=="ImportDefaultSpecifier"?!1:e==null||(0,v.default)(t,e)}n(HS,"isImportDefaultSpecifier");function GS(t,e){return!t||t.type!=="ImportNamespaceSpecifier"?!1:e==null||(0,v.default)(t,e)}n(GS,"isImportNamespaceSpecifier");function QS(t,e){return!t||t.type!=="ImportSpecifier"?!1:e==null||(0,v.default)(t,e)}n(QS,"isImportSpecifier");function ZS(t,e){return!t||t.type!=="ImportExpression"?!1:e==null||(0,v.default)(t,e)}n(ZS,"isImportExpression");function eb(t,e){return!t||t.type!=="MetaProperty"?!1:e==null||(0,v.default)(t,e)}n(eb,"isMetaProperty");function tb(t,e){return!t||t.type!=="ClassMethod"?!1:e==null||(0,v.default)(t,e)}n(tb,"isClassMethod");function rb(t,e){return!t||t.type!=="ObjectPattern"?!1:e==null||(0,v.default)(t,e)}n(rb,"isObjectPattern");function ib(t,e){return!t||t.type!=="SpreadElement"?!1:e==null||(0,v.default)(t,e)}n(ib,"isSpreadElement");function sb(t,e){return!t||t.type!=="Super"?!1:e==null||(0,v.default)(t,e)}n(sb,"isSuper");function nb(t,e){return!t||t.type!=="TaggedTemplateExpression"?!1:e==null||(0,v.default)(t,e)}n(nb,"isTaggedTemplateExpression");function ab(t,e){return!t||t.type!=="TemplateElement"?!1:e==null||(0,v.default)(t,e)}n(ab,"isTemplateElement");function ob(t,e){return!t||t.type!=="TemplateLiteral"?!1:e==null||(0,v.default)(t,e)}n(ob,"isTemplateLiteral");function lb(t,e){return!t||t.type!=="YieldExpression"?!1:e==null||(0,v.default)(t,e)}n(lb,"isYieldExpression");function ub(t,e){return!t||t.type!=="AwaitExpression"?!1:e==null||(0,v.default)(t,e)}n(ub,"isAwaitExpression");function cb(t,e){return!t||t.type!=="Import"?!1:e==null||(0,v.default)(t,e)}n(cb,"isImport");function pb(t,e){return!t||t.type!=="BigIntLiteral"?!1:e==null||(0,v.default)(t,e)}n(pb,"isBigIntLiteral");function fb(t,e){return!t||t.type!=="ExportNamespaceSpecifier"?!1:e==null||(0,v.default)(t,e)}n(fb,"isExportNamespaceSpecifier");function hb(t,e){return!t||t.type!=="OptionalMemberExpression"?!1:e==null||(0,v.default)(t,e)}n(hb,"isOptionalMemberExpression");function db(t,e){return!t||t.type!=="OptionalCallExpression"?!1:e==null||(0,v.default)(t,e)}n(db,"isOptionalCallExpression");function yb(t,e){return!t||t.type!=="ClassProperty"?!1:e==null||(0,v.default)(t,e)}n(yb,"isClassProperty");function mb(t,e){return!t||t.type!=="ClassAccessorProperty"?!1:e==null||(0,v.default)(t,e)}n(mb,"isClassAccessorProperty");function Tb(t,e){return!t||t.type!=="ClassPrivateProperty"?!1:e==null||(0,v.default)(t,e)}n(Tb,"isClassPrivateProperty");function xb(t,e){return!t||t.type!=="ClassPrivateMethod"?!1:e==null||(0,v.default)(t,e)}n(xb,"isClassPrivateMethod");function Sb(t,e){return!t||t.type!=="PrivateName"?!1:e==null||(0,v.default)(t,e)}n(Sb,"isPrivateName");function bb(t,e){return!t||t.type!=="StaticBlock"?!1:e==null||(0,v.default)(t,e)}n(bb,"isStaticBlock");function Eb(t,e){return!t||t.type!=="ImportAttribute"?!1:e==null||(0,v.default)(t,e)}n(Eb,"isImportAttribute");function gb(t,e){return!t||t.type!=="AnyTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(gb,"isAnyTypeAnnotation");function Pb(t,e){return!t||t.type!=="ArrayTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(Pb,"isArrayTypeAnnotation");function vb(t,e){return!t||t.type!=="BooleanTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(vb,"isBooleanTypeAnnotation");function Ab(t,e){return!t||t.type!=="BooleanLiteralTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(Ab,"isBooleanLiteralTypeAnnotation");function Ib(t,e){return!t||t.type!=="NullLiteralTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(Ib,"isNullLiteralTypeAnnotation");function wb(t,e){return!t||t.type!=="ClassImplements"?!1:e==null||(0,v.default)(t,e)}n(wb,"isClassImplements");function Cb(t,e){return!t||t.type!=="DeclareClass"?!1:e==null||(0,v.default)(t,e)}n(Cb,"isDeclareClass");function Nb(t,e){return!t||t.type!=="DeclareFunction"?!1:e==null||(0,v.default)(t,e)}n(Nb,"isDeclareFunction");function Ob(t,e){return!t||t.type!=="DeclareInterface"?!1:e==null||(0,v.default)(t,e)}n(Ob,"isDeclareInterface");function kb(t,e){return!t||t.type!=="DeclareModule"?!1:e==null||(0,v.default)(t,e)}n(kb,"isDeclareModule");function _b(t,e){return!t||t.type!=="DeclareModuleExports"?!1:e==null||(0,v.default)(t,e)}n(_b,"isDeclareModuleExports");function Db(t,e){return!t||t.type!=="DeclareTypeAlias"?!1:e==null||(0,v.default)(t,e)}n(Db,"isDeclareTypeAlias");function Lb(t,e){return!t||t.type!=="DeclareOpaqueType"?!1:e==null||(0,v.default)(t,e)}n(Lb,"isDeclareOpaqueType");function Mb(t,e){return!t||t.type!=="DeclareVariable"?!1:e==null||(0,v.default)(t,e)}n(Mb,"isDeclareVariable");function Fb(t,e){return!t||t.type!=="DeclareExportDeclaration"?!1:e==null||(0,v.default)(t,e)}n(Fb,"isDeclareExportDeclaration");function Bb(t,e){return!t||t.type!=="DeclareExportAllDeclaration"?!1:e==null||(0,v.default)(t,e)}n(Bb,"isDeclareExportAllDeclaration");function Rb(t,e){return!t||t.type!=="DeclaredPredicate"?!1:e==null||(0,v.default)(t,e)}n(Rb,"isDeclaredPredicate");function jb(t,e){return!t||t.type!=="ExistsTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(jb,"isExistsTypeAnnotation");function Vb(t,e){return!t||t.type!=="FunctionTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(Vb,"isFunctionTypeAnnotation");function Ub(t,e){return!t||t.type!=="FunctionTypeParam"?!1:e==null||(0,v.default)(t,e)}n(Ub,"isFunctionTypeParam");function qb(t,e){return!t||t.type!=="GenericTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(qb,"isGenericTypeAnnotation");function Kb(t,e){return!t||t.type!=="InferredPredicate"?!1:e==null||(0,v.default)(t,e)}n(Kb,"isInferredPredicate");function Yb(t,e){return!t||t.type!=="InterfaceExtends"?!1:e==null||(0,v.default)(t,e)}n(Yb,"isInterfaceExtends");function Xb(t,e){return!t||t.type!=="InterfaceDeclaration"?!1:e==null||(0,v.default)(t,e)}n(Xb,"isInterfaceDeclaration");function Jb(t,e){return!t||t.type!=="InterfaceTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(Jb,"isInterfaceTypeAnnotation");function Wb(t,e){return!t||t.type!=="IntersectionTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(Wb,"isIntersectionTypeAnnotation");function $b(t,e){return!t||t.type!=="MixedTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n($b,"isMixedTypeAnnotation");function zb(t,e){return!t||t.type!=="EmptyTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(zb,"isEmptyTypeAnnotation");function Hb(t,e){return!t||t.type!=="NullableTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(Hb,"isNullableTypeAnnotation");function Gb(t,e){return!t||t.type!=="NumberLiteralTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(Gb,"isNumberLiteralTypeAnnotation");function Qb(t,e){return!t||t.type!=="NumberTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(Qb,"isNumberTypeAnnotation");function Zb(t,e){return!t||t.type!=="ObjectTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(Zb,"isObjectTypeAnnotation");function eE(t,e){return!t||t.type!=="ObjectTypeInternalSlot"?!1:e==null||(0,v.default)(t,e)}n(eE,"isObjectTypeInternalSlot");function tE(t,e){return!t||t.type!=="ObjectTypeCallProperty"?!1:e==null||(0,v.default)(t,e)}n(tE,"isObjectTypeCallProperty");function rE(t,e){return!t||t.type!=="ObjectTypeIndexer"?!1:e==null||(0,v.default)(t,e)}n(rE,"isObjectTypeIndexer");function iE(t,e){return!t||t.type!=="ObjectTypeProperty"?!1:e==null||(0,v.default)(t,e)}n(iE,"isObjectTypeProperty");function sE(t,e){return!t||t.type!=="ObjectTypeSpreadProperty"?!1:e==null||(0,v.default)(t,e)}n(sE,"isObjectTypeSpreadProperty");function nE(t,e){return!t||t.type!=="OpaqueType"?!1:e==null||(0,v.default)(t,e)}n(nE,"isOpaqueType");function aE(t,e){return!t||t.type!=="QualifiedTypeIdentifier"?!1:e==null||(0,v.default)(t,e)}n(aE,"isQualifiedTypeIdentifier");function oE(t,e){return!t||t.type!=="StringLiteralTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(oE,"isStringLiteralTypeAnnotation");function lE(t,e){return!t||t.type!=="StringTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(lE,"isStringTypeAnnotation");function uE(t,e){return!t||t.type!=="SymbolTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(uE,"isSymbolTypeAnnotation");function cE(t,e){return!t||t.type!=="ThisTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(cE,"isThisTypeAnnotation");function pE(t,e){return!t||t.type!=="TupleTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(pE,"isTupleTypeAnnotation");function fE(t,e){return!t||t.type!=="TypeofTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(fE,"isTypeofTypeAnnotation");function hE(t,e){return!t||t.type!=="TypeAlias"?!1:e==null||(0,v.default)(t,e)}n(hE,"isTypeAlias");function dE(t,e){return!t||t.type!=="TypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(dE,"isTypeAnnotation");function yE(t,e){return!t||t.type!=="TypeCastExpression"?!1:e==null||(0,v.default)(t,e)}n(yE,"isTypeCastExpression");function mE(t,e){return!t||t.type!=="TypeParameter"?!1:e==null||(0,v.default)(t,e)}n(mE,"isTypeParameter");function TE(t,e){return!t||t.type!=="TypeParameterDeclaration"?!1:e==null||(0,v.default)(t,e)}n(TE,"isTypeParameterDeclaration");function xE(t,e){return!t||t.type!=="TypeParameterInstantiation"?!1:e==null||(0,v.default)(t,e)}n(xE,"isTypeParameterInstantiation");function SE(t,e){return!t||t.type!=="UnionTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(SE,"isUnionTypeAnnotation");function bE(t,e){return!t||t.type!=="Variance"?!1:e==null||(0,v.default)(t,e)}n(bE,"isVariance");function EE(t,e){return!t||t.type!=="VoidTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(EE,"isVoidTypeAnnotation");function gE(t,e){return!t||t.type!=="EnumDeclaration"?!1:e==null||(0,v.default)(t,e)}n(gE,"isEnumDeclaration");function PE(t,e){return!t||t.type!=="EnumBooleanBody"?!1:e==null||(0,v.default)(t,e)}n(PE,"isEnumBooleanBody");function vE(t,e){return!t||t.type!=="EnumNumberBody"?!1:e==null||(0,v.default)(t,e)}n(vE,"isEnumNumberBody");function AE(t,e){return!t||t.type!=="EnumStringBody"?!1:e==null||(0,v.default)(t,e)}n(AE,"isEnumStringBody");function IE(t,e){return!t||t.type!=="EnumSymbolBody"?!1:e==null||(0,v.default)(t,e)}n(IE,"isEnumSymbolBody");function wE(t,e){return!t||t.type!=="EnumBooleanMember"?!1:e==null||(0,v.default)(t,e)}n(wE,"isEnumBooleanMember");function CE(t,e){return!t||t.type!=="EnumNumberMember"?!1:e==null||(0,v.default)(t,e)}n(CE,"isEnumNumberMember");function NE(t,e){return!t||t.type!=="EnumStringMember"?!1:e==null||(0,v.default)(t,e)}n(NE,"isEnumStringMember");function OE(t,e){return!t||t.type!=="EnumDefaultedMember"?!1:e==null||(0,v.default)(t,e)}n(OE,"isEnumDefaultedMember");function kE(t,e){return!t||t.type!=="IndexedAccessType"?!1:e==null||(0,v.default)(t,e)}n(kE,"isIndexedAccessType");function _E(t,e){return!t||t.type!=="OptionalIndexedAccessType"?!1:e==null||(0,v.default)(t,e)}n(_E,"isOptionalIndexedAccessType");function DE(t,e){return!t||t.type!=="JSXAttribute"?!1:e==null||(0,v.default)(t,e)}n(DE,"isJSXAttribute");function LE(t,e){return!t||t.type!=="JSXClosingElement"?!1:e==null||(0,v.default)(t,e)}n(LE,"isJSXClosingElement");function ME(t,e){return!t||t.type!=="JSXElement"?!1:e==null||(0,v.default)(t,e)}n(ME,"isJSXElement");function FE(t,e){return!t||t.type!=="JSXEmptyExpression"?!1:e==null||(0,v.default)(t,e)}n(FE,"isJSXEmptyExpression");function BE(t,e){return!t||t.type!=="JSXExpressionContainer"?!1:e==null||(0,v.default)(t,e)}n(BE,"isJSXExpressionContainer");function RE(t,e){return!t||t.type!=="JSXSpreadChild"?!1:e==null||(0,v.default)(t,e)}n(RE,"isJSXSpreadChild");function jE(t,e){return!t||t.type!=="JSXIdentifier"?!1:e==null||(0,v.default)(t,e)}n(jE,"isJSXIdentifier");function VE(t,e){return!t||t.type!=="JSXMemberExpression"?!1:e==null||(0,v.default)(t,e)}n(VE,"isJSXMemberExpression");function UE(t,e){return!t||t.type!=="JSXNamespacedName"?!1:e==null||(0,v.default)(t,e)}n(UE,"isJSXNamespacedName");function qE(t,e){return!t||t.type!=="JSXOpeningElement"?!1:e==null||(0,v.default)(t,e)}n(qE,"isJSXOpeningElement");function KE(t,e){return!t||t.type!=="JSXSpreadAttribute"?!1:e==null||(0,v.default)(t,e)}n(KE,"isJSXSpreadAttribute");function YE(t,e){return!t||t.type!=="JSXText"?!1:e==null||(0,v.default)(t,e)}n(YE,"isJSXText");function XE(t,e){return!t||t.type!=="JSXFragment"?!1:e==null||(0,v.default)(t,e)}n(XE,"isJSXFragment");function JE(t,e){return!t||t.type!=="JSXOpeningFragment"?!1:e==null||(0,v.default)(t,e)}n(JE,"isJSXOpeningFragment");function WE(t,e){return!t||t.type!=="JSXClosingFragment"?!1:e==null||(0,v.default)(t,e)}n(WE,"isJSXClosingFragment");function $E(t,e){return!t||t.type!=="Noop"?!1:e==null||(0,v.default)(t,e)}n($E,"isNoop");function zE(t,e){return!t||t.type!=="Placeholder"?!1:e==null||(0,v.default)(t,e)}n(zE,"isPlaceholder");function HE(t,e){return!t||t.type!=="V8IntrinsicIdentifier"?!1:e==null||(0,v.default)(t,e)}n(HE,"isV8IntrinsicIdentifier");function GE(t,e){return!t||t.type!=="ArgumentPlaceholder"?!1:e==null||(0,v.default)(t,e)}n(GE,"isArgumentPlaceholder");function QE(t,e){return!t||t.type!=="BindExpression"?!1:e==null||(0,v.default)(t,e)}n(QE,"isBindExpression");function ZE(t,e){return!t||t.type!=="Decorator"?!1:e==null||(0,v.default)(t,e)}n(ZE,"isDecorator");function eg(t,e){return!t||t.type!=="DoExpression"?!1:e==null||(0,v.default)(t,e)}n(eg,"isDoExpression");function tg(t,e){return!t||t.type!=="ExportDefaultSpecifier"?!1:e==null||(0,v.default)(t,e)}n(tg,"isExportDefaultSpecifier");function rg(t,e){return!t||t.type!=="RecordExpression"?!1:e==null||(0,v.default)(t,e)}n(rg,"isRecordExpression");function ig(t,e){return!t||t.type!=="TupleExpression"?!1:e==null||(0,v.default)(t,e)}n(ig,"isTupleExpression");function sg(t,e){return!t||t.type!=="DecimalLiteral"?!1:e==null||(0,v.default)(t,e)}n(sg,"isDecimalLiteral");function ng(t,e){return!t||t.type!=="ModuleExpression"?!1:e==null||(0,v.default)(t,e)}n(ng,"isModuleExpression");function ag(t,e){return!t||t.type!=="TopicReference"?!1:e==null||(0,v.default)(t,e)}n(ag,"isTopicReference");function og(t,e){return!t||t.type!=="PipelineTopicExpression"?!1:e==null||(0,v.default)(t,e)}n(og,"isPipelineTopicExpression");function lg(t,e){return!t||t.type!=="PipelineBareFunction"?!1:e==null||(0,v.default)(t,e)}n(lg,"isPipelineBareFunction");function ug(t,e){return!t||t.type!=="PipelinePrimaryTopicReference"?!1:e==null||(0,v.default)(t,e)}n(ug,"isPipelinePrimaryTopicReference");function cg(t,e){return!t||t.type!=="VoidPattern"?!1:e==null||(0,v.default)(t,e)}n(cg,"isVoidPattern");function pg(t,e){return!t||t.type!=="TSParameterProperty"?!1:e==null||(0,v.default)(t,e)}n(pg,"isTSParameterProperty");function fg(t,e){return!t||t.type!=="TSDeclareFunction"?!1:e==null||(0,v.default)(t,e)}n(fg,"isTSDeclareFunction");function hg(t,e){return!t||t.type!=="TSDeclareMethod"?!1:e==null||(0,v.default)(t,e)}n(hg,"isTSDeclareMethod");function dg(t,e){return!t||t.type!=="TSQualifiedName"?!1:e==null||(0,v.default)(t,e)}n(dg,"isTSQualifiedName");function yg(t,e){return!t||t.type!=="TSCallSignatureDeclaration"?!1:e==null||(0,v.default)(t,e)}n(yg,"isTSCallSignatureDeclaration");function mg(t,e){return!t||t.type!=="TSConstructSignatureDeclaration"?!1:e==null||(0,v.default)(t,e)}n(mg,"isTSConstructSignatureDeclaration");function Tg(t,e){return!t||t.type!=="TSPropertySignature"?!1:e==null||(0,v.default)(t,e)}n(Tg,"isTSPropertySignature");function xg(t,e){return!t||t.type!=="TSMethodSignature"?!1:e==null||(0,v.default)(t,e)}n(xg,"isTSMethodSignature");function Sg(t,e){return!t||t.type!=="TSIndexSignature"?!1:e==null||(0,v.default)(t,e)}n(Sg,"isTSIndexSignature");function bg(t,e){return!t||t.type!=="TSAnyKeyword"?!1:e==null||(0,v.default)(t,e)}n(bg,"isTSAnyKeyword");function Eg(t,e){return!t||t.type!=="TSBooleanKeyword"?!1:e==null||(0,v.default)(t,e)}n(Eg,"isTSBooleanKeyword");function gg(t,e){return!t||t.type!=="TSBigIntKeyword"?!1:e==null||(0,v.default)(t,e)}n(gg,"isTSBigIntKeyword");function Pg(t,e){return!t||t.type!=="TSIntrinsicKeyword"?!1:e==null||(0,v.default)(t,e)}n(Pg,"isTSIntrinsicKeyword");function vg(t,e){return!t||t.type!=="TSNeverKeyword"?!1:e==null||(0,v.default)(t,e)}n(vg,"isTSNeverKeyword");function Ag(t,e){return!t||t.type!=="TSNullKeyword"?!1:e==null||(0,v.default)(t,e)}n(Ag,"isTSNullKeyword");function Ig(t,e){return!t||t.type!=="TSNumberKeyword"?!1:e==null||(0,v.default)(t,e)}n(Ig,"isTSNumberKeyword");function wg(t,e){return!t||t.type!=="TSObjectKeyword"?!1:e==null||(0,v.default)(t,e)}n(wg,"isTSObjectKeyword");function Cg(t,e){return!t||t.type!=="TSStringKeyword"?!1:e==null||(0,v.default)(t,e)}n(Cg,"isTSStringKeyword");function Ng(t,e){return!t||t.type!=="TSSymbolKeyword"?!1:e==null||(0,v.default)(t,e)}n(Ng,"isTSSymbolKeyword");function Og(t,e){return!t||t.type!=="TSUndefinedKeyword"?!1:e==null||(0,v.default)(t,e)}n(Og,"isTSUndefinedKeyword");function kg(t,e){return!t||t.type!=="TSUnknownKeyword"?!1:e==null||(0,v.default)(t,e)}n(kg,"isTSUnknownKeyword");function _g(t,e){return!t||t.type!=="TSVoidKeyword"?!1:e==null||(0,v.default)(t,e)}n(_g,"isTSVoidKeyword");function Dg(t,e){return!t||t.type!=="TSThisType"?!1:e==null||(0,v.default)(t,e)}n(Dg,"isTSThisType");function Lg(t,e){return!t||t.type!=="TSFunctionType"?!1:e==null||(0,v.default)(t,e)}n(Lg,"isTSFunctionType");function Mg(t,e){return!t||t.type!=="TSConstructorType"?!1:e==null||(0,v.default)(t,e)}n(Mg,"isTSConstructorType");function Fg(t,e){return!t||t.type!=="TSTypeReference"?!1:e==null||(0,v.default)(t,e)}n(Fg,"isTSTypeReference");function Bg(t,e){return!t||t.type!=="TSTypePredicate"?!1:e==null||(0,v.default)(t,e)}n(Bg,"isTSTypePredicate");function Rg(t,e){return!t||t.type!=="TSTypeQuery"?!1:e==null||(0,v.default)(t,e)}n(Rg,"isTSTypeQuery");function jg(t,e){return!t||t.type!=="TSTypeLiteral"?!1:e==null||(0,v.default)(t,e)}n(jg,"isTSTypeLiteral");function Vg(t,e){return!t||t.type!=="TSArrayType"?!1:e==null||(0,v.default)(t,e)}n(Vg,"isTSArrayType");function Ug(t,e){return!t||t.type!=="TSTupleType"?!1:e==null||(0,v.default)(t,e)}n(Ug,"isTSTupleType");function qg(t,e){return!t||t.type!=="TSOptionalType"?!1:e==null||(0,v.default)(t,e)}n(qg,"isTSOptionalType");function Kg(t,e){return!t||t.type!=="TSRestType"?!1:e==null||(0,v.default)(t,e)}n(Kg,"isTSRestType");function Yg(t,e){return!t||t.type!=="TSNamedTupleMember"?!1:e==null||(0,v.default)(t,e)}n(Yg,"isTSNamedTupleMember");function Xg(t,e){return!t||t.type!=="TSUnionType"?!1:e==null||(0,v.default)(t,e)}n(Xg,"isTSUnionType");function Jg(t,e){return!t||t.type!=="TSIntersectionType"?!1:e==null||(0,v.default)(t,e)}n(Jg,"isTSIntersectionType");function Wg(t,e){return!t||t.type!=="TSConditionalType"?!1:e==null||(0,v.default)(t,e)}n(Wg,"isTSConditionalType");function $g(t,e){return!t||t.type!=="TSInferType"?!1:e==null||(0,v.default)(t,e)}n($g,"isTSInferType");function zg(t,e){return!t||t.type!=="TSParenthesizedType"?!1:e==null||(0,v.default)(t,e)}n(zg,"isTSParenthesizedType");function Hg(t,e){return!t||t.type!=="TSTypeOperator"?!1:e==null||(0,v.default)(t,e)}n(Hg,"isTSTypeOperator");function Gg(t,e){return!t||t.type!=="TSIndexedAccessType"?!1:e==null||(0,v.default)(t,e)}n(Gg,"isTSIndexedAccessType");function Qg(t,e){return!t||t.type!=="TSMappedType"?!1:e==null||(0,v.default)(t,e)}n(Qg,"isTSMappedType");function Zg(t,e){return!t||t.type!=="TSTemplateLiteralType"?!1:e==null||(0,v.default)(t,e)}n(Zg,"isTSTemplateLiteralType");function eP(t,e){return!t||t.type!=="TSLiteralType"?!1:e==null||(0,v.default)(t,e)}n(eP,"isTSLiteralType");function tP(t,e){return!t||t.type!=="TSExpressionWithTypeArguments"?!1:e==null||(0,v.default)(t,e)}n(tP,"isTSExpressionWithTypeArguments");function rP(t,e){return!t||t.type!=="TSInterfaceDeclaration"?!1:e==null||(0,v.default)(t,e)}n(rP,"isTSInterfaceDeclaration");function iP(t,e){return!t||t.type!=="TSInterfaceBody"?!1:e==null||(0,v.default)(t,e)}n(iP,"isTSInterfaceBody");function sP(t,e){return!t||t.type!=="TSTypeAliasDeclaration"?!1:e==null||(0,v.default)(t,e)}n(sP,"isTSTypeAliasDeclaration");function nP(t,e){return!t||t.type!=="TSInstantiationExpression"?!1:e==null||(0,v.default)(t,e)}n(nP,"isTSInstantiationExpression");function aP(t,e){return!t||t.type!=="TSAsExpression"?!1:e==null||(0,v.default)(t,e)}n(aP,"isTSAsExpression");function oP(t,e){return!t||t.type!=="TSSatisfiesExpression"?!1:e==null||(0,v.default)(t,e)}n(oP,"isTSSatisfiesExpression");function lP(t,e){return!t||t.type!=="TSTypeAssertion"?!1:e==null||(0,v.default)(t,e)}n(lP,"isTSTypeAssertion");function uP(t,e){return!t||t.type!=="TSEnumBody"?!1:e==null||(0,v.default)(t,e)}n(uP,"isTSEnumBody");function cP(t,e){return!t||t.type!=="TSEnumDeclaration"?!1:e==null||(0,v.default)(t,e)}n(cP,"isTSEnumDeclaration");function pP(t,e){return!t||t.type!=="TSEnumMember"?!1:e==null||(0,v.default)(t,e)}n(pP,"isTSEnumMember");function fP(t,e){return!t||t.type!=="TSModuleDeclaration"?!1:e==null||(0,v.default)(t,e)}n(fP,"isTSModuleDeclaration");function hP(t,e){return!t||t.type!=="TSModuleBlock"?!1:e==null||(0,v.default)(t,e)}n(hP,"isTSModuleBlock");function dP(t,e){return!t||t.type!=="TSImportType"?!1:e==null||(0,v.default)(t,e)}n(dP,"isTSImportType");function yP(t,e){return!t||t.type!=="TSImportEqualsDeclaration"?!1:e==null||(0,v.default)(t,e)}n(yP,"isTSImportEqualsDeclaration");function mP(t,e){return!t||t.type!=="TSExternalModuleReference"?!1:e==null||(0,v.default)(t,e)}n(mP,"isTSExternalModuleReference");function TP(t,e){return!t||t.type!=="TSNonNullExpression"?!1:e==null||(0,v.default)(t,e)}n(TP,"isTSNonNullExpression");function xP(t,e){return!t||t.type!=="TSExportAssignment"?!1:e==null||(0,v.default)(t,e)}n(xP,"isTSExportAssignment");function SP(t,e){return!t||t.type!=="TSNamespaceExportDeclaration"?!1:e==null||(0,v.default)(t,e)}n(SP,"isTSNamespaceExportDeclaration");function bP(t,e){return!t||t.type!=="TSTypeAnnotation"?!1:e==null||(0,v.default)(t,e)}n(bP,"isTSTypeAnnotation");function EP(t,e){return!t||t.type!=="TSTypeParameterInstantiation"?!1:e==null||(0,v.default)(t,e)}n(EP,"isTSTypeParameterInstantiation");function gP(t,e){return!t||t.type!=="TSTypeParameterDeclaration"?!1:e==null||(0,v.default)(t,e)}n(gP,"isTSTypeParameterDeclaration");function PP(t,e){return!t||t.type!=="TSTypeParameter"?!1:e==null||(0,v.default)(t,e)}n(PP,"isTSTypeParameter");function vP(t,e){if(!t)return!1;switch(t.type){case"ArrayExpression":case"AssignmentExpression":case"BinaryExpression":case"InterpreterDirective":case"Directive":case"DirectiveLiteral":case"BlockStatement":case"BreakStatement":case"CallExpression":case"CatchClause":case"ConditionalExpression":case"ContinueStatement":case"DebuggerStatement":case"DoWhileStatement":case"EmptyStatement":case"ExpressionStatement":case"File":case"ForInStatement":case"ForStatement":case"FunctionDeclaration":case"FunctionExpression":case"Identifier":case"IfStatement":case"LabeledStatement":case"StringLiteral":case"NumericLiteral":case"NullLiteral":case"BooleanLiteral":case"RegExpLiteral":case"LogicalExpression":case"MemberExpression":case"NewExpression":case"Program":case"ObjectExpression":case"ObjectMethod":case"ObjectProperty":case"RestElement":case"ReturnStatement":case"SequenceExpression":case"ParenthesizedExpression":case"SwitchCase":case"SwitchStatement":case"ThisExpression":case"ThrowStatement":case"TryStatement":case"UnaryExpression":case"UpdateExpression":case"VariableDeclaration":case"VariableDeclarator":case"WhileStatement":case"WithStatement":case"AssignmentPattern":case"ArrayPattern":case"ArrowFunctionExpression":case"ClassBody":case"ClassExpression":case"ClassDeclaration":case"ExportAllDeclaration":case"ExportDefaultDeclaration":case"ExportNamedDeclaration":case"ExportSpecifier":case"ForOfStatement":case"ImportDeclaration":case"ImportDefaultSpecifier":case"ImportNamespaceSpecifier":case"ImportSpecifier":case"ImportExpression":case"MetaProperty":case"ClassMethod":case"ObjectPattern":case"SpreadElement":case"Super":case"TaggedTemplateExpression":case"TemplateElement":case"TemplateLiteral":case"YieldExpression":case"AwaitExpression":case"Import":case"BigIntLiteral":case"ExportNamespaceSpecifier":case"OptionalMemberExpression":case"OptionalCallExpression":case"ClassProperty":case"ClassAccessorProperty":case"ClassPrivateProperty":case"ClassPrivateMethod":case"PrivateName":case"StaticBlock":case"ImportAttribute":break;case"Placeholder":switch(t.expectedNode){case"Identifier":case"StringLiteral":case"BlockStatement":case"ClassBody":break;default:return!1}break;default:return!1}return e==null||(0,v.default)(t,e)}n(vP,"isStandardized");function AP(t,e){if(!t)return!1;switch(t.type){case"ArrayExpression":case"AssignmentExpression":case"BinaryExpression":case"CallExpression":case"ConditionalExpression":case"FunctionExpression":case"Identifier":case"StringLiteral":case"NumericLiteral":case"NullLiteral":case"BooleanLiteral":case"RegExpLiteral":case"LogicalExpression":case"MemberExpression":case"NewExpression":case"ObjectExpression":case"SequenceExpression":case"ParenthesizedExpression":case"ThisExpression":case"UnaryExpression":case"UpdateExpression":case"ArrowFunctionExpression":case"ClassExpression":case"ImportExpression":case"MetaProperty":case"Super":case"TaggedTemplateExpression":case"TemplateLiteral":case"YieldExpression":case"AwaitExpression":case"Import":case"BigIntLiteral":case"OptionalMemberExpression":case"OptionalCallExpression":case"TypeCastExpression":case"JSXElement":case"JSXFragment":case"BindExpression":case"DoExpression":case"RecordExpression":case"TupleExpression":case"DecimalLiteral":case"ModuleExpression":case"TopicReference":case"PipelineTopicExpression":case"PipelineBareFunction":case"PipelinePrimaryTopicReference":case"TSInstantiationExpression":case"TSAsExpression":case"TSSatisfiesExpression":case"TSTypeAssertion":case"TSNonNullExpression":break;case"Placeholder":switch(t.expectedNode){case"Expression":case"Identifier":case"StringLiteral":break;default:return!1}break;default:return!1}return e==null||(0,v.default)(t,e)}n(AP,"isExpression");function IP(t,e){if(!t)return!1;switch(t.type){case"BinaryExpression":case"LogicalExpression":break;default:return!1}return e==null||(0,v.default)(t,e)}n(IP,"isBinary");function wP(t,e){if(!t)return!1;switch(t.type){case"BlockStatement":case"CatchClause":case"DoWhileStatement":case"ForInStatement":case"ForStatement":case"FunctionDeclaration":case"FunctionExpression":case"Program":case"ObjectMethod":case"SwitchStatement":case"WhileStatement":case"ArrowFunctionExpression":case"ClassExpression":case"ClassDeclaration":case"ForOfStatement":case"ClassMethod":case"ClassPrivateMethod":case"StaticBlock":case"TSModuleBlock":break;case"Placeholder":if(t.expectedNode==="BlockStatement")break;default:return!1}return e==null||(0,v.default)(t,e)}n(wP,"isScopable");function CP(t,e){if(!t)return!1;switch(t.type){case"BlockStatement":case"CatchClause":case"DoWhileStatement":case"ForInStatement":case"ForStatement":case"FunctionDeclaration":case"FunctionExpression":case"Program":case"ObjectMethod":case"SwitchStatement":case"WhileStatement":case"ArrowFunctionExpression":case"ForOfStatement":case"ClassMethod":case"ClassPrivateMethod":case"StaticBlock":case"TSModuleBlock":break;case"Placeholder":if(t.expectedNode==="BlockStatement")break;default:return!1}return e==null||(0,v.default)(t,e)}n(CP,"isBlockParent");function NP(t,e){if(!t)return!1;switch(t.type){case"BlockStatement":case"Program":case"TSModuleBlock":break;case"Placeholder":if(t.expectedNode==="BlockStatement")break;default:return!1}return e==null||(0,v.default)(t,e)}n(NP,"isBlock");function OP(t,e){if(!t)return!1;switch(t.type){case"BlockStatement":case"BreakStatement":case"ContinueStatement":case"DebuggerStatement":case"DoWhileStatement":case"EmptyStatement":case"ExpressionStatement":case"ForInStatement":case"ForStatement":case"FunctionDeclaration":case"IfStatement":case"LabeledStatement":case"ReturnStatement":case"SwitchStatement":case"ThrowStatement":case"TryStatement":case"VariableDeclaration":case"WhileStatement":case"WithStatement":case"ClassDeclaration":case"ExportAllDeclaration":case"ExportDefaultDeclaration":case"ExportNamedDeclaration":case"ForOfStatement":case"ImportDeclaration":case"DeclareClass":case"DeclareFunction":case"DeclareInterface":case"DeclareModule":case"DeclareModuleExports":case"DeclareTypeAlias":case"DeclareOpaqueType":case"DeclareVariable":case"DeclareExportDeclaration":case"DeclareExportAllDeclaration":case"InterfaceDeclaration":case"OpaqueType":case"TypeAlias":case"EnumDeclaration":case"TSDeclareFunction":case"TSInterfaceDeclaration":case"TSTypeAliasDeclaration":case"TSEnumDeclaration":case"TSModuleDeclaration":case"TSImportEqualsDeclaration":case"TSExportAssignment":case"TSNamespaceExportDeclaration":break;case"Placeholder":switch(t.expectedNode){case"Statement":case"Declaration":case"BlockStatement":break;default:return!1}break;default:return!1}return e==null||(0,v.default)(t,e)}n(OP,"isStatement");function kP(t,e){if(!t)return!1;switch(t.type){case"BreakStatement":case"ContinueStatement":case"ReturnStatement":case"ThrowStatement":case"YieldExpression":case"AwaitExpression":break;default:return!1}return e==null||(0,v.default)(t,e)}n(kP,"isTerminatorless");function _P(t,e){if(!t)return!1;switch(t.type){case"BreakStatement":case"ContinueStatement":case"ReturnStatement":case"ThrowStatement":break;default:return!1}return e==null||(0,v.default)(t,e)}n(_P,"isCompletionStatement");function DP(t,e){if(!t)return!1;switch(t.type){case"ConditionalExpression":case"IfStatement":break;default:return!1}return e==null||(0,v.default)(t,e)}n(DP,"isConditional");function LP(t,e){if(!t)return!1;switch(t.type){case"DoWhileStatement":case"ForInStatement":case"ForStatement":case"WhileStatement":case"ForOfStatement":break;default:return!1}return e==null||(0,v.default)(t,e)}n(LP,"isLoop");function MP(t,e){if(!t)return!1;switch(t.type){case"DoWhileStatement":case"WhileStatement":break;default:return!1}return e==null||(0,v.default)(t,e)}n(MP,"isWhile");function FP(t,e){if(!t)return!1;switch(t.type){case"ExpressionStatement":case"ParenthesizedExpression":case"TypeCastExpression":break;default:return!1}return e==null||(0,v.default)(t,e)}n(FP,"isExpressionWrapper");function BP(t,e){if(!t)return!1;switch(t.type){case"ForInStatement":case"ForStatement":case"ForOfStatement":break;default:return!1}return e==null||(0,v.default)(t,e)}n(BP,"isFor");function RP(t,e){if(!t)return!1;switch(t.type){case"ForInStatement":case"ForOfStatement":break;default:return!1}return e==null||(0,v.default)(t,e)}n(RP,"isForXStatement");function jP(t,e){if(!t)return!1;switch(t.type){case"FunctionDeclaration":case"FunctionExpression":case"ObjectMethod":case"ArrowFunctionExpression":case"ClassMethod":case"ClassPrivateMethod":break;default:return!1}return e==null||(0,v.default)(t,e)}n(jP,"isFunction");function VP(t,e){if(!t)return!1;switch(t.type){case"FunctionDeclaration":case"FunctionExpression":case"ObjectMethod":case"ArrowFunctionExpression":case"ClassMethod":case"ClassPrivateMethod":case"StaticBlock":case"TSModuleBlock":break;default:return!1}return e==null||(0,v.default)(t,e)}n(VP,"isFunctionParent");function UP(t,e){if(!t)return!1;switch(t.type){case"FunctionDeclaration":case"FunctionExpression":case"StringLiteral":case"NumericLiteral":case"NullLiteral":case"BooleanLiteral":case"RegExpLiteral":case"ArrowFunctionExpression":case"BigIntLiteral":case"DecimalLiteral":break;case"Placeholder":if(t.expectedNode==="StringLiteral")break;default:return!1}return e==null||(0,v.default)(t,e)}n(UP,"isPureish");function qP(t,e){if(!t)return!1;switch(t.type){case"FunctionDeclaration":case"VariableDeclaration":case"ClassDeclaration":case"ExportAllDeclaration":case"ExportDefaultDeclaration":case"ExportNamedDeclaration":case"ImportDeclaration":case"DeclareClass":case"DeclareFunction":case"DeclareInterface":case"DeclareModule":case"DeclareModuleExports":case"DeclareTypeAlias":case"DeclareOpaqueType":case"DeclareVariable":case"DeclareExportDeclaration":case"DeclareExportAllDeclaration":case"InterfaceDeclaration":case"OpaqueType":case"TypeAlias":case"EnumDeclaration":case"TSDeclareFunction":case"TSInterfaceDeclaration":case"TSTypeAliasDeclaration":case"TSEnumDeclaration":case"TSModuleDeclaration":case"TSImportEqualsDeclaration":break;case"Placeholder":if(t.expectedNode==="Declaration")break;default:return!1}return e==null||(0,v.default)(t,e)}n(qP,"isDeclaration");function KP(t,e){if(!t)return!1;switch(t.type){case"Identifier":case"RestElement":case"AssignmentPattern":case"ArrayPattern":case"ObjectPattern":case"VoidPattern":break;case"Placeholder":if(t.expectedNode==="Identifier")break;default:return!1}return e==null||(0,v.default)(t,e)}n(KP,"isFunctionParameter");function YP(t,e){if(!t)return!1;switch(t.type){case"Identifier":case"MemberExpression":case"RestElement":case"AssignmentPattern":case"ArrayPattern":case"ObjectPattern":case"VoidPattern":case"TSAsExpression":case"TSSatisfiesExpression":case"TSTypeAssertion":case"TSNonNullExpression":break;case"Placeholder":switch(t.expectedNode){case"Pattern":case"Identifier":break;default:return!1}break;default:return!1}return e==null||(0,v.default)(t,e)}n(YP,"isPatternLike");function XP(t,e){if(!t)return!1;switch(t.type){case"Identifier":case"MemberExpression":case"RestElement":case"AssignmentPattern":case"ArrayPattern":case"ObjectPattern":case"TSParameterProperty":case"TSAsExpression":case"TSSatisfiesExpression":case"TSTypeAssertion":case"TSNonNullExpression":break;case"Placeholder":switch(t.expectedNode){case"Pattern":case"Identifier":break;default:return!1}break;default:return!1}return e==null||(0,v.default)(t,e)}n(XP,"isLVal");function JP(t,e){if(!t)return!1;switch(t.type){case"Identifier":case"TSQualifiedName":break;case"Placeholder":if(t.expectedNode==="Identifier")break;default:return!1}return e==null||(0,v.default)(t,e)}n(JP,"isTSEntityName");function WP(t,e){if(!t)return!1;switch(t.type){case"StringLiteral":case"NumericLiteral":case"NullLiteral":case"BooleanLiteral":case"RegExpLiteral":case"TemplateLiteral":case"BigIntLiteral":case"DecimalLiteral":break;case"Placeholder":if(t.expectedNode==="StringLiteral")break;default:return!1}return e==null||(0,v.default)(t,e)}n(WP,"isLiteral");function $P(t,e){if(!t)return!1;switch(t.type){case"StringLiteral":case"NumericLiteral":case"NullLiteral":case"BooleanLiteral":case"BigIntLiteral":case"JSXAttribute":case"JSXClosingElement":case"JSXElement":case"JSXExpressionContainer":case"JSXSpreadChild":case"JSXOpeningElement":case"JSXText":case"JSXFragment":case"JSXOpeningFragment":case"JSXClosingFragment":case"DecimalLiteral":break;case"Placeholder":if(t.expectedNode==="StringLiteral")break;default:return!1}return e==null||(0,v.default)(t,e)}n($P,"isImmutable");function zP(t,e){if(!t)return!1;switch(t.type){case"ObjectMethod":case"ObjectProperty":case"ObjectTypeInternalSlot":case"ObjectTypeCallProperty":case"ObjectTypeIndexer":case"ObjectTypeProperty":case"ObjectTypeSpreadProperty":break;default:return!1}return e==null||(0,v.default)(t,e)}n(zP,"isUserWhitespacable");function HP(t,e){if(!t)return!1;switch(t.type){case"ObjectMethod":case"ClassMethod":case"ClassPrivateMethod":break;default:return!1}return e==null||(0,v.default)(t,e)}n(HP,"isMethod");function GP(t,e){if(!t)return!1;switch(t.type){case"ObjectMethod":case"ObjectProperty":break;default:return!1}return e==null||(0,v.default)(t,e)}n(GP,"isObjectMember");function QP(t,e){if(!t)return!1;switch(t.type){case"ObjectProperty":case"ClassProperty":case"ClassAccessorProperty":case"ClassPrivateProperty":break;default:return!1}return e==null||(0,v.default)(t,e)}n(QP,"isProperty");function ZP(t,e){if(!t)return!1;switch(t.type){case"UnaryExpression":case"SpreadElement":break;default:return!1}return e==null||(0,v.default)(t,e)}n(ZP,"isUnaryLike");function ev(t,e){if(!t)return!1;switch(t.type){case"AssignmentPattern":case"ArrayPattern":case"ObjectPattern":case"VoidPattern":break;case"Placeholder":if(t.expectedNode==="Pattern")break;default:return!1}return e==null||(0,v.default)(t,e)}n(ev,"isPattern");function tv(t,e){if(!t)return!1;switch(t.type){case"ClassExpression":case"ClassDeclaration":break;default:return!1}return e==null||(0,v.default)(t,e)}n(tv,"isClass");function zf(t,e){if(!t)return!1;switch(t.type){case"ExportAllDeclaration":case"ExportDefaultDeclaration":case"ExportNamedDeclaration":case"ImportDeclaration":break;default:return!1}return e==null||(0,v.default)(t,e)}n(zf,"isImportOrExportDeclaration");function rv(t,e){if(!t)return!1;switch(t.type){case"ExportAllDeclaration":case"ExportDefaultDeclaration":case"ExportNamedDeclaration":break;default:return!1}return e==null||(0,v.default)(t,e)}n(rv,"isExportDeclaration");function iv(t,e){if(!t)return!1;switch(t.type){case"ExportSpecifier":case"ImportDefaultSpecifier":case"ImportNamespaceSpecifier":case"ImportSpecifier":case"ExportNamespaceSpecifier":case"ExportDefaultSpecifier":break;default:return!1}return e==null||(0,v.default)(t,e)}n(iv,"isModuleSpecifier");function sv(t,e){if(!t)return!1;switch(t.type){case"ClassAccessorProperty":break;default:return!1}return e==null||(0,v.default)(t,e)}n(sv,"isAccessor");function nv(t,e){if(!t)return!1;switch(t.type){case"ClassPrivateProperty":case"ClassPrivateMethod":case"PrivateName":break;default:return!1}return e==null||(0,v.default)(t,e)}n(nv,"isPrivate");function av(t,e){if(!t)return!1;switch(t.type){case"AnyTypeAnnotation":case"ArrayTypeAnnotation":case"BooleanTypeAnnotation":case"BooleanLiteralTypeAnnotation":case"NullLiteralTypeAnnotation":case"ClassImplements":case"DeclareClass":case"DeclareFunction":case"DeclareInterface":case"DeclareModule":case"DeclareModuleExports":case"DeclareTypeAlias":case"DeclareOpaqueType":case"DeclareVariable":case"DeclareExportDeclaration":case"DeclareExportAllDeclaration":case"DeclaredPredicate":case"ExistsTypeAnnotation":case"FunctionTypeAnnotation":case"FunctionTypeParam":case"GenericTypeAnnotation":case"InferredPredicate":case"InterfaceExtends":case"InterfaceDeclaration":case"InterfaceTypeAnnotation":case"IntersectionTypeAnnotation":case"MixedTypeAnnotation":case"EmptyTypeAnnotation":case"NullableTypeAnnotation":case"NumberLiteralTypeAnnotation":case"NumberTypeAnnotation":case"ObjectTypeAnnotation":case"ObjectTypeInternalSlot":case"ObjectTypeCallProperty":case"ObjectTypeIndexer":case"ObjectTypeProperty":case"ObjectTypeSpreadProperty":case"OpaqueType":case"QualifiedTypeIdentifier":case"StringLiteralTypeAnnotation":case"StringTypeAnnotation":case"SymbolTypeAnnotation":case"ThisTypeAnnotation":case"TupleTypeAnnotation":case"TypeofTypeAnnotation":case"TypeAlias":case"TypeAnnotation":case"TypeCastExpression":case"TypeParameter":case"TypeParameterDeclaration":case"TypeParameterInstantiation":case"UnionTypeAnnotation":case"Variance":case"VoidTypeAnnotation":case"EnumDeclaration":case"EnumBooleanBody":case"EnumNumberBody":case"EnumStringBody":case"EnumSymbolBody":case"EnumBooleanMember":case"EnumNumberMember":case"EnumStringMember":case"EnumDefaultedMember":case"IndexedAccessType":case"OptionalIndexedAccessType":break;default:return!1}return e==null||(0,v.default)(t,e)}n(av,"isFlow");function ov(t,e){if(!t)return!1;switch(t.type){case"AnyTypeAnnotation":case"ArrayTypeAnnotation":case"BooleanTypeAnnotation":case"BooleanLiteralTypeAnnotation":case"NullLiteralTypeAnnotation":case"ExistsTypeAnnotation":case"FunctionTypeAnnotation":case"GenericTypeAnnotation":case"InterfaceTypeAnnotation":case"IntersectionTypeAnnotation":case"MixedTypeAnnotation":case"EmptyTypeAnnotation":case"NullableTypeAnnotation":case"NumberLiteralTypeAnnotation":case"NumberTypeAnnotation":case"ObjectTypeAnnotation":case"StringLiteralTypeAnnotation":case"StringTypeAnnotation":case"SymbolTypeAnnotation":case"ThisTypeAnnotation":case"TupleTypeAnnotation":case"TypeofTypeAnnotation":case"UnionTypeAnnotation":case"VoidTypeAnnotation":case"IndexedAccessType":case"OptionalIndexedAccessType":break;default:return!1}return e==null||(0,v.default)(t,e)}n(ov,"isFlowType");function lv(t,e){if(!t)return!1;switch(t.type){case"AnyTypeAnnotation":case"BooleanTypeAnnotation":case"NullLiteralTypeAnnotation":case"MixedTypeAnnotation":case"EmptyTypeAnnotation":case"NumberTypeAnnotation":case"StringTypeAnnotation":case"SymbolTypeAnnotation":case"ThisTypeAnnotation":case"VoidTypeAnnotation":break;default:return!1}return e==null||(0,v.default)(t,e)}n(lv,"isFlowBaseAnnotation");function uv(t,e){if(!t)return!1;switch(t.type){case"DeclareClass":case"DeclareFunction":case"DeclareInterface":case"DeclareModule":case"DeclareModuleExports":case"DeclareTypeAlias":case"DeclareOpaqueType":case"DeclareVariable":case"DeclareExportDeclaration":case"DeclareExportAllDeclaration":case"InterfaceDeclaration":case"OpaqueType":case"TypeAlias":break;default:return!1}return e==null||(0,v.default)(t,e)}n(uv,"isFlowDeclaration");function cv(t,e){if(!t)return!1;switch(t.type){case"DeclaredPredicate":case"InferredPredicate":break;default:return!1}return e==null||(0,v.default)(t,e)}n(cv,"isFlowPredicate");function pv(t,e){if(!t)return!1;switch(t.type){case"EnumBooleanBody":case"EnumNumberBody":case"EnumStringBody":case"EnumSymbolBody":break;default:return!1}return e==null||(0,v.default)(t,e)}n(pv,"isEnumBody");function fv(t,e){if(!t)return!1;switch(t.type){case"EnumBooleanMember":case"EnumNumberMember":case"EnumStringMember":case"EnumDefaultedMember":break;default:return!1}return e==null||(0,v.default)(t,e)}n(fv,"isEnumMember");function hv(t,e){if(!t)return!1;switch(t.type){case"JSXAttribute":case"JSXClosingElement":case"JSXElement":case"JSXEmptyExpression":case"JSXExpressionContainer":case"JSXSpreadChild":case"JSXIdentifier":case"JSXMemberExpression":case"JSXNamespacedName":case"JSXOpeningElement":case"JSXSpreadAttribute":case"JSXText":case"JSXFragment":case"JSXOpeningFragment":case"JSXClosingFragment":break;default:return!1}return e==null||(0,v.default)(t,e)}n(hv,"isJSX");function dv(t,e){if(!t)return!1;switch(t.type){case"Noop":case"Placeholder":case"V8IntrinsicIdentifier":break;default:return!1}return e==null||(0,v.default)(t,e)}n(dv,"isMiscellaneous");function yv(t,e){if(!t)return!1;switch(t.type){case"TSParameterProperty":case"TSDeclareFunction":case"TSDeclareMethod":case"TSQualifiedName":case"TSCallSignatureDeclaration":case"TSConstructSignatureDeclaration":case"TSPropertySignature":case"TSMethodSignature":case"TSIndexSignature":case"TSAnyKeyword":case"TSBooleanKeyword":case"TSBigIntKeyword":case"TSIntrinsicKeyword":case"TSNeverKeyword":case"TSNullKeyword":case"TSNumberKeyword":case"TSObjectKeyword":case"TSStringKeyword":case"TSSymbolKeyword":case"TSUndefinedKeyword":case"TSUnknownKeyword":case"TSVoidKeyword":case"TSThisType":case"TSFunctionType":case"TSConstructorType":case"TSTypeReference":case"TSTypePredicate":case"TSTypeQuery":case"TSTypeLiteral":case"TSArrayType":case"TSTupleType":case"TSOptionalType":case"TSRestType":case"TSNamedTupleMember":case"TSUnionType":case"TSIntersectionType":case"TSConditionalType":case"TSInferType":case"TSParenthesizedType":case"TSTypeOperator":case"TSIndexedAccessType":case"TSMappedType":case"TSTemplateLiteralType":case"TSLiteralType":case"TSExpressionWithTypeArguments":case"TSInterfaceDeclaration":case"TSInterfaceBody":case"TSTypeAliasDeclaration":case"TSInstantiationExpression":case"TSAsExpression":case"TSSatisfiesExpression":case"TSTypeAssertion":case"TSEnumBody":case"TSEnumDeclaration":case"TSEnumMember":case"TSModuleDeclaration":case"TSModuleBlock":case"TSImportType":case"TSImportEqualsDeclaration":case"TSExternalModuleReference":case"TSNonNullExpression":case"TSExportAssignment":case"TSNamespaceExportDeclaration":case"TSTypeAnnotation":case"TSTypeParameterInstantiation":case"TSTypeParameterDeclaration":case"TSTypeParameter":break;default:return!1}return e==null||(0,v.default)(t,e)}n(yv,"isTypeScript");function mv(t,e){if(!t)return!1;switch(t.type){case"TSCallSignatureDeclaration":case"TSConstructSignatureDeclaration":case"TSPropertySignature":case"TSMethodSignature":case"TSIndexSignature":break;default:return!1}return e==null||(0,v.default)(t,e)}n(mv,"isTSTypeElement");function Tv(t,e){if(!t)return!1;switch(t.type){case"TSAnyKeyword":case"TSBooleanKeyword":case"TSBigIntKeyword":case"TSIntrinsicKeyword":case"TSNeverKeyword":case"TSNullKeyword":case"TSNumberKeyword":case"TSObjectKeyword":case"TSStringKeyword":case"TSSymbolKeyword":case"TSUndefinedKeyword":case"TSUnknownKeyword":case"TSVoidKeyword":case"TSThisType":case"TSFunctionType":case"TSConstructorType":case"TSTypeReference":case"TSTypePredicate":case"TSTypeQuery":case"TSTypeLiteral":case"TSArrayType":case"TSTupleType":case"TSOptionalType":case"TSRestType":case"TSUnionType":case"TSIntersectionType":case"TSConditionalType":case"TSInferType":case"TSParenthesizedType":case"TSTypeOperator":case"TSIndexedAccessType":case"TSMappedType":case"TSTemplateLiteralType":case"TSLiteralType":case"TSExpressionWithTypeArguments":case"TSImportType":break;default:return!1}return e==null||(0,v.default)(t,e)}n(Tv,"isTSType");function xv(t,e){if(!t)return!1;switch(t.type){case"TSAnyKeyword":case"TSBooleanKeyword":case"TSBigIntKeyword":case"TSIntrinsicKeyword":case"TSNeverKeyword":case"TSNullKeyword":case"TSNumberKeyword":case"TSObjectKeyword":case"TSStringKeyword":case"TSSymbolKeyword":case"TSUndefinedKeyword":case"TSUnknownKeyword":case"TSVoidKeyword":case"TSThisType":case"TSTemplateLiteralType":case"TSLiteralType":break;default:return!1}return e==null||(0,v.default)(t,e)}n(xv,"isTSBaseType");function Sv(t,e){return(0,Ii.default)("isNumberLiteral","isNumericLiteral"),!t||t.type!=="NumberLiteral"?!1:e==null||(0,v.default)(t,e)}n(Sv,"isNumberLiteral");function bv(t,e){return(0,Ii.default)("isRegexLiteral","isRegExpLiteral"),!t||t.type!=="RegexLiteral"?!1:e==null||(0,v.default)(t,e)}n(bv,"isRegexLiteral");function Ev(t,e){return(0,Ii.default)("isRestProperty","isRestElement"),!t||t.type!=="RestProperty"?!1:e==null||(0,v.default)(t,e)}n(Ev,"isRestProperty");function gv(t,e){return(0,Ii.default)("isSpreadProperty","isSpreadElement"),!t||t.type!=="SpreadProperty"?!1:e==null||(0,v.default)(t,e)}n(gv,"isSpreadProperty");function Pv(t,e){return(0,Ii.default)("isModuleDeclaration","isImportOrExportDeclaration"),zf(t,e)}n(Pv,"isModuleDeclaration")});var _a=D(ka=>{"use strict";T();Object.defineProperty(ka,"__esModule",{value:!0});ka.default=vv;var sr=ve();function Hf(t){return(0,sr.isMemberExpression)(t)||(0,sr.isMetaProperty)(t)}n(Hf,"isMemberExpressionLike");function vv(t,e,r){if(!Hf(t))return!1;let i=Array.isArray(e)?e:e.split("."),s=[],a;for(a=t;Hf(a);a=(l=a.object)!=null?l:a.meta){var l;s.push(a.property)}if(s.push(a),s.length<i.length||!r&&s.length>i.length)return!1;for(let u=0,p=s.length-1;u<i.length;u++,p--){let h=s[p],m;if((0,sr.isIdentifier)(h))m=h.name;else if((0,sr.isStringLiteral)(h))m=h.value;else if((0,sr.isThisExpression)(h))m="this";else if((0,sr.isSuper)(h))m="super";else if((0,sr.isPrivateName)(h))m="#"+h.id.name;else return!1;if(i[u]!==m)return!1}return!0}n(vv,"matchesPattern")});var La=D(Da=>{"use strict";T();Object.defineProperty(Da,"__esModule",{value:!0});Da.default=Iv;var Av=_a();function Iv(t,e){let r=t.split(".");return i=>(0,Av.default)(i,r,e)}n(Iv,"buildMatchMemberExpression")});var Gf=D(Os=>{"use strict";T();Object.defineProperty(Os,"__esModule",{value:!0});Os.default=void 0;var wv=La(),Cv=(0,wv.default)("React.Component"),AR=Os.default=Cv});var Qf=D(Ma=>{"use strict";T();Object.defineProperty(Ma,"__esModule",{value:!0});Ma.default=Nv;function Nv(t){return!!t&&/^[a-z]/.test(t)}n(Nv,"isCompatTag")});var ks=D(Fa=>{"use strict";T();Object.defineProperty(Fa,"__esModule",{value:!0});Fa.default=Ov;var Zf=Ze();function Ov(t,e){if(t===e)return!0;if(t==null||Zf.ALIAS_KEYS[e])return!1;let r=Zf.FLIPPED_ALIAS_KEYS[e];return!!(r!=null&&r.includes(t))}n(Ov,"isType")});var Ra=D(Ba=>{"use strict";T();Object.defineProperty(Ba,"__esModule",{value:!0});Ba.default=_v;var kv=Ze();function _v(t,e){if(t===e)return!0;let r=kv.PLACEHOLDERS_ALIAS[t];return!!(r!=null&&r.includes(e))}n(_v,"isPlaceholderType")});var Rr=D(ja=>{"use strict";T();Object.defineProperty(ja,"__esModule",{value:!0});ja.default=Bv;var Dv=Ns(),Lv=ks(),Mv=Ra(),Fv=Ze();function Bv(t,e,r){return e?(0,Lv.default)(e.type,t)?r===void 0?!0:(0,Dv.default)(e,r):!r&&e.type==="Placeholder"&&t in Fv.FLIPPED_ALIAS_KEYS?(0,Mv.default)(e.expectedNode,t):!1:!1}n(Bv,"is")});var sh=D(wi=>{"use strict";T();Object.defineProperty(wi,"__esModule",{value:!0});wi.isIdentifierChar=ih;wi.isIdentifierName=Uv;wi.isIdentifierStart=rh;var Ua="\xAA\xB5\xBA\xC0-\xD6\xD8-\xF6\xF8-\u02C1\u02C6-\u02D1\u02E0-\u02E4\u02EC\u02EE\u0370-\u0374\u0376\u0377\u037A-\u037D\u037F\u0386\u0388-\u038A\u038C\u038E-\u03A1\u03A3-\u03F5\u03F7-\u0481\u048A-\u052F\u0531-\u0556\u0559\u0560-\u0588\u05D0-\u05EA\u05EF-\u05F2\u0620-\u064A\u066E\u066F\u0671-\u06D3\u06D5\u06E5\u06E6\u06EE\u06EF\u06FA-\u06FC\u06FF\u0710\u0712-\u072F\u074D-\u07A5\u07B1\u07CA-\u07EA\u07F4\u07F5\u07FA\u0800-\u0815\u081A\u0824\u0828\u0840-\u0858\u0860-\u086A\u0870-\u0887\u0889-\u088F\u08A0-\u08C9\u0904-\u0939\u093D\u0950\u0958-\u0961\u0971-\u0980\u0985-\u098C\u098F\u0990\u0993-\u09A8\u09AA-\u09B0\u09B2\u09B6-\u09B9\u09BD\u09CE\u09DC\u09DD\u09DF-\u09E1\u09F0\u09F1\u09FC\u0A05-\u0A0A\u0A0F\u0A10\u0A13-\u0A28\u0A2A-\u0A30\u0A32\u0A33\u0A35\u0A36\u0A38\u0A39\u0A59-\u0A5C\u0A5E\u0A72-\u0A74\u0A85-\u0A8D\u0A8F-\u0A91\u0A93-\u0AA8\u0AAA-\u0AB0\u0AB2\u0AB3\u0AB5-\u0AB9\u0ABD\u0AD0\u0AE0\u0AE1\u0AF9\u0B05-\u0B0C\u0B0F\u0B10\u0B13-\u0B28\u0B2A-\u0B30\u0B32\u0B33\u0B35-\u0B39\u0B3D\u0B5C\u0B5D\u0B5F-\u0B61\u0B71\u0B83\u0B85-\u0B8A\u0B8E-\u0B90\u0B92-\u0B95\u0B99\u0B9A\u0B9C\u0B9E\u0B9F\u0BA3\u0BA4\u0BA8-\u0BAA\u0BAE-\u0BB9\u0BD0\u0C05-\u0C0C\u0C0E-\u0C10\u0C12-\u0C28\u0C2A-\u0C39\u0C3D\u0C58-\u0C5A\u0C5C\u0C5D\u0C60\u0C61\u0C80\u0C85-\u0C8C\u0C8E-\u0C90\u0C92-\u0CA8\u0CAA-\u0CB3\u0CB5-\u0CB9\u0CBD\u0CDC-\u0CDE\u0CE0\u0CE1\u0CF1\u0CF2\u0D04-\u0D0C\u0D0E-\u0D10\u0D12-\u0D3A\u0D3D\u0D4E\u0D54-\u0D56\u0D5F-\u0D61\u0D7A-\u0D7F\u0D85-\u0D96\u0D9A-\u0DB1\u0DB3-\u0DBB\u0DBD\u0DC0-\u0DC6\u0E01-\u0E30\u0E32\u0E33\u0E40-\u0E46\u0E81\u0E82\u0E84\u0E86-\u0E8A\u0E8C-\u0EA3\u0EA5\u0EA7-\u0EB0\u0EB2\u0EB3\u0EBD\u0EC0-\u0EC4\u0EC6\u0EDC-\u0EDF\u0F00\u0F40-\u0F47\u0F49-\u0F6C\u0F88-\u0F8C\u1000-\u102A\u103F\u1050-\u1055\u105A-\u105D\u1061\u1065\u1066\u106E-\u1070\u1075-\u1081\u108E\u10A0-\u10C5\u10C7\u10CD\u10D0-\u10FA\u10FC-\u1248\u124A-\u124D\u1250-\u1256\u1258\u125A-\u125D\u1260-\u1288\u128A-\u128D\u1290-\u12B0\u12B2-\u12B5\u12B8-\u12BE\u12C0\u12C2-\u12C5\u12C8-\u12D6\u12D8-\u1310\u1312-\u1315\u1318-\u135A\u1380-\u138F\u13A0-\u13F5\u13F8-\u13FD\u1401-\u166C\u166F-\u167F\u1681-\u169A\u16A0-\u16EA\u16EE-\u16F8\u1700-\u1711\u171F-\u1731\u1740-\u1751\u1760-\u176C\u176E-\u1770\u1780-\u17B3\u17D7\u17DC\u1820-\u1878\u1880-\u18A8\u18AA\u18B0-\u18F5\u1900-\u191E\u1950-\u196D\u1970-\u1974\u1980-\u19AB\u19B0-\u19C9\u1A00-\u1A16\u1A20-\u1A54\u1AA7\u1B05-\u1B33\u1B45-\u1B4C\u1B83-\u1BA0\u1BAE\u1BAF\u1BBA-\u1BE5\u1C00-\u1C23\u1C4D-\u1C4F\u1C5A-\u1C7D\u1C80-\u1C8A\u1C90-\u1CBA\u1CBD-\u1CBF\u1CE9-\u1CEC\u1CEE-\u1CF3\u1CF5\u1CF6\u1CFA\u1D00-\u1DBF\u1E00-\u1F15\u1F18-\u1F1D\u1F20-\u1F45\u1F48-\u1F4D\u1F50-\u1F57\u1F59\u1F5B\u1F5D\u1F5F-\u1F7D\u1F80-\u1FB4\u1FB6-\u1FBC\u1FBE\u1FC2-\u1FC4\u1FC6-\u1FCC\u1FD0-\u1FD3\u1FD6-\u1FDB\u1FE0-\u1FEC\u1FF2-\u1FF4\u1FF6-\u1FFC\u2071\u207F\u2090-\u209C\u2102\u2107\u210A-\u2113\u2115\u2118-\u211D\u2124\u2126\u2128\u212A-\u2139\u213C-\u213F\u2145-\u2149\u214E\u2160-\u2188\u2C00-\u2CE4\u2CEB-\u2CEE\u2CF2\u2CF3\u2D00-\u2D25\u2D27\u2D2D\u2D30-\u2D67\u2D6F\u2D80-\u2D96\u2DA0-\u2DA6\u2DA8-\u2DAE\u2DB0-\u2DB6\u2DB8-\u2DBE\u2DC0-\u2DC6\u2DC8-\u2DCE\u2DD0-\u2DD6\u2DD8-\u2DDE\u3005-\u3007\u3021-\u3029\u3031-\u3035\u3038-\u303C\u3041-\u3096\u309B-\u309F\u30A1-\u30FA\u30FC-\u30FF\u3105-\u312F\u3131-\u318E\u31A0-\u31BF\u31F0-\u31FF\u3400-\u4DBF\u4E00-\uA48C\uA4D0-\uA4FD\uA500-\uA60C\uA610-\uA61F\uA62A\uA62B\uA640-\uA66E\uA67F-\uA69D\uA6A0-\uA6EF\uA717-\uA71F\uA722-\uA788\uA78B-\uA7DC\uA7F1-\uA801\uA803-\uA805\uA807-\uA80A\uA80C-\uA822\uA840-\uA873\uA882-\uA8B3\uA8F2-\uA8F7\uA8FB\uA8FD\uA8FE\uA90A-\uA925\uA930-\uA946\uA960-\uA97C\uA984-\uA9B2\uA9CF\uA9E0-\uA9E4\uA9E6-\uA9EF\uA9FA-\uA9FE\uAA00-\uAA28\uAA40-\uAA42\uAA44-\uAA4B\uAA60-\uAA76\uAA7A\uAA7E-\uAAAF\uAAB1\uAAB5\uAAB6\uAAB9-\uAABD\uAAC0\uAAC2\uAADB-\uAADD\uAAE0-\uAAEA\uAAF2-\uAAF4\uAB01-\uAB06\uAB09-\uAB0E\uAB11-\uAB16\uAB20-\uAB26\uAB28-\uAB2E\uAB30-\uAB5A\uAB5C-\uAB69\uAB70-\uABE2\uAC00-\uD7A3\uD7B0-\uD7C6\uD7CB-\uD7FB\uF900-\uFA6D\uFA70-\uFAD9\uFB00-\uFB06\uFB13-\uFB17\uFB1D\uFB1F-\uFB28\uFB2A-\uFB36\uFB38-\uFB3C\uFB3E\uFB40\uFB41\uFB43\uFB44\uFB46-\uFBB1\uFBD3-\uFD3D\uFD50-\uFD8F\uFD92-\uFDC7\uFDF0-\uFDFB\uFE70-\uFE74\uFE76-\uFEFC\uFF21-\uFF3A\uFF41-\uFF5A\uFF66-\uFFBE\uFFC2-\uFFC7\uFFCA-\uFFCF\uFFD2-\uFFD7\uFFDA-\uFFDC",eh="\xB7\u0300-\u036F\u0387\u0483-\u0487\u0591-\u05BD\u05BF\u05C1\u05C2\u05C4\u05C5\u05C7\u0610-\u061A\u064B-\u0669\u0670\u06D6-\u06DC\u06DF-\u06E4\u06E7\u06E8\u06EA-\u06ED\u06F0-\u06F9\u0711\u0730-\u074A\u07A6-\u07B0\u07C0-\u07C9\u07EB-\u07F3\u07FD\u0816-\u0819\u081B-\u0823\u0825-\u0827\u0829-\u082D\u0859-\u085B\u0897-\u089F\u08CA-\u08E1\u08E3-\u0903\u093A-\u093C\u093E-\u094F\u0951-\u0957\u0962\u0963\u0966-\u096F\u0981-\u0983\u09BC\u09BE-\u09C4\u09C7\u09C8\u09CB-\u09CD\u09D7\u09E2\u09E3\u09E6-\u09EF\u09FE\u0A01-\u0A03\u0A3C\u0A3E-\u0A42\u0A47\u0A48\u0A4B-\u0A4D\u0A51\u0A66-\u0A71\u0A75\u0A81-\u0A83\u0ABC\u0ABE-\u0AC5\u0AC7-\u0AC9\u0ACB-\u0ACD\u0AE2\u0AE3\u0AE6-\u0AEF\u0AFA-\u0AFF\u0B01-\u0B03\u0B3C\u0B3E-\u0B44\u0B47\u0B48\u0B4B-\u0B4D\u0B55-\u0B57\u0B62\u0B63\u0B66-\u0B6F\u0B82\u0BBE-\u0BC2\u0BC6-\u0BC8\u0BCA-\u0BCD\u0BD7\u0BE6-\u0BEF\u0C00-\u0C04\u0C3C\u0C3E-\u0C44\u0C46-\u0C48\u0C4A-\u0C4D\u0C55\u0C56\u0C62\u0C63\u0C66-\u0C6F\u0C81-\u0C83\u0CBC\u0CBE-\u0CC4\u0CC6-\u0CC8\u0CCA-\u0CCD\u0CD5\u0CD6\u0CE2\u0CE3\u0CE6-\u0CEF\u0CF3\u0D00-\u0D03\u0D3B\u0D3C\u0D3E-\u0D44\u0D46-\u0D48\u0D4A-\u0D4D\u0D57\u0D62\u0D63\u0D66-\u0D6F\u0D81-\u0D83\u0DCA\u0DCF-\u0DD4\u0DD6\u0DD8-\u0DDF\u0DE6-\u0DEF\u0DF2\u0DF3\u0E31\u0E34-\u0E3A\u0E47-\u0E4E\u0E50-\u0E59\u0EB1\u0EB4-\u0EBC\u0EC8-\u0ECE\u0ED0-\u0ED9\u0F18\u0F19\u0F20-\u0F29\u0F35\u0F37\u0F39\u0F3E\u0F3F\u0F71-\u0F84\u0F86\u0F87\u0F8D-\u0F97\u0F99-\u0FBC\u0FC6\u102B-\u103E\u1040-\u1049\u1056-\u1059\u105E-\u1060\u1062-\u1064\u1067-\u106D\u1071-\u1074\u1082-\u108D\u108F-\u109D\u135D-\u135F\u1369-\u1371\u1712-\u1715\u1732-\u1734\u1752\u1753\u1772\u1773\u17B4-\u17D3\u17DD\u17E0-\u17E9\u180B-\u180D\u180F-\u1819\u18A9\u1920-\u192B\u1930-\u193B\u1946-\u194F\u19D0-\u19DA\u1A17-\u1A1B\u1A55-\u1A5E\u1A60-\u1A7C\u1A7F-\u1A89\u1A90-\u1A99\u1AB0-\u1ABD\u1ABF-\u1ADD\u1AE0-\u1AEB\u1B00-\u1B04\u1B34-\u1B44\u1B50-\u1B59\u1B6B-\u1B73\u1B80-\u1B82\u1BA1-\u1BAD\u1BB0-\u1BB9\u1BE6-\u1BF3\u1C24-\u1C37\u1C40-\u1C49\u1C50-\u1C59\u1CD0-\u1CD2\u1CD4-\u1CE8\u1CED\u1CF4\u1CF7-\u1CF9\u1DC0-\u1DFF\u200C\u200D\u203F\u2040\u2054\u20D0-\u20DC\u20E1\u20E5-\u20F0\u2CEF-\u2CF1\u2D7F\u2DE0-\u2DFF\u302A-\u302F\u3099\u309A\u30FB\uA620-\uA629\uA66F\uA674-\uA67D\uA69E\uA69F\uA6F0\uA6F1\uA802\uA806\uA80B\uA823-\uA827\uA82C\uA880\uA881\uA8B4-\uA8C5\uA8D0-\uA8D9\uA8E0-\uA8F1\uA8FF-\uA909\uA926-\uA92D\uA947-\uA953\uA980-\uA983\uA9B3-\uA9C0\uA9D0-\uA9D9\uA9E5\uA9F0-\uA9F9\uAA29-\uAA36\uAA43\uAA4C\uAA4D\uAA50-\uAA59\uAA7B-\uAA7D\uAAB0\uAAB2-\uAAB4\uAAB7\uAAB8\uAABE\uAABF\uAAC1\uAAEB-\uAAEF\uAAF5\uAAF6\uABE3-\uABEA\uABEC\uABED\uABF0-\uABF9\uFB1E\uFE00-\uFE0F\uFE20-\uFE2F\uFE33\uFE34\uFE4D-\uFE4F\uFF10-\uFF19\uFF3F\uFF65",Rv=new RegExp("["+Ua+"]"),jv=new RegExp("["+Ua+eh+"]");Ua=eh=null;var th=[0,11,2,25,2,18,2,1,2,14,3,13,35,122,70,52,268,28,4,48,48,31,14,29,6,37,11,29,3,35,5,7,2,4,43,157,19,35,5,35,5,39,9,51,13,10,2,14,2,6,2,1,2,10,2,14,2,6,2,1,4,51,13,310,10,21,11,7,25,5,2,41,2,8,70,5,3,0,2,43,2,1,4,0,3,22,11,22,10,30,66,18,2,1,11,21,11,25,7,25,39,55,7,1,65,0,16,3,2,2,2,28,43,28,4,28,36,7,2,27,28,53,11,21,11,18,14,17,111,72,56,50,14,50,14,35,39,27,10,22,251,41,7,1,17,5,57,28,11,0,9,21,43,17,47,20,28,22,13,52,58,1,3,0,14,44,33,24,27,35,30,0,3,0,9,34,4,0,13,47,15,3,22,0,2,0,36,17,2,24,20,1,64,6,2,0,2,3,2,14,2,9,8,46,39,7,3,1,3,21,2,6,2,1,2,4,4,0,19,0,13,4,31,9,2,0,3,0,2,37,2,0,26,0,2,0,45,52,19,3,21,2,31,47,21,1,2,0,185,46,42,3,37,47,21,0,60,42,14,0,72,26,38,6,186,43,117,63,32,7,3,0,3,7,2,1,2,23,16,0,2,0,95,7,3,38,17,0,2,0,29,0,11,39,8,0,22,0,12,45,20,0,19,72,200,32,32,8,2,36,18,0,50,29,113,6,2,1,2,37,22,0,26,5,2,1,2,31,15,0,24,43,261,18,16,0,2,12,2,33,125,0,80,921,103,110,18,195,2637,96,16,1071,18,5,26,3994,6,582,6842,29,1763,568,8,30,18,78,18,29,19,47,17,3,32,20,6,18,433,44,212,63,33,24,3,24,45,74,6,0,67,12,65,1,2,0,15,4,10,7381,42,31,98,114,8702,3,2,6,2,1,2,290,16,0,30,2,3,0,15,3,9,395,2309,106,6,12,4,8,8,9,5991,84,2,70,2,1,3,0,3,1,3,3,2,11,2,0,2,6,2,64,2,3,3,7,2,6,2,27,2,3,2,4,2,0,4,6,2,339,3,24,2,24,2,30,2,24,2,30,2,24,2,30,2,24,2,30,2,24,2,7,1845,30,7,5,262,61,147,44,11,6,17,0,322,29,19,43,485,27,229,29,3,0,208,30,2,2,2,1,2,6,3,4,10,1,225,6,2,3,2,1,2,14,2,196,60,67,8,0,1205,3,2,26,2,1,2,0,3,0,2,9,2,3,2,0,2,0,7,0,5,0,2,0,2,0,2,2,2,1,2,0,3,0,2,0,2,0,2,0,2,0,2,1,2,0,3,3,2,6,2,3,2,3,2,0,2,9,2,16,6,2,2,4,2,16,4421,42719,33,4381,3,5773,3,7472,16,621,2467,541,1507,4938,6,8489],Vv=[509,0,227,0,150,4,294,9,1368,2,2,1,6,3,41,2,5,0,166,1,574,3,9,9,7,9,32,4,318,1,78,5,71,10,50,3,123,2,54,14,32,10,3,1,11,3,46,10,8,0,46,9,7,2,37,13,2,9,6,1,45,0,13,2,49,13,9,3,2,11,83,11,7,0,3,0,158,11,6,9,7,3,56,1,2,6,3,1,3,2,10,0,11,1,3,6,4,4,68,8,2,0,3,0,2,3,2,4,2,0,15,1,83,17,10,9,5,0,82,19,13,9,214,6,3,8,28,1,83,16,16,9,82,12,9,9,7,19,58,14,5,9,243,14,166,9,71,5,2,1,3,3,2,0,2,1,13,9,120,6,3,6,4,0,29,9,41,6,2,3,9,0,10,10,47,15,199,7,137,9,54,7,2,7,17,9,57,21,2,13,123,5,4,0,2,1,2,6,2,0,9,9,49,4,2,1,2,4,9,9,55,9,266,3,10,1,2,0,49,6,4,4,14,10,5350,0,7,14,11465,27,2343,9,87,9,39,4,60,6,26,9,535,9,470,0,2,54,8,3,82,0,12,1,19628,1,4178,9,519,45,3,22,543,4,4,5,9,7,3,6,31,3,149,2,1418,49,513,54,5,49,9,0,15,0,23,4,2,14,1361,6,2,16,3,6,2,1,2,4,101,0,161,6,10,9,357,0,62,13,499,13,245,1,2,9,233,0,3,0,8,1,6,0,475,6,110,6,6,9,4759,9,787719,239];function Va(t,e){let r=65536;for(let i=0,s=e.length;i<s;i+=2){if(r+=e[i],r>t)return!1;if(r+=e[i+1],r>=t)return!0}return!1}n(Va,"isInAstralSet");function rh(t){return t<65?t===36:t<=90?!0:t<97?t===95:t<=122?!0:t<=65535?t>=170&&Rv.test(String.fromCharCode(t)):Va(t,th)}n(rh,"isIdentifierStart");function ih(t){return t<48?t===36:t<58?!0:t<65?!1:t<=90?!0:t<97?t===95:t<=122?!0:t<=65535?t>=170&&jv.test(String.fromCharCode(t)):Va(t,th)||Va(t,Vv)}n(ih,"isIdentifierChar");function Uv(t){let e=!0;for(let r=0;r<t.length;r++){let i=t.charCodeAt(r);if((i&64512)===55296&&r+1<t.length){let s=t.charCodeAt(++r);(s&64512)===56320&&(i=65536+((i&1023)<<10)+(s&1023))}if(e){if(e=!1,!rh(i))return!1}else if(!ih(i))return!1}return!e}n(Uv,"isIdentifierName")});var lh=D(nr=>{"use strict";T();Object.defineProperty(nr,"__esModule",{value:!0});nr.isKeyword=Jv;nr.isReservedWord=nh;nr.isStrictBindOnlyReservedWord=oh;nr.isStrictBindReservedWord=Xv;nr.isStrictReservedWord=ah;var qa={keyword:["break","case","catch","continue","debugger","default","do","else","finally","for","function","if","return","switch","throw","try","var","const","while","with","new","this","super","class","extends","export","import","null","true","false","in","instanceof","typeof","void","delete"],strict:["implements","interface","let","package","private","protected","public","static","yield"],strictBind:["eval","arguments"]},qv=new Set(qa.keyword),Kv=new Set(qa.strict),Yv=new Set(qa.strictBind);function nh(t,e){return e&&t==="await"||t==="enum"}n(nh,"isReservedWord");function ah(t,e){return nh(t,e)||Kv.has(t)}n(ah,"isStrictReservedWord");function oh(t){return Yv.has(t)}n(oh,"isStrictBindOnlyReservedWord");function Xv(t,e){return ah(t,e)||oh(t)}n(Xv,"isStrictBindReservedWord");function Jv(t){return qv.has(t)}n(Jv,"isKeyword")});var _s=D(Tt=>{"use strict";T();Object.defineProperty(Tt,"__esModule",{value:!0});Object.defineProperty(Tt,"isIdentifierChar",{enumerable:!0,get:n(function(){return Ka.isIdentifierChar},"get")});Object.defineProperty(Tt,"isIdentifierName",{enumerable:!0,get:n(function(){return Ka.isIdentifierName},"get")});Object.defineProperty(Tt,"isIdentifierStart",{enumerable:!0,get:n(function(){return Ka.isIdentifierStart},"get")});Object.defineProperty(Tt,"isKeyword",{enumerable:!0,get:n(function(){return Ci.isKeyword},"get")});Object.defineProperty(Tt,"isReservedWord",{enumerable:!0,get:n(function(){return Ci.isReservedWord},"get")});Object.defineProperty(Tt,"isStrictBindOnlyReservedWord",{enumerable:!0,get:n(function(){return Ci.isStrictBindOnlyReservedWord},"get")});Object.defineProperty(Tt,"isStrictBindReservedWord",{enumerable:!0,get:n(function(){return Ci.isStrictBindReservedWord},"get")});Object.defineProperty(Tt,"isStrictReservedWord",{enumerable:!0,get:n(function(){return Ci.isStrictReservedWord},"get")});var Ka=sh(),Ci=lh()});var jr=D(Xa=>{"use strict";T();Object.defineProperty(Xa,"__esModule",{value:!0});Xa.default=Wv;var Ya=_s();function Wv(t,e=!0){return typeof t!="string"||e&&((0,Ya.isKeyword)(t)||(0,Ya.isStrictReservedWord)(t,!0))?!1:(0,Ya.isIdentifierName)(t)}n(Wv,"isValidIdentifier")});var fh=D(Ni=>{"use strict";T();Object.defineProperty(Ni,"__esModule",{value:!0});Ni.readCodePoint=ph;Ni.readInt=ch;Ni.readStringContents=zv;var $v=n(function(e){return e>=48&&e<=57},"isDigit"),uh={decBinOct:new Set([46,66,69,79,95,98,101,111]),hex:new Set([46,88,95,120])},Ds={bin:n(t=>t===48||t===49,"bin"),oct:n(t=>t>=48&&t<=55,"oct"),dec:n(t=>t>=48&&t<=57,"dec"),hex:n(t=>t>=48&&t<=57||t>=65&&t<=70||t>=97&&t<=102,"hex")};function zv(t,e,r,i,s,a){let l=r,u=i,p=s,h="",m=null,I=r,{length:_}=e;for(;;){if(r>=_){a.unterminated(l,u,p),h+=e.slice(I,r);break}let F=e.charCodeAt(r);if(Hv(t,F,e,r)){h+=e.slice(I,r);break}if(F===92){h+=e.slice(I,r);let B=Gv(e,r,i,s,t==="template",a);B.ch===null&&!m?m={pos:r,lineStart:i,curLine:s}:h+=B.ch,{pos:r,lineStart:i,curLine:s}=B,I=r}else F===8232||F===8233?(++r,++s,i=r):F===10||F===13?t==="template"?(h+=e.slice(I,r)+`
+`,++r,F===13&&e.charCodeAt(r)===10&&++r,++s,I=i=r):a.unterminated(l,u,p):++r}return{pos:r,str:h,firstInvalidLoc:m,lineStart:i,curLine:s,containsInvalid:!!m}}n(zv,"readStringContents");function Hv(t,e,r,i){return t==="template"?e===96||e===36&&r.charCodeAt(i+1)===123:e===(t==="double"?34:39)}n(Hv,"isStringEnd");function Gv(t,e,r,i,s,a){let l=!s;e++;let u=n(h=>({pos:e,ch:h,lineStart:r,curLine:i}),"res"),p=t.charCodeAt(e++);switch(p){case 110:return u(`
+`);case 114:return u("\r");case 120:{let h;return{code:h,pos:e}=Ja(t,e,r,i,2,!1,l,a),u(h===null?null:String.fromCharCode(h))}case 117:{let h;return{code:h,pos:e}=ph(t,e,r,i,l,a),u(h===null?null:String.fromCodePoint(h))}case 116:return u("	");case 98:return u("\b");case 118:return u("\v");case 102:return u("\f");case 13:t.charCodeAt(e)===10&&++e;case 10:r=e,++i;case 8232:case 8233:return u("");case 56:case 57:if(s)return u(null);a.strictNumericEscape(e-1,r,i);default:if(p>=48&&p<=55){let h=e-1,I=/^[0-7]+/.exec(t.slice(h,e+2))[0],_=parseInt(I,8);_>255&&(I=I.slice(0,-1),_=parseInt(I,8)),e+=I.length-1;let F=t.charCodeAt(e);if(I!=="0"||F===56||F===57){if(s)return u(null);a.strictNumericEscape(h,r,i)}return u(String.fromCharCode(_))}return u(String.fromCharCode(p))}}n(Gv,"readEscapedChar");function Ja(t,e,r,i,s,a,l,u){let p=e,h;return{n:h,pos:e}=ch(t,e,r,i,16,s,a,!1,u,!l),h===null&&(l?u.invalidEscapeSequence(p,r,i):e=p-1),{code:h,pos:e}}n(Ja,"readHexChar");function ch(t,e,r,i,s,a,l,u,p,h){let m=e,I=s===16?uh.hex:uh.decBinOct,_=s===16?Ds.hex:s===10?Ds.dec:s===8?Ds.oct:Ds.bin,F=!1,B=0;for(let U=0,te=a??1/0;U<te;++U){let Y=t.charCodeAt(e),Q;if(Y===95&&u!=="bail"){let z=t.charCodeAt(e-1),S=t.charCodeAt(e+1);if(u){if(Number.isNaN(S)||!_(S)||I.has(z)||I.has(S)){if(h)return{n:null,pos:e};p.unexpectedNumericSeparator(e,r,i)}}else{if(h)return{n:null,pos:e};p.numericSeparatorInEscapeSequence(e,r,i)}++e;continue}if(Y>=97?Q=Y-97+10:Y>=65?Q=Y-65+10:$v(Y)?Q=Y-48:Q=1/0,Q>=s){if(Q<=9&&h)return{n:null,pos:e};if(Q<=9&&p.invalidDigit(e,r,i,s))Q=0;else if(l)Q=0,F=!0;else break}++e,B=B*s+Q}return e===m||a!=null&&e-m!==a||F?{n:null,pos:e}:{n:B,pos:e}}n(ch,"readInt");function ph(t,e,r,i,s,a){let l=t.charCodeAt(e),u;if(l===123){if(++e,{code:u,pos:e}=Ja(t,e,r,i,t.indexOf("}",e)-e,!0,s,a),++e,u!==null&&u>1114111)if(s)a.invalidCodePoint(e,r,i);else return{code:null,pos:e}}else({code:u,pos:e}=Ja(t,e,r,i,4,!1,s,a));return{code:u,pos:e}}n(ph,"readCodePoint")});var Vr=D(le=>{"use strict";T();Object.defineProperty(le,"__esModule",{value:!0});le.UPDATE_OPERATORS=le.UNARY_OPERATORS=le.STRING_UNARY_OPERATORS=le.STATEMENT_OR_BLOCK_KEYS=le.NUMBER_UNARY_OPERATORS=le.NUMBER_BINARY_OPERATORS=le.LOGICAL_OPERATORS=le.INHERIT_KEYS=le.FOR_INIT_KEYS=le.FLATTENABLE_KEYS=le.EQUALITY_BINARY_OPERATORS=le.COMPARISON_BINARY_OPERATORS=le.COMMENT_KEYS=le.BOOLEAN_UNARY_OPERATORS=le.BOOLEAN_NUMBER_BINARY_OPERATORS=le.BOOLEAN_BINARY_OPERATORS=le.BINARY_OPERATORS=le.ASSIGNMENT_OPERATORS=void 0;var t9=le.STATEMENT_OR_BLOCK_KEYS=["consequent","body","alternate"],r9=le.FLATTENABLE_KEYS=["body","expressions"],i9=le.FOR_INIT_KEYS=["left","init"],s9=le.COMMENT_KEYS=["leadingComments","trailingComments","innerComments"],Qv=le.LOGICAL_OPERATORS=["||","&&","??"],n9=le.UPDATE_OPERATORS=["++","--"],Zv=le.BOOLEAN_NUMBER_BINARY_OPERATORS=[">","<",">=","<="],e1=le.EQUALITY_BINARY_OPERATORS=["==","===","!=","!=="],t1=le.COMPARISON_BINARY_OPERATORS=[...e1,"in","instanceof"],r1=le.BOOLEAN_BINARY_OPERATORS=[...t1,...Zv],hh=le.NUMBER_BINARY_OPERATORS=["-","/","%","*","**","&","|",">>",">>>","<<","^"],a9=le.BINARY_OPERATORS=["+",...hh,...r1,"|>"],o9=le.ASSIGNMENT_OPERATORS=["=","+=",...hh.map(t=>t+"="),...Qv.map(t=>t+"=")],i1=le.BOOLEAN_UNARY_OPERATORS=["delete","!"],s1=le.NUMBER_UNARY_OPERATORS=["+","-","~"],n1=le.STRING_UNARY_OPERATORS=["typeof"],l9=le.UNARY_OPERATORS=["void","throw",...i1,...s1,...n1],u9=le.INHERIT_KEYS={optional:["typeAnnotation","typeParameters","returnType"],force:["start","loc","end"]};le.BLOCK_SCOPED_SYMBOL=Symbol.for("var used to be block scoped");le.NOT_LOCAL_BINDING=Symbol.for("should not be considered a local binding")});var xt=D(pe=>{"use strict";T();Object.defineProperty(pe,"__esModule",{value:!0});pe.allExpandedTypes=pe.VISITOR_KEYS=pe.NODE_UNION_SHAPES__PRIVATE=pe.NODE_PARENT_VALIDATIONS=pe.NODE_FIELDS=pe.FLIPPED_ALIAS_KEYS=pe.DEPRECATED_KEYS=pe.BUILDER_KEYS=pe.ALIAS_KEYS=void 0;pe.arrayOf=yh;pe.arrayOfType=mh;pe.assertEach=Th;pe.assertNodeOrValueType=S1;pe.assertNodeType=Ms;pe.assertOneOf=T1;pe.assertOptionalChainStart=E1;pe.assertShape=b1;pe.assertValueType=Ha;pe.chain=xh;pe.default=Sh;pe.defineAliasedType=v1;pe.validate=za;pe.validateArrayOfType=m1;pe.validateOptional=d1;pe.validateOptionalType=y1;pe.validateType=h1;var dh=Rr(),Oi=Fs(),a1=pe.VISITOR_KEYS={},o1=pe.ALIAS_KEYS={},Wa=pe.FLIPPED_ALIAS_KEYS={},l1=pe.NODE_FIELDS={},u1=pe.BUILDER_KEYS={},c1=pe.DEPRECATED_KEYS={},p1=pe.NODE_PARENT_VALIDATIONS={},f1=pe.NODE_UNION_SHAPES__PRIVATE={};function Ls(t){return Array.isArray(t)?"array":t===null?"null":typeof t}n(Ls,"getType");function za(t){return{validate:t}}n(za,"validate");function h1(...t){return za(Ms(...t))}n(h1,"validateType");function d1(t){return{validate:t,optional:!0}}n(d1,"validateOptional");function y1(...t){return{validate:Ms(...t),optional:!0}}n(y1,"validateOptionalType");function yh(t){return xh(Ha("array"),Th(t))}n(yh,"arrayOf");function mh(...t){return yh(Ms(...t))}n(mh,"arrayOfType");function m1(...t){return za(mh(...t))}n(m1,"validateArrayOfType");function Th(t){let e=O.env.BABEL_TYPES_8_BREAKING?Oi.validateChild:()=>{};function r(i,s,a){if(!Array.isArray(a))return;let l=0,u={toString(){return`${s}[${l}]`}};for(;l<a.length;l++){let p=a[l];t(i,u,p),e(i,u,p)}}return n(r,"validator"),r.each=t,r}n(Th,"assertEach");function T1(...t){function e(r,i,s){if(!t.includes(s))throw new TypeError(`Property ${i} expected value to be one of ${JSON.stringify(t)} but got ${JSON.stringify(s)}`)}return n(e,"validate"),e.oneOf=t,e}n(T1,"assertOneOf");var x1=pe.allExpandedTypes=[];function Ms(...t){let e=new Set;x1.push({types:t,set:e});function r(i,s,a){let l=a?.type;if(l!=null){if(e.has(l)){(0,Oi.validateChild)(i,s,a);return}if(l==="Placeholder"){for(let u of t)if((0,dh.default)(u,a)){(0,Oi.validateChild)(i,s,a);return}}}throw new TypeError(`Property ${s} of ${i.type} expected node to be of a type ${JSON.stringify(t)} but instead got ${JSON.stringify(l)}`)}return n(r,"validate"),r.oneOfNodeTypes=t,r}n(Ms,"assertNodeType");function S1(...t){function e(r,i,s){let a=Ls(s);for(let l of t)if(a===l||(0,dh.default)(l,s)){(0,Oi.validateChild)(r,i,s);return}throw new TypeError(`Property ${i} of ${r.type} expected node to be of a type ${JSON.stringify(t)} but instead got ${JSON.stringify(s?.type)}`)}return n(e,"validate"),e.oneOfNodeOrValueTypes=t,e}n(S1,"assertNodeOrValueType");function Ha(t){function e(r,i,s){if(Ls(s)!==t)throw new TypeError(`Property ${i} expected type of ${t} but got ${Ls(s)}`)}return n(e,"validate"),e.type=t,e}n(Ha,"assertValueType");function b1(t){let e=Object.keys(t);function r(i,s,a){let l=[];for(let u of e)try{(0,Oi.validateField)(i,u,a[u],t[u])}catch(p){if(p instanceof TypeError){l.push(p.message);continue}throw p}if(l.length)throw new TypeError(`Property ${s} of ${i.type} expected to have the following:
+${l.join(`
+`)}`)}return n(r,"validate"),r.shapeOf=t,r}n(b1,"assertShape");function E1(){function t(e){var r;let i=e;for(;e;){let{type:s}=i;if(s==="OptionalCallExpression"){if(i.optional)return;i=i.callee;continue}if(s==="OptionalMemberExpression"){if(i.optional)return;i=i.object;continue}break}throw new TypeError(`Non-optional ${e.type} must chain from an optional OptionalMemberExpression or OptionalCallExpression. Found chain from ${(r=i)==null?void 0:r.type}`)}return n(t,"validate"),t}n(E1,"assertOptionalChainStart");function xh(...t){function e(...r){for(let i of t)i(...r)}if(n(e,"validate"),e.chainOf=t,t.length>=2&&"type"in t[0]&&t[0].type==="array"&&!("each"in t[1]))throw new Error('An assertValueType("array") validator can only be followed by an assertEach(...) validator.');return e}n(xh,"chain");var g1=new Set(["aliases","builder","deprecatedAlias","fields","inherits","visitor","validate","unionShape"]),P1=new Set(["default","optional","deprecated","validate"]),$a={};function v1(...t){return(e,r={})=>{let i=r.aliases;if(!i){var s;r.inherits&&(i=(s=$a[r.inherits].aliases)==null?void 0:s.slice()),i??(i=[]),r.aliases=i}let a=t.filter(l=>!i.includes(l));i.unshift(...a),Sh(e,r)}}n(v1,"defineAliasedType");function Sh(t,e={}){let r=e.inherits&&$a[e.inherits]||{},i=e.fields;if(!i&&(i={},r.fields)){let u=Object.getOwnPropertyNames(r.fields);for(let p of u){let h=r.fields[p],m=h.default;if(Array.isArray(m)?m.length>0:m&&typeof m=="object")throw new Error("field defaults can only be primitives or empty arrays currently");i[p]={default:Array.isArray(m)?[]:m,optional:h.optional,deprecated:h.deprecated,validate:h.validate}}}let s=e.visitor||r.visitor||[],a=e.aliases||r.aliases||[],l=e.builder||r.builder||e.visitor||[];for(let u of Object.keys(e))if(!g1.has(u))throw new Error(`Unknown type option "${u}" on ${t}`);e.deprecatedAlias&&(c1[e.deprecatedAlias]=t);for(let u of s.concat(l))i[u]=i[u]||{};for(let u of Object.keys(i)){let p=i[u];p.default!==void 0&&!l.includes(u)&&(p.optional=!0),p.default===void 0?p.default=null:!p.validate&&p.default!=null&&(p.validate=Ha(Ls(p.default)));for(let h of Object.keys(p))if(!P1.has(h))throw new Error(`Unknown field key "${h}" on ${t}.${u}`)}a1[t]=e.visitor=s,u1[t]=e.builder=l,l1[t]=e.fields=i,o1[t]=e.aliases=a,a.forEach(u=>{Wa[u]=Wa[u]||[],Wa[u].push(t)}),e.validate&&(p1[t]=e.validate),e.unionShape&&(f1[t]=e.unionShape),$a[t]=e}n(Sh,"defineType")});var _i=D(ke=>{"use strict";T();Object.defineProperty(ke,"__esModule",{value:!0});ke.patternLikeCommon=ke.importAttributes=ke.functionTypeAnnotationCommon=ke.functionDeclarationCommon=ke.functionCommon=ke.classMethodOrPropertyUnionShapeCommon=ke.classMethodOrPropertyCommon=ke.classMethodOrDeclareMethodCommon=void 0;var Ue=Rr(),A1=jr(),bh=_s(),I1=fh(),Ur=Vr(),A=xt(),ki=n((t=!1)=>({unionShape:{discriminator:"computed",shapes:[{name:"computed",value:[!0],properties:{key:{validate:(0,A.assertNodeType)("Expression")}}},{name:"nonComputed",value:[!1],properties:{key:{validate:t?(0,A.assertNodeType)("Identifier","StringLiteral","NumericLiteral","BigIntLiteral","PrivateName"):(0,A.assertNodeType)("Identifier","StringLiteral","NumericLiteral","BigIntLiteral")}}}]}}),"classMethodOrPropertyUnionShapeCommon");ke.classMethodOrPropertyUnionShapeCommon=ki;var q=(0,A.defineAliasedType)("Standardized");q("ArrayExpression",{fields:{elements:{validate:(0,A.arrayOf)((0,A.assertNodeOrValueType)("null","Expression","SpreadElement")),default:O.env.BABEL_TYPES_8_BREAKING?void 0:[]}},visitor:["elements"],aliases:["Expression"]});q("AssignmentExpression",{fields:{operator:{validate:O.env.BABEL_TYPES_8_BREAKING?Object.assign(function(){let t=(0,A.assertOneOf)(...Ur.ASSIGNMENT_OPERATORS),e=(0,A.assertOneOf)("=");return function(r,i,s){((0,Ue.default)("Pattern",r.left)?e:t)(r,i,s)}}(),{oneOf:Ur.ASSIGNMENT_OPERATORS}):(0,A.assertValueType)("string")},left:{validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.assertNodeType)("Identifier","MemberExpression","OptionalMemberExpression","ArrayPattern","ObjectPattern","TSAsExpression","TSSatisfiesExpression","TSTypeAssertion","TSNonNullExpression"):(0,A.assertNodeType)("LVal","OptionalMemberExpression")},right:{validate:(0,A.assertNodeType)("Expression")}},builder:["operator","left","right"],visitor:["left","right"],aliases:["Expression"]});q("BinaryExpression",{builder:["operator","left","right"],fields:{operator:{validate:(0,A.assertOneOf)(...Ur.BINARY_OPERATORS)},left:{validate:function(){let t=(0,A.assertNodeType)("Expression"),e=(0,A.assertNodeType)("Expression","PrivateName");return Object.assign(function(i,s,a){(i.operator==="in"?e:t)(i,s,a)},{oneOfNodeTypes:["Expression","PrivateName"]})}()},right:{validate:(0,A.assertNodeType)("Expression")}},visitor:["left","right"],aliases:["Binary","Expression"]});q("InterpreterDirective",{builder:["value"],fields:{value:{validate:(0,A.assertValueType)("string")}}});q("Directive",{visitor:["value"],fields:{value:{validate:(0,A.assertNodeType)("DirectiveLiteral")}}});q("DirectiveLiteral",{builder:["value"],fields:{value:{validate:(0,A.assertValueType)("string")}}});q("BlockStatement",{builder:["body","directives"],visitor:["directives","body"],fields:{directives:{validate:(0,A.arrayOfType)("Directive"),default:[]},body:(0,A.validateArrayOfType)("Statement")},aliases:["Scopable","BlockParent","Block","Statement"]});q("BreakStatement",{visitor:["label"],fields:{label:{validate:(0,A.assertNodeType)("Identifier"),optional:!0}},aliases:["Statement","Terminatorless","CompletionStatement"]});q("CallExpression",{visitor:["callee","typeParameters","typeArguments","arguments"],builder:["callee","arguments"],aliases:["Expression"],fields:Object.assign({callee:{validate:(0,A.assertNodeType)("Expression","Super","V8IntrinsicIdentifier")},arguments:(0,A.validateArrayOfType)("Expression","SpreadElement","ArgumentPlaceholder"),typeArguments:{validate:(0,A.assertNodeType)("TypeParameterInstantiation"),optional:!0}},O.env.BABEL_TYPES_8_BREAKING?{}:{optional:{validate:(0,A.assertValueType)("boolean"),optional:!0},typeParameters:{validate:(0,A.assertNodeType)("TSTypeParameterInstantiation"),optional:!0}})});q("CatchClause",{visitor:["param","body"],fields:{param:{validate:(0,A.assertNodeType)("Identifier","ArrayPattern","ObjectPattern"),optional:!0},body:{validate:(0,A.assertNodeType)("BlockStatement")}},aliases:["Scopable","BlockParent"]});q("ConditionalExpression",{visitor:["test","consequent","alternate"],fields:{test:{validate:(0,A.assertNodeType)("Expression")},consequent:{validate:(0,A.assertNodeType)("Expression")},alternate:{validate:(0,A.assertNodeType)("Expression")}},aliases:["Expression","Conditional"]});q("ContinueStatement",{visitor:["label"],fields:{label:{validate:(0,A.assertNodeType)("Identifier"),optional:!0}},aliases:["Statement","Terminatorless","CompletionStatement"]});q("DebuggerStatement",{aliases:["Statement"]});q("DoWhileStatement",{builder:["test","body"],visitor:["body","test"],fields:{test:{validate:(0,A.assertNodeType)("Expression")},body:{validate:(0,A.assertNodeType)("Statement")}},aliases:["Statement","BlockParent","Loop","While","Scopable"]});q("EmptyStatement",{aliases:["Statement"]});q("ExpressionStatement",{visitor:["expression"],fields:{expression:{validate:(0,A.assertNodeType)("Expression")}},aliases:["Statement","ExpressionWrapper"]});q("File",{builder:["program","comments","tokens"],visitor:["program"],fields:{program:{validate:(0,A.assertNodeType)("Program")},comments:{validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.assertEach)((0,A.assertNodeType)("CommentBlock","CommentLine")):Object.assign(()=>{},{each:{oneOfNodeTypes:["CommentBlock","CommentLine"]}}),optional:!0},tokens:{validate:(0,A.assertEach)(Object.assign(()=>{},{type:"any"})),optional:!0}}});q("ForInStatement",{visitor:["left","right","body"],aliases:["Scopable","Statement","For","BlockParent","Loop","ForXStatement"],fields:{left:{validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.assertNodeType)("VariableDeclaration","Identifier","MemberExpression","ArrayPattern","ObjectPattern","TSAsExpression","TSSatisfiesExpression","TSTypeAssertion","TSNonNullExpression"):(0,A.assertNodeType)("VariableDeclaration","LVal")},right:{validate:(0,A.assertNodeType)("Expression")},body:{validate:(0,A.assertNodeType)("Statement")}}});q("ForStatement",{visitor:["init","test","update","body"],aliases:["Scopable","Statement","For","BlockParent","Loop"],fields:{init:{validate:(0,A.assertNodeType)("VariableDeclaration","Expression"),optional:!0},test:{validate:(0,A.assertNodeType)("Expression"),optional:!0},update:{validate:(0,A.assertNodeType)("Expression"),optional:!0},body:{validate:(0,A.assertNodeType)("Statement")}}});var qr=n(()=>({params:(0,A.validateArrayOfType)("FunctionParameter"),generator:{default:!1},async:{default:!1}}),"functionCommon");ke.functionCommon=qr;var ar=n(()=>({returnType:{validate:(0,A.assertNodeType)("TypeAnnotation","TSTypeAnnotation","Noop"),optional:!0},typeParameters:{validate:(0,A.assertNodeType)("TypeParameterDeclaration","TSTypeParameterDeclaration","Noop"),optional:!0}}),"functionTypeAnnotationCommon");ke.functionTypeAnnotationCommon=ar;var Eh=n(()=>Object.assign({},qr(),{declare:{validate:(0,A.assertValueType)("boolean"),optional:!0},id:{validate:(0,A.assertNodeType)("Identifier"),optional:!0}}),"functionDeclarationCommon");ke.functionDeclarationCommon=Eh;q("FunctionDeclaration",{builder:["id","params","body","generator","async"],visitor:["id","typeParameters","params","predicate","returnType","body"],fields:Object.assign({},Eh(),ar(),{body:{validate:(0,A.assertNodeType)("BlockStatement")},predicate:{validate:(0,A.assertNodeType)("DeclaredPredicate","InferredPredicate"),optional:!0}}),aliases:["Scopable","Function","BlockParent","FunctionParent","Statement","Pureish","Declaration"],validate:O.env.BABEL_TYPES_8_BREAKING?function(){let t=(0,A.assertNodeType)("Identifier");return function(e,r,i){(0,Ue.default)("ExportDefaultDeclaration",e)||t(i,"id",i.id)}}():void 0});q("FunctionExpression",{inherits:"FunctionDeclaration",aliases:["Scopable","Function","BlockParent","FunctionParent","Expression","Pureish"],fields:Object.assign({},qr(),ar(),{id:{validate:(0,A.assertNodeType)("Identifier"),optional:!0},body:{validate:(0,A.assertNodeType)("BlockStatement")},predicate:{validate:(0,A.assertNodeType)("DeclaredPredicate","InferredPredicate"),optional:!0}})});var Kr=n(()=>({typeAnnotation:{validate:(0,A.assertNodeType)("TypeAnnotation","TSTypeAnnotation","Noop"),optional:!0},optional:{validate:(0,A.assertValueType)("boolean"),optional:!0},decorators:{validate:(0,A.arrayOfType)("Decorator"),optional:!0}}),"patternLikeCommon");ke.patternLikeCommon=Kr;q("Identifier",{builder:["name"],visitor:["typeAnnotation","decorators"],aliases:["Expression","FunctionParameter","PatternLike","LVal","TSEntityName"],fields:Object.assign({},Kr(),{name:{validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.chain)((0,A.assertValueType)("string"),Object.assign(function(t,e,r){if(!(0,A1.default)(r,!1))throw new TypeError(`"${r}" is not a valid identifier name`)},{type:"string"})):(0,A.assertValueType)("string")}}),validate:O.env.BABEL_TYPES_8_BREAKING?function(t,e,r){let i=/\.(\w+)$/.exec(e.toString());if(!i)return;let[,s]=i,a={computed:!1};if(s==="property"){if((0,Ue.default)("MemberExpression",t,a)||(0,Ue.default)("OptionalMemberExpression",t,a))return}else if(s==="key"){if((0,Ue.default)("Property",t,a)||(0,Ue.default)("Method",t,a))return}else if(s==="exported"){if((0,Ue.default)("ExportSpecifier",t))return}else if(s==="imported"){if((0,Ue.default)("ImportSpecifier",t,{imported:r}))return}else if(s==="meta"&&(0,Ue.default)("MetaProperty",t,{meta:r}))return;if(((0,bh.isKeyword)(r.name)||(0,bh.isReservedWord)(r.name,!1))&&r.name!=="this")throw new TypeError(`"${r.name}" is not a valid identifier`)}:void 0});q("IfStatement",{visitor:["test","consequent","alternate"],aliases:["Statement","Conditional"],fields:{test:{validate:(0,A.assertNodeType)("Expression")},consequent:{validate:(0,A.assertNodeType)("Statement")},alternate:{optional:!0,validate:(0,A.assertNodeType)("Statement")}}});q("LabeledStatement",{visitor:["label","body"],aliases:["Statement"],fields:{label:{validate:(0,A.assertNodeType)("Identifier")},body:{validate:(0,A.assertNodeType)("Statement")}}});q("StringLiteral",{builder:["value"],fields:{value:{validate:(0,A.assertValueType)("string")}},aliases:["Expression","Pureish","Literal","Immutable"]});q("NumericLiteral",{builder:["value"],deprecatedAlias:"NumberLiteral",fields:{value:{validate:(0,A.chain)((0,A.assertValueType)("number"),Object.assign(function(t,e,r){if(1/r<0||!Number.isFinite(r)){let i=new Error(`NumericLiterals must be non-negative finite numbers. You can use t.valueToNode(${r}) instead.`)}},{type:"number"}))}},aliases:["Expression","Pureish","Literal","Immutable"]});q("NullLiteral",{aliases:["Expression","Pureish","Literal","Immutable"]});q("BooleanLiteral",{builder:["value"],fields:{value:{validate:(0,A.assertValueType)("boolean")}},aliases:["Expression","Pureish","Literal","Immutable"]});q("RegExpLiteral",{builder:["pattern","flags"],deprecatedAlias:"RegexLiteral",aliases:["Expression","Pureish","Literal"],fields:{pattern:{validate:(0,A.assertValueType)("string")},flags:{validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.chain)((0,A.assertValueType)("string"),Object.assign(function(t,e,r){let i=/[^dgimsuvy]/.exec(r);if(i)throw new TypeError(`"${i[0]}" is not a valid RegExp flag`)},{type:"string"})):(0,A.assertValueType)("string"),default:""}}});q("LogicalExpression",{builder:["operator","left","right"],visitor:["left","right"],aliases:["Binary","Expression"],fields:{operator:{validate:(0,A.assertOneOf)(...Ur.LOGICAL_OPERATORS)},left:{validate:(0,A.assertNodeType)("Expression")},right:{validate:(0,A.assertNodeType)("Expression")}}});q("MemberExpression",{builder:["object","property","computed",...O.env.BABEL_TYPES_8_BREAKING?[]:["optional"]],visitor:["object","property"],aliases:["Expression","LVal","PatternLike"],unionShape:{discriminator:"computed",shapes:[{name:"computed",value:[!0],properties:{property:{validate:(0,A.assertNodeType)("Expression")}}},{name:"nonComputed",value:[!1],properties:{property:{validate:(0,A.assertNodeType)("Identifier","PrivateName")}}}]},fields:Object.assign({object:{validate:(0,A.assertNodeType)("Expression","Super")},property:{validate:function(){let t=(0,A.assertNodeType)("Identifier","PrivateName"),e=(0,A.assertNodeType)("Expression"),r=n(function(i,s,a){(i.computed?e:t)(i,s,a)},"validator");return r.oneOfNodeTypes=["Expression","Identifier","PrivateName"],r}()},computed:{default:!1}},O.env.BABEL_TYPES_8_BREAKING?{}:{optional:{validate:(0,A.assertValueType)("boolean"),optional:!0}})});q("NewExpression",{inherits:"CallExpression",fields:{callee:{validate:(0,A.assertNodeType)("Expression")},arguments:(0,A.validateArrayOfType)("Expression","SpreadElement","ArgumentPlaceholder"),typeArguments:{validate:(0,A.assertNodeType)("TypeParameterInstantiation","TSTypeParameterInstantiation"),optional:!0}}});q("Program",{visitor:["directives","body"],builder:["body","directives","sourceType","interpreter"],fields:{sourceType:{validate:(0,A.assertOneOf)("script","module"),default:"script"},interpreter:{validate:(0,A.assertNodeType)("InterpreterDirective"),default:null,optional:!0},directives:{validate:(0,A.arrayOfType)("Directive"),default:[]},body:(0,A.validateArrayOfType)("Statement")},aliases:["Scopable","BlockParent","Block"]});q("ObjectExpression",{visitor:["properties"],aliases:["Expression"],fields:{properties:(0,A.validateArrayOfType)("ObjectMethod","ObjectProperty","SpreadElement")}});q("ObjectMethod",Object.assign({builder:["kind","key","params","body","computed","generator","async"],visitor:["decorators","key","typeParameters","params","returnType","body"]},ki(),{fields:Object.assign({},qr(),ar(),{kind:Object.assign({validate:(0,A.assertOneOf)("method","get","set")},O.env.BABEL_TYPES_8_BREAKING?{}:{default:"method"}),computed:{default:!1},key:{validate:function(){let t=(0,A.assertNodeType)("Identifier","StringLiteral","NumericLiteral","BigIntLiteral"),e=(0,A.assertNodeType)("Expression"),r=n(function(i,s,a){(i.computed?e:t)(i,s,a)},"validator");return r.oneOfNodeTypes=["Expression","Identifier","StringLiteral","NumericLiteral","BigIntLiteral"],r}()},decorators:{validate:(0,A.arrayOfType)("Decorator"),optional:!0},body:{validate:(0,A.assertNodeType)("BlockStatement")}}),aliases:["UserWhitespacable","Function","Scopable","BlockParent","FunctionParent","Method","ObjectMember"]}));q("ObjectProperty",{builder:["key","value","computed","shorthand",...O.env.BABEL_TYPES_8_BREAKING?[]:["decorators"]],unionShape:{discriminator:"computed",shapes:[{name:"computed",value:[!0],properties:{key:{validate:(0,A.assertNodeType)("Expression")}}},{name:"nonComputed",value:[!1],properties:{key:{validate:(0,A.assertNodeType)("Identifier","StringLiteral","NumericLiteral","BigIntLiteral","DecimalLiteral","PrivateName")}}}]},fields:{computed:{default:!1},key:{validate:function(){let t=(0,A.assertNodeType)("Identifier","StringLiteral","NumericLiteral","BigIntLiteral","DecimalLiteral","PrivateName"),e=(0,A.assertNodeType)("Expression");return Object.assign(function(i,s,a){(i.computed?e:t)(i,s,a)},{oneOfNodeTypes:["Expression","Identifier","StringLiteral","NumericLiteral","BigIntLiteral","DecimalLiteral","PrivateName"]})}()},value:{validate:(0,A.assertNodeType)("Expression","PatternLike")},shorthand:{validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.chain)((0,A.assertValueType)("boolean"),Object.assign(function(t,e,r){if(r){if(t.computed)throw new TypeError("Property shorthand of ObjectProperty cannot be true if computed is true");if(!(0,Ue.default)("Identifier",t.key))throw new TypeError("Property shorthand of ObjectProperty cannot be true if key is not an Identifier")}},{type:"boolean"})):(0,A.assertValueType)("boolean"),default:!1},decorators:{validate:(0,A.arrayOfType)("Decorator"),optional:!0}},visitor:["decorators","key","value"],aliases:["UserWhitespacable","Property","ObjectMember"],validate:O.env.BABEL_TYPES_8_BREAKING?function(){let t=(0,A.assertNodeType)("Identifier","Pattern","TSAsExpression","TSSatisfiesExpression","TSNonNullExpression","TSTypeAssertion"),e=(0,A.assertNodeType)("Expression");return function(r,i,s){((0,Ue.default)("ObjectPattern",r)?t:e)(s,"value",s.value)}}():void 0});q("RestElement",{visitor:["argument","typeAnnotation"],builder:["argument"],aliases:["FunctionParameter","PatternLike","LVal"],deprecatedAlias:"RestProperty",fields:Object.assign({},Kr(),{argument:{validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.assertNodeType)("Identifier","ArrayPattern","ObjectPattern","MemberExpression","TSAsExpression","TSSatisfiesExpression","TSTypeAssertion","TSNonNullExpression"):(0,A.assertNodeType)("Identifier","ArrayPattern","ObjectPattern","MemberExpression","TSAsExpression","TSSatisfiesExpression","TSTypeAssertion","TSNonNullExpression","RestElement","AssignmentPattern")}}),validate:O.env.BABEL_TYPES_8_BREAKING?function(t,e){let r=/(\w+)\[(\d+)\]/.exec(e.toString());if(!r)throw new Error("Internal Babel error: malformed key.");let[,i,s]=r;if(t[i].length>+s+1)throw new TypeError(`RestElement must be last element of ${i}`)}:void 0});q("ReturnStatement",{visitor:["argument"],aliases:["Statement","Terminatorless","CompletionStatement"],fields:{argument:{validate:(0,A.assertNodeType)("Expression"),optional:!0}}});q("SequenceExpression",{visitor:["expressions"],fields:{expressions:(0,A.validateArrayOfType)("Expression")},aliases:["Expression"]});q("ParenthesizedExpression",{visitor:["expression"],aliases:["Expression","ExpressionWrapper"],fields:{expression:{validate:(0,A.assertNodeType)("Expression")}}});q("SwitchCase",{visitor:["test","consequent"],fields:{test:{validate:(0,A.assertNodeType)("Expression"),optional:!0},consequent:(0,A.validateArrayOfType)("Statement")}});q("SwitchStatement",{visitor:["discriminant","cases"],aliases:["Statement","BlockParent","Scopable"],fields:{discriminant:{validate:(0,A.assertNodeType)("Expression")},cases:(0,A.validateArrayOfType)("SwitchCase")}});q("ThisExpression",{aliases:["Expression"]});q("ThrowStatement",{visitor:["argument"],aliases:["Statement","Terminatorless","CompletionStatement"],fields:{argument:{validate:(0,A.assertNodeType)("Expression")}}});q("TryStatement",{visitor:["block","handler","finalizer"],aliases:["Statement"],fields:{block:{validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.chain)((0,A.assertNodeType)("BlockStatement"),Object.assign(function(t){if(!t.handler&&!t.finalizer)throw new TypeError("TryStatement expects either a handler or finalizer, or both")},{oneOfNodeTypes:["BlockStatement"]})):(0,A.assertNodeType)("BlockStatement")},handler:{optional:!0,validate:(0,A.assertNodeType)("CatchClause")},finalizer:{optional:!0,validate:(0,A.assertNodeType)("BlockStatement")}}});q("UnaryExpression",{builder:["operator","argument","prefix"],fields:{prefix:{default:!0},argument:{validate:(0,A.assertNodeType)("Expression")},operator:{validate:(0,A.assertOneOf)(...Ur.UNARY_OPERATORS)}},visitor:["argument"],aliases:["UnaryLike","Expression"]});q("UpdateExpression",{builder:["operator","argument","prefix"],fields:{prefix:{default:!1},argument:{validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.assertNodeType)("Identifier","MemberExpression"):(0,A.assertNodeType)("Expression")},operator:{validate:(0,A.assertOneOf)(...Ur.UPDATE_OPERATORS)}},visitor:["argument"],aliases:["Expression"]});q("VariableDeclaration",{builder:["kind","declarations"],visitor:["declarations"],aliases:["Statement","Declaration"],fields:{declare:{validate:(0,A.assertValueType)("boolean"),optional:!0},kind:{validate:(0,A.assertOneOf)("var","let","const","using","await using")},declarations:(0,A.validateArrayOfType)("VariableDeclarator")},validate:O.env.BABEL_TYPES_8_BREAKING?(()=>{let t=(0,A.assertNodeType)("Identifier","Placeholder"),e=(0,A.assertNodeType)("Identifier","ArrayPattern","ObjectPattern","Placeholder"),r=(0,A.assertNodeType)("Identifier","VoidPattern","Placeholder");return function(i,s,a){let{kind:l,declarations:u}=a,p=(0,Ue.default)("ForXStatement",i,{left:a});if(p&&u.length!==1)throw new TypeError(`Exactly one VariableDeclarator is required in the VariableDeclaration of a ${i.type}`);for(let h of u)l==="const"||l==="let"||l==="var"?!p&&!h.init?t(h,"id",h.id):e(h,"id",h.id):r(h,"id",h.id)}})():void 0});q("VariableDeclarator",{visitor:["id","init"],fields:{id:{validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.assertNodeType)("Identifier","ArrayPattern","ObjectPattern","VoidPattern"):(0,A.assertNodeType)("LVal","VoidPattern")},definite:{optional:!0,validate:(0,A.assertValueType)("boolean")},init:{optional:!0,validate:(0,A.assertNodeType)("Expression")}}});q("WhileStatement",{visitor:["test","body"],aliases:["Statement","BlockParent","Loop","While","Scopable"],fields:{test:{validate:(0,A.assertNodeType)("Expression")},body:{validate:(0,A.assertNodeType)("Statement")}}});q("WithStatement",{visitor:["object","body"],aliases:["Statement"],fields:{object:{validate:(0,A.assertNodeType)("Expression")},body:{validate:(0,A.assertNodeType)("Statement")}}});q("AssignmentPattern",{visitor:["left","right","decorators"],builder:["left","right"],aliases:["FunctionParameter","Pattern","PatternLike","LVal"],fields:Object.assign({},Kr(),{left:{validate:(0,A.assertNodeType)("Identifier","ObjectPattern","ArrayPattern","MemberExpression","TSAsExpression","TSSatisfiesExpression","TSTypeAssertion","TSNonNullExpression")},right:{validate:(0,A.assertNodeType)("Expression")},decorators:{validate:(0,A.arrayOfType)("Decorator"),optional:!0}})});q("ArrayPattern",{visitor:["elements","typeAnnotation"],builder:["elements"],aliases:["FunctionParameter","Pattern","PatternLike","LVal"],fields:Object.assign({},Kr(),{elements:{validate:(0,A.chain)((0,A.assertValueType)("array"),(0,A.assertEach)((0,A.assertNodeOrValueType)("null","PatternLike")))}})});q("ArrowFunctionExpression",{builder:["params","body","async"],visitor:["typeParameters","params","predicate","returnType","body"],aliases:["Scopable","Function","BlockParent","FunctionParent","Expression","Pureish"],fields:Object.assign({},qr(),ar(),{expression:{validate:(0,A.assertValueType)("boolean")},body:{validate:(0,A.assertNodeType)("BlockStatement","Expression")},predicate:{validate:(0,A.assertNodeType)("DeclaredPredicate","InferredPredicate"),optional:!0}})});q("ClassBody",{visitor:["body"],fields:{body:(0,A.validateArrayOfType)("ClassMethod","ClassPrivateMethod","ClassProperty","ClassPrivateProperty","ClassAccessorProperty","TSDeclareMethod","TSIndexSignature","StaticBlock")}});q("ClassExpression",{builder:["id","superClass","body","decorators"],visitor:["decorators","id","typeParameters","superClass","superTypeParameters","mixins","implements","body"],aliases:["Scopable","Class","Expression"],fields:{id:{validate:(0,A.assertNodeType)("Identifier"),optional:!0},typeParameters:{validate:(0,A.assertNodeType)("TypeParameterDeclaration","TSTypeParameterDeclaration","Noop"),optional:!0},body:{validate:(0,A.assertNodeType)("ClassBody")},superClass:{optional:!0,validate:(0,A.assertNodeType)("Expression")},superTypeParameters:{validate:(0,A.assertNodeType)("TypeParameterInstantiation","TSTypeParameterInstantiation"),optional:!0},implements:{validate:(0,A.arrayOfType)("TSExpressionWithTypeArguments","ClassImplements"),optional:!0},decorators:{validate:(0,A.arrayOfType)("Decorator"),optional:!0},mixins:{validate:(0,A.assertNodeType)("InterfaceExtends"),optional:!0}}});q("ClassDeclaration",{inherits:"ClassExpression",aliases:["Scopable","Class","Statement","Declaration"],fields:{id:{validate:(0,A.assertNodeType)("Identifier"),optional:!0},typeParameters:{validate:(0,A.assertNodeType)("TypeParameterDeclaration","TSTypeParameterDeclaration","Noop"),optional:!0},body:{validate:(0,A.assertNodeType)("ClassBody")},superClass:{optional:!0,validate:(0,A.assertNodeType)("Expression")},superTypeParameters:{validate:(0,A.assertNodeType)("TypeParameterInstantiation","TSTypeParameterInstantiation"),optional:!0},implements:{validate:(0,A.arrayOfType)("TSExpressionWithTypeArguments","ClassImplements"),optional:!0},decorators:{validate:(0,A.arrayOfType)("Decorator"),optional:!0},mixins:{validate:(0,A.assertNodeType)("InterfaceExtends"),optional:!0},declare:{validate:(0,A.assertValueType)("boolean"),optional:!0},abstract:{validate:(0,A.assertValueType)("boolean"),optional:!0}},validate:O.env.BABEL_TYPES_8_BREAKING?function(){let t=(0,A.assertNodeType)("Identifier");return function(e,r,i){(0,Ue.default)("ExportDefaultDeclaration",e)||t(i,"id",i.id)}}():void 0});var Bs=ke.importAttributes={attributes:{optional:!0,validate:(0,A.arrayOfType)("ImportAttribute")}};Bs.assertions={deprecated:!0,optional:!0,validate:(0,A.arrayOfType)("ImportAttribute")};q("ExportAllDeclaration",{builder:["source","attributes"],visitor:["source","attributes","assertions"],aliases:["Statement","Declaration","ImportOrExportDeclaration","ExportDeclaration"],fields:Object.assign({source:{validate:(0,A.assertNodeType)("StringLiteral")},exportKind:(0,A.validateOptional)((0,A.assertOneOf)("type","value"))},Bs)});q("ExportDefaultDeclaration",{visitor:["declaration"],aliases:["Statement","Declaration","ImportOrExportDeclaration","ExportDeclaration"],fields:{declaration:(0,A.validateType)("TSDeclareFunction","FunctionDeclaration","ClassDeclaration","Expression"),exportKind:(0,A.validateOptional)((0,A.assertOneOf)("value"))}});q("ExportNamedDeclaration",{builder:["declaration","specifiers","source","attributes"],visitor:["declaration","specifiers","source","attributes","assertions"],aliases:["Statement","Declaration","ImportOrExportDeclaration","ExportDeclaration"],fields:Object.assign({declaration:{optional:!0,validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.chain)((0,A.assertNodeType)("Declaration"),Object.assign(function(t,e,r){if(r&&t.specifiers.length)throw new TypeError("Only declaration or specifiers is allowed on ExportNamedDeclaration");if(r&&t.source)throw new TypeError("Cannot export a declaration from a source")},{oneOfNodeTypes:["Declaration"]})):(0,A.assertNodeType)("Declaration")}},Bs,{specifiers:{default:[],validate:(0,A.arrayOf)(function(){let t=(0,A.assertNodeType)("ExportSpecifier","ExportDefaultSpecifier","ExportNamespaceSpecifier"),e=(0,A.assertNodeType)("ExportSpecifier");return O.env.BABEL_TYPES_8_BREAKING?Object.assign(function(r,i,s){(r.source?t:e)(r,i,s)},{oneOfNodeTypes:["ExportSpecifier","ExportDefaultSpecifier","ExportNamespaceSpecifier"]}):t}())},source:{validate:(0,A.assertNodeType)("StringLiteral"),optional:!0},exportKind:(0,A.validateOptional)((0,A.assertOneOf)("type","value"))})});q("ExportSpecifier",{visitor:["local","exported"],aliases:["ModuleSpecifier"],fields:{local:{validate:(0,A.assertNodeType)("Identifier")},exported:{validate:(0,A.assertNodeType)("Identifier","StringLiteral")},exportKind:{validate:(0,A.assertOneOf)("type","value"),optional:!0}}});q("ForOfStatement",{visitor:["left","right","body"],builder:["left","right","body","await"],aliases:["Scopable","Statement","For","BlockParent","Loop","ForXStatement"],fields:{left:{validate:function(){if(!O.env.BABEL_TYPES_8_BREAKING)return(0,A.assertNodeType)("VariableDeclaration","LVal");let t=(0,A.assertNodeType)("VariableDeclaration"),e=(0,A.assertNodeType)("Identifier","MemberExpression","ArrayPattern","ObjectPattern","TSAsExpression","TSSatisfiesExpression","TSTypeAssertion","TSNonNullExpression");return Object.assign(function(r,i,s){(0,Ue.default)("VariableDeclaration",s)?t(r,i,s):e(r,i,s)},{oneOfNodeTypes:["VariableDeclaration","Identifier","MemberExpression","ArrayPattern","ObjectPattern","TSAsExpression","TSSatisfiesExpression","TSTypeAssertion","TSNonNullExpression"]})}()},right:{validate:(0,A.assertNodeType)("Expression")},body:{validate:(0,A.assertNodeType)("Statement")},await:{default:!1}}});q("ImportDeclaration",{builder:["specifiers","source","attributes"],visitor:["specifiers","source","attributes","assertions"],aliases:["Statement","Declaration","ImportOrExportDeclaration"],fields:Object.assign({},Bs,{module:{optional:!0,validate:(0,A.assertValueType)("boolean")},phase:{default:null,validate:(0,A.assertOneOf)("source","defer")},specifiers:(0,A.validateArrayOfType)("ImportSpecifier","ImportDefaultSpecifier","ImportNamespaceSpecifier"),source:{validate:(0,A.assertNodeType)("StringLiteral")},importKind:{validate:(0,A.assertOneOf)("type","typeof","value"),optional:!0}})});q("ImportDefaultSpecifier",{visitor:["local"],aliases:["ModuleSpecifier"],fields:{local:{validate:(0,A.assertNodeType)("Identifier")}}});q("ImportNamespaceSpecifier",{visitor:["local"],aliases:["ModuleSpecifier"],fields:{local:{validate:(0,A.assertNodeType)("Identifier")}}});q("ImportSpecifier",{visitor:["imported","local"],builder:["local","imported"],aliases:["ModuleSpecifier"],fields:{local:{validate:(0,A.assertNodeType)("Identifier")},imported:{validate:(0,A.assertNodeType)("Identifier","StringLiteral")},importKind:{validate:(0,A.assertOneOf)("type","typeof","value"),optional:!0}}});q("ImportExpression",{visitor:["source","options"],aliases:["Expression"],fields:{phase:{default:null,validate:(0,A.assertOneOf)("source","defer")},source:{validate:(0,A.assertNodeType)("Expression")},options:{validate:(0,A.assertNodeType)("Expression"),optional:!0}}});q("MetaProperty",{visitor:["meta","property"],aliases:["Expression"],fields:{meta:{validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.chain)((0,A.assertNodeType)("Identifier"),Object.assign(function(t,e,r){let i;switch(r.name){case"function":i="sent";break;case"new":i="target";break;case"import":i="meta";break}if(!(0,Ue.default)("Identifier",t.property,{name:i}))throw new TypeError("Unrecognised MetaProperty")},{oneOfNodeTypes:["Identifier"]})):(0,A.assertNodeType)("Identifier")},property:{validate:(0,A.assertNodeType)("Identifier")}}});var Rs=n(()=>({abstract:{validate:(0,A.assertValueType)("boolean"),optional:!0},accessibility:{validate:(0,A.assertOneOf)("public","private","protected"),optional:!0},static:{default:!1},override:{default:!1},computed:{default:!1},optional:{validate:(0,A.assertValueType)("boolean"),optional:!0},key:{validate:(0,A.chain)(function(){let t=(0,A.assertNodeType)("Identifier","StringLiteral","NumericLiteral","BigIntLiteral"),e=(0,A.assertNodeType)("Expression");return function(r,i,s){(r.computed?e:t)(r,i,s)}}(),(0,A.assertNodeType)("Identifier","StringLiteral","NumericLiteral","BigIntLiteral","Expression"))}}),"classMethodOrPropertyCommon");ke.classMethodOrPropertyCommon=Rs;var Ga=n(()=>Object.assign({},qr(),Rs(),{params:(0,A.validateArrayOfType)("FunctionParameter","TSParameterProperty"),kind:{validate:(0,A.assertOneOf)("get","set","method","constructor"),default:"method"},access:{validate:(0,A.chain)((0,A.assertValueType)("string"),(0,A.assertOneOf)("public","private","protected")),optional:!0},decorators:{validate:(0,A.arrayOfType)("Decorator"),optional:!0}}),"classMethodOrDeclareMethodCommon");ke.classMethodOrDeclareMethodCommon=Ga;q("ClassMethod",Object.assign({aliases:["Function","Scopable","BlockParent","FunctionParent","Method"],builder:["kind","key","params","body","computed","static","generator","async"],visitor:["decorators","key","typeParameters","params","returnType","body"]},ki(),{fields:Object.assign({},Ga(),ar(),{body:{validate:(0,A.assertNodeType)("BlockStatement")}})}));q("ObjectPattern",{visitor:["decorators","properties","typeAnnotation"],builder:["properties"],aliases:["FunctionParameter","Pattern","PatternLike","LVal"],fields:Object.assign({},Kr(),{properties:(0,A.validateArrayOfType)("RestElement","ObjectProperty")})});q("SpreadElement",{visitor:["argument"],aliases:["UnaryLike"],deprecatedAlias:"SpreadProperty",fields:{argument:{validate:(0,A.assertNodeType)("Expression")}}});q("Super",{aliases:["Expression"]});q("TaggedTemplateExpression",{visitor:["tag","typeParameters","quasi"],builder:["tag","quasi"],aliases:["Expression"],fields:{tag:{validate:(0,A.assertNodeType)("Expression")},quasi:{validate:(0,A.assertNodeType)("TemplateLiteral")},typeParameters:{validate:(0,A.assertNodeType)("TypeParameterInstantiation","TSTypeParameterInstantiation"),optional:!0}}});q("TemplateElement",{builder:["value","tail"],fields:{value:{validate:(0,A.chain)((0,A.assertShape)({raw:{validate:(0,A.assertValueType)("string")},cooked:{validate:(0,A.assertValueType)("string"),optional:!0}}),n(function(e){let r=e.value.raw,i=!1,s=n(()=>{throw new Error("Internal @babel/types error.")},"error"),{str:a,firstInvalidLoc:l}=(0,I1.readStringContents)("template",r,0,0,0,{unterminated(){i=!0},strictNumericEscape:s,invalidEscapeSequence:s,numericSeparatorInEscapeSequence:s,unexpectedNumericSeparator:s,invalidDigit:s,invalidCodePoint:s});if(!i)throw new Error("Invalid raw");e.value.cooked=l?null:a},"templateElementCookedValidator"))},tail:{default:!1}}});q("TemplateLiteral",{visitor:["quasis","expressions"],aliases:["Expression","Literal"],fields:{quasis:(0,A.validateArrayOfType)("TemplateElement"),expressions:{validate:(0,A.chain)((0,A.assertValueType)("array"),(0,A.assertEach)((0,A.assertNodeType)("Expression","TSType")),function(t,e,r){if(t.quasis.length!==r.length+1)throw new TypeError(`Number of ${t.type} quasis should be exactly one more than the number of expressions.
+Expected ${r.length+1} quasis but got ${t.quasis.length}`)})}}});q("YieldExpression",{builder:["argument","delegate"],visitor:["argument"],aliases:["Expression","Terminatorless"],fields:{delegate:{validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.chain)((0,A.assertValueType)("boolean"),Object.assign(function(t,e,r){if(r&&!t.argument)throw new TypeError("Property delegate of YieldExpression cannot be true if there is no argument")},{type:"boolean"})):(0,A.assertValueType)("boolean"),default:!1},argument:{optional:!0,validate:(0,A.assertNodeType)("Expression")}}});q("AwaitExpression",{builder:["argument"],visitor:["argument"],aliases:["Expression","Terminatorless"],fields:{argument:{validate:(0,A.assertNodeType)("Expression")}}});q("Import",{aliases:["Expression"]});q("BigIntLiteral",{builder:["value"],fields:{value:{validate:(0,A.assertValueType)("string")}},aliases:["Expression","Pureish","Literal","Immutable"]});q("ExportNamespaceSpecifier",{visitor:["exported"],aliases:["ModuleSpecifier"],fields:{exported:{validate:(0,A.assertNodeType)("Identifier")}}});q("OptionalMemberExpression",{builder:["object","property","computed","optional"],visitor:["object","property"],aliases:["Expression"],fields:{object:{validate:(0,A.assertNodeType)("Expression")},property:{validate:function(){let t=(0,A.assertNodeType)("Identifier"),e=(0,A.assertNodeType)("Expression");return Object.assign(function(i,s,a){(i.computed?e:t)(i,s,a)},{oneOfNodeTypes:["Expression","Identifier"]})}()},computed:{default:!1},optional:{validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.chain)((0,A.assertValueType)("boolean"),(0,A.assertOptionalChainStart)()):(0,A.assertValueType)("boolean")}}});q("OptionalCallExpression",{visitor:["callee","typeParameters","typeArguments","arguments"],builder:["callee","arguments","optional"],aliases:["Expression"],fields:Object.assign({callee:{validate:(0,A.assertNodeType)("Expression")},arguments:(0,A.validateArrayOfType)("Expression","SpreadElement","ArgumentPlaceholder"),optional:{validate:O.env.BABEL_TYPES_8_BREAKING?(0,A.chain)((0,A.assertValueType)("boolean"),(0,A.assertOptionalChainStart)()):(0,A.assertValueType)("boolean")},typeArguments:{validate:(0,A.assertNodeType)("TypeParameterInstantiation"),optional:!0}},{typeParameters:{validate:(0,A.assertNodeType)("TSTypeParameterInstantiation"),optional:!0}})});q("ClassProperty",Object.assign({visitor:["decorators","variance","key","typeAnnotation","value"],builder:["key","value","typeAnnotation","decorators","computed","static"],aliases:["Property"]},ki(),{fields:Object.assign({},Rs(),{value:{validate:(0,A.assertNodeType)("Expression"),optional:!0},definite:{validate:(0,A.assertValueType)("boolean"),optional:!0},typeAnnotation:{validate:(0,A.assertNodeType)("TypeAnnotation","TSTypeAnnotation","Noop"),optional:!0},decorators:{validate:(0,A.arrayOfType)("Decorator"),optional:!0},readonly:{validate:(0,A.assertValueType)("boolean"),optional:!0},declare:{validate:(0,A.assertValueType)("boolean"),optional:!0},variance:{validate:(0,A.assertNodeType)("Variance"),optional:!0}})}));q("ClassAccessorProperty",Object.assign({visitor:["decorators","key","typeAnnotation","value"],builder:["key","value","typeAnnotation","decorators","computed","static"],aliases:["Property","Accessor"]},ki(!0),{fields:Object.assign({},Rs(),{key:{validate:(0,A.chain)(function(){let t=(0,A.assertNodeType)("Identifier","StringLiteral","NumericLiteral","BigIntLiteral","PrivateName"),e=(0,A.assertNodeType)("Expression");return function(r,i,s){(r.computed?e:t)(r,i,s)}}(),(0,A.assertNodeType)("Identifier","StringLiteral","NumericLiteral","BigIntLiteral","Expression","PrivateName"))},value:{validate:(0,A.assertNodeType)("Expression"),optional:!0},definite:{validate:(0,A.assertValueType)("boolean"),optional:!0},typeAnnotation:{validate:(0,A.assertNodeType)("TypeAnnotation","TSTypeAnnotation","Noop"),optional:!0},decorators:{validate:(0,A.arrayOfType)("Decorator"),optional:!0},readonly:{validate:(0,A.assertValueType)("boolean"),optional:!0},declare:{validate:(0,A.assertValueType)("boolean"),optional:!0},variance:{validate:(0,A.assertNodeType)("Variance"),optional:!0}})}));q("ClassPrivateProperty",{visitor:["decorators","variance","key","typeAnnotation","value"],builder:["key","value","decorators","static"],aliases:["Property","Private"],fields:{key:{validate:(0,A.assertNodeType)("PrivateName")},value:{validate:(0,A.assertNodeType)("Expression"),optional:!0},typeAnnotation:{validate:(0,A.assertNodeType)("TypeAnnotation","TSTypeAnnotation","Noop"),optional:!0},decorators:{validate:(0,A.arrayOfType)("Decorator"),optional:!0},static:{validate:(0,A.assertValueType)("boolean"),default:!1},readonly:{validate:(0,A.assertValueType)("boolean"),optional:!0},optional:{validate:(0,A.assertValueType)("boolean"),optional:!0},definite:{validate:(0,A.assertValueType)("boolean"),optional:!0},variance:{validate:(0,A.assertNodeType)("Variance"),optional:!0}}});q("ClassPrivateMethod",{builder:["kind","key","params","body","static"],visitor:["decorators","key","typeParameters","params","returnType","body"],aliases:["Function","Scopable","BlockParent","FunctionParent","Method","Private"],fields:Object.assign({},Ga(),ar(),{kind:{validate:(0,A.assertOneOf)("get","set","method"),default:"method"},key:{validate:(0,A.assertNodeType)("PrivateName")},body:{validate:(0,A.assertNodeType)("BlockStatement")}})});q("PrivateName",{visitor:["id"],aliases:["Private"],fields:{id:{validate:(0,A.assertNodeType)("Identifier")}}});q("StaticBlock",{visitor:["body"],fields:{body:(0,A.validateArrayOfType)("Statement")},aliases:["Scopable","BlockParent","FunctionParent"]});q("ImportAttribute",{visitor:["key","value"],fields:{key:{validate:(0,A.assertNodeType)("Identifier","StringLiteral")},value:{validate:(0,A.assertNodeType)("StringLiteral")}}})});var Ph=D(()=>{"use strict";T();var gh=_i(),L=xt(),$=(0,L.defineAliasedType)("Flow"),Qa=n(t=>{let e=t==="DeclareClass";$(t,{builder:["id","typeParameters","extends","body"],visitor:["id","typeParameters","extends",...e?["mixins","implements"]:[],"body"],aliases:["FlowDeclaration","Statement","Declaration"],fields:Object.assign({id:(0,L.validateType)("Identifier"),typeParameters:(0,L.validateOptionalType)("TypeParameterDeclaration"),extends:(0,L.validateOptional)((0,L.arrayOfType)("InterfaceExtends"))},e?{mixins:(0,L.validateOptional)((0,L.arrayOfType)("InterfaceExtends")),implements:(0,L.validateOptional)((0,L.arrayOfType)("ClassImplements"))}:{},{body:(0,L.validateType)("ObjectTypeAnnotation")})})},"defineInterfaceishType");$("AnyTypeAnnotation",{aliases:["FlowType","FlowBaseAnnotation"]});$("ArrayTypeAnnotation",{visitor:["elementType"],aliases:["FlowType"],fields:{elementType:(0,L.validateType)("FlowType")}});$("BooleanTypeAnnotation",{aliases:["FlowType","FlowBaseAnnotation"]});$("BooleanLiteralTypeAnnotation",{builder:["value"],aliases:["FlowType"],fields:{value:(0,L.validate)((0,L.assertValueType)("boolean"))}});$("NullLiteralTypeAnnotation",{aliases:["FlowType","FlowBaseAnnotation"]});$("ClassImplements",{visitor:["id","typeParameters"],fields:{id:(0,L.validateType)("Identifier"),typeParameters:(0,L.validateOptionalType)("TypeParameterInstantiation")}});Qa("DeclareClass");$("DeclareFunction",{builder:["id"],visitor:["id","predicate"],aliases:["FlowDeclaration","Statement","Declaration"],fields:{id:(0,L.validateType)("Identifier"),predicate:(0,L.validateOptionalType)("DeclaredPredicate")}});Qa("DeclareInterface");$("DeclareModule",{builder:["id","body","kind"],visitor:["id","body"],aliases:["FlowDeclaration","Statement","Declaration"],fields:{id:(0,L.validateType)("Identifier","StringLiteral"),body:(0,L.validateType)("BlockStatement"),kind:(0,L.validateOptional)((0,L.assertOneOf)("CommonJS","ES"))}});$("DeclareModuleExports",{visitor:["typeAnnotation"],aliases:["FlowDeclaration","Statement","Declaration"],fields:{typeAnnotation:(0,L.validateType)("TypeAnnotation")}});$("DeclareTypeAlias",{visitor:["id","typeParameters","right"],aliases:["FlowDeclaration","Statement","Declaration"],fields:{id:(0,L.validateType)("Identifier"),typeParameters:(0,L.validateOptionalType)("TypeParameterDeclaration"),right:(0,L.validateType)("FlowType")}});$("DeclareOpaqueType",{visitor:["id","typeParameters","supertype"],aliases:["FlowDeclaration","Statement","Declaration"],fields:{id:(0,L.validateType)("Identifier"),typeParameters:(0,L.validateOptionalType)("TypeParameterDeclaration"),supertype:(0,L.validateOptionalType)("FlowType"),impltype:(0,L.validateOptionalType)("FlowType")}});$("DeclareVariable",{visitor:["id"],aliases:["FlowDeclaration","Statement","Declaration"],fields:{id:(0,L.validateType)("Identifier")}});$("DeclareExportDeclaration",{visitor:["declaration","specifiers","source","attributes"],aliases:["FlowDeclaration","Statement","Declaration"],fields:Object.assign({declaration:(0,L.validateOptionalType)("Flow"),specifiers:(0,L.validateOptional)((0,L.arrayOfType)("ExportSpecifier","ExportNamespaceSpecifier")),source:(0,L.validateOptionalType)("StringLiteral"),default:(0,L.validateOptional)((0,L.assertValueType)("boolean"))},gh.importAttributes)});$("DeclareExportAllDeclaration",{visitor:["source","attributes"],aliases:["FlowDeclaration","Statement","Declaration"],fields:Object.assign({source:(0,L.validateType)("StringLiteral"),exportKind:(0,L.validateOptional)((0,L.assertOneOf)("type","value"))},gh.importAttributes)});$("DeclaredPredicate",{visitor:["value"],aliases:["FlowPredicate"],fields:{value:(0,L.validateType)("Flow")}});$("ExistsTypeAnnotation",{aliases:["FlowType"]});$("FunctionTypeAnnotation",{builder:["typeParameters","params","rest","returnType"],visitor:["typeParameters","this","params","rest","returnType"],aliases:["FlowType"],fields:{typeParameters:(0,L.validateOptionalType)("TypeParameterDeclaration"),params:(0,L.validateArrayOfType)("FunctionTypeParam"),rest:(0,L.validateOptionalType)("FunctionTypeParam"),this:(0,L.validateOptionalType)("FunctionTypeParam"),returnType:(0,L.validateType)("FlowType")}});$("FunctionTypeParam",{visitor:["name","typeAnnotation"],fields:{name:(0,L.validateOptionalType)("Identifier"),typeAnnotation:(0,L.validateType)("FlowType"),optional:(0,L.validateOptional)((0,L.assertValueType)("boolean"))}});$("GenericTypeAnnotation",{visitor:["id","typeParameters"],aliases:["FlowType"],fields:{id:(0,L.validateType)("Identifier","QualifiedTypeIdentifier"),typeParameters:(0,L.validateOptionalType)("TypeParameterInstantiation")}});$("InferredPredicate",{aliases:["FlowPredicate"]});$("InterfaceExtends",{visitor:["id","typeParameters"],fields:{id:(0,L.validateType)("Identifier","QualifiedTypeIdentifier"),typeParameters:(0,L.validateOptionalType)("TypeParameterInstantiation")}});Qa("InterfaceDeclaration");$("InterfaceTypeAnnotation",{visitor:["extends","body"],aliases:["FlowType"],fields:{extends:(0,L.validateOptional)((0,L.arrayOfType)("InterfaceExtends")),body:(0,L.validateType)("ObjectTypeAnnotation")}});$("IntersectionTypeAnnotation",{visitor:["types"],aliases:["FlowType"],fields:{types:(0,L.validate)((0,L.arrayOfType)("FlowType"))}});$("MixedTypeAnnotation",{aliases:["FlowType","FlowBaseAnnotation"]});$("EmptyTypeAnnotation",{aliases:["FlowType","FlowBaseAnnotation"]});$("NullableTypeAnnotation",{visitor:["typeAnnotation"],aliases:["FlowType"],fields:{typeAnnotation:(0,L.validateType)("FlowType")}});$("NumberLiteralTypeAnnotation",{builder:["value"],aliases:["FlowType"],fields:{value:(0,L.validate)((0,L.assertValueType)("number"))}});$("NumberTypeAnnotation",{aliases:["FlowType","FlowBaseAnnotation"]});$("ObjectTypeAnnotation",{visitor:["properties","indexers","callProperties","internalSlots"],aliases:["FlowType"],builder:["properties","indexers","callProperties","internalSlots","exact"],fields:{properties:(0,L.validate)((0,L.arrayOfType)("ObjectTypeProperty","ObjectTypeSpreadProperty")),indexers:{validate:(0,L.arrayOfType)("ObjectTypeIndexer"),optional:!0,default:[]},callProperties:{validate:(0,L.arrayOfType)("ObjectTypeCallProperty"),optional:!0,default:[]},internalSlots:{validate:(0,L.arrayOfType)("ObjectTypeInternalSlot"),optional:!0,default:[]},exact:{validate:(0,L.assertValueType)("boolean"),default:!1},inexact:(0,L.validateOptional)((0,L.assertValueType)("boolean"))}});$("ObjectTypeInternalSlot",{visitor:["id","value"],builder:["id","value","optional","static","method"],aliases:["UserWhitespacable"],fields:{id:(0,L.validateType)("Identifier"),value:(0,L.validateType)("FlowType"),optional:(0,L.validate)((0,L.assertValueType)("boolean")),static:(0,L.validate)((0,L.assertValueType)("boolean")),method:(0,L.validate)((0,L.assertValueType)("boolean"))}});$("ObjectTypeCallProperty",{visitor:["value"],aliases:["UserWhitespacable"],fields:{value:(0,L.validateType)("FlowType"),static:(0,L.validate)((0,L.assertValueType)("boolean"))}});$("ObjectTypeIndexer",{visitor:["variance","id","key","value"],builder:["id","key","value","variance"],aliases:["UserWhitespacable"],fields:{id:(0,L.validateOptionalType)("Identifier"),key:(0,L.validateType)("FlowType"),value:(0,L.validateType)("FlowType"),static:(0,L.validate)((0,L.assertValueType)("boolean")),variance:(0,L.validateOptionalType)("Variance")}});$("ObjectTypeProperty",{visitor:["key","value","variance"],aliases:["UserWhitespacable"],fields:{key:(0,L.validateType)("Identifier","StringLiteral"),value:(0,L.validateType)("FlowType"),kind:(0,L.validate)((0,L.assertOneOf)("init","get","set")),static:(0,L.validate)((0,L.assertValueType)("boolean")),proto:(0,L.validate)((0,L.assertValueType)("boolean")),optional:(0,L.validate)((0,L.assertValueType)("boolean")),variance:(0,L.validateOptionalType)("Variance"),method:(0,L.validate)((0,L.assertValueType)("boolean"))}});$("ObjectTypeSpreadProperty",{visitor:["argument"],aliases:["UserWhitespacable"],fields:{argument:(0,L.validateType)("FlowType")}});$("OpaqueType",{visitor:["id","typeParameters","supertype","impltype"],aliases:["FlowDeclaration","Statement","Declaration"],fields:{id:(0,L.validateType)("Identifier"),typeParameters:(0,L.validateOptionalType)("TypeParameterDeclaration"),supertype:(0,L.validateOptionalType)("FlowType"),impltype:(0,L.validateType)("FlowType")}});$("QualifiedTypeIdentifier",{visitor:["qualification","id"],builder:["id","qualification"],fields:{id:(0,L.validateType)("Identifier"),qualification:(0,L.validateType)("Identifier","QualifiedTypeIdentifier")}});$("StringLiteralTypeAnnotation",{builder:["value"],aliases:["FlowType"],fields:{value:(0,L.validate)((0,L.assertValueType)("string"))}});$("StringTypeAnnotation",{aliases:["FlowType","FlowBaseAnnotation"]});$("SymbolTypeAnnotation",{aliases:["FlowType","FlowBaseAnnotation"]});$("ThisTypeAnnotation",{aliases:["FlowType","FlowBaseAnnotation"]});$("TupleTypeAnnotation",{visitor:["types"],aliases:["FlowType"],fields:{types:(0,L.validate)((0,L.arrayOfType)("FlowType"))}});$("TypeofTypeAnnotation",{visitor:["argument"],aliases:["FlowType"],fields:{argument:(0,L.validateType)("FlowType")}});$("TypeAlias",{visitor:["id","typeParameters","right"],aliases:["FlowDeclaration","Statement","Declaration"],fields:{id:(0,L.validateType)("Identifier"),typeParameters:(0,L.validateOptionalType)("TypeParameterDeclaration"),right:(0,L.validateType)("FlowType")}});$("TypeAnnotation",{visitor:["typeAnnotation"],fields:{typeAnnotation:(0,L.validateType)("FlowType")}});$("TypeCastExpression",{visitor:["expression","typeAnnotation"],aliases:["ExpressionWrapper","Expression"],fields:{expression:(0,L.validateType)("Expression"),typeAnnotation:(0,L.validateType)("TypeAnnotation")}});$("TypeParameter",{visitor:["bound","default","variance"],fields:{name:(0,L.validate)((0,L.assertValueType)("string")),bound:(0,L.validateOptionalType)("TypeAnnotation"),default:(0,L.validateOptionalType)("FlowType"),variance:(0,L.validateOptionalType)("Variance")}});$("TypeParameterDeclaration",{visitor:["params"],fields:{params:(0,L.validate)((0,L.arrayOfType)("TypeParameter"))}});$("TypeParameterInstantiation",{visitor:["params"],fields:{params:(0,L.validate)((0,L.arrayOfType)("FlowType"))}});$("UnionTypeAnnotation",{visitor:["types"],aliases:["FlowType"],fields:{types:(0,L.validate)((0,L.arrayOfType)("FlowType"))}});$("Variance",{builder:["kind"],fields:{kind:(0,L.validate)((0,L.assertOneOf)("minus","plus"))}});$("VoidTypeAnnotation",{aliases:["FlowType","FlowBaseAnnotation"]});$("EnumDeclaration",{aliases:["Statement","Declaration"],visitor:["id","body"],fields:{id:(0,L.validateType)("Identifier"),body:(0,L.validateType)("EnumBooleanBody","EnumNumberBody","EnumStringBody","EnumSymbolBody")}});$("EnumBooleanBody",{aliases:["EnumBody"],visitor:["members"],fields:{explicitType:(0,L.validate)((0,L.assertValueType)("boolean")),members:(0,L.validateArrayOfType)("EnumBooleanMember"),hasUnknownMembers:(0,L.validate)((0,L.assertValueType)("boolean"))}});$("EnumNumberBody",{aliases:["EnumBody"],visitor:["members"],fields:{explicitType:(0,L.validate)((0,L.assertValueType)("boolean")),members:(0,L.validateArrayOfType)("EnumNumberMember"),hasUnknownMembers:(0,L.validate)((0,L.assertValueType)("boolean"))}});$("EnumStringBody",{aliases:["EnumBody"],visitor:["members"],fields:{explicitType:(0,L.validate)((0,L.assertValueType)("boolean")),members:(0,L.validateArrayOfType)("EnumStringMember","EnumDefaultedMember"),hasUnknownMembers:(0,L.validate)((0,L.assertValueType)("boolean"))}});$("EnumSymbolBody",{aliases:["EnumBody"],visitor:["members"],fields:{members:(0,L.validateArrayOfType)("EnumDefaultedMember"),hasUnknownMembers:(0,L.validate)((0,L.assertValueType)("boolean"))}});$("EnumBooleanMember",{aliases:["EnumMember"],builder:["id"],visitor:["id","init"],fields:{id:(0,L.validateType)("Identifier"),init:(0,L.validateType)("BooleanLiteral")}});$("EnumNumberMember",{aliases:["EnumMember"],visitor:["id","init"],fields:{id:(0,L.validateType)("Identifier"),init:(0,L.validateType)("NumericLiteral")}});$("EnumStringMember",{aliases:["EnumMember"],visitor:["id","init"],fields:{id:(0,L.validateType)("Identifier"),init:(0,L.validateType)("StringLiteral")}});$("EnumDefaultedMember",{aliases:["EnumMember"],visitor:["id"],fields:{id:(0,L.validateType)("Identifier")}});$("IndexedAccessType",{visitor:["objectType","indexType"],aliases:["FlowType"],fields:{objectType:(0,L.validateType)("FlowType"),indexType:(0,L.validateType)("FlowType")}});$("OptionalIndexedAccessType",{visitor:["objectType","indexType"],aliases:["FlowType"],fields:{objectType:(0,L.validateType)("FlowType"),indexType:(0,L.validateType)("FlowType"),optional:(0,L.validate)((0,L.assertValueType)("boolean"))}})});var vh=D(()=>{"use strict";T();var Ee=xt(),qe=(0,Ee.defineAliasedType)("JSX");qe("JSXAttribute",{visitor:["name","value"],aliases:["Immutable"],fields:{name:{validate:(0,Ee.assertNodeType)("JSXIdentifier","JSXNamespacedName")},value:{optional:!0,validate:(0,Ee.assertNodeType)("JSXElement","JSXFragment","StringLiteral","JSXExpressionContainer")}}});qe("JSXClosingElement",{visitor:["name"],aliases:["Immutable"],fields:{name:{validate:(0,Ee.assertNodeType)("JSXIdentifier","JSXMemberExpression","JSXNamespacedName")}}});qe("JSXElement",{builder:["openingElement","closingElement","children","selfClosing"],visitor:["openingElement","children","closingElement"],aliases:["Immutable","Expression"],fields:Object.assign({openingElement:{validate:(0,Ee.assertNodeType)("JSXOpeningElement")},closingElement:{optional:!0,validate:(0,Ee.assertNodeType)("JSXClosingElement")},children:(0,Ee.validateArrayOfType)("JSXText","JSXExpressionContainer","JSXSpreadChild","JSXElement","JSXFragment")},{selfClosing:{validate:(0,Ee.assertValueType)("boolean"),optional:!0}})});qe("JSXEmptyExpression",{});qe("JSXExpressionContainer",{visitor:["expression"],aliases:["Immutable"],fields:{expression:{validate:(0,Ee.assertNodeType)("Expression","JSXEmptyExpression")}}});qe("JSXSpreadChild",{visitor:["expression"],aliases:["Immutable"],fields:{expression:{validate:(0,Ee.assertNodeType)("Expression")}}});qe("JSXIdentifier",{builder:["name"],fields:{name:{validate:(0,Ee.assertValueType)("string")}}});qe("JSXMemberExpression",{visitor:["object","property"],fields:{object:{validate:(0,Ee.assertNodeType)("JSXMemberExpression","JSXIdentifier")},property:{validate:(0,Ee.assertNodeType)("JSXIdentifier")}}});qe("JSXNamespacedName",{visitor:["namespace","name"],fields:{namespace:{validate:(0,Ee.assertNodeType)("JSXIdentifier")},name:{validate:(0,Ee.assertNodeType)("JSXIdentifier")}}});qe("JSXOpeningElement",{builder:["name","attributes","selfClosing"],visitor:["name","typeParameters","typeArguments","attributes"],aliases:["Immutable"],fields:Object.assign({name:{validate:(0,Ee.assertNodeType)("JSXIdentifier","JSXMemberExpression","JSXNamespacedName")},selfClosing:{default:!1},attributes:(0,Ee.validateArrayOfType)("JSXAttribute","JSXSpreadAttribute"),typeArguments:{validate:(0,Ee.assertNodeType)("TypeParameterInstantiation"),optional:!0}},{typeParameters:{validate:(0,Ee.assertNodeType)("TSTypeParameterInstantiation"),optional:!0}})});qe("JSXSpreadAttribute",{visitor:["argument"],fields:{argument:{validate:(0,Ee.assertNodeType)("Expression")}}});qe("JSXText",{aliases:["Immutable"],builder:["value"],fields:{value:{validate:(0,Ee.assertValueType)("string")}}});qe("JSXFragment",{builder:["openingFragment","closingFragment","children"],visitor:["openingFragment","children","closingFragment"],aliases:["Immutable","Expression"],fields:{openingFragment:{validate:(0,Ee.assertNodeType)("JSXOpeningFragment")},closingFragment:{validate:(0,Ee.assertNodeType)("JSXClosingFragment")},children:(0,Ee.validateArrayOfType)("JSXText","JSXExpressionContainer","JSXSpreadChild","JSXElement","JSXFragment")}});qe("JSXOpeningFragment",{aliases:["Immutable"]});qe("JSXClosingFragment",{aliases:["Immutable"]})});var to=D(Rt=>{"use strict";T();Object.defineProperty(Rt,"__esModule",{value:!0});Rt.PLACEHOLDERS_FLIPPED_ALIAS=Rt.PLACEHOLDERS_ALIAS=Rt.PLACEHOLDERS=void 0;var w1=xt(),C1=Rt.PLACEHOLDERS=["Identifier","StringLiteral","Expression","Statement","Declaration","BlockStatement","ClassBody","Pattern"],eo=Rt.PLACEHOLDERS_ALIAS={Declaration:["Statement"],Pattern:["PatternLike","LVal"]};for(let t of C1){let e=w1.ALIAS_KEYS[t];e!=null&&e.length&&(eo[t]=e)}var Za=Rt.PLACEHOLDERS_FLIPPED_ALIAS={};Object.keys(eo).forEach(t=>{eo[t].forEach(e=>{hasOwnProperty.call(Za,e)||(Za[e]=[]),Za[e].push(t)})})});var Ah=D(()=>{"use strict";T();var js=xt(),N1=to(),O1=_i(),ro=(0,js.defineAliasedType)("Miscellaneous");ro("Noop",{visitor:[]});ro("Placeholder",{visitor:[],builder:["expectedNode","name"],fields:Object.assign({name:{validate:(0,js.assertNodeType)("Identifier")},expectedNode:{validate:(0,js.assertOneOf)(...N1.PLACEHOLDERS)}},(0,O1.patternLikeCommon)())});ro("V8IntrinsicIdentifier",{builder:["name"],fields:{name:{validate:(0,js.assertValueType)("string")}}})});var Ih=D(()=>{"use strict";T();var be=xt();(0,be.default)("ArgumentPlaceholder",{});(0,be.default)("BindExpression",{visitor:["object","callee"],aliases:["Expression"],fields:O.env.BABEL_TYPES_8_BREAKING?{object:{validate:(0,be.assertNodeType)("Expression")},callee:{validate:(0,be.assertNodeType)("Expression")}}:{object:{validate:Object.assign(()=>{},{oneOfNodeTypes:["Expression"]})},callee:{validate:Object.assign(()=>{},{oneOfNodeTypes:["Expression"]})}}});(0,be.default)("Decorator",{visitor:["expression"],fields:{expression:{validate:(0,be.assertNodeType)("Expression")}}});(0,be.default)("DoExpression",{visitor:["body"],builder:["body","async"],aliases:["Expression"],fields:{body:{validate:(0,be.assertNodeType)("BlockStatement")},async:{validate:(0,be.assertValueType)("boolean"),default:!1}}});(0,be.default)("ExportDefaultSpecifier",{visitor:["exported"],aliases:["ModuleSpecifier"],fields:{exported:{validate:(0,be.assertNodeType)("Identifier")}}});(0,be.default)("RecordExpression",{visitor:["properties"],aliases:["Expression"],fields:{properties:(0,be.validateArrayOfType)("ObjectProperty","SpreadElement")}});(0,be.default)("TupleExpression",{fields:{elements:{validate:(0,be.arrayOfType)("Expression","SpreadElement"),default:[]}},visitor:["elements"],aliases:["Expression"]});(0,be.default)("DecimalLiteral",{builder:["value"],fields:{value:{validate:(0,be.assertValueType)("string")}},aliases:["Expression","Pureish","Literal","Immutable"]});(0,be.default)("ModuleExpression",{visitor:["body"],fields:{body:{validate:(0,be.assertNodeType)("Program")}},aliases:["Expression"]});(0,be.default)("TopicReference",{aliases:["Expression"]});(0,be.default)("PipelineTopicExpression",{builder:["expression"],visitor:["expression"],fields:{expression:{validate:(0,be.assertNodeType)("Expression")}},aliases:["Expression"]});(0,be.default)("PipelineBareFunction",{builder:["callee"],visitor:["callee"],fields:{callee:{validate:(0,be.assertNodeType)("Expression")}},aliases:["Expression"]});(0,be.default)("PipelinePrimaryTopicReference",{aliases:["Expression"]});(0,be.default)("VoidPattern",{aliases:["Pattern","PatternLike","FunctionParameter"]})});var Dh=D(()=>{"use strict";T();var j=xt(),io=_i(),k1=Rr(),ee=(0,j.defineAliasedType)("TypeScript"),Ye=(0,j.assertValueType)("boolean"),wh=n(()=>({returnType:{validate:(0,j.assertNodeType)("TSTypeAnnotation","Noop"),optional:!0},typeParameters:{validate:(0,j.assertNodeType)("TSTypeParameterDeclaration","Noop"),optional:!0}}),"tSFunctionTypeAnnotationCommon");ee("TSParameterProperty",{aliases:["LVal"],visitor:["parameter"],fields:{accessibility:{validate:(0,j.assertOneOf)("public","private","protected"),optional:!0},readonly:{validate:(0,j.assertValueType)("boolean"),optional:!0},parameter:{validate:(0,j.assertNodeType)("Identifier","AssignmentPattern")},override:{validate:(0,j.assertValueType)("boolean"),optional:!0},decorators:{validate:(0,j.arrayOfType)("Decorator"),optional:!0}}});ee("TSDeclareFunction",{aliases:["Statement","Declaration"],visitor:["id","typeParameters","params","returnType"],fields:Object.assign({},(0,io.functionDeclarationCommon)(),wh())});ee("TSDeclareMethod",Object.assign({visitor:["decorators","key","typeParameters","params","returnType"]},(0,io.classMethodOrPropertyUnionShapeCommon)(),{fields:Object.assign({},(0,io.classMethodOrDeclareMethodCommon)(),wh())}));ee("TSQualifiedName",{aliases:["TSEntityName"],visitor:["left","right"],fields:{left:(0,j.validateType)("TSEntityName"),right:(0,j.validateType)("Identifier")}});var Vs=n(()=>({typeParameters:(0,j.validateOptionalType)("TSTypeParameterDeclaration"),parameters:(0,j.validateArrayOfType)("ArrayPattern","Identifier","ObjectPattern","RestElement"),typeAnnotation:(0,j.validateOptionalType)("TSTypeAnnotation")}),"signatureDeclarationCommon"),Ch={aliases:["TSTypeElement"],visitor:["typeParameters","parameters","typeAnnotation"],fields:Vs()};ee("TSCallSignatureDeclaration",Ch);ee("TSConstructSignatureDeclaration",Ch);var Nh=n(()=>({key:(0,j.validateType)("Expression"),computed:{default:!1},optional:(0,j.validateOptional)(Ye)}),"namedTypeElementCommon");ee("TSPropertySignature",{aliases:["TSTypeElement"],visitor:["key","typeAnnotation"],fields:Object.assign({},Nh(),{readonly:(0,j.validateOptional)(Ye),typeAnnotation:(0,j.validateOptionalType)("TSTypeAnnotation"),kind:{optional:!0,validate:(0,j.assertOneOf)("get","set")}})});ee("TSMethodSignature",{aliases:["TSTypeElement"],visitor:["key","typeParameters","parameters","typeAnnotation"],fields:Object.assign({},Vs(),Nh(),{kind:{validate:(0,j.assertOneOf)("method","get","set")}})});ee("TSIndexSignature",{aliases:["TSTypeElement"],visitor:["parameters","typeAnnotation"],fields:{readonly:(0,j.validateOptional)(Ye),static:(0,j.validateOptional)(Ye),parameters:(0,j.validateArrayOfType)("Identifier"),typeAnnotation:(0,j.validateOptionalType)("TSTypeAnnotation")}});var _1=["TSAnyKeyword","TSBooleanKeyword","TSBigIntKeyword","TSIntrinsicKeyword","TSNeverKeyword","TSNullKeyword","TSNumberKeyword","TSObjectKeyword","TSStringKeyword","TSSymbolKeyword","TSUndefinedKeyword","TSUnknownKeyword","TSVoidKeyword"];for(let t of _1)ee(t,{aliases:["TSType","TSBaseType"],visitor:[],fields:{}});ee("TSThisType",{aliases:["TSType","TSBaseType"],visitor:[],fields:{}});var Oh={aliases:["TSType"],visitor:["typeParameters","parameters","typeAnnotation"]};ee("TSFunctionType",Object.assign({},Oh,{fields:Vs()}));ee("TSConstructorType",Object.assign({},Oh,{fields:Object.assign({},Vs(),{abstract:(0,j.validateOptional)(Ye)})}));ee("TSTypeReference",{aliases:["TSType"],visitor:["typeName","typeParameters"],fields:{typeName:(0,j.validateType)("TSEntityName"),typeParameters:(0,j.validateOptionalType)("TSTypeParameterInstantiation")}});ee("TSTypePredicate",{aliases:["TSType"],visitor:["parameterName","typeAnnotation"],builder:["parameterName","typeAnnotation","asserts"],fields:{parameterName:(0,j.validateType)("Identifier","TSThisType"),typeAnnotation:(0,j.validateOptionalType)("TSTypeAnnotation"),asserts:(0,j.validateOptional)(Ye)}});ee("TSTypeQuery",{aliases:["TSType"],visitor:["exprName","typeParameters"],fields:{exprName:(0,j.validateType)("TSEntityName","TSImportType"),typeParameters:(0,j.validateOptionalType)("TSTypeParameterInstantiation")}});ee("TSTypeLiteral",{aliases:["TSType"],visitor:["members"],fields:{members:(0,j.validateArrayOfType)("TSTypeElement")}});ee("TSArrayType",{aliases:["TSType"],visitor:["elementType"],fields:{elementType:(0,j.validateType)("TSType")}});ee("TSTupleType",{aliases:["TSType"],visitor:["elementTypes"],fields:{elementTypes:(0,j.validateArrayOfType)("TSType","TSNamedTupleMember")}});ee("TSOptionalType",{aliases:["TSType"],visitor:["typeAnnotation"],fields:{typeAnnotation:(0,j.validateType)("TSType")}});ee("TSRestType",{aliases:["TSType"],visitor:["typeAnnotation"],fields:{typeAnnotation:(0,j.validateType)("TSType")}});ee("TSNamedTupleMember",{visitor:["label","elementType"],builder:["label","elementType","optional"],fields:{label:(0,j.validateType)("Identifier"),optional:{validate:Ye,default:!1},elementType:(0,j.validateType)("TSType")}});var kh={aliases:["TSType"],visitor:["types"],fields:{types:(0,j.validateArrayOfType)("TSType")}};ee("TSUnionType",kh);ee("TSIntersectionType",kh);ee("TSConditionalType",{aliases:["TSType"],visitor:["checkType","extendsType","trueType","falseType"],fields:{checkType:(0,j.validateType)("TSType"),extendsType:(0,j.validateType)("TSType"),trueType:(0,j.validateType)("TSType"),falseType:(0,j.validateType)("TSType")}});ee("TSInferType",{aliases:["TSType"],visitor:["typeParameter"],fields:{typeParameter:(0,j.validateType)("TSTypeParameter")}});ee("TSParenthesizedType",{aliases:["TSType"],visitor:["typeAnnotation"],fields:{typeAnnotation:(0,j.validateType)("TSType")}});ee("TSTypeOperator",{aliases:["TSType"],visitor:["typeAnnotation"],builder:["typeAnnotation","operator"],fields:{operator:{validate:(0,j.assertValueType)("string"),default:"keyof"},typeAnnotation:(0,j.validateType)("TSType")}});ee("TSIndexedAccessType",{aliases:["TSType"],visitor:["objectType","indexType"],fields:{objectType:(0,j.validateType)("TSType"),indexType:(0,j.validateType)("TSType")}});ee("TSMappedType",{aliases:["TSType"],visitor:["typeParameter","nameType","typeAnnotation"],builder:["typeParameter","typeAnnotation","nameType"],fields:Object.assign({},{typeParameter:(0,j.validateType)("TSTypeParameter")},{readonly:(0,j.validateOptional)((0,j.assertOneOf)(!0,!1,"+","-")),optional:(0,j.validateOptional)((0,j.assertOneOf)(!0,!1,"+","-")),typeAnnotation:(0,j.validateOptionalType)("TSType"),nameType:(0,j.validateOptionalType)("TSType")})});ee("TSTemplateLiteralType",{aliases:["TSType","TSBaseType"],visitor:["quasis","types"],fields:{quasis:(0,j.validateArrayOfType)("TemplateElement"),types:{validate:(0,j.chain)((0,j.assertValueType)("array"),(0,j.assertEach)((0,j.assertNodeType)("TSType")),function(t,e,r){if(t.quasis.length!==r.length+1)throw new TypeError(`Number of ${t.type} quasis should be exactly one more than the number of types.
+Expected ${r.length+1} quasis but got ${t.quasis.length}`)})}}});ee("TSLiteralType",{aliases:["TSType","TSBaseType"],visitor:["literal"],fields:{literal:{validate:function(){let t=(0,j.assertNodeType)("NumericLiteral","BigIntLiteral"),e=(0,j.assertOneOf)("-"),r=(0,j.assertNodeType)("NumericLiteral","StringLiteral","BooleanLiteral","BigIntLiteral","TemplateLiteral"),i=n(function(a,l,u){(0,k1.default)("UnaryExpression",u)?(e(u,"operator",u.operator),t(u,"argument",u.argument)):r(a,l,u)},"validator");return i.oneOfNodeTypes=["NumericLiteral","StringLiteral","BooleanLiteral","BigIntLiteral","TemplateLiteral","UnaryExpression"],i}()}}});ee("TSExpressionWithTypeArguments",{aliases:["TSType"],visitor:["expression","typeParameters"],fields:{expression:(0,j.validateType)("TSEntityName"),typeParameters:(0,j.validateOptionalType)("TSTypeParameterInstantiation")}});ee("TSInterfaceDeclaration",{aliases:["Statement","Declaration"],visitor:["id","typeParameters","extends","body"],fields:{declare:(0,j.validateOptional)(Ye),id:(0,j.validateType)("Identifier"),typeParameters:(0,j.validateOptionalType)("TSTypeParameterDeclaration"),extends:(0,j.validateOptional)((0,j.arrayOfType)("TSExpressionWithTypeArguments")),body:(0,j.validateType)("TSInterfaceBody")}});ee("TSInterfaceBody",{visitor:["body"],fields:{body:(0,j.validateArrayOfType)("TSTypeElement")}});ee("TSTypeAliasDeclaration",{aliases:["Statement","Declaration"],visitor:["id","typeParameters","typeAnnotation"],fields:{declare:(0,j.validateOptional)(Ye),id:(0,j.validateType)("Identifier"),typeParameters:(0,j.validateOptionalType)("TSTypeParameterDeclaration"),typeAnnotation:(0,j.validateType)("TSType")}});ee("TSInstantiationExpression",{aliases:["Expression"],visitor:["expression","typeParameters"],fields:{expression:(0,j.validateType)("Expression"),typeParameters:(0,j.validateOptionalType)("TSTypeParameterInstantiation")}});var _h={aliases:["Expression","LVal","PatternLike"],visitor:["expression","typeAnnotation"],fields:{expression:(0,j.validateType)("Expression"),typeAnnotation:(0,j.validateType)("TSType")}};ee("TSAsExpression",_h);ee("TSSatisfiesExpression",_h);ee("TSTypeAssertion",{aliases:["Expression","LVal","PatternLike"],visitor:["typeAnnotation","expression"],fields:{typeAnnotation:(0,j.validateType)("TSType"),expression:(0,j.validateType)("Expression")}});ee("TSEnumBody",{visitor:["members"],fields:{members:(0,j.validateArrayOfType)("TSEnumMember")}});ee("TSEnumDeclaration",{aliases:["Statement","Declaration"],visitor:["id","members"],fields:{declare:(0,j.validateOptional)(Ye),const:(0,j.validateOptional)(Ye),id:(0,j.validateType)("Identifier"),members:(0,j.validateArrayOfType)("TSEnumMember"),initializer:(0,j.validateOptionalType)("Expression"),body:(0,j.validateOptionalType)("TSEnumBody")}});ee("TSEnumMember",{visitor:["id","initializer"],fields:{id:(0,j.validateType)("Identifier","StringLiteral"),initializer:(0,j.validateOptionalType)("Expression")}});ee("TSModuleDeclaration",{aliases:["Statement","Declaration"],visitor:["id","body"],fields:Object.assign({kind:{validate:(0,j.assertOneOf)("global","module","namespace")},declare:(0,j.validateOptional)(Ye)},{global:(0,j.validateOptional)(Ye)},{id:(0,j.validateType)("Identifier","StringLiteral"),body:(0,j.validateType)("TSModuleBlock","TSModuleDeclaration")})});ee("TSModuleBlock",{aliases:["Scopable","Block","BlockParent","FunctionParent"],visitor:["body"],fields:{body:(0,j.validateArrayOfType)("Statement")}});ee("TSImportType",{aliases:["TSType"],builder:["argument","qualifier","typeParameters"],visitor:["argument","options","qualifier","typeParameters"],fields:Object.assign({},{argument:(0,j.validateType)("StringLiteral")},{qualifier:(0,j.validateOptionalType)("TSEntityName")},{typeParameters:(0,j.validateOptionalType)("TSTypeParameterInstantiation")},{options:{validate:(0,j.assertNodeType)("ObjectExpression"),optional:!0}})});ee("TSImportEqualsDeclaration",{aliases:["Statement","Declaration"],visitor:["id","moduleReference"],fields:Object.assign({},{isExport:(0,j.validate)(Ye)},{id:(0,j.validateType)("Identifier"),moduleReference:(0,j.validateType)("TSEntityName","TSExternalModuleReference"),importKind:{validate:(0,j.assertOneOf)("type","value"),optional:!0}})});ee("TSExternalModuleReference",{visitor:["expression"],fields:{expression:(0,j.validateType)("StringLiteral")}});ee("TSNonNullExpression",{aliases:["Expression","LVal","PatternLike"],visitor:["expression"],fields:{expression:(0,j.validateType)("Expression")}});ee("TSExportAssignment",{aliases:["Statement"],visitor:["expression"],fields:{expression:(0,j.validateType)("Expression")}});ee("TSNamespaceExportDeclaration",{aliases:["Statement"],visitor:["id"],fields:{id:(0,j.validateType)("Identifier")}});ee("TSTypeAnnotation",{visitor:["typeAnnotation"],fields:{typeAnnotation:{validate:(0,j.assertNodeType)("TSType")}}});ee("TSTypeParameterInstantiation",{visitor:["params"],fields:{params:(0,j.validateArrayOfType)("TSType")}});ee("TSTypeParameterDeclaration",{visitor:["params"],fields:{params:(0,j.validateArrayOfType)("TSTypeParameter")}});ee("TSTypeParameter",{builder:["constraint","default","name"],visitor:["constraint","default"],fields:{name:{validate:(0,j.assertValueType)("string")},in:{validate:(0,j.assertValueType)("boolean"),optional:!0},out:{validate:(0,j.assertValueType)("boolean"),optional:!0},const:{validate:(0,j.assertValueType)("boolean"),optional:!0},constraint:{validate:(0,j.assertNodeType)("TSType"),optional:!0},default:{validate:(0,j.assertNodeType)("TSType"),optional:!0}}})});var Lh=D(Us=>{"use strict";T();Object.defineProperty(Us,"__esModule",{value:!0});Us.DEPRECATED_ALIASES=void 0;var B9=Us.DEPRECATED_ALIASES={ModuleDeclaration:"ImportOrExportDeclaration"}});var Ze=D(Le=>{"use strict";T();Object.defineProperty(Le,"__esModule",{value:!0});Object.defineProperty(Le,"ALIAS_KEYS",{enumerable:!0,get:n(function(){return Ke.ALIAS_KEYS},"get")});Object.defineProperty(Le,"BUILDER_KEYS",{enumerable:!0,get:n(function(){return Ke.BUILDER_KEYS},"get")});Object.defineProperty(Le,"DEPRECATED_ALIASES",{enumerable:!0,get:n(function(){return so.DEPRECATED_ALIASES},"get")});Object.defineProperty(Le,"DEPRECATED_KEYS",{enumerable:!0,get:n(function(){return Ke.DEPRECATED_KEYS},"get")});Object.defineProperty(Le,"FLIPPED_ALIAS_KEYS",{enumerable:!0,get:n(function(){return Ke.FLIPPED_ALIAS_KEYS},"get")});Object.defineProperty(Le,"NODE_FIELDS",{enumerable:!0,get:n(function(){return Ke.NODE_FIELDS},"get")});Object.defineProperty(Le,"NODE_PARENT_VALIDATIONS",{enumerable:!0,get:n(function(){return Ke.NODE_PARENT_VALIDATIONS},"get")});Object.defineProperty(Le,"NODE_UNION_SHAPES__PRIVATE",{enumerable:!0,get:n(function(){return Ke.NODE_UNION_SHAPES__PRIVATE},"get")});Object.defineProperty(Le,"PLACEHOLDERS",{enumerable:!0,get:n(function(){return no.PLACEHOLDERS},"get")});Object.defineProperty(Le,"PLACEHOLDERS_ALIAS",{enumerable:!0,get:n(function(){return no.PLACEHOLDERS_ALIAS},"get")});Object.defineProperty(Le,"PLACEHOLDERS_FLIPPED_ALIAS",{enumerable:!0,get:n(function(){return no.PLACEHOLDERS_FLIPPED_ALIAS},"get")});Le.TYPES=void 0;Object.defineProperty(Le,"VISITOR_KEYS",{enumerable:!0,get:n(function(){return Ke.VISITOR_KEYS},"get")});_i();Ph();vh();Ah();Ih();Dh();var Ke=xt(),no=to(),so=Lh();Object.keys(so.DEPRECATED_ALIASES).forEach(t=>{Ke.FLIPPED_ALIAS_KEYS[t]=Ke.FLIPPED_ALIAS_KEYS[so.DEPRECATED_ALIASES[t]]});for(let{types:t,set:e}of Ke.allExpandedTypes)for(let r of t){let i=Ke.FLIPPED_ALIAS_KEYS[r];i?i.forEach(e.add,e):e.add(r)}var V9=Le.TYPES=[].concat(Object.keys(Ke.VISITOR_KEYS),Object.keys(Ke.FLIPPED_ALIAS_KEYS),Object.keys(Ke.DEPRECATED_KEYS))});var Fs=D(Yr=>{"use strict";T();Object.defineProperty(Yr,"__esModule",{value:!0});Yr.default=D1;Yr.validateChild=Fh;Yr.validateField=Mh;Yr.validateInternal=L1;var Di=Ze();function D1(t,e,r){if(!t)return;let i=Di.NODE_FIELDS[t.type];if(!i)return;let s=i[e];Mh(t,e,r,s),Fh(t,e,r)}n(D1,"validate");function L1(t,e,r,i,s){if(t!=null&&t.validate&&!(t.optional&&i==null)&&(t.validate(e,r,i),s)){var a;let l=i.type;if(l==null)return;(a=Di.NODE_PARENT_VALIDATIONS[l])==null||a.call(Di.NODE_PARENT_VALIDATIONS,e,r,i)}}n(L1,"validateInternal");function Mh(t,e,r,i){i!=null&&i.validate&&(i.optional&&r==null||i.validate(t,e,r))}n(Mh,"validateField");function Fh(t,e,r){var i;let s=r?.type;s!=null&&((i=Di.NODE_PARENT_VALIDATIONS[s])==null||i.call(Di.NODE_PARENT_VALIDATIONS,t,e,r))}n(Fh,"validateChild")});var ao=D(x=>{"use strict";T();Object.defineProperty(x,"__esModule",{value:!0});x.anyTypeAnnotation=dI;x.argumentPlaceholder=Kw;x.arrayExpression=R1;x.arrayPattern=DA;x.arrayTypeAnnotation=yI;x.arrowFunctionExpression=LA;x.assignmentExpression=j1;x.assignmentPattern=_A;x.awaitExpression=rI;x.bigIntLiteral=B1;x.binaryExpression=V1;x.bindExpression=Yw;x.blockStatement=Y1;x.booleanLiteral=cA;x.booleanLiteralTypeAnnotation=TI;x.booleanTypeAnnotation=mI;x.breakStatement=X1;x.callExpression=J1;x.catchClause=W1;x.classAccessorProperty=lI;x.classBody=MA;x.classDeclaration=BA;x.classExpression=FA;x.classImplements=SI;x.classMethod=zA;x.classPrivateMethod=cI;x.classPrivateProperty=uI;x.classProperty=oI;x.conditionalExpression=$1;x.continueStatement=z1;x.debuggerStatement=H1;x.decimalLiteral=Hw;x.declareClass=bI;x.declareExportAllDeclaration=NI;x.declareExportDeclaration=CI;x.declareFunction=EI;x.declareInterface=gI;x.declareModule=PI;x.declareModuleExports=vI;x.declareOpaqueType=II;x.declareTypeAlias=AI;x.declareVariable=wI;x.declaredPredicate=OI;x.decorator=Xw;x.directive=q1;x.directiveLiteral=K1;x.doExpression=Jw;x.doWhileStatement=G1;x.emptyStatement=Q1;x.emptyTypeAnnotation=UI;x.enumBooleanBody=yw;x.enumBooleanMember=Sw;x.enumDeclaration=dw;x.enumDefaultedMember=gw;x.enumNumberBody=mw;x.enumNumberMember=bw;x.enumStringBody=Tw;x.enumStringMember=Ew;x.enumSymbolBody=xw;x.existsTypeAnnotation=kI;x.exportAllDeclaration=RA;x.exportDefaultDeclaration=jA;x.exportDefaultSpecifier=Ww;x.exportNamedDeclaration=VA;x.exportNamespaceSpecifier=sI;x.exportSpecifier=UA;x.expressionStatement=Z1;x.file=eA;x.forInStatement=tA;x.forOfStatement=qA;x.forStatement=rA;x.functionDeclaration=iA;x.functionExpression=sA;x.functionTypeAnnotation=_I;x.functionTypeParam=DI;x.genericTypeAnnotation=LI;x.identifier=nA;x.ifStatement=aA;x.import=iI;x.importAttribute=hI;x.importDeclaration=KA;x.importDefaultSpecifier=YA;x.importExpression=WA;x.importNamespaceSpecifier=XA;x.importSpecifier=JA;x.indexedAccessType=Pw;x.inferredPredicate=MI;x.interfaceDeclaration=BI;x.interfaceExtends=FI;x.interfaceTypeAnnotation=RI;x.interpreterDirective=U1;x.intersectionTypeAnnotation=jI;x.jSXAttribute=x.jsxAttribute=Aw;x.jSXClosingElement=x.jsxClosingElement=Iw;x.jSXClosingFragment=x.jsxClosingFragment=jw;x.jSXElement=x.jsxElement=ww;x.jSXEmptyExpression=x.jsxEmptyExpression=Cw;x.jSXExpressionContainer=x.jsxExpressionContainer=Nw;x.jSXFragment=x.jsxFragment=Bw;x.jSXIdentifier=x.jsxIdentifier=kw;x.jSXMemberExpression=x.jsxMemberExpression=_w;x.jSXNamespacedName=x.jsxNamespacedName=Dw;x.jSXOpeningElement=x.jsxOpeningElement=Lw;x.jSXOpeningFragment=x.jsxOpeningFragment=Rw;x.jSXSpreadAttribute=x.jsxSpreadAttribute=Mw;x.jSXSpreadChild=x.jsxSpreadChild=Ow;x.jSXText=x.jsxText=Fw;x.labeledStatement=oA;x.logicalExpression=pA;x.memberExpression=fA;x.metaProperty=$A;x.mixedTypeAnnotation=VI;x.moduleExpression=Gw;x.newExpression=hA;x.noop=Vw;x.nullLiteral=uA;x.nullLiteralTypeAnnotation=xI;x.nullableTypeAnnotation=qI;x.numberLiteral=mN;x.numberLiteralTypeAnnotation=KI;x.numberTypeAnnotation=YI;x.numericLiteral=Bh;x.objectExpression=yA;x.objectMethod=mA;x.objectPattern=HA;x.objectProperty=TA;x.objectTypeAnnotation=XI;x.objectTypeCallProperty=WI;x.objectTypeIndexer=$I;x.objectTypeInternalSlot=JI;x.objectTypeProperty=zI;x.objectTypeSpreadProperty=HI;x.opaqueType=GI;x.optionalCallExpression=aI;x.optionalIndexedAccessType=vw;x.optionalMemberExpression=nI;x.parenthesizedExpression=bA;x.pipelineBareFunction=eC;x.pipelinePrimaryTopicReference=tC;x.pipelineTopicExpression=Zw;x.placeholder=Uw;x.privateName=pI;x.program=dA;x.qualifiedTypeIdentifier=QI;x.recordExpression=$w;x.regExpLiteral=Rh;x.regexLiteral=TN;x.restElement=jh;x.restProperty=xN;x.returnStatement=xA;x.sequenceExpression=SA;x.spreadElement=Vh;x.spreadProperty=SN;x.staticBlock=fI;x.stringLiteral=lA;x.stringLiteralTypeAnnotation=ZI;x.stringTypeAnnotation=ew;x.super=GA;x.switchCase=EA;x.switchStatement=gA;x.symbolTypeAnnotation=tw;x.taggedTemplateExpression=QA;x.templateElement=ZA;x.templateLiteral=eI;x.thisExpression=PA;x.thisTypeAnnotation=rw;x.throwStatement=vA;x.topicReference=Qw;x.tryStatement=AA;x.tSAnyKeyword=x.tsAnyKeyword=fC;x.tSArrayType=x.tsArrayType=_C;x.tSAsExpression=x.tsAsExpression=QC;x.tSBigIntKeyword=x.tsBigIntKeyword=dC;x.tSBooleanKeyword=x.tsBooleanKeyword=hC;x.tSCallSignatureDeclaration=x.tsCallSignatureDeclaration=oC;x.tSConditionalType=x.tsConditionalType=jC;x.tSConstructSignatureDeclaration=x.tsConstructSignatureDeclaration=lC;x.tSConstructorType=x.tsConstructorType=wC;x.tSDeclareFunction=x.tsDeclareFunction=sC;x.tSDeclareMethod=x.tsDeclareMethod=nC;x.tSEnumBody=x.tsEnumBody=tN;x.tSEnumDeclaration=x.tsEnumDeclaration=rN;x.tSEnumMember=x.tsEnumMember=iN;x.tSExportAssignment=x.tsExportAssignment=cN;x.tSExpressionWithTypeArguments=x.tsExpressionWithTypeArguments=WC;x.tSExternalModuleReference=x.tsExternalModuleReference=lN;x.tSFunctionType=x.tsFunctionType=IC;x.tSImportEqualsDeclaration=x.tsImportEqualsDeclaration=oN;x.tSImportType=x.tsImportType=aN;x.tSIndexSignature=x.tsIndexSignature=pC;x.tSIndexedAccessType=x.tsIndexedAccessType=KC;x.tSInferType=x.tsInferType=VC;x.tSInstantiationExpression=x.tsInstantiationExpression=GC;x.tSInterfaceBody=x.tsInterfaceBody=zC;x.tSInterfaceDeclaration=x.tsInterfaceDeclaration=$C;x.tSIntersectionType=x.tsIntersectionType=RC;x.tSIntrinsicKeyword=x.tsIntrinsicKeyword=yC;x.tSLiteralType=x.tsLiteralType=JC;x.tSMappedType=x.tsMappedType=YC;x.tSMethodSignature=x.tsMethodSignature=cC;x.tSModuleBlock=x.tsModuleBlock=nN;x.tSModuleDeclaration=x.tsModuleDeclaration=sN;x.tSNamedTupleMember=x.tsNamedTupleMember=FC;x.tSNamespaceExportDeclaration=x.tsNamespaceExportDeclaration=pN;x.tSNeverKeyword=x.tsNeverKeyword=mC;x.tSNonNullExpression=x.tsNonNullExpression=uN;x.tSNullKeyword=x.tsNullKeyword=TC;x.tSNumberKeyword=x.tsNumberKeyword=xC;x.tSObjectKeyword=x.tsObjectKeyword=SC;x.tSOptionalType=x.tsOptionalType=LC;x.tSParameterProperty=x.tsParameterProperty=iC;x.tSParenthesizedType=x.tsParenthesizedType=UC;x.tSPropertySignature=x.tsPropertySignature=uC;x.tSQualifiedName=x.tsQualifiedName=aC;x.tSRestType=x.tsRestType=MC;x.tSSatisfiesExpression=x.tsSatisfiesExpression=ZC;x.tSStringKeyword=x.tsStringKeyword=bC;x.tSSymbolKeyword=x.tsSymbolKeyword=EC;x.tSTemplateLiteralType=x.tsTemplateLiteralType=XC;x.tSThisType=x.tsThisType=AC;x.tSTupleType=x.tsTupleType=DC;x.tSTypeAliasDeclaration=x.tsTypeAliasDeclaration=HC;x.tSTypeAnnotation=x.tsTypeAnnotation=fN;x.tSTypeAssertion=x.tsTypeAssertion=eN;x.tSTypeLiteral=x.tsTypeLiteral=kC;x.tSTypeOperator=x.tsTypeOperator=qC;x.tSTypeParameter=x.tsTypeParameter=yN;x.tSTypeParameterDeclaration=x.tsTypeParameterDeclaration=dN;x.tSTypeParameterInstantiation=x.tsTypeParameterInstantiation=hN;x.tSTypePredicate=x.tsTypePredicate=NC;x.tSTypeQuery=x.tsTypeQuery=OC;x.tSTypeReference=x.tsTypeReference=CC;x.tSUndefinedKeyword=x.tsUndefinedKeyword=gC;x.tSUnionType=x.tsUnionType=BC;x.tSUnknownKeyword=x.tsUnknownKeyword=PC;x.tSVoidKeyword=x.tsVoidKeyword=vC;x.tupleExpression=zw;x.tupleTypeAnnotation=iw;x.typeAlias=nw;x.typeAnnotation=aw;x.typeCastExpression=ow;x.typeParameter=lw;x.typeParameterDeclaration=uw;x.typeParameterInstantiation=cw;x.typeofTypeAnnotation=sw;x.unaryExpression=IA;x.unionTypeAnnotation=pw;x.updateExpression=wA;x.v8IntrinsicIdentifier=qw;x.variableDeclaration=CA;x.variableDeclarator=NA;x.variance=fw;x.voidPattern=rC;x.voidTypeAnnotation=hw;x.whileStatement=OA;x.withStatement=kA;x.yieldExpression=tI;var M1=Fs(),qs=Br(),F1=xt(),{validateInternal:d}=M1,{NODE_FIELDS:k}=F1;function B1(t){typeof t=="bigint"&&(t=t.toString());let e={type:"BigIntLiteral",value:t},r=k.BigIntLiteral;return d(r.value,e,"value",t),e}n(B1,"bigIntLiteral");function R1(t=[]){let e={type:"ArrayExpression",elements:t},r=k.ArrayExpression;return d(r.elements,e,"elements",t,1),e}n(R1,"arrayExpression");function j1(t,e,r){let i={type:"AssignmentExpression",operator:t,left:e,right:r},s=k.AssignmentExpression;return d(s.operator,i,"operator",t),d(s.left,i,"left",e,1),d(s.right,i,"right",r,1),i}n(j1,"assignmentExpression");function V1(t,e,r){let i={type:"BinaryExpression",operator:t,left:e,right:r},s=k.BinaryExpression;return d(s.operator,i,"operator",t),d(s.left,i,"left",e,1),d(s.right,i,"right",r,1),i}n(V1,"binaryExpression");function U1(t){let e={type:"InterpreterDirective",value:t},r=k.InterpreterDirective;return d(r.value,e,"value",t),e}n(U1,"interpreterDirective");function q1(t){let e={type:"Directive",value:t},r=k.Directive;return d(r.value,e,"value",t,1),e}n(q1,"directive");function K1(t){let e={type:"DirectiveLiteral",value:t},r=k.DirectiveLiteral;return d(r.value,e,"value",t),e}n(K1,"directiveLiteral");function Y1(t,e=[]){let r={type:"BlockStatement",body:t,directives:e},i=k.BlockStatement;return d(i.body,r,"body",t,1),d(i.directives,r,"directives",e,1),r}n(Y1,"blockStatement");function X1(t=null){let e={type:"BreakStatement",label:t},r=k.BreakStatement;return d(r.label,e,"label",t,1),e}n(X1,"breakStatement");function J1(t,e){let r={type:"CallExpression",callee:t,arguments:e},i=k.CallExpression;return d(i.callee,r,"callee",t,1),d(i.arguments,r,"arguments",e,1),r}n(J1,"callExpression");function W1(t=null,e){let r={type:"CatchClause",param:t,body:e},i=k.CatchClause;return d(i.param,r,"param",t,1),d(i.body,r,"body",e,1),r}n(W1,"catchClause");function $1(t,e,r){let i={type:"ConditionalExpression",test:t,consequent:e,alternate:r},s=k.ConditionalExpression;return d(s.test,i,"test",t,1),d(s.consequent,i,"consequent",e,1),d(s.alternate,i,"alternate",r,1),i}n($1,"conditionalExpression");function z1(t=null){let e={type:"ContinueStatement",label:t},r=k.ContinueStatement;return d(r.label,e,"label",t,1),e}n(z1,"continueStatement");function H1(){return{type:"DebuggerStatement"}}n(H1,"debuggerStatement");function G1(t,e){let r={type:"DoWhileStatement",test:t,body:e},i=k.DoWhileStatement;return d(i.test,r,"test",t,1),d(i.body,r,"body",e,1),r}n(G1,"doWhileStatement");function Q1(){return{type:"EmptyStatement"}}n(Q1,"emptyStatement");function Z1(t){let e={type:"ExpressionStatement",expression:t},r=k.ExpressionStatement;return d(r.expression,e,"expression",t,1),e}n(Z1,"expressionStatement");function eA(t,e=null,r=null){let i={type:"File",program:t,comments:e,tokens:r},s=k.File;return d(s.program,i,"program",t,1),d(s.comments,i,"comments",e,1),d(s.tokens,i,"tokens",r),i}n(eA,"file");function tA(t,e,r){let i={type:"ForInStatement",left:t,right:e,body:r},s=k.ForInStatement;return d(s.left,i,"left",t,1),d(s.right,i,"right",e,1),d(s.body,i,"body",r,1),i}n(tA,"forInStatement");function rA(t=null,e=null,r=null,i){let s={type:"ForStatement",init:t,test:e,update:r,body:i},a=k.ForStatement;return d(a.init,s,"init",t,1),d(a.test,s,"test",e,1),d(a.update,s,"update",r,1),d(a.body,s,"body",i,1),s}n(rA,"forStatement");function iA(t=null,e,r,i=!1,s=!1){let a={type:"FunctionDeclaration",id:t,params:e,body:r,generator:i,async:s},l=k.FunctionDeclaration;return d(l.id,a,"id",t,1),d(l.params,a,"params",e,1),d(l.body,a,"body",r,1),d(l.generator,a,"generator",i),d(l.async,a,"async",s),a}n(iA,"functionDeclaration");function sA(t=null,e,r,i=!1,s=!1){let a={type:"FunctionExpression",id:t,params:e,body:r,generator:i,async:s},l=k.FunctionExpression;return d(l.id,a,"id",t,1),d(l.params,a,"params",e,1),d(l.body,a,"body",r,1),d(l.generator,a,"generator",i),d(l.async,a,"async",s),a}n(sA,"functionExpression");function nA(t){let e={type:"Identifier",name:t},r=k.Identifier;return d(r.name,e,"name",t),e}n(nA,"identifier");function aA(t,e,r=null){let i={type:"IfStatement",test:t,consequent:e,alternate:r},s=k.IfStatement;return d(s.test,i,"test",t,1),d(s.consequent,i,"consequent",e,1),d(s.alternate,i,"alternate",r,1),i}n(aA,"ifStatement");function oA(t,e){let r={type:"LabeledStatement",label:t,body:e},i=k.LabeledStatement;return d(i.label,r,"label",t,1),d(i.body,r,"body",e,1),r}n(oA,"labeledStatement");function lA(t){let e={type:"StringLiteral",value:t},r=k.StringLiteral;return d(r.value,e,"value",t),e}n(lA,"stringLiteral");function Bh(t){let e={type:"NumericLiteral",value:t},r=k.NumericLiteral;return d(r.value,e,"value",t),e}n(Bh,"numericLiteral");function uA(){return{type:"NullLiteral"}}n(uA,"nullLiteral");function cA(t){let e={type:"BooleanLiteral",value:t},r=k.BooleanLiteral;return d(r.value,e,"value",t),e}n(cA,"booleanLiteral");function Rh(t,e=""){let r={type:"RegExpLiteral",pattern:t,flags:e},i=k.RegExpLiteral;return d(i.pattern,r,"pattern",t),d(i.flags,r,"flags",e),r}n(Rh,"regExpLiteral");function pA(t,e,r){let i={type:"LogicalExpression",operator:t,left:e,right:r},s=k.LogicalExpression;return d(s.operator,i,"operator",t),d(s.left,i,"left",e,1),d(s.right,i,"right",r,1),i}n(pA,"logicalExpression");function fA(t,e,r=!1,i=null){let s={type:"MemberExpression",object:t,property:e,computed:r,optional:i},a=k.MemberExpression;return d(a.object,s,"object",t,1),d(a.property,s,"property",e,1),d(a.computed,s,"computed",r),d(a.optional,s,"optional",i),s}n(fA,"memberExpression");function hA(t,e){let r={type:"NewExpression",callee:t,arguments:e,typeParameters:null},i=k.NewExpression;return d(i.callee,r,"callee",t,1),d(i.arguments,r,"arguments",e,1),r}n(hA,"newExpression");function dA(t,e=[],r="script",i=null){let s={type:"Program",body:t,directives:e,sourceType:r,interpreter:i},a=k.Program;return d(a.body,s,"body",t,1),d(a.directives,s,"directives",e,1),d(a.sourceType,s,"sourceType",r),d(a.interpreter,s,"interpreter",i,1),s}n(dA,"program");function yA(t){let e={type:"ObjectExpression",properties:t},r=k.ObjectExpression;return d(r.properties,e,"properties",t,1),e}n(yA,"objectExpression");function mA(t="method",e,r,i,s=!1,a=!1,l=!1){let u={type:"ObjectMethod",kind:t,key:e,params:r,body:i,computed:s,generator:a,async:l},p=k.ObjectMethod;return d(p.kind,u,"kind",t),d(p.key,u,"key",e,1),d(p.params,u,"params",r,1),d(p.body,u,"body",i,1),d(p.computed,u,"computed",s),d(p.generator,u,"generator",a),d(p.async,u,"async",l),u}n(mA,"objectMethod");function TA(t,e,r=!1,i=!1,s=null){let a={type:"ObjectProperty",key:t,value:e,computed:r,shorthand:i,decorators:s},l=k.ObjectProperty;return d(l.key,a,"key",t,1),d(l.value,a,"value",e,1),d(l.computed,a,"computed",r),d(l.shorthand,a,"shorthand",i),d(l.decorators,a,"decorators",s,1),a}n(TA,"objectProperty");function jh(t){let e={type:"RestElement",argument:t},r=k.RestElement;return d(r.argument,e,"argument",t,1),e}n(jh,"restElement");function xA(t=null){let e={type:"ReturnStatement",argument:t},r=k.ReturnStatement;return d(r.argument,e,"argument",t,1),e}n(xA,"returnStatement");function SA(t){let e={type:"SequenceExpression",expressions:t},r=k.SequenceExpression;return d(r.expressions,e,"expressions",t,1),e}n(SA,"sequenceExpression");function bA(t){let e={type:"ParenthesizedExpression",expression:t},r=k.ParenthesizedExpression;return d(r.expression,e,"expression",t,1),e}n(bA,"parenthesizedExpression");function EA(t=null,e){let r={type:"SwitchCase",test:t,consequent:e},i=k.SwitchCase;return d(i.test,r,"test",t,1),d(i.consequent,r,"consequent",e,1),r}n(EA,"switchCase");function gA(t,e){let r={type:"SwitchStatement",discriminant:t,cases:e},i=k.SwitchStatement;return d(i.discriminant,r,"discriminant",t,1),d(i.cases,r,"cases",e,1),r}n(gA,"switchStatement");function PA(){return{type:"ThisExpression"}}n(PA,"thisExpression");function vA(t){let e={type:"ThrowStatement",argument:t},r=k.ThrowStatement;return d(r.argument,e,"argument",t,1),e}n(vA,"throwStatement");function AA(t,e=null,r=null){let i={type:"TryStatement",block:t,handler:e,finalizer:r},s=k.TryStatement;return d(s.block,i,"block",t,1),d(s.handler,i,"handler",e,1),d(s.finalizer,i,"finalizer",r,1),i}n(AA,"tryStatement");function IA(t,e,r=!0){let i={type:"UnaryExpression",operator:t,argument:e,prefix:r},s=k.UnaryExpression;return d(s.operator,i,"operator",t),d(s.argument,i,"argument",e,1),d(s.prefix,i,"prefix",r),i}n(IA,"unaryExpression");function wA(t,e,r=!1){let i={type:"UpdateExpression",operator:t,argument:e,prefix:r},s=k.UpdateExpression;return d(s.operator,i,"operator",t),d(s.argument,i,"argument",e,1),d(s.prefix,i,"prefix",r),i}n(wA,"updateExpression");function CA(t,e){let r={type:"VariableDeclaration",kind:t,declarations:e},i=k.VariableDeclaration;return d(i.kind,r,"kind",t),d(i.declarations,r,"declarations",e,1),r}n(CA,"variableDeclaration");function NA(t,e=null){let r={type:"VariableDeclarator",id:t,init:e},i=k.VariableDeclarator;return d(i.id,r,"id",t,1),d(i.init,r,"init",e,1),r}n(NA,"variableDeclarator");function OA(t,e){let r={type:"WhileStatement",test:t,body:e},i=k.WhileStatement;return d(i.test,r,"test",t,1),d(i.body,r,"body",e,1),r}n(OA,"whileStatement");function kA(t,e){let r={type:"WithStatement",object:t,body:e},i=k.WithStatement;return d(i.object,r,"object",t,1),d(i.body,r,"body",e,1),r}n(kA,"withStatement");function _A(t,e){let r={type:"AssignmentPattern",left:t,right:e},i=k.AssignmentPattern;return d(i.left,r,"left",t,1),d(i.right,r,"right",e,1),r}n(_A,"assignmentPattern");function DA(t){let e={type:"ArrayPattern",elements:t},r=k.ArrayPattern;return d(r.elements,e,"elements",t,1),e}n(DA,"arrayPattern");function LA(t,e,r=!1){let i={type:"ArrowFunctionExpression",params:t,body:e,async:r,expression:null},s=k.ArrowFunctionExpression;return d(s.params,i,"params",t,1),d(s.body,i,"body",e,1),d(s.async,i,"async",r),i}n(LA,"arrowFunctionExpression");function MA(t){let e={type:"ClassBody",body:t},r=k.ClassBody;return d(r.body,e,"body",t,1),e}n(MA,"classBody");function FA(t=null,e=null,r,i=null){let s={type:"ClassExpression",id:t,superClass:e,body:r,decorators:i},a=k.ClassExpression;return d(a.id,s,"id",t,1),d(a.superClass,s,"superClass",e,1),d(a.body,s,"body",r,1),d(a.decorators,s,"decorators",i,1),s}n(FA,"classExpression");function BA(t=null,e=null,r,i=null){let s={type:"ClassDeclaration",id:t,superClass:e,body:r,decorators:i},a=k.ClassDeclaration;return d(a.id,s,"id",t,1),d(a.superClass,s,"superClass",e,1),d(a.body,s,"body",r,1),d(a.decorators,s,"decorators",i,1),s}n(BA,"classDeclaration");function RA(t,e=null){let r={type:"ExportAllDeclaration",source:t,attributes:e},i=k.ExportAllDeclaration;return d(i.source,r,"source",t,1),d(i.attributes,r,"attributes",e,1),r}n(RA,"exportAllDeclaration");function jA(t){let e={type:"ExportDefaultDeclaration",declaration:t},r=k.ExportDefaultDeclaration;return d(r.declaration,e,"declaration",t,1),e}n(jA,"exportDefaultDeclaration");function VA(t=null,e=[],r=null,i=null){let s={type:"ExportNamedDeclaration",declaration:t,specifiers:e,source:r,attributes:i},a=k.ExportNamedDeclaration;return d(a.declaration,s,"declaration",t,1),d(a.specifiers,s,"specifiers",e,1),d(a.source,s,"source",r,1),d(a.attributes,s,"attributes",i,1),s}n(VA,"exportNamedDeclaration");function UA(t,e){let r={type:"ExportSpecifier",local:t,exported:e},i=k.ExportSpecifier;return d(i.local,r,"local",t,1),d(i.exported,r,"exported",e,1),r}n(UA,"exportSpecifier");function qA(t,e,r,i=!1){let s={type:"ForOfStatement",left:t,right:e,body:r,await:i},a=k.ForOfStatement;return d(a.left,s,"left",t,1),d(a.right,s,"right",e,1),d(a.body,s,"body",r,1),d(a.await,s,"await",i),s}n(qA,"forOfStatement");function KA(t,e,r=null){let i={type:"ImportDeclaration",specifiers:t,source:e,attributes:r},s=k.ImportDeclaration;return d(s.specifiers,i,"specifiers",t,1),d(s.source,i,"source",e,1),d(s.attributes,i,"attributes",r,1),i}n(KA,"importDeclaration");function YA(t){let e={type:"ImportDefaultSpecifier",local:t},r=k.ImportDefaultSpecifier;return d(r.local,e,"local",t,1),e}n(YA,"importDefaultSpecifier");function XA(t){let e={type:"ImportNamespaceSpecifier",local:t},r=k.ImportNamespaceSpecifier;return d(r.local,e,"local",t,1),e}n(XA,"importNamespaceSpecifier");function JA(t,e){let r={type:"ImportSpecifier",local:t,imported:e},i=k.ImportSpecifier;return d(i.local,r,"local",t,1),d(i.imported,r,"imported",e,1),r}n(JA,"importSpecifier");function WA(t,e=null){let r={type:"ImportExpression",source:t,options:e},i=k.ImportExpression;return d(i.source,r,"source",t,1),d(i.options,r,"options",e,1),r}n(WA,"importExpression");function $A(t,e){let r={type:"MetaProperty",meta:t,property:e},i=k.MetaProperty;return d(i.meta,r,"meta",t,1),d(i.property,r,"property",e,1),r}n($A,"metaProperty");function zA(t="method",e,r,i,s=!1,a=!1,l=!1,u=!1){let p={type:"ClassMethod",kind:t,key:e,params:r,body:i,computed:s,static:a,generator:l,async:u},h=k.ClassMethod;return d(h.kind,p,"kind",t),d(h.key,p,"key",e,1),d(h.params,p,"params",r,1),d(h.body,p,"body",i,1),d(h.computed,p,"computed",s),d(h.static,p,"static",a),d(h.generator,p,"generator",l),d(h.async,p,"async",u),p}n(zA,"classMethod");function HA(t){let e={type:"ObjectPattern",properties:t},r=k.ObjectPattern;return d(r.properties,e,"properties",t,1),e}n(HA,"objectPattern");function Vh(t){let e={type:"SpreadElement",argument:t},r=k.SpreadElement;return d(r.argument,e,"argument",t,1),e}n(Vh,"spreadElement");function GA(){return{type:"Super"}}n(GA,"_super");function QA(t,e){let r={type:"TaggedTemplateExpression",tag:t,quasi:e},i=k.TaggedTemplateExpression;return d(i.tag,r,"tag",t,1),d(i.quasi,r,"quasi",e,1),r}n(QA,"taggedTemplateExpression");function ZA(t,e=!1){let r={type:"TemplateElement",value:t,tail:e},i=k.TemplateElement;return d(i.value,r,"value",t),d(i.tail,r,"tail",e),r}n(ZA,"templateElement");function eI(t,e){let r={type:"TemplateLiteral",quasis:t,expressions:e},i=k.TemplateLiteral;return d(i.quasis,r,"quasis",t,1),d(i.expressions,r,"expressions",e,1),r}n(eI,"templateLiteral");function tI(t=null,e=!1){let r={type:"YieldExpression",argument:t,delegate:e},i=k.YieldExpression;return d(i.argument,r,"argument",t,1),d(i.delegate,r,"delegate",e),r}n(tI,"yieldExpression");function rI(t){let e={type:"AwaitExpression",argument:t},r=k.AwaitExpression;return d(r.argument,e,"argument",t,1),e}n(rI,"awaitExpression");function iI(){return{type:"Import"}}n(iI,"_import");function sI(t){let e={type:"ExportNamespaceSpecifier",exported:t},r=k.ExportNamespaceSpecifier;return d(r.exported,e,"exported",t,1),e}n(sI,"exportNamespaceSpecifier");function nI(t,e,r=!1,i){let s={type:"OptionalMemberExpression",object:t,property:e,computed:r,optional:i},a=k.OptionalMemberExpression;return d(a.object,s,"object",t,1),d(a.property,s,"property",e,1),d(a.computed,s,"computed",r),d(a.optional,s,"optional",i),s}n(nI,"optionalMemberExpression");function aI(t,e,r){let i={type:"OptionalCallExpression",callee:t,arguments:e,optional:r},s=k.OptionalCallExpression;return d(s.callee,i,"callee",t,1),d(s.arguments,i,"arguments",e,1),d(s.optional,i,"optional",r),i}n(aI,"optionalCallExpression");function oI(t,e=null,r=null,i=null,s=!1,a=!1){let l={type:"ClassProperty",key:t,value:e,typeAnnotation:r,decorators:i,computed:s,static:a},u=k.ClassProperty;return d(u.key,l,"key",t,1),d(u.value,l,"value",e,1),d(u.typeAnnotation,l,"typeAnnotation",r,1),d(u.decorators,l,"decorators",i,1),d(u.computed,l,"computed",s),d(u.static,l,"static",a),l}n(oI,"classProperty");function lI(t,e=null,r=null,i=null,s=!1,a=!1){let l={type:"ClassAccessorProperty",key:t,value:e,typeAnnotation:r,decorators:i,computed:s,static:a},u=k.ClassAccessorProperty;return d(u.key,l,"key",t,1),d(u.value,l,"value",e,1),d(u.typeAnnotation,l,"typeAnnotation",r,1),d(u.decorators,l,"decorators",i,1),d(u.computed,l,"computed",s),d(u.static,l,"static",a),l}n(lI,"classAccessorProperty");function uI(t,e=null,r=null,i=!1){let s={type:"ClassPrivateProperty",key:t,value:e,decorators:r,static:i},a=k.ClassPrivateProperty;return d(a.key,s,"key",t,1),d(a.value,s,"value",e,1),d(a.decorators,s,"decorators",r,1),d(a.static,s,"static",i),s}n(uI,"classPrivateProperty");function cI(t="method",e,r,i,s=!1){let a={type:"ClassPrivateMethod",kind:t,key:e,params:r,body:i,static:s},l=k.ClassPrivateMethod;return d(l.kind,a,"kind",t),d(l.key,a,"key",e,1),d(l.params,a,"params",r,1),d(l.body,a,"body",i,1),d(l.static,a,"static",s),a}n(cI,"classPrivateMethod");function pI(t){let e={type:"PrivateName",id:t},r=k.PrivateName;return d(r.id,e,"id",t,1),e}n(pI,"privateName");function fI(t){let e={type:"StaticBlock",body:t},r=k.StaticBlock;return d(r.body,e,"body",t,1),e}n(fI,"staticBlock");function hI(t,e){let r={type:"ImportAttribute",key:t,value:e},i=k.ImportAttribute;return d(i.key,r,"key",t,1),d(i.value,r,"value",e,1),r}n(hI,"importAttribute");function dI(){return{type:"AnyTypeAnnotation"}}n(dI,"anyTypeAnnotation");function yI(t){let e={type:"ArrayTypeAnnotation",elementType:t},r=k.ArrayTypeAnnotation;return d(r.elementType,e,"elementType",t,1),e}n(yI,"arrayTypeAnnotation");function mI(){return{type:"BooleanTypeAnnotation"}}n(mI,"booleanTypeAnnotation");function TI(t){let e={type:"BooleanLiteralTypeAnnotation",value:t},r=k.BooleanLiteralTypeAnnotation;return d(r.value,e,"value",t),e}n(TI,"booleanLiteralTypeAnnotation");function xI(){return{type:"NullLiteralTypeAnnotation"}}n(xI,"nullLiteralTypeAnnotation");function SI(t,e=null){let r={type:"ClassImplements",id:t,typeParameters:e},i=k.ClassImplements;return d(i.id,r,"id",t,1),d(i.typeParameters,r,"typeParameters",e,1),r}n(SI,"classImplements");function bI(t,e=null,r=null,i){let s={type:"DeclareClass",id:t,typeParameters:e,extends:r,body:i},a=k.DeclareClass;return d(a.id,s,"id",t,1),d(a.typeParameters,s,"typeParameters",e,1),d(a.extends,s,"extends",r,1),d(a.body,s,"body",i,1),s}n(bI,"declareClass");function EI(t){let e={type:"DeclareFunction",id:t},r=k.DeclareFunction;return d(r.id,e,"id",t,1),e}n(EI,"declareFunction");function gI(t,e=null,r=null,i){let s={type:"DeclareInterface",id:t,typeParameters:e,extends:r,body:i},a=k.DeclareInterface;return d(a.id,s,"id",t,1),d(a.typeParameters,s,"typeParameters",e,1),d(a.extends,s,"extends",r,1),d(a.body,s,"body",i,1),s}n(gI,"declareInterface");function PI(t,e,r=null){let i={type:"DeclareModule",id:t,body:e,kind:r},s=k.DeclareModule;return d(s.id,i,"id",t,1),d(s.body,i,"body",e,1),d(s.kind,i,"kind",r),i}n(PI,"declareModule");function vI(t){let e={type:"DeclareModuleExports",typeAnnotation:t},r=k.DeclareModuleExports;return d(r.typeAnnotation,e,"typeAnnotation",t,1),e}n(vI,"declareModuleExports");function AI(t,e=null,r){let i={type:"DeclareTypeAlias",id:t,typeParameters:e,right:r},s=k.DeclareTypeAlias;return d(s.id,i,"id",t,1),d(s.typeParameters,i,"typeParameters",e,1),d(s.right,i,"right",r,1),i}n(AI,"declareTypeAlias");function II(t,e=null,r=null){let i={type:"DeclareOpaqueType",id:t,typeParameters:e,supertype:r},s=k.DeclareOpaqueType;return d(s.id,i,"id",t,1),d(s.typeParameters,i,"typeParameters",e,1),d(s.supertype,i,"supertype",r,1),i}n(II,"declareOpaqueType");function wI(t){let e={type:"DeclareVariable",id:t},r=k.DeclareVariable;return d(r.id,e,"id",t,1),e}n(wI,"declareVariable");function CI(t=null,e=null,r=null,i=null){let s={type:"DeclareExportDeclaration",declaration:t,specifiers:e,source:r,attributes:i},a=k.DeclareExportDeclaration;return d(a.declaration,s,"declaration",t,1),d(a.specifiers,s,"specifiers",e,1),d(a.source,s,"source",r,1),d(a.attributes,s,"attributes",i,1),s}n(CI,"declareExportDeclaration");function NI(t,e=null){let r={type:"DeclareExportAllDeclaration",source:t,attributes:e},i=k.DeclareExportAllDeclaration;return d(i.source,r,"source",t,1),d(i.attributes,r,"attributes",e,1),r}n(NI,"declareExportAllDeclaration");function OI(t){let e={type:"DeclaredPredicate",value:t},r=k.DeclaredPredicate;return d(r.value,e,"value",t,1),e}n(OI,"declaredPredicate");function kI(){return{type:"ExistsTypeAnnotation"}}n(kI,"existsTypeAnnotation");function _I(t=null,e,r=null,i){let s={type:"FunctionTypeAnnotation",typeParameters:t,params:e,rest:r,returnType:i},a=k.FunctionTypeAnnotation;return d(a.typeParameters,s,"typeParameters",t,1),d(a.params,s,"params",e,1),d(a.rest,s,"rest",r,1),d(a.returnType,s,"returnType",i,1),s}n(_I,"functionTypeAnnotation");function DI(t=null,e){let r={type:"FunctionTypeParam",name:t,typeAnnotation:e},i=k.FunctionTypeParam;return d(i.name,r,"name",t,1),d(i.typeAnnotation,r,"typeAnnotation",e,1),r}n(DI,"functionTypeParam");function LI(t,e=null){let r={type:"GenericTypeAnnotation",id:t,typeParameters:e},i=k.GenericTypeAnnotation;return d(i.id,r,"id",t,1),d(i.typeParameters,r,"typeParameters",e,1),r}n(LI,"genericTypeAnnotation");function MI(){return{type:"InferredPredicate"}}n(MI,"inferredPredicate");function FI(t,e=null){let r={type:"InterfaceExtends",id:t,typeParameters:e},i=k.InterfaceExtends;return d(i.id,r,"id",t,1),d(i.typeParameters,r,"typeParameters",e,1),r}n(FI,"interfaceExtends");function BI(t,e=null,r=null,i){let s={type:"InterfaceDeclaration",id:t,typeParameters:e,extends:r,body:i},a=k.InterfaceDeclaration;return d(a.id,s,"id",t,1),d(a.typeParameters,s,"typeParameters",e,1),d(a.extends,s,"extends",r,1),d(a.body,s,"body",i,1),s}n(BI,"interfaceDeclaration");function RI(t=null,e){let r={type:"InterfaceTypeAnnotation",extends:t,body:e},i=k.InterfaceTypeAnnotation;return d(i.extends,r,"extends",t,1),d(i.body,r,"body",e,1),r}n(RI,"interfaceTypeAnnotation");function jI(t){let e={type:"IntersectionTypeAnnotation",types:t},r=k.IntersectionTypeAnnotation;return d(r.types,e,"types",t,1),e}n(jI,"intersectionTypeAnnotation");function VI(){return{type:"MixedTypeAnnotation"}}n(VI,"mixedTypeAnnotation");function UI(){return{type:"EmptyTypeAnnotation"}}n(UI,"emptyTypeAnnotation");function qI(t){let e={type:"NullableTypeAnnotation",typeAnnotation:t},r=k.NullableTypeAnnotation;return d(r.typeAnnotation,e,"typeAnnotation",t,1),e}n(qI,"nullableTypeAnnotation");function KI(t){let e={type:"NumberLiteralTypeAnnotation",value:t},r=k.NumberLiteralTypeAnnotation;return d(r.value,e,"value",t),e}n(KI,"numberLiteralTypeAnnotation");function YI(){return{type:"NumberTypeAnnotation"}}n(YI,"numberTypeAnnotation");function XI(t,e=[],r=[],i=[],s=!1){let a={type:"ObjectTypeAnnotation",properties:t,indexers:e,callProperties:r,internalSlots:i,exact:s},l=k.ObjectTypeAnnotation;return d(l.properties,a,"properties",t,1),d(l.indexers,a,"indexers",e,1),d(l.callProperties,a,"callProperties",r,1),d(l.internalSlots,a,"internalSlots",i,1),d(l.exact,a,"exact",s),a}n(XI,"objectTypeAnnotation");function JI(t,e,r,i,s){let a={type:"ObjectTypeInternalSlot",id:t,value:e,optional:r,static:i,method:s},l=k.ObjectTypeInternalSlot;return d(l.id,a,"id",t,1),d(l.value,a,"value",e,1),d(l.optional,a,"optional",r),d(l.static,a,"static",i),d(l.method,a,"method",s),a}n(JI,"objectTypeInternalSlot");function WI(t){let e={type:"ObjectTypeCallProperty",value:t,static:null},r=k.ObjectTypeCallProperty;return d(r.value,e,"value",t,1),e}n(WI,"objectTypeCallProperty");function $I(t=null,e,r,i=null){let s={type:"ObjectTypeIndexer",id:t,key:e,value:r,variance:i,static:null},a=k.ObjectTypeIndexer;return d(a.id,s,"id",t,1),d(a.key,s,"key",e,1),d(a.value,s,"value",r,1),d(a.variance,s,"variance",i,1),s}n($I,"objectTypeIndexer");function zI(t,e,r=null){let i={type:"ObjectTypeProperty",key:t,value:e,variance:r,kind:null,method:null,optional:null,proto:null,static:null},s=k.ObjectTypeProperty;return d(s.key,i,"key",t,1),d(s.value,i,"value",e,1),d(s.variance,i,"variance",r,1),i}n(zI,"objectTypeProperty");function HI(t){let e={type:"ObjectTypeSpreadProperty",argument:t},r=k.ObjectTypeSpreadProperty;return d(r.argument,e,"argument",t,1),e}n(HI,"objectTypeSpreadProperty");function GI(t,e=null,r=null,i){let s={type:"OpaqueType",id:t,typeParameters:e,supertype:r,impltype:i},a=k.OpaqueType;return d(a.id,s,"id",t,1),d(a.typeParameters,s,"typeParameters",e,1),d(a.supertype,s,"supertype",r,1),d(a.impltype,s,"impltype",i,1),s}n(GI,"opaqueType");function QI(t,e){let r={type:"QualifiedTypeIdentifier",id:t,qualification:e},i=k.QualifiedTypeIdentifier;return d(i.id,r,"id",t,1),d(i.qualification,r,"qualification",e,1),r}n(QI,"qualifiedTypeIdentifier");function ZI(t){let e={type:"StringLiteralTypeAnnotation",value:t},r=k.StringLiteralTypeAnnotation;return d(r.value,e,"value",t),e}n(ZI,"stringLiteralTypeAnnotation");function ew(){return{type:"StringTypeAnnotation"}}n(ew,"stringTypeAnnotation");function tw(){return{type:"SymbolTypeAnnotation"}}n(tw,"symbolTypeAnnotation");function rw(){return{type:"ThisTypeAnnotation"}}n(rw,"thisTypeAnnotation");function iw(t){let e={type:"TupleTypeAnnotation",types:t},r=k.TupleTypeAnnotation;return d(r.types,e,"types",t,1),e}n(iw,"tupleTypeAnnotation");function sw(t){let e={type:"TypeofTypeAnnotation",argument:t},r=k.TypeofTypeAnnotation;return d(r.argument,e,"argument",t,1),e}n(sw,"typeofTypeAnnotation");function nw(t,e=null,r){let i={type:"TypeAlias",id:t,typeParameters:e,right:r},s=k.TypeAlias;return d(s.id,i,"id",t,1),d(s.typeParameters,i,"typeParameters",e,1),d(s.right,i,"right",r,1),i}n(nw,"typeAlias");function aw(t){let e={type:"TypeAnnotation",typeAnnotation:t},r=k.TypeAnnotation;return d(r.typeAnnotation,e,"typeAnnotation",t,1),e}n(aw,"typeAnnotation");function ow(t,e){let r={type:"TypeCastExpression",expression:t,typeAnnotation:e},i=k.TypeCastExpression;return d(i.expression,r,"expression",t,1),d(i.typeAnnotation,r,"typeAnnotation",e,1),r}n(ow,"typeCastExpression");function lw(t=null,e=null,r=null){let i={type:"TypeParameter",bound:t,default:e,variance:r,name:null},s=k.TypeParameter;return d(s.bound,i,"bound",t,1),d(s.default,i,"default",e,1),d(s.variance,i,"variance",r,1),i}n(lw,"typeParameter");function uw(t){let e={type:"TypeParameterDeclaration",params:t},r=k.TypeParameterDeclaration;return d(r.params,e,"params",t,1),e}n(uw,"typeParameterDeclaration");function cw(t){let e={type:"TypeParameterInstantiation",params:t},r=k.TypeParameterInstantiation;return d(r.params,e,"params",t,1),e}n(cw,"typeParameterInstantiation");function pw(t){let e={type:"UnionTypeAnnotation",types:t},r=k.UnionTypeAnnotation;return d(r.types,e,"types",t,1),e}n(pw,"unionTypeAnnotation");function fw(t){let e={type:"Variance",kind:t},r=k.Variance;return d(r.kind,e,"kind",t),e}n(fw,"variance");function hw(){return{type:"VoidTypeAnnotation"}}n(hw,"voidTypeAnnotation");function dw(t,e){let r={type:"EnumDeclaration",id:t,body:e},i=k.EnumDeclaration;return d(i.id,r,"id",t,1),d(i.body,r,"body",e,1),r}n(dw,"enumDeclaration");function yw(t){let e={type:"EnumBooleanBody",members:t,explicitType:null,hasUnknownMembers:null},r=k.EnumBooleanBody;return d(r.members,e,"members",t,1),e}n(yw,"enumBooleanBody");function mw(t){let e={type:"EnumNumberBody",members:t,explicitType:null,hasUnknownMembers:null},r=k.EnumNumberBody;return d(r.members,e,"members",t,1),e}n(mw,"enumNumberBody");function Tw(t){let e={type:"EnumStringBody",members:t,explicitType:null,hasUnknownMembers:null},r=k.EnumStringBody;return d(r.members,e,"members",t,1),e}n(Tw,"enumStringBody");function xw(t){let e={type:"EnumSymbolBody",members:t,hasUnknownMembers:null},r=k.EnumSymbolBody;return d(r.members,e,"members",t,1),e}n(xw,"enumSymbolBody");function Sw(t){let e={type:"EnumBooleanMember",id:t,init:null},r=k.EnumBooleanMember;return d(r.id,e,"id",t,1),e}n(Sw,"enumBooleanMember");function bw(t,e){let r={type:"EnumNumberMember",id:t,init:e},i=k.EnumNumberMember;return d(i.id,r,"id",t,1),d(i.init,r,"init",e,1),r}n(bw,"enumNumberMember");function Ew(t,e){let r={type:"EnumStringMember",id:t,init:e},i=k.EnumStringMember;return d(i.id,r,"id",t,1),d(i.init,r,"init",e,1),r}n(Ew,"enumStringMember");function gw(t){let e={type:"EnumDefaultedMember",id:t},r=k.EnumDefaultedMember;return d(r.id,e,"id",t,1),e}n(gw,"enumDefaultedMember");function Pw(t,e){let r={type:"IndexedAccessType",objectType:t,indexType:e},i=k.IndexedAccessType;return d(i.objectType,r,"objectType",t,1),d(i.indexType,r,"indexType",e,1),r}n(Pw,"indexedAccessType");function vw(t,e){let r={type:"OptionalIndexedAccessType",objectType:t,indexType:e,optional:null},i=k.OptionalIndexedAccessType;return d(i.objectType,r,"objectType",t,1),d(i.indexType,r,"indexType",e,1),r}n(vw,"optionalIndexedAccessType");function Aw(t,e=null){let r={type:"JSXAttribute",name:t,value:e},i=k.JSXAttribute;return d(i.name,r,"name",t,1),d(i.value,r,"value",e,1),r}n(Aw,"jsxAttribute");function Iw(t){let e={type:"JSXClosingElement",name:t},r=k.JSXClosingElement;return d(r.name,e,"name",t,1),e}n(Iw,"jsxClosingElement");function ww(t,e=null,r,i=null){let s={type:"JSXElement",openingElement:t,closingElement:e,children:r,selfClosing:i},a=k.JSXElement;return d(a.openingElement,s,"openingElement",t,1),d(a.closingElement,s,"closingElement",e,1),d(a.children,s,"children",r,1),d(a.selfClosing,s,"selfClosing",i),s}n(ww,"jsxElement");function Cw(){return{type:"JSXEmptyExpression"}}n(Cw,"jsxEmptyExpression");function Nw(t){let e={type:"JSXExpressionContainer",expression:t},r=k.JSXExpressionContainer;return d(r.expression,e,"expression",t,1),e}n(Nw,"jsxExpressionContainer");function Ow(t){let e={type:"JSXSpreadChild",expression:t},r=k.JSXSpreadChild;return d(r.expression,e,"expression",t,1),e}n(Ow,"jsxSpreadChild");function kw(t){let e={type:"JSXIdentifier",name:t},r=k.JSXIdentifier;return d(r.name,e,"name",t),e}n(kw,"jsxIdentifier");function _w(t,e){let r={type:"JSXMemberExpression",object:t,property:e},i=k.JSXMemberExpression;return d(i.object,r,"object",t,1),d(i.property,r,"property",e,1),r}n(_w,"jsxMemberExpression");function Dw(t,e){let r={type:"JSXNamespacedName",namespace:t,name:e},i=k.JSXNamespacedName;return d(i.namespace,r,"namespace",t,1),d(i.name,r,"name",e,1),r}n(Dw,"jsxNamespacedName");function Lw(t,e,r=!1){let i={type:"JSXOpeningElement",name:t,attributes:e,selfClosing:r},s=k.JSXOpeningElement;return d(s.name,i,"name",t,1),d(s.attributes,i,"attributes",e,1),d(s.selfClosing,i,"selfClosing",r),i}n(Lw,"jsxOpeningElement");function Mw(t){let e={type:"JSXSpreadAttribute",argument:t},r=k.JSXSpreadAttribute;return d(r.argument,e,"argument",t,1),e}n(Mw,"jsxSpreadAttribute");function Fw(t){let e={type:"JSXText",value:t},r=k.JSXText;return d(r.value,e,"value",t),e}n(Fw,"jsxText");function Bw(t,e,r){let i={type:"JSXFragment",openingFragment:t,closingFragment:e,children:r},s=k.JSXFragment;return d(s.openingFragment,i,"openingFragment",t,1),d(s.closingFragment,i,"closingFragment",e,1),d(s.children,i,"children",r,1),i}n(Bw,"jsxFragment");function Rw(){return{type:"JSXOpeningFragment"}}n(Rw,"jsxOpeningFragment");function jw(){return{type:"JSXClosingFragment"}}n(jw,"jsxClosingFragment");function Vw(){return{type:"Noop"}}n(Vw,"noop");function Uw(t,e){let r={type:"Placeholder",expectedNode:t,name:e},i=k.Placeholder;return d(i.expectedNode,r,"expectedNode",t),d(i.name,r,"name",e,1),r}n(Uw,"placeholder");function qw(t){let e={type:"V8IntrinsicIdentifier",name:t},r=k.V8IntrinsicIdentifier;return d(r.name,e,"name",t),e}n(qw,"v8IntrinsicIdentifier");function Kw(){return{type:"ArgumentPlaceholder"}}n(Kw,"argumentPlaceholder");function Yw(t,e){let r={type:"BindExpression",object:t,callee:e},i=k.BindExpression;return d(i.object,r,"object",t,1),d(i.callee,r,"callee",e,1),r}n(Yw,"bindExpression");function Xw(t){let e={type:"Decorator",expression:t},r=k.Decorator;return d(r.expression,e,"expression",t,1),e}n(Xw,"decorator");function Jw(t,e=!1){let r={type:"DoExpression",body:t,async:e},i=k.DoExpression;return d(i.body,r,"body",t,1),d(i.async,r,"async",e),r}n(Jw,"doExpression");function Ww(t){let e={type:"ExportDefaultSpecifier",exported:t},r=k.ExportDefaultSpecifier;return d(r.exported,e,"exported",t,1),e}n(Ww,"exportDefaultSpecifier");function $w(t){let e={type:"RecordExpression",properties:t},r=k.RecordExpression;return d(r.properties,e,"properties",t,1),e}n($w,"recordExpression");function zw(t=[]){let e={type:"TupleExpression",elements:t},r=k.TupleExpression;return d(r.elements,e,"elements",t,1),e}n(zw,"tupleExpression");function Hw(t){let e={type:"DecimalLiteral",value:t},r=k.DecimalLiteral;return d(r.value,e,"value",t),e}n(Hw,"decimalLiteral");function Gw(t){let e={type:"ModuleExpression",body:t},r=k.ModuleExpression;return d(r.body,e,"body",t,1),e}n(Gw,"moduleExpression");function Qw(){return{type:"TopicReference"}}n(Qw,"topicReference");function Zw(t){let e={type:"PipelineTopicExpression",expression:t},r=k.PipelineTopicExpression;return d(r.expression,e,"expression",t,1),e}n(Zw,"pipelineTopicExpression");function eC(t){let e={type:"PipelineBareFunction",callee:t},r=k.PipelineBareFunction;return d(r.callee,e,"callee",t,1),e}n(eC,"pipelineBareFunction");function tC(){return{type:"PipelinePrimaryTopicReference"}}n(tC,"pipelinePrimaryTopicReference");function rC(){return{type:"VoidPattern"}}n(rC,"voidPattern");function iC(t){let e={type:"TSParameterProperty",parameter:t},r=k.TSParameterProperty;return d(r.parameter,e,"parameter",t,1),e}n(iC,"tsParameterProperty");function sC(t=null,e=null,r,i=null){let s={type:"TSDeclareFunction",id:t,typeParameters:e,params:r,returnType:i},a=k.TSDeclareFunction;return d(a.id,s,"id",t,1),d(a.typeParameters,s,"typeParameters",e,1),d(a.params,s,"params",r,1),d(a.returnType,s,"returnType",i,1),s}n(sC,"tsDeclareFunction");function nC(t=null,e,r=null,i,s=null){let a={type:"TSDeclareMethod",decorators:t,key:e,typeParameters:r,params:i,returnType:s},l=k.TSDeclareMethod;return d(l.decorators,a,"decorators",t,1),d(l.key,a,"key",e,1),d(l.typeParameters,a,"typeParameters",r,1),d(l.params,a,"params",i,1),d(l.returnType,a,"returnType",s,1),a}n(nC,"tsDeclareMethod");function aC(t,e){let r={type:"TSQualifiedName",left:t,right:e},i=k.TSQualifiedName;return d(i.left,r,"left",t,1),d(i.right,r,"right",e,1),r}n(aC,"tsQualifiedName");function oC(t=null,e,r=null){let i={type:"TSCallSignatureDeclaration",typeParameters:t,parameters:e,typeAnnotation:r},s=k.TSCallSignatureDeclaration;return d(s.typeParameters,i,"typeParameters",t,1),d(s.parameters,i,"parameters",e,1),d(s.typeAnnotation,i,"typeAnnotation",r,1),i}n(oC,"tsCallSignatureDeclaration");function lC(t=null,e,r=null){let i={type:"TSConstructSignatureDeclaration",typeParameters:t,parameters:e,typeAnnotation:r},s=k.TSConstructSignatureDeclaration;return d(s.typeParameters,i,"typeParameters",t,1),d(s.parameters,i,"parameters",e,1),d(s.typeAnnotation,i,"typeAnnotation",r,1),i}n(lC,"tsConstructSignatureDeclaration");function uC(t,e=null){let r={type:"TSPropertySignature",key:t,typeAnnotation:e},i=k.TSPropertySignature;return d(i.key,r,"key",t,1),d(i.typeAnnotation,r,"typeAnnotation",e,1),r}n(uC,"tsPropertySignature");function cC(t,e=null,r,i=null){let s={type:"TSMethodSignature",key:t,typeParameters:e,parameters:r,typeAnnotation:i,kind:null},a=k.TSMethodSignature;return d(a.key,s,"key",t,1),d(a.typeParameters,s,"typeParameters",e,1),d(a.parameters,s,"parameters",r,1),d(a.typeAnnotation,s,"typeAnnotation",i,1),s}n(cC,"tsMethodSignature");function pC(t,e=null){let r={type:"TSIndexSignature",parameters:t,typeAnnotation:e},i=k.TSIndexSignature;return d(i.parameters,r,"parameters",t,1),d(i.typeAnnotation,r,"typeAnnotation",e,1),r}n(pC,"tsIndexSignature");function fC(){return{type:"TSAnyKeyword"}}n(fC,"tsAnyKeyword");function hC(){return{type:"TSBooleanKeyword"}}n(hC,"tsBooleanKeyword");function dC(){return{type:"TSBigIntKeyword"}}n(dC,"tsBigIntKeyword");function yC(){return{type:"TSIntrinsicKeyword"}}n(yC,"tsIntrinsicKeyword");function mC(){return{type:"TSNeverKeyword"}}n(mC,"tsNeverKeyword");function TC(){return{type:"TSNullKeyword"}}n(TC,"tsNullKeyword");function xC(){return{type:"TSNumberKeyword"}}n(xC,"tsNumberKeyword");function SC(){return{type:"TSObjectKeyword"}}n(SC,"tsObjectKeyword");function bC(){return{type:"TSStringKeyword"}}n(bC,"tsStringKeyword");function EC(){return{type:"TSSymbolKeyword"}}n(EC,"tsSymbolKeyword");function gC(){return{type:"TSUndefinedKeyword"}}n(gC,"tsUndefinedKeyword");function PC(){return{type:"TSUnknownKeyword"}}n(PC,"tsUnknownKeyword");function vC(){return{type:"TSVoidKeyword"}}n(vC,"tsVoidKeyword");function AC(){return{type:"TSThisType"}}n(AC,"tsThisType");function IC(t=null,e,r=null){let i={type:"TSFunctionType",typeParameters:t,parameters:e,typeAnnotation:r},s=k.TSFunctionType;return d(s.typeParameters,i,"typeParameters",t,1),d(s.parameters,i,"parameters",e,1),d(s.typeAnnotation,i,"typeAnnotation",r,1),i}n(IC,"tsFunctionType");function wC(t=null,e,r=null){let i={type:"TSConstructorType",typeParameters:t,parameters:e,typeAnnotation:r},s=k.TSConstructorType;return d(s.typeParameters,i,"typeParameters",t,1),d(s.parameters,i,"parameters",e,1),d(s.typeAnnotation,i,"typeAnnotation",r,1),i}n(wC,"tsConstructorType");function CC(t,e=null){let r={type:"TSTypeReference",typeName:t,typeParameters:e},i=k.TSTypeReference;return d(i.typeName,r,"typeName",t,1),d(i.typeParameters,r,"typeParameters",e,1),r}n(CC,"tsTypeReference");function NC(t,e=null,r=null){let i={type:"TSTypePredicate",parameterName:t,typeAnnotation:e,asserts:r},s=k.TSTypePredicate;return d(s.parameterName,i,"parameterName",t,1),d(s.typeAnnotation,i,"typeAnnotation",e,1),d(s.asserts,i,"asserts",r),i}n(NC,"tsTypePredicate");function OC(t,e=null){let r={type:"TSTypeQuery",exprName:t,typeParameters:e},i=k.TSTypeQuery;return d(i.exprName,r,"exprName",t,1),d(i.typeParameters,r,"typeParameters",e,1),r}n(OC,"tsTypeQuery");function kC(t){let e={type:"TSTypeLiteral",members:t},r=k.TSTypeLiteral;return d(r.members,e,"members",t,1),e}n(kC,"tsTypeLiteral");function _C(t){let e={type:"TSArrayType",elementType:t},r=k.TSArrayType;return d(r.elementType,e,"elementType",t,1),e}n(_C,"tsArrayType");function DC(t){let e={type:"TSTupleType",elementTypes:t},r=k.TSTupleType;return d(r.elementTypes,e,"elementTypes",t,1),e}n(DC,"tsTupleType");function LC(t){let e={type:"TSOptionalType",typeAnnotation:t},r=k.TSOptionalType;return d(r.typeAnnotation,e,"typeAnnotation",t,1),e}n(LC,"tsOptionalType");function MC(t){let e={type:"TSRestType",typeAnnotation:t},r=k.TSRestType;return d(r.typeAnnotation,e,"typeAnnotation",t,1),e}n(MC,"tsRestType");function FC(t,e,r=!1){let i={type:"TSNamedTupleMember",label:t,elementType:e,optional:r},s=k.TSNamedTupleMember;return d(s.label,i,"label",t,1),d(s.elementType,i,"elementType",e,1),d(s.optional,i,"optional",r),i}n(FC,"tsNamedTupleMember");function BC(t){let e={type:"TSUnionType",types:t},r=k.TSUnionType;return d(r.types,e,"types",t,1),e}n(BC,"tsUnionType");function RC(t){let e={type:"TSIntersectionType",types:t},r=k.TSIntersectionType;return d(r.types,e,"types",t,1),e}n(RC,"tsIntersectionType");function jC(t,e,r,i){let s={type:"TSConditionalType",checkType:t,extendsType:e,trueType:r,falseType:i},a=k.TSConditionalType;return d(a.checkType,s,"checkType",t,1),d(a.extendsType,s,"extendsType",e,1),d(a.trueType,s,"trueType",r,1),d(a.falseType,s,"falseType",i,1),s}n(jC,"tsConditionalType");function VC(t){let e={type:"TSInferType",typeParameter:t},r=k.TSInferType;return d(r.typeParameter,e,"typeParameter",t,1),e}n(VC,"tsInferType");function UC(t){let e={type:"TSParenthesizedType",typeAnnotation:t},r=k.TSParenthesizedType;return d(r.typeAnnotation,e,"typeAnnotation",t,1),e}n(UC,"tsParenthesizedType");function qC(t,e="keyof"){let r={type:"TSTypeOperator",typeAnnotation:t,operator:e},i=k.TSTypeOperator;return d(i.typeAnnotation,r,"typeAnnotation",t,1),d(i.operator,r,"operator",e),r}n(qC,"tsTypeOperator");function KC(t,e){let r={type:"TSIndexedAccessType",objectType:t,indexType:e},i=k.TSIndexedAccessType;return d(i.objectType,r,"objectType",t,1),d(i.indexType,r,"indexType",e,1),r}n(KC,"tsIndexedAccessType");function YC(t,e=null,r=null){let i={type:"TSMappedType",typeParameter:t,typeAnnotation:e,nameType:r},s=k.TSMappedType;return d(s.typeParameter,i,"typeParameter",t,1),d(s.typeAnnotation,i,"typeAnnotation",e,1),d(s.nameType,i,"nameType",r,1),i}n(YC,"tsMappedType");function XC(t,e){let r={type:"TSTemplateLiteralType",quasis:t,types:e},i=k.TSTemplateLiteralType;return d(i.quasis,r,"quasis",t,1),d(i.types,r,"types",e,1),r}n(XC,"tsTemplateLiteralType");function JC(t){let e={type:"TSLiteralType",literal:t},r=k.TSLiteralType;return d(r.literal,e,"literal",t,1),e}n(JC,"tsLiteralType");function WC(t,e=null){let r={type:"TSExpressionWithTypeArguments",expression:t,typeParameters:e},i=k.TSExpressionWithTypeArguments;return d(i.expression,r,"expression",t,1),d(i.typeParameters,r,"typeParameters",e,1),r}n(WC,"tsExpressionWithTypeArguments");function $C(t,e=null,r=null,i){let s={type:"TSInterfaceDeclaration",id:t,typeParameters:e,extends:r,body:i},a=k.TSInterfaceDeclaration;return d(a.id,s,"id",t,1),d(a.typeParameters,s,"typeParameters",e,1),d(a.extends,s,"extends",r,1),d(a.body,s,"body",i,1),s}n($C,"tsInterfaceDeclaration");function zC(t){let e={type:"TSInterfaceBody",body:t},r=k.TSInterfaceBody;return d(r.body,e,"body",t,1),e}n(zC,"tsInterfaceBody");function HC(t,e=null,r){let i={type:"TSTypeAliasDeclaration",id:t,typeParameters:e,typeAnnotation:r},s=k.TSTypeAliasDeclaration;return d(s.id,i,"id",t,1),d(s.typeParameters,i,"typeParameters",e,1),d(s.typeAnnotation,i,"typeAnnotation",r,1),i}n(HC,"tsTypeAliasDeclaration");function GC(t,e=null){let r={type:"TSInstantiationExpression",expression:t,typeParameters:e},i=k.TSInstantiationExpression;return d(i.expression,r,"expression",t,1),d(i.typeParameters,r,"typeParameters",e,1),r}n(GC,"tsInstantiationExpression");function QC(t,e){let r={type:"TSAsExpression",expression:t,typeAnnotation:e},i=k.TSAsExpression;return d(i.expression,r,"expression",t,1),d(i.typeAnnotation,r,"typeAnnotation",e,1),r}n(QC,"tsAsExpression");function ZC(t,e){let r={type:"TSSatisfiesExpression",expression:t,typeAnnotation:e},i=k.TSSatisfiesExpression;return d(i.expression,r,"expression",t,1),d(i.typeAnnotation,r,"typeAnnotation",e,1),r}n(ZC,"tsSatisfiesExpression");function eN(t,e){let r={type:"TSTypeAssertion",typeAnnotation:t,expression:e},i=k.TSTypeAssertion;return d(i.typeAnnotation,r,"typeAnnotation",t,1),d(i.expression,r,"expression",e,1),r}n(eN,"tsTypeAssertion");function tN(t){let e={type:"TSEnumBody",members:t},r=k.TSEnumBody;return d(r.members,e,"members",t,1),e}n(tN,"tsEnumBody");function rN(t,e){let r={type:"TSEnumDeclaration",id:t,members:e},i=k.TSEnumDeclaration;return d(i.id,r,"id",t,1),d(i.members,r,"members",e,1),r}n(rN,"tsEnumDeclaration");function iN(t,e=null){let r={type:"TSEnumMember",id:t,initializer:e},i=k.TSEnumMember;return d(i.id,r,"id",t,1),d(i.initializer,r,"initializer",e,1),r}n(iN,"tsEnumMember");function sN(t,e){let r={type:"TSModuleDeclaration",id:t,body:e,kind:null},i=k.TSModuleDeclaration;return d(i.id,r,"id",t,1),d(i.body,r,"body",e,1),r}n(sN,"tsModuleDeclaration");function nN(t){let e={type:"TSModuleBlock",body:t},r=k.TSModuleBlock;return d(r.body,e,"body",t,1),e}n(nN,"tsModuleBlock");function aN(t,e=null,r=null){let i={type:"TSImportType",argument:t,qualifier:e,typeParameters:r},s=k.TSImportType;return d(s.argument,i,"argument",t,1),d(s.qualifier,i,"qualifier",e,1),d(s.typeParameters,i,"typeParameters",r,1),i}n(aN,"tsImportType");function oN(t,e){let r={type:"TSImportEqualsDeclaration",id:t,moduleReference:e,isExport:null},i=k.TSImportEqualsDeclaration;return d(i.id,r,"id",t,1),d(i.moduleReference,r,"moduleReference",e,1),r}n(oN,"tsImportEqualsDeclaration");function lN(t){let e={type:"TSExternalModuleReference",expression:t},r=k.TSExternalModuleReference;return d(r.expression,e,"expression",t,1),e}n(lN,"tsExternalModuleReference");function uN(t){let e={type:"TSNonNullExpression",expression:t},r=k.TSNonNullExpression;return d(r.expression,e,"expression",t,1),e}n(uN,"tsNonNullExpression");function cN(t){let e={type:"TSExportAssignment",expression:t},r=k.TSExportAssignment;return d(r.expression,e,"expression",t,1),e}n(cN,"tsExportAssignment");function pN(t){let e={type:"TSNamespaceExportDeclaration",id:t},r=k.TSNamespaceExportDeclaration;return d(r.id,e,"id",t,1),e}n(pN,"tsNamespaceExportDeclaration");function fN(t){let e={type:"TSTypeAnnotation",typeAnnotation:t},r=k.TSTypeAnnotation;return d(r.typeAnnotation,e,"typeAnnotation",t,1),e}n(fN,"tsTypeAnnotation");function hN(t){let e={type:"TSTypeParameterInstantiation",params:t},r=k.TSTypeParameterInstantiation;return d(r.params,e,"params",t,1),e}n(hN,"tsTypeParameterInstantiation");function dN(t){let e={type:"TSTypeParameterDeclaration",params:t},r=k.TSTypeParameterDeclaration;return d(r.params,e,"params",t,1),e}n(dN,"tsTypeParameterDeclaration");function yN(t=null,e=null,r){let i={type:"TSTypeParameter",constraint:t,default:e,name:r},s=k.TSTypeParameter;return d(s.constraint,i,"constraint",t,1),d(s.default,i,"default",e,1),d(s.name,i,"name",r),i}n(yN,"tsTypeParameter");function mN(t){return(0,qs.default)("NumberLiteral","NumericLiteral","The node type "),Bh(t)}n(mN,"NumberLiteral");function TN(t,e=""){return(0,qs.default)("RegexLiteral","RegExpLiteral","The node type "),Rh(t,e)}n(TN,"RegexLiteral");function xN(t){return(0,qs.default)("RestProperty","RestElement","The node type "),jh(t)}n(xN,"RestProperty");function SN(t){return(0,qs.default)("SpreadProperty","SpreadElement","The node type "),Vh(t)}n(SN,"SpreadProperty")});var Uh=D(f=>{"use strict";T();Object.defineProperty(f,"__esModule",{value:!0});f.JSXIdentifier=f.JSXFragment=f.JSXExpressionContainer=f.JSXEmptyExpression=f.JSXElement=f.JSXClosingFragment=f.JSXClosingElement=f.JSXAttribute=f.IntersectionTypeAnnotation=f.InterpreterDirective=f.InterfaceTypeAnnotation=f.InterfaceExtends=f.InterfaceDeclaration=f.InferredPredicate=f.IndexedAccessType=f.ImportSpecifier=f.ImportNamespaceSpecifier=f.ImportExpression=f.ImportDefaultSpecifier=f.ImportDeclaration=f.ImportAttribute=f.Import=f.IfStatement=f.Identifier=f.GenericTypeAnnotation=f.FunctionTypeParam=f.FunctionTypeAnnotation=f.FunctionExpression=f.FunctionDeclaration=f.ForStatement=f.ForOfStatement=f.ForInStatement=f.File=f.ExpressionStatement=f.ExportSpecifier=f.ExportNamespaceSpecifier=f.ExportNamedDeclaration=f.ExportDefaultSpecifier=f.ExportDefaultDeclaration=f.ExportAllDeclaration=f.ExistsTypeAnnotation=f.EnumSymbolBody=f.EnumStringMember=f.EnumStringBody=f.EnumNumberMember=f.EnumNumberBody=f.EnumDefaultedMember=f.EnumDeclaration=f.EnumBooleanMember=f.EnumBooleanBody=f.EmptyTypeAnnotation=f.EmptyStatement=f.DoWhileStatement=f.DoExpression=f.DirectiveLiteral=f.Directive=f.Decorator=f.DeclaredPredicate=f.DeclareVariable=f.DeclareTypeAlias=f.DeclareOpaqueType=f.DeclareModuleExports=f.DeclareModule=f.DeclareInterface=f.DeclareFunction=f.DeclareExportDeclaration=f.DeclareExportAllDeclaration=f.DeclareClass=f.DecimalLiteral=f.DebuggerStatement=f.ContinueStatement=f.ConditionalExpression=f.ClassProperty=f.ClassPrivateProperty=f.ClassPrivateMethod=f.ClassMethod=f.ClassImplements=f.ClassExpression=f.ClassDeclaration=f.ClassBody=f.ClassAccessorProperty=f.CatchClause=f.CallExpression=f.BreakStatement=f.BooleanTypeAnnotation=f.BooleanLiteralTypeAnnotation=f.BooleanLiteral=f.BlockStatement=f.BindExpression=f.BinaryExpression=f.BigIntLiteral=f.AwaitExpression=f.AssignmentPattern=f.AssignmentExpression=f.ArrowFunctionExpression=f.ArrayTypeAnnotation=f.ArrayPattern=f.ArrayExpression=f.ArgumentPlaceholder=f.AnyTypeAnnotation=void 0;f.TSNumberKeyword=f.TSNullKeyword=f.TSNonNullExpression=f.TSNeverKeyword=f.TSNamespaceExportDeclaration=f.TSNamedTupleMember=f.TSModuleDeclaration=f.TSModuleBlock=f.TSMethodSignature=f.TSMappedType=f.TSLiteralType=f.TSIntrinsicKeyword=f.TSIntersectionType=f.TSInterfaceDeclaration=f.TSInterfaceBody=f.TSInstantiationExpression=f.TSInferType=f.TSIndexedAccessType=f.TSIndexSignature=f.TSImportType=f.TSImportEqualsDeclaration=f.TSFunctionType=f.TSExternalModuleReference=f.TSExpressionWithTypeArguments=f.TSExportAssignment=f.TSEnumMember=f.TSEnumDeclaration=f.TSEnumBody=f.TSDeclareMethod=f.TSDeclareFunction=f.TSConstructorType=f.TSConstructSignatureDeclaration=f.TSConditionalType=f.TSCallSignatureDeclaration=f.TSBooleanKeyword=f.TSBigIntKeyword=f.TSAsExpression=f.TSArrayType=f.TSAnyKeyword=f.SymbolTypeAnnotation=f.SwitchStatement=f.SwitchCase=f.Super=f.StringTypeAnnotation=f.StringLiteralTypeAnnotation=f.StringLiteral=f.StaticBlock=f.SpreadProperty=f.SpreadElement=f.SequenceExpression=f.ReturnStatement=f.RestProperty=f.RestElement=f.RegexLiteral=f.RegExpLiteral=f.RecordExpression=f.QualifiedTypeIdentifier=f.Program=f.PrivateName=f.Placeholder=f.PipelineTopicExpression=f.PipelinePrimaryTopicReference=f.PipelineBareFunction=f.ParenthesizedExpression=f.OptionalMemberExpression=f.OptionalIndexedAccessType=f.OptionalCallExpression=f.OpaqueType=f.ObjectTypeSpreadProperty=f.ObjectTypeProperty=f.ObjectTypeInternalSlot=f.ObjectTypeIndexer=f.ObjectTypeCallProperty=f.ObjectTypeAnnotation=f.ObjectProperty=f.ObjectPattern=f.ObjectMethod=f.ObjectExpression=f.NumericLiteral=f.NumberTypeAnnotation=f.NumberLiteralTypeAnnotation=f.NumberLiteral=f.NullableTypeAnnotation=f.NullLiteralTypeAnnotation=f.NullLiteral=f.Noop=f.NewExpression=f.ModuleExpression=f.MixedTypeAnnotation=f.MetaProperty=f.MemberExpression=f.LogicalExpression=f.LabeledStatement=f.JSXText=f.JSXSpreadChild=f.JSXSpreadAttribute=f.JSXOpeningFragment=f.JSXOpeningElement=f.JSXNamespacedName=f.JSXMemberExpression=void 0;f.YieldExpression=f.WithStatement=f.WhileStatement=f.VoidTypeAnnotation=f.VoidPattern=f.Variance=f.VariableDeclarator=f.VariableDeclaration=f.V8IntrinsicIdentifier=f.UpdateExpression=f.UnionTypeAnnotation=f.UnaryExpression=f.TypeofTypeAnnotation=f.TypeParameterInstantiation=f.TypeParameterDeclaration=f.TypeParameter=f.TypeCastExpression=f.TypeAnnotation=f.TypeAlias=f.TupleTypeAnnotation=f.TupleExpression=f.TryStatement=f.TopicReference=f.ThrowStatement=f.ThisTypeAnnotation=f.ThisExpression=f.TemplateLiteral=f.TemplateElement=f.TaggedTemplateExpression=f.TSVoidKeyword=f.TSUnknownKeyword=f.TSUnionType=f.TSUndefinedKeyword=f.TSTypeReference=f.TSTypeQuery=f.TSTypePredicate=f.TSTypeParameterInstantiation=f.TSTypeParameterDeclaration=f.TSTypeParameter=f.TSTypeOperator=f.TSTypeLiteral=f.TSTypeAssertion=f.TSTypeAnnotation=f.TSTypeAliasDeclaration=f.TSTupleType=f.TSThisType=f.TSTemplateLiteralType=f.TSSymbolKeyword=f.TSStringKeyword=f.TSSatisfiesExpression=f.TSRestType=f.TSQualifiedName=f.TSPropertySignature=f.TSParenthesizedType=f.TSParameterProperty=f.TSOptionalType=f.TSObjectKeyword=void 0;var Li=ao(),H9=Br();function w(t){return Li[t]}n(w,"alias");var G9=f.ArrayExpression=w("arrayExpression"),Q9=f.AssignmentExpression=w("assignmentExpression"),Z9=f.BinaryExpression=w("binaryExpression"),e5=f.InterpreterDirective=w("interpreterDirective"),t5=f.Directive=w("directive"),r5=f.DirectiveLiteral=w("directiveLiteral"),i5=f.BlockStatement=w("blockStatement"),s5=f.BreakStatement=w("breakStatement"),n5=f.CallExpression=w("callExpression"),a5=f.CatchClause=w("catchClause"),o5=f.ConditionalExpression=w("conditionalExpression"),l5=f.ContinueStatement=w("continueStatement"),u5=f.DebuggerStatement=w("debuggerStatement"),c5=f.DoWhileStatement=w("doWhileStatement"),p5=f.EmptyStatement=w("emptyStatement"),f5=f.ExpressionStatement=w("expressionStatement"),h5=f.File=w("file"),d5=f.ForInStatement=w("forInStatement"),y5=f.ForStatement=w("forStatement"),m5=f.FunctionDeclaration=w("functionDeclaration"),T5=f.FunctionExpression=w("functionExpression"),x5=f.Identifier=w("identifier"),S5=f.IfStatement=w("ifStatement"),b5=f.LabeledStatement=w("labeledStatement"),E5=f.StringLiteral=w("stringLiteral"),g5=f.NumericLiteral=w("numericLiteral"),P5=f.NullLiteral=w("nullLiteral"),v5=f.BooleanLiteral=w("booleanLiteral"),A5=f.RegExpLiteral=w("regExpLiteral"),I5=f.LogicalExpression=w("logicalExpression"),w5=f.MemberExpression=w("memberExpression"),C5=f.NewExpression=w("newExpression"),N5=f.Program=w("program"),O5=f.ObjectExpression=w("objectExpression"),k5=f.ObjectMethod=w("objectMethod"),_5=f.ObjectProperty=w("objectProperty"),D5=f.RestElement=w("restElement"),L5=f.ReturnStatement=w("returnStatement"),M5=f.SequenceExpression=w("sequenceExpression"),F5=f.ParenthesizedExpression=w("parenthesizedExpression"),B5=f.SwitchCase=w("switchCase"),R5=f.SwitchStatement=w("switchStatement"),j5=f.ThisExpression=w("thisExpression"),V5=f.ThrowStatement=w("throwStatement"),U5=f.TryStatement=w("tryStatement"),q5=f.UnaryExpression=w("unaryExpression"),K5=f.UpdateExpression=w("updateExpression"),Y5=f.VariableDeclaration=w("variableDeclaration"),X5=f.VariableDeclarator=w("variableDeclarator"),J5=f.WhileStatement=w("whileStatement"),W5=f.WithStatement=w("withStatement"),$5=f.AssignmentPattern=w("assignmentPattern"),z5=f.ArrayPattern=w("arrayPattern"),H5=f.ArrowFunctionExpression=w("arrowFunctionExpression"),G5=f.ClassBody=w("classBody"),Q5=f.ClassExpression=w("classExpression"),Z5=f.ClassDeclaration=w("classDeclaration"),ej=f.ExportAllDeclaration=w("exportAllDeclaration"),tj=f.ExportDefaultDeclaration=w("exportDefaultDeclaration"),rj=f.ExportNamedDeclaration=w("exportNamedDeclaration"),ij=f.ExportSpecifier=w("exportSpecifier"),sj=f.ForOfStatement=w("forOfStatement"),nj=f.ImportDeclaration=w("importDeclaration"),aj=f.ImportDefaultSpecifier=w("importDefaultSpecifier"),oj=f.ImportNamespaceSpecifier=w("importNamespaceSpecifier"),lj=f.ImportSpecifier=w("importSpecifier"),uj=f.ImportExpression=w("importExpression"),cj=f.MetaProperty=w("metaProperty"),pj=f.ClassMethod=w("classMethod"),fj=f.ObjectPattern=w("objectPattern"),hj=f.SpreadElement=w("spreadElement"),dj=f.Super=w("super"),yj=f.TaggedTemplateExpression=w("taggedTemplateExpression"),mj=f.TemplateElement=w("templateElement"),Tj=f.TemplateLiteral=w("templateLiteral"),xj=f.YieldExpression=w("yieldExpression"),Sj=f.AwaitExpression=w("awaitExpression"),bj=f.Import=w("import"),Ej=f.BigIntLiteral=w("bigIntLiteral"),gj=f.ExportNamespaceSpecifier=w("exportNamespaceSpecifier"),Pj=f.OptionalMemberExpression=w("optionalMemberExpression"),vj=f.OptionalCallExpression=w("optionalCallExpression"),Aj=f.ClassProperty=w("classProperty"),Ij=f.ClassAccessorProperty=w("classAccessorProperty"),wj=f.ClassPrivateProperty=w("classPrivateProperty"),Cj=f.ClassPrivateMethod=w("classPrivateMethod"),Nj=f.PrivateName=w("privateName"),Oj=f.StaticBlock=w("staticBlock"),kj=f.ImportAttribute=w("importAttribute"),_j=f.AnyTypeAnnotation=w("anyTypeAnnotation"),Dj=f.ArrayTypeAnnotation=w("arrayTypeAnnotation"),Lj=f.BooleanTypeAnnotation=w("booleanTypeAnnotation"),Mj=f.BooleanLiteralTypeAnnotation=w("booleanLiteralTypeAnnotation"),Fj=f.NullLiteralTypeAnnotation=w("nullLiteralTypeAnnotation"),Bj=f.ClassImplements=w("classImplements"),Rj=f.DeclareClass=w("declareClass"),jj=f.DeclareFunction=w("declareFunction"),Vj=f.DeclareInterface=w("declareInterface"),Uj=f.DeclareModule=w("declareModule"),qj=f.DeclareModuleExports=w("declareModuleExports"),Kj=f.DeclareTypeAlias=w("declareTypeAlias"),Yj=f.DeclareOpaqueType=w("declareOpaqueType"),Xj=f.DeclareVariable=w("declareVariable"),Jj=f.DeclareExportDeclaration=w("declareExportDeclaration"),Wj=f.DeclareExportAllDeclaration=w("declareExportAllDeclaration"),$j=f.DeclaredPredicate=w("declaredPredicate"),zj=f.ExistsTypeAnnotation=w("existsTypeAnnotation"),Hj=f.FunctionTypeAnnotation=w("functionTypeAnnotation"),Gj=f.FunctionTypeParam=w("functionTypeParam"),Qj=f.GenericTypeAnnotation=w("genericTypeAnnotation"),Zj=f.InferredPredicate=w("inferredPredicate"),e7=f.InterfaceExtends=w("interfaceExtends"),t7=f.InterfaceDeclaration=w("interfaceDeclaration"),r7=f.InterfaceTypeAnnotation=w("interfaceTypeAnnotation"),i7=f.IntersectionTypeAnnotation=w("intersectionTypeAnnotation"),s7=f.MixedTypeAnnotation=w("mixedTypeAnnotation"),n7=f.EmptyTypeAnnotation=w("emptyTypeAnnotation"),a7=f.NullableTypeAnnotation=w("nullableTypeAnnotation"),o7=f.NumberLiteralTypeAnnotation=w("numberLiteralTypeAnnotation"),l7=f.NumberTypeAnnotation=w("numberTypeAnnotation"),u7=f.ObjectTypeAnnotation=w("objectTypeAnnotation"),c7=f.ObjectTypeInternalSlot=w("objectTypeInternalSlot"),p7=f.ObjectTypeCallProperty=w("objectTypeCallProperty"),f7=f.ObjectTypeIndexer=w("objectTypeIndexer"),h7=f.ObjectTypeProperty=w("objectTypeProperty"),d7=f.ObjectTypeSpreadProperty=w("objectTypeSpreadProperty"),y7=f.OpaqueType=w("opaqueType"),m7=f.QualifiedTypeIdentifier=w("qualifiedTypeIdentifier"),T7=f.StringLiteralTypeAnnotation=w("stringLiteralTypeAnnotation"),x7=f.StringTypeAnnotation=w("stringTypeAnnotation"),S7=f.SymbolTypeAnnotation=w("symbolTypeAnnotation"),b7=f.ThisTypeAnnotation=w("thisTypeAnnotation"),E7=f.TupleTypeAnnotation=w("tupleTypeAnnotation"),g7=f.TypeofTypeAnnotation=w("typeofTypeAnnotation"),P7=f.TypeAlias=w("typeAlias"),v7=f.TypeAnnotation=w("typeAnnotation"),A7=f.TypeCastExpression=w("typeCastExpression"),I7=f.TypeParameter=w("typeParameter"),w7=f.TypeParameterDeclaration=w("typeParameterDeclaration"),C7=f.TypeParameterInstantiation=w("typeParameterInstantiation"),N7=f.UnionTypeAnnotation=w("unionTypeAnnotation"),O7=f.Variance=w("variance"),k7=f.VoidTypeAnnotation=w("voidTypeAnnotation"),_7=f.EnumDeclaration=w("enumDeclaration"),D7=f.EnumBooleanBody=w("enumBooleanBody"),L7=f.EnumNumberBody=w("enumNumberBody"),M7=f.EnumStringBody=w("enumStringBody"),F7=f.EnumSymbolBody=w("enumSymbolBody"),B7=f.EnumBooleanMember=w("enumBooleanMember"),R7=f.EnumNumberMember=w("enumNumberMember"),j7=f.EnumStringMember=w("enumStringMember"),V7=f.EnumDefaultedMember=w("enumDefaultedMember"),U7=f.IndexedAccessType=w("indexedAccessType"),q7=f.OptionalIndexedAccessType=w("optionalIndexedAccessType"),K7=f.JSXAttribute=w("jsxAttribute"),Y7=f.JSXClosingElement=w("jsxClosingElement"),X7=f.JSXElement=w("jsxElement"),J7=f.JSXEmptyExpression=w("jsxEmptyExpression"),W7=f.JSXExpressionContainer=w("jsxExpressionContainer"),$7=f.JSXSpreadChild=w("jsxSpreadChild"),z7=f.JSXIdentifier=w("jsxIdentifier"),H7=f.JSXMemberExpression=w("jsxMemberExpression"),G7=f.JSXNamespacedName=w("jsxNamespacedName"),Q7=f.JSXOpeningElement=w("jsxOpeningElement"),Z7=f.JSXSpreadAttribute=w("jsxSpreadAttribute"),eV=f.JSXText=w("jsxText"),tV=f.JSXFragment=w("jsxFragment"),rV=f.JSXOpeningFragment=w("jsxOpeningFragment"),iV=f.JSXClosingFragment=w("jsxClosingFragment"),sV=f.Noop=w("noop"),nV=f.Placeholder=w("placeholder"),aV=f.V8IntrinsicIdentifier=w("v8IntrinsicIdentifier"),oV=f.ArgumentPlaceholder=w("argumentPlaceholder"),lV=f.BindExpression=w("bindExpression"),uV=f.Decorator=w("decorator"),cV=f.DoExpression=w("doExpression"),pV=f.ExportDefaultSpecifier=w("exportDefaultSpecifier"),fV=f.RecordExpression=w("recordExpression"),hV=f.TupleExpression=w("tupleExpression"),dV=f.DecimalLiteral=w("decimalLiteral"),yV=f.ModuleExpression=w("moduleExpression"),mV=f.TopicReference=w("topicReference"),TV=f.PipelineTopicExpression=w("pipelineTopicExpression"),xV=f.PipelineBareFunction=w("pipelineBareFunction"),SV=f.PipelinePrimaryTopicReference=w("pipelinePrimaryTopicReference"),bV=f.VoidPattern=w("voidPattern"),EV=f.TSParameterProperty=w("tsParameterProperty"),gV=f.TSDeclareFunction=w("tsDeclareFunction"),PV=f.TSDeclareMethod=w("tsDeclareMethod"),vV=f.TSQualifiedName=w("tsQualifiedName"),AV=f.TSCallSignatureDeclaration=w("tsCallSignatureDeclaration"),IV=f.TSConstructSignatureDeclaration=w("tsConstructSignatureDeclaration"),wV=f.TSPropertySignature=w("tsPropertySignature"),CV=f.TSMethodSignature=w("tsMethodSignature"),NV=f.TSIndexSignature=w("tsIndexSignature"),OV=f.TSAnyKeyword=w("tsAnyKeyword"),kV=f.TSBooleanKeyword=w("tsBooleanKeyword"),_V=f.TSBigIntKeyword=w("tsBigIntKeyword"),DV=f.TSIntrinsicKeyword=w("tsIntrinsicKeyword"),LV=f.TSNeverKeyword=w("tsNeverKeyword"),MV=f.TSNullKeyword=w("tsNullKeyword"),FV=f.TSNumberKeyword=w("tsNumberKeyword"),BV=f.TSObjectKeyword=w("tsObjectKeyword"),RV=f.TSStringKeyword=w("tsStringKeyword"),jV=f.TSSymbolKeyword=w("tsSymbolKeyword"),VV=f.TSUndefinedKeyword=w("tsUndefinedKeyword"),UV=f.TSUnknownKeyword=w("tsUnknownKeyword"),qV=f.TSVoidKeyword=w("tsVoidKeyword"),KV=f.TSThisType=w("tsThisType"),YV=f.TSFunctionType=w("tsFunctionType"),XV=f.TSConstructorType=w("tsConstructorType"),JV=f.TSTypeReference=w("tsTypeReference"),WV=f.TSTypePredicate=w("tsTypePredicate"),$V=f.TSTypeQuery=w("tsTypeQuery"),zV=f.TSTypeLiteral=w("tsTypeLiteral"),HV=f.TSArrayType=w("tsArrayType"),GV=f.TSTupleType=w("tsTupleType"),QV=f.TSOptionalType=w("tsOptionalType"),ZV=f.TSRestType=w("tsRestType"),eU=f.TSNamedTupleMember=w("tsNamedTupleMember"),tU=f.TSUnionType=w("tsUnionType"),rU=f.TSIntersectionType=w("tsIntersectionType"),iU=f.TSConditionalType=w("tsConditionalType"),sU=f.TSInferType=w("tsInferType"),nU=f.TSParenthesizedType=w("tsParenthesizedType"),aU=f.TSTypeOperator=w("tsTypeOperator"),oU=f.TSIndexedAccessType=w("tsIndexedAccessType"),lU=f.TSMappedType=w("tsMappedType"),uU=f.TSTemplateLiteralType=w("tsTemplateLiteralType"),cU=f.TSLiteralType=w("tsLiteralType"),pU=f.TSExpressionWithTypeArguments=w("tsExpressionWithTypeArguments"),fU=f.TSInterfaceDeclaration=w("tsInterfaceDeclaration"),hU=f.TSInterfaceBody=w("tsInterfaceBody"),dU=f.TSTypeAliasDeclaration=w("tsTypeAliasDeclaration"),yU=f.TSInstantiationExpression=w("tsInstantiationExpression"),mU=f.TSAsExpression=w("tsAsExpression"),TU=f.TSSatisfiesExpression=w("tsSatisfiesExpression"),xU=f.TSTypeAssertion=w("tsTypeAssertion"),SU=f.TSEnumBody=w("tsEnumBody"),bU=f.TSEnumDeclaration=w("tsEnumDeclaration"),EU=f.TSEnumMember=w("tsEnumMember"),gU=f.TSModuleDeclaration=w("tsModuleDeclaration"),PU=f.TSModuleBlock=w("tsModuleBlock"),vU=f.TSImportType=w("tsImportType"),AU=f.TSImportEqualsDeclaration=w("tsImportEqualsDeclaration"),IU=f.TSExternalModuleReference=w("tsExternalModuleReference"),wU=f.TSNonNullExpression=w("tsNonNullExpression"),CU=f.TSExportAssignment=w("tsExportAssignment"),NU=f.TSNamespaceExportDeclaration=w("tsNamespaceExportDeclaration"),OU=f.TSTypeAnnotation=w("tsTypeAnnotation"),kU=f.TSTypeParameterInstantiation=w("tsTypeParameterInstantiation"),_U=f.TSTypeParameterDeclaration=w("tsTypeParameterDeclaration"),DU=f.TSTypeParameter=w("tsTypeParameter"),LU=f.NumberLiteral=Li.numberLiteral,MU=f.RegexLiteral=Li.regexLiteral,FU=f.RestProperty=Li.restProperty,BU=f.SpreadProperty=Li.spreadProperty});var Xe=D(jt=>{"use strict";T();Object.defineProperty(jt,"__esModule",{value:!0});var oo=ao();Object.keys(oo).forEach(function(t){t==="default"||t==="__esModule"||t in jt&&jt[t]===oo[t]||Object.defineProperty(jt,t,{enumerable:!0,get:n(function(){return oo[t]},"get")})});var lo=Uh();Object.keys(lo).forEach(function(t){t==="default"||t==="__esModule"||t in jt&&jt[t]===lo[t]||Object.defineProperty(jt,t,{enumerable:!0,get:n(function(){return lo[t]},"get")})})});var qh=D(uo=>{"use strict";T();Object.defineProperty(uo,"__esModule",{value:!0});uo.default=gN;var bN=Xe(),EN=It();function gN(t,e){let r=t.value.split(/\r\n|\n|\r/),i=0;for(let a=0;a<r.length;a++)/[^ \t]/.exec(r[a])&&(i=a);let s="";for(let a=0;a<r.length;a++){let l=r[a],u=a===0,p=a===r.length-1,h=a===i,m=l.replace(/\t/g," ");u||(m=m.replace(/^ +/,"")),p||(m=m.replace(/ +$/,"")),m&&(h||(m+=" "),s+=m)}s&&e.push((0,EN.inherits)((0,bN.stringLiteral)(s),t))}n(gN,"cleanJSXElementLiteralChild")});var Kh=D(po=>{"use strict";T();Object.defineProperty(po,"__esModule",{value:!0});po.default=vN;var co=ve(),PN=qh();function vN(t){let e=[];for(let r=0;r<t.children.length;r++){let i=t.children[r];if((0,co.isJSXText)(i)){(0,PN.default)(i,e);continue}(0,co.isJSXExpressionContainer)(i)&&(i=i.expression),!(0,co.isJSXEmptyExpression)(i)&&e.push(i)}return e}n(vN,"buildChildren")});var ho=D(fo=>{"use strict";T();Object.defineProperty(fo,"__esModule",{value:!0});fo.default=IN;var AN=Ze();function IN(t){return!!(t&&AN.VISITOR_KEYS[t.type])}n(IN,"isNode")});var Yh=D(yo=>{"use strict";T();Object.defineProperty(yo,"__esModule",{value:!0});yo.default=CN;var wN=ho();function CN(t){if(!(0,wN.default)(t)){var e;let r=(e=t?.type)!=null?e:JSON.stringify(t);throw new TypeError(`Not a valid node of type "${r}"`)}}n(CN,"assertNode")});var Xh=D(g=>{"use strict";T();Object.defineProperty(g,"__esModule",{value:!0});g.assertAccessor=$D;g.assertAnyTypeAnnotation=pk;g.assertArgumentPlaceholder=V2;g.assertArrayExpression=ON;g.assertArrayPattern=CO;g.assertArrayTypeAnnotation=fk;g.assertArrowFunctionExpression=NO;g.assertAssignmentExpression=kN;g.assertAssignmentPattern=wO;g.assertAwaitExpression=QO;g.assertBigIntLiteral=ek;g.assertBinary=yD;g.assertBinaryExpression=_N;g.assertBindExpression=U2;g.assertBlock=xD;g.assertBlockParent=TD;g.assertBlockStatement=FN;g.assertBooleanLiteral=iO;g.assertBooleanLiteralTypeAnnotation=dk;g.assertBooleanTypeAnnotation=hk;g.assertBreakStatement=BN;g.assertCallExpression=RN;g.assertCatchClause=jN;g.assertClass=YD;g.assertClassAccessorProperty=nk;g.assertClassBody=OO;g.assertClassDeclaration=_O;g.assertClassExpression=kO;g.assertClassImplements=mk;g.assertClassMethod=YO;g.assertClassPrivateMethod=ok;g.assertClassPrivateProperty=ak;g.assertClassProperty=sk;g.assertCompletionStatement=ED;g.assertConditional=gD;g.assertConditionalExpression=VN;g.assertContinueStatement=UN;g.assertDebuggerStatement=qN;g.assertDecimalLiteral=W2;g.assertDeclaration=kD;g.assertDeclareClass=Tk;g.assertDeclareExportAllDeclaration=Ik;g.assertDeclareExportDeclaration=Ak;g.assertDeclareFunction=xk;g.assertDeclareInterface=Sk;g.assertDeclareModule=bk;g.assertDeclareModuleExports=Ek;g.assertDeclareOpaqueType=Pk;g.assertDeclareTypeAlias=gk;g.assertDeclareVariable=vk;g.assertDeclaredPredicate=wk;g.assertDecorator=q2;g.assertDirective=LN;g.assertDirectiveLiteral=MN;g.assertDoExpression=K2;g.assertDoWhileStatement=KN;g.assertEmptyStatement=YN;g.assertEmptyTypeAnnotation=Rk;g.assertEnumBody=tL;g.assertEnumBooleanBody=f2;g.assertEnumBooleanMember=m2;g.assertEnumDeclaration=p2;g.assertEnumDefaultedMember=S2;g.assertEnumMember=rL;g.assertEnumNumberBody=h2;g.assertEnumNumberMember=T2;g.assertEnumStringBody=d2;g.assertEnumStringMember=x2;g.assertEnumSymbolBody=y2;g.assertExistsTypeAnnotation=Ck;g.assertExportAllDeclaration=DO;g.assertExportDeclaration=JD;g.assertExportDefaultDeclaration=LO;g.assertExportDefaultSpecifier=Y2;g.assertExportNamedDeclaration=MO;g.assertExportNamespaceSpecifier=tk;g.assertExportSpecifier=FO;g.assertExpression=dD;g.assertExpressionStatement=XN;g.assertExpressionWrapper=AD;g.assertFile=JN;g.assertFlow=HD;g.assertFlowBaseAnnotation=QD;g.assertFlowDeclaration=ZD;g.assertFlowPredicate=eL;g.assertFlowType=GD;g.assertFor=ID;g.assertForInStatement=WN;g.assertForOfStatement=BO;g.assertForStatement=$N;g.assertForXStatement=wD;g.assertFunction=CD;g.assertFunctionDeclaration=zN;g.assertFunctionExpression=HN;g.assertFunctionParameter=_D;g.assertFunctionParent=ND;g.assertFunctionTypeAnnotation=Nk;g.assertFunctionTypeParam=Ok;g.assertGenericTypeAnnotation=kk;g.assertIdentifier=GN;g.assertIfStatement=QN;g.assertImmutable=BD;g.assertImport=ZO;g.assertImportAttribute=ck;g.assertImportDeclaration=RO;g.assertImportDefaultSpecifier=jO;g.assertImportExpression=qO;g.assertImportNamespaceSpecifier=VO;g.assertImportOrExportDeclaration=XD;g.assertImportSpecifier=UO;g.assertIndexedAccessType=b2;g.assertInferredPredicate=_k;g.assertInterfaceDeclaration=Lk;g.assertInterfaceExtends=Dk;g.assertInterfaceTypeAnnotation=Mk;g.assertInterpreterDirective=DN;g.assertIntersectionTypeAnnotation=Fk;g.assertJSX=iL;g.assertJSXAttribute=g2;g.assertJSXClosingElement=P2;g.assertJSXClosingFragment=F2;g.assertJSXElement=v2;g.assertJSXEmptyExpression=A2;g.assertJSXExpressionContainer=I2;g.assertJSXFragment=L2;g.assertJSXIdentifier=C2;g.assertJSXMemberExpression=N2;g.assertJSXNamespacedName=O2;g.assertJSXOpeningElement=k2;g.assertJSXOpeningFragment=M2;g.assertJSXSpreadAttribute=_2;g.assertJSXSpreadChild=w2;g.assertJSXText=D2;g.assertLVal=LD;g.assertLabeledStatement=ZN;g.assertLiteral=FD;g.assertLogicalExpression=nO;g.assertLoop=PD;g.assertMemberExpression=aO;g.assertMetaProperty=KO;g.assertMethod=jD;g.assertMiscellaneous=sL;g.assertMixedTypeAnnotation=Bk;g.assertModuleDeclaration=hL;g.assertModuleExpression=$2;g.assertModuleSpecifier=WD;g.assertNewExpression=oO;g.assertNoop=B2;g.assertNullLiteral=rO;g.assertNullLiteralTypeAnnotation=yk;g.assertNullableTypeAnnotation=jk;g.assertNumberLiteral=uL;g.assertNumberLiteralTypeAnnotation=Vk;g.assertNumberTypeAnnotation=Uk;g.assertNumericLiteral=tO;g.assertObjectExpression=uO;g.assertObjectMember=VD;g.assertObjectMethod=cO;g.assertObjectPattern=XO;g.assertObjectProperty=pO;g.assertObjectTypeAnnotation=qk;g.assertObjectTypeCallProperty=Yk;g.assertObjectTypeIndexer=Xk;g.assertObjectTypeInternalSlot=Kk;g.assertObjectTypeProperty=Jk;g.assertObjectTypeSpreadProperty=Wk;g.assertOpaqueType=$k;g.assertOptionalCallExpression=ik;g.assertOptionalIndexedAccessType=E2;g.assertOptionalMemberExpression=rk;g.assertParenthesizedExpression=yO;g.assertPattern=KD;g.assertPatternLike=DD;g.assertPipelineBareFunction=G2;g.assertPipelinePrimaryTopicReference=Q2;g.assertPipelineTopicExpression=H2;g.assertPlaceholder=R2;g.assertPrivate=zD;g.assertPrivateName=lk;g.assertProgram=lO;g.assertProperty=UD;g.assertPureish=OD;g.assertQualifiedTypeIdentifier=zk;g.assertRecordExpression=X2;g.assertRegExpLiteral=sO;g.assertRegexLiteral=cL;g.assertRestElement=fO;g.assertRestProperty=pL;g.assertReturnStatement=hO;g.assertScopable=mD;g.assertSequenceExpression=dO;g.assertSpreadElement=JO;g.assertSpreadProperty=fL;g.assertStandardized=hD;g.assertStatement=SD;g.assertStaticBlock=uk;g.assertStringLiteral=eO;g.assertStringLiteralTypeAnnotation=Hk;g.assertStringTypeAnnotation=Gk;g.assertSuper=WO;g.assertSwitchCase=mO;g.assertSwitchStatement=TO;g.assertSymbolTypeAnnotation=Qk;g.assertTSAnyKeyword=u_;g.assertTSArrayType=N_;g.assertTSAsExpression=z_;g.assertTSBaseType=lL;g.assertTSBigIntKeyword=p_;g.assertTSBooleanKeyword=c_;g.assertTSCallSignatureDeclaration=s_;g.assertTSConditionalType=F_;g.assertTSConstructSignatureDeclaration=n_;g.assertTSConstructorType=v_;g.assertTSDeclareFunction=t_;g.assertTSDeclareMethod=r_;g.assertTSEntityName=MD;g.assertTSEnumBody=Q_;g.assertTSEnumDeclaration=Z_;g.assertTSEnumMember=eD;g.assertTSExportAssignment=oD;g.assertTSExpressionWithTypeArguments=Y_;g.assertTSExternalModuleReference=nD;g.assertTSFunctionType=P_;g.assertTSImportEqualsDeclaration=sD;g.assertTSImportType=iD;g.assertTSIndexSignature=l_;g.assertTSIndexedAccessType=V_;g.assertTSInferType=B_;g.assertTSInstantiationExpression=$_;g.assertTSInterfaceBody=J_;g.assertTSInterfaceDeclaration=X_;g.assertTSIntersectionType=M_;g.assertTSIntrinsicKeyword=f_;g.assertTSLiteralType=K_;g.assertTSMappedType=U_;g.assertTSMethodSignature=o_;g.assertTSModuleBlock=rD;g.assertTSModuleDeclaration=tD;g.assertTSNamedTupleMember=D_;g.assertTSNamespaceExportDeclaration=lD;g.assertTSNeverKeyword=h_;g.assertTSNonNullExpression=aD;g.assertTSNullKeyword=d_;g.assertTSNumberKeyword=y_;g.assertTSObjectKeyword=m_;g.assertTSOptionalType=k_;g.assertTSParameterProperty=e_;g.assertTSParenthesizedType=R_;g.assertTSPropertySignature=a_;g.assertTSQualifiedName=i_;g.assertTSRestType=__;g.assertTSSatisfiesExpression=H_;g.assertTSStringKeyword=T_;g.assertTSSymbolKeyword=x_;g.assertTSTemplateLiteralType=q_;g.assertTSThisType=g_;g.assertTSTupleType=O_;g.assertTSType=oL;g.assertTSTypeAliasDeclaration=W_;g.assertTSTypeAnnotation=uD;g.assertTSTypeAssertion=G_;g.assertTSTypeElement=aL;g.assertTSTypeLiteral=C_;g.assertTSTypeOperator=j_;g.assertTSTypeParameter=fD;g.assertTSTypeParameterDeclaration=pD;g.assertTSTypeParameterInstantiation=cD;g.assertTSTypePredicate=I_;g.assertTSTypeQuery=w_;g.assertTSTypeReference=A_;g.assertTSUndefinedKeyword=S_;g.assertTSUnionType=L_;g.assertTSUnknownKeyword=b_;g.assertTSVoidKeyword=E_;g.assertTaggedTemplateExpression=$O;g.assertTemplateElement=zO;g.assertTemplateLiteral=HO;g.assertTerminatorless=bD;g.assertThisExpression=xO;g.assertThisTypeAnnotation=Zk;g.assertThrowStatement=SO;g.assertTopicReference=z2;g.assertTryStatement=bO;g.assertTupleExpression=J2;g.assertTupleTypeAnnotation=e2;g.assertTypeAlias=r2;g.assertTypeAnnotation=i2;g.assertTypeCastExpression=s2;g.assertTypeParameter=n2;g.assertTypeParameterDeclaration=a2;g.assertTypeParameterInstantiation=o2;g.assertTypeScript=nL;g.assertTypeofTypeAnnotation=t2;g.assertUnaryExpression=EO;g.assertUnaryLike=qD;g.assertUnionTypeAnnotation=l2;g.assertUpdateExpression=gO;g.assertUserWhitespacable=RD;g.assertV8IntrinsicIdentifier=j2;g.assertVariableDeclaration=PO;g.assertVariableDeclarator=vO;g.assertVariance=u2;g.assertVoidPattern=Z2;g.assertVoidTypeAnnotation=c2;g.assertWhile=vD;g.assertWhileStatement=AO;g.assertWithStatement=IO;g.assertYieldExpression=GO;var NN=Rr(),Mi=Br();function P(t,e,r){if(!(0,NN.default)(t,e,r))throw new Error(`Expected type "${t}" with option ${JSON.stringify(r)}, but instead got "${e.type}".`)}n(P,"assert");function ON(t,e){P("ArrayExpression",t,e)}n(ON,"assertArrayExpression");function kN(t,e){P("AssignmentExpression",t,e)}n(kN,"assertAssignmentExpression");function _N(t,e){P("BinaryExpression",t,e)}n(_N,"assertBinaryExpression");function DN(t,e){P("InterpreterDirective",t,e)}n(DN,"assertInterpreterDirective");function LN(t,e){P("Directive",t,e)}n(LN,"assertDirective");function MN(t,e){P("DirectiveLiteral",t,e)}n(MN,"assertDirectiveLiteral");function FN(t,e){P("BlockStatement",t,e)}n(FN,"assertBlockStatement");function BN(t,e){P("BreakStatement",t,e)}n(BN,"assertBreakStatement");function RN(t,e){P("CallExpression",t,e)}n(RN,"assertCallExpression");function jN(t,e){P("CatchClause",t,e)}n(jN,"assertCatchClause");function VN(t,e){P("ConditionalExpression",t,e)}n(VN,"assertConditionalExpression");function UN(t,e){P("ContinueStatement",t,e)}n(UN,"assertContinueStatement");function qN(t,e){P("DebuggerStatement",t,e)}n(qN,"assertDebuggerStatement");function KN(t,e){P("DoWhileStatement",t,e)}n(KN,"assertDoWhileStatement");function YN(t,e){P("EmptyStatement",t,e)}n(YN,"assertEmptyStatement");function XN(t,e){P("ExpressionStatement",t,e)}n(XN,"assertExpressionStatement");function JN(t,e){P("File",t,e)}n(JN,"assertFile");function WN(t,e){P("ForInStatement",t,e)}n(WN,"assertForInStatement");function $N(t,e){P("ForStatement",t,e)}n($N,"assertForStatement");function zN(t,e){P("FunctionDeclaration",t,e)}n(zN,"assertFunctionDeclaration");function HN(t,e){P("FunctionExpression",t,e)}n(HN,"assertFunctionExpression");function GN(t,e){P("Identifier",t,e)}n(GN,"assertIdentifier");function QN(t,e){P("IfStatement",t,e)}n(QN,"assertIfStatement");function ZN(t,e){P("LabeledStatement",t,e)}n(ZN,"assertLabeledStatement");function eO(t,e){P("StringLiteral",t,e)}n(eO,"assertStringLiteral");function tO(t,e){P("NumericLiteral",t,e)}n(tO,"assertNumericLiteral");function rO(t,e){P("NullLiteral",t,e)}n(rO,"assertNullLiteral");function iO(t,e){P("BooleanLiteral",t,e)}n(iO,"assertBooleanLiteral");function sO(t,e){P("RegExpLiteral",t,e)}n(sO,"assertRegExpLiteral");function nO(t,e){P("LogicalExpression",t,e)}n(nO,"assertLogicalExpression");function aO(t,e){P("MemberExpression",t,e)}n(aO,"assertMemberExpression");function oO(t,e){P("NewExpression",t,e)}n(oO,"assertNewExpression");function lO(t,e){P("Program",t,e)}n(lO,"assertProgram");function uO(t,e){P("ObjectExpression",t,e)}n(uO,"assertObjectExpression");function cO(t,e){P("ObjectMethod",t,e)}n(cO,"assertObjectMethod");function pO(t,e){P("ObjectProperty",t,e)}n(pO,"assertObjectProperty");function fO(t,e){P("RestElement",t,e)}n(fO,"assertRestElement");function hO(t,e){P("ReturnStatement",t,e)}n(hO,"assertReturnStatement");function dO(t,e){P("SequenceExpression",t,e)}n(dO,"assertSequenceExpression");function yO(t,e){P("ParenthesizedExpression",t,e)}n(yO,"assertParenthesizedExpression");function mO(t,e){P("SwitchCase",t,e)}n(mO,"assertSwitchCase");function TO(t,e){P("SwitchStatement",t,e)}n(TO,"assertSwitchStatement");function xO(t,e){P("ThisExpression",t,e)}n(xO,"assertThisExpression");function SO(t,e){P("ThrowStatement",t,e)}n(SO,"assertThrowStatement");function bO(t,e){P("TryStatement",t,e)}n(bO,"assertTryStatement");function EO(t,e){P("UnaryExpression",t,e)}n(EO,"assertUnaryExpression");function gO(t,e){P("UpdateExpression",t,e)}n(gO,"assertUpdateExpression");function PO(t,e){P("VariableDeclaration",t,e)}n(PO,"assertVariableDeclaration");function vO(t,e){P("VariableDeclarator",t,e)}n(vO,"assertVariableDeclarator");function AO(t,e){P("WhileStatement",t,e)}n(AO,"assertWhileStatement");function IO(t,e){P("WithStatement",t,e)}n(IO,"assertWithStatement");function wO(t,e){P("AssignmentPattern",t,e)}n(wO,"assertAssignmentPattern");function CO(t,e){P("ArrayPattern",t,e)}n(CO,"assertArrayPattern");function NO(t,e){P("ArrowFunctionExpression",t,e)}n(NO,"assertArrowFunctionExpression");function OO(t,e){P("ClassBody",t,e)}n(OO,"assertClassBody");function kO(t,e){P("ClassExpression",t,e)}n(kO,"assertClassExpression");function _O(t,e){P("ClassDeclaration",t,e)}n(_O,"assertClassDeclaration");function DO(t,e){P("ExportAllDeclaration",t,e)}n(DO,"assertExportAllDeclaration");function LO(t,e){P("ExportDefaultDeclaration",t,e)}n(LO,"assertExportDefaultDeclaration");function MO(t,e){P("ExportNamedDeclaration",t,e)}n(MO,"assertExportNamedDeclaration");function FO(t,e){P("ExportSpecifier",t,e)}n(FO,"assertExportSpecifier");function BO(t,e){P("ForOfStatement",t,e)}n(BO,"assertForOfStatement");function RO(t,e){P("ImportDeclaration",t,e)}n(RO,"assertImportDeclaration");function jO(t,e){P("ImportDefaultSpecifier",t,e)}n(jO,"assertImportDefaultSpecifier");function VO(t,e){P("ImportNamespaceSpecifier",t,e)}n(VO,"assertImportNamespaceSpecifier");function UO(t,e){P("ImportSpecifier",t,e)}n(UO,"assertImportSpecifier");function qO(t,e){P("ImportExpression",t,e)}n(qO,"assertImportExpression");function KO(t,e){P("MetaProperty",t,e)}n(KO,"assertMetaProperty");function YO(t,e){P("ClassMethod",t,e)}n(YO,"assertClassMethod");function XO(t,e){P("ObjectPattern",t,e)}n(XO,"assertObjectPattern");function JO(t,e){P("SpreadElement",t,e)}n(JO,"assertSpreadElement");function WO(t,e){P("Super",t,e)}n(WO,"assertSuper");function $O(t,e){P("TaggedTemplateExpression",t,e)}n($O,"assertTaggedTemplateExpression");function zO(t,e){P("TemplateElement",t,e)}n(zO,"assertTemplateElement");function HO(t,e){P("TemplateLiteral",t,e)}n(HO,"assertTemplateLiteral");function GO(t,e){P("YieldExpression",t,e)}n(GO,"assertYieldExpression");function QO(t,e){P("AwaitExpression",t,e)}n(QO,"assertAwaitExpression");function ZO(t,e){P("Import",t,e)}n(ZO,"assertImport");function ek(t,e){P("BigIntLiteral",t,e)}n(ek,"assertBigIntLiteral");function tk(t,e){P("ExportNamespaceSpecifier",t,e)}n(tk,"assertExportNamespaceSpecifier");function rk(t,e){P("OptionalMemberExpression",t,e)}n(rk,"assertOptionalMemberExpression");function ik(t,e){P("OptionalCallExpression",t,e)}n(ik,"assertOptionalCallExpression");function sk(t,e){P("ClassProperty",t,e)}n(sk,"assertClassProperty");function nk(t,e){P("ClassAccessorProperty",t,e)}n(nk,"assertClassAccessorProperty");function ak(t,e){P("ClassPrivateProperty",t,e)}n(ak,"assertClassPrivateProperty");function ok(t,e){P("ClassPrivateMethod",t,e)}n(ok,"assertClassPrivateMethod");function lk(t,e){P("PrivateName",t,e)}n(lk,"assertPrivateName");function uk(t,e){P("StaticBlock",t,e)}n(uk,"assertStaticBlock");function ck(t,e){P("ImportAttribute",t,e)}n(ck,"assertImportAttribute");function pk(t,e){P("AnyTypeAnnotation",t,e)}n(pk,"assertAnyTypeAnnotation");function fk(t,e){P("ArrayTypeAnnotation",t,e)}n(fk,"assertArrayTypeAnnotation");function hk(t,e){P("BooleanTypeAnnotation",t,e)}n(hk,"assertBooleanTypeAnnotation");function dk(t,e){P("BooleanLiteralTypeAnnotation",t,e)}n(dk,"assertBooleanLiteralTypeAnnotation");function yk(t,e){P("NullLiteralTypeAnnotation",t,e)}n(yk,"assertNullLiteralTypeAnnotation");function mk(t,e){P("ClassImplements",t,e)}n(mk,"assertClassImplements");function Tk(t,e){P("DeclareClass",t,e)}n(Tk,"assertDeclareClass");function xk(t,e){P("DeclareFunction",t,e)}n(xk,"assertDeclareFunction");function Sk(t,e){P("DeclareInterface",t,e)}n(Sk,"assertDeclareInterface");function bk(t,e){P("DeclareModule",t,e)}n(bk,"assertDeclareModule");function Ek(t,e){P("DeclareModuleExports",t,e)}n(Ek,"assertDeclareModuleExports");function gk(t,e){P("DeclareTypeAlias",t,e)}n(gk,"assertDeclareTypeAlias");function Pk(t,e){P("DeclareOpaqueType",t,e)}n(Pk,"assertDeclareOpaqueType");function vk(t,e){P("DeclareVariable",t,e)}n(vk,"assertDeclareVariable");function Ak(t,e){P("DeclareExportDeclaration",t,e)}n(Ak,"assertDeclareExportDeclaration");function Ik(t,e){P("DeclareExportAllDeclaration",t,e)}n(Ik,"assertDeclareExportAllDeclaration");function wk(t,e){P("DeclaredPredicate",t,e)}n(wk,"assertDeclaredPredicate");function Ck(t,e){P("ExistsTypeAnnotation",t,e)}n(Ck,"assertExistsTypeAnnotation");function Nk(t,e){P("FunctionTypeAnnotation",t,e)}n(Nk,"assertFunctionTypeAnnotation");function Ok(t,e){P("FunctionTypeParam",t,e)}n(Ok,"assertFunctionTypeParam");function kk(t,e){P("GenericTypeAnnotation",t,e)}n(kk,"assertGenericTypeAnnotation");function _k(t,e){P("InferredPredicate",t,e)}n(_k,"assertInferredPredicate");function Dk(t,e){P("InterfaceExtends",t,e)}n(Dk,"assertInterfaceExtends");function Lk(t,e){P("InterfaceDeclaration",t,e)}n(Lk,"assertInterfaceDeclaration");function Mk(t,e){P("InterfaceTypeAnnotation",t,e)}n(Mk,"assertInterfaceTypeAnnotation");function Fk(t,e){P("IntersectionTypeAnnotation",t,e)}n(Fk,"assertIntersectionTypeAnnotation");function Bk(t,e){P("MixedTypeAnnotation",t,e)}n(Bk,"assertMixedTypeAnnotation");function Rk(t,e){P("EmptyTypeAnnotation",t,e)}n(Rk,"assertEmptyTypeAnnotation");function jk(t,e){P("NullableTypeAnnotation",t,e)}n(jk,"assertNullableTypeAnnotation");function Vk(t,e){P("NumberLiteralTypeAnnotation",t,e)}n(Vk,"assertNumberLiteralTypeAnnotation");function Uk(t,e){P("NumberTypeAnnotation",t,e)}n(Uk,"assertNumberTypeAnnotation");function qk(t,e){P("ObjectTypeAnnotation",t,e)}n(qk,"assertObjectTypeAnnotation");function Kk(t,e){P("ObjectTypeInternalSlot",t,e)}n(Kk,"assertObjectTypeInternalSlot");function Yk(t,e){P("ObjectTypeCallProperty",t,e)}n(Yk,"assertObjectTypeCallProperty");function Xk(t,e){P("ObjectTypeIndexer",t,e)}n(Xk,"assertObjectTypeIndexer");function Jk(t,e){P("ObjectTypeProperty",t,e)}n(Jk,"assertObjectTypeProperty");function Wk(t,e){P("ObjectTypeSpreadProperty",t,e)}n(Wk,"assertObjectTypeSpreadProperty");function $k(t,e){P("OpaqueType",t,e)}n($k,"assertOpaqueType");function zk(t,e){P("QualifiedTypeIdentifier",t,e)}n(zk,"assertQualifiedTypeIdentifier");function Hk(t,e){P("StringLiteralTypeAnnotation",t,e)}n(Hk,"assertStringLiteralTypeAnnotation");function Gk(t,e){P("StringTypeAnnotation",t,e)}n(Gk,"assertStringTypeAnnotation");function Qk(t,e){P("SymbolTypeAnnotation",t,e)}n(Qk,"assertSymbolTypeAnnotation");function Zk(t,e){P("ThisTypeAnnotation",t,e)}n(Zk,"assertThisTypeAnnotation");function e2(t,e){P("TupleTypeAnnotation",t,e)}n(e2,"assertTupleTypeAnnotation");function t2(t,e){P("TypeofTypeAnnotation",t,e)}n(t2,"assertTypeofTypeAnnotation");function r2(t,e){P("TypeAlias",t,e)}n(r2,"assertTypeAlias");function i2(t,e){P("TypeAnnotation",t,e)}n(i2,"assertTypeAnnotation");function s2(t,e){P("TypeCastExpression",t,e)}n(s2,"assertTypeCastExpression");function n2(t,e){P("TypeParameter",t,e)}n(n2,"assertTypeParameter");function a2(t,e){P("TypeParameterDeclaration",t,e)}n(a2,"assertTypeParameterDeclaration");function o2(t,e){P("TypeParameterInstantiation",t,e)}n(o2,"assertTypeParameterInstantiation");function l2(t,e){P("UnionTypeAnnotation",t,e)}n(l2,"assertUnionTypeAnnotation");function u2(t,e){P("Variance",t,e)}n(u2,"assertVariance");function c2(t,e){P("VoidTypeAnnotation",t,e)}n(c2,"assertVoidTypeAnnotation");function p2(t,e){P("EnumDeclaration",t,e)}n(p2,"assertEnumDeclaration");function f2(t,e){P("EnumBooleanBody",t,e)}n(f2,"assertEnumBooleanBody");function h2(t,e){P("EnumNumberBody",t,e)}n(h2,"assertEnumNumberBody");function d2(t,e){P("EnumStringBody",t,e)}n(d2,"assertEnumStringBody");function y2(t,e){P("EnumSymbolBody",t,e)}n(y2,"assertEnumSymbolBody");function m2(t,e){P("EnumBooleanMember",t,e)}n(m2,"assertEnumBooleanMember");function T2(t,e){P("EnumNumberMember",t,e)}n(T2,"assertEnumNumberMember");function x2(t,e){P("EnumStringMember",t,e)}n(x2,"assertEnumStringMember");function S2(t,e){P("EnumDefaultedMember",t,e)}n(S2,"assertEnumDefaultedMember");function b2(t,e){P("IndexedAccessType",t,e)}n(b2,"assertIndexedAccessType");function E2(t,e){P("OptionalIndexedAccessType",t,e)}n(E2,"assertOptionalIndexedAccessType");function g2(t,e){P("JSXAttribute",t,e)}n(g2,"assertJSXAttribute");function P2(t,e){P("JSXClosingElement",t,e)}n(P2,"assertJSXClosingElement");function v2(t,e){P("JSXElement",t,e)}n(v2,"assertJSXElement");function A2(t,e){P("JSXEmptyExpression",t,e)}n(A2,"assertJSXEmptyExpression");function I2(t,e){P("JSXExpressionContainer",t,e)}n(I2,"assertJSXExpressionContainer");function w2(t,e){P("JSXSpreadChild",t,e)}n(w2,"assertJSXSpreadChild");function C2(t,e){P("JSXIdentifier",t,e)}n(C2,"assertJSXIdentifier");function N2(t,e){P("JSXMemberExpression",t,e)}n(N2,"assertJSXMemberExpression");function O2(t,e){P("JSXNamespacedName",t,e)}n(O2,"assertJSXNamespacedName");function k2(t,e){P("JSXOpeningElement",t,e)}n(k2,"assertJSXOpeningElement");function _2(t,e){P("JSXSpreadAttribute",t,e)}n(_2,"assertJSXSpreadAttribute");function D2(t,e){P("JSXText",t,e)}n(D2,"assertJSXText");function L2(t,e){P("JSXFragment",t,e)}n(L2,"assertJSXFragment");function M2(t,e){P("JSXOpeningFragment",t,e)}n(M2,"assertJSXOpeningFragment");function F2(t,e){P("JSXClosingFragment",t,e)}n(F2,"assertJSXClosingFragment");function B2(t,e){P("Noop",t,e)}n(B2,"assertNoop");function R2(t,e){P("Placeholder",t,e)}n(R2,"assertPlaceholder");function j2(t,e){P("V8IntrinsicIdentifier",t,e)}n(j2,"assertV8IntrinsicIdentifier");function V2(t,e){P("ArgumentPlaceholder",t,e)}n(V2,"assertArgumentPlaceholder");function U2(t,e){P("BindExpression",t,e)}n(U2,"assertBindExpression");function q2(t,e){P("Decorator",t,e)}n(q2,"assertDecorator");function K2(t,e){P("DoExpression",t,e)}n(K2,"assertDoExpression");function Y2(t,e){P("ExportDefaultSpecifier",t,e)}n(Y2,"assertExportDefaultSpecifier");function X2(t,e){P("RecordExpression",t,e)}n(X2,"assertRecordExpression");function J2(t,e){P("TupleExpression",t,e)}n(J2,"assertTupleExpression");function W2(t,e){P("DecimalLiteral",t,e)}n(W2,"assertDecimalLiteral");function $2(t,e){P("ModuleExpression",t,e)}n($2,"assertModuleExpression");function z2(t,e){P("TopicReference",t,e)}n(z2,"assertTopicReference");function H2(t,e){P("PipelineTopicExpression",t,e)}n(H2,"assertPipelineTopicExpression");function G2(t,e){P("PipelineBareFunction",t,e)}n(G2,"assertPipelineBareFunction");function Q2(t,e){P("PipelinePrimaryTopicReference",t,e)}n(Q2,"assertPipelinePrimaryTopicReference");function Z2(t,e){P("VoidPattern",t,e)}n(Z2,"assertVoidPattern");function e_(t,e){P("TSParameterProperty",t,e)}n(e_,"assertTSParameterProperty");function t_(t,e){P("TSDeclareFunction",t,e)}n(t_,"assertTSDeclareFunction");function r_(t,e){P("TSDeclareMethod",t,e)}n(r_,"assertTSDeclareMethod");function i_(t,e){P("TSQualifiedName",t,e)}n(i_,"assertTSQualifiedName");function s_(t,e){P("TSCallSignatureDeclaration",t,e)}n(s_,"assertTSCallSignatureDeclaration");function n_(t,e){P("TSConstructSignatureDeclaration",t,e)}n(n_,"assertTSConstructSignatureDeclaration");function a_(t,e){P("TSPropertySignature",t,e)}n(a_,"assertTSPropertySignature");function o_(t,e){P("TSMethodSignature",t,e)}n(o_,"assertTSMethodSignature");function l_(t,e){P("TSIndexSignature",t,e)}n(l_,"assertTSIndexSignature");function u_(t,e){P("TSAnyKeyword",t,e)}n(u_,"assertTSAnyKeyword");function c_(t,e){P("TSBooleanKeyword",t,e)}n(c_,"assertTSBooleanKeyword");function p_(t,e){P("TSBigIntKeyword",t,e)}n(p_,"assertTSBigIntKeyword");function f_(t,e){P("TSIntrinsicKeyword",t,e)}n(f_,"assertTSIntrinsicKeyword");function h_(t,e){P("TSNeverKeyword",t,e)}n(h_,"assertTSNeverKeyword");function d_(t,e){P("TSNullKeyword",t,e)}n(d_,"assertTSNullKeyword");function y_(t,e){P("TSNumberKeyword",t,e)}n(y_,"assertTSNumberKeyword");function m_(t,e){P("TSObjectKeyword",t,e)}n(m_,"assertTSObjectKeyword");function T_(t,e){P("TSStringKeyword",t,e)}n(T_,"assertTSStringKeyword");function x_(t,e){P("TSSymbolKeyword",t,e)}n(x_,"assertTSSymbolKeyword");function S_(t,e){P("TSUndefinedKeyword",t,e)}n(S_,"assertTSUndefinedKeyword");function b_(t,e){P("TSUnknownKeyword",t,e)}n(b_,"assertTSUnknownKeyword");function E_(t,e){P("TSVoidKeyword",t,e)}n(E_,"assertTSVoidKeyword");function g_(t,e){P("TSThisType",t,e)}n(g_,"assertTSThisType");function P_(t,e){P("TSFunctionType",t,e)}n(P_,"assertTSFunctionType");function v_(t,e){P("TSConstructorType",t,e)}n(v_,"assertTSConstructorType");function A_(t,e){P("TSTypeReference",t,e)}n(A_,"assertTSTypeReference");function I_(t,e){P("TSTypePredicate",t,e)}n(I_,"assertTSTypePredicate");function w_(t,e){P("TSTypeQuery",t,e)}n(w_,"assertTSTypeQuery");function C_(t,e){P("TSTypeLiteral",t,e)}n(C_,"assertTSTypeLiteral");function N_(t,e){P("TSArrayType",t,e)}n(N_,"assertTSArrayType");function O_(t,e){P("TSTupleType",t,e)}n(O_,"assertTSTupleType");function k_(t,e){P("TSOptionalType",t,e)}n(k_,"assertTSOptionalType");function __(t,e){P("TSRestType",t,e)}n(__,"assertTSRestType");function D_(t,e){P("TSNamedTupleMember",t,e)}n(D_,"assertTSNamedTupleMember");function L_(t,e){P("TSUnionType",t,e)}n(L_,"assertTSUnionType");function M_(t,e){P("TSIntersectionType",t,e)}n(M_,"assertTSIntersectionType");function F_(t,e){P("TSConditionalType",t,e)}n(F_,"assertTSConditionalType");function B_(t,e){P("TSInferType",t,e)}n(B_,"assertTSInferType");function R_(t,e){P("TSParenthesizedType",t,e)}n(R_,"assertTSParenthesizedType");function j_(t,e){P("TSTypeOperator",t,e)}n(j_,"assertTSTypeOperator");function V_(t,e){P("TSIndexedAccessType",t,e)}n(V_,"assertTSIndexedAccessType");function U_(t,e){P("TSMappedType",t,e)}n(U_,"assertTSMappedType");function q_(t,e){P("TSTemplateLiteralType",t,e)}n(q_,"assertTSTemplateLiteralType");function K_(t,e){P("TSLiteralType",t,e)}n(K_,"assertTSLiteralType");function Y_(t,e){P("TSExpressionWithTypeArguments",t,e)}n(Y_,"assertTSExpressionWithTypeArguments");function X_(t,e){P("TSInterfaceDeclaration",t,e)}n(X_,"assertTSInterfaceDeclaration");function J_(t,e){P("TSInterfaceBody",t,e)}n(J_,"assertTSInterfaceBody");function W_(t,e){P("TSTypeAliasDeclaration",t,e)}n(W_,"assertTSTypeAliasDeclaration");function $_(t,e){P("TSInstantiationExpression",t,e)}n($_,"assertTSInstantiationExpression");function z_(t,e){P("TSAsExpression",t,e)}n(z_,"assertTSAsExpression");function H_(t,e){P("TSSatisfiesExpression",t,e)}n(H_,"assertTSSatisfiesExpression");function G_(t,e){P("TSTypeAssertion",t,e)}n(G_,"assertTSTypeAssertion");function Q_(t,e){P("TSEnumBody",t,e)}n(Q_,"assertTSEnumBody");function Z_(t,e){P("TSEnumDeclaration",t,e)}n(Z_,"assertTSEnumDeclaration");function eD(t,e){P("TSEnumMember",t,e)}n(eD,"assertTSEnumMember");function tD(t,e){P("TSModuleDeclaration",t,e)}n(tD,"assertTSModuleDeclaration");function rD(t,e){P("TSModuleBlock",t,e)}n(rD,"assertTSModuleBlock");function iD(t,e){P("TSImportType",t,e)}n(iD,"assertTSImportType");function sD(t,e){P("TSImportEqualsDeclaration",t,e)}n(sD,"assertTSImportEqualsDeclaration");function nD(t,e){P("TSExternalModuleReference",t,e)}n(nD,"assertTSExternalModuleReference");function aD(t,e){P("TSNonNullExpression",t,e)}n(aD,"assertTSNonNullExpression");function oD(t,e){P("TSExportAssignment",t,e)}n(oD,"assertTSExportAssignment");function lD(t,e){P("TSNamespaceExportDeclaration",t,e)}n(lD,"assertTSNamespaceExportDeclaration");function uD(t,e){P("TSTypeAnnotation",t,e)}n(uD,"assertTSTypeAnnotation");function cD(t,e){P("TSTypeParameterInstantiation",t,e)}n(cD,"assertTSTypeParameterInstantiation");function pD(t,e){P("TSTypeParameterDeclaration",t,e)}n(pD,"assertTSTypeParameterDeclaration");function fD(t,e){P("TSTypeParameter",t,e)}n(fD,"assertTSTypeParameter");function hD(t,e){P("Standardized",t,e)}n(hD,"assertStandardized");function dD(t,e){P("Expression",t,e)}n(dD,"assertExpression");function yD(t,e){P("Binary",t,e)}n(yD,"assertBinary");function mD(t,e){P("Scopable",t,e)}n(mD,"assertScopable");function TD(t,e){P("BlockParent",t,e)}n(TD,"assertBlockParent");function xD(t,e){P("Block",t,e)}n(xD,"assertBlock");function SD(t,e){P("Statement",t,e)}n(SD,"assertStatement");function bD(t,e){P("Terminatorless",t,e)}n(bD,"assertTerminatorless");function ED(t,e){P("CompletionStatement",t,e)}n(ED,"assertCompletionStatement");function gD(t,e){P("Conditional",t,e)}n(gD,"assertConditional");function PD(t,e){P("Loop",t,e)}n(PD,"assertLoop");function vD(t,e){P("While",t,e)}n(vD,"assertWhile");function AD(t,e){P("ExpressionWrapper",t,e)}n(AD,"assertExpressionWrapper");function ID(t,e){P("For",t,e)}n(ID,"assertFor");function wD(t,e){P("ForXStatement",t,e)}n(wD,"assertForXStatement");function CD(t,e){P("Function",t,e)}n(CD,"assertFunction");function ND(t,e){P("FunctionParent",t,e)}n(ND,"assertFunctionParent");function OD(t,e){P("Pureish",t,e)}n(OD,"assertPureish");function kD(t,e){P("Declaration",t,e)}n(kD,"assertDeclaration");function _D(t,e){P("FunctionParameter",t,e)}n(_D,"assertFunctionParameter");function DD(t,e){P("PatternLike",t,e)}n(DD,"assertPatternLike");function LD(t,e){P("LVal",t,e)}n(LD,"assertLVal");function MD(t,e){P("TSEntityName",t,e)}n(MD,"assertTSEntityName");function FD(t,e){P("Literal",t,e)}n(FD,"assertLiteral");function BD(t,e){P("Immutable",t,e)}n(BD,"assertImmutable");function RD(t,e){P("UserWhitespacable",t,e)}n(RD,"assertUserWhitespacable");function jD(t,e){P("Method",t,e)}n(jD,"assertMethod");function VD(t,e){P("ObjectMember",t,e)}n(VD,"assertObjectMember");function UD(t,e){P("Property",t,e)}n(UD,"assertProperty");function qD(t,e){P("UnaryLike",t,e)}n(qD,"assertUnaryLike");function KD(t,e){P("Pattern",t,e)}n(KD,"assertPattern");function YD(t,e){P("Class",t,e)}n(YD,"assertClass");function XD(t,e){P("ImportOrExportDeclaration",t,e)}n(XD,"assertImportOrExportDeclaration");function JD(t,e){P("ExportDeclaration",t,e)}n(JD,"assertExportDeclaration");function WD(t,e){P("ModuleSpecifier",t,e)}n(WD,"assertModuleSpecifier");function $D(t,e){P("Accessor",t,e)}n($D,"assertAccessor");function zD(t,e){P("Private",t,e)}n(zD,"assertPrivate");function HD(t,e){P("Flow",t,e)}n(HD,"assertFlow");function GD(t,e){P("FlowType",t,e)}n(GD,"assertFlowType");function QD(t,e){P("FlowBaseAnnotation",t,e)}n(QD,"assertFlowBaseAnnotation");function ZD(t,e){P("FlowDeclaration",t,e)}n(ZD,"assertFlowDeclaration");function eL(t,e){P("FlowPredicate",t,e)}n(eL,"assertFlowPredicate");function tL(t,e){P("EnumBody",t,e)}n(tL,"assertEnumBody");function rL(t,e){P("EnumMember",t,e)}n(rL,"assertEnumMember");function iL(t,e){P("JSX",t,e)}n(iL,"assertJSX");function sL(t,e){P("Miscellaneous",t,e)}n(sL,"assertMiscellaneous");function nL(t,e){P("TypeScript",t,e)}n(nL,"assertTypeScript");function aL(t,e){P("TSTypeElement",t,e)}n(aL,"assertTSTypeElement");function oL(t,e){P("TSType",t,e)}n(oL,"assertTSType");function lL(t,e){P("TSBaseType",t,e)}n(lL,"assertTSBaseType");function uL(t,e){(0,Mi.default)("assertNumberLiteral","assertNumericLiteral"),P("NumberLiteral",t,e)}n(uL,"assertNumberLiteral");function cL(t,e){(0,Mi.default)("assertRegexLiteral","assertRegExpLiteral"),P("RegexLiteral",t,e)}n(cL,"assertRegexLiteral");function pL(t,e){(0,Mi.default)("assertRestProperty","assertRestElement"),P("RestProperty",t,e)}n(pL,"assertRestProperty");function fL(t,e){(0,Mi.default)("assertSpreadProperty","assertSpreadElement"),P("SpreadProperty",t,e)}n(fL,"assertSpreadProperty");function hL(t,e){(0,Mi.default)("assertModuleDeclaration","assertImportOrExportDeclaration"),P("ModuleDeclaration",t,e)}n(hL,"assertModuleDeclaration")});var Jh=D(Ks=>{"use strict";T();Object.defineProperty(Ks,"__esModule",{value:!0});Ks.default=void 0;var nt=Xe(),nq=Ks.default=dL;function dL(t){switch(t){case"string":return(0,nt.stringTypeAnnotation)();case"number":return(0,nt.numberTypeAnnotation)();case"undefined":return(0,nt.voidTypeAnnotation)();case"boolean":return(0,nt.booleanTypeAnnotation)();case"function":return(0,nt.genericTypeAnnotation)((0,nt.identifier)("Function"));case"object":return(0,nt.genericTypeAnnotation)((0,nt.identifier)("Object"));case"symbol":return(0,nt.genericTypeAnnotation)((0,nt.identifier)("Symbol"));case"bigint":return(0,nt.anyTypeAnnotation)()}throw new Error("Invalid typeof value: "+t)}n(dL,"createTypeAnnotationBasedOnTypeof")});var To=D(mo=>{"use strict";T();Object.defineProperty(mo,"__esModule",{value:!0});mo.default=$h;var Fi=ve();function Wh(t){return(0,Fi.isIdentifier)(t)?t.name:`${t.id.name}.${Wh(t.qualification)}`}n(Wh,"getQualifiedName");function $h(t){let e=Array.from(t),r=new Map,i=new Map,s=new Set,a=[];for(let l=0;l<e.length;l++){let u=e[l];if(u&&!a.includes(u)){if((0,Fi.isAnyTypeAnnotation)(u))return[u];if((0,Fi.isFlowBaseAnnotation)(u)){i.set(u.type,u);continue}if((0,Fi.isUnionTypeAnnotation)(u)){s.has(u.types)||(e.push(...u.types),s.add(u.types));continue}if((0,Fi.isGenericTypeAnnotation)(u)){let p=Wh(u.id);if(r.has(p)){let h=r.get(p);h.typeParameters?u.typeParameters&&(h.typeParameters.params.push(...u.typeParameters.params),h.typeParameters.params=$h(h.typeParameters.params)):h=u.typeParameters}else r.set(p,u);continue}a.push(u)}}for(let[,l]of i)a.push(l);for(let[,l]of r)a.push(l);return a}n($h,"removeTypeDuplicates")});var zh=D(xo=>{"use strict";T();Object.defineProperty(xo,"__esModule",{value:!0});xo.default=TL;var yL=Xe(),mL=To();function TL(t){let e=(0,mL.default)(t);return e.length===1?e[0]:(0,yL.unionTypeAnnotation)(e)}n(TL,"createFlowUnionType")});var Qh=D(So=>{"use strict";T();Object.defineProperty(So,"__esModule",{value:!0});So.default=Gh;var Xr=ve();function Hh(t){return(0,Xr.isIdentifier)(t)?t.name:(0,Xr.isThisExpression)(t)?"this":`${t.right.name}.${Hh(t.left)}`}n(Hh,"getQualifiedName");function Gh(t){let e=Array.from(t),r=new Map,i=new Map,s=new Set,a=[];for(let l=0;l<e.length;l++){let u=e[l];if(!u||a.includes(u))continue;if((0,Xr.isTSAnyKeyword)(u))return[u];if((0,Xr.isTSBaseType)(u)){i.set(u.type,u);continue}if((0,Xr.isTSUnionType)(u)){s.has(u.types)||(e.push(...u.types),s.add(u.types));continue}let p="typeParameters";if((0,Xr.isTSTypeReference)(u)&&u[p]){let h=u[p],m=Hh(u.typeName);if(r.has(m)){let I=r.get(m),_=I[p];_?(_.params.push(...h.params),_.params=Gh(_.params)):I=h}else r.set(m,u);continue}a.push(u)}for(let[,l]of i)a.push(l);for(let[,l]of r)a.push(l);return a}n(Gh,"removeTypeDuplicates")});var Zh=D(bo=>{"use strict";T();Object.defineProperty(bo,"__esModule",{value:!0});bo.default=EL;var xL=Xe(),SL=Qh(),bL=ve();function EL(t){let e=t.map(i=>(0,bL.isTSTypeAnnotation)(i)?i.typeAnnotation:i),r=(0,SL.default)(e);return r.length===1?r[0]:(0,xL.tsUnionType)(r)}n(EL,"createTSUnionType")});var go=D(Eo=>{"use strict";T();Object.defineProperty(Eo,"__esModule",{value:!0});Eo.buildUndefinedNode=gL;var ed=Xe();function gL(){return(0,ed.unaryExpression)("void",(0,ed.numericLiteral)(0),!0)}n(gL,"buildUndefinedNode")});var Vt=D(vo=>{"use strict";T();Object.defineProperty(vo,"__esModule",{value:!0});vo.default=PL;var td=Ze(),rd=ve(),{hasOwn:St}={hasOwn:Function.call.bind(Object.prototype.hasOwnProperty)};function id(t,e,r,i){return t&&typeof t.type=="string"?sd(t,e,r,i):t}n(id,"cloneIfNode");function Po(t,e,r,i){return Array.isArray(t)?t.map(s=>id(s,e,r,i)):id(t,e,r,i)}n(Po,"cloneIfNodeOrArray");function PL(t,e=!0,r=!1){return sd(t,e,r,new Map)}n(PL,"cloneNode");function sd(t,e=!0,r=!1,i){if(!t)return t;let{type:s}=t,a={type:t.type};if((0,rd.isIdentifier)(t))a.name=t.name,St(t,"optional")&&typeof t.optional=="boolean"&&(a.optional=t.optional),St(t,"typeAnnotation")&&(a.typeAnnotation=e?Po(t.typeAnnotation,!0,r,i):t.typeAnnotation),St(t,"decorators")&&(a.decorators=e?Po(t.decorators,!0,r,i):t.decorators);else if(St(td.NODE_FIELDS,s))for(let l of Object.keys(td.NODE_FIELDS[s]))St(t,l)&&(e?a[l]=(0,rd.isFile)(t)&&l==="comments"?Ys(t.comments,e,r,i):Po(t[l],!0,r,i):a[l]=t[l]);else throw new Error(`Unknown node type: "${s}"`);return St(t,"loc")&&(r?a.loc=null:a.loc=t.loc),St(t,"leadingComments")&&(a.leadingComments=Ys(t.leadingComments,e,r,i)),St(t,"innerComments")&&(a.innerComments=Ys(t.innerComments,e,r,i)),St(t,"trailingComments")&&(a.trailingComments=Ys(t.trailingComments,e,r,i)),St(t,"extra")&&(a.extra=Object.assign({},t.extra)),a}n(sd,"cloneNodeInternal");function Ys(t,e,r,i){return!t||!e?t:t.map(s=>{let a=i.get(s);if(a)return a;let{type:l,value:u,loc:p}=s,h={type:l,value:u,loc:p};return r&&(h.loc=null),i.set(s,h),h})}n(Ys,"maybeCloneComments")});var nd=D(Ao=>{"use strict";T();Object.defineProperty(Ao,"__esModule",{value:!0});Ao.default=AL;var vL=Vt();function AL(t){return(0,vL.default)(t,!1)}n(AL,"clone")});var ad=D(Io=>{"use strict";T();Object.defineProperty(Io,"__esModule",{value:!0});Io.default=wL;var IL=Vt();function wL(t){return(0,IL.default)(t)}n(wL,"cloneDeep")});var od=D(wo=>{"use strict";T();Object.defineProperty(wo,"__esModule",{value:!0});wo.default=NL;var CL=Vt();function NL(t){return(0,CL.default)(t,!0,!0)}n(NL,"cloneDeepWithoutLoc")});var ld=D(Co=>{"use strict";T();Object.defineProperty(Co,"__esModule",{value:!0});Co.default=kL;var OL=Vt();function kL(t){return(0,OL.default)(t,!1,!0)}n(kL,"cloneWithoutLoc")});var Oo=D(No=>{"use strict";T();Object.defineProperty(No,"__esModule",{value:!0});No.default=_L;function _L(t,e,r){if(!r||!t)return t;let i=`${e}Comments`;return t[i]?e==="leading"?t[i]=r.concat(t[i]):t[i].push(...r):t[i]=r,t}n(_L,"addComments")});var ud=D(ko=>{"use strict";T();Object.defineProperty(ko,"__esModule",{value:!0});ko.default=LL;var DL=Oo();function LL(t,e,r,i){return(0,DL.default)(t,e,[{type:i?"CommentLine":"CommentBlock",value:r}])}n(LL,"addComment")});var Xs=D(_o=>{"use strict";T();Object.defineProperty(_o,"__esModule",{value:!0});_o.default=ML;function ML(t,e,r){e&&r&&(e[t]=Array.from(new Set([].concat(e[t],r[t]).filter(Boolean))))}n(ML,"inherit")});var Lo=D(Do=>{"use strict";T();Object.defineProperty(Do,"__esModule",{value:!0});Do.default=BL;var FL=Xs();function BL(t,e){(0,FL.default)("innerComments",t,e)}n(BL,"inheritInnerComments")});var Fo=D(Mo=>{"use strict";T();Object.defineProperty(Mo,"__esModule",{value:!0});Mo.default=jL;var RL=Xs();function jL(t,e){(0,RL.default)("leadingComments",t,e)}n(jL,"inheritLeadingComments")});var Ro=D(Bo=>{"use strict";T();Object.defineProperty(Bo,"__esModule",{value:!0});Bo.default=UL;var VL=Xs();function UL(t,e){(0,VL.default)("trailingComments",t,e)}n(UL,"inheritTrailingComments")});var Vo=D(jo=>{"use strict";T();Object.defineProperty(jo,"__esModule",{value:!0});jo.default=XL;var qL=Ro(),KL=Fo(),YL=Lo();function XL(t,e){return(0,qL.default)(t,e),(0,KL.default)(t,e),(0,YL.default)(t,e),t}n(XL,"inheritsComments")});var cd=D(Uo=>{"use strict";T();Object.defineProperty(Uo,"__esModule",{value:!0});Uo.default=WL;var JL=Vr();function WL(t){return JL.COMMENT_KEYS.forEach(e=>{t[e]=null}),t}n(WL,"removeComments")});var pd=D(V=>{"use strict";T();Object.defineProperty(V,"__esModule",{value:!0});V.WHILE_TYPES=V.USERWHITESPACABLE_TYPES=V.UNARYLIKE_TYPES=V.TYPESCRIPT_TYPES=V.TSTYPE_TYPES=V.TSTYPEELEMENT_TYPES=V.TSENTITYNAME_TYPES=V.TSBASETYPE_TYPES=V.TERMINATORLESS_TYPES=V.STATEMENT_TYPES=V.STANDARDIZED_TYPES=V.SCOPABLE_TYPES=V.PUREISH_TYPES=V.PROPERTY_TYPES=V.PRIVATE_TYPES=V.PATTERN_TYPES=V.PATTERNLIKE_TYPES=V.OBJECTMEMBER_TYPES=V.MODULESPECIFIER_TYPES=V.MODULEDECLARATION_TYPES=V.MISCELLANEOUS_TYPES=V.METHOD_TYPES=V.LVAL_TYPES=V.LOOP_TYPES=V.LITERAL_TYPES=V.JSX_TYPES=V.IMPORTOREXPORTDECLARATION_TYPES=V.IMMUTABLE_TYPES=V.FUNCTION_TYPES=V.FUNCTIONPARENT_TYPES=V.FUNCTIONPARAMETER_TYPES=V.FOR_TYPES=V.FORXSTATEMENT_TYPES=V.FLOW_TYPES=V.FLOWTYPE_TYPES=V.FLOWPREDICATE_TYPES=V.FLOWDECLARATION_TYPES=V.FLOWBASEANNOTATION_TYPES=V.EXPRESSION_TYPES=V.EXPRESSIONWRAPPER_TYPES=V.EXPORTDECLARATION_TYPES=V.ENUMMEMBER_TYPES=V.ENUMBODY_TYPES=V.DECLARATION_TYPES=V.CONDITIONAL_TYPES=V.COMPLETIONSTATEMENT_TYPES=V.CLASS_TYPES=V.BLOCK_TYPES=V.BLOCKPARENT_TYPES=V.BINARY_TYPES=V.ACCESSOR_TYPES=void 0;var ie=Ze(),uK=V.STANDARDIZED_TYPES=ie.FLIPPED_ALIAS_KEYS.Standardized,cK=V.EXPRESSION_TYPES=ie.FLIPPED_ALIAS_KEYS.Expression,pK=V.BINARY_TYPES=ie.FLIPPED_ALIAS_KEYS.Binary,fK=V.SCOPABLE_TYPES=ie.FLIPPED_ALIAS_KEYS.Scopable,hK=V.BLOCKPARENT_TYPES=ie.FLIPPED_ALIAS_KEYS.BlockParent,dK=V.BLOCK_TYPES=ie.FLIPPED_ALIAS_KEYS.Block,yK=V.STATEMENT_TYPES=ie.FLIPPED_ALIAS_KEYS.Statement,mK=V.TERMINATORLESS_TYPES=ie.FLIPPED_ALIAS_KEYS.Terminatorless,TK=V.COMPLETIONSTATEMENT_TYPES=ie.FLIPPED_ALIAS_KEYS.CompletionStatement,xK=V.CONDITIONAL_TYPES=ie.FLIPPED_ALIAS_KEYS.Conditional,SK=V.LOOP_TYPES=ie.FLIPPED_ALIAS_KEYS.Loop,bK=V.WHILE_TYPES=ie.FLIPPED_ALIAS_KEYS.While,EK=V.EXPRESSIONWRAPPER_TYPES=ie.FLIPPED_ALIAS_KEYS.ExpressionWrapper,gK=V.FOR_TYPES=ie.FLIPPED_ALIAS_KEYS.For,PK=V.FORXSTATEMENT_TYPES=ie.FLIPPED_ALIAS_KEYS.ForXStatement,vK=V.FUNCTION_TYPES=ie.FLIPPED_ALIAS_KEYS.Function,AK=V.FUNCTIONPARENT_TYPES=ie.FLIPPED_ALIAS_KEYS.FunctionParent,IK=V.PUREISH_TYPES=ie.FLIPPED_ALIAS_KEYS.Pureish,wK=V.DECLARATION_TYPES=ie.FLIPPED_ALIAS_KEYS.Declaration,CK=V.FUNCTIONPARAMETER_TYPES=ie.FLIPPED_ALIAS_KEYS.FunctionParameter,NK=V.PATTERNLIKE_TYPES=ie.FLIPPED_ALIAS_KEYS.PatternLike,OK=V.LVAL_TYPES=ie.FLIPPED_ALIAS_KEYS.LVal,kK=V.TSENTITYNAME_TYPES=ie.FLIPPED_ALIAS_KEYS.TSEntityName,_K=V.LITERAL_TYPES=ie.FLIPPED_ALIAS_KEYS.Literal,DK=V.IMMUTABLE_TYPES=ie.FLIPPED_ALIAS_KEYS.Immutable,LK=V.USERWHITESPACABLE_TYPES=ie.FLIPPED_ALIAS_KEYS.UserWhitespacable,MK=V.METHOD_TYPES=ie.FLIPPED_ALIAS_KEYS.Method,FK=V.OBJECTMEMBER_TYPES=ie.FLIPPED_ALIAS_KEYS.ObjectMember,BK=V.PROPERTY_TYPES=ie.FLIPPED_ALIAS_KEYS.Property,RK=V.UNARYLIKE_TYPES=ie.FLIPPED_ALIAS_KEYS.UnaryLike,jK=V.PATTERN_TYPES=ie.FLIPPED_ALIAS_KEYS.Pattern,VK=V.CLASS_TYPES=ie.FLIPPED_ALIAS_KEYS.Class,$L=V.IMPORTOREXPORTDECLARATION_TYPES=ie.FLIPPED_ALIAS_KEYS.ImportOrExportDeclaration,UK=V.EXPORTDECLARATION_TYPES=ie.FLIPPED_ALIAS_KEYS.ExportDeclaration,qK=V.MODULESPECIFIER_TYPES=ie.FLIPPED_ALIAS_KEYS.ModuleSpecifier,KK=V.ACCESSOR_TYPES=ie.FLIPPED_ALIAS_KEYS.Accessor,YK=V.PRIVATE_TYPES=ie.FLIPPED_ALIAS_KEYS.Private,XK=V.FLOW_TYPES=ie.FLIPPED_ALIAS_KEYS.Flow,JK=V.FLOWTYPE_TYPES=ie.FLIPPED_ALIAS_KEYS.FlowType,WK=V.FLOWBASEANNOTATION_TYPES=ie.FLIPPED_ALIAS_KEYS.FlowBaseAnnotation,$K=V.FLOWDECLARATION_TYPES=ie.FLIPPED_ALIAS_KEYS.FlowDeclaration,zK=V.FLOWPREDICATE_TYPES=ie.FLIPPED_ALIAS_KEYS.FlowPredicate,HK=V.ENUMBODY_TYPES=ie.FLIPPED_ALIAS_KEYS.EnumBody,GK=V.ENUMMEMBER_TYPES=ie.FLIPPED_ALIAS_KEYS.EnumMember,QK=V.JSX_TYPES=ie.FLIPPED_ALIAS_KEYS.JSX,ZK=V.MISCELLANEOUS_TYPES=ie.FLIPPED_ALIAS_KEYS.Miscellaneous,eY=V.TYPESCRIPT_TYPES=ie.FLIPPED_ALIAS_KEYS.TypeScript,tY=V.TSTYPEELEMENT_TYPES=ie.FLIPPED_ALIAS_KEYS.TSTypeElement,rY=V.TSTYPE_TYPES=ie.FLIPPED_ALIAS_KEYS.TSType,iY=V.TSBASETYPE_TYPES=ie.FLIPPED_ALIAS_KEYS.TSBaseType,sY=V.MODULEDECLARATION_TYPES=$L});var Yo=D(Ko=>{"use strict";T();Object.defineProperty(Ko,"__esModule",{value:!0});Ko.default=zL;var Js=ve(),qo=Xe();function zL(t,e){if((0,Js.isBlockStatement)(t))return t;let r=[];return(0,Js.isEmptyStatement)(t)?r=[]:((0,Js.isStatement)(t)||((0,Js.isFunction)(e)?t=(0,qo.returnStatement)(t):t=(0,qo.expressionStatement)(t)),r=[t]),(0,qo.blockStatement)(r)}n(zL,"toBlock")});var fd=D(Xo=>{"use strict";T();Object.defineProperty(Xo,"__esModule",{value:!0});Xo.default=GL;var HL=Yo();function GL(t,e="body"){let r=(0,HL.default)(t[e],t);return t[e]=r,r}n(GL,"ensureBlock")});var Wo=D(Jo=>{"use strict";T();Object.defineProperty(Jo,"__esModule",{value:!0});Jo.default=e3;var QL=jr(),ZL=_s();function e3(t){t=t+"";let e="";for(let r of t)e+=(0,ZL.isIdentifierChar)(r.codePointAt(0))?r:"-";return e=e.replace(/^[-0-9]+/,""),e=e.replace(/[-\s]+(.)?/g,function(r,i){return i?i.toUpperCase():""}),(0,QL.default)(e)||(e=`_${e}`),e||"_"}n(e3,"toIdentifier")});var hd=D($o=>{"use strict";T();Object.defineProperty($o,"__esModule",{value:!0});$o.default=r3;var t3=Wo();function r3(t){return t=(0,t3.default)(t),(t==="eval"||t==="arguments")&&(t="_"+t),t}n(r3,"toBindingIdentifierName")});var dd=D(zo=>{"use strict";T();Object.defineProperty(zo,"__esModule",{value:!0});zo.default=n3;var i3=ve(),s3=Xe();function n3(t,e=t.key||t.property){return!t.computed&&(0,i3.isIdentifier)(e)&&(e=(0,s3.stringLiteral)(e.name)),e}n(n3,"toComputedKey")});var yd=D(Ws=>{"use strict";T();Object.defineProperty(Ws,"__esModule",{value:!0});Ws.default=void 0;var Bi=ve(),gY=Ws.default=a3;function a3(t){if((0,Bi.isExpressionStatement)(t)&&(t=t.expression),(0,Bi.isExpression)(t))return t;if((0,Bi.isClass)(t)?(t.type="ClassExpression",t.abstract=!1):(0,Bi.isFunction)(t)&&(t.type="FunctionExpression"),!(0,Bi.isExpression)(t))throw new Error(`cannot turn ${t.type} to an expression`);return t}n(a3,"toExpression")});var Go=D(Ho=>{"use strict";T();Object.defineProperty(Ho,"__esModule",{value:!0});Ho.default=Ri;var o3=Ze(),md=Symbol(),Td=Symbol();function Ri(t,e,r){if(!t)return!1;let i=o3.VISITOR_KEYS[t.type];if(!i)return!1;r=r||{};let s=e(t,r);if(s!==void 0)switch(s){case md:return!1;case Td:return!0}for(let a of i){let l=t[a];if(l){if(Array.isArray(l)){for(let u of l)if(Ri(u,e,r))return!0}else if(Ri(l,e,r))return!0}}return!1}n(Ri,"traverseFast");Ri.skip=md;Ri.stop=Td});var Zo=D(Qo=>{"use strict";T();Object.defineProperty(Qo,"__esModule",{value:!0});Qo.default=c3;var l3=Vr(),xd=["tokens","start","end","loc","raw","rawValue"],u3=[...l3.COMMENT_KEYS,"comments",...xd];function c3(t,e={}){let r=e.preserveComments?xd:u3;for(let s of r)t[s]!=null&&(t[s]=void 0);for(let s of Object.keys(t))s.startsWith("_")&&t[s]!=null&&(t[s]=void 0);let i=Object.getOwnPropertySymbols(t);for(let s of i)t[s]=null}n(c3,"removeProperties")});var tl=D(el=>{"use strict";T();Object.defineProperty(el,"__esModule",{value:!0});el.default=h3;var p3=Go(),f3=Zo();function h3(t,e){return(0,p3.default)(t,f3.default,e),t}n(h3,"removePropertiesDeep")});var bd=D(rl=>{"use strict";T();Object.defineProperty(rl,"__esModule",{value:!0});rl.default=or;var Sd=ve(),d3=Vt(),y3=tl();function or(t,e=t.key){let r;return t.kind==="method"?or.increment()+"":((0,Sd.isIdentifier)(e)?r=e.name:(0,Sd.isStringLiteral)(e)?r=JSON.stringify(e.value):r=JSON.stringify((0,y3.default)((0,d3.default)(e))),t.computed&&(r=`[${r}]`),t.static&&(r=`static:${r}`),r)}n(or,"toKeyAlias");or.uid=0;or.increment=function(){return or.uid>=Number.MAX_SAFE_INTEGER?or.uid=0:or.uid++}});var Ed=D(zs=>{"use strict";T();Object.defineProperty(zs,"__esModule",{value:!0});zs.default=void 0;var $s=ve(),m3=Xe(),RY=zs.default=T3;function T3(t,e){if((0,$s.isStatement)(t))return t;let r=!1,i;if((0,$s.isClass)(t))r=!0,i="ClassDeclaration";else if((0,$s.isFunction)(t))r=!0,i="FunctionDeclaration";else if((0,$s.isAssignmentExpression)(t))return(0,m3.expressionStatement)(t);if(r&&!t.id&&(i=!1),!i){if(e)return!1;throw new Error(`cannot turn ${t.type} to a statement`)}return t.type=i,t}n(T3,"toStatement")});var gd=D(Hs=>{"use strict";T();Object.defineProperty(Hs,"__esModule",{value:!0});Hs.default=void 0;var x3=jr(),Ae=Xe(),qY=Hs.default=il,S3=Function.call.bind(Object.prototype.toString);function b3(t){return S3(t)==="[object RegExp]"}n(b3,"isRegExp");function E3(t){if(typeof t!="object"||t===null||Object.prototype.toString.call(t)!=="[object Object]")return!1;let e=Object.getPrototypeOf(t);return e===null||Object.getPrototypeOf(e)===null}n(E3,"isPlainObject");function il(t){if(t===void 0)return(0,Ae.identifier)("undefined");if(t===!0||t===!1)return(0,Ae.booleanLiteral)(t);if(t===null)return(0,Ae.nullLiteral)();if(typeof t=="string")return(0,Ae.stringLiteral)(t);if(typeof t=="number"){let e;if(Number.isFinite(t))e=(0,Ae.numericLiteral)(Math.abs(t));else{let r;Number.isNaN(t)?r=(0,Ae.numericLiteral)(0):r=(0,Ae.numericLiteral)(1),e=(0,Ae.binaryExpression)("/",r,(0,Ae.numericLiteral)(0))}return(t<0||Object.is(t,-0))&&(e=(0,Ae.unaryExpression)("-",e)),e}if(typeof t=="bigint")return t<0?(0,Ae.unaryExpression)("-",(0,Ae.bigIntLiteral)(-t)):(0,Ae.bigIntLiteral)(t);if(b3(t)){let e=t.source,r=/\/([a-z]*)$/.exec(t.toString())[1];return(0,Ae.regExpLiteral)(e,r)}if(Array.isArray(t))return(0,Ae.arrayExpression)(t.map(il));if(E3(t)){let e=[];for(let r of Object.keys(t)){let i,s=!1;(0,x3.default)(r)?r==="__proto__"?(s=!0,i=(0,Ae.stringLiteral)(r)):i=(0,Ae.identifier)(r):i=(0,Ae.stringLiteral)(r),e.push((0,Ae.objectProperty)(i,il(t[r]),s))}return(0,Ae.objectExpression)(e)}throw new Error("don't know how to turn this value into a node")}n(il,"valueToNode")});var Pd=D(sl=>{"use strict";T();Object.defineProperty(sl,"__esModule",{value:!0});sl.default=P3;var g3=Xe();function P3(t,e,r=!1){return t.object=(0,g3.memberExpression)(t.object,t.property,t.computed),t.property=e,t.computed=!!r,t}n(P3,"appendToMemberExpression")});var Ad=D(nl=>{"use strict";T();Object.defineProperty(nl,"__esModule",{value:!0});nl.default=A3;var vd=Vr(),v3=Vo();function A3(t,e){if(!t||!e)return t;for(let r of vd.INHERIT_KEYS.optional)t[r]==null&&(t[r]=e[r]);for(let r of Object.keys(e))r.startsWith("_")&&r!=="__clone"&&(t[r]=e[r]);for(let r of vd.INHERIT_KEYS.force)t[r]=e[r];return(0,v3.default)(t,e),t}n(A3,"inherits")});var Id=D(al=>{"use strict";T();Object.defineProperty(al,"__esModule",{value:!0});al.default=C3;var I3=Xe(),w3=It();function C3(t,e){if((0,w3.isSuper)(t.object))throw new Error("Cannot prepend node to super property access (`super.foo`).");return t.object=(0,I3.memberExpression)(e,t.object),t}n(C3,"prependToMemberExpression")});var wd=D(ol=>{"use strict";T();Object.defineProperty(ol,"__esModule",{value:!0});ol.default=N3;function N3(t){let e=[].concat(t),r=Object.create(null);for(;e.length;){let i=e.pop();if(i)switch(i.type){case"ArrayPattern":e.push(...i.elements);break;case"AssignmentExpression":case"AssignmentPattern":case"ForInStatement":case"ForOfStatement":e.push(i.left);break;case"ObjectPattern":e.push(...i.properties);break;case"ObjectProperty":e.push(i.value);break;case"RestElement":case"UpdateExpression":e.push(i.argument);break;case"UnaryExpression":i.operator==="delete"&&e.push(i.argument);break;case"Identifier":r[i.name]=i;break;default:break}}return r}n(N3,"getAssignmentIdentifiers")});var ji=D(ul=>{"use strict";T();Object.defineProperty(ul,"__esModule",{value:!0});ul.default=ll;var wt=ve();function ll(t,e,r,i){let s=[].concat(t),a=Object.create(null);for(;s.length;){let l=s.shift();if(!l||i&&((0,wt.isAssignmentExpression)(l)||(0,wt.isUnaryExpression)(l)||(0,wt.isUpdateExpression)(l)))continue;if((0,wt.isIdentifier)(l)){e?(a[l.name]=a[l.name]||[]).push(l):a[l.name]=l;continue}if((0,wt.isExportDeclaration)(l)&&!(0,wt.isExportAllDeclaration)(l)){(0,wt.isDeclaration)(l.declaration)&&s.push(l.declaration);continue}if(r){if((0,wt.isFunctionDeclaration)(l)){s.push(l.id);continue}if((0,wt.isFunctionExpression)(l))continue}let u=ll.keys[l.type];if(u)for(let p=0;p<u.length;p++){let h=u[p],m=l[h];m&&(Array.isArray(m)?s.push(...m):s.push(m))}}return a}n(ll,"getBindingIdentifiers");var O3={DeclareClass:["id"],DeclareFunction:["id"],DeclareModule:["id"],DeclareVariable:["id"],DeclareInterface:["id"],DeclareTypeAlias:["id"],DeclareOpaqueType:["id"],InterfaceDeclaration:["id"],TypeAlias:["id"],OpaqueType:["id"],CatchClause:["param"],LabeledStatement:["label"],UnaryExpression:["argument"],AssignmentExpression:["left"],ImportSpecifier:["local"],ImportNamespaceSpecifier:["local"],ImportDefaultSpecifier:["local"],ImportDeclaration:["specifiers"],TSImportEqualsDeclaration:["id"],ExportSpecifier:["exported"],ExportNamespaceSpecifier:["exported"],ExportDefaultSpecifier:["exported"],FunctionDeclaration:["id","params"],FunctionExpression:["id","params"],ArrowFunctionExpression:["params"],ObjectMethod:["params"],ClassMethod:["params"],ClassPrivateMethod:["params"],ForInStatement:["left"],ForOfStatement:["left"],ClassDeclaration:["id"],ClassExpression:["id"],RestElement:["argument"],UpdateExpression:["argument"],ObjectProperty:["value"],AssignmentPattern:["left"],ArrayPattern:["elements"],ObjectPattern:["properties"],VariableDeclaration:["declarations"],VariableDeclarator:["id"]};ll.keys=O3});var Cd=D(Gs=>{"use strict";T();Object.defineProperty(Gs,"__esModule",{value:!0});Gs.default=void 0;var k3=ji(),oX=Gs.default=_3;function _3(t,e){return(0,k3.default)(t,e,!0)}n(_3,"getOuterBindingIdentifiers")});var Od=D(cl=>{"use strict";T();Object.defineProperty(cl,"__esModule",{value:!0});cl.default=L3;var et=ve();function D3(t){return(0,et.isNullLiteral)(t)?"null":(0,et.isRegExpLiteral)(t)?`/${t.pattern}/${t.flags}`:(0,et.isTemplateLiteral)(t)?t.quasis.map(e=>e.value.raw).join(""):t.value!==void 0?String(t.value):null}n(D3,"getNameFromLiteralId");function Nd(t){if(!t.computed||(0,et.isLiteral)(t.key))return t.key}n(Nd,"getObjectMemberKey");function L3(t,e){if("id"in t&&t.id)return{name:t.id.name,originalNode:t.id};let r="",i;if((0,et.isObjectProperty)(e,{value:t})?i=Nd(e):(0,et.isObjectMethod)(t)||(0,et.isClassMethod)(t)?(i=Nd(t),t.kind==="get"?r="get ":t.kind==="set"&&(r="set ")):(0,et.isVariableDeclarator)(e,{init:t})?i=e.id:(0,et.isAssignmentExpression)(e,{operator:"=",right:t})&&(i=e.left),!i)return null;let s=(0,et.isLiteral)(i)?D3(i):(0,et.isIdentifier)(i)?i.name:(0,et.isPrivateName)(i)?i.id.name:null;return s==null?null:{name:r+s,originalNode:i}}n(L3,"getFunctionName")});var kd=D(fl=>{"use strict";T();Object.defineProperty(fl,"__esModule",{value:!0});fl.default=F3;var M3=Ze();function F3(t,e,r){typeof e=="function"&&(e={enter:e});let{enter:i,exit:s}=e;pl(t,i,s,r,[])}n(F3,"traverse");function pl(t,e,r,i,s){let a=M3.VISITOR_KEYS[t.type];if(a){e&&e(t,s,i);for(let l of a){let u=t[l];if(Array.isArray(u))for(let p=0;p<u.length;p++){let h=u[p];h&&(s.push({node:t,key:l,index:p}),pl(h,e,r,i,s),s.pop())}else u&&(s.push({node:t,key:l}),pl(u,e,r,i,s),s.pop())}r&&r(t,s,i)}}n(pl,"traverseSimpleImpl")});var _d=D(hl=>{"use strict";T();Object.defineProperty(hl,"__esModule",{value:!0});hl.default=R3;var B3=ji();function R3(t,e,r){if(r&&t.type==="Identifier"&&e.type==="ObjectProperty"&&r.type==="ObjectExpression")return!1;let i=B3.default.keys[e.type];if(i)for(let s=0;s<i.length;s++){let a=i[s],l=e[a];if(Array.isArray(l)){if(l.includes(t))return!0}else if(l===t)return!0}return!1}n(R3,"isBinding")});var yl=D(dl=>{"use strict";T();Object.defineProperty(dl,"__esModule",{value:!0});dl.default=U3;var j3=ve(),V3=Symbol.for("var used to be block scoped");function U3(t){return(0,j3.isVariableDeclaration)(t)&&(t.kind!=="var"||t[V3])}n(U3,"isLet")});var Ld=D(ml=>{"use strict";T();Object.defineProperty(ml,"__esModule",{value:!0});ml.default=K3;var Dd=ve(),q3=yl();function K3(t){return(0,Dd.isFunctionDeclaration)(t)||(0,Dd.isClassDeclaration)(t)||(0,q3.default)(t)}n(K3,"isBlockScoped")});var Md=D(Tl=>{"use strict";T();Object.defineProperty(Tl,"__esModule",{value:!0});Tl.default=J3;var Y3=ks(),X3=ve();function J3(t){return(0,Y3.default)(t.type,"Immutable")?!0:(0,X3.isIdentifier)(t)?t.name==="undefined":!1}n(J3,"isImmutable")});var Bd=D(Sl=>{"use strict";T();Object.defineProperty(Sl,"__esModule",{value:!0});Sl.default=xl;var Fd=Ze();function xl(t,e){if(typeof t!="object"||typeof e!="object"||t==null||e==null)return t===e;if(t.type!==e.type)return!1;let r=Object.keys(Fd.NODE_FIELDS[t.type]||t.type),i=Fd.VISITOR_KEYS[t.type];for(let s of r){let a=t[s],l=e[s];if(typeof a!=typeof l)return!1;if(!(a==null&&l==null)){if(a==null||l==null)return!1;if(Array.isArray(a)){if(!Array.isArray(l)||a.length!==l.length)return!1;for(let u=0;u<a.length;u++)if(!xl(a[u],l[u]))return!1;continue}if(typeof a=="object"&&!(i!=null&&i.includes(s))){for(let u of Object.keys(a))if(a[u]!==l[u])return!1;continue}if(!xl(a,l))return!1}}return!0}n(xl,"isNodesEquivalent")});var Rd=D(bl=>{"use strict";T();Object.defineProperty(bl,"__esModule",{value:!0});bl.default=W3;function W3(t,e,r){switch(e.type){case"MemberExpression":case"OptionalMemberExpression":return e.property===t?!!e.computed:e.object===t;case"JSXMemberExpression":return e.object===t;case"VariableDeclarator":return e.init===t;case"ArrowFunctionExpression":return e.body===t;case"PrivateName":return!1;case"ClassMethod":case"ClassPrivateMethod":case"ObjectMethod":return e.key===t?!!e.computed:!1;case"ObjectProperty":return e.key===t?!!e.computed:r?.type!=="ObjectPattern";case"ClassProperty":case"ClassAccessorProperty":return e.key===t?!!e.computed:!0;case"ClassPrivateProperty":return e.key!==t;case"ClassDeclaration":case"ClassExpression":return e.superClass===t;case"AssignmentExpression":return e.right===t;case"AssignmentPattern":return e.right===t;case"LabeledStatement":return!1;case"CatchClause":return!1;case"RestElement":return!1;case"BreakStatement":case"ContinueStatement":return!1;case"FunctionDeclaration":case"FunctionExpression":return!1;case"ExportNamespaceSpecifier":case"ExportDefaultSpecifier":return!1;case"ExportSpecifier":return r!=null&&r.source?!1:e.local===t;case"ImportDefaultSpecifier":case"ImportNamespaceSpecifier":case"ImportSpecifier":return!1;case"ImportAttribute":return!1;case"JSXAttribute":return!1;case"ObjectPattern":case"ArrayPattern":return!1;case"MetaProperty":return!1;case"ObjectTypeProperty":return e.key!==t;case"TSEnumMember":return e.id!==t;case"TSPropertySignature":return e.key===t?!!e.computed:!0}return!0}n(W3,"isReferenced")});var jd=D(El=>{"use strict";T();Object.defineProperty(El,"__esModule",{value:!0});El.default=$3;var lr=ve();function $3(t,e){return(0,lr.isBlockStatement)(t)&&((0,lr.isFunction)(e)||(0,lr.isCatchClause)(e))?!1:(0,lr.isPattern)(t)&&((0,lr.isFunction)(e)||(0,lr.isCatchClause)(e))?!0:(0,lr.isScopable)(t)}n($3,"isScope")});var Ud=D(gl=>{"use strict";T();Object.defineProperty(gl,"__esModule",{value:!0});gl.default=z3;var Vd=ve();function z3(t){return(0,Vd.isImportDefaultSpecifier)(t)||(0,Vd.isIdentifier)(t.imported||t.exported,{name:"default"})}n(z3,"isSpecifierDefault")});var qd=D(Pl=>{"use strict";T();Object.defineProperty(Pl,"__esModule",{value:!0});Pl.default=Q3;var H3=jr(),G3=new Set(["abstract","boolean","byte","char","double","enum","final","float","goto","implements","int","interface","long","native","package","private","protected","public","short","static","synchronized","throws","transient","volatile"]);function Q3(t){return(0,H3.default)(t)&&!G3.has(t)}n(Q3,"isValidES3Identifier")});var Kd=D(vl=>{"use strict";T();Object.defineProperty(vl,"__esModule",{value:!0});vl.default=tM;var Z3=ve(),eM=Symbol.for("var used to be block scoped");function tM(t){return(0,Z3.isVariableDeclaration)(t,{kind:"var"})&&!t[eM]}n(tM,"isVar")});var Yd=D(wl=>{"use strict";T();Object.defineProperty(wl,"__esModule",{value:!0});wl.default=Qs;var rM=ji(),ur=ve(),Al=Xe(),Il=go(),iM=Vt();function Qs(t,e){let r=[],i=!0;for(let s of t)if((0,ur.isEmptyStatement)(s)||(i=!1),(0,ur.isExpression)(s))r.push(s);else if((0,ur.isExpressionStatement)(s))r.push(s.expression);else if((0,ur.isVariableDeclaration)(s)){if(s.kind!=="var")return;for(let a of s.declarations){let l=(0,rM.default)(a);for(let u of Object.keys(l))e.push({kind:s.kind,id:(0,iM.default)(l[u])});a.init&&r.push((0,Al.assignmentExpression)("=",a.id,a.init))}i=!0}else if((0,ur.isIfStatement)(s)){let a=s.consequent?Qs([s.consequent],e):(0,Il.buildUndefinedNode)(),l=s.alternate?Qs([s.alternate],e):(0,Il.buildUndefinedNode)();if(!a||!l)return;r.push((0,Al.conditionalExpression)(s.test,a,l))}else if((0,ur.isBlockStatement)(s)){let a=Qs(s.body,e);if(!a)return;r.push(a)}else if((0,ur.isEmptyStatement)(s))t.indexOf(s)===0&&(i=!0);else return;return i&&r.push((0,Il.buildUndefinedNode)()),r.length===1?r[0]:(0,Al.sequenceExpression)(r)}n(Qs,"gatherSequenceExpressions")});var Xd=D(Cl=>{"use strict";T();Object.defineProperty(Cl,"__esModule",{value:!0});Cl.default=nM;var sM=Yd();function nM(t,e){if(!(t!=null&&t.length))return;let r=[],i=(0,sM.default)(t,r);if(i){for(let s of r)e.push(s);return i}}n(nM,"toSequenceExpression")});var It=D(K=>{"use strict";T();Object.defineProperty(K,"__esModule",{value:!0});var Ut={react:!0,assertNode:!0,createTypeAnnotationBasedOnTypeof:!0,createUnionTypeAnnotation:!0,createFlowUnionType:!0,createTSUnionType:!0,cloneNode:!0,clone:!0,cloneDeep:!0,cloneDeepWithoutLoc:!0,cloneWithoutLoc:!0,addComment:!0,addComments:!0,inheritInnerComments:!0,inheritLeadingComments:!0,inheritsComments:!0,inheritTrailingComments:!0,removeComments:!0,ensureBlock:!0,toBindingIdentifierName:!0,toBlock:!0,toComputedKey:!0,toExpression:!0,toIdentifier:!0,toKeyAlias:!0,toStatement:!0,valueToNode:!0,appendToMemberExpression:!0,inherits:!0,prependToMemberExpression:!0,removeProperties:!0,removePropertiesDeep:!0,removeTypeDuplicates:!0,getAssignmentIdentifiers:!0,getBindingIdentifiers:!0,getOuterBindingIdentifiers:!0,getFunctionName:!0,traverse:!0,traverseFast:!0,shallowEqual:!0,is:!0,isBinding:!0,isBlockScoped:!0,isImmutable:!0,isLet:!0,isNode:!0,isNodesEquivalent:!0,isPlaceholderType:!0,isReferenced:!0,isScope:!0,isSpecifierDefault:!0,isType:!0,isValidES3Identifier:!0,isValidIdentifier:!0,isVar:!0,matchesPattern:!0,validate:!0,buildMatchMemberExpression:!0,__internal__deprecationWarning:!0};Object.defineProperty(K,"__internal__deprecationWarning",{enumerable:!0,get:n(function(){return uF.default},"get")});Object.defineProperty(K,"addComment",{enumerable:!0,get:n(function(){return TM.default},"get")});Object.defineProperty(K,"addComments",{enumerable:!0,get:n(function(){return xM.default},"get")});Object.defineProperty(K,"appendToMemberExpression",{enumerable:!0,get:n(function(){return DM.default},"get")});Object.defineProperty(K,"assertNode",{enumerable:!0,get:n(function(){return uM.default},"get")});Object.defineProperty(K,"buildMatchMemberExpression",{enumerable:!0,get:n(function(){return lF.default},"get")});Object.defineProperty(K,"clone",{enumerable:!0,get:n(function(){return hM.default},"get")});Object.defineProperty(K,"cloneDeep",{enumerable:!0,get:n(function(){return dM.default},"get")});Object.defineProperty(K,"cloneDeepWithoutLoc",{enumerable:!0,get:n(function(){return yM.default},"get")});Object.defineProperty(K,"cloneNode",{enumerable:!0,get:n(function(){return fM.default},"get")});Object.defineProperty(K,"cloneWithoutLoc",{enumerable:!0,get:n(function(){return mM.default},"get")});Object.defineProperty(K,"createFlowUnionType",{enumerable:!0,get:n(function(){return Jd.default},"get")});Object.defineProperty(K,"createTSUnionType",{enumerable:!0,get:n(function(){return pM.default},"get")});Object.defineProperty(K,"createTypeAnnotationBasedOnTypeof",{enumerable:!0,get:n(function(){return cM.default},"get")});Object.defineProperty(K,"createUnionTypeAnnotation",{enumerable:!0,get:n(function(){return Jd.default},"get")});Object.defineProperty(K,"ensureBlock",{enumerable:!0,get:n(function(){return vM.default},"get")});Object.defineProperty(K,"getAssignmentIdentifiers",{enumerable:!0,get:n(function(){return jM.default},"get")});Object.defineProperty(K,"getBindingIdentifiers",{enumerable:!0,get:n(function(){return VM.default},"get")});Object.defineProperty(K,"getFunctionName",{enumerable:!0,get:n(function(){return qM.default},"get")});Object.defineProperty(K,"getOuterBindingIdentifiers",{enumerable:!0,get:n(function(){return UM.default},"get")});Object.defineProperty(K,"inheritInnerComments",{enumerable:!0,get:n(function(){return SM.default},"get")});Object.defineProperty(K,"inheritLeadingComments",{enumerable:!0,get:n(function(){return bM.default},"get")});Object.defineProperty(K,"inheritTrailingComments",{enumerable:!0,get:n(function(){return gM.default},"get")});Object.defineProperty(K,"inherits",{enumerable:!0,get:n(function(){return LM.default},"get")});Object.defineProperty(K,"inheritsComments",{enumerable:!0,get:n(function(){return EM.default},"get")});Object.defineProperty(K,"is",{enumerable:!0,get:n(function(){return XM.default},"get")});Object.defineProperty(K,"isBinding",{enumerable:!0,get:n(function(){return JM.default},"get")});Object.defineProperty(K,"isBlockScoped",{enumerable:!0,get:n(function(){return WM.default},"get")});Object.defineProperty(K,"isImmutable",{enumerable:!0,get:n(function(){return $M.default},"get")});Object.defineProperty(K,"isLet",{enumerable:!0,get:n(function(){return zM.default},"get")});Object.defineProperty(K,"isNode",{enumerable:!0,get:n(function(){return HM.default},"get")});Object.defineProperty(K,"isNodesEquivalent",{enumerable:!0,get:n(function(){return GM.default},"get")});Object.defineProperty(K,"isPlaceholderType",{enumerable:!0,get:n(function(){return QM.default},"get")});Object.defineProperty(K,"isReferenced",{enumerable:!0,get:n(function(){return ZM.default},"get")});Object.defineProperty(K,"isScope",{enumerable:!0,get:n(function(){return eF.default},"get")});Object.defineProperty(K,"isSpecifierDefault",{enumerable:!0,get:n(function(){return tF.default},"get")});Object.defineProperty(K,"isType",{enumerable:!0,get:n(function(){return rF.default},"get")});Object.defineProperty(K,"isValidES3Identifier",{enumerable:!0,get:n(function(){return iF.default},"get")});Object.defineProperty(K,"isValidIdentifier",{enumerable:!0,get:n(function(){return sF.default},"get")});Object.defineProperty(K,"isVar",{enumerable:!0,get:n(function(){return nF.default},"get")});Object.defineProperty(K,"matchesPattern",{enumerable:!0,get:n(function(){return aF.default},"get")});Object.defineProperty(K,"prependToMemberExpression",{enumerable:!0,get:n(function(){return MM.default},"get")});K.react=void 0;Object.defineProperty(K,"removeComments",{enumerable:!0,get:n(function(){return PM.default},"get")});Object.defineProperty(K,"removeProperties",{enumerable:!0,get:n(function(){return FM.default},"get")});Object.defineProperty(K,"removePropertiesDeep",{enumerable:!0,get:n(function(){return BM.default},"get")});Object.defineProperty(K,"removeTypeDuplicates",{enumerable:!0,get:n(function(){return RM.default},"get")});Object.defineProperty(K,"shallowEqual",{enumerable:!0,get:n(function(){return YM.default},"get")});Object.defineProperty(K,"toBindingIdentifierName",{enumerable:!0,get:n(function(){return AM.default},"get")});Object.defineProperty(K,"toBlock",{enumerable:!0,get:n(function(){return IM.default},"get")});Object.defineProperty(K,"toComputedKey",{enumerable:!0,get:n(function(){return wM.default},"get")});Object.defineProperty(K,"toExpression",{enumerable:!0,get:n(function(){return CM.default},"get")});Object.defineProperty(K,"toIdentifier",{enumerable:!0,get:n(function(){return NM.default},"get")});Object.defineProperty(K,"toKeyAlias",{enumerable:!0,get:n(function(){return OM.default},"get")});Object.defineProperty(K,"toStatement",{enumerable:!0,get:n(function(){return kM.default},"get")});Object.defineProperty(K,"traverse",{enumerable:!0,get:n(function(){return Zs.default},"get")});Object.defineProperty(K,"traverseFast",{enumerable:!0,get:n(function(){return KM.default},"get")});Object.defineProperty(K,"validate",{enumerable:!0,get:n(function(){return oF.default},"get")});Object.defineProperty(K,"valueToNode",{enumerable:!0,get:n(function(){return _M.default},"get")});var aM=Gf(),oM=Qf(),lM=Kh(),uM=Yh(),Nl=Xh();Object.keys(Nl).forEach(function(t){t==="default"||t==="__esModule"||Object.prototype.hasOwnProperty.call(Ut,t)||t in K&&K[t]===Nl[t]||Object.defineProperty(K,t,{enumerable:!0,get:n(function(){return Nl[t]},"get")})});var cM=Jh(),Jd=zh(),pM=Zh(),Ol=go();Object.keys(Ol).forEach(function(t){t==="default"||t==="__esModule"||Object.prototype.hasOwnProperty.call(Ut,t)||t in K&&K[t]===Ol[t]||Object.defineProperty(K,t,{enumerable:!0,get:n(function(){return Ol[t]},"get")})});var kl=Xe();Object.keys(kl).forEach(function(t){t==="default"||t==="__esModule"||Object.prototype.hasOwnProperty.call(Ut,t)||t in K&&K[t]===kl[t]||Object.defineProperty(K,t,{enumerable:!0,get:n(function(){return kl[t]},"get")})});var fM=Vt(),hM=nd(),dM=ad(),yM=od(),mM=ld(),TM=ud(),xM=Oo(),SM=Lo(),bM=Fo(),EM=Vo(),gM=Ro(),PM=cd(),_l=pd();Object.keys(_l).forEach(function(t){t==="default"||t==="__esModule"||Object.prototype.hasOwnProperty.call(Ut,t)||t in K&&K[t]===_l[t]||Object.defineProperty(K,t,{enumerable:!0,get:n(function(){return _l[t]},"get")})});var Dl=Vr();Object.keys(Dl).forEach(function(t){t==="default"||t==="__esModule"||Object.prototype.hasOwnProperty.call(Ut,t)||t in K&&K[t]===Dl[t]||Object.defineProperty(K,t,{enumerable:!0,get:n(function(){return Dl[t]},"get")})});var vM=fd(),AM=hd(),IM=Yo(),wM=dd(),CM=yd(),NM=Wo(),OM=bd(),kM=Ed(),_M=gd(),Ll=Ze();Object.keys(Ll).forEach(function(t){t==="default"||t==="__esModule"||Object.prototype.hasOwnProperty.call(Ut,t)||t in K&&K[t]===Ll[t]||Object.defineProperty(K,t,{enumerable:!0,get:n(function(){return Ll[t]},"get")})});var DM=Pd(),LM=Ad(),MM=Id(),FM=Zo(),BM=tl(),RM=To(),jM=wd(),VM=ji(),UM=Cd(),qM=Od(),Zs=kd();Object.keys(Zs).forEach(function(t){t==="default"||t==="__esModule"||Object.prototype.hasOwnProperty.call(Ut,t)||t in K&&K[t]===Zs[t]||Object.defineProperty(K,t,{enumerable:!0,get:n(function(){return Zs[t]},"get")})});var KM=Go(),YM=Ns(),XM=Rr(),JM=_d(),WM=Ld(),$M=Md(),zM=yl(),HM=ho(),GM=Bd(),QM=Ra(),ZM=Rd(),eF=jd(),tF=Ud(),rF=ks(),iF=qd(),sF=jr(),nF=Kd(),aF=_a(),oF=Fs(),lF=La(),Ml=ve();Object.keys(Ml).forEach(function(t){t==="default"||t==="__esModule"||Object.prototype.hasOwnProperty.call(Ut,t)||t in K&&K[t]===Ml[t]||Object.defineProperty(K,t,{enumerable:!0,get:n(function(){return Ml[t]},"get")})});var uF=Br(),cF=Xd(),ZX=K.react={isReactComponent:aM.default,isCompatTag:oM.default,buildChildren:lM.default};K.toSequenceExpression=cF.default;O.env.BABEL_TYPES_8_BREAKING&&console.warn("BABEL_TYPES_8_BREAKING is not supported anymore. Use the latest Babel 8.0.0 pre-release instead!")});var Wd=D(Fl=>{"use strict";T();Fl.__esModule=!0;function pF(t,e,r){switch(t){case"+":return e+r;case"-":return e-r;case"/":return e/r;case"%":return e%r;case"*":return e*r;case"**":return Math.pow(e,r);case"&":return e&r;case"|":return e|r;case">>":return e>>r;case">>>":return e>>>r;case"<<":return e<<r;case"^":return e^r;case"==":return e==r;case"===":return e===r;case"!=":return e!=r;case"!==":return e!==r;case"in":return e in r;case"instanceof":return e instanceof r;case">":return e>r;case"<":return e<r;case">=":return e>=r;case"<=":return e<=r}}n(pF,"binaryOperation");Fl.default=pF});var en=D(($r,zr)=>{"use strict";T();$r.__esModule=!0;var fF=Ca(),Te=It(),hF=Wd();function Rl(t,e){e===void 0&&(e={});var r=!0;function i(a){if(r){if(Te.isArrayExpression(a)){for(var l=[],u=0;r&&u<a.elements.length;u++){var p=a.elements[u];if(Te.isSpreadElement(p)){var h=i(p.argument);$d(h)&&r?l.push.apply(l,h):r=!1}else Te.isExpression(p)?l.push(i(p)):r=!1}return l}if(Te.isBinaryExpression(a)){var m=i(a.left),I=i(a.right);return r&&hF.default(a.operator,m,I)}if(Te.isBooleanLiteral(a))return a.value;if(Te.isCallExpression(a)){for(var _=[],u=0;r&&u<a.arguments.length;u++){var F=a.arguments[u];if(Te.isSpreadElement(F)){var h=i(F.argument);$d(h)&&r?_.push.apply(_,h):r=!1}else Te.isExpression(F)?_.push(i(F)):r=!1}if(!r)return;if(Te.isMemberExpression(a.callee)){var B=i(a.callee.object);if(!B||!r){r=!1;return}var U=a.callee.computed?i(a.callee.property):Te.isIdentifier(a.callee.property)?a.callee.property.name:void 0;if(U===void 0&&!a.callee.computed&&(r=!1),!r)return;if(dF(B,""+U))return B[U].apply(B,_)}else{if(!Te.isExpression(a.callee)){r=!1;return}var te=i(a.callee);return r?te.apply(null,_):void 0}}if(Te.isConditionalExpression(a)){var Y=i(a.test);return i(Y?a.consequent:a.alternate)}if(Te.isIdentifier(a)&&e.constants&&{}.hasOwnProperty.call(e.constants,a.name))return e.constants[a.name];if(Te.isLogicalExpression(a)){var m=i(a.left),I=i(a.right);if(r&&a.operator==="&&")return m&&I;if(r&&a.operator==="||")return m||I}if(Te.isMemberExpression(a)){var B=i(a.object);if(!B||!r){r=!1;return}var U=a.computed?i(a.property):Te.isIdentifier(a.property)?a.property.name:void 0;if(U===void 0&&!a.computed&&(r=!1),!r)return;if({}.hasOwnProperty.call(B,""+U)&&U[0]!=="_")return B[U]}if(Te.isNullLiteral(a))return null;if(Te.isNumericLiteral(a))return a.value;if(Te.isObjectExpression(a)){for(var Q={},u=0;r&&u<a.properties.length;u++){var z=a.properties[u];if(Te.isObjectProperty(z)){if(z.shorthand){r=!1;return}var S=z.computed?i(z.key):Te.isIdentifier(z.key)?z.key.name:Te.isStringLiteral(z.key)?z.key.value:void 0;if((!S||S[0]==="_")&&(r=!1),!r)return;if(Te.isExpression(z.value)){var we=i(z.value);if(!r)return;Q[S]=we}else r=!1}else if(Te.isObjectMethod(z))r=!1;else if(Te.isSpreadProperty(z)){var Ie=i(z.argument);if(Ie||(r=!1),!r)return;Object.assign(Q,Ie)}}return Q}if(Te.isParenthesizedExpression(a))return i(a.expression);if(Te.isRegExpLiteral(a))return new RegExp(a.pattern,a.flags);if(Te.isSequenceExpression(a)){for(var u=0;u<a.expressions.length-1&&r;u++)i(a.expressions[u]);return i(a.expressions[a.expressions.length-1])}if(Te.isStringLiteral(a))return a.value;if(Te.isTemplateLiteral(a)){for(var Je="",u=0;u<a.quasis.length;u++){var Ot=a.quasis[u];Je+=Ot.value.cooked,u<a.expressions.length&&(Je+=""+i(a.expressions[u]))}return Je}if(Te.isUnaryExpression(a)){var Ie=i(a.argument);if(!r)return;switch(a.operator){case"-":return-Ie;case"+":return+Ie;case"!":return!Ie;case"~":return~Ie;case"typeof":return typeof Ie;case"void":return}}r=!1}}n(i,"toConstant");var s=i(t);return r?{constant:!0,result:s}:{constant:!1}}n(Rl,"expressionToConstant");$r.expressionToConstant=Rl;function $d(t){return typeof t=="string"||Array.isArray(t)||typeof Set<"u"&&t instanceof Set||typeof Map<"u"&&t instanceof Map}n($d,"isSpreadable");function zd(t,e){if(t===e)return!0;if(t&&e&&typeof t=="object"&&typeof e=="object"){for(var r in t)if(t[r]!==e[r])return!1;for(var r in e)if(t[r]!==e[r])return!1;return!0}return!1}n(zd,"shallowEqual");function dF(t,e){switch(typeof t){case"boolean":switch(e){case"toString":return!0;default:return!1}case"number":switch(e){case"toExponential":case"toFixed":case"toPrecision":case"toString":return!0;default:return!1}case"string":switch(e){case"charAt":case"charCodeAt":case"codePointAt":case"concat":case"endsWith":case"includes":case"indexOf":case"lastIndexOf":case"match":case"normalize":case"padEnd":case"padStart":case"repeat":case"replace":case"search":case"slice":case"split":case"startsWith":case"substr":case"substring":case"toLowerCase":case"toUpperCase":case"trim":return!0;default:return!1}default:if(t instanceof RegExp)switch(e){case"test":case"exec":return!0;default:return!1}return{}.hasOwnProperty.call(t,e)&&e[0]!=="_"}}n(dF,"canCallMethod");var Jr={},Hd="",Gd=Jr,yF=Jr,Qd=null,Bl=!1;function Wr(t,e,r){if(e===void 0&&(e=Jr),r===void 0&&(r=Jr),Hd===t&&zd(Gd,e)&&zd(yF,r))return Bl;Hd=t,Gd=e;var i;try{i=fF.parseExpression(t,r)}catch{return Bl=!1}var s=Rl(i,{constants:e}),a=s.result,l=s.constant;return Qd=a,Bl=l}n(Wr,"isConstant");$r.isConstant=Wr;function Zd(t,e,r){if(e===void 0&&(e=Jr),r===void 0&&(r=Jr),!Wr(t,e,r))throw new Error(JSON.stringify(t)+" is not constant.");return Qd}n(Zd,"toConstant");$r.toConstant=Zd;$r.default=Wr;zr.exports=Wr;zr.exports.default=Wr;zr.exports.expressionToConstant=Rl;zr.exports.isConstant=Wr;zr.exports.toConstant=Zd});var ry=D((lJ,ty)=>{"use strict";T();var mF=ts().dirname,TF=en(),xF=fs(),Vl=Gt(),SF=Xn();ty.exports=ey;function ey(t,e,r,i){r=r||{},xF(t,function(a){var l=a.filename?mF(a.filename):null;if(a.type==="Filter"){bF(a,e,r,i);var u=EF(a),p=jl(a,r);p.filename=a.filename,a.type="Text",a.val=I(a,u,p)}else if(a.type==="RawInclude"&&a.filters.length){var h=a.filters.pop(),p=jl(h,r),m=p.filename=a.file.fullPath;a.type="Text",a.val=_(h,m,a.file,p),a.filters.slice().reverse().forEach(function(B){var U=jl(B,r);U.filename=m,a.val=I(B,a.val,U)}),a.filters=void 0,a.file=void 0}function I(F,B,U,te){try{var Y=s(F);return e&&e[Y]?e[Y](B,U):SF(Y,B,U,l,te)}catch(Q){throw Q.code==="UNKNOWN_FILTER"?Vl(Q.code,Q.message,F):Q}}n(I,"filterWithFallback");function _(F,B,U,te){var Y=s(F);return e&&e[Y]?e[Y].renderBuffer?e[Y].renderBuffer(U.raw,te):e[Y](U.str,te):I(F,B,te,"renderFile")}n(_,"filterFileWithFallback")},{includeDependencies:!0});function s(a){var l=a.name;if(i&&i[l]&&(l=i[l],i[l]))throw Vl("FILTER_ALISE_CHAIN",'The filter "'+a.name+'" is an alias for "'+l+'", which is an alias for "'+i[l]+'".  Pug does not support chains of filter aliases.',a);return l}return n(s,"getFilterName"),t}n(ey,"handleFilters");function bF(t,e,r,i){t.block.nodes[0]&&t.block.nodes[0].type==="Filter"&&(t.block.nodes[0]=ey(t.block,e,r,i).nodes[0])}n(bF,"handleNestedFilters");function EF(t){return t.block.nodes.map(function(e){return e.val}).join("")}n(EF,"getBodyAsText");function jl(t,e){var r={};t.attrs.forEach(function(s){try{r[s.name]=s.val===!0?!0:TF.toConstant(s.val)}catch(a){throw/not constant/.test(a.message)?Vl("FILTER_OPTION_NOT_CONSTANT",a.message+" All filters are rendered compile-time so filter options must be constants.",t):a}});var i=e[t.name]||{};return Object.keys(i).forEach(function(s){r.hasOwnProperty(s)||(r[s]=i[s])}),r}n(jl,"getAttributes")});var iy=D(Ul=>{"use strict";T();Ul.runFilter=Xn();Ul.handleFilters=ry()});var ay=D((hJ,ny)=>{"use strict";T();var gF=Pr(),cr=fs();function ql(){throw Gt().apply(null,arguments)}n(ql,"error");ny.exports=Kl;function Kl(t){gF(t.type==="Block","The top level element should always be a block");var e=null;if(t.nodes.length){var r=t.nodes[0].type==="Extends";CF(t,r),r&&(e=t.nodes.shift())}if(t=AF(t),t.declaredBlocks=PF(t),e){var i=[],s=[];t.nodes.forEach(n(function u(p){p.type==="NamedBlock"?s.push(p):p.type==="Block"?p.nodes.forEach(u):p.type==="Mixin"&&p.call===!1?i.push(p):ql("UNEXPECTED_NODES_IN_EXTENDING_ROOT","Only named blocks and mixins can appear at the top level of an extending template",p)},"addNode"));var a=Kl(e.file.ast);vF(a.declaredBlocks,t);var l=[];return cr(a,function(u){u.type==="NamedBlock"&&l.push(u.name)}),s.forEach(function(u){l.indexOf(u.name)===-1&&ql("UNEXPECTED_BLOCK","Unexpected block "+u.name,u)}),Object.keys(t.declaredBlocks).forEach(function(u){a.declaredBlocks[u]=t.declaredBlocks[u]}),a.nodes=i.concat(a.nodes),a.hasExtends=!0,a}return t}n(Kl,"link");function PF(t){var e={};return cr(t,n(function(i){i.type==="NamedBlock"&&i.mode==="replace"&&(e[i.name]=e[i.name]||[],e[i.name].push(i))},"before")),e}n(PF,"findDeclaredBlocks");function sy(t,e){return e=e||[],t.forEach(function(r){r.parents&&sy(r.parents,e),e.push(r)}),e}n(sy,"flattenParentBlocks");function vF(t,e){var r={};cr(e,n(function(s){if(s.type==="NamedBlock"){if(r[s.name]===s.name)return s.ignore=!0;r[s.name]=s.name;var a=t[s.name]?sy(t[s.name]):[];a.length&&(s.parents=a,a.forEach(function(l){switch(s.mode){case"append":l.nodes=l.nodes.concat(s.nodes);break;case"prepend":l.nodes=s.nodes.concat(l.nodes);break;case"replace":l.nodes=s.nodes;break}}))}},"before"),n(function(s){s.type==="NamedBlock"&&!s.ignore&&delete r[s.name]},"after"))}n(vF,"extend");function AF(t,e){return cr(t,n(function(i,s){i.type==="RawInclude"&&s({type:"Text",val:i.file.str.replace(/\r/g,"")})},"before"),n(function(i,s){if(i.type==="Include"){var a=Kl(i.file.ast);a.hasExtends&&(a=IF(a)),s(wF(a,i.block))}},"after"))}n(AF,"applyIncludes");function IF(t){return cr(t,function(e,r){e.type==="NamedBlock"&&r({type:"Block",nodes:e.nodes})})}n(IF,"removeBlocks");function wF(t,e){if(!e||!e.nodes.length)return t;var r=!1;t=cr(t,null,function(s,a){s.type==="YieldBlock"&&(r=!0,s.type="Block",s.nodes=[e])});function i(s){for(var a=s,l=0;l<s.nodes.length;l++)s.nodes[l].textOnly||(s.nodes[l].type==="Block"?a=i(s.nodes[l]):s.nodes[l].block&&s.nodes[l].block.nodes.length&&(a=i(s.nodes[l].block)));return a}return n(i,"defaultYieldLocation"),r||i(t).nodes.push(e),t}n(wF,"applyYield");function CF(t,e){var r=!1;cr(t,function(i){i.type==="Extends"&&(e&&!r?r=!0:ql("EXTENDS_NOT_FIRST",'Declaration of template inheritance ("extends") should be the first thing in the file. There can only be one extends statement per file.',i))})}n(CF,"checkExtendPosition")});var ly=D((mJ,oy)=>{"use strict";T();oy.exports={html:"<!DOCTYPE html>",xml:'<?xml version="1.0" encoding="utf-8" ?>',transitional:'<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',strict:'<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Strict//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-strict.dtd">',frameset:'<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Frameset//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-frameset.dtd">',"1.1":'<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.1//EN" "http://www.w3.org/TR/xhtml11/DTD/xhtml11.dtd">',basic:'<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML Basic 1.1//EN" "http://www.w3.org/TR/xhtml-basic/xhtml-basic11.dtd">',mobile:'<!DOCTYPE html PUBLIC "-//WAPFORUM//DTD XHTML Mobile 1.2//EN" "http://www.openmobilealliance.org/tech/DTD/xhtml-mobile12.dtd">',plist:'<!DOCTYPE plist PUBLIC "-//Apple//DTD PLIST 1.0//EN" "http://www.apple.com/DTDs/PropertyList-1.0.dtd">'}});var cy=D((xJ,uy)=>{T();uy.exports={has_own_property:[],merge:["style"],classes_array:["classes","escape"],classes_object:["has_own_property"],classes:["classes_array","classes_object"],style:["has_own_property"],attr:["escape"],attrs:["attr","classes","has_own_property","style"],match_html:[],escape:["match_html"],rethrow:[]}});var fy=D((bJ,py)=>{T();py.exports={dependencies:!0,internals:!0,has_own_property:!0,classes_array:!0,classes_object:!0,match_html:!0}});var dy=D((gJ,hy)=>{T();hy.exports={has_own_property:"var pug_has_own_property=Object.prototype.hasOwnProperty;",merge:'function pug_merge(e,r){if(1===arguments.length){for(var t=e[0],g=1;g<e.length;g++)t=pug_merge(t,e[g]);return t}for(var l in r)if("class"===l){var n=e[l]||[];e[l]=(Array.isArray(n)?n:[n]).concat(r[l]||[])}else if("style"===l){var n=pug_style(e[l]);n=n&&";"!==n[n.length-1]?n+";":n;var a=pug_style(r[l]);a=a&&";"!==a[a.length-1]?a+";":a,e[l]=n+a}else e[l]=r[l];return e}',classes_array:'function pug_classes_array(r,a){for(var s,e="",u="",c=Array.isArray(a),g=0;g<r.length;g++)(s=pug_classes(r[g]))&&(c&&a[g]&&(s=pug_escape(s)),e=e+u+s,u=" ");return e}',classes_object:'function pug_classes_object(r){var a="",n="";for(var o in r)o&&r[o]&&pug_has_own_property.call(r,o)&&(a=a+n+o,n=" ");return a}',classes:'function pug_classes(s,r){return Array.isArray(s)?pug_classes_array(s,r):s&&"object"==typeof s?pug_classes_object(s):s||""}',style:'function pug_style(r){if(!r)return"";if("object"==typeof r){var t="";for(var e in r)pug_has_own_property.call(r,e)&&(t=t+e+":"+r[e]+";");return t}return r+""}',attr:`function pug_attr(t,e,n,r){if(!1===e||null==e||!e&&("class"===t||"style"===t))return"";if(!0===e)return" "+(r?t:t+'="'+t+'"');var f=typeof e;return"object"!==f&&"function"!==f||"function"!=typeof e.toJSON||(e=e.toJSON()),"string"==typeof e||(e=JSON.stringify(e),n||-1===e.indexOf('"'))?(n&&(e=pug_escape(e))," "+t+'="'+e+'"'):" "+t+"='"+e.replace(/'/g,"&#39;")+"'"}`,attrs:'function pug_attrs(t,r){var a="";for(var s in t)if(pug_has_own_property.call(t,s)){var u=t[s];if("class"===s){u=pug_classes(u),a=pug_attr(s,u,!1,r)+a;continue}"style"===s&&(u=pug_style(u)),a+=pug_attr(s,u,!1,r)}return a}',match_html:'var pug_match_html=/["&<>]/;',escape:'function pug_escape(e){var a=""+e,t=pug_match_html.exec(a);if(!t)return e;var r,c,n,s="";for(r=t.index,c=0;r<a.length;r++){switch(a.charCodeAt(r)){case 34:n="&quot;";break;case 38:n="&amp;";break;case 60:n="&lt;";break;case 62:n="&gt;";break;default:continue}c!==r&&(s+=a.substring(c,r)),c=r+1,s+=n}return c!==r?s+a.substring(c,r):s}',rethrow:'function pug_rethrow(e,n,r,t){if(!(e instanceof Error))throw e;if(!("undefined"==typeof window&&n||t))throw e.message+=" on line "+r,e;var o,a,i,s;try{t=t||require("fs").readFileSync(n,{encoding:"utf8"}),o=3,a=t.split("\\n"),i=Math.max(r-o,0),s=Math.min(a.length,r+o)}catch(t){return e.message+=" - could not read from "+n+" ("+t.message+")",void pug_rethrow(e,null,r)}o=a.slice(i,s).map(function(e,n){var t=n+i+1;return(t==r?"  > ":"    ")+t+"| "+e}).join("\\n"),e.path=n;try{e.message=(n||"Pug")+":"+r+"\\n"+o+"\\n\\n"+e.message}catch(e){}throw e}'}});var my=D((AJ,yy)=>{"use strict";T();var vJ=Er(),NF=cy(),OF=fy(),kF=dy();yy.exports=_F;function _F(t){var e=[];t=t.filter(function(i){return!OF[i]});for(var r=0;r<t.length;r++)e.indexOf(t[r])===-1&&(e.push(t[r]),t.push.apply(t,NF[t[r]]));return e.sort().map(function(i){return kF[i]}).join(`
+`)}n(_F,"build")});var Vi=D(qt=>{"use strict";T();var Xl=Object.prototype.hasOwnProperty;qt.merge=Ty;function Ty(t,e){if(arguments.length===1){for(var r=t[0],i=1;i<t.length;i++)r=Ty(r,t[i]);return r}for(var s in e)if(s==="class"){var a=t[s]||[];t[s]=(Array.isArray(a)?a:[a]).concat(e[s]||[])}else if(s==="style"){var a=tn(t[s]);a=a&&a[a.length-1]!==";"?a+";":a;var l=tn(e[s]);l=l&&l[l.length-1]!==";"?l+";":l,t[s]=a+l}else t[s]=e[s];return t}n(Ty,"pug_merge");qt.classes=Jl;function DF(t,e){for(var r="",i,s="",a=Array.isArray(e),l=0;l<t.length;l++)i=Jl(t[l]),i&&(a&&e[l]&&(i=Wl(i)),r=r+s+i,s=" ");return r}n(DF,"pug_classes_array");function LF(t){var e="",r="";for(var i in t)i&&t[i]&&Xl.call(t,i)&&(e=e+r+i,r=" ");return e}n(LF,"pug_classes_object");function Jl(t,e){return Array.isArray(t)?DF(t,e):t&&typeof t=="object"?LF(t):t||""}n(Jl,"pug_classes");qt.style=tn;function tn(t){if(!t)return"";if(typeof t=="object"){var e="";for(var r in t)Xl.call(t,r)&&(e=e+r+":"+t[r]+";");return e}else return t+""}n(tn,"pug_style");qt.attr=Yl;function Yl(t,e,r,i){if(e===!1||e==null||!e&&(t==="class"||t==="style"))return"";if(e===!0)return" "+(i?t:t+'="'+t+'"');var s=typeof e;return(s==="object"||s==="function")&&typeof e.toJSON=="function"&&(e=e.toJSON()),typeof e!="string"&&(e=JSON.stringify(e),!r&&e.indexOf('"')!==-1)?" "+t+"='"+e.replace(/'/g,"&#39;")+"'":(r&&(e=Wl(e))," "+t+'="'+e+'"')}n(Yl,"pug_attr");qt.attrs=MF;function MF(t,e){var r="";for(var i in t)if(Xl.call(t,i)){var s=t[i];if(i==="class"){s=Jl(s),r=Yl(i,s,!1,e)+r;continue}i==="style"&&(s=tn(s)),r+=Yl(i,s,!1,e)}return r}n(MF,"pug_attrs");var FF=/["&<>]/;qt.escape=Wl;function Wl(t){var e=""+t,r=FF.exec(e);if(!r)return t;var i="",s,a,l;for(s=r.index,a=0;s<e.length;s++){switch(e.charCodeAt(s)){case 34:l="&quot;";break;case 38:l="&amp;";break;case 60:l="&lt;";break;case 62:l="&gt;";break;default:continue}a!==s&&(i+=e.substring(a,s)),a=s+1,i+=l}return a!==s?i+e.substring(a,s):i}n(Wl,"pug_escape");qt.rethrow=xy;function xy(t,e,r,i){if(!(t instanceof Error))throw t;if((typeof window<"u"||!e)&&!i)throw t.message+=" on line "+r,t;var s,a,l,u;try{i=i||Er().readFileSync(e,{encoding:"utf8"}),s=3,a=i.split(`
+`),l=Math.max(r-s,0),u=Math.min(a.length,r+s)}catch(p){t.message+=" - could not read from "+e+" ("+p.message+")",xy(t,null,r);return}s=a.slice(l,u).map(function(p,h){var m=h+l+1;return(m==r?"  > ":"    ")+m+"| "+p}).join(`
+`),t.path=e;try{t.message=(e||"Pug")+":"+r+`
+`+s+`
+
+`+t.message}catch{}throw t}n(xy,"pug_rethrow")});var $l=D((kJ,by)=>{"use strict";T();by.exports=Sy;function Sy(t){return t instanceof Date?"new Date("+Sy(t.toISOString())+")":t===void 0?"undefined":JSON.stringify(t).replace(/\u2028/g,"\\u2028").replace(/\u2029/g,"\\u2029").replace(/</g,"\\u003C").replace(/>/g,"\\u003E").replace(/\//g,"\\u002F")}n(Sy,"stringify")});var Py=D((LJ,gy)=>{"use strict";T();var Hr=Pr(),Ey=en(),pr=Vi(),bt=$l();function rn(t){return Ey(t,{pug:pr,pug_interp:void 0})}n(rn,"isConstant");function Gr(t){return Ey.toConstant(t,{pug:pr,pug_interp:void 0})}n(Gr,"toConstant");gy.exports=BF;function BF(t,e){Hr(Array.isArray(t),"Attrs should be an array"),Hr(t.every(function(u){return u&&typeof u=="object"&&typeof u.name=="string"&&(typeof u.val=="string"||typeof u.val=="boolean")&&typeof u.mustEscape=="boolean"}),"All attributes should be supplied as an object of the form {name, val, mustEscape}"),Hr(e&&typeof e=="object","Options should be an object"),Hr(typeof e.terse=="boolean","Options.terse should be a boolean"),Hr(typeof e.runtime=="function","Options.runtime should be a function that takes a runtime function name and returns the source code that will evaluate to that function at runtime"),Hr(e.format==="html"||e.format==="object",'Options.format should be "html" or "object"');var r=[],i=[],s=[];function a(u,p,h,m){if(rn(p))if(e.format==="html"){var I=bt(pr.attr(u,Gr(p),h,e.terse)),_=m[m.length-1];_&&_[_.length-1]===I[0]?m[m.length-1]=_.substr(0,_.length-1)+I.substr(1):m.push(I)}else p=Gr(p),h&&(p=pr.escape(p)),m.push(bt(u)+": "+bt(p));else e.format==="html"?m.push(e.runtime("attr")+'("'+u+'", '+p+", "+bt(h)+", "+bt(e.terse)+")"):(h&&(p=e.runtime("escape")+"("+p+")"),m.push(bt(u)+": "+p))}n(a,"addAttribute"),t.forEach(function(u){var p=u.name,h=u.val,m=u.mustEscape;p==="class"?(i.push(h),s.push(m)):(p==="style"&&(rn(h)?h=bt(pr.style(Gr(h))):h=e.runtime("style")+"("+h+")"),a(p,h,m,r))});var l=[];return i.length&&(i.every(rn)?a("class",bt(pr.classes(i.map(Gr),s)),!1,l):(i=i.map(function(u,p){return rn(u)&&(u=bt(s[p]?pr.escape(Gr(u)):Gr(u)),s[p]=!1),u}),a("class",e.runtime("classes")+"(["+i.join(",")+"], "+bt(s)+")",!1,l))),r=l.concat(r),e.format==="html"?r.length?r.join("+"):'""':"{"+r.join(",")+"}"}n(BF,"compileAttrs")});var Ay=D((BJ,vy)=>{T();vy.exports={area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0}});var Iy=D(Ct=>{"use strict";T();var RF=Ct&&Ct.__createBinding||(Object.create?function(t,e,r,i){i===void 0&&(i=r),Object.defineProperty(t,i,{enumerable:!0,get:n(function(){return e[r]},"get")})}:function(t,e,r,i){i===void 0&&(i=r),t[i]=e[r]}),jF=Ct&&Ct.__setModuleDefault||(Object.create?function(t,e){Object.defineProperty(t,"default",{enumerable:!0,value:e})}:function(t,e){t.default=e}),VF=Ct&&Ct.__importStar||function(t){if(t&&t.__esModule)return t;var e={};if(t!=null)for(var r in t)Object.hasOwnProperty.call(t,r)&&RF(e,t,r);return jF(e,t),e};Object.defineProperty(Ct,"__esModule",{value:!0});var sn=VF(It());if(!(Array.isArray(sn.TYPES)&&sn.TYPES.every(t=>typeof t=="string")))throw new Error("@babel/types TYPES does not match the expected type.");var Qr=sn.FLIPPED_ALIAS_KEYS,UF=new Set(sn.TYPES);if(!(Qr&&typeof Qr=="object"&&Object.keys(Qr).every(t=>Array.isArray(Qr[t])&&Qr[t].every(e=>typeof e=="string"))))throw new Error("@babel/types FLIPPED_ALIAS_KEYS does not match the expected type.");function qF(t){let e={};for(let r in t){let i=Qr[r];if(i)for(let s of i)s in e?typeof t[r]=="function"?e[s].enter.push(t[r]):(t[r].enter&&e[s].enter.push(t[r].enter),t[r].exit&&e[s].exit.push(t[r].exit)):typeof t[r]=="function"?e[s]={enter:[t[r]],exit:[]}:e[s]={enter:t[r].enter?[t[r].enter]:[],exit:t[r].exit?[t[r].exit]:[]};else UF.has(r)&&(r in e?typeof t[r]=="function"?e[r].enter.push(t[r]):(t[r].enter&&e[r].enter.push(t[r].enter),t[r].exit&&e[r].exit.push(t[r].exit)):typeof t[r]=="function"?e[r]={enter:[t[r]],exit:[]}:e[r]={enter:t[r].enter?[t[r].enter]:[],exit:t[r].exit?[t[r].exit]:[]})}return e}n(qF,"explode");Ct.default=qF});var Hl=D(Me=>{"use strict";T();var KF=Me&&Me.__createBinding||(Object.create?function(t,e,r,i){i===void 0&&(i=r),Object.defineProperty(t,i,{enumerable:!0,get:n(function(){return e[r]},"get")})}:function(t,e,r,i){i===void 0&&(i=r),t[i]=e[r]}),YF=Me&&Me.__setModuleDefault||(Object.create?function(t,e){Object.defineProperty(t,"default",{enumerable:!0,value:e})}:function(t,e){t.default=e}),XF=Me&&Me.__importStar||function(t){if(t&&t.__esModule)return t;var e={};if(t!=null)for(var r in t)Object.hasOwnProperty.call(t,r)&&KF(e,t,r);return YF(e,t),e},JF=Me&&Me.__importDefault||function(t){return t&&t.__esModule?t:{default:t}};Object.defineProperty(Me,"__esModule",{value:!0});Me.recursive=Me.ancestor=Me.simple=void 0;var WF=XF(It()),zl=JF(Iy()),Kt=WF.VISITOR_KEYS;if(!(Kt&&typeof Kt=="object"&&Object.keys(Kt).every(t=>Array.isArray(Kt[t])&&Kt[t].every(e=>typeof e=="string"))))throw new Error("@babel/types VISITOR_KEYS does not match the expected type.");function $F(t){let e=zl.default(t);return(r,i)=>{n(function s(a){if(!a)return;let l=e[a.type];if(l?.enter)for(let u of l.enter)u(a,i);for(let u of Kt[a.type]||[]){let p=a[u];if(Array.isArray(p))for(let h of p)s(h);else s(p)}if(l?.exit)for(let u of l.exit)u(a,i)},"recurse")(r)}}n($F,"simple");Me.simple=$F;function zF(t){let e=zl.default(t);return(r,i)=>{let s=[];n(function a(l){if(!l)return;let u=e[l.type],p=l!==s[s.length-1];if(p&&s.push(l),u?.enter)for(let h of u.enter)h(l,i,s);for(let h of Kt[l.type]||[]){let m=l[h];if(Array.isArray(m))for(let I of m)a(I);else a(m)}if(u?.exit)for(let h of u.exit)h(l,i,s);p&&s.pop()},"recurse")(r)}}n(zF,"ancestor");Me.ancestor=zF;function HF(t){let e=zl.default(t);return(r,i)=>{n(function s(a){if(!a)return;let l=e[a.type];if(l?.enter)for(let u of l.enter)u(a,i,s);else for(let u of Kt[a.type]||[]){let p=a[u];if(Array.isArray(p))for(let h of p)s(h);else s(p)}},"recurse")(r)}}n(HF,"recursive");Me.recursive=HF});var Cy=D(nn=>{"use strict";T();Object.defineProperty(nn,"__esModule",{value:!0});nn.assertNever=wy;function wy(t,e){if(typeof e=="string")throw new Error(e);if(typeof e=="function")throw new Error(e(t));if(e)return t;throw new Error("Unhandled discriminated union member: ".concat(JSON.stringify(t)))}n(wy,"assertNever");nn.default=wy});var Ny=D(Nt=>{"use strict";T();var GF=Nt&&Nt.__createBinding||(Object.create?function(t,e,r,i){i===void 0&&(i=r),Object.defineProperty(t,i,{enumerable:!0,get:n(function(){return e[r]},"get")})}:function(t,e,r,i){i===void 0&&(i=r),t[i]=e[r]}),QF=Nt&&Nt.__setModuleDefault||(Object.create?function(t,e){Object.defineProperty(t,"default",{enumerable:!0,value:e})}:function(t,e){t.default=e}),ZF=Nt&&Nt.__importStar||function(t){if(t&&t.__esModule)return t;var e={};if(t!=null)for(var r in t)Object.hasOwnProperty.call(t,r)&&GF(e,t,r);return QF(e,t),e};Object.defineProperty(Nt,"__esModule",{value:!0});var eB=ZF(It());function tB(t,e){switch(e.type){case"ObjectProperty":return e.value===t||e.computed;case"BreakStatement":case"ContinueStatement":return!1;case"AssignmentExpression":return!0}return eB.isReferenced(t,e)}n(tB,"isReferenced");Nt.default=tB});var Dy=D(at=>{"use strict";T();var rB=at&&at.__createBinding||(Object.create?function(t,e,r,i){i===void 0&&(i=r),Object.defineProperty(t,i,{enumerable:!0,get:n(function(){return e[r]},"get")})}:function(t,e,r,i){i===void 0&&(i=r),t[i]=e[r]}),iB=at&&at.__setModuleDefault||(Object.create?function(t,e){Object.defineProperty(t,"default",{enumerable:!0,value:e})}:function(t,e){t.default=e}),sB=at&&at.__importStar||function(t){if(t&&t.__esModule)return t;var e={};if(t!=null)for(var r in t)Object.hasOwnProperty.call(t,r)&&rB(e,t,r);return iB(e,t),e},Oy=at&&at.__importDefault||function(t){return t&&t.__esModule?t:{default:t}};Object.defineProperty(at,"__esModule",{value:!0});var nB=Oy(Cy()),ky=Hl(),fr=sB(It()),aB=Oy(Ny()),an=n(t=>fr.isFunctionParent(t)||fr.isProgram(t),"isScope"),oB=n(t=>fr.isBlockStatement(t)||an(t),"isBlockScope"),_y=n(t=>fr.isFunction(t)&&!fr.isArrowFunctionExpression(t),"declaresArguments"),lB=_y,Ql=Symbol("locals"),uB=n(t=>t[Ql],"getLocals"),cB=n(t=>t[Ql]=t[Ql]||new Set,"declareLocals"),Ui=n((t,e)=>cB(t).add(e),"setLocal");function pB(t){for(let r of t.params)Yt(r,t);let e=t.id;e&&Ui(t,e.name)}n(pB,"declareFunction");function Yt(t,e){switch(t.type){case"Identifier":Ui(e,t.name);break;case"ObjectPattern":for(let r of t.properties)switch(r.type){case"RestElement":Yt(r.argument,e);break;case"ObjectProperty":Yt(r.value,e);break;default:nB.default(r);break}break;case"ArrayPattern":for(let r of t.elements)r&&Yt(r,e);break;case"RestElement":Yt(t.argument,e);break;case"AssignmentPattern":Yt(t.left,e);break;default:throw new Error("Unrecognized pattern type: "+t.type)}}n(Yt,"declarePattern");function Gl(t,e,r){for(let i=r.length-2;i>=0;i--)if(an(r[i])){Ui(r[i],t.local.name);return}}n(Gl,"declareModuleSpecifier");var fB=ky.ancestor({VariableDeclaration(t,e,r){for(let i=r.length-2;i>=0;i--)if(t.kind==="var"?fr.isFunctionParent(r[i]):oB(r[i])){for(let s of t.declarations)Yt(s.id,r[i]);return}},FunctionDeclaration(t,e,r){if(t.id){for(let i=r.length-2;i>=0;i--)if(an(r[i])){Ui(r[i],t.id.name);return}}},Function:pB,ClassDeclaration(t,e,r){for(let i=r.length-2;i>=0;i--)if(an(r[i])){Ui(r[i],t.id.name);return}},TryStatement(t){t.handler!==null&&t.handler.param!==null&&Yt(t.handler.param,t.handler)},ImportDefaultSpecifier:Gl,ImportSpecifier:Gl,ImportNamespaceSpecifier:Gl}),hB=ky.ancestor({Identifier(t,e,r){var i;let s=t.name;if(s==="undefined")return;let a=r[r.length-2];if(a){if(!aB.default(t,a))return;for(let l of r)if(s==="arguments"&&_y(l)||!((i=uB(l))===null||i===void 0)&&i.has(s))return}e.globals.push(t)},ThisExpression(t,e,r){for(let i of r)if(lB(i))return;e.globals.push(t)}});function dB(t){let e=[];if(!fr.isNode(t))throw new TypeError("Source must be a Babylon AST");fB(t,void 0),hB(t,{globals:e});let r=new Map;for(let i of e){let s=i.type==="ThisExpression"?"this":i.name,a=r.get(s);a?a.push(i):r.set(s,[i])}return[...r].map(([i,s])=>({name:i,nodes:s})).sort((i,s)=>i.name<s.name?-1:1)}n(dB,"findGlobals");at.default=dB});var By=D((ot,eu)=>{"use strict";T();var yB=ot&&ot.__createBinding||(Object.create?function(t,e,r,i){i===void 0&&(i=r),Object.defineProperty(t,i,{enumerable:!0,get:n(function(){return e[r]},"get")})}:function(t,e,r,i){i===void 0&&(i=r),t[i]=e[r]}),mB=ot&&ot.__setModuleDefault||(Object.create?function(t,e){Object.defineProperty(t,"default",{enumerable:!0,value:e})}:function(t,e){t.default=e}),TB=ot&&ot.__importStar||function(t){if(t&&t.__esModule)return t;var e={};if(t!=null)for(var r in t)Object.hasOwnProperty.call(t,r)&&yB(e,t,r);return mB(e,t),e},xB=ot&&ot.__importDefault||function(t){return t&&t.__esModule?t:{default:t}};Object.defineProperty(ot,"__esModule",{value:!0});var Ly=Ca(),SB=Hl(),bB=TB(It()),My=xB(Dy()),Fy={allowReturnOutsideFunction:!0,allowImportExportEverywhere:!0};function Zl(t,e,r=[]){t=t+"",e=e+"";let i;try{i=Ly.parse(e,Fy)}catch(_){throw Object.assign(new Error("Error parsing body of the with expression"),{component:"src",babylonError:_})}let s;try{s=Ly.parse(t,Fy)}catch(_){throw Object.assign(new Error("Error parsing object part of the with expression"),{component:"obj",babylonError:_})}let a=new Set(["undefined","this",...r,...My.default(s).map(_=>_.name)]),l=new Set(My.default(i).map(_=>_.name).filter(_=>!a.has(_)));if(l.size===0)return e;let u="",p="locals_for_with",h="result_of_with";if(bB.isValidIdentifier(t))p=t;else{for(;l.has(p)||a.has(p);)p+="_";u=`var ${p} = (${t});`}for(;l.has(h)||a.has(h);)h+="_";let m=["this",...Array.from(l).map(_=>`${JSON.stringify(_)} in ${p} ?
+        ${p}.${_} :
+        typeof ${_} !== 'undefined' ? ${_} : undefined`)],I=gB(i,e,h);return`;
+    ${u}
+    ${I.before}
+    (function (${Array.from(l).join(", ")}) {
+      ${I.body}
+    }.call(${m.join(", ")}));
+    ${I.after};`}n(Zl,"addWith");ot.default=Zl;var EB=SB.recursive({Function(t,e,r){},ReturnStatement(t,e){e.hasReturn=!0;let r="";t.argument&&(r=`value: (${e.source(t.argument)})`),e.replace(t,`return {${r}};`)}});function gB(t,e,r){let i=e.split(""),s={hasReturn:!1,source(a){return e.slice(a.start,a.end)},replace(a,l){i.fill("",a.start,a.end),i[a.start]=l}};return EB(t,s),{before:s.hasReturn?`var ${r} = `:"",body:i.join(""),after:s.hasReturn?`;if (${r}) return ${r}.value`:""}}n(gB,"unwrapReturns");eu.exports=Zl;eu.exports.default=Zl});var Ky=D((rW,iu)=>{"use strict";T();var Ry=ly(),PB=Gt(),vB=my(),Uy=Vi(),AB=Py(),IB=Ay(),qy=en(),hr=$l(),wB=By(),tu={pre:!0,textarea:!0},jy=["pug","pug_mixins","pug_interp","pug_debug_filename","pug_debug_line","pug_debug_sources","pug_html"];iu.exports=CB;iu.exports.CodeGenerator=ru;function CB(t,e){return new ru(t,e).compile()}n(CB,"generateCode");function NB(t){return qy(t,{pug:Uy,pug_interp:void 0})}n(NB,"isConstant");function OB(t){return qy.toConstant(t,{pug:Uy,pug_interp:void 0})}n(OB,"toConstant");function Vy(t){return/^[a-zA-Z_$][a-zA-Z0-9_$]*$/.test(t)}n(Vy,"isIdentifier");function ru(t,e){if(this.options=e=e||{},this.node=t,this.bufferedConcatenationCount=0,this.hasCompiledDoctype=!1,this.hasCompiledTag=!1,this.pp=e.pretty||!1,this.pp&&typeof this.pp!="string"&&(this.pp="  "),this.pp&&!/^\s+$/.test(this.pp))throw new Error("The pretty parameter should either be a boolean or whitespace only string");if(this.options.templateName&&!Vy(this.options.templateName))throw new Error("The templateName parameter must be a valid JavaScript identifier if specified.");if(this.options.doctype&&(this.options.doctype.includes("<")||this.options.doctype.includes(">")))throw new Error('Doctype can not contain "<" or ">"');if(this.options.globals&&!this.options.globals.every(Vy))throw new Error("The globals option must be an array of valid JavaScript identifiers if specified.");this.debug=e.compileDebug!==!1,this.indents=0,this.parentIndents=0,this.terse=!1,this.mixins={},this.dynamicMixins=!1,this.eachCount=0,e.doctype&&this.setDoctype(e.doctype),this.runtimeFunctionsUsed=[],this.inlineRuntimeFunctions=e.inlineRuntimeFunctions||!1,this.debug&&this.inlineRuntimeFunctions&&this.runtimeFunctionsUsed.push("rethrow")}n(ru,"Compiler");ru.prototype={runtime:n(function(t){return this.inlineRuntimeFunctions?(this.runtimeFunctionsUsed.push(t),"pug_"+t):"pug."+t},"runtime"),error:n(function(t,e,r){var i=PB(e,t,{line:r.line,column:r.column,filename:r.filename});throw i},"error"),compile:n(function(){if(this.buf=[],this.pp&&this.buf.push("var pug_indent = [];"),this.lastBufferedIdx=-1,this.visit(this.node),!this.dynamicMixins)for(var t=Object.keys(this.mixins),e=0;e<t.length;e++){var r=this.mixins[t[e]];if(!r.used)for(var i=0;i<r.instances.length;i++)for(var s=r.instances[i].start;s<r.instances[i].end;s++)this.buf[s]=""}var a=this.buf.join(`
+`),l=this.options.globals?this.options.globals.concat(jy):jy;return this.options.self?a="var self = locals || {};"+a:a=wB("locals || {}",a,l.concat(this.runtimeFunctionsUsed.map(function(u){return"pug_"+u}))),this.debug&&(this.options.includeSources&&(a="var pug_debug_sources = "+hr(this.options.includeSources)+`;
+`+a),a="var pug_debug_filename, pug_debug_line;try {"+a+"} catch (err) {"+(this.inlineRuntimeFunctions?"pug_rethrow":"pug.rethrow")+"(err, pug_debug_filename, pug_debug_line"+(this.options.includeSources?", pug_debug_sources[pug_debug_filename]":"")+");}"),vB(this.runtimeFunctionsUsed)+"function "+(this.options.templateName||"template")+'(locals) {var pug_html = "", pug_mixins = {}, pug_interp;'+a+";return pug_html;}"},"compile"),setDoctype:n(function(t){this.doctype=Ry.hasOwnProperty(t.toLowerCase())?Ry[t.toLowerCase()]:"<!DOCTYPE "+t+">",this.terse=this.doctype.toLowerCase()=="<!doctype html>",this.xml=this.doctype.indexOf("<?xml")==0},"setDoctype"),buffer:n(function(t){var e=this;t=hr(t),t=t.substr(1,t.length-2),this.lastBufferedIdx==this.buf.length&&this.bufferedConcatenationCount<100?(this.lastBufferedType==="code"&&(this.lastBuffered+=' + "',this.bufferedConcatenationCount++),this.lastBufferedType="text",this.lastBuffered+=t,this.buf[this.lastBufferedIdx-1]="pug_html = pug_html + "+this.bufferStartChar+this.lastBuffered+'";'):(this.bufferedConcatenationCount=0,this.buf.push('pug_html = pug_html + "'+t+'";'),this.lastBufferedType="text",this.bufferStartChar='"',this.lastBuffered=t,this.lastBufferedIdx=this.buf.length)},"buffer"),bufferExpression:n(function(t){if(NB(t))return this.buffer(OB(t)+"");this.lastBufferedIdx==this.buf.length&&this.bufferedConcatenationCount<100?(this.bufferedConcatenationCount++,this.lastBufferedType==="text"&&(this.lastBuffered+='"'),this.lastBufferedType="code",this.lastBuffered+=" + ("+t+")",this.buf[this.lastBufferedIdx-1]="pug_html = pug_html + ("+this.bufferStartChar+this.lastBuffered+");"):(this.bufferedConcatenationCount=0,this.buf.push("pug_html = pug_html + ("+t+");"),this.lastBufferedType="code",this.bufferStartChar="",this.lastBuffered="("+t+")",this.lastBufferedIdx=this.buf.length)},"bufferExpression"),prettyIndent:n(function(t,e){t=t||0,e=e?`
+`:"",this.buffer(e+Array(this.indents+t).join(this.pp)),this.parentIndents&&this.buf.push('pug_html = pug_html + pug_indent.join("");')},"prettyIndent"),visit:n(function(t,e){var r=this.debug;if(!t){var i;throw e?i="A child of "+e.type+" ("+(e.filename||"Pug")+":"+e.line+")":i="A top-level node",i+=" is "+t+", expected a Pug AST Node.",new TypeError(i)}if(r&&t.debug!==!1&&t.type!=="Block"&&t.line){var s=";pug_debug_line = "+t.line;t.filename&&(s+=";pug_debug_filename = "+hr(t.filename)),this.buf.push(s+";")}if(!this["visit"+t.type]){var i;switch(e?i="A child of "+e.type:i="A top-level node",i+=" ("+(t.filename||"Pug")+":"+t.line+") is of type "+t.type+", which is not supported by pug-code-gen.",t.type){case"Filter":i+=" Please use pug-filters to preprocess this AST.";break;case"Extends":case"Include":case"NamedBlock":case"FileReference":i+=" Please use pug-linker to preprocess this AST.";break}throw new TypeError(i)}this.visitNode(t)},"visit"),visitNode:n(function(t){return this["visit"+t.type](t)},"visitNode"),visitCase:n(function(t){this.buf.push("switch ("+t.expr+"){"),this.visit(t.block,t),this.buf.push("}")},"visitCase"),visitWhen:n(function(t){t.expr=="default"?this.buf.push("default:"):this.buf.push("case "+t.expr+":"),t.block&&(this.visit(t.block,t),this.buf.push("  break;"))},"visitWhen"),visitLiteral:n(function(t){this.buffer(t.str)},"visitLiteral"),visitNamedBlock:n(function(t){return this.visitBlock(t)},"visitNamedBlock"),visitBlock:n(function(t){var e=this.escapePrettyMode,r=this.pp;r&&t.nodes.length>1&&!e&&t.nodes[0].type==="Text"&&t.nodes[1].type==="Text"&&this.prettyIndent(1,!0);for(var i=0;i<t.nodes.length;++i)r&&i>0&&!e&&t.nodes[i].type==="Text"&&t.nodes[i-1].type==="Text"&&/\n$/.test(t.nodes[i-1].val)&&this.prettyIndent(1,!1),this.visit(t.nodes[i],t)},"visitBlock"),visitMixinBlock:n(function(t){this.pp&&this.buf.push("pug_indent.push("+hr(Array(this.indents+1).join(this.pp))+");"),this.buf.push("block && block();"),this.pp&&this.buf.push("pug_indent.pop();")},"visitMixinBlock"),visitDoctype:n(function(t){t&&(t.val||!this.doctype)&&this.setDoctype(t.val||"html"),this.doctype&&this.buffer(this.doctype),this.hasCompiledDoctype=!0},"visitDoctype"),visitMixin:n(function(t){var e="pug_mixins[",r=t.args||"",i=t.block,s=t.attrs,a=this.attributeBlocks(t.attributeBlocks),l=this.pp,u=t.name[0]==="#",p=t.name;if(u&&(this.dynamicMixins=!0),e+=(u?t.name.substr(2,t.name.length-3):'"'+t.name+'"')+"]",this.mixins[p]=this.mixins[p]||{used:!1,instances:[]},t.call){if(this.mixins[p].used=!0,l&&this.buf.push("pug_indent.push("+hr(Array(this.indents+1).join(l))+");"),i||s.length||a.length){if(this.buf.push(e+".call({"),i){this.buf.push("block: function(){"),this.parentIndents++;var h=this.indents;this.indents=0,this.visit(t.block,t),this.indents=h,this.parentIndents--,s.length||a.length?this.buf.push("},"):this.buf.push("}")}if(a.length){if(s.length){var m=this.attrs(s);a.unshift(m)}a.length>1?this.buf.push("attributes: "+this.runtime("merge")+"(["+a.join(",")+"])"):this.buf.push("attributes: "+a[0])}else if(s.length){var m=this.attrs(s);this.buf.push("attributes: "+m)}r?this.buf.push("}, "+r+");"):this.buf.push("});")}else this.buf.push(e+"("+r+");");l&&this.buf.push("pug_indent.pop();")}else{var I=this.buf.length;r=r?r.split(","):[];var _;r.length&&/^\.\.\./.test(r[r.length-1].trim())&&(_=r.pop().trim().replace(/^\.\.\./,"")),this.buf.push(e+" = pug_interp = function("+r.join(",")+"){"),this.buf.push("var block = (this && this.block), attributes = (this && this.attributes) || {};"),_&&(this.buf.push("var "+_+" = [];"),this.buf.push("for (pug_interp = "+r.length+"; pug_interp < arguments.length; pug_interp++) {"),this.buf.push("  "+_+".push(arguments[pug_interp]);"),this.buf.push("}")),this.parentIndents++,this.visit(i,t),this.parentIndents--,this.buf.push("};");var F=this.buf.length;this.mixins[p].instances.push({start:I,end:F})}},"visitMixin"),visitTag:n(function(t,e){this.indents++;var r=t.name,i=this.pp,s=this;function a(){e?s.bufferExpression(t.expr):s.buffer(r)}n(a,"bufferName"),tu[t.name]===!0&&(this.escapePrettyMode=!0),this.hasCompiledTag||(!this.hasCompiledDoctype&&r=="html"&&this.visitDoctype(),this.hasCompiledTag=!0),i&&!t.isInline&&this.prettyIndent(0,!0),t.selfClosing||!this.xml&&IB[t.name]?(this.buffer("<"),a(),this.visitAttributes(t.attrs,this.attributeBlocks(t.attributeBlocks)),this.terse&&!t.selfClosing?this.buffer(">"):this.buffer("/>"),(t.code||t.block&&!(t.block.type==="Block"&&t.block.nodes.length===0)&&t.block.nodes.some(function(l){return l.type!=="Text"||!/^\s*$/.test(l.val)}))&&this.error(r+" is a self closing element: <"+r+"/> but contains nested content.","SELF_CLOSING_CONTENT",t)):(this.buffer("<"),a(),this.visitAttributes(t.attrs,this.attributeBlocks(t.attributeBlocks)),this.buffer(">"),t.code&&this.visitCode(t.code),this.visit(t.block,t),i&&!t.isInline&&tu[t.name]!==!0&&!kB(t)&&this.prettyIndent(0,!0),this.buffer("</"),a(),this.buffer(">")),tu[t.name]===!0&&(this.escapePrettyMode=!1),this.indents--},"visitTag"),visitInterpolatedTag:n(function(t){return this.visitTag(t,!0)},"visitInterpolatedTag"),visitText:n(function(t){this.buffer(t.val)},"visitText"),visitComment:n(function(t){t.buffer&&(this.pp&&this.prettyIndent(1,!0),this.buffer("<!--"+t.val+"-->"))},"visitComment"),visitYieldBlock:n(function(t){},"visitYieldBlock"),visitBlockComment:n(function(t){t.buffer&&(this.pp&&this.prettyIndent(1,!0),this.buffer("<!--"+(t.val||"")),this.visit(t.block,t),this.pp&&this.prettyIndent(1,!0),this.buffer("-->"))},"visitBlockComment"),visitCode:n(function(t){if(t.buffer){var e=t.val.trim();e="null == (pug_interp = "+e+') ? "" : pug_interp',t.mustEscape!==!1&&(e=this.runtime("escape")+"("+e+")"),this.bufferExpression(e)}else this.buf.push(t.val);t.block&&(t.buffer||this.buf.push("{"),this.visit(t.block,t),t.buffer||this.buf.push("}"))},"visitCode"),visitConditional:n(function(t){var e=t.test;this.buf.push("if ("+e+") {"),this.visit(t.consequent,t),this.buf.push("}"),t.alternate&&(t.alternate.type==="Conditional"?(this.buf.push("else"),this.visitConditional(t.alternate)):(this.buf.push("else {"),this.visit(t.alternate,t),this.buf.push("}")))},"visitConditional"),visitWhile:n(function(t){var e=t.test;this.buf.push("while ("+e+") {"),this.visit(t.block,t),this.buf.push("}")},"visitWhile"),visitEach:n(function(t){var e=t.key||"pug_index"+this.eachCount;this.eachCount++,this.buf.push("// iterate "+t.obj+`
+;(function(){
+  var $$obj = `+t.obj+`;
+  if ('number' == typeof $$obj.length) {`),t.alternate&&this.buf.push("    if ($$obj.length) {"),this.buf.push("      for (var "+e+" = 0, $$l = $$obj.length; "+e+" < $$l; "+e+`++) {
+        var `+t.val+" = $$obj["+e+"];"),this.visit(t.block,t),this.buf.push("      }"),t.alternate&&(this.buf.push("    } else {"),this.visit(t.alternate,t),this.buf.push("    }")),this.buf.push(`  } else {
+    var $$l = 0;
+    for (var `+e+` in $$obj) {
+      $$l++;
+      var `+t.val+" = $$obj["+e+"];"),this.visit(t.block,t),this.buf.push("    }"),t.alternate&&(this.buf.push("    if ($$l === 0) {"),this.visit(t.alternate,t),this.buf.push("    }")),this.buf.push(`  }
+}).call(this);
+`)},"visitEach"),visitEachOf:n(function(t){this.buf.push("// iterate "+t.obj+`
+for (const `+t.val+" of "+t.obj+`) {
+`),this.visit(t.block,t),this.buf.push(`}
+`)},"visitEachOf"),visitAttributes:n(function(t,e){if(e.length){if(t.length){var r=this.attrs(t);e.unshift(r)}e.length>1?this.bufferExpression(this.runtime("attrs")+"("+this.runtime("merge")+"(["+e.join(",")+"]), "+hr(this.terse)+")"):this.bufferExpression(this.runtime("attrs")+"("+e[0]+", "+hr(this.terse)+")")}else t.length&&this.attrs(t,!0)},"visitAttributes"),attrs:n(function(t,e){var r=AB(t,{terse:this.terse,format:e?"html":"object",runtime:this.runtime.bind(this)});return e&&this.bufferExpression(r),r},"attrs"),attributeBlocks:n(function(t){return t&&t.slice().map(function(e){return e.val})},"attributeBlocks")};function kB(t){function e(r){return r.type==="Block"?r.nodes.every(e):r.type==="YieldBlock"?!0:r.type==="Text"&&!/\n/.test(r.val)||r.isInline}return n(e,"isInline"),t.block.nodes.every(e)}n(kB,"tagCanInline")});var Xy=D((nW,Yy)=>{T();var _B=Vi();Yy.exports=DB;function DB(t,e){return e=e||"template",Function("pug",t+`
+return `+e+";")(_B)}n(DB,"wrap")});var $y=D(xe=>{"use strict";T();var Jy=Er(),LB=ts(),MB=gp(),FB=vp(),BB=Np(),su=Dp(),RB=iy(),jB=ay(),VB=Ky(),UB=Vi(),qB=Xy();xe.name="Pug";xe.runtime=UB;xe.cache={};function tt(t,e,r,i){return r.reduce(function(s,a){return a[i]?a[i](s,e):s},t)}n(tt,"applyPlugins");function nu(t,e){var r=t.filter(function(i){return i[e]});if(r.length>1)throw new Error("Two or more plugins all implement "+e+" method.");return r.length?r[0][e].bind(r[0]):null}n(nu,"findReplacementFunc");xe.filters={};function Wy(t,e){var r={};r[e.filename]=t;var i=[],s=e.plugins||[],a=su.string(t,{filename:e.filename,basedir:e.basedir,lex:n(function(p,h){var m={};Object.keys(h).forEach(function(_){m[_]=h[_]}),m.plugins=s.filter(function(_){return!!_.lex}).map(function(_){return _.lex});var I=tt(p,{filename:h.filename},s,"preLex");return tt(MB(I,m),h,s,"postLex")},"lex"),parse:n(function(p,h){p=p.map(function(I){return I.type==="path"&&LB.extname(I.val)===""?{type:"path",loc:I.loc,val:I.val+".pug"}:I}),p=FB(p,h),p=tt(p,h,s,"preParse");var m={};return Object.keys(h).forEach(function(I){m[I]=h[I]}),m.plugins=s.filter(function(I){return!!I.parse}).map(function(I){return I.parse}),tt(tt(BB(p,m),h,s,"postParse"),h,s,"preLoad")},"parse"),resolve:n(function(p,h,m){var I=nu(s,"resolve");return I?I(p,h,e):su.resolve(p,h,m)},"resolve"),read:n(function(p,h){i.push(p);var m,I=nu(s,"read");return I?m=I(p,e):m=su.read(p,h),r[p]=Buffer.isBuffer(m)?m.toString("utf8"):m,m},"read")});a=tt(a,e,s,"postLoad"),a=tt(a,e,s,"preFilters");var l={};Object.keys(xe.filters).forEach(function(p){l[p]=xe.filters[p]}),e.filters&&Object.keys(e.filters).forEach(function(p){l[p]=e.filters[p]}),a=RB.handleFilters(a,l,e.filterOptions,e.filterAliases),a=tt(a,e,s,"postFilters"),a=tt(a,e,s,"preLink"),a=jB(a),a=tt(a,e,s,"postLink"),a=tt(a,e,s,"preCodeGen");var u=(nu(s,"generateCode")||VB)(a,{pretty:e.pretty,compileDebug:e.compileDebug,doctype:e.doctype,inlineRuntimeFunctions:e.inlineRuntimeFunctions,globals:e.globals,self:e.self,includeSources:e.includeSources?r:!1,templateName:e.templateName});return u=tt(u,e,s,"postCodeGen"),e.debug&&console.error(`
+Compiled Function:
+
+\x1B[90m%s\x1B[0m`,u.replace(/^/gm,"  ")),{body:u,dependencies:i}}n(Wy,"compileBody");function au(t,e){var r=t.filename;if(t.cache&&xe.cache[r])return xe.cache[r];e===void 0&&(e=Jy.readFileSync(t.filename,"utf8"));var i=xe.compile(e,t);return t.cache&&(xe.cache[r]=i),i}n(au,"handleTemplateCache");xe.compile=function(t,r){var r=r||{};t=String(t);var i=Wy(t,{compileDebug:r.compileDebug!==!1,filename:r.filename,basedir:r.basedir,pretty:r.pretty,doctype:r.doctype,inlineRuntimeFunctions:r.inlineRuntimeFunctions,globals:r.globals,self:r.self,includeSources:r.compileDebug===!0,debug:r.debug,templateName:"template",filters:r.filters,filterOptions:r.filterOptions,filterAliases:r.filterAliases,plugins:r.plugins}),s=r.inlineRuntimeFunctions?new Function("",i.body+";return template;")():qB(i.body);return s.dependencies=i.dependencies,s};xe.compileClientWithDependenciesTracked=function(t,r){var r=r||{};t=String(t);var i=Wy(t,{compileDebug:r.compileDebug,filename:r.filename,basedir:r.basedir,pretty:r.pretty,doctype:r.doctype,inlineRuntimeFunctions:r.inlineRuntimeFunctions!==!1,globals:r.globals,self:r.self,includeSources:r.compileDebug,debug:r.debug,templateName:r.name||"template",filters:r.filters,filterOptions:r.filterOptions,filterAliases:r.filterAliases,plugins:r.plugins}),s=i.body;return r.module&&(r.inlineRuntimeFunctions===!1&&(s='var pug = require("pug-runtime");'+s),s+=" module.exports = "+(r.name||"template")+";"),{body:s,dependencies:i.dependencies}};xe.compileClient=function(t,e){return xe.compileClientWithDependenciesTracked(t,e).body};xe.compileFile=function(t,e){return e=e||{},e.filename=t,au(e)};xe.render=function(t,e,r){if(typeof e=="function"&&(r=e,e=void 0),typeof r=="function"){var i;try{i=xe.render(t,e)}catch(s){return r(s)}return r(null,i)}if(e=e||{},e.cache&&!e.filename)throw new Error('the "filename" option is required for caching');return au(e,t)(e)};xe.renderFile=function(t,e,r){if(typeof e=="function"&&(r=e,e=void 0),typeof r=="function"){var i;try{i=xe.renderFile(t,e)}catch(s){return r(s)}return r(null,i)}return e=e||{},e.filename=t,au(e)(e)};xe.compileFileClient=function(t,e){var r=t+":client";if(e=e||{},e.filename=t,e.cache&&xe.cache[r])return xe.cache[r];var i=Jy.readFileSync(e.filename,"utf8"),s=xe.compileClient(i,e);return e.cache&&(xe.cache[r]=s),s};xe.__express=function(t,e,r){e.compileDebug==null&&(e.compileDebug=!1),xe.renderFile(t,e,r)}});var YB=D((pW,zy)=>{T();var KB=$y();zy.exports=n(function(e,r){return KB.render(e,r)},"render")});return YB();})();
+/*! Bundled license information:
+
+object-assign/index.js:
+  (*
+  object-assign
+  (c) Sindre Sorhus
+  @license MIT
+  *)
+
+pug/lib/index.js:
+  (*!
+   * Pug
+   * Copyright(c) 2010 TJ Holowaychuk <tj@vision-media.ca>
+   * MIT Licensed
+   *)
+*/
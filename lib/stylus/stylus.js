@@ -0,0 +1,801 @@
+/*! stylus v0.64.0 | MIT License | https://github.com/stylus/stylus
+ * browser build: the renderer bundled with esbuild, the builtin functions
+ * (functions/index.styl) embedded, fs and path shimmed. usage: stylus(code) -> css
+ */
+var stylus=(()=>{var Jg=Object.defineProperty;var o=(n,e)=>Jg(n,"name",{value:e,configurable:!0}),St=(n=>typeof require<"u"?require:typeof Proxy<"u"?new Proxy(n,{get:(e,t)=>(typeof require<"u"?require:e)[t]}):n)(function(n){if(typeof require<"u")return require.apply(this,arguments);throw Error('Dynamic require of "'+n+'" is not supported')});var p=(n,e)=>()=>(e||n((e={exports:{}}).exports,e),e.exports);var ni=p((s2,Bo)=>{"use strict";Bo.exports=o(function(){if(typeof Symbol!="function"||typeof Object.getOwnPropertySymbols!="function")return!1;if(typeof Symbol.iterator=="symbol")return!0;var e={},t=Symbol("test"),r=Object(t);if(typeof t=="string"||Object.prototype.toString.call(t)!=="[object Symbol]"||Object.prototype.toString.call(r)!=="[object Symbol]")return!1;var i=42;e[t]=i;for(var s in e)return!1;if(typeof Object.keys=="function"&&Object.keys(e).length!==0||typeof Object.getOwnPropertyNames=="function"&&Object.getOwnPropertyNames(e).length!==0)return!1;var a=Object.getOwnPropertySymbols(e);if(a.length!==1||a[0]!==t||!Object.prototype.propertyIsEnumerable.call(e,t))return!1;if(typeof Object.getOwnPropertyDescriptor=="function"){var u=Object.getOwnPropertyDescriptor(e,t);if(u.value!==i||u.enumerable!==!0)return!1}return!0},"hasSymbols")});var er=p((a2,Io)=>{"use strict";var Vg=ni();Io.exports=o(function(){return Vg()&&!!Symbol.toStringTag},"hasToStringTagShams")});var ii=p((l2,Fo)=>{"use strict";Fo.exports=Object});var No=p((c2,Lo)=>{"use strict";Lo.exports=Error});var To=p((h2,Po)=>{"use strict";Po.exports=EvalError});var Mo=p((f2,Ro)=>{"use strict";Ro.exports=RangeError});var jo=p((p2,Uo)=>{"use strict";Uo.exports=ReferenceError});var si=p((d2,Do)=>{"use strict";Do.exports=SyntaxError});var _e=p((m2,$o)=>{"use strict";$o.exports=TypeError});var zo=p((y2,Go)=>{"use strict";Go.exports=URIError});var Jo=p((g2,Wo)=>{"use strict";Wo.exports=Math.abs});var Ho=p((v2,Vo)=>{"use strict";Vo.exports=Math.floor});var Qo=p((w2,Ko)=>{"use strict";Ko.exports=Math.max});var Zo=p((b2,Yo)=>{"use strict";Yo.exports=Math.min});var ea=p((x2,Xo)=>{"use strict";Xo.exports=Math.pow});var ra=p((S2,ta)=>{"use strict";ta.exports=Math.round});var ia=p((k2,na)=>{"use strict";na.exports=Number.isNaN||o(function(e){return e!==e},"isNaN")});var oa=p((A2,sa)=>{"use strict";var Hg=ia();sa.exports=o(function(e){return Hg(e)||e===0?e:e<0?-1:1},"sign")});var ua=p((C2,aa)=>{"use strict";aa.exports=Object.getOwnPropertyDescriptor});var it=p((_2,la)=>{"use strict";var Rr=ua();if(Rr)try{Rr([],"length")}catch{Rr=null}la.exports=Rr});var kt=p((O2,ca)=>{"use strict";var Mr=Object.defineProperty||!1;if(Mr)try{Mr({},"a",{value:1})}catch{Mr=!1}ca.exports=Mr});var pa=p((B2,fa)=>{"use strict";var ha=typeof Symbol<"u"&&Symbol,Kg=ni();fa.exports=o(function(){return typeof ha!="function"||typeof Symbol!="function"||typeof ha("foo")!="symbol"||typeof Symbol("bar")!="symbol"?!1:Kg()},"hasNativeSymbols")});var oi=p((F2,da)=>{"use strict";da.exports=typeof Reflect<"u"&&Reflect.getPrototypeOf||null});var ai=p((L2,ma)=>{"use strict";var Qg=ii();ma.exports=Qg.getPrototypeOf||null});var va=p((N2,ga)=>{"use strict";var Yg="Function.prototype.bind called on incompatible ",Zg=Object.prototype.toString,Xg=Math.max,ev="[object Function]",ya=o(function(e,t){for(var r=[],i=0;i<e.length;i+=1)r[i]=e[i];for(var s=0;s<t.length;s+=1)r[s+e.length]=t[s];return r},"concatty"),tv=o(function(e,t){for(var r=[],i=t||0,s=0;i<e.length;i+=1,s+=1)r[s]=e[i];return r},"slicy"),rv=o(function(n,e){for(var t="",r=0;r<n.length;r+=1)t+=n[r],r+1<n.length&&(t+=e);return t},"joiny");ga.exports=o(function(e){var t=this;if(typeof t!="function"||Zg.apply(t)!==ev)throw new TypeError(Yg+t);for(var r=tv(arguments,1),i,s=o(function(){if(this instanceof i){var c=t.apply(this,ya(r,arguments));return Object(c)===c?c:this}return t.apply(e,ya(r,arguments))},"binder"),a=Xg(0,t.length-r.length),u=[],l=0;l<a;l++)u[l]="$"+l;if(i=Function("binder","return function ("+rv(u,",")+"){ return binder.apply(this,arguments); }")(s),t.prototype){var h=o(function(){},"Empty");h.prototype=t.prototype,i.prototype=new h,h.prototype=null}return i},"bind")});var Et=p((T2,wa)=>{"use strict";var nv=va();wa.exports=Function.prototype.bind||nv});var Ur=p((R2,ba)=>{"use strict";ba.exports=Function.prototype.call});var jr=p((M2,xa)=>{"use strict";xa.exports=Function.prototype.apply});var ka=p((U2,Sa)=>{"use strict";Sa.exports=typeof Reflect<"u"&&Reflect&&Reflect.apply});var ui=p((j2,Ea)=>{"use strict";var iv=Et(),sv=jr(),ov=Ur(),av=ka();Ea.exports=av||iv.call(ov,sv)});var Dr=p((D2,Aa)=>{"use strict";var uv=Et(),lv=_e(),cv=Ur(),hv=ui();Aa.exports=o(function(e){if(e.length<1||typeof e[0]!="function")throw new lv("a function is required");return hv(uv,cv,e)},"callBindBasic")});var Ia=p((G2,Ba)=>{"use strict";var fv=Dr(),qa=it(),_a;try{_a=[].__proto__===Array.prototype}catch(n){if(!n||typeof n!="object"||!("code"in n)||n.code!=="ERR_PROTO_ACCESS")throw n}var li=!!_a&&qa&&qa(Object.prototype,"__proto__"),Oa=Object,Ca=Oa.getPrototypeOf;Ba.exports=li&&typeof li.get=="function"?fv([li.get]):typeof Ca=="function"?o(function(e){return Ca(e==null?e:Oa(e))},"getDunder"):!1});var $r=p((W2,Pa)=>{"use strict";var Fa=oi(),La=ai(),Na=Ia();Pa.exports=Fa?o(function(e){return Fa(e)},"getProto"):La?o(function(e){if(!e||typeof e!="object"&&typeof e!="function")throw new TypeError("getProto: not an object");return La(e)},"getProto"):Na?o(function(e){return Na(e)},"getProto"):null});var Ra=p((V2,Ta)=>{"use strict";var pv=async function(){}.constructor;Ta.exports=()=>pv});var ci=p((H2,Ma)=>{"use strict";var dv=function*(){}.constructor;Ma.exports=()=>dv});var ja=p((K2,Ua)=>{"use strict";var mv=async function*(){}.constructor;Ua.exports=()=>mv});var hi=p((Q2,Da)=>{"use strict";var yv=Function.prototype.call,gv=Object.prototype.hasOwnProperty,vv=Et();Da.exports=vv.call(yv,gv)});var ir=p((Y2,Ja)=>{"use strict";var F,wv=ii(),bv=No(),xv=To(),Sv=Mo(),kv=jo(),_t=si(),Ct=_e(),Ev=zo(),Av=Jo(),qv=Ho(),Cv=Qo(),_v=Zo(),Ov=ea(),Bv=ra(),Iv=oa(),tr=it(),Fv=kt(),fi=o(function(){throw new Ct},"throwTypeError"),Lv=tr?function(){try{return arguments.callee,fi}catch{try{return tr(arguments,"callee").get}catch{return fi}}}():fi,At=pa()(),ee=$r(),Nv=ai(),Pv=oi(),Wa=jr(),rr=Ur(),qt={},Tv=typeof Uint8Array>"u"||!ee?F:ee(Uint8Array),st={__proto__:null,"%AggregateError%":typeof AggregateError>"u"?F:AggregateError,"%Array%":Array,"%ArrayBuffer%":typeof ArrayBuffer>"u"?F:ArrayBuffer,"%ArrayIteratorPrototype%":At&&ee?ee([][Symbol.iterator]()):F,"%AsyncFromSyncIteratorPrototype%":F,"%AsyncFunction%":qt,"%AsyncGenerator%":qt,"%AsyncGeneratorFunction%":qt,"%AsyncIteratorPrototype%":qt,"%Atomics%":typeof Atomics>"u"?F:Atomics,"%BigInt%":typeof BigInt>"u"?F:BigInt,"%BigInt64Array%":typeof BigInt64Array>"u"?F:BigInt64Array,"%BigUint64Array%":typeof BigUint64Array>"u"?F:BigUint64Array,"%Boolean%":Boolean,"%DataView%":typeof DataView>"u"?F:DataView,"%Date%":Date,"%decodeURI%":decodeURI,"%decodeURIComponent%":decodeURIComponent,"%encodeURI%":encodeURI,"%encodeURIComponent%":encodeURIComponent,"%Error%":bv,"%eval%":eval,"%EvalError%":xv,"%Float16Array%":typeof Float16Array>"u"?F:Float16Array,"%Float32Array%":typeof Float32Array>"u"?F:Float32Array,"%Float64Array%":typeof Float64Array>"u"?F:Float64Array,"%FinalizationRegistry%":typeof FinalizationRegistry>"u"?F:FinalizationRegistry,"%Function%":Function,"%GeneratorFunction%":qt,"%Int8Array%":typeof Int8Array>"u"?F:Int8Array,"%Int16Array%":typeof Int16Array>"u"?F:Int16Array,"%Int32Array%":typeof Int32Array>"u"?F:Int32Array,"%isFinite%":isFinite,"%isNaN%":isNaN,"%IteratorPrototype%":At&&ee?ee(ee([][Symbol.iterator]())):F,"%JSON%":typeof JSON=="object"?JSON:F,"%Map%":typeof Map>"u"?F:Map,"%MapIteratorPrototype%":typeof Map>"u"||!At||!ee?F:ee(new Map()[Symbol.iterator]()),"%Math%":Math,"%Number%":Number,"%Object%":wv,"%Object.getOwnPropertyDescriptor%":tr,"%parseFloat%":parseFloat,"%parseInt%":parseInt,"%Promise%":typeof Promise>"u"?F:Promise,"%Proxy%":typeof Proxy>"u"?F:Proxy,"%RangeError%":Sv,"%ReferenceError%":kv,"%Reflect%":typeof Reflect>"u"?F:Reflect,"%RegExp%":RegExp,"%Set%":typeof Set>"u"?F:Set,"%SetIteratorPrototype%":typeof Set>"u"||!At||!ee?F:ee(new Set()[Symbol.iterator]()),"%SharedArrayBuffer%":typeof SharedArrayBuffer>"u"?F:SharedArrayBuffer,"%String%":String,"%StringIteratorPrototype%":At&&ee?ee(""[Symbol.iterator]()):F,"%Symbol%":At?Symbol:F,"%SyntaxError%":_t,"%ThrowTypeError%":Lv,"%TypedArray%":Tv,"%TypeError%":Ct,"%Uint8Array%":typeof Uint8Array>"u"?F:Uint8Array,"%Uint8ClampedArray%":typeof Uint8ClampedArray>"u"?F:Uint8ClampedArray,"%Uint16Array%":typeof Uint16Array>"u"?F:Uint16Array,"%Uint32Array%":typeof Uint32Array>"u"?F:Uint32Array,"%URIError%":Ev,"%WeakMap%":typeof WeakMap>"u"?F:WeakMap,"%WeakRef%":typeof WeakRef>"u"?F:WeakRef,"%WeakSet%":typeof WeakSet>"u"?F:WeakSet,"%Function.prototype.call%":rr,"%Function.prototype.apply%":Wa,"%Object.defineProperty%":Fv,"%Object.getPrototypeOf%":Nv,"%Math.abs%":Av,"%Math.floor%":qv,"%Math.max%":Cv,"%Math.min%":_v,"%Math.pow%":Ov,"%Math.round%":Bv,"%Math.sign%":Iv,"%Reflect.getPrototypeOf%":Pv};if(ee)try{null.error}catch(n){$a=ee(ee(n)),st["%Error.prototype%"]=$a}var $a,Rv=Ra(),Mv=ci(),Uv=ja(),jv=o(function n(e){var t;if(e==="%AsyncFunction%")t=Rv()||void 0;else if(e==="%GeneratorFunction%")t=Mv()||void 0;else if(e==="%AsyncGeneratorFunction%")t=Uv()||void 0;else if(e==="%AsyncGenerator%"){var r=n("%AsyncGeneratorFunction%");r&&(t=r.prototype)}else if(e==="%AsyncIteratorPrototype%"){var i=n("%AsyncGenerator%");i&&ee&&(t=ee(i.prototype))}return st[e]=t,t},"doEval"),Ga={__proto__:null,"%ArrayBufferPrototype%":["ArrayBuffer","prototype"],"%ArrayPrototype%":["Array","prototype"],"%ArrayProto_entries%":["Array","prototype","entries"],"%ArrayProto_forEach%":["Array","prototype","forEach"],"%ArrayProto_keys%":["Array","prototype","keys"],"%ArrayProto_values%":["Array","prototype","values"],"%AsyncFunctionPrototype%":["AsyncFunction","prototype"],"%AsyncGenerator%":["AsyncGeneratorFunction","prototype"],"%AsyncGeneratorPrototype%":["AsyncGeneratorFunction","prototype","prototype"],"%BooleanPrototype%":["Boolean","prototype"],"%DataViewPrototype%":["DataView","prototype"],"%DatePrototype%":["Date","prototype"],"%ErrorPrototype%":["Error","prototype"],"%EvalErrorPrototype%":["EvalError","prototype"],"%Float32ArrayPrototype%":["Float32Array","prototype"],"%Float64ArrayPrototype%":["Float64Array","prototype"],"%FunctionPrototype%":["Function","prototype"],"%Generator%":["GeneratorFunction","prototype"],"%GeneratorPrototype%":["GeneratorFunction","prototype","prototype"],"%Int8ArrayPrototype%":["Int8Array","prototype"],"%Int16ArrayPrototype%":["Int16Array","prototype"],"%Int32ArrayPrototype%":["Int32Array","prototype"],"%JSONParse%":["JSON","parse"],"%JSONStringify%":["JSON","stringify"],"%MapPrototype%":["Map","prototype"],"%NumberPrototype%":["Number","prototype"],"%ObjectPrototype%":["Object","prototype"],"%ObjProto_toString%":["Object","prototype","toString"],"%ObjProto_valueOf%":["Object","prototype","valueOf"],"%PromisePrototype%":["Promise","prototype"],"%PromiseProto_then%":["Promise","prototype","then"],"%Promise_all%":["Promise","all"],"%Promise_reject%":["Promise","reject"],"%Promise_resolve%":["Promise","resolve"],"%RangeErrorPrototype%":["RangeError","prototype"],"%ReferenceErrorPrototype%":["ReferenceError","prototype"],"%RegExpPrototype%":["RegExp","prototype"],"%SetPrototype%":["Set","prototype"],"%SharedArrayBufferPrototype%":["SharedArrayBuffer","prototype"],"%StringPrototype%":["String","prototype"],"%SymbolPrototype%":["Symbol","prototype"],"%SyntaxErrorPrototype%":["SyntaxError","prototype"],"%TypedArrayPrototype%":["TypedArray","prototype"],"%TypeErrorPrototype%":["TypeError","prototype"],"%Uint8ArrayPrototype%":["Uint8Array","prototype"],"%Uint8ClampedArrayPrototype%":["Uint8ClampedArray","prototype"],"%Uint16ArrayPrototype%":["Uint16Array","prototype"],"%Uint32ArrayPrototype%":["Uint32Array","prototype"],"%URIErrorPrototype%":["URIError","prototype"],"%WeakMapPrototype%":["WeakMap","prototype"],"%WeakSetPrototype%":["WeakSet","prototype"]},nr=Et(),Gr=hi(),Dv=nr.call(rr,Array.prototype.concat),$v=nr.call(Wa,Array.prototype.splice),za=nr.call(rr,String.prototype.replace),zr=nr.call(rr,String.prototype.slice),Gv=nr.call(rr,RegExp.prototype.exec),zv=/[^%.[\]]+|\[(?:(-?\d+(?:\.\d+)?)|(["'])((?:(?!\2)[^\\]|\\.)*?)\2)\]|(?=(?:\.|\[\])(?:\.|\[\]|%$))/g,Wv=/\\(\\)?/g,Jv=o(function(e){var t=zr(e,0,1),r=zr(e,-1);if(t==="%"&&r!=="%")throw new _t("invalid intrinsic syntax, expected closing `%`");if(r==="%"&&t!=="%")throw new _t("invalid intrinsic syntax, expected opening `%`");var i=[];return za(e,zv,function(s,a,u,l){i[i.length]=u?za(l,Wv,"$1"):a||s}),i},"stringToPath"),Vv=o(function(e,t){var r=e,i;if(Gr(Ga,r)&&(i=Ga[r],r="%"+i[0]+"%"),Gr(st,r)){var s=st[r];if(s===qt&&(s=jv(r)),typeof s>"u"&&!t)throw new Ct("intrinsic "+e+" exists, but is not available. Please file an issue!");return{alias:i,name:r,value:s}}throw new _t("intrinsic "+e+" does not exist!")},"getBaseIntrinsic");Ja.exports=o(function(e,t){if(typeof e!="string"||e.length===0)throw new Ct("intrinsic name must be a non-empty string");if(arguments.length>1&&typeof t!="boolean")throw new Ct('"allowMissing" argument must be a boolean');if(Gv(/^%?[^%]*%?$/,e)===null)throw new _t("`%` may not be present anywhere but at the beginning and end of the intrinsic name");var r=Jv(e),i=r.length>0?r[0]:"",s=Vv("%"+i+"%",t),a=s.name,u=s.value,l=!1,h=s.alias;h&&(i=h[0],$v(r,Dv([0,1],h)));for(var c=1,f=!0;c<r.length;c+=1){var d=r[c],m=zr(d,0,1),g=zr(d,-1);if((m==='"'||m==="'"||m==="`"||g==='"'||g==="'"||g==="`")&&m!==g)throw new _t("property names with quotes must have matching quotes");if((d==="constructor"||!f)&&(l=!0),i+="."+d,a="%"+i+"%",Gr(st,a))u=st[a];else if(u!=null){if(!(d in u)){if(!t)throw new Ct("base intrinsic for "+e+" exists, but the property is not available.");return}if(tr&&c+1>=r.length){var w=tr(u,d);f=!!w,f&&"get"in w&&!("originalValue"in w.get)?u=w.get:u=u[d]}else f=Gr(u,d),u=u[d];f&&!l&&(st[a]=u)}}return u},"GetIntrinsic")});var We=p((X2,Ka)=>{"use strict";var Va=ir(),Ha=Dr(),Hv=Ha([Va("%String.prototype.indexOf%")]);Ka.exports=o(function(e,t){var r=Va(e,!!t);return typeof r=="function"&&Hv(e,".prototype.")>-1?Ha([r]):r},"callBoundIntrinsic")});var Za=p((tA,Ya)=>{"use strict";var Kv=er()(),Qv=We(),pi=Qv("Object.prototype.toString"),Wr=o(function(e){return Kv&&e&&typeof e=="object"&&Symbol.toStringTag in e?!1:pi(e)==="[object Arguments]"},"isArguments"),Qa=o(function(e){return Wr(e)?!0:e!==null&&typeof e=="object"&&"length"in e&&typeof e.length=="number"&&e.length>=0&&pi(e)!=="[object Array]"&&"callee"in e&&pi(e.callee)==="[object Function]"},"isArguments"),Yv=function(){return Wr(arguments)}();Wr.isLegacyArguments=Qa;Ya.exports=Yv?Wr:Qa});var iu=p((nA,nu)=>{"use strict";var Xa=We(),Zv=er()(),Xv=hi(),e0=it(),yi;Zv?(eu=Xa("RegExp.prototype.exec"),di={},Jr=o(function(){throw di},"throwRegexMarker"),mi={toString:Jr,valueOf:Jr},typeof Symbol.toPrimitive=="symbol"&&(mi[Symbol.toPrimitive]=Jr),yi=o(function(e){if(!e||typeof e!="object")return!1;var t=e0(e,"lastIndex"),r=t&&Xv(t,"value");if(!r)return!1;try{eu(e,mi)}catch(i){return i===di}},"isRegex")):(tu=Xa("Object.prototype.toString"),ru="[object RegExp]",yi=o(function(e){return!e||typeof e!="object"&&typeof e!="function"?!1:tu(e)===ru},"isRegex"));var eu,di,Jr,mi,tu,ru;nu.exports=yi});var ou=p((sA,su)=>{"use strict";var t0=We(),r0=iu(),n0=t0("RegExp.prototype.exec"),i0=_e();su.exports=o(function(e){if(!r0(e))throw new i0("`regex` must be a RegExp");return o(function(r){return n0(e,r)!==null},"test")},"regexTester")});var cu=p((aA,lu)=>{"use strict";var uu=We(),s0=ou(),o0=s0(/^\s*(?:function)?\*/),a0=er()(),au=$r(),u0=uu("Object.prototype.toString"),l0=uu("Function.prototype.toString"),c0=ci();lu.exports=o(function(e){if(typeof e!="function")return!1;if(o0(l0(e)))return!0;if(!a0){var t=u0(e);return t==="[object GeneratorFunction]"}if(!au)return!1;var r=c0();return r&&au(e)===r.prototype},"isGeneratorFunction")});var du=p((lA,pu)=>{"use strict";var fu=Function.prototype.toString,Ot=typeof Reflect=="object"&&Reflect!==null&&Reflect.apply,vi,Vr;if(typeof Ot=="function"&&typeof Object.defineProperty=="function")try{vi=Object.defineProperty({},"length",{get:o(function(){throw Vr},"get")}),Vr={},Ot(function(){throw 42},null,vi)}catch(n){n!==Vr&&(Ot=null)}else Ot=null;var h0=/^\s*class\b/,wi=o(function(e){try{var t=fu.call(e);return h0.test(t)}catch{return!1}},"isES6ClassFunction"),gi=o(function(e){try{return wi(e)?!1:(fu.call(e),!0)}catch{return!1}},"tryFunctionToStr"),Hr=Object.prototype.toString,f0="[object Object]",p0="[object Function]",d0="[object GeneratorFunction]",m0="[object HTMLAllCollection]",y0="[object HTML document.all class]",g0="[object HTMLCollection]",v0=typeof Symbol=="function"&&!!Symbol.toStringTag,w0=!(0 in[,]),bi=o(function(){return!1},"isDocumentDotAll");typeof document=="object"&&(hu=document.all,Hr.call(hu)===Hr.call(document.all)&&(bi=o(function(e){if((w0||!e)&&(typeof e>"u"||typeof e=="object"))try{var t=Hr.call(e);return(t===m0||t===y0||t===g0||t===f0)&&e("")==null}catch{}return!1},"isDocumentDotAll")));var hu;pu.exports=o(Ot?function(e){if(bi(e))return!0;if(!e||typeof e!="function"&&typeof e!="object")return!1;try{Ot(e,null,vi)}catch(t){if(t!==Vr)return!1}return!wi(e)&&gi(e)}:function(e){if(bi(e))return!0;if(!e||typeof e!="function"&&typeof e!="object")return!1;if(v0)return gi(e);if(wi(e))return!1;var t=Hr.call(e);return t!==p0&&t!==d0&&!/^\[object HTML/.test(t)?!1:gi(e)},"isCallable")});var gu=p((hA,yu)=>{"use strict";var b0=du(),x0=Object.prototype.toString,mu=Object.prototype.hasOwnProperty,S0=o(function(e,t,r){for(var i=0,s=e.length;i<s;i++)mu.call(e,i)&&(r==null?t(e[i],i,e):t.call(r,e[i],i,e))},"forEachArray"),k0=o(function(e,t,r){for(var i=0,s=e.length;i<s;i++)r==null?t(e.charAt(i),i,e):t.call(r,e.charAt(i),i,e)},"forEachString"),E0=o(function(e,t,r){for(var i in e)mu.call(e,i)&&(r==null?t(e[i],i,e):t.call(r,e[i],i,e))},"forEachObject");function A0(n){return x0.call(n)==="[object Array]"}o(A0,"isArray");yu.exports=o(function(e,t,r){if(!b0(t))throw new TypeError("iterator must be a function");var i;arguments.length>=3&&(i=r),A0(e)?S0(e,t,i):typeof e=="string"?k0(e,t,i):E0(e,t,i)},"forEach")});var wu=p((pA,vu)=>{"use strict";vu.exports=["Float16Array","Float32Array","Float64Array","Int8Array","Int16Array","Int32Array","Uint8Array","Uint8ClampedArray","Uint16Array","Uint32Array","BigInt64Array","BigUint64Array"]});var xu=p((dA,bu)=>{"use strict";var xi=wu(),q0=typeof globalThis>"u"?global:globalThis;bu.exports=o(function(){for(var e=[],t=0;t<xi.length;t++)typeof q0[xi[t]]=="function"&&(e[e.length]=xi[t]);return e},"availableTypedArrays")});var Au=p((yA,Eu)=>{"use strict";var Su=kt(),C0=si(),Bt=_e(),ku=it();Eu.exports=o(function(e,t,r){if(!e||typeof e!="object"&&typeof e!="function")throw new Bt("`obj` must be an object or a function`");if(typeof t!="string"&&typeof t!="symbol")throw new Bt("`property` must be a string or a symbol`");if(arguments.length>3&&typeof arguments[3]!="boolean"&&arguments[3]!==null)throw new Bt("`nonEnumerable`, if provided, must be a boolean or null");if(arguments.length>4&&typeof arguments[4]!="boolean"&&arguments[4]!==null)throw new Bt("`nonWritable`, if provided, must be a boolean or null");if(arguments.length>5&&typeof arguments[5]!="boolean"&&arguments[5]!==null)throw new Bt("`nonConfigurable`, if provided, must be a boolean or null");if(arguments.length>6&&typeof arguments[6]!="boolean")throw new Bt("`loose`, if provided, must be a boolean");var i=arguments.length>3?arguments[3]:null,s=arguments.length>4?arguments[4]:null,a=arguments.length>5?arguments[5]:null,u=arguments.length>6?arguments[6]:!1,l=!!ku&&ku(e,t);if(Su)Su(e,t,{configurable:a===null&&l?l.configurable:!a,enumerable:i===null&&l?l.enumerable:!i,value:r,writable:s===null&&l?l.writable:!s});else if(u||!i&&!s&&!a)e[t]=r;else throw new C0("This environment does not support defining a property as non-configurable, non-writable, or non-enumerable.")},"defineDataProperty")});var _u=p((vA,Cu)=>{"use strict";var Si=kt(),qu=o(function(){return!!Si},"hasPropertyDescriptors");qu.hasArrayLengthDefineBug=o(function(){if(!Si)return null;try{return Si([],"length",{value:1}).length!==1}catch{return!0}},"hasArrayLengthDefineBug");Cu.exports=qu});var Lu=p((bA,Fu)=>{"use strict";var _0=ir(),Ou=Au(),O0=_u()(),Bu=it(),Iu=_e(),B0=_0("%Math.floor%");Fu.exports=o(function(e,t){if(typeof e!="function")throw new Iu("`fn` is not a function");if(typeof t!="number"||t<0||t>4294967295||B0(t)!==t)throw new Iu("`length` must be a positive 32-bit integer");var r=arguments.length>2&&!!arguments[2],i=!0,s=!0;if("length"in e&&Bu){var a=Bu(e,"length");a&&!a.configurable&&(i=!1),a&&!a.writable&&(s=!1)}return(i||s||!r)&&(O0?Ou(e,"length",t,!0,!0):Ou(e,"length",t)),e},"setFunctionLength")});var Pu=p((SA,Nu)=>{"use strict";var I0=Et(),F0=jr(),L0=ui();Nu.exports=o(function(){return L0(I0,F0,arguments)},"applyBind")});var Mu=p((EA,Kr)=>{"use strict";var N0=Lu(),Tu=kt(),P0=Dr(),Ru=Pu();Kr.exports=o(function(e){var t=P0(arguments),r=1+e.length-(arguments.length-1);return N0(t,r>0?r:0,!0)},"callBind");Tu?Tu(Kr.exports,"apply",{value:Ru}):Kr.exports.apply=Ru});var qi=p((qA,$u)=>{"use strict";var Zr=gu(),T0=xu(),Uu=Mu(),Ei=We(),Yr=it(),Qr=$r(),R0=Ei("Object.prototype.toString"),Du=er()(),ju=typeof globalThis>"u"?global:globalThis,ki=T0(),Ai=Ei("String.prototype.slice"),M0=Ei("Array.prototype.indexOf",!0)||o(function(e,t){for(var r=0;r<e.length;r+=1)if(e[r]===t)return r;return-1},"indexOf"),Xr={__proto__:null};Du&&Yr&&Qr?Zr(ki,function(n){var e=new ju[n];if(Symbol.toStringTag in e&&Qr){var t=Qr(e),r=Yr(t,Symbol.toStringTag);if(!r&&t){var i=Qr(t);r=Yr(i,Symbol.toStringTag)}if(r&&r.get){var s=Uu(r.get);Xr["$"+n]=s}}}):Zr(ki,function(n){var e=new ju[n],t=e.slice||e.set;if(t){var r=Uu(t);Xr["$"+n]=r}});function U0(n){var e=!1;return Zr(Xr,function(t,r){if(!e)try{"$"+t(n)===r&&(e=Ai(r,1))}catch{}}),e}o(U0,"tryTypedArrays");function j0(n){var e=!1;return Zr(Xr,function(t,r){if(!e)try{t(n),e=Ai(r,1)}catch{}}),e}o(j0,"trySlices");function D0(n){return M0(ki,n)>-1}o(D0,"isTATag");function $0(n){if(!n||typeof n!="object")return!1;if(!Du){var e=Ai(R0(n),8,-1);return D0(e)?e:e!=="Object"?!1:j0(n)}return Yr?U0(n):null}o($0,"whichTypedArray");$u.exports=$0});var zu=p((_A,Gu)=>{"use strict";var G0=qi();Gu.exports=o(function(e){return!!G0(e)},"isTypedArray")});var il=p(P=>{"use strict";var z0=Za(),W0=cu(),qe=qi(),Wu=zu();function It(n){return n.call.bind(n)}o(It,"uncurryThis");var Ju=typeof BigInt<"u",Vu=typeof Symbol<"u",ve=It(Object.prototype.toString),J0=It(Number.prototype.valueOf),V0=It(String.prototype.valueOf),H0=It(Boolean.prototype.valueOf);Ju&&(Hu=It(BigInt.prototype.valueOf));var Hu;Vu&&(Ku=It(Symbol.prototype.valueOf));var Ku;function or(n,e){if(typeof n!="object")return!1;try{return e(n),!0}catch{return!1}}o(or,"checkBoxedPrimitive");P.isArgumentsObject=z0;P.isGeneratorFunction=W0;P.isTypedArray=Wu;function K0(n){return typeof Promise<"u"&&n instanceof Promise||n!==null&&typeof n=="object"&&typeof n.then=="function"&&typeof n.catch=="function"}o(K0,"isPromise");P.isPromise=K0;function Q0(n){return typeof ArrayBuffer<"u"&&ArrayBuffer.isView?ArrayBuffer.isView(n):Wu(n)||Yu(n)}o(Q0,"isArrayBufferView");P.isArrayBufferView=Q0;function Y0(n){return qe(n)==="Uint8Array"}o(Y0,"isUint8Array");P.isUint8Array=Y0;function Z0(n){return qe(n)==="Uint8ClampedArray"}o(Z0,"isUint8ClampedArray");P.isUint8ClampedArray=Z0;function X0(n){return qe(n)==="Uint16Array"}o(X0,"isUint16Array");P.isUint16Array=X0;function ew(n){return qe(n)==="Uint32Array"}o(ew,"isUint32Array");P.isUint32Array=ew;function tw(n){return qe(n)==="Int8Array"}o(tw,"isInt8Array");P.isInt8Array=tw;function rw(n){return qe(n)==="Int16Array"}o(rw,"isInt16Array");P.isInt16Array=rw;function nw(n){return qe(n)==="Int32Array"}o(nw,"isInt32Array");P.isInt32Array=nw;function iw(n){return qe(n)==="Float32Array"}o(iw,"isFloat32Array");P.isFloat32Array=iw;function sw(n){return qe(n)==="Float64Array"}o(sw,"isFloat64Array");P.isFloat64Array=sw;function ow(n){return qe(n)==="BigInt64Array"}o(ow,"isBigInt64Array");P.isBigInt64Array=ow;function aw(n){return qe(n)==="BigUint64Array"}o(aw,"isBigUint64Array");P.isBigUint64Array=aw;function en(n){return ve(n)==="[object Map]"}o(en,"isMapToString");en.working=typeof Map<"u"&&en(new Map);function uw(n){return typeof Map>"u"?!1:en.working?en(n):n instanceof Map}o(uw,"isMap");P.isMap=uw;function tn(n){return ve(n)==="[object Set]"}o(tn,"isSetToString");tn.working=typeof Set<"u"&&tn(new Set);function lw(n){return typeof Set>"u"?!1:tn.working?tn(n):n instanceof Set}o(lw,"isSet");P.isSet=lw;function rn(n){return ve(n)==="[object WeakMap]"}o(rn,"isWeakMapToString");rn.working=typeof WeakMap<"u"&&rn(new WeakMap);function cw(n){return typeof WeakMap>"u"?!1:rn.working?rn(n):n instanceof WeakMap}o(cw,"isWeakMap");P.isWeakMap=cw;function _i(n){return ve(n)==="[object WeakSet]"}o(_i,"isWeakSetToString");_i.working=typeof WeakSet<"u"&&_i(new WeakSet);function hw(n){return _i(n)}o(hw,"isWeakSet");P.isWeakSet=hw;function nn(n){return ve(n)==="[object ArrayBuffer]"}o(nn,"isArrayBufferToString");nn.working=typeof ArrayBuffer<"u"&&nn(new ArrayBuffer);function Qu(n){return typeof ArrayBuffer>"u"?!1:nn.working?nn(n):n instanceof ArrayBuffer}o(Qu,"isArrayBuffer");P.isArrayBuffer=Qu;function sn(n){return ve(n)==="[object DataView]"}o(sn,"isDataViewToString");sn.working=typeof ArrayBuffer<"u"&&typeof DataView<"u"&&sn(new DataView(new ArrayBuffer(1),0,1));function Yu(n){return typeof DataView>"u"?!1:sn.working?sn(n):n instanceof DataView}o(Yu,"isDataView");P.isDataView=Yu;var Ci=typeof SharedArrayBuffer<"u"?SharedArrayBuffer:void 0;function sr(n){return ve(n)==="[object SharedArrayBuffer]"}o(sr,"isSharedArrayBufferToString");function Zu(n){return typeof Ci>"u"?!1:(typeof sr.working>"u"&&(sr.working=sr(new Ci)),sr.working?sr(n):n instanceof Ci)}o(Zu,"isSharedArrayBuffer");P.isSharedArrayBuffer=Zu;function fw(n){return ve(n)==="[object AsyncFunction]"}o(fw,"isAsyncFunction");P.isAsyncFunction=fw;function pw(n){return ve(n)==="[object Map Iterator]"}o(pw,"isMapIterator");P.isMapIterator=pw;function dw(n){return ve(n)==="[object Set Iterator]"}o(dw,"isSetIterator");P.isSetIterator=dw;function mw(n){return ve(n)==="[object Generator]"}o(mw,"isGeneratorObject");P.isGeneratorObject=mw;function yw(n){return ve(n)==="[object WebAssembly.Module]"}o(yw,"isWebAssemblyCompiledModule");P.isWebAssemblyCompiledModule=yw;function Xu(n){return or(n,J0)}o(Xu,"isNumberObject");P.isNumberObject=Xu;function el(n){return or(n,V0)}o(el,"isStringObject");P.isStringObject=el;function tl(n){return or(n,H0)}o(tl,"isBooleanObject");P.isBooleanObject=tl;function rl(n){return Ju&&or(n,Hu)}o(rl,"isBigIntObject");P.isBigIntObject=rl;function nl(n){return Vu&&or(n,Ku)}o(nl,"isSymbolObject");P.isSymbolObject=nl;function gw(n){return Xu(n)||el(n)||tl(n)||rl(n)||nl(n)}o(gw,"isBoxedPrimitive");P.isBoxedPrimitive=gw;function vw(n){return typeof Uint8Array<"u"&&(Qu(n)||Zu(n))}o(vw,"isAnyArrayBuffer");P.isAnyArrayBuffer=vw;["isProxy","isExternal","isModuleNamespaceObject"].forEach(function(n){Object.defineProperty(P,n,{enumerable:!1,value:o(function(){throw new Error(n+" is not supported in userland")},"value")})})});var ol=p((FA,sl)=>{sl.exports=o(function(e){return e&&typeof e=="object"&&typeof e.copy=="function"&&typeof e.fill=="function"&&typeof e.readUInt8=="function"},"isBuffer")});var al=p((NA,Oi)=>{typeof Object.create=="function"?Oi.exports=o(function(e,t){t&&(e.super_=t,e.prototype=Object.create(t.prototype,{constructor:{value:e,enumerable:!1,writable:!0,configurable:!0}}))},"inherits"):Oi.exports=o(function(e,t){if(t){e.super_=t;var r=o(function(){},"TempCtor");r.prototype=t.prototype,e.prototype=new r,e.prototype.constructor=e}},"inherits")});var fl=p(T=>{var ul=Object.getOwnPropertyDescriptors||o(function(e){for(var t=Object.keys(e),r={},i=0;i<t.length;i++)r[t[i]]=Object.getOwnPropertyDescriptor(e,t[i]);return r},"getOwnPropertyDescriptors"),ww=/%[sdj%]/g;T.format=function(n){if(!hn(n)){for(var e=[],t=0;t<arguments.length;t++)e.push(Je(arguments[t]));return e.join(" ")}for(var t=1,r=arguments,i=r.length,s=String(n).replace(ww,function(u){if(u==="%%")return"%";if(t>=i)return u;switch(u){case"%s":return String(r[t++]);case"%d":return Number(r[t++]);case"%j":try{return JSON.stringify(r[t++])}catch{return"[Circular]"}default:return u}}),a=r[t];t<i;a=r[++t])cn(a)||!Ft(a)?s+=" "+a:s+=" "+Je(a);return s};T.deprecate=function(n,e){if(typeof process<"u"&&process.noDeprecation===!0)return n;if(typeof process>"u")return function(){return T.deprecate(n,e).apply(this,arguments)};var t=!1;function r(){if(!t){if(process.throwDeprecation)throw new Error(e);process.traceDeprecation?console.trace(e):console.error(e),t=!0}return n.apply(this,arguments)}return o(r,"deprecated"),r};var on={},bw=/^$/;T.debuglog=function(n){if(n=n.toUpperCase(),!on[n])if(bw.test(n)){var e=process.pid;on[n]=function(){var t=T.format.apply(T,arguments);console.error("%s %d: %s",n,e,t)}}else on[n]=function(){};return on[n]};function Je(n,e){var t={seen:[],stylize:Sw};return arguments.length>=3&&(t.depth=arguments[2]),arguments.length>=4&&(t.colors=arguments[3]),Li(e)?t.showHidden=e:e&&T._extend(t,e),at(t.showHidden)&&(t.showHidden=!1),at(t.depth)&&(t.depth=2),at(t.colors)&&(t.colors=!1),at(t.customInspect)&&(t.customInspect=!0),t.colors&&(t.stylize=xw),un(t,n,t.depth)}o(Je,"inspect");T.inspect=Je;Je.colors={bold:[1,22],italic:[3,23],underline:[4,24],inverse:[7,27],white:[37,39],grey:[90,39],black:[30,39],blue:[34,39],cyan:[36,39],green:[32,39],magenta:[35,39],red:[31,39],yellow:[33,39]};Je.styles={special:"cyan",number:"yellow",boolean:"yellow",undefined:"grey",null:"bold",string:"green",date:"magenta",regexp:"red"};function xw(n,e){var t=Je.styles[e];return t?"\x1B["+Je.colors[t][0]+"m"+n+"\x1B["+Je.colors[t][1]+"m":n}o(xw,"stylizeWithColor");function Sw(n,e){return n}o(Sw,"stylizeNoColor");function kw(n){var e={};return n.forEach(function(t,r){e[t]=!0}),e}o(kw,"arrayToHash");function un(n,e,t){if(n.customInspect&&e&&an(e.inspect)&&e.inspect!==T.inspect&&!(e.constructor&&e.constructor.prototype===e)){var r=e.inspect(t,n);return hn(r)||(r=un(n,r,t)),r}var i=Ew(n,e);if(i)return i;var s=Object.keys(e),a=kw(s);if(n.showHidden&&(s=Object.getOwnPropertyNames(e)),ur(e)&&(s.indexOf("message")>=0||s.indexOf("description")>=0))return Bi(e);if(s.length===0){if(an(e)){var u=e.name?": "+e.name:"";return n.stylize("[Function"+u+"]","special")}if(ar(e))return n.stylize(RegExp.prototype.toString.call(e),"regexp");if(ln(e))return n.stylize(Date.prototype.toString.call(e),"date");if(ur(e))return Bi(e)}var l="",h=!1,c=["{","}"];if(ll(e)&&(h=!0,c=["[","]"]),an(e)){var f=e.name?": "+e.name:"";l=" [Function"+f+"]"}if(ar(e)&&(l=" "+RegExp.prototype.toString.call(e)),ln(e)&&(l=" "+Date.prototype.toUTCString.call(e)),ur(e)&&(l=" "+Bi(e)),s.length===0&&(!h||e.length==0))return c[0]+l+c[1];if(t<0)return ar(e)?n.stylize(RegExp.prototype.toString.call(e),"regexp"):n.stylize("[Object]","special");n.seen.push(e);var d;return h?d=Aw(n,e,t,a,s):d=s.map(function(m){return Fi(n,e,t,a,m,h)}),n.seen.pop(),qw(d,l,c)}o(un,"formatValue");function Ew(n,e){if(at(e))return n.stylize("undefined","undefined");if(hn(e)){var t="'"+JSON.stringify(e).replace(/^"|"$/g,"").replace(/'/g,"\\'").replace(/\\"/g,'"')+"'";return n.stylize(t,"string")}if(cl(e))return n.stylize(""+e,"number");if(Li(e))return n.stylize(""+e,"boolean");if(cn(e))return n.stylize("null","null")}o(Ew,"formatPrimitive");function Bi(n){return"["+Error.prototype.toString.call(n)+"]"}o(Bi,"formatError");function Aw(n,e,t,r,i){for(var s=[],a=0,u=e.length;a<u;++a)hl(e,String(a))?s.push(Fi(n,e,t,r,String(a),!0)):s.push("");return i.forEach(function(l){l.match(/^\d+$/)||s.push(Fi(n,e,t,r,l,!0))}),s}o(Aw,"formatArray");function Fi(n,e,t,r,i,s){var a,u,l;if(l=Object.getOwnPropertyDescriptor(e,i)||{value:e[i]},l.get?l.set?u=n.stylize("[Getter/Setter]","special"):u=n.stylize("[Getter]","special"):l.set&&(u=n.stylize("[Setter]","special")),hl(r,i)||(a="["+i+"]"),u||(n.seen.indexOf(l.value)<0?(cn(t)?u=un(n,l.value,null):u=un(n,l.value,t-1),u.indexOf(`
+`)>-1&&(s?u=u.split(`
+`).map(function(h){return"  "+h}).join(`
+`).slice(2):u=`
+`+u.split(`
+`).map(function(h){return"   "+h}).join(`
+`))):u=n.stylize("[Circular]","special")),at(a)){if(s&&i.match(/^\d+$/))return u;a=JSON.stringify(""+i),a.match(/^"([a-zA-Z_][a-zA-Z_0-9]*)"$/)?(a=a.slice(1,-1),a=n.stylize(a,"name")):(a=a.replace(/'/g,"\\'").replace(/\\"/g,'"').replace(/(^"|"$)/g,"'"),a=n.stylize(a,"string"))}return a+": "+u}o(Fi,"formatProperty");function qw(n,e,t){var r=0,i=n.reduce(function(s,a){return r++,a.indexOf(`
+`)>=0&&r++,s+a.replace(/\u001b\[\d\d?m/g,"").length+1},0);return i>60?t[0]+(e===""?"":e+`
+ `)+" "+n.join(`,
+  `)+" "+t[1]:t[0]+e+" "+n.join(", ")+" "+t[1]}o(qw,"reduceToSingleString");T.types=il();function ll(n){return Array.isArray(n)}o(ll,"isArray");T.isArray=ll;function Li(n){return typeof n=="boolean"}o(Li,"isBoolean");T.isBoolean=Li;function cn(n){return n===null}o(cn,"isNull");T.isNull=cn;function Cw(n){return n==null}o(Cw,"isNullOrUndefined");T.isNullOrUndefined=Cw;function cl(n){return typeof n=="number"}o(cl,"isNumber");T.isNumber=cl;function hn(n){return typeof n=="string"}o(hn,"isString");T.isString=hn;function _w(n){return typeof n=="symbol"}o(_w,"isSymbol");T.isSymbol=_w;function at(n){return n===void 0}o(at,"isUndefined");T.isUndefined=at;function ar(n){return Ft(n)&&Ni(n)==="[object RegExp]"}o(ar,"isRegExp");T.isRegExp=ar;T.types.isRegExp=ar;function Ft(n){return typeof n=="object"&&n!==null}o(Ft,"isObject");T.isObject=Ft;function ln(n){return Ft(n)&&Ni(n)==="[object Date]"}o(ln,"isDate");T.isDate=ln;T.types.isDate=ln;function ur(n){return Ft(n)&&(Ni(n)==="[object Error]"||n instanceof Error)}o(ur,"isError");T.isError=ur;T.types.isNativeError=ur;function an(n){return typeof n=="function"}o(an,"isFunction");T.isFunction=an;function Ow(n){return n===null||typeof n=="boolean"||typeof n=="number"||typeof n=="string"||typeof n=="symbol"||typeof n>"u"}o(Ow,"isPrimitive");T.isPrimitive=Ow;T.isBuffer=ol();function Ni(n){return Object.prototype.toString.call(n)}o(Ni,"objectToString");function Ii(n){return n<10?"0"+n.toString(10):n.toString(10)}o(Ii,"pad");var Bw=["Jan","Feb","Mar","Apr","May","Jun","Jul","Aug","Sep","Oct","Nov","Dec"];function Iw(){var n=new Date,e=[Ii(n.getHours()),Ii(n.getMinutes()),Ii(n.getSeconds())].join(":");return[n.getDate(),Bw[n.getMonth()],e].join(" ")}o(Iw,"timestamp");T.log=function(){console.log("%s - %s",Iw(),T.format.apply(T,arguments))};T.inherits=al();T._extend=function(n,e){if(!e||!Ft(e))return n;for(var t=Object.keys(e),r=t.length;r--;)n[t[r]]=e[t[r]];return n};function hl(n,e){return Object.prototype.hasOwnProperty.call(n,e)}o(hl,"hasOwnProperty");var ot=typeof Symbol<"u"?Symbol("util.promisify.custom"):void 0;T.promisify=o(function(e){if(typeof e!="function")throw new TypeError('The "original" argument must be of type Function');if(ot&&e[ot]){var t=e[ot];if(typeof t!="function")throw new TypeError('The "util.promisify.custom" argument must be of type Function');return Object.defineProperty(t,ot,{value:t,enumerable:!1,writable:!1,configurable:!0}),t}function t(){for(var r,i,s=new Promise(function(l,h){r=l,i=h}),a=[],u=0;u<arguments.length;u++)a.push(arguments[u]);a.push(function(l,h){l?i(l):r(h)});try{e.apply(this,a)}catch(l){i(l)}return s}return o(t,"fn"),Object.setPrototypeOf(t,Object.getPrototypeOf(e)),ot&&Object.defineProperty(t,ot,{value:t,enumerable:!1,writable:!1,configurable:!0}),Object.defineProperties(t,ul(e))},"promisify");T.promisify.custom=ot;function Fw(n,e){if(!n){var t=new Error("Promise was rejected with a falsy value");t.reason=n,n=t}return e(n)}o(Fw,"callbackifyOnRejected");function Lw(n){if(typeof n!="function")throw new TypeError('The "original" argument must be of type Function');function e(){for(var t=[],r=0;r<arguments.length;r++)t.push(arguments[r]);var i=t.pop();if(typeof i!="function")throw new TypeError("The last argument must be of type Function");var s=this,a=o(function(){return i.apply(s,arguments)},"cb");n.apply(this,t).then(function(u){process.nextTick(a.bind(null,null,u))},function(u){process.nextTick(Fw.bind(null,u,a))})}return o(e,"callbackified"),Object.setPrototypeOf(e,Object.getPrototypeOf(n)),Object.defineProperties(e,ul(n)),e}o(Lw,"callbackify");T.callbackify=Lw});var Pi=p((pl,dl)=>{var Nw=fl().inspect;pl=dl.exports=class{static{o(this,"Token")}constructor(e,t){this.type=e,this.val=t}inspect(){var e=" "+Nw(this.val);return"[Token:"+this.lineno+":"+this.column+" \x1B[32m"+this.type+"\x1B[0m\x1B[33m"+(this.val?e:"")+"\x1B[0m]"}toString(){return(this.val===void 0?this.type:this.val).toString()}}});var lr=p((DA,ml)=>{ml.exports=class{static{o(this,"Visitor")}constructor(e){this.root=e}visit(e,t){var r="visit"+e.constructor.name;return this[r]?this[r](e):e}}});var Ti=p((GA,yl)=>{yl.exports=["em","ex","ch","rem","vw","svw","lvw","dvw","vh","svh","lvh","dvh","vi","svi","lvi","dvi","vb","svb","lvb","dvb","vmin","svmin","lvmin","dvmin","vmax","svmax","lvmax","dvmax","cm","mm","in","pt","pc","px","deg","grad","rad","turn","s","ms","Hz","kHz","dpi","dpcm","dppx","x","%","fr"]});var vl=p((WA,gl)=>{gl.exports=class extends Array{static{o(this,"Stack")}constructor(){super(),Array.apply(this,arguments)}push(e){return e.stack=this,e.parent=this.currentFrame,[].push.apply(this,arguments)}get currentFrame(){return this[this.length-1]}getBlockFrame(e){for(var t=0;t<this.length;++t)if(e==this[t].block)return this[t]}lookup(e){var t=this.currentFrame.block,r,i;do{var s=this.getBlockFrame(t);if(s&&(r=s.lookup(e)))return r}while(t=t.parent)}inspect(){return this.reverse().map(function(e){return e.inspect()}).join(`
+`)}toString(){for(var e,t,r=[],i,s=this.length;s--;)if(e=this[s].block,t=e.node)switch(i="("+t.filename+":"+(t.lineno+1)+":"+t.column+")",t.nodeName){case"function":r.push("    at "+t.name+"() "+i);break;case"group":r.push('    at "'+t.nodes[0].val+'" '+i);break}return r.join(`
+`)}}});var bl=p((HA,wl)=>{wl.exports=class{static{o(this,"Scope")}constructor(){this.locals={}}add(e){this.locals[e.name]=e.val}lookup(e){return this.locals.hasOwnProperty(e)?this.locals[e]:void 0}inspect(){var e=Object.keys(this.locals).map(function(t){return"@"+t});return"[Scope"+(e.length?" "+e.join(", "):"")+"]"}}});var Sl=p((YA,xl)=>{var Pw=bl();xl.exports=class{static{o(this,"Frame")}constructor(e){this._scope=e.scope===!1?null:new Pw,this.block=e}get scope(){return this._scope||this.parent.scope}lookup(e){return this.scope.lookup(e)}inspect(){return"[Frame "+(this.block.scope===!1?"scope-less":this.scope.inspect())+"]"}}});var H=p((XA,El)=>{"use strict";function Oe(n){if(typeof n!="string")throw new TypeError("Path must be a string. Received "+JSON.stringify(n))}o(Oe,"assertPath");function kl(n,e){for(var t="",r=0,i=-1,s=0,a,u=0;u<=n.length;++u){if(u<n.length)a=n.charCodeAt(u);else{if(a===47)break;a=47}if(a===47){if(!(i===u-1||s===1))if(i!==u-1&&s===2){if(t.length<2||r!==2||t.charCodeAt(t.length-1)!==46||t.charCodeAt(t.length-2)!==46){if(t.length>2){var l=t.lastIndexOf("/");if(l!==t.length-1){l===-1?(t="",r=0):(t=t.slice(0,l),r=t.length-1-t.lastIndexOf("/")),i=u,s=0;continue}}else if(t.length===2||t.length===1){t="",r=0,i=u,s=0;continue}}e&&(t.length>0?t+="/..":t="..",r=2)}else t.length>0?t+="/"+n.slice(i+1,u):t=n.slice(i+1,u),r=u-i-1;i=u,s=0}else a===46&&s!==-1?++s:s=-1}return t}o(kl,"normalizeStringPosix");function Tw(n,e){var t=e.dir||e.root,r=e.base||(e.name||"")+(e.ext||"");return t?t===e.root?t+r:t+n+r:r}o(Tw,"_format");var Lt={resolve:o(function(){for(var e="",t=!1,r,i=arguments.length-1;i>=-1&&!t;i--){var s;i>=0?s=arguments[i]:(r===void 0&&(r=process.cwd()),s=r),Oe(s),s.length!==0&&(e=s+"/"+e,t=s.charCodeAt(0)===47)}return e=kl(e,!t),t?e.length>0?"/"+e:"/":e.length>0?e:"."},"resolve"),normalize:o(function(e){if(Oe(e),e.length===0)return".";var t=e.charCodeAt(0)===47,r=e.charCodeAt(e.length-1)===47;return e=kl(e,!t),e.length===0&&!t&&(e="."),e.length>0&&r&&(e+="/"),t?"/"+e:e},"normalize"),isAbsolute:o(function(e){return Oe(e),e.length>0&&e.charCodeAt(0)===47},"isAbsolute"),join:o(function(){if(arguments.length===0)return".";for(var e,t=0;t<arguments.length;++t){var r=arguments[t];Oe(r),r.length>0&&(e===void 0?e=r:e+="/"+r)}return e===void 0?".":Lt.normalize(e)},"join"),relative:o(function(e,t){if(Oe(e),Oe(t),e===t||(e=Lt.resolve(e),t=Lt.resolve(t),e===t))return"";for(var r=1;r<e.length&&e.charCodeAt(r)===47;++r);for(var i=e.length,s=i-r,a=1;a<t.length&&t.charCodeAt(a)===47;++a);for(var u=t.length,l=u-a,h=s<l?s:l,c=-1,f=0;f<=h;++f){if(f===h){if(l>h){if(t.charCodeAt(a+f)===47)return t.slice(a+f+1);if(f===0)return t.slice(a+f)}else s>h&&(e.charCodeAt(r+f)===47?c=f:f===0&&(c=0));break}var d=e.charCodeAt(r+f),m=t.charCodeAt(a+f);if(d!==m)break;d===47&&(c=f)}var g="";for(f=r+c+1;f<=i;++f)(f===i||e.charCodeAt(f)===47)&&(g.length===0?g+="..":g+="/..");return g.length>0?g+t.slice(a+c):(a+=c,t.charCodeAt(a)===47&&++a,t.slice(a))},"relative"),_makeLong:o(function(e){return e},"_makeLong"),dirname:o(function(e){if(Oe(e),e.length===0)return".";for(var t=e.charCodeAt(0),r=t===47,i=-1,s=!0,a=e.length-1;a>=1;--a)if(t=e.charCodeAt(a),t===47){if(!s){i=a;break}}else s=!1;return i===-1?r?"/":".":r&&i===1?"//":e.slice(0,i)},"dirname"),basename:o(function(e,t){if(t!==void 0&&typeof t!="string")throw new TypeError('"ext" argument must be a string');Oe(e);var r=0,i=-1,s=!0,a;if(t!==void 0&&t.length>0&&t.length<=e.length){if(t.length===e.length&&t===e)return"";var u=t.length-1,l=-1;for(a=e.length-1;a>=0;--a){var h=e.charCodeAt(a);if(h===47){if(!s){r=a+1;break}}else l===-1&&(s=!1,l=a+1),u>=0&&(h===t.charCodeAt(u)?--u===-1&&(i=a):(u=-1,i=l))}return r===i?i=l:i===-1&&(i=e.length),e.slice(r,i)}else{for(a=e.length-1;a>=0;--a)if(e.charCodeAt(a)===47){if(!s){r=a+1;break}}else i===-1&&(s=!1,i=a+1);return i===-1?"":e.slice(r,i)}},"basename"),extname:o(function(e){Oe(e);for(var t=-1,r=0,i=-1,s=!0,a=0,u=e.length-1;u>=0;--u){var l=e.charCodeAt(u);if(l===47){if(!s){r=u+1;break}continue}i===-1&&(s=!1,i=u+1),l===46?t===-1?t=u:a!==1&&(a=1):t!==-1&&(a=-1)}return t===-1||i===-1||a===0||a===1&&t===i-1&&t===r+1?"":e.slice(t,i)},"extname"),format:o(function(e){if(e===null||typeof e!="object")throw new TypeError('The "pathObject" argument must be of type Object. Received type '+typeof e);return Tw("/",e)},"format"),parse:o(function(e){Oe(e);var t={root:"",dir:"",base:"",ext:"",name:""};if(e.length===0)return t;var r=e.charCodeAt(0),i=r===47,s;i?(t.root="/",s=1):s=0;for(var a=-1,u=0,l=-1,h=!0,c=e.length-1,f=0;c>=s;--c){if(r=e.charCodeAt(c),r===47){if(!h){u=c+1;break}continue}l===-1&&(h=!1,l=c+1),r===46?a===-1?a=c:f!==1&&(f=1):a!==-1&&(f=-1)}return a===-1||l===-1||f===0||f===1&&a===l-1&&a===u+1?l!==-1&&(u===0&&i?t.base=t.name=e.slice(1,l):t.base=t.name=e.slice(u,l)):(u===0&&i?(t.name=e.slice(1,a),t.base=e.slice(1,l)):(t.name=e.slice(u,a),t.base=e.slice(u,l)),t.ext=e.slice(a,l)),u>0?t.dir=e.slice(0,u-1):i&&(t.dir="/"),t},"parse"),sep:"/",delimiter:":",win32:null,posix:null};Lt.posix=Lt;El.exports=Lt});var ql=p((tq,Al)=>{Al.exports={sync:o(n=>/functions\/index\.styl$/.test(n)?[n]:[],"sync")}});var Cl=p((nq,Rw)=>{Rw.exports=`called-from = ()
+
+vendors = moz webkit o ms official
+
+// stringify the given arg
+
+-string(arg)
+  type(arg) + ' ' + arg
+
+// require a color
+
+require-color(color)
+  unless color is a 'color'
+    error('RGB or HSL value expected, got a ' + -string(color))
+
+// require a unit
+
+require-unit(n)
+  unless n is a 'unit'
+    error('unit expected, got a ' + -string(n))
+
+// require a string
+
+require-string(str)
+  unless str is a 'string' or str is a 'ident'
+    error('string expected, got a ' + -string(str))
+
+// Math functions
+
+abs(n) { math(n, 'abs') }
+min(a, b) { a < b ? a : b }
+max(a, b) { a > b ? a : b }
+
+// Trigonometrics
+PI = -math-prop('PI')
+
+radians-to-degrees(angle)
+  angle * (180 / PI)
+
+degrees-to-radians(angle)
+  angle * (PI / 180)
+
+sin(n)
+  n = unit(n) == 'deg' ? degrees-to-radians(unit(n, '')) : unit(n, '')
+  round(math(n, 'sin'), 9)
+
+cos(n)
+  n = unit(n) == 'deg' ? degrees-to-radians(unit(n, '')) : unit(n, '')
+  round(math(n, 'cos'), 9)
+
+// Rounding Math functions
+
+ceil(n, precision = 0)
+  multiplier = 10 ** precision
+  math(n * multiplier, 'ceil') / multiplier
+
+floor(n, precision = 0)
+  multiplier = 10 ** precision
+  math(n * multiplier, 'floor') / multiplier
+
+round(n, precision = 0)
+  multiplier = 10 ** precision
+  math(n * multiplier, 'round') / multiplier
+
+// return the sum of the given numbers
+
+sum(nums)
+  sum = 0
+  sum += n for n in nums
+
+// return the average of the given numbers
+
+avg(nums)
+  sum(nums) / length(nums)
+
+// return a unitless number, or pass through
+
+remove-unit(n)
+  if typeof(n) is "unit"
+    unit(n, "")
+  else
+    n
+
+// convert a percent to a decimal, or pass through
+
+percent-to-decimal(n)
+  if unit(n) is "%"
+    remove-unit(n) / 100
+  else
+    n
+
+// check if n is an odd number
+
+odd(n)
+  1 == n % 2
+
+// check if n is an even number
+
+even(n)
+  0 == n % 2
+
+// check if color is light
+
+light(color)
+  lightness(color) >= 50%
+
+// check if color is dark
+
+dark(color)
+  lightness(color) < 50%
+
+// desaturate color by amount
+
+desaturate(color, amount)
+  adjust(color, 'saturation', - amount)
+
+// saturate color by amount
+
+saturate(color = '', amount = 100%)
+  if color is a 'color'
+    adjust(color, 'saturation', amount)
+  else
+    unquote( "saturate(" + color + ")" )
+
+// darken by the given amount
+
+darken(color, amount)
+  adjust(color, 'lightness', - amount)
+
+// lighten by the given amount
+
+lighten(color, amount)
+  adjust(color, 'lightness', amount)
+
+// decrease opacity by amount
+
+fade-out(color, amount)
+  color - rgba(black, percent-to-decimal(amount))
+
+// increase opacity by amount
+
+fade-in(color, amount)
+  color + rgba(black, percent-to-decimal(amount))
+
+// spin hue by a given amount
+
+spin(color, amount)
+  color + unit(amount, deg)
+
+// mix two colors by a given amount
+
+mix(color1, color2, weight = 50%)
+  unless weight in 0..100
+    error("Weight must be between 0% and 100%")
+
+  if length(color1) == 2
+    weight = color1[0]
+    color1 = color1[1]
+
+  else if length(color2) == 2
+    weight = 100 - color2[0]
+    color2 = color2[1]
+
+  require-color(color1)
+  require-color(color2)
+
+  p = unit(weight / 100, '')
+  w = p * 2 - 1
+
+  a = alpha(color1) - alpha(color2)
+
+  w1 = (((w * a == -1) ? w : (w + a) / (1 + w * a)) + 1) / 2
+  w2 = 1 - w1
+
+  channels = (red(color1) red(color2)) (green(color1) green(color2)) (blue(color1) blue(color2))
+  rgb = ()
+
+  for pair in channels
+    push(rgb, floor(pair[0] * w1 + pair[1] * w2))
+
+  a1 = alpha(color1) * p
+  a2 = alpha(color2) * (1 - p)
+  alpha = a1 + a2
+
+  rgba(rgb[0], rgb[1], rgb[2], alpha)
+
+// invert colors, leave alpha intact
+
+invert(color = '')
+  if color is a 'color'
+    rgba(#fff - color, alpha(color))
+  else
+    unquote( "invert(" + color + ")" )
+
+// give complement of the given color
+
+complement( color )
+  spin( color, 180 )
+
+// give grayscale of the given color
+
+grayscale( color = '' )
+  if color is a 'color'
+    desaturate( color, 100% )
+  else
+    unquote( "grayscale(" + color + ")" )
+
+// mix the given color with white
+
+tint( color, percent )
+  mix( white, color, percent )
+
+// mix the given color with black
+
+shade( color, percent )
+  mix( black, color, percent )
+
+// return the last value in the given expr
+
+last(expr)
+  expr[length(expr) - 1]
+
+// return keys in the given pairs or object
+
+keys(pairs)
+  ret = ()
+  if type(pairs) == 'object'
+    for key in pairs
+      push(ret, key)
+  else
+    for pair in pairs
+      push(ret, pair[0]);
+  ret
+
+// return values in the given pairs or object
+
+values(pairs)
+  ret = ()
+  if type(pairs) == 'object'
+    for key, val in pairs
+      push(ret, val)
+  else
+    for pair in pairs
+      push(ret, pair[1]);
+  ret
+
+// join values with the given delimiter
+
+join(delim, vals...)
+  buf = ''
+  vals = vals[0] if length(vals) == 1
+  for val, i in vals
+    buf += i ? delim + val : val
+
+// add a CSS rule to the containing block
+
+// - This definition allows add-property to be used as a mixin
+// - It has the same effect as interpolation but allows users
+//   to opt for a functional style
+
+add-property-function = add-property
+add-property(name, expr)
+  if mixin
+    {name} expr
+  else
+    add-property-function(name, expr)
+
+prefix-classes(prefix)
+  -prefix-classes(prefix, block)
+
+// Caching mixin, use inside your functions to enable caching by extending.
+
+$stylus_mixin_cache = {}
+cache()
+  $key = (current-media() or 'no-media') + '__' + called-from[0] + '__' + arguments
+  if $key in $stylus_mixin_cache
+    @extend {"$cache_placeholder_for_" + $stylus_mixin_cache[$key]}
+  else if 'cache' in called-from
+    {block}
+  else
+    $id = length($stylus_mixin_cache)
+
+    &,
+    /$cache_placeholder_for_{$id}
+      $stylus_mixin_cache[$key] = $id
+      {block}
+
+// Percentage function to convert a number, e.g. ".45", into a percentage, e.g. "45%"
+
+percentage(num)
+  return unit(num * 100, '%')
+
+// Returns the position of a \`value\` within a \`list\`
+
+index(list, value)
+  for val, i in list
+    return i if val == value
+`});var Me=p((iq,Mi)=>{var Mw=Cl(),Ri=o(n=>/functions\/index\.styl$/.test(n),"isBuiltins");function _l(n){let e=new Error(`ENOENT: no such file or directory '${n}'`);return e.code="ENOENT",e}o(_l,"missing");Mi.exports={readFileSync(n){if(Ri(n))return Mw;throw _l(n)},statSync(n){if(Ri(n))return{mtime:new Date(0),isFile:o(()=>!0,"isFile"),isDirectory:o(()=>!1,"isDirectory")};throw _l(n)},existsSync:Ri,lstatSync(n){return Mi.exports.statSync(n)}}});var fn=p((oq,Bl)=>{var Uw=[">","+","~"];Bl.exports=class Ol{static{o(this,"SelectorParser")}constructor(e,t,r){this.str=e,this.stack=t||[],this.parts=r||[],this.pos=0,this.level=2,this.nested=!0,this.ignore=!1}skip(e){this.str=this.str.substr(e),this.pos+=e}skipSpaces(){for(;this.str[0]==" ";)this.skip(1)}advance(){return this.root()||this.relative()||this.initial()||this.escaped()||this.parent()||this.partial()||this.char()}root(){!this.pos&&this.str[0]=="/"&&this.str.slice(1,5)!="deep"&&(this.nested=!1,this.skip(1))}relative(e){if((!this.pos||e)&&this.str.slice(0,3)=="../"){for(this.nested=!1,this.skip(3);this.relative(!0);)this.level++;if(!this.raw){var t=this.stack[this.stack.length-this.level];if(t)return t;this.ignore=!0}}}initial(){if(!this.pos&&this.str[0]=="~"&&this.str[1]=="/")return this.nested=!1,this.skip(2),this.stack[0]}escaped(){if(this.str[0]=="\\"){var e=this.str[1];if(e=="&"||e=="^")return this.skip(2),e}}parent(){if(this.str[0]=="&"){if(this.nested=!1,!this.pos&&(!this.stack.length||this.raw)){for(var e=0;this.str[++e]==" ";);if(~Uw.indexOf(this.str[e])){this.skip(e+1);return}}if(this.skip(1),!this.raw)return this.stack[this.stack.length-1]}}partial(){if(this.str[0]=="^"&&this.str[1]=="["){this.skip(2),this.skipSpaces();var e=this.range();if(this.skipSpaces(),this.str[0]!="]")return"^[";if(this.nested=!1,this.skip(1),e)return e;this.ignore=!0}}number(){var e=0,t="";for(this.str[e]=="-"&&(t+=this.str[e++]);this.str.charCodeAt(e)>=48&&this.str.charCodeAt(e)<=57;)t+=this.str[e++];if(t)return this.skip(e),Number(t)}range(){var e=this.number(),t;if(this.str.slice(0,2)==".."){this.skip(2);var r=this.number(),i=this.parts.length;if(e<0&&(e=i+e-1),r<0&&(r=i+r-1),e>r){var s=e;e=r,r=s}r<i-1&&(t=this.parts.slice(e,r+1).map(function(a){var u=new Ol(a,this.stack,this.parts);return u.raw=!0,u.parse()},this).map(function(a){return(a.nested?" ":"")+a.val}).join("").trim())}else t=this.stack[e<0?this.stack.length+e-1:e];if(t)return t;this.ignore=!0}char(){var e=this.str[0];return this.skip(1),e}parse(){for(var e="";this.str.length;)if(e+=this.advance()||"",this.ignore){e="";break}return{val:e.trimRight(),nested:this.nested}}}});var S=p(L=>{var Ue=x(),jw=H().basename,Dw=H().relative,ut=H().join,$w=H().isAbsolute,Il=ql(),Fl=Me();L.absolute=$w||function(n){return n.substr(0,2)=="\\\\"||n.charAt(0)==="/"||/^[a-z]:[\\\/]/i.test(n)};L.lookup=function(n,e,t){var r,i=e.length;if(L.absolute(n))try{return Fl.statSync(n),n}catch{}for(;i--;)try{if(r=ut(e[i],n),t==r)continue;return Fl.statSync(r),r}catch{}};L.find=function(n,e,t){var r,i,s=e.length;if(L.absolute(n)&&(i=Il.sync(n,{windowsPathsNoEscape:!0,posix:!0})).length)return i.sort();for(;s--;)if(r=ut(e[s],n),t!=r&&(i=Il.sync(r,{windowsPathsNoEscape:!0,posix:!0})).length)return i.sort()};L.lookupIndex=function(n,e,t){var r=L.find(ut(n,"index.styl"),e,t);return r||(r=L.find(ut(n,jw(n).replace(/\.styl/i,"")+".styl"),e,t)),!r&&!~n.indexOf("node_modules")&&(r=i(ut("node_modules",n))),r;function i(s){var a=L.lookup(ut(s,"package.json"),e,t);if(!a)return/\.styl$/i.test(s)?L.lookupIndex(s,e,t):i(s+".styl");var u=St(Dw("/lib",a)).main;return u?r=L.find(ut(s,u),e,t):r=L.lookupIndex(s,e,t),r}o(i,"lookupPackage")};L.formatException=function(n,e){var t=e.lineno,r=e.column,i=e.filename,s=e.input,c=e.context||8,c=c/2,a=(`
+`+s).split(`
+`),u=Math.max(t-c,1),l=Math.min(a.length,t+c),h=l.toString().length,c=a.slice(u,l).map(function(f,d){var m=d+u;return"   "+Array(h-m.toString().length+1).join(" ")+m+"| "+f+(m==t?`
+`+Array(m.toString().length+5+r).join("-")+"^":"")}).join(`
+`);return n.message=i+":"+t+":"+r+`
+`+c+`
+
+`+n.message+`
+`+(n.stylusStack?n.stylusStack+`
+`:""),n.fromStylus&&(n.stack="Error: "+n.message),n};L.assertType=function(n,e,t){if(L.assertPresent(n,t),n.nodeName!=e){var r=n.nodeName,i="expected "+(t?'"'+t+'" to be a ':"")+e+", but got "+r+":"+n;throw new Error("TypeError: "+i)}};L.assertString=function(n,e){switch(L.assertPresent(n,e),n.nodeName){case"string":case"ident":case"literal":return;default:var t=n.nodeName,r="expected string, ident or literal, but got "+t+":"+n;throw new Error("TypeError: "+r)}};L.assertColor=function(n,e){switch(L.assertPresent(n,e),n.nodeName){case"rgba":case"hsla":return;default:var t=n.nodeName,r="expected rgba or hsla, but got "+t+":"+n;throw new Error("TypeError: "+r)}};L.assertPresent=function(n,e){if(!n)throw e?new Error('"'+e+'" argument required'):new Error("argument missing")};L.unwrap=function(n){return n.preserve||n.nodeName!="arguments"&&n.nodeName!="expression"||n.nodes.length!=1||n.nodes[0].nodeName!="arguments"&&n.nodes[0].nodeName!="expression"?n:L.unwrap(n.nodes[0])};L.coerce=function(n,e){switch(typeof n){case"function":return n;case"string":return new Ue.String(n);case"boolean":return new Ue.Boolean(n);case"number":return new Ue.Unit(n);default:return n==null?Ue.null:Array.isArray(n)?L.coerceArray(n,e):n.nodeName?n:L.coerceObject(n,e)}};L.coerceArray=function(n,e){var t=new Ue.Expression;return n.forEach(function(r){t.push(L.coerce(r,e))}),t};L.coerceObject=function(n,e){var t=e?new Ue.Object:new Ue.Expression,r;for(var i in n)r=L.coerce(n[i],e),i=new Ue.Ident(i),e?t.set(i,r):t.push(L.coerceArray([i,r]));return t};L.params=function(n){return n.toString().match(/\(([^)]*)\)/)[1].split(/ *, */)};L.merge=function(n,e,t){for(var r in e)if(t&&n[r]){var i=L.unwrap(n[r]).first,s=L.unwrap(e[r]).first;i.nodeName=="object"&&s.nodeName=="object"?n[r].first.vals=L.merge(i.vals,s.vals,t):n[r]=e[r]}else n[r]=e[r];return n};L.uniq=function(n){for(var e={},t=[],r=0,i=n.length;r<i;++r)n[r]in e||(e[n[r]]=!0,t.push(n[r]));return t};L.compileSelectors=function(n,e){var t=[],r=fn(),i=this.indent||"",s=[];function a(l,h){var c=[l.val],f=new r(c[0],d,c).parse().val,d=[];if(h.length)for(var m=0,g=h.length;m<g;++m){c.push(h[m]),d.push(f);var w=new r(h[m],d,c).parse();w.nested?f+=" "+w.val:f=w.val}return f.trim()}o(a,"parse");function u(l,h){h?l[h].forEach(function(c){!e&&c.isPlaceholder||(c.inherits?(s.unshift(c.val),u(l,h-1),s.shift()):t.push(i+a(c,s)))}):l[0].forEach(function(c){if(!(!e&&c.isPlaceholder)){var f=a(c,s);f&&t.push(i+f)}})}return o(u,"compile"),u(n,n.length-1),L.uniq(t)};L.parseString=function(n){var e=lt(),t,r;try{t=new e(n),r=t.list()}catch{r=new Ue.Literal(n)}return r}});var Nl=p((cq,Ll)=>{var pn=S(),Gw=x();(Ll.exports=o(function(e,t){pn.assertType(e,"expression","name"),e=pn.unwrap(e).first,pn.assertString(e,"name"),pn.assertType(t,"expression","expr");var r=new Gw.Property([e],t),i=this.closestBlock,s=i.nodes.length,a=i.nodes.slice(0,i.index),u=i.nodes.slice(i.index++,s);return a.push(r),i.nodes=a.concat(u),r},"addProperty")).raw=!0});var Rl=p((fq,Tl)=>{var Ui=S();function Pl(n,e,t){Ui.assertColor(n,"color"),Ui.assertString(e,"prop"),Ui.assertType(t,"unit","amount");var r=n.hsla.clone();if(e={hue:"h",saturation:"s",lightness:"l"}[e.string],!e)throw new Error("invalid adjustment property");var i=t.val;return t.type=="%"&&(i=e=="l"&&i>0?(100-r[e])*i/100:r[e]*(i/100)),r[e]+=i,r.rgba}o(Pl,"adjust");Pl.params=["color","prop","amount"];Tl.exports=Pl});var ht=p((dq,jl)=>{var ct=S(),Ml=x();function Ul(n,e,t,r){switch(arguments.length){case 1:return ct.assertColor(n),n.rgba;case 2:ct.assertColor(n);var i=n.rgba;return ct.assertType(e,"unit","alpha"),r=e.clone(),r.type=="%"&&(r.val/=100),new Ml.RGBA(i.r,i.g,i.b,r.val);default:ct.assertType(n,"unit","red"),ct.assertType(e,"unit","green"),ct.assertType(t,"unit","blue"),ct.assertType(r,"unit","alpha");var s=n.type=="%"?Math.round(n.val*2.55):n.val,a=e.type=="%"?Math.round(e.val*2.55):e.val,u=t.type=="%"?Math.round(t.val*2.55):t.val;return r=r.clone(),r&&r.type=="%"&&(r.val/=100),new Ml.RGBA(s,a,u,r.val)}}o(Ul,"rgba");Ul.params=["red","green","blue","alpha"];jl.exports=Ul});var Gl=p((yq,$l)=>{var dn=x(),zw=ht();function Dl(n,e){return n=n.rgba,e?zw(new dn.Unit(n.r),new dn.Unit(n.g),new dn.Unit(n.b),e):new dn.Unit(n.a,"")}o(Dl,"alpha");Dl.params=["color","value"];$l.exports=Dl});var Wl=p((vq,zl)=>{var cr=S(),Ww=x();(zl.exports=function(n,e,t){cr.assertPresent(n,"number"),cr.assertPresent(e,"base"),n=cr.unwrap(n).nodes[0].val,e=cr.unwrap(e).nodes[0].val,t=t&&cr.unwrap(t).nodes[0].val||2;for(var r=Number(n).toString(e);r.length<t;)r="0"+r;return new Ww.Literal(r)}).raw=!0});var Hl=p((wq,Vl)=>{var Jw=S(),Vw=H();function Jl(n,e){return Jw.assertString(n,"path"),Vw.basename(n.val,e&&e.val)}o(Jl,"basename");Jl.params=["p","ext"];Vl.exports=Jl});var ji=p((xq,Zl)=>{var Kl=S(),Ql=x();function Yl(n,e){return Kl.assertColor(n),n=n.rgba,e=e||new Ql.RGBA(255,255,255,1),Kl.assertColor(e),e=e.rgba,new Ql.RGBA(n.r*n.a+e.r*(1-n.a),n.g*n.a+e.g*(1-n.a),n.b*n.a+e.b*(1-n.a),n.a+e.a-n.a*e.a)}o(Yl,"blend");Yl.params=["top","bottom"];Zl.exports=Yl});var tc=p((kq,ec)=>{var mn=x(),Hw=ht();function Xl(n,e){return n=n.rgba,e?Hw(new mn.Unit(n.r),new mn.Unit(n.g),e,new mn.Unit(n.a)):new mn.Unit(n.b,"")}o(Xl,"blue");Xl.params=["color","value"];ec.exports=Xl});var nc=p((Aq,rc)=>{var Kw=S();(rc.exports=o(function(e){return Kw.assertPresent(e,"expr"),e.clone()},"clone")).raw=!0});var hr=p((Cq,oc)=>{var ic=S(),Qw=x(),Yw={red:"r",green:"g",blue:"b",alpha:"a",hue:"h",saturation:"s",lightness:"l"},Zw={hue:"deg",saturation:"%",lightness:"%"},Xw={red:"rgba",blue:"rgba",green:"rgba",alpha:"rgba",hue:"hsla",saturation:"hsla",lightness:"hsla"};function sc(n,i){ic.assertColor(n,"color"),ic.assertString(i,"name");var i=i.string,t=Zw[i],r=Xw[i],i=Yw[i];if(!i)throw new Error('invalid color component "'+i+'"');return new Qw.Unit(n[r][i],t)}o(sc,"component");sc.params=["color","name"];oc.exports=sc});var Di=p((Oq,uc)=>{var e1=S(),t1=x();function ac(n){e1.assertColor(n),n=n.rgba;function e(t){return t=t/255,.03928>t?t/12.92:Math.pow((t+.055)/1.055,2.4)}return o(e,"processChannel"),new t1.Unit(.2126*e(n.r)+.7152*e(n.g)+.0722*e(n.b))}o(ac,"luminosity");ac.params=["color"];uc.exports=ac});var fc=p((Iq,hc)=>{var r1=S(),we=x(),yn=ji(),lc=Di();function cc(n,e){if(n.nodeName!="rgba"&&n.nodeName!="hsla")return new we.Literal("contrast("+(n.isNull?"":n.toString())+")");var t=new we.Object;n=n.rgba,e=e||new we.RGBA(255,255,255,1),r1.assertColor(e),e=e.rgba;function r(f,d){1>f.a&&(f=yn(f,d));var m=lc(d).val+.05,g=lc(f).val+.05,w=m/g;return g>m&&(w=1/w),Math.round(w*10)/10}if(o(r,"contrast"),1<=e.a){var i=new we.Unit(r(n,e));t.set("ratio",i),t.set("error",new we.Unit(0)),t.set("min",i),t.set("max",i)}else{let f=function(d,m){return Math.min(Math.max(0,(d-m*e.a)/(1-e.a)),255)};var c=f;o(f,"processChannel");var s=r(n,yn(e,new we.RGBA(0,0,0,1))),a=r(n,yn(e,new we.RGBA(255,255,255,1))),u=Math.max(s,a),l=new we.RGBA(f(n.r,e.r),f(n.g,e.g),f(n.b,e.b),1),h=r(n,yn(e,l));t.set("ratio",new we.Unit(Math.round((h+u)*50)/100)),t.set("error",new we.Unit(Math.round((u-h)*50)/100)),t.set("min",new we.Unit(h)),t.set("max",new we.Unit(u))}return t}o(cc,"contrast");cc.params=["top","bottom"];hc.exports=cc});var yc=p((Lq,mc)=>{var pc=S();function dc(n){return pc.assertString(n,"str"),pc.parseString(n.string)}o(dc,"convert");dc.params=["str"];mc.exports=dc});var vc=p((Pq,gc)=>{var n1=x();gc.exports=o(function(){var e=this;return new n1.String(t(this.closestBlock.node)||"");function t(r){if(r.nodeName=="media")return r.val=e.visit(r.val),r.toString();if(r.block.parent.node)return t(r.block.parent.node)}},"currentMedia")});var kc=p((Rq,Sc)=>{var wc=S(),bc=x();function xc(n,e,t){wc.assertType(n,"string","name"),e=wc.unwrap(e);var r=this.currentScope;t&&t.toBoolean().isTrue&&(r=this.global.scope);var i=new bc.Ident(n.val,e);return r.add(i),bc.null}o(xc,"define");xc.params=["name","expr","global"];Sc.exports=xc});var qc=p((Uq,Ac)=>{var i1=S(),s1=H();function Ec(n){return i1.assertString(n,"path"),s1.dirname(n.val).replace(/\\/g,"/")}o(Ec,"dirname");Ec.params=["p"];Ac.exports=Ec});var Oc=p((Dq,_c)=>{var o1=S();function Cc(n){o1.assertType(n,"string","msg");var e=new Error(n.val);throw e.fromStylus=!0,e}o(Cc,"error");Cc.params=["msg"];_c.exports=Cc});var Fc=p((Gq,Ic)=>{var a1=S(),u1=H();function Bc(n){return a1.assertString(n,"path"),u1.extname(n.val)}o(Bc,"extname");Bc.params=["p"];Ic.exports=Bc});var Pc=p((Wq,Nc)=>{var gn=x(),l1=ht();function Lc(n,e){return n=n.rgba,e?l1(new gn.Unit(n.r),e,new gn.Unit(n.b),new gn.Unit(n.a)):new gn.Unit(n.g,"")}o(Lc,"green");Lc.params=["color","value"];Nc.exports=Lc});var Nt=p((Vq,Mc)=>{var ft=S(),Tc=x();function Rc(n,e,t,r){switch(arguments.length){case 1:return ft.assertColor(n),n.hsla;case 2:ft.assertColor(n);var i=n.hsla;ft.assertType(e,"unit","alpha");var r=e.clone();return r.type=="%"&&(r.val/=100),new Tc.HSLA(i.h,i.s,i.l,r.val);default:ft.assertType(n,"unit","hue"),ft.assertType(e,"unit","saturation"),ft.assertType(t,"unit","lightness"),ft.assertType(r,"unit","alpha");var r=r.clone();return r&&r.type=="%"&&(r.val/=100),new Tc.HSLA(n.val,e.val,t.val,r.val)}}o(Rc,"hsla");Rc.params=["hue","saturation","lightness","alpha"];Mc.exports=Rc});var Dc=p((Kq,jc)=>{var c1=S(),h1=x(),f1=Nt();function Uc(n,e,t){return arguments.length==1?(c1.assertColor(n,"color"),n.hsla):f1(n,e,t,new h1.Unit(1))}o(Uc,"hsl");Uc.params=["hue","saturation","lightness"];jc.exports=Uc});var zc=p((Yq,Gc)=>{var vn=x(),p1=Nt(),d1=hr();function $c(n,e){if(e){var t=n.hsla;return p1(e,new vn.Unit(t.s),new vn.Unit(t.l),new vn.Unit(t.a))}return d1(n,new vn.String("hue"))}o($c,"hue");$c.params=["color","value"];Gc.exports=$c});var Vc=p(wn=>{"use strict";wn.byteLength=y1;wn.toByteArray=v1;wn.fromByteArray=x1;var Be=[],be=[],m1=typeof Uint8Array<"u"?Uint8Array:Array,$i="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";for(pt=0,Wc=$i.length;pt<Wc;++pt)Be[pt]=$i[pt],be[$i.charCodeAt(pt)]=pt;var pt,Wc;be[45]=62;be[95]=63;function Jc(n){var e=n.length;if(e%4>0)throw new Error("Invalid string. Length must be a multiple of 4");var t=n.indexOf("=");t===-1&&(t=e);var r=t===e?0:4-t%4;return[t,r]}o(Jc,"getLens");function y1(n){var e=Jc(n),t=e[0],r=e[1];return(t+r)*3/4-r}o(y1,"byteLength");function g1(n,e,t){return(e+t)*3/4-t}o(g1,"_byteLength");function v1(n){var e,t=Jc(n),r=t[0],i=t[1],s=new m1(g1(n,r,i)),a=0,u=i>0?r-4:r,l;for(l=0;l<u;l+=4)e=be[n.charCodeAt(l)]<<18|be[n.charCodeAt(l+1)]<<12|be[n.charCodeAt(l+2)]<<6|be[n.charCodeAt(l+3)],s[a++]=e>>16&255,s[a++]=e>>8&255,s[a++]=e&255;return i===2&&(e=be[n.charCodeAt(l)]<<2|be[n.charCodeAt(l+1)]>>4,s[a++]=e&255),i===1&&(e=be[n.charCodeAt(l)]<<10|be[n.charCodeAt(l+1)]<<4|be[n.charCodeAt(l+2)]>>2,s[a++]=e>>8&255,s[a++]=e&255),s}o(v1,"toByteArray");function w1(n){return Be[n>>18&63]+Be[n>>12&63]+Be[n>>6&63]+Be[n&63]}o(w1,"tripletToBase64");function b1(n,e,t){for(var r,i=[],s=e;s<t;s+=3)r=(n[s]<<16&16711680)+(n[s+1]<<8&65280)+(n[s+2]&255),i.push(w1(r));return i.join("")}o(b1,"encodeChunk");function x1(n){for(var e,t=n.length,r=t%3,i=[],s=16383,a=0,u=t-r;a<u;a+=s)i.push(b1(n,a,a+s>u?u:a+s));return r===1?(e=n[t-1],i.push(Be[e>>2]+Be[e<<4&63]+"==")):r===2&&(e=(n[t-2]<<8)+n[t-1],i.push(Be[e>>10]+Be[e>>4&63]+Be[e<<2&63]+"=")),i.join("")}o(x1,"fromByteArray")});var Hc=p(Gi=>{Gi.read=function(n,e,t,r,i){var s,a,u=i*8-r-1,l=(1<<u)-1,h=l>>1,c=-7,f=t?i-1:0,d=t?-1:1,m=n[e+f];for(f+=d,s=m&(1<<-c)-1,m>>=-c,c+=u;c>0;s=s*256+n[e+f],f+=d,c-=8);for(a=s&(1<<-c)-1,s>>=-c,c+=r;c>0;a=a*256+n[e+f],f+=d,c-=8);if(s===0)s=1-h;else{if(s===l)return a?NaN:(m?-1:1)*(1/0);a=a+Math.pow(2,r),s=s-h}return(m?-1:1)*a*Math.pow(2,s-r)};Gi.write=function(n,e,t,r,i,s){var a,u,l,h=s*8-i-1,c=(1<<h)-1,f=c>>1,d=i===23?Math.pow(2,-24)-Math.pow(2,-77):0,m=r?0:s-1,g=r?1:-1,w=e<0||e===0&&1/e<0?1:0;for(e=Math.abs(e),isNaN(e)||e===1/0?(u=isNaN(e)?1:0,a=c):(a=Math.floor(Math.log(e)/Math.LN2),e*(l=Math.pow(2,-a))<1&&(a--,l*=2),a+f>=1?e+=d/l:e+=d*Math.pow(2,1-f),e*l>=2&&(a++,l/=2),a+f>=c?(u=0,a=c):a+f>=1?(u=(e*l-1)*Math.pow(2,i),a=a+f):(u=e*Math.pow(2,f-1)*Math.pow(2,i),a=0));i>=8;n[t+m]=u&255,m+=g,u/=256,i-=8);for(a=a<<i|u,h+=i;h>0;n[t+m]=a&255,m+=g,a/=256,h-=8);n[t+m-g]|=w*128}});var Zi=p(Mt=>{"use strict";var zi=Vc(),Tt=Hc(),Kc=typeof Symbol=="function"&&typeof Symbol.for=="function"?Symbol.for("nodejs.util.inspect.custom"):null;Mt.Buffer=y;Mt.SlowBuffer=C1;Mt.INSPECT_MAX_BYTES=50;var bn=2147483647;Mt.kMaxLength=bn;y.TYPED_ARRAY_SUPPORT=S1();!y.TYPED_ARRAY_SUPPORT&&typeof console<"u"&&typeof console.error=="function"&&console.error("This browser lacks typed array (Uint8Array) support which is required by `buffer` v5.x. Use `buffer` v4.x if you require old browser support.");function S1(){try{let n=new Uint8Array(1),e={foo:o(function(){return 42},"foo")};return Object.setPrototypeOf(e,Uint8Array.prototype),Object.setPrototypeOf(n,e),n.foo()===42}catch{return!1}}o(S1,"typedArraySupport");Object.defineProperty(y.prototype,"parent",{enumerable:!0,get:o(function(){if(y.isBuffer(this))return this.buffer},"get")});Object.defineProperty(y.prototype,"offset",{enumerable:!0,get:o(function(){if(y.isBuffer(this))return this.byteOffset},"get")});function je(n){if(n>bn)throw new RangeError('The value "'+n+'" is invalid for option "size"');let e=new Uint8Array(n);return Object.setPrototypeOf(e,y.prototype),e}o(je,"createBuffer");function y(n,e,t){if(typeof n=="number"){if(typeof e=="string")throw new TypeError('The "string" argument must be of type string. Received type number');return Hi(n)}return Xc(n,e,t)}o(y,"Buffer");y.poolSize=8192;function Xc(n,e,t){if(typeof n=="string")return E1(n,e);if(ArrayBuffer.isView(n))return A1(n);if(n==null)throw new TypeError("The first argument must be one of type string, Buffer, ArrayBuffer, Array, or Array-like Object. Received type "+typeof n);if(Ie(n,ArrayBuffer)||n&&Ie(n.buffer,ArrayBuffer)||typeof SharedArrayBuffer<"u"&&(Ie(n,SharedArrayBuffer)||n&&Ie(n.buffer,SharedArrayBuffer)))return Ji(n,e,t);if(typeof n=="number")throw new TypeError('The "value" argument must not be of type number. Received type number');let r=n.valueOf&&n.valueOf();if(r!=null&&r!==n)return y.from(r,e,t);let i=q1(n);if(i)return i;if(typeof Symbol<"u"&&Symbol.toPrimitive!=null&&typeof n[Symbol.toPrimitive]=="function")return y.from(n[Symbol.toPrimitive]("string"),e,t);throw new TypeError("The first argument must be one of type string, Buffer, ArrayBuffer, Array, or Array-like Object. Received type "+typeof n)}o(Xc,"from");y.from=function(n,e,t){return Xc(n,e,t)};Object.setPrototypeOf(y.prototype,Uint8Array.prototype);Object.setPrototypeOf(y,Uint8Array);function eh(n){if(typeof n!="number")throw new TypeError('"size" argument must be of type number');if(n<0)throw new RangeError('The value "'+n+'" is invalid for option "size"')}o(eh,"assertSize");function k1(n,e,t){return eh(n),n<=0?je(n):e!==void 0?typeof t=="string"?je(n).fill(e,t):je(n).fill(e):je(n)}o(k1,"alloc");y.alloc=function(n,e,t){return k1(n,e,t)};function Hi(n){return eh(n),je(n<0?0:Ki(n)|0)}o(Hi,"allocUnsafe");y.allocUnsafe=function(n){return Hi(n)};y.allocUnsafeSlow=function(n){return Hi(n)};function E1(n,e){if((typeof e!="string"||e==="")&&(e="utf8"),!y.isEncoding(e))throw new TypeError("Unknown encoding: "+e);let t=th(n,e)|0,r=je(t),i=r.write(n,e);return i!==t&&(r=r.slice(0,i)),r}o(E1,"fromString");function Wi(n){let e=n.length<0?0:Ki(n.length)|0,t=je(e);for(let r=0;r<e;r+=1)t[r]=n[r]&255;return t}o(Wi,"fromArrayLike");function A1(n){if(Ie(n,Uint8Array)){let e=new Uint8Array(n);return Ji(e.buffer,e.byteOffset,e.byteLength)}return Wi(n)}o(A1,"fromArrayView");function Ji(n,e,t){if(e<0||n.byteLength<e)throw new RangeError('"offset" is outside of buffer bounds');if(n.byteLength<e+(t||0))throw new RangeError('"length" is outside of buffer bounds');let r;return e===void 0&&t===void 0?r=new Uint8Array(n):t===void 0?r=new Uint8Array(n,e):r=new Uint8Array(n,e,t),Object.setPrototypeOf(r,y.prototype),r}o(Ji,"fromArrayBuffer");function q1(n){if(y.isBuffer(n)){let e=Ki(n.length)|0,t=je(e);return t.length===0||n.copy(t,0,0,e),t}if(n.length!==void 0)return typeof n.length!="number"||Yi(n.length)?je(0):Wi(n);if(n.type==="Buffer"&&Array.isArray(n.data))return Wi(n.data)}o(q1,"fromObject");function Ki(n){if(n>=bn)throw new RangeError("Attempt to allocate Buffer larger than maximum size: 0x"+bn.toString(16)+" bytes");return n|0}o(Ki,"checked");function C1(n){return+n!=n&&(n=0),y.alloc(+n)}o(C1,"SlowBuffer");y.isBuffer=o(function(e){return e!=null&&e._isBuffer===!0&&e!==y.prototype},"isBuffer");y.compare=o(function(e,t){if(Ie(e,Uint8Array)&&(e=y.from(e,e.offset,e.byteLength)),Ie(t,Uint8Array)&&(t=y.from(t,t.offset,t.byteLength)),!y.isBuffer(e)||!y.isBuffer(t))throw new TypeError('The "buf1", "buf2" arguments must be one of type Buffer or Uint8Array');if(e===t)return 0;let r=e.length,i=t.length;for(let s=0,a=Math.min(r,i);s<a;++s)if(e[s]!==t[s]){r=e[s],i=t[s];break}return r<i?-1:i<r?1:0},"compare");y.isEncoding=o(function(e){switch(String(e).toLowerCase()){case"hex":case"utf8":case"utf-8":case"ascii":case"latin1":case"binary":case"base64":case"ucs2":case"ucs-2":case"utf16le":case"utf-16le":return!0;default:return!1}},"isEncoding");y.concat=o(function(e,t){if(!Array.isArray(e))throw new TypeError('"list" argument must be an Array of Buffers');if(e.length===0)return y.alloc(0);let r;if(t===void 0)for(t=0,r=0;r<e.length;++r)t+=e[r].length;let i=y.allocUnsafe(t),s=0;for(r=0;r<e.length;++r){let a=e[r];if(Ie(a,Uint8Array))s+a.length>i.length?(y.isBuffer(a)||(a=y.from(a)),a.copy(i,s)):Uint8Array.prototype.set.call(i,a,s);else if(y.isBuffer(a))a.copy(i,s);else throw new TypeError('"list" argument must be an Array of Buffers');s+=a.length}return i},"concat");function th(n,e){if(y.isBuffer(n))return n.length;if(ArrayBuffer.isView(n)||Ie(n,ArrayBuffer))return n.byteLength;if(typeof n!="string")throw new TypeError('The "string" argument must be one of type string, Buffer, or ArrayBuffer. Received type '+typeof n);let t=n.length,r=arguments.length>2&&arguments[2]===!0;if(!r&&t===0)return 0;let i=!1;for(;;)switch(e){case"ascii":case"latin1":case"binary":return t;case"utf8":case"utf-8":return Vi(n).length;case"ucs2":case"ucs-2":case"utf16le":case"utf-16le":return t*2;case"hex":return t>>>1;case"base64":return ch(n).length;default:if(i)return r?-1:Vi(n).length;e=(""+e).toLowerCase(),i=!0}}o(th,"byteLength");y.byteLength=th;function _1(n,e,t){let r=!1;if((e===void 0||e<0)&&(e=0),e>this.length||((t===void 0||t>this.length)&&(t=this.length),t<=0)||(t>>>=0,e>>>=0,t<=e))return"";for(n||(n="utf8");;)switch(n){case"hex":return M1(this,e,t);case"utf8":case"utf-8":return nh(this,e,t);case"ascii":return T1(this,e,t);case"latin1":case"binary":return R1(this,e,t);case"base64":return N1(this,e,t);case"ucs2":case"ucs-2":case"utf16le":case"utf-16le":return U1(this,e,t);default:if(r)throw new TypeError("Unknown encoding: "+n);n=(n+"").toLowerCase(),r=!0}}o(_1,"slowToString");y.prototype._isBuffer=!0;function dt(n,e,t){let r=n[e];n[e]=n[t],n[t]=r}o(dt,"swap");y.prototype.swap16=o(function(){let e=this.length;if(e%2!==0)throw new RangeError("Buffer size must be a multiple of 16-bits");for(let t=0;t<e;t+=2)dt(this,t,t+1);return this},"swap16");y.prototype.swap32=o(function(){let e=this.length;if(e%4!==0)throw new RangeError("Buffer size must be a multiple of 32-bits");for(let t=0;t<e;t+=4)dt(this,t,t+3),dt(this,t+1,t+2);return this},"swap32");y.prototype.swap64=o(function(){let e=this.length;if(e%8!==0)throw new RangeError("Buffer size must be a multiple of 64-bits");for(let t=0;t<e;t+=8)dt(this,t,t+7),dt(this,t+1,t+6),dt(this,t+2,t+5),dt(this,t+3,t+4);return this},"swap64");y.prototype.toString=o(function(){let e=this.length;return e===0?"":arguments.length===0?nh(this,0,e):_1.apply(this,arguments)},"toString");y.prototype.toLocaleString=y.prototype.toString;y.prototype.equals=o(function(e){if(!y.isBuffer(e))throw new TypeError("Argument must be a Buffer");return this===e?!0:y.compare(this,e)===0},"equals");y.prototype.inspect=o(function(){let e="",t=Mt.INSPECT_MAX_BYTES;return e=this.toString("hex",0,t).replace(/(.{2})/g,"$1 ").trim(),this.length>t&&(e+=" ... "),"<Buffer "+e+">"},"inspect");Kc&&(y.prototype[Kc]=y.prototype.inspect);y.prototype.compare=o(function(e,t,r,i,s){if(Ie(e,Uint8Array)&&(e=y.from(e,e.offset,e.byteLength)),!y.isBuffer(e))throw new TypeError('The "target" argument must be one of type Buffer or Uint8Array. Received type '+typeof e);if(t===void 0&&(t=0),r===void 0&&(r=e?e.length:0),i===void 0&&(i=0),s===void 0&&(s=this.length),t<0||r>e.length||i<0||s>this.length)throw new RangeError("out of range index");if(i>=s&&t>=r)return 0;if(i>=s)return-1;if(t>=r)return 1;if(t>>>=0,r>>>=0,i>>>=0,s>>>=0,this===e)return 0;let a=s-i,u=r-t,l=Math.min(a,u),h=this.slice(i,s),c=e.slice(t,r);for(let f=0;f<l;++f)if(h[f]!==c[f]){a=h[f],u=c[f];break}return a<u?-1:u<a?1:0},"compare");function rh(n,e,t,r,i){if(n.length===0)return-1;if(typeof t=="string"?(r=t,t=0):t>2147483647?t=2147483647:t<-2147483648&&(t=-2147483648),t=+t,Yi(t)&&(t=i?0:n.length-1),t<0&&(t=n.length+t),t>=n.length){if(i)return-1;t=n.length-1}else if(t<0)if(i)t=0;else return-1;if(typeof e=="string"&&(e=y.from(e,r)),y.isBuffer(e))return e.length===0?-1:Qc(n,e,t,r,i);if(typeof e=="number")return e=e&255,typeof Uint8Array.prototype.indexOf=="function"?i?Uint8Array.prototype.indexOf.call(n,e,t):Uint8Array.prototype.lastIndexOf.call(n,e,t):Qc(n,[e],t,r,i);throw new TypeError("val must be string, number or Buffer")}o(rh,"bidirectionalIndexOf");function Qc(n,e,t,r,i){let s=1,a=n.length,u=e.length;if(r!==void 0&&(r=String(r).toLowerCase(),r==="ucs2"||r==="ucs-2"||r==="utf16le"||r==="utf-16le")){if(n.length<2||e.length<2)return-1;s=2,a/=2,u/=2,t/=2}function l(c,f){return s===1?c[f]:c.readUInt16BE(f*s)}o(l,"read");let h;if(i){let c=-1;for(h=t;h<a;h++)if(l(n,h)===l(e,c===-1?0:h-c)){if(c===-1&&(c=h),h-c+1===u)return c*s}else c!==-1&&(h-=h-c),c=-1}else for(t+u>a&&(t=a-u),h=t;h>=0;h--){let c=!0;for(let f=0;f<u;f++)if(l(n,h+f)!==l(e,f)){c=!1;break}if(c)return h}return-1}o(Qc,"arrayIndexOf");y.prototype.includes=o(function(e,t,r){return this.indexOf(e,t,r)!==-1},"includes");y.prototype.indexOf=o(function(e,t,r){return rh(this,e,t,r,!0)},"indexOf");y.prototype.lastIndexOf=o(function(e,t,r){return rh(this,e,t,r,!1)},"lastIndexOf");function O1(n,e,t,r){t=Number(t)||0;let i=n.length-t;r?(r=Number(r),r>i&&(r=i)):r=i;let s=e.length;r>s/2&&(r=s/2);let a;for(a=0;a<r;++a){let u=parseInt(e.substr(a*2,2),16);if(Yi(u))return a;n[t+a]=u}return a}o(O1,"hexWrite");function B1(n,e,t,r){return xn(Vi(e,n.length-t),n,t,r)}o(B1,"utf8Write");function I1(n,e,t,r){return xn(G1(e),n,t,r)}o(I1,"asciiWrite");function F1(n,e,t,r){return xn(ch(e),n,t,r)}o(F1,"base64Write");function L1(n,e,t,r){return xn(z1(e,n.length-t),n,t,r)}o(L1,"ucs2Write");y.prototype.write=o(function(e,t,r,i){if(t===void 0)i="utf8",r=this.length,t=0;else if(r===void 0&&typeof t=="string")i=t,r=this.length,t=0;else if(isFinite(t))t=t>>>0,isFinite(r)?(r=r>>>0,i===void 0&&(i="utf8")):(i=r,r=void 0);else throw new Error("Buffer.write(string, encoding, offset[, length]) is no longer supported");let s=this.length-t;if((r===void 0||r>s)&&(r=s),e.length>0&&(r<0||t<0)||t>this.length)throw new RangeError("Attempt to write outside buffer bounds");i||(i="utf8");let a=!1;for(;;)switch(i){case"hex":return O1(this,e,t,r);case"utf8":case"utf-8":return B1(this,e,t,r);case"ascii":case"latin1":case"binary":return I1(this,e,t,r);case"base64":return F1(this,e,t,r);case"ucs2":case"ucs-2":case"utf16le":case"utf-16le":return L1(this,e,t,r);default:if(a)throw new TypeError("Unknown encoding: "+i);i=(""+i).toLowerCase(),a=!0}},"write");y.prototype.toJSON=o(function(){return{type:"Buffer",data:Array.prototype.slice.call(this._arr||this,0)}},"toJSON");function N1(n,e,t){return e===0&&t===n.length?zi.fromByteArray(n):zi.fromByteArray(n.slice(e,t))}o(N1,"base64Slice");function nh(n,e,t){t=Math.min(n.length,t);let r=[],i=e;for(;i<t;){let s=n[i],a=null,u=s>239?4:s>223?3:s>191?2:1;if(i+u<=t){let l,h,c,f;switch(u){case 1:s<128&&(a=s);break;case 2:l=n[i+1],(l&192)===128&&(f=(s&31)<<6|l&63,f>127&&(a=f));break;case 3:l=n[i+1],h=n[i+2],(l&192)===128&&(h&192)===128&&(f=(s&15)<<12|(l&63)<<6|h&63,f>2047&&(f<55296||f>57343)&&(a=f));break;case 4:l=n[i+1],h=n[i+2],c=n[i+3],(l&192)===128&&(h&192)===128&&(c&192)===128&&(f=(s&15)<<18|(l&63)<<12|(h&63)<<6|c&63,f>65535&&f<1114112&&(a=f))}}a===null?(a=65533,u=1):a>65535&&(a-=65536,r.push(a>>>10&1023|55296),a=56320|a&1023),r.push(a),i+=u}return P1(r)}o(nh,"utf8Slice");var Yc=4096;function P1(n){let e=n.length;if(e<=Yc)return String.fromCharCode.apply(String,n);let t="",r=0;for(;r<e;)t+=String.fromCharCode.apply(String,n.slice(r,r+=Yc));return t}o(P1,"decodeCodePointsArray");function T1(n,e,t){let r="";t=Math.min(n.length,t);for(let i=e;i<t;++i)r+=String.fromCharCode(n[i]&127);return r}o(T1,"asciiSlice");function R1(n,e,t){let r="";t=Math.min(n.length,t);for(let i=e;i<t;++i)r+=String.fromCharCode(n[i]);return r}o(R1,"latin1Slice");function M1(n,e,t){let r=n.length;(!e||e<0)&&(e=0),(!t||t<0||t>r)&&(t=r);let i="";for(let s=e;s<t;++s)i+=W1[n[s]];return i}o(M1,"hexSlice");function U1(n,e,t){let r=n.slice(e,t),i="";for(let s=0;s<r.length-1;s+=2)i+=String.fromCharCode(r[s]+r[s+1]*256);return i}o(U1,"utf16leSlice");y.prototype.slice=o(function(e,t){let r=this.length;e=~~e,t=t===void 0?r:~~t,e<0?(e+=r,e<0&&(e=0)):e>r&&(e=r),t<0?(t+=r,t<0&&(t=0)):t>r&&(t=r),t<e&&(t=e);let i=this.subarray(e,t);return Object.setPrototypeOf(i,y.prototype),i},"slice");function te(n,e,t){if(n%1!==0||n<0)throw new RangeError("offset is not uint");if(n+e>t)throw new RangeError("Trying to access beyond buffer length")}o(te,"checkOffset");y.prototype.readUintLE=y.prototype.readUIntLE=o(function(e,t,r){e=e>>>0,t=t>>>0,r||te(e,t,this.length);let i=this[e],s=1,a=0;for(;++a<t&&(s*=256);)i+=this[e+a]*s;return i},"readUIntLE");y.prototype.readUintBE=y.prototype.readUIntBE=o(function(e,t,r){e=e>>>0,t=t>>>0,r||te(e,t,this.length);let i=this[e+--t],s=1;for(;t>0&&(s*=256);)i+=this[e+--t]*s;return i},"readUIntBE");y.prototype.readUint8=y.prototype.readUInt8=o(function(e,t){return e=e>>>0,t||te(e,1,this.length),this[e]},"readUInt8");y.prototype.readUint16LE=y.prototype.readUInt16LE=o(function(e,t){return e=e>>>0,t||te(e,2,this.length),this[e]|this[e+1]<<8},"readUInt16LE");y.prototype.readUint16BE=y.prototype.readUInt16BE=o(function(e,t){return e=e>>>0,t||te(e,2,this.length),this[e]<<8|this[e+1]},"readUInt16BE");y.prototype.readUint32LE=y.prototype.readUInt32LE=o(function(e,t){return e=e>>>0,t||te(e,4,this.length),(this[e]|this[e+1]<<8|this[e+2]<<16)+this[e+3]*16777216},"readUInt32LE");y.prototype.readUint32BE=y.prototype.readUInt32BE=o(function(e,t){return e=e>>>0,t||te(e,4,this.length),this[e]*16777216+(this[e+1]<<16|this[e+2]<<8|this[e+3])},"readUInt32BE");y.prototype.readBigUInt64LE=Ve(o(function(e){e=e>>>0,Rt(e,"offset");let t=this[e],r=this[e+7];(t===void 0||r===void 0)&&fr(e,this.length-8);let i=t+this[++e]*2**8+this[++e]*2**16+this[++e]*2**24,s=this[++e]+this[++e]*2**8+this[++e]*2**16+r*2**24;return BigInt(i)+(BigInt(s)<<BigInt(32))},"readBigUInt64LE"));y.prototype.readBigUInt64BE=Ve(o(function(e){e=e>>>0,Rt(e,"offset");let t=this[e],r=this[e+7];(t===void 0||r===void 0)&&fr(e,this.length-8);let i=t*2**24+this[++e]*2**16+this[++e]*2**8+this[++e],s=this[++e]*2**24+this[++e]*2**16+this[++e]*2**8+r;return(BigInt(i)<<BigInt(32))+BigInt(s)},"readBigUInt64BE"));y.prototype.readIntLE=o(function(e,t,r){e=e>>>0,t=t>>>0,r||te(e,t,this.length);let i=this[e],s=1,a=0;for(;++a<t&&(s*=256);)i+=this[e+a]*s;return s*=128,i>=s&&(i-=Math.pow(2,8*t)),i},"readIntLE");y.prototype.readIntBE=o(function(e,t,r){e=e>>>0,t=t>>>0,r||te(e,t,this.length);let i=t,s=1,a=this[e+--i];for(;i>0&&(s*=256);)a+=this[e+--i]*s;return s*=128,a>=s&&(a-=Math.pow(2,8*t)),a},"readIntBE");y.prototype.readInt8=o(function(e,t){return e=e>>>0,t||te(e,1,this.length),this[e]&128?(255-this[e]+1)*-1:this[e]},"readInt8");y.prototype.readInt16LE=o(function(e,t){e=e>>>0,t||te(e,2,this.length);let r=this[e]|this[e+1]<<8;return r&32768?r|4294901760:r},"readInt16LE");y.prototype.readInt16BE=o(function(e,t){e=e>>>0,t||te(e,2,this.length);let r=this[e+1]|this[e]<<8;return r&32768?r|4294901760:r},"readInt16BE");y.prototype.readInt32LE=o(function(e,t){return e=e>>>0,t||te(e,4,this.length),this[e]|this[e+1]<<8|this[e+2]<<16|this[e+3]<<24},"readInt32LE");y.prototype.readInt32BE=o(function(e,t){return e=e>>>0,t||te(e,4,this.length),this[e]<<24|this[e+1]<<16|this[e+2]<<8|this[e+3]},"readInt32BE");y.prototype.readBigInt64LE=Ve(o(function(e){e=e>>>0,Rt(e,"offset");let t=this[e],r=this[e+7];(t===void 0||r===void 0)&&fr(e,this.length-8);let i=this[e+4]+this[e+5]*2**8+this[e+6]*2**16+(r<<24);return(BigInt(i)<<BigInt(32))+BigInt(t+this[++e]*2**8+this[++e]*2**16+this[++e]*2**24)},"readBigInt64LE"));y.prototype.readBigInt64BE=Ve(o(function(e){e=e>>>0,Rt(e,"offset");let t=this[e],r=this[e+7];(t===void 0||r===void 0)&&fr(e,this.length-8);let i=(t<<24)+this[++e]*2**16+this[++e]*2**8+this[++e];return(BigInt(i)<<BigInt(32))+BigInt(this[++e]*2**24+this[++e]*2**16+this[++e]*2**8+r)},"readBigInt64BE"));y.prototype.readFloatLE=o(function(e,t){return e=e>>>0,t||te(e,4,this.length),Tt.read(this,e,!0,23,4)},"readFloatLE");y.prototype.readFloatBE=o(function(e,t){return e=e>>>0,t||te(e,4,this.length),Tt.read(this,e,!1,23,4)},"readFloatBE");y.prototype.readDoubleLE=o(function(e,t){return e=e>>>0,t||te(e,8,this.length),Tt.read(this,e,!0,52,8)},"readDoubleLE");y.prototype.readDoubleBE=o(function(e,t){return e=e>>>0,t||te(e,8,this.length),Tt.read(this,e,!1,52,8)},"readDoubleBE");function ce(n,e,t,r,i,s){if(!y.isBuffer(n))throw new TypeError('"buffer" argument must be a Buffer instance');if(e>i||e<s)throw new RangeError('"value" argument is out of bounds');if(t+r>n.length)throw new RangeError("Index out of range")}o(ce,"checkInt");y.prototype.writeUintLE=y.prototype.writeUIntLE=o(function(e,t,r,i){if(e=+e,t=t>>>0,r=r>>>0,!i){let u=Math.pow(2,8*r)-1;ce(this,e,t,r,u,0)}let s=1,a=0;for(this[t]=e&255;++a<r&&(s*=256);)this[t+a]=e/s&255;return t+r},"writeUIntLE");y.prototype.writeUintBE=y.prototype.writeUIntBE=o(function(e,t,r,i){if(e=+e,t=t>>>0,r=r>>>0,!i){let u=Math.pow(2,8*r)-1;ce(this,e,t,r,u,0)}let s=r-1,a=1;for(this[t+s]=e&255;--s>=0&&(a*=256);)this[t+s]=e/a&255;return t+r},"writeUIntBE");y.prototype.writeUint8=y.prototype.writeUInt8=o(function(e,t,r){return e=+e,t=t>>>0,r||ce(this,e,t,1,255,0),this[t]=e&255,t+1},"writeUInt8");y.prototype.writeUint16LE=y.prototype.writeUInt16LE=o(function(e,t,r){return e=+e,t=t>>>0,r||ce(this,e,t,2,65535,0),this[t]=e&255,this[t+1]=e>>>8,t+2},"writeUInt16LE");y.prototype.writeUint16BE=y.prototype.writeUInt16BE=o(function(e,t,r){return e=+e,t=t>>>0,r||ce(this,e,t,2,65535,0),this[t]=e>>>8,this[t+1]=e&255,t+2},"writeUInt16BE");y.prototype.writeUint32LE=y.prototype.writeUInt32LE=o(function(e,t,r){return e=+e,t=t>>>0,r||ce(this,e,t,4,4294967295,0),this[t+3]=e>>>24,this[t+2]=e>>>16,this[t+1]=e>>>8,this[t]=e&255,t+4},"writeUInt32LE");y.prototype.writeUint32BE=y.prototype.writeUInt32BE=o(function(e,t,r){return e=+e,t=t>>>0,r||ce(this,e,t,4,4294967295,0),this[t]=e>>>24,this[t+1]=e>>>16,this[t+2]=e>>>8,this[t+3]=e&255,t+4},"writeUInt32BE");function ih(n,e,t,r,i){lh(e,r,i,n,t,7);let s=Number(e&BigInt(4294967295));n[t++]=s,s=s>>8,n[t++]=s,s=s>>8,n[t++]=s,s=s>>8,n[t++]=s;let a=Number(e>>BigInt(32)&BigInt(4294967295));return n[t++]=a,a=a>>8,n[t++]=a,a=a>>8,n[t++]=a,a=a>>8,n[t++]=a,t}o(ih,"wrtBigUInt64LE");function sh(n,e,t,r,i){lh(e,r,i,n,t,7);let s=Number(e&BigInt(4294967295));n[t+7]=s,s=s>>8,n[t+6]=s,s=s>>8,n[t+5]=s,s=s>>8,n[t+4]=s;let a=Number(e>>BigInt(32)&BigInt(4294967295));return n[t+3]=a,a=a>>8,n[t+2]=a,a=a>>8,n[t+1]=a,a=a>>8,n[t]=a,t+8}o(sh,"wrtBigUInt64BE");y.prototype.writeBigUInt64LE=Ve(o(function(e,t=0){return ih(this,e,t,BigInt(0),BigInt("0xffffffffffffffff"))},"writeBigUInt64LE"));y.prototype.writeBigUInt64BE=Ve(o(function(e,t=0){return sh(this,e,t,BigInt(0),BigInt("0xffffffffffffffff"))},"writeBigUInt64BE"));y.prototype.writeIntLE=o(function(e,t,r,i){if(e=+e,t=t>>>0,!i){let l=Math.pow(2,8*r-1);ce(this,e,t,r,l-1,-l)}let s=0,a=1,u=0;for(this[t]=e&255;++s<r&&(a*=256);)e<0&&u===0&&this[t+s-1]!==0&&(u=1),this[t+s]=(e/a>>0)-u&255;return t+r},"writeIntLE");y.prototype.writeIntBE=o(function(e,t,r,i){if(e=+e,t=t>>>0,!i){let l=Math.pow(2,8*r-1);ce(this,e,t,r,l-1,-l)}let s=r-1,a=1,u=0;for(this[t+s]=e&255;--s>=0&&(a*=256);)e<0&&u===0&&this[t+s+1]!==0&&(u=1),this[t+s]=(e/a>>0)-u&255;return t+r},"writeIntBE");y.prototype.writeInt8=o(function(e,t,r){return e=+e,t=t>>>0,r||ce(this,e,t,1,127,-128),e<0&&(e=255+e+1),this[t]=e&255,t+1},"writeInt8");y.prototype.writeInt16LE=o(function(e,t,r){return e=+e,t=t>>>0,r||ce(this,e,t,2,32767,-32768),this[t]=e&255,this[t+1]=e>>>8,t+2},"writeInt16LE");y.prototype.writeInt16BE=o(function(e,t,r){return e=+e,t=t>>>0,r||ce(this,e,t,2,32767,-32768),this[t]=e>>>8,this[t+1]=e&255,t+2},"writeInt16BE");y.prototype.writeInt32LE=o(function(e,t,r){return e=+e,t=t>>>0,r||ce(this,e,t,4,2147483647,-2147483648),this[t]=e&255,this[t+1]=e>>>8,this[t+2]=e>>>16,this[t+3]=e>>>24,t+4},"writeInt32LE");y.prototype.writeInt32BE=o(function(e,t,r){return e=+e,t=t>>>0,r||ce(this,e,t,4,2147483647,-2147483648),e<0&&(e=4294967295+e+1),this[t]=e>>>24,this[t+1]=e>>>16,this[t+2]=e>>>8,this[t+3]=e&255,t+4},"writeInt32BE");y.prototype.writeBigInt64LE=Ve(o(function(e,t=0){return ih(this,e,t,-BigInt("0x8000000000000000"),BigInt("0x7fffffffffffffff"))},"writeBigInt64LE"));y.prototype.writeBigInt64BE=Ve(o(function(e,t=0){return sh(this,e,t,-BigInt("0x8000000000000000"),BigInt("0x7fffffffffffffff"))},"writeBigInt64BE"));function oh(n,e,t,r,i,s){if(t+r>n.length)throw new RangeError("Index out of range");if(t<0)throw new RangeError("Index out of range")}o(oh,"checkIEEE754");function ah(n,e,t,r,i){return e=+e,t=t>>>0,i||oh(n,e,t,4,34028234663852886e22,-34028234663852886e22),Tt.write(n,e,t,r,23,4),t+4}o(ah,"writeFloat");y.prototype.writeFloatLE=o(function(e,t,r){return ah(this,e,t,!0,r)},"writeFloatLE");y.prototype.writeFloatBE=o(function(e,t,r){return ah(this,e,t,!1,r)},"writeFloatBE");function uh(n,e,t,r,i){return e=+e,t=t>>>0,i||oh(n,e,t,8,17976931348623157e292,-17976931348623157e292),Tt.write(n,e,t,r,52,8),t+8}o(uh,"writeDouble");y.prototype.writeDoubleLE=o(function(e,t,r){return uh(this,e,t,!0,r)},"writeDoubleLE");y.prototype.writeDoubleBE=o(function(e,t,r){return uh(this,e,t,!1,r)},"writeDoubleBE");y.prototype.copy=o(function(e,t,r,i){if(!y.isBuffer(e))throw new TypeError("argument should be a Buffer");if(r||(r=0),!i&&i!==0&&(i=this.length),t>=e.length&&(t=e.length),t||(t=0),i>0&&i<r&&(i=r),i===r||e.length===0||this.length===0)return 0;if(t<0)throw new RangeError("targetStart out of bounds");if(r<0||r>=this.length)throw new RangeError("Index out of range");if(i<0)throw new RangeError("sourceEnd out of bounds");i>this.length&&(i=this.length),e.length-t<i-r&&(i=e.length-t+r);let s=i-r;return this===e&&typeof Uint8Array.prototype.copyWithin=="function"?this.copyWithin(t,r,i):Uint8Array.prototype.set.call(e,this.subarray(r,i),t),s},"copy");y.prototype.fill=o(function(e,t,r,i){if(typeof e=="string"){if(typeof t=="string"?(i=t,t=0,r=this.length):typeof r=="string"&&(i=r,r=this.length),i!==void 0&&typeof i!="string")throw new TypeError("encoding must be a string");if(typeof i=="string"&&!y.isEncoding(i))throw new TypeError("Unknown encoding: "+i);if(e.length===1){let a=e.charCodeAt(0);(i==="utf8"&&a<128||i==="latin1")&&(e=a)}}else typeof e=="number"?e=e&255:typeof e=="boolean"&&(e=Number(e));if(t<0||this.length<t||this.length<r)throw new RangeError("Out of range index");if(r<=t)return this;t=t>>>0,r=r===void 0?this.length:r>>>0,e||(e=0);let s;if(typeof e=="number")for(s=t;s<r;++s)this[s]=e;else{let a=y.isBuffer(e)?e:y.from(e,i),u=a.length;if(u===0)throw new TypeError('The value "'+e+'" is invalid for argument "value"');for(s=0;s<r-t;++s)this[s+t]=a[s%u]}return this},"fill");var Pt={};function Qi(n,e,t){Pt[n]=class extends t{static{o(this,"NodeError")}constructor(){super(),Object.defineProperty(this,"message",{value:e.apply(this,arguments),writable:!0,configurable:!0}),this.name=`${this.name} [${n}]`,this.stack,delete this.name}get code(){return n}set code(i){Object.defineProperty(this,"code",{configurable:!0,enumerable:!0,value:i,writable:!0})}toString(){return`${this.name} [${n}]: ${this.message}`}}}o(Qi,"E");Qi("ERR_BUFFER_OUT_OF_BOUNDS",function(n){return n?`${n} is outside of buffer bounds`:"Attempt to access memory outside buffer bounds"},RangeError);Qi("ERR_INVALID_ARG_TYPE",function(n,e){return`The "${n}" argument must be of type number. Received type ${typeof e}`},TypeError);Qi("ERR_OUT_OF_RANGE",function(n,e,t){let r=`The value of "${n}" is out of range.`,i=t;return Number.isInteger(t)&&Math.abs(t)>2**32?i=Zc(String(t)):typeof t=="bigint"&&(i=String(t),(t>BigInt(2)**BigInt(32)||t<-(BigInt(2)**BigInt(32)))&&(i=Zc(i)),i+="n"),r+=` It must be ${e}. Received ${i}`,r},RangeError);function Zc(n){let e="",t=n.length,r=n[0]==="-"?1:0;for(;t>=r+4;t-=3)e=`_${n.slice(t-3,t)}${e}`;return`${n.slice(0,t)}${e}`}o(Zc,"addNumericalSeparator");function j1(n,e,t){Rt(e,"offset"),(n[e]===void 0||n[e+t]===void 0)&&fr(e,n.length-(t+1))}o(j1,"checkBounds");function lh(n,e,t,r,i,s){if(n>t||n<e){let a=typeof e=="bigint"?"n":"",u;throw s>3?e===0||e===BigInt(0)?u=`>= 0${a} and < 2${a} ** ${(s+1)*8}${a}`:u=`>= -(2${a} ** ${(s+1)*8-1}${a}) and < 2 ** ${(s+1)*8-1}${a}`:u=`>= ${e}${a} and <= ${t}${a}`,new Pt.ERR_OUT_OF_RANGE("value",u,n)}j1(r,i,s)}o(lh,"checkIntBI");function Rt(n,e){if(typeof n!="number")throw new Pt.ERR_INVALID_ARG_TYPE(e,"number",n)}o(Rt,"validateNumber");function fr(n,e,t){throw Math.floor(n)!==n?(Rt(n,t),new Pt.ERR_OUT_OF_RANGE(t||"offset","an integer",n)):e<0?new Pt.ERR_BUFFER_OUT_OF_BOUNDS:new Pt.ERR_OUT_OF_RANGE(t||"offset",`>= ${t?1:0} and <= ${e}`,n)}o(fr,"boundsError");var D1=/[^+/0-9A-Za-z-_]/g;function $1(n){if(n=n.split("=")[0],n=n.trim().replace(D1,""),n.length<2)return"";for(;n.length%4!==0;)n=n+"=";return n}o($1,"base64clean");function Vi(n,e){e=e||1/0;let t,r=n.length,i=null,s=[];for(let a=0;a<r;++a){if(t=n.charCodeAt(a),t>55295&&t<57344){if(!i){if(t>56319){(e-=3)>-1&&s.push(239,191,189);continue}else if(a+1===r){(e-=3)>-1&&s.push(239,191,189);continue}i=t;continue}if(t<56320){(e-=3)>-1&&s.push(239,191,189),i=t;continue}t=(i-55296<<10|t-56320)+65536}else i&&(e-=3)>-1&&s.push(239,191,189);if(i=null,t<128){if((e-=1)<0)break;s.push(t)}else if(t<2048){if((e-=2)<0)break;s.push(t>>6|192,t&63|128)}else if(t<65536){if((e-=3)<0)break;s.push(t>>12|224,t>>6&63|128,t&63|128)}else if(t<1114112){if((e-=4)<0)break;s.push(t>>18|240,t>>12&63|128,t>>6&63|128,t&63|128)}else throw new Error("Invalid code point")}return s}o(Vi,"utf8ToBytes");function G1(n){let e=[];for(let t=0;t<n.length;++t)e.push(n.charCodeAt(t)&255);return e}o(G1,"asciiToBytes");function z1(n,e){let t,r,i,s=[];for(let a=0;a<n.length&&!((e-=2)<0);++a)t=n.charCodeAt(a),r=t>>8,i=t%256,s.push(i),s.push(r);return s}o(z1,"utf16leToBytes");function ch(n){return zi.toByteArray($1(n))}o(ch,"base64ToBytes");function xn(n,e,t,r){let i;for(i=0;i<r&&!(i+t>=e.length||i>=n.length);++i)e[i+t]=n[i];return i}o(xn,"blitBuffer");function Ie(n,e){return n instanceof e||n!=null&&n.constructor!=null&&n.constructor.name!=null&&n.constructor.name===e.name}o(Ie,"isInstance");function Yi(n){return n!==n}o(Yi,"numberIsNaN");var W1=function(){let n="0123456789abcdef",e=new Array(256);for(let t=0;t<16;++t){let r=t*16;for(let i=0;i<16;++i)e[r+i]=n[t]+n[i]}return e}();function Ve(n){return typeof BigInt>"u"?J1:n}o(Ve,"defineBigIntMethod");function J1(){throw new Error("BigInt not supported")}o(J1,"BufferBigIntNotDefined")});var Xi=p((sC,hh)=>{hh.exports={}});var ph=p((aC,fh)=>{var V1=S(),pr=Zi().Buffer,He=Me(),H1=H(),K1=Xi();fh.exports=class{static{o(this,"Image")}constructor(e,t){if(this.ctx=e,this.path=V1.lookup(t,e.paths),!this.path)throw new Error("failed to locate file "+t)}open(){this.fd=He.openSync(this.path,"r"),this.length=He.fstatSync(this.fd).size,this.extname=H1.extname(this.path).slice(1)}close(){this.fd&&He.closeSync(this.fd)}type(){var e,t=pr.alloc(4);return He.readSync(this.fd,t,0,4,0),t[0]==71&&t[1]==73&&t[2]==70?e="gif":t[1]==80&&t[2]==78&&t[3]==71?e="png":t[0]==255&&t[1]==216?e="jpeg":this.extname=="svg"&&(e=this.extname),e}size(){var e=this.type(),t,r,i,s,a,u;function l(c){return c[1]<<8|c[0]}o(l,"uint16");function h(c){return c[0]<<24|c[1]<<16|c[2]<<8|c[3]}switch(o(h,"uint32"),e){case"jpeg":for(i=pr.alloc(this.length),He.readSync(this.fd,i,0,this.length,0),s=4,a=i[s]<<8|i[s+1];s<this.length&&(s+=a,!(s>=this.length||i[s]!=255));)i[s+1]==192||i[s+1]==194?(r=i[s+5]<<8|i[s+6],t=i[s+7]<<8|i[s+8]):(s+=2,a=i[s]<<8|i[s+1]);break;case"png":i=pr.alloc(8),He.readSync(this.fd,i,0,8,16),t=h(i),r=h(i.slice(4,8));break;case"gif":i=pr.alloc(4),He.readSync(this.fd,i,0,4,6),t=l(i),r=l(i.slice(2,4));break;case"svg":s=Math.min(this.length,1024),i=pr.alloc(s),He.readSync(this.fd,i,0,s,0),i=i.toString("utf8"),u=K1.parser(!0),u.onopentag=function(c){c.name=="svg"&&c.attributes.width&&c.attributes.height&&(t=parseInt(c.attributes.width,10),r=parseInt(c.attributes.height,10))},u.write(i).close();break}if(typeof t!="number")throw new Error('failed to find width of "'+this.path+'"');if(typeof r!="number")throw new Error('failed to find height of "'+this.path+'"');return[t,r]}}});var yh=p((lC,mh)=>{var Q1=S(),Sn=x(),Y1=ph();function dh(n,e){Q1.assertType(n,"string","img");try{var n=new Y1(this,n.string)}catch(i){if(e)return[new Sn.Unit(0),new Sn.Unit(0)];throw i}n.open();var t=n.size();n.close();var r=[];return r.push(new Sn.Unit(t[0],"px")),r.push(new Sn.Unit(t[1],"px")),r}o(dh,"imageSize");dh.params=["img","ignoreErr"];mh.exports=dh});var wh=p((hC,vh)=>{var mt=S(),es=x(),Z1=Me().readFileSync;function gh(n,e,t){mt.assertString(n,"path"),n=n.string;var r=mt.lookup(n,this.options.paths,this.options.filename),i=e&&e.nodeName=="object"&&e;if(!r){if(i&&i.get("optional").toBoolean().isTrue)return es.null;throw new Error("failed to locate .json file "+n)}var s=JSON.parse(Z1(r,"utf8"));if(i)return a(s,i);X1.call(this,s,e,t);function a(u,l){var h=new es.Object,c=l.get("leave-strings").toBoolean();for(var f in u){var d=u[f];typeof d=="object"?h.set(f,a(d,l)):(d=mt.coerce(d),d.nodeName=="string"&&c.isFalse&&(d=mt.parseString(d.string)),h.set(f,d))}return h}o(a,"convert")}o(gh,"json");gh.params=["path","local","namePrefix"];vh.exports=gh;function X1(n,e,t){t?(mt.assertString(t,"namePrefix"),t=t.val):t="",e=e?e.toBoolean():new es.Boolean(e);var r=e.isTrue?this.currentScope:this.global.scope;i(n);return;function i(s,a){a=a?a+"-":"";for(var u in s){var l=s[u],h=a+u;typeof l=="object"?i(l,h):(l=mt.coerce(l),l.nodeName=="string"&&(l=mt.parseString(l.string)),r.add({name:t+h,val:l}))}}}o(X1,"oldJson")});var xh=p((pC,bh)=>{var eb=S();(bh.exports=o(function(e){if(e)if(e.nodes){var t=eb.unwrap(e).nodes;return t.length==1&&t[0].nodeName=="object"?t[0].length:t.length==1&&t[0].nodeName=="string"?t[0].val.length:t.length}else return 1;return 0},"length")).raw=!0});var Eh=p((mC,kh)=>{var kn=x(),tb=Nt(),rb=hr();function Sh(n,e){if(e){var t=n.hsla;return tb(new kn.Unit(t.h),new kn.Unit(t.s),e,new kn.Unit(t.a))}return rb(n,new kn.String("lightness"))}o(Sh,"lightness");Sh.params=["color","value"];kh.exports=Sh});var qh=p((gC,Ah)=>{var nb=S(),ib=x();(Ah.exports=o(function(e){return e=nb.unwrap(e),new ib.String(e.isList?",":" ")},"listSeparator")).raw=!0});var Oh=p((wC,_h)=>{var sb=S(),ob=x();function Ch(n){sb.assertType(n,"string","name");var e=this.lookup(n.val);return e?this.visit(e):ob.null}o(Ch,"lookup");Ch.params=["name"];_h.exports=Ch});var Lh=p((SC,Fh)=>{var Bh=S(),xC=x(),ab="igm";function Ih(n,e,t){Bh.assertType(n,"string","pattern"),Bh.assertString(e,"val");var r=new RegExp(n.val,ub(t)?t.string:"");return e.string.match(r)}o(Ih,"match");Ih.params=["pattern","val","flags"];Fh.exports=Ih;function ub(n){return n=n&&n.string,n?n.split("").every(function(e){return~ab.indexOf(e)}):!1}o(ub,"validateFlags")});var Rh=p((EC,Th)=>{var Nh=S(),lb=x();function Ph(n,e){return Nh.assertType(n,"unit","n"),Nh.assertString(e,"fn"),new lb.Unit(Math[e.string](n.val),n.type)}o(Ph,"math");Ph.params=["n","fn"];Th.exports=Ph});var Uh=p((qC,Mh)=>{var Ut=S();(Mh.exports=o(function(e){Ut.assertPresent(e,"dest"),e=Ut.unwrap(e).first,Ut.assertType(e,"object","dest");for(var t=Ut.unwrap(arguments[arguments.length-1]).first,r=t.val===!0,i=1,s=arguments.length-r;i<s;++i)Ut.merge(e.vals,Ut.unwrap(arguments[i]).first.vals,r);return e},"merge")).raw=!0});var $h=p((_C,Dh)=>{var ts=S();function jh(n,e,t){return ts.assertType(n,"string","op"),ts.assertPresent(e,"left"),ts.assertPresent(t,"right"),e.operate(n.val,t)}o(jh,"operate");jh.params=["op","left","right"];Dh.exports=jh});var Wh=p((BC,zh)=>{var Gh=S(),cb=x();(zh.exports=o(function(e){var t=[];return Gh.unwrap(e).nodes.forEach(function(r,i){Gh.assertString(r,"position "+i),r=function(){switch(r.string){case"top":return"bottom";case"bottom":return"top";case"left":return"right";case"right":return"left";case"center":return"center";default:throw new Error("invalid position "+r)}}(),t.push(new cb.Literal(r))}),t},"oppositePosition")).raw=!0});var Vh=p((FC,Jh)=>{var hb=S(),fb=x();(Jh.exports=o(function(){return[].slice.call(arguments).forEach(function(e){e=hb.unwrap(e),e.nodes.length&&console.log("\x1B[90minspect:\x1B[0m %s",e.toString().replace(/^\(|\)$/g,""))}),fb.null},"p")).raw=!0});var Kh=p((NC,Hh)=>{var pb=H();(Hh.exports=o(function(){var e=[].slice.call(arguments).map(function(t){return t.first.string});return pb.join.apply(null,e).replace(/\\/g,"/")},"pathjoin")).raw=!0});var Yh=p((TC,Qh)=>{var db=S();(Qh.exports=o(function(e){return e=db.unwrap(e),e.nodes.pop()},"pop")).raw=!0});var ef=p((MC,Xh)=>{var Zh=S();(Xh.exports=function(n){n=Zh.unwrap(n);for(var e=1,t=arguments.length;e<t;++e)n.nodes.push(Zh.unwrap(arguments[e]).clone());return n.nodes.length}).raw=!0});var nf=p((UC,rf)=>{var rs=S(),ns=x();function tf(n,e,t){if(rs.assertType(n,"unit","start"),rs.assertType(e,"unit","stop"),t){if(rs.assertType(t,"unit","step"),t.val==0)throw new Error('ArgumentError: "step" argument must not be zero')}else t=new ns.Unit(1);for(var r=new ns.Expression,i=n.val;i<=e.val;i+=t.val)r.push(new ns.Unit(i,n.type));return r}o(tf,"range");tf.params=["start","stop","step"];rf.exports=tf});var af=p((DC,of)=>{var En=x(),mb=ht();function sf(n,e){return n=n.rgba,e?mb(e,new En.Unit(n.g),new En.Unit(n.b),new En.Unit(n.a)):new En.Unit(n.r,"")}o(sf,"red");sf.params=["color","value"];of.exports=sf});var hf=p((GC,cf)=>{var uf=S();function lf(n,e){return uf.assertType(n,"object","object"),uf.assertString(e,"key"),delete n.vals[e.string],n}o(lf,"remove");lf.params=["object","key"];cf.exports=lf});var df=p((WC,pf)=>{var is=S(),ss=x();function ff(n,e,t){is.assertString(n,"pattern"),is.assertString(e,"replacement"),is.assertString(t,"val"),n=new RegExp(n.string,"g");var r=t.string.replace(n,e.string);return t instanceof ss.Ident?new ss.Ident(r):new ss.String(r)}o(ff,"replace");ff.params=["pattern","replacement","val"];pf.exports=ff});var vf=p((VC,gf)=>{var yb=S(),mf=x(),gb=ht();function yf(n,e,t){switch(arguments.length){case 1:yb.assertColor(n);var r=n.rgba;return new mf.RGBA(r.r,r.g,r.b,1);default:return gb(n,e,t,new mf.Unit(1))}}o(yf,"rgb");yf.params=["red","green","blue"];gf.exports=yf});var An=p((KC,wf)=>{wf.exports=o(function(e,t){var r={rad:1,deg:180/Math.PI,turn:.5/Math.PI,grad:200/Math.PI};return e*r[t]},"convertAngle")});var xf=p((YC,bf)=>{var vb=x(),wb=An();bf.exports=o(function(e,r){var r=typeof r<"u"?r:"deg",i=Math.atan(e),s=Math.pow(10,9),a=wb(i,r);return a=Math.round(a*s)/s,new vb.Unit(a,r)},"atan")});var os=p((XC,Sf)=>{var bb=x(),xb=An();Sf.exports=o(function(e,r){var r=typeof r<"u"?r:"deg",i=Math.pow(10,9),s=Math.asin(e),a=xb(s,r);return a=Math.round(a*i)/i,new bb.Unit(a,r)},"atan")});var Ef=p((t_,kf)=>{var Sb=x(),kb=An(),Eb=os();kf.exports=o(function(e,r){var r=typeof r<"u"?r:"deg",i=kb(Math.PI/2,r)-Eb(e,r).val,s=Math.pow(10,9);return i=Math.round(i*s)/s,new Sb.Unit(i,r)},"acos")});var dr=p((i_,Af)=>{var Ab=lr(),qb=S(),Cb=Me();Af.exports=class extends Ab{static{o(this,"Compiler")}constructor(e,t){super(e),t=t||{},this.compress=t.compress,this.firebug=t.firebug,this.linenos=t.linenos,this.spaces=t["indent spaces"]||2,this.indents=1,this.stack=[]}compile(){return this.visit(this.root)}out(e,t){return e}get indent(){return this.compress?"":new Array(this.indents).join(Array(this.spaces+1).join(" "))}needBrackets(e){return this.indents==1||e.nodeName!="atrule"||e.hasOnlyProperties}visitRoot(e){this.buf="";for(var t=0,r=e.nodes.length;t<r;++t){var i=e.nodes[t];(this.linenos||this.firebug)&&this.debugInfo(i);var s=this.visit(i);s&&(this.buf+=this.out(s+`
+`,i))}return this.buf}visitBlock(e){var t,r=this.compress?"":`
+`,i,s;if(e.hasProperties&&!e.lacksRenderedSelectors){if(i=this.needBrackets(e.node),this.compress){for(var a=e.nodes.length-1;a>=0;--a)if(e.nodes[a].nodeName==="property"){s=a;break}}i&&(this.buf+=this.out(this.compress?"{":` {
+`),++this.indents);for(var a=0,u=e.nodes.length;a<u;++a)switch(this.last=s===a,t=e.nodes[a],t.nodeName){case"null":case"expression":case"function":case"group":case"block":case"unit":case"media":case"keyframes":case"atrule":case"supports":continue;case(!this.compress&&t.inline&&"comment"):this.buf=this.buf.slice(0,-1),this.buf+=this.out(" "+this.visit(t)+`
+`,t);break;case"property":var l=this.visit(t)+r;this.buf+=this.compress?l:this.out(l,t);break;default:this.buf+=this.out(this.visit(t)+r,t)}i&&(--this.indents,this.buf+=this.out(this.indent+"}"+r))}for(var a=0,u=e.nodes.length;a<u;++a)switch(t=e.nodes[a],t.nodeName){case"group":case"block":case"keyframes":(this.linenos||this.firebug)&&this.debugInfo(t),this.visit(t);break;case"media":case"import":case"atrule":case"supports":this.visit(t);break;case"comment":t.suppress||(this.buf+=this.out(this.indent+this.visit(t)+`
+`,t));break;case"charset":case"literal":case"namespace":this.buf+=this.out(this.visit(t)+`
+`,t);break}}visitKeyframes(e){if(e.frames){var t=e.prefix=="official"?"":"-"+e.prefix+"-";this.buf+=this.out("@"+t+"keyframes "+this.visit(e.val)+(this.compress?"{":` {
+`),e),this.keyframe=!0,++this.indents,this.visit(e.block),--this.indents,this.keyframe=!1,this.buf+=this.out("}"+(this.compress?"":`
+`))}}visitMedia(e){var t=e.val;!e.hasOutput||!t.nodes.length||(this.buf+=this.out("@media ",e),this.visit(t),this.buf+=this.out(this.compress?"{":` {
+`),++this.indents,this.visit(e.block),--this.indents,this.buf+=this.out("}"+(this.compress?"":`
+`)))}visitQueryList(e){for(var t=0,r=e.nodes.length;t<r;++t)this.visit(e.nodes[t]),r-1!=t&&(this.buf+=this.out(","+(this.compress?"":" ")))}visitQuery(e){var t=e.nodes.length;e.predicate&&(this.buf+=this.out(e.predicate+" ")),e.type&&(this.buf+=this.out(e.type+(t?" and ":"")));for(var r=0;r<t;++r)this.buf+=this.out(this.visit(e.nodes[r])),t-1!=r&&(this.buf+=this.out(" and "))}visitFeature(e){return e.expr?e.expr.isEmpty?"("+e.name+")":"("+e.name+":"+(this.compress?"":" ")+this.visit(e.expr)+")":e.name}visitImport(e){this.buf+=this.out("@import "+this.visit(e.path)+`;
+`,e)}visitAtrule(e){var t=this.compress?"":`
+`;this.buf+=this.out(this.indent+"@"+e.type,e),e.val&&(this.buf+=this.out(" "+e.val.trim())),e.block?e.block.isEmpty?this.buf+=this.out((this.compress?"":" ")+"{}"+t):e.hasOnlyProperties?this.visit(e.block):(this.buf+=this.out(this.compress?"{":` {
+`),++this.indents,this.visit(e.block),--this.indents,this.buf+=this.out(this.indent+"}"+t)):this.buf+=this.out(";"+t)}visitSupports(e){e.hasOutput&&(this.buf+=this.out(this.indent+"@supports ",e),this.isCondition=!0,this.buf+=this.out(this.visit(e.condition)),this.isCondition=!1,this.buf+=this.out(this.compress?"{":` {
+`),++this.indents,this.visit(e.block),--this.indents,this.buf+=this.out(this.indent+"}"+(this.compress?"":`
+`)))}visitComment(e){return this.compress&&e.suppress?"":e.str}visitFunction(e){return e.name}visitCharset(e){return"@charset "+this.visit(e.val)+";"}visitNamespace(e){return"@namespace "+(e.prefix?this.visit(e.prefix)+" ":"")+this.visit(e.val)+";"}visitLiteral(e){var t=e.val;return e.css&&(t=t.replace(/^  /gm,"")),t}visitBoolean(e){return e.toString()}visitRGBA(e){return e.toString()}visitHSLA(e){return e.rgba.toString()}visitUnit(e){var t=e.type||"",r=e.val,i=r!=(r|0);if(this.compress){if(!["%","s","ms","deg","fr"].includes(t)&&r==0)return"0";if(i&&r<1&&r>-1)return r.toString().replace("0.",".")+t}return(i?parseFloat(r.toFixed(15)):r).toString()+t}visitGroup(e){var t=this.keyframe?[]:this.stack,r=this.compress?",":`,
+`;if(t.push(e.nodes),e.block.hasProperties){var i=qb.compileSelectors.call(this,t),s=i.length;if(s){this.keyframe&&(r=this.compress?",":", ");for(var a=0;a<s;++a){var u=i[a],l=a==s-1;this.keyframe&&(u=a?u.trim():u),this.buf+=this.out(u+(l?"":r),e.nodes[a])}}else e.block.lacksRenderedSelectors=!0}this.visit(e.block),t.pop()}visitIdent(e){return e.name}visitString(e){return this.isURL?e.val:e.toString()}visitNull(e){return""}visitCall(e){this.isURL=e.name=="url";var t=e.args.nodes.map(function(r){return this.visit(r)},this).join(this.compress?",":", ");return this.isURL&&(t='"'+t+'"'),this.isURL=!1,e.name+"("+t+")"}visitExpression(e){var t=[],r=this,i=e.nodes.length,s=e.nodes.map(function(a){return r.visit(a)});return s.forEach(function(a,u){var l=u==i-1;if(t.push(a),!(s[u+1]=="/"||a=="/")&&!l){var h=r.isURL||r.isCondition&&(s[u+1]==")"||a=="(")?"":" ";t.push(e.isList?r.compress?",":", ":h)}}),t.join("")}get visitArguments(){return this.visitExpression}visitProperty(e){var t=this.visit(e.expr).trim(),r=e.name||e.segments.join(""),i=[];return r==="@apply"?(i.push(this.out(this.indent),this.out(r+" ",e),this.out(t,e.expr),this.out(this.compress&&this.last?"":";")),i.join("")):(i.push(this.out(this.indent),this.out(r+(this.compress?":":": "),e),this.out(t,e.expr),this.out(this.compress&&this.last?"":";")),i.join(""))}debugInfo(e){var t=e.filename=="stdin"?"stdin":Cb.realpathSync(e.filename),r=(e.nodes&&e.nodes.length?e.nodes[0].lineno:e.lineno)||1;this.linenos&&(this.buf+=`
+/* line `+r+" : "+t+` */
+`),this.firebug&&(t="file\\:\\/\\/"+t.replace(/([.:/\\])/g,function(i){return"\\"+(i==="\\"?"/":i)}),r="\\00003"+r,this.buf+=`
+@media -stylus-debug-info{filename{font-family:`+t+"}line{font-family:"+r+`}}
+`)}}});var _f=p((o_,Cf)=>{var as=S(),qf=x(),_b=dr();(Cf.exports=o(function(e){e=as.unwrap(e).nodes[0],as.assertString(e);var t=this,r=e.string,i=arguments,s=1;return r=r.replace(/%(s|d)/g,function(a,u){var l=i[s++]||qf.null;switch(u){case"s":return new _b(l,t.options).compile();case"d":if(l=as.unwrap(l).first,l.nodeName!="unit")throw new Error("%d requires a unit");return l.val}}),new qf.Literal(r)},"s")).raw=!0});var If=p((u_,Bf)=>{var qn=x(),Ob=Nt(),Bb=hr();function Of(n,e){if(e){var t=n.hsla;return Ob(new qn.Unit(t.h),e,new qn.Unit(t.l),new qn.Unit(t.a))}return Bb(n,new qn.String("saturation"))}o(Of,"saturation");Of.params=["color","value"];Bf.exports=Of});var us=p((h_,Ff)=>{var Ib=lr(),me=x(),Fb=S();Ff.exports=class extends Ib{static{o(this,"Normalizer")}constructor(e,t){super(e),t=t||{},this.hoist=t["hoist atrules"],this.stack=[],this.map={},this.imports=[]}normalize(){var e=this.visit(this.root);return this.hoist&&(this.imports.length&&(e.nodes=this.imports.concat(e.nodes)),this.charset&&(e.nodes=[this.charset].concat(e.nodes))),e}bubble(e){var t=[],r=[],i=this;function s(h){h.nodes.forEach(function(c){switch(c=i.visit(c),c.nodeName){case"property":t.push(c);break;case"block":s(c);break;default:r.push(c)}})}if(o(s,"filterProps"),s(e.block),t.length){var a=new me.Selector([new me.Literal("&")]);a.lineno=e.lineno,a.column=e.column,a.filename=e.filename,a.val="&";var l=new me.Group;l.lineno=e.lineno,l.column=e.column,l.filename=e.filename;var u=new me.Block(e.block,l);u.lineno=e.lineno,u.column=e.column,u.filename=e.filename,t.forEach(function(h){u.push(h)}),l.push(a),l.block=u,e.block.nodes=[],e.block.push(l),r.forEach(function(h){e.block.push(h)});var l=this.closestGroup(e.block);l&&(e.group=l.clone()),e.bubbled=!0}}closestGroup(e){for(var t=e.parent,r;t&&(r=t.node);){if(r.nodeName=="group")return r;t=r.block&&r.block.parent}}visitRoot(e){for(var t=new me.Root,r,i=0;i<e.nodes.length;++i)switch(r=e.nodes[i],r.nodeName){case"null":case"expression":case"function":case"unit":case"atblock":continue;default:this.rootIndex=i,t.push(this.visit(r))}return t}visitProperty(e){return this.visit(e.expr),e}visitExpression(e){return e.nodes=e.nodes.map(function(t){if(t.nodeName=="block"){var r=new me.Literal("block");return r.lineno=e.lineno,r.column=e.column,r}return t}),e}visitBlock(e){var t;if(e.hasProperties)for(var r=0,i=e.nodes.length;r<i;++r)switch(t=e.nodes[r],t.nodeName){case"null":case"expression":case"function":case"group":case"unit":case"atblock":continue;default:e.nodes[r]=this.visit(t)}for(var r=0,i=e.nodes.length;r<i;++r)t=e.nodes[r],e.nodes[r]=this.visit(t);return e}visitGroup(e){var t=this.stack,r=this.map,i;e.nodes.forEach(function(a,u){if(~a.val.indexOf(",")){if(~a.val.indexOf("\\,")){a.val=a.val.replace(/\\,/g,",");return}i=a.val.split(",");for(var l=a.val.charAt(0)=="/",h,c,f=0,d=i.length;f<d;++f)h=i[f].trim(),l&&f>0&&!~h.indexOf("&")&&(h="/"+h),c=new me.Selector([new me.Literal(h)]),c.val=h,c.block=e.block,e.nodes[u++]=c}}),t.push(e.nodes);var s=Fb.compileSelectors(t,!0);return s.forEach(function(a){r[a]=r[a]||[],r[a].push(e)}),this.extend(e,s),t.pop(),e}visitFunction(){return me.null}visitMedia(e){var t=[],r=this.closestGroup(e.block),i;function s(a){a.nodes.forEach(function(u,l){switch(u.nodeName){case"media":u.val=e.val.merge(u.val),t.push(u),a.nodes[l]=me.null;break;case"block":s(u);break;default:u.block&&u.block.nodes&&s(u.block)}})}return o(s,"mergeQueries"),s(e.block),this.bubble(e),t.length&&t.forEach(function(a){r?r.block.push(a):this.root.nodes.splice(++this.rootIndex,0,a),a=this.visit(a),i=a.block.parent,a.bubbled&&(!r||i.node.nodeName=="group")&&(a.group.block=a.block.nodes[0].block,a.block.nodes[0]=a.group)},this),e}visitSupports(e){return this.bubble(e),e}visitAtrule(e){return e.block&&(e.block=this.visit(e.block)),e}visitKeyframes(e){var t=e.block.nodes.filter(function(r){return r.block&&r.block.hasProperties});return e.frames=t.length,e}visitImport(e){return this.imports.push(e),this.hoist?me.null:e}visitCharset(e){return this.charset=e,this.hoist?me.null:e}extend(e,t){var r=this.map,i=this,s=this.closestGroup(e.block);e.extends.forEach(function(a){var u=r[a.selector];if(!u){if(a.optional)return;if(u=i._checkForPrefixedGroups(a.selector),!u){var l=new Error('Failed to @extend "'+a.selector+'"');throw l.lineno=a.lineno,l.column=a.column,l}}t.forEach(function(h){var c=new me.Selector;c.val=h,c.inherits=!1,u.forEach(function(f){(!s||s!=f)&&i.extend(f,t),f.push(c)})})}),e.block=this.visit(e.block)}_checkForPrefixedGroups(e){for(var t=[],r=this.map,i=null,s=0;s<this.stack.length;s++){var a=this.stack[s],u=a[0];t.push(u.val);var l=t.join(" ")+" "+e;if(i=r[l],i)break}return i}}});var Pf=p((p_,Nf)=>{var Lb=S();function Lf(n){if(Lb.assertString(n,"selector"),!this.__selectorsMap__){var e=us(),t=new e(this.root.clone());t.visit(t.root),this.__selectorsMap__=t.map}return n.string in this.__selectorsMap__}o(Lf,"selectorExists");Lf.params=["sel"];Nf.exports=Lf});var Mf=p((m_,Rf)=>{var mr=S();(Rf.exports=o(function(){var e=this.selectorStack,t=[].slice.call(arguments);if(t.length==1){var r=mr.unwrap(t[0]),i=r.nodes.length;if(i==1){mr.assertString(r.first,"selector");var s=fn(),a=r.first.string,u=new s(a).parse().val;if(u==a)return a;e.push(ls(a))}else i>1&&(r.isList?Tf(r.nodes,e):e.push(ls(r.nodes.map(function(l){return mr.assertString(l,"selector"),l.string}).join(" "))))}else t.length>1&&Tf(t,e);return e.length?mr.compileSelectors(e).join(","):"&"},"selector")).raw=!0;function Tf(n,e){n.forEach(function(t){t=t.first,mr.assertString(t,"selector"),e.push(ls(t.string))})}o(Tf,"pushToStack");function ls(n){var e=new St("../parser"),t=new e(n),r;return t.state.push("selector-parts"),r=t.selector(),r.forEach(function(i){i.val=i.segments.map(function(s){return s.toString()}).join("")}),r}o(ls,"parse")});var Df=p((g_,jf)=>{var Cn=x(),Uf=fn();jf.exports=o(function(){var e=this.selectorStack,t=new Cn.Expression(!0);if(e.length)for(var r=0;r<e.length;r++){var i=e[r],s;if(i.length>1)t.push(new Cn.String(i.map(function(u){return s=new Uf(u.val).parse().nested,(s&&r?"& ":"")+u.val}).join(",")));else{var a=i[0].val;s=new Uf(a).parse().nested,t.push(new Cn.String((s&&r?"& ":"")+a))}}else t.push(new Cn.String("&"));return t},"selectors")});var Gf=p((w_,$f)=>{var Nb=S();($f.exports=function(n){return n=Nb.unwrap(n),n.nodes.shift()}).raw=!0});var Vf=p((b_,Jf)=>{var zf=S(),_n=x();function Wf(n,e){zf.assertString(n,"delimiter"),zf.assertString(e,"val");for(var t=e.string.split(n.string),r=new _n.Expression,i=e instanceof _n.Ident?_n.Ident:_n.String,s=0,a=t.length;s<a;++s)r.nodes.push(new i(t[s]));return r}o(Wf,"split");Wf.params=["delim","val"];Jf.exports=Wf});var Yf=p((S_,Qf)=>{var Hf=S(),cs=x();function Kf(n,e,t){Hf.assertString(n,"val"),Hf.assertType(e,"unit","start"),t=t&&t.val;var r=n.string.substr(e.val,t);return n instanceof cs.Ident?new cs.Ident(r):new cs.String(r)}o(Kf,"substr");Kf.params=["val","start","length"];Qf.exports=Kf});var ep=p((E_,Xf)=>{var Zf=S(),hs=x();(Xf.exports=o(function(e,t,r){if(t=t&&t.nodes[0].val,r=r&&r.nodes[0].val,e=Zf.unwrap(e).nodes,e.length>1)return Zf.coerce(e.slice(t,r),!0);var i=e[0].string.slice(t,r);return e[0]instanceof hs.Ident?new hs.Ident(i):new hs.String(i)},"slice")).raw=!0});var np=p((q_,rp)=>{var Pb=S(),Tb=x();function tp(n){Pb.assertType(n,"unit","angle");var e=n.val;n.type==="deg"&&(e*=Math.PI/180);var t=Math.pow(10,9),r=Math.round(Math.sin(e)*t)/t,i=Math.round(Math.cos(e)*t)/t,s=Math.round(t*r/i)/t;return new Tb.Unit(s,"")}o(tp,"tan");tp.params=["angle"];rp.exports=tp});var sp=p((__,ip)=>{var Rb=x();ip.exports=o(function(){return console.log(this.stack),Rb.null},"trace")});var up=p((B_,ap)=>{var fs=S(),ps=x();function op(n,e,t){fs.assertColor(n),n=n.rgba,e=e||new ps.RGBA(255,255,255,1),!t&&e&&!e.rgba&&(t=e,e=new ps.RGBA(255,255,255,1)),fs.assertColor(e),e=e.rgba;var r=["r","g","b"].map(function(s){return(n[s]-e[s])/((0<n[s]-e[s]?255:0)-e[s])}).sort(function(s,a){return a-s})[0];t&&(fs.assertType(t,"unit","alpha"),t.type=="%"?r=t.val/100:t.type||(r=t=t.val)),r=Math.max(Math.min(r,1),0);function i(s){return r==0?e[s]:e[s]+(n[s]-e[s])/r}return o(i,"processChannel"),new ps.RGBA(i("r"),i("g"),i("b"),Math.round(r*100)/100)}o(op,"transparentify");op.params=["top","bottom","alpha"];ap.exports=op});var hp=p((F_,cp)=>{var Mb=S();function lp(n){return Mb.assertPresent(n,"expression"),n.nodeName}o(lp,"type");lp.params=["node"];cp.exports=lp});var mp=p((N_,dp)=>{var fp=S(),Ub=x();function pp(n,e){return fp.assertType(n,"unit","unit"),e?(fp.assertString(e,"type"),new Ub.Unit(n.val,e.string)):n.type||""}o(pp,"unit");pp.params=["unit","type"];dp.exports=pp});var vp=p((T_,gp)=>{var jb=S(),Db=x();function yp(n){return jb.assertString(n,"string"),new Db.Literal(n.string)}o(yp,"unquote");yp.params=["string"];gp.exports=yp});var xp=p((M_,bp)=>{var wp=S();(bp.exports=function(n){n=wp.unwrap(n);for(var e=1,t=arguments.length;e<t;++e)n.nodes.unshift(wp.unwrap(arguments[e]));return n.nodes.length}).raw=!0});var Ap=p((U_,Ep)=>{var ds=S(),$b=H();function Sp(n,e){ds.assertString(n,"plugin"),e&&(ds.assertType(e,"object","options"),e=kp(e)),n=n.string;var t=ds.lookup(n,this.options.paths,this.options.filename);if(!t)throw new Error('failed to locate plugin file "'+n+'"');var r=St($b.resolve(t));if(typeof r!="function")throw new Error('plugin "'+n+'" does not export a function');this.renderer.use(r(e||this.options))}o(Sp,"use");Sp.params=["plugin","options"];Ep.exports=Sp;function kp(n){n=n.vals;for(var e in n){var t=n[e].nodes[0].nodes;if(t&&t.length){n[e]=[];for(var r=0,i=t.length;r<i;++r)n[e].push(s(t[r]))}else n[e]=s(n[e].first)}return n;function s(a){switch(a.nodeName){case"object":return kp(a);case"boolean":return a.isTrue;case"unit":return a.type?a.toString():+a.val;case"string":case"literal":return a.val;default:return a.toString()}}}o(kp,"parseObject")});var _p=p((D_,Cp)=>{var Gb=S(),zb=x();function qp(n){return Gb.assertType(n,"string","msg"),console.warn("Warning: %s",n.val),zb.null}o(qp,"warn");qp.params=["msg"];Cp.exports=qp});var Ip=p((G_,Bp)=>{var Wb=x();function Op(n){return new Wb.Unit(Math[n.string])}o(Op,"math");Op.params=["prop"];Bp.exports=Op});var Pp=p((W_,Np)=>{var Fp=S();function Lp(n,e){Fp.assertString(n,"prefix"),Fp.assertType(e,"block","block");var t=this.prefix;return this.options.prefix=this.prefix=n.string,e=this.visit(e),this.options.prefix=this.prefix=t,e}o(Lp,"prefixClasses");Lp.params=["prefix","block"];Np.exports=Lp});var On=p(b=>{b["add-property"]=Nl();b.adjust=Rl();b.alpha=Gl();b["base-convert"]=Wl();b.basename=Hl();b.blend=ji();b.blue=tc();b.clone=nc();b.component=hr();b.contrast=fc();b.convert=yc();b["current-media"]=vc();b.define=kc();b.dirname=qc();b.error=Oc();b.extname=Fc();b.green=Pc();b.hsl=Dc();b.hsla=Nt();b.hue=zc();b["image-size"]=yh();b.json=wh();b.length=xh();b.lightness=Eh();b["list-separator"]=qh();b.lookup=Oh();b.luminosity=Di();b.match=Lh();b.math=Rh();b.merge=b.extend=Uh();b.operate=$h();b["opposite-position"]=Wh();b.p=Vh();b.pathjoin=Kh();b.pop=Yh();b.push=b.append=ef();b.range=nf();b.red=af();b.remove=hf();b.replace=df();b.rgb=vf();b.atan=xf();b.asin=os();b.acos=Ef();b.rgba=ht();b.s=_f();b.saturation=If();b["selector-exists"]=Pf();b.selector=Mf();b.selectors=Df();b.shift=Gf();b.split=Vf();b.substr=Yf();b.slice=ep();b.tan=np();b.trace=sp();b.transparentify=up();b.type=b.typeof=b["type-of"]=hp();b.unit=mp();b.unquote=vp();b.unshift=b.prepend=xp();b.use=Ap();b.warn=_p();b["-math-prop"]=Ip();b["-prefix-classes"]=Pp()});var Rp=p((H_,Tp)=>{Tp.exports={aliceblue:[240,248,255,1],antiquewhite:[250,235,215,1],aqua:[0,255,255,1],aquamarine:[127,255,212,1],azure:[240,255,255,1],beige:[245,245,220,1],bisque:[255,228,196,1],black:[0,0,0,1],blanchedalmond:[255,235,205,1],blue:[0,0,255,1],blueviolet:[138,43,226,1],brown:[165,42,42,1],burlywood:[222,184,135,1],cadetblue:[95,158,160,1],chartreuse:[127,255,0,1],chocolate:[210,105,30,1],coral:[255,127,80,1],cornflowerblue:[100,149,237,1],cornsilk:[255,248,220,1],crimson:[220,20,60,1],cyan:[0,255,255,1],darkblue:[0,0,139,1],darkcyan:[0,139,139,1],darkgoldenrod:[184,134,11,1],darkgray:[169,169,169,1],darkgreen:[0,100,0,1],darkgrey:[169,169,169,1],darkkhaki:[189,183,107,1],darkmagenta:[139,0,139,1],darkolivegreen:[85,107,47,1],darkorange:[255,140,0,1],darkorchid:[153,50,204,1],darkred:[139,0,0,1],darksalmon:[233,150,122,1],darkseagreen:[143,188,143,1],darkslateblue:[72,61,139,1],darkslategray:[47,79,79,1],darkslategrey:[47,79,79,1],darkturquoise:[0,206,209,1],darkviolet:[148,0,211,1],deeppink:[255,20,147,1],deepskyblue:[0,191,255,1],dimgray:[105,105,105,1],dimgrey:[105,105,105,1],dodgerblue:[30,144,255,1],firebrick:[178,34,34,1],floralwhite:[255,250,240,1],forestgreen:[34,139,34,1],fuchsia:[255,0,255,1],gainsboro:[220,220,220,1],ghostwhite:[248,248,255,1],gold:[255,215,0,1],goldenrod:[218,165,32,1],gray:[128,128,128,1],green:[0,128,0,1],greenyellow:[173,255,47,1],grey:[128,128,128,1],honeydew:[240,255,240,1],hotpink:[255,105,180,1],indianred:[205,92,92,1],indigo:[75,0,130,1],ivory:[255,255,240,1],khaki:[240,230,140,1],lavender:[230,230,250,1],lavenderblush:[255,240,245,1],lawngreen:[124,252,0,1],lemonchiffon:[255,250,205,1],lightblue:[173,216,230,1],lightcoral:[240,128,128,1],lightcyan:[224,255,255,1],lightgoldenrodyellow:[250,250,210,1],lightgray:[211,211,211,1],lightgreen:[144,238,144,1],lightgrey:[211,211,211,1],lightpink:[255,182,193,1],lightsalmon:[255,160,122,1],lightseagreen:[32,178,170,1],lightskyblue:[135,206,250,1],lightslategray:[119,136,153,1],lightslategrey:[119,136,153,1],lightsteelblue:[176,196,222,1],lightyellow:[255,255,224,1],lime:[0,255,0,1],limegreen:[50,205,50,1],linen:[250,240,230,1],magenta:[255,0,255,1],maroon:[128,0,0,1],mediumaquamarine:[102,205,170,1],mediumblue:[0,0,205,1],mediumorchid:[186,85,211,1],mediumpurple:[147,112,219,1],mediumseagreen:[60,179,113,1],mediumslateblue:[123,104,238,1],mediumspringgreen:[0,250,154,1],mediumturquoise:[72,209,204,1],mediumvioletred:[199,21,133,1],midnightblue:[25,25,112,1],mintcream:[245,255,250,1],mistyrose:[255,228,225,1],moccasin:[255,228,181,1],navajowhite:[255,222,173,1],navy:[0,0,128,1],oldlace:[253,245,230,1],olive:[128,128,0,1],olivedrab:[107,142,35,1],orange:[255,165,0,1],orangered:[255,69,0,1],orchid:[218,112,214,1],palegoldenrod:[238,232,170,1],palegreen:[152,251,152,1],paleturquoise:[175,238,238,1],palevioletred:[219,112,147,1],papayawhip:[255,239,213,1],peachpuff:[255,218,185,1],peru:[205,133,63,1],pink:[255,192,203,1],plum:[221,160,221,1],powderblue:[176,224,230,1],purple:[128,0,128,1],red:[255,0,0,1],rosybrown:[188,143,143,1],royalblue:[65,105,225,1],saddlebrown:[139,69,19,1],salmon:[250,128,114,1],sandybrown:[244,164,96,1],seagreen:[46,139,87,1],seashell:[255,245,238,1],sienna:[160,82,45,1],silver:[192,192,192,1],skyblue:[135,206,235,1],slateblue:[106,90,205,1],slategray:[112,128,144,1],slategrey:[112,128,144,1],snow:[255,250,250,1],springgreen:[0,255,127,1],steelblue:[70,130,180,1],tan:[210,180,140,1],teal:[0,128,128,1],thistle:[216,191,216,1],tomato:[255,99,71,1],transparent:[0,0,0,0],turquoise:[64,224,208,1],violet:[238,130,238,1],wheat:[245,222,179,1],white:[255,255,255,1],whitesmoke:[245,245,245,1],yellow:[255,255,0,1],yellowgreen:[154,205,50,1],rebeccapurple:[102,51,153,1]}});var Up=p((K_,Mp)=>{var jt=1e3,Dt=jt*60,$t=Dt*60,yt=$t*24,Jb=yt*7,Vb=yt*365.25;Mp.exports=function(n,e){e=e||{};var t=typeof n;if(t==="string"&&n.length>0)return Hb(n);if(t==="number"&&isFinite(n))return e.long?Qb(n):Kb(n);throw new Error("val is not a non-empty string or a valid number. val="+JSON.stringify(n))};function Hb(n){if(n=String(n),!(n.length>100)){var e=/^(-?(?:\d+)?\.?\d+) *(milliseconds?|msecs?|ms|seconds?|secs?|s|minutes?|mins?|m|hours?|hrs?|h|days?|d|weeks?|w|years?|yrs?|y)?$/i.exec(n);if(e){var t=parseFloat(e[1]),r=(e[2]||"ms").toLowerCase();switch(r){case"years":case"year":case"yrs":case"yr":case"y":return t*Vb;case"weeks":case"week":case"w":return t*Jb;case"days":case"day":case"d":return t*yt;case"hours":case"hour":case"hrs":case"hr":case"h":return t*$t;case"minutes":case"minute":case"mins":case"min":case"m":return t*Dt;case"seconds":case"second":case"secs":case"sec":case"s":return t*jt;case"milliseconds":case"millisecond":case"msecs":case"msec":case"ms":return t;default:return}}}}o(Hb,"parse");function Kb(n){var e=Math.abs(n);return e>=yt?Math.round(n/yt)+"d":e>=$t?Math.round(n/$t)+"h":e>=Dt?Math.round(n/Dt)+"m":e>=jt?Math.round(n/jt)+"s":n+"ms"}o(Kb,"fmtShort");function Qb(n){var e=Math.abs(n);return e>=yt?Bn(n,e,yt,"day"):e>=$t?Bn(n,e,$t,"hour"):e>=Dt?Bn(n,e,Dt,"minute"):e>=jt?Bn(n,e,jt,"second"):n+" ms"}o(Qb,"fmtLong");function Bn(n,e,t,r){var i=e>=t*1.5;return Math.round(n/t)+" "+r+(i?"s":"")}o(Bn,"plural")});var Dp=p((Y_,jp)=>{function Yb(n){t.debug=t,t.default=t,t.coerce=l,t.disable=a,t.enable=i,t.enabled=u,t.humanize=Up(),t.destroy=h,Object.keys(n).forEach(c=>{t[c]=n[c]}),t.names=[],t.skips=[],t.formatters={};function e(c){let f=0;for(let d=0;d<c.length;d++)f=(f<<5)-f+c.charCodeAt(d),f|=0;return t.colors[Math.abs(f)%t.colors.length]}o(e,"selectColor"),t.selectColor=e;function t(c){let f,d=null,m,g;function w(...q){if(!w.enabled)return;let j=w,E=Number(new Date),I=E-(f||E);j.diff=I,j.prev=f,j.curr=E,f=E,q[0]=t.coerce(q[0]),typeof q[0]!="string"&&q.unshift("%O");let $=0;q[0]=q[0].replace(/%([a-zA-Z%])/g,(U,re)=>{if(U==="%%")return"%";$++;let K=t.formatters[re];if(typeof K=="function"){let J=q[$];U=K.call(j,J),q.splice($,1),$--}return U}),t.formatArgs.call(j,q),(j.log||t.log).apply(j,q)}return o(w,"debug"),w.namespace=c,w.useColors=t.useColors(),w.color=t.selectColor(c),w.extend=r,w.destroy=t.destroy,Object.defineProperty(w,"enabled",{enumerable:!0,configurable:!1,get:o(()=>d!==null?d:(m!==t.namespaces&&(m=t.namespaces,g=t.enabled(c)),g),"get"),set:o(q=>{d=q},"set")}),typeof t.init=="function"&&t.init(w),w}o(t,"createDebug");function r(c,f){let d=t(this.namespace+(typeof f>"u"?":":f)+c);return d.log=this.log,d}o(r,"extend");function i(c){t.save(c),t.namespaces=c,t.names=[],t.skips=[];let f=(typeof c=="string"?c:"").trim().replace(/\s+/g,",").split(",").filter(Boolean);for(let d of f)d[0]==="-"?t.skips.push(d.slice(1)):t.names.push(d)}o(i,"enable");function s(c,f){let d=0,m=0,g=-1,w=0;for(;d<c.length;)if(m<f.length&&(f[m]===c[d]||f[m]==="*"))f[m]==="*"?(g=m,w=d,m++):(d++,m++);else if(g!==-1)m=g+1,w++,d=w;else return!1;for(;m<f.length&&f[m]==="*";)m++;return m===f.length}o(s,"matchesTemplate");function a(){let c=[...t.names,...t.skips.map(f=>"-"+f)].join(",");return t.enable(""),c}o(a,"disable");function u(c){for(let f of t.skips)if(s(c,f))return!1;for(let f of t.names)if(s(c,f))return!0;return!1}o(u,"enabled");function l(c){return c instanceof Error?c.stack||c.message:c}o(l,"coerce");function h(){console.warn("Instance method `debug.destroy()` is deprecated and no longer does anything. It will be removed in the next major version of `debug`.")}return o(h,"destroy"),t.enable(t.load()),t}o(Yb,"setup");jp.exports=Yb});var Fn=p((he,In)=>{he.formatArgs=Xb;he.save=ex;he.load=tx;he.useColors=Zb;he.storage=rx();he.destroy=(()=>{let n=!1;return()=>{n||(n=!0,console.warn("Instance method `debug.destroy()` is deprecated and no longer does anything. It will be removed in the next major version of `debug`."))}})();he.colors=["#0000CC","#0000FF","#0033CC","#0033FF","#0066CC","#0066FF","#0099CC","#0099FF","#00CC00","#00CC33","#00CC66","#00CC99","#00CCCC","#00CCFF","#3300CC","#3300FF","#3333CC","#3333FF","#3366CC","#3366FF","#3399CC","#3399FF","#33CC00","#33CC33","#33CC66","#33CC99","#33CCCC","#33CCFF","#6600CC","#6600FF","#6633CC","#6633FF","#66CC00","#66CC33","#9900CC","#9900FF","#9933CC","#9933FF","#99CC00","#99CC33","#CC0000","#CC0033","#CC0066","#CC0099","#CC00CC","#CC00FF","#CC3300","#CC3333","#CC3366","#CC3399","#CC33CC","#CC33FF","#CC6600","#CC6633","#CC9900","#CC9933","#CCCC00","#CCCC33","#FF0000","#FF0033","#FF0066","#FF0099","#FF00CC","#FF00FF","#FF3300","#FF3333","#FF3366","#FF3399","#FF33CC","#FF33FF","#FF6600","#FF6633","#FF9900","#FF9933","#FFCC00","#FFCC33"];function Zb(){if(typeof window<"u"&&window.process&&(window.process.type==="renderer"||window.process.__nwjs))return!0;if(typeof navigator<"u"&&navigator.userAgent&&navigator.userAgent.toLowerCase().match(/(edge|trident)\/(\d+)/))return!1;let n;return typeof document<"u"&&document.documentElement&&document.documentElement.style&&document.documentElement.style.WebkitAppearance||typeof window<"u"&&window.console&&(window.console.firebug||window.console.exception&&window.console.table)||typeof navigator<"u"&&navigator.userAgent&&(n=navigator.userAgent.toLowerCase().match(/firefox\/(\d+)/))&&parseInt(n[1],10)>=31||typeof navigator<"u"&&navigator.userAgent&&navigator.userAgent.toLowerCase().match(/applewebkit\/(\d+)/)}o(Zb,"useColors");function Xb(n){if(n[0]=(this.useColors?"%c":"")+this.namespace+(this.useColors?" %c":" ")+n[0]+(this.useColors?"%c ":" ")+"+"+In.exports.humanize(this.diff),!this.useColors)return;let e="color: "+this.color;n.splice(1,0,e,"color: inherit");let t=0,r=0;n[0].replace(/%[a-zA-Z%]/g,i=>{i!=="%%"&&(t++,i==="%c"&&(r=t))}),n.splice(r,0,e)}o(Xb,"formatArgs");he.log=console.debug||console.log||(()=>{});function ex(n){try{n?he.storage.setItem("debug",n):he.storage.removeItem("debug")}catch{}}o(ex,"save");function tx(){let n;try{n=he.storage.getItem("debug")||he.storage.getItem("DEBUG")}catch{}return!n&&typeof process<"u"&&"env"in process&&(n=process.env.DEBUG),n}o(tx,"load");function rx(){try{return localStorage}catch{}}o(rx,"localstorage");In.exports=Dp()(he);var{formatters:nx}=In.exports;nx.j=function(n){try{return JSON.stringify(n)}catch(e){return"[UnexpectedJSONParseError]: "+e.message}}});var $p=p((Gt,zt)=>{(function(n){var e=typeof Gt=="object"&&Gt&&!Gt.nodeType&&Gt,t=typeof zt=="object"&&zt&&!zt.nodeType&&zt,r=typeof global=="object"&&global;(r.global===r||r.window===r||r.self===r)&&(n=r);var i,s=2147483647,a=36,u=1,l=26,h=38,c=700,f=72,d=128,m="-",g=/^xn--/,w=/[^\x20-\x7E]/,q=/[\x2E\u3002\uFF0E\uFF61]/g,j={overflow:"Overflow: input needs wider integers to process","not-basic":"Illegal input >= 0x80 (not a basic code point)","invalid-input":"Invalid input"},E=a-u,I=Math.floor,$=String.fromCharCode,C;function U(A){throw new RangeError(j[A])}o(U,"error");function re(A,O){for(var M=A.length,z=[];M--;)z[M]=O(A[M]);return z}o(re,"map");function K(A,O){var M=A.split("@"),z="";M.length>1&&(z=M[0]+"@",A=M[1]),A=A.replace(q,".");var D=A.split("."),se=re(D,O).join(".");return z+se}o(K,"mapDomain");function J(A){for(var O=[],M=0,z=A.length,D,se;M<z;)D=A.charCodeAt(M++),D>=55296&&D<=56319&&M<z?(se=A.charCodeAt(M++),(se&64512)==56320?O.push(((D&1023)<<10)+(se&1023)+65536):(O.push(D),M--)):O.push(D);return O}o(J,"ucs2decode");function ae(A){return re(A,function(O){var M="";return O>65535&&(O-=65536,M+=$(O>>>10&1023|55296),O=56320|O&1023),M+=$(O),M}).join("")}o(ae,"ucs2encode");function Se(A){return A-48<10?A-22:A-65<26?A-65:A-97<26?A-97:a}o(Se,"basicToDigit");function ue(A,O){return A+22+75*(A<26)-((O!=0)<<5)}o(ue,"digitToBasic");function X(A,O,M){var z=0;for(A=M?I(A/c):A>>1,A+=I(A/O);A>E*l>>1;z+=a)A=I(A/E);return I(z+(E+1)*A/(A+h))}o(X,"adapt");function le(A){var O=[],M=A.length,z,D=0,se=d,ne=f,de,Ee,Ce,Re,ie,ge,Ae,ze,nt;for(de=A.lastIndexOf(m),de<0&&(de=0),Ee=0;Ee<de;++Ee)A.charCodeAt(Ee)>=128&&U("not-basic"),O.push(A.charCodeAt(Ee));for(Ce=de>0?de+1:0;Ce<M;){for(Re=D,ie=1,ge=a;Ce>=M&&U("invalid-input"),Ae=Se(A.charCodeAt(Ce++)),(Ae>=a||Ae>I((s-D)/ie))&&U("overflow"),D+=Ae*ie,ze=ge<=ne?u:ge>=ne+l?l:ge-ne,!(Ae<ze);ge+=a)nt=a-ze,ie>I(s/nt)&&U("overflow"),ie*=nt;z=O.length+1,ne=X(D-Re,z,Re==0),I(D/z)>s-se&&U("overflow"),se+=I(D/z),D%=z,O.splice(D++,0,se)}return ae(O)}o(le,"decode");function fe(A){var O,M,z,D,se,ne,de,Ee,Ce,Re,ie,ge=[],Ae,ze,nt,ri;for(A=J(A),Ae=A.length,O=d,M=0,se=f,ne=0;ne<Ae;++ne)ie=A[ne],ie<128&&ge.push($(ie));for(z=D=ge.length,D&&ge.push(m);z<Ae;){for(de=s,ne=0;ne<Ae;++ne)ie=A[ne],ie>=O&&ie<de&&(de=ie);for(ze=z+1,de-O>I((s-M)/ze)&&U("overflow"),M+=(de-O)*ze,O=de,ne=0;ne<Ae;++ne)if(ie=A[ne],ie<O&&++M>s&&U("overflow"),ie==O){for(Ee=M,Ce=a;Re=Ce<=se?u:Ce>=se+l?l:Ce-se,!(Ee<Re);Ce+=a)ri=Ee-Re,nt=a-Re,ge.push($(ue(Re+ri%nt,0))),Ee=I(ri/nt);ge.push($(ue(Ee,0))),se=X(M,ze,z==D),M=0,++z}++M,++O}return ge.join("")}o(fe,"encode");function pe(A){return K(A,function(O){return g.test(O)?le(O.slice(4).toLowerCase()):O})}o(pe,"toUnicode");function ke(A){return K(A,function(O){return w.test(O)?"xn--"+fe(O):O})}if(o(ke,"toASCII"),i={version:"1.4.1",ucs2:{decode:J,encode:ae},decode:le,encode:fe,toASCII:ke,toUnicode:pe},typeof define=="function"&&typeof define.amd=="object"&&define.amd)define("punycode",function(){return i});else if(e&&t)if(zt.exports==e)t.exports=i;else for(C in i)i.hasOwnProperty(C)&&(e[C]=i[C]);else n.punycode=i})(Gt)});var Gp=p(()=>{});var br=p((nO,ld)=>{var Es=typeof Map=="function"&&Map.prototype,ms=Object.getOwnPropertyDescriptor&&Es?Object.getOwnPropertyDescriptor(Map.prototype,"size"):null,Nn=Es&&ms&&typeof ms.get=="function"?ms.get:null,zp=Es&&Map.prototype.forEach,As=typeof Set=="function"&&Set.prototype,ys=Object.getOwnPropertyDescriptor&&As?Object.getOwnPropertyDescriptor(Set.prototype,"size"):null,Pn=As&&ys&&typeof ys.get=="function"?ys.get:null,Wp=As&&Set.prototype.forEach,ix=typeof WeakMap=="function"&&WeakMap.prototype,gr=ix?WeakMap.prototype.has:null,sx=typeof WeakSet=="function"&&WeakSet.prototype,vr=sx?WeakSet.prototype.has:null,ox=typeof WeakRef=="function"&&WeakRef.prototype,Jp=ox?WeakRef.prototype.deref:null,ax=Boolean.prototype.valueOf,ux=Object.prototype.toString,lx=Function.prototype.toString,cx=String.prototype.match,qs=String.prototype.slice,Ke=String.prototype.replace,hx=String.prototype.toUpperCase,Vp=String.prototype.toLowerCase,rd=RegExp.prototype.test,Hp=Array.prototype.concat,Fe=Array.prototype.join,fx=Array.prototype.slice,Kp=Math.floor,ws=typeof BigInt=="function"?BigInt.prototype.valueOf:null,gs=Object.getOwnPropertySymbols,bs=typeof Symbol=="function"&&typeof Symbol.iterator=="symbol"?Symbol.prototype.toString:null,Wt=typeof Symbol=="function"&&typeof Symbol.iterator=="object",wr=typeof Symbol=="function"&&Symbol.toStringTag&&(typeof Symbol.toStringTag===Wt||!0)?Symbol.toStringTag:null,nd=Object.prototype.propertyIsEnumerable,Qp=(typeof Reflect=="function"?Reflect.getPrototypeOf:Object.getPrototypeOf)||([].__proto__===Array.prototype?function(n){return n.__proto__}:null);function Yp(n,e){if(n===1/0||n===-1/0||n!==n||n&&n>-1e3&&n<1e3||rd.call(/e/,e))return e;var t=/[0-9](?=(?:[0-9]{3})+(?![0-9]))/g;if(typeof n=="number"){var r=n<0?-Kp(-n):Kp(n);if(r!==n){var i=String(r),s=qs.call(e,i.length+1);return Ke.call(i,t,"$&_")+"."+Ke.call(Ke.call(s,/([0-9]{3})/g,"$&_"),/_$/,"")}}return Ke.call(e,t,"$&_")}o(Yp,"addNumericSeparator");var xs=Gp(),Zp=xs.custom,Xp=od(Zp)?Zp:null,id={__proto__:null,double:'"',single:"'"},px={__proto__:null,double:/(["\\])/g,single:/(['\\])/g};ld.exports=o(function n(e,t,r,i){var s=t||{};if(De(s,"quoteStyle")&&!De(id,s.quoteStyle))throw new TypeError('option "quoteStyle" must be "single" or "double"');if(De(s,"maxStringLength")&&(typeof s.maxStringLength=="number"?s.maxStringLength<0&&s.maxStringLength!==1/0:s.maxStringLength!==null))throw new TypeError('option "maxStringLength", if provided, must be a positive integer, Infinity, or `null`');var a=De(s,"customInspect")?s.customInspect:!0;if(typeof a!="boolean"&&a!=="symbol")throw new TypeError("option \"customInspect\", if provided, must be `true`, `false`, or `'symbol'`");if(De(s,"indent")&&s.indent!==null&&s.indent!=="	"&&!(parseInt(s.indent,10)===s.indent&&s.indent>0))throw new TypeError('option "indent" must be "\\t", an integer > 0, or `null`');if(De(s,"numericSeparator")&&typeof s.numericSeparator!="boolean")throw new TypeError('option "numericSeparator", if provided, must be `true` or `false`');var u=s.numericSeparator;if(typeof e>"u")return"undefined";if(e===null)return"null";if(typeof e=="boolean")return e?"true":"false";if(typeof e=="string")return ud(e,s);if(typeof e=="number"){if(e===0)return 1/0/e>0?"0":"-0";var l=String(e);return u?Yp(e,l):l}if(typeof e=="bigint"){var h=String(e)+"n";return u?Yp(e,h):h}var c=typeof s.depth>"u"?5:s.depth;if(typeof r>"u"&&(r=0),r>=c&&c>0&&typeof e=="object")return Ss(e)?"[Array]":"[Object]";var f=Ix(s,r);if(typeof i>"u")i=[];else if(ad(i,e)>=0)return"[Circular]";function d(X,le,fe){if(le&&(i=fx.call(i),i.push(le)),fe){var pe={depth:s.depth};return De(s,"quoteStyle")&&(pe.quoteStyle=s.quoteStyle),n(X,pe,r+1,i)}return n(X,s,r+1,i)}if(o(d,"inspect"),typeof e=="function"&&!ed(e)){var m=Sx(e),g=Ln(e,d);return"[Function"+(m?": "+m:" (anonymous)")+"]"+(g.length>0?" { "+Fe.call(g,", ")+" }":"")}if(od(e)){var w=Wt?Ke.call(String(e),/^(Symbol\(.*\))_[^)]*$/,"$1"):bs.call(e);return typeof e=="object"&&!Wt?yr(w):w}if(_x(e)){for(var q="<"+Vp.call(String(e.nodeName)),j=e.attributes||[],E=0;E<j.length;E++)q+=" "+j[E].name+"="+sd(dx(j[E].value),"double",s);return q+=">",e.childNodes&&e.childNodes.length&&(q+="..."),q+="</"+Vp.call(String(e.nodeName))+">",q}if(Ss(e)){if(e.length===0)return"[]";var I=Ln(e,d);return f&&!Bx(I)?"["+ks(I,f)+"]":"[ "+Fe.call(I,", ")+" ]"}if(yx(e)){var $=Ln(e,d);return!("cause"in Error.prototype)&&"cause"in e&&!nd.call(e,"cause")?"{ ["+String(e)+"] "+Fe.call(Hp.call("[cause]: "+d(e.cause),$),", ")+" }":$.length===0?"["+String(e)+"]":"{ ["+String(e)+"] "+Fe.call($,", ")+" }"}if(typeof e=="object"&&a){if(Xp&&typeof e[Xp]=="function"&&xs)return xs(e,{depth:c-r});if(a!=="symbol"&&typeof e.inspect=="function")return e.inspect()}if(kx(e)){var C=[];return zp&&zp.call(e,function(X,le){C.push(d(le,e,!0)+" => "+d(X,e))}),td("Map",Nn.call(e),C,f)}if(qx(e)){var U=[];return Wp&&Wp.call(e,function(X){U.push(d(X,e))}),td("Set",Pn.call(e),U,f)}if(Ex(e))return vs("WeakMap");if(Cx(e))return vs("WeakSet");if(Ax(e))return vs("WeakRef");if(vx(e))return yr(d(Number(e)));if(bx(e))return yr(d(ws.call(e)));if(wx(e))return yr(ax.call(e));if(gx(e))return yr(d(String(e)));if(typeof window<"u"&&e===window)return"{ [object Window] }";if(typeof globalThis<"u"&&e===globalThis||typeof global<"u"&&e===global)return"{ [object globalThis] }";if(!mx(e)&&!ed(e)){var re=Ln(e,d),K=Qp?Qp(e)===Object.prototype:e instanceof Object||e.constructor===Object,J=e instanceof Object?"":"null prototype",ae=!K&&wr&&Object(e)===e&&wr in e?qs.call(Qe(e),8,-1):J?"Object":"",Se=K||typeof e.constructor!="function"?"":e.constructor.name?e.constructor.name+" ":"",ue=Se+(ae||J?"["+Fe.call(Hp.call([],ae||[],J||[]),": ")+"] ":"");return re.length===0?ue+"{}":f?ue+"{"+ks(re,f)+"}":ue+"{ "+Fe.call(re,", ")+" }"}return String(e)},"inspect_");function sd(n,e,t){var r=t.quoteStyle||e,i=id[r];return i+n+i}o(sd,"wrapQuotes");function dx(n){return Ke.call(String(n),/"/g,"&quot;")}o(dx,"quote");function gt(n){return!wr||!(typeof n=="object"&&(wr in n||typeof n[wr]<"u"))}o(gt,"canTrustToString");function Ss(n){return Qe(n)==="[object Array]"&&gt(n)}o(Ss,"isArray");function mx(n){return Qe(n)==="[object Date]"&&gt(n)}o(mx,"isDate");function ed(n){return Qe(n)==="[object RegExp]"&&gt(n)}o(ed,"isRegExp");function yx(n){return Qe(n)==="[object Error]"&&gt(n)}o(yx,"isError");function gx(n){return Qe(n)==="[object String]"&&gt(n)}o(gx,"isString");function vx(n){return Qe(n)==="[object Number]"&&gt(n)}o(vx,"isNumber");function wx(n){return Qe(n)==="[object Boolean]"&&gt(n)}o(wx,"isBoolean");function od(n){if(Wt)return n&&typeof n=="object"&&n instanceof Symbol;if(typeof n=="symbol")return!0;if(!n||typeof n!="object"||!bs)return!1;try{return bs.call(n),!0}catch{}return!1}o(od,"isSymbol");function bx(n){if(!n||typeof n!="object"||!ws)return!1;try{return ws.call(n),!0}catch{}return!1}o(bx,"isBigInt");var xx=Object.prototype.hasOwnProperty||function(n){return n in this};function De(n,e){return xx.call(n,e)}o(De,"has");function Qe(n){return ux.call(n)}o(Qe,"toStr");function Sx(n){if(n.name)return n.name;var e=cx.call(lx.call(n),/^function\s*([\w$]+)/);return e?e[1]:null}o(Sx,"nameOf");function ad(n,e){if(n.indexOf)return n.indexOf(e);for(var t=0,r=n.length;t<r;t++)if(n[t]===e)return t;return-1}o(ad,"indexOf");function kx(n){if(!Nn||!n||typeof n!="object")return!1;try{Nn.call(n);try{Pn.call(n)}catch{return!0}return n instanceof Map}catch{}return!1}o(kx,"isMap");function Ex(n){if(!gr||!n||typeof n!="object")return!1;try{gr.call(n,gr);try{vr.call(n,vr)}catch{return!0}return n instanceof WeakMap}catch{}return!1}o(Ex,"isWeakMap");function Ax(n){if(!Jp||!n||typeof n!="object")return!1;try{return Jp.call(n),!0}catch{}return!1}o(Ax,"isWeakRef");function qx(n){if(!Pn||!n||typeof n!="object")return!1;try{Pn.call(n);try{Nn.call(n)}catch{return!0}return n instanceof Set}catch{}return!1}o(qx,"isSet");function Cx(n){if(!vr||!n||typeof n!="object")return!1;try{vr.call(n,vr);try{gr.call(n,gr)}catch{return!0}return n instanceof WeakSet}catch{}return!1}o(Cx,"isWeakSet");function _x(n){return!n||typeof n!="object"?!1:typeof HTMLElement<"u"&&n instanceof HTMLElement?!0:typeof n.nodeName=="string"&&typeof n.getAttribute=="function"}o(_x,"isElement");function ud(n,e){if(n.length>e.maxStringLength){var t=n.length-e.maxStringLength,r="... "+t+" more character"+(t>1?"s":"");return ud(qs.call(n,0,e.maxStringLength),e)+r}var i=px[e.quoteStyle||"single"];i.lastIndex=0;var s=Ke.call(Ke.call(n,i,"\\$1"),/[\x00-\x1f]/g,Ox);return sd(s,"single",e)}o(ud,"inspectString");function Ox(n){var e=n.charCodeAt(0),t={8:"b",9:"t",10:"n",12:"f",13:"r"}[e];return t?"\\"+t:"\\x"+(e<16?"0":"")+hx.call(e.toString(16))}o(Ox,"lowbyte");function yr(n){return"Object("+n+")"}o(yr,"markBoxed");function vs(n){return n+" { ? }"}o(vs,"weakCollectionOf");function td(n,e,t,r){var i=r?ks(t,r):Fe.call(t,", ");return n+" ("+e+") {"+i+"}"}o(td,"collectionOf");function Bx(n){for(var e=0;e<n.length;e++)if(ad(n[e],`
+`)>=0)return!1;return!0}o(Bx,"singleLineValues");function Ix(n,e){var t;if(n.indent==="	")t="	";else if(typeof n.indent=="number"&&n.indent>0)t=Fe.call(Array(n.indent+1)," ");else return null;return{base:t,prev:Fe.call(Array(e+1),t)}}o(Ix,"getIndent");function ks(n,e){if(n.length===0)return"";var t=`
+`+e.prev+e.base;return t+Fe.call(n,","+t)+`
+`+e.prev}o(ks,"indentedJoin");function Ln(n,e){var t=Ss(n),r=[];if(t){r.length=n.length;for(var i=0;i<n.length;i++)r[i]=De(n,i)?e(n[i],n):""}var s=typeof gs=="function"?gs(n):[],a;if(Wt){a={};for(var u=0;u<s.length;u++)a["$"+s[u]]=s[u]}for(var l in n)De(n,l)&&(t&&String(Number(l))===l&&l<n.length||Wt&&a["$"+l]instanceof Symbol||(rd.call(/[^\w$]/,l)?r.push(e(l,n)+": "+e(n[l],n)):r.push(l+": "+e(n[l],n))));if(typeof gs=="function")for(var h=0;h<s.length;h++)nd.call(n,s[h])&&r.push("["+e(s[h])+"]: "+e(n[s[h]],n));return r}o(Ln,"arrObjKeys")});var hd=p((sO,cd)=>{"use strict";var Fx=br(),Lx=_e(),Tn=o(function(n,e,t){for(var r=n,i;(i=r.next)!=null;r=i)if(i.key===e)return r.next=i.next,t||(i.next=n.next,n.next=i),i},"listGetNode"),Nx=o(function(n,e){if(n){var t=Tn(n,e);return t&&t.value}},"listGet"),Px=o(function(n,e,t){var r=Tn(n,e);r?r.value=t:n.next={key:e,next:n.next,value:t}},"listSet"),Tx=o(function(n,e){return n?!!Tn(n,e):!1},"listHas"),Rx=o(function(n,e){if(n)return Tn(n,e,!0)},"listDelete");cd.exports=o(function(){var e,t={assert:o(function(r){if(!t.has(r))throw new Lx("Side channel does not contain "+Fx(r))},"assert"),delete:o(function(r){var i=Rx(e,r);return i&&e&&!e.next&&(e=void 0),!!i},"delete"),get:o(function(r){return Nx(e,r)},"get"),has:o(function(r){return Tx(e,r)},"has"),set:o(function(r,i){e||(e={next:void 0}),Px(e,r,i)},"set")};return t},"getSideChannelList")});var Cs=p((aO,pd)=>{"use strict";var Mx=ir(),xr=We(),Ux=br(),jx=_e(),fd=Mx("%Map%",!0),Dx=xr("Map.prototype.get",!0),$x=xr("Map.prototype.set",!0),Gx=xr("Map.prototype.has",!0),zx=xr("Map.prototype.delete",!0),Wx=xr("Map.prototype.size",!0);pd.exports=!!fd&&o(function(){var e,t={assert:o(function(r){if(!t.has(r))throw new jx("Side channel does not contain "+Ux(r))},"assert"),delete:o(function(r){if(e){var i=zx(e,r);return Wx(e)===0&&(e=void 0),i}return!1},"delete"),get:o(function(r){if(e)return Dx(e,r)},"get"),has:o(function(r){return e?Gx(e,r):!1},"has"),set:o(function(r,i){e||(e=new fd),$x(e,r,i)},"set")};return t},"getSideChannelMap")});var md=p((lO,dd)=>{"use strict";var Jx=ir(),Mn=We(),Vx=br(),Rn=Cs(),Hx=_e(),Jt=Jx("%WeakMap%",!0),Kx=Mn("WeakMap.prototype.get",!0),Qx=Mn("WeakMap.prototype.set",!0),Yx=Mn("WeakMap.prototype.has",!0),Zx=Mn("WeakMap.prototype.delete",!0);dd.exports=Jt?o(function(){var e,t,r={assert:o(function(i){if(!r.has(i))throw new Hx("Side channel does not contain "+Vx(i))},"assert"),delete:o(function(i){if(Jt&&i&&(typeof i=="object"||typeof i=="function")){if(e)return Zx(e,i)}else if(Rn&&t)return t.delete(i);return!1},"delete"),get:o(function(i){return Jt&&i&&(typeof i=="object"||typeof i=="function")&&e?Kx(e,i):t&&t.get(i)},"get"),has:o(function(i){return Jt&&i&&(typeof i=="object"||typeof i=="function")&&e?Yx(e,i):!!t&&t.has(i)},"has"),set:o(function(i,s){Jt&&i&&(typeof i=="object"||typeof i=="function")?(e||(e=new Jt),Qx(e,i,s)):Rn&&(t||(t=Rn()),t.set(i,s))},"set")};return r},"getSideChannelWeakMap"):Rn});var _s=p((hO,yd)=>{"use strict";var Xx=_e(),eS=br(),tS=hd(),rS=Cs(),nS=md(),iS=nS||rS||tS;yd.exports=o(function(){var e,t={assert:o(function(r){if(!t.has(r)){var i=r&&Object(r)===r?"the given object key":eS(r);throw new Xx("Side channel does not contain "+i)}},"assert"),delete:o(function(r){return!!e&&e.delete(r)},"delete"),get:o(function(r){return e&&e.get(r)},"get"),has:o(function(r){return!!e&&e.has(r)},"has"),set:o(function(r,i){e||(e=iS()),e.set(r,i)},"set")};return t},"getSideChannel")});var Un=p((pO,gd)=>{"use strict";var sS=String.prototype.replace,oS=/%20/g,Os={RFC1738:"RFC1738",RFC3986:"RFC3986"};gd.exports={default:Os.RFC3986,formatters:{RFC1738:o(function(n){return sS.call(n,oS,"+")},"RFC1738"),RFC3986:o(function(n){return String(n)},"RFC3986")},RFC1738:Os.RFC1738,RFC3986:Os.RFC3986}});var Ls=p((mO,bd)=>{"use strict";var aS=Un(),wd=_s(),vd=kt(),Bs=Object.prototype.hasOwnProperty,Ye=Array.isArray,Dn=wd(),vt=o(function(e,t){return Dn.set(e,t),e},"markOverflow"),wt=o(function(e){return Dn.has(e)},"isOverflow"),Sr=o(function(e){return Dn.get(e)},"getMaxIndex"),Is=o(function(e,t){Dn.set(e,t)},"setMaxIndex"),Le=function(){for(var n=[],e=0;e<256;++e)n[n.length]="%"+((e<16?"0":"")+e.toString(16)).toUpperCase();return n}(),uS=o(function(e){for(;e.length>1;){var t=e.pop(),r=t.obj[t.prop];if(Ye(r)){for(var i=[],s=0;s<r.length;++s)typeof r[s]<"u"&&(i[i.length]=r[s]);t.obj[t.prop]=i}}},"compactQueue"),Vt=o(function(e,t){for(var r=t&&t.plainObjects?{__proto__:null}:{},i=0;i<e.length;++i)typeof e[i]<"u"&&(r[i]=e[i]);return r},"arrayToObject"),Fs=o(function(e,t,r){t==="__proto__"&&vd?vd(e,t,{configurable:!0,enumerable:!0,value:r,writable:!0}):e[t]=r},"setProperty"),lS=o(function n(e,t,r){if(!t)return e;if(typeof t!="object"&&typeof t!="function"){if(Ye(e)){var i=e.length;if(r&&typeof r.arrayLimit=="number"&&i>=r.arrayLimit){if(r.throwOnLimitExceeded)throw new RangeError("Array limit exceeded. Only "+r.arrayLimit+" element"+(r.arrayLimit===1?"":"s")+" allowed in an array.");return vt(Vt(e.concat(t),r),i)}e[i]=t}else if(e&&typeof e=="object")if(wt(e)){var s=Sr(e)+1;e[s]=t,Is(e,s)}else{if(r&&r.strictMerge)return[e,t];(r&&(r.plainObjects||r.allowPrototypes)||!Bs.call(Object.prototype,t))&&(e[t]=!0)}else return[e,t];return e}if(!e||typeof e!="object"){if(wt(t)){for(var a=Object.keys(t),u=r&&r.plainObjects?{__proto__:null,0:e}:{0:e},l=0;l<a.length;l++){var h=parseInt(a[l],10);u[h+1]=t[a[l]]}return vt(u,Sr(t)+1)}var c=[e].concat(t);if(r&&typeof r.arrayLimit=="number"&&c.length>r.arrayLimit){if(r.throwOnLimitExceeded)throw new RangeError("Array limit exceeded. Only "+r.arrayLimit+" element"+(r.arrayLimit===1?"":"s")+" allowed in an array.");return vt(Vt(c,r),c.length-1)}return c}var f=e;if(Ye(e)&&!Ye(t)&&(f=Vt(e,r)),Ye(e)&&Ye(t)){if(t.forEach(function(d,m){if(Bs.call(e,m)){var g=e[m];g&&typeof g=="object"&&d&&typeof d=="object"?e[m]=n(g,d,r):e[e.length]=d}else e[m]=d}),r&&typeof r.arrayLimit=="number"&&e.length>r.arrayLimit){if(r.throwOnLimitExceeded)throw new RangeError("Array limit exceeded. Only "+r.arrayLimit+" element"+(r.arrayLimit===1?"":"s")+" allowed in an array.");return vt(Vt(e,r),e.length-1)}return e}return Object.keys(t).reduce(function(d,m){var g=t[m];if(Bs.call(d,m)?Fs(d,m,n(d[m],g,r)):Fs(d,m,g),wt(t)&&!wt(d)&&vt(d,Sr(t)),wt(d)){var w=parseInt(m,10);String(w)===m&&w>=0&&w>Sr(d)&&Is(d,w)}return d},f)},"merge"),cS=o(function(e,t){return Object.keys(t).reduce(function(r,i){return Fs(r,i,t[i]),r},e)},"assignSingleSource"),hS=o(function(n,e,t){var r=n.replace(/\+/g," ");if(t==="iso-8859-1")return r.replace(/%[0-9a-f]{2}/gi,unescape);try{return decodeURIComponent(r)}catch{return r}},"decode"),jn=1024,fS=o(function(e,t,r,i,s){if(e.length===0)return e;var a=e;if(typeof e=="symbol"?a=Symbol.prototype.toString.call(e):typeof e!="string"&&(a=String(e)),r==="iso-8859-1")return escape(a).replace(/%u[0-9a-f]{4}/gi,function(g){return"%26%23"+parseInt(g.slice(2),16)+"%3B"});for(var u="",l=0;l<a.length;l+=jn){var h=a.length>=jn?a.slice(l,l+jn):a;if(l+jn<a.length){var c=h.charCodeAt(h.length-1);c>=55296&&c<=56319&&(h=h.slice(0,-1),l-=1)}for(var f=[],d=0;d<h.length;++d){var m=h.charCodeAt(d);if(m===45||m===46||m===95||m===126||m>=48&&m<=57||m>=65&&m<=90||m>=97&&m<=122||s===aS.RFC1738&&(m===40||m===41)){f[f.length]=h.charAt(d);continue}if(m<128){f[f.length]=Le[m];continue}if(m<2048){f[f.length]=Le[192|m>>6]+Le[128|m&63];continue}if(m<55296||m>=57344){f[f.length]=Le[224|m>>12]+Le[128|m>>6&63]+Le[128|m&63];continue}d+=1,m=65536+((m&1023)<<10|h.charCodeAt(d)&1023),f[f.length]=Le[240|m>>18]+Le[128|m>>12&63]+Le[128|m>>6&63]+Le[128|m&63]}u+=f.join("")}return u},"encode"),pS=o(function(e){for(var t=[{obj:{o:e},prop:"o"}],r=wd(),i=0;i<t.length;++i)for(var s=t[i],a=s.obj[s.prop],u=Object.keys(a),l=0;l<u.length;++l){var h=u[l],c=a[h];typeof c=="object"&&c!==null&&!r.has(c)&&(t[t.length]={obj:a,prop:h},r.set(c,!0))}return uS(t),e},"compact"),dS=o(function(e){return Object.prototype.toString.call(e)==="[object RegExp]"},"isRegExp"),mS=o(function(e){return!e||typeof e!="object"?!1:!!(e.constructor&&typeof e.constructor.isBuffer=="function"&&e.constructor.isBuffer(e))},"isBuffer"),yS=o(function(e,t,r,i,s){if(wt(e)){if(s)throw new RangeError("Array limit exceeded. Only "+r+" element"+(r===1?"":"s")+" allowed in an array.");for(var a=Ye(t)?t:[t],u=Sr(e),l=0;l<a.length;++l)u+=1,e[u]=a[l];return Is(e,u),e}var h=[].concat(e,t);if(h.length>r){if(s)throw new RangeError("Array limit exceeded. Only "+r+" element"+(r===1?"":"s")+" allowed in an array.");return vt(Vt(h,{plainObjects:i}),h.length-1)}return h},"combine"),gS=o(function(e,t){if(Ye(e)){for(var r=[],i=0;i<e.length;i+=1)r[r.length]=t(e[i]);return r}return t(e)},"maybeMap");bd.exports={arrayToObject:Vt,assign:cS,combine:yS,compact:pS,decode:hS,encode:fS,isBuffer:mS,isOverflow:wt,isRegExp:dS,markOverflow:vt,maybeMap:gS,merge:lS}});var qd=p((gO,Ad)=>{"use strict";var Sd=_s(),$n=Ls(),kr=Un(),vS=Object.prototype.hasOwnProperty,kd={brackets:o(function(e){return e+"[]"},"brackets"),comma:"comma",indices:o(function(e,t){return e+"["+t+"]"},"indices"),repeat:o(function(e){return e},"repeat")},Ne=Array.isArray,wS=Array.prototype.push,Ed=o(function(n,e){wS.apply(n,Ne(e)?e:[e])},"pushToArray"),bS=Date.prototype.toISOString,xd=kr.default,Q={addQueryPrefix:!1,allowDots:!1,allowEmptyArrays:!1,arrayFormat:"indices",charset:"utf-8",charsetSentinel:!1,commaRoundTrip:!1,delimiter:"&",depth:1/0,encode:!0,encodeDotInKeys:!1,encoder:$n.encode,encodeValuesOnly:!1,filter:void 0,format:xd,formatter:kr.formatters[xd],indices:!1,serializeDate:o(function(e){return bS.call(e)},"serializeDate"),skipNulls:!1,strictNullHandling:!1},xS=o(function(e){return typeof e=="string"||typeof e=="number"||typeof e=="boolean"||typeof e=="symbol"||typeof e=="bigint"},"isNonNullishPrimitive"),Ns={},SS=o(function n(e,t,r,i,s,a,u,l,h,c,f,d,m,g,w,q,j,E,I,$){var C=e;if($>I)throw new RangeError("Input depth exceeded depth option of "+I);for(var U=E,re=0,K=!1;(U=U.get(Ns))!==void 0&&!K;){var J=U.get(e);if(re+=1,typeof J<"u"){if(J===re)throw new RangeError("Cyclic object value");K=!0}typeof U.get(Ns)>"u"&&(re=0)}if(C=typeof c=="function"?c(t,C):C,C instanceof Date?C=m(C):r==="comma"&&Ne(C)&&(C=$n.maybeMap(C,function(D){return D instanceof Date?m(D):D})),C===null){if(a)return w(h&&!q?h(t,Q.encoder,j,"key",g):t);C=""}if(xS(C)||$n.isBuffer(C)){if(h){var ae=q?t:h(t,Q.encoder,j,"key",g);return[w(ae)+"="+w(h(C,Q.encoder,j,"value",g))]}return[w(t)+"="+w(String(C))]}var Se=[];if(typeof C>"u")return Se;var ue;if(r==="comma"&&Ne(C))q&&h&&(C=$n.maybeMap(C,function(D){return D==null?D:h(D)})),ue=[{value:C.length>0?C.join(",")||null:void 0}];else if(Ne(c))ue=c;else{var X=Object.keys(C);ue=f?X.sort(f):X}var le=l?String(t).replace(/\./g,"%2E"):String(t),fe=i&&Ne(C)&&C.length===1?le+"[]":le;if(s&&Ne(C)&&C.length===0&&Object.keys(C).length===0)return fe+"[]";for(var pe=0;pe<ue.length;++pe){var ke=ue[pe],A=typeof ke=="object"&&ke&&typeof ke.value<"u"?ke.value:C[ke];if(!(u&&A===null)){var O=d&&l?String(ke).replace(/\./g,"%2E"):String(ke),M=Ne(C)?typeof r=="function"?r(fe,O):fe:fe+(d?"."+O:"["+O+"]");E.set(e,re);var z=Sd();z.set(Ns,E),Ed(Se,n(A,M,r,i,s,a,u,l,r==="comma"&&q&&Ne(C)?null:h,c,f,d,m,g,w,q,j,z,I,$+1))}}return Se},"stringify"),kS=o(function(e){if(!e)return Q;if(typeof e.allowEmptyArrays<"u"&&typeof e.allowEmptyArrays!="boolean")throw new TypeError("`allowEmptyArrays` option can only be `true` or `false`, when provided");if(typeof e.encodeDotInKeys<"u"&&typeof e.encodeDotInKeys!="boolean")throw new TypeError("`encodeDotInKeys` option can only be `true` or `false`, when provided");if(e.encoder!==null&&typeof e.encoder<"u"&&typeof e.encoder!="function")throw new TypeError("Encoder has to be a function.");var t=e.charset||Q.charset;if(typeof e.charset<"u"&&e.charset!=="utf-8"&&e.charset!=="iso-8859-1")throw new TypeError("The charset option must be either utf-8, iso-8859-1, or undefined");var r=kr.default;if(typeof e.format<"u"){if(!vS.call(kr.formatters,e.format))throw new TypeError("Unknown format option provided.");r=e.format}var i=kr.formatters[r],s=Q.filter;(typeof e.filter=="function"||Ne(e.filter))&&(s=e.filter);var a;if(e.arrayFormat in kd?a=e.arrayFormat:"indices"in e?a=e.indices?"indices":"repeat":a=Q.arrayFormat,"commaRoundTrip"in e&&typeof e.commaRoundTrip!="boolean")throw new TypeError("`commaRoundTrip` must be a boolean, or absent");var u=typeof e.allowDots>"u"?e.encodeDotInKeys===!0?!0:Q.allowDots:!!e.allowDots;return{addQueryPrefix:typeof e.addQueryPrefix=="boolean"?e.addQueryPrefix:Q.addQueryPrefix,allowDots:u,allowEmptyArrays:typeof e.allowEmptyArrays=="boolean"?!!e.allowEmptyArrays:Q.allowEmptyArrays,arrayFormat:a,charset:t,charsetSentinel:typeof e.charsetSentinel=="boolean"?e.charsetSentinel:Q.charsetSentinel,commaRoundTrip:!!e.commaRoundTrip,delimiter:typeof e.delimiter>"u"?Q.delimiter:e.delimiter,depth:typeof e.depth=="number"?e.depth:Q.depth,encode:typeof e.encode=="boolean"?e.encode:Q.encode,encodeDotInKeys:typeof e.encodeDotInKeys=="boolean"?e.encodeDotInKeys:Q.encodeDotInKeys,encoder:typeof e.encoder=="function"?e.encoder:Q.encoder,encodeValuesOnly:typeof e.encodeValuesOnly=="boolean"?e.encodeValuesOnly:Q.encodeValuesOnly,filter:s,format:r,formatter:i,serializeDate:typeof e.serializeDate=="function"?e.serializeDate:Q.serializeDate,skipNulls:typeof e.skipNulls=="boolean"?e.skipNulls:Q.skipNulls,sort:typeof e.sort=="function"?e.sort:null,strictNullHandling:typeof e.strictNullHandling=="boolean"?e.strictNullHandling:Q.strictNullHandling}},"normalizeStringifyOptions");Ad.exports=function(n,e){var t=n,r=kS(e),i,s;typeof r.filter=="function"?(s=r.filter,t=s("",t)):Ne(r.filter)&&(s=r.filter,i=s);var a=[];if(typeof t!="object"||t===null)return"";var u=kd[r.arrayFormat],l=u==="comma"&&r.commaRoundTrip;i||(i=Object.keys(t)),r.sort&&i.sort(r.sort);for(var h=Sd(),c=0;c<i.length;++c){var f=i[c];if(!(typeof f>"u"||f===null)){var d=t[f];if(!(r.skipNulls&&d===null)){var m=r.encodeDotInKeys?String(f).replace(/\./g,"%2E"):String(f);Ed(a,SS(d,m,u,l,r.allowEmptyArrays,r.strictNullHandling,r.skipNulls,r.encodeDotInKeys,r.encode?r.encoder:null,r.filter,r.sort,r.allowDots,r.serializeDate,r.format,r.formatter,r.encodeValuesOnly,r.charset,h,r.depth,0))}}}var g=a.join(r.delimiter),w=r.addQueryPrefix===!0?"?":"";return r.charsetSentinel&&(r.charset==="iso-8859-1"?w+="utf8=%26%2310003%3B"+r.delimiter:w+="utf8=%E2%9C%93"+r.delimiter),g.length>0?w+g:""}});var Od=p((wO,_d)=>{"use strict";var Pe=Ls(),Gn=Object.prototype.hasOwnProperty,Ps=Array.isArray,W={allowDots:!1,allowEmptyArrays:!1,allowPrototypes:!1,allowSparse:!1,arrayLimit:20,charset:"utf-8",charsetSentinel:!1,comma:!1,decodeDotInKeys:!1,decoder:Pe.decode,delimiter:"&",depth:5,duplicates:"combine",ignoreQueryPrefix:!1,interpretNumericEntities:!1,parameterLimit:1e3,parseArrays:!0,plainObjects:!1,strictDepth:!1,strictMerge:!0,strictNullHandling:!1,throwOnLimitExceeded:!1},ES=o(function(n){return n.replace(/&#(\d+);/g,function(e,t){return String.fromCharCode(parseInt(t,10))})},"interpretNumericEntities"),Cd=o(function(n,e,t){if(n&&typeof n=="string"&&e.comma&&n.indexOf(",")>-1){if(e.throwOnLimitExceeded)for(var r=0,i=n.indexOf(",");i>-1;){if(r+=1,r>=e.arrayLimit)throw new RangeError("Array limit exceeded. Only "+e.arrayLimit+" element"+(e.arrayLimit===1?"":"s")+" allowed in an array.");i=n.indexOf(",",i+1)}return n.split(",")}if(e.throwOnLimitExceeded&&t>=e.arrayLimit)throw new RangeError("Array limit exceeded. Only "+e.arrayLimit+" element"+(e.arrayLimit===1?"":"s")+" allowed in an array.");return n},"parseArrayValue"),AS="utf8=%26%2310003%3B",qS="utf8=%E2%9C%93",CS=o(function(e,t){var r={__proto__:null},i=t.ignoreQueryPrefix?e.replace(/^\?/,""):e;i=i.replace(/%5B/gi,"[").replace(/%5D/gi,"]");var s=t.parameterLimit===1/0?void 0:t.parameterLimit,a=i.split(t.delimiter,t.throwOnLimitExceeded&&typeof s<"u"?s+1:s);if(t.throwOnLimitExceeded&&typeof s<"u"&&a.length>s)throw new RangeError("Parameter limit exceeded. Only "+s+" parameter"+(s===1?"":"s")+" allowed.");var u=-1,l,h=t.charset;if(t.charsetSentinel)for(l=0;l<a.length;++l)a[l].indexOf("utf8=")===0&&(a[l]===qS?h="utf-8":a[l]===AS&&(h="iso-8859-1"),u=l,l=a.length);for(l=0;l<a.length;++l)if(l!==u){var c=a[l],f=c.indexOf("]="),d=f===-1?c.indexOf("="):f+1,m,g;if(d===-1?(m=t.decoder(c,W.decoder,h,"key"),g=t.strictNullHandling?null:""):(m=t.decoder(c.slice(0,d),W.decoder,h,"key"),m!==null&&(g=Pe.maybeMap(Cd(c.slice(d+1),t,Ps(r[m])?r[m].length:0),function(q){return t.decoder(q,W.decoder,h,"value")}))),g&&t.interpretNumericEntities&&h==="iso-8859-1"&&(g=ES(String(g))),c.indexOf("[]=")>-1&&(g=Ps(g)?[g]:g),t.comma&&Ps(g)&&g.length>t.arrayLimit&&(g=Pe.combine([],g,t.arrayLimit,t.plainObjects,t.throwOnLimitExceeded)),m!==null){var w=Gn.call(r,m);w&&(t.duplicates==="combine"||c.indexOf("[]=")>-1)?r[m]=Pe.combine(r[m],g,t.arrayLimit,t.plainObjects,t.throwOnLimitExceeded):(!w||t.duplicates==="last")&&(r[m]=g)}}return r},"parseQueryStringValues"),_S=o(function(n,e,t,r){var i=0;if(n.length>0&&n[n.length-1]==="[]"){var s=n.slice(0,-1).join("");i=Array.isArray(e)&&e[s]?e[s].length:0}for(var a=r?e:Cd(e,t,i),u=n.length-1;u>=0;--u){var l,h=n[u];if(h==="[]"&&t.parseArrays)Pe.isOverflow(a)?l=a:l=t.allowEmptyArrays&&(a===""||t.strictNullHandling&&a===null)?[]:Pe.combine([],a,t.arrayLimit,t.plainObjects,t.throwOnLimitExceeded);else{l=t.plainObjects?{__proto__:null}:{};var c=h.charAt(0)==="["&&h.charAt(h.length-1)==="]"?h.slice(1,-1):h,f=t.decodeDotInKeys?c.replace(/%2E/g,"."):c,d=parseInt(f,10),m=!isNaN(d)&&h!==f&&String(d)===f&&d>=0&&t.parseArrays;if(!t.parseArrays&&f==="")l={0:a};else if(m&&d<t.arrayLimit)l=[],l[d]=a;else{if(m&&t.throwOnLimitExceeded)throw new RangeError("Array limit exceeded. Only "+t.arrayLimit+" element"+(t.arrayLimit===1?"":"s")+" allowed in an array.");m?(l[d]=a,Pe.markOverflow(l,d)):f!=="__proto__"&&(l[f]=a)}}a=l}return a},"parseObject"),OS=o(function(e,t){var r=t.allowDots?e.replace(/\.([^.[]+)/g,"[$1]"):e;if(t.depth<=0)return!t.plainObjects&&Gn.call(Object.prototype,r)&&!t.allowPrototypes?void 0:[r];var i=[],s=r.indexOf("["),a=s>=0?r.slice(0,s):r;if(a){if(!t.plainObjects&&Gn.call(Object.prototype,a)&&!t.allowPrototypes)return;i[i.length]=a}for(var u=r.length,l=s,h=0;l>=0&&h<t.depth;){for(var c=1,f=l+1,d=-1;f<u&&d<0;){var m=r.charCodeAt(f);m===91?c+=1:m===93&&(c-=1,c===0&&(d=f)),f+=1}if(d<0)return i[i.length]="["+r.slice(l)+"]",i;var g=r.slice(l,d+1),w=g.slice(1,-1);if(!t.plainObjects&&Gn.call(Object.prototype,w)&&!t.allowPrototypes)return;i[i.length]=g,h+=1,l=r.indexOf("[",d+1)}if(l>=0){if(t.strictDepth===!0)throw new RangeError("Input depth exceeded depth option of "+t.depth+" and strictDepth is true");i[i.length]="["+r.slice(l)+"]"}return i},"splitKeyIntoSegments"),BS=o(function(e,t,r,i){if(e){var s=OS(e,r);if(s)return _S(s,t,r,i)}},"parseQueryStringKeys"),IS=o(function(e){if(!e)return W;if(typeof e.allowEmptyArrays<"u"&&typeof e.allowEmptyArrays!="boolean")throw new TypeError("`allowEmptyArrays` option can only be `true` or `false`, when provided");if(typeof e.decodeDotInKeys<"u"&&typeof e.decodeDotInKeys!="boolean")throw new TypeError("`decodeDotInKeys` option can only be `true` or `false`, when provided");if(e.decoder!==null&&typeof e.decoder<"u"&&typeof e.decoder!="function")throw new TypeError("Decoder has to be a function.");if(typeof e.charset<"u"&&e.charset!=="utf-8"&&e.charset!=="iso-8859-1")throw new TypeError("The charset option must be either utf-8, iso-8859-1, or undefined");if(typeof e.throwOnLimitExceeded<"u"&&typeof e.throwOnLimitExceeded!="boolean")throw new TypeError("`throwOnLimitExceeded` option must be a boolean");var t=typeof e.charset>"u"?W.charset:e.charset,r=typeof e.duplicates>"u"?W.duplicates:e.duplicates;if(r!=="combine"&&r!=="first"&&r!=="last")throw new TypeError("The duplicates option must be either combine, first, or last");var i=typeof e.allowDots>"u"?e.decodeDotInKeys===!0?!0:W.allowDots:!!e.allowDots;return{allowDots:i,allowEmptyArrays:typeof e.allowEmptyArrays=="boolean"?!!e.allowEmptyArrays:W.allowEmptyArrays,allowPrototypes:typeof e.allowPrototypes=="boolean"?e.allowPrototypes:W.allowPrototypes,allowSparse:typeof e.allowSparse=="boolean"?e.allowSparse:W.allowSparse,arrayLimit:typeof e.arrayLimit=="number"?e.arrayLimit:W.arrayLimit,charset:t,charsetSentinel:typeof e.charsetSentinel=="boolean"?e.charsetSentinel:W.charsetSentinel,comma:typeof e.comma=="boolean"?e.comma:W.comma,decodeDotInKeys:typeof e.decodeDotInKeys=="boolean"?e.decodeDotInKeys:W.decodeDotInKeys,decoder:typeof e.decoder=="function"?e.decoder:W.decoder,delimiter:typeof e.delimiter=="string"||Pe.isRegExp(e.delimiter)?e.delimiter:W.delimiter,depth:typeof e.depth=="number"||e.depth===!1?+e.depth:W.depth,duplicates:r,ignoreQueryPrefix:e.ignoreQueryPrefix===!0,interpretNumericEntities:typeof e.interpretNumericEntities=="boolean"?e.interpretNumericEntities:W.interpretNumericEntities,parameterLimit:typeof e.parameterLimit=="number"?e.parameterLimit:W.parameterLimit,parseArrays:e.parseArrays!==!1,plainObjects:typeof e.plainObjects=="boolean"?e.plainObjects:W.plainObjects,strictDepth:typeof e.strictDepth=="boolean"?!!e.strictDepth:W.strictDepth,strictMerge:typeof e.strictMerge=="boolean"?!!e.strictMerge:W.strictMerge,strictNullHandling:typeof e.strictNullHandling=="boolean"?e.strictNullHandling:W.strictNullHandling,throwOnLimitExceeded:typeof e.throwOnLimitExceeded=="boolean"?e.throwOnLimitExceeded:!1}},"normalizeParseOptions");_d.exports=function(n,e){var t=IS(e);if(n===""||n===null||typeof n>"u")return t.plainObjects?{__proto__:null}:{};for(var r=typeof n=="string"?CS(n,t):n,i=t.plainObjects?{__proto__:null}:{},s=Object.keys(r),a=0;a<s.length;++a){var u=s[a],l=BS(u,r[u],t,typeof n=="string");i=Pe.merge(i,l,t)}return t.allowSparse===!0?i:Pe.compact(i)}});var Id=p((xO,Bd)=>{"use strict";var FS=qd(),LS=Od(),NS=Un();Bd.exports={formats:NS,parse:LS,stringify:FS}});var Us=p(Kt=>{"use strict";var PS=$p();function xe(){this.protocol=null,this.slashes=null,this.auth=null,this.host=null,this.port=null,this.hostname=null,this.hash=null,this.search=null,this.query=null,this.pathname=null,this.path=null,this.href=null}o(xe,"Url");var TS=/^([a-z0-9.+-]+:)/i,RS=/:[0-9]*$/,MS=/^(\/\/?(?!\/)[^?\s]*)(\?[^\s]*)?$/,US=["<",">",'"',"`"," ","\r",`
+`,"	"],jS=["{","}","|","\\","^","`"].concat(US),Ts=["'"].concat(jS),Fd=["%","/","?",";","#"].concat(Ts),Ld=["/","?","#"],DS=255,Nd=/^[+a-z0-9A-Z_-]{0,63}$/,$S=/^([+a-z0-9A-Z_-]{0,63})(.*)$/,GS={javascript:!0,"javascript:":!0},Rs={javascript:!0,"javascript:":!0},Ht={http:!0,https:!0,ftp:!0,gopher:!0,file:!0,"http:":!0,"https:":!0,"ftp:":!0,"gopher:":!0,"file:":!0},Ms=Id();function Er(n,e,t){if(n&&typeof n=="object"&&n instanceof xe)return n;var r=new xe;return r.parse(n,e,t),r}o(Er,"urlParse");xe.prototype.parse=function(n,e,t){if(typeof n!="string")throw new TypeError("Parameter 'url' must be a string, not "+typeof n);var r=n.indexOf("?"),i=r!==-1&&r<n.indexOf("#")?"?":"#",s=n.split(i),a=/\\/g;s[0]=s[0].replace(a,"/"),n=s.join(i);var u=n;if(u=u.trim(),!t&&n.split("#").length===1){var l=MS.exec(u);if(l)return this.path=u,this.href=u,this.pathname=l[1],l[2]?(this.search=l[2],e?this.query=Ms.parse(this.search.substr(1)):this.query=this.search.substr(1)):e&&(this.search="",this.query={}),this}var h=TS.exec(u);if(h){h=h[0];var c=h.toLowerCase();this.protocol=c,u=u.substr(h.length)}if(t||h||u.match(/^\/\/[^@/]+@[^@/]+/)){var f=u.substr(0,2)==="//";f&&!(h&&Rs[h])&&(u=u.substr(2),this.slashes=!0)}if(!Rs[h]&&(f||h&&!Ht[h])){for(var d=-1,m=0;m<Ld.length;m++){var g=u.indexOf(Ld[m]);g!==-1&&(d===-1||g<d)&&(d=g)}var w,q;d===-1?q=u.lastIndexOf("@"):q=u.lastIndexOf("@",d),q!==-1&&(w=u.slice(0,q),u=u.slice(q+1),this.auth=decodeURIComponent(w)),d=-1;for(var m=0;m<Fd.length;m++){var g=u.indexOf(Fd[m]);g!==-1&&(d===-1||g<d)&&(d=g)}d===-1&&(d=u.length),this.host=u.slice(0,d),u=u.slice(d),this.parseHost(),this.hostname=this.hostname||"";var j=this.hostname[0]==="["&&this.hostname[this.hostname.length-1]==="]";if(!j)for(var E=this.hostname.split(/\./),m=0,I=E.length;m<I;m++){var $=E[m];if($&&!$.match(Nd)){for(var C="",U=0,re=$.length;U<re;U++)$.charCodeAt(U)>127?C+="x":C+=$[U];if(!C.match(Nd)){var K=E.slice(0,m),J=E.slice(m+1),ae=$.match($S);ae&&(K.push(ae[1]),J.unshift(ae[2])),J.length&&(u="/"+J.join(".")+u),this.hostname=K.join(".");break}}}this.hostname.length>DS?this.hostname="":this.hostname=this.hostname.toLowerCase(),j||(this.hostname=PS.toASCII(this.hostname));var Se=this.port?":"+this.port:"",ue=this.hostname||"";this.host=ue+Se,this.href+=this.host,j&&(this.hostname=this.hostname.substr(1,this.hostname.length-2),u[0]!=="/"&&(u="/"+u))}if(!GS[c])for(var m=0,I=Ts.length;m<I;m++){var X=Ts[m];if(u.indexOf(X)!==-1){var le=encodeURIComponent(X);le===X&&(le=escape(X)),u=u.split(X).join(le)}}var fe=u.indexOf("#");fe!==-1&&(this.hash=u.substr(fe),u=u.slice(0,fe));var pe=u.indexOf("?");if(pe!==-1?(this.search=u.substr(pe),this.query=u.substr(pe+1),e&&(this.query=Ms.parse(this.query)),u=u.slice(0,pe)):e&&(this.search="",this.query={}),u&&(this.pathname=u),Ht[c]&&this.hostname&&!this.pathname&&(this.pathname="/"),this.pathname||this.search){var Se=this.pathname||"",ke=this.search||"";this.path=Se+ke}return this.href=this.format(),this};function zS(n){return typeof n=="string"&&(n=Er(n)),n instanceof xe?n.format():xe.prototype.format.call(n)}o(zS,"urlFormat");xe.prototype.format=function(){var n=this.auth||"";n&&(n=encodeURIComponent(n),n=n.replace(/%3A/i,":"),n+="@");var e=this.protocol||"",t=this.pathname||"",r=this.hash||"",i=!1,s="";this.host?i=n+this.host:this.hostname&&(i=n+(this.hostname.indexOf(":")===-1?this.hostname:"["+this.hostname+"]"),this.port&&(i+=":"+this.port)),this.query&&typeof this.query=="object"&&Object.keys(this.query).length&&(s=Ms.stringify(this.query,{arrayFormat:"repeat",addQueryPrefix:!1}));var a=this.search||s&&"?"+s||"";return e&&e.substr(-1)!==":"&&(e+=":"),this.slashes||(!e||Ht[e])&&i!==!1?(i="//"+(i||""),t&&t.charAt(0)!=="/"&&(t="/"+t)):i||(i=""),r&&r.charAt(0)!=="#"&&(r="#"+r),a&&a.charAt(0)!=="?"&&(a="?"+a),t=t.replace(/[?#]/g,function(u){return encodeURIComponent(u)}),a=a.replace("#","%23"),e+i+t+a+r};function WS(n,e){return Er(n,!1,!0).resolve(e)}o(WS,"urlResolve");xe.prototype.resolve=function(n){return this.resolveObject(Er(n,!1,!0)).format()};function JS(n,e){return n?Er(n,!1,!0).resolveObject(e):e}o(JS,"urlResolveObject");xe.prototype.resolveObject=function(n){if(typeof n=="string"){var e=new xe;e.parse(n,!1,!0),n=e}for(var t=new xe,r=Object.keys(this),i=0;i<r.length;i++){var s=r[i];t[s]=this[s]}if(t.hash=n.hash,n.href==="")return t.href=t.format(),t;if(n.slashes&&!n.protocol){for(var a=Object.keys(n),u=0;u<a.length;u++){var l=a[u];l!=="protocol"&&(t[l]=n[l])}return Ht[t.protocol]&&t.hostname&&!t.pathname&&(t.pathname="/",t.path=t.pathname),t.href=t.format(),t}if(n.protocol&&n.protocol!==t.protocol){if(!Ht[n.protocol]){for(var h=Object.keys(n),c=0;c<h.length;c++){var f=h[c];t[f]=n[f]}return t.href=t.format(),t}if(t.protocol=n.protocol,!n.host&&!Rs[n.protocol]){for(var I=(n.pathname||"").split("/");I.length&&!(n.host=I.shift()););n.host||(n.host=""),n.hostname||(n.hostname=""),I[0]!==""&&I.unshift(""),I.length<2&&I.unshift(""),t.pathname=I.join("/")}else t.pathname=n.pathname;if(t.search=n.search,t.query=n.query,t.host=n.host||"",t.auth=n.auth,t.hostname=n.hostname||n.host,t.port=n.port,t.pathname||t.search){var d=t.pathname||"",m=t.search||"";t.path=d+m}return t.slashes=t.slashes||n.slashes,t.href=t.format(),t}var g=t.pathname&&t.pathname.charAt(0)==="/",w=n.host||n.pathname&&n.pathname.charAt(0)==="/",q=w||g||t.host&&n.pathname,j=q,E=t.pathname&&t.pathname.split("/")||[],I=n.pathname&&n.pathname.split("/")||[],$=t.protocol&&!Ht[t.protocol];if($&&(t.hostname="",t.port=null,t.host&&(E[0]===""?E[0]=t.host:E.unshift(t.host)),t.host="",n.protocol&&(n.hostname=null,n.port=null,n.host&&(I[0]===""?I[0]=n.host:I.unshift(n.host)),n.host=null),q=q&&(I[0]===""||E[0]==="")),w)t.host=n.host||n.host===""?n.host:t.host,t.hostname=n.hostname||n.hostname===""?n.hostname:t.hostname,t.search=n.search,t.query=n.query,E=I;else if(I.length)E||(E=[]),E.pop(),E=E.concat(I),t.search=n.search,t.query=n.query;else if(n.search!=null){if($){t.host=E.shift(),t.hostname=t.host;var C=t.host&&t.host.indexOf("@")>0?t.host.split("@"):!1;C&&(t.auth=C.shift(),t.hostname=C.shift(),t.host=t.hostname)}return t.search=n.search,t.query=n.query,(t.pathname!==null||t.search!==null)&&(t.path=(t.pathname?t.pathname:"")+(t.search?t.search:"")),t.href=t.format(),t}if(!E.length)return t.pathname=null,t.search?t.path="/"+t.search:t.path=null,t.href=t.format(),t;for(var U=E.slice(-1)[0],re=(t.host||n.host||E.length>1)&&(U==="."||U==="..")||U==="",K=0,J=E.length;J>=0;J--)U=E[J],U==="."?E.splice(J,1):U===".."?(E.splice(J,1),K++):K&&(E.splice(J,1),K--);if(!q&&!j)for(;K--;K)E.unshift("..");q&&E[0]!==""&&(!E[0]||E[0].charAt(0)!=="/")&&E.unshift(""),re&&E.join("/").substr(-1)!=="/"&&E.push("");var ae=E[0]===""||E[0]&&E[0].charAt(0)==="/";if($){t.hostname=ae?"":E.length?E.shift():"",t.host=t.hostname;var C=t.host&&t.host.indexOf("@")>0?t.host.split("@"):!1;C&&(t.auth=C.shift(),t.hostname=C.shift(),t.host=t.hostname)}return q=q||t.host&&E.length,q&&!ae&&E.unshift(""),E.length>0?t.pathname=E.join("/"):(t.pathname=null,t.path=null),(t.pathname!==null||t.search!==null)&&(t.path=(t.pathname?t.pathname:"")+(t.search?t.search:"")),t.auth=n.auth||t.auth,t.slashes=t.slashes||n.slashes,t.href=t.format(),t};xe.prototype.parseHost=function(){var n=this.host,e=RS.exec(n);e&&(e=e[0],e!==":"&&(this.port=e.substr(1)),n=n.substr(0,n.length-e.length)),n&&(this.hostname=n)};Kt.parse=Er;Kt.resolve=WS;Kt.resolveObject=JS;Kt.format=zS;Kt.Url=xe});var Md=p((EO,js)=>{var VS=dr(),HS=Ds().events,Pd=x(),KS=Us().parse,QS=H().extname,YS=S(),ZS=Me(),Rd={".gif":"image/gif",".png":"image/png",".jpg":"image/jpeg",".jpeg":"image/jpeg",".svg":"image/svg+xml",".webp":"image/webp",".ttf":"application/x-font-ttf",".eot":"application/vnd.ms-fontobject",".woff":"application/font-woff",".woff2":"application/font-woff2"},Td={BASE_64:"base64",UTF8:"charset=utf-8"};js.exports=function(n){n=n||{};var e=n.paths||[],t=n.limit!=null?n.limit:3e4,r=n.mimes||Rd;function i(s,a){var u=new VS(s),l=Td.BASE_64;u.isURL=!0,s=s.nodes.map(function(j){return u.visit(j)}).join(""),s=KS(s);var h=QS(s.pathname||""),c=r[h],f=s.hash||"",d=new Pd.Literal('url("'+s.href+'")'),m=e.concat(this.paths),g,w;if(!c||s.protocol)return d;var q=YS.lookup(s.pathname,m);return q?(g=ZS.readFileSync(q),t!==!1&&g.length>t?d:(a&&a.first.val.toLowerCase()=="utf8"?(l=Td.UTF8,w=g.toString().replace(/\s+/g," ").replace(/[{}\|\\\^~\[\]`"<>#%]/g,function(j){return"%"+j[0].charCodeAt(0).toString(16).toUpperCase()}).trim()):w=g.toString(l)+f,new Pd.Literal('url("data:'+c+";"+l+","+w+'")'))):(HS.emit("file not found","File "+d+" could not be found, literal url retained!"),d)}return o(i,"fn"),i.raw=!0,i};js.exports.mimes=Rd});var Js=p((CO,jd)=>{var XS=lr(),ek=Ti(),k=x(),tk=vl(),$s=Sl(),ye=S(),Ud=On(),zs=H().dirname,Gs=Rp(),bt=Fn()("stylus:evaluator"),Ws=Me();function rk(n,e,t){var r=this.importStack,i=lt(),s;if(n.once){if(this.requireHistory[e])return k.null;if(this.requireHistory[e]=!0,t&&!this.includeCSS)return n}if(~r.indexOf(e))throw new Error("import loop has been found");var a=Ws.readFileSync(e,"utf8");if(!a.trim())return k.null;if(n.path=e,n.dirname=zs(e),s=Ws.statSync(e),n.mtime=s.mtime,this.paths.push(n.dirname),this.options._imports&&this.options._imports.push(n.clone()),r.push(e),k.filename=e,t&&(t=new k.Literal(a.replace(/\r\n?/g,`
+`)),t.lineno=t.column=1,!this.resolveURL))return t;var u=new k.Block,l=new i(a,ye.merge({root:u},this.options));try{u=l.parse()}catch(d){var h=l.lexer.lineno,c=l.lexer.column;if(t&&this.includeCSS&&this.resolveURL)return this.warn("ParseError: "+e+":"+h+":"+c+". This file included as-is"),t;throw d.filename=e,d.lineno=h,d.column=c,d.input=a,d}u=u.clone(this.currentBlock),u.parent=this.currentBlock,u.scope=!1;var f=this.visit(u);return r.pop(),(!this.resolveURL||this.resolveURL.nocheck)&&this.paths.pop(),f}o(rk,"importFile");jd.exports=class extends XS{static{o(this,"Evaluator")}constructor(e,t){super(e),t=t||{};var r=this.functions=t.functions||{};this.stack=new tk,this.imports=t.imports||[],this.globals=t.globals||{},this.paths=t.paths||[],this.prefix=t.prefix||"",this.filename=t.filename,this.includeCSS=t["include css"],this.resolveURL=r.url&&r.url.name=="resolver"&&r.url.options,this.paths.push(zs(t.filename||".")),this.stack.push(this.global=new $s(e)),this.warnings=t.warn,this.options=t,this.calling=[],this.importStack=[],this.requireHistory={},this.return=0}visit(e){try{return super.visit(e)}catch(t){if(t.filename)throw t;t.lineno=e.lineno,t.column=e.column,t.filename=e.filename,t.stylusStack=this.stack.toString();try{t.input=Ws.readFileSync(t.filename,"utf8")}catch{}throw t}}setup(){var e=this.root,t=[];this.populateGlobalScope(),this.imports.forEach(function(r){var i=new k.Expression;i.push(new k.String(r)),t.push(new k.Import(i))},this),e.nodes=t.concat(e.nodes)}populateGlobalScope(){var e=this.global.scope;Object.keys(Gs).forEach(function(r){var i=Gs[r],s=new k.RGBA(i[0],i[1],i[2],i[3]),a=new k.Ident(r,s);s.name=r,e.add(a)}),e.add(new k.Ident("embedurl",new k.Function("embedurl",Md()({limit:!1}))));var t=this.globals;Object.keys(t).forEach(function(r){var i=t[r];i.nodeName||(i=new k.Literal(i)),e.add(new k.Ident(r,i))})}evaluate(){return bt("eval %s",this.filename),this.setup(),this.visit(this.root)}visitGroup(e){return e.nodes=e.nodes.map(function(t){return t.val=this.interpolate(t),bt("ruleset %s",t.val),t},this),e.block=this.visit(e.block),e}visitReturn(e){throw e.expr=this.visit(e.expr),e}visitMedia(e){return e.block=this.visit(e.block),e.val=this.visit(e.val),e}visitQueryList(e){var t,r;if(e.nodes.forEach(this.visit,this),e.nodes.length==1&&(r=e.nodes[0],t=this.lookup(r.type))){if(t=t.first.string,!t)return e;var i=lt(),s=new i(t,this.options);e=this.visit(s.queries())}return e}visitQuery(e){return e.predicate=this.visit(e.predicate),e.type=this.visit(e.type),e.nodes.forEach(this.visit,this),e}visitFeature(e){return e.name=this.interpolate(e),e.expr&&(this.return++,e.expr=this.visit(e.expr),this.return--),e}visitObject(e){for(var t in e.vals)e.vals[t]=this.visit(e.vals[t]);return e}visitMember(e){var t=e.left,r=e.right,i=this.visit(t).first;if(i.nodeName!="object")throw new Error(t.toString()+" has no property ."+r);return e.val&&(this.return++,i.set(r.name,this.visit(e.val)),this.return--),i.get(r.name)}visitKeyframes(e){var t;return e.fabricated||(e.val=this.interpolate(e).trim(),(t=this.lookup(e.val))&&(e.val=t.first.string||t.first.name),e.block=this.visit(e.block),e.prefix!="official")?e:(this.vendors.forEach(function(r){if(r!="ms"){var i=e.clone();i.val=e.val,i.prefix=r,i.block=e.block,i.fabricated=!0,this.currentBlock.push(i)}},this),k.null)}visitFunction(e){var t=this.stack.currentFrame.scope.lookup(e.name);t&&this.warn("local "+t.nodeName+' "'+e.name+'" previously defined in this scope');var r=this.functions[e.name];r&&this.warn('user-defined function "'+e.name+'" is already defined');var i=Ud[e.name];return i&&this.warn('built-in function "'+e.name+'" is already defined'),e}visitEach(e){this.return++;var t=ye.unwrap(this.visit(e.expr)),r=t.nodes.length,i=new k.Ident(e.val),s=new k.Ident(e.key||"__index__"),a=this.currentScope,u=this.currentBlock,l=[],h=this,c,f;this.return--,e.block.scope=!1;function d(w,q){a.add(q),a.add(w),c=h.visit(e.block.clone()),l=l.concat(c.nodes)}if(o(d,"visitBody"),r==1&&t.nodes[0].nodeName=="object"){f=t.nodes[0];for(var m in f.vals)i.val=new k.String(m),s.val=f.get(m),d(s,i)}else for(var g=0;g<r;++g)i.val=t.nodes[g],s.val=new k.Unit(g),d(s,i);return this.mixin(l,u),l[l.length-1]||k.null}visitCall(e){bt("call %s",e);var t=this.lookup(e.name),r,i;if(this.ignoreColors=e.name=="url",t&&t.nodeName=="expression"&&(t=t.nodes[0]),t&&t.nodeName!="function"&&(t=this.lookupFunction(e.name)),!t||t.nodeName!="function")return bt("%s is undefined",e),this.unvendorize(e.name)=="calc"?(r=e.args.nodes&&e.args.nodes[0],r&&(i=new k.Literal(e.name+r))):i=this.literalCall(e),this.ignoreColors=!1,i;if(this.calling.push(e.name),this.calling.length>200)throw new RangeError("Maximum stylus call stack size exceeded");t.nodeName=="expression"&&(t=t.first),this.return++;var s=this.visit(e.args);for(var a in s.map)s.map[a]=this.visit(s.map[a].clone());return this.return--,t.fn?(bt("%s is built-in",e),i=this.invokeBuiltin(t.fn,s)):t.nodeName=="function"&&(bt("%s is user-defined",e),e.block&&(e.block=this.visit(e.block)),i=this.invokeFunction(t,s,e.block)),this.calling.pop(),this.ignoreColors=!1,i}visitIdent(e){var t;if(e.property)return(t=this.lookupProperty(e.name))?this.visit(t.expr.clone()):k.null;if(e.val.isNull){var r=this.lookup(e.name);return r&&e.mixin&&this.mixinNode(r),r?this.visit(r):e}else return this.return++,e.val=this.visit(e.val),this.return--,this.currentScope.add(e),e.val}visitBinOp(e){if(e.op=="is defined")return this.isDefined(e.left);this.return++;var t=e.op,r=this.visit(e.left),i=t=="||"||t=="&&"?e.right:this.visit(e.right),s=e.val?this.visit(e.val):null;this.return--;try{return this.visit(r.operate(t,i,s))}catch(a){if(a.name=="CoercionError")switch(t){case"==":return k.false;case"!=":return k.true}throw a}}visitUnaryOp(e){var t=e.op,r=this.visit(e.expr);switch(t!="!"&&(r=r.first.clone(),ye.assertType(r,"unit")),t){case"-":r.val=-r.val;break;case"+":r.val=+r.val;break;case"~":r.val=~r.val;break;case"!":return r.toBoolean().negate()}return r}visitTernary(e){var t=this.visit(e.cond).toBoolean();return t.isTrue?this.visit(e.trueExpr):this.visit(e.falseExpr)}visitExpression(e){for(var t=0,r=e.nodes.length;t<r;++t)e.nodes[t]=this.visit(e.nodes[t]);return this.castable(e)&&(e=this.cast(e)),e}get visitArguments(){return this.visitExpression}visitProperty(e){var t=this.interpolate(e),r=this.lookup(t),i=r&&r.first.nodeName=="function",s=~this.calling.indexOf(t),a=this.property;if(i&&!s&&!e.literal){var u=k.Arguments.fromExpression(ye.unwrap(e.expr.clone()));e.name=t,this.property=e,this.return++,this.property.expr=this.visit(e.expr),this.return--;var l=this.visit(new k.Call(t,u));return this.property=a,l}else return this.return++,e.name=t,e.literal=!0,this.property=e,e.expr=this.visit(e.expr),this.property=a,this.return--,e}visitRoot(e){if(e!=this.root)return e.constructor=k.Block,this.visit(e);for(var t=0;t<e.nodes.length;++t)e.index=t,e.nodes[t]=this.visit(e.nodes[t]);return e}visitBlock(e){for(this.stack.push(new $s(e)),e.index=0;e.index<e.nodes.length;++e.index)try{e.nodes[e.index]=this.visit(e.nodes[e.index])}catch(t){if(t.nodeName=="return"){if(this.return)throw this.stack.pop(),t;e.nodes[e.index]=t;break}else throw t}return this.stack.pop(),e}visitAtblock(e){return e.block=this.visit(e.block),e}visitAtrule(e){return e.val=this.interpolate(e),e.block&&(e.block=this.visit(e.block)),e}visitSupports(e){var t=e.condition,r;return this.return++,e.condition=this.visit(t),this.return--,r=t.first,t.nodes.length==1&&r.nodeName=="string"&&(e.condition=r.string),e.block=this.visit(e.block),e}visitIf(e){var t,r=this.currentBlock,i=e.negate;this.return++;var s=this.visit(e.cond).first.toBoolean();if(this.return--,e.block.scope=e.block.hasMedia,i)s.isFalse&&(t=this.visit(e.block));else if(s.isTrue)t=this.visit(e.block);else if(e.elses.length)for(var a=e.elses,u=a.length,l,h=0;h<u;++h)if(a[h].cond){if(a[h].block.scope=a[h].block.hasMedia,this.return++,l=this.visit(a[h].cond).first.toBoolean(),this.return--,l.isTrue){t=this.visit(a[h].block);break}}else a[h].scope=a[h].hasMedia,t=this.visit(a[h]);return t&&!e.postfix&&r.node&&~["group","atrule","media","supports","keyframes"].indexOf(r.node.nodeName)?(this.mixin(t.nodes,r),k.null):t||k.null}visitExtend(e){var t=this.currentBlock;return t.node.nodeName!="group"&&(t=this.closestGroup),e.selectors.forEach(function(r){t.node.extends.push({selector:this.interpolate(r.clone()).trim(),optional:r.optional,lineno:r.lineno,column:r.column})},this),k.null}visitImport(e){this.return++;var t=this.visit(e.path).first,r=e.once?"require":"import",i,s;if(this.return--,bt("import %s",t),t.name=="url"){if(e.once)throw new Error("You cannot @require a url");return e}if(!t.string)throw new Error("@"+r+" string expected");var a=t=t.string;if(/(?:url\s*\(\s*)?['"]?(?:#|(?:https?:)?\/\/)/i.test(t)){if(e.once)throw new Error("You cannot @require a url");return e}if(/\.css(?:"|$)/.test(t)&&(s=!0,!e.once&&!this.includeCSS))return e;if(!s&&!/\.styl$/i.test(t)&&(t+=".styl"),i=ye.find(t,this.paths,this.filename),i||(i=ye.lookupIndex(a,this.paths,this.filename)),!i)throw new Error("failed to locate @"+r+" file "+t);for(var u=new k.Block,l=0,h=i.length;l<h;++l)u.push(rk.call(this,e,i[l],s));return u}invokeFunction(e,t,r){var i=new k.Block(e.block.parent),s=e.block.clone(i),a=this.stack.currentFrame.block;this.stack.push(new $s(i));var u=this.currentScope;if(t.nodeName!="arguments"){var h=new k.Expression;h.push(t),t=k.Arguments.fromExpression(h)}if(u.add(new k.Ident("arguments",t)),u.add(new k.Ident("mixin",this.return?k.false:new k.String(a.nodeName))),this.property){var l=this.propertyExpression(this.property,e.name);u.add(new k.Ident("current-property",l))}else u.add(new k.Ident("current-property",k.null));for(var h=new k.Expression,c=this.calling.length-1;c--;)h.push(new k.Literal(this.calling[c]));u.add(new k.Ident("called-from",h));var c=0,f=t.nodes.length;return e.params.nodes.forEach(function(d){if(d.rest){for(d.val=new k.Expression;c<f;++c)d.val.push(t.nodes[c]);d.val.preserve=!0,d.val.isList=t.isList}else{var m=t.map[d.name]||t.nodes[c++];if(d=d.clone(),m?m.isEmpty?t.nodes[c-1]=this.visit(d):d.val=m:t.push(d.val),d.val.isNull)throw new Error('argument "'+d+'" required for '+e)}u.add(d)},this),r&&u.add(new k.Ident("block",r,!0)),this.invoke(s,!0,e.filename)}invokeBuiltin(e,t){e.raw?t=t.nodes:(e.params||(e.params=ye.params(e)),t=e.params.reduce(function(s,a){var u=t.map[a]||t.nodes.shift();if(u){u=ye.unwrap(u);var l=u.nodes.length;if(l>1)for(var h=0;h<l;++h)s.push(ye.unwrap(u.nodes[h].first));else s.push(u.first)}return s},[]));var r=ye.coerce(e.apply(this,t)),i=new k.Expression;return i.push(r),r=i,this.invoke(r)}invoke(e,t,r){var i=this,s;return r&&this.paths.push(zs(r)),this.return?(s=this.eval(e.nodes),t&&this.stack.pop()):(e=this.visit(e),t&&this.stack.pop(),this.mixin(e.nodes,this.currentBlock),s=k.null),r&&this.paths.pop(),s}mixin(e,t){if(e.length){var r=t.nodes.length,i=t.nodes.slice(0,t.index),s=t.nodes.slice(t.index+1,r);this._mixin(e,i,t),t.index=0,t.nodes=i.concat(s)}}_mixin(e,t,r){for(var i,s=e.length,a=0;a<s;++a)switch((i=e[a]).nodeName){case"return":return;case"block":this._mixin(i.nodes,t,r);break;case"media":var u=i.block.parent.node;u&&u.nodeName!="call"&&(i.block.parent=r);case"property":var l=i.expr;i.literal&&l.first.name=="block"&&(l=ye.unwrap(l),l.nodes[0]=new k.Literal("block"));default:t.push(i)}}mixinNode(e){switch(e=this.visit(e.first),e.nodeName){case"object":return this.mixinObject(e),k.null;case"block":case"atblock":return this.mixin(e.nodes,this.currentBlock),k.null}}mixinObject(e){var t=lt(),r=this.root,i="$block "+e.toBlock(),s=new t(i,ye.merge({root:a},this.options)),a;try{a=s.parse()}catch(f){throw f.filename=this.filename,f.lineno=s.lexer.lineno,f.column=s.lexer.column,f.input=i,f}a.parent=r,a.scope=!1;for(var u=this.visit(a),l=u.first.nodes,h=0,c=l.length;h<c;++h)if(l[h].block){this.mixin(l[h].block.nodes,this.currentBlock);break}}eval(e){if(!e)return k.null;var t=e.length,r=k.null;try{for(var i=0;i<t;++i)switch(r=e[i],r.nodeName){case"if":if(r.block.nodeName!="block"){r=this.visit(r);break}case"each":case"block":r=this.visit(r),r.nodes&&(r=this.eval(r.nodes));break;default:r=this.visit(r)}}catch(s){if(s.nodeName=="return")return s.expr;throw s}return r}literalCall(e){return e.args=this.visit(e.args),e}lookupProperty(e){for(var t=this.stack.length,r=this.currentBlock.index,i=t,s,a,u,l;t--;)if(a=this.stack[t].block,!!a.node)switch(a.node.nodeName){case"group":case"function":case"if":case"each":case"atrule":case"media":case"atblock":case"call":if(s=a.nodes,t+1==i){for(;r--;)if(this.property!=s[r]&&(l=this.interpolate(s[r]),e==l))return s[r].clone()}else for(u=s.length;u--;)if(!(s[u].nodeName!="property"||this.property==s[u])&&(l=this.interpolate(s[u]),e==l))return s[u].clone();break}return s.null}get closestBlock(){for(var e=this.stack.length,t;e--;)if(t=this.stack[e].block,t.node)switch(t.node.nodeName){case"group":case"keyframes":case"atrule":case"atblock":case"media":case"call":return t}}get closestGroup(){for(var e=this.stack.length,t;e--;)if(t=this.stack[e].block,t.node&&t.node.nodeName=="group")return t}get selectorStack(){for(var e,t=[],r=0,i=this.stack.length;r<i;++r)e=this.stack[r].block,e.node&&e.node.nodeName=="group"&&(e.node.nodes.forEach(function(s){s.val||(s.val=this.interpolate(s))},this),t.push(e.node.nodes));return t}lookup(e){var t;if(!(this.ignoreColors&&e in Gs))return(t=this.stack.lookup(e))?ye.unwrap(t):this.lookupFunction(e)}interpolate(e){var t=this,r=e.nodeName=="selector";function i(s){switch(s.nodeName){case"function":case"ident":return s.name;case"literal":case"string":return t.prefix&&!s.prefixed&&!s.val.nodeName&&(s.val=s.val.replace(/\.(?=[\w-])|^\.$/g,"."+t.prefix),s.prefixed=!0),s.val;case"unit":return s.type=="%"?s.val+"%":s.val;case"member":return i(t.visit(s));case"expression":if(t.calling&&~t.calling.indexOf("selector")&&t._selector)return t._selector;t.return++;var a=i(t.visit(s).first);return t.return--,r&&(t._selector=a),a}}return o(i,"toString"),e.segments?e.segments.map(i).join(""):i(e)}lookupFunction(e){var t=this.functions[e]||Ud[e];if(t)return new k.Function(e,t)}isDefined(e){if(e.nodeName=="ident")return new k.Boolean(this.lookup(e.name));throw new Error('invalid "is defined" check on non-variable '+e)}propertyExpression(e,t){var r=new k.Expression,i=e.expr.clone();r.push(new k.String(e.name));function s(a){return a.nodeName=="call"&&t==a.name?new k.Literal("__CALL__"):(a.nodes&&(a.nodes=a.nodes.map(s)),a)}return o(s,"replace"),s(i),r.push(i),r}cast(e){return new k.Unit(e.first.val,e.nodes[1].name)}castable(e){return e.nodes.length==2&&e.first.nodeName=="unit"&&~ek.indexOf(e.nodes[1].name)}warn(e){this.warnings&&console.warn("\x1B[33mWarning:\x1B[0m "+e)}get currentBlock(){return this.stack.currentFrame.block}get vendors(){return this.lookup("vendors").nodes.map(function(e){return e.string})}unvendorize(e){for(var t=0,r=this.vendors.length;t<r;t++)if(this.vendors[t]!="official"){var i="-"+this.vendors[t]+"-";if(~e.indexOf(i))return e.replace(i,"")}return e}get currentScope(){return this.stack.currentFrame.scope}get currentFrame(){return this.stack.currentFrame}}});var R=p((BO,Dd)=>{var nk=Js(),ik=S(),oe=x(),Vs=class n extends Error{static{o(this,"CoercionError")}constructor(e){super(),this.name="CoercionError",this.message=e,Error.captureStackTrace&&Error.captureStackTrace(this,n)}};Dd.exports=class{static{o(this,"Node")}constructor(){this.lineno=oe.lineno||1,this.column=oe.column||1,this.filename=oe.filename}get first(){return this}get hash(){return this.val}get nodeName(){return this.constructor.name.toLowerCase()}clone(){return this}toJSON(){return{lineno:this.lineno,column:this.column,filename:this.filename}}eval(){return new nk(this).evaluate()}toBoolean(){return oe.true}toExpression(){if(this.nodeName=="expression")return this;var e=new oe.Expression;return e.push(this),e}shouldCoerce(e){switch(e){case"is a":case"in":case"||":case"&&":return!1;default:return!0}}operate(e,t){switch(e){case"is a":if(t.first.nodeName=="string")return new oe.Boolean(this.nodeName==t.val);throw new Error('"is a" expects a string, got '+t.toString());case"==":return new oe.Boolean(this.hash==t.hash);case"!=":return new oe.Boolean(this.hash!=t.hash);case">=":return new oe.Boolean(this.hash>=t.hash);case"<=":return new oe.Boolean(this.hash<=t.hash);case">":return new oe.Boolean(this.hash>t.hash);case"<":return new oe.Boolean(this.hash<t.hash);case"||":return this.toBoolean().isTrue?this:t;case"in":var r=ik.unwrap(t).nodes,i=r&&r.length,s=this.hash;if(!r)throw new Error('"in" given invalid right-hand operand, expecting an expression');if(i==1&&r[0].nodeName=="object")return new oe.Boolean(r[0].has(this.hash));for(var a=0;a<i;++a)if(s==r[a].hash)return oe.true;return oe.false;case"&&":var u=this.toBoolean(),l=t.toBoolean();return u.isTrue&&l.isTrue?t:u.isFalse?this:t;default:if(e=="[]")var h="cannot perform "+this+"["+t+"]";else var h="cannot perform "+this+" "+e+" "+t;throw new Error(h)}}coerce(e){if(e.nodeName==this.nodeName)return e;throw new Vs("cannot coerce "+e+" to "+this.nodeName)}}});var zd=p((FO,Gd)=>{var sk=R();Gd.exports=class $d extends sk{static{o(this,"Root")}constructor(){super(),this.nodes=[]}push(e){this.nodes.push(e)}unshift(e){this.nodes.unshift(e)}clone(){var e=new $d;return e.lineno=this.lineno,e.column=this.column,e.filename=this.filename,this.nodes.forEach(function(t){e.push(t.clone(e,e))}),e}toString(){return"[Root]"}toJSON(){return{__type:"Root",nodes:this.nodes,lineno:this.lineno,column:this.column,filename:this.filename}}}});var Jd=p((PO,Wd)=>{var ok=R(),ak=x();Wd.exports=class extends ok{static{o(this,"Null")}toString(){return"null"}inspect(){return"null"}toBoolean(){return ak.false}get isNull(){return!0}get hash(){return null}toJSON(){return{__type:"Null",lineno:this.lineno,column:this.column,filename:this.filename}}}});var Kd=p((MO,Hd)=>{var uk=R(),RO=x();Hd.exports=class Vd extends uk{static{o(this,"Each")}constructor(e,t,r,i){super(),this.val=e,this.key=t,this.expr=r,this.block=i}clone(e){var t=new Vd(this.val,this.key);return t.expr=this.expr.clone(e,t),t.block=this.block.clone(e,t),t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toJSON(){return{__type:"Each",val:this.val,key:this.key,expr:this.expr,block:this.block,lineno:this.lineno,column:this.column,filename:this.filename}}}});var Zd=p((jO,Yd)=>{var lk=R();Yd.exports=class Qd extends lk{static{o(this,"If")}constructor(e,t){super(),this.cond=e,this.elses=[],t&&t.nodeName?this.block=t:this.negate=t}clone(e){var t=new Qd;return t.cond=this.cond.clone(e,t),t.block=this.block.clone(e,t),t.elses=this.elses.map(function(r){return r.clone(e,t)}),t.negate=this.negate,t.postfix=this.postfix,t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toJSON(){return{__type:"If",cond:this.cond,block:this.block,elses:this.elses,negate:this.negate,postfix:this.postfix,lineno:this.lineno,column:this.column,filename:this.filename}}}});var tm=p(($O,em)=>{var ck=R();em.exports=class Xd extends ck{static{o(this,"Call")}constructor(e,t){super(),this.name=e,this.args=t}clone(e){var t=new Xd(this.name);return t.args=this.args.clone(e,t),this.block&&(t.block=this.block.clone(e,t)),t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toString(){var e=this.args.nodes.map(function(t){var r=t.toString();return r.slice(1,r.length-1)}).join(", ");return this.name+"("+e+")"}toJSON(){var e={__type:"Call",name:this.name,args:this.args,lineno:this.lineno,column:this.column,filename:this.filename};return this.block&&(e.block=this.block),e}}});var im=p((zO,nm)=>{var hk=R();nm.exports=class rm extends hk{static{o(this,"UnaryOp")}constructor(e,t){super(),this.op=e,this.expr=t}clone(e){var t=new rm(this.op);return t.expr=this.expr.clone(e,t),t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toJSON(){return{__type:"UnaryOp",op:this.op,expr:this.expr,lineno:this.lineno,column:this.column,filename:this.filename}}}});var am=p((JO,om)=>{var fk=R();om.exports=class sm extends fk{static{o(this,"BinOp")}constructor(e,t,r){super(),this.op=e,this.left=t,this.right=r}clone(e){var t=new sm(this.op);return t.left=this.left.clone(e,t),t.right=this.right&&this.right.clone(e,t),t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,this.val&&(t.val=this.val.clone(e,t)),t}toString(){return this.left.toString()+" "+this.op+" "+this.right.toString()}toJSON(){var e={__type:"BinOp",left:this.left,right:this.right,op:this.op,lineno:this.lineno,column:this.column,filename:this.filename};return this.val&&(e.val=this.val),e}}});var cm=p((HO,lm)=>{var pk=R();lm.exports=class um extends pk{static{o(this,"Ternary")}constructor(e,t,r){super(),this.cond=e,this.trueExpr=t,this.falseExpr=r}clone(e){var t=new um;return t.cond=this.cond.clone(e,t),t.trueExpr=this.trueExpr.clone(e,t),t.falseExpr=this.falseExpr.clone(e,t),t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toJSON(){return{__type:"Ternary",cond:this.cond,trueExpr:this.trueExpr,falseExpr:this.falseExpr,lineno:this.lineno,column:this.column,filename:this.filename}}}});var Hs=p((QO,fm)=>{var dk=R();fm.exports=class hm extends dk{static{o(this,"Block")}constructor(e,t){super(),this.nodes=[],this.parent=e,this.node=t,this.scope=!0}get hasProperties(){for(var e=0,t=this.nodes.length;e<t;++e)if(this.nodes[e].nodeName=="property")return!0}get hasMedia(){for(var e=0,t=this.nodes.length;e<t;++e){var r=this.nodes[e].nodeName;if(r=="media")return!0}return!1}get isEmpty(){return!this.nodes.length||this.nodes.every(function(e){return e.nodeName=="comment"})}clone(e,t){e=e||this.parent;var r=new hm(e,t||this.node);return r.lineno=this.lineno,r.column=this.column,r.filename=this.filename,r.scope=this.scope,this.nodes.forEach(function(i){r.push(i.clone(r,r))}),r}push(e){this.nodes.push(e)}toJSON(){return{__type:"Block",scope:this.scope,lineno:this.lineno,column:this.column,filename:this.filename,nodes:this.nodes}}}});var mm=p((ZO,dm)=>{var mk=R(),Ze=x(),pm={mm:{val:1,label:"mm"},cm:{val:10,label:"mm"},in:{val:25.4,label:"mm"},pt:{val:25.4/72,label:"mm"},ms:{val:1,label:"ms"},s:{val:1e3,label:"ms"},Hz:{val:1,label:"Hz"},kHz:{val:1e3,label:"Hz"}};dm.exports=class $e extends mk{static{o(this,"Unit")}constructor(e,t){super(),this.val=e,this.type=t}toBoolean(){return new Ze.Boolean(this.type?!0:this.val)}toString(){return this.val+(this.type||"")}clone(){var e=new $e(this.val,this.type);return e.lineno=this.lineno,e.column=this.column,e.filename=this.filename,e}toJSON(){return{__type:"Unit",val:this.val,type:this.type,lineno:this.lineno,column:this.column,filename:this.filename}}operate(e,t){var r=this.type||t.first.type;if(t.nodeName=="rgba"||t.nodeName=="hsla")return t.operate(e,this);if(this.shouldCoerce(e))switch(t=t.first,this.type!="%"&&(e=="-"||e=="+")&&t.type=="%"?t=new $e(this.val*(t.val/100),"%"):t=this.coerce(t),e){case"-":return new $e(this.val-t.val,r);case"+":return r=r||t.type=="%"&&t.type,new $e(this.val+t.val,r);case"/":return new $e(this.val/t.val,r);case"*":return new $e(this.val*t.val,r);case"%":return new $e(this.val%t.val,r);case"**":return new $e(Math.pow(this.val,t.val),r);case"..":case"...":var i=this.val,s=t.val,a=new Ze.Expression,u=e=="..";if(i<s)do a.push(new Ze.Unit(i));while(u?++i<=s:++i<s);else do a.push(new Ze.Unit(i));while(u?--i>=s:--i>s);return a}return super.operate(e,t)}coerce(e){if(e.nodeName=="unit"){var t=this,r=e,i=pm[t.type],s=pm[r.type];if(i&&s&&i.label==s.label){var a=r.val*(s.val/i.val);return new Ze.Unit(a,t.type)}else return new Ze.Unit(r.val,t.type)}else if(e.nodeName=="string"){if(e.val=="%")return new Ze.Unit(0,"%");var u=parseFloat(e.val);return isNaN(u)&&super.coerce(e),new Ze.Unit(u)}else return super.coerce(e)}}});var gm=p((eB,ym)=>{var yk=R(),gk=On().s,vk=S(),Ks=x();ym.exports=class Ar extends yk{static{o(this,"String")}constructor(e,t){super(),this.val=e,this.string=e,this.prefixed=!1,typeof t!="string"?this.quote="'":this.quote=t}toString(){return this.quote+this.val+this.quote}clone(){var e=new Ar(this.val,this.quote);return e.lineno=this.lineno,e.column=this.column,e.filename=this.filename,e}toJSON(){return{__type:"String",val:this.val,quote:this.quote,lineno:this.lineno,column:this.column,filename:this.filename}}toBoolean(){return new Ks.Boolean(this.val.length)}coerce(e){switch(e.nodeName){case"string":return e;case"expression":return new Ar(e.nodes.map(function(t){return this.coerce(t).val},this).join(" "));default:return new Ar(e.toString())}}operate(e,t){switch(e){case"%":var i=new Ks.Expression;i.push(this);var r=t.nodeName=="expression"?vk.unwrap(t).nodes:[t];return gk.apply(null,[i].concat(r));case"+":var i=new Ks.Expression;return i.push(new Ar(this.val+this.coerce(t).val)),i;default:return super.operate(e,t)}}}});var Ys=p((wm,bm)=>{var wk=R(),bk=x();wm=bm.exports=class zn extends wk{static{o(this,"HSLA")}constructor(e,t,r,i){super(),this.h=vm(e),this.s=Qs(t),this.l=Qs(r),this.a=xk(i),this.hsla=this}toString(){return"hsla("+this.h+","+this.s.toFixed(0)+"%,"+this.l.toFixed(0)+"%,"+this.a+")"}clone(e){var t=new zn(this.h,this.s,this.l,this.a);return t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toJSON(){return{__type:"HSLA",h:this.h,s:this.s,l:this.l,a:this.a,lineno:this.lineno,column:this.column,filename:this.filename}}get rgba(){return bk.RGBA.fromHSLA(this)}get hash(){return this.rgba.toString()}add(e,t,r){return new zn(this.h+e,this.s+t,this.l+r,this.a)}sub(e,t,r){return this.add(-e,-t,-r)}operate(e,t){switch(e){case"==":case"!=":case"<=":case">=":case"<":case">":case"is a":case"||":case"&&":return this.rgba.operate(e,t);default:return this.rgba.operate(e,t).hsla}}adjustLightness(e){return this.l=Qs(this.l+this.l*(e/100)),this}adjustHue(e){return this.h=vm(this.h+e),this}static fromRGBA(e){var t=e.r/255,r=e.g/255,i=e.b/255,s=e.a,a=Math.min(t,r,i),u=Math.max(t,r,i),l=(u+a)/2,h=u-a,c,f;switch(u){case a:c=0;break;case t:c=60*(r-i)/h;break;case r:c=60*(i-t)/h+120;break;case i:c=60*(t-r)/h+240;break}return u==a?f=0:l<.5?f=h/(2*l):f=h/(2-2*l),c%=360,f*=100,l*=100,new zn(c,f,l,s)}};function vm(n){return n=n%360,n>=0?n:360+n}o(vm,"clampDegrees");function Qs(n){return Math.max(0,Math.min(n,100))}o(Qs,"clampPercentage");function xk(n){return Math.max(0,Math.min(n,1))}o(xk,"clampAlpha")});var Em=p((Sm,km)=>{var Sk=R(),kk=Ys(),Ek=On(),xm=Ek.adjust,qr=x();Sm=km.exports=class Xe extends Sk{static{o(this,"RGBA")}constructor(e,t,r,i){super(),this.r=Zs(e),this.g=Zs(t),this.b=Zs(r),this.a=Ak(i),this.name="",this.rgba=this}static withoutClamping(e,t,r,i){var s=new Xe(0,0,0,0);return s.r=e,s.g=t,s.b=r,s.a=i,s}clone(){var e=new Xe(this.r,this.g,this.b,this.a);return e.raw=this.raw,e.name=this.name,e.lineno=this.lineno,e.column=this.column,e.filename=this.filename,e}toJSON(){return{__type:"RGBA",r:this.r,g:this.g,b:this.b,a:this.a,raw:this.raw,name:this.name,lineno:this.lineno,column:this.column,filename:this.filename}}toBoolean(){return qr.true}get hsla(){return kk.fromRGBA(this)}get hash(){return this.toString()}add(e,t,r,i){return new Xe(this.r+e,this.g+t,this.b+r,this.a+i)}sub(e,t,r,i){return new Xe(this.r-e,this.g-t,this.b-r,i==1?this.a:this.a-i)}multiply(e){return new Xe(this.r*e,this.g*e,this.b*e,this.a)}divide(e){return new Xe(this.r/e,this.g/e,this.b/e,this.a)}operate(e,t){switch(e!="in"&&(t=t.first),e){case"is a":if(t.nodeName=="string"&&t.string=="color")return qr.true;break;case"+":switch(t.nodeName){case"unit":var r=t.val;switch(t.type){case"%":return xm(this,new qr.String("lightness"),t);case"deg":return this.hsla.adjustHue(r).rgba;default:return this.add(r,r,r,0)}case"rgba":return this.add(t.r,t.g,t.b,t.a);case"hsla":return this.hsla.add(t.h,t.s,t.l)}break;case"-":switch(t.nodeName){case"unit":var r=t.val;switch(t.type){case"%":return xm(this,new qr.String("lightness"),new qr.Unit(-r,"%"));case"deg":return this.hsla.adjustHue(-r).rgba;default:return this.sub(r,r,r,0)}case"rgba":return this.sub(t.r,t.g,t.b,t.a);case"hsla":return this.hsla.sub(t.h,t.s,t.l)}break;case"*":switch(t.nodeName){case"unit":return this.multiply(t.val)}break;case"/":switch(t.nodeName){case"unit":return this.divide(t.val)}break}return super.operate(e,t)}toString(){function e(s){return s<16?"0"+s.toString(16):s.toString(16)}if(o(e,"pad"),this.name=="transparent")return this.name;if(this.a==1){var t=e(this.r),r=e(this.g),i=e(this.b);return t[0]==t[1]&&r[0]==r[1]&&i[0]==i[1]?"#"+t[0]+r[0]+i[0]:"#"+t+r+i}else return"rgba("+this.r+","+this.g+","+this.b+","+ +this.a.toFixed(3)+")"}static fromHSLA(e){var t=e.h/360,r=e.s/100,i=e.l/100,s=e.a,a=i<=.5?i*(r+1):i+r-i*r,u=i*2-a,l=f(t+1/3)*255,h=f(t)*255,c=f(t-1/3)*255;function f(d){return d<0&&++d,d>1&&--d,d*6<1?u+(a-u)*d*6:d*2<1?a:d*3<2?u+(a-u)*(2/3-d)*6:u}return o(f,"hue"),new Xe(l,h,c,s)}};function Zs(n){return Math.max(0,Math.min(n.toFixed(0),255))}o(Zs,"clamp");function Ak(n){return Math.max(0,Math.min(n,1))}o(Ak,"clampAlpha")});var qm=p((iB,Am)=>{var qk=R(),Xs=x();Am.exports=class Wn extends qk{static{o(this,"Ident")}constructor(e,t,r){super(),this.name=e,this.string=e,this.val=t||Xs.null,this.mixin=!!r}get isEmpty(){return this.val==null}get hash(){return this.name}clone(e){var t=new Wn(this.name);return t.val=this.val.clone(e,t),t.mixin=this.mixin,t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t.property=this.property,t.rest=this.rest,t}toJSON(){return{__type:"Ident",name:this.name,val:this.val,mixin:this.mixin,property:this.property,rest:this.rest,lineno:this.lineno,column:this.column,filename:this.filename}}toString(){return this.name}coerce(e){switch(e.nodeName){case"ident":case"string":case"literal":return new Wn(e.string);case"unit":return new Wn(e.toString());default:return super.coerce(e)}}operate(e,t){var r=t.first;switch(e){case"-":if(r.nodeName=="unit"){var i=new Xs.Expression;return r=r.clone(),r.val=-r.val,i.push(this),i.push(r),i}case"+":return new Xs.Ident(this.string+this.coerce(r).string)}return super.operate(e,t)}}});var Om=p((oB,_m)=>{var Ck=R();_m.exports=class Cm extends Ck{static{o(this,"Group")}constructor(){super(),this.nodes=[],this.extends=[]}push(e){this.nodes.push(e)}get block(){return this.nodes[0].block}set block(e){for(var t=0,r=this.nodes.length;t<r;++t)this.nodes[t].block=e}get hasOnlyPlaceholders(){return this.nodes.every(function(e){return e.isPlaceholder})}clone(e){var t=new Cm;return t.lineno=this.lineno,t.column=this.column,this.nodes.forEach(function(r){t.push(r.clone(e,t))}),t.filename=this.filename,t.block=this.block.clone(e,t),t}toJSON(){return{__type:"Group",nodes:this.nodes,block:this.block,lineno:this.lineno,column:this.column,filename:this.filename}}}});var Fm=p((uB,Im)=>{var _k=R(),Ok=x();Im.exports=class Bm extends _k{static{o(this,"Literal")}constructor(e){super(),this.val=e,this.string=e,this.prefixed=!1}get hash(){return this.val}toString(){return this.val.toString()}coerce(e){switch(e.nodeName){case"ident":case"string":case"literal":return new Bm(e.string);default:return super.coerce(e)}}operate(e,t){var r=t.first;switch(e){case"+":return new Ok.Literal(this.string+this.coerce(r).string);default:return super.operate(e,t)}}toJSON(){return{__type:"Literal",val:this.val,string:this.string,prefixed:this.prefixed,lineno:this.lineno,column:this.column,filename:this.filename}}}});var Nm=p((hB,Lm)=>{var Bk=R(),cB=x();Lm.exports=class eo extends Bk{static{o(this,"Boolean")}constructor(e){if(super(),this.nodeName)this.val=!!e;else return new eo(e)}toBoolean(){return this}get isTrue(){return this.val}get isFalse(){return!this.val}negate(){return new eo(!this.val)}inspect(){return"[Boolean "+this.val+"]"}toString(){return this.val?"true":"false"}toJSON(){return{__type:"Boolean",val:this.val}}}});var Rm=p((pB,Tm)=>{var Ik=R(),Fk=x();Tm.exports=class Pm extends Ik{static{o(this,"Return")}constructor(e){super(),this.expr=e||Fk.null}clone(e){var t=new Pm;return t.expr=this.expr.clone(e,t),t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toJSON(){return{__type:"Return",expr:this.expr,lineno:this.lineno,column:this.column,filename:this.filename}}}});var Cr=p((mB,Um)=>{var Lk=R();Um.exports=class Mm extends Lk{static{o(this,"Atrule")}constructor(e){super(),this.type=e}get hasOnlyProperties(){if(!this.block)return!1;for(var e=this.block.nodes,t=0,r=e.length;t<r;++t){var i=e[t].nodeName;switch(e[t].nodeName){case"property":case"expression":case"comment":continue;default:return!1}}return!0}clone(e){var t=new Mm(this.type);return this.block&&(t.block=this.block.clone(e,t)),t.segments=this.segments.map(function(r){return r.clone(e,t)}),t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toJSON(){var e={__type:"Atrule",type:this.type,segments:this.segments,lineno:this.lineno,column:this.column,filename:this.filename};return this.block&&(e.block=this.block),e}toString(){return"@"+this.type}get hasOutput(){return!!this.block&&to(this.block)}};function to(n){var e=n.nodes;return e.every(function(t){return t.nodeName=="group"&&t.hasOnlyPlaceholders})?!1:e.some(function(t){switch(t.nodeName){case"property":case"literal":case"import":return!0;case"block":return to(t);default:if(t.block)return to(t.block)}})}o(to,"hasOutput")});var $m=p((gB,Dm)=>{var Nk=Cr();Dm.exports=class jm extends Nk{static{o(this,"Media")}constructor(e){super("media"),this.val=e}clone(e){var t=new jm;return t.val=this.val.clone(e,t),t.block=this.block.clone(e,t),t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toJSON(){return{__type:"Media",val:this.val,block:this.block,lineno:this.lineno,column:this.column,filename:this.filename}}toString(){return"@media "+this.val}}});var zm=p((wB,Gm)=>{var Pk=R();Gm.exports=class ro extends Pk{static{o(this,"QueryList")}constructor(){super(),this.nodes=[]}clone(e){var t=new ro;t.lineno=this.lineno,t.column=this.column,t.filename=this.filename;for(var r=0;r<this.nodes.length;++r)t.push(this.nodes[r].clone(e,t));return t}push(e){this.nodes.push(e)}merge(e){var t=new ro,r;return this.nodes.forEach(function(i){for(var s=0,a=e.nodes.length;s<a;++s)r=i.merge(e.nodes[s]),r&&t.push(r)}),t}toString(){return"("+this.nodes.map(function(e){return e.toString()}).join(", ")+")"}toJSON(){return{__type:"QueryList",nodes:this.nodes,lineno:this.lineno,column:this.column,filename:this.filename}}}});var Jm=p((xB,Wm)=>{var Tk=R();Wm.exports=class no extends Tk{static{o(this,"Query")}constructor(){super(),this.nodes=[],this.type="",this.predicate=""}clone(e){var t=new no;t.predicate=this.predicate,t.type=this.type;for(var r=0,i=this.nodes.length;r<i;++r)t.push(this.nodes[r].clone(e,t));return t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}push(e){this.nodes.push(e)}get resolvedType(){if(this.type)return this.type.nodeName?this.type.string:this.type}get resolvedPredicate(){if(this.predicate)return this.predicate.nodeName?this.predicate.string:this.predicate}merge(e){var t=new no,r=this.resolvedPredicate,i=e.resolvedPredicate,s=this.resolvedType,a=e.resolvedType,u,l;if(s=s||a,a=a||s,r=="not"^i=="not"){if(s==a)return;u=r=="not"?a:s,l=r=="not"?i:r}else if(r=="not"&&i=="not"){if(s!=a)return;u=s,l="not"}else{if(s!=a)return;u=s,l=r||i}return t.predicate=l,t.type=u,t.nodes=this.nodes.concat(e.nodes),t}toString(){var e=this.predicate?this.predicate+" ":"",t=this.type||"",r=this.nodes.length,i=e+t;return r&&(i+=(t&&" and ")+this.nodes.map(function(s){return s.toString()}).join(" and ")),i}toJSON(){return{__type:"Query",predicate:this.predicate,type:this.type,nodes:this.nodes,lineno:this.lineno,column:this.column,filename:this.filename}}}});var Km=p((kB,Hm)=>{var Rk=R();Hm.exports=class Vm extends Rk{static{o(this,"Feature")}constructor(e){super(),this.segments=e,this.expr=null}clone(e){var t=new Vm;return t.segments=this.segments.map(function(r){return r.clone(e,t)}),this.expr&&(t.expr=this.expr.clone(e,t)),this.name&&(t.name=this.name),t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toString(){return this.expr?"("+this.segments.join("")+": "+this.expr.toString()+")":this.segments.join("")}toJSON(){var e={__type:"Feature",segments:this.segments,lineno:this.lineno,column:this.column,filename:this.filename};return this.expr&&(e.expr=this.expr),this.name&&(e.name=this.name),e}}});var Zm=p((AB,Ym)=>{var Mk=R();Ym.exports=class Qm extends Mk{static{o(this,"Params")}constructor(){super(),this.nodes=[]}get length(){return this.nodes.length}push(e){this.nodes.push(e)}clone(e){var t=new Qm;return t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,this.nodes.forEach(function(r){t.push(r.clone(e,t))}),t}toJSON(){return{__type:"Params",nodes:this.nodes,lineno:this.lineno,column:this.column,filename:this.filename}}}});var ey=p((_B,Xm)=>{var Uk=R();Xm.exports=class extends Uk{static{o(this,"Comment")}constructor(e,t,r){super(),this.str=e,this.suppress=t,this.inline=r}toJSON(){return{__type:"Comment",str:this.str,suppress:this.suppress,inline:this.inline,lineno:this.lineno,column:this.column,filename:this.filename}}toString(){return this.str}}});var ny=p((BB,ry)=>{var jk=Cr();ry.exports=class ty extends jk{static{o(this,"Keyframes")}constructor(e,t){super("keyframes"),this.segments=e,this.prefix=t||"official"}clone(e){var t=new ty;return t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t.segments=this.segments.map(function(r){return r.clone(e,t)}),t.prefix=this.prefix,t.block=this.block.clone(e,t),t}toJSON(){return{__type:"Keyframes",segments:this.segments,prefix:this.prefix,block:this.block,lineno:this.lineno,column:this.column,filename:this.filename}}toString(){return"@keyframes "+this.segments.join("")}}});var oy=p((FB,sy)=>{var Dk=R();sy.exports=class iy extends Dk{static{o(this,"Member")}constructor(e,t){super(),this.left=e,this.right=t}clone(e){var t=new iy;return t.left=this.left.clone(e,t),t.right=this.right.clone(e,t),this.val&&(t.val=this.val.clone(e,t)),t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toJSON(){var e={__type:"Member",left:this.left,right:this.right,lineno:this.lineno,column:this.column,filename:this.filename};return this.val&&(e.val=this.val),e}toString(){return this.left.toString()+"."+this.right.toString()}}});var uy=p((PB,ay)=>{var $k=R();ay.exports=class extends $k{static{o(this,"Charset")}constructor(e){super(),this.val=e}toString(){return"@charset "+this.val}toJSON(){return{__type:"Charset",val:this.val,lineno:this.lineno,column:this.column,filename:this.filename}}}});var cy=p((MB,ly)=>{var Gk=R();ly.exports=class extends Gk{static{o(this,"Namespace")}constructor(e,t){super(),this.val=e,this.prefix=t}toString(){return"@namespace "+(this.prefix?this.prefix+" ":"")+this.val}toJSON(){return{__type:"Namespace",val:this.val,prefix:this.prefix,lineno:this.lineno,column:this.column,filename:this.filename}}}});var py=p((jB,fy)=>{var zk=R();fy.exports=class hy extends zk{static{o(this,"Import")}constructor(e,t){super(),this.path=e,this.once=t||!1}clone(e){var t=new hy;return t.path=this.path.nodeName?this.path.clone(e,t):this.path,t.once=this.once,t.mtime=this.mtime,t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toJSON(){return{__type:"Import",path:this.path,once:this.once,mtime:this.mtime,lineno:this.lineno,column:this.column,filename:this.filename}}}});var yy=p(($B,my)=>{var Wk=R();my.exports=class dy extends Wk{static{o(this,"Extend")}constructor(e){super(),this.selectors=e}clone(){return new dy(this.selectors)}toString(){return"@extend "+this.selectors.join(", ")}toJSON(){return{__type:"Extend",selectors:this.selectors,lineno:this.lineno,column:this.column,filename:this.filename}}}});var wy=p((zB,vy)=>{var Jk=R(),_r=x(),Vk={}.constructor;vy.exports=class gy extends Jk{static{o(this,"Object")}constructor(){super(),this.vals={},this.keys={}}setValue(e,t){return this.vals[e]=t,this}get set(){return this.setValue}setKey(e,t){return this.keys[e]=t,this}get length(){return Vk.keys(this.vals).length}get(e){return this.vals[e]||_r.null}has(e){return e in this.vals}operate(e,t){switch(e){case".":case"[]":return this.get(t.hash);case"==":var r=this.vals,i,s;if(t.nodeName!="object"||this.length!=t.length)return _r.false;for(var a in r)if(i=r[a],s=t.vals[a],i.operate(e,s).isFalse)return _r.false;return _r.true;case"!=":return this.operate("==",t).negate();default:return super.operate(e,t)}}toBoolean(){return new _r.Boolean(this.length)}toBlock(){var e="{",t,r;for(t in this.vals)if(r=this.get(t),r.first.nodeName=="object")e+=t+" "+r.first.toBlock();else switch(t){case"@charset":e+=t+" "+r.first.toString()+";";break;default:e+=t+":"+i(r)+";"}return e+="}",e;function i(s){return s.nodes?s.nodes.map(i).join(s.isList?",":" "):s.nodeName=="literal"&&s.val==","?"\\,":s.toString()}o(i,"toString")}clone(e){var t=new gy;t.lineno=this.lineno,t.column=this.column,t.filename=this.filename;var r;for(r in this.vals)t.vals[r]=this.vals[r].clone(e,t);for(r in this.keys)t.keys[r]=this.keys[r].clone(e,t);return t}toJSON(){return{__type:"Object",vals:this.vals,keys:this.keys,lineno:this.lineno,column:this.column,filename:this.filename}}toString(){var e={};for(var t in this.vals)e[t]=this.vals[t].toString();return JSON.stringify(e)}}});var xy=p((JB,by)=>{var Hk=R();by.exports=class io extends Hk{static{o(this,"Function")}constructor(e,t,r){super(),this.name=e,this.params=t,this.block=r,typeof t=="function"&&(this.fn=t)}get arity(){return this.params.length}get hash(){return"function "+this.name}clone(e){if(this.fn)var t=new io(this.name,this.fn);else{var t=new io(this.name);t.params=this.params.clone(e,t),t.block=this.block.clone(e,t)}return t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toString(){return this.fn?this.name+"("+this.fn.toString().match(/^function *\w*\((.*?)\)/).slice(1).join(", ")+")":this.name+"("+this.params.nodes.join(", ")+")"}toJSON(){var e={__type:"Function",name:this.name,lineno:this.lineno,column:this.column,filename:this.filename};return this.fn?e.fn=this.fn:(e.params=this.params,e.block=this.block),e}}});var Ey=p((HB,ky)=>{var Kk=R();ky.exports=class Sy extends Kk{static{o(this,"Property")}constructor(e,t){super(),this.segments=e,this.expr=t}clone(e){var t=new Sy(this.segments);return t.name=this.name,this.literal&&(t.literal=this.literal),t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t.segments=this.segments.map(function(r){return r.clone(e,t)}),this.expr&&(t.expr=this.expr.clone(e,t)),t}toJSON(){var e={__type:"Property",segments:this.segments,name:this.name,lineno:this.lineno,column:this.column,filename:this.filename};return this.expr&&(e.expr=this.expr),this.literal&&(e.literal=this.literal),e}toString(){return"property("+this.segments.join("")+", "+this.expr+")"}operate(e,t,r){return this.expr.operate(e,t,r)}}});var Cy=p((YB,qy)=>{var QB=Hs(),Qk=R();qy.exports=class Ay extends Qk{static{o(this,"Selector")}constructor(e){super(),this.inherits=!0,this.segments=e,this.optional=!1}toString(){return this.segments.join("")+(this.optional?" !optional":"")}get isPlaceholder(){return this.val&&~this.val.substr(0,2).indexOf("$")}clone(e){var t=new Ay;return t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t.inherits=this.inherits,t.val=this.val,t.segments=this.segments.map(function(r){return r.clone(e,t)}),t.optional=this.optional,t}toJSON(){return{__type:"Selector",inherits:this.inherits,segments:this.segments,optional:this.optional,val:this.val,lineno:this.lineno,column:this.column,filename:this.filename}}}});var Oy=p((eI,_y)=>{var Yk=R(),et=x(),Or=S();_y.exports=class extends Yk{static{o(this,"Expression")}constructor(e){super(),this.nodes=[],this.isList=e}get isEmpty(){return!this.nodes.length}get first(){return this.nodes[0]?this.nodes[0].first:et.null}get hash(){return this.nodes.map(function(e){return e.hash}).join("::")}clone(e){var t=new this.constructor(this.isList);return t.preserve=this.preserve,t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t.nodes=this.nodes.map(function(r){return r.clone(e,t)}),t}push(e){this.nodes.push(e)}operate(e,t,r){switch(e){case"[]=":var i=this,u=Or.unwrap(t).nodes,r=Or.unwrap(r),h,l;return u.forEach(function(w){if(h=i.nodes.length,w.nodeName=="unit"){for(var q=w.val<0?h+w.val:w.val,j=q;q-- >h;)i.nodes[q]=et.null;i.nodes[j]=r}else w.string&&(l=i.nodes[0],l&&l.nodeName=="object"&&l.set(w.string,r.clone()))}),r;case"[]":var s=new et.Expression,a=Or.unwrap(this).nodes,u=Or.unwrap(t).nodes,l;return u.forEach(function(w){w.nodeName=="unit"?l=a[w.val<0?a.length+w.val:w.val]:a[0].nodeName=="object"&&(l=a[0].get(w.string)),l&&s.push(l)}),s.isEmpty?et.null:Or.unwrap(s);case"||":return this.toBoolean().isTrue?this:t;case"in":return super.operate(e,t);case"!=":return this.operate("==",t,r).negate();case"==":var h=this.nodes.length,t=t.toExpression(),c,f;if(h!=t.nodes.length)return et.false;for(var d=0;d<h;++d)if(c=this.nodes[d],f=t.nodes[d],!c.operate(e,f).isTrue)return et.false;return et.true;default:return this.first.operate(e,t,r)}}toBoolean(){return this.nodes.length>1?et.true:this.first.toBoolean()}toString(){return"("+this.nodes.map(function(e){return e.toString()}).join(this.isList?", ":" ")+")"}toJSON(){return{__type:"Expression",isList:this.isList,preserve:this.preserve,lineno:this.lineno,column:this.column,filename:this.filename,nodes:this.nodes}}}});var Fy=p((rI,Iy)=>{var Zk=x();Iy.exports=class By extends Zk.Expression{static{o(this,"Arguments")}constructor(){super(),this.map={}}static fromExpression(e){var t=new By,r=e.nodes.length;t.lineno=e.lineno,t.column=e.column,t.isList=e.isList;for(var i=0;i<r;++i)t.push(e.nodes[i]);return t}clone(e){var t=super.clone(e);t.map={};for(var r in this.map)t.map[r]=this.map[r].clone(e,t);return t.isList=this.isList,t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toJSON(){return{__type:"Arguments",map:this.map,isList:this.isList,preserve:this.preserve,lineno:this.lineno,column:this.column,filename:this.filename,nodes:this.nodes}}}});var Py=p((iI,Ny)=>{var Xk=R();Ny.exports=class Ly extends Xk{static{o(this,"Atblock")}constructor(){super()}get nodes(){return this.block.nodes}clone(e){var t=new Ly;return t.block=this.block.clone(e,t),t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toString(){return"@block"}toJSON(){return{__type:"Atblock",block:this.block,lineno:this.lineno,column:this.column,fileno:this.fileno}}}});var My=p((oI,Ry)=>{var eE=Cr();Ry.exports=class Ty extends eE{static{o(this,"Supports")}constructor(e){super("supports"),this.condition=e}clone(e){var t=new Ty;return t.condition=this.condition.clone(e,t),t.block=this.block.clone(e,t),t.lineno=this.lineno,t.column=this.column,t.filename=this.filename,t}toJSON(){return{__type:"Supports",condition:this.condition,block:this.block,lineno:this.lineno,column:this.column,filename:this.filename}}toString(){return"@supports "+this.condition}}});var x=p(_=>{_.lineno=null;_.column=null;_.filename=null;_.Node=R();_.Root=zd();_.Null=Jd();_.Each=Kd();_.If=Zd();_.Call=tm();_.UnaryOp=im();_.BinOp=am();_.Ternary=cm();_.Block=Hs();_.Unit=mm();_.String=gm();_.HSLA=Ys();_.RGBA=Em();_.Ident=qm();_.Group=Om();_.Literal=Fm();_.Boolean=Nm();_.Return=Rm();_.Media=$m();_.QueryList=zm();_.Query=Jm();_.Feature=Km();_.Params=Zm();_.Comment=ey();_.Keyframes=ny();_.Member=oy();_.Charset=uy();_.Namespace=cy();_.Import=py();_.Extend=yy();_.Object=wy();_.Function=xy();_.Property=Ey();_.Selector=Cy();_.Expression=Oy();_.Arguments=Fy();_.Atblock=Py();_.Atrule=Cr();_.Supports=My();_.true=new _.Boolean(!0);_.false=new _.Boolean(!1);_.null=new _.Null});var ao=p(oo=>{var Jn=class n extends Error{static{o(this,"ParseError")}constructor(e){super(),this.name="ParseError",this.message=e,Error.captureStackTrace&&Error.captureStackTrace(this,n)}},so=class extends Error{static{o(this,"SyntaxError")}constructor(e){super(),this.name="SyntaxError",this.message=e,Error.captureStackTrace&&Error.captureStackTrace(this,Jn)}};oo.ParseError=Jn;oo.SyntaxError=so});var $y=p((jy,Dy)=>{var B=Pi(),V=x(),tE=ao(),Uy={and:"&&",or:"||",is:"==",isnt:"!=","is not":"!=",":=":"?="};jy=Dy.exports=class{static{o(this,"Lexer")}constructor(e,t){t=t||{},this.stash=[],this.indentStack=[],this.indentRe=null,this.lineno=1,this.column=1;function r(i,s,a,u){var l=u.lastIndexOf("/*",a)>u.lastIndexOf("*/",a),h=u.lastIndexOf("//",a),c=u.lastIndexOf(`
+`,a),f=0,d=0;if(~h&&h>c)for(;c!=a;){if(u[c]=="'"&&(d?d--:d++),u[c]=='"'&&(f?f--:f++),u[c]=="/"&&u[c+1]=="/"){l=!d&&!f;break}++c}return l?i:s===","&&/^[,\t\n]+$/.test(i)?i.replace(/\n/,"\r"):s+"\r"}o(r,"comment"),e.charAt(0)=="\uFEFF"&&(e=e.slice(1)),this.str=e.replace(/\s+$/,`
+`).replace(/\r\n?/g,`
+`).replace(/\\ *\n/g,"\r").replace(/([,(:](?!\/\/[^ ])) *(?:\/\/[^\n]*|\/\*.*?\*\/)?\n\s*/g,r).replace(/\s*\n[ \t]*([,)])/g,r)}inspect(){for(var e,t=this.str,r=[];(e=this.next()).type!="eos";)r.push(e.inspect());return this.str=t,r.concat(e.inspect()).join(`
+`)}lookahead(e){for(var t=e-this.stash.length;t-- >0;)this.stash.push(this.advance());return this.stash[--e]}skip(e){var t=e[0];e=t?t.length:e,this.str=this.str.substr(e),t?this.move(t):this.column+=e}move(e){var t=e.match(/\n/g),r=e.lastIndexOf(`
+`);t&&(this.lineno+=t.length),this.column=~r?e.length-r:this.column+e.length}next(){var e=this.stashed()||this.advance();return this.prev=e,e}isPartOfSelector(){var e=this.stash[this.stash.length-1]||this.prev;switch(e&&e.type){case"color":return e.val.raw.length==2;case".":case"[":return!0}return!1}advance(){var e=this.column,t=this.lineno,r=this.eos()||this.null()||this.sep()||this.keyword()||this.urlchars()||this.comment()||this.newline()||this.escaped()||this.important()||this.literal()||this.anonFunc()||this.atrule()||this.function()||this.brace()||this.paren()||this.color()||this.string()||this.unit()||this.namedop()||this.boolean()||this.unicode()||this.ident()||this.op()||function(){var i=this.eol();return i&&(e=i.column,t=i.lineno),i}.call(this)||this.space()||this.selector();return r.lineno=t,r.column=e,r}peek(){return this.lookahead(1)}stashed(){return this.stash.shift()}eos(){if(!this.str.length)return this.indentStack.length?(this.indentStack.shift(),new B("outdent")):new B("eos")}urlchars(){var e;if(this.isURL&&(e=/^[\/:@.;?&=*!,<>#%0-9]+/.exec(this.str)))return this.skip(e),new B("literal",new V.Literal(e[0]))}sep(){var e;if(e=/^;[ \t]*/.exec(this.str))return this.skip(e),new B(";")}eol(){if(this.str[0]=="\r"){for(++this.lineno,this.skip(1),this.column=1;this.space(););return this.advance()}}space(){var e;if(e=/^([ \t]+)/.exec(this.str))return this.skip(e),new B("space")}escaped(){var e;if(e=/^\\(.)[ \t]*/.exec(this.str)){var t=e[1];return this.skip(e),new B("ident",new V.Literal(t))}}literal(){var e;if(e=/^@css[ \t]*\{/.exec(this.str)){this.skip(e);for(var t,r=1,i="",s;t=this.str[0];){switch(this.str=this.str.substr(1),t){case"{":++r;break;case"}":--r;break;case`
+`:case"\r":++this.lineno;break}if(i+=t,!r)break}return i=i.replace(/\s*}$/,""),s=new V.Literal(i),s.css=!0,new B("literal",s)}}important(){var e;if(e=/^!important[ \t]*/.exec(this.str))return this.skip(e),new B("ident",new V.Literal("!important"))}brace(){var e;if(e=/^([{}])/.exec(this.str)){this.skip(1);var t=e[1];return new B(t,t)}}paren(){var e;if(e=/^([()])([ \t]*)/.exec(this.str)){var t=e[1];this.skip(e),t==")"&&(this.isURL=!1);var r=new B(t,t);return r.space=e[2],r}}null(){var e,t;if(e=/^(null)\b[ \t]*/.exec(this.str))return this.skip(e),this.isPartOfSelector()?t=new B("ident",new V.Ident(e[0])):t=new B("null",V.null),t}keyword(){var e,t;if(e=/^(return|if|else|unless|for|in)\b(?!-)[ \t]*/.exec(this.str)){var r=e[1];return this.skip(e),this.isPartOfSelector()?t=new B("ident",new V.Ident(e[0])):t=new B(r,r),t}}namedop(){var e,t;if(e=/^(not|and|or|is a|is defined|isnt|is not|is)(?!-)\b([ \t]*)/.exec(this.str)){var r=e[1];return this.skip(e),this.isPartOfSelector()?t=new B("ident",new V.Ident(e[0])):(r=Uy[r]||r,t=new B(r,r)),t.space=e[2],t}}op(){var e;if(e=/^([.]{1,3}|&&|\|\||[!<>=?:]=|\*\*|[-+*\/%]=?|[,=?:!~<>&\[\]])([ \t]*)/.exec(this.str)){var t=e[1];this.skip(e),t=Uy[t]||t;var r=new B(t,t);return r.space=e[2],this.isURL=!1,r}}anonFunc(){var e;if(this.str[0]=="@"&&this.str[1]=="(")return this.skip(2),e=new B("function",new V.Ident("anonymous")),e.anonymous=!0,e}atrule(){var e;if(e=/^@(?!apply)(?:-(\w+)-)?([a-zA-Z0-9-_]+)[ \t]*/.exec(this.str)){this.skip(e);var t=e[1],r=e[2],i;switch(r){case"require":case"import":case"charset":case"namespace":case"media":case"scope":case"supports":return new B(r);case"document":return new B("-moz-document");case"block":return new B("atblock");case"extend":case"extends":return new B("extend");case"keyframes":return new B(r,t);default:return new B("atrule",t?"-"+t+"-"+r:r)}}}comment(){if(this.str[0]=="/"&&this.str[1]=="/"){var e=this.str.indexOf(`
+`);return e==-1&&(e=this.str.length),this.skip(e),this.advance()}if(this.str[0]=="/"&&this.str[1]=="*"){var e=this.str.indexOf("*/");e==-1&&(e=this.str.length);var t=this.str.substr(0,e+2),r=t.split(/\n|\r/).length-1,i=!0,s=!1;return this.lineno+=r,this.skip(e+2),t[2]=="!"&&(t=t.replace("*!","*"),i=!1),this.prev&&this.prev.type==";"&&(s=!0),new B("comment",new V.Comment(t,i,s))}}boolean(){var e;if(e=/^(true|false)\b([ \t]*)/.exec(this.str)){var t=new V.Boolean(e[1]=="true");this.skip(e);var r=new B("boolean",t);return r.space=e[2],r}}unicode(){var e;if(e=/^u\+[0-9a-f?]{1,6}(?:-[0-9a-f]{1,6})?/i.exec(this.str))return this.skip(e),new B("literal",new V.Literal(e[0]))}function(){var e;if(e=/^(-*[_a-zA-Z$][-\w\d$]*)\(([ \t]*)/.exec(this.str)){var t=e[1];this.skip(e),this.isURL=t=="url";var r=new B("function",new V.Ident(t));return r.space=e[2],r}}ident(){var e;if(e=/^-*([_a-zA-Z$]|@apply)[-\w\d$]*/.exec(this.str))return this.skip(e),new B("ident",new V.Ident(e[0]))}newline(){var e,t;if(this.indentRe?e=this.indentRe.exec(this.str):(t=/^\n([\t]*)[ \t]*/,e=t.exec(this.str),e&&!e[1].length&&(t=/^\n([ \t]*)/,e=t.exec(this.str)),e&&e[1].length&&(this.indentRe=t)),e){var r,i=e[1].length;if(this.skip(e),this.str[0]===" "||this.str[0]==="	")throw new tE.SyntaxError("Invalid indentation. You can use tabs or spaces to indent, but not both.");if(this.str[0]==`
+`)return this.advance();if(this.indentStack.length&&i<this.indentStack[0]){for(;this.indentStack.length&&this.indentStack[0]>i;)this.stash.push(new B("outdent")),this.indentStack.shift();r=this.stash.pop()}else i&&i!=this.indentStack[0]?(this.indentStack.unshift(i),r=new B("indent")):r=new B("newline");return r}}unit(){var e;if(e=/^(-)?(\d+\.\d+|\d+|\.\d+)(%|[a-zA-Z]+)?[ \t]*/.exec(this.str)){this.skip(e);var t=parseFloat(e[2]);e[1]=="-"&&(t=-t);var r=new V.Unit(t,e[3]);return r.raw=e[0],new B("unit",r)}}string(){var e;if(e=/^("[^"]*"|'[^']*')[ \t]*/.exec(this.str)){var t=e[1],r=e[0][0];return this.skip(e),t=t.slice(1,-1).replace(/\\n/g,`
+`),new B("string",new V.String(t,r))}}color(){return this.rrggbbaa()||this.rrggbb()||this.rgba()||this.rgb()||this.nn()||this.n()}n(){var e;if(e=/^#([a-fA-F0-9]{1})[ \t]*/.exec(this.str)){this.skip(e);var t=parseInt(e[1]+e[1],16),r=new V.RGBA(t,t,t,1);return r.raw=e[0],new B("color",r)}}nn(){var e;if(e=/^#([a-fA-F0-9]{2})[ \t]*/.exec(this.str)){this.skip(e);var t=parseInt(e[1],16),r=new V.RGBA(t,t,t,1);return r.raw=e[0],new B("color",r)}}rgb(){var e;if(e=/^#([a-fA-F0-9]{3})[ \t]*/.exec(this.str)){this.skip(e);var t=e[1],r=parseInt(t[0]+t[0],16),i=parseInt(t[1]+t[1],16),s=parseInt(t[2]+t[2],16),a=new V.RGBA(r,i,s,1);return a.raw=e[0],new B("color",a)}}rgba(){var e;if(e=/^#([a-fA-F0-9]{4})[ \t]*/.exec(this.str)){this.skip(e);var t=e[1],r=parseInt(t[0]+t[0],16),i=parseInt(t[1]+t[1],16),s=parseInt(t[2]+t[2],16),a=parseInt(t[3]+t[3],16),u=new V.RGBA(r,i,s,a/255);return u.raw=e[0],new B("color",u)}}rrggbb(){var e;if(e=/^#([a-fA-F0-9]{6})[ \t]*/.exec(this.str)){this.skip(e);var t=e[1],r=parseInt(t.substr(0,2),16),i=parseInt(t.substr(2,2),16),s=parseInt(t.substr(4,2),16),a=new V.RGBA(r,i,s,1);return a.raw=e[0],new B("color",a)}}rrggbbaa(){var e;if(e=/^#([a-fA-F0-9]{8})[ \t]*/.exec(this.str)){this.skip(e);var t=e[1],r=parseInt(t.substr(0,2),16),i=parseInt(t.substr(2,2),16),s=parseInt(t.substr(4,2),16),a=parseInt(t.substr(6,2),16),u=new V.RGBA(r,i,s,a/255);return u.raw=e[0],new B("color",u)}}selector(){var e;if(e=/^\^|.*?(?=\/\/(?![^\[]*\])|[,\n{])/.exec(this.str)){var t=e[0];return this.skip(e),new B("selector",t)}}}});var zy=p((dI,Gy)=>{var rE=Xi(),uo=x();Gy.exports=class{static{o(this,"MemoryCache")}constructor(e){e=e||{},this.limit=e["cache limit"]||256,this._cache={},this.length=0,this.head=this.tail=null}set(e,t){var r=t.clone(),i;r.filename=uo.filename,r.lineno=uo.lineno,r.column=uo.column,i={key:e,value:r},this._cache[e]=i,this.tail?(this.tail.next=i,i.prev=this.tail):this.head=i,this.tail=i,this.length++==this.limit&&this.purge()}get(e){var t=this._cache[e],r=t.value.clone();return t==this.tail||(t.next&&(t==this.head&&(this.head=t.next),t.next.prev=t.prev),t.prev&&(t.prev.next=t.next),t.next=null,t.prev=this.tail,this.tail&&(this.tail.next=t),this.tail=t),r}has(e){return!!this._cache[e]}key(e,t){var r=rE.createHash("sha1");return r.update(e+t.prefix),r.digest("hex")}purge(){var e=this.head;this.head.next&&(this.head=this.head.next,this.head.prev=null),this._cache[e.key]=e.prev=e.next=null,this.length--}}});var Jy=p((gI,Wy)=>{Wy.exports=class{static{o(this,"NullCache")}set(e,t){}get(e){}has(e){return!1}key(e,t){return""}}});var Hy=p((bI,Vy)=>{var wI=Vy.exports=function(n,e){if(typeof n=="function")return new n(e);var t;switch(n){case"memory":t=zy();break;default:t=Jy()}return new t(e)}});var lt=p((xI,Yy)=>{var nE=$y(),v=x(),iE=Pi(),sE=Ti(),oE=ao(),Ky=Hy(),Qy={lexer:Fn()("stylus:lexer"),selector:Fn()("stylus:parser:selector")},aE=["ident","string","selector","function","comment","boolean","space","color","unit","for","in","[","]","(",")","+","-","*","*=","<",">","=",":","&","&&","~","{","}",".","..","/"],uE=["is","has","where","not","dir","lang","any-link","link","visited","local-link","target","scope","hover","active","focus","drop","current","past","future","enabled","disabled","read-only","read-write","placeholder-shown","checked","indeterminate","valid","invalid","in-range","out-of-range","required","optional","user-error","root","empty","blank","nth-child","nth-last-child","first-child","last-child","only-child","nth-of-type","nth-last-of-type","first-of-type","last-of-type","only-of-type","nth-match","nth-last-match","nth-column","nth-last-column","first-line","first-letter","before","after","selection"];Yy.exports=class Ge{static{o(this,"Parser")}constructor(e,t){var r=this;t=t||{},Ge.cache=Ge.cache||Ge.getCache(t),this.hash=Ge.cache.key(e,t),this.lexer={},Ge.cache.has(this.hash)||(this.lexer=new nE(e,t)),this.prefix=t.prefix||"",this.root=t.root||new v.Root,this.state=["root"],this.stash=[],this.parens=0,this.css=0,this.state.pop=function(){r.prevState=[].pop.call(this)}}static getCache(e){return e.cache===!1?Ky(!1):Ky(e.cache||"memory",e)}currentState(){return this.state[this.state.length-1]}previousState(){return this.state[this.state.length-2]}parse(){var e=this.parent=this.root;if(Ge.cache.has(this.hash))e=Ge.cache.get(this.hash),e.nodeName=="block"&&(e.constructor=v.Root);else{for(;this.peek().type!="eos"&&(this.skipWhitespace(),this.peek().type!="eos");){var t=this.statement();this.accept(";"),t||this.error("unexpected token {peek}, not allowed at the root level"),e.push(t)}Ge.cache.set(this.hash,e)}return e}error(e){var t=this.peek().type,r=this.peek().val==null?"":" "+this.peek().toString();throw r.trim()==t.trim()&&(r=""),new oE.ParseError(e.replace("{peek}",'"'+t+r+'"'))}accept(e){if(e==this.peek().type)return this.next()}expect(e){return e!=this.peek().type&&this.error('expected "'+e+'", got {peek}'),this.next()}next(){var e=this.stash.length?this.stash.pop():this.lexer.next(),t=e.lineno,r=e.column||1;return e.val&&e.val.nodeName&&(e.val.lineno=t,e.val.column=r),v.lineno=t,v.column=r,Qy.lexer("%s %s",e.type,e.val||""),e}peek(){return this.lexer.peek()}lookahead(e){return this.lexer.lookahead(e)}isSelectorToken(e){var t=this.lookahead(e).type;switch(t){case"for":return this.bracketed;case"[":return this.bracketed=!0,!0;case"]":return this.bracketed=!1,!0;default:return~aE.indexOf(t)}}isPseudoSelector(e){var t=this.lookahead(e).val;return t&&~uE.indexOf(t.name)}lineContains(e){for(var t=1,r;r=this.lookahead(t++);){if(~["indent","outdent","newline","eos"].indexOf(r.type))return;if(e==r.type)return!0}}selectorToken(){if(this.isSelectorToken(1)){if(this.peek().type=="{"){if(!this.lineContains("}"))return;for(var e=0,t;t=this.lookahead(++e);){if(t.type=="}"){if(e==2||e==3&&this.lookahead(e-1).type=="space")return;break}if(t.type==":")return}}return this.next()}}skip(e){for(;~e.indexOf(this.peek().type);)this.next()}skipWhitespace(){this.skip(["space","indent","outdent","newline"])}skipNewlines(){for(;this.peek().type=="newline";)this.next()}skipSpaces(){for(;this.peek().type=="space";)this.next()}skipSpacesAndComments(){for(;this.peek().type=="space"||this.peek().type=="comment";)this.next()}looksLikeFunctionDefinition(e){return this.lookahead(e).type=="indent"||this.lookahead(e).type=="{"}looksLikeSelector(e){var t=1,r,i;if(e&&this.lookahead(t+1).type==":"&&(this.lookahead(t+1).space||this.lookahead(t+2).type=="indent"))return!1;for(;this.lookahead(t).type=="ident"&&(this.lookahead(t+1).type=="newline"||this.lookahead(t+1).type==",");)t+=2;for(;this.isSelectorToken(t)||this.lookahead(t).type==",";){if(this.lookahead(t).type=="selector"||this.lookahead(t+1).type=="&")return!0;if(t>1&&this.lookahead(t-1).type==="ident"&&this.lookahead(t).type==="."&&this.lookahead(t+1).type==="ident"){for(;r=this.lookahead(t+2);){if(["indent","outdent","{",";","eos","selector","media","if","atrule",")","}","unit","[","for","function"].indexOf(r.type)!==-1)if(r.type==="[")for(;(r=this.lookahead(t+3))&&r.type!=="]";){if(~[".","unit"].indexOf(r.type))return!1;t+=1}else{if(this.isPseudoSelector(t+2))return!0;if(r.type===")"&&this.lookahead(t+3)&&this.lookahead(t+3).type==="}")break;return["outdent",";","eos","media","if","atrule",")","}","unit","for","function"].indexOf(r.type)===-1}t+=1}return!0}if(this.lookahead(t).type=="."&&this.lookahead(t+1).type=="ident"||this.lookahead(t).type=="*"&&this.lookahead(t+1).type=="newline"||this.lookahead(t).type==":"&&this.lookahead(t+1).type==":"||this.lookahead(t).type=="color"&&this.lookahead(t-1).type=="newline"||this.looksLikeAttributeSelector(t))return!0;if((this.lookahead(t).type=="="||this.lookahead(t).type=="function")&&this.lookahead(t+1).type=="{"||this.lookahead(t).type==":"&&!this.isPseudoSelector(t+1)&&this.lineContains("."))return!1;if(this.lookahead(t).type=="{"?i=!0:this.lookahead(t).type=="}"&&(i=!1),i&&this.lookahead(t).type==":"||this.lookahead(t).type=="space"&&this.lookahead(t+1).type=="{"||this.lookahead(t++).type==":"&&!this.lookahead(t-1).space&&this.isPseudoSelector(t)||this.lookahead(t).type=="space"&&this.lookahead(t+1).type=="newline"&&this.lookahead(t+2).type=="{"||this.lookahead(t).type==","&&this.lookahead(t+1).type=="newline")return!0}if(this.lookahead(t).type==","&&this.lookahead(t+1).type=="newline"||this.lookahead(t).type=="{"&&this.lookahead(t+1).type=="newline")return!0;if(this.css&&(this.lookahead(t).type==";"||this.lookahead(t-1).type=="}"))return!1;for(;!~["indent","outdent","newline","for","if",";","}","eos"].indexOf(this.lookahead(t).type);)++t;if(this.lookahead(t).type=="indent")return!0}looksLikeAttributeSelector(e){var t=this.lookahead(e).type;return t=="="&&this.bracketed?!0:(t=="ident"||t=="string")&&this.lookahead(e+1).type=="]"&&(this.lookahead(e+2).type=="newline"||this.isSelectorToken(e+2))&&!this.lineContains(":")&&!this.lineContains("=")}looksLikeKeyframe(){var e=2,t;switch(this.lookahead(e).type){case"{":case"indent":case",":return!0;case"newline":for(;this.lookahead(++e).type=="unit"||this.lookahead(e).type=="newline";);return t=this.lookahead(e).type,t=="indent"||t=="{"}}stateAllowsSelector(){switch(this.currentState()){case"root":case"atblock":case"selector":case"conditional":case"function":case"atrule":case"for":return!0}}assignAtblock(e){try{e.push(this.atblock(e))}catch{this.error("invalid right-hand side operand in assignment, got {peek}")}}statement(){var e=this.stmt(),t=this.prevState,r,i;switch(this.allowPostfix&&(this.allowPostfix=!1,t="expression"),t){case"assignment":case"expression":case"function arguments":for(;i=this.accept("if")||this.accept("unless")||this.accept("for");)switch(i.type){case"if":case"unless":e=new v.If(this.expression(),e),e.postfix=!0,e.negate=i.type=="unless",this.accept(";");break;case"for":var s,a=this.id().name;this.accept(",")&&(s=this.id().name),this.expect("in");var u=new v.Each(a,s,this.expression());r=new v.Block(this.parent,u),r.push(e),u.block=r,e=u}}return e}stmt(){var e=this.peek(),t;switch(e.type){case"keyframes":return this.keyframes();case"-moz-document":return this.mozdocument();case"comment":case"selector":case"literal":case"charset":case"namespace":case"import":case"require":case"extend":case"media":case"atrule":case"ident":case"scope":case"supports":case"unless":case"function":case"for":case"if":return this[e.type]();case"return":return this.return();case"{":return this.property();default:if(this.stateAllowsSelector())switch(e.type){case"color":case"~":case">":case"<":case":":case"&":case"&&":case"[":case".":case"/":return t=this.selector(),t.column=e.column,t.lineno=e.lineno,t;case"..":if(this.lookahead(2).type=="/")return this.selector();case"+":return this.lookahead(2).type=="function"?this.functionCall():this.selector();case"*":return this.property();case"unit":if(this.looksLikeKeyframe())return t=this.selector(),t.column=e.column,t.lineno=e.lineno,t;case"-":if(this.lookahead(2).type=="{")return this.property()}var r=this.expression();return r.isEmpty&&this.error("unexpected {peek}"),r}}block(e,t){var r,i,s,a=this.parent=new v.Block(this.parent,e);for(t===!1&&(a.scope=!1),this.accept("newline"),this.accept("{")?(this.css++,r="}",this.skipWhitespace()):(r="outdent",this.expect("indent"));r!=this.peek().type;){if(this.css){if(this.accept("newline")||this.accept("indent"))continue;i=this.statement(),this.accept(";"),this.skipWhitespace()}else{if(this.accept("newline"))continue;if(s=this.lookahead(2).type,this.peek().type=="indent"&&~["outdent","newline","comment"].indexOf(s)){this.skip(["indent","outdent"]);continue}if(this.peek().type=="eos")return a;i=this.statement(),this.accept(";")}i||this.error("unexpected token {peek} in block"),a.push(i)}return this.css?(this.skipWhitespace(),this.expect("}"),this.skipSpaces(),this.css--):this.expect("outdent"),this.parent=a.parent,a}comment(){var e=this.next().val;return this.skipSpaces(),e}for(){this.expect("for");var e,t=this.id().name;this.accept(",")&&(e=this.id().name),this.expect("in"),this.state.push("for"),this.cond=!0;var r=new v.Each(t,e,this.expression());return this.cond=!1,r.block=this.block(r,!1),this.state.pop(),r}return(){this.expect("return");var e=this.expression();return e.isEmpty?new v.Return:new v.Return(e)}unless(){this.expect("unless"),this.state.push("conditional"),this.cond=!0;var e=new v.If(this.expression(),!0);return this.cond=!1,e.block=this.block(e,!1),this.state.pop(),e}if(){var e=this.expect("if");this.state.push("conditional"),this.cond=!0;var t=new v.If(this.expression()),r,i,s;for(t.column=e.column,this.cond=!1,t.block=this.block(t,!1),this.skip(["newline","comment"]);this.accept("else");){if(e=this.accept("if"),e)this.cond=!0,r=this.expression(),this.cond=!1,i=this.block(t,!1),s=new v.If(r,i),s.column=e.column,t.elses.push(s);else{t.elses.push(this.block(t,!1));break}this.skip(["newline","comment"])}return this.state.pop(),t}atblock(e){return e||this.expect("atblock"),e=new v.Atblock,this.state.push("atblock"),e.block=this.block(e,!1),this.state.pop(),e}atrule(){var e=this.expect("atrule").val,t=new v.Atrule(e),r;return this.skipSpacesAndComments(),t.segments=this.selectorParts(),this.skipSpacesAndComments(),r=this.peek().type,(r=="indent"||r=="{"||r=="newline"&&this.lookahead(2).type=="{")&&(this.state.push("atrule"),t.block=this.block(t),this.state.pop()),t}scope(){this.expect("scope");var e=this.selectorParts().map(function(t){return t.val}).join("");return this.selectorScope=e.trim(),v.null}supports(){this.expect("supports");var e=new v.Supports(this.supportsCondition());return this.state.push("atrule"),e.block=this.block(e),this.state.pop(),e}supportsCondition(){var e=this.supportsNegation()||this.supportsOp();return e||(this.cond=!0,e=this.expression(),this.cond=!1),e}supportsNegation(){if(this.accept("not")){var e=new v.Expression;return e.push(new v.Literal("not")),e.push(this.supportsFeature()),e}}supportsOp(){var e=this.supportsFeature(),t,r;if(e){for(r=new v.Expression,r.push(e);t=this.accept("&&")||this.accept("||");)r.push(new v.Literal(t.val=="&&"?"and":"or")),r.push(this.supportsFeature());return r}}supportsFeature(){if(this.skipSpacesAndComments(),this.peek().type=="("){var e=this.lookahead(2).type;if(e=="ident"||e=="{")return this.feature();this.expect("(");var t=new v.Expression;return t.push(new v.Literal("(")),t.push(this.supportsCondition()),this.expect(")"),t.push(new v.Literal(")")),this.skipSpacesAndComments(),t}}extend(){var e=this.expect("extend"),t=[],r,i,s;do s=this.selectorParts(),s.length&&(r=new v.Selector(s),t.push(r),this.peek().type==="!"&&(e=this.lookahead(2),!(e.type!=="ident"||e.val.name!=="optional")&&(this.skip(["!","ident"]),r.optional=!0)));while(this.accept(","));return i=new v.Extend(t),i.lineno=e.lineno,i.column=e.column,i}media(){this.expect("media"),this.state.push("atrule");var e=new v.Media(this.queries());return e.block=this.block(e),this.state.pop(),e}queries(){var e=new v.QueryList,t=["comment","newline","space"];do this.skip(t),e.push(this.query()),this.skip(t);while(this.accept(","));return e}query(){var e=new v.Query,t,r,i;if(this.peek().type=="ident"&&(this.lookahead(2).type=="."||this.lookahead(2).type=="["))return this.cond=!0,t=this.expression(),this.cond=!1,e.push(new v.Feature(t.nodes)),e;if((r=this.accept("ident")||this.accept("not"))&&(r=new v.Literal(r.val.string||r.val),this.skipSpacesAndComments(),(i=this.accept("ident"))?(e.type=i.val,e.predicate=r):e.type=r,this.skipSpacesAndComments(),!this.accept("&&")))return e;do e.push(this.feature());while(this.accept("&&"));return e}feature(){this.skipSpacesAndComments(),this.expect("("),this.skipSpacesAndComments();var e=new v.Feature(this.interpolate());return this.skipSpacesAndComments(),this.accept(":"),this.skipSpacesAndComments(),this.inProperty=!0,e.expr=this.list(),this.inProperty=!1,this.skipSpacesAndComments(),this.expect(")"),this.skipSpacesAndComments(),e}mozdocument(){this.expect("-moz-document");var e=new v.Atrule("-moz-document"),t=[];do this.skipSpacesAndComments(),t.push(this.functionCall()),this.skipSpacesAndComments();while(this.accept(","));return e.segments=[new v.Literal(t.join(", "))],this.state.push("atrule"),e.block=this.block(e,!1),this.state.pop(),e}import(){return this.expect("import"),this.allowPostfix=!0,new v.Import(this.expression(),!1)}require(){return this.expect("require"),this.allowPostfix=!0,new v.Import(this.expression(),!0)}charset(){this.expect("charset");var e=this.expect("string").val;return this.allowPostfix=!0,new v.Charset(e)}namespace(){var e,t;return this.expect("namespace"),this.skipSpacesAndComments(),(t=this.accept("ident"))&&(t=t.val),this.skipSpacesAndComments(),e=this.accept("string")||this.url(),this.allowPostfix=!0,new v.Namespace(e,t)}keyframes(){var e=this.expect("keyframes"),t;return this.skipSpacesAndComments(),t=new v.Keyframes(this.selectorParts(),e.val),t.column=e.column,this.skipSpacesAndComments(),this.state.push("atrule"),t.block=this.block(t),this.state.pop(),t}literal(){return this.expect("literal").val}id(){var e=this.expect("ident");return this.accept("space"),e.val}ident(){for(var e=2,t=this.lookahead(e).type;t=="space";)t=this.lookahead(++e).type;switch(t){case"=":case"?=":case"-=":case"+=":case"*=":case"/=":case"%=":return this.assignment();case".":if(this.lookahead(e-1).type=="space")return this.selector();if(this._ident==this.peek())return this.id();for(;this.lookahead(++e).type!="="&&!~["[",",","newline","indent","eos"].indexOf(this.lookahead(e).type););if(this.lookahead(e).type=="=")return this._ident=this.peek(),this.expression();if(this.looksLikeSelector()&&this.stateAllowsSelector())return this.selector();case"[":if(this._ident==this.peek())return this.id();for(;this.lookahead(e++).type!="]"&&this.lookahead(e).type!="selector"&&this.lookahead(e).type!="eos";);if(this.lookahead(e).type=="=")return this._ident=this.peek(),this.expression();if(this.looksLikeSelector()&&this.stateAllowsSelector())return this.selector();case"-":case"+":case"/":case"*":case"%":case"**":case"&&":case"||":case">":case"<":case">=":case"<=":case"!=":case"==":case"?":case"in":case"is a":case"is defined":if(this._ident==this.peek())return this.id();switch(this._ident=this.peek(),this.currentState()){case"for":case"selector":return this.property();case"root":case"atblock":case"atrule":return t=="["?this.subscript():this.selector();case"function":case"conditional":return this.looksLikeSelector()?this.selector():this.expression();default:return this.operand?this.id():this.expression()}default:switch(this.currentState()){case"root":return this.selector();case"for":case"selector":case"function":case"conditional":case"atblock":case"atrule":return this.property();default:var r=this.id();return this.previousState()=="interpolation"&&(r.mixin=!0),r}}}interpolate(){var e,t=[],r;for(r=this.accept("*"),r&&t.push(new v.Literal("*"));;)if(this.accept("{"))this.state.push("interpolation"),t.push(this.expression()),this.expect("}"),this.state.pop();else if(e=this.accept("-"))t.push(new v.Literal("-"));else if(e=this.accept("ident"))t.push(e.val);else break;return t.length||this.expect("ident"),t}property(){if(this.looksLikeSelector(!0))return this.selector();var e=this.interpolate(),t=new v.Property(e),r=t;return this.accept("space"),this.accept(":")&&this.accept("space"),this.state.push("property"),this.inProperty=!0,t.expr=this.list(),t.expr.isEmpty&&(r=e[0]),this.inProperty=!1,this.allowPostfix=!0,this.state.pop(),this.accept(";"),r}selector(){var e,t=new v.Group,r=this.selectorScope,i=this.currentState()=="root",s;do this.accept("newline"),e=this.selectorParts(),i&&r&&e.unshift(new v.Literal(r+" ")),e.length&&(s=new v.Selector(e),s.lineno=e[0].lineno,s.column=e[0].column,t.push(s));while(this.accept(",")||this.accept("newline"));return this.currentState()=="selector-parts"?t.nodes:(this.state.push("selector"),t.block=this.block(t),this.state.pop(),t)}selectorParts(){for(var e,t=[];e=this.selectorToken();)switch(Qy.selector("%s",e),e.type){case"{":this.skipSpaces();var r=this.expression();this.skipSpaces(),this.expect("}"),t.push(r);break;case(this.prefix&&"."):var i=new v.Literal(e.val+this.prefix);i.prefixed=!0,t.push(i);break;case"comment":break;case"color":case"unit":t.push(new v.Literal(e.val.raw));break;case"space":t.push(new v.Literal(" "));break;case"function":t.push(new v.Literal(e.val.name+"("));break;case"ident":t.push(new v.Literal(e.val.name||e.val.string));break;default:t.push(new v.Literal(e.val)),e.space&&t.push(new v.Literal(" "))}return t}assignment(){var e,t,r=this.id(),i=r.name;if(e=this.accept("=")||this.accept("?=")||this.accept("+=")||this.accept("-=")||this.accept("*=")||this.accept("/=")||this.accept("%=")){this.state.push("assignment");var s=this.list();switch(s.isEmpty&&this.assignAtblock(s),t=new v.Ident(i,s),t.lineno=r.lineno,t.column=r.column,this.state.pop(),e.type){case"?=":var a=new v.BinOp("is defined",t),u=new v.Expression;u.push(new v.Ident(i)),t=new v.Ternary(a,u,t);break;case"+=":case"-=":case"*=":case"/=":case"%=":t.val=new v.BinOp(e.type[0],new v.Ident(i),s);break}}return t}function(){var e=1,t=2,r;e:for(;r=this.lookahead(t++);)switch(r.type){case"function":case"(":++e;break;case")":if(!--e)break e;break;case"eos":this.error('failed to find closing paren ")"')}switch(this.currentState()){case"expression":return this.functionCall();default:return this.looksLikeFunctionDefinition(t)?this.functionDefinition():this.expression()}}url(){this.expect("function"),this.state.push("function arguments");var e=this.args();return this.expect(")"),this.state.pop(),new v.Call("url",e)}functionCall(){var e=this.accept("+");if(this.peek().val.name=="url")return this.url();var t=this.expect("function").val,r=t.name;this.state.push("function arguments"),this.parens++;var i=this.args();this.expect(")"),this.parens--,this.state.pop();var s=new v.Call(r,i);return s.column=t.column,s.lineno=t.lineno,e&&(this.state.push("function"),s.block=this.block(s),this.state.pop()),s}functionDefinition(){var e=this.expect("function"),t=e.val.name;this.state.push("function params"),this.skipWhitespace();var r=this.params();this.skipWhitespace(),this.expect(")"),this.state.pop(),this.state.push("function");var i=new v.Function(t,r);return i.column=e.column,i.lineno=e.lineno,i.block=this.block(i),this.state.pop(),new v.Ident(t,i)}params(){for(var e,t,r=new v.Params;e=this.accept("ident");)this.accept("space"),r.push(t=e.val),this.accept("...")?t.rest=!0:this.accept("=")&&(t.val=this.expression()),this.skipWhitespace(),this.accept(","),this.skipWhitespace();return r}args(){var e=new v.Arguments,t;do this.peek().type=="ident"&&this.lookahead(2).type==":"?(t=this.next().val.string,this.expect(":"),e.map[t]=this.expression()):e.push(this.expression());while(this.accept(","));return e}list(){for(var e=this.expression();this.accept(",");)if(e.isList)t.push(this.expression());else{var t=new v.Expression(!0);t.push(e),t.push(this.expression()),e=t}return e}expression(){var e,t=new v.Expression;for(this.state.push("expression");e=this.negation();)e||this.error("unexpected token {peek} in expression"),t.push(e);return this.state.pop(),t.nodes.length&&(t.lineno=t.nodes[0].lineno,t.column=t.nodes[0].column),t}negation(){return this.accept("not")?new v.UnaryOp("!",this.negation()):this.ternary()}ternary(){var e=this.logical();if(this.accept("?")){var t=this.expression();this.expect(":");var r=this.expression();e=new v.Ternary(e,t,r)}return e}logical(){for(var e,t=this.typecheck();e=this.accept("&&")||this.accept("||");)t=new v.BinOp(e.type,t,this.typecheck());return t}typecheck(){for(var e,t=this.equality();e=this.accept("is a");)this.operand=!0,t||this.error('illegal unary "'+e+'", missing left-hand operand'),t=new v.BinOp(e.type,t,this.equality()),this.operand=!1;return t}equality(){for(var e,t=this.in();e=this.accept("==")||this.accept("!=");)this.operand=!0,t||this.error('illegal unary "'+e+'", missing left-hand operand'),t=new v.BinOp(e.type,t,this.in()),this.operand=!1;return t}in(){for(var e=this.relational();this.accept("in");)this.operand=!0,e||this.error('illegal unary "in", missing left-hand operand'),e=new v.BinOp("in",e,this.relational()),this.operand=!1;return e}relational(){for(var e,t=this.range();e=this.accept(">=")||this.accept("<=")||this.accept("<")||this.accept(">");)this.operand=!0,t||this.error('illegal unary "'+e+'", missing left-hand operand'),t=new v.BinOp(e.type,t,this.range()),this.operand=!1;return t}range(){var e,t=this.additive();return(e=this.accept("...")||this.accept(".."))&&(this.operand=!0,t||this.error('illegal unary "'+e+'", missing left-hand operand'),t=new v.BinOp(e.val,t,this.additive()),this.operand=!1),t}additive(){for(var e,t=this.multiplicative();e=this.accept("+")||this.accept("-");)this.operand=!0,t=new v.BinOp(e.type,t,this.multiplicative()),this.operand=!1;return t}multiplicative(){for(var e,t=this.defined();e=this.accept("**")||this.accept("*")||this.accept("/")||this.accept("%");){if(this.operand=!0,e=="/"&&this.inProperty&&!this.parens)return this.stash.push(new iE("literal",new v.Literal("/"))),this.operand=!1,t;t||this.error('illegal unary "'+e+'", missing left-hand operand'),t=new v.BinOp(e.type,t,this.defined()),this.operand=!1}return t}defined(){var e=this.unary();return this.accept("is defined")&&(e||this.error('illegal unary "is defined", missing left-hand operand'),e=new v.BinOp("is defined",e)),e}unary(){var e,t;return(e=this.accept("!")||this.accept("~")||this.accept("+")||this.accept("-"))?(this.operand=!0,t=this.unary(),t||this.error('illegal unary "'+e+'"'),t=new v.UnaryOp(e.type,t),this.operand=!1,t):this.subscript()}subscript(){for(var e=this.member(),t;this.accept("[");)e=new v.BinOp("[]",e,this.expression()),this.expect("]");return this.accept("=")&&(e.op+="=",e.val=this.list(),e.val.isEmpty&&this.assignAtblock(e.val)),e}member(){var e=this.primary();if(e){for(;this.accept(".");){var t=new v.Ident(this.expect("ident").val.string);e=new v.Member(e,t)}this.skipSpaces(),this.accept("=")&&(e.val=this.list(),e.val.isEmpty&&this.assignAtblock(e.val))}return e}object(){var e=new v.Object,t,r,i,s;for(this.expect("{"),this.skipWhitespace();!this.accept("}");)this.accept("comment")||this.accept("newline")||(i||this.accept(","),t=this.accept("ident")||this.accept("string"),t||this.error('expected "ident" or "string", got {peek}'),s=t.val.hash,this.skipSpacesAndComments(),this.expect(":"),r=this.expression(),e.setValue(s,r),e.setKey(s,t.val),i=this.accept(","),this.skipWhitespace());return e}primary(){var e;if(this.skipSpaces(),this.accept("(")){++this.parens;var t=this.expression(),r=this.expect(")");return--this.parens,this.accept("%")&&t.push(new v.Ident("%")),e=this.peek(),!r.space&&e.type=="ident"&&~sE.indexOf(e.val.string)&&(t.push(new v.Ident(e.val.string)),this.next()),t}switch(e=this.peek(),e.type){case"null":case"unit":case"color":case"string":case"literal":case"boolean":case"comment":return this.next().val;case(!this.cond&&"{"):return this.object();case"atblock":return this.atblock();case"atrule":var i=new v.Ident(this.next().val);return i.property=!0,i;case"ident":return this.ident();case"function":return e.anonymous?this.functionDefinition():this.functionCall()}}}});var ug=p((kI,lo)=>{"use strict";var Qt=typeof Reflect=="object"?Reflect:null,Zy=Qt&&typeof Qt.apply=="function"?Qt.apply:o(function(e,t,r){return Function.prototype.apply.call(e,t,r)},"ReflectApply"),Vn;Qt&&typeof Qt.ownKeys=="function"?Vn=Qt.ownKeys:Object.getOwnPropertySymbols?Vn=o(function(e){return Object.getOwnPropertyNames(e).concat(Object.getOwnPropertySymbols(e))},"ReflectOwnKeys"):Vn=o(function(e){return Object.getOwnPropertyNames(e)},"ReflectOwnKeys");function lE(n){console&&console.warn&&console.warn(n)}o(lE,"ProcessEmitWarning");var eg=Number.isNaN||o(function(e){return e!==e},"NumberIsNaN");function G(){G.init.call(this)}o(G,"EventEmitter");lo.exports=G;lo.exports.once=pE;G.EventEmitter=G;G.prototype._events=void 0;G.prototype._eventsCount=0;G.prototype._maxListeners=void 0;var Xy=10;function Hn(n){if(typeof n!="function")throw new TypeError('The "listener" argument must be of type Function. Received type '+typeof n)}o(Hn,"checkListener");Object.defineProperty(G,"defaultMaxListeners",{enumerable:!0,get:o(function(){return Xy},"get"),set:o(function(n){if(typeof n!="number"||n<0||eg(n))throw new RangeError('The value of "defaultMaxListeners" is out of range. It must be a non-negative number. Received '+n+".");Xy=n},"set")});G.init=function(){(this._events===void 0||this._events===Object.getPrototypeOf(this)._events)&&(this._events=Object.create(null),this._eventsCount=0),this._maxListeners=this._maxListeners||void 0};G.prototype.setMaxListeners=o(function(e){if(typeof e!="number"||e<0||eg(e))throw new RangeError('The value of "n" is out of range. It must be a non-negative number. Received '+e+".");return this._maxListeners=e,this},"setMaxListeners");function tg(n){return n._maxListeners===void 0?G.defaultMaxListeners:n._maxListeners}o(tg,"_getMaxListeners");G.prototype.getMaxListeners=o(function(){return tg(this)},"getMaxListeners");G.prototype.emit=o(function(e){for(var t=[],r=1;r<arguments.length;r++)t.push(arguments[r]);var i=e==="error",s=this._events;if(s!==void 0)i=i&&s.error===void 0;else if(!i)return!1;if(i){var a;if(t.length>0&&(a=t[0]),a instanceof Error)throw a;var u=new Error("Unhandled error."+(a?" ("+a.message+")":""));throw u.context=a,u}var l=s[e];if(l===void 0)return!1;if(typeof l=="function")Zy(l,this,t);else for(var h=l.length,c=og(l,h),r=0;r<h;++r)Zy(c[r],this,t);return!0},"emit");function rg(n,e,t,r){var i,s,a;if(Hn(t),s=n._events,s===void 0?(s=n._events=Object.create(null),n._eventsCount=0):(s.newListener!==void 0&&(n.emit("newListener",e,t.listener?t.listener:t),s=n._events),a=s[e]),a===void 0)a=s[e]=t,++n._eventsCount;else if(typeof a=="function"?a=s[e]=r?[t,a]:[a,t]:r?a.unshift(t):a.push(t),i=tg(n),i>0&&a.length>i&&!a.warned){a.warned=!0;var u=new Error("Possible EventEmitter memory leak detected. "+a.length+" "+String(e)+" listeners added. Use emitter.setMaxListeners() to increase limit");u.name="MaxListenersExceededWarning",u.emitter=n,u.type=e,u.count=a.length,lE(u)}return n}o(rg,"_addListener");G.prototype.addListener=o(function(e,t){return rg(this,e,t,!1)},"addListener");G.prototype.on=G.prototype.addListener;G.prototype.prependListener=o(function(e,t){return rg(this,e,t,!0)},"prependListener");function cE(){if(!this.fired)return this.target.removeListener(this.type,this.wrapFn),this.fired=!0,arguments.length===0?this.listener.call(this.target):this.listener.apply(this.target,arguments)}o(cE,"onceWrapper");function ng(n,e,t){var r={fired:!1,wrapFn:void 0,target:n,type:e,listener:t},i=cE.bind(r);return i.listener=t,r.wrapFn=i,i}o(ng,"_onceWrap");G.prototype.once=o(function(e,t){return Hn(t),this.on(e,ng(this,e,t)),this},"once");G.prototype.prependOnceListener=o(function(e,t){return Hn(t),this.prependListener(e,ng(this,e,t)),this},"prependOnceListener");G.prototype.removeListener=o(function(e,t){var r,i,s,a,u;if(Hn(t),i=this._events,i===void 0)return this;if(r=i[e],r===void 0)return this;if(r===t||r.listener===t)--this._eventsCount===0?this._events=Object.create(null):(delete i[e],i.removeListener&&this.emit("removeListener",e,r.listener||t));else if(typeof r!="function"){for(s=-1,a=r.length-1;a>=0;a--)if(r[a]===t||r[a].listener===t){u=r[a].listener,s=a;break}if(s<0)return this;s===0?r.shift():hE(r,s),r.length===1&&(i[e]=r[0]),i.removeListener!==void 0&&this.emit("removeListener",e,u||t)}return this},"removeListener");G.prototype.off=G.prototype.removeListener;G.prototype.removeAllListeners=o(function(e){var t,r,i;if(r=this._events,r===void 0)return this;if(r.removeListener===void 0)return arguments.length===0?(this._events=Object.create(null),this._eventsCount=0):r[e]!==void 0&&(--this._eventsCount===0?this._events=Object.create(null):delete r[e]),this;if(arguments.length===0){var s=Object.keys(r),a;for(i=0;i<s.length;++i)a=s[i],a!=="removeListener"&&this.removeAllListeners(a);return this.removeAllListeners("removeListener"),this._events=Object.create(null),this._eventsCount=0,this}if(t=r[e],typeof t=="function")this.removeListener(e,t);else if(t!==void 0)for(i=t.length-1;i>=0;i--)this.removeListener(e,t[i]);return this},"removeAllListeners");function ig(n,e,t){var r=n._events;if(r===void 0)return[];var i=r[e];return i===void 0?[]:typeof i=="function"?t?[i.listener||i]:[i]:t?fE(i):og(i,i.length)}o(ig,"_listeners");G.prototype.listeners=o(function(e){return ig(this,e,!0)},"listeners");G.prototype.rawListeners=o(function(e){return ig(this,e,!1)},"rawListeners");G.listenerCount=function(n,e){return typeof n.listenerCount=="function"?n.listenerCount(e):sg.call(n,e)};G.prototype.listenerCount=sg;function sg(n){var e=this._events;if(e!==void 0){var t=e[n];if(typeof t=="function")return 1;if(t!==void 0)return t.length}return 0}o(sg,"listenerCount");G.prototype.eventNames=o(function(){return this._eventsCount>0?Vn(this._events):[]},"eventNames");function og(n,e){for(var t=new Array(e),r=0;r<e;++r)t[r]=n[r];return t}o(og,"arrayClone");function hE(n,e){for(;e+1<n.length;e++)n[e]=n[e+1];n.pop()}o(hE,"spliceOne");function fE(n){for(var e=new Array(n.length),t=0;t<e.length;++t)e[t]=n[t].listener||n[t];return e}o(fE,"unwrapListeners");function pE(n,e){return new Promise(function(t,r){function i(a){n.removeListener(e,s),r(a)}o(i,"errorListener");function s(){typeof n.removeListener=="function"&&n.removeListener("error",i),t([].slice.call(arguments))}o(s,"resolver"),ag(n,e,s,{once:!0}),e!=="error"&&dE(n,i,{once:!0})})}o(pE,"once");function dE(n,e,t){typeof n.on=="function"&&ag(n,"error",e,t)}o(dE,"addErrorHandlerIfEventEmitter");function ag(n,e,t,r){if(typeof n.on=="function")r.once?n.once(e,t):n.on(e,t);else if(typeof n.addEventListener=="function")n.addEventListener(e,o(function i(s){r.once&&n.removeEventListener(e,i),t(s)},"wrapListener"));else throw new TypeError('The "emitter" argument must be of type EventEmitter. Received type '+typeof n)}o(ag,"eventTargetAgnosticAddListener")});var hg=p(cg=>{var lg="ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/".split("");cg.encode=function(n){if(0<=n&&n<lg.length)return lg[n];throw new TypeError("Must be between 0 and 63: "+n)}});var co=p(dg=>{var mE=hg(),fg=5,pg=1<<fg,yE=pg-1,gE=pg;function vE(n){return n<0?(-n<<1)+1:(n<<1)+0}o(vE,"toVLQSigned");dg.encode=o(function(e){let t="",r,i=vE(e);do r=i&yE,i>>>=fg,i>0&&(r|=gE),t+=mE.encode(r);while(i>0);return t},"base64VLQ_encode")});var yg=p((_I,mg)=>{"use strict";mg.exports=typeof URL=="function"?URL:Us().URL});var Fr=p(Te=>{var rt=yg();function wE(n,e,t){if(e in n)return n[e];if(arguments.length===3)return t;throw new Error('"'+e+'" is a required argument.')}o(wE,"getArg");Te.getArg=wE;var vg=function(){return!("__proto__"in Object.create(null))}();function wg(n){return n}o(wg,"identity");function bE(n){return bg(n)?"$"+n:n}o(bE,"toSetString");Te.toSetString=vg?wg:bE;function xE(n){return bg(n)?n.slice(1):n}o(xE,"fromSetString");Te.fromSetString=vg?wg:xE;function bg(n){if(!n)return!1;let e=n.length;if(e<9||n.charCodeAt(e-1)!==95||n.charCodeAt(e-2)!==95||n.charCodeAt(e-3)!==111||n.charCodeAt(e-4)!==116||n.charCodeAt(e-5)!==111||n.charCodeAt(e-6)!==114||n.charCodeAt(e-7)!==112||n.charCodeAt(e-8)!==95||n.charCodeAt(e-9)!==95)return!1;for(let t=e-10;t>=0;t--)if(n.charCodeAt(t)!==36)return!1;return!0}o(bg,"isProtoString");function gg(n,e){return n===e?0:n===null?1:e===null?-1:n>e?1:-1}o(gg,"strcmp");function SE(n,e){let t=n.generatedLine-e.generatedLine;return t!==0||(t=n.generatedColumn-e.generatedColumn,t!==0)||(t=gg(n.source,e.source),t!==0)||(t=n.originalLine-e.originalLine,t!==0)||(t=n.originalColumn-e.originalColumn,t!==0)?t:gg(n.name,e.name)}o(SE,"compareByGeneratedPositionsInflated");Te.compareByGeneratedPositionsInflated=SE;function kE(n){return JSON.parse(n.replace(/^\)]}'[^\n]*\n/,""))}o(kE,"parseSourceMapInput");Te.parseSourceMapInput=kE;var fo="http:",Br=`${fo}//host`;function po(n){return e=>{let t=Yt(e),r=mo(e),i=new rt(e,r);n(i);let s=i.toString();return t==="absolute"?s:t==="scheme-relative"?s.slice(fo.length):t==="path-absolute"?s.slice(Br.length):yo(r,s)}}o(po,"createSafeHandler");function tt(n,e){return new rt(n,e).toString()}o(tt,"withBase");function EE(n,e){let t=0;do{let r=n+t++;if(e.indexOf(r)===-1)return r}while(!0)}o(EE,"buildUniqueSegment");function mo(n){let e=n.split("..").length-1,t=EE("p",n),r=`${Br}/`;for(let i=0;i<e;i++)r+=`${t}/`;return r}o(mo,"buildSafeBase");var AE=/^[A-Za-z0-9\+\-\.]+:/;function Yt(n){return n[0]==="/"?n[1]==="/"?"scheme-relative":"path-absolute":AE.test(n)?"absolute":"path-relative"}o(Yt,"getURLType");function yo(n,e){typeof n=="string"&&(n=new rt(n)),typeof e=="string"&&(e=new rt(e));let t=e.pathname.split("/"),r=n.pathname.split("/");for(r.length>0&&!r[r.length-1]&&r.pop();t.length>0&&r.length>0&&t[0]===r[0];)t.shift(),r.shift();return r.map(()=>"..").concat(t).join("/")+e.search+e.hash}o(yo,"computeRelativeURL");var qE=po(n=>{n.pathname=n.pathname.replace(/\/?$/,"/")}),CE=po(n=>{n.href=new rt(".",n.toString()).toString()}),Ir=po(n=>{});Te.normalize=Ir;function ho(n,e){let t=Yt(e),r=Yt(n);if(n=qE(n),t==="absolute")return tt(e,void 0);if(r==="absolute")return tt(e,n);if(t==="scheme-relative")return Ir(e);if(r==="scheme-relative")return tt(e,tt(n,Br)).slice(fo.length);if(t==="path-absolute")return Ir(e);if(r==="path-absolute")return tt(e,tt(n,Br)).slice(Br.length);let i=mo(e+n),s=tt(e,tt(n,i));return yo(i,s)}o(ho,"join");Te.join=ho;function _E(n,e){let t=OE(n,e);return typeof t=="string"?t:Ir(e)}o(_E,"relative");Te.relative=_E;function OE(n,e){if(Yt(n)!==Yt(e))return null;let r=mo(n+e),i=new rt(n,r),s=new rt(e,r);try{new rt("",s.toString())}catch{return null}return s.protocol!==i.protocol||s.user!==i.user||s.password!==i.password||s.hostname!==i.hostname||s.port!==i.port?null:yo(i,s)}o(OE,"relativeIfPossible");function BE(n,e,t){n&&Yt(e)==="path-absolute"&&(e=e.replace(/^\//,""));let r=Ir(e||"");return n&&(r=ho(n,r)),t&&(r=ho(CE(t),r)),r}o(BE,"computeSourceURL");Te.computeSourceURL=BE});var vo=p(xg=>{var go=class n{static{o(this,"ArraySet")}constructor(){this._array=[],this._set=new Map}static fromArray(e,t){let r=new n;for(let i=0,s=e.length;i<s;i++)r.add(e[i],t);return r}size(){return this._set.size}add(e,t){let r=this.has(e),i=this._array.length;(!r||t)&&this._array.push(e),r||this._set.set(e,i)}has(e){return this._set.has(e)}indexOf(e){let t=this._set.get(e);if(t>=0)return t;throw new Error('"'+e+'" is not in the set.')}at(e){if(e>=0&&e<this._array.length)return this._array[e];throw new Error("No element indexed by "+e)}toArray(){return this._array.slice()}};xg.ArraySet=go});var Eg=p(kg=>{var Sg=Fr();function IE(n,e){let t=n.generatedLine,r=e.generatedLine,i=n.generatedColumn,s=e.generatedColumn;return r>t||r==t&&s>=i||Sg.compareByGeneratedPositionsInflated(n,e)<=0}o(IE,"generatedPositionAfter");var wo=class{static{o(this,"MappingList")}constructor(){this._array=[],this._sorted=!0,this._last={generatedLine:-1,generatedColumn:0}}unsortedForEach(e,t){this._array.forEach(e,t)}add(e){IE(this._last,e)?(this._last=e,this._array.push(e)):(this._sorted=!1,this._array.push(e))}toArray(){return this._sorted||(this._array.sort(Sg.compareByGeneratedPositionsInflated),this._sorted=!0),this._array}};kg.MappingList=wo});var bo=p(Ag=>{var Lr=co(),Y=Fr(),Kn=vo().ArraySet,FE=Eg().MappingList,Qn=class n{static{o(this,"SourceMapGenerator")}constructor(e){e||(e={}),this._file=Y.getArg(e,"file",null),this._sourceRoot=Y.getArg(e,"sourceRoot",null),this._skipValidation=Y.getArg(e,"skipValidation",!1),this._sources=new Kn,this._names=new Kn,this._mappings=new FE,this._sourcesContents=null}static fromSourceMap(e){let t=e.sourceRoot,r=new n({file:e.file,sourceRoot:t});return e.eachMapping(function(i){let s={generated:{line:i.generatedLine,column:i.generatedColumn}};i.source!=null&&(s.source=i.source,t!=null&&(s.source=Y.relative(t,s.source)),s.original={line:i.originalLine,column:i.originalColumn},i.name!=null&&(s.name=i.name)),r.addMapping(s)}),e.sources.forEach(function(i){let s=i;t!=null&&(s=Y.relative(t,i)),r._sources.has(s)||r._sources.add(s);let a=e.sourceContentFor(i);a!=null&&r.setSourceContent(i,a)}),r}addMapping(e){let t=Y.getArg(e,"generated"),r=Y.getArg(e,"original",null),i=Y.getArg(e,"source",null),s=Y.getArg(e,"name",null);this._skipValidation||this._validateMapping(t,r,i,s),i!=null&&(i=String(i),this._sources.has(i)||this._sources.add(i)),s!=null&&(s=String(s),this._names.has(s)||this._names.add(s)),this._mappings.add({generatedLine:t.line,generatedColumn:t.column,originalLine:r&&r.line,originalColumn:r&&r.column,source:i,name:s})}setSourceContent(e,t){let r=e;this._sourceRoot!=null&&(r=Y.relative(this._sourceRoot,r)),t!=null?(this._sourcesContents||(this._sourcesContents=Object.create(null)),this._sourcesContents[Y.toSetString(r)]=t):this._sourcesContents&&(delete this._sourcesContents[Y.toSetString(r)],Object.keys(this._sourcesContents).length===0&&(this._sourcesContents=null))}applySourceMap(e,t,r){let i=t;if(t==null){if(e.file==null)throw new Error(`SourceMapGenerator.prototype.applySourceMap requires either an explicit source file, or the source map's "file" property. Both were omitted.`);i=e.file}let s=this._sourceRoot;s!=null&&(i=Y.relative(s,i));let a=this._mappings.toArray().length>0?new Kn:this._sources,u=new Kn;this._mappings.unsortedForEach(function(l){if(l.source===i&&l.originalLine!=null){let f=e.originalPositionFor({line:l.originalLine,column:l.originalColumn});f.source!=null&&(l.source=f.source,r!=null&&(l.source=Y.join(r,l.source)),s!=null&&(l.source=Y.relative(s,l.source)),l.originalLine=f.line,l.originalColumn=f.column,f.name!=null&&(l.name=f.name))}let h=l.source;h!=null&&!a.has(h)&&a.add(h);let c=l.name;c!=null&&!u.has(c)&&u.add(c)},this),this._sources=a,this._names=u,e.sources.forEach(function(l){let h=e.sourceContentFor(l);h!=null&&(r!=null&&(l=Y.join(r,l)),s!=null&&(l=Y.relative(s,l)),this.setSourceContent(l,h))},this)}_validateMapping(e,t,r,i){if(t&&typeof t.line!="number"&&typeof t.column!="number")throw new Error("original.line and original.column are not numbers -- you probably meant to omit the original mapping entirely and only map the generated position. If so, pass null for the original mapping instead of an object with empty or null values.");if(!(e&&"line"in e&&"column"in e&&e.line>0&&e.column>=0&&!t&&!r&&!i)){if(!(e&&"line"in e&&"column"in e&&t&&"line"in t&&"column"in t&&e.line>0&&e.column>=0&&t.line>0&&t.column>=0&&r))throw new Error("Invalid mapping: "+JSON.stringify({generated:e,source:r,original:t,name:i}))}}_serializeMappings(){let e=0,t=1,r=0,i=0,s=0,a=0,u="",l,h,c,f,d=this._mappings.toArray();for(let m=0,g=d.length;m<g;m++){if(h=d[m],l="",h.generatedLine!==t)for(e=0;h.generatedLine!==t;)l+=";",t++;else if(m>0){if(!Y.compareByGeneratedPositionsInflated(h,d[m-1]))continue;l+=","}l+=Lr.encode(h.generatedColumn-e),e=h.generatedColumn,h.source!=null&&(f=this._sources.indexOf(h.source),l+=Lr.encode(f-a),a=f,l+=Lr.encode(h.originalLine-1-i),i=h.originalLine-1,l+=Lr.encode(h.originalColumn-r),r=h.originalColumn,h.name!=null&&(c=this._names.indexOf(h.name),l+=Lr.encode(c-s),s=c)),u+=l}return u}_generateSourcesContent(e,t){return e.map(function(r){if(!this._sourcesContents)return null;t!=null&&(r=Y.relative(t,r));let i=Y.toSetString(r);return Object.prototype.hasOwnProperty.call(this._sourcesContents,i)?this._sourcesContents[i]:null},this)}toJSON(){let e={version:this._version,sources:this._sources.toArray(),names:this._names.toArray(),mappings:this._serializeMappings()};return this._file!=null&&(e.file=this._file),this._sourceRoot!=null&&(e.sourceRoot=this._sourceRoot),this._sourcesContents&&(e.sourcesContent=this._generateSourcesContent(e.sources,e.sourceRoot)),e}toString(){return JSON.stringify(this.toJSON())}};Qn.prototype._version=3;Ag.SourceMapGenerator=Qn});var qg=p(xt=>{xt.GREATEST_LOWER_BOUND=1;xt.LEAST_UPPER_BOUND=2;function xo(n,e,t,r,i,s){let a=Math.floor((e-n)/2)+n,u=i(t,r[a],!0);return u===0?a:u>0?e-a>1?xo(a,e,t,r,i,s):s===xt.LEAST_UPPER_BOUND?e<r.length?e:-1:a:a-n>1?xo(n,a,t,r,i,s):s==xt.LEAST_UPPER_BOUND?a:n<0?-1:n}o(xo,"recursiveSearch");xt.search=o(function(e,t,r,i){if(t.length===0)return-1;let s=xo(-1,t.length,e,t,r,i||xt.GREATEST_LOWER_BOUND);if(s<0)return-1;for(;s-1>=0&&r(t[s],t[s-1],!0)===0;)--s;return s},"search")});var ko=p((UI,So)=>{"use strict";var Nr=null;So.exports=o(function(){if(typeof Nr=="string")return fetch(Nr).then(e=>e.arrayBuffer());if(Nr instanceof ArrayBuffer)return Promise.resolve(Nr);throw new Error("You must provide the string URL or ArrayBuffer contents of lib/mappings.wasm by calling SourceMapConsumer.initialize({ 'lib/mappings.wasm': ... }) before using SourceMapConsumer")},"readWasm");So.exports.initialize=n=>{Nr=n}});var _g=p((DI,Cg)=>{var LE=ko();function NE(){this.generatedLine=0,this.generatedColumn=0,this.lastGeneratedColumn=null,this.source=null,this.originalLine=null,this.originalColumn=null,this.name=null}o(NE,"Mapping");var Pr=null;Cg.exports=o(function(){if(Pr)return Pr;let e=[];return Pr=LE().then(t=>WebAssembly.instantiate(t,{env:{mapping_callback(r,i,s,a,u,l,h,c,f,d){let m=new NE;m.generatedLine=r+1,m.generatedColumn=i,s&&(m.lastGeneratedColumn=a-1),u&&(m.source=l,m.originalLine=h+1,m.originalColumn=c,f&&(m.name=d)),e[e.length-1](m)},start_all_generated_locations_for(){console.time("all_generated_locations_for")},end_all_generated_locations_for(){console.timeEnd("all_generated_locations_for")},start_compute_column_spans(){console.time("compute_column_spans")},end_compute_column_spans(){console.timeEnd("compute_column_spans")},start_generated_location_for(){console.time("generated_location_for")},end_generated_location_for(){console.timeEnd("generated_location_for")},start_original_location_for(){console.time("original_location_for")},end_original_location_for(){console.timeEnd("original_location_for")},start_parse_mappings(){console.time("parse_mappings")},end_parse_mappings(){console.timeEnd("parse_mappings")},start_sort_by_generated_location(){console.time("sort_by_generated_location")},end_sort_by_generated_location(){console.timeEnd("sort_by_generated_location")},start_sort_by_original_location(){console.time("sort_by_original_location")},end_sort_by_original_location(){console.timeEnd("sort_by_original_location")}}})).then(t=>({exports:t.instance.exports,withMappingCallback:o((r,i)=>{e.push(r);try{i()}finally{e.pop()}},"withMappingCallback")})).then(null,t=>{throw Pr=null,t}),Pr},"wasm")});var Og=p(Zn=>{var N=Fr(),PE=qg(),Eo=vo().ArraySet,GI=co(),TE=ko(),RE=_g(),Ao=Symbol("smcInternal"),Z=class n{static{o(this,"SourceMapConsumer")}constructor(e,t){return e==Ao?Promise.resolve(this):ME(e,t)}static initialize(e){TE.initialize(e["lib/mappings.wasm"])}static fromSourceMap(e,t){return UE(e,t)}static async with(e,t,r){let i=await new n(e,t);try{return await r(i)}finally{i.destroy()}}eachMapping(e,t,r){throw new Error("Subclasses must implement eachMapping")}allGeneratedPositionsFor(e){throw new Error("Subclasses must implement allGeneratedPositionsFor")}destroy(){throw new Error("Subclasses must implement destroy")}};Z.prototype._version=3;Z.GENERATED_ORDER=1;Z.ORIGINAL_ORDER=2;Z.GREATEST_LOWER_BOUND=1;Z.LEAST_UPPER_BOUND=2;Zn.SourceMapConsumer=Z;var Zt=class n extends Z{static{o(this,"BasicSourceMapConsumer")}constructor(e,t){return super(Ao).then(r=>{let i=e;typeof e=="string"&&(i=N.parseSourceMapInput(e));let s=N.getArg(i,"version"),a=N.getArg(i,"sources").map(String),u=N.getArg(i,"names",[]),l=N.getArg(i,"sourceRoot",null),h=N.getArg(i,"sourcesContent",null),c=N.getArg(i,"mappings"),f=N.getArg(i,"file",null),d=N.getArg(i,"x_google_ignoreList",null);if(s!=r._version)throw new Error("Unsupported version: "+s);return r._sourceLookupCache=new Map,r._names=Eo.fromArray(u.map(String),!0),r._sources=Eo.fromArray(a,!0),r._absoluteSources=Eo.fromArray(r._sources.toArray().map(function(m){return N.computeSourceURL(l,m,t)}),!0),r.sourceRoot=l,r.sourcesContent=h,r._mappings=c,r._sourceMapURL=t,r.file=f,r.x_google_ignoreList=d,r._computedColumnSpans=!1,r._mappingsPtr=0,r._wasm=null,RE().then(m=>(r._wasm=m,r))})}_findSourceIndex(e){let t=this._sourceLookupCache.get(e);if(typeof t=="number")return t;let r=N.computeSourceURL(null,e,this._sourceMapURL);if(this._absoluteSources.has(r)){let s=this._absoluteSources.indexOf(r);return this._sourceLookupCache.set(e,s),s}let i=N.computeSourceURL(this.sourceRoot,e,this._sourceMapURL);if(this._absoluteSources.has(i)){let s=this._absoluteSources.indexOf(i);return this._sourceLookupCache.set(e,s),s}return-1}static fromSourceMap(e,t){return new n(e.toString())}get sources(){return this._absoluteSources.toArray()}_getMappingsPtr(){return this._mappingsPtr===0&&this._parseMappings(),this._mappingsPtr}_parseMappings(){let e=this._mappings,t=e.length,r=this._wasm.exports.allocate_mappings(t)>>>0,i=new Uint8Array(this._wasm.exports.memory.buffer,r,t);for(let a=0;a<t;a++)i[a]=e.charCodeAt(a);let s=this._wasm.exports.parse_mappings(r);if(!s){let a=this._wasm.exports.get_last_error(),u=`Error parsing mappings (code ${a}): `;switch(a){case 1:u+="the mappings contained a negative line, column, source index, or name index";break;case 2:u+="the mappings contained a number larger than 2**32";break;case 3:u+="reached EOF while in the middle of parsing a VLQ";break;case 4:u+="invalid base 64 character while parsing a VLQ";break;default:u+="unknown error code";break}throw new Error(u)}this._mappingsPtr=s}eachMapping(e,t,r){let i=t||null,s=r||Z.GENERATED_ORDER;this._wasm.withMappingCallback(a=>{a.source!==null&&(a.source=this._absoluteSources.at(a.source),a.name!==null&&(a.name=this._names.at(a.name))),this._computedColumnSpans&&a.lastGeneratedColumn===null&&(a.lastGeneratedColumn=1/0),e.call(i,a)},()=>{switch(s){case Z.GENERATED_ORDER:this._wasm.exports.by_generated_location(this._getMappingsPtr());break;case Z.ORIGINAL_ORDER:this._wasm.exports.by_original_location(this._getMappingsPtr());break;default:throw new Error("Unknown order of iteration.")}})}allGeneratedPositionsFor(e){let t=N.getArg(e,"source"),r=N.getArg(e,"line"),i=e.column||0;if(t=this._findSourceIndex(t),t<0)return[];if(r<1)throw new Error("Line numbers must be >= 1");if(i<0)throw new Error("Column numbers must be >= 0");let s=[];return this._wasm.withMappingCallback(a=>{let u=a.lastGeneratedColumn;this._computedColumnSpans&&u===null&&(u=1/0),s.push({line:a.generatedLine,column:a.generatedColumn,lastColumn:u})},()=>{this._wasm.exports.all_generated_locations_for(this._getMappingsPtr(),t,r-1,"column"in e,i)}),s}destroy(){this._mappingsPtr!==0&&(this._wasm.exports.free_mappings(this._mappingsPtr),this._mappingsPtr=0)}computeColumnSpans(){this._computedColumnSpans||(this._wasm.exports.compute_column_spans(this._getMappingsPtr()),this._computedColumnSpans=!0)}originalPositionFor(e){let t={generatedLine:N.getArg(e,"line"),generatedColumn:N.getArg(e,"column")};if(t.generatedLine<1)throw new Error("Line numbers must be >= 1");if(t.generatedColumn<0)throw new Error("Column numbers must be >= 0");let r=N.getArg(e,"bias",Z.GREATEST_LOWER_BOUND);r==null&&(r=Z.GREATEST_LOWER_BOUND);let i;if(this._wasm.withMappingCallback(s=>i=s,()=>{this._wasm.exports.original_location_for(this._getMappingsPtr(),t.generatedLine-1,t.generatedColumn,r)}),i&&i.generatedLine===t.generatedLine){let s=N.getArg(i,"source",null);s!==null&&(s=this._absoluteSources.at(s));let a=N.getArg(i,"name",null);return a!==null&&(a=this._names.at(a)),{source:s,line:N.getArg(i,"originalLine",null),column:N.getArg(i,"originalColumn",null),name:a}}return{source:null,line:null,column:null,name:null}}hasContentsOfAllSources(){return this.sourcesContent?this.sourcesContent.length>=this._sources.size()&&!this.sourcesContent.some(function(e){return e==null}):!1}sourceContentFor(e,t){if(!this.sourcesContent)return null;let r=this._findSourceIndex(e);if(r>=0)return this.sourcesContent[r];if(t)return null;throw new Error('"'+e+'" is not in the SourceMap.')}generatedPositionFor(e){let t=N.getArg(e,"source");if(t=this._findSourceIndex(t),t<0)return{line:null,column:null,lastColumn:null};let r={source:t,originalLine:N.getArg(e,"line"),originalColumn:N.getArg(e,"column")};if(r.originalLine<1)throw new Error("Line numbers must be >= 1");if(r.originalColumn<0)throw new Error("Column numbers must be >= 0");let i=N.getArg(e,"bias",Z.GREATEST_LOWER_BOUND);i==null&&(i=Z.GREATEST_LOWER_BOUND);let s;if(this._wasm.withMappingCallback(a=>s=a,()=>{this._wasm.exports.generated_location_for(this._getMappingsPtr(),r.source,r.originalLine-1,r.originalColumn,i)}),s&&s.source===r.source){let a=s.lastGeneratedColumn;return this._computedColumnSpans&&a===null&&(a=1/0),{line:N.getArg(s,"generatedLine",null),column:N.getArg(s,"generatedColumn",null),lastColumn:a}}return{line:null,column:null,lastColumn:null}}};Zt.prototype.consumer=Z;Zn.BasicSourceMapConsumer=Zt;var Yn=class extends Z{static{o(this,"IndexedSourceMapConsumer")}constructor(e,t){return super(Ao).then(r=>{let i=e;typeof e=="string"&&(i=N.parseSourceMapInput(e));let s=N.getArg(i,"version"),a=N.getArg(i,"sections");if(s!=r._version)throw new Error("Unsupported version: "+s);let u={line:-1,column:0};return Promise.all(a.map(l=>{if(l.url)throw new Error("Support for url field in sections not implemented.");let h=N.getArg(l,"offset"),c=N.getArg(h,"line"),f=N.getArg(h,"column");if(c<u.line||c===u.line&&f<u.column)throw new Error("Section offsets must be ordered and non-overlapping.");return u=h,new Z(N.getArg(l,"map"),t).then(m=>({generatedOffset:{generatedLine:c+1,generatedColumn:f+1},consumer:m}))})).then(l=>(r._sections=l,r))})}get sources(){let e=[];for(let t=0;t<this._sections.length;t++)for(let r=0;r<this._sections[t].consumer.sources.length;r++)e.push(this._sections[t].consumer.sources[r]);return e}originalPositionFor(e){let t={generatedLine:N.getArg(e,"line"),generatedColumn:N.getArg(e,"column")},r=PE.search(t,this._sections,function(s,a){let u=s.generatedLine-a.generatedOffset.generatedLine;return u||s.generatedColumn-(a.generatedOffset.generatedColumn-1)}),i=this._sections[r];return i?i.consumer.originalPositionFor({line:t.generatedLine-(i.generatedOffset.generatedLine-1),column:t.generatedColumn-(i.generatedOffset.generatedLine===t.generatedLine?i.generatedOffset.generatedColumn-1:0),bias:e.bias}):{source:null,line:null,column:null,name:null}}hasContentsOfAllSources(){return this._sections.every(function(e){return e.consumer.hasContentsOfAllSources()})}sourceContentFor(e,t){for(let r=0;r<this._sections.length;r++){let s=this._sections[r].consumer.sourceContentFor(e,!0);if(s)return s}if(t)return null;throw new Error('"'+e+'" is not in the SourceMap.')}_findSectionIndex(e){for(let t=0;t<this._sections.length;t++){let{consumer:r}=this._sections[t];if(r._findSourceIndex(e)!==-1)return t}return-1}generatedPositionFor(e){let t=this._findSectionIndex(N.getArg(e,"source")),r=t>=0?this._sections[t]:null,i=t>=0&&t+1<this._sections.length?this._sections[t+1]:null,s=r&&r.consumer.generatedPositionFor(e);if(s&&s.line!==null){let a=r.generatedOffset.generatedLine-1,u=r.generatedOffset.generatedColumn-1;return s.line===1&&(s.column+=u,typeof s.lastColumn=="number"&&(s.lastColumn+=u)),s.lastColumn===1/0&&i&&s.line===i.generatedOffset.generatedLine&&(s.lastColumn=i.generatedOffset.generatedColumn-2),s.line+=a,s}return{line:null,column:null,lastColumn:null}}allGeneratedPositionsFor(e){let t=this._findSectionIndex(N.getArg(e,"source")),r=t>=0?this._sections[t]:null,i=t>=0&&t+1<this._sections.length?this._sections[t+1]:null;return r?r.consumer.allGeneratedPositionsFor(e).map(s=>{let a=r.generatedOffset.generatedLine-1,u=r.generatedOffset.generatedColumn-1;return s.line===1&&(s.column+=u,typeof s.lastColumn=="number"&&(s.lastColumn+=u)),s.lastColumn===1/0&&i&&s.line===i.generatedOffset.generatedLine&&(s.lastColumn=i.generatedOffset.generatedColumn-2),s.line+=a,s}):[]}eachMapping(e,t,r){this._sections.forEach((i,s)=>{let a=s+1<this._sections.length?this._sections[s+1]:null,{generatedOffset:u}=i,l=u.generatedLine-1,h=u.generatedColumn-1;i.consumer.eachMapping(function(c){c.generatedLine===1&&(c.generatedColumn+=h,typeof c.lastGeneratedColumn=="number"&&(c.lastGeneratedColumn+=h)),c.lastGeneratedColumn===1/0&&a&&c.generatedLine===a.generatedOffset.generatedLine&&(c.lastGeneratedColumn=a.generatedOffset.generatedColumn-2),c.generatedLine+=l,e.call(this,c)},t,r)})}computeColumnSpans(){for(let e=0;e<this._sections.length;e++)this._sections[e].consumer.computeColumnSpans()}destroy(){for(let e=0;e<this._sections.length;e++)this._sections[e].consumer.destroy()}};Zn.IndexedSourceMapConsumer=Yn;function ME(n,e){let t=n;typeof n=="string"&&(t=N.parseSourceMapInput(n));let r=t.sections!=null?new Yn(t,e):new Zt(t,e);return Promise.resolve(r)}o(ME,"_factory");function UE(n,e){return Zt.fromSourceMap(n,e)}o(UE,"_factoryBSM")});var Ig=p(Bg=>{var jE=bo().SourceMapGenerator,Xn=Fr(),DE=/(\r?\n)/,$E=10,Xt="$$$isSourceNode$$$",qo=class n{static{o(this,"SourceNode")}constructor(e,t,r,i,s){this.children=[],this.sourceContents={},this.line=e??null,this.column=t??null,this.source=r??null,this.name=s??null,this[Xt]=!0,i!=null&&this.add(i)}static fromStringWithSourceMap(e,t,r){let i=new n,s=e.split(DE),a=0,u=o(function(){let m=w(),g=w()||"";return m+g;function w(){return a<s.length?s[a++]:void 0}},"shiftNextLine"),l=1,h=0,c=null,f;return t.eachMapping(function(m){if(c!==null)if(l<m.generatedLine)d(c,u()),l++,h=0;else{f=s[a]||"";let g=f.substr(0,m.generatedColumn-h);s[a]=f.substr(m.generatedColumn-h),h=m.generatedColumn,d(c,g),c=m;return}for(;l<m.generatedLine;)i.add(u()),l++;h<m.generatedColumn&&(f=s[a]||"",i.add(f.substr(0,m.generatedColumn)),s[a]=f.substr(m.generatedColumn),h=m.generatedColumn),c=m},this),a<s.length&&(c&&d(c,u()),i.add(s.splice(a).join(""))),t.sources.forEach(function(m){let g=t.sourceContentFor(m);g!=null&&(r!=null&&(m=Xn.join(r,m)),i.setSourceContent(m,g))}),i;function d(m,g){if(m===null||m.source===void 0)i.add(g);else{let w=r?Xn.join(r,m.source):m.source;i.add(new n(m.originalLine,m.originalColumn,w,g,m.name))}}o(d,"addMappingWithCode")}add(e){if(Array.isArray(e))e.forEach(function(t){this.add(t)},this);else if(e[Xt]||typeof e=="string")e&&this.children.push(e);else throw new TypeError("Expected a SourceNode, string, or an array of SourceNodes and strings. Got "+e);return this}prepend(e){if(Array.isArray(e))for(let t=e.length-1;t>=0;t--)this.prepend(e[t]);else if(e[Xt]||typeof e=="string")this.children.unshift(e);else throw new TypeError("Expected a SourceNode, string, or an array of SourceNodes and strings. Got "+e);return this}walk(e){let t;for(let r=0,i=this.children.length;r<i;r++)t=this.children[r],t[Xt]?t.walk(e):t!==""&&e(t,{source:this.source,line:this.line,column:this.column,name:this.name})}join(e){let t,r,i=this.children.length;if(i>0){for(t=[],r=0;r<i-1;r++)t.push(this.children[r]),t.push(e);t.push(this.children[r]),this.children=t}return this}replaceRight(e,t){let r=this.children[this.children.length-1];return r[Xt]?r.replaceRight(e,t):typeof r=="string"?this.children[this.children.length-1]=r.replace(e,t):this.children.push("".replace(e,t)),this}setSourceContent(e,t){this.sourceContents[Xn.toSetString(e)]=t}walkSourceContents(e){for(let r=0,i=this.children.length;r<i;r++)this.children[r][Xt]&&this.children[r].walkSourceContents(e);let t=Object.keys(this.sourceContents);for(let r=0,i=t.length;r<i;r++)e(Xn.fromSetString(t[r]),this.sourceContents[t[r]])}toString(){let e="";return this.walk(function(t){e+=t}),e}toStringWithSourceMap(e){let t={code:"",line:1,column:0},r=new jE(e),i=!1,s=null,a=null,u=null,l=null;return this.walk(function(h,c){t.code+=h,c.source!==null&&c.line!==null&&c.column!==null?((s!==c.source||a!==c.line||u!==c.column||l!==c.name)&&r.addMapping({source:c.source,original:{line:c.line,column:c.column},generated:{line:t.line,column:t.column},name:c.name}),s=c.source,a=c.line,u=c.column,l=c.name,i=!0):i&&(r.addMapping({generated:{line:t.line,column:t.column}}),s=null,i=!1);for(let f=0,d=h.length;f<d;f++)h.charCodeAt(f)===$E?(t.line++,t.column=0,f+1===d?(s=null,i=!1):i&&r.addMapping({source:c.source,original:{line:c.line,column:c.column},generated:{line:t.line,column:t.column},name:c.name})):t.column++}),this.walkSourceContents(function(h,c){r.setSourceContent(h,c)}),{code:t.code,map:r}}};Bg.SourceNode=qo});var Fg=p(ei=>{ei.SourceMapGenerator=bo().SourceMapGenerator;ei.SourceMapConsumer=Og().SourceMapConsumer;ei.SourceNode=Ig().SourceNode});var Mg=p((QI,Rg)=>{var GE=dr(),zE=Zi().Buffer,WE=Fg().SourceMapGenerator,Lg=H().basename,Ng=H().extname,Pg=H().dirname,Tg=H().join,JE=H().relative,VE=H().sep,HE=Me();Rg.exports=class extends GE{static{o(this,"SourceMapper")}constructor(e,t){super(e,t),t=t||{},this.column=1,this.lineno=1,this.contents={},this.filename=t.filename,this.dest=t.dest;var r=t.sourcemap;this.basePath=r.basePath||".",this.inline=r.inline,this.comment=r.comment,this.dest&&Ng(this.dest)===".css"?(this.basename=Lg(this.dest),this.dest=Pg(this.dest)):this.basename=Lg(this.filename,Ng(this.filename))+".css",this.utf8=!1,this.map=new WE({file:this.basename,sourceRoot:r.sourceRoot||null})}compile(){var e=super.compile(),t=this.basename+".map",r=this.normalizePath(this.dest?Tg(this.dest,t):Tg(Pg(this.filename),t)),i;return this.inline&&(i=this.map.toString(),r="data:application/json;"+(this.utf8?"charset=utf-8;":"")+"base64,"+zE.from(i).toString("base64")),(this.inline||this.comment!==!1)&&(e+="/*# sourceMappingURL="+r+" */"),e}out(e,t){if(t&&t.lineno){var r=this.normalizePath(t.filename);this.map.addMapping({original:{line:t.lineno,column:t.column-1},generated:{line:this.lineno,column:this.column-1},source:r}),this.inline&&!this.contents[r]&&(this.map.setSourceContent(r,HE.readFileSync(t.filename,"utf-8")),this.contents[r]=!0)}return this.move(e),e}move(e){var t=e.match(/\n/g),r=e.lastIndexOf(`
+`);t&&(this.lineno+=t.length),this.column=~r?e.length-r:this.column+e.length}normalizePath(e){return e=JE(this.dest||this.basePath,e),VE=="\\"&&(e=e.replace(/^[a-z]:\\/i,"/").replace(/\\/g,"/")),e}visitLiteral(e){var t=super.visitLiteral(e),r=this.normalizePath(e.filename),i=/^\s+/,s=t.split(`
+`);return s.length>1&&s.forEach(function(a,u){var l=a.match(i),h=l&&l[0]?l[0].length:0;e.css&&(h+=2),this.map.addMapping({original:{line:e.lineno+u,column:h},generated:{line:this.lineno+u,column:0},source:r})},this),t}visitCharset(e){return this.utf8=e.val.string.toLowerCase()=="utf-8",super.visitCharset(e)}}});var Dg=p((XI,jg)=>{var KE=lr(),QE=lt(),YE=x(),ti=S(),Ug=H().dirname,ZE=Me();jg.exports=class extends KE{static{o(this,"DepsResolver")}constructor(e,t){super(e),this.filename=t.filename,this.paths=t.paths||[],this.paths.push(Ug(t.filename||".")),this.options=t,this.functions={},this.deps=[]}visit(e){switch(e.nodeName){case"root":case"block":case"expression":this.visitRoot(e);break;case"group":case"media":case"atblock":case"atrule":case"keyframes":case"each":case"supports":this.visit(e.block);break;default:super.visit(e)}}visitRoot(e){for(var t=0,r=e.nodes.length;t<r;++t)this.visit(e.nodes[t])}visitIdent(e){this.visit(e.val)}visitIf(e){this.visit(e.block),this.visit(e.cond);for(var t=0,r=e.elses.length;t<r;++t)this.visit(e.elses[t])}visitFunction(e){this.functions[e.name]=e.block}visitCall(e){e.name in this.functions&&this.visit(this.functions[e.name]),e.block&&this.visit(e.block)}visitImport(e){if(e.path.first.name!=="url"){var t=!e.path.first.val.isNull&&e.path.first.val||e.path.first.name,r,i,s;if(t&&(r=/\.css(?:"|$)/.test(t),!r&&!/\.styl$/i.test(t)&&(s=t,t+=".styl"),i=ti.find(t,this.paths,this.filename),!i&&s&&(i=ti.lookupIndex(s,this.paths,this.filename)),!!i&&(this.deps=this.deps.concat(i),!r)))for(var a=0,u=i.length;a<u;++a){var l=i[a],h=Ug(l),c=ZE.readFileSync(l,"utf-8"),f=new YE.Block,d=new QE(c,ti.merge({root:f},this.options));~this.paths.indexOf(h)||this.paths.push(h);try{f=d.parse()}catch(m){throw m.filename=l,m.lineno=d.lexer.lineno,m.column=d.lexer.column,m.input=c,m}this.visit(f)}}}resolve(){return this.visit(this.root),ti.uniq(this.deps)}}});var Ds=p((tF,Oo)=>{var $g=lt(),Gg=ug().EventEmitter,XE=Js(),e2=us(),zg=new Gg,Tr=S(),Co=x(),t2=H().join,_o=class extends Gg{static{o(this,"Renderer")}constructor(e,t){super(),t=t||{},t.globals=t.globals||{},t.functions=t.functions||{},t.use=t.use||[],t.use=Array.isArray(t.use)?t.use:[t.use],t.imports=[t2("/lib","functions/index.styl")].concat(t.imports||[]),t.paths=t.paths||[],t.filename=t.filename||"stylus",t.Evaluator=t.Evaluator||XE,this.options=t,this.str=e,this.events=zg}render(e){for(var t=this.parser=new $g(this.str,this.options),r=0,i=this.options.use.length;r<i;r++)this.use(this.options.use[r]);try{Co.filename=this.options.filename;var s=t.parse();this.evaluator=new this.options.Evaluator(s,this.options),this.nodes=Co,this.evaluator.renderer=this,s=this.evaluator.evaluate();var a=new e2(s,this.options);s=a.normalize();var u=this.options.sourcemap?new(Mg())(s,this.options):new(dr())(s,this.options),l=u.compile();this.options.sourcemap&&(this.sourcemap=u.map.toJSON())}catch(d){var h={};if(h.input=d.input||this.str,h.filename=d.filename||this.options.filename,h.lineno=d.lineno||t.lexer.lineno,h.column=d.column||t.lexer.column,!e)throw Tr.formatException(d,h);return e(Tr.formatException(d,h))}var c=this.listeners("end");e&&c.push(e);for(var r=0,i=c.length;r<i;r++){var f=c[r](null,l);f&&(l=f)}if(!e)return l}deps(e){var t=Tr.merge({cache:!1},this.options);e&&(t.filename=e);var r=Dg(),i=new $g(this.str,t);try{Co.filename=t.filename;var s=i.parse(),a=new r(s,t);return a.resolve()}catch(l){var u={};throw u.input=l.input||this.str,u.filename=l.filename||t.filename,u.lineno=l.lineno||i.lexer.lineno,u.column=l.column||i.lexer.column,Tr.formatException(l,u)}}set(e,t){return this.options[e]=t,this}get(e){return this.options[e]}include(e){return this.options.paths.push(e),this}use(e){return e.call(this,this),this}define(e,t,r){return t=Tr.coerce(t,r),t.nodeName?(this.options.globals[e]=t,this):(this.options.functions[e]=t,r!=null&&(t.raw=r),this)}import(e){return this.options.imports.push(e),this}};Oo.exports=_o;Oo.exports.events=zg});var n2=p((nF,Wg)=>{var r2=Ds();Wg.exports=o(function(e,t){return new r2(e,Object.assign({cache:!1},t)).render()},"render")});return n2();})();
+/*! Bundled license information:
+
+stylus/lib/token.js:
+  (*!
+   * Stylus - Token
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/visitor/index.js:
+  (*!
+   * Stylus - Visitor
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/units.js:
+  (*!
+   * Stylus - units
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/stack/index.js:
+  (*!
+   * Stylus - Stack
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/stack/scope.js:
+  (*!
+   * Stylus - stack - Scope
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/stack/frame.js:
+  (*!
+   * Stylus - stack - Frame
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/selector-parser.js:
+  (*!
+   * Stylus - Selector Parser
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/utils.js:
+  (*!
+   * Stylus - utils
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+ieee754/index.js:
+  (*! ieee754. BSD-3-Clause License. Feross Aboukhadijeh <https://feross.org/opensource> *)
+
+buffer/index.js:
+  (*!
+   * The buffer module from node.js, for the browser.
+   *
+   * @author   Feross Aboukhadijeh <https://feross.org>
+   * @license  MIT
+   *)
+
+stylus/lib/functions/image.js:
+  (*!
+   * Stylus - plugin - url
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/visitor/compiler.js:
+  (*!
+   * Stylus - Compiler
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/visitor/normalizer.js:
+  (*!
+   * Stylus - Normalizer
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/functions/index.js:
+  (*!
+   * Stylus - Evaluator - built-in functions
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/colors.js:
+  (*!
+   * Stylus - colors
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+punycode/punycode.js:
+  (*! https://mths.be/punycode v1.4.1 by @mathias *)
+
+stylus/lib/functions/url.js:
+  (*!
+   * Stylus - plugin - url
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/visitor/evaluator.js:
+  (*!
+   * Stylus - Evaluator
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/node.js:
+  (*!
+   * Stylus - Node
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/root.js:
+  (*!
+   * Stylus - Root
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/null.js:
+  (*!
+   * Stylus - Null
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/each.js:
+  (*!
+   * Stylus - Each
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/if.js:
+  (*!
+   * Stylus - If
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/call.js:
+  (*!
+   * Stylus - Call
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/unaryop.js:
+  (*!
+   * Stylus - UnaryOp
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/binop.js:
+  (*!
+   * Stylus - BinOp
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/ternary.js:
+  (*!
+   * Stylus - Ternary
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/block.js:
+  (*!
+   * Stylus - Block
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/unit.js:
+  (*!
+   * Stylus - Unit
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/string.js:
+  (*!
+   * Stylus - String
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/hsla.js:
+  (*!
+   * Stylus - HSLA
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/rgba.js:
+  (*!
+   * Stylus - RGBA
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/ident.js:
+  (*!
+   * Stylus - Ident
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/group.js:
+  (*!
+   * Stylus - Group
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/literal.js:
+  (*!
+   * Stylus - Literal
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/boolean.js:
+  (*!
+   * Stylus - Boolean
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/return.js:
+  (*!
+   * Stylus - Return
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/atrule.js:
+  (*!
+   * Stylus - at-rule
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/media.js:
+  (*!
+   * Stylus - Media
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/query-list.js:
+  (*!
+   * Stylus - QueryList
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/query.js:
+  (*!
+   * Stylus - Query
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/feature.js:
+  (*!
+   * Stylus - Feature
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/params.js:
+  (*!
+   * Stylus - Params
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/comment.js:
+  (*!
+   * Stylus - Comment
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/keyframes.js:
+  (*!
+   * Stylus - Keyframes
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/member.js:
+  (*!
+   * Stylus - Member
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/charset.js:
+  (*!
+   * Stylus - Charset
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/namespace.js:
+  (*!
+   * Stylus - Namespace
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/import.js:
+  (*!
+   * Stylus - Import
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/extend.js:
+  (*!
+   * Stylus - Extend
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/object.js:
+  (*!
+   * Stylus - Object
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/function.js:
+  (*!
+   * Stylus - Function
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/property.js:
+  (*!
+   * Stylus - Property
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/selector.js:
+  (*!
+   * Stylus - Selector
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/expression.js:
+  (*!
+   * Stylus - Expression
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/arguments.js:
+  (*!
+   * Stylus - Arguments
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/atblock.js:
+  (*!
+   * Stylus - @block
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/supports.js:
+  (*!
+   * Stylus - supports
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/nodes/index.js:
+  (*!
+   * Stylus - nodes
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/errors.js:
+  (*!
+   * Stylus - errors
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/lexer.js:
+  (*!
+   * Stylus - Lexer
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/parser.js:
+  (*!
+   * Stylus - Parser
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/visitor/sourcemapper.js:
+  (*!
+   * Stylus - SourceMapper
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+
+stylus/lib/renderer.js:
+  (*!
+   * Stylus - Renderer
+   * Copyright (c) Automattic <developer.wordpress.com>
+   * MIT Licensed
+   *)
+*/
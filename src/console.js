@@ -0,0 +1,132 @@
+import mevent from './lib/mevent.js';
+import { nameOf } from './lib/files.js';
+
+export default function(element) {
+    const list = element.querySelector('ul'),
+    counter = element.querySelector('[data-count]'),
+    clearButton = element.querySelector('[data-clear]'),
+    toggleButton = element.querySelector('[data-toggle]');
+
+    let lastEntry = null, total = 0;
+
+    clearButton.onclick = clear;
+    toggleButton.onclick = toggle;
+
+    mevent.bind('previewConsole', ({ level, args }) => log(level, args))
+    mevent.bind('previewConsoleClear', clear)
+    mevent.bind('runtimeError', ({ message, line, column, position }) => {
+        let where = line ? ` (${line}:${column})` : ''
+
+        if (position) where = ` (${nameOf(position.id)}:${position.line + 1}:${position.column + 1})`
+
+        log('error', [{ type: 'string', preview: `${message}${where}` }])
+    })
+
+    mevent.bind('safeStart', () => {
+        log('warn', [{
+            type: 'string',
+            preview: 'Safe start: the preview froze last time, so auto-run is off. Press Ctrl/Cmd-Enter to run.'
+        }])
+    })
+
+    // each new render starts with a clean console
+    mevent.bind('previewRender', clear)
+
+    function log(level, args) {
+        const signature = level + JSON.stringify(args)
+
+        // same message again, just count it
+        if (lastEntry && lastEntry.signature === signature) {
+            lastEntry.count++
+            lastEntry.badge.textContent = lastEntry.count
+            lastEntry.badge.style.display = 'inline-block'
+        } else {
+            const item = document.createElement('li')
+            item.className = `console-${level}`
+
+            const badge = document.createElement('span')
+            badge.className = 'console-badge'
+            item.appendChild(badge)
+
+            args.forEach(arg => item.appendChild(renderValue(arg, true)))
+            list.appendChild(item)
+
+            lastEntry = { signature, badge, count: 1 }
+        }
+
+        total++
+        counter.textContent = total
+        list.scrollTop = list.scrollHeight
+
+        mevent.trigger('consoleEntry', { level, args })
+    }
+
+    // strings at top level are printed as is, like browsers do
+    function renderValue(value, topLevel = false) {
+        if (!value.entries) {
+            const span = document.createElement('span')
+            span.className = `console-value console-${value.type}`
+            span.textContent = value.type === 'string' && !topLevel
+                ? JSON.stringify(value.preview)
+                : value.preview
+
+            if (value.stack) span.title = value.stack
+
+            return span
+        }
+
+        const details = document.createElement('details')
+        details.className = 'console-value console-tree'
+
+        const summary = document.createElement('summary')
+        summary.textContent = summarize(value)
+        details.appendChild(summary)
+
+        // render children only when expanded for the first time
+        details.addEventListener('toggle', () => {
+            if (!details.open || details.children.length > 1) return
+
+            value.entries.forEach(([key, item]) => {
+                const row = document.createElement('div')
+                row.className = 'console-property'
+
+                const name = document.createElement('span')
+                name.className = 'console-key'
+                name.textContent = `${key}: `
+
+                row.appendChild(name)
+                row.appendChild(renderValue(item))
+                details.appendChild(row)
+            })
+        })
+
+        return details
+    }
+
+    function summarize({ type, preview, entries }) {
+        const items = entries.slice(0, 5).map(([key, item]) => {
+            const text = item.entries ? item.preview : item.preview.slice(0, 20)
+            return type === 'array' ? text : `${key}: ${text}`
+        })
+
+        if (entries.length > 5) items.push('…')
+
+        return type === 'array'
+            ? `${preview} [${items.join(', ')}]`
+            : `${preview} {${items.join(', ')}}`
+    }
+
+    function clear() {
+        list.innerHTML = ''
+        lastEntry = null
+        total = 0
+        counter.textContent = ''
+
+        mevent.trigger('consoleClear')
+    }
+
+    function toggle() {
+        const collapsed = element.classList.toggle('collapsed')
+        element.parentElement.classList.toggle('console-collapsed', collapsed)
+    }
+}
@@ -0,0 +1,38 @@
+import render from './lib/render.js';
+
+// runs in preview.html, the preview popped out of the editor.
+// the editor sends documents and bridge messages over the channel,
+// and gets back everything the bridge in this iframe sends.
+export default function(iframe) {
+    const project = new URLSearchParams(location.search).get('project') || '/';
+    const channel = new BroadcastChannel(`fronteditor:${project}`);
+
+    document.title = `Preview · ${project}`;
+
+    channel.onmessage = ({ data }) => {
+        switch (data.type) {
+            case 'render':
+                render(iframe, data.code, data.options)
+                break
+
+            case 'send':
+                if (iframe.contentWindow) iframe.contentWindow.postMessage(data.message, '*')
+                break
+
+            case 'editorClosed':
+                window.close()
+                break
+        }
+    }
+
+    window.addEventListener('message', ({ data, source }) => {
+        if (source !== iframe.contentWindow || !data || !data.fronteditor) return
+
+        channel.postMessage({ type: 'bridge', message: data })
+    })
+
+    // back to the floating window
+    window.addEventListener('pagehide', () => channel.postMessage({ type: 'closed' }));
+
+    channel.postMessage({ type: 'ready' });
+}
@@ -0,0 +1,118 @@
+import mevent from './lib/mevent.js';
+import Settings from './lib/settings.js';
+
+const presets = {
+    responsive: { label: 'Responsive' },
+    'iphone-se': { label: 'iPhone SE', width: 375, height: 667 },
+    'iphone-14': { label: 'iPhone 14', width: 390, height: 844 },
+    'pixel-7': { label: 'Pixel 7', width: 412, height: 915 },
+    'ipad-mini': { label: 'iPad Mini', width: 768, height: 1024 },
+    'ipad-pro': { label: 'iPad Pro', width: 1024, height: 1366 },
+    laptop: { label: 'Laptop', width: 1366, height: 768 },
+    desktop: { label: 'Desktop', width: 1920, height: 1080 },
+    custom: { label: 'Custom' }
+}
+
+export default function(element) {
+    const toolbar = element.querySelector('.device-toolbar'),
+    viewport = element.querySelector('.viewport'),
+    iframe = viewport.querySelector('iframe'),
+    ruler = element.querySelector('.device-ruler'),
+    presetSelect = toolbar.querySelector('[data-preset]'),
+    widthInput = toolbar.querySelector('[data-width]'),
+    heightInput = toolbar.querySelector('[data-height]'),
+    rotateButton = toolbar.querySelector('[data-rotate]'),
+    fitButton = toolbar.querySelector('[data-fit]'),
+    sizeLabel = toolbar.querySelector('[data-size]');
+
+    let device = Settings.get('device');
+
+    presetSelect.innerHTML = Object.entries(presets)
+        .map(([value, { label }]) => `<option value="${value}">${label}</option>`)
+        .join('');
+
+    presetSelect.onchange = () => {
+        const { width, height } = presets[presetSelect.value]
+
+        update({ preset: presetSelect.value, ...(width ? { width, height } : {}) })
+    }
+
+    widthInput.onchange = heightInput.onchange = () => {
+        const width = Number(widthInput.value) || size().width,
+        height = Number(heightInput.value) || size().height;
+
+        // inputs show the rotated size, the saved one is upright
+        update(device.rotated
+            ? { preset: 'custom', width: height, height: width }
+            : { preset: 'custom', width, height })
+    }
+
+    rotateButton.onclick = () => update({ rotated: !device.rotated });
+    fitButton.onclick = () => update({ fit: !device.fit });
+
+    // the floating window changes size all the time
+    new ResizeObserver(apply).observe(viewport);
+
+    apply()
+
+    function update(changes) {
+        device = { ...device, ...changes }
+        Settings.set('device', device)
+
+        apply()
+    }
+
+    // room left for the iframe, the ruler takes a strip on top
+    function available() {
+        return {
+            width: viewport.clientWidth,
+            height: viewport.clientHeight - ruler.offsetHeight
+        }
+    }
+
+    function size() {
+        if (device.preset === 'responsive') return available()
+
+        return device.rotated
+            ? { width: device.height, height: device.width }
+            : { width: device.width, height: device.height }
+    }
+
+    function apply() {
+        const responsive = device.preset === 'responsive'
+
+        element.classList.toggle('device', !responsive)
+
+        const room = available()
+        const { width, height } = size()
+
+        // scale down only, to see the whole device inside the window
+        const scale = device.fit && !responsive
+            ? Math.min(room.width / width, room.height / height, 1)
+            : 1
+
+        const left = responsive ? 0 : Math.max((room.width - width * scale) / 2, 0)
+
+        iframe.style.width = responsive ? '' : width + 'px'
+        iframe.style.height = responsive ? '' : height + 'px'
+        iframe.style.left = responsive ? '' : left + 'px'
+        iframe.style.top = responsive ? '' : ruler.offsetHeight + 'px'
+        iframe.style.transform = scale === 1 ? '' : `scale(${scale})`
+
+        ruler.style.width = (width * scale) + 'px'
+        ruler.style.left = left + 'px'
+        ruler.style.setProperty('--tick', (100 * scale) + 'px')
+
+        presetSelect.value = device.preset
+        widthInput.value = Math.round(width)
+        heightInput.value = Math.round(height)
+        widthInput.disabled = heightInput.disabled = responsive
+        rotateButton.disabled = responsive
+        fitButton.classList.toggle('active', device.fit)
+
+        sizeLabel.textContent = `${Math.round(width)} × ${Math.round(height)}`
+            + (scale === 1 ? '' : ` @ ${Math.round(scale * 100)}%`)
+
+        mevent.trigger('deviceChange', { ...device, width, height, scale })
+    }
+}
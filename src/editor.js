@@ -1,96 +1,530 @@
-import { b64EncodeUnicode, debounceEvent } from './lib/utils.js'
 import Storage from './lib/storage.js'
+import mevent from './lib/mevent.js'
+import { bridgeScript, send } from './lib/bridge.js'
+import assemble from './lib/assembler.js'
+import { addMarker, clearMarkers, gutter } from './lib/markers.js'
+import render, { baseTag, renderOptions } from './lib/render.js'
+import { isDetached, post } from './lib/detach.js'
+import createRunner from './lib/runner.js'
+import Settings from './lib/settings.js'
+import protect, { GUARD } from './lib/loopguard.js'
+import { escapeHtml } from './lib/utils.js'
+import checkSyntax from './lib/syntax.js'
+import { annotate, findTag, tagMatches, SOURCE_ATTRIBUTE } from './lib/sourcetags.js'
+import { parseImportMap, importMapTag, findImports, resolves } from './lib/importmap.js'
+import resourceTags from './lib/resources.js'
+import { compile, isCompiled, keepsLines, kindOf } from './lib/languages.js'
+import { list as listFiles, fileById, inPreview } from './lib/files.js'
+import { pages, pageId, current as currentPage, go } from './lib/pages.js'
+import { publish, linkFiles, linkImports, fileImports, nameOfUrl } from './lib/vfs.js'
 
 export default function () {
     const renderedEditors = [];
     let editors = ['htmlmixed', 'css', 'javascript', 'markdown'];
 
-    const formatCode = value => ({
-        htmlmixed: value,
-        css: `<style>${value}</style>`,
-        javascript: `<script>${value}</script>`,
-        markdown: '' /* don't display markdown value */
-    })
-    
+    let documentMap = null; /* where each editor is in the last rendered document */
+    let annotatedHtml = null; /* html tab code the offsets in the preview point into */
+
+    const editorById = id => (renderedEditors.find(rendered => rendered.id === id) || {}).editor
+
+    // where each kind of code goes in the document (see assembler.js),
+    // the html tab is the document itself. html files aren't in it
+    const placeCode = {
+        css: { slot: 'head', before: id => `<style data-fronteditor="${id}">`, after: '</style>' },
+        javascript: {
+            slot: 'body',
+            before: () => Settings.get('jsModule') ? '<script type="module">' : '<script>',
+            after: '</script>'
+        },
+        markdown: null /* rendered in its own pane, see markdown.js */
+    }
+
+    // tabs that can be left out of the preview (see inPreview in files.js),
+    // css and javascript can also be moved to another slot (*Placement
+    // settings). files follow the tab of their kind
+    const previewTabs = ['htmlmixed', 'css', 'javascript']
+
+    // settings that change the generated document
+    const documentSettings = ['htmlmixedLanguage', 'cssLanguage', 'javascriptLanguage', 'jsxPragma', 'jsxPragmaFrag', 'tabsInPreview', 'cssPlacement', 'javascriptPlacement', 'renderMode', 'sandbox', 'headTitle', 'headTags', 'htmlClass', 'bodyClass', 'jsModule', 'importMap', 'resources', 'files']
+
+    // code changes before going to the preview
+    const transformCode = {
+        javascript: (value, id) => {
+            const linked = Settings.get('jsModule') ? linkImports(value, listFiles().map(({ name }) => name)) : value
+
+            return Settings.get('loopProtect') ? protect(linked, id) : linked
+        }
+    }
 
-    function addCodeToIframe(code) {
-        const data_url = "data:text/html;charset=utf-8;base64," + b64EncodeUnicode(code);
-        document.getElementById("result").src = data_url; 
+    let lastValues = null; /* values of the last submit, to know what changed */
+    let submissions = 0; /* compiling is async, only the last submit goes on */
+    let unrendered = { changed: [], force: false }; /* what the submits waiting for it changed */
+    let previewReady = false; /* bridge is up and can take live updates */
+
+    // only css changes can be sent to the live page, to the <style> of
+    // their tab or file (see placeCode). a file left out is only linked
+    const isCss = id => kindOf(id) === 'css' && inPreview(id)
+    const hotSwappable = id => isCss(id) || kindOf(id) === 'markdown'
+
+    function addCodeToIframe(code, values) {
+        previewReady = false
+
+        mevent.trigger('previewRender', values)
+
+        if (isDetached()) {
+            post({ type: 'render', code, options: renderOptions() })
+        } else {
+            render(document.getElementById("result"), code)
+        }
     }   
 
-    function submitHtml()
+    // the project's head section, from the settings
+    function headSection() {
+        const title = Settings.get('headTitle')
+
+        return [
+            title && `<title>${escapeHtml(title)}</title>`,
+            Settings.get('headTags')
+        ].filter(Boolean)
+    }
+
+    // import map of the settings and of the files, module scripts only
+    function moduleSection(urls) {
+        if (!Settings.get('jsModule')) return []
+
+        const { map } = parseImportMap(Settings.get('importMap'))
+        const files = fileImports(urls)
+
+        if (!map && !Object.keys(files).length) return []
+
+        return [importMapTag({ ...map, imports: { ...files, ...(map && map.imports) } })]
+    }
+
+    // a link to a page that isn't there (anymore)
+    const notFound = page => `<h1>Not found</h1><p>${escapeHtml(page)} is not a page of the project.</p>`
+
+    // code is what goes in the page, values what the editors hold. the
+    // page is the html tab or an html file, see pages.js
+    function renderDocument(code, values) {
+        const page = currentPage()
+        const pageEditor = pageId(page)
+
+        // every file can be loaded by name, as it would be in the page
+        const urls = publish(listFiles().map(({ id, name }) => {
+            const kind = kindOf(id)
+            const transform = transformCode[kind]
+            const value = code[id] || ''
+
+            return { name, kind, code: transform && value ? transform(value, id) : value }
+        }))
+
+        const slots = {
+            top: [
+                baseTag(),
+                bridgeScript({
+                    guard: GUARD,
+                    loopTimeout: Number(Settings.get('loopTimeout')) || 1000,
+                    sourceAttribute: SOURCE_ATTRIBUTE,
+                    pages: pages(),
+                    storagePrefix: `fronteditor-preview:${location.pathname}:`,
+                    aliveAfter: 3000
+                }),
+                ...moduleSection(urls),
+                ...headSection(),
+                ...resourceTags(Settings.get('resources'))
+            ],
+            head: [],
+            body: []
+        }
+
+        // files go before the tab of their kind, the tab's script can use
+        // what utils.js defines and its css wins over theme.css. files
+        // left out can still be linked by name
+        const ordered = [
+            ...renderedEditors.filter(({id}) => fileById(id) && inPreview(id)),
+            ...renderedEditors.filter(({id}) => !fileById(id))
+        ]
+
+        ordered.forEach(({id}) => {
+            const value = code[id]
+            const kind = kindOf(id)
+            const place = placeCode[kind]
+
+            if (!value || !place) return
+
+            const transform = transformCode[kind]
+
+            slots[Settings.get(`${kind}Placement`) || place.slot].push({
+                id,
+                code: transform ? transform(value, id) : value,
+                before: typeof place.before === 'function' ? place.before(id) : place.before,
+                after: place.after
+            })
+        })
+
+        const html = pageEditor ? code[pageEditor] || '' : notFound(page)
+        const htmlEditor = editorById('htmlmixed')
+
+        // offsets only mean something in the html tab, written by hand
+        annotatedHtml = pageEditor === 'htmlmixed' && htmlEditor && !isCompiled('htmlmixed') ? html : null
+
+        const annotated = annotatedHtml === null ? html : annotate(html, tagMatches(html))
+
+        const map = assemble({
+            html: linkFiles(annotated, urls, pages()),
+            id: pageEditor || 'notFound',
+            ...slots,
+            htmlClass: Settings.get('htmlClass'),
+            bodyClass: Settings.get('bodyClass')
+        })
+
+        documentMap = map
+
+        // cleared when the page is still alive a while after load, if
+        // it's still here on the next start, the preview froze the
+        // editor. a page that can't run scripts can't freeze it
+        if (renderOptions().sandbox.includes('allow-scripts')) Storage.add('previewRunning', true)
+
+        addCodeToIframe(map.toString(), values)
+
+        // the console starts clean with each render, so only now
+        const { error } = Settings.get('jsModule') ? parseImportMap(Settings.get('importMap')) : {}
+
+        if (error) {
+            mevent.trigger('previewConsole', { level: 'error', args: [{ type: 'string', preview: error }] })
+        }
+    }
+
+    function submitHtml(force = false)
     {
-        let editorValue = '' /* temp editor value */
+        const values = {}
 
         renderedEditors.forEach(({id, editor}) => {
             editor.save()
 
             let value = document.getElementById(`editor-${id}`).value;
+            values[id] = value
             
             if (value) { // we has value, so, put it to storage and editor
                 Storage.add(id, value)
-                editorValue += formatCode(value)[id]
             } else {
                 Storage.remove(id) // if editor is empty, remove from storage
             }
         })
 
-        addCodeToIframe(editorValue)
+        // tabs left out render as if they were empty
+        previewTabs.forEach(id => {
+            if (!inPreview(id)) values[id] = ''
+        })
 
-        editorValue = '' /* clear temp editor value */
-    }
+        const changed = Object.keys(values).filter(id => !lastValues || values[id] !== lastValues[id])
+        lastValues = values
+
+        if (!force && !changed.length) return
+
+        if (changed.includes('markdown')) mevent.trigger('markdownRender', values.markdown)
+
+        unrendered = {
+            changed: [...new Set([...unrendered.changed, ...changed])],
+            force: unrendered.force || force
+        }
+
+        const submission = ++submissions
+
+        compileAll(values).then(({ code, errors }) => {
+            if (submission !== submissions) return
+
+            const pending = unrendered
+            unrendered = { changed: [], force: false }
 
-    (function buildEditor() {
-        const createEditor = name => options => 
-        CodeMirror.fromTextArea(document.getElementById(`editor-${name}`), {
-            mode:  { name },
-            ...options
+            update(code, errors, pending.changed, pending.force, values)
         })
+    }
+
+    // code of every tab as the preview runs it, with the compile errors
+    function compileAll(values) {
+        const errors = []
+
+        return Promise.all(Object.keys(values).map(id => compile(id, values[id]).then(
+            compiled => [id, compiled],
+            error => {
+                errors.push({
+                    id,
+                    message: error.message || String(error),
+                    line: error.line || 0,
+                    column: error.column || 0
+                })
 
-        const configuredEditors = {
-            htmlmixed: createEditor("htmlmixed"),
-            css: createEditor("css"),
-            javascript: createEditor("javascript"),
-            markdown: createEditor("markdown"),
+                return [id, '']
+            }
+        ))).then(entries => ({ code: Object.fromEntries(entries), errors }))
+    }
+
+    function update(code, errors, changed, force, values) {
+        // a half typed line must not wipe the page, keep the last good render
+        const error = checkCode(code, errors)
+
+        const updateCss = () => changed
+            .filter(id => isCss(id) && !errors.some(failed => failed.id === id))
+            .forEach(id => send('updateCss', { id, css: code[id] }))
+
+        if (!force && previewReady && changed.every(hotSwappable)) {
+            updateCss()
+            return
         }
 
-        editors.forEach(editorName => {
-            const options = {
-                lineNumbers: true,
-                lineWrapping: true,
-                theme: editorName !== 'markdown' ? 'dracula' : 'default',
-                foldGutter: true,
-                gutters: ["CodeMirror-linenumbers", "CodeMirror-foldgutter"],
-                extraKeys : {
-                    "Ctrl-Space": "autocomplete",
-                    'Tab': 'emmetExpandAbbreviation',
-                    'Esc': 'emmetResetAbbreviation',
-                    'Enter': 'emmetInsertLineBreak',
-                    'Cmd-/': 'emmetToggleComment',
-                    'Ctrl-/': 'emmetToggleComment',
-                    "Ctrl-Q": function(cm){
-                        cm.foldCode(cm.getCursor());
-                    }
-                }
-            };
-    
-            const editor = configuredEditors[editorName](options)
-    
-            editor.on('keyup', debounceEvent(submitHtml))
-    
-            renderedEditors.push({
-                id: editorName,
-                editor
+        if (error) {
+            if (previewReady) updateCss()
+            return
+        }
+
+        renderDocument(code, values)
+    }
+
+    // compile errors and javascript syntax errors, as markers. returns
+    // the first one, or null when the code can go to the preview
+    function checkCode(code, errors) {
+        renderedEditors.forEach(({editor}) => clearMarkers(editor, 'compile'))
+
+        errors.forEach(({ id, line, message }) => {
+            const editor = editorById(id)
+            if (editor) addMarker(editor, { line, message, group: 'compile' })
+        })
+
+        const isModule = Settings.get('jsModule')
+        const syntaxErrors = []
+
+        renderedEditors.filter(({id}) => kindOf(id) === 'javascript').forEach(({id, editor}) => {
+            clearMarkers(editor, 'syntax')
+
+            // left out of the preview, it can't break it
+            if (!inPreview(id)) {
+                clearMarkers(editor, 'imports')
+                return
+            }
+
+            // compiled javascript is checked by its compiler
+            const syntaxError = isCompiled(id) ? null
+                : checkSyntax(code[id], isModule ? 'module' : 'script')
+
+            if (syntaxError) {
+                addMarker(editor, {
+                    line: syntaxError.line,
+                    message: `SyntaxError: ${syntaxError.message}`,
+                    group: 'syntax'
+                })
+
+                syntaxErrors.push({ id, ...syntaxError })
+            } else {
+                checkImports(editor, isModule && !isCompiled(id) ? code[id] : '')
+            }
+        })
+
+        const error = errors.find(({ id }) => inPreview(id)) || syntaxErrors[0] || null
+
+        mevent.trigger('previewSyntaxError', error)
+
+        return error
+    }
+
+    // bare specifiers the import map doesn't know fail in the preview,
+    // tell it where they're written. it doesn't stop the run
+    function checkImports(editor, code) {
+        clearMarkers(editor, 'imports')
+
+        if (!code) return
+
+        const { map } = parseImportMap(Settings.get('importMap'))
+
+        findImports(code)
+            .filter(({ specifier }) => !resolves(specifier, map))
+            .forEach(({ specifier, line }) => addMarker(editor, {
+                line,
+                message: `Cannot resolve "${specifier}": add it to the import map in the settings`,
+                group: 'imports'
+            }))
+    }
+
+    const runner = createRunner(submitHtml)
+
+    mevent.bind('previewReady', () => previewReady = true)
+
+    // a page can freeze after it's up, the flag goes once it stayed alive
+    mevent.bind('previewAlive', () => Storage.remove('previewRunning'))
+
+    mevent.bind('loopGuard', ({ line, id = 'javascript' }) => {
+        if (!editorById(id) || !keepsLines(id)) return
+
+        addMarker(editorById(id), {
+            line,
+            message: `Loop stopped after ${Settings.get('loopTimeout')}ms, is it infinite?`,
+            group: 'runtime'
+        })
+    })
+    mevent.bind('previewReload', () => runner.runNow(true))
+
+    // links to pages of the project, followed in the preview
+    mevent.bind('previewNavigate', go)
+    mevent.bind('pageChange', () => runner.schedule(true))
+
+    // moving between windows starts a fresh page where it lands
+    mevent.bind('previewDetached', () => {
+        render(document.getElementById("result"), '') // stop the page left behind
+        runner.schedule(true)
+    })
+    mevent.bind('previewDocked', () => runner.schedule(true))
+
+    // editors measure themselves, tell them when their room changes
+    mevent.bind('layoutChange', () => {
+        renderedEditors.forEach(({editor}) => editor.refresh())
+    })
+
+    mevent.bind('settingsChange', key => {
+        if (documentSettings.includes(key)) runner.schedule(true)
+    })
+
+    // where an error of the preview is in the editors. project files
+    // load from their own blob: url and keep their lines, the rest of
+    // the code is in the document
+    function locateError({ file, line, column }) {
+        if (!file) return documentMap && documentMap.locate(line, column)
+
+        const name = nameOfUrl(file)
+        const owner = name && listFiles().find(entry => entry.name === name)
+
+        return owner ? { id: owner.id, line: line - 1, column: (column || 1) - 1 } : null
+    }
+
+    mevent.bind('previewError', error => {
+        const position = locateError(error)
+
+        // lines of most compiled code don't match the ones in the editor
+        const editor = position && keepsLines(position.id) && editorById(position.id)
+
+        if (editor) {
+            addMarker(editor, {
+                line: position.line,
+                message: error.message,
+                group: 'runtime'
             })
+        }
 
-            // if has data on storage, put it back to editor
-            
-            const data = Storage.get(editorName)
+        mevent.trigger('runtimeError', { ...error, position })
+    })
+
+    // element picked in the preview, select its tag in the html tab
+    mevent.bind('inspectSelect', ({ offset }) => {
+        const editor = editorById('htmlmixed')
+
+        // the html tab moved on since the page was built
+        if (!editor || editor.getValue() !== annotatedHtml) return
+
+        const match = findTag(tagMatches(annotatedHtml), offset)
+        if (!match) return
+
+        mevent.trigger('selectTab', 'htmlmixed')
+
+        const from = editor.posFromIndex(match.open[0])
+        const to = editor.posFromIndex(match.close ? match.close[1] : match.open[1])
+
+        editor.setSelection(from, to)
+        editor.scrollIntoView({ from, to }, 50)
+        editor.focus()
+    })
 
-            if (data) {
-                editor.setValue(data)
-                submitHtml() 
+    mevent.bind('previewRender', () => {
+        renderedEditors.forEach(({editor}) => clearMarkers(editor, 'runtime'))
+    });
+
+    // open with ?safe or after a frozen preview, without running anything
+    const safeStart = Storage.get('previewRunning') || new URLSearchParams(location.search).has('safe')
+
+    if (safeStart) runner.safeStart();
+
+    const createEditor = (name, mode = name) => options => 
+    CodeMirror.fromTextArea(document.getElementById(`editor-${name}`), {
+        mode:  { name: mode },
+        ...options
+    })
+
+    const configuredEditors = {
+        htmlmixed: createEditor("htmlmixed"),
+        css: createEditor("css"),
+        javascript: createEditor("javascript"),
+        markdown: createEditor("markdown", "gfm"),
+    }
+
+    function buildEditor(editorName) {
+        const options = {
+            lineNumbers: true,
+            lineWrapping: true,
+            theme: editorName !== 'markdown' ? 'dracula' : 'default',
+            foldGutter: true,
+            gutters: [gutter, "CodeMirror-linenumbers", "CodeMirror-foldgutter"],
+            extraKeys : {
+                "Ctrl-Space": "autocomplete",
+                'Tab': 'emmetExpandAbbreviation',
+                'Esc': 'emmetResetAbbreviation',
+                'Enter': 'emmetInsertLineBreak',
+                'Cmd-/': 'emmetToggleComment',
+                'Ctrl-/': 'emmetToggleComment',
+                'Ctrl-Enter': () => runner.runNow(),
+                'Cmd-Enter': () => runner.runNow(),
+                "Ctrl-Q": function(cm){
+                    cm.foldCode(cm.getCursor());
+                }
             }
+        };
+
+        // files start as plain text, languages.js gives them their mode
+        const create = configuredEditors[editorName] || createEditor(editorName, 'null')
+        const editor = create(options)
+
+        editor.on('change', () => runner.schedule())
+
+        mevent.trigger('editorCreated', editorName, editor)
+
+        renderedEditors.push({
+            id: editorName,
+            editor
         })
-    })(); // auto run
-}
\ No newline at end of file
+
+        // if has data on storage, put it back to editor
+        
+        const data = Storage.get(editorName)
+
+        if (data) {
+            editor.setValue(data)
+
+            if (!safeStart) runner.runNow()
+        }
+    }
+
+    // a file gets a section like the tabs in index.html
+    function buildFile({ id }) {
+        const section = document.createElement('section')
+
+        section.id = id
+        section.innerHTML = `<textarea id="editor-${id}"></textarea>`
+        document.querySelector('.tab-contents').appendChild(section)
+
+        buildEditor(id)
+    }
+
+    mevent.bind('fileAdd', buildFile)
+
+    // its code goes too, the preview runs again once it's off the list
+    mevent.bind('fileRemove', ({ id }) => {
+        const index = renderedEditors.findIndex(rendered => rendered.id === id)
+        if (index === -1) return
+
+        renderedEditors[index].editor.toTextArea()
+        renderedEditors.splice(index, 1)
+
+        document.getElementById(id).remove()
+        Storage.remove(id)
+    })
+
+    editors.forEach(buildEditor)
+    listFiles().forEach(buildFile)
+}
@@ -0,0 +1,50 @@
+import mevent from './lib/mevent.js';
+import { send } from './lib/bridge.js';
+import { tagAt, tagMatches } from './lib/sourcetags.js';
+import { isCompiled } from './lib/languages.js';
+
+// outlines in the preview the element the html cursor is in. offsets
+// only mean something against the html the page was built from, so
+// nothing is shown while the html tab is ahead of the preview.
+export default function() {
+    let editor = null,
+    rendered = null, /* html of the page in the preview */
+    current = null; /* offset highlighted right now */
+
+    mevent.bind('editorCreated', (id, createdEditor) => {
+        if (id !== 'htmlmixed') return;
+
+        editor = createdEditor;
+        editor.on('cursorActivity', update);
+        editor.on('focus', update);
+        editor.on('blur', () => show(null));
+    });
+
+    mevent.bind('previewRender', values => {
+        rendered = values ? values.htmlmixed || '' : null;
+        current = null;
+    });
+
+    // a new page has no highlight yet
+    mevent.bind('previewReady', update);
+
+    function update() {
+        if (!editor || !editor.hasFocus()) return show(null);
+
+        const code = editor.getValue();
+        if (code !== rendered || isCompiled('htmlmixed')) return show(null);
+
+        const match = tagAt(tagMatches(code), editor.indexFromPos(editor.getCursor()));
+
+        show(match ? match.open[0] : null);
+    }
+
+    function show(offset) {
+        if (offset === current) return;
+
+        current = offset;
+        send('highlightSource', offset);
+
+        mevent.trigger('sourceCursor', offset);
+    }
+}
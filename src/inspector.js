@@ -0,0 +1,146 @@
+import mevent from './lib/mevent.js';
+import { send } from './lib/bridge.js';
+import { escapeHtml } from './lib/utils.js';
+import ruleLines from './lib/cssrules.js';
+import { isCompiled } from './lib/languages.js';
+
+// side panel of the preview with the box model, the css tab rules that
+// match the selected element and some computed values. the element is
+// the one picked in the preview or the one the html cursor is in.
+export default function(element) {
+    const preview = element.parentElement,
+    toggleButton = preview.querySelector('header [data-inspector]'),
+    closeButton = element.querySelector('[data-close]'),
+    nameLabel = element.querySelector('[data-name]'),
+    content = element.querySelector('.inspector-content');
+
+    let isOpen = false,
+    offset = null, /* source offset of the element in the html tab */
+    cssEditor = null;
+
+    toggleButton.onclick = () => toggle(!isOpen);
+    closeButton.onclick = () => toggle(false);
+
+    mevent.bind('editorCreated', (id, editor) => {
+        if (id === 'css') cssEditor = editor;
+    });
+
+    mevent.bind('inspectSelect', ({ offset }) => select(offset));
+    mevent.bind('sourceCursor', offset => {
+        if (offset !== null) select(offset);
+    });
+
+    // a new page, same element if it's still there
+    mevent.bind('previewReady', request);
+
+    mevent.bind('elementInfo', show);
+
+    show(null);
+
+    function toggle(open) {
+        isOpen = open;
+
+        preview.classList.toggle('inspector-open', open);
+        toggleButton.classList.toggle('active', open);
+
+        request();
+    }
+
+    function select(newOffset) {
+        offset = newOffset;
+        request();
+    }
+
+    function request() {
+        if (isOpen && offset !== null) send('inspectElement', offset);
+    }
+
+    function show(info) {
+        nameLabel.textContent = info ? info.name : '';
+
+        if (!info) {
+            content.innerHTML = '<p class="inspector-empty">Pick an element in the preview or put the html cursor in a tag.</p>';
+            return;
+        }
+
+        content.innerHTML = `
+            <section>${boxModel(info.box)}</section>
+            <section>
+                <h3>Rules</h3>
+                ${info.rules.length ? info.rules.map(rule).join('') : '<p class="inspector-empty">No rule of the css tab matches.</p>'}
+            </section>
+            <section>
+                <h3>Computed</h3>
+                <table>${info.computed.map(([property, value]) =>
+                    `<tr><td>${escapeHtml(property)}</td><td>${escapeHtml(value)}</td></tr>`).join('')}
+                </table>
+            </section>`;
+
+        content.querySelectorAll('[data-line]').forEach(link => {
+            link.onclick = () => jumpTo(Number(link.dataset.line));
+        });
+    }
+
+    function boxModel({ margin, border, padding, width, height }) {
+        const layer = (name, [top, right, bottom, left], inner) => `
+            <div class="box-${name}">
+                <span class="box-label">${name}</span>
+                <span class="box-top">${top || '-'}</span>
+                <span class="box-left">${left || '-'}</span>
+                ${inner}
+                <span class="box-right">${right || '-'}</span>
+                <span class="box-bottom">${bottom || '-'}</span>
+            </div>`;
+
+        return `<div class="box-model">${
+            layer('margin', margin,
+                layer('border', border,
+                    layer('padding', padding, `<div class="box-content">${width} × ${height}</div>`)))
+        }</div>`;
+    }
+
+    function rule({ selector, index, specificity, declarations }) {
+        const line = index === null ? null : ruleLine(index, selector);
+
+        const link = line === null ? ''
+            : `<a data-line="${line}" title="Show in the css tab">css:${line + 1}</a>`;
+
+        const weight = specificity ? `<small title="specificity">${specificity.join(',')}</small>` : '';
+
+        return `
+            <div class="inspector-rule">
+                <div><code>${escapeHtml(selector)}</code> ${weight} ${link}</div>
+                <ul>${declarations.map(({ property, value, important, overridden }) => `
+                    <li class="${overridden ? 'overridden' : ''}">
+                        ${escapeHtml(property)}: ${escapeHtml(value)}${important ? ' !important' : ''};
+                    </li>`).join('')}
+                </ul>
+            </div>`;
+    }
+
+    // the browser drops rules it can't parse, so the index is checked
+    // against the selector before trusting it. compiled css has rules
+    // the css tab doesn't, at other lines
+    function ruleLine(index, selector) {
+        if (!cssEditor || isCompiled('css')) return null;
+
+        const rules = ruleLines(cssEditor.getValue());
+        const normalize = text => text.replace(/\s+/g, '').toLowerCase();
+
+        if (rules[index] && normalize(rules[index].selector) === normalize(selector)) return rules[index].line;
+
+        const found = rules.find(rule => normalize(rule.selector) === normalize(selector));
+
+        return found ? found.line : null;
+    }
+
+    function jumpTo(line) {
+        if (!cssEditor) return;
+
+        mevent.trigger('selectTab', 'css');
+
+        cssEditor.setCursor({ line, ch: 0 });
+        cssEditor.scrollIntoView({ line, ch: 0 }, 50);
+        cssEditor.focus();
+    }
+}
@@ -0,0 +1,55 @@
+import mevent from './lib/mevent.js';
+import Settings from './lib/settings.js';
+import { languages, languageKey, languageOf, loadLanguage } from './lib/languages.js';
+
+// language selectors of the tabs. the editor mode follows the choice,
+// or the extension for files. compiling for the preview is done by editor.js
+export default function() {
+    const editors = {},
+    selects = {};
+
+    // mode files are next to the other ones
+    CodeMirror.modeURL = '/lib/mode/%N/%N.js';
+
+    document.querySelectorAll('select[data-language]').forEach(select => {
+        const id = select.dataset.language;
+
+        select.innerHTML = Object.entries(languages[id])
+            .map(([value, { label }]) => `<option value="${value}">${label}</option>`)
+            .join('');
+
+        select.value = Settings.get(languageKey(id));
+        select.onchange = () => Settings.set(languageKey(id), select.value);
+
+        selects[id] = select;
+    });
+
+    mevent.bind('editorCreated', (id, editor) => {
+        editors[id] = editor;
+        applyMode(id);
+    });
+
+    mevent.bind('settingsChange', key => {
+        const id = Object.keys(selects).find(id => languageKey(id) === key);
+        if (!id) return;
+
+        selects[id].value = Settings.get(key);
+        applyMode(id);
+    });
+
+    // a new extension can be a new mode
+    mevent.bind('fileRename', ({ id }) => applyMode(id));
+    mevent.bind('fileRemove', ({ id }) => delete editors[id]);
+
+    function applyMode(id) {
+        const editor = editors[id],
+        language = languageOf(id);
+
+        if (!editor || !language) return;
+
+        loadLanguage(language).then(() => {
+            // switched again while loading
+            if (languageOf(id) === language) editor.setOption('mode', language.mode);
+        });
+    }
+}
@@ -0,0 +1,174 @@
+import createDocumentMap from './docmap.js'
+import { escapeHtml } from './utils.js'
+
+// builds the preview document around the html tab. the html tab can
+// hold a full document or just a fragment, code from the other tabs
+// goes into named slots:
+//
+//   top   first thing in <head>, before any code from the html tab
+//   head  end of <head>
+//   body  end of <body>
+//
+// a chunk is generated markup (a string) or code from an editor:
+// { id, code, before, after }, so the document map can track it.
+
+const find = (html, regex, comments) => {
+    const pattern = new RegExp(regex.source, 'gi')
+    let match
+
+    while ((match = pattern.exec(html))) {
+        const at = match.index
+        if (!comments.some(([start, end]) => at > start && at < end)) return match
+    }
+
+    return null
+}
+
+// [start, end] of every <!-- comment -->, tags inside them don't count
+function commentRanges(html) {
+    const ranges = []
+    const pattern = /<!--[\s\S]*?(-->|$)/g
+    let match
+
+    while ((match = pattern.exec(html))) {
+        ranges.push([match.index, match.index + match[0].length])
+        if (!match[0].length) break
+    }
+
+    return ranges
+}
+
+function positionAt(source, offset) {
+    const lines = source.slice(0, offset).split('\n')
+
+    return { line: lines.length - 1, column: lines[lines.length - 1].length }
+}
+
+const classAttribute = classes => classes ? ` class="${escapeHtml(classes)}"` : ''
+
+// adds classes to an opening tag, merging with a class attribute if any
+function addClasses(tag, classes) {
+    if (!classes) return tag
+
+    const existing = /(\sclass\s*=\s*)(["'])/i.exec(tag)
+
+    if (existing) {
+        const at = existing.index + existing[0].length
+        return tag.slice(0, at) + escapeHtml(classes) + ' ' + tag.slice(at)
+    }
+
+    return tag.replace(/\s*\/?>$/, match => classAttribute(classes) + match)
+}
+
+export function isFullDocument(html) {
+    const comments = commentRanges(html)
+
+    return [/<!doctype\b/, /<html[\s>]/, /<head[\s>]/, /<body[\s>]/]
+        .some(regex => find(html, regex, comments))
+}
+
+export default function assemble({ html = '', id = 'htmlmixed', top = [], head = [], body = [], htmlClass = '', bodyClass = '' }) {
+    const map = createDocumentMap()
+    const comments = commentRanges(html)
+
+    const write = chunk => {
+        if (typeof chunk === 'string') return map.append(chunk)
+
+        map.append(chunk.before || '')
+        map.appendSource(chunk.id, chunk.code)
+        map.append(chunk.after || '')
+    }
+
+    const writeAll = chunks => chunks.forEach(write)
+
+    const has = regex => find(html, regex, comments)
+
+    // things every document needs. the charset goes first whatever the
+    // html tab says, the document is utf-8 and the top slot is long enough
+    // to push a charset of the html tab out of the first 1024 bytes
+    const essentials = [
+        '<meta charset="utf-8">',
+        !has(/<meta\s[^>]*name\s*=\s*["']?viewport/) && '<meta name="viewport" content="width=device-width, initial-scale=1">'
+    ].filter(Boolean)
+
+    if (!isFullDocument(html)) {
+        map.append('<!DOCTYPE html>\n')
+        map.append(`<html${classAttribute(htmlClass)}><head>`)
+        writeAll(essentials)
+        writeAll(top)
+        writeAll(head)
+        map.append(`</head><body${classAttribute(bodyClass)}>\n`)
+        map.appendSource(id, html)
+        map.append('\n')
+        writeAll(body)
+        map.append('</body></html>')
+
+        return map
+    }
+
+    const doctype = has(/<!doctype[^>]*>/),
+        htmlOpen = has(/<html(?=[\s>])[^>]*>/),
+        headOpen = has(/<head(?=[\s>])[^>]*>/),
+        headClose = has(/<\/head\s*>/),
+        bodyOpen = has(/<body(?=[\s>])[^>]*>/),
+        bodyClose = has(/<\/body\s*>/),
+        htmlClose = has(/<\/html\s*>/);
+
+    const after = match => match.index + match[0].length
+
+    // where each slot goes in the html tab code
+    const topAt = headOpen ? after(headOpen)
+        : htmlOpen ? after(htmlOpen)
+        : doctype ? after(doctype)
+        : 0
+
+    const headAt = headClose ? headClose.index
+        : bodyOpen ? bodyOpen.index
+        : topAt
+
+    const bodyAt = bodyClose ? bodyClose.index
+        : htmlClose ? htmlClose.index
+        : html.length
+
+    const cuts = [
+        { at: topAt, order: 0, insert: () => { writeAll(essentials); writeAll(top) } },
+        { at: headAt, order: 1, insert: () => writeAll(head) },
+        { at: bodyAt, order: 2, insert: () => writeAll(body) }
+    ]
+
+    // opening tags that get the extra classes
+    const retag = [[htmlOpen, htmlClass], [bodyOpen, bodyClass]]
+        .filter(([match, classes]) => match && classes)
+        .map(([match, classes]) => ({
+            at: match.index,
+            order: 3,
+            end: after(match),
+            text: addClasses(match[0], classes)
+        }))
+
+    if (!doctype) map.append('<!DOCTYPE html>\n')
+
+    let position = 0
+
+    const copy = (until, text = html.slice(position, until)) => {
+        if (until > position || text) map.appendSource(id, text, positionAt(html, position))
+    }
+
+    const points = [...cuts, ...retag].sort((a, b) => a.at - b.at || a.order - b.order)
+
+    points.forEach(point => {
+        copy(point.at)
+        position = point.at
+
+        if (point.insert) {
+            point.insert()
+        } else {
+            copy(point.end, point.text)
+            position = point.end
+        }
+    })
+
+    copy(html.length)
+
+    return map
+}
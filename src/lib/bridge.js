@@ -0,0 +1,574 @@
+import mevent from './mevent.js'
+import { isDetached, post } from './detach.js'
+
+// this function runs inside the preview iframe.
+// it's injected as a string, so it can't use anything from this module,
+// only the options it's called with.
+function bridge(options) {
+    const send = (type, payload) => {
+        try {
+            parent.postMessage({ fronteditor: true, type, payload }, '*')
+        } catch (error) { /* parent is gone */ }
+    }
+
+    // with allow-same-origin the page would share web storage with the
+    // editor. it gets a view of it where every key has a prefix, so
+    // setItem('settings') or clear() can't touch the editor's projects
+    function storageArea(storage, prefix) {
+        const keys = () => Object.keys(storage)
+            .filter(key => key.startsWith(prefix))
+            .map(key => key.slice(prefix.length))
+
+        const area = {
+            getItem: key => storage.getItem(prefix + key),
+            setItem: (key, value) => storage.setItem(prefix + key, String(value)),
+            removeItem: key => storage.removeItem(prefix + key),
+            clear: () => keys().forEach(key => storage.removeItem(prefix + key)),
+            key: index => keys()[index] ?? null,
+            get length() { return keys().length }
+        }
+
+        // storage.name = value works too
+        return new Proxy(area, {
+            get: (target, name) => name in target || typeof name !== 'string'
+                ? target[name]
+                : target.getItem(name) ?? undefined,
+            set: (target, name, value) => {
+                target.setItem(name, value)
+                return true
+            },
+            deleteProperty: (target, name) => {
+                target.removeItem(name)
+                return true
+            },
+            has: (target, name) => name in target || target.getItem(name) !== null,
+            ownKeys: () => keys(),
+            getOwnPropertyDescriptor: (target, name) => {
+                const value = target.getItem(name)
+                return value === null ? undefined : { value, enumerable: true, configurable: true, writable: true }
+            }
+        })
+    }
+
+    ['localStorage', 'sessionStorage'].forEach(name => {
+        try {
+            const area = storageArea(window[name], options.storagePrefix)
+            Object.defineProperty(window, name, { value: area, configurable: true })
+        } catch (error) { /* no storage without allow-same-origin */ }
+    })
+
+    // turn any value into something postMessage can carry,
+    // keeping enough structure to show it as a tree
+    function serialize(value, depth = 0, seen = new WeakSet()) {
+        const type = typeof value
+
+        if (value === null) return { type: 'null', preview: 'null' }
+        if (type === 'undefined') return { type, preview: 'undefined' }
+        if (type === 'string') return { type, preview: value }
+        if (type === 'number' || type === 'boolean' || type === 'bigint') return { type, preview: String(value) }
+        if (type === 'symbol') return { type, preview: value.toString() }
+        if (type === 'function') return { type, preview: `ƒ ${value.name || 'anonymous'}()` }
+
+        if (value instanceof Error) {
+            return { type: 'error', preview: `${value.name}: ${value.message}`, stack: value.stack }
+        }
+
+        if (value instanceof Node) {
+            const preview = value.outerHTML !== undefined
+                ? value.outerHTML.slice(0, 200)
+                : value.nodeName
+            return { type: 'node', preview }
+        }
+
+        if (seen.has(value)) return { type: 'circular', preview: '[Circular]' }
+        seen.add(value)
+
+        const isArray = Array.isArray(value)
+        const name = isArray
+            ? `Array(${value.length})`
+            : (value.constructor && value.constructor.name) || 'Object'
+
+        if (depth > 3) return { type: 'object', preview: name }
+
+        let keys = []
+        try { keys = Object.keys(value) } catch (error) { /* exotic object */ }
+
+        const entries = keys.slice(0, 100).map(key => {
+            let item
+            try { item = value[key] } catch (error) { item = error }
+            return [key, serialize(item, depth + 1, seen)]
+        })
+
+        if (value instanceof Map) {
+            [...value].slice(0, 100).forEach(([key, item]) => {
+                entries.push([String(key), serialize(item, depth + 1, seen)])
+            })
+        }
+
+        if (value instanceof Set) {
+            [...value].slice(0, 100).forEach((item, index) => {
+                entries.push([String(index), serialize(item, depth + 1, seen)])
+            })
+        }
+
+        return { type: isArray ? 'array' : 'object', preview: name, entries }
+    }
+
+    ;['log', 'info', 'warn', 'error', 'debug'].forEach(level => {
+        const original = console[level]
+
+        console[level] = (...args) => {
+            send('previewConsole', { level, args: args.map(arg => serialize(arg)) })
+            original.apply(console, args)
+        }
+    })
+
+    const clear = console.clear
+    console.clear = () => {
+        send('previewConsoleClear')
+        clear.call(console)
+    }
+
+    // called by the loops instrumented in loopguard.js. the time
+    // budget is shared by everything running in the same task
+    let taskStart = 0
+
+    window[options.guard] = (line, id) => {
+        const now = Date.now()
+
+        if (!taskStart) {
+            taskStart = now
+            queueMicrotask(() => taskStart = 0)
+        }
+
+        if (now - taskStart > options.loopTimeout) {
+            send('loopGuard', { line, id })
+            throw new RangeError(`Potential infinite loop on line ${line + 1} stopped after ${options.loopTimeout}ms`)
+        }
+
+        return true
+    }
+
+    // source positions of the elements written in the html tab (see
+    // sourcetags.js). the attribute is taken off as soon as the element
+    // shows up, before any script of the page can see it
+    const sources = new WeakMap()
+    const sourceAttribute = options.sourceAttribute
+
+    function record(node) {
+        if (node.nodeType !== 1 || !sourceAttribute) return
+
+        ;[node, ...node.querySelectorAll(`[${sourceAttribute}]`)].forEach(element => {
+            if (!element.hasAttribute(sourceAttribute)) return
+
+            sources.set(element, Number(element.getAttribute(sourceAttribute)))
+            element.removeAttribute(sourceAttribute)
+        })
+    }
+
+    record(document.documentElement)
+
+    new MutationObserver(mutations => {
+        mutations.forEach(mutation => mutation.addedNodes.forEach(record))
+    }).observe(document, { childList: true, subtree: true })
+
+    // closest element that came from the html tab
+    function sourceElement(element) {
+        while (element && !sources.has(element)) element = element.parentElement
+        return element
+    }
+
+    // element written at offset in the html tab
+    function findSource(offset) {
+        if (offset === null) return null
+
+        return [...document.querySelectorAll('*')].find(element => sources.get(element) === offset) || null
+    }
+
+    // tag#id.class, like devtools shows it
+    function elementName(element) {
+        const id = element.id ? `#${element.id}` : ''
+        const classes = [...element.classList].map(name => `.${name}`).join('')
+
+        return `${element.tagName.toLowerCase()}${id}${classes}`
+    }
+
+    // box model overlay, like browsers devtools. it lives in a shadow
+    // root so the page css can't touch it
+    let overlay = null, highlighted = null
+
+    function box(rect, top, right, bottom, left) {
+        return {
+            top: rect.top - top,
+            left: rect.left - left,
+            width: rect.width + left + right,
+            height: rect.height + top + bottom
+        }
+    }
+
+    function highlight(element) {
+        highlighted = element
+
+        if (!element) {
+            if (overlay) overlay.remove()
+            overlay = null
+            return
+        }
+
+        if (!overlay) {
+            overlay = document.createElement('fronteditor-overlay')
+            overlay.attachShadow({ mode: 'open' }).innerHTML = `
+                <style>
+                    div { position: fixed; pointer-events: none; z-index: 2147483647; box-sizing: border-box; }
+                    .margin { background: rgba(246, 178, 107, .6); }
+                    .border { background: rgba(255, 229, 153, .6); }
+                    .padding { background: rgba(147, 196, 125, .5); }
+                    .content { background: rgba(111, 168, 220, .6); }
+                    .label { font: 11px/1.4 monospace; color: #f0f0f9; background: #272527; padding: 2px 6px; border-radius: 3px; white-space: nowrap; }
+                </style>
+                <div class="margin"></div><div class="border"></div><div class="padding"></div><div class="content"></div><div class="label"></div>`
+        }
+
+        if (!overlay.isConnected) document.documentElement.appendChild(overlay)
+
+        const style = getComputedStyle(element)
+        const px = property => parseFloat(style[property]) || 0
+        const rect = element.getBoundingClientRect()
+
+        const boxes = {
+            margin: box(rect, px('marginTop'), px('marginRight'), px('marginBottom'), px('marginLeft')),
+            border: box(rect, 0, 0, 0, 0),
+            padding: box(rect, -px('borderTopWidth'), -px('borderRightWidth'), -px('borderBottomWidth'), -px('borderLeftWidth'))
+        }
+
+        boxes.content = box(boxes.padding, -px('paddingTop'), -px('paddingRight'), -px('paddingBottom'), -px('paddingLeft'))
+
+        Object.entries(boxes).forEach(([name, { top, left, width, height }]) => {
+            const layer = overlay.shadowRoot.querySelector(`.${name}`)
+
+            layer.style.top = top + 'px'
+            layer.style.left = left + 'px'
+            layer.style.width = Math.max(width, 0) + 'px'
+            layer.style.height = Math.max(height, 0) + 'px'
+        })
+
+        const label = overlay.shadowRoot.querySelector('.label')
+        label.textContent = `${elementName(element)}  ${Math.round(rect.width)} × ${Math.round(rect.height)}`
+        label.style.left = Math.max(rect.left, 0) + 'px'
+        label.style.top = (rect.top > 24 ? rect.top - 22 : rect.bottom + 4) + 'px'
+    }
+
+    // keep the overlay on the element while the page moves
+    window.addEventListener('scroll', () => highlighted && highlight(highlighted), true)
+    window.addEventListener('resize', () => highlighted && highlight(highlighted))
+
+    // what the inspector panel shows about an element: its box, some
+    // computed values and the rules of the css tab that match it
+    let inspected = null
+
+    const sides = (style, property, suffix = '') => ['Top', 'Right', 'Bottom', 'Left']
+        .map(side => Math.round((parseFloat(style[property + side + suffix]) || 0) * 100) / 100)
+
+    const computedProperties = [
+        'display', 'position', 'top', 'right', 'bottom', 'left', 'z-index', 'float',
+        'box-sizing', 'width', 'height', 'overflow', 'color', 'background-color',
+        'font-family', 'font-size', 'font-weight', 'line-height', 'text-align',
+        'flex-direction', 'justify-content', 'align-items', 'gap', 'opacity', 'transform'
+    ]
+
+    // [ids, classes, types] of a single selector, close enough for a
+    // teaching tool: :is() and :not() count as their argument
+    function specificity(selector) {
+        let rest = selector
+            .replace(/:where\((?:[^()]|\([^()]*\))*\)/g, '')
+            .replace(/:(is|not|has|matches)\(/g, '(')
+
+        const count = regex => {
+            const found = rest.match(regex) || []
+            rest = rest.replace(regex, ' ')
+            return found.length
+        }
+
+        const attributes = count(/\[[^\]]*\]/g)
+        const elements = count(/::[\w-]+|:(before|after|first-line|first-letter)\b/g)
+        const ids = count(/#[\w-]+/g)
+        const classes = count(/\.[\w-]+/g) + count(/:[\w-]+/g) + attributes
+        const types = count(/(^|[\s>+~(])[a-z][\w-]*/gi) + elements
+
+        return [ids, classes, types]
+    }
+
+    const compare = (a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2]
+
+    function declarations(style) {
+        return style.cssText.split(/;(?![^(]*\))/).map(text => text.trim()).filter(Boolean).map(text => {
+            const colon = text.indexOf(':')
+            const value = text.slice(colon + 1).trim()
+
+            return {
+                property: text.slice(0, colon).trim(),
+                value: value.replace(/\s*!important$/, ''),
+                important: /!important$/.test(value)
+            }
+        })
+    }
+
+    // style rules of the css tab in source order, with whether their
+    // @media/@supports conditions hold right now
+    function styleRules(rules, list = [], active = true) {
+        ;[...rules].forEach(rule => {
+            let holds = active
+
+            if (rule.media && rule.cssRules) holds = active && matchMedia(rule.media.mediaText).matches
+            if (rule.conditionText !== undefined && !rule.media) holds = active && CSS.supports(rule.conditionText)
+
+            if (rule.selectorText !== undefined) list.push({ rule, active: holds })
+            if (rule.cssRules) styleRules(rule.cssRules, list, holds)
+        })
+
+        return list
+    }
+
+    function matchedRules(element) {
+        const style = document.querySelector('style[data-fronteditor="css"]')
+        const rules = style && style.sheet ? styleRules(style.sheet.cssRules) : []
+
+        const matched = []
+
+        rules.forEach(({ rule, active }, index) => {
+            if (!active) return
+
+            const selectors = rule.selectorText.split(/,(?![^(]*\))/).filter(selector => {
+                try { return element.matches(selector) } catch (error) { return false }
+            })
+
+            if (!selectors.length) return
+
+            matched.push({
+                index,
+                selector: rule.selectorText,
+                specificity: selectors.map(specificity).sort(compare).pop(),
+                declarations: declarations(rule.style)
+            })
+        })
+
+        if (element.getAttribute('style')) {
+            matched.push({ index: null, selector: 'style attribute', specificity: [Infinity, 0, 0], declarations: declarations(element.style) })
+        }
+
+        // cascade order, the winner comes last
+        matched.sort((a, b) => compare(a.specificity, b.specificity) || a.index - b.index)
+
+        const related = (property, other) => property === other || property.startsWith(other + '-')
+
+        matched.forEach((rule, at) => rule.declarations.forEach((declaration, position) => {
+            declaration.overridden = matched.some((other, otherAt) => other.declarations.some((later, laterPosition) =>
+                later !== declaration
+                && related(declaration.property, later.property)
+                && (later.important && !declaration.important
+                    || later.important === declaration.important
+                        && (otherAt > at || otherAt === at && laterPosition > position))
+            ))
+        }))
+
+        return matched.reverse().map(rule => ({ ...rule, specificity: rule.index === null ? null : rule.specificity }))
+    }
+
+    function describe(element) {
+        const style = getComputedStyle(element)
+        const rules = matchedRules(element)
+
+        const declared = rules.flatMap(rule => rule.declarations.map(({ property }) => property))
+        const properties = [...new Set([...computedProperties, ...declared])].filter(property => !property.startsWith('--'))
+
+        const rect = element.getBoundingClientRect()
+        const border = sides(style, 'border', 'Width'), padding = sides(style, 'padding')
+
+        return {
+            offset: sources.get(element),
+            name: elementName(element),
+            box: {
+                margin: sides(style, 'margin'),
+                border,
+                padding,
+                width: Math.round(rect.width - border[1] - border[3] - padding[1] - padding[3]),
+                height: Math.round(rect.height - border[0] - border[2] - padding[0] - padding[2])
+            },
+            rules,
+            computed: properties.map(property => [property, style.getPropertyValue(property)])
+        }
+    }
+
+    function showInspected(element) {
+        inspected = element
+        send('elementInfo', element ? describe(element) : null)
+    }
+
+    // inspect mode: pick an element with the pointer
+    let inspecting = false
+
+    function inspectMove(event) {
+        highlight(event.target)
+    }
+
+    function inspectClick(event) {
+        event.preventDefault()
+        event.stopPropagation()
+
+        const element = sourceElement(event.target)
+
+        setInspecting(false)
+        send('inspectEnd')
+
+        if (element) {
+            send('inspectSelect', { offset: sources.get(element), tag: element.tagName.toLowerCase() })
+        }
+    }
+
+    function inspectKey(event) {
+        if (event.key !== 'Escape') return
+
+        setInspecting(false)
+        send('inspectEnd')
+    }
+
+    function setInspecting(enabled) {
+        if (inspecting === enabled) return
+        inspecting = enabled
+
+        const method = enabled ? 'addEventListener' : 'removeEventListener'
+
+        document[method]('mouseover', inspectMove, true)
+        document[method]('click', inspectClick, true)
+        document[method]('keydown', inspectKey, true)
+
+        if (!enabled) highlight(null)
+    }
+
+    // messages coming from the editor
+    const handlers = {
+        inspect(enabled) {
+            setInspecting(enabled)
+        },
+
+        // element the html cursor is in, null when it's in none
+        highlightSource(offset) {
+            if (inspecting) return
+
+            highlight(findSource(offset))
+        },
+
+        inspectElement(offset) {
+            showInspected(findSource(offset))
+        },
+
+        // css of the tab or a file, its id names the <style>
+        updateCss({ id, css }) {
+            let style = document.querySelector(`style[data-fronteditor="${id}"]`)
+
+            if (!style) {
+                style = document.createElement('style')
+                style.dataset.fronteditor = id
+                document.head.appendChild(style)
+            }
+
+            style.textContent = css
+
+            // the highlighted box may have moved
+            if (highlighted) highlight(highlighted)
+            if (inspected && inspected.isConnected) showInspected(inspected)
+        }
+    }
+
+    window.addEventListener('message', ({ data }) => {
+        if (!data || !data.fronteditor || !handlers[data.type]) return
+
+        handlers[data.type](data.payload)
+    })
+
+    // links to other pages of the project, the editor builds them. the
+    // page's own click handlers go first and can cancel
+    document.addEventListener('click', event => {
+        const link = event.target.closest && event.target.closest('a[href]')
+        if (event.defaultPrevented || !link || (link.target && link.target !== '_self')) return
+
+        const path = link.getAttribute('href').replace(/[?#].*$/, '').replace(/^\.?\//, '')
+        if (!(options.pages || []).includes(path)) return
+
+        event.preventDefault()
+        send('previewNavigate', path)
+    })
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => send('previewReady'))
+    } else {
+        send('previewReady')
+    }
+
+    // still answering a while after load: whatever the page does on its
+    // own (onload, timers) didn't freeze it
+    window.addEventListener('load', () => setTimeout(() => send('previewAlive'), options.aliveAfter))
+
+    window.addEventListener('error', event => {
+        send('previewError', {
+            message: event.message,
+            // the script it came from, when it's not the document itself
+            file: event.filename && event.filename !== location.href ? event.filename : null,
+            line: event.lineno,
+            column: event.colno,
+            stack: event.error && event.error.stack
+        })
+    })
+
+    // scripts and modules that can't load don't reach the listener above
+    window.addEventListener('error', event => {
+        const target = event.target
+        if (!(target instanceof HTMLScriptElement)) return
+
+        send('previewError', {
+            message: `Failed to load ${target.src || 'a module imported by the js tab'}`
+        })
+    }, true)
+
+    window.addEventListener('unhandledrejection', event => {
+        send('previewConsole', {
+            level: 'error',
+            args: [
+                serialize('Uncaught (in promise)'),
+                serialize(event.reason)
+            ]
+        })
+    })
+}
+
+export const bridgeScript = (options = {}) =>
+    `<script>(${bridge.toString()})(${JSON.stringify(options)})</script>`
+
+// send a message to the bridge inside the preview
+export function send(type, payload) {
+    if (isDetached()) return post({ type: 'send', message: { fronteditor: true, type, payload } })
+
+    const iframe = document.getElementById('result')
+    if (!iframe || !iframe.contentWindow) return
+
+    iframe.contentWindow.postMessage({ fronteditor: true, type, payload }, '*')
+}
+
+// the events the bridge sends. a message can come from any window
+// holding the editor, only these may reach mevent
+const bridgeEvents = [
+    'previewConsole', 'previewConsoleClear', 'previewError', 'previewReady', 'previewAlive', 'loopGuard',
+    'inspectSelect', 'inspectEnd', 'elementInfo', 'previewNavigate'
+]
+
+export const isBridgeMessage = data => Boolean(data && data.fronteditor && bridgeEvents.includes(data.type))
+
+// forward the messages of the bridge in the preview to mevent
+export function listen() {
+    window.addEventListener('message', ({ data, source }) => {
+        const iframe = document.getElementById('result')
+        if (!iframe || source !== iframe.contentWindow || !isBridgeMessage(data)) return
+
+        mevent.trigger(data.type, data.payload)
+    })
+}
@@ -0,0 +1,50 @@
+// the javascript compilers, away from the editors. a classic worker, the
+// compilers are umd builds loaded with importScripts the first time
+// they're asked for.
+//
+// gets { id, compiler, code, options }, answers { id, code } or
+// { id, error: { message, line, column } } with a 0-based line.
+
+const compilers = {
+    babel: {
+        src: '/lib/babel/babel.min.js',
+        compile: (code, options) => Babel.transform(code, options).code,
+        // "file: message (line:column)" and a code frame after it
+        error: error => ({
+            message: error.message.split('\n')[0].replace(/^[^:]*:\s/, '').replace(/\s\(\d+:\d+\)$/, ''),
+            line: error.loc ? error.loc.line - 1 : 0,
+            column: error.loc ? error.loc.column : 0
+        })
+    },
+    coffeescript: {
+        src: '/lib/coffeescript/coffeescript.js',
+        compile: (code, options) => CoffeeScript.compile(code, options),
+        error: error => ({
+            message: error.message,
+            line: error.location ? error.location.first_line : 0,
+            column: error.location ? error.location.first_column : 0
+        })
+    }
+}
+
+const loaded = new Set()
+
+self.onmessage = ({ data: { id, compiler, code, options } }) => {
+    const { src, compile, error: toError } = compilers[compiler]
+
+    try {
+        if (!loaded.has(src)) {
+            importScripts(src)
+            loaded.add(src)
+        }
+    } catch (error) {
+        self.postMessage({ id, error: { message: `Could not load ${src}`, line: 0, column: 0 } })
+        return
+    }
+
+    try {
+        self.postMessage({ id, code: compile(code, options) })
+    } catch (error) {
+        self.postMessage({ id, error: toError(error) })
+    }
+}
@@ -0,0 +1,61 @@
+// finds where each style rule of a stylesheet starts, in the order the
+// browser lists them (see styleRules in bridge.js), so the inspector
+// can link a matched rule back to its line in the css tab.
+
+// at-rules holding declarations or keyframes, not style rules
+const NOT_GROUPS = /^@(-\w+-)?(keyframes|font-face|page|property|counter-style|font-feature-values)\b/i
+
+export default function ruleLines(css) {
+    const rules = [], stack = []
+    let prelude = '', preludeStart = 0, line = 0
+
+    for (let at = 0; at < css.length; at++) {
+        const char = css[at]
+
+        if (char === '/' && css[at + 1] === '*') {
+            const end = css.indexOf('*/', at + 2)
+            const skipped = css.slice(at, end === -1 ? css.length : end + 2)
+
+            line += skipped.split('\n').length - 1
+            at += skipped.length - 1
+            continue
+        }
+
+        if (char === '"' || char === "'") {
+            let end = at + 1
+            while (end < css.length && css[end] !== char && css[end] !== '\n') end += css[end] === '\\' ? 2 : 1
+
+            prelude += css.slice(at, end + 1)
+            at = end
+            continue
+        }
+
+        if (char === '{') {
+            const text = prelude.trim()
+
+            if (text.startsWith('@')) {
+                stack.push(NOT_GROUPS.test(text) ? 'skip' : 'group')
+            } else if (stack[stack.length - 1] === 'skip') {
+                stack.push('skip')
+            } else {
+                rules.push({ line: preludeStart, selector: text.replace(/\s+/g, ' ') })
+                stack.push('rule')
+            }
+
+            prelude = ''
+        } else if (char === '}') {
+            stack.pop()
+            prelude = ''
+        } else if (char === ';') {
+            prelude = ''
+        } else {
+            // the rule starts on the line of its first character
+            if (!prelude.trim() && char.trim()) preludeStart = line
+            prelude += char
+        }
+
+        if (char === '\n') line++
+    }
+
+    return rules
+}
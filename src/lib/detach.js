@@ -0,0 +1,45 @@
+import mevent from './mevent.js'
+import { isBridgeMessage } from './bridge.js'
+
+// editor side of the detached preview window (see src/detached.js).
+// both sides talk over a BroadcastChannel named after the project.
+
+const channel = new BroadcastChannel(`fronteditor:${location.pathname}`)
+
+let detached = false, popup = null
+
+channel.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'ready':
+            detached = true
+            mevent.trigger('previewDetached')
+            break
+
+        case 'closed':
+            detached = false
+            popup = null
+            mevent.trigger('previewDocked')
+            break
+
+        // whatever the bridge in the detached preview sent
+        case 'bridge':
+            if (isBridgeMessage(data.message)) mevent.trigger(data.message.type, data.message.payload)
+            break
+    }
+}
+
+// the detached window has nothing to show without the editor
+window.addEventListener('pagehide', () => channel.postMessage({ type: 'editorClosed' }))
+
+export const isDetached = () => detached
+
+export function open() {
+    if (popup && !popup.closed) return popup.focus()
+
+    const url = `/preview.html?project=${encodeURIComponent(location.pathname)}`
+    popup = window.open(url, `fronteditor-preview:${location.pathname}`, 'width=800,height=600')
+}
+
+export function post(message) {
+    channel.postMessage(message)
+}
@@ -0,0 +1,70 @@
+// keeps track of where each editor's code lands in the generated
+// document, so positions reported by the iframe (1-based line and
+// column) can be turned back into editor positions (0-based lines).
+//
+// an editor's code can be added in pieces, each one telling where
+// in the editor it starts.
+
+export default function createDocumentMap() {
+    let code = '', line = 1, column = 1
+    const segments = []
+
+    function advance(text) {
+        const lines = text.split('\n')
+
+        if (lines.length > 1) {
+            line += lines.length - 1
+            column = lines[lines.length - 1].length + 1
+        } else {
+            column += text.length
+        }
+
+        code += text
+    }
+
+    // plain text, not coming from any editor
+    function append(text) {
+        advance(text)
+    }
+
+    // text coming from an editor, its position is recorded
+    function appendSource(id, text, start = { line: 0, column: 0 }) {
+        segments.push({
+            id,
+            line,
+            column,
+            start,
+            lineCount: text.split('\n').length
+        })
+
+        advance(text)
+    }
+
+    function locate(errorLine, errorColumn = 1) {
+        // a line can hold more than one piece, the last one starting before wins
+        const segment = segments.filter(segment =>
+            errorLine >= segment.line && errorLine < segment.line + segment.lineCount
+            && (errorLine > segment.line || errorColumn >= segment.column)
+        ).pop()
+
+        if (!segment) return null
+
+        const line = errorLine - segment.line
+
+        return {
+            id: segment.id,
+            line: segment.start.line + line,
+            // only the first line shares the line with the text before it
+            column: line === 0
+                ? segment.start.column + Math.max(errorColumn - segment.column, 0)
+                : errorColumn - 1
+        }
+    }
+
+    return {
+        append,
+        appendSource,
+        locate,
+        toString: () => code
+    }
+}
@@ -1,39 +1,71 @@
 import mevent from './mevent.js'
+import { place, keepOnScreen, snapZone } from './geometry.js'
 
+// pointer events cover mouse, pen and touch. the pointer is captured by
+// the header, so moves keep coming even over the iframe or off the window.
 export default function(element) {
-    let pos1 = 0, pos2 = 0, pos3 = 0, pos4 = 0, isDragging = false,
+    let pos1 = 0, pos2 = 0, pos3 = 0, pos4 = 0, isDragging = false, zone = null,
     header = element.querySelector("header") || false;
 
+    // shows where the window goes if dropped at a screen edge
+    const snapPreview = document.createElement('div')
+    snapPreview.className = 'snap-preview'
+    document.body.appendChild(snapPreview)
+
     if (header) {
         // if present, the header is where you move the DIV from:
-        header.onmousedown = dragMouseDown;
+        header.addEventListener('pointerdown', dragPointerDown);
+        header.addEventListener('pointermove', doDrag);
+        header.addEventListener('pointerup', dragEnd);
+        header.addEventListener('pointercancel', dragEnd);
     }
 
-    function dragMouseDown(e) {
-        e = e || window.event;
+    function dragPointerDown(e) {
+        // buttons in the header keep their clicks
+        if (e.target !== header || !e.isPrimary) return;
+
+        // docked windows stay where the layout puts them
+        if (element.classList.contains('docked')) return;
+
         e.preventDefault();
+        header.setPointerCapture(e.pointerId);
+
+        // drag from where it is, whatever max/min did to it
+        place(element, element.getBoundingClientRect())
 
         isDragging = true;
-        // get the mouse cursor position at startup:
+        zone = null;
+        // get the pointer position at startup:
         pos3 = e.clientX;
         pos4 = e.clientY;
 
         mevent.trigger('isDragging', true)
     }
 
-    document.addEventListener('mousemove', doDrag)
-    document.addEventListener('mouseup', event => {
+    function dragEnd(e) {
+        if (!isDragging) return
+
         isDragging = false
+        snapPreview.style.display = 'none'
+
+        if (header.hasPointerCapture(e.pointerId)) header.releasePointerCapture(e.pointerId)
+
+        // a cancelled touch is not a drop
+        if (zone && e.type === 'pointerup') {
+            place(element, zone)
+        } else {
+            keepOnScreen(element)
+        }
+
         mevent.trigger('isDragging', false)
-    })
+    }
  
     function doDrag(e) {
         if(!isDragging) return;
 
-        e = e || window.event;
         e.preventDefault();
 
-        // calculate the new cursor position:
+        // calculate the new pointer position:
         pos1 = pos3 - e.clientX;
         pos2 = pos4 - e.clientY;
         pos3 = e.clientX;
@@ -43,5 +75,12 @@ export default function(element) {
         element.style.top = (element.offsetTop - pos2) + "px";
         element.style.left = (element.offsetLeft - pos1) + "px";
 
+        zone = snapZone(e.clientX, e.clientY)
+        showSnapPreview()
+    }
+
+    function showSnapPreview() {
+        snapPreview.style.display = zone ? 'block' : 'none'
+        if (zone) place(snapPreview, zone)
     }
-}
\ No newline at end of file
+}
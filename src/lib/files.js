@@ -0,0 +1,71 @@
+import Settings from './settings.js'
+import mevent from './mevent.js'
+
+// files added to the project next to the fixed tabs. the list is the
+// `files` setting, { id, name, inPreview } each. the id is kept when the
+// file is renamed and the code is saved under it, like the tabs' code.
+//
+// listeners of fileAdd and fileRename see the new list, the ones of
+// fileRemove still see the file in it.
+
+export const list = () => Settings.get('files')
+
+export const fileById = id => list().find(file => file.id === id) || null
+
+// the file name for files, the id for the fixed tabs
+export const nameOf = id => (fileById(id) || { name: id }).name
+
+export function extensionOf(name) {
+    const match = /\.([^.]+)$/.exec(name)
+    return match ? match[1].toLowerCase() : ''
+}
+
+// why a name can't be used, or '' when it can
+export function checkName(name, id = null) {
+    if (!/^[\w-][\w.-]*\.[\w]+$/.test(name)) return 'Use letters, digits, - and _, with an extension (utils.js)'
+    if (list().some(file => file.name === name && file.id !== id)) return `There is a ${name} already`
+    if (name === 'index.html') return 'index.html is the html tab' /* see pages.js */
+
+    return ''
+}
+
+function save(files) {
+    Settings.set('files', files)
+}
+
+export function addFile(name) {
+    const next = Math.max(0, ...list().map(({ id }) => Number(id.replace('file', '')))) + 1
+    const file = { id: `file${next}`, name, inPreview: true }
+
+    save([...list(), file])
+    mevent.trigger('fileAdd', file)
+
+    return file
+}
+
+export function renameFile(id, name) {
+    save(list().map(file => file.id === id ? { ...file, name } : file))
+    mevent.trigger('fileRename', fileById(id))
+}
+
+export function removeFile(id) {
+    mevent.trigger('fileRemove', fileById(id))
+    save(list().filter(file => file.id !== id))
+}
+
+// in the preview or left out: the tabsInPreview setting for the fixed
+// tabs (the settings dialog has them), a flag for each file
+export function inPreview(id) {
+    const file = fileById(id)
+    return file ? file.inPreview : Settings.get('tabsInPreview').includes(id)
+}
+
+export function setInPreview(id, included) {
+    if (fileById(id)) {
+        save(list().map(file => file.id === id ? { ...file, inPreview: included } : file))
+        return
+    }
+
+    const tabs = Settings.get('tabsInPreview').filter(tab => tab !== id)
+    Settings.set('tabsInPreview', included ? [...tabs, id] : tabs)
+}
@@ -0,0 +1,60 @@
+// position helpers shared by the floating window plugins
+
+const SNAP_DISTANCE = 16
+const VISIBLE_PART = 60 /* px of the window that always stays on screen */
+
+// the tab links bar is not part of the free area
+function area() {
+    const tabs = document.querySelector('.tab-links')
+    const top = tabs ? tabs.offsetHeight : 0
+
+    return { top, left: 0, width: window.innerWidth, height: window.innerHeight - top }
+}
+
+// fixed px values, no transforms, so drags and resizes can do math on it
+export function place(element, { top, left, width, height }) {
+    element.style.transform = 'none'
+    element.style.right = 'unset'
+    element.style.top = top + 'px'
+    element.style.left = left + 'px'
+    element.style.width = width + 'px'
+    element.style.height = height + 'px'
+}
+
+export function keepOnScreen(element) {
+    const rect = element.getBoundingClientRect()
+    const bounds = area()
+
+    const top = Math.min(Math.max(rect.top, bounds.top), bounds.top + bounds.height - VISIBLE_PART)
+    const left = Math.min(Math.max(rect.left, VISIBLE_PART - rect.width), bounds.width - VISIBLE_PART)
+
+    if (top !== rect.top || left !== rect.left) {
+        place(element, { top, left, width: rect.width, height: rect.height })
+    }
+}
+
+// screen half or corner the pointer is at, if any
+export function snapZone(x, y) {
+    const { top, left, width, height } = area()
+
+    const atLeft = x <= SNAP_DISTANCE,
+        atRight = x >= width - SNAP_DISTANCE,
+        atTop = y <= top + SNAP_DISTANCE,
+        atBottom = y >= top + height - SNAP_DISTANCE
+
+    const half = { width: width / 2, height: height / 2 }
+
+    if ((atTop || atBottom) && (atLeft || atRight)) {
+        return {
+            top: atTop ? top : top + half.height,
+            left: atLeft ? left : half.width,
+            ...half
+        }
+    }
+
+    if (atLeft) return { top, left, width: half.width, height }
+    if (atRight) return { top, left: half.width, width: half.width, height }
+    if (atTop) return { top, left, width, height }
+
+    return null
+}
@@ -0,0 +1,85 @@
+// import maps for the js tab when it runs as a module. the map is
+// written as json in the settings, relative urls in it point to files
+// next to the editor, so they're made absolute: the preview document
+// may be a blob: or data: url where they would mean nothing.
+
+const isRelative = url => /^(\.{0,2}\/)/.test(url)
+
+// specifiers the browser resolves without a map
+const isUrlLike = specifier => isRelative(specifier) || /^[a-z][a-z\d+.-]*:/i.test(specifier)
+
+function absolute(addresses = {}) {
+    return Object.fromEntries(Object.entries(addresses).map(([specifier, url]) =>
+        [specifier, typeof url === 'string' && isRelative(url) ? new URL(url, location.href).href : url]))
+}
+
+// { map } or { error } when the json is broken
+export function parseImportMap(text) {
+    if (!text || !text.trim()) return { map: null }
+
+    try {
+        const { imports, scopes } = JSON.parse(text)
+
+        return {
+            map: {
+                imports: absolute(imports),
+                scopes: Object.fromEntries(Object.entries(scopes || {})
+                    .map(([scope, addresses]) => [new URL(scope, location.href).href, absolute(addresses)]))
+            }
+        }
+    } catch (error) {
+        return { error: `Import map: ${error.message}` }
+    }
+}
+
+export const importMapTag = map => `<script type="importmap">${JSON.stringify(map)}</script>`
+
+// every static and dynamic import with a string, using acorn
+export function findImports(code) {
+    let ast
+
+    try {
+        ast = acorn.parse(code, { ecmaVersion: 'latest', sourceType: 'module', locations: true })
+    } catch (error) {
+        return [] /* syntax errors are reported elsewhere */
+    }
+
+    const found = []
+
+    const visit = node => {
+        if (!node || typeof node.type !== 'string') return
+
+        const source = node.type === 'ImportExpression' ? node.source
+            : /^(Import|Export(Named|All))Declaration$/.test(node.type) ? node.source
+            : null
+
+        if (source && source.type === 'Literal' && typeof source.value === 'string') {
+            found.push({
+                specifier: source.value,
+                line: source.loc.start.line - 1,
+                column: source.loc.start.column,
+                start: source.start, /* offsets of the string, quotes included */
+                end: source.end
+            })
+        }
+
+        Object.values(node).forEach(value => {
+            if (Array.isArray(value)) value.forEach(visit)
+            else if (value && typeof value === 'object') visit(value)
+        })
+    }
+
+    visit(ast)
+
+    return found
+}
+
+// bare specifiers need an entry, exact or a prefix ending with /
+export function resolves(specifier, map) {
+    if (isUrlLike(specifier)) return true
+
+    const imports = (map && map.imports) || {}
+
+    return specifier in imports
+        || Object.keys(imports).some(key => key.endsWith('/') && specifier.startsWith(key))
+}
@@ -0,0 +1,269 @@
+import Settings from './settings.js'
+import { fileById, extensionOf } from './files.js'
+
+// languages each tab can be written in, chosen per project in the
+// `<id>Language` setting. a language is edited with a CodeMirror `mode`
+// (after loading the mode files in `modes`) and, unless the browser runs
+// it as is, `compile` turns it into what the preview needs. compilers
+// live in lib/ and are only loaded the first time they're used. with
+// `sameLines`, compiled code keeps the lines of the source.
+//
+// files added to the project (see files.js) are written in the language
+// of their extension (`extensions`) and are code of the same kind as
+// the tab of that language.
+//
+// compile errors are { message, line, column } with a 0-based line,
+// like the editors use.
+
+const loaded = {}
+
+// a classic script, once
+export function loadScript(src) {
+    if (!loaded[src]) {
+        loaded[src] = new Promise((resolve, reject) => {
+            const script = document.createElement('script')
+
+            script.src = src
+            script.onload = resolve
+            script.onerror = () => {
+                delete loaded[src]
+                reject({ message: `Could not load ${src}`, line: 0, column: 0 })
+            }
+
+            document.head.appendChild(script)
+        })
+    }
+
+    return loaded[src]
+}
+
+// one after the other, some modes use the ones before them
+function loadModes(modes = []) {
+    return modes.reduce((previous, mode) => previous.then(() =>
+        new Promise(resolve => CodeMirror.requireMode(mode, resolve))), Promise.resolve())
+}
+
+let sass = null
+
+// libsass runs in its own worker
+function compileSass(code, indentedSyntax) {
+    return loadScript('/lib/sass/sass.js').then(() => new Promise((resolve, reject) => {
+        sass = sass || new Sass('/lib/sass/sass.worker.js')
+
+        sass.compile(code, { indentedSyntax }, result => result.status
+            ? reject({ message: result.message, line: (result.line || 1) - 1, column: (result.column || 1) - 1 })
+            : resolve(result.text))
+    }))
+}
+
+function compileLess(code) {
+    return loadScript('/lib/less/less.min.js')
+        .then(() => less.render(code))
+        .then(({ css }) => css, error => Promise.reject({
+            message: error.message,
+            line: (error.line || 1) - 1,
+            column: error.column || 0
+        }))
+}
+
+function compileStylus(code) {
+    return loadScript('/lib/stylus/stylus.js').then(() => {
+        try {
+            return stylus(code)
+        } catch (error) {
+            // "stylus:line:column", the code around it, then the message
+            const [, line = 1, column = 1] = /^[^:\n]*:(\d+):(\d+)/.exec(error.message) || []
+
+            throw {
+                message: error.message.split('\n\n').pop().trim(),
+                line: line - 1,
+                column: column - 1
+            }
+        }
+    })
+}
+
+function compilePug(code) {
+    return loadScript('/lib/pug/pug.js').then(() => {
+        try {
+            return pug(code)
+        } catch (error) {
+            throw { message: error.msg || error.message, line: (error.line || 1) - 1, column: (error.column || 1) - 1 }
+        }
+    })
+}
+
+function compileHaml(code) {
+    return loadScript('/lib/haml/haml.js').then(() => {
+        try {
+            return haml.render(code)
+        } catch (error) {
+            // "(Haml):line message"
+            const [, line = 1, message = error.message] = /^\(Haml\):\s*(\d+)?\s*([\s\S]*)$/.exec(error.message) || []
+
+            throw { message, line: line - 1, column: 0 }
+        }
+    })
+}
+
+let worker = null,
+requests = 0
+const pending = new Map()
+
+// babel and coffeescript run in src/lib/compile.worker.js
+function compileInWorker(compiler, code, options) {
+    if (!worker) {
+        worker = new Worker('/src/lib/compile.worker.js')
+        worker.onmessage = ({ data: { id, code, error } }) => {
+            const { resolve, reject } = pending.get(id)
+
+            pending.delete(id)
+            error ? reject(error) : resolve(code)
+        }
+
+        // a worker that failed to load or broke down won't answer, fail
+        // what waits for it and start a new one next time
+        worker.onerror = worker.onmessageerror = event => {
+            if (event.preventDefault) event.preventDefault()
+
+            const message = event.message || 'The compiler stopped working'
+            pending.forEach(({ reject }) => reject({ message, line: 0, column: 0 }))
+            pending.clear()
+
+            event.target.terminate()
+            if (worker === event.target) worker = null
+        }
+    }
+
+    const id = ++requests
+
+    return new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject })
+        worker.postMessage({ id, compiler, code, options })
+    })
+}
+
+// with retainLines, runtime errors point to the right editor line
+function compileBabel(code, options) {
+    return compileInWorker('babel', code, {
+        sourceType: Settings.get('jsModule') ? 'module' : 'script',
+        retainLines: true,
+        ...options
+    })
+}
+
+function compileJsx(code) {
+    return compileBabel(code, {
+        presets: [['react', {
+            pragma: Settings.get('jsxPragma') || 'React.createElement',
+            pragmaFrag: Settings.get('jsxPragmaFrag') || 'React.Fragment'
+        }]]
+    })
+}
+
+export const languages = {
+    htmlmixed: {
+        html: { label: 'HTML', mode: 'htmlmixed', extensions: ['html', 'htm'] },
+        pug: { label: 'Pug', mode: 'pug', modes: ['pug'], extensions: ['pug', 'jade'], compile: compilePug },
+        haml: { label: 'Haml', mode: 'haml', modes: ['ruby', 'haml'], extensions: ['haml'], compile: compileHaml },
+        // marked is there already for the md tab
+        markdown: { label: 'Markdown', mode: 'gfm', compile: code => marked.parse(code) }
+    },
+    css: {
+        css: { label: 'CSS', mode: 'css', extensions: ['css'] },
+        scss: { label: 'SCSS', mode: 'text/x-scss', extensions: ['scss'], compile: code => compileSass(code, false) },
+        sass: { label: 'Sass', mode: 'sass', modes: ['sass'], extensions: ['sass'], compile: code => compileSass(code, true) },
+        less: { label: 'Less', mode: 'text/x-less', extensions: ['less'], compile: compileLess },
+        stylus: { label: 'Stylus', mode: 'stylus', modes: ['stylus'], extensions: ['styl'], compile: compileStylus }
+    },
+    javascript: {
+        javascript: { label: 'JavaScript', mode: 'javascript', extensions: ['js', 'mjs'] },
+        typescript: {
+            label: 'TypeScript',
+            mode: 'text/typescript',
+            extensions: ['ts'],
+            sameLines: true,
+            compile: code => compileBabel(code, { filename: 'main.ts', presets: ['typescript'] })
+        },
+        // emmet expands jsx abbreviations in the jsx mode
+        jsx: { label: 'JSX', mode: 'jsx', modes: ['jsx'], extensions: ['jsx'], sameLines: true, compile: compileJsx },
+        coffeescript: {
+            label: 'CoffeeScript',
+            mode: 'coffeescript',
+            modes: ['coffeescript'],
+            extensions: ['coffee'],
+            compile: code => compileInWorker('coffeescript', code, { bare: true })
+        }
+    }
+}
+
+export const languageKey = id => `${id}Language`
+
+const fileLanguages = {}
+
+// the mode comes from lib/mode/meta.js, a file can be anything
+function fileLanguage(name) {
+    const extension = extensionOf(name)
+
+    if (!fileLanguages[extension]) {
+        const [kind = null, language = {}] = Object.entries(languages)
+            .flatMap(([kind, tab]) => Object.values(tab).map(language => [kind, language]))
+            .find(([, language]) => (language.extensions || []).includes(extension)) || []
+
+        const info = CodeMirror.findModeByExtension(extension)
+        const modes = [...(language.modes || []), ...(info && info.mode !== 'null' ? [info.mode] : [])]
+
+        fileLanguages[extension] = {
+            ...language,
+            kind,
+            label: info ? info.name : 'Text',
+            mode: info ? info.mime || info.mimes[0] : 'null',
+            modes: [...new Set(modes)]
+        }
+    }
+
+    return fileLanguages[extension]
+}
+
+// htmlmixed, css, javascript or markdown: what the code is for the
+// preview. null for files it doesn't know what to do with
+export function kindOf(id) {
+    const file = fileById(id)
+    return file ? fileLanguage(file.name).kind : id
+}
+
+// the language a tab or file is written in, null for tabs with just one
+export function languageOf(id) {
+    const file = fileById(id)
+    if (file) return fileLanguage(file.name)
+
+    const tab = languages[id]
+    if (!tab) return null
+
+    return tab[Settings.get(languageKey(id))] || Object.values(tab)[0]
+}
+
+// code the preview can't run as it's written
+export function isCompiled(id) {
+    const language = languageOf(id)
+    return Boolean(language && language.compile)
+}
+
+// editor lines are good for errors in the preview
+export function keepsLines(id) {
+    const language = languageOf(id)
+    return !language || !language.compile || Boolean(language.sameLines)
+}
+
+export function loadLanguage(language) {
+    return loadModes(language.modes)
+}
+
+// a promise of the code for the preview, rejected with a compile error
+export function compile(id, code) {
+    const language = languageOf(id)
+
+    if (!code || !language || !language.compile) return Promise.resolve(code)
+
+    return Promise.resolve().then(() => language.compile(code))
+}
@@ -0,0 +1,250 @@
+// adds a guard call to the condition of every `for` and `while` loop
+// (`do...while` included), so the bridge can stop loops that run for
+// too long. the guard gets the 0-based line of the loop in the source,
+// and the id of the editor it's from when there's one.
+//
+// code is only inserted inside lines, never new lines, so positions
+// reported by the preview keep pointing to the right editor lines.
+
+export const GUARD = '__fronteditorGuard'
+
+const regexAllowedAfter = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void',
+    'throw', 'case', 'do', 'else', 'yield', 'await'
+])
+
+function tokenize(code) {
+    const tokens = []
+    let i = 0
+
+    const lastSignificant = () => {
+        for (let t = tokens.length - 1; t >= 0; t--) {
+            if (tokens[t].type !== 'space' && tokens[t].type !== 'comment') return tokens[t]
+        }
+        return null
+    }
+
+    const regexCanStart = () => {
+        const last = lastSignificant()
+
+        if (!last) return true
+        if (last.type === 'word') return regexAllowedAfter.has(last.value)
+        if (last.type === 'punct') return !')]}'.includes(last.value)
+
+        return false
+    }
+
+    // skip a quoted string, returns the index after its end
+    const skipString = (start, quote) => {
+        let j = start + 1
+        while (j < code.length && code[j] !== quote && code[j] !== '\n') {
+            j += code[j] === '\\' ? 2 : 1
+        }
+        return j + 1
+    }
+
+    // templates can nest code, and that code can nest templates
+    const skipTemplate = start => {
+        let j = start + 1
+
+        while (j < code.length && code[j] !== '`') {
+            if (code[j] === '\\') {
+                j += 2
+            } else if (code[j] === '$' && code[j + 1] === '{') {
+                let depth = 1
+                j += 2
+
+                while (j < code.length && depth) {
+                    const char = code[j]
+
+                    if (char === '{') depth++
+                    if (char === '}') depth--
+
+                    if (char === '"' || char === "'") j = skipString(j, char)
+                    else if (char === '`') j = skipTemplate(j)
+                    else j++
+                }
+            } else {
+                j++
+            }
+        }
+
+        return j + 1
+    }
+
+    const skipRegex = start => {
+        let j = start + 1, inClass = false
+
+        while (j < code.length && code[j] !== '\n') {
+            const char = code[j]
+
+            if (char === '\\') { j += 2; continue }
+            if (char === '[') inClass = true
+            if (char === ']') inClass = false
+            if (char === '/' && !inClass) break
+
+            j++
+        }
+
+        j++
+        while (j < code.length && /[a-z]/i.test(code[j])) j++ // flags
+
+        return j
+    }
+
+    while (i < code.length) {
+        const char = code[i], next = code[i + 1]
+        let end, type
+
+        if (/\s/.test(char)) {
+            type = 'space'
+            end = i + 1
+            while (end < code.length && /\s/.test(code[end])) end++
+        } else if (char === '/' && next === '/') {
+            type = 'comment'
+            end = code.indexOf('\n', i)
+            if (end === -1) end = code.length
+        } else if (char === '/' && next === '*') {
+            type = 'comment'
+            end = code.indexOf('*/', i + 2)
+            end = end === -1 ? code.length : end + 2
+        } else if (char === '"' || char === "'") {
+            type = 'string'
+            end = skipString(i, char)
+        } else if (char === '`') {
+            type = 'string'
+            end = skipTemplate(i)
+        } else if (char === '/' && regexCanStart()) {
+            type = 'regex'
+            end = skipRegex(i)
+        } else if (/[\w$]/.test(char)) {
+            type = 'word'
+            end = i + 1
+            while (end < code.length && /[\w$]/.test(code[end])) end++
+        } else {
+            type = 'punct'
+            end = i + 1
+        }
+
+        end = Math.min(end, code.length)
+        tokens.push({ type, value: code.slice(i, end), start: i, end })
+        i = end
+    }
+
+    return tokens
+}
+
+// what kind of braces each token is directly in: 'block', 'object' or
+// 'class' (a body), null at the top. a loop can't be written right in
+// an object or a class body, a while or for there names a method
+function braceKinds(tokens) {
+    const stack = []
+
+    const kindOf = index => {
+        const previous = tokens[index - 1]
+
+        // class Name extends Base {
+        for (let t = index - 1; t >= 0 && (tokens[t].type === 'word' || tokens[t].value === '.'); t--) {
+            if (tokens[t].value === 'class') return 'class'
+        }
+
+        if (!previous) return 'block'
+        if (previous.type === 'word') return previous.value === 'return' ? 'object' : 'block'
+        if ('=([,?'.includes(previous.value)) return 'object'
+        if (previous.value === ':') return stack[stack.length - 1] === 'object' ? 'object' : 'block'
+
+        return 'block'
+    }
+
+    return tokens.map(({ type, value }, index) => {
+        const inside = stack.length ? stack[stack.length - 1] : null
+
+        if (type === 'punct' && value === '{') stack.push(kindOf(index))
+        if (type === 'punct' && value === '}') stack.pop()
+
+        return inside
+    })
+}
+
+export default function protect(code, id = null) {
+    const tokens = tokenize(code).filter(({ type }) => type !== 'space' && type !== 'comment')
+    const insertions = []
+
+    const lineAt = position => code.slice(0, position).split('\n').length - 1
+
+    // index of the `)` closing the `(` at index `open`
+    const closingParen = open => {
+        let depth = 0
+
+        for (let t = open; t < tokens.length; t++) {
+            const { type, value } = tokens[t]
+            if (type !== 'punct') continue
+
+            if ('([{'.includes(value)) depth++
+            if (')]}'.includes(value)) depth--
+
+            if (depth === 0) return t
+        }
+
+        return -1
+    }
+
+    const braces = braceKinds(tokens)
+
+    tokens.forEach((token, index) => {
+        if (token.type !== 'word' || (token.value !== 'while' && token.value !== 'for')) return
+
+        const previous = tokens[index - 1]
+        if (previous && previous.value === '.') return // a property called while/for
+
+        const open = index + 1
+        if (tokens[open] && tokens[open].value === 'await') return // for await never spins sync
+
+        if (!tokens[open] || tokens[open].value !== '(') return
+
+        const close = closingParen(open)
+        if (close === -1) return
+
+        // a method called while/for: { while(x) {...} }, class A { for() {} }
+        const inBody = braces[index] === 'object' || braces[index] === 'class'
+        if (inBody && tokens[close + 1] && tokens[close + 1].value === '{') return
+
+        const guard = `${GUARD}(${lineAt(token.start)}${id ? `, ${JSON.stringify(id)}` : ''})`
+
+        if (token.value === 'while') {
+            insertions.push({ at: tokens[open].end, text: `${guard} && (` })
+            insertions.push({ at: tokens[close].start, text: ')' })
+            return
+        }
+
+        // for (init; condition; update), `for in` and `for of` are left alone
+        const semicolons = []
+        let depth = 0
+
+        for (let t = open + 1; t < close; t++) {
+            const { type, value } = tokens[t]
+            if (type !== 'punct') continue
+
+            if ('([{'.includes(value)) depth++
+            if (')]}'.includes(value)) depth--
+            if (value === ';' && depth === 0) semicolons.push(tokens[t])
+        }
+
+        if (semicolons.length !== 2) return
+
+        const [first, second] = semicolons
+        const hasCondition = code.slice(first.end, second.start).trim() !== ''
+
+        if (hasCondition) {
+            insertions.push({ at: first.end, text: ` ${guard} && (` })
+            insertions.push({ at: second.start, text: ')' })
+        } else {
+            insertions.push({ at: first.end, text: ` ${guard}` })
+        }
+    })
+
+    // apply from the end, so earlier positions stay valid
+    return insertions
+        .sort((a, b) => b.at - a.at)
+        .reduce((result, { at, text }) => result.slice(0, at) + text + result.slice(at), code)
+}
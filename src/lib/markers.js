@@ -0,0 +1,100 @@
+// gutter markers with tooltips, using the lint addon styles.
+// markers live in groups (runtime, syntax...), so one kind
+// of problem can be cleared without touching the others.
+
+const GUTTER = 'CodeMirror-lint-markers'
+
+const markersByEditor = new WeakMap()
+
+let tooltip = null
+
+function groupsOf(editor) {
+    if (!markersByEditor.has(editor)) markersByEditor.set(editor, new Map())
+
+    return markersByEditor.get(editor)
+}
+
+function showTooltip(event, messages) {
+    hideTooltip()
+
+    tooltip = document.createElement('div')
+    tooltip.className = 'CodeMirror-lint-tooltip'
+
+    messages.forEach(({ message, severity }) => {
+        const item = document.createElement('div')
+        item.className = `CodeMirror-lint-message CodeMirror-lint-message-${severity}`
+        item.textContent = message
+        tooltip.appendChild(item)
+    })
+
+    document.body.appendChild(tooltip)
+
+    tooltip.style.top = Math.max(0, event.clientY - tooltip.offsetHeight - 5) + 'px'
+    tooltip.style.left = (event.clientX + 5) + 'px'
+    tooltip.style.opacity = 1
+}
+
+function hideTooltip() {
+    if (tooltip) tooltip.remove()
+    tooltip = null
+}
+
+function render(editor) {
+    editor.operation(() => {
+        editor.clearGutter(GUTTER)
+
+        const lines = new Map()
+
+        groupsOf(editor).forEach(markers => markers.forEach(marker => {
+            editor.removeLineClass(marker.handle, 'background', 'CodeMirror-line-error')
+            editor.removeLineClass(marker.handle, 'background', 'CodeMirror-line-warning')
+
+            const line = editor.getLineNumber(marker.handle)
+            if (line === null) return // line was deleted
+
+            if (!lines.has(line)) lines.set(line, [])
+            lines.get(line).push(marker)
+        }))
+
+        lines.forEach((messages, line) => {
+            const severity = messages.some(({ severity }) => severity === 'error') ? 'error' : 'warning'
+
+            const element = document.createElement('div')
+            element.className = `CodeMirror-lint-marker CodeMirror-lint-marker-${severity}`
+            element.addEventListener('mouseenter', event => showTooltip(event, messages))
+            element.addEventListener('mouseleave', hideTooltip)
+
+            editor.setGutterMarker(line, GUTTER, element)
+            editor.addLineClass(line, 'background', `CodeMirror-line-${severity}`)
+        })
+    })
+}
+
+export function addMarker(editor, { line, message, severity = 'error', group = 'default' }) {
+    line = Math.min(Math.max(line, 0), editor.lineCount() - 1)
+
+    const groups = groupsOf(editor)
+    if (!groups.has(group)) groups.set(group, [])
+
+    groups.get(group).push({ handle: editor.getLineHandle(line), message, severity })
+
+    render(editor)
+}
+
+export function clearMarkers(editor, group = 'default') {
+    const groups = groupsOf(editor)
+    if (!groups.has(group)) return
+
+    const markers = groups.get(group)
+    groups.delete(group)
+
+    // line classes of removed markers would be left behind otherwise
+    markers.forEach(({ handle }) => {
+        editor.removeLineClass(handle, 'background', 'CodeMirror-line-error')
+        editor.removeLineClass(handle, 'background', 'CodeMirror-line-warning')
+    })
+
+    render(editor)
+}
+
+export const gutter = GUTTER
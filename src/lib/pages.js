@@ -0,0 +1,61 @@
+import mevent from './mevent.js'
+import { list } from './files.js'
+import { kindOf } from './languages.js'
+
+// pages of the project: the html tab is index.html, html files are pages
+// of their own (about.pug is about.html). the preview goes through them
+// like a browser tab, with a history to go back and forward in.
+
+export const INDEX = 'index.html'
+
+const pagePath = name => name.replace(/\.[^.]+$/, '.html')
+
+const pageFiles = () => list().filter(({ id }) => kindOf(id) === 'htmlmixed')
+
+export const pages = () => [INDEX, ...pageFiles().map(({ name }) => pagePath(name))]
+
+// editor with the page, null when there's no such page
+export function pageId(path) {
+    if (path === INDEX) return 'htmlmixed'
+
+    const file = pageFiles().find(({ name }) => pagePath(name) === path)
+    return file ? file.id : null
+}
+
+// the file a link or a src points to: "./about.html#team" is about.html
+export const filePath = reference => reference.replace(/[?#].*$/, '').replace(/^\.?\//, '')
+
+let entries = [INDEX],
+index = 0
+
+export const current = () => entries[index]
+export const canGoBack = () => index > 0
+export const canGoForward = () => index < entries.length - 1
+
+function changed() {
+    mevent.trigger('pageChange', current())
+}
+
+// the same page again is a reload
+export function go(path) {
+    if (path !== current()) {
+        entries = [...entries.slice(0, index + 1), path]
+        index = entries.length - 1
+    }
+
+    changed()
+}
+
+export function back() {
+    if (!canGoBack()) return
+
+    index--
+    changed()
+}
+
+export function forward() {
+    if (!canGoForward()) return
+
+    index++
+    changed()
+}
@@ -0,0 +1,53 @@
+import { b64EncodeUnicode, escapeHtml } from './utils.js'
+import Settings from './settings.js'
+
+// puts a generated document into the preview iframe.
+//
+// srcdoc and blob keep the editor's origin, so web storage, cookies and
+// relative urls work inside the preview. data: gives the page an opaque
+// origin and is kept as the isolated fallback.
+
+let blobUrl = null
+
+const modes = {
+    srcdoc(iframe, code) {
+        iframe.removeAttribute('src')
+        iframe.srcdoc = code
+    },
+
+    blob(iframe, code) {
+        blobUrl = URL.createObjectURL(new Blob([code], { type: 'text/html;charset=utf-8' }))
+
+        iframe.removeAttribute('srcdoc')
+        iframe.src = blobUrl
+    },
+
+    data(iframe, code) {
+        iframe.removeAttribute('srcdoc')
+        iframe.src = "data:text/html;charset=utf-8;base64," + b64EncodeUnicode(code)
+    }
+}
+
+export const renderOptions = () => ({
+    mode: Settings.get('renderMode'),
+    sandbox: Settings.get('sandbox')
+})
+
+// blob documents have no base to resolve relative urls from. it goes
+// in the head, with the rest of the top slot (see assembler.js)
+export const baseTag = (options = renderOptions()) =>
+    options.mode === 'blob' ? `<base href="${escapeHtml(location.href)}">` : ''
+
+export default function render(iframe, code, options = renderOptions()) {
+    const mode = modes[options.mode] || modes.srcdoc
+
+    if (blobUrl) {
+        URL.revokeObjectURL(blobUrl)
+        blobUrl = null
+    }
+
+    // takes effect on the navigation below
+    iframe.setAttribute('sandbox', options.sandbox.join(' '))
+
+    mode(iframe, code)
+}
@@ -1,52 +1,95 @@
-// Not working in this V2
+import mevent from './mevent.js'
+import Settings from './settings.js'
+import { isDetached } from './detach.js'
 
-export default function() {
-    let 
-        isResizing = false,
-        lastDownX = 0,
-        clientX;
+// docked layout: editors on one side, preview on the other, with a
+// divider in between. the split is a ratio of the area below the tabs,
+// kept in the --split css variable that style.css lays everything out with.
 
+export default function(divider) {
+    let isResizing = false,
+        split = Number(Settings.get('split')) || 0.5;
 
-    let container = document.getElementById('container'),
-        left = document.getElementById('left_panel'),
-        right = document.getElementById('right_panel'),
-        handle = document.getElementById('drag');
+    const body = document.body
 
+    divider.addEventListener('pointerdown', function (e) {
+        if (!e.isPrimary) return
+
+        e.preventDefault()
+
+        // keeps the moves coming while the pointer is over the iframe
+        divider.setPointerCapture(e.pointerId)
 
-    handle.addEventListener('mousedown', function (e) {
         isResizing = true;
-        lastDownX = e.clientX;
-        mevent.trigger('isResizing', true)
+        mevent.trigger('isDragging', true)
     });
 
-    window.addEventListener('mousemove', function (e) {
+    divider.addEventListener('pointermove', function (e) {
         // we don't want to do anything if we aren't resizing.
-        if (isResizing) 
+        if (isResizing)
             doResize(e)
     })
-    
-    window.addEventListener('mouseup', function (e) {
+
+    divider.addEventListener('pointerup', stopResizing)
+    divider.addEventListener('pointercancel', stopResizing)
+
+    function stopResizing(e) {
+        if (!isResizing) return
+
         // stop resizing
         isResizing = false;
-        mevent.trigger('isResizing', false)
-    });
+        divider.releasePointerCapture(e.pointerId)
+        mevent.trigger('isDragging', false)
 
-    function doResize(event) {
-        clientX = event.clientX
-        var offsetRight = container.offsetWidth - (clientX - offset(container).left);
+        Settings.set('split', split)
+    }
+
+    mevent.bind('settingsChange', key => {
+        if (key === 'layout' || key === 'orientation') apply()
+    })
+
+    mevent.bind('previewDetached', apply)
+    mevent.bind('previewDocked', apply)
 
-        left.style.right = offsetRight + 'px'
-        right.style.width = offsetRight + 'px'
+    apply()
+
+    function isVertical() {
+        return Settings.get('orientation') === 'vertical'
     }
 
+    function doResize(event) {
+        const top = offsetTop()
+
+        split = isVertical()
+            ? (event.clientY - top) / (window.innerHeight - top)
+            : event.clientX / window.innerWidth
+
+        split = Math.min(Math.max(split, 0.1), 0.9)
+
+        body.style.setProperty('--split', split)
+        mevent.trigger('layoutChange', layout())
+    }
 
-    function offset(element) {
-        var rect = element.getBoundingClientRect();
+    // the tab links bar stays on top of everything
+    function offsetTop() {
+        return document.querySelector('.tab-links').offsetHeight
+    }
 
-        return { 
-            top: rect.top + window.pageYOffset, 
-            left: rect.left + window.pageYOffset, 
-        };
+    function layout() {
+        return {
+            docked: Settings.get('layout') === 'docked' && !isDetached(),
+            vertical: isVertical(),
+            split
+        }
     }
 
+    function apply() {
+        const { docked, vertical } = layout()
+
+        body.classList.toggle('docked', docked)
+        body.classList.toggle('docked-vertical', docked && vertical)
+        body.style.setProperty('--split', split)
+
+        mevent.trigger('layoutChange', layout())
+    }
 }
@@ -0,0 +1,76 @@
+import mevent from './mevent.js'
+import { place, keepOnScreen } from './geometry.js'
+
+// resize the floating window from any edge or corner
+
+const MIN_WIDTH = 200, MIN_HEIGHT = 120
+
+const edges = ['n', 's', 'e', 'w', 'ne', 'nw', 'se', 'sw']
+
+export default function(element) {
+    let edge = null, start = null;
+
+    edges.forEach(name => {
+        const handle = document.createElement('div')
+        handle.className = `resize-handle resize-${name}`
+        handle.dataset.edge = name
+
+        handle.addEventListener('pointerdown', startResize)
+        handle.addEventListener('pointermove', doResize)
+        handle.addEventListener('pointerup', endResize)
+        handle.addEventListener('pointercancel', endResize)
+
+        element.appendChild(handle)
+    })
+
+    function startResize(e) {
+        if (element.classList.contains('docked') || !e.isPrimary) return
+
+        e.preventDefault()
+        e.stopPropagation()
+
+        // moves keep coming to the handle, even over the iframe
+        e.currentTarget.setPointerCapture(e.pointerId)
+
+        const rect = element.getBoundingClientRect()
+        place(element, rect)
+
+        edge = e.currentTarget.dataset.edge
+        start = { x: e.clientX, y: e.clientY, rect }
+
+        mevent.trigger('isDragging', true)
+    }
+
+    function doResize(e) {
+        if (!edge) return
+
+        e.preventDefault()
+
+        const dx = e.clientX - start.x, dy = e.clientY - start.y
+        let { top, left, width, height } = start.rect
+
+        if (edge.includes('e')) width += dx
+        if (edge.includes('s')) height += dy
+        if (edge.includes('w')) width -= dx
+        if (edge.includes('n')) height -= dy
+
+        width = Math.max(width, MIN_WIDTH)
+        height = Math.max(height, MIN_HEIGHT)
+
+        // left and top edges move the window, the opposite side stays put
+        if (edge.includes('w')) left = start.rect.right - width
+        if (edge.includes('n')) top = start.rect.bottom - height
+
+        place(element, { top, left, width, height })
+    }
+
+    function endResize(e) {
+        if (!edge) return
+
+        edge = null
+        e.currentTarget.releasePointerCapture(e.pointerId)
+        keepOnScreen(element)
+
+        mevent.trigger('isDragging', false)
+    }
+}
@@ -0,0 +1,53 @@
+import { b64EncodeUnicode, escapeHtml } from './utils.js'
+import Settings from './settings.js'
+import Storage from './storage.js'
+
+// stylesheets and scripts added to the head of the preview, in order.
+// a resource is { type: 'css' | 'js', url } or, for a file picked from
+// the computer, { type, name, key }. scripts can be async or defer.
+//
+// the content of a local file is saved under its key, not in the
+// settings, which are read all the time
+
+// shipped with the editor, work offline
+export const catalog = [
+    { label: 'normalize.css', type: 'css', url: '/lib/normalize/normalize.css' },
+    { label: 'modern-normalize', type: 'css', url: '/lib/modern-normalize/modern-normalize.css' },
+    { label: 'CSS reset (Eric Meyer)', type: 'css', url: '/lib/reset/reset.css' }
+]
+
+export const typeOf = name => /\.m?js(\?|#|$)/i.test(name) ? 'js' : 'css'
+
+// relative urls point next to the editor, the preview may be a blob: or data: url
+const absolute = url => new URL(url, location.href).href
+
+// the key a new local file saves its content under
+export function saveContent(content) {
+    const next = Math.max(0, ...Settings.get('resources').map(({ key = '' }) => Number(key.replace('resource', '')) || 0)) + 1
+    const key = `resource${next}`
+
+    Storage.add(key, content)
+
+    return key
+}
+
+export const removeContent = ({ key }) => key && Storage.remove(key)
+
+const contentOf = ({ key }) => (key && Storage.get(key)) || ''
+
+function scriptTag({ url, key, async, defer }) {
+    // a data: url keeps async and defer working for local files
+    const src = url ? absolute(url) : `data:text/javascript;base64,${b64EncodeUnicode(contentOf({ key }))}`
+
+    return `<script src="${escapeHtml(src)}"${async ? ' async' : ''}${defer ? ' defer' : ''}></script>`
+}
+
+function styleTag({ url, key }) {
+    return url
+        ? `<link rel="stylesheet" href="${escapeHtml(absolute(url))}">`
+        : `<style>${contentOf({ key })}</style>`
+}
+
+export default function resourceTags(resources = []) {
+    return resources.map(resource => resource.type === 'js' ? scriptTag(resource) : styleTag(resource))
+}
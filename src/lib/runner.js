@@ -0,0 +1,61 @@
+import mevent from './mevent.js'
+import Settings from './settings.js'
+
+// decides when the preview runs: after a delay on every change
+// when auto-run is on, or only when asked to.
+
+export default function createRunner(run) {
+    let timer = null, stale = false, safeMode = false, forced = false
+
+    function setStale(value) {
+        if (stale === value) return
+
+        stale = value
+        mevent.trigger('previewStale', stale)
+    }
+
+    // force: the next run builds the page again even if no code changed
+    function schedule(force = false) {
+        forced = forced || force
+        setStale(true)
+        clearTimeout(timer)
+
+        if (!Settings.get('autoRun') || safeMode) return
+
+        timer = setTimeout(runNow, Number(Settings.get('autoRunDelay')) || 0)
+    }
+
+    function runNow(force = false) {
+        clearTimeout(timer)
+        setStale(false)
+
+        // running by hand means the code is trusted again
+        safeMode = false
+
+        const rebuild = force || forced
+        forced = false
+
+        run(rebuild)
+    }
+
+    // nothing runs by itself until the user asks for it
+    function safeStart() {
+        safeMode = true
+        setStale(true)
+
+        mevent.trigger('safeStart')
+    }
+
+    mevent.bind('previewRun', () => runNow())
+
+    // turning auto-run back on runs whatever is pending
+    mevent.bind('settingsChange', (key, value) => {
+        if (key === 'autoRun' && value && stale) runNow()
+    })
+
+    return {
+        schedule,
+        runNow,
+        safeStart
+    }
+}
@@ -0,0 +1,54 @@
+import Storage from './storage.js'
+import mevent from './mevent.js'
+
+// project settings, saved like the editors (one set per url)
+
+const KEY = 'settings'
+
+const defaults = {
+    autoRun: true,
+    autoRunDelay: 1000,
+    loopProtect: true,
+    loopTimeout: 1000,
+    headTitle: '',
+    headTags: '',
+    htmlClass: '',
+    bodyClass: '',
+    jsModule: false,
+    importMap: '',
+    jsxPragma: 'React.createElement',
+    jsxPragmaFrag: 'React.Fragment',
+    resources: [],
+    files: [],
+    tabsInPreview: ['htmlmixed', 'css', 'javascript'],
+    cssPlacement: 'head',
+    cssLanguage: 'css',
+    htmlmixedLanguage: 'html',
+    javascriptLanguage: 'javascript',
+    javascriptPlacement: 'body',
+    layout: 'floating',
+    orientation: 'horizontal',
+    split: 0.5,
+    previewWindow: null,
+    device: { preset: 'responsive', width: 375, height: 667, rotated: false, fit: true },
+    renderMode: 'srcdoc',
+    sandbox: ['allow-scripts', 'allow-same-origin', 'allow-forms', 'allow-modals', 'allow-popups']
+}
+
+// parsed once, get runs on every keystroke
+let cache = null
+
+const saved = () => cache || (cache = Storage.get(KEY) || {})
+
+const get = key => key in saved() ? saved()[key] : defaults[key]
+
+function set(key, value) {
+    cache = { ...saved(), [key]: value }
+    Storage.add(KEY, cache)
+
+    mevent.trigger('settingsChange', key, value)
+}
+
+export default {
+    get, set
+}
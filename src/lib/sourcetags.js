@@ -0,0 +1,87 @@
+// marks every element written in the html tab with the offset of its
+// opening tag, so the preview can tell where an element comes from.
+// the bridge takes the attribute off before the page scripts run.
+
+export const SOURCE_ATTRIBUTE = 'data-fronteditor-source'
+
+// comments, cdata and processing instructions hold no tags
+const TOKENS = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<[?%][\s\S]*?(?:[?%]>|$)|<(\/?)([a-z][\w:.-]*)((?:"[^"]*"|'[^']*'|[^>"'])*)>/gi
+
+// and the text of these is not html, the parser reads it as it is
+const RAW_TEXT = ['script', 'style', 'textarea', 'title']
+
+// the tags written in html: [{ name, open: [start, end], close: [start, end] }],
+// in the order they open. close is missing for void and unclosed tags
+export function tagMatches(html) {
+    const matches = [], open = []
+    let token
+
+    TOKENS.lastIndex = 0
+
+    while ((token = TOKENS.exec(html))) {
+        const [text, closing, tagName, attributes] = token
+        if (!tagName) continue
+
+        const name = tagName.toLowerCase()
+        const range = [token.index, token.index + text.length]
+
+        if (closing) {
+            // a closing tag ends the last element of its name and whatever
+            // was left open inside it
+            const at = open.map(match => match.name).lastIndexOf(name)
+
+            if (at >= 0) {
+                open[at].close = range
+                open.length = at
+            }
+            continue
+        }
+
+        const match = { name, open: range }
+        matches.push(match)
+
+        if (attributes.endsWith('/')) continue
+
+        if (RAW_TEXT.includes(name)) {
+            const end = new RegExp(`</${name}\\s*>`, 'ig')
+            end.lastIndex = TOKENS.lastIndex
+
+            const close = end.exec(html)
+            if (!close) break
+
+            match.close = [close.index, close.index + close[0].length]
+            TOKENS.lastIndex = end.lastIndex
+            continue
+        }
+
+        open.push(match)
+    }
+
+    return matches
+}
+
+// matches come from tagMatches()
+export function annotate(html, matches) {
+    let result = '', position = 0
+
+    matches.forEach(({ open: [start, end] }) => {
+        const at = html[end - 2] === '/' ? end - 2 : end - 1
+
+        result += html.slice(position, at) + ` ${SOURCE_ATTRIBUTE}="${start}"`
+        position = at
+    })
+
+    return result + html.slice(position)
+}
+
+// innermost tag around offset, from its opening to its closing tag
+export function tagAt(matches, offset) {
+    return matches.filter(({ open, close }) =>
+        open[0] <= offset && offset < (close ? close[1] : open[1])
+    ).pop() || null
+}
+
+// the tag opening at offset, or the last one opening before it
+export function findTag(matches, offset) {
+    return matches.filter(match => match.open[0] <= offset).pop() || null
+}
@@ -1,12 +1,30 @@
-// each url will be a new content
-const editor = editorName => location.pathname.replace("/", "") + editorName;
+// each url will be a new content. the preview shares localStorage with
+// the editor, so the editor's keys have a prefix of their own (and the
+// preview gets its own corner, see bridge.js)
+const PREFIX = 'fronteditor:'
+
+const project = key => location.pathname.replace("/", "") + key;
+
+const editor = key => PREFIX + project(key);
 
 const add = (key, value) => localStorage.setItem(editor(key), JSON.stringify(value))
 
-const get = key => JSON.parse(localStorage.getItem(editor(key)))
+// keys saved before the prefix are still read, they move on the next add
+function get(key) {
+    const saved = localStorage.getItem(editor(key)) ?? localStorage.getItem(project(key))
+
+    try {
+        return JSON.parse(saved)
+    } catch (error) {
+        return null
+    }
+}
 
-const remove = key => localStorage.removeItem(editor(key))
+const remove = key => {
+    localStorage.removeItem(editor(key))
+    localStorage.removeItem(project(key))
+}
 
 export default {
     add, get, remove
-}
\ No newline at end of file
+}
@@ -0,0 +1,19 @@
+// parses javascript without running it, using acorn (loaded in index.html).
+// returns null when the code is fine, or where the first error is,
+// with a 0-based line like the editors use.
+export default function checkSyntax(code, sourceType = 'script') {
+    if (!code || typeof acorn === 'undefined') return null
+
+    try {
+        acorn.parse(code, { ecmaVersion: 'latest', sourceType })
+        return null
+    } catch (error) {
+        if (!error.loc) throw error
+
+        return {
+            message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+            line: error.loc.line - 1,
+            column: error.loc.column
+        }
+    }
+}
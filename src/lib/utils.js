@@ -11,4 +11,12 @@ export function b64EncodeUnicode(str) {
 
 export function debounceEvent(fn, wait = 1000, time) {
     return (...args) => clearTimeout(time, time = setTimeout(() => fn(...args), wait))
-}
\ No newline at end of file
+}
+
+export function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+}
@@ -0,0 +1,74 @@
+import { extensionOf } from './files.js'
+import { findImports } from './importmap.js'
+import { filePath } from './pages.js'
+import { tagMatches } from './sourcetags.js'
+
+// project files for the preview, served from blob: urls. pages refer to
+// them by name: <script src="utils.js">, <link href="theme.css">, and
+// import './utils.js' in modules, through the import map. a blob: url
+// belongs to the editor's origin, with the data render mode (opaque
+// origin) the files can't load.
+
+const types = { htmlmixed: 'text/html', css: 'text/css', javascript: 'text/javascript' }
+
+const extensionTypes = {
+    json: 'application/json',
+    svg: 'image/svg+xml',
+    xml: 'application/xml',
+    md: 'text/markdown'
+}
+
+let urls = {}
+
+// { name: url } for files given as { name, code, kind }, the urls of the
+// last time are let go
+export function publish(files) {
+    Object.values(urls).forEach(url => URL.revokeObjectURL(url))
+
+    urls = Object.fromEntries(files.map(({ name, code, kind }) => {
+        const type = types[kind] || extensionTypes[extensionOf(name)] || 'text/plain'
+
+        return [name, URL.createObjectURL(new Blob([code], { type: `${type};charset=utf-8` }))]
+    }))
+
+    return urls
+}
+
+// the file a url was published for, or null
+export const nameOfUrl = url => Object.keys(urls).find(name => urls[name] === url) || null
+
+const ATTRIBUTES = /([^\s"'>\/=]+)(\s*=\s*)("[^"]*"|'[^']*'|[^\s"'>]+)/g
+
+// src and href attributes of the tags naming a file get its url. text
+// and scripts are left as written, and so are links to pages, the
+// bridge asks the editor to open them
+export function linkFiles(html, urls, pages = []) {
+    const linkTag = tag => tag.replace(ATTRIBUTES, (attribute, name, equals, value) => {
+        if (!/^(src|href)$/i.test(name)) return attribute
+
+        const quote = /^["']/.test(value) ? value[0] : ''
+        const path = filePath(quote ? value.slice(1, -1) : value)
+
+        return urls[path] && !pages.includes(path) ? `${name}${equals}${quote}${urls[path]}${quote}` : attribute
+    })
+
+    return tagMatches(html).reverse().reduce((linked, { open: [start, end] }) =>
+        linked.slice(0, start) + linkTag(linked.slice(start, end)) + linked.slice(end), html)
+}
+
+// relative imports are resolved against the importing module, which is a
+// blob: url for files. written as the absolute url of the file instead,
+// they mean the same everywhere and the import map can send them to the
+// blob. the line doesn't change, errors keep pointing to the right place
+export const fileUrl = name => new URL(name, location.href).href
+
+export function linkImports(code, names) {
+    return findImports(code)
+        .filter(({ specifier }) => /^(\.\.?)?\//.test(specifier) && names.includes(filePath(specifier)))
+        .sort((a, b) => b.start - a.start)
+        .reduce((linked, { specifier, start, end }) =>
+            linked.slice(0, start) + JSON.stringify(fileUrl(filePath(specifier))) + linked.slice(end), code)
+}
+
+// import map entries of the files
+export const fileImports = urls => Object.fromEntries(Object.entries(urls).map(([name, url]) => [fileUrl(name), url]))
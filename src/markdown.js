@@ -0,0 +1,95 @@
+import mevent from './lib/mevent.js';
+
+// minimal github-like look for the rendered markdown
+const styles = `
+    body { font: 15px/1.6 -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; color: #24292f; padding: 16px 24px; margin: 0; word-wrap: break-word; }
+    h1, h2 { border-bottom: 1px solid #d8dee4; padding-bottom: .3em; }
+    h1, h2, h3, h4, h5, h6 { margin: 24px 0 16px; line-height: 1.25; }
+    p, ul, ol, blockquote, table, pre { margin: 0 0 16px; }
+    a { color: #0969da; text-decoration: none; }
+    a:hover { text-decoration: underline; }
+    code { background: rgba(175, 184, 193, .2); border-radius: 6px; padding: .2em .4em; font: 85% ui-monospace, Consolas, monospace; }
+    pre { background: #f6f8fa; border-radius: 6px; padding: 16px; overflow: auto; }
+    pre code { background: transparent; padding: 0; }
+    blockquote { color: #57606a; border-left: .25em solid #d0d7de; padding: 0 1em; margin-left: 0; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #d0d7de; padding: 6px 13px; }
+    tr:nth-child(2n) { background: #f6f8fa; }
+    img { max-width: 100%; }
+    hr { border: 0; height: .25em; background: #d0d7de; }
+    li > input[type=checkbox] { margin: 0 .2em .25em -1.4em; vertical-align: middle; }
+    ul:has(> li > input[type=checkbox]) { list-style: none; }
+`
+
+export default function(element) {
+    const frame = element.querySelector('iframe');
+
+    let editor = null;
+
+    marked.setOptions({ gfm: true, headerIds: false, mangle: false });
+
+    mevent.bind('editorCreated', (id, createdEditor) => {
+        if (id !== 'markdown') return
+
+        editor = createdEditor
+        editor.on('scroll', syncScroll)
+    })
+
+    mevent.bind('markdownRender', render)
+
+    // each top level block is tagged with its first source line,
+    // that's what the scroll sync uses to match both sides
+    function toHtml(source) {
+        const tokens = marked.lexer(source)
+        let line = 0
+
+        return tokens.map(token => {
+            const start = line
+            line += (token.raw.match(/\n/g) || []).length
+
+            if (token.type === 'space') return ''
+
+            const block = Object.assign([token], { links: tokens.links })
+            return `<div data-line="${start}">${marked.parser(block)}</div>`
+        }).join('')
+    }
+
+    function render(source) {
+        const scrollTop = frame.contentDocument ? frame.contentDocument.documentElement.scrollTop : 0
+
+        frame.srcdoc = `<!DOCTYPE html>
+            <html><head><meta charset="utf-8"><base target="_blank"><style>${styles}</style></head>
+            <body>${toHtml(source)}</body></html>`
+
+        // keep position after the document is replaced
+        frame.onload = () => {
+            frame.contentDocument.documentElement.scrollTop = scrollTop
+            syncScroll()
+        }
+    }
+
+    function syncScroll() {
+        const doc = frame.contentDocument
+        if (!editor || !doc || !doc.body) return
+
+        const { top } = editor.getScrollInfo()
+        const topLine = editor.lineAtHeight(top, 'local')
+
+        const blocks = [...doc.querySelectorAll('[data-line]')]
+        if (!blocks.length) return
+
+        // last block starting before the top line, and the one after it
+        let index = blocks.findIndex(block => Number(block.dataset.line) > topLine) - 1
+        if (index === -2) index = blocks.length - 1
+        if (index < 0) index = 0
+
+        const current = blocks[index], next = blocks[index + 1]
+        const startLine = Number(current.dataset.line)
+        const endLine = next ? Number(next.dataset.line) : editor.lineCount()
+        const endOffset = next ? next.offsetTop : doc.body.scrollHeight
+
+        const progress = Math.min(Math.max((topLine - startLine) / Math.max(endLine - startLine, 1), 0), 1)
+
+        doc.documentElement.scrollTop = current.offsetTop + (endOffset - current.offsetTop) * progress
+    }
+}
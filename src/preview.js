@@ -1,5 +1,14 @@
 import mevent from './lib/mevent.js';
 import draggable from './lib/draggable.js';
+import resizeHandles from './lib/resizehandles.js';
+import { place, keepOnScreen } from './lib/geometry.js';
+import { open as openDetached } from './lib/detach.js';
+import Settings from './lib/settings.js';
+import { send } from './lib/bridge.js';
+import { nameOf } from './lib/files.js';
+import { go, back, forward, canGoBack, canGoForward, filePath } from './lib/pages.js';
+
+const tabNames = { htmlmixed: 'html', css: 'css', javascript: 'js' };
 
 export default function(element) {
     let header = element.querySelector('header') || false;
@@ -7,12 +16,87 @@ export default function(element) {
     let maxButton = header.querySelector('span:nth-of-type(2)'),
     minButton = header.querySelector('span:nth-of-type(3)'),
     closeButton = header.querySelector('span:nth-of-type(1)'),
+    runButton = header.querySelector('[data-run]'),
+    syntaxBadge = header.querySelector('[data-syntax]'),
+    reloadButton = header.querySelector('[data-reload]'),
+    inspectButton = header.querySelector('[data-inspect]'),
+    backButton = header.querySelector('[data-back]'),
+    forwardButton = header.querySelector('[data-forward]'),
+    addressInput = header.querySelector('[data-address]'),
+    detachButton = header.querySelector('[data-detach]'),
+    dockButton = header.querySelector('[data-dock]'),
+    orientationButton = header.querySelector('[data-orientation]'),
     enableButton = document.getElementById('enable-preview');
 
     maxButton.onclick = max;
     minButton.onclick = min;
     closeButton.onclick = close;
+    runButton.onclick = run;
+    reloadButton.onclick = reload;
+    inspectButton.onclick = () => inspect(!element.classList.contains('inspecting'));
+    backButton.onclick = back;
+    forwardButton.onclick = forward;
+    detachButton.onclick = openDetached;
+    dockButton.onclick = toggleDock;
+    orientationButton.onclick = toggleOrientation;
     enableButton.onclick = open;
+
+    // preview is behind the editors, waiting for a run
+    mevent.bind('previewStale', stale => element.classList.toggle('stale', stale));
+
+    // the page shown is the last one without syntax errors
+    mevent.bind('previewSyntaxError', error => {
+        element.classList.toggle('syntax-error', Boolean(error));
+        syntaxBadge.textContent = error ? `${tabNames[error.id] || nameOf(error.id)} error at line ${error.line + 1}` : '';
+        syntaxBadge.title = error ? error.message : '';
+    });
+
+    // the page shown, see pages.js
+    addressInput.onkeydown = event => {
+        if (event.key !== 'Enter') return;
+
+        go(filePath(addressInput.value.trim()) || 'index.html');
+        addressInput.blur();
+    };
+
+    mevent.bind('pageChange', page => {
+        addressInput.value = page;
+        backButton.disabled = !canGoBack();
+        forwardButton.disabled = !canGoForward();
+    });
+
+    // inspect mode ends in the page: a pick, escape or a new page
+    mevent.bind('inspectEnd', () => inspect(false));
+    mevent.bind('previewReady', () => {
+        if (element.classList.contains('inspecting')) send('inspect', true);
+    });
+
+    // while in its own window, there's no floating preview at all
+    mevent.bind('previewDetached', () => {
+        element.classList.add('detached');
+        element.style.display = 'none';
+        enableButton.style.display = 'none';
+    });
+
+    mevent.bind('previewDocked', () => {
+        element.classList.remove('detached');
+        open();
+    });
+
+    // docked, the layout css places the window, so inline sizes must go
+    mevent.bind('layoutChange', ({ docked }) => {
+        const wasDocked = element.classList.contains('docked');
+        if (docked === wasDocked) return;
+
+        element.classList.toggle('docked', docked);
+
+        if (docked) {
+            element.removeAttribute('style');
+            enableButton.style.display = 'none';
+        } else if (!element.classList.contains('detached')) {
+            min();
+        }
+    });
    
     if(header) {
         configPlugin()
@@ -21,6 +105,9 @@ export default function(element) {
     function configPlugin() {
         // Make the DIV element draggable:
         draggable(element);
+        resizeHandles(element);
+
+        restoreGeometry();
 
         mevent.trigger('floatWindowLoaded');
     }
@@ -59,9 +146,32 @@ export default function(element) {
         element.style.display = 'none';
         enableButton.style.display = 'initial';
 
+        saveGeometry({ open: false });
+
         mevent.trigger('floatWindowClose');
     }
 
+    function run(){
+        mevent.trigger('previewRun');
+    }
+
+    function reload(){
+        mevent.trigger('previewReload');
+    }
+
+    function inspect(enabled){
+        element.classList.toggle('inspecting', enabled);
+        send('inspect', enabled);
+    }
+
+    function toggleDock(){
+        Settings.set('layout', Settings.get('layout') === 'docked' ? 'floating' : 'docked');
+    }
+
+    function toggleOrientation(){
+        Settings.set('orientation', Settings.get('orientation') === 'vertical' ? 'horizontal' : 'vertical');
+    }
+
     function open(){
         element.style.transitionProperty = 'width, height';
         element.style.transitionDuration = '.2s';
@@ -69,13 +179,56 @@ export default function(element) {
         enableButton.style.display = 'none';
         element.style.display = 'initial';
 
+        saveGeometry({ open: true });
+
         mevent.trigger('floatWindowOpen');
     }
 
+    function isFloating(){
+        return !element.classList.contains('docked')
+            && !element.classList.contains('detached')
+            && element.style.display !== 'none';
+    }
+
+    // position, size and open state survive reloads
+    function saveGeometry(changes = {}){
+        let geometry = {};
+
+        if (isFloating()) {
+            const { top, left, width, height } = element.getBoundingClientRect();
+            geometry = { top, left, width, height };
+        }
+
+        Settings.set('previewWindow', { ...Settings.get('previewWindow'), ...geometry, ...changes });
+    }
+
+    function restoreGeometry(){
+        const saved = Settings.get('previewWindow');
+        if (!saved) return;
+
+        if (saved.width) {
+            place(element, saved);
+            keepOnScreen(element);
+        }
+
+        if (saved.open === false) close();
+    }
+
+    // drags and resizes end here
+    mevent.bind('isDragging', isDragging => {
+        if (!isDragging && isFloating()) saveGeometry();
+    });
+
+    window.addEventListener('resize', () => {
+        if (isFloating()) keepOnScreen(element);
+    });
+
     // to speed up css resize. without it, all things became slower
     element.ontransitionend = () => {
         element.style.transitionProperty = '';
         element.style.transitionDuration = '0s';
+
+        if (isFloating()) saveGeometry();
     }
 
 }
\ No newline at end of file
@@ -0,0 +1,120 @@
+import Settings from './lib/settings.js';
+import mevent from './lib/mevent.js';
+import { catalog, typeOf, saveContent, removeContent } from './lib/resources.js';
+import { escapeHtml } from './lib/utils.js';
+
+// local files are kept with the project, in localStorage
+const MAX_FILE_SIZE = 512 * 1024;
+
+// the resources list of the settings dialog. its fields have no name,
+// the whole list is saved at once under the 'resources' setting.
+export default function(element) {
+    const list = element.querySelector('[data-resources]'),
+    urlInput = element.querySelector('[data-url]'),
+    addButton = element.querySelector('[data-add-url]'),
+    fileInput = element.querySelector('[data-add-file]'),
+    catalogList = element.querySelector('[data-catalog]'),
+    message = element.querySelector('[data-message]');
+
+    catalogList.innerHTML = catalog
+        .map(({ label }, index) => `<button type="button" data-index="${index}">+ ${escapeHtml(label)}</button>`)
+        .join('');
+
+    catalogList.onclick = event => {
+        const { index } = event.target.dataset;
+        if (index === undefined) return;
+
+        const { type, url } = catalog[index];
+        add({ type, url });
+    };
+
+    addButton.onclick = () => {
+        const url = urlInput.value.trim();
+        if (!url) return;
+
+        add({ type: typeOf(url), url });
+        urlInput.value = '';
+    };
+
+    fileInput.onchange = () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+
+        if (!file) return;
+
+        if (file.size > MAX_FILE_SIZE) {
+            message.textContent = `${file.name} is too big to keep in the browser, use a url instead.`;
+            return;
+        }
+
+        file.text().then(content => add({ type: typeOf(file.name), name: file.name, key: saveContent(content) }));
+    };
+
+    list.onclick = event => {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const index = Number(button.closest('li').dataset.index);
+        const resources = get();
+        const [resource] = resources.splice(index, 1);
+
+        if (button.dataset.action === 'remove') removeContent(resource);
+        if (button.dataset.action === 'up') resources.splice(Math.max(index - 1, 0), 0, resource);
+        if (button.dataset.action === 'down') resources.splice(index + 1, 0, resource);
+
+        save(resources);
+    };
+
+    list.onchange = event => {
+        const field = event.target;
+        const index = Number(field.closest('li').dataset.index);
+        const resources = get();
+
+        resources[index] = {
+            ...resources[index],
+            [field.dataset.field]: field.type === 'checkbox' ? field.checked : field.value
+        };
+
+        save(resources);
+    };
+
+    mevent.bind('settingsOpen', fill);
+
+    function get() {
+        return [...(Settings.get('resources') || [])];
+    }
+
+    function add(resource) {
+        save([...get(), resource]);
+    }
+
+    function save(resources) {
+        message.textContent = '';
+
+        Settings.set('resources', resources);
+        fill();
+    }
+
+    function fill() {
+        const resources = get();
+
+        list.innerHTML = resources.map((resource, index) => `
+            <li data-index="${index}">
+                <select data-field="type" title="Type">
+                    <option value="css"${resource.type === 'css' ? ' selected' : ''}>css</option>
+                    <option value="js"${resource.type === 'js' ? ' selected' : ''}>js</option>
+                </select>
+                <span title="${escapeHtml(resource.url || 'local file')}">${escapeHtml(resource.url || resource.name)}</span>
+                ${resource.type === 'js' ? `
+                    <label><input type="checkbox" data-field="async"${resource.async ? ' checked' : ''}> async</label>
+                    <label><input type="checkbox" data-field="defer"${resource.defer ? ' checked' : ''}> defer</label>` : ''}
+                <button type="button" data-action="up" title="Load earlier"${index === 0 ? ' disabled' : ''}>&#x25b2;</button>
+                <button type="button" data-action="down" title="Load later"${index === resources.length - 1 ? ' disabled' : ''}>&#x25bc;</button>
+                <button type="button" data-action="remove" title="Remove">&times;</button>
+            </li>`).join('');
+
+        list.classList.toggle('empty', !resources.length);
+    }
+
+    fill();
+}
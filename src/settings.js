@@ -0,0 +1,59 @@
+import mevent from './lib/mevent.js';
+import Settings from './lib/settings.js';
+
+// every field with a name is bound to the setting of the same name.
+// checkboxes sharing a name are saved together as a list of values.
+export default function(dialog) {
+    const openButton = document.getElementById('open-settings');
+
+    openButton.onclick = open;
+
+    function fieldsNamed(name) {
+        return [...dialog.querySelectorAll(`[name="${name}"]`)]
+    }
+
+    function names() {
+        return [...new Set([...dialog.querySelectorAll('[name]')].map(field => field.name))]
+    }
+
+    function fill() {
+        names().forEach(name => {
+            const value = Settings.get(name)
+
+            fieldsNamed(name).forEach(field => {
+                if (field.type === 'checkbox') {
+                    field.checked = Array.isArray(value) ? value.includes(field.value) : Boolean(value)
+                } else {
+                    field.value = value === undefined ? '' : value
+                }
+            })
+        })
+    }
+
+    function save(event) {
+        const { name } = event.target
+        if (!name) return
+
+        const fields = fieldsNamed(name)
+        let value
+
+        if (event.target.type === 'checkbox') {
+            value = fields.length > 1
+                ? fields.filter(field => field.checked).map(field => field.value)
+                : event.target.checked
+        } else {
+            value = event.target.value
+        }
+
+        Settings.set(name, value)
+    }
+
+    function open() {
+        fill()
+        dialog.showModal()
+
+        mevent.trigger('settingsOpen')
+    }
+
+    dialog.addEventListener('change', save)
+}
@@ -1,13 +1,18 @@
 import mevent from './lib/mevent.js';
+import Settings from './lib/settings.js';
+import { list as listFiles, fileById, checkName, addFile, renameFile, removeFile, inPreview, setInPreview } from './lib/files.js';
+import { kindOf } from './lib/languages.js';
 
 export default function() {
 
     const $ = document.querySelector.bind(document)
 
+    // files come and go, so links and contents are looked up each time
     const html = {
-        links: document.querySelectorAll('.tab-links button'),
-        contents: [...$('.tab-contents').children],
-        openTab: $('.tab-links [data-open]')
+        get links() { return document.querySelectorAll('.tab-links button[data-id]') },
+        get contents() { return [...$('.tab-contents').children] },
+        openTab: $('.tab-links [data-open]'),
+        addFile: $('.tab-links [data-add-file]')
     }
 
     function hideAllTabContents(){
@@ -45,10 +50,171 @@ export default function() {
         })
     }
 
+    const placements = { top: 'start of head', head: 'end of head', body: 'end of body' }
+
+    // icon on the tab button: is its code in the preview, and where
+    function showRenderState(){
+        html.links.forEach(tab => {
+            const icon = tab.querySelector('[data-render]')
+            if (!icon) return
+
+            const id = tab.dataset.id
+            const kind = kindOf(id)
+
+            // html files and the like aren't part of the page
+            icon.hidden = Boolean(fileById(id)) && !['css', 'javascript'].includes(kind)
+            if (icon.hidden) return
+
+            const included = inPreview(id)
+            const placement = placements[Settings.get(`${kind}Placement`)]
+
+            icon.textContent = included ? '\u25cf' : '\u25cb'
+            icon.classList.toggle('off', !included)
+            icon.title = included
+                ? `In the preview${placement ? `, ${placement}` : ''}. Click to leave it out`
+                : 'Left out of the preview. Click to put it back'
+        })
+    }
+
+    function toggleRender(event){
+        // the icon is not the tab
+        event.stopPropagation()
+
+        const id = event.currentTarget.closest('button').dataset.id
+
+        setInPreview(id, !inPreview(id))
+    }
+
+    // a name field in the tab bar. `done` gets a name that can be used,
+    // or null when there's nothing to do
+    function askName(before, value, id, done){
+        const input = document.createElement('input')
+
+        input.className = 'file-name'
+        input.value = value
+        input.placeholder = 'utils.js'
+        input.spellcheck = false
+
+        let finished = false
+
+        const finish = name => {
+            if (finished) return
+            finished = true
+
+            input.remove()
+            done(name)
+        }
+
+        input.onkeydown = event => {
+            if (event.key === 'Escape') return finish(null)
+            if (event.key !== 'Enter') return
+
+            const name = input.value.trim()
+            const error = name === value ? '' : checkName(name, id)
+
+            input.setCustomValidity(error)
+            if (error) return input.reportValidity()
+
+            finish(name === value ? null : name)
+        }
+
+        input.oninput = () => input.setCustomValidity('')
+        input.onblur = () => finish(null)
+
+        before.before(input)
+        input.focus()
+        input.select()
+    }
+
+    function newFile(){
+        askName(html.addFile, '', null, name => {
+            if (name) addFile(name)
+        })
+    }
+
+    function rename(event){
+        const tab = event.currentTarget
+        const file = fileById(tab.dataset.id)
+
+        tab.hidden = true
+
+        askName(tab, file.name, file.id, name => {
+            tab.hidden = false
+            if (name) renameFile(file.id, name)
+        })
+    }
+
+    function remove(event){
+        // the icon is not the tab
+        event.stopPropagation()
+
+        const file = fileById(event.currentTarget.closest('button').dataset.id)
+
+        if (confirm(`Delete ${file.name}? Its code goes with it.`)) removeFile(file.id)
+    }
+
+    function fileTab(file){
+        const tab = document.createElement('button')
+
+        tab.dataset.id = file.id
+        tab.dataset.file = ''
+        tab.title = 'Double-click to rename'
+        tab.innerHTML = '<span data-name></span><span data-render></span><span data-remove title="Delete">&times;</span>'
+        tab.querySelector('[data-name]').textContent = file.name
+
+        tab.addEventListener('click', selectTab)
+        tab.addEventListener('dblclick', rename)
+        tab.querySelector('[data-render]').addEventListener('click', toggleRender)
+        tab.querySelector('[data-remove]').addEventListener('click', remove)
+
+        html.addFile.before(tab)
+
+        return tab
+    }
+
+    mevent.bind('fileAdd', file => {
+        fileTab(file).click()
+        showRenderState()
+    })
+
+    mevent.bind('fileRename', file => {
+        const tab = [...html.links].find(tab => tab.dataset.id === file.id)
+        if (tab) tab.querySelector('[data-name]').textContent = file.name
+    })
+
+    // its section is gone already, see editor.js
+    mevent.bind('fileRemove', file => {
+        const tab = [...html.links].find(tab => tab.dataset.id === file.id)
+        if (!tab) return
+
+        tab.remove()
+        if (tab.classList.contains('active')) html.openTab.click()
+    })
+
+    mevent.bind('settingsChange', key => {
+        if (key === 'tabsInPreview' || key === 'files' || key.endsWith('Placement')) showRenderState()
+    })
+
+    // other panels can bring a tab to the front
+    mevent.bind('selectTab', id => {
+        const tab = [...html.links].find(tab => tab.dataset.id === id)
+        if (tab) tab.click()
+    })
+
     function init() {
         hideAllTabContents()
         handleChange()
 
+        document.querySelectorAll('.tab-links [data-render]').forEach(icon => {
+            icon.addEventListener('click', toggleRender)
+        })
+
+        // after the fixed tabs are wired, file tabs wire themselves
+        listFiles().forEach(fileTab)
+        html.addFile.onclick = newFile
+
+        showRenderState()
+
         html.openTab.click()
     }
 